@@ -17,6 +17,8 @@ class ApiClientConfig {
     this.onTokenRefresh = null;
     this.onUnauthorized = null;
     this.onError = null;
+    this.tokenStorage = null;
+    this.tokenStorageKey = 'tokens';
   }
 
   /**
@@ -31,20 +33,78 @@ class ApiClientConfig {
    * Set authentication tokens
    * @param {string} accessToken - Access token
    * @param {string} [refreshToken] - Refresh token
+   * @returns {Promise<void>} Resolves once saved to token storage
    */
   setTokens(accessToken, refreshToken) {
     this.accessToken = accessToken;
     if (refreshToken) {
       this.refreshToken = refreshToken;
     }
+    return this.saveTokens();
   }
 
   /**
    * Clear authentication tokens
+   * @returns {Promise<void>} Resolves once removed from token storage
    */
   clearTokens() {
     this.accessToken = null;
     this.refreshToken = null;
+    return this.saveTokens();
+  }
+
+  /**
+   * Keep tokens in local storage
+   * Once set, setTokens(), clearTokens() and token refreshes save to it,
+   * and loadTokens() restores from it.
+   * @param {import('./storage.js').LocalStore|import('./types.js').StorageAdapter} storage - LocalStore (e.g. a namespace) or adapter
+   * @param {string} [key='tokens'] - Key to store tokens under
+   */
+  setTokenStorage(storage, key = 'tokens') {
+    this.tokenStorage = storage;
+    this.tokenStorageKey = key;
+  }
+
+  /**
+   * Restore tokens from token storage
+   * @returns {Promise<boolean>} Whether tokens were found
+   */
+  async loadTokens() {
+    if (!this.tokenStorage) {
+      return false;
+    }
+
+    const tokens = await this.tokenStorage.get(this.tokenStorageKey);
+    if (!tokens || !tokens.accessToken) {
+      return false;
+    }
+
+    this.accessToken = tokens.accessToken;
+    this.refreshToken = tokens.refreshToken || null;
+    return true;
+  }
+
+  /**
+   * Save the current tokens to token storage (pinned, so a LocalStore quota never evicts them)
+   * @private
+   */
+  async saveTokens() {
+    if (!this.tokenStorage) {
+      return;
+    }
+
+    try {
+      if (this.accessToken || this.refreshToken) {
+        await this.tokenStorage.set(this.tokenStorageKey, {
+          accessToken: this.accessToken,
+          refreshToken: this.refreshToken,
+        }, { evictable: false });
+      } else {
+        await this.tokenStorage.remove(this.tokenStorageKey);
+      }
+    } catch (error) {
+      console.error('Saving tokens failed:', error);
+    }
   }
 
   /**
@@ -37,15 +37,25 @@ export * as contexts from './services/contexts.js';
 export * as teams from './services/teams.js';
 export * as ai from './services/ai.js';
 
+// Local storage exports
+export { default as storage, LocalStore, StorageQuotaError, MemoryStorageAdapter, IndexedDBStorageAdapter, ChromeStorageAdapter, FileStorageAdapter } from './storage.js';
+
+// Offline sync exports
+export { default as sync, SyncEngine, SYNC_STATUS, SYNC_CONFLICT_STRATEGIES, SYNC_ENTITIES, compareVectorClocks, mergeVectorClocks } from './sync.js';
+
 // Default export with everything organized
 import clientExports from './client.js';
 import routesExports from './routes.js';
 import typesExports from './types.js';
 import servicesExports from './services/index.js';
+import storageExports from './storage.js';
+import syncExports from './sync.js';
 
 export default {
   client: clientExports,
   routes: routesExports,
   types: typesExports,
   services: servicesExports,
+  storage: storageExports,
+  sync: syncExports,
 };
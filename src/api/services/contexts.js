@@ -142,7 +142,7 @@ export async function getRelationships(filters = {}) {
  * @param {Object} data - Relationship data
  * @param {string} data.sourceLayerId - Source layer ID
  * @param {string} data.targetLayerId - Target layer ID
- * @param {string} data.relationshipType - Type (requires, enhances, conflicts, replaces)
+ * @param {string} data.relationshipType - Type (requires, extends, recommends, enhances, conflicts, replaces)
  * @param {Object} [data.metadata] - Additional metadata
  * @returns {Promise<import('../types.js').ContextRelationship>}
  */
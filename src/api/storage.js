@@ -0,0 +1,571 @@
+/**
+ * PromptCraft Local Storage
+ * One storage abstraction for the clients' local caches (templates, layers,
+ * tokens, sync state), with adapters for each platform:
+ *
+ * - MemoryStorageAdapter - in memory (tests, server-side rendering)
+ * - IndexedDBStorageAdapter - IndexedDB (web app, extension pages)
+ * - ChromeStorageAdapter - chrome.storage.local (extension background)
+ * - FileStorageAdapter - a JSON file (Node scripts and tools)
+ *
+ * Adapters only store values under keys. LocalStore adds namespaces, TTLs,
+ * a byte quota and schema migrations on top of any adapter.
+ *
+ * @example
+ * const store = new LocalStore({ adapter: new ChromeStorageAdapter(), namespace: 'promptcraft' });
+ * const cache = store.namespace('templates', { quota: 2 * 1024 * 1024 });
+ *
+ * await cache.set(template.id, template, { ttl: 60 * 60 * 1000 });
+ * const cached = await cache.get(template.id); // null once expired
+ */
+
+/**
+ * Key under which a namespace's schema version is stored
+ */
+const SCHEMA_KEY = '__schema';
+
+/**
+ * Storage quota error
+ */
+export class StorageQuotaError extends Error {
+  constructor(message, namespace, quota, size) {
+    super(message);
+    this.name = 'StorageQuotaError';
+    this.namespace = namespace;
+    this.quota = quota;
+    this.size = size;
+    this.isStorageQuotaError = true;
+  }
+}
+
+// ============================================================================
+// Adapters
+// ============================================================================
+
+/**
+ * In-memory adapter
+ * Values are copied in and out, like the persistent adapters
+ */
+export class MemoryStorageAdapter {
+  constructor() {
+    this.store = new Map();
+  }
+
+  async get(key) {
+    return this.store.has(key) ? clone(this.store.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.store.set(key, clone(value));
+  }
+
+  async remove(key) {
+    this.store.delete(key);
+  }
+
+  async keys(prefix = '') {
+    return Array.from(this.store.keys()).filter(key => key.startsWith(prefix));
+  }
+}
+
+/**
+ * IndexedDB adapter
+ */
+export class IndexedDBStorageAdapter {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.dbName='promptcraft'] - Database name
+   * @param {string} [options.storeName='storage'] - Object store name
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (default globalThis.indexedDB)
+   */
+  constructor(options = {}) {
+    const {
+      dbName = 'promptcraft',
+      storeName = 'storage',
+      indexedDB = globalThis.indexedDB,
+    } = options;
+
+    if (!indexedDB) {
+      throw new Error('IndexedDB is not available');
+    }
+
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.indexedDB = indexedDB;
+    this.db = null;
+  }
+
+  async get(key) {
+    const value = await this.request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async set(key, value) {
+    await this.request('readwrite', store => store.put(value, key));
+  }
+
+  async remove(key) {
+    await this.request('readwrite', store => store.delete(key));
+  }
+
+  async keys(prefix = '') {
+    const keys = await this.request('readonly', store => store.getAllKeys());
+    return keys.filter(key => typeof key === 'string' && key.startsWith(prefix));
+  }
+
+  /**
+   * Open the database (once)
+   * @private
+   */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`IndexedDB ${this.dbName} is blocked by another open connection`));
+      });
+
+      // Don't cache a failed open; the next call tries again
+      this.db.catch(() => {
+        this.db = null;
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Run one request in its own transaction, settling once the transaction commits
+   * @private
+   */
+  async request(mode, run) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const request = run(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error || request.error);
+      tx.onabort = () => reject(tx.error || request.error || new Error('IndexedDB transaction aborted'));
+    });
+  }
+}
+
+/**
+ * chrome.storage adapter (Manifest V3 promise API)
+ */
+export class ChromeStorageAdapter {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Object} [options.area] - Storage area (default chrome.storage.local)
+   */
+  constructor(options = {}) {
+    const { area = globalThis.chrome?.storage?.local } = options;
+
+    if (!area) {
+      throw new Error('chrome.storage is not available');
+    }
+
+    this.area = area;
+  }
+
+  async get(key) {
+    const result = await this.area.get(key);
+    return result[key] === undefined ? null : result[key];
+  }
+
+  async set(key, value) {
+    await this.area.set({ [key]: value });
+  }
+
+  async remove(key) {
+    await this.area.remove(key);
+  }
+
+  async keys(prefix = '') {
+    const all = await this.area.get(null);
+    return Object.keys(all).filter(key => key.startsWith(prefix));
+  }
+}
+
+/**
+ * JSON file adapter (Node only)
+ * The file is read once and rewritten after every change.
+ */
+export class FileStorageAdapter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.path - JSON file path (created if missing)
+   */
+  constructor(options = {}) {
+    const { path } = options;
+
+    if (!path) {
+      throw new Error('FileStorageAdapter requires a path');
+    }
+
+    this.path = path;
+    this.data = null;
+    this.writing = Promise.resolve();
+  }
+
+  async get(key) {
+    const data = await this.load();
+    return key in data ? clone(data[key]) : null;
+  }
+
+  async set(key, value) {
+    const data = await this.load();
+    data[key] = clone(value);
+    await this.write();
+  }
+
+  async remove(key) {
+    const data = await this.load();
+    if (!(key in data)) return;
+    delete data[key];
+    await this.write();
+  }
+
+  async keys(prefix = '') {
+    return Object.keys(await this.load()).filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Read the file (once)
+   * @private
+   */
+  load() {
+    if (!this.data) {
+      this.data = (async () => {
+        const fs = await import('node:fs/promises');
+        try {
+          return JSON.parse(await fs.readFile(this.path, 'utf8'));
+        } catch (error) {
+          if (error.code === 'ENOENT') return {};
+          throw error;
+        }
+      })();
+
+      // Don't cache a failed read; the next call tries again
+      this.data.catch(() => {
+        this.data = null;
+      });
+    }
+    return this.data;
+  }
+
+  /**
+   * Rewrite the file, one write at a time, via a temporary file so it's never left half-written
+   * @private
+   */
+  write() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const fs = await import('node:fs/promises');
+      const { dirname } = await import('node:path');
+      const data = await this.data;
+      const temp = `${this.path}.tmp`;
+
+      await fs.mkdir(dirname(this.path), { recursive: true });
+      await fs.writeFile(temp, JSON.stringify(data));
+      await fs.rename(temp, this.path);
+    });
+    return this.writing;
+  }
+}
+
+// ============================================================================
+// LocalStore
+// ============================================================================
+
+/**
+ * Namespaced key-value store over an adapter
+ *
+ * Entries are stored as { value, expires_at, written_at, size, pinned } under
+ * `${namespace}:${key}`. Sizes (and quotas) count the key and the value's
+ * JSON in characters, which is close to bytes for typical content. Pinned
+ * entries (set with `evictable: false`, e.g. the sync journal) count toward
+ * quotas but are never evicted.
+ */
+export class LocalStore {
+  /**
+   * @param {Object} [options] - Options
+   * @param {Object} [options.adapter] - Storage adapter (default MemoryStorageAdapter)
+   * @param {string} [options.namespace='promptcraft'] - Key prefix
+   * @param {number} [options.ttl] - Default time to live in milliseconds (default none)
+   * @param {number} [options.quota] - Maximum bytes for the namespace, child namespaces included (default none)
+   * @param {boolean} [options.evict=true] - Make room by removing the oldest entries instead of throwing StorageQuotaError
+   * @param {number} [options.version=1] - Schema version
+   * @param {Object} [options.migrations] - By version: async (store) => void, run in order when upgrading to it
+   */
+  constructor(options = {}) {
+    const {
+      adapter = new MemoryStorageAdapter(),
+      namespace = 'promptcraft',
+      ttl = null,
+      quota = null,
+      evict = true,
+      version = 1,
+      migrations = {},
+    } = options;
+
+    if (!namespace) {
+      throw new Error(`Invalid storage namespace: ${namespace}`);
+    }
+
+    this.adapter = adapter;
+    this.namespaceName = namespace;
+    this.ttl = ttl;
+    this.quota = quota;
+    this.evict = evict;
+    this.version = version;
+    this.migrations = migrations;
+    this.migrating = null;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Key
+   * @returns {Promise<*>} Value, or null if missing or expired
+   */
+  async get(key) {
+    await this.ready();
+    const entry = await this.adapter.get(this.key(key));
+    if (!entry) return null;
+
+    if (isExpired(entry)) {
+      await this.adapter.remove(this.key(key));
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} [options] - Options
+   * @param {number} [options.ttl] - Time to live in milliseconds (default the store's ttl)
+   * @param {boolean} [options.evictable=true] - false pins the value, so quotas never evict it
+   * @throws {StorageQuotaError} If the value doesn't fit the quota
+   */
+  async set(key, value, options = {}) {
+    const { ttl = this.ttl, evictable = true } = options;
+    await this.ready();
+
+    const now = Date.now();
+    const entry = {
+      value,
+      expires_at: ttl ? now + ttl : null,
+      written_at: now,
+      pinned: !evictable,
+    };
+    entry.size = this.key(key).length + (JSON.stringify(value) ?? '').length;
+
+    if (this.quota) {
+      await this.makeRoom(key, entry.size);
+    }
+    await this.adapter.set(this.key(key), entry);
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Key
+   */
+  async remove(key) {
+    await this.ready();
+    await this.adapter.remove(this.key(key));
+  }
+
+  /**
+   * Check whether a key has an unexpired value
+   * @param {string} key - Key
+   * @returns {Promise<boolean>}
+   */
+  async has(key) {
+    return (await this.get(key)) !== null;
+  }
+
+  /**
+   * Get the keys in this namespace (including child namespaces, as `child:key`)
+   * @returns {Promise<string[]>} Keys
+   */
+  async keys() {
+    await this.ready();
+    const prefix = this.key('');
+    return (await this.adapter.keys(prefix))
+      .map(key => key.slice(prefix.length))
+      .filter(key => key.split(':').pop() !== SCHEMA_KEY);
+  }
+
+  /**
+   * Remove every value in this namespace and its child namespaces
+   */
+  async clear() {
+    const keys = await this.keys();
+    await Promise.all(keys.map(key => this.adapter.remove(this.key(key))));
+  }
+
+  /**
+   * Remove expired values
+   * @returns {Promise<number>} Number removed
+   */
+  async prune() {
+    const entries = await this.getEntries();
+    const expired = entries.filter(({ entry }) => isExpired(entry));
+    await Promise.all(expired.map(({ key }) => this.adapter.remove(this.key(key))));
+    return expired.length;
+  }
+
+  /**
+   * Bytes used by this namespace
+   * @returns {Promise<Object>} { bytes, entries, quota }
+   */
+  async usage() {
+    const entries = await this.getEntries();
+    return {
+      bytes: entries.reduce((total, { entry }) => total + (entry.size || 0), 0),
+      entries: entries.length,
+      quota: this.quota,
+    };
+  }
+
+  /**
+   * A child namespace on the same adapter
+   * @param {string} name - Child namespace name
+   * @param {Object} [options] - LocalStore options (ttl, quota, evict, version, migrations)
+   * @returns {LocalStore}
+   */
+  namespace(name, options = {}) {
+    return new LocalStore({
+      ...options,
+      adapter: this.adapter,
+      namespace: `${this.namespaceName}:${name}`,
+    });
+  }
+
+  /**
+   * Run pending migrations (once); every other method waits for this
+   * @returns {Promise<number>} Schema version
+   */
+  ready() {
+    if (!this.migrating) {
+      this.migrating = (async () => {
+        const stored = (await this.adapter.get(this.key(SCHEMA_KEY))) || 0;
+
+        // A new namespace starts at the current version; child namespaces' keys don't make it old
+        const prefix = this.key('');
+        const ownKeys = (await this.adapter.keys(prefix)).filter(key => !key.slice(prefix.length).includes(':'));
+        if (stored === 0 && ownKeys.length === 0) {
+          await this.adapter.set(this.key(SCHEMA_KEY), this.version);
+          return this.version;
+        }
+
+        const pending = Object.keys(this.migrations)
+          .map(Number)
+          .filter(version => version > stored && version <= this.version)
+          .sort((a, b) => a - b);
+
+        // Migrations run before ready() resolves, so they use the adapter-level store
+        const store = this.withoutMigrations();
+        for (const version of pending) {
+          await this.migrations[version](store);
+          await this.adapter.set(this.key(SCHEMA_KEY), version);
+        }
+        if (stored < this.version) {
+          await this.adapter.set(this.key(SCHEMA_KEY), this.version);
+        }
+        return Math.max(stored, this.version);
+      })();
+    }
+    return this.migrating;
+  }
+
+  /**
+   * Full adapter key
+   * @private
+   */
+  key(key) {
+    return `${this.namespaceName}:${key}`;
+  }
+
+  /**
+   * This namespace with migrations treated as done, for use inside migrations
+   * @private
+   */
+  withoutMigrations() {
+    const store = new LocalStore({
+      adapter: this.adapter,
+      namespace: this.namespaceName,
+      ttl: this.ttl,
+      quota: this.quota,
+      evict: this.evict,
+    });
+    store.migrating = Promise.resolve(this.version);
+    return store;
+  }
+
+  /**
+   * All entries in this namespace
+   * @private
+   */
+  async getEntries() {
+    const keys = await this.keys();
+    const entries = await Promise.all(keys.map(async key => ({ key, entry: await this.adapter.get(this.key(key)) })));
+    return entries.filter(({ entry }) => entry && typeof entry === 'object');
+  }
+
+  /**
+   * Remove expired, then oldest, unpinned entries until `size` more bytes fit the quota
+   * @private
+   */
+  async makeRoom(key, size) {
+    if (size > this.quota) {
+      throw new StorageQuotaError(`Value for "${key}" is larger than the ${this.namespaceName} quota`, this.namespaceName, this.quota, size);
+    }
+
+    const entries = (await this.getEntries()).filter(item => item.key !== key);
+    let used = entries.reduce((total, { entry }) => total + (entry.size || 0), 0);
+    if (used + size <= this.quota) return;
+
+    if (!this.evict) {
+      throw new StorageQuotaError(`Storage quota exceeded for ${this.namespaceName}`, this.namespaceName, this.quota, used + size);
+    }
+
+    const candidates = entries
+      .filter(({ entry }) => !entry.pinned)
+      .sort((a, b) => (isExpired(b.entry) - isExpired(a.entry)) || (a.entry.written_at - b.entry.written_at));
+
+    const evictable = candidates.reduce((total, { entry }) => total + (entry.size || 0), 0);
+    if (used - evictable + size > this.quota) {
+      throw new StorageQuotaError(`Pinned entries leave no room for "${key}" in ${this.namespaceName}`, this.namespaceName, this.quota, used + size);
+    }
+
+    for (const { key: candidate, entry } of candidates) {
+      if (used + size <= this.quota) break;
+      await this.adapter.remove(this.key(candidate));
+      used -= entry.size || 0;
+    }
+  }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function isExpired(entry) {
+  return Boolean(entry.expires_at && entry.expires_at <= Date.now());
+}
+
+function clone(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+export default {
+  LocalStore,
+  StorageQuotaError,
+  MemoryStorageAdapter,
+  IndexedDBStorageAdapter,
+  ChromeStorageAdapter,
+  FileStorageAdapter,
+};
@@ -0,0 +1,810 @@
+/**
+ * PromptCraft Offline Sync
+ * Keeps a local copy of the user's templates and context layers that can be
+ * edited offline, and syncs it with the server through the existing services.
+ *
+ * - Local edits go into a change journal, which push() sends in batches.
+ *   Progress is saved after every batch, so an interrupted sync resumes where
+ *   it stopped. pull() pages through the user's records the same way.
+ * - Pulled records are merged field by field. When both sides changed a field
+ *   the later edit wins, with ties going to the vector clock and then the
+ *   device id. Edit times and clocks are pushed in metadata._sync so other
+ *   devices can compare them. With conflictStrategy 'prompt', onConflict() decides instead,
+ *   or the record is held in sync_status 'conflict' until resolveConflict().
+ * - Deletes are tombstones (deleted_at), so they merge like any other field
+ *   and aren't brought back by a later pull.
+ *
+ * State lives in a LocalStore (see storage.js) or a bare storage adapter, so
+ * the extension and the web app can each keep it in their own storage. It's
+ * written pinned, so a LocalStore quota never evicts queued changes.
+ *
+ * @example
+ * const sync = new SyncEngine({ storage, deviceId: 'chrome-ext-1234' });
+ *
+ * await sync.save('contexts', { ...layer, content: edited });
+ * await sync.remove('templates', templateId);
+ *
+ * // When online
+ * const { pull, push } = await sync.sync();
+ */
+
+import * as templates from './services/templates.js';
+import * as contexts from './services/contexts.js';
+import { LocalStore } from './storage.js';
+
+/**
+ * Sync status of a local record (the sync_status field)
+ */
+export const SYNC_STATUS = {
+  SYNCED: 'synced',     // Same as the server
+  PENDING: 'pending',   // Local changes not pushed yet
+  CONFLICT: 'conflict', // Waiting for resolveConflict()
+};
+
+/**
+ * How fields changed on both sides are resolved
+ */
+export const SYNC_CONFLICT_STRATEGIES = ['lww', 'prompt'];
+
+/**
+ * Synced record types and the services they use
+ *
+ * `list` is called with { limit, offset }; records are read from the
+ * response's data (an array, or an object with a `listKey` array).
+ */
+export const SYNC_ENTITIES = {
+  templates: {
+    list: templates.getMyTemplates,
+    listKey: 'templates',
+    create: templates.createTemplate,
+    update: templates.updateTemplate,
+    remove: templates.deleteTemplate,
+  },
+  contexts: {
+    list: contexts.getLayers,
+    listKey: 'layers',
+    create: contexts.createLayer,
+    update: contexts.updateLayer,
+    remove: contexts.deleteLayer,
+  },
+};
+
+/**
+ * Server-managed fields, which are never merged or pushed
+ */
+const SERVER_FIELDS = [
+  'id',
+  'user_id',
+  'created_at',
+  'updated_at',
+  'device_last_modified',
+  'last_synced_at',
+  'sync_status',
+  'token_count',
+  'usage_count',
+  'avg_rating',
+  'favorite_count',
+];
+
+/**
+ * Offline sync engine
+ */
+export class SyncEngine {
+  /**
+   * @param {Object} options - Options
+   * @param {import('./types.js').StorageAdapter} [options.storage] - Where sync state is kept, e.g. a LocalStore namespace (default an in-memory LocalStore)
+   * @param {string} options.deviceId - This device's id, used in vector clocks and device_last_modified
+   * @param {Object} [options.entities=SYNC_ENTITIES] - Record types to sync
+   * @param {number} [options.batchSize=25] - Changes pushed, or records pulled, per batch
+   * @param {string} [options.conflictStrategy='lww'] - 'lww' or 'prompt'
+   * @param {Function} [options.onConflict] - async (conflict) => 'local' | 'remote' | { value } (prompt strategy)
+   * @param {string} [options.namespace='sync'] - Storage key prefix
+   */
+  constructor(options = {}) {
+    const {
+      storage = new LocalStore(),
+      deviceId,
+      entities = SYNC_ENTITIES,
+      batchSize = 25,
+      conflictStrategy = 'lww',
+      onConflict = null,
+      namespace = 'sync',
+    } = options;
+
+    if (!deviceId) {
+      throw new Error('SyncEngine requires a deviceId');
+    }
+    if (!SYNC_CONFLICT_STRATEGIES.includes(conflictStrategy)) {
+      throw new Error(`Invalid conflict strategy. Must be one of: ${SYNC_CONFLICT_STRATEGIES.join(', ')}`);
+    }
+
+    this.storage = storage;
+    this.deviceId = deviceId;
+    this.entities = entities;
+    this.batchSize = batchSize;
+    this.conflictStrategy = conflictStrategy;
+    this.onConflict = onConflict;
+    this.namespace = namespace;
+    this.state = null;
+    this.loading = null;
+  }
+
+  // ==========================================================================
+  // Local records
+  // ==========================================================================
+
+  /**
+   * Get a local record
+   * @param {string} entity - Record type (e.g. 'templates')
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record, or null if missing or deleted
+   */
+  async get(entity, id) {
+    const entry = (await this.getEntries(entity))[id];
+    return entry && !entry.data.deleted_at ? entry.data : null;
+  }
+
+  /**
+   * List local records
+   * @param {string} entity - Record type
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.includeDeleted=false] - Include tombstones
+   * @returns {Promise<Object[]>} Records
+   */
+  async list(entity, options = {}) {
+    const { includeDeleted = false } = options;
+    return Object.values(await this.getEntries(entity))
+      .map(entry => entry.data)
+      .filter(record => includeDeleted || !record.deleted_at);
+  }
+
+  /**
+   * Save a local edit and queue it for push
+   *
+   * Records without an id are new and get a temporary `local-` id until
+   * they're pushed (see push()'s `created`).
+   *
+   * @param {string} entity - Record type
+   * @param {Object} record - Record, or the changed fields with its id
+   * @returns {Promise<Object>} Saved record
+   */
+  async save(entity, record) {
+    const entries = await this.getEntries(entity);
+    const id = record.id || `local-${generateUUID()}`;
+    const entry = entries[id] || { data: { id }, base: null, fields: {}, clock: {}, conflicts: [] };
+
+    const data = { ...entry.data, ...record, id };
+    const changed = getChangedFields(getFields(entry.data), getFields(data));
+    if (entries[id] && changed.length === 0) {
+      return entry.data;
+    }
+
+    const now = new Date().toISOString();
+    entry.clock = { ...entry.clock, [this.deviceId]: (entry.clock[this.deviceId] || 0) + 1 };
+    changed.forEach(field => {
+      entry.fields[field] = { modified_at: now, device_id: this.deviceId, clock: entry.clock };
+    });
+    entry.data = {
+      ...data,
+      device_last_modified: this.deviceId,
+      updated_at: now,
+      sync_status: entry.conflicts.length > 0 ? SYNC_STATUS.CONFLICT : SYNC_STATUS.PENDING,
+    };
+    entries[id] = entry;
+
+    this.enqueue(entity, id, !entry.base ? 'create' : data.deleted_at ? 'delete' : 'update');
+    await this.persist(entity, 'journal');
+
+    return entry.data;
+  }
+
+  /**
+   * Delete a local record, leaving a tombstone to push
+   * @param {string} entity - Record type
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} Whether the record existed
+   */
+  async remove(entity, id) {
+    const entries = await this.getEntries(entity);
+    const entry = entries[id];
+    if (!entry) return false;
+
+    // Never pushed: nothing to tell the server
+    if (!entry.base) {
+      delete entries[id];
+      this.dequeue(entity, id);
+      await this.persist(entity, 'journal');
+      return true;
+    }
+
+    await this.save(entity, { id, deleted_at: new Date().toISOString() });
+    return true;
+  }
+
+  // ==========================================================================
+  // Syncing
+  // ==========================================================================
+
+  /**
+   * Pull, then push
+   * @returns {Promise<Object>} { pull, push } results (push is null if the pull failed)
+   */
+  async sync() {
+    const pull = await this.pull();
+    const push = pull.error ? null : await this.push();
+    return { pull, push };
+  }
+
+  /**
+   * Push queued local changes in batches
+   *
+   * Changes in a batch are sent together. If any fail, the successful ones
+   * are still recorded and the push stops, leaving the rest queued. Records
+   * waiting for conflict resolution are held back.
+   *
+   * @returns {Promise<Object>} { pushed, held, created: [{ entity, localId, id }], failed: [{ entity, id, op, error }] }
+   */
+  async push() {
+    const state = await this.load();
+    const result = { pushed: 0, held: 0, created: [], failed: [] };
+
+    const queued = state.journal.filter(change => {
+      const held = state.records[change.entity][change.id]?.conflicts.length > 0;
+      if (held) result.held++;
+      return !held;
+    });
+
+    for (let i = 0; i < queued.length && result.failed.length === 0; i += this.batchSize) {
+      const batch = queued.slice(i, i + this.batchSize);
+      // Copied first, since pushChange() gives created records their server id
+      const sent = batch.map(({ entity, id, op }) => ({ entity, id, op }));
+      const outcomes = await Promise.allSettled(batch.map(change => this.pushChange(change)));
+
+      outcomes.forEach((outcome, index) => {
+        const { entity, id, op } = sent[index];
+        if (outcome.status === 'rejected') {
+          result.failed.push({ entity, id, op, error: outcome.reason });
+          return;
+        }
+        result.pushed++;
+        if (outcome.value !== id) {
+          result.created.push({ entity, localId: id, id: outcome.value });
+        }
+      });
+
+      await this.persist('journal', ...new Set(batch.map(change => change.entity)));
+    }
+
+    return result;
+  }
+
+  /**
+   * Pull the user's records and merge them into the local copy
+   *
+   * Records are pulled a page at a time and the position is saved, so a
+   * failed pull resumes from the same page. Once a record type is fully
+   * pulled, synced local records the server no longer lists are marked
+   * deleted. Those edited locally since are recreated instead, so offline
+   * work isn't lost.
+   *
+   * @param {Object} [options] - Options
+   * @param {string[]} [options.entities] - Record types to pull (default all)
+   * @returns {Promise<Object>} { pulled, deleted, conflicts, error }
+   */
+  async pull(options = {}) {
+    const { entities = Object.keys(this.entities) } = options;
+    const state = await this.load();
+    const result = { pulled: 0, deleted: 0, conflicts: [], error: null };
+
+    for (const name of entities) {
+      const entity = this.getEntity(name);
+      const cursor = state.cursors[name] || { offset: 0, seen: [] };
+      state.cursors[name] = cursor;
+
+      try {
+        let items;
+        do {
+          const response = await entity.list({ limit: this.batchSize, offset: cursor.offset });
+          items = toItems(response, entity.listKey);
+
+          for (const remote of items) {
+            result.conflicts.push(...await this.mergeRemote(name, remote));
+            cursor.seen.push(remote.id);
+          }
+          result.pulled += items.length;
+          cursor.offset += items.length;
+
+          await this.persist(name, 'journal', 'cursors');
+        } while (items.length === this.batchSize);
+      } catch (error) {
+        result.error = error;
+        return result;
+      }
+
+      result.deleted += this.markMissing(name, new Set(cursor.seen));
+      delete state.cursors[name];
+      await this.persist(name, 'journal', 'cursors');
+    }
+
+    return result;
+  }
+
+  /**
+   * Get conflicts waiting for resolution
+   * @param {string} [entity] - Only this record type
+   * @returns {Promise<Object[]>} Conflicts { entity, id, field, base, local, remote }
+   */
+  async getConflicts(entity = null) {
+    const state = await this.load();
+    return Object.keys(state.records)
+      .filter(name => !entity || name === entity)
+      .flatMap(name => Object.values(state.records[name]).flatMap(entry => entry.conflicts));
+  }
+
+  /**
+   * Resolve a held record's conflicts
+   * @param {string} entity - Record type
+   * @param {string} id - Record ID
+   * @param {Object} resolutions - By field: 'local', 'remote' or { value }
+   * @returns {Promise<Object>} Record
+   */
+  async resolveConflict(entity, id, resolutions) {
+    const entries = await this.getEntries(entity);
+    const entry = entries[id];
+    if (!entry) {
+      throw new Error(`Record not found: ${entity}/${id}`);
+    }
+
+    const data = { ...entry.data };
+    entry.conflicts = entry.conflicts.filter(conflict => {
+      if (!(conflict.field in resolutions)) return true;
+      data[conflict.field] = applyResolution(conflict, resolutions[conflict.field]);
+      return false;
+    });
+
+    // Resolved values are new local writes, so they win the next merge
+    const now = new Date().toISOString();
+    entry.clock = { ...entry.clock, [this.deviceId]: (entry.clock[this.deviceId] || 0) + 1 };
+    Object.keys(resolutions).forEach(field => {
+      entry.fields[field] = { modified_at: now, device_id: this.deviceId, clock: entry.clock };
+    });
+    entry.data = data;
+
+    this.updateStatus(entity, id, entry);
+    await this.persist(entity, 'journal');
+    return entry.data;
+  }
+
+  /**
+   * Remove synced tombstones
+   * @param {Object} [options] - Options
+   * @param {number} [options.olderThan=30 days] - Minimum age in milliseconds
+   * @returns {Promise<number>} Number removed
+   */
+  async purgeTombstones(options = {}) {
+    const { olderThan = 30 * 24 * 60 * 60 * 1000 } = options;
+    const state = await this.load();
+    const cutoff = Date.now() - olderThan;
+    let purged = 0;
+
+    for (const name of Object.keys(state.records)) {
+      const entries = state.records[name];
+      Object.entries(entries).forEach(([id, entry]) => {
+        const { deleted_at, sync_status } = entry.data;
+        if (deleted_at && Date.parse(deleted_at) < cutoff && sync_status === SYNC_STATUS.SYNCED) {
+          delete entries[id];
+          purged++;
+        }
+      });
+      await this.persist(name);
+    }
+
+    return purged;
+  }
+
+  // ==========================================================================
+  // Internals
+  // ==========================================================================
+
+  /**
+   * Load sync state from storage (once)
+   * @private
+   */
+  async load() {
+    if (this.state) return this.state;
+
+    this.loading = this.loading || (async () => {
+      const records = {};
+      for (const name of Object.keys(this.entities)) {
+        records[name] = (await this.storage.get(this.key(`records:${name}`))) || {};
+      }
+      this.state = {
+        records,
+        journal: (await this.storage.get(this.key('journal'))) || [],
+        cursors: (await this.storage.get(this.key('cursors'))) || {},
+      };
+      return this.state;
+    })();
+
+    return this.loading;
+  }
+
+  /**
+   * Save parts of the state: 'journal', 'cursors' or a record type
+   *
+   * Pinned in a LocalStore (adapters ignore the option): evicting the
+   * journal or unpushed records would lose local edits.
+   * @private
+   */
+  async persist(...parts) {
+    const options = { evictable: false };
+    for (const part of new Set(parts)) {
+      if (part === 'journal' || part === 'cursors') {
+        await this.storage.set(this.key(part), this.state[part], options);
+      } else {
+        await this.storage.set(this.key(`records:${part}`), this.state.records[part], options);
+      }
+    }
+  }
+
+  /** @private */
+  key(name) {
+    return `${this.namespace}:${name}`;
+  }
+
+  /** @private */
+  getEntity(name) {
+    const entity = this.entities[name];
+    if (!entity) {
+      throw new Error(`Unknown sync entity: ${name}`);
+    }
+    return entity;
+  }
+
+  /** @private */
+  async getEntries(name) {
+    this.getEntity(name);
+    return (await this.load()).records[name];
+  }
+
+  /**
+   * Queue a change, folding it into one already queued for the record
+   * @private
+   */
+  enqueue(entity, id, op) {
+    const existing = this.state.journal.find(change => change.entity === entity && change.id === id);
+    if (!existing) {
+      this.state.journal.push({ entity, id, op, revision: 1, queued_at: new Date().toISOString() });
+      return;
+    }
+
+    // A create stays a create until pushed; a delete replaces an update
+    if (existing.op !== 'create') {
+      existing.op = op;
+    }
+    existing.revision++;
+  }
+
+  /** @private */
+  dequeue(entity, id) {
+    this.state.journal = this.state.journal.filter(change => !(change.entity === entity && change.id === id));
+  }
+
+  /**
+   * Send one queued change
+   * @private
+   * @returns {Promise<string>} The record's id (the server's id for creates)
+   */
+  async pushChange(change) {
+    const entity = this.getEntity(change.entity);
+    const entries = this.state.records[change.entity];
+    const entry = entries[change.id];
+    const { revision } = change;
+    const sent = entry.data;
+
+    let saved = null;
+    if (change.op === 'delete') {
+      await entity.remove(change.id);
+    } else {
+      const { deleted_at, ...fields } = getFields(sent);
+      const payload = {
+        ...fields,
+        metadata: { ...fields.metadata, _sync: { clock: entry.clock, fields: entry.fields } },
+        device_last_modified: this.deviceId,
+      };
+      saved = change.op === 'create'
+        ? await entity.create(payload)
+        : await entity.update(change.id, payload);
+    }
+
+    const server = saved && typeof saved === 'object' ? saved : {};
+    const id = server.id || change.id;
+    entry.base = getFields({ ...sent, ...server });
+
+    // The record may have been edited again while this was in flight
+    if (change.revision === revision) {
+      entry.data = {
+        ...entry.data,
+        ...server,
+        sync_status: SYNC_STATUS.SYNCED,
+        last_synced_at: new Date().toISOString(),
+      };
+      this.dequeue(change.entity, change.id);
+    } else if (change.op === 'create') {
+      change.op = entry.data.deleted_at ? 'delete' : 'update';
+    }
+
+    if (id !== change.id) {
+      delete entries[change.id];
+      entries[id] = entry;
+      entry.data = { ...entry.data, id };
+      change.id = id;
+    }
+
+    return id;
+  }
+
+  /**
+   * Merge a pulled record into the local copy
+   * @private
+   * @returns {Promise<Object[]>} Conflicts resolved by LWW, or still open
+   */
+  async mergeRemote(name, remote) {
+    const entries = this.state.records[name];
+    const entry = entries[remote.id];
+    const remoteFields = getFields(remote);
+    const remoteSync = remote.metadata?._sync || {};
+    // Edit times pushed by the writing device, else the server's update time
+    const remoteWrite = field => remoteSync.fields?.[field] || {
+      modified_at: remote.updated_at,
+      device_id: remote.device_last_modified,
+      clock: remoteSync.clock || {},
+    };
+
+    if (!entry) {
+      if (!remote.deleted_at) {
+        entries[remote.id] = {
+          data: { ...remote, sync_status: SYNC_STATUS.SYNCED, last_synced_at: new Date().toISOString() },
+          base: remoteFields,
+          fields: remoteSync.fields || {},
+          clock: remoteSync.clock || {},
+          conflicts: [],
+        };
+      }
+      return [];
+    }
+
+    const local = getFields(entry.data);
+    const base = entry.base || {};
+    const merged = { ...local };
+    const conflicts = [];
+
+    for (const field of new Set([...Object.keys(local), ...Object.keys(remoteFields)])) {
+      const localValue = local[field];
+      const remoteValue = remoteFields[field];
+      if (isSame(localValue, remoteValue) || isSame(remoteValue, base[field])) continue;
+
+      if (isSame(localValue, base[field])) {
+        merged[field] = remoteValue;
+        entry.fields[field] = remoteWrite(field);
+        continue;
+      }
+
+      // Changed on both sides
+      const conflict = { entity: name, id: remote.id, field, base: base[field], local: localValue, remote: remoteValue };
+      let resolution;
+      if (this.conflictStrategy === 'lww') {
+        resolution = pickLastWriter(entry.fields[field] || {}, remoteWrite(field));
+      } else if (this.onConflict) {
+        resolution = await this.onConflict(conflict);
+      }
+
+      if (resolution === undefined || resolution === null) {
+        entry.conflicts = entry.conflicts.filter(open => open.field !== field).concat(conflict);
+      } else {
+        merged[field] = applyResolution(conflict, resolution);
+        if (resolution === 'remote') entry.fields[field] = remoteWrite(field);
+      }
+      conflicts.push({ ...conflict, resolution: resolution ?? null });
+    }
+
+    entry.base = remoteFields;
+    entry.clock = mergeVectorClocks(entry.clock, remoteSync.clock);
+    entry.data = {
+      ...entry.data,
+      ...remote,
+      ...merged,
+    };
+    this.updateStatus(name, remote.id, entry);
+
+    return conflicts;
+  }
+
+  /**
+   * Mark synced records the server no longer lists as deleted
+   * @private
+   * @returns {number} Records marked deleted
+   */
+  markMissing(name, seen) {
+    const now = new Date().toISOString();
+    let deleted = 0;
+
+    Object.entries(this.state.records[name]).forEach(([id, entry]) => {
+      if (seen.has(id) || !entry.base) return;
+
+      if (entry.data.deleted_at) {
+        // Already gone on the server: nothing left to push
+        entry.base = getFields(entry.data);
+        entry.conflicts = [];
+        this.updateStatus(name, id, entry);
+      } else if (entry.data.sync_status === SYNC_STATUS.SYNCED) {
+        entry.data = { ...entry.data, deleted_at: now };
+        entry.base = getFields(entry.data);
+        deleted++;
+      } else {
+        // Edited here since: push it again as a new record
+        entry.base = null;
+        entry.conflicts = [];
+        entry.data.sync_status = SYNC_STATUS.PENDING;
+        this.dequeue(name, id);
+        this.enqueue(name, id, 'create');
+      }
+    });
+
+    return deleted;
+  }
+
+  /**
+   * Set a record's sync status from its conflicts and unpushed fields, and
+   * queue or drop its change to match
+   * @private
+   */
+  updateStatus(name, id, entry) {
+    const unpushed = getChangedFields(entry.base || {}, getFields(entry.data));
+
+    if (entry.conflicts.length > 0) {
+      entry.data.sync_status = SYNC_STATUS.CONFLICT;
+    } else if (unpushed.length > 0) {
+      entry.data.sync_status = SYNC_STATUS.PENDING;
+    } else {
+      entry.data.sync_status = SYNC_STATUS.SYNCED;
+      entry.data.last_synced_at = new Date().toISOString();
+      this.dequeue(name, id);
+      return;
+    }
+
+    if (unpushed.length > 0) {
+      this.enqueue(name, id, entry.data.deleted_at ? 'delete' : 'update');
+    }
+  }
+}
+
+// ============================================================================
+// Vector clocks
+// ============================================================================
+
+/**
+ * Compare two vector clocks ({ deviceId: counter })
+ * @param {Object} a - Clock
+ * @param {Object} b - Clock
+ * @returns {string} 'before', 'after', 'equal' or 'concurrent' (a relative to b)
+ */
+export function compareVectorClocks(a = {}, b = {}) {
+  let ahead = false;
+  let behind = false;
+
+  for (const device of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const diff = (a[device] || 0) - (b[device] || 0);
+    if (diff > 0) ahead = true;
+    if (diff < 0) behind = true;
+  }
+
+  if (ahead && behind) return 'concurrent';
+  if (ahead) return 'after';
+  if (behind) return 'before';
+  return 'equal';
+}
+
+/**
+ * Merge two vector clocks, taking the highest counter per device
+ * @param {Object} a - Clock
+ * @param {Object} b - Clock
+ * @returns {Object} Merged clock
+ */
+export function mergeVectorClocks(a = {}, b = {}) {
+  const merged = { ...a };
+  Object.entries(b).forEach(([device, counter]) => {
+    merged[device] = Math.max(merged[device] || 0, counter);
+  });
+  return merged;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Last writer wins: later timestamp, then later vector clock, then higher device id
+ */
+function pickLastWriter(local, remote) {
+  const diff = (Date.parse(local.modified_at) || 0) - (Date.parse(remote.modified_at) || 0);
+  if (diff !== 0) return diff > 0 ? 'local' : 'remote';
+
+  const order = compareVectorClocks(local.clock, remote.clock);
+  if (order === 'after') return 'local';
+  if (order === 'before') return 'remote';
+
+  return String(local.device_id || '') >= String(remote.device_id || '') ? 'local' : 'remote';
+}
+
+function applyResolution(conflict, resolution) {
+  if (resolution === 'local') return conflict.local;
+  if (resolution === 'remote') return conflict.remote;
+  if (resolution && typeof resolution === 'object' && 'value' in resolution) return resolution.value;
+  throw new Error(`Invalid resolution for ${conflict.field}: ${resolution}`);
+}
+
+/**
+ * Mergeable fields of a record (without the sync state pushed in metadata._sync)
+ */
+function getFields(record) {
+  const fields = {};
+  Object.entries(record).forEach(([key, value]) => {
+    if (!SERVER_FIELDS.includes(key)) fields[key] = value;
+  });
+
+  if (fields.metadata && typeof fields.metadata === 'object' && '_sync' in fields.metadata) {
+    const { _sync, ...metadata } = fields.metadata;
+    fields.metadata = metadata;
+  }
+  return fields;
+}
+
+function getChangedFields(before, after) {
+  return Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .filter(field => !isSame(before[field], after[field]));
+}
+
+function isSame(a, b) {
+  return stableStringify(a ?? null) === stableStringify(b ?? null);
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function toItems(response, key) {
+  const data = response?.data ?? response;
+  if (Array.isArray(data)) return data;
+  return data?.[key] || data?.items || [];
+}
+
+/**
+ * Simple UUID generator (browser compatible)
+ */
+function generateUUID() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+export default {
+  SyncEngine,
+  SYNC_STATUS,
+  SYNC_CONFLICT_STRATEGIES,
+  SYNC_ENTITIES,
+  compareVectorClocks,
+  mergeVectorClocks,
+};
@@ -109,6 +109,7 @@
  * @property {string} description - Template description
  * @property {string} content - Template content
  * @property {TemplateVariable[]} variables - Template variables
+ * @property {string|null} [extends] - Parent template ID (template inheritance)
  * @property {string} category - Category ID
  * @property {string} grandparent - Grandparent category ID
  * @property {string} parent - Parent category ID
@@ -188,7 +189,7 @@
  * @property {string} id - Relationship UUID
  * @property {string} source_layer_id - Source layer ID
  * @property {string} target_layer_id - Target layer ID
- * @property {string} relationship_type - Type (requires, enhances, conflicts, replaces)
+ * @property {string} relationship_type - Type (requires, extends, recommends, enhances, conflicts, replaces; see CONTEXT_RELATIONSHIP_TYPES)
  * @property {Object} [metadata] - Additional metadata
  * @property {string} created_at - Creation timestamp
  */
@@ -268,8 +269,8 @@
 /**
  * @typedef {Object} AIGenerationRequest
  * @property {string} prompt - Generation prompt
- * @property {string} [provider] - Provider ID (openai, anthropic, google, huggingface)
- * @property {string} [model] - Model ID
+ * @property {string} [provider] - Provider ID (openai, anthropic, google, huggingface, ollama)
+ * @property {string} [model] - Model ID (see AI_MODELS)
  * @property {number} [max_tokens] - Max tokens
  * @property {number} [temperature] - Temperature (0-2)
  * @property {Object} [context] - Context data
@@ -293,6 +294,37 @@
  * @property {number} dimensions - Vector dimensions
  */
 
+// ============================================================================
+// Sync Types
+// ============================================================================
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): Promise<*>} get - Read a value (null if missing)
+ * @property {function(string, *, Object=): Promise<void>} set - Write a value (LocalStore also takes { ttl, evictable })
+ * @property {function(string): Promise<void>} remove - Delete a value
+ * @property {function(string): Promise<string[]>} [keys] - Keys starting with a prefix (needed by LocalStore)
+ */
+
+/**
+ * @typedef {Object} SyncChange
+ * @property {string} entity - Record type (templates, contexts)
+ * @property {string} id - Record ID (a local- ID until created on the server)
+ * @property {string} op - Operation (create, update, delete)
+ * @property {number} revision - Bumped when the record changes again before the push
+ * @property {string} queued_at - When the change was first queued
+ */
+
+/**
+ * @typedef {Object} SyncConflict
+ * @property {string} entity - Record type
+ * @property {string} id - Record ID
+ * @property {string} field - Field changed on both sides
+ * @property {*} base - Value at the last sync
+ * @property {*} local - Local value
+ * @property {*} remote - Server value
+ */
+
 // ============================================================================
 // Export all types
 // ============================================================================
@@ -330,4 +362,9 @@ export default {
   AIGenerationRequest: /** @type {AIGenerationRequest} */ ({}),
   AIGenerationResponse: /** @type {AIGenerationResponse} */ ({}),
   EmbeddingResponse: /** @type {EmbeddingResponse} */ ({}),
+
+  // Sync types
+  StorageAdapter: /** @type {StorageAdapter} */ ({}),
+  SyncChange: /** @type {SyncChange} */ ({}),
+  SyncConflict: /** @type {SyncConflict} */ ({}),
 };
@@ -3,6 +3,9 @@
  * Validation functions for API data
  */
 
+import { MODEL_PROVIDERS, getModel } from '../constants/models.js';
+import { CONTEXT_RELATIONSHIP_TYPES, getRelationshipTypeIds } from '../constants/relationships.js';
+
 /**
  * Validation error class
  */
@@ -315,14 +318,16 @@ export function validateLayerData(data) {
 }
 
 /**
- * Validate relationship type
+ * Validate relationship type (built-in types; see CONTEXT_RELATIONSHIP_TYPES)
  */
-export const RELATIONSHIP_TYPES = ['requires', 'enhances', 'conflicts', 'replaces'];
+export const RELATIONSHIP_TYPES = Object.keys(CONTEXT_RELATIONSHIP_TYPES);
 
 /**
  * Validate context relationship data
+ * @param {Object} data - Relationship data
+ * @param {ContextGraph} [graph] - Existing relationships, to reject duplicates, self-references and contradictions
  */
-export function validateRelationshipData(data) {
+export function validateRelationshipData(data, graph = null) {
   const errors = [];
 
   try {
@@ -341,11 +346,15 @@ export function validateRelationshipData(data) {
 
   try {
     required(data.relationshipType, 'relationshipType');
-    isOneOf(data.relationshipType, RELATIONSHIP_TYPES, 'relationshipType');
+    isOneOf(data.relationshipType, getRelationshipTypeIds(), 'relationshipType');
   } catch (e) {
     errors.push(e.message);
   }
 
+  if (graph && errors.length === 0) {
+    errors.push(...graph.validateRelationship(data).errors);
+  }
+
   if (errors.length > 0) {
     throw new ValidationError('Validation failed', 'relationship', errors);
   }
@@ -423,9 +432,9 @@ export function validateTeamInvitationData(data) {
 // ============================================================================
 
 /**
- * Validate AI providers
+ * Valid AI providers (from the model catalog)
  */
-export const AI_PROVIDERS = ['openai', 'anthropic', 'google', 'huggingface'];
+export const AI_PROVIDERS = Object.keys(MODEL_PROVIDERS);
 
 /**
  * Validate AI generation request
@@ -448,6 +457,17 @@ export function validateAIGenerationRequest(data) {
     }
   }
 
+  // Known models must match the provider and their output limit; unknown models pass through
+  const model = getModel(data.model);
+  if (model) {
+    if (data.provider && data.provider !== model.provider) {
+      errors.push(`Model ${data.model} is not available from provider ${data.provider}`);
+    }
+    if (data.max_tokens !== undefined && data.max_tokens > model.max_output_tokens) {
+      errors.push(`max_tokens cannot exceed ${model.max_output_tokens} for ${data.model}`);
+    }
+  }
+
   if (data.temperature !== undefined) {
     try {
       numberBetween(data.temperature, 0, 2, 'temperature');
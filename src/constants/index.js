@@ -7,3 +7,5 @@ export * from './categories.js';
 export * from './taxonomy.js';
 export * from './variables.js';
 export * from './limits.js';
+export * from './models.js';
+export * from './relationships.js';
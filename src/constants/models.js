@@ -0,0 +1,439 @@
+/**
+ * AI Model Catalog
+ *
+ * The models PromptCraft knows about, with their limits, prices and
+ * capabilities. Context budgets, cost estimates and provider validation
+ * all read from this table.
+ *
+ * Prices are USD per 1M tokens (null when a provider doesn't publish a
+ * fixed price). Local models are free to run.
+ */
+
+import { MAX_COMBINED_CONTEXT_TOKENS } from './limits.js';
+
+/**
+ * AI providers
+ */
+export const MODEL_PROVIDERS = {
+  openai: { id: 'openai', name: 'OpenAI', local: false },
+  anthropic: { id: 'anthropic', name: 'Anthropic', local: false },
+  google: { id: 'google', name: 'Google', local: false },
+  huggingface: { id: 'huggingface', name: 'Hugging Face', local: false },
+  ollama: { id: 'ollama', name: 'Ollama', local: true }
+};
+
+/**
+ * Model capabilities
+ */
+export const MODEL_CAPABILITIES = ['vision', 'tools', 'json_mode'];
+
+/**
+ * Known models, keyed by model id
+ */
+export const AI_MODELS = {
+  // OpenAI
+  'gpt-4o': {
+    id: 'gpt-4o',
+    provider: 'openai',
+    name: 'GPT-4o',
+    context_window: 128000,
+    max_output_tokens: 16384,
+    input_price: 2.5,
+    output_price: 10,
+    capabilities: { vision: true, tools: true, json_mode: true },
+    tokenizer: 'o200k'
+  },
+  'gpt-4o-mini': {
+    id: 'gpt-4o-mini',
+    provider: 'openai',
+    name: 'GPT-4o mini',
+    context_window: 128000,
+    max_output_tokens: 16384,
+    input_price: 0.15,
+    output_price: 0.6,
+    capabilities: { vision: true, tools: true, json_mode: true },
+    tokenizer: 'o200k'
+  },
+  'gpt-4.1': {
+    id: 'gpt-4.1',
+    provider: 'openai',
+    name: 'GPT-4.1',
+    context_window: 1047576,
+    max_output_tokens: 32768,
+    input_price: 2,
+    output_price: 8,
+    capabilities: { vision: true, tools: true, json_mode: true },
+    tokenizer: 'o200k'
+  },
+  'gpt-4.1-mini': {
+    id: 'gpt-4.1-mini',
+    provider: 'openai',
+    name: 'GPT-4.1 mini',
+    context_window: 1047576,
+    max_output_tokens: 32768,
+    input_price: 0.4,
+    output_price: 1.6,
+    capabilities: { vision: true, tools: true, json_mode: true },
+    tokenizer: 'o200k'
+  },
+  'o3-mini': {
+    id: 'o3-mini',
+    provider: 'openai',
+    name: 'o3-mini',
+    context_window: 200000,
+    max_output_tokens: 100000,
+    input_price: 1.1,
+    output_price: 4.4,
+    capabilities: { vision: false, tools: true, json_mode: true },
+    tokenizer: 'o200k'
+  },
+  'gpt-4-turbo': {
+    id: 'gpt-4-turbo',
+    provider: 'openai',
+    name: 'GPT-4 Turbo',
+    context_window: 128000,
+    max_output_tokens: 4096,
+    input_price: 10,
+    output_price: 30,
+    capabilities: { vision: true, tools: true, json_mode: true },
+    tokenizer: 'cl100k'
+  },
+  'gpt-3.5-turbo': {
+    id: 'gpt-3.5-turbo',
+    provider: 'openai',
+    name: 'GPT-3.5 Turbo',
+    context_window: 16385,
+    max_output_tokens: 4096,
+    input_price: 0.5,
+    output_price: 1.5,
+    capabilities: { vision: false, tools: true, json_mode: true },
+    tokenizer: 'cl100k'
+  },
+
+  // Anthropic
+  'claude-opus-4': {
+    id: 'claude-opus-4',
+    provider: 'anthropic',
+    name: 'Claude Opus 4',
+    context_window: 200000,
+    max_output_tokens: 32000,
+    input_price: 15,
+    output_price: 75,
+    capabilities: { vision: true, tools: true, json_mode: false },
+    tokenizer: 'claude'
+  },
+  'claude-sonnet-4': {
+    id: 'claude-sonnet-4',
+    provider: 'anthropic',
+    name: 'Claude Sonnet 4',
+    context_window: 200000,
+    max_output_tokens: 64000,
+    input_price: 3,
+    output_price: 15,
+    capabilities: { vision: true, tools: true, json_mode: false },
+    tokenizer: 'claude'
+  },
+  'claude-3-5-sonnet': {
+    id: 'claude-3-5-sonnet',
+    provider: 'anthropic',
+    name: 'Claude 3.5 Sonnet',
+    context_window: 200000,
+    max_output_tokens: 8192,
+    input_price: 3,
+    output_price: 15,
+    capabilities: { vision: true, tools: true, json_mode: false },
+    tokenizer: 'claude'
+  },
+  'claude-3-5-haiku': {
+    id: 'claude-3-5-haiku',
+    provider: 'anthropic',
+    name: 'Claude 3.5 Haiku',
+    context_window: 200000,
+    max_output_tokens: 8192,
+    input_price: 0.8,
+    output_price: 4,
+    capabilities: { vision: false, tools: true, json_mode: false },
+    tokenizer: 'claude'
+  },
+  'claude-3-opus': {
+    id: 'claude-3-opus',
+    provider: 'anthropic',
+    name: 'Claude 3 Opus',
+    context_window: 200000,
+    max_output_tokens: 4096,
+    input_price: 15,
+    output_price: 75,
+    capabilities: { vision: true, tools: true, json_mode: false },
+    tokenizer: 'claude'
+  },
+
+  // Google
+  'gemini-2.0-flash': {
+    id: 'gemini-2.0-flash',
+    provider: 'google',
+    name: 'Gemini 2.0 Flash',
+    context_window: 1048576,
+    max_output_tokens: 8192,
+    input_price: 0.1,
+    output_price: 0.4,
+    capabilities: { vision: true, tools: true, json_mode: true },
+    tokenizer: 'gemini'
+  },
+  'gemini-1.5-pro': {
+    id: 'gemini-1.5-pro',
+    provider: 'google',
+    name: 'Gemini 1.5 Pro',
+    context_window: 2097152,
+    max_output_tokens: 8192,
+    input_price: 1.25,
+    output_price: 5,
+    capabilities: { vision: true, tools: true, json_mode: true },
+    tokenizer: 'gemini'
+  },
+  'gemini-1.5-flash': {
+    id: 'gemini-1.5-flash',
+    provider: 'google',
+    name: 'Gemini 1.5 Flash',
+    context_window: 1048576,
+    max_output_tokens: 8192,
+    input_price: 0.075,
+    output_price: 0.3,
+    capabilities: { vision: true, tools: true, json_mode: true },
+    tokenizer: 'gemini'
+  },
+
+  // Hugging Face Inference
+  'meta-llama/Llama-3.1-8B-Instruct': {
+    id: 'meta-llama/Llama-3.1-8B-Instruct',
+    provider: 'huggingface',
+    name: 'Llama 3.1 8B Instruct',
+    context_window: 131072,
+    max_output_tokens: 4096,
+    input_price: null,
+    output_price: null,
+    capabilities: { vision: false, tools: true, json_mode: false },
+    tokenizer: 'llama'
+  },
+  'mistralai/Mistral-7B-Instruct-v0.3': {
+    id: 'mistralai/Mistral-7B-Instruct-v0.3',
+    provider: 'huggingface',
+    name: 'Mistral 7B Instruct',
+    context_window: 32768,
+    max_output_tokens: 4096,
+    input_price: null,
+    output_price: null,
+    capabilities: { vision: false, tools: false, json_mode: false },
+    tokenizer: 'llama'
+  },
+
+  // Ollama (local)
+  'llama3.1:8b': {
+    id: 'llama3.1:8b',
+    provider: 'ollama',
+    name: 'Llama 3.1 8B',
+    context_window: 131072,
+    max_output_tokens: 4096,
+    input_price: 0,
+    output_price: 0,
+    capabilities: { vision: false, tools: true, json_mode: true },
+    tokenizer: 'llama'
+  },
+  'llama3.2:3b': {
+    id: 'llama3.2:3b',
+    provider: 'ollama',
+    name: 'Llama 3.2 3B',
+    context_window: 131072,
+    max_output_tokens: 4096,
+    input_price: 0,
+    output_price: 0,
+    capabilities: { vision: false, tools: true, json_mode: true },
+    tokenizer: 'llama'
+  },
+  'mistral:7b': {
+    id: 'mistral:7b',
+    provider: 'ollama',
+    name: 'Mistral 7B',
+    context_window: 32768,
+    max_output_tokens: 4096,
+    input_price: 0,
+    output_price: 0,
+    capabilities: { vision: false, tools: true, json_mode: true },
+    tokenizer: 'llama'
+  },
+  'qwen2.5:7b': {
+    id: 'qwen2.5:7b',
+    provider: 'ollama',
+    name: 'Qwen 2.5 7B',
+    context_window: 32768,
+    max_output_tokens: 4096,
+    input_price: 0,
+    output_price: 0,
+    capabilities: { vision: false, tools: true, json_mode: true },
+    tokenizer: 'llama'
+  },
+  'llava:7b': {
+    id: 'llava:7b',
+    provider: 'ollama',
+    name: 'LLaVA 7B',
+    context_window: 4096,
+    max_output_tokens: 2048,
+    input_price: 0,
+    output_price: 0,
+    capabilities: { vision: true, tools: false, json_mode: true },
+    tokenizer: 'llama'
+  }
+};
+
+/**
+ * Share of a model's context window used for context layers by default;
+ * the rest is left for the prompt itself
+ */
+export const DEFAULT_CONTEXT_SHARE = 0.5;
+
+const customModels = new Map();
+
+/**
+ * Get a model by id
+ *
+ * Dated snapshots and tags resolve to their base model
+ * ('claude-3-5-sonnet-20241022' → 'claude-3-5-sonnet', 'gpt-4o-2024-08-06' → 'gpt-4o').
+ *
+ * @param {string} modelId - Model id
+ * @returns {object|null} Model object (with `local` from its provider) or null if unknown
+ */
+export function getModel(modelId) {
+  if (!modelId) return null;
+
+  const model = customModels.get(modelId) || AI_MODELS[modelId] || findBaseModel(modelId);
+  if (!model) return null;
+
+  return { ...model, local: MODEL_PROVIDERS[model.provider]?.local === true };
+}
+
+/**
+ * Get models, optionally filtered
+ * @param {object} filters - Filters
+ * @param {string} filters.provider - Provider id
+ * @param {boolean} filters.local - Only local (true) or only cloud (false) models
+ * @param {string} filters.capability - Required capability ('vision', 'tools', 'json_mode')
+ * @param {number} filters.minContextWindow - Minimum context window
+ * @returns {array} Model objects
+ */
+export function getFilteredModels(filters = {}) {
+  return getAllModelIds()
+    .map(getModel)
+    .filter(model => {
+      if (filters.provider && model.provider !== filters.provider) return false;
+      if (filters.local !== undefined && model.local !== filters.local) return false;
+      if (filters.capability && !model.capabilities[filters.capability]) return false;
+      if (filters.minContextWindow && model.context_window < filters.minContextWindow) return false;
+      return true;
+    });
+}
+
+/**
+ * Get models of a provider
+ * @param {string} providerId - Provider id
+ * @returns {array} Model objects
+ */
+export function getModelsByProvider(providerId) {
+  return getFilteredModels({ provider: providerId });
+}
+
+/**
+ * Check if a model supports a capability
+ * @param {string} modelId - Model id
+ * @param {string} capability - 'vision', 'tools' or 'json_mode'
+ * @returns {boolean} False for unknown models
+ */
+export function modelSupports(modelId, capability) {
+  return getModel(modelId)?.capabilities[capability] === true;
+}
+
+/**
+ * Check if a model runs locally
+ * @param {string} modelId - Model id
+ * @returns {boolean}
+ */
+export function isLocalModel(modelId) {
+  return getModel(modelId)?.local === true;
+}
+
+/**
+ * Get the token budget for context layers when prompting a model
+ *
+ * The budget is a share of the context window, minus the tokens kept free
+ * for the response and the prompt. Unknown (or no) models get
+ * MAX_COMBINED_CONTEXT_TOKENS.
+ *
+ * @param {string} modelId - Model id
+ * @param {object} options - Options
+ * @param {number} options.share - Share of the context window for context (default DEFAULT_CONTEXT_SHARE)
+ * @param {number} options.reservedOutputTokens - Tokens kept free for the response (default the model's max output, up to a quarter of the window)
+ * @param {number} options.promptTokens - Tokens already used by the prompt
+ * @returns {number} Token budget
+ */
+export function getContextBudget(modelId, options = {}) {
+  const model = getModel(modelId);
+  if (!model) return MAX_COMBINED_CONTEXT_TOKENS;
+
+  const {
+    share = DEFAULT_CONTEXT_SHARE,
+    reservedOutputTokens = Math.min(model.max_output_tokens, Math.floor(model.context_window / 4)),
+    promptTokens = 0
+  } = options;
+
+  const available = model.context_window - reservedOutputTokens - promptTokens;
+  return Math.max(0, Math.min(Math.floor(model.context_window * share), available));
+}
+
+/**
+ * Register a model that isn't in the catalog (e.g. a model pulled into Ollama)
+ * @param {object} model - Model object with at least id, provider and context_window
+ */
+export function registerModel(model) {
+  if (!model || !model.id) {
+    throw new Error('Model id is required');
+  }
+  if (!MODEL_PROVIDERS[model.provider]) {
+    throw new Error(`Invalid provider: ${model.provider}. Must be one of: ${Object.keys(MODEL_PROVIDERS).join(', ')}`);
+  }
+  if (!Number.isInteger(model.context_window) || model.context_window <= 0) {
+    throw new Error(`Model "${model.id}" must have a positive context_window`);
+  }
+
+  const local = MODEL_PROVIDERS[model.provider].local;
+  customModels.set(model.id, {
+    name: model.id,
+    max_output_tokens: Math.min(4096, model.context_window),
+    input_price: local ? 0 : null,
+    output_price: local ? 0 : null,
+    tokenizer: null,
+    ...model,
+    capabilities: { vision: false, tools: false, json_mode: false, ...model.capabilities }
+  });
+}
+
+/**
+ * Remove a registered model
+ * @param {string} modelId - Model id
+ */
+export function unregisterModel(modelId) {
+  customModels.delete(modelId);
+}
+
+function getAllModelIds() {
+  return Array.from(new Set([...Object.keys(AI_MODELS), ...customModels.keys()]));
+}
+
+/**
+ * Find the catalog model a versioned id belongs to (longest matching id wins)
+ */
+function findBaseModel(modelId) {
+  const candidates = getAllModelIds()
+    .filter(id => modelId.startsWith(id) && /^[-:@]/.test(modelId.slice(id.length)))
+    .sort((a, b) => b.length - a.length);
+
+  if (candidates.length === 0) return null;
+  return customModels.get(candidates[0]) || AI_MODELS[candidates[0]];
+}
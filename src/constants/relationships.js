@@ -0,0 +1,132 @@
+/**
+ * Context Relationship Types
+ *
+ * What each context_relationships type means for dependency resolution.
+ * Validation (validateRelationshipData) and resolution (ContextGraph) both
+ * read this registry, so a type is either fully supported or rejected.
+ */
+
+/**
+ * How a relationship affects resolution
+ */
+export const RELATIONSHIP_SEMANTICS = {
+  DEPENDENCY: 'dependency',         // Hard: the other layer is always pulled in
+  RECOMMENDATION: 'recommendation', // Soft: pulled in only when recommendations are wanted
+  EXCLUSION: 'exclusion',           // The two layers can't be used together
+  SUPERSESSION: 'supersession'      // The source replaces the target, which is removed
+};
+
+/**
+ * Built-in relationship types
+ *
+ * `pulls` is the end of the relationship that gets pulled in when the other
+ * end is resolved: `A requires B` pulls B in with A, while `A enhances B`
+ * pulls A in with B.
+ */
+export const CONTEXT_RELATIONSHIP_TYPES = {
+  requires: {
+    id: 'requires',
+    label: 'Requires',
+    description: 'Source needs the target to make sense',
+    semantics: RELATIONSHIP_SEMANTICS.DEPENDENCY,
+    pulls: 'target'
+  },
+  extends: {
+    id: 'extends',
+    label: 'Extends',
+    description: 'Source builds on the target',
+    semantics: RELATIONSHIP_SEMANTICS.DEPENDENCY,
+    pulls: 'target'
+  },
+  recommends: {
+    id: 'recommends',
+    label: 'Recommends',
+    description: 'Source works better with the target',
+    semantics: RELATIONSHIP_SEMANTICS.RECOMMENDATION,
+    pulls: 'target'
+  },
+  enhances: {
+    id: 'enhances',
+    label: 'Enhances',
+    description: 'Source adds to the target when both are used',
+    semantics: RELATIONSHIP_SEMANTICS.RECOMMENDATION,
+    pulls: 'source'
+  },
+  conflicts: {
+    id: 'conflicts',
+    label: 'Conflicts',
+    description: 'Source and target contradict each other',
+    semantics: RELATIONSHIP_SEMANTICS.EXCLUSION,
+    pulls: null
+  },
+  replaces: {
+    id: 'replaces',
+    label: 'Replaces',
+    description: 'Source is a newer version of the target',
+    semantics: RELATIONSHIP_SEMANTICS.SUPERSESSION,
+    pulls: null
+  }
+};
+
+const customTypes = new Map();
+
+/**
+ * Get a relationship type definition
+ * @param {string} typeId - Relationship type
+ * @returns {object|null} Type definition or null
+ */
+export function getRelationshipType(typeId) {
+  return customTypes.get(typeId) || CONTEXT_RELATIONSHIP_TYPES[typeId] || null;
+}
+
+/**
+ * Get all relationship type ids, built-in and registered
+ * @returns {array} Relationship type ids
+ */
+export function getRelationshipTypeIds() {
+  return Array.from(new Set([...Object.keys(CONTEXT_RELATIONSHIP_TYPES), ...customTypes.keys()]));
+}
+
+/**
+ * Get the ids of relationship types with the given semantics
+ * @param {string} semantics - One of RELATIONSHIP_SEMANTICS
+ * @returns {array} Relationship type ids
+ */
+export function getRelationshipTypesBySemantics(semantics) {
+  return getRelationshipTypeIds().filter(id => getRelationshipType(id).semantics === semantics);
+}
+
+/**
+ * Register a relationship type
+ * @param {object} type - Type definition with id and semantics (pulls defaults to 'target' for dependencies and recommendations)
+ */
+export function registerRelationshipType(type) {
+  if (!type || !/^[a-z][a-z0-9_]*$/.test(type.id || '')) {
+    throw new Error(`Invalid relationship type id: ${type?.id}`);
+  }
+  if (!Object.values(RELATIONSHIP_SEMANTICS).includes(type.semantics)) {
+    throw new Error(`Invalid semantics: ${type.semantics}. Must be one of: ${Object.values(RELATIONSHIP_SEMANTICS).join(', ')}`);
+  }
+
+  const pulling = type.semantics === RELATIONSHIP_SEMANTICS.DEPENDENCY ||
+    type.semantics === RELATIONSHIP_SEMANTICS.RECOMMENDATION;
+  const pulls = pulling ? (type.pulls || 'target') : null;
+  if (pulling && !['source', 'target'].includes(pulls)) {
+    throw new Error(`Invalid pulls: ${pulls}. Must be source or target`);
+  }
+
+  customTypes.set(type.id, {
+    label: type.id,
+    description: '',
+    ...type,
+    pulls
+  });
+}
+
+/**
+ * Remove a registered relationship type (built-in types are restored)
+ * @param {string} typeId - Relationship type
+ */
+export function unregisterRelationshipType(typeId) {
+  customTypes.delete(typeId);
+}
@@ -10,8 +10,159 @@
  * - examples: Example values for this type
  * - icon: Visual identifier
  * - color: Color for UI highlighting
+ * - validate: (value) => error code from VARIABLE_ERROR_CODES, or null if valid
+ * - coerce: (value) => normalized value (only called on valid values)
  */
 
+/**
+ * Reason codes for variable value errors
+ * Stable identifiers the UI can map to localized messages.
+ */
+export const VARIABLE_ERROR_CODES = {
+  REQUIRED: 'required',
+  INVALID_TYPE: 'invalid_type',
+  INVALID_NUMBER: 'invalid_number',
+  INVALID_TIME: 'invalid_time',
+  INVALID_FILE: 'invalid_file',
+  NOT_IN_ENUM: 'not_in_enum',
+  TOO_SMALL: 'too_small',
+  TOO_LARGE: 'too_large',
+  PATTERN_MISMATCH: 'pattern_mismatch',
+  MULTILINE_NOT_ALLOWED: 'multiline_not_allowed'
+};
+
+const MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+const DURATION_UNITS = {
+  ms: 1,
+  millisecond: 1,
+  s: 1000,
+  sec: 1000,
+  second: 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  minute: 60 * 1000,
+  h: 60 * 60 * 1000,
+  hr: 60 * 60 * 1000,
+  hour: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  quarter: 91 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+const RELATIVE_TIME = /^(today|tomorrow|yesterday|now|(next|last|this) (week|month|quarter|year|monday|tuesday|wednesday|thursday|friday|saturday|sunday))$/i;
+const QUARTER = /^Q[1-4]\s+\d{4}$/i;
+
+/**
+ * Parse a numeric value: plain numbers, thousands separators, currency
+ * symbols, percentages, k/m/b multipliers and trailing units ("5 items")
+ *
+ * @param {string|number} value - Value to parse
+ * @returns {number|null} Parsed number or null if not numeric
+ */
+export function parseNumericValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^([-+])?\s*[$€£¥₹]?\s*(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d*\.?\d+)\s*(%|x|[kmb](?![a-z]))?\s*[a-z ]*$/i);
+  if (!match) return null;
+
+  const [, sign, digits, suffix] = match;
+  let number = parseFloat(digits.replace(/,/g, ''));
+  if (suffix && MULTIPLIERS[suffix.toLowerCase()]) {
+    number *= MULTIPLIERS[suffix.toLowerCase()];
+  }
+  return sign === '-' ? -number : number;
+}
+
+/**
+ * Parse a duration: ISO 8601 ("P2W", "PT30M") or "<number> <unit>" ("2 weeks", "30d")
+ *
+ * @param {string} value - Duration text
+ * @returns {number|null} Duration in milliseconds or null if not a duration
+ */
+export function parseDuration(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+
+  const iso = text.match(/^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (iso && text.length > 1 && !/T$/i.test(text)) {
+    const [, y, mo, w, d, h, mi, sec] = iso.map(part => parseFloat(part) || 0);
+    return y * DURATION_UNITS.year + mo * DURATION_UNITS.month + w * DURATION_UNITS.week +
+      d * DURATION_UNITS.day + h * DURATION_UNITS.hour + mi * DURATION_UNITS.minute + sec * DURATION_UNITS.second;
+  }
+
+  const simple = text.match(/^(\d+(?:\.\d+)?)\s*([a-z]+)$/i);
+  if (!simple) return null;
+
+  const unit = simple[2].toLowerCase().replace(/s$/, '');
+  const size = DURATION_UNITS[unit] || DURATION_UNITS[simple[2].toLowerCase()];
+  return size ? parseFloat(simple[1]) * size : null;
+}
+
+/**
+ * Parse a time value
+ *
+ * @param {string|Date} value - ISO date/datetime, duration, quarter ("Q4 2024")
+ *   or simple relative expression ("next week", "tomorrow")
+ * @returns {object|null} { kind: 'date'|'duration'|'quarter'|'relative', value } or null
+ */
+export function parseTimeValue(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : { kind: 'date', value: value.toISOString() };
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    return Number.isNaN(Date.parse(text)) ? null : { kind: 'date', value: text };
+  }
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : { kind: 'date', value: date.toISOString() };
+  }
+
+  const duration = parseDuration(text);
+  if (duration !== null) return { kind: 'duration', value: text, milliseconds: duration };
+
+  if (QUARTER.test(text)) return { kind: 'quarter', value: text.toUpperCase() };
+  if (RELATIVE_TIME.test(text)) return { kind: 'relative', value: text };
+
+  return null;
+}
+
+/**
+ * Check if a value looks like a URL or file path
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+export function isFileReference(value) {
+  if (typeof value !== 'string') return false;
+  const text = value.trim();
+  if (!text || /[\r\n]/.test(text)) return false;
+
+  // URLs
+  if (/^(https?|ftp|file|s3|gs):\/\/[^\s]+$/i.test(text)) return true;
+
+  // Paths: must contain a separator or a file extension, and no characters invalid in paths
+  if (/[<>"|?*]/.test(text.replace(/^[a-z]:/i, ''))) return false;
+  return /[\\/]/.test(text) || /\.[a-z0-9]{1,10}$/i.test(text);
+}
+
+/**
+ * Validation/coercion shared by free-text types
+ */
+const TEXT_VALUE = {
+  validate: value => (['string', 'number', 'boolean'].includes(typeof value) ? null : VARIABLE_ERROR_CODES.INVALID_TYPE),
+  coerce: value => String(value)
+};
+
 export const VARIABLE_TYPES = {
   technology: {
     name: 'Technology',
@@ -19,7 +170,8 @@ export const VARIABLE_TYPES = {
     examples: ['Python', 'React', 'Docker', 'AWS', 'PostgreSQL', 'Git'],
     icon: '💻',
     color: '#3b82f6',
-    placeholder: 'e.g., Python, React, Docker'
+    placeholder: 'e.g., Python, React, Docker',
+    ...TEXT_VALUE
   },
 
   time: {
@@ -28,7 +180,9 @@ export const VARIABLE_TYPES = {
     examples: ['2024-01-15', '2 weeks', 'Q4 2024', 'next Monday', '30 days'],
     icon: '⏰',
     color: '#8b5cf6',
-    placeholder: 'e.g., 2024-01-15, 2 weeks'
+    placeholder: 'e.g., 2024-01-15, 2 weeks',
+    validate: value => (parseTimeValue(value) ? null : VARIABLE_ERROR_CODES.INVALID_TIME),
+    coerce: value => parseTimeValue(value).value
   },
 
   place: {
@@ -37,7 +191,8 @@ export const VARIABLE_TYPES = {
     examples: ['New York', 'Europe', 'remote office', 'headquarters', 'online'],
     icon: '📍',
     color: '#10b981',
-    placeholder: 'e.g., New York, remote office'
+    placeholder: 'e.g., New York, remote office',
+    ...TEXT_VALUE
   },
 
   individualized: {
@@ -46,7 +201,8 @@ export const VARIABLE_TYPES = {
     examples: ['my_name', 'favorite_color', 'company_name', 'preferred_style'],
     icon: '👤',
     color: '#f59e0b',
-    placeholder: 'e.g., your name, company name'
+    placeholder: 'e.g., your name, company name',
+    ...TEXT_VALUE
   },
 
   role: {
@@ -55,7 +211,8 @@ export const VARIABLE_TYPES = {
     examples: ['senior developer', 'product manager', 'customer', 'expert consultant'],
     icon: '🎭',
     color: '#ec4899',
-    placeholder: 'e.g., senior developer, manager'
+    placeholder: 'e.g., senior developer, manager',
+    ...TEXT_VALUE
   },
 
   format: {
@@ -64,7 +221,8 @@ export const VARIABLE_TYPES = {
     examples: ['markdown', 'formal', 'bullet points', 'JSON', 'table', 'conversational'],
     icon: '📝',
     color: '#06b6d4',
-    placeholder: 'e.g., markdown, bullet points'
+    placeholder: 'e.g., markdown, bullet points',
+    ...TEXT_VALUE
   },
 
   domain: {
@@ -73,7 +231,8 @@ export const VARIABLE_TYPES = {
     examples: ['healthcare', 'finance', 'legal', 'education', 'e-commerce'],
     icon: '🏢',
     color: '#84cc16',
-    placeholder: 'e.g., healthcare, finance'
+    placeholder: 'e.g., healthcare, finance',
+    ...TEXT_VALUE
   },
 
   numeric: {
@@ -82,7 +241,9 @@ export const VARIABLE_TYPES = {
     examples: ['100', '5 items', '2.5x', '$500', '75%'],
     icon: '🔢',
     color: '#6366f1',
-    placeholder: 'e.g., 100, 5 items, 75%'
+    placeholder: 'e.g., 100, 5 items, 75%',
+    validate: value => (parseNumericValue(value) !== null ? null : VARIABLE_ERROR_CODES.INVALID_NUMBER),
+    coerce: value => parseNumericValue(value)
   },
 
   text: {
@@ -91,7 +252,8 @@ export const VARIABLE_TYPES = {
     examples: ['topic', 'description', 'content', 'message', 'summary'],
     icon: '✏️',
     color: '#64748b',
-    placeholder: 'e.g., your text here'
+    placeholder: 'e.g., your text here',
+    ...TEXT_VALUE
   },
 
   file: {
@@ -100,7 +262,22 @@ export const VARIABLE_TYPES = {
     examples: ['document.pdf', 'https://example.com', 'image.png', 'data.csv'],
     icon: '📎',
     color: '#a855f7',
-    placeholder: 'e.g., document.pdf, https://...'
+    placeholder: 'e.g., document.pdf, https://...',
+    validate: value => (isFileReference(value) ? null : VARIABLE_ERROR_CODES.INVALID_FILE),
+    coerce: value => value.trim()
+  },
+
+  list: {
+    name: 'List',
+    description: 'Repeated items iterated with {{#each}} blocks',
+    examples: ['steps', 'requirements', 'examples', 'acceptance criteria'],
+    icon: '📃',
+    color: '#f97316',
+    placeholder: 'One item per line',
+    validate: value => (Array.isArray(value) || typeof value === 'string' ? null : VARIABLE_ERROR_CODES.INVALID_TYPE),
+    coerce: value => (Array.isArray(value)
+      ? value
+      : value.split(/\r?\n/).map(line => line.trim()).filter(Boolean))
   }
 };
 
@@ -0,0 +1,529 @@
+/**
+ * Prompt Quality Analysis
+ *
+ * Deterministic, offline scoring of a template or rendered prompt. Each
+ * dimension (clarity, specificity, ...) is scored 0-100 from a set of
+ * heuristic checks, and every check that doesn't fully pass comes with a
+ * concrete suggestion.
+ *
+ * The 'basic' level backs the `basic_analysis` tier feature; 'advanced'
+ * adds more checks and is only run for tiers with `advanced_analysis`.
+ */
+
+import { canUserAccessFeature } from '../constants/limits.js';
+import { estimateTokens } from '../structures/context.js';
+import { lintTemplate, getLintRules } from '../structures/lint.js';
+
+/**
+ * Analysis levels, in order, with the tier feature each requires
+ */
+export const ANALYSIS_LEVELS = {
+  basic: { id: 'basic', feature: 'basic_analysis' },
+  advanced: { id: 'advanced', feature: 'advanced_analysis' }
+};
+
+/**
+ * Scored dimensions and their weight in the overall score
+ */
+export const ANALYSIS_DIMENSIONS = {
+  clarity: { label: 'Clarity', weight: 0.25 },
+  specificity: { label: 'Specificity', weight: 0.2 },
+  structure: { label: 'Structure', weight: 0.15 },
+  role: { label: 'Role Definition', weight: 0.1 },
+  outputFormat: { label: 'Output Format', weight: 0.2 },
+  examples: { label: 'Examples', weight: 0.1 }
+};
+
+const ACTION_VERBS = [
+  'write', 'explain', 'list', 'summarize', 'summarise', 'analyze', 'analyse', 'create', 'generate', 'review',
+  'translate', 'describe', 'compare', 'draft', 'identify', 'classify', 'extract', 'suggest', 'rewrite', 'edit',
+  'evaluate', 'outline', 'design', 'plan', 'refactor', 'debug', 'fix', 'answer', 'provide', 'give', 'help',
+  'brainstorm', 'convert', 'calculate', 'find', 'recommend', 'propose', 'build', 'implement', 'respond', 'tell'
+];
+
+const VAGUE_PATTERN = /\b(something|stuff|things?|etc\.?|somehow|maybe|kind of|sort of|some sort|whatever|various|a bit|good|nice)\b/gi;
+const CONSTRAINT_PATTERN = /\b(must|should|only|always|never|avoid|at least|at most|exactly|no more than|no longer than|within|include|exclude|focus on)\b/gi;
+const AUDIENCE_PATTERN = /\b(audience|readers?|for (beginners|experts|developers|students|managers|executives|customers|children|non-technical)|targeted at|aimed at)\b/i;
+const ROLE_PATTERN = /\b(you are|you're|act as|acting as|as an? [a-z]+ (expert|specialist|engineer|writer|consultant|assistant|analyst|developer|teacher|coach|editor)|your role|role:|persona|pretend to be|take on the role)\b/i;
+const ROLE_HINT_PATTERN = /\b(expert|specialist|assistant|consultant|professional)\b/i;
+const FORMAT_PATTERN = /\b(json|yaml|xml|csv|markdown|table|bullet(ed)? (points?|list)|numbered list|checklist|headings?|code block|outline|paragraphs?|format(ted)? as|respond (in|with|as|using)|return (a|an|the|only))\b/i;
+const LENGTH_PATTERN = /\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\s*(-\s*\d+\s*)?(words?|sentences?|paragraphs?|bullets?|bullet points|items?|lines?|pages?|characters?|tokens?)\b|\b(under|less than|fewer than|at most|no more than|up to)\s+\d+/i;
+const STYLE_PATTERN = /\b(tone|style|voice|formal|informal|casual|friendly|professional|concise|detailed)\b/i;
+const EXAMPLE_PATTERN = /\b(for example|for instance|e\.g\.|example:|examples:|such as|sample:|like this:)|\binput\s*:/gi;
+const INSTRUCTION_PATTERN = /\b(must|should|never|always|avoid|do not|don't|make sure|ensure)\b/i;
+const NEGATIVE_PATTERN = /\b(don't|do not|never|avoid|no|not)\b/gi;
+const DELIMITER_PATTERN = /```|"""|---|<\/?[a-z_]+>|^\s*#+\s|\[[^\]]+\]/im;
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+/**
+ * Each check scores a prompt 0..1 within one dimension. A check that scores
+ * below 1 returns the suggestion for improving it.
+ */
+const CHECKS = [
+  // Clarity
+  {
+    id: 'clear-task',
+    dimension: 'clarity',
+    level: 'basic',
+    weight: 3,
+    test: ({ sentences }) => {
+      const hasAction = sentences.some(sentence => ACTION_VERBS.includes(firstWord(sentence)) || /\?\s*$/.test(sentence));
+      return hasAction
+        ? { score: 1 }
+        : { score: 0, suggestion: 'State the task as a direct instruction, e.g. "Summarize the article below."' };
+    }
+  },
+  {
+    id: 'sentence-length',
+    dimension: 'clarity',
+    level: 'basic',
+    weight: 2,
+    test: ({ words, sentences }) => {
+      const average = words.length / Math.max(1, sentences.length);
+      if (average <= 25) return { score: 1 };
+      return {
+        score: clamp(1 - (average - 25) / 25),
+        suggestion: `Split long sentences (average ${Math.round(average)} words) into shorter instructions`
+      };
+    }
+  },
+  {
+    id: 'vague-language',
+    dimension: 'clarity',
+    level: 'basic',
+    weight: 2,
+    test: ({ text, words }) => {
+      const vague = unique(matchAll(text, VAGUE_PATTERN));
+      if (vague.length === 0) return { score: 1 };
+      return {
+        score: clamp(1 - (vague.length * 10) / Math.max(words.length, 10)),
+        suggestion: `Replace vague words (${vague.slice(0, 5).join(', ')}) with concrete terms`
+      };
+    }
+  },
+  {
+    id: 'readability',
+    dimension: 'clarity',
+    level: 'advanced',
+    weight: 2,
+    test: ({ words, sentences }) => {
+      const ease = readingEase(words, sentences);
+      if (ease >= 50) return { score: 1 };
+      return {
+        score: clamp((ease - 10) / 40),
+        suggestion: `Use simpler words and shorter sentences (reading ease ${Math.round(ease)}, aim for 50+)`
+      };
+    }
+  },
+  {
+    id: 'conflicting-instructions',
+    dimension: 'clarity',
+    level: 'advanced',
+    weight: 2,
+    test: ({ content }) => {
+      const { findings } = lintTemplate({ content }, { rules: onlyLintRule('conflicting-instructions') });
+      if (findings.length === 0) return { score: 1 };
+      return { score: 0, suggestion: findings.map(finding => `${finding.message}. ${finding.suggestion}`).join('; ') };
+    }
+  },
+  {
+    id: 'positive-phrasing',
+    dimension: 'clarity',
+    level: 'advanced',
+    weight: 1,
+    test: ({ text, sentences }) => {
+      const negatives = matchAll(text, NEGATIVE_PATTERN).length;
+      if (sentences.length === 0 || negatives / sentences.length <= 0.5) return { score: 1 };
+      return {
+        score: 0.5,
+        suggestion: 'Rephrase some "don\'t"/"never" rules as what to do instead'
+      };
+    }
+  },
+  {
+    id: 'repetition',
+    dimension: 'clarity',
+    level: 'advanced',
+    weight: 1,
+    test: ({ sentences }) => {
+      const normalized = sentences.map(sentence => sentence.toLowerCase().replace(/[^a-z0-9 ]/g, '').trim()).filter(Boolean);
+      const repeated = normalized.length - new Set(normalized).size;
+      if (repeated === 0) return { score: 1 };
+      return { score: 0.5, suggestion: `Remove ${repeated} repeated sentence(s)` };
+    }
+  },
+
+  // Specificity
+  {
+    id: 'enough-detail',
+    dimension: 'specificity',
+    level: 'basic',
+    weight: 3,
+    test: ({ words }) => {
+      if (words.length >= 25) return { score: 1 };
+      return {
+        score: clamp(words.length / 25),
+        suggestion: 'Add more detail about the goal, context and constraints of the task'
+      };
+    }
+  },
+  {
+    id: 'constraints',
+    dimension: 'specificity',
+    level: 'basic',
+    weight: 2,
+    test: ({ text }) => {
+      const constraints = matchAll(text, CONSTRAINT_PATTERN).length;
+      if (constraints >= 2) return { score: 1 };
+      return {
+        score: constraints * 0.5,
+        suggestion: 'Add explicit constraints (what to include, what to avoid, limits)'
+      };
+    }
+  },
+  {
+    id: 'audience',
+    dimension: 'specificity',
+    level: 'basic',
+    weight: 1,
+    test: ({ text }) => (AUDIENCE_PATTERN.test(text)
+      ? { score: 1 }
+      : { score: 0, suggestion: 'Say who the response is for (e.g. "for non-technical managers")' })
+  },
+  {
+    id: 'concrete-details',
+    dimension: 'specificity',
+    level: 'advanced',
+    weight: 1,
+    test: ({ text, sentences, variables }) => {
+      // Numbers, quoted terms, names (capitalized mid-sentence) or placeholders make a prompt concrete
+      const names = sentences.reduce(
+        (sum, sentence) => sum + sentence.split(/\s+/).slice(1).filter(word => /^[A-Z][a-z]/.test(word)).length,
+        0
+      );
+      const details = (text.match(/\d+|"[^"]+"/g) || []).length + names + variables.length;
+      if (details >= 3) return { score: 1 };
+      return {
+        score: details / 3,
+        suggestion: 'Name specifics - numbers, names, technologies, or {{variables}} for them'
+      };
+    }
+  },
+
+  // Structure
+  {
+    id: 'sections',
+    dimension: 'structure',
+    level: 'basic',
+    weight: 2,
+    test: ({ words, lines }) => {
+      if (words.length < 40) return { score: 1 }; // Short prompts don't need sections
+      const blocks = lines.join('\n').split(/\n\s*\n/).filter(block => block.trim()).length;
+      if (blocks >= 2) return { score: 1 };
+      return { score: 0.3, suggestion: 'Break the prompt into paragraphs or sections (context, task, format)' };
+    }
+  },
+  {
+    id: 'lists-or-headings',
+    dimension: 'structure',
+    level: 'basic',
+    weight: 1,
+    test: ({ words, lines }) => {
+      if (words.length < 60) return { score: 1 };
+      const structured = lines.some(line => /^\s*([-*•]|\d+[.)]|#+)\s+/.test(line) || /^[A-Z][\w ]{1,30}:\s*$/.test(line.trim()));
+      return structured
+        ? { score: 1 }
+        : { score: 0.4, suggestion: 'Use headings or bullet lists for requirements and steps' };
+    }
+  },
+  {
+    id: 'delimited-input',
+    dimension: 'structure',
+    level: 'advanced',
+    weight: 2,
+    test: ({ text, variables }) => {
+      const longInputs = variables.filter(variable => ['file', 'text'].includes(variable.type) || /code|text|content|document|article|input|data/i.test(variable.name));
+      if (longInputs.length === 0 || DELIMITER_PATTERN.test(text)) return { score: 1 };
+      return {
+        score: 0.3,
+        suggestion: `Wrap long inputs (${longInputs.map(variable => variable.name).join(', ')}) in delimiters such as \`\`\` or <input> tags`
+      };
+    }
+  },
+  {
+    id: 'instruction-placement',
+    dimension: 'structure',
+    level: 'advanced',
+    weight: 1,
+    test: ({ sentences, words }) => {
+      if (words.length < 80) return { score: 1 };
+      const index = sentences.findIndex(sentence => ACTION_VERBS.includes(firstWord(sentence)));
+      if (index === -1 || index === 0 || index >= sentences.length - 2) return { score: 1 };
+      return { score: 0.6, suggestion: 'Put the main instruction at the start or the end of the prompt, not in the middle' };
+    }
+  },
+
+  // Role
+  {
+    id: 'role-definition',
+    dimension: 'role',
+    level: 'basic',
+    weight: 1,
+    test: ({ text, variables }) => {
+      if (ROLE_PATTERN.test(text) || variables.some(variable => variable.type === 'role')) return { score: 1 };
+      if (ROLE_HINT_PATTERN.test(text)) {
+        return { score: 0.5, suggestion: 'Make the role explicit, e.g. "You are a senior data analyst."' };
+      }
+      return { score: 0, suggestion: 'Give the model a role, e.g. "You are an experienced technical writer."' };
+    }
+  },
+
+  // Output format
+  {
+    id: 'format',
+    dimension: 'outputFormat',
+    level: 'basic',
+    weight: 3,
+    test: ({ text, variables }) => (FORMAT_PATTERN.test(text) || variables.some(variable => variable.type === 'format')
+      ? { score: 1 }
+      : { score: 0, suggestion: 'Say what form the response should take (bullet points, a table, JSON, ...)' })
+  },
+  {
+    id: 'length',
+    dimension: 'outputFormat',
+    level: 'basic',
+    weight: 2,
+    test: ({ text }) => (LENGTH_PATTERN.test(text)
+      ? { score: 1 }
+      : { score: 0, suggestion: 'Set a length limit (e.g. "in under 200 words" or "5 bullet points")' })
+  },
+  {
+    id: 'style',
+    dimension: 'outputFormat',
+    level: 'advanced',
+    weight: 1,
+    test: ({ text }) => (STYLE_PATTERN.test(text)
+      ? { score: 1 }
+      : { score: 0, suggestion: 'Describe the tone or style of the response' })
+  },
+
+  // Examples
+  {
+    id: 'examples',
+    dimension: 'examples',
+    level: 'basic',
+    weight: 1,
+    test: ({ text }) => {
+      const examples = matchAll(text, EXAMPLE_PATTERN).length + (text.match(/```/g) || []).length / 2;
+      if (examples >= 2) return { score: 1 };
+      if (examples >= 1) return { score: 0.6, suggestion: 'Add a second example to show the range of expected answers' };
+      return { score: 0, suggestion: 'Add an example of the input and the expected output' };
+    }
+  }
+];
+
+// ============================================================================
+// Analysis
+// ============================================================================
+
+/**
+ * Analyze the quality of a prompt
+ *
+ * If the tier can't use the requested level, the highest level it can use
+ * is run instead and `upgradeRequired` is set.
+ *
+ * @param {string|object} input - Rendered prompt text, or a template object with content and variables
+ * @param {object} options - Options
+ * @param {string} options.level - 'basic' or 'advanced' (default 'basic')
+ * @param {string} options.tierId - User's subscription tier (default 'free')
+ * @returns {object} { level, upgradeRequired, score, scores, checks, suggestions, stats }
+ */
+export function analyzePrompt(input, options = {}) {
+  const { level: requestedLevel = 'basic', tierId = 'free' } = options;
+
+  if (!ANALYSIS_LEVELS[requestedLevel]) {
+    throw new Error(`Invalid analysis level: ${requestedLevel}. Must be one of: ${Object.keys(ANALYSIS_LEVELS).join(', ')}`);
+  }
+
+  const level = getAnalysisLevel(tierId, requestedLevel);
+  if (!level) {
+    throw new Error(`Tier "${tierId}" does not include prompt analysis`);
+  }
+
+  const context = createAnalysisContext(input);
+  const levelIds = Object.keys(ANALYSIS_LEVELS);
+  const checks = CHECKS
+    .filter(check => levelIds.indexOf(check.level) <= levelIds.indexOf(level))
+    .map(check => ({ ...check, result: check.test(context) }));
+
+  const scores = {};
+  for (const dimension of Object.keys(ANALYSIS_DIMENSIONS)) {
+    const dimensionChecks = checks.filter(check => check.dimension === dimension);
+    const totalWeight = dimensionChecks.reduce((sum, check) => sum + check.weight, 0);
+    const weighted = dimensionChecks.reduce((sum, check) => sum + check.weight * check.result.score, 0);
+    scores[dimension] = Math.round((weighted / totalWeight) * 100);
+  }
+
+  const score = Math.round(
+    Object.entries(ANALYSIS_DIMENSIONS).reduce((sum, [dimension, { weight }]) => sum + weight * scores[dimension], 0)
+  );
+
+  // Suggestions for the checks that cost the most points first
+  const suggestions = checks
+    .filter(check => check.result.score < 1 && check.result.suggestion)
+    .map(check => ({
+      check: check.id,
+      dimension: check.dimension,
+      message: check.result.suggestion,
+      impact: Math.round(getCheckImpact(check, checks))
+    }))
+    .sort((a, b) => b.impact - a.impact);
+
+  return {
+    level,
+    upgradeRequired: level !== requestedLevel,
+    score,
+    scores,
+    checks: checks.map(check => ({
+      id: check.id,
+      dimension: check.dimension,
+      level: check.level,
+      score: Math.round(check.result.score * 100) / 100,
+      passed: check.result.score >= 1
+    })),
+    suggestions,
+    stats: {
+      words: context.words.length,
+      sentences: context.sentences.length,
+      tokens: estimateTokens(context.text),
+      variables: context.variables.length
+    }
+  };
+}
+
+/**
+ * Get the highest analysis level a tier can use, up to the requested one
+ * @param {string} tierId - User's subscription tier
+ * @param {string} requestedLevel - 'basic' or 'advanced'
+ * @returns {string|null} Level id, or null if the tier has no analysis feature
+ */
+export function getAnalysisLevel(tierId, requestedLevel = 'advanced') {
+  const levelIds = Object.keys(ANALYSIS_LEVELS);
+  const allowed = levelIds
+    .slice(0, levelIds.indexOf(requestedLevel) + 1)
+    .filter(id => canUserAccessFeature(tierId, ANALYSIS_LEVELS[id].feature));
+  return allowed.length > 0 ? allowed[allowed.length - 1] : null;
+}
+
+/**
+ * Break a prompt into its structural parts
+ *
+ * - sections: headings ("# Context", "Requirements:", "<context>")
+ * - instructions: imperative sentences and must/should/never rules
+ * - examples: sentences introducing an example, and fenced code blocks
+ *
+ * @param {string|object} input - Prompt text, or a template object with content
+ * @returns {object} { sections: string[], instructions: string[], examples: string[] }
+ */
+export function getPromptStructure(input) {
+  const { text, lines, sentences } = createAnalysisContext(input);
+
+  const sections = lines
+    .map(line => {
+      const match = line.match(/^\s*#{1,6}\s+(.+?)\s*#*\s*$/) ||
+        line.match(/^\s*([A-Z][\w /&-]{1,40}):\s*$/) ||
+        line.match(/^\s*<([a-z_][\w-]*)>\s*$/i);
+      return match ? match[1] : null;
+    })
+    .filter(Boolean);
+
+  const instructions = sentences.filter(sentence =>
+    ACTION_VERBS.includes(firstWord(sentence)) || INSTRUCTION_PATTERN.test(sentence)
+  );
+
+  const examples = [
+    ...sentences.filter(sentence => new RegExp(EXAMPLE_PATTERN.source, 'i').test(sentence)),
+    ...Array.from(text.matchAll(/```[\s\S]*?```/g), match => match[0])
+  ];
+
+  return { sections, instructions, examples };
+}
+
+/**
+ * Prepare the text and word/sentence lists the checks run on
+ *
+ * Template tags are reduced to readable text: {{topic}} becomes [topic]
+ * and block tags are removed.
+ */
+function createAnalysisContext(input) {
+  const template = typeof input === 'string' ? { content: input } : (input || {});
+  const content = template.content || '';
+
+  const text = content
+    .replace(/\{\{\s*[#/>][^}]*\}\}|\{\{\s*else\s*\}\}/g, '')
+    .replace(/\{\{\s*([^|}]+?)\s*(\|[^}]*)?\}\}/g, '[$1]');
+
+  const lines = text.split('\n');
+  const sentences = text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.replace(/^\s*([-*•]|\d+[.)]|#+)\s*/, '').trim())
+    .filter(Boolean);
+  const words = text.match(/[A-Za-z0-9'’-]+/g) || [];
+
+  return {
+    content,
+    text,
+    lines,
+    sentences,
+    words,
+    variables: Array.isArray(template.variables) ? template.variables : []
+  };
+}
+
+/**
+ * Points of the overall score a check costs
+ */
+function getCheckImpact(check, checks) {
+  const totalWeight = checks
+    .filter(other => other.dimension === check.dimension)
+    .reduce((sum, other) => sum + other.weight, 0);
+  return (1 - check.result.score) * (check.weight / totalWeight) * ANALYSIS_DIMENSIONS[check.dimension].weight * 100;
+}
+
+function onlyLintRule(ruleId) {
+  return Object.fromEntries(getLintRules().map(rule => [rule.id, rule.id === ruleId ? rule.severity : 'off']));
+}
+
+/**
+ * Flesch reading ease (higher is easier; 60+ is plain English)
+ */
+function readingEase(words, sentences) {
+  if (words.length === 0) return 100;
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  return 206.835 - 1.015 * (words.length / Math.max(1, sentences.length)) - 84.6 * (syllables / words.length);
+}
+
+function countSyllables(word) {
+  const groups = word.toLowerCase().replace(/e$/, '').match(/[aeiouy]+/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+function firstWord(sentence) {
+  const match = sentence.match(/[A-Za-z]+/);
+  return match ? match[0].toLowerCase() : '';
+}
+
+function matchAll(text, pattern) {
+  return Array.from(text.matchAll(pattern), match => match[0].toLowerCase());
+}
+
+function unique(items) {
+  return Array.from(new Set(items));
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
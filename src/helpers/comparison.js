@@ -0,0 +1,293 @@
+/**
+ * Prompt Comparison
+ *
+ * Side-by-side comparison of two prompts - raw templates or rendered
+ * outputs - for the `prompt_comparison` feature. The web app and the
+ * extension both render the result of comparePrompts(), so they show the
+ * same diff.
+ */
+
+import { countTokens } from './tokenizer.js';
+import { extractVariables } from '../structures/template.js';
+import { getPromptStructure } from './analysis.js';
+
+/**
+ * Compare two prompts
+ *
+ * Diffs are lists of { type: 'equal' | 'added' | 'removed', value } going
+ * from `a` to `b`. Joining the values of the 'equal' and 'removed' entries
+ * gives back `a`; 'equal' and 'added' give back `b`.
+ *
+ * @param {string|object} a - Original prompt text, or a template object with content and variables
+ * @param {string|object} b - Changed prompt text, or a template object
+ * @param {object} options - Options
+ * @param {string} options.model - Count tokens with this model's tokenizer
+ * @returns {object} { diff: { words, sentences }, similarity, tokens, variables, structure }
+ */
+export function comparePrompts(a, b, options = {}) {
+  const original = normalizeInput(a);
+  const changed = normalizeInput(b);
+
+  const words = diffSequences(tokenizeWords(original.content), tokenizeWords(changed.content));
+  const sentences = diffSequences(splitSentences(original.content), splitSentences(changed.content));
+
+  const tokensA = countTokens(original.content, options.model);
+  const tokensB = countTokens(changed.content, options.model);
+
+  const structureA = getPromptStructure(original.content);
+  const structureB = getPromptStructure(changed.content);
+
+  return {
+    diff: {
+      words: groupChanges(words),
+      sentences
+    },
+    similarity: getSimilarity(words),
+    tokens: {
+      a: tokensA,
+      b: tokensB,
+      delta: tokensB - tokensA,
+      percent: tokensA === 0 ? null : Math.round(((tokensB - tokensA) / tokensA) * 1000) / 10
+    },
+    variables: compareVariables(original.variables, changed.variables),
+    structure: {
+      sections: compareLists(structureA.sections, structureB.sections),
+      instructions: compareLists(structureA.instructions, structureB.instructions),
+      examples: compareLists(structureA.examples, structureB.examples)
+    }
+  };
+}
+
+/**
+ * Diff two sequences of strings (Myers' algorithm)
+ *
+ * @param {array} a - Original sequence
+ * @param {array} b - Changed sequence
+ * @returns {array} Array of { type: 'equal' | 'added' | 'removed', value }, one per item
+ */
+export function diffSequences(a, b) {
+  // Common prefix/suffix are cheap to match and usually most of a prompt edit
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  return [
+    ...a.slice(0, start).map(value => ({ type: 'equal', value })),
+    ...myersDiff(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(value => ({ type: 'equal', value }))
+  ];
+}
+
+function myersDiff(a, b) {
+  const changes = [];
+  diffRange(a, 0, a.length, b, 0, b.length, changes);
+  return changes;
+}
+
+/**
+ * Diff a[aStart..aEnd) against b[bStart..bEnd) into `changes`
+ *
+ * Linear-space Myers: find the middle snake of an optimal edit path, then
+ * diff the halves on either side of it. Each half has at most half the
+ * edits, so the recursion stays shallow and memory stays O(N + M).
+ */
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, changes) {
+  while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+    changes.push({ type: 'equal', value: a[aStart] });
+    aStart++;
+    bStart++;
+  }
+
+  let suffix = 0;
+  while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+    suffix++;
+  }
+
+  if (aStart === aEnd) {
+    for (let y = bStart; y < bEnd; y++) changes.push({ type: 'added', value: b[y] });
+  } else if (bStart === bEnd) {
+    for (let x = aStart; x < aEnd; x++) changes.push({ type: 'removed', value: a[x] });
+  } else {
+    // With matching ends trimmed and both sides non-empty there are at least 2 edits,
+    // so both halves are strictly smaller
+    const snake = findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd);
+    diffRange(a, aStart, aStart + snake.x, b, bStart, bStart + snake.y, changes);
+    for (let x = snake.x; x < snake.u; x++) changes.push({ type: 'equal', value: a[aStart + x] });
+    diffRange(a, aStart + snake.u, aEnd, b, bStart + snake.v, bEnd, changes);
+  }
+
+  for (let x = aEnd; x < aEnd + suffix; x++) changes.push({ type: 'equal', value: a[x] });
+}
+
+/**
+ * Middle snake of an optimal edit path, searching forward from the start and
+ * backward from the end until the two meet
+ *
+ * @returns {object} { x, y, u, v } - Snake from (x, y) to (u, v), relative to the range starts
+ */
+function findMiddleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+
+  // Furthest x reached on each diagonal k, forward from the start and backward from the end
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const snakeX = x;
+      const snakeY = y;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+
+      if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x + backward[offset + delta - k] >= n) {
+        return { x: snakeX, y: snakeY, u: x, v: y };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const snakeX = x;
+      const snakeY = y;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+
+      if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+        return { x: n - x, y: m - y, u: n - snakeX, v: m - snakeY };
+      }
+    }
+  }
+
+  throw new Error('Diff failed to find a middle snake');
+}
+
+function normalizeInput(input) {
+  if (typeof input === 'string' || input === undefined || input === null) {
+    const content = input || '';
+    return { content, variables: extractVariables(content) };
+  }
+
+  const content = input.content || '';
+  return {
+    content,
+    variables: Array.isArray(input.variables) ? input.variables : extractVariables(content)
+  };
+}
+
+/**
+ * Split into words, whitespace and punctuation, so the pieces join back to the text
+ */
+function tokenizeWords(text) {
+  return text.match(/\s+|[\p{L}\p{N}_'’-]+|[^\s\p{L}\p{N}_'’-]/gu) || [];
+}
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Merge runs of changes of the same type
+ */
+function groupChanges(changes) {
+  const groups = [];
+  for (const change of changes) {
+    const last = groups[groups.length - 1];
+    if (last && last.type === change.type) {
+      last.value += change.value;
+    } else {
+      groups.push({ type: change.type, value: change.value });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Share of words (ignoring whitespace) the two prompts have in common, 0-1
+ */
+function getSimilarity(changes) {
+  const counts = { equal: 0, added: 0, removed: 0 };
+  changes.forEach(change => {
+    if (change.value.trim()) counts[change.type]++;
+  });
+
+  const total = 2 * counts.equal + counts.added + counts.removed;
+  return total === 0 ? 1 : Math.round(((2 * counts.equal) / total) * 1000) / 1000;
+}
+
+function compareVariables(variablesA, variablesB) {
+  const byName = variables => new Map(variables.filter(variable => variable.name).map(variable => [variable.name, variable]));
+  const mapA = byName(variablesA);
+  const mapB = byName(variablesB);
+
+  const changed = [];
+  const unchanged = [];
+  for (const [name, variable] of mapA) {
+    const other = mapB.get(name);
+    if (!other) continue;
+
+    const fields = ['type', 'required', 'default'].filter(field => (variable[field] ?? null) !== (other[field] ?? null));
+    if (fields.length > 0) {
+      changed.push({
+        name,
+        fields,
+        from: pick(variable, fields),
+        to: pick(other, fields)
+      });
+    } else {
+      unchanged.push(name);
+    }
+  }
+
+  return {
+    added: Array.from(mapB.keys()).filter(name => !mapA.has(name)),
+    removed: Array.from(mapA.keys()).filter(name => !mapB.has(name)),
+    changed,
+    unchanged
+  };
+}
+
+/**
+ * Items added to and removed from a list, compared ignoring case and spacing
+ */
+function compareLists(listA, listB) {
+  const key = item => item.toLowerCase().replace(/\s+/g, ' ').trim();
+  const keysA = new Set(listA.map(key));
+  const keysB = new Set(listB.map(key));
+
+  return {
+    added: listB.filter(item => !keysA.has(key(item))),
+    removed: listA.filter(item => !keysB.has(key(item)))
+  };
+}
+
+function pick(object, fields) {
+  return Object.fromEntries(fields.map(field => [field, object[field] ?? null]));
+}
@@ -0,0 +1,259 @@
+/**
+ * Cost Estimation & Usage Forecasting
+ *
+ * Estimates what a prompt plus its context costs on a model (prices from
+ * AI_MODELS) and how much of the tier's `monthly_tokens` quota it uses,
+ * and projects month-end usage from a usage history.
+ */
+
+import { getTierLimits } from '../constants/limits.js';
+import { getModel } from '../constants/models.js';
+import { combineContexts } from '../structures/context.js';
+import { countTokens } from './tokenizer.js';
+
+/**
+ * Output tokens assumed when expectedOutputTokens isn't given
+ */
+export const DEFAULT_EXPECTED_OUTPUT_TOKENS = 500;
+
+/**
+ * Share of the monthly quota at which usage warnings start
+ */
+export const USAGE_WARNING_THRESHOLD = 0.8;
+
+/**
+ * Reason codes for cost and usage warnings
+ */
+export const USAGE_WARNING_CODES = {
+  UNKNOWN_MODEL: 'unknown_model',
+  UNKNOWN_PRICE: 'unknown_price',
+  EXCEEDS_CONTEXT_WINDOW: 'exceeds_context_window',
+  EXCEEDS_MAX_OUTPUT: 'exceeds_max_output',
+  EXCEEDS_QUOTA: 'exceeds_quota',
+  LIMIT_EXCEEDED: 'limit_exceeded',
+  PROJECTED_TO_EXCEED: 'projected_to_exceed',
+  APPROACHING_LIMIT: 'approaching_limit'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// Cost Estimation
+// ============================================================================
+
+/**
+ * Estimate the cost of a request
+ *
+ * @param {object} request - Request details
+ * @param {string} request.prompt - Rendered prompt
+ * @param {Array|string} request.contexts - Context layers (combined with combineContexts) or already combined text
+ * @param {string} request.model - Model id
+ * @param {number} request.expectedOutputTokens - Expected response length (default DEFAULT_EXPECTED_OUTPUT_TOKENS)
+ * @param {string} request.tierId - Subscription tier, to report quota usage
+ * @param {number} request.usedTokens - Tokens already used this month (with tierId)
+ * @returns {object} { model, tokens, cost, quota, warnings }
+ */
+export function estimateCost({
+  prompt = '',
+  contexts = [],
+  model: modelId,
+  expectedOutputTokens = DEFAULT_EXPECTED_OUTPUT_TOKENS,
+  tierId = null,
+  usedTokens = 0
+} = {}) {
+  const model = getModel(modelId);
+  const warnings = [];
+
+  const contextText = typeof contexts === 'string'
+    ? contexts
+    : combineContexts(contexts, { model: modelId }).text;
+
+  const promptTokens = countTokens(prompt, modelId);
+  const contextTokens = countTokens(contextText, modelId);
+  const inputTokens = promptTokens + contextTokens;
+  const totalTokens = inputTokens + expectedOutputTokens;
+
+  let cost = null;
+  if (!model) {
+    warnings.push(createWarning(
+      USAGE_WARNING_CODES.UNKNOWN_MODEL,
+      `Unknown model "${modelId}" - cost can't be estimated`
+    ));
+  } else if (model.input_price === null || model.output_price === null) {
+    warnings.push(createWarning(
+      USAGE_WARNING_CODES.UNKNOWN_PRICE,
+      `${model.name} has no published price - cost can't be estimated`
+    ));
+  } else {
+    const input = (inputTokens * model.input_price) / 1e6;
+    const output = (expectedOutputTokens * model.output_price) / 1e6;
+    cost = {
+      input: roundCost(input),
+      output: roundCost(output),
+      total: roundCost(input + output),
+      currency: 'USD'
+    };
+  }
+
+  if (model && totalTokens > model.context_window) {
+    warnings.push(createWarning(
+      USAGE_WARNING_CODES.EXCEEDS_CONTEXT_WINDOW,
+      `${totalTokens} tokens exceed the ${model.context_window}-token context window of ${model.name}`
+    ));
+  }
+  if (model && expectedOutputTokens > model.max_output_tokens) {
+    warnings.push(createWarning(
+      USAGE_WARNING_CODES.EXCEEDS_MAX_OUTPUT,
+      `${model.name} returns at most ${model.max_output_tokens} tokens`
+    ));
+  }
+
+  let quota = null;
+  if (tierId) {
+    const limit = getTierLimits(tierId).monthly_tokens;
+    quota = {
+      limit,
+      used: usedTokens,
+      percentOfLimit: limit === null ? null : roundPercent(totalTokens / limit),
+      remainingAfter: limit === null ? null : limit - usedTokens - totalTokens
+    };
+    if (limit !== null && usedTokens + totalTokens > limit) {
+      warnings.push(createWarning(
+        USAGE_WARNING_CODES.EXCEEDS_QUOTA,
+        `This request would go over the monthly limit of ${limit} tokens`
+      ));
+    }
+  }
+
+  return {
+    model: model ? model.id : modelId || null,
+    tokens: {
+      prompt: promptTokens,
+      context: contextTokens,
+      input: inputTokens,
+      output: expectedOutputTokens,
+      total: totalTokens
+    },
+    cost,
+    quota,
+    warnings
+  };
+}
+
+// ============================================================================
+// Usage Forecasting
+// ============================================================================
+
+/**
+ * Project month-end token usage against the tier's monthly limit
+ *
+ * The daily rate is the average of the last `trailingDays` days (or the
+ * month so far, if shorter), so a recent spike shows up in the forecast.
+ * Months are calendar months in UTC.
+ *
+ * @param {Array} history - Usage entries { date, tokens } (any granularity; entries outside this month are ignored)
+ * @param {object} options - Options
+ * @param {string} options.tierId - Subscription tier (default 'free')
+ * @param {Date|string|number} options.now - Current time (default now)
+ * @param {number} options.trailingDays - Days averaged for the daily rate (default 7)
+ * @param {number} options.warnAt - Share of the limit at which to warn (default USAGE_WARNING_THRESHOLD)
+ * @returns {object} { period, limit, used, dailyRate, projected, percentUsed, projectedPercent, limitReachedOn, status, warnings }
+ */
+export function forecastMonthlyUsage(history = [], options = {}) {
+  const {
+    tierId = 'free',
+    now = new Date(),
+    trailingDays = 7,
+    warnAt = USAGE_WARNING_THRESHOLD
+  } = options;
+
+  const current = new Date(now);
+  const monthStart = Date.UTC(current.getUTCFullYear(), current.getUTCMonth(), 1);
+  const monthEnd = Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, 1);
+  const daysInMonth = Math.round((monthEnd - monthStart) / DAY_MS);
+  const daysElapsed = Math.min(daysInMonth, (current.getTime() - monthStart) / DAY_MS);
+  const daysRemaining = daysInMonth - daysElapsed;
+
+  const entries = history
+    .map(entry => ({ time: new Date(entry.date).getTime(), tokens: Number(entry.tokens) || 0 }))
+    .filter(entry => entry.time >= monthStart && entry.time <= current.getTime());
+
+  const used = entries.reduce((sum, entry) => sum + entry.tokens, 0);
+
+  const windowDays = Math.min(trailingDays, daysElapsed);
+  const windowStart = current.getTime() - windowDays * DAY_MS;
+  const windowTokens = entries
+    .filter(entry => entry.time >= windowStart)
+    .reduce((sum, entry) => sum + entry.tokens, 0);
+  const dailyRate = windowTokens / Math.max(windowDays, 1);
+
+  const projected = Math.round(used + dailyRate * daysRemaining);
+  const limit = getTierLimits(tierId).monthly_tokens;
+
+  const result = {
+    period: {
+      start: new Date(monthStart).toISOString(),
+      end: new Date(monthEnd).toISOString(),
+      daysElapsed: Math.round(daysElapsed * 10) / 10,
+      daysRemaining: Math.round(daysRemaining * 10) / 10
+    },
+    limit,
+    used,
+    dailyRate: Math.round(dailyRate),
+    projected,
+    percentUsed: limit === null ? null : roundPercent(used / limit),
+    projectedPercent: limit === null ? null : roundPercent(projected / limit),
+    limitReachedOn: null,
+    status: 'ok',
+    warnings: []
+  };
+
+  if (limit === null) return result;
+
+  if (used >= limit) {
+    result.status = 'exceeded';
+    result.warnings.push(createWarning(
+      USAGE_WARNING_CODES.LIMIT_EXCEEDED,
+      `Monthly limit of ${limit} tokens reached`
+    ));
+    return result;
+  }
+
+  if (projected > limit && dailyRate > 0) {
+    const reachedAt = current.getTime() + ((limit - used) / dailyRate) * DAY_MS;
+    result.limitReachedOn = new Date(reachedAt).toISOString().slice(0, 10);
+    result.status = 'critical';
+    result.warnings.push(createWarning(
+      USAGE_WARNING_CODES.PROJECTED_TO_EXCEED,
+      `At the current rate the monthly limit of ${limit} tokens will be reached on ${result.limitReachedOn}`
+    ));
+  }
+
+  if (used >= limit * warnAt) {
+    if (result.status === 'ok') result.status = 'warning';
+    result.warnings.push(createWarning(
+      USAGE_WARNING_CODES.APPROACHING_LIMIT,
+      `${result.percentUsed}% of the monthly limit used`
+    ));
+  } else if (projected >= limit * warnAt && result.status === 'ok') {
+    result.status = 'warning';
+    result.warnings.push(createWarning(
+      USAGE_WARNING_CODES.APPROACHING_LIMIT,
+      `Projected to use ${result.projectedPercent}% of the monthly limit`
+    ));
+  }
+
+  return result;
+}
+
+function createWarning(code, message) {
+  return { code, message };
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function roundPercent(share) {
+  return Math.round(share * 1000) / 10;
+}
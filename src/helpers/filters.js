@@ -0,0 +1,185 @@
+/**
+ * Template Filters
+ *
+ * Per-placeholder transforms applied with the pipe syntax:
+ *   {{topic | trim | upper}}
+ *   {{summary | truncate:200}}
+ *   {{deadline | date:"MMM D, YYYY"}}
+ *   {{audience | default:"developers"}}
+ *
+ * Filters are functions of (value, ...args) and run left to right.
+ * Apps can add their own with registerFilter().
+ */
+
+import { countTokens } from './tokenizer.js';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DATE_PRESETS = {
+  iso: 'YYYY-MM-DD',
+  short: 'MMM D, YYYY',
+  long: 'MMMM D, YYYY',
+  datetime: 'YYYY-MM-DD HH:mm'
+};
+
+/**
+ * Built-in filters
+ */
+const BUILT_IN_FILTERS = {
+  // Case
+  upper: value => toText(value).toUpperCase(),
+  lower: value => toText(value).toLowerCase(),
+  capitalize: value => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  title: value => toText(value).replace(/\b\w/g, char => char.toUpperCase()),
+
+  // Whitespace
+  trim: value => toText(value).trim(),
+
+  // Length
+  truncate: (value, length = 100, suffix = '…') => {
+    const text = toText(value);
+    if (text.length <= length) return text;
+    return text.slice(0, Math.max(0, length - suffix.length)).trimEnd() + suffix;
+  },
+  truncateTokens: (value, tokens = 100, suffix = '…') => {
+    const text = toText(value);
+    if (countTokens(text) <= tokens) return text;
+
+    // Longest prefix that fits the token budget
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (countTokens(text.slice(0, mid) + suffix) <= tokens) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return text.slice(0, low).trimEnd() + suffix;
+  },
+
+  // Escaping
+  json: value => JSON.stringify(value === undefined ? null : value),
+  quote: (value, mark = '"') => {
+    const escaped = toText(value).replace(/\\/g, '\\\\').split(mark).join(`\\${mark}`);
+    return `${mark}${escaped}${mark}`;
+  },
+
+  // Lists
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+
+  // Dates (for 'time' variables)
+  date: (value, format = 'iso') => formatDate(value, format),
+
+  // Fallbacks
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value)
+};
+
+const registry = new Map(Object.entries(BUILT_IN_FILTERS));
+
+/**
+ * Register a custom filter
+ * @param {string} name - Filter name used in templates
+ * @param {Function} fn - (value, ...args) => transformed value
+ */
+export function registerFilter(name, fn) {
+  if (!/^[A-Za-z_][\w-]*$/.test(name)) {
+    throw new Error(`Invalid filter name: ${name}`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Filter "${name}" must be a function`);
+  }
+  registry.set(name, fn);
+}
+
+/**
+ * Remove a custom filter (built-in filters are restored, not removed)
+ * @param {string} name - Filter name
+ */
+export function unregisterFilter(name) {
+  if (BUILT_IN_FILTERS[name]) {
+    registry.set(name, BUILT_IN_FILTERS[name]);
+  } else {
+    registry.delete(name);
+  }
+}
+
+/**
+ * Get a registered filter
+ * @param {string} name - Filter name
+ * @returns {Function|null} Filter function or null
+ */
+export function getFilter(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Get names of all registered filters
+ * @returns {array} Filter names
+ */
+export function getFilterNames() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Format a date value
+ *
+ * Supports tokens YYYY, YY, MMMM, MMM, MM, M, DD, D, HH, H, mm, ss, literal
+ * text in [brackets], and the presets 'iso', 'short', 'long', 'datetime'.
+ * Values that can't be parsed as a date (e.g. "next week") are returned
+ * unchanged. Dates are formatted in UTC so date-only values like
+ * "2024-01-15" don't shift with the local timezone.
+ *
+ * @param {string|number|Date} value - Date value
+ * @param {string} format - Format string or preset name
+ * @returns {string} Formatted date
+ */
+export function formatDate(value, format = 'iso') {
+  if (isEmpty(value)) return '';
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return toText(value);
+
+  const pattern = DATE_PRESETS[format] || format;
+  const pad = number => String(number).padStart(2, '0');
+
+  const parts = {
+    YYYY: String(date.getUTCFullYear()),
+    YY: String(date.getUTCFullYear()).slice(-2),
+    MMMM: MONTH_NAMES[date.getUTCMonth()],
+    MMM: MONTH_NAMES[date.getUTCMonth()].slice(0, 3),
+    MM: pad(date.getUTCMonth() + 1),
+    M: String(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    D: String(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    H: String(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds())
+  };
+
+  return pattern.replace(
+    /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|HH|H|mm|ss/g,
+    (token, literal) => (literal !== undefined ? literal : parts[token])
+  );
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === 'string' && value.trim() === '';
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
@@ -0,0 +1,231 @@
+/**
+ * Context Formatters
+ *
+ * Render context layers for a model:
+ *
+ *   plain    - `# icon name` headers joined by a separator (the default)
+ *   markdown - `## icon name` sections
+ *   xml      - XML-tagged sections, which Anthropic models follow well
+ *   json     - a JSON object, for tool-style APIs
+ *
+ * Formatters are functions of (sections, options) that return a string.
+ * A section is { id, name, type, icon, description, content, children }, so
+ * nested contexts (assembleHierarchicalContext) render with the same
+ * formatters as flat ones (combineContexts). Layer content that contains a
+ * formatter's delimiters is escaped. Apps can add their own formatters with
+ * registerContextFormatter().
+ */
+
+import { getModel } from '../constants/models.js';
+
+/**
+ * Format used by 'auto' for each model provider (others get markdown)
+ */
+export const PROVIDER_CONTEXT_FORMATS = {
+  anthropic: 'xml'
+};
+
+/**
+ * Built-in formatters
+ */
+const BUILT_IN_FORMATTERS = {
+  plain: (sections, { includeHeaders = true, separator = '\n\n---\n\n' } = {}) => {
+    const delimiter = separator.trim();
+
+    const render = (section, depth) => {
+      let text = '';
+      if (includeHeaders) {
+        text += `${'#'.repeat(Math.min(depth + 1, 6))} ${section.icon || ''} ${section.name}\n`;
+        if (section.description) {
+          text += `${section.description}\n`;
+        }
+        text += '\n';
+      }
+      text += escapeLines(section.content, line => delimiter && line.trim() === delimiter);
+
+      return [text, ...getChildren(section).map(child => render(child, depth + 1))].join('\n\n');
+    };
+
+    return sections.map(section => render(section, 0)).join(separator);
+  },
+
+  markdown: (sections, { includeHeaders = true } = {}) => {
+    const render = (section, depth) => {
+      let text = '';
+      if (includeHeaders) {
+        const icon = section.icon ? `${section.icon} ` : '';
+        text += `${'#'.repeat(Math.min(depth + 2, 6))} ${icon}${section.name}\n\n`;
+        if (section.description) {
+          text += `_${section.description}_\n\n`;
+        }
+      }
+
+      // Headings and rules in the content would read as new sections
+      text += escapeLines(section.content, line => /^ {0,3}(#{1,6}(\s|$)|([-*_])\s*\3\s*\3[\s\-*_]*$)/.test(line));
+
+      return [text, ...getChildren(section).map(child => render(child, depth + 1))].join('\n\n');
+    };
+
+    return sections.map(section => render(section, 0)).join('\n\n');
+  },
+
+  xml: (sections, { includeHeaders = true } = {}) => {
+    const tags = new Set(['context']);
+    const collectTags = section => {
+      tags.add(getXmlTag(section));
+      getChildren(section).forEach(collectTags);
+    };
+    sections.forEach(collectTags);
+
+    // Only the tags used here need escaping, so code in the content stays readable.
+    // & is escaped first so the escaping can be reversed.
+    const tagPattern = new RegExp(`<(?=/?(${Array.from(tags).join('|')})[\\s/>])`, 'g');
+
+    const render = section => {
+      const tag = getXmlTag(section);
+      const attributes = includeHeaders
+        ? [['name', section.name], ['description', section.description]]
+          .filter(([, value]) => value)
+          .map(([key, value]) => ` ${key}="${escapeXmlAttribute(value)}"`)
+          .join('')
+        : '';
+      const body = [
+        (section.content || '').replace(/&/g, '&amp;').replace(tagPattern, '&lt;'),
+        ...getChildren(section).map(render)
+      ].join('\n');
+
+      return `<${tag}${attributes}>\n${body}\n</${tag}>`;
+    };
+
+    return `<context>\n${sections.map(render).join('\n')}\n</context>`;
+  },
+
+  json: (sections, { includeHeaders = true } = {}) => {
+    const toJson = section => {
+      const children = getChildren(section);
+      return {
+        ...(includeHeaders && {
+          name: section.name,
+          type: section.type,
+          ...(section.description && { description: section.description })
+        }),
+        content: section.content,
+        ...(children.length > 0 && { children: children.map(toJson) })
+      };
+    };
+
+    return JSON.stringify({ context: sections.map(toJson) }, null, 2);
+  }
+};
+
+const registry = new Map(Object.entries(BUILT_IN_FORMATTERS));
+
+/**
+ * Register a custom context formatter
+ * @param {string} name - Format name
+ * @param {Function} fn - (sections, { includeHeaders, separator }) => string
+ */
+export function registerContextFormatter(name, fn) {
+  if (!/^[A-Za-z_][\w-]*$/.test(name) || name === 'auto') {
+    throw new Error(`Invalid context format name: ${name}`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Context formatter "${name}" must be a function`);
+  }
+  registry.set(name, fn);
+}
+
+/**
+ * Remove a custom context formatter (built-in formatters are restored, not removed)
+ * @param {string} name - Format name
+ */
+export function unregisterContextFormatter(name) {
+  if (BUILT_IN_FORMATTERS[name]) {
+    registry.set(name, BUILT_IN_FORMATTERS[name]);
+  } else {
+    registry.delete(name);
+  }
+}
+
+/**
+ * Get a registered context formatter
+ * @param {string} name - Format name
+ * @returns {Function|null} Formatter function or null
+ */
+export function getContextFormatter(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Get names of all registered context formatters
+ * @returns {array} Format names
+ */
+export function getContextFormatNames() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Resolve 'auto' to the format that suits a model
+ * @param {string} format - Format name or 'auto'
+ * @param {string} model - Model id (for 'auto')
+ * @returns {string} Format name
+ */
+export function resolveContextFormat(format = 'plain', model = null) {
+  if (format !== 'auto') return format;
+  const provider = getModel(model)?.provider;
+  return PROVIDER_CONTEXT_FORMATS[provider] || 'markdown';
+}
+
+/**
+ * Render context sections with a formatter
+ *
+ * @param {Array} sections - Sections { id, name, type, icon, description, content, children }
+ * @param {object} options - Options
+ * @param {string} options.format - Format name, or 'auto' to pick by model (default 'plain')
+ * @param {string} options.model - Model id (for 'auto')
+ * @param {boolean} options.includeHeaders - Include names and descriptions (default true)
+ * @param {string} options.separator - Separator between layers (plain format)
+ * @returns {string} Formatted context
+ */
+export function formatContextSections(sections, options = {}) {
+  const { format = 'plain', model = null, ...formatOptions } = options;
+  const name = resolveContextFormat(format, model);
+
+  const formatter = getContextFormatter(name);
+  if (!formatter) {
+    throw new Error(`Unknown context format: ${name}`);
+  }
+
+  return formatter(sections, formatOptions);
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function getChildren(section) {
+  return Array.isArray(section.children) ? section.children : [];
+}
+
+/**
+ * Backslash-escape lines that would read as a delimiter
+ */
+function escapeLines(content, isDelimiter) {
+  return (content || '')
+    .split('\n')
+    .map(line => (isDelimiter(line) ? line.replace(/\S/, '\\$&') : line))
+    .join('\n');
+}
+
+function getXmlTag(section) {
+  const tag = String(section.type || '').replace(/[^\w-]/g, '');
+  return /^[A-Za-z_]/.test(tag) ? tag : 'layer';
+}
+
+function escapeXmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
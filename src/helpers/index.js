@@ -5,3 +5,12 @@
 
 export * from './category.js';
 export * from './response.js';
+export * from './syntax.js';
+export * from './filters.js';
+export * from './analysis.js';
+export * from './comparison.js';
+export * from './tokenizer.js';
+export * from './cost.js';
+export * from './truncation.js';
+export * from './formatters.js';
+export * from './merge.js';
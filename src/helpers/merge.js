@@ -0,0 +1,274 @@
+/**
+ * Context Layer Merge
+ *
+ * Three-way merge of context layer versions, for merging a branch back
+ * (see createBranch). The API and the web app's merge UI both use
+ * mergeContextVersions(), so they agree on what merges cleanly.
+ *
+ * Content is merged by line or paragraph (diff3), tags as sets, and
+ * priority and description as single values.
+ */
+
+import { diffSequences } from './comparison.js';
+
+/**
+ * Units content can be merged by
+ */
+export const MERGE_GRANULARITIES = ['line', 'paragraph'];
+
+/**
+ * Hunk types in a text merge
+ */
+export const MERGE_HUNK_TYPES = {
+  UNCHANGED: 'unchanged', // Same on all three sides
+  OURS: 'ours',           // Changed only on our side
+  THEIRS: 'theirs',       // Changed only on their side
+  BOTH: 'both',           // Changed the same way on both sides
+  CONFLICT: 'conflict'    // Changed differently on both sides
+};
+
+/**
+ * Three-way merge two context layer versions
+ *
+ * Fields other than content, tags, priority and description come from `ours`.
+ *
+ * @param {object} base - Common ancestor version
+ * @param {object} ours - Our version (e.g. the main line)
+ * @param {object} theirs - Their version (e.g. the branch being merged)
+ * @param {object} options - Options for mergeText (granularity, labels)
+ * @returns {object} { merged, clean, conflicts: [{ field, base, ours, theirs, hunks? }], content }
+ */
+export function mergeContextVersions(base, ours, theirs, options = {}) {
+  const conflicts = [];
+
+  const content = mergeText(base?.content || '', ours?.content || '', theirs?.content || '', options);
+  if (!content.clean) {
+    conflicts.push({
+      field: 'content',
+      base: base?.content || '',
+      ours: ours?.content || '',
+      theirs: theirs?.content || '',
+      hunks: content.conflicts
+    });
+  }
+
+  const merged = {
+    ...ours,
+    content: content.text,
+    tags: mergeSets(base?.tags || [], ours?.tags || [], theirs?.tags || [])
+  };
+
+  for (const field of ['priority', 'description']) {
+    const result = mergeValue(base?.[field], ours?.[field], theirs?.[field]);
+    if (result.conflict) {
+      conflicts.push({ field, base: base?.[field], ours: ours?.[field], theirs: theirs?.[field] });
+    }
+    merged[field] = result.value;
+  }
+
+  return {
+    merged,
+    clean: conflicts.length === 0,
+    conflicts,
+    content
+  };
+}
+
+/**
+ * Three-way merge of text (diff3)
+ *
+ * Conflicting hunks are written to `text` between git-style markers, and
+ * listed in `conflicts` with their index in `hunks` so a merge UI can
+ * resolve them (see resolveMergeHunks).
+ *
+ * @param {string} base - Common ancestor text
+ * @param {string} ours - Our text
+ * @param {string} theirs - Their text
+ * @param {object} options - Options
+ * @param {string} options.granularity - 'line' (default) or 'paragraph'
+ * @param {object} options.labels - Marker labels { ours, theirs } (default 'ours', 'theirs')
+ * @returns {object} { text, clean, hunks: [{ type, value, base, ours, theirs }], conflicts: [{ index, base, ours, theirs }] }
+ */
+export function mergeText(base, ours, theirs, options = {}) {
+  const {
+    granularity = 'line',
+    labels = {}
+  } = options;
+
+  if (!MERGE_GRANULARITIES.includes(granularity)) {
+    throw new Error(`Invalid granularity. Must be one of: ${MERGE_GRANULARITIES.join(', ')}`);
+  }
+
+  const split = granularity === 'paragraph' ? splitParagraphs : splitLines;
+  const hunks = diff3(split(base), split(ours), split(theirs));
+
+  const conflicts = [];
+  hunks.forEach((hunk, index) => {
+    if (hunk.type === MERGE_HUNK_TYPES.CONFLICT) {
+      conflicts.push({ index, base: hunk.base, ours: hunk.ours, theirs: hunk.theirs });
+    }
+  });
+
+  return {
+    text: resolveMergeHunks(hunks, {}, labels),
+    clean: conflicts.length === 0,
+    hunks,
+    conflicts
+  };
+}
+
+/**
+ * Join merge hunks back into text, resolving conflicts
+ *
+ * @param {Array} hunks - Hunks from mergeText
+ * @param {object} resolutions - By hunk index: 'ours', 'theirs', 'base', 'both' (ours then theirs) or replacement text
+ * @param {object} labels - Marker labels { ours, theirs } for unresolved conflicts
+ * @returns {string} Text (unresolved conflicts between markers)
+ */
+export function resolveMergeHunks(hunks, resolutions = {}, labels = {}) {
+  const { ours: oursLabel = 'ours', theirs: theirsLabel = 'theirs' } = labels;
+
+  return hunks.map((hunk, index) => {
+    if (hunk.type !== MERGE_HUNK_TYPES.CONFLICT) return hunk.value;
+
+    const resolution = resolutions[index];
+    if (resolution === 'ours' || resolution === 'theirs' || resolution === 'base') return hunk[resolution];
+    if (resolution === 'both') return hunk.ours + hunk.theirs;
+    if (typeof resolution === 'string') return resolution;
+
+    return [
+      `<<<<<<< ${oursLabel}\n`,
+      withNewline(hunk.ours),
+      '=======\n',
+      withNewline(hunk.theirs),
+      `>>>>>>> ${theirsLabel}\n`
+    ].join('');
+  }).join('');
+}
+
+/**
+ * Three-way merge of a single value
+ * @returns {object} { value, conflict } - value is ours when conflicting
+ */
+export function mergeValue(base, ours, theirs) {
+  if (isSame(ours, theirs) || isSame(theirs, base)) return { value: ours, conflict: false };
+  if (isSame(ours, base)) return { value: theirs, conflict: false };
+  return { value: ours, conflict: true };
+}
+
+/**
+ * Three-way merge of sets (e.g. tags): keeps additions from both sides and drops removals from either
+ * @returns {Array} Merged items, in our order then their additions
+ */
+export function mergeSets(base, ours, theirs) {
+  const baseSet = new Set(base);
+  const oursSet = new Set(ours);
+  const theirsSet = new Set(theirs);
+
+  const kept = ours.filter(item => !baseSet.has(item) || theirsSet.has(item));
+  const added = theirs.filter(item => !baseSet.has(item) && !oursSet.has(item));
+  return Array.from(new Set([...kept, ...added]));
+}
+
+// ============================================================================
+// diff3
+// ============================================================================
+
+/**
+ * Split into stable runs (unchanged on both sides) and the chunks between them
+ */
+function diff3(base, ours, theirs) {
+  const matchOurs = matchIndexes(base, ours);
+  const matchTheirs = matchIndexes(base, theirs);
+  const hunks = [];
+
+  let i = 0;
+  let a = 0;
+  let b = 0;
+
+  while (i < base.length || a < ours.length || b < theirs.length) {
+    // Stable run: base lines that line up on both sides
+    let k = 0;
+    while (i + k < base.length && matchOurs[i + k] === a + k && matchTheirs[i + k] === b + k) k++;
+    if (k > 0) {
+      pushHunk(hunks, { type: MERGE_HUNK_TYPES.UNCHANGED, value: base.slice(i, i + k).join('') });
+      i += k;
+      a += k;
+      b += k;
+      continue;
+    }
+
+    // Unstable chunk: up to the next base line matched on both sides
+    let j = i;
+    while (j < base.length && !(matchOurs[j] !== undefined && matchTheirs[j] !== undefined)) j++;
+
+    const endA = j < base.length ? matchOurs[j] : ours.length;
+    const endB = j < base.length ? matchTheirs[j] : theirs.length;
+    pushHunk(hunks, resolveChunk(
+      base.slice(i, j).join(''),
+      ours.slice(a, endA).join(''),
+      theirs.slice(b, endB).join('')
+    ));
+
+    i = j;
+    a = endA;
+    b = endB;
+  }
+
+  return hunks;
+}
+
+function resolveChunk(base, ours, theirs) {
+  if (ours === theirs) {
+    return { type: ours === base ? MERGE_HUNK_TYPES.UNCHANGED : MERGE_HUNK_TYPES.BOTH, value: ours };
+  }
+  if (ours === base) return { type: MERGE_HUNK_TYPES.THEIRS, value: theirs };
+  if (theirs === base) return { type: MERGE_HUNK_TYPES.OURS, value: ours };
+  return { type: MERGE_HUNK_TYPES.CONFLICT, value: null, base, ours, theirs };
+}
+
+/**
+ * Add a hunk, folding it into the previous one when both are unchanged text
+ */
+function pushHunk(hunks, hunk) {
+  const last = hunks[hunks.length - 1];
+  if (hunk.type === MERGE_HUNK_TYPES.UNCHANGED && last?.type === MERGE_HUNK_TYPES.UNCHANGED) {
+    last.value += hunk.value;
+  } else if (hunk.type !== MERGE_HUNK_TYPES.UNCHANGED || hunk.value) {
+    hunks.push(hunk);
+  }
+}
+
+/**
+ * For each base index left unchanged in `other`, its index there
+ */
+function matchIndexes(base, other) {
+  const matches = [];
+  let i = 0;
+  let j = 0;
+  for (const change of diffSequences(base, other)) {
+    if (change.type === 'equal') matches[i] = j;
+    if (change.type !== 'added') i++;
+    if (change.type !== 'removed') j++;
+  }
+  return matches;
+}
+
+function splitLines(text) {
+  return text ? text.split(/(?<=\n)/) : [];
+}
+
+/**
+ * Split after each blank-line run, so the pieces join back to the text
+ */
+function splitParagraphs(text) {
+  return text ? text.split(/(?<=\n[ \t]*\n)(?![ \t]*\n)/) : [];
+}
+
+function withNewline(text) {
+  return !text || text.endsWith('\n') ? text : `${text}\n`;
+}
+
+function isSame(a, b) {
+  return a === b || (a == null && b == null);
+}
@@ -0,0 +1,768 @@
+/**
+ * Template Syntax
+ *
+ * Parser and renderer for the PromptCraft template language.
+ * Used by structures/template.js for variable extraction and rendering.
+ *
+ * Supported syntax:
+ * - {{name}}                              Variable placeholder
+ * - {{name | upper | default:"x"}}        Placeholder with filters (see filters.js)
+ * - {{#if name}}...{{else}}...{{/if}}     Conditional section
+ * - {{#each list}}...{{else}}...{{/each}} Loop over a list value
+ * - {{> partial-id}}                      Include another template's content
+ * - {{#block name}}...{{/block}}          Region a child template can override (see overrideBlocks)
+ *
+ * Inside {{#each}} the current item is available as {{this}} (or {{this.field}}
+ * for object items), along with {{@index}}, {{@first}} and {{@last}}.
+ *
+ * A backslash escapes a tag: \{{name}} renders as the literal text {{name}},
+ * so templates can talk about Handlebars/Jinja syntax. Use \\{{name}} for a
+ * literal backslash followed by the rendered value.
+ */
+
+import { getFilter } from './filters.js';
+
+/**
+ * Block helpers understood by the parser
+ */
+export const BLOCK_HELPERS = ['if', 'each', 'block'];
+
+/**
+ * Maximum nesting of {{> partial}} includes
+ */
+export const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Template syntax error class
+ */
+export class TemplateSyntaxError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'TemplateSyntaxError';
+    this.position = position;
+    this.isTemplateSyntaxError = true;
+  }
+}
+
+/**
+ * Check if error is a template syntax error
+ */
+export function isTemplateSyntaxError(error) {
+  return error && error.isTemplateSyntaxError === true;
+}
+
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+/**
+ * Split template content into text and tag tokens
+ *
+ * Each token carries its start/end offsets in the original content.
+ * Block tags that sit alone on a line are "standalone": the whole line is
+ * removed from the output so block markup doesn't leave blank lines behind.
+ *
+ * @param {string} content - Template content
+ * @returns {array} Array of token objects
+ */
+export function tokenizeTemplate(content) {
+  const tokens = [];
+  if (!content) return tokens;
+
+  let lastIndex = 0;
+
+  for (const match of content.matchAll(TAG_PATTERN)) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    // Backslashes before the tag: each pair is a literal backslash, an odd one escapes the tag
+    const backslashes = content.slice(lastIndex, start).match(/\\*$/)[0].length;
+    const textEnd = start - backslashes;
+
+    if (textEnd > lastIndex) {
+      tokens.push(createTextToken(content.slice(lastIndex, textEnd), lastIndex));
+    }
+    if (backslashes > 0) {
+      const literal = '\\'.repeat(Math.floor(backslashes / 2)) + (backslashes % 2 === 1 ? match[0] : '');
+      if (literal) {
+        tokens.push({ type: 'text', value: literal, start: textEnd, end: backslashes % 2 === 1 ? end : start });
+      }
+      if (backslashes % 2 === 1) {
+        lastIndex = end;
+        continue;
+      }
+    }
+
+    const token = classifyTag(match[1], match[0], start, end);
+    if (token.type === 'text' && tokens.length > 0 && tokens[tokens.length - 1].type === 'text') {
+      // Merge empty tags like {{ }} into the preceding text
+      const previous = tokens[tokens.length - 1];
+      previous.value += token.value;
+      previous.end = token.end;
+    } else {
+      tokens.push(token);
+    }
+
+    lastIndex = end;
+  }
+
+  if (lastIndex < content.length) {
+    tokens.push(createTextToken(content.slice(lastIndex), lastIndex));
+  }
+
+  return stripStandaloneTags(tokens);
+}
+
+/**
+ * Classify the inside of a {{...}} tag
+ */
+function classifyTag(inner, raw, start, end) {
+  const body = inner.trim();
+
+  if (!body) {
+    return createTextToken(raw, start);
+  }
+
+  if (body.startsWith('#')) {
+    const [helper, ...rest] = body.slice(1).trim().split(/\s+/);
+    if (!BLOCK_HELPERS.includes(helper)) {
+      throw new TemplateSyntaxError(`Unknown block helper "#${helper}"`, start);
+    }
+    const name = rest.join(' ');
+    if (!name) {
+      throw new TemplateSyntaxError(`{{#${helper}}} requires a variable name`, start);
+    }
+    return { type: 'open', helper, name, raw, start, end };
+  }
+
+  if (body.startsWith('>')) {
+    const name = body.slice(1).trim();
+    if (!name) {
+      throw new TemplateSyntaxError('{{>}} requires a partial id', start);
+    }
+    return { type: 'partial', name, raw, start, end };
+  }
+
+  if (body.startsWith('/')) {
+    return { type: 'close', helper: body.slice(1).trim(), raw, start, end };
+  }
+
+  if (body === 'else') {
+    return { type: 'else', raw, start, end };
+  }
+
+  const { name, filters } = parseExpression(body, start);
+  return { type: 'variable', name, filters, raw, start, end };
+}
+
+/**
+ * Parse a placeholder expression: name | filter | filter:arg1,arg2
+ *
+ * Filter arguments are quoted strings, numbers, true/false, or bare words.
+ */
+function parseExpression(expression, position) {
+  const [name, ...segments] = splitOutsideQuotes(expression, '|', position).map(part => part.trim());
+
+  if (!name) {
+    throw new TemplateSyntaxError(`Missing variable name in {{${expression}}}`, position);
+  }
+
+  const filters = segments.map(segment => {
+    const colon = segment.indexOf(':');
+    const filterName = (colon === -1 ? segment : segment.slice(0, colon)).trim();
+    if (!filterName) {
+      throw new TemplateSyntaxError(`Empty filter in {{${expression}}}`, position);
+    }
+    const args = colon === -1
+      ? []
+      : splitOutsideQuotes(segment.slice(colon + 1), ',', position).map(arg => parseArgument(arg.trim()));
+    return { name: filterName, args };
+  });
+
+  return { name, filters };
+}
+
+function splitOutsideQuotes(text, delimiter, position) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && i + 1 < text.length) {
+        current += char + text[++i];
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === delimiter) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+
+  if (quote) {
+    throw new TemplateSyntaxError(`Unterminated string in {{${text}}}`, position);
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+function parseArgument(arg) {
+  const quoted = arg.match(/^(["'])([\s\S]*)\1$/);
+  if (quoted) return quoted[2].replace(/\\(.)/g, '$1');
+  if (arg === 'true') return true;
+  if (arg === 'false') return false;
+  if (arg !== '' && !Number.isNaN(Number(arg))) return Number(arg);
+  return arg;
+}
+
+function createTextToken(value, start) {
+  return { type: 'text', value, start, end: start + value.length };
+}
+
+/**
+ * Remove the surrounding whitespace and line break of block tags that
+ * occupy a line on their own
+ */
+function stripStandaloneTags(tokens) {
+  const isBlockTag = token => token.type === 'open' || token.type === 'close' || token.type === 'else';
+
+  const standalone = tokens.map((token, i) => {
+    if (!isBlockTag(token)) return false;
+
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+
+    const startsLine = !prev ||
+      (prev.type === 'text' && (/\n[ \t]*$/.test(prev.value) || (i === 1 && /^[ \t]*$/.test(prev.value))));
+    const endsLine = !next ||
+      (next.type === 'text' && (/^[ \t]*\r?\n/.test(next.value) || (i === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+
+    return startsLine && endsLine;
+  });
+
+  tokens.forEach((token, i) => {
+    if (!standalone[i]) return;
+
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+
+    if (prev) {
+      prev.value = prev.value.replace(/[ \t]*$/, '');
+      prev.end = prev.start + prev.value.length;
+    }
+    if (next) {
+      const leading = next.value.match(/^[ \t]*(\r?\n)?/)[0];
+      next.value = next.value.slice(leading.length);
+      next.start += leading.length;
+    }
+  });
+
+  return tokens.filter(token => token.type !== 'text' || token.value !== '');
+}
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+/**
+ * Parse template content into a node tree
+ *
+ * Node shapes:
+ * - { type: 'text', value, start, end }
+ * - { type: 'variable', name, filters: [{ name, args }], raw, start, end }
+ * - { type: 'if' | 'each' | 'block', name, body: [], elseBody: [], start, end, contentStart, contentEnd }
+ * - { type: 'partial', name, raw, start, end }
+ *
+ * contentStart/contentEnd of block nodes are the offsets between the
+ * opening and closing tags.
+ *
+ * @param {string} content - Template content
+ * @returns {array} Array of top-level nodes
+ * @throws {TemplateSyntaxError} On unknown or unbalanced block tags
+ */
+export function parseTemplate(content) {
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  const blockNames = new Set();
+
+  for (const token of tokenizeTemplate(content)) {
+    const current = stack[stack.length - 1];
+    const target = current.inElse ? current.elseBody : current.body;
+
+    switch (token.type) {
+      case 'text':
+        target.push({ type: 'text', value: token.value, start: token.start, end: token.end });
+        break;
+
+      case 'variable':
+        target.push({
+          type: 'variable',
+          name: token.name,
+          filters: token.filters,
+          raw: token.raw,
+          start: token.start,
+          end: token.end
+        });
+        break;
+
+      case 'partial':
+        target.push({ type: 'partial', name: token.name, raw: token.raw, start: token.start, end: token.end });
+        break;
+
+      case 'open': {
+        if (token.helper === 'block') {
+          if (blockNames.has(token.name)) {
+            throw new TemplateSyntaxError(`Duplicate {{#block ${token.name}}}`, token.start);
+          }
+          blockNames.add(token.name);
+        }
+        const node = {
+          type: token.helper,
+          name: token.name,
+          body: [],
+          elseBody: [],
+          start: token.start,
+          end: token.end,
+          contentStart: token.end,
+          contentEnd: token.end
+        };
+        target.push(node);
+        stack.push(node);
+        break;
+      }
+
+      case 'else':
+        if (current === root) {
+          throw new TemplateSyntaxError('{{else}} must be inside an {{#if}} or {{#each}} block', token.start);
+        }
+        if (current.type === 'block') {
+          throw new TemplateSyntaxError(`{{else}} is not allowed in {{#block ${current.name}}}`, token.start);
+        }
+        if (current.inElse) {
+          throw new TemplateSyntaxError(`Duplicate {{else}} in {{#${current.type} ${current.name}}}`, token.start);
+        }
+        current.inElse = true;
+        break;
+
+      case 'close':
+        if (current === root) {
+          throw new TemplateSyntaxError(`Unexpected {{/${token.helper}}} without a matching opening tag`, token.start);
+        }
+        if (current.type !== token.helper) {
+          throw new TemplateSyntaxError(
+            `Expected {{/${current.type}}} to close {{#${current.type} ${current.name}}} but found {{/${token.helper}}}`,
+            token.start
+          );
+        }
+        current.end = token.end;
+        current.contentEnd = token.start;
+        delete current.inElse;
+        stack.pop();
+        break;
+    }
+  }
+
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1];
+    throw new TemplateSyntaxError(`Unclosed {{#${unclosed.type} ${unclosed.name}}} block`, unclosed.start);
+  }
+
+  return root.body;
+}
+
+/**
+ * Replace {{> partial}} nodes with the parsed content of the partial
+ *
+ * Expanded nodes are tagged with `partial: id` so callers can tell which
+ * partial produced them. Positions (start/end) of expanded nodes refer to
+ * the partial's own content.
+ *
+ * @param {array} nodes - Parsed template nodes
+ * @param {Function} resolvePartial - (id) => content string, or null/undefined if not found
+ * @param {object} options - Expansion options
+ * @param {number} options.maxDepth - Maximum include nesting (default MAX_PARTIAL_DEPTH)
+ * @param {string} options.rootId - ID of the template being expanded, to catch self-includes
+ * @returns {array} Nodes with all partials expanded
+ * @throws {TemplateSyntaxError} On missing partials, circular includes or excessive depth
+ */
+export function expandPartials(nodes, resolvePartial, options = {}) {
+  const { maxDepth = MAX_PARTIAL_DEPTH, rootId = null } = options;
+  const parsed = new Map();
+
+  const parsePartial = (node) => {
+    if (parsed.has(node.name)) return parsed.get(node.name);
+
+    const content = resolvePartial(node.name);
+    if (content === undefined || content === null) {
+      throw new TemplateSyntaxError(`Partial "${node.name}" not found`, node.start);
+    }
+
+    let partialNodes;
+    try {
+      partialNodes = parseTemplate(content);
+    } catch (error) {
+      if (!isTemplateSyntaxError(error)) throw error;
+      throw new TemplateSyntaxError(`In partial "${node.name}": ${error.message}`, node.start);
+    }
+
+    parsed.set(node.name, partialNodes);
+    return partialNodes;
+  };
+
+  const expand = (list, chain, partial) => list.flatMap(node => {
+    if (node.type === 'partial') {
+      if (chain.includes(node.name)) {
+        throw new TemplateSyntaxError(`Circular partial include: ${[...chain, node.name].join(' → ')}`, node.start);
+      }
+      const depth = rootId ? chain.length - 1 : chain.length;
+      if (depth >= maxDepth) {
+        throw new TemplateSyntaxError(`Partial "${node.name}" exceeds the maximum include depth of ${maxDepth}`, node.start);
+      }
+      return expand(parsePartial(node), [...chain, node.name], node.name);
+    }
+
+    const copy = partial ? { ...node, partial } : node;
+    if (node.body) {
+      return [{ ...copy, body: expand(node.body, chain, partial), elseBody: expand(node.elseBody, chain, partial) }];
+    }
+    return [copy];
+  });
+
+  return expand(nodes, rootId ? [rootId] : [], null);
+}
+
+/**
+ * Find ids of partials included by a parsed template (not recursive)
+ *
+ * @param {array} nodes - Parsed template nodes
+ * @returns {array} Partial ids in order of first use
+ */
+export function findPartials(nodes) {
+  const found = new Set();
+  walkTemplate(nodes, node => {
+    if (node.type === 'partial') found.add(node.name);
+  });
+  return Array.from(found);
+}
+
+/**
+ * Apply a child template's {{#block}} overrides to its parent's content
+ *
+ * Block tags are kept in the result so a further descendant can override
+ * the same blocks again. Content of the child outside its blocks is ignored.
+ *
+ * @param {string} parentContent - Parent (or already flattened ancestor) content
+ * @param {string} childContent - Child content with {{#block}} overrides
+ * @returns {object} { content, undefinedBlocks } - undefinedBlocks lists child blocks the parent doesn't define
+ * @throws {TemplateSyntaxError} If either content is malformed
+ */
+export function overrideBlocks(parentContent, childContent) {
+  const parentNodes = parseTemplate(parentContent);
+
+  // Outermost blocks of the child are its overrides
+  const overrides = new Map();
+  const findOverrides = list => list.forEach(node => {
+    if (node.type === 'block') {
+      overrides.set(node.name, childContent.slice(node.contentStart, node.contentEnd));
+    } else if (node.body) {
+      findOverrides(node.body);
+      findOverrides(node.elseBody);
+    }
+  });
+  findOverrides(parseTemplate(childContent));
+
+  const parentBlocks = new Set();
+  walkTemplate(parentNodes, node => {
+    if (node.type === 'block') parentBlocks.add(node.name);
+  });
+
+  // Replace the outermost overridden regions of the parent
+  const replacements = [];
+  const findReplacements = list => list.forEach(node => {
+    if (node.type === 'block' && overrides.has(node.name)) {
+      replacements.push({ start: node.contentStart, end: node.contentEnd, text: overrides.get(node.name) });
+    } else if (node.body) {
+      findReplacements(node.body);
+      findReplacements(node.elseBody);
+    }
+  });
+  findReplacements(parentNodes);
+
+  const content = replacements
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, { start, end, text }) => result.slice(0, start) + text + result.slice(end), parentContent);
+
+  return {
+    content,
+    undefinedBlocks: Array.from(overrides.keys()).filter(name => !parentBlocks.has(name))
+  };
+}
+
+/**
+ * Visit every node of a parsed template, depth first
+ *
+ * @param {array} nodes - Parsed template nodes
+ * @param {Function} visit - (node, depth) => void; depth is the block nesting level
+ */
+export function walkTemplate(nodes, visit, depth = 0) {
+  for (const node of nodes) {
+    visit(node, depth);
+    if (node.body) walkTemplate(node.body, visit, depth + 1);
+    if (node.elseBody) walkTemplate(node.elseBody, visit, depth + 1);
+  }
+}
+
+/**
+ * Collect variables referenced by a parsed template
+ *
+ * - Variables used outside any block are required
+ * - Variables used only inside blocks (or as block conditions) are optional
+ * - Variables with a default filter ({{name | default:"x"}}) are optional
+ * - Variables iterated with {{#each}} are flagged as lists
+ * - Loop locals ({{this}}, {{@index}}, ...) are not template variables
+ *
+ * @param {array} nodes - Parsed template nodes
+ * @returns {array} Array of { name, required, list } in order of first use
+ */
+export function collectVariables(nodes) {
+  const found = new Map();
+
+  const record = (name, { required = false, list = false } = {}) => {
+    if (isLoopLocal(name)) return;
+    const entry = found.get(name) || { name, required: false, list: false };
+    entry.required = entry.required || required;
+    entry.list = entry.list || list;
+    found.set(name, entry);
+  };
+
+  // {{#block}} regions are always rendered, so they don't make variables optional
+  const walk = (list, conditional) => {
+    for (const node of list) {
+      if (node.type === 'variable') {
+        record(node.name, {
+          required: !conditional && !node.filters.some(filter => filter.name === 'default')
+        });
+      } else if (node.type === 'if' || node.type === 'each') {
+        record(node.name, { list: node.type === 'each' });
+        walk(node.body, true);
+        walk(node.elseBody, true);
+      } else if (node.type === 'block') {
+        walk(node.body, conditional);
+      }
+    }
+  };
+
+  walk(nodes, false);
+  return Array.from(found.values());
+}
+
+/**
+ * Find filters used in a parsed template that aren't registered
+ *
+ * @param {array} nodes - Parsed template nodes
+ * @returns {array} Unknown filter names
+ */
+export function findUnknownFilters(nodes) {
+  const unknown = new Set();
+
+  walkTemplate(nodes, node => {
+    if (node.type !== 'variable') return;
+    node.filters.forEach(filter => {
+      if (!getFilter(filter.name)) unknown.add(filter.name);
+    });
+  });
+
+  return Array.from(unknown);
+}
+
+function isLoopLocal(name) {
+  return name === 'this' || name.startsWith('this.') || name.startsWith('@');
+}
+
+// ============================================================================
+// Renderer
+// ============================================================================
+
+/**
+ * Render parsed template nodes
+ *
+ * @param {array} nodes - Parsed template nodes
+ * @param {Function} resolve - (name, node) => value; return undefined to leave the placeholder untouched
+ * @param {object} options - Render options
+ * @param {object} options.filters - Extra filters for this render only ({ name: fn })
+ * @returns {string} Rendered output
+ * @throws {TemplateSyntaxError} If a placeholder uses an unknown filter
+ */
+export function renderTemplate(nodes, resolve, options = {}) {
+  return renderWithState(nodes, resolve, options, null).output;
+}
+
+/**
+ * Render parsed template nodes and map every piece of the output to its source
+ *
+ * Span shape:
+ * {
+ *   start, end,                 // offsets in the output
+ *   kind,                       // 'literal' | 'variable' | 'unresolved'
+ *   name,                       // variable name (variable/unresolved spans)
+ *   source: { start, end },     // offsets in the template (or partial) content
+ *   partial,                    // partial id, if the span came from an included partial
+ *   loop                        // { name, index } if rendered inside {{#each}}
+ * }
+ *
+ * Empty pieces (e.g. a variable with an empty value) produce zero-length spans
+ * so clients can still place a caret where the value would go.
+ *
+ * @param {array} nodes - Parsed template nodes
+ * @param {Function} resolve - Same as renderTemplate
+ * @param {object} options - Same as renderTemplate
+ * @returns {object} { output, spans }
+ */
+export function renderTemplateWithSpans(nodes, resolve, options = {}) {
+  return renderWithState(nodes, resolve, options, []);
+}
+
+function renderWithState(nodes, resolve, options, spans) {
+  const state = { output: '', spans };
+  renderNodes(nodes, { resolve, filters: options.filters || {}, loop: null }, state);
+  return state;
+}
+
+/**
+ * Append text to the output, recording a span when mapping is enabled
+ */
+function emit(state, text, node, scope, span) {
+  if (state.spans) {
+    const entry = {
+      start: state.output.length,
+      end: state.output.length + text.length,
+      ...span,
+      source: { start: node.start, end: node.end }
+    };
+    if (node.partial) entry.partial = node.partial;
+    if (scope.loop) entry.loop = { name: scope.loop.name, index: scope.loop.index };
+    state.spans.push(entry);
+  }
+  state.output += text;
+}
+
+function renderNodes(nodes, scope, state) {
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        emit(state, node.value, node, scope, { kind: 'literal' });
+        break;
+
+      case 'variable': {
+        const value = lookup(node, scope);
+        if (value === undefined) {
+          emit(state, node.raw, node, scope, { kind: 'unresolved', name: node.name });
+        } else {
+          emit(state, stringifyValue(applyFilters(value, node, scope)), node, scope, { kind: 'variable', name: node.name });
+        }
+        break;
+      }
+
+      case 'partial':
+        // Unexpanded include (no partial resolver given)
+        emit(state, node.raw, node, scope, { kind: 'unresolved', name: node.name });
+        break;
+
+      case 'block':
+        renderNodes(node.body, scope, state);
+        break;
+
+      case 'if':
+        renderNodes(isTruthy(lookup(node, scope)) ? node.body : node.elseBody, scope, state);
+        break;
+
+      case 'each': {
+        const items = toList(lookup(node, scope));
+        if (items.length === 0) {
+          renderNodes(node.elseBody, scope, state);
+          break;
+        }
+        items.forEach((item, index) => {
+          renderNodes(node.body, {
+            ...scope,
+            loop: { name: node.name, item, index, first: index === 0, last: index === items.length - 1 }
+          }, state);
+        });
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Run a placeholder's filter pipeline
+ */
+function applyFilters(value, node, scope) {
+  return node.filters.reduce((current, filter) => {
+    const fn = scope.filters[filter.name] || getFilter(filter.name);
+    if (!fn) {
+      throw new TemplateSyntaxError(`Unknown filter "${filter.name}"`, node.start);
+    }
+    return fn(current, ...filter.args);
+  }, value);
+}
+
+/**
+ * Resolve a name against loop locals first, then the caller's resolver
+ */
+function lookup(node, scope) {
+  const { name } = node;
+  if (scope.loop) {
+    if (name === 'this') return scope.loop.item;
+    if (name.startsWith('this.')) return getPath(scope.loop.item, name.slice(5));
+    if (name === '@index') return scope.loop.index;
+    if (name === '@first') return scope.loop.first;
+    if (name === '@last') return scope.loop.last;
+  }
+  return scope.resolve(name, node);
+}
+
+function getPath(value, path) {
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+/**
+ * Truthiness used by {{#if}}: empty strings, empty lists, null and false are falsy
+ */
+export function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'string') return value.trim() !== '';
+  return Boolean(value);
+}
+
+/**
+ * Coerce a value to a list for {{#each}}
+ * Strings are split on line breaks so plain textarea input works as a list.
+ */
+export function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  if (typeof value === 'string') {
+    return value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+  return [value];
+}
+
+/**
+ * Convert a variable value to output text
+ */
+export function stringifyValue(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(stringifyValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
@@ -0,0 +1,556 @@
+/**
+ * Tokenizers
+ *
+ * Model-aware token counting. Every token budget in the package goes
+ * through countTokens(text, model), which picks the tokenizer for the
+ * model's family and caches the result, so recounting unchanged context
+ * layers is cheap.
+ *
+ * Until a vocabulary is loaded, each family counts approximately: it has
+ * its real pre-tokenization split pattern, a vocabulary of words that are
+ * single tokens, and per-script rates for everything else (code, CJK text,
+ * emoji). That's much closer than length / 4 but not exact.
+ *
+ * The OpenAI vocabularies (cl100k, o200k) are bundled (compressed) and
+ * loaded on demand: `await loadTokenizer('gpt-4o')` switches the family to
+ * exact BPE counts. Claude, Llama and Gemini vocabularies aren't published
+ * as BPE ranks we can bundle, so those families stay approximate unless an
+ * app loads a vocabulary (with its split pattern) into createBpeTokenizer()
+ * and registerTokenizer()s it:
+ *
+ *   const ranks = parseBpeRanks(await fetch('/vocab/my_model.tiktoken').then(r => r.text()));
+ *   registerTokenizer('llama', createBpeTokenizer({ ranks, pattern: myModelPattern }));
+ */
+
+import { getModel } from '../constants/models.js';
+
+// Pre-tokenization patterns. JS has no inline (?i:), so contractions list both cases.
+const CONTRACTIONS = "'(?:[sSdDmMtT]|[lL][lL]|[vV][eE]|[rR][eE])";
+
+const GPT_PATTERN = new RegExp(
+  `${CONTRACTIONS}|[^\\r\\n\\p{L}\\p{N}]?\\p{L}+|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+`,
+  'gu'
+);
+
+// o200k also splits words at case changes and keeps contractions on the word
+const O200K_UPPER = '[\\p{Lu}\\p{Lt}\\p{Lm}\\p{Lo}\\p{M}]';
+const O200K_LOWER = '[\\p{Ll}\\p{Lm}\\p{Lo}\\p{M}]';
+
+const O200K_PATTERN = new RegExp(
+  `[^\\r\\n\\p{L}\\p{N}]?${O200K_UPPER}*${O200K_LOWER}+(?:${CONTRACTIONS})?` +
+  `|[^\\r\\n\\p{L}\\p{N}]?${O200K_UPPER}+${O200K_LOWER}*(?:${CONTRACTIONS})?` +
+  `|\\p{N}{1,3}| ?[^\\s\\p{L}\\p{N}]+[\\r\\n/]*|\\s*[\\r\\n]+|\\s+(?!\\S)|\\s+`,
+  'gu'
+);
+
+// SentencePiece models split every digit and keep the leading space on words
+const SENTENCEPIECE_PATTERN = /\s?\p{L}+|\p{N}| ?[^\s\p{L}\p{N}]+|\s+/gu;
+
+/**
+ * Tokenizer families
+ *
+ * Rates: latin = letters per token for words not in the vocabulary,
+ * cjk = tokens per CJK character, otherLetters = letters per token for
+ * other scripts (Cyrillic, Arabic, ...), symbolBytes = UTF-8 bytes per
+ * token for emoji and other symbols, punctuation = characters per token.
+ */
+export const TOKENIZER_FAMILIES = {
+  cl100k: {
+    id: 'cl100k',
+    label: 'OpenAI cl100k (GPT-4, GPT-3.5)',
+    pattern: GPT_PATTERN,
+    digitGroup: 3,
+    rates: { latin: 4.5, cjk: 1.2, otherLetters: 2.2, symbolBytes: 1.5, punctuation: 2 }
+  },
+  o200k: {
+    id: 'o200k',
+    label: 'OpenAI o200k (GPT-4o, o-series)',
+    pattern: O200K_PATTERN,
+    digitGroup: 3,
+    rates: { latin: 5, cjk: 0.8, otherLetters: 3.2, symbolBytes: 2, punctuation: 2.5 }
+  },
+  claude: {
+    id: 'claude',
+    label: 'Anthropic Claude',
+    pattern: GPT_PATTERN,
+    digitGroup: 3,
+    rates: { latin: 4.2, cjk: 1.1, otherLetters: 2.5, symbolBytes: 1.5, punctuation: 2 }
+  },
+  llama: {
+    id: 'llama',
+    label: 'SentencePiece (Llama, Mistral, Gemma, Qwen)',
+    pattern: SENTENCEPIECE_PATTERN,
+    digitGroup: 1,
+    rates: { latin: 4, cjk: 1.5, otherLetters: 2, symbolBytes: 1, punctuation: 1.5 }
+  },
+  gemini: {
+    id: 'gemini',
+    label: 'Google Gemini',
+    pattern: SENTENCEPIECE_PATTERN,
+    digitGroup: 1,
+    rates: { latin: 4.8, cjk: 0.9, otherLetters: 3, symbolBytes: 2, punctuation: 2 }
+  }
+};
+
+/**
+ * Family used when no model is given (matches the old 4-characters-per-token budgets best)
+ */
+export const DEFAULT_TOKENIZER = 'cl100k';
+
+/**
+ * Model id patterns for each family, for models that aren't in AI_MODELS
+ */
+const MODEL_FAMILY_PATTERNS = [
+  [/^(chatgpt-)?(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o\d)/i, 'o200k'],
+  [/^(gpt-4|gpt-3\.5|text-embedding)/i, 'cl100k'],
+  [/claude/i, 'claude'],
+  [/gemini/i, 'gemini'],
+  [/llama|mistral|mixtral|gemma|qwen|phi|deepseek|codestral/i, 'llama']
+];
+
+/**
+ * Words that are a single token in every bundled family
+ */
+const COMMON_WORDS = new Set(`
+  the be to of and a in that have i it for not on with he as you do at this but his by from they we say her she
+  or an will my one all would there their what so up out if about who get which go me when make can like time no
+  just him know take people into year your good some could them see other than then now look only come its over
+  think also back after use two how our work first well way even new want because any these give day most us is
+  are was were been has had did does said made should must may might shall very more much many such each every
+  write explain list summarize describe create generate review answer question text code data user system model
+  response prompt context example format output input task step steps please following below above using based
+  use used make sure include provide short long simple clear detailed concise brief only never always avoid
+  function return value type name file line error test class import export const let var true false null string
+  number object array json markdown table bullet points section title content message role assistant hello world
+`.trim().split(/\s+/));
+
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/;
+const LATIN_PATTERN = /[A-Za-z]/;
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+const registry = new Map();
+const builtInTokenizers = new Map();
+
+/**
+ * Bundled vocabularies, imported on demand by loadTokenizer()
+ */
+const BUNDLED_VOCABULARIES = {
+  cl100k: () => import('./vocabularies/cl100k_base.js'),
+  o200k: () => import('./vocabularies/o200k_base.js')
+};
+const loading = new Map();
+
+/**
+ * Register a tokenizer for a family, replacing the bundled one
+ * @param {string} family - Family id (e.g. 'cl100k') or a new family
+ * @param {object} tokenizer - { count(text) => number }, optionally with encode(text) => number[]
+ */
+export function registerTokenizer(family, tokenizer) {
+  if (!tokenizer || typeof tokenizer.count !== 'function') {
+    throw new Error(`Tokenizer "${family}" must have a count function`);
+  }
+  registry.set(family, tokenizer);
+  clearTokenCache();
+}
+
+/**
+ * Remove a registered tokenizer (bundled families fall back to their built-in tokenizer)
+ * @param {string} family - Family id
+ */
+export function unregisterTokenizer(family) {
+  registry.delete(family);
+  clearTokenCache();
+}
+
+/**
+ * Get the tokenizer family for a model
+ * @param {string} model - Model id (e.g. 'gpt-4o', 'claude-3-5-sonnet') or a family id
+ * @returns {string} Family id (DEFAULT_TOKENIZER for unknown models)
+ */
+export function getTokenizerFamily(model) {
+  if (!model) return DEFAULT_TOKENIZER;
+  if (TOKENIZER_FAMILIES[model] || registry.has(model)) return model;
+
+  const catalogModel = getModel(model);
+  if (catalogModel?.tokenizer) return catalogModel.tokenizer;
+
+  const match = MODEL_FAMILY_PATTERNS.find(([pattern]) => pattern.test(model));
+  return match ? match[1] : DEFAULT_TOKENIZER;
+}
+
+/**
+ * Get the tokenizer for a model
+ * @param {string} model - Model id or family id
+ * @returns {object} Tokenizer with a count(text) function
+ */
+export function getTokenizer(model) {
+  const family = getTokenizerFamily(model);
+  if (registry.has(family)) return registry.get(family);
+
+  if (!builtInTokenizers.has(family)) {
+    builtInTokenizers.set(family, createApproximateTokenizer(TOKENIZER_FAMILIES[family]));
+  }
+  return builtInTokenizers.get(family);
+}
+
+/**
+ * Load a family's bundled vocabulary, so it counts exactly from then on
+ *
+ * Cached counts are cleared once it's loaded. Families without a bundled
+ * vocabulary keep their approximate (or registered) tokenizer.
+ *
+ * @param {string} model - Model id or family id
+ * @returns {Promise<boolean>} Whether the family now has an exact tokenizer
+ */
+export function loadTokenizer(model) {
+  const family = getTokenizerFamily(model);
+  if (registry.has(family)) return Promise.resolve(Boolean(registry.get(family).exact));
+  if (!BUNDLED_VOCABULARIES[family]) return Promise.resolve(false);
+
+  if (!loading.has(family)) {
+    const load = BUNDLED_VOCABULARIES[family]()
+      .then(async ({ default: packed }) => {
+        const ranks = parseCompactBpeRanks(await gunzipBase64(packed));
+        builtInTokenizers.set(family, createBpeTokenizer({ ranks, pattern: TOKENIZER_FAMILIES[family].pattern }));
+        clearTokenCache();
+        return true;
+      })
+      .catch(error => {
+        loading.delete(family); // Let the next call retry
+        throw error;
+      });
+    loading.set(family, load);
+  }
+  return loading.get(family);
+}
+
+/**
+ * Check whether a model's counts are exact (a BPE vocabulary is loaded or registered)
+ * @param {string} model - Model id or family id
+ * @returns {boolean}
+ */
+export function isExactTokenizer(model) {
+  return Boolean(getTokenizer(model).exact);
+}
+
+// ============================================================================
+// Counting
+// ============================================================================
+
+const MAX_CACHE_ENTRIES = 1000;
+const cache = new Map();
+
+/**
+ * Count the tokens of text for a model
+ *
+ * Results are cached per tokenizer family, so counting the same layer
+ * content again (e.g. on every budget check) doesn't re-tokenize it.
+ *
+ * @param {string} text - Text to count
+ * @param {string} model - Model id or family id (default DEFAULT_TOKENIZER)
+ * @returns {number} Token count
+ */
+export function countTokens(text, model = null) {
+  if (!text) return 0;
+
+  const family = getTokenizerFamily(model);
+  const key = `${family}:${text.length}:${text.length <= 256 ? text : hashText(text)}`;
+
+  if (cache.has(key)) {
+    // Re-insert to keep the most recently used entries at the end
+    const count = cache.get(key);
+    cache.delete(key);
+    cache.set(key, count);
+    return count;
+  }
+
+  const count = getTokenizer(family).count(text);
+  cache.set(key, count);
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  return count;
+}
+
+/**
+ * Clear cached token counts
+ */
+export function clearTokenCache() {
+  cache.clear();
+}
+
+/**
+ * FNV-1a hash, so long texts don't become cache keys themselves
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+// ============================================================================
+// Bundled (approximate) Tokenizers
+// ============================================================================
+
+function createApproximateTokenizer(family) {
+  return {
+    exact: false,
+    count: text => {
+      let total = 0;
+      for (const [piece] of text.matchAll(family.pattern)) {
+        total += countPiece(piece, family);
+      }
+      return total;
+    }
+  };
+}
+
+function countPiece(piece, family) {
+  const trimmed = piece.trim();
+  if (!trimmed) return 1; // Whitespace runs are merged into one token
+
+  if (/^\p{N}+$/u.test(trimmed)) {
+    return Math.ceil(trimmed.length / family.digitGroup);
+  }
+
+  if (/^'[A-Za-z]{1,2}$/.test(trimmed)) return 1; // Contractions
+
+  if (/^[A-Za-z]+$/.test(trimmed)) {
+    if (COMMON_WORDS.has(trimmed.toLowerCase())) return 1;
+    return Math.max(1, Math.round(trimmed.length / family.rates.latin));
+  }
+
+  // Mixed scripts, punctuation and symbols: count each run of characters by class
+  let tokens = 0;
+  let latin = 0;
+  let other = 0;
+  let punctuation = 0;
+
+  const flush = () => {
+    if (latin) tokens += Math.max(1, Math.round(latin / family.rates.latin));
+    if (other) tokens += Math.max(1, Math.round(other / family.rates.otherLetters));
+    if (punctuation) tokens += Math.ceil(punctuation / family.rates.punctuation);
+    latin = other = punctuation = 0;
+  };
+
+  for (const char of trimmed) {
+    if (LATIN_PATTERN.test(char)) {
+      latin++;
+    } else if (CJK_PATTERN.test(char)) {
+      flush();
+      tokens += family.rates.cjk;
+    } else if (/\p{L}|\p{N}/u.test(char)) {
+      other++;
+    } else if (char.codePointAt(0) < 0x80) {
+      punctuation++;
+    } else {
+      // Emoji and other symbols fall back to UTF-8 bytes
+      flush();
+      tokens += Math.ceil(utf8Length(char) / family.rates.symbolBytes);
+    }
+  }
+  flush();
+
+  return Math.max(1, Math.round(tokens));
+}
+
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+}
+
+// ============================================================================
+// Exact BPE Tokenizers
+// ============================================================================
+
+/**
+ * Parse a tiktoken-format vocabulary (one "base64-token rank" pair per line)
+ * @param {string} text - Vocabulary file contents
+ * @returns {Map} Map of token (as a latin1 byte string) to rank
+ */
+export function parseBpeRanks(text) {
+  const ranks = new Map();
+  for (const line of text.split('\n')) {
+    const [token, rank] = line.trim().split(/\s+/);
+    if (!token || rank === undefined) continue;
+    ranks.set(decodeBase64(token), Number(rank));
+  }
+  return ranks;
+}
+
+/**
+ * Create a byte-level BPE tokenizer from merge ranks
+ *
+ * @param {object} options - Options
+ * @param {Map} options.ranks - Map of token byte string to rank (from parseBpeRanks)
+ * @param {RegExp} options.pattern - Pre-tokenization pattern (global, unicode)
+ * @returns {object} { exact: true, encode(text) => number[], count(text) => number }
+ */
+export function createBpeTokenizer({ ranks, pattern = GPT_PATTERN }) {
+  if (!(ranks instanceof Map) || ranks.size === 0) {
+    throw new Error('createBpeTokenizer requires a non-empty ranks Map');
+  }
+
+  const encoder = new TextEncoder();
+
+  const encodePiece = piece => {
+    const bytes = toByteString(encoder.encode(piece));
+    if (ranks.has(bytes)) return [ranks.get(bytes)];
+
+    return mergeBytePairs(bytes, ranks).map(part => {
+      if (!ranks.has(part)) throw new Error('BPE vocabulary is missing byte-level tokens');
+      return ranks.get(part);
+    });
+  };
+
+  const encode = text => {
+    const tokens = [];
+    for (const [piece] of text.matchAll(pattern)) {
+      tokens.push(...encodePiece(piece));
+    }
+    return tokens;
+  };
+
+  return {
+    exact: true,
+    encode,
+    count: text => encode(text).length
+  };
+}
+
+/**
+ * Latin1 string of bytes, built in chunks so long pieces don't overflow the call stack
+ */
+function toByteString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return result;
+}
+
+/**
+ * Repeatedly merge the adjacent pair with the lowest rank (the leftmost on ties)
+ *
+ * Parts are a linked list over byte offsets and candidate pairs sit in a
+ * min-heap, so a long piece takes O(n log n) rather than a rescan per merge.
+ * Heap entries go stale when either part is merged away; they're skipped
+ * when popped.
+ *
+ * @returns {string[]} Parts as byte strings
+ */
+function mergeBytePairs(bytes, ranks) {
+  const length = bytes.length;
+  const end = new Int32Array(length);   // Part starting at i covers bytes[i..end[i])
+  const next = new Int32Array(length);
+  const previous = new Int32Array(length);
+  for (let i = 0; i < length; i++) {
+    end[i] = i + 1;
+    next[i] = i + 1;
+    previous[i] = i - 1;
+  }
+
+  const heap = [];
+  const before = (a, b) => a.rank < b.rank || (a.rank === b.rank && a.start < b.start);
+  const push = entry => {
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!before(heap[i], heap[parent])) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+        if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+        if (smallest === i) break;
+        [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+
+  // A pair is identified by where it starts and ends; it's stale once either boundary moves
+  const addPair = start => {
+    if (start < 0 || next[start] >= length) return;
+    const pairEnd = end[next[start]];
+    const rank = ranks.get(bytes.slice(start, pairEnd));
+    if (rank !== undefined) push({ rank, start, end: pairEnd });
+  };
+
+  for (let i = 0; i < length - 1; i++) addPair(i);
+
+  const merged = new Uint8Array(length);
+  while (heap.length > 0) {
+    const { start, end: pairEnd } = pop();
+    if (merged[start] || next[start] >= length || end[next[start]] !== pairEnd) continue;
+
+    const right = next[start];
+    merged[right] = 1;
+    end[start] = pairEnd;
+    next[start] = next[right];
+    if (next[right] < length) previous[next[right]] = start;
+
+    addPair(previous[start]);
+    addPair(start);
+  }
+
+  const parts = [];
+  for (let i = 0; i < length; i = next[i]) {
+    parts.push(bytes.slice(i, end[i]));
+  }
+  return parts;
+}
+
+/**
+ * Parse the bundled vocabularies' compact layout: "<label> <rank> <token> ..." per line
+ */
+function parseCompactBpeRanks(text) {
+  const ranks = new Map();
+  for (const line of text.split('\n')) {
+    const [, offset, ...tokens] = line.split(' ');
+    if (!offset) continue;
+    tokens.forEach((token, index) => ranks.set(decodeBase64(token), Number(offset) + index));
+  }
+  return ranks;
+}
+
+/**
+ * Decompress base64-encoded gzip (DecompressionStream in browsers, zlib in older Node)
+ */
+async function gunzipBase64(packed) {
+  if (typeof DecompressionStream === 'function') {
+    const bytes = Uint8Array.from(decodeBase64(packed), char => char.charCodeAt(0));
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  }
+
+  const { gunzipSync } = await import('node:zlib');
+  return gunzipSync(Buffer.from(packed, 'base64')).toString('utf8');
+}
+
+function decodeBase64(value) {
+  if (typeof atob === 'function') return atob(value);
+  return Buffer.from(value, 'base64').toString('latin1');
+}
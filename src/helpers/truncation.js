@@ -0,0 +1,268 @@
+/**
+ * Context Truncation
+ *
+ * Strategies for fitting a layer's content into the tokens left in a budget:
+ *
+ *   drop      - leave the layer out (the default)
+ *   head      - keep the start, cut the end
+ *   tail      - keep the end, cut the start
+ *   middle    - keep the start and end, elide the middle
+ *   sentence  - keep the leading whole sentences that fit
+ *   summarize - replace the content with a caller-supplied summary
+ *
+ * Strategies are functions of (content, maxTokens, context) that return the
+ * shortened text, or null to drop it. Apps can add their own with
+ * registerTruncationStrategy(). A strategy that returns a Promise (e.g.
+ * `summarize` with a summarizer that calls a model) needs
+ * truncateToTokensAsync() or combineContextsAsync().
+ */
+
+import { countTokens } from './tokenizer.js';
+
+/**
+ * Default marker for cut text
+ */
+export const TRUNCATION_MARKER = '…';
+
+/**
+ * Built-in strategies
+ */
+const BUILT_IN_STRATEGIES = {
+  drop: () => null,
+
+  head: (content, maxTokens, { model, marker }) => fitPrefix(content, maxTokens, model, marker),
+
+  tail: (content, maxTokens, { model, marker }) => fitSuffix(content, maxTokens, model, marker),
+
+  middle: (content, maxTokens, { model, marker }) => {
+    const separator = `\n${marker}\n`;
+    const available = maxTokens - countTokens(separator, model);
+    if (available < 2) return fitPrefix(content, maxTokens, model, marker);
+
+    const start = fitPrefix(content, Math.ceil(available / 2), model, '');
+    const end = fitSuffix(content.slice(start.length), Math.floor(available / 2), model, '');
+    return `${start.trimEnd()}${separator}${end.trimStart()}`;
+  },
+
+  sentence: (content, maxTokens, { model, marker }) => {
+    let kept = '';
+    for (const sentence of splitSentences(content)) {
+      if (countTokens(kept + sentence, model) > maxTokens) break;
+      kept += sentence;
+    }
+
+    // No whole sentence fits - fall back to cutting at a word
+    return kept.trim() ? kept.trimEnd() : fitPrefix(content, maxTokens, model, marker);
+  },
+
+  summarize: (content, maxTokens, context) => {
+    const { summarizer, model, layer } = context;
+    if (typeof summarizer !== 'function') {
+      return BUILT_IN_STRATEGIES.sentence(content, maxTokens, context);
+    }
+
+    const fitSummary = summary => {
+      if (!summary) return null;
+
+      // Summarizers can overshoot; trim the summary rather than lose it
+      return countTokens(summary, model) <= maxTokens
+        ? summary
+        : BUILT_IN_STRATEGIES.sentence(summary, maxTokens, context);
+    };
+
+    const summary = summarizer(content, { maxTokens, model, layer });
+    return isThenable(summary) ? summary.then(fitSummary) : fitSummary(summary);
+  }
+};
+
+const registry = new Map(Object.entries(BUILT_IN_STRATEGIES));
+
+/**
+ * Register a custom truncation strategy
+ * @param {string} name - Strategy name
+ * @param {Function} fn - (content, maxTokens, { model, layer, marker, summarizer }) => string | null
+ */
+export function registerTruncationStrategy(name, fn) {
+  if (!/^[A-Za-z_][\w-]*$/.test(name)) {
+    throw new Error(`Invalid truncation strategy name: ${name}`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Truncation strategy "${name}" must be a function`);
+  }
+  registry.set(name, fn);
+}
+
+/**
+ * Remove a custom truncation strategy (built-in strategies are restored, not removed)
+ * @param {string} name - Strategy name
+ */
+export function unregisterTruncationStrategy(name) {
+  if (BUILT_IN_STRATEGIES[name]) {
+    registry.set(name, BUILT_IN_STRATEGIES[name]);
+  } else {
+    registry.delete(name);
+  }
+}
+
+/**
+ * Get a registered truncation strategy
+ * @param {string} name - Strategy name
+ * @returns {Function|null} Strategy function or null
+ */
+export function getTruncationStrategy(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Get names of all registered truncation strategies
+ * @returns {array} Strategy names
+ */
+export function getTruncationStrategyNames() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Shorten text to fit a token budget
+ *
+ * Text that already fits is returned unchanged. A strategy result that still
+ * doesn't fit is cut with `head`.
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Token budget
+ * @param {object} options - Options
+ * @param {string} options.strategy - Strategy name (default 'head')
+ * @param {string} options.model - Count tokens with this model's tokenizer
+ * @param {string} options.marker - Marks where text was cut (default TRUNCATION_MARKER)
+ * @param {Function} options.summarizer - (content, { maxTokens, model, layer }) => string, for 'summarize'
+ * @param {object} options.layer - Layer being truncated, passed through to the strategy
+ * @returns {string|null} Text that fits, or null if the strategy dropped it
+ * @throws {Error} If the strategy is async (use truncateToTokensAsync)
+ */
+export function truncateToTokens(text, maxTokens, options = {}) {
+  const truncation = startTruncation(text, maxTokens, options);
+  if (!truncation.run) return truncation.result;
+
+  const result = truncation.run();
+  if (isThenable(result)) {
+    throw new Error(
+      `Truncation strategy "${truncation.strategy}" returned a Promise - use truncateToTokensAsync() or combineContextsAsync() for async summarizers`
+    );
+  }
+  return truncation.finish(result);
+}
+
+/**
+ * Shorten text to fit a token budget, awaiting async strategies and summarizers
+ *
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Token budget
+ * @param {object} options - Same options as truncateToTokens; `summarizer` may return a Promise
+ * @returns {Promise<string|null>} Text that fits, or null if the strategy dropped it
+ */
+export async function truncateToTokensAsync(text, maxTokens, options = {}) {
+  const truncation = startTruncation(text, maxTokens, options);
+  if (!truncation.run) return truncation.result;
+
+  return truncation.finish(await truncation.run());
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Shared setup for truncateToTokens/truncateToTokensAsync
+ * @returns {object} { result } when no strategy needs to run, else { strategy, run, finish }
+ */
+function startTruncation(text, maxTokens, options) {
+  const {
+    strategy = 'head',
+    model = null,
+    marker = TRUNCATION_MARKER,
+    summarizer = null,
+    layer = null
+  } = options;
+
+  const content = text || '';
+  if (countTokens(content, model) <= maxTokens) return { result: content };
+  if (maxTokens <= 0) return { result: null };
+
+  const fn = getTruncationStrategy(strategy);
+  if (!fn) {
+    throw new Error(`Unknown truncation strategy: ${strategy}`);
+  }
+
+  return {
+    strategy,
+    run: () => fn(content, maxTokens, { model, marker, summarizer, layer }),
+    finish: result => {
+      if (result === null || result === undefined || result === '') return null;
+
+      return countTokens(result, model) <= maxTokens
+        ? result
+        : fitPrefix(result, maxTokens, model, marker);
+    }
+  };
+}
+
+function isThenable(value) {
+  return Boolean(value) && typeof value.then === 'function';
+}
+
+/**
+ * Longest prefix (ending at a word where possible) that fits with the marker
+ */
+function fitPrefix(text, maxTokens, model, marker) {
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (countTokens(text.slice(0, mid) + marker, model) <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  let prefix = text.slice(0, low);
+  if (low < text.length && /\S/.test(text[low])) {
+    const boundary = prefix.search(/\s\S*$/);
+    if (boundary > 0) prefix = prefix.slice(0, boundary);
+  }
+
+  prefix = prefix.trimEnd();
+  return prefix ? prefix + marker : '';
+}
+
+/**
+ * Longest suffix (starting at a word where possible) that fits with the marker
+ */
+function fitSuffix(text, maxTokens, model, marker) {
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (countTokens(marker + text.slice(text.length - mid), model) <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  let suffix = text.slice(text.length - low);
+  const start = text.length - low;
+  if (start > 0 && /\S/.test(text[start - 1])) {
+    const boundary = suffix.search(/\s/);
+    if (boundary >= 0) suffix = suffix.slice(boundary);
+  }
+
+  suffix = suffix.trimStart();
+  return suffix ? marker + suffix : '';
+}
+
+/**
+ * Split into sentences, keeping punctuation and trailing whitespace so the pieces join back to the text
+ */
+function splitSentences(text) {
+  return text.match(/[^.!?\n]+(?:[.!?]+|\n+|$)\s*|[.!?\n]+\s*/g) || [];
+}
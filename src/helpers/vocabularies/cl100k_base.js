@@ -0,0 +1,11 @@
+/**
+ * cl100k_base BPE vocabulary (GPT-4, GPT-3.5 Turbo, text-embedding-3)
+ *
+ * Gzipped and base64-encoded; loadTokenizer('cl100k') imports and unpacks
+ * it on first use. Unpacked, each line is "<label> <rank> <token> ...",
+ * with base64 tokens numbered consecutively from <rank>.
+ *
+ * From OpenAI's tiktoken (MIT License), in js-tiktoken's compact layout.
+ */
+
+export default 'H4sIAAAAAAACA7S9y3ri2rI0+irjtGdjIWFmFQ03bIyEuMhGgG49kFzGRgLmxAbD058vInMIav1z7732uTRcX9UoG4M0lCMzMiLy/zItE0zv703whj9O9/dm+IA/sDbE2hBrI6yNsDbC2ghrY6yNsTbG2hhrE6xNsDbB2gRrIdZCrIVYC7H2jLVnrD1j7RlrL1h7wdoL1l6wNsXaFGtTrE2xFmEtwlqEtQhrM6zNsDbD2gxrc6zNsTbH2hxrC6wtsLbA2gJrMdZirMVYi7GWYC3BWoK1BGsp1lKspVhLsZZhLcNahrUMaznWcqzlWMuxtsTaEmtLrC2xtsLaCmsrrK2wVmCtwFqBtQJrJdZKrJVYK7H2irVXrL1i7RVrv7D2C2u/sLbD33b8G/53j//dY22PtT3W/sLaX1j7C2t/Ye1vrP2Nf/6Nfx7wzwO+5YC1A9Y+sfaJtU+sfWLtC2tfWPvC2hfWjlg7Yu2ItSPWTlg7Ye2EtRPWvrH2jbVvrH1j7Yy1M9bOWDtj7YK1C9YuWLtgrYW1FtZaWGthzcGagzUHaw7WXKy5WHOx5mKtjbU21tpYa2PtDmt3WLvD2h3WOljrYK2DtQ7W/sTan1j7E2t/Yu0H1n5g7QfWfmDtJ9Z+Yu0n1n5irYu1Lta6WOti7Q+s/YG1P7D2B9b+hbV/Ye1fWPsX1h6w9oC1B6w9YO0Ra49Ye8TaI9Z6WOthrYe1HtaesPaEtSesPWGtj7U+1vpY62PNw5qHNQ9rHtZ8rPlY87HmY22AtQHWBlgbYC3gJsTf3vC3N/zvG/73DWtrrK2xtsbaGmvvWHvH2jvW3rH2gbUPrH1g7QNrG6xtsLbB2gZrFdYqrFVYq7BWY63GWo21GmtbrG2xtsXaFms7bnSGvt4D/3jjm18md/cmGEx1Sb7uTZ4GsmJWLr7B79+bol7cmyyd3puiPb03OX5y1cb3DaKd6b3t8H2Te7PyF1ib3JslvjnD92V4vSw5yTczXDyf8AMDvBk/wyvhp55a+KnJzbuRN9nZmpzLgwL/7H6ZPJnib1jz8R58vCX8vsBv4Y+f2BAbvOuf+PUTvOHTvcnw1lc1v6/6MoH/hv/otMwy4Rrea9L67WrIFQkG0dEEg2FlxjP8/+CAb+/WZuW27s1ofhiZJX7waYqP1XvDmzvdm/H5J77P+2KcLHEZChef1D/h/b7dm8Cb4HfyDuAiuW/4Pn647N6M3nmVWniXrXuzck//x3u7XqcSn2bENzA4jEzg82LhjzTDCbbDyy/wKvhtgwwXJqpM4PE2FfjnBi+/w+2Y4m3g8vZ53cOWCfqbe1Pidpb4aGWCz9Hv45sL/FiBT4S/PZ34ynvunVEPr+nnR8b4LAnw/cOWKfF5ssSpcCcupsCuKQe8Aod7c7fjNd/gvYctXPNPPXx3I7PkDsMfK9znoM87PqxMng4vuCu4seGRB02WPuCtYot4D/987UyWhhdsspZ5wS5e4deW6fDLBL0pN+rIZLiChd8983xa4j6O53gAtrh2bf2sedLZmMCPKjN5esC3RTuzasctUw7is5x77fhsmk218qsPU9TxxRR4BF/mLXlA5BEYlDtcm9oEfdyMOj6bLCkrE/SDe7MccMOvW+Zlps8gn83R++4vZi2Bx8eiapkcHy/oZ/guXn1uOL5T72LyJGyZJbZFUXc/TdD7eTSZi0vYP+HuYcemvNTehSd0MCj33GnLdHdvct6LPoOEdzCrNi43rnnuxi3sXDwX3xWfAWyKNe5+ZYoau2LweGYi8HxqjfC4DhnDS5+fFI+nh+3U590Oj8we8Ag2VzNLh9iWb/g84d9mmTgn3VvDg8aG7hmfv2VWSfzFexf0sdGT4SGXaNhifKnwLg/42wa7qDLPHzvewI4Jegde37PJk+/aLJNyxxcaYcOv2sNPUybfLVO0o7MZv+NCvDPOVUemMa/pY2UKPO6B36mYzwT+7r94iu2THPj5mYEl8OM7E/R/3pvJBzcMnlzvgGd4gnSSz3qIy/tdyVMiX/dmvJ0gVdrdm+H5xBvewk1oYbdXZlzz6oQ789JjgMwrfMsW33KWK+NXcsHudr3cpAz5uNzLxDvgcrfMrykvUV6ZlRtVZtVGjPDDAx+nwO8c+eMrVy7TxmTJt8OXznCp8zpjcPjBI3vlMgY7Fe4pQtJCtocJnvBLkvhilum+wmOJDzvsmCX/NmiN+PPjLeNFuDPLJMSLhC1TDPSxLAfD/arG20BoSR18YAbSMy/Cmr90Y0Yz3Lz+A39fm/sRm33NXb9kHPHXe30G8P48PcqWSYSrF2IT8Zyb8GFy8NOVWdbxh+y8waOT1d975s1ZcsAzzSMVUcKtNjj+/jAl33oaV9zq/G2j2ebeDNt8swfeyot5xbeVSeej9CuJdHzy5QvfyOeLkeXh3kzmD7zGeJvVAYGmy9pjVXufcrcHYYsBOsB2CHoZH6mdyf3K5e/i8ZPjxgX+es03nqfDMwLaQc42/F/B2Nvf3ZsUgSB4anXxwHyZBfbPWLbr44HnJe9bXnfPfK6LQdzCi8me+zXdjUyOzb7kCeWXFdeLLQKYi0PjefSA27bmT2cuc4bd0URxcG9mzE38+GJSXLWV29maZSJhZL2S6JjxA7imGDB8xl+4ZW2TIcwGfnQ0K3lm4wOfsJWvxyU/bJYOERju7s3QaeGzM3mIv7gn/utH28b9EkEzxXsuEz403jsekb/NuNYPGvQQpHGa4njgLli5wb2Z2xs2+Xj4Nln6eDLJuZDgKyVWm8+G7vws6XxIcZZ4ZwmiWzlL5Dovk74EdH7Y2eLu97iEX96Sk/DpdDS577VY/o1wexbYAwXizjL53uDZqGQHIfIxf8TtHvV4abqOxMwZr+lanqlFOzoztyvcn7wHJ5MxJfKjitVk4A+PJsfZlCXfF36QeesOvzU+m8kcxyA2aeAP5eUDpDiB9xMXl9lFtOGjxIQVQYqXqHDjgxSruIv5lsls54Jc7TiWZ/OzMuMNn7fyiGDsrOqwxbwz6B8Y9NalJCHVp15WZCnbqexCbu3R/BD25ILkR0kvB6HeXS/sFO2okr3bHu4RCEdmhYe2l1S1GdctCZOsegscpTkCEGIxL12GtDb34xrRHakeHolen1v0g/V38CFH0cjkPAn71ZcpcGwHgxOuD9OBfM1bltttMsPbLOoY97TzNx4hCV1lwuQOe9uPD8xgbw6b6xd35nxzzwxCg154ZDKYycn3fTTFYHg0JSJFwaezXX7hQJabs3L12Fm1YyQn3xuzcKb3JkaY/h8erN8fssUGNwjH+Mr9luyzRCzMmRG7cceUCbPfUAJPLgcvnpN3PZXypCN7unC54XB9632VyWEYXpiO5RIxnKMWSHj0OhdWFXJWXA+NaJcjwx5XuCEes8ywMiv83DINcQp8b0zqMvn/yWNIYmsweJT3MbWXFY+NvOh58hHIr4nWpc/HOVybHMVDXrP46H5pCODxHsmbmcZ8LjvrFePiIDozny9rJHF+vDFjnM9IWRjY+DYmF6S91RT3OOPG5cmJfdLdmgiPLs4EFoUpDrQyHZ71xO9sNavoOIw1xXa4fpUVp2MKZIdLxMIsjeRexXUl2dLcry78zL30JvW72/VKZgh6fCEHdL8dpqNZOtyayRxJaxuFT41d/3SndyCpzmZ4ZmUxvOjFDP82OQqvOXLNuRNI8tE85qUff6Kyk+cZN03PStnpn2a8wYX/YNFVbfAErfXGlTtmuCmCd/BxN8J72Ms19x05i4rt5l6OZPmS5EHAsbp7wtH4zkqhrOODKRPnneV5ViOtHpQ7xsCb0//6JTHU+9ILna9XyBVLFqAD/Ctm5rjHjkcyEMnnylnV+50j7suZ9fDkAwd+XW3NuLaZuO+d+CZT5FIIjtxY4w02Vp9h2Xtn9RP43kYvR+hIqlFXX4QKZws5Hlx+pMIeCOP6JLUS69XJ08PJpK0JAElmEJ7Dx7Z5lczt35tFix9reDQFa2jkqfGgOuUSQrtfZlXHbexQlIfe1kyRKqSo3FNmfk985ML1SgJBJMlXiai3xN7O0uqC29dhrTpEEMjS+CBhDtkyTqWy9s5mXMsOWhc4EcY1a+nhmUDDDA9ehJN2cnmQ0GtGSC6Kui/PHx/EzF0fzWROMCBq8TBftcPKTOY8Y/pdJiO8Xac/iXPEsldXruRhF/OKuot573Rx4raVLBhFtwYkPaH4UkRzk+8O9tSxqIlvxJ+INHpFBuGJ+43Iz3hrzzKbK4zmu5EpUZAXabxnMEQ5RXBg5cef/PSFPVEyxLvE1SyV92i8YY0df3DDmFUbNYkbn5oMFxFMKs+k87EaxBuNLZF9HP/nkwEf1eFHjaWEjaQOLOqqZcq6u8+ltNt8mRGTCb9bayrSbS19Fu9ZbYaXw8isWKX7wyoXEA01EDEmZDMrFFiT+USyTBYlQW/BLH2EcPjF9w3YTBLhld/9WMpe7n4xX5nMH05MqAUwGoQSEkbnwz0zMY2n3oeerGsNOf7QQXZ4MoHHCqmseC8CP98rNFceS5yrSKGJFSIdxAFE7MQRnMb9XvN0LmqvjZSuIoQX2QyQ4cOe7wxn+VZvw6vgd5pLIZQRbyttPMdhpmch31+4ZnKUD7h5M6IicmKNzwAYBrZ8ahLMf6qYF0BRkIlJOpYQSMThShyB34Xb6VZfzTGBfIZQ2LgiaMFCQ0GOGTZrloY82z4YJJcCnQER8L9l76/8rr3o3ic+Kqqj8mxe0wdJySWx7WNvpUPAC7nkQav28GJS5wHB8+6emIJAONhJU5woU0SIeGGRNDy3k3khRSfhoaKOa5M6Cs41GRbehAawvcN9xDKyrXFqmfCgjVqSI/I8bLHC1IwHWxyxhHsR6YZ5fv95RHVXAd0AhjOUBDNPnIrVRPB0+mnCOa8hSsakI89zhvpQAiMrbq1jssQ5IbXZ4CjTV/CQkqI2KHHBkOwz0mQCIHc+TGzj4suMdfy3o2jQ41FftJQIlqWVLUPCD1MCOAjeNyOTOjxovve8JqOBwB9rPltTnBcCP23upQyQL0J+XwxcwYDR4PMLsaxloj4BsxggWk4c4iC5fg+gGfF0P98XqAqGZ722pds9626pPhssEU+w/iXc8SGb8q16EYrrRwlPL+kBlUGGg5jZodZvmat/Gde7e0nXGzhgthkx+SOcyXQGn2OVxGczrngRw7+Bf32a2I/v9C10T7jefxM41Ox1uCYim5wlKahyKXZD1sVOJsHxe20Qx8z4HUWqO/yLsKLszGELmYN8kJEtpVfImpkNM/6zXvQbiE5TjGUaXeRfip2+M4Kt2qXcY4AD/EaAo5LkeGVlQlwjZEzcxIGH5oW/PplyEJ3M8EJACcFuEH/lEtJ3IzPenFiz8T/t+TismF+MpsAn0xv4ZiEPXiSHIQ9feby6jmZBKJgS1opDKRiWfqwRvj3cE+9d2fwl8AAd+M7afoadmSJ3n9nPh8SIUMEYOwq/Tq6PhTERiOwdPPMlSyCZRTv+RCb+hUf3aNIWEcX1sTzpkccfHgIkjPGMhkCtS6L5g8eq2X04xtmrGNcIVoOoJSeRT0gobEkXCFFbA8+avdt0hsq0v65MCmgw38YHPLmVGaVIlAfhrgGPVu3HDpIPBoazSV2tSwDoM/eZLbrPZtWOeHJIPY+TV0GhoZZ3ybfUs3d3iL/hw73JgIKWvr3OvrNmGI8J+vheLVhzOtyyd7TY/NTgIncVGSeKHBTaBIknH0zshvvcXeM+VFvB4X2Pp8KRcToBJDQaEOeZyoEuF8ZTuBv7SkEvLRbLukLFVQjgqxhB9xdixwhJuFTnKzlWnL2UDe1ovapDQnpnIrIEKEomvzbvLXF4MFIkVcu8IMWdLXhJ7K8ZPCJTzw9mvAHm4IYVz/0MSBvQOakd0+GFrz7CPR1vWfhFVW5rej4TS4IoOJsAuEpg6Gs1j7q6qL2OGaOhsECWPvInUkXzhV/Q2MGekLSmwntJ+dbiO+42gM/6eCCXQnIt97zzYaJYzzn20QrAvVtd0bMwPxY1N390NlG6/sjTR7lcy6RzYrsNJTCRVVbU8iXANYPTdMs2ltcmuMZmZJnkNQAweWrHtS1ynkcPG22UrOV9ICPBvWMTgkfP4PunydA/ySQ36zirZGgPrmHVZNBBP74z4ceDvoh8mM/qVQp6rQSDQdTWjRXuX2vJ8SS9imMBdC7sUfzH+IkCMNulQor6lLpdHNrhjjmJYMCuPD96jvd+/iUdBP38O/Z+Jh8TPBBNX2tYacoa7ZlbL9qRwmmD8JQLel5Jcp+2MtlhhO6nC3ZrvvclzrTcFkBAxQQheGOrDvjj9L9AqP75SxMIOctCTY/94ZkdPS0DFYxHDsCaJpfDCf05L9yZ8RalVe3poTNoMIJDl+0cFBV7aXr76zVT4hlidLz4npgZkzA2Q/gNzlFTt0iPNXRTbDpNpOLlrTVi10tagv56z4gyrljE5h2+/TzxcMRr/lEgzQ/cqMprTbCXacTq/GR6uOojtL8DTxtXz7iY40SaUC6xUvQm2JZa+ZXc8ZUbOk1rTQ42hZ4jiwSN0RNpje/uTRof7s0z4MFyMFyvthNJ4JaSX4UtPT5yiVixXwnU/fwkYe8o/99r/YF3dC7qLsLem5Rer4OpJr+I6Cu/KzloIZyDR3l0Xj5ORz14insTWxwHHTHFJ7QtwTeBW9QaP6BaJ+nhcW2rUAe7xCm2dtsjg0kY6uOT5mXfjkXuDtJV97+P+clGZDaL65Psk+aMXbXLC8uc1eDBwoU21kn3JzqWwseI3Vx4FZoblUklz2i+HUruNPLljASc572T/JBbEL01XpCksGZTzZa8KF6670z9WBSUSNTjWBr2X/zt/F0LFkIoJCYfAiecVoKS3f2GY12/CC2z5Gprw4bPPmtPfJ7UfZNOos3cP/npm80e9NE8dteVlBOaDF60AkaK39fWap6upQW8Sjx5dMqUvRxitKhpp/byddCWH3bMjx+Er7477FQpr6RTac/l+8C9gpxwtQ0rAEk25YrlBBr51zNuK21rf73n+14Ook9uvJnNoIAmSbrU+/nXSB727z0R4CjNZTulranca54yOG6EOeOHDLUXM/nQTa+9L89hGZPXmicEPgrLVh+nVtwi0k7YgwE7QS8PEFQ8EXIFj5AegTVgGfbIz4getbEHA/mv5hcVFicJABQvkeUWdbw1QZ8ldCQ11i+mf1KbVtokkdCu0UKCz7qyUFF1ff6BQge94N3MgNPP+z8FkJP2zSDqsBMrRfFHJvtDH7eho/29t3vzil08rhWmDAZ5RagVlahJW3x8hpXuQk9Ks5UFm5e21YfmgbAabWdlWnfvEGMrM7lMpICT8MReoe/IU4LT/1U3isVqwrU2Fb2WLfkERUH9UlrYURACbC8+aG1E7UFLzo7cpmWrxJMEJk+j9VL2R0eK4izZ3UvbiznLoKz0t3bfr73ovndRWGd4QZ1/4K6cxRNtv9Wes0JIjfn8+dWXltnNXt+vy1q6DXLyBH3vbFbMQP3qwMOMXKjRfIeQEbfM5GMjd12TlnwvdCGA+OlE8ALGyphFeao5viY9znqFjzP56N+bOYJPzmdK9+ZSmhvlkYCO1vJD243Ri+wqtWFc6y19Be8E0Zs/nrbwYk+7rkn5yKehlMDYEwqXhC1p9fY9Ij2OJPeAxctUOQalPbZW7mclLBXgre3HdSY4HrM7W8KEOzZPgwmJc4i+CPa1hwDYEnB28tTnk/axRImWb+Ovhm/0j6D/P3/huZncmyj5rq7ndfL9N+vkhqyV4RIv3OpPBUW9tlxY9J+2etT8lw23FPF/ZWv/pe0pRjioIgsAlNKYyqUmni4UvyJWjXK1idtA+SUFlHD5tjHzpLvhQQbChWbWTlX6a8kMZgs2DaIWW/8C4y06A/zsXuoICz6/omhAWbV0PelLTS4L5ngXISWRrfD+k7UEgFs0Z6VVHjqaJeZHltizpFMLmRmdw6WF1sfsBSb62BCm4mti94RPAtNXmeDG4cEs+grxkv7HBjWbYUn1ZTP83VJwmWiPq1cI6SUgSPoX90kE+Hzldg+sSZhPF2msKG1f+XeB78jvKCXh02Nz5UaOgsNNd2fdYrs06CtmJokxWUSVINSZu5YjcIXicowaNks+5TEAZYMYT4HWXFlXH3qdCxz3tlXZ78Rz0Mx+TckTizbm7q7X421VXGC45d1W8qCWh0DSJM32w12O7l3pxpXuzrcduQhkPPHqv3yAiLlhKiqcsJMg9n58+a2FEfQeRoS4mEzOUGy0MuBZAOROPyZy21f+t+Ti7HE3mNW/NxpwlZo0cMb76zUlxPrMBm1r/KYw5JsyxYRrlDhrsh5ieZvDI3mfU+mVlQKNjDda04K2IjQhbFj0CEnCG2+ic5aWejcGj2vl7IV7pfTGa26EwHs8mLStXa2F7wk0vKpvsMTA91xgEV/yAGA3b9nF6ixw8n8CYkXa022vbAmlXYSuI2VCUskDia6cAJK+00BbGwKaDI+FG6+LGs1DVB+RZQchTX4V0LnpWIf7XD/IvxW2VHScT8hHmqMfWRe6AW5eS/GgieaVhoFTRHd1d2M5Ufq7/GiP2ocNBhRVLcW3NTma2oNrXFdfJsejv3Djc7Pp4wVzDZSL3o5hV+F331nnwnsdSqybLgJZZv8NVTB7BkzYxg+tkXklMEVEX+gp51U7PknSJIDL9x6gMFOHqK4qMgbzprhla+97Ixlum1CNJWJa5GckfOrwbEH8L0nNGwAtudMITA3MJcMDzSZjIf3LpaTQztYs+hsFLsDD5NHXwN6DaK2s0+rdzAWZjCRjWtTxN5B7SyD5m6wsvoEeEoXxRqGWldttmZl9WgRmUcwSmXtuMTGQtwvLq8xxS6dIdCLhrna/zAzv/XlO5nu0Zpuraa81T8HkMr0383beYM/H/7jt+Ns5uaq7EkRzkDvZVFwmerjOsaVBh31ScqVAHai2+InHFZ7o6FjiTs1bJwt7neTevEoOa7/5/e5rLJW/d1ra5iATjpUfb8l7bpoSL6A53+16YLR3/wbM8zcf0qIdyuUtbbjkbkAqP7nY3HAgXX6bw4KnUUpbNCJ3KelI0pe3h3JsglljTn/2mYxVq7qUJ2Je67M3AhVqapuQSHiJq1VCc4+/yBMiFGbKZEOg8Zl7iqyIoh2/41EgMCKgIA4+OYKv7Z3rF4/sbdxiIj2VuH53BdR9Zfho5ZlfkaLVNtIHbxDK5i0IZlUfZlwpKmE5sQ13r2goGQM92Za+EkYKjdZnnMhMkWJLHxp/jR62kmkr3S28kBLc7QgyYJsBhVso8ICu83j7RuDxUthch1vvtoQAYFrWzZbvnoRf4sYbk/vCW/nJS7SwdJBlEip/mvf5oO+Z5G+wPnxWdJGg6khHGNwB+xZafUiTEoiEyVBPjdkI32GHk6sfHVmCFQI4sHIerptHEUQpvsnU1ewENBwbtYHR7q/f3Eus+EAQF1zcUj7HSOhCjxXRBfa55Fx1tD2khWqVu11JS8MLEzsANYzCj0fCAnEsLdnf4lar2GrCmafhR1FXp5sTNTwy9KetN0GSNc8Dt34t+CXqAT7ZKHcafHKZfMuztEBV3EsVVV21H22sszjxkyIvoDMWtp1bDobIYOS1widEtN/2Blpewo20u9wDgS+pvpSY450KywfDRyRtXm5+bkEB7wK+nHTIE7ZIw3Uh+hdQUOJL012TVexHnkXop443PCwf92be0jYqWYCIOtoGjI4IVAXu+cGMkF+yHbOwMPfUnuDjurqQTmCTRSGmTi1fg3ugZ2vaZZK3TDiX5KK6tm388qhV0HC9qsvKpGAaNZ9jctkouUqR2v2qaWJSHZJUh0ZvUFqmDaQQ2jvN15mAvbk86KOeQBrPZnIBhkOxjV+1JEFHcB8MhVA6xRtJ0VFZUgkxKM/UXLXG/FwtsjLaZNSvXAg+BtoyW7XD/c1eXB81z/muSIdFQ0xK3yQ+U0gRPgkvd19YBGHlhnuzALAwVToC6pXoaObgcGTuGlxZZTPzyC3q7kU/3+aHSZ3ur1TC7uPOzLjf2w1QwlrtTBIUU9+yXbYBKCnR2e+2TTAJ+FJ7U9h6dZmGnyZLFF/mRc1wzuAcZGzJfo/s2t2dtt4kQ+Yxt/Srk1lRNeYqFFaQy24rryt3WgNd0HewJ6pnk1m4LehXl4b4o5lTuOYR2VBNpyBvF7VnH1sAbAt7nivzF0wBAfgH0bpoyOHgptm2adOExGcmL1SibxpJ6Tf3vY6y8IZH1gBMYbbDveVKfpqX+Z2SwOpKfgp9Gwtgy2GzgAiolVFN1dkiIzk1OAt5E2TFgKEI/krDm8jq7tF2vSUjSJ2hJ2dnne95A+7ugOmwV1DbytCPjllbSWPB++ldeopb3SElsNQ5WKdg3zb0ZdDeSqEkLrQx6VKt0tmwbYFTmCKWWGmuH6UgmJ21PJC1J6DyFKWonu+CNIy3SqAo3Gq7QqAqahzy70HTMVibYMqWSSY5kl4/z6EAaVxDyePnh5XrtXgLm1KtNf4xRZAH9yJqCrYjU594sVCZRhqeeKCnLcR9NFXGG90QL+8o7SxAI4jg98WExEYH0VGag9j4CN1sQPY7x5XSwoS4PLolVNr0gBUGCh7K4zQt8CSUtTKKQrssD+RdR7hAuBsi1ibHoQ3Q7kn4rricO+H/S4cjdOQ5B2kSTfaGT5mKomi4UQQOYBc1jf3KHsoNSSPal/531dwu/toJ4tUKecMYjddI2liOXK64Kfz97z3LtRQ84cCL5yZebBjbbnKNRDRXIxN4KLdJj0BxTx2bG56X6aOkuJRGla7XUQiIbIXwnNnnv4TeKujjXg6FRjI+/xyZfywSEI8kn/S/91aHtVAQRnE2xs6i4Q5ZjjV4bTywhkLQVogfPTHUBhpvgHXMEQFOf5IQJSD+Omc92O8cZQu6lX673z1YeqH0Ynmksem1jbcgHJ7NzBYev6y8Z5mGpxXIEZndIpMnATGO1DMKJq+QxKJdXci0XtkzhtoXy4BctKMOQ1uMO4pPW2oOvbOKhb0mW8Mjmz3SEUo6G0ppwWSSPkniCGI+wumVOpmm8iC8T+MIwQnNEn0USl+JhSs8X4z3HnRpaFUr9QhPGrUwip1gH1D2lvt6+VLkLBCZ6VkgjSLRUadRm9qfwHvcmbRFkTJLQkc+Tox7oKH4WKLfvkzjT1JQe7amX2mjobbSiTObHFkanZdSMkCn0lfCORpkfMUh7vozHhUihQMhZJCvozwCX3GbVVuPk7HoiRWbLa76sXKfQweeg3s/mgm3VlKW2AtULAeMhMEaGcPkCYxvEr1BgcENy3B8jIFBj1Nyph83bB7hFFfpDsr/LaXYSONVi3H6oVKtKyeRWKoiGr3pBqSVcMf3y1Tf9jz3ytp7G6mAQsQQIl1MnXBhpqILzfeZq49OL1XZDNrzS2nBrQVEWkmrdyjnWtD3NvgD+pLoYlbb+NNMRfDlrC2pZY08Q7bS+B0HzbMt8/D8KWhhdaPfle32boT+QHpT8i2h8PRni0x3pwAtiDytgfZzNDfVluUNxeX6ZfEdRqlVeygkl/BpQ+BVg20ftD+/I7VLeOFtHn6QJJuJKLwjiAVCAJPVpoX48sRbXdrCMbRPq7LN4z5Rzc29mVcT7bvh8CAPBTF9vNGM+oXSJhQVlKBZ9kgvvZFsBH5c5zaOjM6HvUldJUBLROhsoSwRHgRwRnD3zqh2PkTwRYC90uegl6jqKYUUE7+xEB0dqCZsYbQOfOwKe5/yhgWyxdZRxJJ8rWU6VLDHNuZxRTUV/z4qBGyhK7wXnwJejeNZ3V0X4CbkbQsDDhCv7kRwzu+Z4K6Nt81TPDwyriOeCnc31Z+YzDcdM4Ji7tXuIkiaeS8L0ZCCTR23lg2HbtaC4tn2ARWqkEYvReVcsfJq33N/q39W7Or1h2jvKjgFjgK5qLOGiuV/VpS7TRv8uP2o8L532FpuQFtYD0ggpjdI367RRsUWVg2gGpKibHhUflhUS7HLgI3HaFzfYLtBv3sWXhI0tLOkcyl9TyBqzTPO4sXgh7Z2Cp2iHdlI3L321CZPINva1lXwwJYjKtGh7dbHa00YVCWZIo2EWldrAK9N9p4ISpTnPY2ZiQ8PKhzTsjJtK8ew8L87QvFMA4vOZMoepNYTpg+pcIQld2DhLoXyfyegoJbTFgVQiFBRHIKSMN4+OtTeSO+SLZ3ONZEKn2gxEZ2ppoktTlQm4QctClJLQv9fIqr2fUV7Hg8j7yBAZ+GiewZrBz8Wwua4XrdWUk73KWcSePzKuIs3JqX6SxMUvm80pwjHroDXhpBljCnx91QCU1pKPLBEQ4JflujF5u9FK5nCXChexQcA2c/iNr1BI97qWdagzUqTKejt9iZ4OqhsFs/9NJleBUcrq0iTE82KALHfKDOx8eVkyqTcgnbyh9YrICNokZfV3Y3utVD0aiMQZNO2fsAl5PHB010Xd1bvkd8VNIssrr42+wC3NgYJC78rPMwk6ToIOR0gunuibOD4ZKImV6YflSxXjUBnWyYNJoXNG1VZO7IUkf1RsBNPVSQRlLCUmTWtkUEsv3wOtH1FWUH6eDEvfrQv35TKIPkrYqFCuEKgGJOW0LfpABLwQWQDWi5HfhI/enJEi374TXmnyHHTtnbblP0ilPDJE0X11SdrYmU1AE3j7+hezLi2rOekI6TYtFWILrrR+0wt3yAD+TSKhzPIL0QMJn01t6qpKucLPM/Fp6BSmtGBVY7Q7ce1ctzGtXLGNZCVewqC5gQNXHDkwXEkqG8BWb+BkvNKqWWdLzNfKEBzLSRsE9SeHiu3K/hEsV2o2o6ByiLDoL1Ysr+GLt87NDUVKkIe3bOEnkFD7fyQNKG4TAnQ74pMKIIn9QQp0yIEkW0y5l7pq+onQyW3tKQgpG8W0fxoWpmF/33UZ0WvBk5VwSnQGX6w6igIQXvyqA4l1bGgiCYJ2kp29dKkbnxnFq3us9TF9UIwNnVNehQ/EKAX4oaBjgGOPgATWt+jMruyCqpGqbN0KS/onmkGhPaniUgBWxATgfGCvT+ZJddOt9VQY0OMz6FSmfApkwJT9Jp+97JMbTSqbVXd786kH0JgGq1fV4+A6cLxhLlGOrTrbRRGF9JdrR9EQhthkynqCfJPatvv9lVpGngNg0ix6pVfvZuRlePHlvtOBTGQD6ZPIPsLkl9IW2glTZpof01MsUMhmaBsIuK2Vr2sYg4tKRwAhZt5LcLR5jZUUq71ii+1EwhxFMcfKDg+affXm1mjl/fN3jacvrToKMRW4epYgwJPjQT2uR8fCRPhOkiEG86okZV+8IGwIwNbWVdnFU9kgjzzht7dTe7NUMxlkJ5O7faSOljIYlk63Ct5tbLki0rqYCWDrCVWjsRmqFvngMOWbanPBIQR0mF8kYrKJ6cP5gg7Seg0PKLHtWgpXCet43JXqkDrQOOKkhU9AHvAymX6KBzPWSxqDD0pQaUlzjMQps6O3wQsQw+xx5OJ0IDE3ivcG37DKvHu8NwfVIo8PNPSRRvKQjwj/ZXZ9Lsy24iNCelaTGkq0KKRdF0awWLT65+CKwGXBzk9+zAS21oJdr88k7iklj/eme2QhTfV6gY5KIlfQqFAjRtdzBiHznwbf9Kz5Bn5VtBXZhs3gZi4bUSZljWlMXiA0knqfDQUNJLDl9ips3gn/lB6Eg8tFA1eJ/TZgWa7aqFh2amRPO8iRCY+qtXXmJQt4Mxg+IhvnOuQaPzVsFvH9f5igmf0tRrmIsRrtkQDJ0YAiLpx9iIWNDwIrI++luYqVUOQE6qS6mTmznABJtTZlO7aimJBY/TupM3r0qLq0abMw6qhV9vuGi9JOCdE5lj6b7/p20krWBq1u5GZtyLPpPgjS6JP8iZIWpRDIaoIJct20LStRLsi6GuhWtTdo+WJ2nvnCXUldS0FAhGosOfxuMf0w3r5+EOJSVky3K/8SvQzOFm5JUOoy8dImQtLl0cbicJ5PHakB6VtLZ0QN/kRZlb/BYXl0tdUJkuBf0vo3cvBVCugA2YotT8hEJ/Sjd95PRtInegutFs3HSk4ruAR6NPvblgwiZGgkmguPbq1ZVltYyt7jRXCvrKRbjS/QR9HYZ9ZePRughkwbLdJQbEhp1bAjs6lp4wzMGTLxPni9pZ2HbANTRtbK+kQ4SMgC/bUjE1AYZB0IXmMQTKZLb7Z/Tg0Gs6i9gS2a3h9i353Hmt7/KRJ0PeRepsijY8i82+zsbq/6D63vSjQqnjSxm/SgywG1blJyU8/6GKkfRf0q5mSM3v5Zcsv4iyq+vpgv5mqfKLbqav/h70pyfLGMrKYOLI77rybJTx0BFaNrq3GzP4y2nygdHh+D5QwJq57SlMXjklohT7DLwaJ1/aBH6pJESUi5r74nFglvHdSi5m1AGQKgsT7q0dRPz9cZbi+Z0nN30IWAUlZ/Fbi4cJEqec0MQ7Jj9U/d1piEIfeb1JJmITnkJKRu7ft/viORobIeJEgXZnY4QfNvfKKJHD1GrthLYcfhTyzQrLx1Kgl6Hd9wMrWSwQHMAF1EsVHZtaPZ+B9KTvlXcgFuj99K7PrOx368TXt/FyxdYFopy2IruLNvbkDU9GqUEUJ2CcD6OGENydXBNVtngBhxTeJpZyzZleIFwp3pZHzj3qVrSS11q7tAdWv+iZL9kLamKqn4r5oq5SmNRZDvv2K6m4wceUZaWBZEMptxOx35tCXj8yVmYFGgLQGtNrN3PWeSADJdngxtjIsTQK1E+tNElj8+MxdKRomUHvsYYMjSE7wrkJF3mcpGm1c9n+Uxvzz141qXxMhYRptY2kFr+ADl7pNPxg0wIKIX9vkYnZ5I1aeOzQaCR1rEHJBIvaX+hztlHFIBoatfca1+vitXMdaNzlSWixRRge+p45edLkSGv0Xmf9CX/ysGt1nnvBkq1oCYFuuV+Cpj6TdVlQg5FYFA9IR4u/JzOJM+VuCjJLC+Sm1K6qXJciFbKsPWG+QFqQayRDk+dKtNvKbWK8g8my0+Qd0pgR/aQE8cYX0MoPLo+TOnU8NVo8Shm9JhYUVXAqNB1Wc2C3Fd40iCkmLFWGcBXLh89Ue7qn7nHwsHBO8/xSoSO6ASykxWlXxRllcd3RD4r0Q9mUpVHCvLXIJQIEvSBbnUKUvAf0EfZWh0DGsVhhjKV2CQuIr8YLxNrsX2rr06/Z6BJFBB1+1gaq+Ao88U2FmNHzdqaUgNuZBabsxFuqIaUgcDyckvTYUcl6T5W1SEsLbYmRz1TzxNrLF/PXRYjOnPAn3rDKaNv3I+lcBLNUGBXpD4IjA8+81sQ0PvG8LDY3fqc3vuEIBIZFwEB4bqgzPBS28JHyefoRXaBmwsooXvSigNXvwdPoX5a42Uz7maYh0GoodW9/3WHyzCVBajmpe09sNJFu+NIlpkD2v/LjDw1YZ954cgOg5syM2ZpzxlMHyTJ+gpCNh+GVG30TwN1WpLrQb2uT2gnf68oH0JiKC2iqXBo9H9EZPjG6wbbhWoM0J6an9D2vShLkUt2l4zZWZ2bIr9yfZxG+WzRDu1bIqFPgz8Ict+xP73FfUQvNcPdoFX3cUtfHUZSNtv2mCbv0vINpvTtuS3HV0c/qwaexbX4W+Om18/fipdIQ67kAjsjDZVqv+Hh7QMQLajx9f/zKFe7KaJUgg+9bdFE8FDowShA2ht0CR2lyv+LtUUNOh+wnsqnjjcqKzabhVz5WdJWVb3QT5InzbcE8ZKN1X0ClN3FduR5KNXqpYFv1OMxhtyhN6kvarBTysJCM8rgbxp5YcAtlKYvOxe2cvUpqsdXVslOiZ5QfPQE2P4jd1mnto7BRsn5xMv35oHQWdkwnohtt3LGobHkjCFzTH3mmKW8FAgFv18/vbvdLYWH87kvVSvvBwy2AULjT7wPkeygfba4AzFxywwJrir503lYGGEH7iWbxnGi4J5vgM84G+Vg7LVPvDeEWGqkKwzFisoHhBlXpi0ZK8CVNVY5q4osyUciVHwBKgHpLUbOP9yuKHM8Tv4dnGvlQ6kEc9BW2Xv+990iRQBarfh8aniHd57hSW4Ti0wlhVAaHq5nEUCkbkfTY+q2j5UAy1TDpH7OGDCZ7FLVh+JG035ixD7cD1rUNaL/olmhZbdzWOAbHf/VtdwvTHRz5VgBPSGeQwXtFuNY1qeiiLxr8RD63l8YLii9ZDszjKTUmgzcaZ8UaL5tdEheQaopBN0GIokrSd+iHWOw3Whfuwpbfz/77T1GhMgKg0SqScTk9WGiSAdN/67oQ0Lu4wbNArpKhB2u4VwrLBKYh/4cBy3s2CIdP3NqVqb1qlb20FvFD6AItNN4RdC+161pqcgUUx0Op4mUQXMn81wjqVuuM7qu96Hj3UQhP++YdQBIRYPRTsAdoukl3//aMLrycJ92bFD9i31hqDUHohC6teKxoracpvtIvPClLZE+vCPYiHgD28PcQLrVlQQNHVIVEng9KmKbMW9Qjrqjlw7K2Xk4dV3UC9JhrjsRGu9yrpug1PvJH0RqjzwN8h5oG+GSWAd3eB1taoz5bW9CKcZ1din7SdPc+hdI0BPXfFmfHIdl1DjvZVA9Z4WDLHt4Kn05/hkQYLtoZh/s52KuklSKJ/pS0+gC+c8TKG1hxNtKvrBJ5/HK2pRx86VfUG/WquliAK3CMxldiAaDOtaQ6sjbFpLfDC2ZKD16XlQsHGTxxPElq0Dy8ibsVG4FnK7Fceh1js8kBfkzYbHE2TM11CDn+jigB7TrucY6h2k8tOfDiavAMRFMzavnme0wpZtaFZ0rS7afZ9tQL4vLZnerujwrS5bsNe+XAVCenRSVYtXvlg0sGb0rGpGrzlQza6r0RoSVZ/2Yjb10cditGphBfqkp3M4mO912LAu5hpFQ/UkWOnFSNldyKfV6HUwvJLmDeBplHCmAtai6zZ8PYvDHEguPDB5HlgpQJa7kh1Oq7J+nt7N53x2/2VppGQ05g1ZfPFTBfDCdPaaRwN6beMTrf1cf1YPtw+0nqb9BB4Oq11PIbYehSn/6Sdz8N8s6P4+k/o+88mwoyD0fmgiNT2UTeg1QcVbre+9tT0ABLE+39h+/Kff9F6GttyKoHk44bbA5N1JC+/ZmLWdM4S5yLSsUEs/c2gFxxNZHPrOfk0qNLQ/KYRRdJpquz9Cq1aRfUk4ygs9VEANSnyLvSraJ6VePG9MAv6Wn00xtNicNa0PctGXE0KruXUyCexyFh4NIvWRHukJ+vIABZkBFKY9FGpf+/WlGKJngim22A3FG3wwdxOhwkXGcuwrNVEL2xzFIAeUxWGkoxYVQheypq3rz61MdsJ1uuNFbYvHGoIdNaqL1HGd4GCaA6DVz4dvrdfyQGAbR6IniJS0l+oZ5i6hQW96IcptpWcNkQ/kVK31Ztr2BgX9VU8mLrdGvCzvE325gnpP939IfGDlbFjH55BuNYsNuoI6w9hbdQLPsx0UXqqSvD2YomXRNIsXkgzHV4sFCOFx8xtyPl0modOIGxhbIGloDvrJm/PZULB0CMr55qug+k2dTUlXtWNFkLV8T6ruapqTG05AKDh3otNg1pII/Rbyw7xXVhY7uHo1uM36GE4TmMxK9ZrTkXDq61Ft5JA7fx4pT2NsDFme7zEFvMELPImxExetk9pQWIoECzpe00Kbgf8aMMMdAq1dok2/fvGZME2/U/iQl93L2DJSPqRM7vh89a5aSiR/7KzhiiqOaMxgZ5AripFhFD+1fiIzCwJCT54hF5E5k0IE3UU/1IeVu7QOhAT9JNuw/CyI53ynW+5NX6amrz+PmZyisV3jfNQ4KnX0dRimvCC01ZvpOLd4vkiBEQnXgjcAbx8aRmAMIXkJJzAe7RER9hvxhcIhy60HBAbLmn3q5sOSmDBedtRo5DcYUZDZhcm882d8J/Iu+gFB1VCqFI6c+ER6Hel07T0Y9mI0a00YAq9U2/2IN0EsolGjZl133vXgyzf00EeFBkaeoPT31iJlMSwGMTQtYWcqB/ubjq3TpX7Fam52kb14iGfbbVaGR4yEcgymwCQYK0rld2PXiIJSXyi/KFjxaH7q/OLasurxiGmuMWXV27U1O1C/IIbuDUQaJWDx4skENqPX69qJSlNEb6nNinMiUY26s4SNB7lKbnDDnrfwpJI23Axq2/Ee/DzyYQN1jyB/Lw2noQH8pmGF1hyeY0ZqLcvtGl6gXTFVavY6AKvpI34fMqMn85WHkrB+CnXsbTXjjwtANOkn+IpNI2WMAeEiKkqnOKU4mipZaVwmK1Dv71kDj2rgF5IB8vKGHO/OrMaeVUwfU9WOkQFtl9wfG0knXVXotpoQM9uWv4oX+Xqv+RcVEajUEAqmh8IOwmAwGow/FutYSH0Fq+//XHp36nzDHvLHundxCRJHI7kpIk38cyM4NnOGkshwhNy7eYKZkmnw4aAdXARG9d0oJN1MjVovca2rB3dMWdoJE7jyrqz9XWIwPe4zw7AQdPBamNaGap6C7llW3UVxW0QbtDk+c2c/lRifVMYWBIv704E483hebM3SyvhWlq78vG2oflAoOaACjFcr5JYZBNjJYmdyHhlLtNWQcn8tmsP+iMZRdbJW1bdqqU9sdyxpnx7JeL8FDNj1lBRC6FSoUuFFTb3JnF3gMZ+KhiUokUVVaA+XjNvePfoNBZwLThRoYLOITw1ZySfQgHOvmUQEuGfBVhDNLOWs+SmKQqcR53E/huvgah1EjI5ByeBH85ZaBltG11PLnVkPeOy5gSAfMJOuigg6G1rNatcmPgi+qWtQnU/fpwnJnbXa82h3nTuRds2W/p51eQTDTJT2mstJ45UNI6ZxeFCbYGHuNt0APCEgE88PL6qYR3LkMgd1NW6LRUms/7DyrhwRLYQ9IqfeCKFlBD43h2m+PxQwZJ6tMTWmKy0vfPSd8RYXxG4UIljgIIZd+jMQraT0yWs0nu7vxXzRxczU8t4dQ3va0403iphdHhiOqxuQZjKxdA8whCsyXxxUgNmOInQhrL8MlEt2pc7GfNCEtQdMIq+UIUYvoo6urYymYxCaFUIS1d0WGtoPwnQLxM0mvvNDB7MOMELpa5aQed1dVZ/SgttIFj8k7HCP381NcWXDgBcH2X+H1z4AHOvJHqq1o+ElmbWwzaC4jASPscUnfq6ehf3dkweokp9G1l327JqoH367wpRI+5AMymWaogQ3I1TsGmt8CITv8uhBKsxjCOncOoUD7Cow/xHUhk7LuFVeE7UQXzosKID1CwLtWDV0T8LIQu20XJSU/KVdEdD7an2Nn/2Gi9S6RSVX+ruGh9z2aiNAX9pFao7Uh2t2D1XB1nf+2ik19pOcVa19t3g28fjYr4RGKJuyHySH0GU7lZgUH+7jUNA5sZ7ivWx+ZVdKuJOq2/7WgoTTxUL7fiQ6YCPDktJGJ4wjPAHnqEMEHmP1VVMnvfo81lSD1ocQ7r1CrsiVsiq4iC3kXX0mffjJzJn5ph1VvjrtQkGd6JntWMnHL0sjnSQCftrwlxpAuE5HAkTvG8OIO711bSzc0FWJVgT9ev8+tlcVrkPs0XHE0ta/B44MOJ3HEi8ZkrIkQTwOZMb1dceZibDq9SIKUu0717ITNWuNBiiShh84muUudpmH80wOW4guI6jxsjxgXiyCOiTa1qwtYD+OnM/t82AhjxRuVyegBiOJxr+MfJlCWuidm0U64UgmJr7vqvBrXRa9RDmGe8yxoTAxnSqCrz4UKCHcwJl0S8STDV9Wh/Vn07PuubHstvm+9Q2Q7OmCcdUl5cZZOdSjCRJpwcbJa91elJhiSro8ZXXREMPZDc//4btT54evjkCyrYtRUIzXYRjFk3XKXq+/CS8N0YmsqU83p/IxHx4ctEztfO3PioAK2KdzYbTI3Ubi0XgHOrSlVldv6gcQ52kgrg7s0xwpo3WTyCyB2bQL22lke9XlsE/FYaOXF6BQely2rmxhegFP8FQcDlIw9prVlcA3VPDbMjDcHkq8euCWhwWAI1nUdCPM8gwvpprxGmP0zj0BMU4KZkrb8TJg/xonoGyv8SndzPCRNqpbUiMK805csvlXVpb7RJ0iP+FKeJ//tW0qdkgHHDPttTljrWOpeGi90y+cqFSQyE70OWOBCsaglmXrKHTOlAuopaP2j2UmpGig3MjnQj6kZ0jZo2KtrGwvlJX7ZDFe6X7sZQQFQ6TjU58aZhRFPKrKdTWnP5Ckthnc90eKOJ55aIqw9hlSzHDSbDVxC1LlLmapeQ7qoMn3Mp/m9jD4VNWjh70m1k666N6LZYC6Eyt4UiWWMc6NVRVpr++ibnL+ZrOxSzZQYN0rv7u0JGezL3nJ8tit+No4Bhw46H7jU3k0FMD+UfejnbmVTzQQoUyReHSvTSmvtY+YV1Aj4oGlnJJveeEF9rltCuYM3cOFDWMPE3fclXuz23iIHUwXW3UW1TaYq/SfBg6DQuU2aE8P45kh7M4CjRVE0K6o+pVj7XXa6MaVsoLqHl6nBBvqDtWnlLu+AS9WOviRklG6NClXOIsQIr4Wn9Lh06cGxfWvrhhOLwJ180mvIjz4smJJq/VLthfDiskdWscAjXkkC5R0UaSk7bG6ZSGTytr1LLitJv2RqfoaibVagZXDR1nNdTjFDBQ5yWWH+0IQ2Yyf7AxVolRhRse7aWRT0ksLnWivHHjzN3Szo7EkDc7q0mlagq40RUoahizn3iSUFTrTAqr3o9ByBw1Y1Yb8ygZQSsHxbhSwV3eIO11tVa6MFwubVt+6moagpkL4miC53QwsQyfZsrMrd2rtYRh7k/LGGmY2cFh4bkZ+GltS0X/QZU5DDdYiiW2MvCsQTkoBa5MF5QO1dKns1tZlf1bUb4f7gsZPOx9NcA+xyT4OmOZXiPgpgCQu5Hj+jf+VAVTa2jzRSaoMH4r07pCe7STW83C0NGgmpO7xmsbew+NxuTL0Hz9moN+X4ALXbSNC7VFXR3Nq1S/0HU04UUdSJHxyVCWrfXJg2cGiZ+z4OeLbM7yOZ5acyiB8p3Kdg5bdFp6ZQmISyFKYq3RV5QZeJWUGnNhPEPxCtmxSDCPdrjQpWjH6GnGbbAtvnLim4x8HCsWnBTJ0ikyRHnf1KumEYDB6w2DWIS5Es6naoipvHSXT+zcGfbNqBngI0Smi6CRoLxzFhRnZdT0mybXQWqjEVpiZWItpC2kBOedZuQtG7qw+84hcp7MgzsTW0+IZn/g0R31ii82Qsx/ow/2tjpSI5+p32RoK3eZb9CYihPb9itbnN+IOJkBaZpSqOG8csMwosG+AH3I6478o5fq/NfFhsdHH65v2sMHUwG/QaBTMZCrtF3d1+wXM41UdOVIUCGsIp7xvGMXEYDLUw86iPe5Qq+XluwS7qJ4ODdjGsPWKhrIkmHDWkLuKfKmtK1Ci3Edyl0YV9aqzFOxO9j7EFg4ltC3I3FyZAfdpm6011eOpZ0thZWn7qPjSmm/BCFn2J/wMkIDjM8A7QUlYUZmB+aMNbiRc0LtqJHdj/p95b/biYRp+7EhUaimr78XycA4UcPUVUMsanpOUFy72kMWkA/J5sYSsXRmgCr1G44KdI/dg3kVsk+544AjRWlsdwyz42Id5VtXEjznzjAUxr97Fb1YyDuWV4+Icy7YNmnjeAIDUT0CKOKwWO/cZjLghfGBgMU4RU8YFfmiY3NuKK5CsWs2qxLnHOVXLsB+F4yzowbU3uGdc2ZM5rLViamZbUt/8EJxl2FswuAxEUdCmacJzNmsbNNbhohYJk8SXg0RMVAjEy7gb1b1OlqXOgtftJjHZkinuGg9ClMbf+i8MxCUknizFI8ezaEX3oP6Idq7J31SPz6IRxBbR9Z43q8qniU8pPGW+X4m8+Aig41s0rSwb3UBEti41mR80UyB9fPqqoUE8GB7qeAWAJPQwZxttecLPu6kRz2uvS+1i73tSmPu+PlOIyfsNdQjfE0sZtQLKjO3g4uGTgueZM6GdGVauTTnhDwT7k5DgMx+Ha5lTLR8QgsWdKpGnN9kb8EA1s/e6afAP1e28PCsEhjivR8YIC+ly9xSImXnL5q5qB+MO3Y6B4QEEgSjRsU1aIk/6Oh2nKE0wck1fpM2rMzMSWzN9K6syqbhbDkOAhe1ohczTm5wp5LHsMM9LXMNIr9ac75xYdXdqcsS9XFHveOv2U87SBluDtoC6k1lPM+HWVi61DQeeub5aaP9ch1hdoQrFNs4Njt2bGPiYjU6H4LqAAeYxtEj87I80QyQEUXGG2i/KsMs06UNPzErQC9sm3gRKAnB52jtaJ9NG17uRFx+Gru+2G3YdfGGfZwlGyg6p482T9Nb4gIuiHyovmWt92MHLUsd7opkyhtKtlL4se5C70p4Y5Rv1NgypUiqj4YG333X/sJtq1AMwNZK2f0+NFo+9KFlIlgbt5dNxFDghjimCSHoN30ZZguMu9NY7/MX4/P95oMOQEqHPMDB3cPMtk5j8nvUMRtAtmX8qGR02jS1zUScW6R0rY8l535albHwL8O/cx1HBnrHzrzMBNXbQePQFOeqYN+QTHKAFRRKnG8yNfTkdI6Sj2N+8S/LNV+5mniChotenNg2+9WHVZxuSiV6bXiUtzKR3J3NEokLoGmikbzadFjQiujQUHEExjiJCJnTMmF9a+Km2WNblQ0iTYbF9DZQKuDADQpqtKDk0/+H5jC/O+v1S4fYhrbi4i+ba379rvoBvwJpC6R05MPNq3gyl/JsQ6Njkvi/OHSoIRZeNcf+6caTHHcIh3Kp+ZNDyqGdkiDdMLCe9WpelqBCgSIl2o3B8DqSUpHIjVlA1wUi7x4/9Z0F1ha/IzqZOd3u//Pr4iFftFNj+w2kBHbXSXxp1Juz0n5mGgqKOTyDTdD6fjEvZ+lzflwp5r23vzjHsGedyCkRsjLMl8XbfdMo6Mj0MbWZbPG51eF6OqgiayTRkPUrsHCttpGEgxtmp/45xVYZr4s6PonrrQIlzyBPi+eb9w43Sco8bFcR5kEfKhlg3RjJjEPkNM1BOFuUAWEG9O+KrXT2r4oIbGAeKpkbN44ite02H4ttKbQOABDSKX/XnmEhRz7YJurQkye5TYLwvABJp4wem0nH8FwlWNIoRwjyvQuqzw+hx8vBqrawMKO7sozXV9mfaDT6ajwrWXplOYbcGTKmBvRRNAw7ALE+oSEZ6ezMxiRL/XTCC51vSoGrrLtN0Xh9oDfmY7R8qmOmwYswY7j54qkk1EdDOnU2sNnSgx2TBLcBi3Q0tG+wrDlwygcgvfmpKT7u9HhjpemD8upXhL9kjbG7lS0LQPNvuGaOBvjttDuhdKBqSilK+ewKgjmI5TiK0EWCebb4tbQfG09JMQkndeI6ZSFfl3z2+jr279lVywHyolI2YVON9AQeEGtUkCp6CgEWIhEcLjjFxncsbVmDCf+fHkm3fmVpq/M4X6h/rmALIGmuah4W8RcFbSzVbYC0kEPRSB/4LPSHFlZAncAPsJ8LJdKPLOGgsjyMTtOgFpPL4P2kLNa+HfKbNE7ZpD7RE0YOjsVGmuAbjrURI8vEEeoB2rp03yhlUiL0mfTjVYloZmsmyIHRS6hN2vsp85ss2dRaoHwfVu5E52zKlonWKni1SmuAQwDkMpiWF1a48TsWFvVeFyBCeeXjoho+zquprcKsPl3nNCwFgoch352MNM6n979rD1QxvlfzPmTs06sNhpW67iuhkdkYVki7hCZ4oAApc4/IfFMEu7EtSKuvq0mC0MTR8/9STZZOAQq8ckjC5rhWe0sIk2WK6yBa50rYvwFTKG1RLHLVfjwJyChiSTXxob0L6GHj3vT+it/JLCv1cX253MkAeDE+XUAgEufgKuJxa/R0nSNOAzGuTXX4HaePpK7K+nLcYGV/CJOlNd7dN+4HUll6//b5Rdb7uF6K/M47aH0+rGx6vVOns+6pGX9CoPHt/ppM66i46m/Jlrc3jAdsArqKj2Y7TAlqBrbk1y4rjDvsjDJBvDv7k3RadGqAEp6UmDislnZe8+JWlZ8TEPDCvwETnfhCL5BlpPNmMiYtu96F/tjXIVGt7MQmtbzhOYYhTKVZMVwvhfKGWbhakhS2KVDaGSpM+tM550nrOMT5Qo81DtbKWDW48ScDdARkNtsCkM5ESK64gOCLdrbGbim11dpaXVtxO7x5x1X3F4vcTB8g2wS+aXEub30fx1vbSxnoL44ST9UQvn0E+jcDU0Z2UO+iFU+iRbhgV4m6TxGmiLzyUyccyTmrnbLrJHSZCb9MQjmkRr6aw0gvr3s2kdt0n2EyMbVjOpwLvXKYNSxg1oCJBeLtQMj0dhDd4pbi9WsOHBWzia6Ipw4jJNSHzVw2E9g8SA75WHU2fHae3wvFDDfK2C/EL1qhpCVN2IXG4JRWQL/y4414uT0LcV0d/vxKrw+vmKcKmAgV7HQzUUUKmCoLuGfilSI//rjawite6MhQqb5qnZuEkSOkJCgNW1A7YlQ6J+80vv3l1bIf5MjG+5gMcJinvZ4D1R+yOu53P+yEI5ELQOKtaiU9eIdn9QHDirBJ6XHjA4NGe6dWt5HfJpc39ntAPbQWKr44pi7oe442ib/XJuhNd6LgQo0xmfe/IT76VE+s8mLK9lApUf7QQmqCwas6JLeDUoGaaMI8jcM5e7icgCPecOgly5So+CDxFMfNaNZMOs6l5Hv5TQ+gkke6/+nLfBAVSlk92Fmc4/pmxu4KPdbU1aw0ZcmNXzHqnyyQF18IFeORUvgpvuNQhPADqb6dPkWu2lbvuNRTolqwCemncndVy5m24gxOA2LDy/Cv/FbBFMQZf1hT6qKPnnA6VtbQ5W51QHoW3wxTBxOVNRLRbbL2HDyd3+JVlVuL+l78mwwNJx6nJcfiVCSuwGilexHIa7kjDRodg9uc9w2aiqkTv418RMYgKK7ghxdpBmtAaYmCwnrIS+mupgrZ762aXPbkUgxL1uoOJCwJjs4gDewKgliMbt6+0SEJNx3TdbzSZhWRWg6w09z9pOQUKcGN8YrnsJ8d/R9pOb2F1bHcLECnnsz7J3pBc6rMzA5NWDhho3XToN7/frmynqb31z6RIDHMgyKdSQ/1ct1MEEeOZz2BuYEjRf/d+OP3FpK73kum9E+O3P/8pd5jdgiCtWEmhaTxBEdNWaaco9cawXRqGHuUnCAhay5OKIOGSr/bUnqEwJgGpaT0eN83Pwgxsnf4yul7KIzprm1HuVmlmx3fiysrcK8TP3M7iQHqx0Im1b0KitpMzIW3JOI5JhbPkd7Mbh+pwAs9dEBck8YtTdenSpxjQUYgRT3G5s383qRzIMAzrmh5NVwDt65pPZxB9Ep0nrV42PsXpyQQrBthWOjUPV2x95ttZl0oHXlIM2v6BEf6BfvMHJGkBAUKj2k4UjeTpLSZftVjYESh8L5Rs3sH4PV7M67VsVtGSa+tBC7H0RUoUZuzot2OJaNg9m3ZgJ8tIpnCrVHbCAu1v1qbSwsUZY3JTdKxhpyPyv1G+Z8+yNGXKd7cosJlKk5lM0FAau/UjOecN25VOmsrl9mJjg6I6jv7rD08NhrO2yDM9Jye1ogaKzuuV2rrjZ3naAcR3fCMNnbYguzk/9kuuuP8rkADBGt5huMKc0oGoZQerErq6+BJdr1uzVEOpGBYY3CWl0tftWGpe+N5xLT/Vi+UpxlW4zsw6JeQbhKmkPHhQWMX6akOY9VGMUUr3/hixvPOLzyh8k2r9puI2X4L74HXGpmeDFcbmcn87SS9HhV8CKt1eSWF7o+EGKDAM8HzQcmBvCZoJGTUf7nilK9HqBe9iGAAlxJiRrV6u04BEo1HP+7RAg+zJqR7fTvLOGdED2SIphV6Sl7/PdyoNbVrfQpFsmW1Vn072gc8jX+T7gqxTQyJhNisx3deWSUzaYx5M2u038wxxBuRxuPX73QasfjubK3VesVsaoREsPSdE9m7OuZ0vWbjprHBxUWKIHDImXijvG0kTP+TSBrjg7KkuCFWu9UJucLX1VhA9nNHXAJPP74hwW/pwE4xxm6clCwoGT+DYNGyFld7m+ueZMg0WItMRbBXg15ZmDLd2XnqOriMwaIH0zWf3xRszDOG/ozrw3VMqRAmQIgawAMSTWbNaqSnHXPO+wBKEe+mwwU/O7UwVaf4YHB4pxMjHY5YXoAfpR+gFKZsLy3hbFqBwT1gi4dnWHgJrH0RK2Ho4XjJGi/OaoOHVnxU562Ox3N/KXO/tc5L243YDbTV063LZLzhYBG68CG889AVgFanN4p2MPe77HqK6OL/ZVvjvxHWp/TtCtciPevdfYmXsRwo0d42XjBu6wLyet9MWzGsvKXP1tyi1SDaY6tjKx2VKGgzdRpJk5wWn2UOhqvaxlzC6eL3GG0FJ3Z6hpUULIT7d5QLtV6YOcYcRf3sOnKJUH3Q1xnO6fzQ0O+11DjtriMbaZWdWce3a7aFE0gG2+tAgKLufgpQQalBXilFCvyiQpU4b81UPx0EtHQ7x5LeCnwrrW9P3Gl/E4T6Q8n6F+gaWK7HMmmGSYAJXH5Rpdsw61goXnvcZRDFFHJjmFLV0hFxyt6INl4893TMqDJV8fRrnMNACJp5NT6i1n+f4zrYfQbHV1w7gH+1Nb7kvuWH9NeWeHzDuEzdUI2bhFPRv5lJIKx7PF7e42wudemnnWaBLvkNntbUAUhZKS9GFtokdql7QwXJ6+qgzFSdpyndlxuD/FSQ8hsV69hVEGQ4W1TDZqAAvS9AJE7VeTDoYb6Br763ypBpaenh0KrOzBfxs+Y74Q6V6sn26C0/9masXdD3prOpTFOzKjWpXws7mEp8rDYV+PpXTdWhcUWSZsH0KmWktppHbtT/aTUC6GjUOhunl8QfS7ID4SksppXR2Yzgp7GoZPiKYDlpfNiKiy0VIHp2F25Xc0jvsWOIs46Vu3duvBkz264OBoet+TU/HdlZv4668cJKG+aKs9D6s67kpWO6mfg6m6TAu50t4rmZVcqKmy3EL0Ueobu73qNJyVLBLxETIVsBoY01up38hiYPEzX8vCQerQA2qhOrfrvCEAKpoJM2slOM4WzE9u8zJuNM7QhIJaXYak+oMY0mwR6Yl9wW4Exi6p9WHkiNEqwcxB30bx2cALUQHNVOf4Ic0VdZPCaq03AIRuTi83adsziE+tbaUiqcFOEKTm8N6GQ72NGFGyW9lSIQOZgg9B/BCVC6+CC2DCL8v7oIoxvN25+24tli052BvCP5ugxV3AJdr24KH2blDRvA77ZVdom8SZ33gvdKSOLhR6DvsnlamvFd0aUZ+dHAoiixzkaSdViODeJ3pLl4EsREKvzoizMbEb9Rnywy9UfFVGvrt8PSW8WhOsaa2Je0qoN3xa3CT72n4jnfDKMab3XOWdS4L3jqPjS1Q1ToagRwYVxrNh1Z4dHK/5aW6GszQLk/1OavrwcYYhvqOxP01r/ofSwzXN7tsLIBuuvwThHXHisroI8+7feB8hUyfAmmfoRVo6TDREPHxMR34p+BkCJmUHoyPW8e3umHq5ZJGNK0G6HqUyME0vwk+MFpSE5WcHWs+1zLtMYBzzurlxIfC46cZ/8R2FfqNpZ5TGUvquarZPLJyh3CbAJpYkKF9oao5vA8UUOVW6dn8mRmC8iJMHXieqB4X6+Jyo5AP5SStTVVulstE/ouNLSaKhJVXIePTJq5inaKjnJQhXCm+CZOKR5k5EpbitlCTBkrczdib0t71mPxF/3UfoUPW4WCZC/L0sa10rwaJvnKhCnFW38GQQzPvz7EODB/8bq/UNg3TOHrdPg8UWsR6zJ+KlTUcWDWdaXTVi343u/VVo96B/TMOTnyel42fQcmHx1OmmlwIjAWrK1axYnYkasDN5gy2ad85Todkky0I0PH9IY2tM5vNChXN1GaUkNIIScz6OooK34lD2LKQ9Pl2UKKRFffYbhr7GaVwaoy3cCLZ/MHdbRt8obh2bab0XGwxNHM/T7KdCYcZGrpcBZreE4+/7zg6m/FVaIZWMTGuUwf3rOWII6zasojGMQS9Y/pM/oTh2B1NuXAGmJagwRmKEANdXwzkjZwevp6WgXvxAtgORS/r1weLIy9H+rOH28gU/SaF2uY+7wrvyeqGMyl2qMlOCWjgR1jxNml8ZbGgpm1niwGCw1oSfWllHzvCsmM61vz4H45UUIcE7zu3lpytjj67eW9sG5mtLfwJmYRx97/P1q+my/rULMFHEjhixhBiC0IsGYQ+UVRCriyqm0S64oHhA+381s0KH06yTAD87JQg6jFpn9/GwUvJrxYcwIUgpACkzJya9pVI1zqnGhcsj6tI9YgznbMSA4zqnMksIzAQs2siTZHPQ+aYXSVpb3eBCgJ1iq6iPo8V8MXg6KJtXJp5y0U7fhmLtetrjNqsvF+17EeXTbHCVtqmTIU7C6+pbpnVr7E44KzYfG2X/HQsskLVhHl+jROEH8bmdWWJWokocX2xbwMPEdyBd9zV261kQEa2o492nNcJAwZfE5PP8TERGyfxsJXAsVBK4YSpir0ZUZ+J16jClbPMMAofVDPdPrGc+RBmpNh8NIQw9nux+l7M2Smu+GmiUEcTOe737whGsc38Eovkqko5ivxbVUPLwp+2hfuklX/pdDtlMWe3N3XWnjgyJvUfexlNvzxqq61cvKOGg1aWKlAMNrnV+spGVcm3Jigrxb4hPUUTV6bHz/+6CLjttNUMLlGh3YvLUkUFV/J+RTVRe2LhRWij1L3q5kKh8kRucxTsU0YWgBX4hptxzuQAUu+ijsST+3vlbrsHFRV1flYCmrdGFTQQ61jVeSWZFuuC4H244uGxZuhIuP6FlP3bmry56epeLIv7WDLLCk/M6G3fX9AK4DnCXtCfY6ni+95pOYke/qJR/F6IaMF3PhLpdrfRxW/Uvv7ScevpVVkjeub4XpTO2KBqalbyfjVlfvdQfv1QCnh720hLcOk8TtdDIfzfrVIlG1yU7v1tVpI2w1zRp9qyMP1/e0dpVvDjqeu7ujMIHbTaDFJDLheSsuwFfN4yXvJP7QKEetFOK6tJ3jfmzPFyGW0H8BfC916j5LTpo6iC4t4cW862U/pSHNnnP5qIWfoisuAJi3HFQOLnx/y9E0FKo3euu99NTMQG9MyETwqZYJ5izi36WSIqUXAKFal3gbUQ/kk1hYNpiaT+eQkqGND0vR0diCnxaKiKmpbeg8iy70vj6Kz47RPdy03bzTfSa4ymm2s0+OwaigPakGlmI13MycZIClXX94x61pmzaEtrib+ufXpWFBgpumM7CCbPfnlUUfSRccSAZslkd+MoiBxrcUGNrvhwloZDNURFwysJca05Za28gynmsl8w07cWTj20rlQlfJooMSbkf+AR68vjUqg3dq1rL6WV25S6OioVw9uDgeAmHtlM6g43qoGe3HYAZ7CY/LX9g52Awc70MeOFiQnQ2aYnRtDHraGprZ6aVtJzbwlzcUrNFUrTgkIfKnDAK9KwgzTEMWOIdCmuYKMN/p1irAnhDrE0C+8oBTwolCzWB2H0wxXuJplaLlXWjvupQBMOs5mbrWleDJKyy9YbeNaOlhJpJqK2vuivfXc2kW+Iosdq7/1sagxLd57DGXq2NROsJFRmKAGAZN7WXSEhsXZZkiROXkho6lyfGHfk8X3dyDnsYTyGWhgMp8FdBoU0wJ8fVP5pZfy84c1EMdok+ADENO8HDTG96pecq39qfWxzqwTZmSNGgJ6uwpzRDaG9bOWzIoDOcKq0fbO/e766o1h2chzZ+jhNZ1VIvOgEpDAYPzT+SYbVzW7Edltpd9MLW+8yVXFYY/oWoy1tfROSF0Gf2shM40pYx2TDzOgxRnr0q8bx1A98eAuoq1ZUc0oqaz64vQeHpo/hi3Ut7+edrjp4aV/rx2QSCSFILARtxC02fssFTTpOtiktVmoTQytUTWFXnA06WdDgHyZBUdiBGozJM1EJmSJdXrNkptxy5w7V9yC6KmrooAy1SbKyrXZbS+Q2YuyzxqluU6MEKc4bZihmHuCXAu0JTUB076o8HIOv/kmffDFrT2ZGFiR3Bd53NdiLncj3yorEgZUzteGwnldWCoXZg3YiCKxyPrE0Knq+WmisBxI4pZABCQkeNeTSVocSccyB5sxr7fJHYG9zb35Xp247Xqmsy90yl/dtaa+8Tt9qFY2G32mN0//QUY6MoY+Y4SbbScTU0vn1m24acqL4bFMQqShHROj6aKamFGq303Y/z/U82CDHqj9+KJYUn2R1GgQLkxmnnCIn2hW9ODT9t9tVtoofYq2XstFrQYc40Rn7sQYUBf0Wl3BecmOXYgeUo4RMJPY0uUwWoTVuquCXTjIJ4qvk/wsQGN8KW27YxZHnsyRQl7ycgHVsl8ezbR/M3hysYl9/PYTiX0iwZCDTgJ2DGZJa9iZqclddW2l2THkiR0N246O7C2JjVh0RAZ/FgZ+O7Ck7fVLHNvegyjt2N37sg4KktugrTlufF2vqYZOCMnsiV4McHg665vJzVPxm7mSJvrKW8ltTtnKCh3mqZLi62zBpa++H41CY5rk2q72qw+FTyVMKC9W5y5NcXpYw6C5nSVZNl4Z/nCPyn/DJGG1pWnFrfSYA+E0DSzFHKmhhToq2Oso8bqvpuzRphL79KsrWHQRGohOD5FhXVniiKxxwfNViKISHGm0fZ1uqzCVpKCU9aG5oHQFzAjmbG1wB1EWaIvcX6+tmEVcNeB4qH2pPU55nUzVj3Q6zrvmkg0qgAZ1ab072E0Fz3dlXdCDvnrjZnXACLEv0R1O3a7TXDybG+/ph/gCWUXunpR3ijCVpZWUi730xppovrBuE/a9qL/theYq8MBkgIKf+TL5eZ1/Z8fnda76PpoTyLDZQ56wrlEyzcKNWyTYSkLifSx9KTRl9siqHa1Rj4hN3FT87MJ1Tj61NWCw3geaAjyelyBJpE7+OG+kkNg8o/Rg7bPUKKqAbAJbL09+m/VLlkuLeIk2W5rrGX+Vcu5Z9dLT3cgU25jWgB+YPWBGvtpa5jyxw4ozAnljskTHCKeiTaarAg5EfWo5ldyO35bKUaSf8qBiW9DbqKirjch52I2LrrrqSK+IbnSrg4sgzsEATTx4F9pdcbvDXMDSauyMiG9rSVDJIBvMYgNpig8K+pO5NR0SZ0hXJ3aO33XKGpGgydPDxcw3NBVUGWMHQwPHdd6YI31zzimPScuC10ja2GCxicUtlXhvUlPlvnosZ64qKybzjWOeYY9y+vEmmlcZaLu5mbZEffKVyx1fEIStYbSTtxsIXJwH1cKgrIR61w8H4v2MI1yau3BLkMJKcwN5LdXIBYP8InMvQHsdVw0BSvHZ7eQm17ROCHboioQ/CY8gnQ+Fr4kBr9b/j6iNGBjUihZwGDJ96QePwlFeuV1Jz9HrYqoCkxJAFC3FEZtmpXdaqtT+LPin1BD7oxpbPh7hQanG0Do3F48OZ81ZNwxoYKw6Gy7gVnfPqdlpedFhMFQ5e5p09bvP2M8fwk+dZyez2j7o5cV3CpGnNUJ+sW8medKiW/XPEjNTenP0fv6BLS4n02zhTYif6WgbHW2EUVU9KxVROwHLDgWfWtpPQ6jKqrOZJzKczim2j2et1Re3qZZy8xdevDDjeHL1B+TFWqJBpgazao0LKDG2bu5BLxhxTAxH28IPUOelWwP2pONojT65Ch4alrlIx9SzYqQGKYqfcNqEc+PEqBevzm931woYgz1ioN1npliKG1R4dSqnp4AQWDCpUgU2PevkpOMsOlr4KM4oHuvxWWRY3o2t2irpfug/lFo78vrKf9ATZE1xhXltt+5NbzGxjda8xgPfwqQSsrtmQHMvlPgt4SYAKl4O9z/VBz+zwJVCqX8zDlzm1UlfVvbL8ELMI2o3g9uskYI2lUPYWNFaUo2F/XUH2FuroadkMmMKIMjixkwIkXXF3Bk8FKE1ncSdSi3GPs040X/BMKgUKJqZi1qDi9ODNTO3JjquzR0G9ocGDHqy+0rr3gVaEauTFDaliNCWANNS1FKHFkOxt7QuZTCUZ4xLW/Ezj2+mTQuQ01qVEEXA7xdFfVIeld6Bfe3J7LEvUXDptF7bnLtmyNYTV4hMZRJtWST/+HF+RMlcKZlSLDpp27q49YdI249QQsVWDxTJkTk+6yNeuBsZU0WKCdKuwve+zJgfw5Np1PKriVFbPClzPy321LHHlUbIjMLwSs2qkcnoO1cPN3DAaPANL3Wtyr+PLCUX/eqFXsd5w1F4uFe7cysKt4Zvui/i7dLSQuESSy0omDevas56M6gp0dFZ2FpLXwPqlD7eOvpYKSLWDuENQE6fx+ROiCDWmG/FhE6UTaJuWqYy1PMLUGrhVhedmmApCf9IfaSzc3RnTn8+MEtXF0e4/bo6V+ul15fJPs1YAyA60aIjSD1zIIXq1kvpv3uXpi2RWTpTAI8apHTRphr8f0LklE3TSGQHFONOJclWAy76QYtf3k1R5X3gtJe6YQkzXJ2RI8GfRu46DAGprXaWtMqxdMLcj2SuvWZO4228p3egFf0oKo6SRDCqvUNMnY9nbHtn1hpLfKL96kiTG1bGQ+8nh3tcSkuVkr8k2mfI0rBjFnTqHqDtmbeMSqSjGgaNM2DOIgScOnwHrT1Nvfl+JvPAgRmKY9L2TrwEKLdc0kKBQerzgQMmRNZZW3iY2waTjPFZWCQDEocTEUclePHYjDxw5gal7B9GDmqXoaFihY6HTBq7dKq91W71vVqluOoZG3hhAMmSmIPktq8uBQjnZGBoX2PSRW89690ET57ISns7HdMan4Q2qkKJCnVFXtMCpLCtTBPHoUe/jd50I8DK0rYOkVJIp9UbOgpWra3aQonar3DAX9rhxjokRRpPaVuNwDPrmfPQGL0G1+qcA5RTDmi+EcrGi6pvItG1dDYSWlthwDa2QLrkrHt/C6/e2sNq8Rx/cKRUL73JhMeV7o//m7d32U4c67Z1X0X1LGwJTERQiIKNJe6EEUgI1QA5jY3AZGKby9Of1vsYY0r+Vzun7cvap5Ct/StXxsUgzTkuvX8dugnZJnR+fem1ieRjcZNINusK5/7UzlPBhPUdgVYQX2hfBM3rho+a8TH1ZT36JeUQWpQeEXYD9QbtpdWocBeikK15VZpI49D1IZo/4YXSowmscwXBhH5EJr5HzcjIvzxJhSAle0pYzePMrjUEB/JwFXwS0+bQmpT6nIzn93cYNoVabaVnrbr1CsbKOgdeEBKJwqExDnS/S2HxNOvLIb351k3DoVpFk1vidzeQXkJGaNidF75Zq1TsHJYT727N3TgYOS3zKMALmyaK5lLF5RDjWxXufchKwPGts0mLmtb/aZ08fbvd9qs+nupCV0TBZ81pZCA28wPISQBhL44/HBnmr4IprkKGoKwThXLry5uleSQcOyFyxMwh1JeGyQ6n3B5LU+ZII6TcMJxQO0mwvdfF7rpKd1PFFXAIZgQqusyOB6Qr/mKKKtt6hFmrEr2wmLKJgbwi03MGXw5NgT9JfwG4fC3Tn5Qa1Ze9mKeGkgx0a/walvtONVhQC800ezh6reUL/3Y7T7gff0TV2KJmnCtE4uNby0ScwoY5PgJYr6d666iNQ23rs9lHqP/0/EwijWNjaBdb14YiqAC9WdkdGstmrO00wjXOQkvzkQ+K/i1cRJgSnrRvl3AdTl/Gj/fXGtdbn4Vkn35wmy49igS6ppE8NF3mCYYkKKS0YfjLXvxis0POZ4fISc78j2ihGtK61AqIDC3MNw0LopYFeGVQlcM3vXk/hr8UPE3ltdWdfNtnkPbPEVaNyUwuzKeBOps6G6DLi6NKxOKtlRYlTQVwXdAr6iYqQy5XCa2FAqHrmrdCBm4EHqkOeUvR1WhX+8EE5AvyfSNq2JK7rAIdOv1/gXARn4tMyP/j0oFYmHsi8ppIXBfN6U4hsi+Qkba64lgwXAet1nHLS/G6QGU6L5k+hxGBPlwrmg4itClO5nVX63A1n0r/bajJHPCcWNF/Ikk/tiyGNUKCGb/V0HGhzHwvgXf++c7a/FPEkP8rVeXSIBfLw+CYg3e5NMVM0XBqHZgtHboUKwzAVxpLKSi9LCCPtN/0EhRid++dVx0xa9iB5CdCmtQcyPkFJV8STJ0PvJS/vSSyPEoURFMxDUuJrmjphBF5CnKJateBk2UFIpeoci9UR366BWwV/Iv4ZOgQWqP36tbS/Q3ZxwYRF4cqFStJEI0x6UHRdkd3/rIBAQGWCB0ZxRfvGmFOPKgABV1sGHvPtQUdjPZ1Fki4kfWffEbQqZOsA8DTXr9iaZM3v73xbXnmkoLn8aU/ZoOoXSRXzKWBGvDoRjdc5D7kE224XaTGX/dUGpibYXqKhQ4dKvh6/NHP6clOZL52zqWKcot2l/F8evZyLKsUaSOzCJyEUvxi6CCbqa2Qu6zbU4iP2sfAYvIS9OPrxq5CRDlkCr0GVtgWeIftpFwIX+pyXB4GsrB4eu1r9wtzOao+Ac033DNLQM0NDYat+OgyH8ijzLDkRg3qkRPI3Ih2ue3lLZBBmti6zn08vxf2K9MBs4YbeRlfdi+Jq7xTMAA7222lQYY7rv3V2BJnW98pUI2Npry3pmZExckvzV5x52VH8z5zwwP3u+A4dbdBri/VA50+zIn6c+MQP5pIeiapduGlVDdCaSq7SL2v3MP3pUrGDyKCRQtC4Xd+EEnYzU1RSevFX+gpgw6DcacUSE9a61rN6PPmSnfqoKJyBFNdmu2EuKZaz97kXz0/Ge9wNOva9nlhu5CwnIIuMMOBIC5xixZyoZGgOjGtnnUxEpKfz+8up80NA5Fuje7BkQZd9jKJRTcJFmzWoJR5N/3SoS7GFr5m1UEwkPnBw4Ij1AXk9vpUKGFWNR6h4jNGLJCo7vF5JAcyv6tHSop2jUF5GL8IrgHnpPGO5A7PjcNCHEeViFzInaxIDLf62JmySeztU6gX6opoThVUTsA2DOyTy5lziOmBwcwbce94T2/vP1w8k8hpdzW/exbg11NHXsoedJqUf+iAEF0eV6S5CuEET/MpGawcvYWWOGaj4cyfjMU24DgAzQeJe2QcJV3g4lkD4o1GApmgLxtMBtwXzC/Zc7fdfiW+VptxQkblz2Na7T4SzU9qsNchA7i0QGJ7MNpv5SPOgheGUsteYI0B6wbk0yWMMZMb+DMhBLbRbjnVdLlnGxrqj6pGjadevOOARkqhzuYwErnxJJAfvEl+RCojyI0E9j6Yfuvjk7Mf8uX5eV3P8nsrSUzzR4YWo9DvQCu6qOnNxvMdlYpHyzgJCoOICS+QVp3j1/JgG6Iu116YTAHi8X2LCKvSA5bCHNqhXOOv+ijpZ8kX6rwxKh8rS8SJDlS7uOXXtcYdZxtib9jVVXpOemYHrMidnsQbpLJhEaQQkPTE52zdUAVOP4rlMmMeiY4xxEGmFonSG03f3XrspiuFxDlCDcVRA86DWCTkNxejggVSr7w6uS5PcFCIYSJD8vbGsvWIfyUdtvfg4mJyPemlcFPBTPSvyl+dvwtKgkKzF5QZuZI8epx6qf0hmvWNQ3nYVaCYg49VO5SLzBtG+1pOFO8hfkzjIVjWilJbN4Kb0WJ23mihC+lV9vCFRtoSPkHUEKmauI6Thu4mOouaQdcfyWwPwBrEIw+MuM9Fzac3xd93rvhJOGGkr6CrVv4cbWGHXQdDaVeszk3z4bTSc/MdJHLaF1eL3Ja+Cnzj4GyvQDtoqDvGowQJkp/RAJep2+Pi6LVglWCz15aLbSUV3RDAVs1yrHI5rkoikyUbfDicjFnLLM2KTSVMc1xDYU8N3clDSnn4FTEy1L2o9IkTJl57a/DJYpMCxJgqYjMgDxSA9gRmZaVs9l1i54ulgrBHor4QI+K7Snir/dex5taWWeSLyyX5KkTmkH5gbv6ZQ4PQ0TaMpkpNfjn/9p6vUFhU4seWCPhINuPJ4PNiluw0gCJ1mdDCtXOqZh4NY4F1U2HZJLt0XmUjq38RlYbtrSYy60wslxCZ0dLe3u9IqdeE1LpNcIj/P7+ohjEheYvrALXyH0qsBnny8i2XnC7TLvsve24VZ+YutlfjJWpmFHzl+tvxCLl5U/biSqkWmUJ60E2B5rRPjZCsJ1zL0YBQxAubaU+/oUYX24Jmbfd0ZQw2awrur24JX/rnim5/pJm01rvfuvuPZFOExXLO9rUXvzOCm4dhk9fGZVtAssjSwNiRK2bR7i0sLsIKamcSoan4WangyTMXPwKlqBpoR4fBnloJPrXnHxHKoeCVULQim1y9KexXZM3ZGI5x5quFRlmhTVS8lzr/qA+/tOCiuQrQytSCa6m2dJ6wygaCTUdYAKcjo338qolQJ9RKpa1ITIRP/YtG3qXJ5YHT+Gn6MFDlZsLoMcsCeDCkfFHZ1p0MdzTD09R7OK1V2q8RZ/C0oDNgFmWqUy+udc2rIgmGF+XuqLDLiG/YGZ/dSikOo0SWYeH9qxcnAp48KR3ThXVvK5mc/KyqiP/GOzL4IgDSy4XIA7c4XuQgFhtyalPzoiyi2vpkVKIOgAaJIWCA5QpwAZNQjcYSX+ZBQ0zG8/DqvO/zbtSCq1cvzVQ0n/NyUs0LwfQXYZ7mSupPoCLjrKl7tSmo63n2cPPmEiYrSDV5wzubV/dSkf8lKRT9107N62xZdBCvhcxrkJ+RpC705lNLYWAFxPnMQguY1GK4Nl3NZBvPdzcJB7S1S4FPW7bilzOjuNJk8hgLv3GiwMeOW4vxY9/pRehkLtFnQdklPUk2W6T+LZUpQBK2ZU+Ky8HcgdTLYj4uU3gXBh6qNbwfPbyvZFNWSyrM4Wxs5fdsGJJEfWZHk07dnFYBhwKL/czXSDTJzapNDJ5eNzIfyE06IWLW8nNdkR+O5YZwhrBmt+b5enCTuul35IwpXGXNPcq0ExjPw0BSSS1MM7dIJoE0Y+je6R+qwJhvm5/u+vGL211o3eTQnLy5WfTScCzLzAgs6njHEN6rLQjKHYdQSd2rKZ9MLt3zH7w+z12pwrfP3fKjkE3rwHJIB0d6c4ZdR98Kts8QnIwOD9SZWCKTpBXLlq6h4WdIhFgpC6vKn8Bki5fUIPA/5c1jmREieyOSsaoTao72E103hkJZhFD+Q+cA+dZQ7rJ16ryyMh5aSKqcviw4X6zIUhjrVSB/4iN0YACZdk9t/LlEruQl/6XvjgtTjNRZSC8bdO1iVfwYUxhhQIPUb89i25QKTUUfmOHUHwrrl+ljqSkrylKHG3e2a6I6UbWbw56xTNheiUdCKgNcmPk+lxzNgpvQ8fDIQnJtacrLxVGGpfOw3ePy4dnRGaPzKxD1RwfpF6M8FGa48I3QbHsiUUNxxeLzNK8i+YaAMdJrZOL/pY37ls5Gji34cHaiUFMe0T8l/y/LzwqVw6BU8Vsh6VQwggc3L3EFLWOq7yQPkf9mvlNG1VxsF+UH3Xx7uY2DqsTT8nlldQz+ThtFFqByUhFQjyGl/0q4dD0WcZQsJYiOkTcbJRbg+Z1PzTxZRJaEFSJ19xdPrQYVu0t36YaTJy+xfGoX44CveTjzJcfjvcKgjnW9YfL43OQxcmaR1hOcBRupxuZPC6YngCF3Gip5/rGToPlRSF5e1kwqOHlOdRaJnBaU3giOhnzGLSw3y2rPfXlLtrbDrkon5o2WXNtPh5Oi9SxR5meeWFFX2oDhviEqPFfkELd50GUu0IY8C4dyRYnC8s8cM5ROX1RNDCygyva1bzqn9hWOhVV2rO6CjY1jaQak1daFBk0CaPOlyc22ZyfqmtOt3xsIX4j4qRcLZtrnW9tbpJpbgmJDYHjgmXG9JIkt3dr0H7skPr6jvQ60/NGjUs5U1yEWA7xlUzw/SAZSGzkEj7GzNb2OHDihqbCbUWn5ixQIpK8mCyll0VYa7gE1xJ74psn7ct+29JH2wVuRiL5XujLoyM8LSfbzWemgSFuLKkiXNZPHe97mEsTHeabwDqvweH4Of9+/20RX9S2FJIBKwIH+vS0G+FtwTKjJsq2WJCUr/iaMEo8JSuBmSexaMImEbWX6UktImoeplq/EMF1uSIMIZRHV0N3FeL67IGdMwwzBDqDbbjdWXbTZRkYYBk7TwcNccdgjK/XsulYrkSwTdMgi6nIGiCqzhUvHA1o2ylow0ersjsP5aehd8pNLaRYHO7S4OTsk4x2MDgocEl3w8rfk3LElC/OyGiSHwVYd88GRC2zVER1zGWchoujD9LXBdtVIbMI/NVKcuk5iBLSNFuLEvBo8eMtcVDhh3JJDAU1mQM0Yz8fX71PxLxcD5WNgd6dW96aESGvwR6j74CWGDnQj10N3dHClAxSidC5VeE1OlobL1YgHcWoAeKrIExYRwvOZ7fQwPv9AM9JN7/Js8OalkJSNfBKAofW2jWLU/jvTtl4uLyEcXUy1MX/8RxcIJcezMo9v/6v0v7O81ODi2ZUjPhR9Bba6ZGNzyT1A+9WqaqmHOgud3dVxYB3ywQwcCDMQq9BVFoP+8qnSUNP8h/lArp/O7rOK9mEWyL4ucpHn9iiBhWAtcgSH7g9I57T6i04tcwkEHkAK82xroknbrAY38TLASDm43u28wiYknVk9fwoqZkNIS3wRtanaEdJTE6URaBc3hc5jzrS0SaEOEHiLuZGrqqZzp25dKOc93ZWhDE8kVk2/6XtLlDpr8Pbz/XfmhBy50CEUhl/LHemoG2y9l3/O6hLgOlGdSqw0u3r4cwdb7YMCFfXIfEdlmJCcT/2tZsN0o52LFQab+JufZOhgK1pkMskIIx3UhUdmAhTSQ2N/+nb+H3z25J1ZXA4YOBdyi9U+siq+DyDHEYnMuPbKh6fE54MwyGu8Kj5d5QmOF3BqCl0eNDhx9p6ujPTSSEG0nDhxK3fZN1gKb0KsbTqLOoxjp7eTeJ1w/gsNavKoX9/ly/vziort+v4Pi+75Lprw9G+9v2BsZ6ljNfcEAK+okUvBwXPtKVS3CWaLRoIv1W/djLfsK5CX4jCA/O7H8/smtzVajRDbLU8ufu6ljZBlOxsPpmcJ5X2chZG8UD9/Xgf8IArEaSWWFdcPLwMaEmpvpxCL3QO74ri3/ckuTeQcmUEU/me1IZ3FQOswmPwKMfnAbF3LDGPcw2JaJbKv4Ofq4IQd3NTXu1p8HDmw2uyxg7e0UfjCYdDzspl4O77wiRTONWevJdRLdrltLaz+aw3x8xxtcaIS4Wk66OH52lGVPw+KP17ePbl8PN+Cm25QRdx5rSNzYmKkJom0ZDy/5xqbjQHUTc9iKFLcICw43PgbSRZPjQ+sgBQNtIo0gW8jKcE1vUXAxZY/yuKX+yqGkv8dv6LxY3j2no3MUOlBUx+jyS1U1UvBxCD2eh9JgsnqG+w8PGqeck/zchdXnw+KDoqZilvKr5z7VN9pFY0fq6ZIHPj8YfHXpmZr3azHgqOukcl7ffPeUflFYVdbP2z/iwxn0TINQRuNmf1DjT5nGhK/Qh5e3h0b5uhOolRZUctVRmVT+wrJiZ5YBxUjD7s6PEyRz2F/GeQlkdctI0JAj3h54GBYNh9aoCeV1VsWRh2XhDCEo49e1d6D/GZPt18CQPccGJcuaU2yvK6bA9h4zd1t73GQjqdpv+YVfqkMBe68+aIpox/lMsaRROyPZLPXuNhRIgAuv9C4UmhHpYSYm3pfNjxiwOOjlPrRTJFCMZ/zHzJK5A9jrLmccu12y1vIfFoHHiNkwQ5eiXi6fGjwqmocVt12YK1fQL2W9B4bB0VW8VKkYpGCQOiuzQ5C3T2bDJV3ueQTyDj/jZ79//IPT0Qor5G7mu/LQ1HHZ8Fbn6duchHtCnPICvjksrPVlwh/N5Y6PriqSW/WoFdqa075oHR8L4Kep8youPdlPgTHAlLIKLlgwZkpPV2je91sUEvozviNCAlkuh91Ta5PAY4WkYsxeCtqMLipH+IGDSNfugdsWmmD60owhcbL0xrA2fbBGSCpWpBAxktkvZ18TNiSi+XewraalTB0kIatKKFlguZQ3OlvqiZCsbs0bT/0aAb+/qKap7OQyYps//S13j4vNJrh0t+QS2QhYQORN7BGepEAoIqKQ2UQ7hstWhAeKGGUymLJ92K56G4xyJGRX2o0AMR36zT2P+J5+8yfF+7Vzl2TSzt6JTfh4+bF2eDqVFwyVQcADx4XJj2v94SF6+zp6fH86q3wr54Fci1raZzqWl1jBV5OfDvsLeV28IXzVLvyy41ofREclw+yDP7zdv7yYlKV4+8jxdUib6kCJz7i2JbVBL6kfDEJzOzFUTtHDIuFMviY14Aomib32baYgLN46kINStBcZEydNQa1l7zbOniJH9qYSVOx2fJI9zgJZJdO2fwOdjzlga2Ftzb5YCjEmviHML2TkW5n86H4pdLBPmuKnIvG4zSJQZ5c1Y0x0AyaKH6vBuTgJ/HfTjrCqSDi9V655+yQY+QWmfMWnbTOE44SbtPvRjIl0KSkt9xOVA3H/uIfO4QXaCRM+Lzk1mHZOVfROiz7/p5xuTZ48hLIs8wtJiNCPAGi9NLAXGgdqRxMbHrJcAqs5SHH/NQgpUBheArrUsSvlBhzOf7EcSYTlkV6csCRdbOQbyrdY7sE6p4YRmTaNsJicK9gSDeeXzdaLf6bIUH7IRotYYZ+kTc0xGRVPsviy7NyhqPa8bx/4RO+EbalfJFxF47wUB3hOgFxhMNd5YQPOSA40aCYNSxziGRF+PNmUhm8eM5Wk9SzrFD/VP/H+E6niULAjJpL+QuGPgXyK9b3pC3Hat8Kme2gkCbqZaTfvmxXArALLN+UJFCcYGh8/EuIpciJ5AZ33SPoyaGaMn8byZp1r56M8TxsoN7QdUQ0ied6+u2KffTpKmEJhCllHSAamVBZBbJb6XNrc9bY9okzhH0CFKHKjajaai4ziS/Wz/nBtcKgEh1df4qpBWdSVGCY8q3f2QzltLZ+G78Lf57zj7IUYWOXV1kRsYlZcTtLKZTGmzPLwAgLWcMg32Q23H3+l38orvLjhzTkWRt9ONF6vzd55ROT7yNJideT82ZRyVK+LE0ZQMoO9rAVtIWGyQ+j2lC0FXxTYfHTaR0TVangMYBpTomjbRe02HJWHvnmSv8kSGvUOgmyTqw5gzmNYgSc+tSvFejSZM5elHkXY1pdVqwbF7W0ivmA6QQ1gmgDhBdDEj9hFwQDBnnks0WrQZOG8Nn6Dht1kNzVRlS/J+M7U7+LfA/sGFNjR8lu0kdg7jdGpISOG4GR+RnbLcdo3HCkuhyPu+krkdbQTEmtCw8aOgzB0oTHLW0zWfDwwLBYtxMne9DUPGE5kOrbFtKt9V6CL9B6S82MJuowFbjGugqWB9jGSUt//dZN41RKUBSNmkxwOWr0L7fRR93y+zt9nc+G0dfn+4S467VB4a1K+tSWsSV4iWU2cYnRElXKtGvYRzhGzkSLaPPDiRyQ/uhR/D0IxpBsIViU7zU6wttUjOZoL5JRy5pbGTFlTkjjmOFbV/eArxaDwH3tKSl6UJhguJlWGZDFV2FQEfy0bjqJcWx+gK6PIloMh/CoYUoq1DZu7yzei2B47enjbl9sHKq5uojN/dz6RUlh6XIgORnPAiVyu5Vj3GW9JjlhbBc3JsXyR7SHb+8lzlvnM7Kz/nPF/XUNRfykD/RENjmj2cvvb3on089uHRtOR1HRiakSLNfI/N8jlJHZsPpVjzQFTk9tjD78IYJmHQf3biU02QGC5D/5AVnso2N0FixDMfXc6zqekSBC5ZqEuDJuNd1A6nutFU+97VlNn5PSmycSKfFaVAgw6vxvTkugYsFB4CidbkmGRzWRkxbJUsUN9j75b+ZhW42kstoqhTBPmSYeAtlPFy5aF1kacu4+WWAUZFHimNsv2SVyyn5Vc6Ea3zRUxsZVm1+js87M1gtb5qpvV9AeolWBBpZsnA8FMXU1rDoLBlHMxfAO9tRXvN1vd7+eZFLakviFzqK210klN33rKMyjnTx9ki69AXGbj9/iYgC5lkSrzJJA5ulYb4uqzlS6reU7e/ed+sIvT/HZFrIv1WCIYLW1DLE55ld1TqiEr0piVQ+LNw+ynw/mYcLpmu/82HhRg43KTDA5lMcPs1MhEadLXTLvaci5QD4XKHy8dOKpzRnF3dX8NGa71kwVEUsVN0YbPO9JBzkJFDHVXfhon590RmB532G7+tSTks/5QIOYwq1lIgyuOpTK0d3gENp54zcYkRaBaWMh/nHK6pI0P8ejG+1URgF4suw4aN+fyFePZlzC0cndKGR0P+yqnbsf4vfWBfcc1JTOAmoYWHV7qd7/oajNp9ngIPdEIljFoyZ8BbZDw4JuYr6LWn6cxn9qJOO01rWx82DYNtkFp+rUqQLqkMzmsKP/nVlhsc3dKNvuLMBBiHxvQ+UW4ml6RgHuaZc7NWUS0jLhFFPhVOWJ1fo0CKrBGKhYOHmeu+Pfpj2Re39Ff78AQSUX82nut//b/5m6LGd6ISBoX9BAjw9WR3KLhiZW3Y12ypVeyCpx++wq2LD/27QFpUerSVKn7vTx/THnTtTeEzXjdvNtlUDdZSYsB6+fOXC56BtNuLZdW/w4kcPZQKa6GysdRpn5GUKWymZS34JUJtsWzqJf1BC1qlIrlf3KEUHTRLfj4U/1WBYHxXm3ttw/499qvNjktFyUHxqHofBHzZPYrg8iCD6yNBs9vrP2FGXXymTgjntPAEdD0fITCDb7Hf8fBgnyLzcI/J9od96EDCHFBAguBg+ti57xwRRGY3p69NHP3qkgdu8LP1sPm/xLW4XikzOadcb7siIPyf/IxderdTsillMqYCedv6C6GMi1iTEaF2Xmj2RgqVOahIGcbEuMkEQi2VclvwPPRXYZdlvgboopbsV5JdVAQkHjX+O/zI6XWNZ1FjtlS+/vbL+iV/a0AbKhpnJh1c5ydLSXgbqxUm1hniME/ey5OD582yuLvByVCtgUpr6TUw5kSrqmBnxgOuTLLw0vdU7PWv5mXMbZFAvjfmezk/xBY8Q7KDNzR0QSxKvw9I3FxN+mk6VHvooJni1tznDOfj0vtJ9HI/fcjZTgzfiUSJ3CttRaqov+S9eo8T8u3FPbE7klYkzN52H5R/meyPByN+MEGu2TN+zqqZk0eY4V1Wx6tDda4V5blxFpkQ1hWXsDwMamojejC9vEGe1PDROFx+FDd01hcfKm/q/ftaTCAqKpjZKPgc7BTA59pM2u4Ruo8IYbYoCgi6CKZh/tVll6UyO1mkwyPx6YIDdwJrGlJAaImx4uLlBzpf5aGSNpudew1vzwIrx/zOQcqh6aUeRcvfMFzILBE0O6+TdNIHjSv+W7WO8cDdXlzFGacLyJiD2b3IzPbeVipZRlOYKxsWQvNxVQiQ9GjSSg0LV8L9+P64GwarsXt8BUmcoG4SagU4SyhUkNjzihRdq7aL6YXutdOn1FryCv7OPmJUhYVs7AyZRAuxrv9yJIi7mRtUZ7hCbhRPjfudn7oRpTUfrzW4OeaNNQnRRBimQOAQ5vaZHP2PyPH+8DfHs7yZvPBjtu7p4WqounRx8d/xR/uWcecvZ2FosYaN16gqPNByT1mxSLEt7ktKy8wtDl7c3OEInh1mPF01VDxjObgO53UZ++7b9I9Qww2loqi16Kvez6IvGrNAwQMmGWwLUTMMHQ2bOXhaUQs36Ea/hFEZGsmfA9pj4O/k8WBs/SS2vWdmKzog2yDjO/PZKxAQ0t5cAiNKMKXeDSwqHQov5pPA+bslZrKlRmtPtVIxQznM/gCWucPeK8wtA33ZGcohYhGIEE9yg+hKEGeTKSyYk7lZWuSWU7kKzCQE6LOCT9dvuh9+Pga2nbN+JrOZ0yi0W+b0uM+ZB/Z86iwqNKLaEjX1iUdldzaPuhMvmmQobnnE+AeNNDKjXD6AAn1UWOcZHGJTLl+uJRmvnBUxwmv+uPhU6/e6lEn8XpYBGnfQmKQV6r9GQzAwUU7CjlgLEr61vJBLW7L4MbQEWqdHa9xIXyImX54J4I8meNEHjDXk+G8HMdsVaN3b5V7etW2eBDWwLAYMofzH7Sq03SPnVAUzQLYQ5ouug0aT3GemZ8ajk9kTHSZl/IJz1+65/FBKsePze8+VJTurqQCpMoPJUS9vEuw4WIXoqbkKl4dEkyVakbY450XNG/FWbMYkA+5Uq2L3hGU92im+dEdIOoCjH+NsE5PgIFQw4OSyGSTlRbJBWzaAKzGc7Yzvfg7/+mfyq5FiX5WMWZsFygxah6XICBJqXXtb+IPzioOGQlnn9zaEHiwcZCxbJo3wubnDzb1+DmU8rzP/L8zoJJVEnJZfui9UIkghrv7x7krbfk7MWlziRV1FzD6gx7WkHJtn8JezKbEKebF6zRxgQJVCRj0Ofqv6joiwWOO6Sbzx3JU1JjP8i8XgsQW0FMWADTy7YWOJVTHVaw/hX+bIy83Jc9B6l+00ixgdY4ptbqziijhfyGRouUmT/Hb44IHopbUVSprmUNI6FSknmmNOI3jSFWNMROHYOtkU8B4aOVgdv1ojzJ0203z0JormKKH+3VdTXovMheIq/gkRhzWFnVcNjHC18zbE9k9VbgFcP/aCynQjwcKecMMRS+jHcUaSsq71nmxCigzehGeN20cES6CzEu+rYLktQLcBhcOny1seFGEL/m7r2T4B9cfzqHCNX0uDEgX1U5D25ybojoSLRqZme6bUzYm5IWGvEXtSQwGJ35PBSj9Emnrr6SdkVZ1xbASprGXQbYubZCjANwSMJXqVShLSS4JsoR7ZjcgO4whtyx5fZNb+p55gt2XB9SJzz4IGUDtytSuSuPvQQFBB9qH3qYeaOdBWeSrNsSqzVjY5yRvCu4720Vm+NHIR1FKVDWo4MkcX1PojEvPPt2yObMWVv0iJXJxQKa3U5DyLMkribxX36jpPNl8Zk9tOwkNRlzIA79zNyaS3lvDt74NqYR4GjsEeRBH51herrbWYs5cL+XEpfCXOSVBb0EkRhEJQKn+yEemH7YTowbd3Tp3yMpJ80thBDA3gMc0K0WJ48cuSBvig/Z6pCwwrypepchaoE8uR0VAa2aOjDBBa4HOWDpf2hTSFWucdDEjWFPc09Gu+hTNInd8sYHOQ76GhfXdQAk2m9cwCKGor94oMDJhNqBMnOd/XBO8noHUFpxoyKs6Oo+ftir4QA7VmiDZmKLNF++KN76KVREGnmqhUPwVYhuoXL35KoTr7mAI02+EuPjwOFhEH20lYo5iJ/koEYsupAlAmECrjA7sCYd+c6cKvC7NQ//SnlTlWcM7yKbRAGwucwDcenIONyaXuFc2eV3bnPHrbSifOv25aRJS9Zq8IH3JgHLeu9JqRi2edDdmCzZ70wJhN45HwFibjlqAQ5ZCiX8j4ONZHCMjt/CM03tNQRkLr6E0fl96KK2n/WGk9gSbSFYSXrPhgTLGrCHY7EgpI4W5fK1kAtdNEEXj0lixV/mZqiS1U9KZ+jIGBrEzPjSG2XOCoR4cr89YcNDIfEqwypNaBf2dZQJ1mVfRrq9cZYm8/8+epvohyxxeKVGcaAGrnHgTf8To4XBqjb3Rsfk1yNOtZ2w0xr0N+H0lPtX6u6ZYGmOuXMTRrH8tySyMn6kqcRJtMA8/6RAdGihKfUsV/VMFYLaG2XpEZvxm6MFKSE4vPOm2AHIl1LjnYibe2rARE1elKQfVbVzSY/3bFqHotvIG6nzMjihaDhSzXkuhwT305qe6qczrB3EYYBxYBUN2I1b6330wb6y+rNTiLUUbHIYa11qCRO6gVNrY/NBpjdzhmlGOjkWPMnADtPYKFaDL1G7Rmos0HnyGNr9Krp5PJ/6VDAZQ/K4lr/SttK9Qvg7BxB3lR1/1GTiU7d6PciGg5sR3bgWi8sXBShO2IHurzAjrzYAsnhuuFVhvrC2HbYKSrU5s4QY76BnPGKRNvtSbeAhp7InekjVlge4a/S2kpto+7VpPhy5yBrPl3dCCl5EZt/UwLp+CNJ137yTjLBDBwRBLs9Oo85VlMpc5s96UkgE8KjUc0txr7dKhmJyuFX2ULp1mZpBfc38kgxEiDB8q09ECpOgU0cdmfdS+ZsPu9rSTSHVW+3br6zGeL8VUD7l+1IXSxMhOemcf38/1MFUqj4IkMhebOq/iOzfFmJk7lQkwLzlPXUvR2++12xdklS65cF9fZhrrYSFqPk0+DwLZ7kgL+lBFAqQmogRvFe8O1PZkpNmPAl7jSso8LT/PduJCDVN8q5miUdXV2tlwSSd+hNRwYocMKx5+MQ/AGp5IgNCzYMYbPlD86VyQaTnHzJx/KgymjJSbbHXn4Sk2t6qNsnIP6w+DrG8+D/uFHDI8DcL/aQykwcX1z/pvLCc8lh9hVvF0dGvcPJmjbRluMITY0lpzlw39WoBipEPP9RtCKzcKK5wn2cD5YmgvN6lIr0DQkW5BkuzaPi6POU6tad8wtZxcQan1RwJk3N1hEChJqO2XIoGQkKpp6FR07E6iWa0L778zHuWh0PwMP/76EPTrFgn+QKC7vGvrriocPKOwLnCNL3YiHEb0dCdNaQsZjD70N1XYKRW4caKg6xZy4VXHaytzuPHWcWhkLG2fGD8QKAZRxnm8CkFjsHEgvXUQiQUWw5FXuxckrotvcOD6AIOxYDDTfZ2W1jOzRoCn6Lb7sjf7+24dvFXUv71cinRh91atTeehy2vdXwuveV+LLHSudiLUKSLVkVP9j8vUqmpIZQ1tzksi7IIdXqX+dGYX7jDrWETyipUhmnKLsQDxgND7CE1tGbWKD9MCYTy1YK9KbhKlzWzPLbC7StPRCWL4jEIOQeoWqJlQ496lDHKYFW7Bn5eRjVqi6c/T0P3B3NYQtZoH0a7uPSKLl21SDIoPyHcI66UJEgicrwlKsN4X5brLjPJYv0wsbCVWEfgLu8cqKLCuHUWxam2/0x3VD2j9MeRKJjNrOGw4oODk36ohg0ukyKoQn5NwSnqQ9UkDaPT0Cb8+izN+lgFC/xXvJidbNKkT9TOdlaOqoYB5+lDphPN+BV3ks4GTxIGImyEvVq08YPLtLxpZkBjH8gjORAr8jBEpxjIXvlNly8WA8RElRDCnSKZWTNqrZyg+pcSp1cqF1HUHlVNhS/INm0aJbGY/Kt/TPsNsfNQfF03DRF7HzmLzy0SoxADUUGMJKblokViBWw1OohublyGrokIzTkG83d3nY5sPKvty8SynnQx3hn8TTNsvviQZYBCwpqOSc3newNeId7haRpHsZlXC8tRyt2T983AxrupLZm6bOKfF4mSDqkMDKMe1025Fcnm85Kw20VqDfG2tMwc0cz0I501PnexPu1xrHX1Rg3HiplQVs0bJtlraJrsJlLjlNWdCzJh0k3DQdcKeL5YEiUWhM3gStsWIDLCgYILdyI2DID3Z9j1FpFMqQgeW1qr15HaAYcvJbM6HmUGk2SpbyR6SfUNQkZUR99WtEuELAhjXpVpRTZATuivfzpqpqu+hWk6+MN1ykaK8HZTEeAWH83hqqa+U9vedfFmg0qrbIy6N6JKxPur7MdZko7hGVCXYaQMrbShEkSkA2h1f3T7AsGOZ375J965vbEmNuQNZ8UNiFjSH1+O1w1zb20374olCah6o0yOcdHy5RZ3mBbLFhjpZqQMQl2xkTAP1XxtGtKcfDBXMk1aj2mouU6JWKi0m+nWiA7j+fiieFInZpzoAl/WuBYQMJE/Zd1g4W4fQiyBwy5JaLRXhNE0HYw4tJnCFLYvsDFWXcPget7RPryu28ilVvBbT6LIfallfThju4b46dE6whZGgc1q9dbBYxakc26mVgtVN1cqCyI5VUALnZGgffbaw+MK8/q9x8djjSQvJN5lFuOLe2WgahINnvBvQAW4ef3H84emGzsm0kS0iBarqBe+klpZwjVNZx3WujcWSOZC4mZQLBNiRa+yiSISS0pGXZliAskNhq8Jzm4sPIPiPt4T3OvcbGYfyY9eYiRGMNB4RQ8z9ld6x4+y92qNXwf/WOc74ZypqvGgEOfX0JSkRCO4iHIYHAoNW2ohpMKGz5kyUQCjwQS6zyG4PX0fywoTmILQPr0g4MIpW66V1k267BPbfbdXxWuaOo8w2yd9Q5eIi6QlJZpUhIGsKXha3KzHpdMhkmfupzGfVAVv50cg21j0Q8LoXPhZwzQaaNwtAyNr1Fz4uNbzRYC9FQ1eNWr6aJ9+bHoYAgKaItgPaXg5DZrb/v6paxHk4eQBa32/htjmCsVgVPwrtcS0NZ6/3CGxvmXReIJ/S+AcPP9YKqgOj14BJxwXRd3y1Yv3ly0PuKKrvuY4vccx8tKCVMXXimUguGOyJUyPubR8eS6ltBKo/NHwK9UcEdQtSB0Mv5SInA98LMtbvAjOnCSN5/2G1xHNNlJ/SZxhCKtYbgezpNR/+J8cnUaaP+6mGX+oaglzqgdkwbdugk2hUIsms/Iml8U+vTN9vDHXBexjyDfLw5q8bapsy0qTsF1ZS8TJhumjZsll7P2fbla9WRQnyb2c6FfvCfmtwMktJW0uvaHNUeV6enZxNf1O8Teag5tw1EGsO//z2HnnXzJ9CFEv4Xe8ydRLRCjlTSoJtf1aUEm+rUcaVeFRGU3yCe90Y5mch07ip1ts9mpXfYFFcaC1LliwuQQdrW0XXoHGuhov3I8mUzat1cwjrLnR11Bt4fdrtd4rRKxASOv6AZCW2Rk8h3mXFnjNCE6vmiU6eWewqgsFRQwErnEujZZCosWRrIP30avOTyyLm7/N3d2fnx6Rxji6WII8zf2DqGikjh0cVb9gqPwub/5SSDawD6lHV2r6XwNoWbDLndIw6nLYD3XyBksOvY8rU8sEbPf2TXMRoqs7GjHUXH7Peuc2J9Cs65aM6Wfdtg4Ywo8BfQKs5lEdjnA6UIqrr9AHHiBfE2knsmgadrVvxApZlotcQWQxaCvbBN5OyE1Lda7Lp79uSjznO4uKJ7Sv+YLnpQaDqsFC4gn2kTgs+6EtdjnhEm10sNwH1nNjRSMy2K2O3T/aAiGJoNaWw+ykt32gIhMwxmYJgr940CHmb1ffY8hi1vfAfVAolFHE3MS5NxLiEXXNi8goBa15wi+pJWCZkcwttHGHx0+frhgR8uJwHTrYeg9NxKmK2V1Vq2dkaytqrLCUrVFmf+GwfIrrVt5RpsY4EEVdklK+jxSis8B6GeaexbaObQAIoy8IWOlUIhP1dwUuJUJM1Nu99HXN+Ls7MUCjoMvxmPmjNxFcaxVIbqhIcP9cf30Z69CECrYPHH/XrnoZWAJziwuvMqTaoCVzRBJILdhq/RMiLkb+r6wZSyuOm1yfoFbphptr7JrjhPVXfkb5z2EHHjvq+tY285RQB63VxvOxL1GFi8KSRgey8ORwxpjTm2b6WgGE6ksl+y+mAk6xHAEpOkV61AQyeSd287N8rNQWXXbelBga3nJ66i/I9QpVOcvoPaUxVsUD9LYsREY7HQesLIlWM0KruQw8amTYj29QSIU6gSTvTrcfAT73zhrCzg4VSjr6WzbaiG6KjpTdbZqFTEBiG3ZCIqjvajAlbFC1ZRclsT3++h/e+Wd+dWlz6p6KAkPhAE+osL9EXs/AQCKCoHE+YvRAcklMxMMyWqjgcVVPep0Gg0jMXCKSMVBFwoXTZ05Rgfy5vhfb4HTJ+gytQKN8dSGQrP7My2Sn7mndlIBu2NRc7S7ydIi4cpxA87CdOVm22CswcJKQtfKsrkTQ4s2eyhRgSVGx2oaBrnoJRcZ77MVbhmTwoRm/3d8cmVDrx5gCA37QiwXXWHqkz1IJCUsdvTlKlXNM+nRZWujrmYorvQbk1saLqdMVfB9WHHYxvmp/fGPGr7LJm84bgg9vdFA0zHIRnFhBfxvr9Dvbn17/8WR4DWdYtk92cKx8oz2OKtNPYcRmerZsuhdBD67x2eSUvbRbjK7hH/zUpRtR6L7yO7duUu9TbIsMEaHVXz6YX8J6dTx/aYrFYa+iQM0zwlMz2NamChWVn/OgxcKMl0pI4nfGSn3KbMQwusqUwAQblE01B6YbCY4ud0YYhTqthtQVC7zk4iU+dFpROVWd1qQFCeh8lrT/UA3k2HLrbvnBImrDukhYwaWDL+SL9OStESabN/pqXaSyvuHw1lTOyjmWhJeIOIcPXexa1NfEnIqB6Jc3TuWOoq/HlygV1F7CCSse3flLwxvtFJU/futfEex1XjnLjfPrdk3MFt8R4Ok+3PW+3dC36MSY8aFcx1whz14s3LsUZPjG6dLRynPNnU769Bkva0muFENVSGqOayizGQ8Fc8Q//fHXX31ToPHi/nvWP4E4b0xbXSFOd5Q7vwQq2lFFGBBxMjutx8RPd+kMO9d/c7FSYCVReSnRYbW4OSm60P+qYZSocRQ0s6Q19zoZUJwAoJwxBsczpUrCZJc+xDIC2ZbOYzieJ1e6hvSHfBHmbNbY+mtZerb4H/NeFsM40jRdNkcP7NJ3y2tr+aKVwc0v8606EiOSqhvMTYIpHED4/HNaSYBtfXHBBlfUiS+A7yiABw2Uq4HhLxG3SamRHp2MkVJNEQvqEJiWRkyveDwRlCh5n+mrnNHSTLWOUG16SvLHLhy9sxBjTmQFPvP/Gg+bLPZhK6A2JcUJgeGYU3M2XJYuJgyyj5Vqp4MckaI3wIs8RsO8kVAlF1uuQqPk2QpLwL3xPd1QNw0VdlYw50X9Mp3p++B6V230pG6M4q8l9FSj3YclMtk9AWYDTtcN41N5cKEcgsCA64XgxtO10GPbaQpUdRaD+NP+d4W3CgLwWkgK9KE8XHlJoJ8ob97i9u56MvVIHdLP5Vl/hURp9GLhrMuQsqXj5DAKMd9J5yrnwnheLVnd9GMNtQBFtfINvnNrgng65aUOQZoYdvq/vAUeaxD+l7p+MrMQpMt4ghawwiB7PNJpE8xJbNP5UTTU+Dj345TOZEx2iM6Z+mCNuUAMHZe46ZXhtPhcJ2E6E26ICJ5LHrAyirE4WMNGSRtQfjPTaRQ1xUMNN1hviVxkxGgvv6Y9r5I12qhVhfphAbMKsoVOMrxoqQOrK3/kRfC6tkxcXTPWgofGb+OzN7MU9lUTMgnqPCoogOgFMJHRHocojOojErVI6cT6qyzX8htEbVtrmCBfJ1dHYd9j9cXLxB9l06+ic+eNbncippDI4IZL6bbEt/anLEW6bhOkB6vLY8IYHixaTKPYLzzLcG55c4+ut9xf7HxvSdzZAs4bjFWkj/9fNi9RVYdkyEvJBmJd7yC9ZwmP3cr4rz4CcAUSvDAYDRc2hpl1sccAaFuZD6DEvFHQxCwZPEh5N92v3Kr4UHN3AG6iloX8YS6DAlX58uTVvqilG5jgAYfSyRwd8kxt9gzXUeJMfqrhSyQ9sTjqH2wpWrjljHNYdE3VhIu9OZBXpFACo0LyIv2ARnvVYCZ1LTdnJizzdETVdKmstnqKNJ9p1BD2qv08JVflgzPl1VLzyf5PbrBS5JG266dLdi1IhjtJONc4Xv+nIb0l0KC/R5zwVlJgN0iS0x1cS2AojcvXUgdujRztQut47dfd5naYTATDRLCVjYOHnKzcG3FicNN+uGbvKpyGopueKHjJmiSC4YhWPipyyTFeq2JO2XxaQpCS2XU7NPuFwdyyjlOzLOJucMybpCrvBITlclfWB92zpEk5xpFreDPuDCDgYJH6wYOVL+G0SyHowzu+RMwkdeca0QbsTM3sIlnzrI0qjqJb8lhghwfOiNo6Z6/raVbRsBu/ekuYc8bzJDCW20HxZi6VM5AKKUexykUJUaz4SEBZHjHBLxCw6mhfXHmnJHW0xlJ0g/G2BsDHsomE3U0gDYp2gl8CIoE3WA7MdprqrNUX3djiAwjaQueRYZoi+amGResOECYMQzC487Fvq5gqoXhpR1iGZw/nCxCqeimmoqubB4O5N7r++vpv/+eshglV/g4sBKaotKKS3DXmtuMNsCHV/NlX0mWMBt01xdFxPJbZsVSW5cAeYj2X1r3EgOkMSQevKbpJhCgdy8ouXO+jxnIfXblPp5iFOvkGVh8x7tGtysMZXq8rv7GTBT/Ifc7wLbyUBbWzukbSJZQ4eJ9lDjM56TLVuPqIY5G8T+kvbW8a33kr6jPDAr4WFV5gimqB1P3u5BVYD5mQzxH+N7Uoih5j39qS2vf3TFByn3hqZW6SLZ2S1BUWW7edztLTq/fU/Za1FWzJAhp1yzrl7aHqfiUrSgBv3/EgmZ/O1EY1CFijPL32Zdaiv5V/Iun6yU3MmKEO/xZ2UFOpTcrixTl5MM4xSCyUhrnjLvFVvv76v+Gh+3BmDZ4+0+bDWeyShl11YcDOGcSv+sFgWpMvOtMqjn8KIU/7ZMEvNhTQb4qsgl3tlhx2W2eBkFQa64cXL8dy0EX19dLanx9GleZAzgntBREQbCKWY4GX5efPax8jxlAMbvzzZmdR/iwXHyABqBybv/ZeSQBQzsyZq96NPjWbnbfvkVrYK7kSw84vINt9VHEh57AY2eRbVPCYKc1XfJNDDcTFvcT/MbNhX7f84ZIjnXFzPE8a3jx4yNV5DEUUq1elhQ6CYK0iteCsFU/LX6uepDK5b2xMwWKnGZ0EMdpQIOUQr88o2954JGv9rsTd0e7CRV3TSxulLcWjfcUT0cgQEk7yRiFv0xyhHFN7flNE/8yMi6+ZvSdvgRVOJ6OQ8rC2YkrMHPNpC5DeH7qDQEnuXJPFVn8WziN5GXzIgktVUTDqyX/8vC/5BNf4WhahBElf3KCQDJU8Nz0vGqfJPfR+p7KihgYc/vz5Vxv/AHNh86ToVdLqQiXKVuZLbHkDjSba1TFk3VagRNOJUdpRTzoTOP/6Ny/Hn7/ep6LRmmJEhgTsHKi8we394MVhmXBEtqmUy3hVSzkiCqh2RjP/Lwlhb3yX7W8xdSHoGzAdj5lzGFXmBKntNFsla7jMXW2c6AOzfvbP2zuIuuFvJ2zlzB6kHNOfzJ1m2qzG8B1L10K7k9RYMvreaPTIl7DugAC0ni9jcaZhTML0YfJgFcD1KtLBZnqVupyqf7XEJQ18MInkLdN8Pt2n716/jN9z14prEoKk3Vmb1cEziqWfZFvAErhuuHAJjV1xNwX+YIrRa2N3WXGkYTpPZUQ1Ja3isDaprYC7qN0Z3Gyj52iiVrnC4BP3Z9imjF77Q/lVh1z23ivc8dplyMOV7qLxLJE17WVtR5nIObpRYCl0Z2up5NVM9ymY3/GAESKcTuILaJR7+cKyuEmaESar8IjIpjQ6fQghdmdhGqzyjoHKsJRwOsKns0h3KIFSX6UKuctzOHFLJaI/vAdhO5lhvgCfodk7qQDjR56zxWTA6p0tNcyRFn3IMpMrU3GUTv5Va4lpz1VcMOxalBIwO+bEgCJQI90VYIYaZsjte3SC3EDqkx9AHI7n0yZDcdZW2oznUxppdZ4shFtM5ttzLn01iOrB18V/XioAeSKMas4BnMlzb4uixuVIsvJ0EUDNBxxw+8QVLuuyri5K5/uo4RVNLeumu76cn+hBVG02OK7lFtYZyJ6QhZNsujQSGTgQlVWR5C/LmGjKlWoh1iDoArrioz1aZivwrmZI3pICfWJruzROldAXlr+9Yadci7Af5wpXtmqtrgZmT3ixqOHaX8QDmTVxPE+adC5nzclZZm6cYqia7D1fuFhAl5X+4nujrqxNlRcUbpM0QoI0Mp1Eg67xw4RbvJ2GXtpoX0UD0ntoQdKqrd/lmLt8j8zOpUNe6g9A29ynPXAnRgqM5+M7omi86SGGXu4oQEaxTyskBPSWQuBlaG30rePWRu/2LwwofvIBio0igWlUFdLRNYgTUyHMBMaB1VgMQYwC17Py7KnyQzKVoCMCwL+Fj1YlxcAENfQUXjoAd1f2Z3Y6cV+kHHQthUc7Q5pHqNfOzEvfzPgldiBLueKmwZYD23TH6s/3l8CRNzFwgKR1qVhjUXU0lnI4lbWpJB7udP8fiUs7NaaJBZ2xXDsCciktzRq1uOlRifmBKMscepmvNGVEI7AFR1mMlf5F/POc+WsUF+8qDb0ZvPHaxDL9WSEOhqviwu2gU8PBlyP+J0qJP2727lPPq7ys8Xx6J+lNWKhbpNF0376TnQg+5B/DOzUI782EHX29vgyXEvc0DTQNxuLpENotwd0bmyLD9kbtFv2K8grbLexmUVCKa2e10Yi6IxYFMn3oLDRlSyyepVFEJoH7qigTJ0qimfoF5AciHm/vnQ/X8nfkJutkdO1McPP4uLf3lKdyJCfUV/zSsArgBNNHpJlzv5VQTko5TtrYtlQ/hB/lz0aQbIa5L6sdKC+Qd755wQapn+4r2ceL1SJtTg/lQAgDKP6yII5E0B7qzIQXiFQhl6M+yUfIf0pR6yCXQPwYNGwFcLLslIELKA/Cg/G1N3ixbIx1R7PbjFFkgwYL+xyffFNrTh7//bC8LiWyRQ1XnVROMMl10ZCjV8ojikZars4ORJhoJSRP6zHwpqZgXR40Z2LEVW3Y/iMEKt7UvYEMAlcZLEjj2ji66+JzYssdUN/5HhdqqD4CWXo6ue7Dmd39jCy47keZZw81dhsaJVnKHBnLhoJLHtfEdoeY7ledKW+mRuvLhkt3udh1Y1+C7cJgjlXhh1xtTk3QtZgNWefoZY49bBzdy3RV2DGpSE0sijXH1Yvvdjxf+l6aDgZgsPu4eZpkmmBUhWkxBRd0E4q+CBa3lgX9gPnAi+AoYCCHnsGARHbQDJMPa6EQfx9af/2tKSkY7AQi1ZUtxBgeUqwNBq8iyW7gc+Rb9+BoraUNVVXThZ5JLoudfo8fKvuy8HBz0UKBBCAi/V0jCru670JrcYR5Umezgb45iwlFYN4UBz7d5YlCvNemHl5mxMULB40KBw4MDrH9G7YxMlhaHlTtCSIe9bUUq53rml9op5Te+MVKK5u/DyH7+0AFuVstWM4lPipswetmzZolezx/uQgLfnGSy9qFhmommkn08dbQyf8AndL4jPKnMhG4D0+bv09pFHUbNdp9Bz5KjvaKIByhzX96IyR/JKCgNge+jFjNQ8OYEGEep2MNOx4E7OY6C3ViAFGJMfvHxr5UIQPYVrrfK7cKK2/7MXOSp789fylmO7EDT7uFjv/Cy2CelIl6TpVASQsNRfD6YMhYwOKnZaJfIiknMMqDNNmwgnvDsBjD3ACgQ/TJEq8yjITS2EmZ9mK5zWF91+L8prG2WJGe83g4+Cmff5Sf3nTXfpqL/VMjWjEO5cMTy07pWMWV/web1ns+vCNdNTmDcnKsANBhe0QLlLgU94MTHqI33lncOeNLH0aTFt98+9vmoIziEh7c/L8G4pcT4fhqQSY0d0BfaPV3XiHNYnwUAB7qUpE65wEh+XfHpegi4AfVC98MbhG2IxIRzVQKtLQ+QadYChTSeaUNdAkCqMhM1pMvonfZf1ho5t1dZ+IViw+qmG4sf+j1dqJ7LZLL556TGlsM4aQeb6Z/yykU+wJhUA7Het/+XGZIF4CtCcyahmXIwJnWaPusOdE0mmjRAX/0/fHlkc6CXyeX16U5hSpif3qlTGRY6T2rdO1iKwEJfDGn70Ov2vKq+0xNi7DDimbEm2axj8P/akO7LfWGtKWfXeCQkGJFi+AkJJmOd8fzZeBlV/8vL6FQ6pc5tvWEwflE+IL4bVpSdUx3Ryv0qrm3VehCL8EzPlu0zkUWz6sVeojUouLTEO83GCkwkZS3yWe5vbBqXnzGhl7SYnn81gcOh/SR4n191uAGRcGxYJFJZL+b+/zEScUazVs/1TWc2H7OkHcIyVHupoR0CAdal+7jP7/wC88SDYpwx8XUEtwGPnYF4tOYmjeMjaPCvoGDuOoG8OHMXzmeLy+4ou1Zp/bHwgKx3xhzx3TT7oevo66X/vdA3iDr9iuHofKqTJxN/RG4So3ovNIMgj2d1+PH8CJ2PxGJINeKABMZN6g2sXUoFpF2Gl2IdmJRsSx549b8ZuZhLClnVteCbZqcKKi+rp1g/nfDTAVTEzWeYj1EDTOua1kFmmCOL75MQEWHeKOaadPYTpYoCUcH8XJxxL7MJh/ePJGQi5tb0srfp/P+z/D1/+I/Na4pCK5v7geH3Al7CiqvZgrHljOhrGHzs+bAqEmTsgjbn8xUsbWXCMoWOVGCpXCApy52Rg+czmAtvY5JsCvDqVCyrjWasw0dBV74tVRDpvZuujT0mDxtajVDqp3UEyNUpWH0UaiGWwW/q+zhXT1xE4VSh7Uw1hUX7FEhrcLKmBa2XWDtveYniSqo4VKkdJyl+kTZHXNrmPlDDGnlGcmCh5natnPReq1AV5vV8/amSRzpxi0uhUTAS0byXUB4CDSXb3BlSOpUskEDM/aWgvce9qiIix5xx8qqc55ESxbqyhs8QnV4+19+zzEAoXT7ZoF28h3jqteiBCVd59c/Q+LvQJ+x/PgldLaZjylPRKiZel/l6RzUSknNNedkA4mw5raQYcZ4/nL11NLCKuII+Zed3emHiH7CYOylySTxpmzRolr0GMuyF5HVKG+rh/+hF+SoTD+RMH/BdybfxyozZhpbW8Vn9cPCLKltEXOv6CcMa0z7IewyclfHfS8LXEOc/FaosD5HM3O9ugkOf+jOWTofF0rn2NijfbTLNQti3uVuTYOgo0ECvcJVxmUmzYLiQh/oUoSvQ8WGQqIe8FTW0hk3p7qGYQHhQHzeTH0USeTU5ao7M4h0a1vs63idgG7m+KZxPBKIZ8mW1hrGLpThVBhpjIZu6j8iX72pMDtYc2THqqHVv8yS9Ll02hqNT7UcoXIjcTlqPTKD4RCI3NZKtHbv6iEfXAnvWFe4W+0txvOkqdou21WXrAClSx7fNk3U87IwHsnUs332kgbzuLTW7CQ6GehkiVR1zp+cBXmUlJPB3Idnotz6G6RUJQaL2OxJfm93/r/eV6ihavDA8dvmjO5zhMfnoipvh7cDEg2SLTyGKm2XRePUPARrOVpQh7SbMmNf5BYXT2+dKQWD7TMmXtlsB2UmEAED3xumjLBviUA1hw6dhHHxJxrfuJjOcC2um2oD4Bu1SJ+W+6NR3Cb/chOgMitwX1Wd0BBSgEcblDkGsApjaDkEPutmeuZAkbh5/P6Tt2XD65cFOoT0wnAMNDL1sG0Mx8o3jgDNqCprQzpb7fHZIKNpGFp9h9swtT0mGqKViuxkEPWUnd6HU5fOWCUXaKb3QDSOk8ek4cVhuoTeK9B3TItSbM1UuF1jsIznm4bEFzRTMWy64dCgq5CaqX9J2TLzfyA+QIXzr0RNQUY77AniU8PFLmRcHuplg/lOt19ri8JCFoDF8px5jKBPos94dJU1a235FKqYGEkt4vYzstuUTSQ7n4nkKS+xW5glqdiGR011czmuzjOkw3qPwwbevuaAPeIrpyu5/0fq/we67mLHESEemgDjlucvH6enyb0Ec9J2rMxK3b5HglmQWA6HnJCqsyIISMBwYPPASYtu/RHOhNhPjEc2cH0F1kZmDQ1EQbbpakkLkcrS+vq1yYLQqcoh123viA2lS3wqDaV1FYOvokokgiu+TwyI4KIgrFjLL3A6P5QX0U7iDnbwJ+oilzuag6J4gWaTx+zxvmFhvPjXfVPF5GqE3BtGfKpV2bkSzsp9zDqIsoFUr3GMnlFYSq+J79dyhfuM2y73K+x0UuzIYwCLMwHNlzIEhtJmP9WEYVaLk24HH1eNIoieVF5dl0Cp2sTeg+/Fu/ZsriAH2zO5glbs1EtohcZv9w30goH80Pb6ooXWnWBQFTmzJFZ8EFlu8vuZ5FZSDPqRzFS9J/C9MZ3QYWNcUjo9nictM45GSsAUIvA7twW8BDXc8ZYbM0ctnLWEEqVEfqxlPFcYXwzvelp6CfMPw8hfawC0Vj/+ZTD10z+Jbwa7cy0plJPT0V5jFAGE8WKW1iajyQ+E3CA2Bu8JFOe9B5dcCLtgveDDRd/p755toOkSDnQObh/wUVg2RH/cixHkJuLDzD6LbtqAm8wcaVeqpC3QFYgF2WRFkFdjoWRQHn5NNt+LjAbYm9wgcrqpeKN1WDc0T4TDQMwunh7v3pGV9e0oFYNub/LBMQ4XzWE6m78o5wNzd8FNN0xphE8YuvTVorBEiNyyqVuf5jDaIfanifP+whvnWf8coJzk8UhQP/L0OcTvKwGNbnBdfOiq0Caef659dToeYhFwZY14L66/g9p5hqHEFcLkYKiZ9A9vkT8HXXWPH2FVJQIVeFsx7FZPCzpueW8TRSjd3XWmNRKTydvCQYtzZTiO1WDYCrhIk6qDK04bEaUE2dQwpLSjH1j2+RytPysPPE0tLXPZ2H6iB7SHsCkp3d3m47tsIzCCUXDYs9Q3sYSK9MP4UT5lO05ccKnW/VuRqAud0cGmokB3j4EqHPftyg1A4muXXHZFY2YNxB9ukPpl2RQGgqx5LL8YxDREM00f41QNwoI+tf5rGN6/ageirAKA7Lw/r6hEUfhTdx0ev7yqbIwGRzItiXtXGinGYftChls43iYSyAQ5Zcd4AMtsItCU8eN9k/B5SvrlByiQSdxS4fcY1e+Uj0Ds9TvlT1PAfRFtRxEKkW1k5F0s0QauJs5IIX8or3goOO+8rhn0GxXE+3njt5ezBAjUL7hcoyGPtRs7ryX3he1P6hTlGy0wbv50khdzN1wLxFKuMpWZMN8I+2XaEGT2rklmMrAydXFDYiJ957FAMGSiexShKY3fQkJqnua7eODYUxgxbxoWxGLyQISacJEzX0SSJsJnUO0L4gcaSSrSSUczuG5VVD2X/JT8w2stfSERfxuxJo30gNOi6UmglGBwlBDXLa/qMs6lVx7Plw1oSat0XJYTJqbFdmVulu08C7kUk16Sx0ZnofhLfM9Fk1SazZ13Gdin+uJIWcxQa6XzEE9hJ9zytNFXUeMZ+bSWwbqvvkONuAvTM07Oys4BSZTQ7rP4yxt2ig1+askUzsZqptpr/YHWgvsSFgY25saodlkd8fh2Yv0LSGFXaiRtqwJGaRYb3G6KXv0bfdHT3H+luF8+2UgT94qGltbjeXInxCgqsxaBSvOy+Ic3uJp+NHooC7Wb2ypSA4o1wGW77k6CteNMQRSPTYsRnKyXo+GwljPDIE+n2NDkqIMmKHB4cXb5Y4AzEoT0IIs/Sv+NIrNciJjYVHU2edaq8e/5yXxdqebhUr/IRWJ7j7mBsPSnh/SoiqUJkGQ3l7I5N43fiMSi/52BdQPKZii2eI35o6/p530Vr3aTbq5blrU8OjhzfIgFwkkoN4w94VmjxiZbosbIgocx0S08P+JFSwYZsZ9CbBA3NC3vpE9RVqlLbG/1EbF+ZT567OSVEERkYd22peTvuVR7gloyzVqwlo0jp1Pb48ZFAPQmxrgUjlqFOuvJJginoszhSkOAyO6cPde3KF/39zYf07LRfqdrabmItzayeV83VKY4X0Qt4x+VMtBl5rZgruX9Vu5V7e8V1cgtUJRs9rU7c9koz/qwIxsYdV4ugs3RAXbT9IwFLBRV7wN16Q4+zd8SkF7iZj6j1/6rdwetkSa9P6iBUhSn9hKYao5YCmm9l00No9iYj384e3kfWg1cRetplo3tCQ+KmUaDBLSLi4gQPLCMfhkrH4tTKvPjaFqmPW/8tjxb8f+mZEq6gFUyOOuLZ7yT9kWLYr/xNV9Qtbj55fXf/L8wFIoYae44Ei6mhAvmn4kIT/WSybHxsKNON494Jgwkr3lgqlDXJ+0ipcQqm9yKReLQQljJbMUUwUP1qfO3TSBE5KD96VbYUDzwOpvDgLAhicKqbnew9FjQpWRNorZotEXLN0rf2aGIyHbQeXnt265eDv19Sty9AT6k7LX0E4vNqhh+Gm4oOK/RzmHoqP6pp83wDRPc0QazIipE91pff7Okc2x50HFiuvPZgd95wN94mT+Q1Ofpggv4nc7mVELMVwhxvsLov3ypbnnyxaLj71l/yCvamF6VdqNpkF/yQrYVuh5nv2lpzlwc2/SVyl2hDfOoAsxo+lvAS4olpfTHzTmXDV2GL5viPxVJBRtnckp1Mgh468YQ/LBTC5HBREiQYaueDvMXIyvKGyeleWEcynmG6bP6oWgj5Yx2P7kVVrvoaMBeSiGCFPplb6rci+DoYsPE7221XUMeL5mFsL0Ky7e1GPfLkyKf4q1zNRf0/5aHvEqNLueoSIVUtrd3BhtFFGHTve6/xm/hBaxTemc55kU0zBKxIS9mlTCX3dTH9jwppOxkWwvBG8n0pH0m5a4Wz/Ri48l7lyrlVCx0oVp1bmIkbc7/zrjnaQUYfUkwSXKnflE3Qw0dQCn6dIii0TX+6Y2aDydN42InpIy09UKTdG2kr1OiB8TJWKICUHCTG+Wi4j3pIWMEBUpT6tSm95Thm0wqkbwoq3VxJ5DxuJu+OYvdchHv6oILyPolJ08u6c7kJ+Rvf7ynXnz99q5wQpo4diCqlOSF351PteH4Mbxy+iJhZsxVEaTbjpuiGO12V/M2YdFXHa7le0VXbwQ9Zbobm3+aIdBSUiGQeUcRjCPnabxGYGe9zsy4ugtEmDPyx/LeuGnNKJPKgRVu0W2Zt22ic9yewkrzRb7Ffpwg0sIY3utmelhxOdix+LpmLW8pw8oR3yRraAwdvbTblma5P+n8osZR9ItRbmfOoHS5BdD3kEQ5ur1LBIWulIXRp1WFqlB//rz+XR83mM5dE8iGErwge9sOIBWj60Z2+hiMFD0XkQY31MDXQVxhsRYqeu134zMT7J860sBs8ZL6gEJoc4AynWnSs53SG5i8sLz/7SUH583YSjs5fuxfvGRXJiqCj4LVIvVtb/D1vV8sJU/2S8/EcqxjOnfYRmfvz+38RYjU9EUi1qXV73fbgUL1jl+rbkvoU6PdSTpQp4YaHUKi2uX6H8ngVT7JTqZGGrkNHsJYLIcTiyGMKugIaWJYMDB4uuJqAAp9/hYrJF/iU/3LWS2CLx1rK9q9INMQ6DB46PggX/9/kVGYqjHd6d85PxqrXHjyo0BeqNbaJhjOTx9328313tIWOi/bQRUyoR9T0UhfN7Y9AiSw6LmYGew24oA3dBJufnvDRwBbuul1af5AfJcy6CcyVrq1wUPil3Pv/CP6xGppZjrYzyp9tzH5wikleprUQYIhilu034T1ORbE+e5FeSdiWwkmuUe/v4Rz5kfODFcuOQQneqf/F0QubTwic4FV41Xd6+WyAPZy7geRN7eVs3Buy8/cHwTg7wmTSpjcNyBHq6V535J89pOWLnu5AhUFWuZH05n5FpeM/hsLQl2+gzB48uId1efxHZLQtlIAjf+8K0lHxW+oOllZHAytIRQ4A7+FA1M4bSVsh7qWc90esWA6W/uTHxVgRCuNJX1WmvPVYoLw+QRquwABw7Zsr3ci+lu59Sk3gUhP06zt0S6/8gp4hh2hRuPB1yGy2BVUI6wrzsKbklKgH5bW0GgWDA6JlDjbt/CmUync6M4q801NfXMYF1kplWPRfSmW7qL5LF0s+WzigpSYCeJBpYoXURx3z6bXbtTSEB+ONr7VhO1QI2CGXZUt8GglmFpKlOOSCfaYkO7Lhv6eubVUGl/IM24RKIVCfnj2/NdlY3t03dT4bcydoJVwsRB+17YyWxm+ZdYD3whKgKmKkCUmraFodtTI6969XCuMyZs8vpxRq7QwW9W5KDMR+mYODCTZoDX6JR9RbVQzEHSOETa4sRx2a5yVohHJCRWHaYiR0oceF6kohTh9EIyGi0WGD1r7/NXiYyvFDz6frAmk60kMxOs9kOTxzSxFPjW9QHC6uG0Xv4q4hmnS6sWmDObUlDHRDeNNdiZrA65/LRs01/PxBuZqUhYYusSc0u9+e3/QDY3nG18AR9QbdG1gUo8dlHlT60swncbrlYeytHuqjpPv3ssyat3UHn0YnWuMIujKSEMgD4ByK3G68fEqsomYDpDiWhjpGlFvKP+/5P+FVXMz1QOqMdnCusI2R9TqtzuJ/VhL3oT1JFt56lvrd1kU8u6maUZ+5vKjwjeQlziR5Jkp2nOE0IrXFA4B7FVrQuVkL9RKiV9Bh2X66nlj8E9u13nBKeCuliGWGP5+dLCFLyUzm98u1NXqQhmqiCym7IrKWyFQd5V3XZisuQCqNyYR/ttgBnBPr82KP+i8HLRt5wFrnxP+EzwyUtpoMELiQA+0MsVHtxdcWwLAuluW0PS8ayRgXdyLkquMZ6gs5WZOdmVvRmtUp/hpTELAdW4MFtPfuZapxAHaXMnCYMzt3MxYpwwttUmwMiWmsGJ00FRQivMKjRQC0xot3TWFOc8DKY8zF98hEjKWJBB9It1EWLU8xSmQ6wYnb7rjPKd10OdDJJTeolHuxEyN/PhlAxSljptg4bZ5OKtEXHP/8FauFvFu3U3hCy69eSKWqY8NHpw1A0atGAzVwfzU1Ujdjjt8RP9zw2HeggNPhFBpr/iC8wXzUZMO6dt1/vfe3bIGYxFGBCmyuQkDW8cXeAiINJ8xYPpYjVrAaXlxII5cdlCVFK3bqqTc1TJJpDKWIlMz8NK2Z0ZJJrOcrYKDsGV0SNSUfBiYsQ7jXZDBk9ZIYF7/acljh5dFgTOMQP1Hj14i2vhWmTc43VVvKSdZDQXSXlYhEKXKrxrPNzd3gfOtHF5PRzGc8IjEr7Jw4KZlSnSPAUJP5EM4xJac3b5RIT0Vgy+GmzDbLmJj3ejj2TXOryitNcl4f/myMu60XJSSPP/3bKPy+oWOJbKmJlx1FhX+03umuZBlWnoW41NDHRZiOa4dcgDiYImnQkimFD2c1w2F4mDZbKqcisjHp0FGvpBX6NpbvseWYyRsK79ueNlqahmqfE5/XCu2rTB21Llwq6TIcNwDHzaqj3AiV2y2Z/yqQdM/6cZUYcz72nxY0nsZkTOh0kGUH0CNZp3+Dwqs3O+HilmWXBIur0r8uLw3pow9353+61DC+wo1a4S2XiPNQbEbEEKbPl/wxuuGMeOR/eT81GRmTn/LWodAJ5VS3t39+SVii4amjywPsESmN3Kkxcm8UO8RSjOaCGUWoJ8vktaWjY/DxkQOMGgVsqjTBUDmBw+Jf1JKb2aiGoLEubkp5U/adEsrQDVpXpQhE79YxC6I/FjzpgdCthLF1EUwLsO573YoDeUMCDuVJmm1yeayh5VHFsNy8h3NANdFctZAqzsiPHB3XFreqKk5u9yzhm0E8uGiAWxFVkL6izrbtSFDPmWZFQopXuhije0XpRBQlk4TM97ytV9oELdEMPmCcVXFIrv343JfqiAxipsQmj64HTZ+0aaR6makm39BTem7CKTcCCMbgmoifAoUcqWyksx8NK3yXcsU/unw8VOw9412IB9iVCl9+WjxL1lkDzv3pFMaVCn3JFJALQ3G4lP+Ve7+emzgYrnCaCvTALJ3+TedzUEz1tB8R7G+72ENUJj5k34M2e1QxqZfujY9SgWXPV6epdHInExigqSD4JUFBDz+kt0k6DLVdYUVVhLDhi9SICBsYcBUc/fbActYJxSL4GweqU/mZQgjwZpyP5onfjpLZVKulfD47b7pNZZLzSp2IDpMMssadR1/Rbktoge0hnkpCiDUsMRnvG7caSVTLVwR/DlWi1YDFqrcpDgUtKW7dKySFywysUslH3FSSwhAgBTuag0ik3QlfIH0SYltnMSp9oH5dcwAX5NM6AeDuQW4b/a/GGCnpV3vAfGhEv969DrpIBEdSaOopvubbrynhkEqnggz5ipoXHfa0eTIxuC5SrQKAo3UxtCCHOABMaUDommTXTtN7iuyk1FWJ7YBmrTWuBpYXFOjO/+lqIKGkurN+IWkclliop+oCDb8T9IPdPABxfr5vrwj7YJXdtpLX0VHCpYw8qAE9t5tBapHTG9cI1KiM03jJ1ohQBYZyf4pbjCRhva7pNVTeQuSuVX23Q8/GFQAIYVVTWghPxyrfBBDFrSiwDVCMptuPOKFdjM4fPlO8KvAfvalHp+OBU1ja55RXPDR2Zsmk77Xj7YTgaN2FO3AKB4mxVBu5ucPs0Sau/cCNJeFpFUpx5HDiuZEbrIsOGHGKKunkt1f1pyciN4tTBax3kc7BHBzSO5WTpmfj6eSeNESK84KFuF7Y66QWHlIP4GO+QkBjlzqonEesArENQ1p+2UgxR6tQDuDRYkjwhvf7n0VA6UneyjPCk2oEcpXhuQfv93fKQh0UFVK0+SEzu/lt3f+564GnpWuskhqStBErkVuC0Y7utZ7WGy67AK3L/WXFNOUX2C2HTSA0VoIpEHj/J8tLqdCUslUSRSw5BOlxzehH4EYYiUozHmOMWpC2XiGV3r77LigEI3gch6Rvw1JT08b6Om+LY8brEkyzCnPMhNfa9gE3vFSSSfHrU5HSkXNAcYAhOS9hMLWWGTyZ2qd1vJFM9RN37x+b3vjkJzjIAIT1JLv5xmpXK3GkkrnRfTmYuT+TzyZ/+/Sl5kw63wNFG+LBWK5KD65DF7IxRNUQ/4wjuJdlM4151KCfvVn3brscawUJfknbIMUEJ4pV/FmAOYtyZCOroSzYTspJYYAhwI8wS0NxpJX/E51MXGJbIxoLssXhSDSX3Lvmiuuk/0jKSdP176NS/UOm7nXLowHiVx44wtujZuLik3SdMAXlcygZYbxRJROvT+PL3coRresaaWf6+yO3rqhk77Mb3djOQjiV2byrRSW/LbulmfOYkZdkaJfl5nU1+8mG9Fm4s+wL495hVFA/1wjr8Hiqza7WNJMRGQBv8FuozcuTG3yKrf+AAazlREL55Cz3U9t9HJIYeCaSDCx5AEVHmUWCItmYUmAECAtqhyRrRweUHjDyCgPLyeJHf+fEa+TvaZEcraoQd++uLV78mPeH1/eh4bsvxLVLBLGhW4HLAFs3QhukhDBf4OMHqh/6RJhrZsFk0esBCS7NLdeZJTtLL7LPlyD08n/MfhaA62xacbgJ7mAnHK9GJTfbxhofwRB4+RIQpwVwT4CsjfWBWMFyv0kUhBJLRj2cPFvZFtdgKmJoUZunusZ6xbYHOZh+xE0uw+NCwputWRGJAQcYIxV/MT4LblKWqi2dl6BFwgP7cbQktTYINTZSCG08Yjx1FKyMXdyQ8YFl8fhRcR5kC6xdBm/ja/e+cdWn7tZuMVP90M3eRpc0Y8mI0jdHpJdNBFNH1ZHomuK3la+QlAQCliRq3cl5rY1MfdmH/3QfYj+JFkd6rhEUbDXEgB3In+bP01/qGim9I4og2VzsOW9mjaiCraINczaShRR6wrfUrdBUXpTrGJ6Ys0+te5gH73VopAijXQGUhOCAqBCnGECJ5Igh6Bga6CSSTDxDAdHtVUPyNXs1GTnE+lUx2+JaWi0GsR37tjGk8f7Ft7Ms0EL3zwZ9OAIfrz76+lFRP5fK4XRnvIGfarv0sN0ir8zgQOSqXwnOJ5FemW0Q8LCKyGfyHjEuJcHgWXBlky3Wh5qS1+s4tZIOQPb7/PsjEXohs5OclDFLHzbID2Hqt5fG5ObKDSVrhLjsdG06U83ukHx+Wzpcvx4xzf4dBtCXJTyqploO4+XKHaQXbVr5V1jpoZ5iemY9A49CZJmEFVROaE0Vdof7UBX2d7gnjD2aM33Lbi9d9p/Iu8PQBbjt3EAQMeQuBt+aeO3/sXzly9MtPwwAFaSiHa5ZPiWlzTLT4sdX+DdjebqjJQQDK5uaiNg91FvbLVuE0qZluHNS6qMOP3Rj4IwZbOYN3hImHkOnbW6+6crY5aM9rK8Ch2PlIcdVGurrpqfJ/P7Fk8l5EBx4Zfs0t435ktqgvv5IpXY5Mv6TodS8scUnxwxnX9wUtN+5bBM0afk7ENPpnd+WvdS2rGAFkEm7e0zu4fxW9hAM/6FHIabybmwD/Z1H+wGGSokq87aOHQ6l03XBCFhYU2IsML4i7OGhiSjFJFFKGDX3egLKk2pN3DEyAMebqeeaIZw4Pg6N1kaNAprTEFm9QSyI8oWaeFPBLaqTLbWxyMVi3996BVY1liU56fkyzMgAoNIQTTDXJFKfwEdIwoFlbc92PaC2dVv3tMCPQYO4P1GpcJ4kZrfMsBa4uae+5vKcsUf9s+ryLyvFZbkcXquokN6te4DwVVf947Mrqn3MClJihhOKSn8Jl8b1eHXDJYEuL6o/UNswYaguPscSQYSuhcGO4muygKT6dRwHWcu7Kq3KhkaTWZNr9HgEl014YOTpKLv20gpsATlZl5xX1QSYcqKyVMS7finvEp6WFjO2K5VpXY3vVshQXj81kcFFH/aNW651zXM6ejwbTOCdduJpLAvyw2GMOtk89+yIkiFSJwc7Lzzz0mTzca6mUqlGSctQR8MezWUtZZ9eop0SUyxzh6BkFiDy2nVyr11Vt42tlfnkdbKz7+9ucxz85PY+WDfxH54tUB86eOvv8gBBclFzq1J53/4Sx1OP6MpgzMy2amNGeR6ZL/XlktH+R/DUGPLRNF3Ef71fN/emQsBbEuzg4qwVfRETfQa+7ZtCcvTupfeuC2HPcZbNkrHjbRBFuWzMjodXJ27SXcDaj3asgtJ7BHOgnc6Oo5qsjfeyR5bHJc/867RGe5GbqTHotaPyTKB049O/+it4SKD1Sh22JdMyhS+pcPXs1QmAKvJl2l38zDCa+UTc7+905T31C9QQ7CXr0UIbzd19BXuHRRBvm4woh2L9YV/r34JtLXzhWHWI5FN2XQZq6Y9T3oIYvHHcDmwpNlsX1My4LjEMk0AE+GUqzXbaeTbAoIiXqQGXOmH+XHdM/bIf6UDCX1E8ngWrT19MiI/ejgVKuoWWwxX5mNLgUViKkGOzmWcWxYp4J2DUocvDzJBR8Gg5FPU9CERGJzfal2CCMlscJDKPNNrDDoFB84SF461H920oTV3LJvcfhg/zJUG+1VILfttHVkJuVy6AEveAceTG32ybLjH988fNeNXE5Bu1Fy1zbuTK8eozyKKkYr0E05FGRk2Y0QV4pYzlA5e/YUEjv9Ah/CUlMoWX3I65DI7o8/nTP18xIO66KyOwt5Xi+hDmrsDiYuiRxYcSvq+bqhQjFhHYzJLkm50NeV1QkipEGvkgr95T38N7w+S46WoFglCjWz7+/PxvfHLAIg6mxrflgGKoprEsStXovoB/OMfBhTJ1OptA+49GI+5ppd88NTmQmwNdbeKELZOKj9lRY4/ABGyAKBoZwcZnE2LRZYm3EhuVji0wmmU7rxhtNTkGKkbt0ddRKVvloi6q5ZQ1G0Z2wFjTBUK5bLjGJWCMF93JbPd3wBeraNqZ7eXxwBAERMoBZQwilOXutK6Sxv1xS+unaqWuIOEOJzBNGMsF2QRGCur/9rn5KA3OSp5lRu2q0YGDYjqd4r9FTb4mXl1YejCDzns1eiXK4ROyE8Bv/Hl5o60pQP670tlP4kiIpJfMFroz6aHjrztBeMC8pa34JQeKmjVW90gx1UHuVoo5rQ8DB7Z3Eou352JGR7sMIrzRDEj78tFbGdA1MwzJVGlfiI3k67bLtv1YrAzcD4Ebcf1niG9A2nxRou2Bl7RkqLn5mhPI9lnbqnHa+j5ZbFbbDVijIGVk2Bj5qCVVAi111X96hJ4PH6bXnHjGWRJUBYi/t5JWN5VNaiAdu/r0elRlYli3I3q5Yj37ZOgZ3mvWgGP7R12RHZBznGfjQ41Ug/CUOSpHQ//FSfFi0t6VyuOJIe5xeHk7LV+nnQ3KNa4Bz14zbuGVd56zwiB8k8aIt2cQ1RejHlQm4yC/DQwTbRmu+b7wCdNxQ0Z1veapEbXxgg7pb2FEcszmh8dfpJzsJglKW47Z0rB0ddLhT8/nDKekxtSbpe1DZloal3vYVttrsIqEQWpEzeZ/UfKdM74qF/E9/n0eh7CdiGi8nlD7SzLxeAVzNYWl/jiL8CbF7a/iQPflGlxOWG08+UN5ydJnRp2VRgyflv6ngsoH86hZa+lna66bZHNTcAiAGNqWVfVFqBO93ulgFYcCgAyGt2PVHySApmfop8zi0+3fXPcr9Ui+JDv276nmajvNd/zz+FkoM6LZLcnlYPjQiYc9tpPJIXLeR3GX/rXgMr3BK2mZiOuRFAbBGsTykkQPfJTMnbePLPlb4a0FwH1Siq7JlXuITsY3KwGDPTH4ijnWBVzIc2+b94c9GfCk3b5IFZQotiLicuQma96niU6C9yK8s3g9EOJwXTS/p6RymAdPRgbdJGLkGe0+M94yW5QhTlAvrOy4udpFv8kJ1x9lhOhMZGQZIzo1lKTOCSCMHXJfq0uV4DLrPx/aHub7sSxLVv7r6h/GlcCExE0omEwEgiQjUBCqAfIaQwCk4HN169/x5xr7S05T9333nFPVSNqnJGVGREGae/1MeczN3TGibMQ29aGGaT3vGMeKG1tYiTL4/tjQxpqNSieF9bR2JRmS+Ooi6Ol7tgYuQGco7XASvl3CxF96xBhe5S/48vT5Rf6sBdOx8D3cV57ye8q405kfzb+r7gYfIqOqdCGCj3V/V3XUqowTRSbOja+TzxnmYUoBfdmN3ZZatb9FC7olvMwxDXWF1cWFcXiyLiBKXZ/ow+mhapD2B+E82O5NreBALmEXZrOYXRL5I22sjm7TJ+k4TM2x07W+CxfpXAS0pvYe5PWE1rnymI8yooqF3nNfesvKXcFLnWobSUEhRsGy7m2vlVz3fe9Fbo86GIWZpOHcC69DKj2/eRDCRk4d4Ej4LHHd6QA9lG4unKCE1qFF0GJ81zY3Kz9YX3AJvWnEusaizdTPLX/GEOiGjgwwGoy0lY9vSlFnJ93Eb7A0YFHYdXMN5ie7ZaU+vSj4zXc8XWQ6Q13EbINJ1PjmVXyRPj4pl2Sufb6kEq8FiKlJbi5X7oY+aH9OBo4H/IbjEtJguG5rUQ/sJpUXeYt5wlKKzoyT/sYJFCUJu5zA1NjiSbC1IYZDIpVdfOKOcBofhVbnrmq/i1MDLc2s/9UX3av3mim/1bWwUokgK1KtQNH/ur60UbMdoxZxjuvcM9yge0KsFyF2KV6XIK6zix+gvrGLqtscJ4ox1Dw4+hsirBzFkNdkjRtg7dpwXeCvX7hp+Yvs+BCR9+5rKE46/F2jH8vf0l2rsnAyAte6IvsuAFjaCG/xfh5x7agynQx+FwZIMcGME+IQg2jhQhpI4hFdvid5yn9MN25L6D8vP+mJbc1QvfUTSdlnwkPEPpzY5mBv6X9uwKTNSVZdJZ35VeE6mMhJsZyAFB58AHKRS45adjUWW9jwXh4XxKL0zPPLf5L2QZkG5G7MIJ5rkYd+G3/t8/XK56B0a68W3mdibDAWcR+Wp+XdB4nrYSRmPpjbYTwuK7bQOHZqCXP+ZbggCXr3QS/B3EaTqmGGe3QF5ktKERoFJVgRs6aD0gQeNRNVbmG4XJxMKRojaaQtrvIJMUGM+Mq2h5SE1kDk0eLqQbXa6Ex2SCg3uxJ50QGaNGawUxGO1RTwlM3ynnpCC4Gu0qjjD1WJ04vH8sxpqcCxVujwxE+sDv6RVr/5JRGfg8ezbUsMMst/p1VI3eddZ3YgvABiSdHI79P7WR/l9vtMZ7y6OmRcnIhN+Qc5YVHg+02zYNUcePtxHN+DHviLeXbzhEWf+tuAqjed3YKdX8qDqegui2CasBS4fJNqFzWq0TtStByZSfNJAhy4YEv++n9O+0A3+zPsOE6o75MtI9SQLS/GEdqpa+yz+sJ4hr/b7WFG8OR3/l4lVy31qEQmN/47kR3wrui1mpPlUdrAyO3WE9m7lWy3JfZ7OnvyT+5eJT4Ngtzl4jDQZ+6jfSS6a7HaZRxMCBTIr1DiHyUPJuexiIFqamjWhj9HI0bQojT4/vjzZTit3oQxZfSLUztCJcVTlIQ83WBSI1qHmh43+j9zVS/OlhI++UF6vbjwu6we6HAvCY9XmiQABlhgHm6fA2FeX56vGH0ffl/E+VoYKQwDEZ7zSpYVt0HXtrricNsPgg4ZmjUy9BM49XDpNDaWKygCfYSBrkZm0Bh0/wQMME8yOx0EElFPzzixZaY9tbH+wTuQCMgkNZIvM79yGXHoMrXD0em0Lis9+zSPyvQngFCZ66fpL7EIIKZaOzoZWRVfzH8yQO/86IWBsX/WbNOQO/iV0XFUKMNNncY/ja4u2I01649leY6sOHKNEIzrolPACY+y0A5ygO/07GJ8YCBqy6Ax4E8ZQ8P3bGTi4MQI13xykngXv7NyYslBqd3c6Hpf6k/Iz8pQpfp5KUtmSGnnJJW170Mpc4PbE+MUBPbjLQ9pR7FEs41moMDiJdMD+fbquHvFg1VSc/cT38mUJtCfQ24wMxHMuHHHfgni+UR6A//Rz1Wo+fv0QrAfnY2+42TSMgnwsQyWtVj1Sxj3LWyWVM9agxmNreZS8od3Mf98MMgzBWN0x2cqI/liMlu8flJ7S1htobeRc1rcZsZxACcQTehlCuV49jzJQ8rRwpO1uwwU8nEV0sAIC7ECkLYz8+igvM7L5CsHABCgMUCHhf/c7GPN5L9RrgbC3tr3cfDwCZNemmhL98f7wxcsAggukkCXw80HDrfk3XKz5pHg7HCIuWO+7U1a87spnaLTXTYfSAFpsKUzILyj2LD37DSMZwSzPrFM6F4hSEwMLiiXwMaIyVDITfp1kQI4I9giS5pGtcOjU3SD3Ex936godZq/li1TxECnsVKsWo+VocxbcXkYq2fD5cf0RlEcvEnEQuFQreyFDNegcV2VWTLnnMnsCaK3gaB/7Cct++cClFywJAameZ3pnECrHbox/KFo6qJXGfiDmQ5AT+TDUpbK5KfC46jPEbPw+6fysgaV9ATqqPUXysf26zX7sTfkDR833v+TeU3D2fn8ufEudxZcwHZ4VdW+bnngm5o5B/9vGSAfY4HMetwQqzLrH37rA50HDK+64xSWFXff4lTcrh9oOzhwRl0Jx+Dd+p4zTI4CM/aaRdlHlgSlX+wo9eXafiX/M1FRbc5yo9qyg8ZpL39ruHuRC1Q5tbN21MoCL5Dvi/Jd2PwVa76ZA+6PAx3MCpxYydR5DWgGdY2xdysAHiAQsZSXiqWsv8tyDL01k2O7NKTiezb6lYGvg9Rk6ZZyAW0NFjTuXeoALQmh0DaPkiOGcmiXs5Ho/w1JqWKK61zaHf0M36Tv8v56bOiZU7+gZw1/eJ4O7k6g8ddqNTfMNFpPExzaOaCa6nRnyIO5Sp7Kv63lo6meqW/OvD2l/kitrsrc7HkjfQMoJkCViVUoraZPqhJcQjTF5m2QqC6UMIN1/OPnCG00ZfOJU6/nefGB18zfFWfuTEld6f/SIzgHwBX/fj+6FH2ZkPIbUM+uI23/+2/BKJhn8jjy5Rgot7G7K1SGeO38m4EnUHbHT1KX6bTdjzdUN+ZY3n8XDozL51O3MQQIBPKPj60tUNKc/umhh+TcNtU/6+0uVdxWYzvgH/67k+zIZQlwigA89JXexe2cFaxKAmsF6o8L0wxVo7MWl63XCl3ZdFDPRkeFwdluEwQybNspOVaF/Tjmd4yd6XzecropnfDN9bN9halhUxPstqDB7Xfp/xWEpLGam5tMnuH3Z3sGpYCiHm3ENtJo31iZsege/oxJNErKHczpGCI8NxUFggm1D9Azm7YZW3WCLvxg6oB2cZC8TBJJtoKWK+J3xnQYiM4A1tFVs+d+BYZ/fn+61/4Kvastl7xWnNzaglpPbQu0Xkptk4tqXBGLSXlWNc9UDPxHnJHfyYnm+kF9Q0Xp732xHmZtQzn4fPTsHYN98ywSci2VSAKVOZYp5yMUIlLvYXMsjEvSk1CXCxrkyIoL86Phy+q5oRzNuxrYjYyAVdQFhWNdLM0zA+uHK4Dt4Zn0LE20f6rCjmRfhI3lDUMzbyvDJyuzWfZ9prCTOQkJqvGqhIFK7w47eJBVdGOw6MQMUUFHrQlIP5n+CAyQGn9sUtoaKyB8E3xbvk3nalq8TPwFbWLiDoY3740AkqxNUMwOtbcvZLBFRtufbTRk+nfYCeF6iR8iR+yVHDL2KoCWw4qZVyZZRhfXhPPoGwSVaioZe9Viz91iVyxTf3SL3KDwSZ9Y56K8jDZKb6cSZa6q2YhU+E1qZC86gyd7xdHRha7t1OBetmyDmaHmfAXPYtBfJn6sXimBr4rwEjhTelK6GW63jnRLLk4mVmxpEkLktDitGoMdD+yJ1Ig36/EZeWJZ0PdAwKu42/2/vZeBRHoREyG54+/DehECLj6uRzjYp5aKceXEfgpyyoq4dwXrE2T66Dr+0rZTGWtqUQ9Uodr9jZq8uyetkP9OtGwbXQv8rnRgWLbZ4CcHrPuSmpbTIn9E866Y906yPrXfUXZxttWyjaTqm0RwbAw4uw2WFccmRKgZaLekNtiE2dHeyEiabHFpshuyCVIeR34O4Aiz85o1zpXoa8NFZv+ZTbBZmxvCBqmvgqPxvhfslWgjvFSz942nyWfwCrjXfLaNka/b5MJzhK3JsWKJwjMa+nkzfRLAhWtgq3PfcBFbNjIZxn4JaRqB2cJiBaGXINuKDJ25tKj15DYV5wOeNww51maWTJBVSZIY71vX9i4MxzFY9Zs+UVhMACT6O7q/i2O4SGvNMYb0YFSlwAFoJjLg7Bcihw/bPA8w06KCjtNya4Zgwf94oP7/vBW0pa95wc97IUt28EWTLUaCOeU693RIWoumUjC6dWm5XQTyW34WlXArI49YilqUzbHUVo/2n4NS2HGOLfyyyHYfNUob87L9rIhq4+HU30WK4+3aD0OwjjjmLL8cEZzZCvr0c7A0war1dCMDFR3jlUVIZV6Q3W2DiEUcbaR8EatazeGEotz/CKthclWzjOO8r44pRf1eFtGHpix2uZ42LeMajjnBxa1b8mVX984/Y3hL0keXjXDA67Dalky4ngEPzTE17o0vi2yQioLOM/587z08BVBsbQAKWlp/wYWCh1CsNojMBDuDq9ruhC0GTcV/YXYZ+mjjDkGq9Lja8P5MeKqG69MSmXdhZf82mw3BmbX22AkZaw9Xu9YFmDPPv6uQwjClhNtk4tFasq/652E+STZeW2jovXZNskZjjBVM+y1WbNYui4vtuZsf02o+v8cyxmme31QgXFiramOCco/zvDGNaF/UOvaqRrsoROUMeb2YY8zhHnXJmocIx3MeDSAk2dDGntUijL88U2wx188UPDbEMxkuD9MTxjfJxfhJ0n+R47ppQ5dg1ZZNKOLkwKFsWpAf/5o+eQH3jQZd4E9e6ff5P7pmVBtDGWmF9FgL+eCPNks9iWPjUwS84zbfokgYKFZ7KwS1gyEQoPtxWWvWpjJ/HpfyTU82A4UXr0T0Mu+3RSLIfyzMqYd7KWC5SI9fftGujXDYv0h5oDnaVK3TbKX6KKFLpL79kiNz6vGFTGrRg+PEAGRFYqlZeaFPYXKeWf0xLmKKys472hfo8SPtxNXBsnyavuU+XKKVsy9zTeKmGhbGhuxTeNuNKiO4woLV4DDxK5sq/1P3bsJGFBDehiX1za1BPmBH2wnni8m7c/O7QJgZoudCp+EGnAuTJjeKEmMCRNOJ5UwrALs7XuGvKEJIZZjKin2QEZhVdOMJEIXh6usdP4PMEr+lfkcDgM11mVuuzvdpU+ptngXFailynIDAO+Ke8bnhMBZN4RXdldj0u6CXmxr1h3yX8lmRgRVcvL3VVNWKdBz3fF014fhxFwZfXWgj7e9FsNTq++j+1Y6qR/2Z3pLIMTxE8WyCjF66SKxSZ+sj1Rz8x/Zn518r+aL1uIi7dq0kSJlKZ2hA7gRXmewWcJoROpE1vA/0cArJajYOIA2SSHux0aTk97FzF1+SI5Shbuex0eS69aE2p100njIzeraSAHZsqb6Ufo1CD0qKurFp/jrwDyg4XzWn1KImI2x3qhJoKfPpZekYF4qs3WW6mYYSwd42laBdqoGNUGv7dz7pQ2N7m1FFw6/gBImOInwDAcHhJMdGfLuaBu/ceWEnAlL59+VO6lPeOD6kCeFoqr6a/bAR1D+nfF9gF3OpwlfLOi15/6Gs9jWSqqed7kEIiomS4m2wtcmHV5utL7Rx8Jkagk4byEpYg+6nM69VWCkZ/4/Jlgs8w+xRtnt1KQscSHXsqhP1ZEpr0n1GPoD5Ygff3WINrUkBbyjv2R2uURB0Dpydluo9pVURdkkPeEnPzqvSDnTHRxBgjp0rqUI5c1SxDvF/HqmXeF5e8TYVvGtL90ewRmybFyJEWazEQdpppG+4yc69mKZ8Y+3ydX0l2bqr8N0bk2MPooyx0erkyfw/s6Wb5m9SfK4hmqik21flkaOKi/gSpgBDRYONvqclAThMR7vJumh1PpDQ1Q40tyb0TmOeTwZP0N4r5JwbOiSCvNE5RCkJ9OPfCiC1YfVqLWnvEgGAMERpvOzpKtiMdMfSzqBltHYpJcNmo/x1M88jQQYkPOPy8DUphjYVliUqDoIxtvxg5AuTO7X+P52oUyEHk6bDdWsbSVkclgLi4RDxuQP4ErcylxM/ZmfzrQffyopYv3DSXq+JNFlTY1gssJfOKaYo5I1qTXHbf9Z5lkHpJ9IbW09LR4Q3IIvQ0hzxbzF4bvx75noDwspvDsjtFOqni2dV1C116LNuVng8AqLmHXDp1625hTxJB6b473MNYcgqCa4ejRAsra3C0Q1JucNBEVz/5Q045Y0bdkRIb2fX0KlkW0tJpo9q/iWvX537jEprXydh2ca4tBaigkIYsBMPI1H2xgBTy/aJf7NlcBXNARJfbRYSfwsxZyj3Eh84cgE4+cbW4+nHxmdBAhhWgPMwGuFhALSXy2l4Z2fqK/G6HA1ZrDaIg16hj/VHXzimWtJudzvHDV2MTpzgx730sAZ3X5twM2TKyPPNobZyf1kNZUCHqgW2YaH5dHonVgsqRFdbDyKDOwdsb+Ttxk6Sb5uMeD5Az8NGdP6yqf/jf84x0v3aYquL+s0ln/ydPoJ2/RD4StRYYLKa9TQXKdBv9RgP81ZGH3nsQAauDOkcTXIC87VD/1Y+pj4w8FRL4oRCtpqQqwX3tEnOY7YQcOEwNt4MQ+3zqpfXogBxk/rjpqTs2bZnbl/4lCnER9ztRJB4GzaNk/u6NFOsUH4d0mUNEoBXDNrKFxUbG1/iUt9H8pO2h2d460wyMKc2VPCZ33/MHpoT+bqlx+2uC1OumGQyVLNP4Pspl5plsLaaMGaJfbWntwYdwQhfKAsOgoe0ofZSe8mdABVBGwf8opxbQIf1ArDAt/O9zc47cJjIEsD8XNF+JIkDjXaopPbk7aaHzXVwHdXWAZj11gYCBHjaPZm9SaSdOn/V3WH8CLrmLxf+dLNAqJkqxE30yNwmzLhLgKm6fk7AxMsrQlezmmrtYdaADeXG40naTRDs3N3nrcfP57NLiIHBVRHP5zRTuctYnedUWPjriTKedDgkl4Vjccf6u7xDiQXYS3thFiEvAT6n4zmMnnSO7p9W+3TlvPC9VJ3fdIEmwfrkxJflw25xNtkHYc4eATXG/itahOgSm1Le1rY9z5oX/T4N2BM/yBHXa8WbS4n8NWzIHqoKyVl6Ed5oxX8pDkfL3EvUfFD0zBTVYaKKZ7YqsbbccNZND+qK8LkJbOc1iFyLE3aItu0sFk/Gl2XHaCdORoYlek9T/PjupluVgq5+kYyQfSNiYC6AaGnyofQlTgYbrdwzGLEaYKPNAFp/PxrAfUUTZ6Qyhs7RtJTL3+ebS5ro2mUCA21zKbz1p/VXseYotWoxUQyE74fmrQNoxtPTHCH8nYpmEftL4IUPw1TqoQUB2ApsH2y6v/hsGbJBgAFGV3N4sucELclbzpmxPfKnerbW/eFSiubzqwOvy4YbOF3zuKEErS2uBVYWyPcqqJNMeYM0B+FaSW71J+9fSfjKmZLI7bsX5iQJmPcTNydjLdyg1OM9+0tr3p8ebmB8Ff4sCB+oMIXC5LKkutrWEASQBYcgTVYSvTJaGciRxIwMRLPScysOCfSyMWjHG8wK5bjuJtFhr2HS9zYyzH51xFUk4ERhr8sCFi8BUPZB2pOTy/vTif6wgoU1+ZJoefyxY+x6pdSvgvFFs9U1oGMBEBaYJMnv50fAAbjWJG/CV6Pvc5O8sA0BnMdoND9oI7kMyGWg+BTQbykK7vYffCwjKvSiPwgSVA5jhdz7Q7iurCZMyNLG+hujK8eCxOs2hlFLMkONghwvJ08GKNCtqTvy6f/zzzarXJp9qoDZcbLqdUNfzqtH2s92fB2UMHajMRCgQwVGWvhw9ynTWcRPFJZ4c7QPeooCbOiLyfO8D/CO58pzZcj60C2Son7i1YJDQ+jEhxvGdFOE4ZNN2UkaKIfyeg2p6ZOWGW2mWehDIy7749vXd24nu2obdDoycHtCFux4K1+s4nTqlvXraTJtONnO6Ngz49bkpmE8yXN0AsAy7KHqy4yOzRRgaLv+KNh26UGW2XiwWBNk7n+1HjLzhXG25B+Mrc9YZu9ZNb90ZTQ6QWEQlbPM75kqhZlBzO8nYyUvRCdJbdXezUGDsbPUtFO+vUQQQFV/zHCPEwmqx9ngdY4ehpf8HqBOaEI16BEGiIQjyZQ0/IB1HLTP+0YYVWlcpVydazrKg6kA0gGBwNyic/buEoM0PIfiwP9ml0kmz/RBYp1hxySkvsmPo7LnzVrhAeGt+BPqIWyK7FaW5hQ4PqDXjRJhaTnmdyUvHI8Y4ZnUSio4VBMEc7GoeMrF/iYjnlFGPvxADbNm1Z+qc5bjq4NALzYYFJ7II12qK7/IbPOXO8l9lPt4/XEFfBCELcchjroa+tJbFAP4QtytopVatQX9jPb9sbSxBevDul+ofWVpbtZETMqzGLuGYdS+cXdZ1CK47JrLgIOfWRCYaS/fcjHCv3QfA1lHPQiyUzNGq0z0fKPeonn8/yo8dT+iaXCEIfO5Ud8Q2beGoZDfN49OZkItGetgsjLh9/Oj3zH2wyJyJHQWbgao7ZmHu+kT0lPyCkefFHLn2Uutchn1eVK5Y33SanT4XltTvZVI97IME2m3KEIGbKG0eUj5NBMfrOG/riJiV1BuUGgD/nXPbnJX+VltQVh6STYMTGAAPFf7uhpci66DzztlnsoWyesXDwdNWmm3MNHd6EIbTZSLQ3aADaT7W3pHjGc9Mj/Gd1UCcmN/B43iF6qs14643BKAw/aHxhH3Avr4WJeQKI+nURNFIus1B6E8gElf9Mum2C6eygvmmZSfipu59E0/7GkzbFy4L7XB2uvWcOoXX7EmGYWnCR+mLmBELQmcxL6jNEhPvNWydyWjwdugCoI2xTG5hCfZ595InEzL56mSfLbTCU1cxFi2Sx819n/wuMWh5JOyFhTYfNrEt14O2AR7b0+mkGa2G8QrxLe8c3s8QsJ8WKHyrx0IpC9viKfKQNJe5uXWNQoUZUxy2Wd3lpaRUTdKyuIVbM4WjxJJZo03v5dO3HWAVykYmbYiIqHdWj0x5iI5U8qss5JVArJ73pgx0lzavODs9z7jUVWb14Jdj+BIrg5qqUbz4Oqk9HumMhbzw6GotnjVZgpFMj6pSiRRntqIMWxXQS+6bFj85eOpBIMuxNNS5SBLNym6qflf/HXdPdTTlMkoYeeK3dfwuxYKEnvg6uT7/O9rK3ES6+I0pfpAEHNdeClns9rZmtNWFTP0uSaiPeg8teQdGHcARta4CAiMOy5UNV629bPV1lk6bOBwgAFFn/srBlflLHrig51hCc8p4SldXCe32Xj2Ul7PQ6Gtsu+cZ019KDHV/aaKfoPAwX2Ysusc5SOHi6xNAnHsGiYDTk8Tsh+NCqZvafj9EO9Qpbopw0+SnzH96JX9xj20X1dpW/hownX76qBndGBI6H8tICewvB6F9/CQ4MNlsAu9/Io/U2v6UMPd1tA3bHMQjyyfleIK1l4UheJWHUlTa9yrGJcYLlIIqG2iCve+8bW6S52HG+q8i0w6+Gg7ZpE2tJ5yQSD95lXTU+5M4AACcZezo9fzus+lYcqegLUFyNP4XnDLVqci7davinrKqtyQsIGxxTDQKMuhoEhr4CfmYThrFcmc72UTqvG2riFNUpkfAeuuhfNZcdv8bRdI2ruhbLVB2QIdJ+NUjQiOa2LoG3yugC7UJ7CZJ9+ICtiRaKhBJTccjkk09NyvrYRI6b22Jx1KQGjcC/tS08QVIxD9sRM6l7NuR/Buq6lTKI+Gu/PDe1wI5TmGE+THjdrhhVscBDEHtdPqcnvwkTxZBYpdoswb9LwnKrUA7TGRlud/3sMSFp32Ue/1X3ffRXnLyR+9A7scUc1wdeSjISsvuUazXX4kDU8j5RVzKwxNcJNu9Wh6uYoCKlA9dPPW5cyra8ie1NKnknWWsjQXdX+WUPnS/TT4+bEME7St1hyEDzXMY6PVAwFmZtPsWWoggy5GWx4F+f5TTVurdFXA2fGUSPVdPOo0Y3oPKQNURgievfyJdZUFt20mIGKqoW/x2zBsd2Auxfit356z5Pa6hxMaEpBQHj6XACTNk3DWVodvdFNOAIixStFtMIySlsM6mSFj6L3LjjC1k4W9msMXuSqII7MEA1lt2bgV2lD73PQWLT287YT25fgVJqXW8wCZC32vD3+C5fyTUOwVFqMfzHXlVazNhyi041/LY3aw3vn08F3Lri16H0a3b3JN9cSXtEaIal0a5v4nkXW9neTTc7/6/J/lGki7puIO4TNiWm48ad+ruSgUnlKf4Gi4IHaDNdprVyWnCbTD5JVzBTTnfPyTkZVKUlbg+6vv4XnEWjlj4XgsOeVOI+OhvH1R6NLxZUmnxbjTFC1MPLxysSNCh+5mmtsdpYybNlkNBqy8TwG/CdqLjAumiZ54jSGMge95VC3F4AGvRjSMn9Hu0umxCLFKuqkn336R5F5kSBa4c4qFJjjAsal0zgjhv0aPu4NnzCXXG/5fROd1ORG7Q0zMn+DYn7d45maWirPSrYqNZfP3j+s9/5FTzbYu5CQjvXMtQUQxwVO5guGXVK6vgRqhsLgdGHCimlclRkHjhtd5nxTOY7mIUYc+Z7PfWFflF64cSZJGdHtQ+qIJAFpURLeyvZfbGSaGg01mjL0WH5NKDJPb0uL7OzH50Sm9QfnlWQDhEbMTYKrEeYuslTk2YmJ7NA7/1goD0uw1/uKg/tgCeRrWcnfTNAaorIeQKX2LNkcD651j0+y8CClROy/BlG57tuZPYR76d4ZHNyTxgCRW/LFjhz/I1cf585ZNzvPnBtipCka+huWDL32BwEtWqGz2lDpmQ3yMl6NypqFAlgyFdac5qPqZ3gxOolw+kAcgVxcw+kbB3ydye7qY9jzxc+cI1F0cdDFWwknMQP4O/9AZtySij2ZAdcwtoDWWsJdKtyqzPVmsRB4U/ElwF/kPL+LS8izmVmvvYGwH9bAHmVu+jwxugTYcLl1sdFT2XQnGntIipzXXh7EO0DcjTJdSFI2GVihXFkj3NjV8voADYRhDvZ0rtt4IBL88i+Twv3PX1wQpvEulxnCaG8ZeIJX5kSIL8N4O2k5OWoxZqXJkAvlZdpcBti99c2Knr6Q6/m19rRLRpaIKcJP0/F43PjT1BBaT8q+POgzIUB0/TIKK8GzxGFNrCkEyuEM/PZfw+6aYglI+r64IaSge1LFzuJ2R2vcQo4NqUjlM2YHNgPsJvRXMPonEpY6jhF+yysN2SBNBT4NWQ+/1eOWoPyam5jmXhlyBF/82z4FLCd99BkEoOISIcjxI8uD8rYyo+RVg57D6PaKFKAXimabuCKLD5TCTWeEGqs7vwpwBMqJQkgHZCTKXJh/Rtxon/MGHYHQHzFgq3yepto7gABgdsEya4n3+qytICWbsO20zsHIgzdCiZMVPERkjV7oJ2lqIgnRgpR73rWCdn/QbZmJE0fbsqoi3DTbfRCURz3U/Mr8v0R7lYBIJzRKc9UgGhrcZeEHafvyc/j4u8pOCfwarCZLXRT992qC02tPsdwXibUkc6XS0E7TeKbFIifzY+LNLyKqw94kKUeiyAgk/oQZA7Yzs+YGNa3VuMvdgXIh+15bpLzQOjBI5xA3hMyrN9gFA12hZWGAL2O8GgyEiF2KcvyTEuhUbJ800gs/oFUA+klPM2Sf5SlkzoC8AFy1GsAm7Z8IAKU3yxyEciViD5Bbyz+jbxMTU3AUFxW00gTO4P9ojlfFhdMHrf2lAC+mBuuiArfdIT2YDRxg0B9KSfFJmi+ltTWTG/Mkx710IXAkCYwQbpOsypFz0J0b3czzcC6T1b3uW7uQXo9wo0yTVm/mqR2WHFDAQ1f91NKipTGLiC5HWRc9TVzn8tM/Q8d2Yo7eNDF2Rb/jGZbCnZFQOLbZR4923uZVcHAXgwIvp9OkGGhfUBwXEuxai46nMxnt4KS+kZqa+IUJRDJgTUyT8KXIIGCdaLwanQR/lK+FJ7w6UBGvbK2tQU5HcI1USdSkPB/2+pZ9AIJ505MDaY9NyXIejtNHTJB3TuINQDr7+O38HEzs1uOWG0GIqss8k5PhGWUsv+RNroGkf9SMVYsHSfbpnokDmuKjMzPP/XwRkWq0xTS3El2P9v673juf7ZHAtAtDLAqPOtKl8N1ssjR07014+24soK9/1Ea6N5RVE/E+3UXbSdgvV5oHDYnC6zj3xPGXB6mLStupzgVOGQVXLaczLlizGUIyNdsivS38Ha+ZOEgbilsp/y4sq9ePBOzNp44tISCraaCgNjIAZJ/7KfCwYh5aXMp9calmBF9VHhg+VEAfINV1FSmp0DQ6DxvpwZm419Qc+BfJdjDLIjw7K+v774Wl1vPU7Bw1XrWWbQlsoFJPuLPW8Ie+HsnDLj9/7wHw3DPLne6bdbTl0O1u1mbCUDQ2ZxhzjqzlYfvDRNYIqwmRxnv+aZwMG8kbR2OInzhv8MXF4M7HRhXOkl915nCVE+st9optUvR/xWX+tjIc7WtzIqrfG211hrP3gD2joXkwmJknXtSJ6Tb/783++q/7ZCDOtE+L1UDVLOVvhtO8Jms36ZLYJM+vMmpcSSibOPYMMAcl6oHVh1hhKPaMejP5LtefmHAYNFBLQq9GpcaJQ1pBEzeNvHYuD1mTWV5tVCAjoEpK3hbSHO3YFt9kiw477VxRUEsjCR9OCbtP//C2KfqxyeuLXlKsMV4xhp5gu56VNDU5rQ/X5OJ+cDWzXcrcYyP24KJfHKtBuQ51CpgnMonPEZ/Hw0OQfatO9MqLNDeEJJ32H6NMEkRPeNPo0VEz+oBzV8rEGLdUw8A+KalonzSWQovOPWWqNFroALuPILteq+T2s6rnq/i2Mw3wo0MNlD3od1p5w+ocCtE5jA5xUxMhP/B3vK7CS6UA++JQftjXn3u0V8TjJO1MSKGXII0AFgaTCeXnnZmfytbkr9lJ3uzRngxQo/lVT0ZfLJ6+5AVxLkGMJ5xm3cGvF0P5YYFf5TaJkFqexVFp6FO+sp0G3fVeN53pbiqxHciPm1n0uwTH4EmaX08swWSpr38jlAk6u9fI4lFD2xf+gI9a1KS9dm+mww5k2n4sbBnd0LFkd4595i8DFvbdidA45HxY1GnDmbI0IaEVYYSEOacVOxUXt8Ru7tNtPtdPk3vnhmYxFMboM9prGnNPNqD8blAmfr0ZuyZ+S2yDBXO6b38S9PRCKUb31xfFO5Y/8jq/NjQsfkLjsIJbK+IlrgLdeexqdnpjOUSAijN+Wlxoiad+ebRv7/NDZPrPjSkja5RnWV+L6c44OL+cSVpK4yvJDRgVpDvnNStb6hXQaPi1CdTh8JXTyvTCUr2pIP1iylFVfjE2EkEfx2d2ka3R+yNcVZU2e8qaeDNZUJeE3x6v9hpb4zSNk5lLiY0SNHOmnZWennW5ruW7g69QSylPmsm56cp1hRdMYfcb33tXO/JfzkmxbJ9egbIZ7fBctWdoGWRyDiGiWLo3x7WLmW7xVVN6Kt87RogS9O1FsNmt936TAMiFrAhEh+Us9umeJIyMHqP2VqrHwKhJ/ELO7GkSJWYf562C3ndPv+L+mYAyJG6Wvydmt0qIxvJRnaCZpw8BBY8WINDvHLUr1TmHZCfIDP3EhITBu2a1LBqb0jLFaPnca8OP/0jkw74mdPIzJRa9LV3EYq/a36xh8NA7DiQaykrUwRvSFbQyh4ClKFXIigYLCqlCpF4jertEBeVkTaTETWzNueV+f1QaVtvz8PFQieLaIsqM4VGbp4j/+GOmxTpzaoSuoSSJ9DXElZvP9VuhXoI//hXmOBWZjO89PGqIssJPSEOhav9ygjWZxOqJ1c1oq/R7CsdKKKxuF+Blb6tGm3qxs1wY42nsJMzaw9qMFR9alFhSkxdZ+FVTpmNE/mlmt7olQG4OwJz1qYQZ70BJRJlj5DErSkQ8dXVpzwvZfk3cdi9WH+KBkxdsKpaN9AbVkwyrJmmcJrtaMa/lCw95jcxONFOmGX5Ws8WeJ84kTIsonYEDnMft4oBQaZaRaKNRg3bXfzs/hv9q0n7De/R59yj5Eou9qrRjsnKRQYEl4/jeI3JOV+/U78qKwTxjX7q/poT5S782DNyUHpQH8Jf30jnA3NNJulNowcTcUvKQt8wFE1ffwz9H1E4ehFs7mmZdVwSqDQN4cdVouU7qUxTYepnh48y67TU1Szq0NXRpoX1iHaAl9KNYgDXkhxCMTygfPCRpfjmz3Q6lCEKmyuKY93nUknCDp+r0NXoXJ2KLOxThguVnLAf/qRWrdb8SLymRkVQD/gw/fjuxH7/oEnCjZ9ZzF2laOwPcDKWgnpT4u75z4DukvhjxBVB1fln8H5gf78s5owGgegoBBnu7oiDtzOD+fPiYVKekAZoJj3S8fXuQTiZQMvikYRAJ+3bThlH/+NGDZNUingCViZQae5WyosiOP9gT5nPNEhjtr0eDv99YAhQrgbwCqGMOEJtpTyzt7sidMKvjJmbb6XXl8NRmiRvo/mJ0qMHEW38zhwCka0+ESCT+9/OaaLiey2BBKAqbq9RsyKXXy/3Oo2U1L+81lqj4NrToLDaScIB5YKpn/PKQ3pR3IX41G+Sc76+VICZOWqm+/QvbHB5W+/KH4SCbpCPjTUWBYtYvuw8J5WVVqSOImnlhNDdjkj5mTHH5jUsdz72LcEj88iUVgpfWJkvODMzPx6DCK9KozaWGWYuaCJYBIKG/eMw3CN811oAP4bjMvXcR1vvRJ0SY2KjvNCp1cy7Io/FrX9Lw/696JqOqUSgUYKf5zROTv/0MLJ0ZeemGqBSjNMqM1sdOKh+VonOqm3ecpNHarPkIWrBie4uuW86iffvBGaHGWGRHxgnhMxeF4MQzATtBvtGJlCLa2XXsy0NtO3T1JNfSjaZTnRcpr4s5CJ4KGtyrP9sV4r4UD35JpTCDw0jAu1h0gja7mvBxFuWkwHSiciEVrIYdj9CRZo22MVdtKEpSTIyJvYTp7mLEHWp53KmbtzwRZSH2WKzYwcTVKUbt23rhCTeFIE5rT26zC4sTIcWOyNNvdI9P+eqGqlhDb1GMNK8JsB4MRc6UfwlbSqv/PNCsv1VQPjjTpP2PaZvvsz9Ev2U4Z+nXykRsP3wMT9YTUNs0415Dr7EvKxMt6pwa8xUt0yP3X1XG8DCoBWZMDliA+iho5IMUYrNA3tTMaYeXWAtwSNtNLgLKEO8ePO37YkffxwSh08tA6bTICWF/OzRcydGePYo0p3PP5pgA+tw50vgG8eoiCz8du8wb9Pw+PFOQIwz0oxUZgZH56MJmOJ2ouPsQf1g/1Le896RZfi4YmxPU6AHFvLXHjmHd2FSE2tW8PFhU5hqj1GTXzpwhYGmSmoIqO1bZim81h3K8VZZnVyu48XaNxhMhS29V1oQFdY129v+DjeuYIn9losl0o+W4i9XkS2ZE0UZ4BXi9H7WoYC+dm+3TKNPU8cV8c6ukPNWs8nheN1LRH9B42gvPr70a7xptyavc18AJluJg4WckFfv1WKjk40vvgnDjJAf22Z8m9wru+Zazbly9XGdZstYl3PHh47ezyhJjpKnNGK39msG8SFpnDCMBoVT5fP6lCeoLipm/t3Q20GK09+65zUOkLMY3UXOsS3rUJ3/VguzKSkUyDGpSw3Wzg+xnc8t5pZwz77sfmpccuRoQI9BVPoDj+2OLAA717IYlFUYrw75YiTHQ5Cv4GPS1juY5EFp+YFfOhWTVDbcPH06CjN2sSRvPp1p4e7otzRoAkRHTvLtIMIHhC/K5E8WlftXE3uz8+xoTM9kals/pzh9Pk8k/6BEmSmwNnPtfGSOh0pPxD4pgtZ/qGJTFVwshIK2GMpm0Shuq/UsC18bbHSLmr0cjqZ0lVcNRs7kxJxStUzEPT0zMlg1+wq0lZGmVVA5aGsW7RLbzA+nxjwR0IogG5qxCBUU5Hwt+fSmG6vHe/6QOZzTPDZsZg9Qg35AEvm7CgvG+O45ss3mIP+CZdB6OywHaGHitVX9tU3NkvyQVPY8jSoFFHAUVdwPjrI211nt85Mj5htIS+hcUpIJvcWl8wI2cVnlHkHoKNnXkCrkKBnOWWst5S8pd7ssfLc8++gA1y8MH2TSoX9GTFPV+kgQ3EWN57/zk0RMICUd1o5wOtX66TOtR44ovU2DbutMt2mjvDEuyoS9nfl6ZfHXc+SYycWf+SPOZYBMb1QBudBlxVuWHuKHPzsTddCTYt5to7JDoZBEL0NRpc9xrRzJKM8Iu+tbG28UVr9l5vb/uioZ6PLNG/sVoZvmixcH719MnameyqrYP/9TwpztOTyU7nU0iZgp8/QwRGBkkjdKl30GsTAbPOVc/SorAFAV+Kvf0AGEPU8x71/FEWU4nQ/74XCpXX6U0mDzSx9RE5cjxSI6hgx0DGbbR/8CuhalwVTptuF2qkckwG9teEWjCYzTrXSQUtVmd/sc1968+C4+KIKk4+lsVWC1aOlR+LB5Kmw8PKPRqnrqVn9o0LmwlvFjJnb1oUl34b6KLUJMWJ3S7kJJsbvkEdBx9so8dBvF5YWy22T/tXgbNbQPsCfmywltU85Tk7kvhHhfzluxERu8Dw8/Nz6sGgj9uO/kndm7tQyGfGOwFlNytsr72tsLHzXrfsljhUnMqyRj/ogcPJN1hUMt5HW8XbAl3WmPuIN2uJa+g1qUNTjNPmeGom2IBkera2X8HhE8QEFhQUXGSXBMVlPOSlC+KoAJ509QOQPt+1vGUh5a61haTNDvUB2PLpEgbqBXSoC07rOfycs66v2hBLuUTJKssAPiEsEHVjGrFsVnVkjDpWPwmXFof8qqiXopBn40yvzeTJ/m5+rdAjwM9RLo6JO8WS8LYAEi+SynlFRFhhHAK/RPkLVsI680mEgPhFuTlJ55VEkeoESYv0/W7M5y5bUd80ZRrR/KhYt4qrtxGusXUR7av4AwbSbwGqvnXYmJBnro+g5FfJxF8SIwit+UuZbKO7IV94Tqtv93fzhyyScqxg7YyUaE+Gd8Hd/yjCSCleqTrfLZSWwWqXMhQVyyz41mAqFK3SprLbJcmkOSf+TLMAf/ImobnE8CW7qoQm+iHIG2sGlev9mivb0hUv5mtKoSRSL5rf0m3oK0pcmhZbRWBYpUWJn2bsu+9mfVWOnsRV/dJXWWWjxnDMIAea/vScUdjnTPaNqNXHJ2fP2WqbBYh/g96u/JGGuIJlO+GozV3SGyTjgn9Lb5RtxazQcUea1Txgfksx0oxaw9MGpYwYcTlgdQ4CcEEDCPQOdhyj1gGTB2pmMxiDnrXAmxW2kmaYjTYk/+cz+vw/sGVpswdTGynfKU92b29GqZR0SxVrJul0kTo8X/ngs+gGwHO07HlWpIC0TF+kMUt1kvgqC24nTAdlXZv/pNrTRpevjQZ0aIoNJ96DWdhA9567TvOkopGAVINm3ZCOfzPgqPQl+nga/T+C78kG34J5ORiz2jf6tngRxpOPoZ4VbjUB4/Lo1p4tPs2beFy5ssuKNbznlZVh/SAAJT/mlPKqDxRevEGua9Nlk3OXHicXGz4/3f5f92P89PkQ75blJu4rprQr3N8onMpsoD25lsGRFKq8LjXfkr9chKb73+1LzwLDkatt8a7PpobZF8A2XSKhArKbsUHPt6urxR58vOOZoOLE93XTZmXqc3/XoyfN7JhFpxPtOXfbZJI9SGzWaPg5+2nbOKNgVLcJBTGE1EixkY2ZW4GQExTsB7TmZeHseVMyLg6+ljC9qzWdYCB2yNnTh8UHyi94V8uRtLDLte/5bhDhYgKLW+5xZp9Y1/trt0+zuNdDJks+pZkl3bSnvyUqWaGd6BbqxHwJHEp+hA+Skb1cek8g3E+6JnIK0EQYzxXp6BwZVfnhGpovM60xZaduf6TMfsc1+qrVumqevyEwEMtl/wD+zHMweYdGeDk6KBBAo8m4snQrF+mgwM1C1pz2AxY5RnWbasx0BOj9wejrIwuRq0CR8u+MOOWNCmrpzv/bi2Kz3mAzJ1eexr30inuXB01wqDMiB9s+AVuKGm58ttghxttBx7+U5kVvphOiLcN5L8IFKlyadCMNpjBIWtGqB94Mo+feq4d0+ucM/fYZUq/hYmHf6/KgKSmD+aA1lxXsgb19OTkQHJuuKOmpB2V0myu9vF4kZXiaFo11Jo42vmuQ75KU0dd8iQpU0YLlNQo7DBVtiJ+ps6roMMO4iIR2VV5Ob34eaLC4dNAJAmeDdfzzNJlU8hxySQ8+UkLA7VMYX/0la5d9NcmnoOCtqNQaXSZgqVnukUk10IyuN88ufplqicwxoQ7HrtI8t8pQMWXt6KOuldXHyGpfZpE4jHMmpq7Mgwk70ueWKQX8GLMyJSzumFW6xDGmQQcsqt5KuXiG49EYju+L1wyQ83HjEmIZXzwA7rp2DsyihjSDxVx5kfNpfGgrzW59gi1x0biW4L8VCCAbTQ3O3QQEg72ZihdzAgenMnugS0BsuRcQ5+U01NAAYaBMa+LmvoxQ8L5pbWWv/g0SOPEIHANSzrwS6ObulHclGgI90L7j/NcWi0McmyLM3W5k8QTMdWSk5FwkPa8sQwMG7vfpkI5kWMzxe83aXg743nFvswmncjAENQaHcu3/yKQqDsnIds1JHcIhrT+ezMC7iD0FgabsMiwTiiN6k2kWc7w9llQqAVvBJosibNfHVQLBRhaAYppGpSn/2J7KdKYv6H5LK0QSKEXXMTCf28nR6UMP8sowYLgYMKdxDaFaChBNUx3x6HwvI836pKw7ODTMtpiRQYJd+aWqtDobUQucV1B9pmV9/X8CiiFMgGLPVNc8zKnrprC12spcEZMh8xllvoLHum/Xu6uwk5Qk+KA1GTFa8iFed6P+HScJRLWMAJWjaLFcKMF/sDxk2g37pr9q1AELraTuGe7KCftWx4wUpVt0bw5r7CqHr2vTzqxY5LPxnRHNqpOntbQc+U7/xj0ftu8Q6nma0WkPhbXzav0Tgy5kr9WnQDE8SqfdUPHlGJzdCg+2OWOSiyHkKAg+6jYHIba+PEvUKXdm69KsCClRXA8fHRHNWenX9nsht3dp/ZOQHrxD9mclWIOn3r0x3l4eL47iXsyyA/SJ66yGVoyYbKjuQX1PEbePdIZ3YlVVeqL+J8vPJrzhsYGI8OQtOnx9g1MmnKn9BlyDyV4UGccxUm3VTgF2t18vtkIrYk5vtaBMvmg8mZFXWy0UaFbcRBkOo30jW/xbuGtCg3oR39sRidvjJfgwaZje2buhGLqbANcRiWBiOX6EMO/2XMNqeBoxgtSseOPLVgyqjofIEI901F4PohMn0ZxqX2VagcZn6TUqmARhZRMK4AbFVgypTHeCefYnZEVphHjd4tR2qqplEdKlfi1aVmbAF+Hk2bWayfoOX/akh+H9Lphc9IxGImxb5eEmgncJbJk3mysQsHkL+pZMzjJCGu3kTRsI0WzzH61dG7WZpUp18j2UgG8VCtQy8gjcqduCh32zUDBj/25PxGgnxT48d157U0kdqgQ3shF3uaHh0DSWqxMbHHQPRplAajqOVGZYzht5A1oWNaKKbrbc7qYe+9rA5YkmDj0Lpj1nwQvLAnaZndlV0r4J5IclJ3esSi8kTv+Mp1Q4CNl/JKpnReFqPTDlk5SY4n3VJsBD8K74mTEpT1y10xgPDrhdECWgIiV0jRST08QSxfVWj2CrM21Nvg1pRm85jIdmMyv7jJoe7ksqa5nQpE15PzuvM4jFdn39KbKmqngVwbdtWg7MeeT5SceNly9Ul3jwos3gh+A2yuJw9lOiHU6Nu75PQ1MU08/Zkzjp+SC8qBCDpnwn3yORKboyAnR6GA/O425AFliDbWQrAr9r2+2cTIi1NglhOVG61w0rmZ248t0PsPYDfPMfO5Txef8GD1Que7a4G0JgMHH5BdH+2zYuEWivyoCHhbM+oOEfT3/p0kkdU6cxk8cBUyRIIUx2SHWByhLJX4KP+MzPpPJzn+aXqTBQUCCGEowYVmb9aZAm5MTuSLhTA3U0k9RzaHqBA6tNdeBOaEqQqqlIQD/gstQTzmcDwv+oCemKg+FjYSKz482zsTrTITqHyi+kx78UaY3X57FSkLlyAOqf/PlPv36F7FAC+NzxOfHxj63wIH/w5DHrGxrWVVmicMl+rzFQyQXNMmT6sL7it3HjUS/+QENP1pxNCf99D4xqy2ZABiWWDP6xB8GQKL4aLOmOu71ZrhrrpfOZDNjCcdqnU1X6kNo2jPTY+xfi0wFwPRsSktXqDOzmRvY71Ga2pf+WoX3smfutGaNUDC8VtFpooKEH96T9GUH+2/n4QNnBhgAg264HmjSxR4u3rMIAeBKN731e/jGixfv41aYYmhHKKkZ9utw7155X+/9ciVRn3mFk0M1t5IrxtDBY1E8UJIEfXnIHE9b0xBZpVNKTEa42yFw1t/9rub5eEdMMiKRORivJkF6NqB2eJc+CPnnwBVheXZhiWmH6GgPGLxqCSVR2Eip3WkC748fipJeMRXJ38h/lVowVi/qx/DySGC5uWhYLi8o+mXMlXw+mkEkck6x2rcPnEJBty/ysnnrIG0MRuIL46OdmlT1Qa8lifeTPQrl8bdiRU6o1uj905gLD7Z1oZ5M/oTwXjHInj7+PEvVlso0mq+INNMLUIyuOLDCVC2fuKDQJndhZHSHxqIiUVKrwL8Ie1DrQMxp5HpdYn0lsPj2TGeHqKhCTWj2lQu+ahaKXdD9cG6ZAX4klkCoKvjhFdQk+/IH5PPNcdEQq/cxb2hibNIPj5h2SG/bJInVSNui8pVKrgaHkxu5RnJIRN6qboFlL6+cYbf4y+mmyW9DaZ0VfW3vskZk7Adqrx0i1aBiesRCAUOWD0afTbQ6MjepROSBihmjp0HLGfpxhxiHpQD7BWlhK32c4hKSSHsLWIg9ReWPDp1dLi50VvMnA9gU2xG0vIZht+HrDoEnGRATpQaiyZXWATZKVRO2jM4A3V9KbUc/qTKSC29ZeYmKY24YheKA37F2llFCyjlt0hphCPbEyHCte6PWag74o2i9ym8ikCVmPsPZg+6f7SjCT0XciEpFWPj06vgm8hh5W4k3caKnRw+X5UctHRQLX0hzx8x2vfEAnaRhSJFNbv7Jco6Z3cNv53m2uKhtgmEAv8zID8RSWiSPuvYJBDiMug54zKOsm1ofjS9ovJT/0U89zkRi4LPlVNQ81WF3DTgKOHeVTsemrksYi8C+wPa0/0r5IlobSozGQL3srFP9bvW9wDFXoIIsUo5hz39Ke+XLTEGW5wL//tqDfeZN0uqUWLxDfpPfi/2BuXMX5KPtddr2WV/6m4714fknfqFYuxuBpRzbmZsuUhU4bAq5YOMPNfqYg1zW/V8SLKozmpN85n56yQ2yN3oa3JzLz+vXv1UMTwq4qTbjyR5vlG/2b7XshIEf5cbBcmcHVQAbkzXNlh7lVxa2Fvv2TiPx8rPxdZWiB+m1OvwuovtbyxJFxVjwDYnei/3ENcO9eXmDRQUhgHj7ymc4leNe+cxzYHx/azjje3Kr4MG8h5vu0Ln88FwpCNC7/jX7EL9pUcXBY8KrcozckBS+5QuIbBOerIYKFd3RdnI28Yh23Bc9Pd6clbb0m5Uhdq0axcF5+Ji+O4sDpRuFaGuKOnNLAsMnJpI0LOVvacys1xFmTrxXPoYY8QhRPCf+D9GuyOAY7fOSbIKKypOQg3QX+GRG/loscBlY6YRIeOgcF03q67urJhI83J52IlnIxEWWWtigEls8vk/uzrw5kJQRnoALCUE31+nnmTYAkzfF7m7Q8xvw2FhtHP3/gX/RVuBThwd+TTWJdc9EOrHWHUFt9AAuRKUWNwUANpCI2dy4/hfzwqCJ0wcpIoNTLfLQCl3BILjUUAGq4SqltRlv324iVZUHbHLFneEyimGBSaNyrpTyPG99LXEPR3A2NhjlHUBSHf0RWkr9nYPDttU6sRc/cLyymJ8kmLIadIhbxuTptvxUZjxqxevO88uaSEl8tE9u+2X23//LkjPUbst8Cbk1M93gLeXcWzSddX2NMJp/as49ongyjcUKZyfjKlMdrcGAMG9gEHw2nMz7dXh+k3f0/GotjZqtYLA19GZih3bnCuE7SJvpiZbyL+/1z3y+4DTDDoiIYJBXYCdahSbCE5tswpHU6soMg8/3DEvb8XbtshR7ZUbcvoanSLPOzv5ZmRe+zDwTqI32fnwfexi819IMe8IOMixJ3DxlVUPsyx/wVbG/neyvXp5JtofsJvtksUSfRB254YCPeuXujXeD3yqFhdvK4A73CFS0oAPsliPr15erWWPJ2JHK4CzrDgT/ydFCfcVBceHLv4aPB8xPEqwUmS6UyQaw6jQfPrpJ/ZcEzDzWYsQ5yIW0faUunCd5FUzuuIyx+ZUhQy2S1S3V0mqKNZBWiG3KQi1t55Xayoz6HE6HJ9CYUOrJmCZACLJZSD3fXjFBOy8bZclSRuUaaTgL/He57My/DHyvBNa76bMU/zdNncYEbWlHQyB5MKUg/FLzHsie9J8VWIZ9cTstbPReOcVPULUf6Vxpoza92DgtbKFG8pKhFIiOo0lx1q02G+eVmU9j8KNDz/2SthbzDtjsuG8UXZRXUiCBlcZ4u26oldzUoIF/YlS6kYsO7dz7QeRNgpUJcsJLanZJ8BDio4lkl881c/3xTDZ0kYlMg0yJAk81ncZBul9kmuOWmXRNtlnIHCU2wB0Yx/tGRHSjeXhCg4o7qFp8Q0fDGzPe+ybNvXp4BAyISmY210hEPBcrmTTHQpjlzIQpLKYsQAiiWKCRr6BtCA82XC4cQUvF4/kmL1LDVw8aOjLoR1+LrHNf4h5Hk2BTDTSmMz5yTDMqdTv5cpAEMw7WDeKtzttUW2Rul69B6zATAYPXSRTZcno1Y7fxfXwFw1BisLuZCKkQ2dLF8XfWPWt8d1I/nc5UmokAeJXLTOmQDqvPNK+HMY3vvSY1FAaUfJddstYUCCPLTV4g3KR0G43vA1RshYmkbok4M7vtOGypDTKpGjPwmZ6nOzioZBqpnGnLLLwSWoYRQpXMgMDwzPNTvC2bXGKhow0zguQ69zQhMY1mqduexlLejW9OKNJ2HF1jJSlIeEcsb/HIe6SmgSD8y6qBEUugvUvmRlFs4FDG217iKOOnv2qGJmJRkTYr8qCIs0WZmCYwl2nsccu8NTVml9m/KyUgVuctIayxyxNkjiHRS6ltxKDn/1HmcXR3RjddghDprIsaz+hf3yk4xHBSeaT8IPwPB+MVZep9SHKvDWGoMGqxjISLYONT1sVXupGLewOjLuloCWcvNUwwkAGYVGDbnWe2u1Xni3IR+nNGN5uBhI2qgonstUqv4dRNyvu4fLN5rzcSLNLEH+OP3im0TyH/UBVIBkDAU0znztc7U4TX6so6apsAdVDLVD7+UWpACT9HQDUrHm+zbKQJpGBOOE3Kf/tlk4zN3Chzry8THaaBFnfCIqGxFAfcuRYfZRhjYJw3rmZnnhs8FS5OX3jceL4Fnd6IbKpyFWRsfLLLLK40pUqSv9WIdGoqy1x/kiiZ+8KXAIlQq0Zb2J+zpHxWiA2Ixx2RTb/i+IvTeKAqaUwO8AqFErcUonUbsTR0GdShk7Dg+r5S4jUzuuKMjti7hNU8Cm/xfYVREQawYhpH0Lp8GOki8UM/8ahZjs4gCdgEX25F0S3JuR8nns+uShQznrfCjPelb1Y8vSKdine/kG0CXU6I5Rk1xBCyeZ3r7bMwHm6L0Nsb/T9k/3ipeVNM02hQg5kYJfge/p1QGfS9TwwYH4bUH6nVJHqHse1eLftJSePkh6Wqked0f7XRaA5mXpigmRA1H//TXiQ0btwpXKnK62/lmcbjVyZxYoPHyj2/7q60L6qN4bSSm1AF7sn3knjxdJq0+rgTWvKuMFQvoY/9RJveUvLgOxLdBi5oQUx7ucXsqR+jP140O57T+tHtcM3FslZumsEDPj/Zoy1BQ7DpoWRve/Wab6xz/2Zxl+jYTF2/ytTHEGMPPowzyYgRNNLt8Gxb8ucyDR2KqyqvnPQhTl18oNBTQAbwIu/8MQKPcZZ9NnE8yjFDwndZzTCL+dXMywqBD2HLSClBa/GgRORsc7EVB/IWZonfj9OxhKVrZsN156RpZ8JvnNTmZnz+zmKthUigeBadXB6kB2e9L95rVStZ1xpUMejufsgcv8n8cYQc5SWMo2MOGGs7Hykhyckz9/6guzPO4QKLKRqOsAqOz07sjU1GaywuwBjMBCtExdgQ4Z4Wmj0Lyk8WU0vdTYvkEtaH1ug9Qgkgs9dYjDMydl71S530MAWMZ8txo8uaOMRAzMwO2+9LE71uiIqCLuDj9GkE8Ol9Ld3w+kEqE5/Gp3crCxyZvNEXidv+kjgymqxbKjfFzzveLlokpMq2VK0omAkZK5jxCeZiLMRdQDwhXDi8b7KG2mceDXrRfMPCqld+cgEw3sqUvCI3o1PLpGXEIpD88fB34vw1vf6E4PTr//LXb+dlbsnWkazcjRPERnwCzcSVVtLzp5JrPKExKQplEtwrb3qfi+Z6aRrAt2o2aY/wl5l7oR/4bLrlvc3mIx7ayF4xgQY3wZkEUmzoKt68sUDN2XEWPldixLH9op8/PYkMU/qd0NhsjfL2wtFOT6FO0dEYozarIPJsiNrAjzpoPFrO86x3dWL/jS5n3WxwbsYv5Wiyk//BvxvtvM5cf7IfTrHXpMEFIB8N85N0x9uBGg8xz9xhDPGhEIFoQ9LX+D5uOBPep+a2U0aGjVFl/ETmlhPWEzTtJns04yziFCgQ4wdLaoSBrOHB++6tslq/dYBi0IbNMRpLV33vco/zL1qe9O1KPxfiesQPXNZ2g/+WBmbXYqYjHu3bXxMyyaiX80802w/Gw4NxHJ9JR0KiM3/S1nF5EV2que7+mu6+pIRCVmKBe731sPtdPSD4hpKqfy5IpJVjLr470YyMWX9PU5+Ri7FiN/KpQaC9DBiKQhIOVk+f/Jn9f4RbDIJNC8GTTtKvckJugFtCYadZDm8uSZ/IvQBKgKtOoZMNgta7sw4GZCHKiGJiIyXbDRP7jN5Oqlz7EPXyKRb0OyPE43KAG7YFfIDWnHj4bmJWwnAQEZ2/trZXlNuM2bVyPr+zWWr0teAr+qFXaRWsrbSm5hvfxzcWADm1ct31EUtUwn7PHMRmXuemTlsPWKUtyoBdzSUaurpIQ7K0NMoVYo+JmVpZu87MjUY4kMGPcp3EFZHxYJJcx0YpIl84ANq8yskPhC0S5/7lh+8yd1gE/3uwrSSg5kSGfENiamVXYy0ldi4VpHK9LfbpVnKjp49VOo8l83E3mbG4j1rc9cZ7VTSN78mDHXiKsnqv/4MwKc0HkjJ2Nreg65qseWJjdQ657gPKmmh6cEC5XmrYm4ki1gNM/6O9JrehecSlI9QPQE0gAhIRuz5xDw/Bv75FFYDUYzK/rliMn5eq+tgUe3//Kh/sm/VMnHR8ItZjHpeL+eYkw5KGle1V2eh8lZb1SwArYGOfE6L3pJ6Xu6aelrteAxI3l5LHddvkLnyBHmdD/nFtob2BV8LktxAzFRLsWkxpFLPFnACfsSs8Y87ZoKdb9hOR//CHWe/bGIXq+6ne84qY12u90C/TOi77UoFzeeLFIcURP4dkhf8RxMYEK40YIP3xdudiDlrgW3H5dzyoHDynF6fDHNQ/HKgIfA19DAoxdU8IW6GnpiSOgRr4XMX8f1Qxlso8X0jupQhY2Mj0aiojRLuwhDiHa1nUJWqgDTHxmNQPILdVEqZD9/VBdXqwuiiUALRS1DZzpliaKFqLU0jERmFu/DTt4WF6/vvyzW8xwwOSlC7tl3FT+OmbtYENAeVuugdgWE/O8z5HprOsqUbWAap3LBdd6KATghn17c/N4HvRIM4ECS3qacsa//haTAKe7ZvjVBmJ4+1bC6Xxl+5q/L2VICOcfVnlH0djqCk3ayyRJ54OmQsy4Ws7YWH/dU5iyx38dq55T+JcCkB7M5W1YsTPPvqlHytOE8ouIzEmsF2gerDIhOWkoWvm8T3hxvrG51Hr0VDGQ6O9HoHD3j/ykBdZWNl4vmGIDJQBKg0ITT/EpqGlerUtgXRdCQ6ds8LzSjH40NWsYRBz5+HI/UZ+zPs6aFnDVjJ+6jXpVjO+qSNjKpHl1N9ZfabM86PZ+GKwYOdVWYt8WjT0KswaYoDjtzbbt7+oNH9U9pfOjDuCJU2amKdRKwu0gs0AJqdISjlMOxkdhd10w2QAVKrLv6brEzqWlpN4svlyqW9ZNeArlWrqyNHE82z9ID8N+CKSrGJ04S01avRMdAhIX301fHHZobIAeDp4Mqwa8bvjhnDHHEhnMSlZxOKakx7GGENM74lnw6hhNoyxxlU97CNGtVdDyMI3Xf+lXl13CDbGu6qbW+BBlTlNL7l4m44ilTYWo2VdUzTaexdnjuFYa/Q+YghMjnJVMng0j3KRFaUFOtNWvTfUub2SEonTySIh1QJMUSDSAcFp/G7H98SjC0/3AGoUDJhIEf1h/zK8jb8tlIf1/83dwaqh5vPxdseX6svgiDdcxBYNk/MNIyvPh+7gzK3QujGwQB5OvKxIGFIcWzXZ1XQRbFh0ATGFoHvXmRxKk7MdXZaZIj5ypP/xmXbZ1aUR0EWuJkJYjbUyWGS69ClUp1UzlPtlvN0BWuJ+IbXw6iyeKIts/xH7vX8sLYbAiCr5Cg6DlqbX9kLBe8+C8h3ITq2vgCHOjzwxlvOrOe5i6/I8W+Yd9A8q8l+flOjFrzCxsgack68YvyO+ZkaKX/hEIJnyuQVQgnZWPI4h1pbXrbSPgS/jgsDmZ+VHNkBDTkv8CPiat4YhHbnssdR5FAmXmmI2MnF76jcFcthmlg56/s0yB7JGecb4vkpRXx0Qhd3WHPrxc0NwHzaqA5m1TcUT8fcVnVJkUnPCI2+4ArLBOIlDJT+mX6YpcBdzhJr2yi9zrYDyDOrW3YTZqeJYx0AAiPK8rLu2sMUM5adF/rSOGV76+Zmyse48v+VznjMaf5n5xks7MV1Om0TXhWFmLQxxzh0t7LmtWbPpzpk3FeiymG8U4dOHQepjiJ3hjodB2uA+LpaKYJmFnpIfjprVhug5PKzDbviX84wRCdQ+37wq4+2uQYycbEnRv+JQH/ZVbaa2doBRPhbZpBrWY9DBJgQPqcy7GIyFJGagZ7aDi5P2JqpHzBSJ8/yEZNresSyYOHow2KGx+iBsE+bTeyddJiJCGBMiN4Rys0e7VmnJcEusFHHGdVMpEzx+oQmj6xmplXemyVX4u1h3LAPsNAx8gvcM86aiT+3ikDBUfulXJS4Co0s5WyxybsDKfJv6SgRH5mEhG2uVogx8/L9UpIKcHe0XgDZKq/5/5oXRJBFbDrhr8nALga695a4kgn0ZKi45FwKc8y4FQ66GYygyfGRKJI4J+upKmYKLBRVvtS73a8LgaLt+qFAI1QYhFt0z14/tYKwBPO0viBHv9GLzLwd5pnWS5v+cng38eOEwqYVzKu8dWdFfS2mvBw0nBF0GGRpMe+PjON0Zb5MIt01C5GahppyKu8LvRdT2oWIXA+hhWubpogkFZp9KzaCXTQJly8raurE1p/ppnxqNTFGuGuyiWlgMzJzWxyPn/DvR04kp72LNqTiyqFBPG2m51KRFKalf3t+Gzsv94R3bkfNIhtKEMlBMWObzT+nDu/OaDhIuPoUoW0V07ag6KH9CbORBeDfGSNjYC3KenNF8U03JK8YtFcF2EbFprUX2BLoPGlMqPuMmhpni7u+Xl5VGBsg/UEMHpt2uM2KaIdizj4bpgvVFtQyRsx11l37EWr1M9lQ5h5SQO9F98eAM+9xK69R62tsMJiYTGes2eAK4ZZr6A4Uu7lXTs8yQUzEevvEYkV5oXzPHDYO2uxQos2KQh0GbOD+NwennR2NPv/BW7iYfou2pDbmvEzzMB4PonkxNaM+ioWIFwCSdy0/pqnY2l5XZH2ggdaUc3/J5+rxqiMxsA8C76o8QX0DGRujPlHyFtS863OKoKTsgJr2vZb1hNjQof6YorDVuwNss922DqnyzsRA3JVTkRw5yBgEwr+Z9ocgznk6I2we8OkiJ6nAKk3KGak5jceMtBZf5vCXZCctM97yYN6z32nPB1CRIofdyhZPsZmv+Gl+ZkypGnmGgMUU96cJN+0e4tzyd6a32w/MC6gCD69UFOlnidnb4YGQA0rONkIKIjyCff9KhUx0G4/vk5swaIR46JdPcIavwlZfJVjYJx9OEc5TTmczxKaIXWivs+BFykujyhm781YPcEDZnZdD9+HuoMaJn/nsSjBj/EYzmPDV8dm8ykwMKA4Xo/QCgrhNtexfMaprmEhbJzbqeboUx6SJTQgsFgyYaSu+p/EQf/ZtO0BdpLaslzjbgGrpqPckm56L74I4SQ2CBiXHxHjgvJilOhx7HnHpWqgjaX7lc7YqMgMJMYFHJb5vORzDCYt9uOcPZx6dcMo3I07HOcQxhnQ13U+DsP0iko3mOvvJk/x6sPWfuNZ0lYik+W0YyelmgKXWjfTWNF9odozTvxf6slyaxRn+cRYUxHYiNtUt/h9hhAV6Vi2EBWodlWWCqjNeRoq2GXpBURhhQUFGPGOWDZdDDE0HO+nNfMwIgojEUtK+8b/x4pmyL/VSsT5m7MUE0OFd5hnROxdwkVoiDRP5rpPmaMc7Nki/H9/UNE9Ccb0p9ormjuEa+h+nbO32ki8anWX9F6KQ+jfVD0Bw6xDUyEUrdYWq5O2lv41dnF+SUDDc3DPhFFl7ksTZ/wPg+afI9GyrG6v5KTRXWkcG1VRja5ss0/guCJQUqB+YLRVGyT4wx4kF1ovhIX7NIp6FP7jsq4AcngSRg3Vio2yXryHO1oP8Lf3uscPlPjE4PekbGTkawohhEn8pC4+PKDYF6lw+itZiXzl8Td1izfbNelBJsFfDATcfOyD9VvbYYJSDGEDg2NMkbvVl7eI1BGH1aX/4zziT9c24pNjBx8orNgz6DlSDthNYNNdwnecmLrDQZGd/0rjv1Z7ZvcK7Fb1oF0N29NkRqaD7ERUYMsKEiY7Yrkak7rmfFYEsfh/kquJzOPFXpjw6+5wyiNWNXg0majlMZkynm3wCWotnjnW/9al+46rDJN2sVsMGepkrS7q9zqPGSph+MvdXca8EilX8DEwiMDLbDfbllwGNSJwrEafgib6SJogDozekiQ3aicx6kuvC/HAS+3DfzpjEsmuXcqIxquvuAMDLXGURBH+unByj3XIZODvqdd6CXZDCQmhu9r3an0b4m748AXANSWPt3+PA0kQYF/lnHCiiPfEhGKHi/FJOKaCX2mdBQyAY9ql+OjLQNJcPV/0PHxapxlYXOGAsKJFuJt+5ipSbmXMWY+U2THnUPh3WREUFw7mHlRvGn+Ng029c2M9Hs0WPWg6nbTys9YCr3+dqMMaF25Q/SGv39A9/+v17QgSRZurHDHJ7lVIM2Ld3aPwluJWjLQ8S7F8yRtc1xxB/TwIXubTD9cS2wbxjUgH2zXVoZvWQqUaim383DOLn2cLz7tYxPXb8SuO4jwKxn2LY78N/xKogISk1j0fbt2/EQYlq7sQYpUuwR5DXlMBBnCYSlysnXvHn+3al9bmCM8cZP+Qbx3W4laXtXgdonyBLHxT6px5rBn6mx6OxOhemBIOZaPAJkkuWnMgSw/jYxMZj8//gRrHlbrmBbxZ8UPQ08Da1T6Oxg/EukoHY/+UIdZO8a2iTtakSsz9EoYyNzMSUSo8R0f9Hqkpu1aoY3gXuoFHmX9+q+CuL7IxGv5kCZJH6cy1F20dCiCh9kNaM8bD4kGbmFvcaoIVtJtrSWTdpa/P2XYqqs2eBNJRNZR72/sGaZF2PYHQgQcbQr/FTDvsocnpClPP7CrJDcudIFCX/LgSzAZukuHVMIwkMLwnX5IOetC7BC7y8C1iPBo7QLMBy3dho5mivrSvwyGjtdyUTwZ5ObFYo8d9VXhn/mdQT68AoGFKvnEfoufCbjO/KTRXJ6Mx+rV6UUNDEETHfo1++rJoy03bddpjTVLzGMmaBbky2gQ34Pu/gjZpxN5xmgIpYs+H4qfw//K3bon86kISgLHk50CndT0X0N0ZCeZELmR+Va/WQazDRRRLQ2wRVWag8VQrkVI02gjNd8Dtvkbbyt/3KSXnsmgoaDBn0O/Aoi6ozm2BN6diF4N0RUuahbPybq/a1zGTL+Hdx/3uNax2Re+6//u1+QCf7g5qwGbsZbvFTQV/VPB35HWtfLD6rIZKG7NKczQHB8yjOvmE4Zpf6448REiWBAXx907Lswtj8a3zJqvqM5IAIt4mok2EQCD6RQzU2mOUpgwQYeZGnvzMo00jqOHCzZly51JQ9qsj7jhw6Vthrfgsey5B+s2pB+52CDI5FyViHHEQ5KH1cWdgyO4vt+UcRflITBxA0+mtmoBulDlf/RM4M+qwRlg/5Vk919io58Ch1NgOk45rX9GmD3myV9wEDNflRyhLRC0YlFugLxPE7Id+0904lBLi4edUTFh+v56fHqjJiw2z+W6337DvPszsw3Wvo2mGet5wuxf7STXXOl/JHB7CkXi/Z7U+WzMPwHj7tXxWWiKIHf7q5Ao+uFz3u+vx5fNXqPo65vVm1dq2klO3J/yfqgAAJXoVxnFuxCufr4e/j+P/uLGy6d1lSWlPP6kH5KWpv068eNNu7/XNX0Ni+z3kRl+vq9t1Z7wIVpsIC/Buqdb78knQjAhHCl+AZXEc3+1MqZhwLMNJPNsFxaRHvPFm9XmiV4d75kpyG2Si17lgnCodwyzkZ0qve1vN1csr1kn2/O4EmZxpgt8aVfzX3Z06SuHKTydYxKQ13tlm1zDMDW6TqXFuXXCGvthw30cWLmGJWbz5U41joXGRtHQQ+ysrsZukhAsbJbNQ1pXwe9P1TyxG/WhEEPSMHONM8imPtMT43h5fWkOjqXmjMzRwKUEOHQc+/IqyNvwvTUULxJNHuEDua5K6IwfVmqN1tkjPqODKFtfasJ6SxWPeemy6dR9WDSsmFL25JFET09PhA9n8OgnTR0Vj2+Txr6cQ6ULYUM8dH8GyEovTuTUhqm00pTnxo0hEq21WfLGaMow18THKGhhhtrhsIwyDlMqOV59tpBTPP/biEFuoo0vbMkBwWp7EuLwH9wZokPLain13+/8wFTpYr50jDdlzrSed8dh8DXDCEuf9Ok6SXJkE+wAfSLuxP3GJLdDuIyMlUSKE5GgMpElcIsRF2Z83HuDP9k4sWd2S7yJbrMdix7uXLOmgiOg43MCLn00l06TVyt9Ff1mHNOJ77NxwmrQbLxmO+DbNYfjm8ILN/hJ2O6Z1iuDcvSLMFuyB6not4c8+N7ckWdNaiML/9pBMWjKtQ4OtWVCUNqLPxScqIi1SAd0guFK4vJ95gRowbCbT4gZ//EQbXR2OKkSZxlIz05lI9jgNOdK8N3Aj7mmgK/GlkZ/ftAsKkdFYRBVtkUQAoHXih4Rd4QCd5yI/qvpJlebGk+BM1Wvo7UE9CtcJhPiznSj4iIUpoq0zLUWyYbajLYqjUBaHTCXcpNAq35woHbbYQ3dms1d7S/k+koV5do4qPu/3JHMr+q6ZF9bvfdSurKiKMSBwQyttOLIyzMsdKVAzuBUS9d9LRrYfjVdNRlylAQbXRgdWmOLdleoDuFSRgGRkXrLo9DTefnz1tHwNtg8x7iD/SHJr+dJCkxVA27k3dn2NO6YWmRSMwsarvOCGmDOOlHWbjJg9IzL/w5p2Fyohzkfo2KlRhNc2v0/kMAwsw8S5TO3ti45oy8KbQFhgOjx0B52Ae2WDAIJ8G54ByiisLnVKqrcisNTEnSDXvazPWnyc7PKU9fZro8H98HLU7aV432TkfnnTuugXtNZVoK0X44/fhwfvx5E38FNfHYTZnUHn1xEL1wmCi5SXSHELKkGzU2+tuFnl0tqFXNMnu7ROnHJ5Kw9mZ41FRnyjhFnglwpN0MRjNMDJ6Hj/uJQEx/UnOQGH0e/zgPwS498AvoTUmr2jO3okZqjVAIYg8KjNWJ++ekeNYN95XHgLy52wd5MSRYHvgTyVkw1vIg3kiA3r7cafPYkczG0f0XSQIXRZ+o4XJhhM4D/4KZcZpwgrAwvBWYZW3iOdX20dPgCi2zAdG1ygLLl+enwUXpm97ZDvIXpj4bzTWAZXzf4Wbxk4lO/ChAY3CVCBHLnQlVFGtPSo6O9Lr5vjxwFp8mPTzGO5lB4vrUOzAVAVW0RaG9B8cwfbGtpTvaxm+fwRg1loB9+aPnVi0dtM4a7ha/JLzG/TwCebqCRQ4DrYwFSGrTddpbbOnvDIR6lTtlcZUFiXyOXrnKVAiHdbGOzeNy1e98UIibeAt+Q2rSaMYPIqqWzxJu8VYIG5CzOHBiUzBJSbabSTTQ0U2BbY6M68BOc+K5fwP3TXCywyC/gHZzy+Wt1MsV3Hg9VdvyfK77MllSATPyMRlz3DlbzDQktiY97manhqM3Tu9pef8QcXuz45p0PkkPD9Kd1tJY6TLlw5VyZIWZtKhHsF2ASRTJpAxier/syXORkWAvjdgncjgqlWDnxPya6AmLv1cgMARQZZCDmtQzvq8bZA7mTZpQbSyTyUXy2pzgzBiNBsPbITRGD/rk6YfQXQPoseXWbGdEV2d0qItDerRhV5e/1waRwCFazA7f5KbzDJdHaYbLKmgbDnBHZobFnHP0QosY0rSYB9fCmN3F+7wwCj1KEzK3mEyTX+KTE4/Xzt/hYIDg8bOq4kDCkAzypCGLBi04+NVbhIcEP5UH/n+7lKtETJgzqB+cmAZ14RZTZ/B0+V8vuiQUed/PsNFzJtg14hK3S2wkOQR1oU3PsKB1pv0jf3WdZ08w4bOZ26re6EEvVBNNHy3GZ7k2uo+/Dq1/yS8sjhoYe+zkg9MO0m+a4A1yb7Sb6Ch3oqcc7DVQfHSVHk5DXBCfTtKDAmkODUB5d1JrRw5CIRZcfkAsnbSe44QBiAljFLa1twmvgOnk/WhTzGO4ZLDtVT1PjAdCq2ldLqJSxoOQeZ0B5s7vENhE+DnE4y1klfKw7KvceVWzKW9XjYJTgy1eVhfSSxlV8PDYtw0KLD2tGykU8oa464sbD37YxcTG45U1KaIfPTupN4B63VCzEln62cDrIdxi87LiwqCCdL4b5QOEkUUU08juZTbwMPbZSR3VB3urc4du3yLpnWF2kft9wR6sR7CcEhSNrDLF0t2ogxZM+pCNxs4RknVUYYeEf2B/dmGPo7zkQx1D/n+IB8wUU+bRdS2Om87NmQWtAxjp20Wm4gRihtSpugWa13mdXxvgQC6UWBm/6U5Yd1MBK7IKTE39MzbqUnhCu4hnPSEeVz1EWXr5XYvSUJET+x7FDNWTRd91CfD8gx0sqdLMa5UxfyQqn4EffqADuMVz3wiS+b3r06WjRRsBpOmBHnLu1Uf89sdZHjoHXYR1aq7rvoiHcolCaEty2WhnWwmgClqaHtf7Rz40Ai3INx28X3aMjxCFgHVIW/8p1KepCqpoIksvFqzO9Yjkc0Wyz+KFJV3C+Ld9UYVyqX/v1uJf2LKHh4UyCFGZvheZDbqjXxWec9cZQW+aq/Hf/uX5haP6mO9N2donxNJ1nhElBOS+KND2xdnCaGuvyHd4PmpOUc9zX0L11WQXMjxq1FST3WiHA/OBvqerDjxPGlpl8OKj26/Pb2lw/0O/nFUfixuzyYieHpvi6bASbZASgQDoJt9c0l4n2Z3sG2G2ciEcV7tv2fHqQFzcKhkbk1mScqx4FzoWv4huSYLyQUzcAYVnuTVLbNac9vNTG6Ce2BGhWSrPACmlPfOm9KMrbkNifwSesBfvkPEIPiwaVz0qA6J/zsIk7v6HH+ikgoyfrYhGjQv99b7cVbOeXugptyF8go3wbpBtl0Um10LJlFUcnCNknJjSW4q761mI4LicNEuieoOxk1d84HFl9rWjg56MVAKodf+FPRThFizgGpKtUUXcocQurAkZyimDP4L8mYDa/4+2s2lOHFu39F/RvAaNBDiTQQ1sLAkEFkYgITQD5DIGCVOJzdev71jrffeGzNPdER333sGJuPecqkwbpL3fj7WeRWWhScr60f+U2LpSgh3/mEgizckqo/NmfBZqVBghmuDOZ0DmvpFTFHlktquwtXMiku3N/OYOGeZ30gnQzkYQgt8E4a60vtPVN/fOV1YYHOUFqjQY1mjwD/eZAFrGmOMJ04qPpZe0nWXNmei27fQ37R8YtzAYyLE+fhLi8OIv83ee6jxv1+zH/3hgyJlCXl4cy9GyNSRAP5kl96nRkt/cSIJsWz0nBuZT5PBDykPUFeoNKsRc35oUFImdqbKbigbrB1g/ivDxxCqX0gQm5ZET3Yw955XBdH75yjJmGULfGoePZlXTQrbC4lEfnVVdtZxXcCvncKhLV4G0e/Wtm5pkI6TOXrJWM2s2lSoJhFKxRrSzqX+STWzBj69yl3TMLHVZIiaNcc5yHN6M21kMlfw0wGwzLM3wX3OPNfSu4WR+FSdW+8eBgnwSVjIrc8ha8mfRrt4NV3mD/UfydSAZ5TeY0l1YnPypI5hldixoYjS/F1LpX64vLQywMXqN2+ZDaq/q6jdstA2ZuZ1XKkyCgktt4z0MSzqHuXWm5FhEaorRC2i2ALEx4BpbzhI/Z1JlozFcro2WEgLqYGeDQya8M3eK0n3dtP56lYZkdVZjeiDObaTjCGUytNFD7p6vXXv+18yJXHcZ6dccYObGFbBFt9EdGm/g9QtLRggUEiWnFo5h3fmFZYQrmjhp0F0MC3f6KYGEo4zuAmZNHShvCyywd/qKj4AaRWNmfUSoj/gF4qlUJkNVMXuAGlvOtinDEOHkt+ZhxTKN7HG8Fk+hk1a8fiNLCMYioEui+MouYXp8fakmyiVBW/7CDDkHvSpY1qUMGEsdcaGaFPURx9CIrF7MihskL2/K9kTxWyp6ENsHmXDvLkqdDWXZY1tgI8sr5/9RQQjgUW6Mv5dQIzkcDjsJpQxlniXwjFoFHlB8IdaH98gAgNhZJH/3jx/f/2vJ1wKDXPls1AHX9T/xIak2BdXO7+ixLxnGxFOIAalSM2QNuR9F7l56lSKWvbUIt1cYe+vkQmaw9cFsfSoZbpx+BEd1igIgE2nwercxcJJqpdnEkonmFsKARFtiVFAQTJS1AIGNCoaZo5VVc40D/XZRa4jKLDCQSYwEFessGiRoJOaUIpLCozpcu998NxL82bnNP5N6K6a5/BYjHjSID/rN36z0KCOYW8u5gLm4YNdmKHEyyK0xg3xRzwGe81Xd+ZCgTr/9lBnnA6abv63v+MmNdoquxvBJN5EgimjkxEgPS2eM16UX30doPLnYppoMnmpPwS1ciUZRijnRTqU6wmnZzQXReXfgkgdZ38XLYtRdmJAfCwvQW7taogd9zb8kJju+PjbxLH/NjccM9yYhXqxoShRnTbW9vVznTZXeRY2xWG2lc0Z5vIL4HJ+e7sONNn1+96LKn/J+cWaQ7GgSaGM+49pRtqhmLIxp/UGrNJiuDnzu5Zqceuct9mbXt1l7A8+J/bIPQsvjeifYMdnI6c5EEOm8djHaehn8sIuNJTpEcXi5sgDoh2uX717uJYLItloREiNn+JNxs73IOIw/4YRGObmS+FAk/kHIOzJKRmFuFCR6ZeGD4xeHQLNgL2QuCKysu1wmj91yaS0UZDbiZ3sNNZYHQOq3mbF+u08Cqc9xkPDnYtBcryImx+mmLTP86xvLontSQou+Yl51xbYN8K/2dBp2diRmk1Nx+hGs8WLekutH2MAOq3iDs1mUhktckQif5EM9TauU2jQ8G0wq5aeD9QXGiIIkmJyMgpo7OR6xpuLbI1gV0cZ74sNRZukNqYq61D8/zVQEwXwVofPnXlybqOfvZS0hitbAApXWURAreE3wU7zln3fBrR51z9Ft1Jf62fME91jOIkb6iQ3H/aGx51XcRrwwew16QTtvZS2ofMRbINByFlCKuVlwK+WfmVe3Q0351Jj3eQYO8B/4pr4dYECmYL/ZPYt6xCCQ3NmpthkJLGfV1Vpw8KMVgmbpfIgFLPgDzo4K3Uxs14J2CivhRxdhVkv6kI2rzFpygno2tbBgTsaqqWyjhflU5I1QP8TL88sZztuHrpqpVOIVAjCUfawMwGIMavR9+F+C3YlEdZA401ZJCj4lKCFmQitDoFebcQrGyIyZ2Y4C91vlaDXHgBt0BB8/3lWNIpU/25k2MYqrNEoy0JOyXXy/4YORTHnEmixYjQMlkMeuWZ6sF8rVNV0nIKJSDzB+4PH3GGFB9FqcAuiePOqia+unVs2uGXrC63VizraEsD88zH4KaCXsXKhXGNqxJkH1yXXuWT5+4Tqpqz2qWGH8QFKNV2Gwu8PFnXvw0/MLjq7W3XA+SjuUZ+I4KyE2Y6mFy0OC7MGnyp5R/BKlV8ISO9wdSBRyLbYLGjlmvS2989YU8MeVyfUFX5Dza0ujyZuxwW8a+w/M7yYAidp/yNCGtWgCioy3I16Mwy0C2uaVtVQi/37HojJ9vWzDYbG0J50zlVwg91VsPL5ZVhMEdTeA43O0DaTNVvvIARSgLQ4+E3Eo722mmvq1fT8tyaPAoYu731KsByZ6r2+W7lMMX7FNkUyZ2IxvIa1b4YONXEkMgj8CC2M8xdJp1QrzKu/nzcPNJxRanYmJQNsQjmMG6XNC0OLKORdf+qWDaSPz0LbhpLvQou8FA0MtOtPvYgmcWsyCL4aLrprVAfmn3CQOdu+CPXVmXv+GfRJCkehzGgw6nNdq7Kb4S9Td+/0CxTCgOHRYqsw+m27jdJJ2Rhxnl4/3xrc5ZK3F5ZOCQjs80+aQ8mttOSOREU1gwfVVTzhz72LzEJKLRQIrv7yRSLw4HOxKiigkpef0UB1EzEpfwid+4NSNYYPSXHNx0K4l11pDNOVq44beJr7FrpxH5AVVspcsbXoTljL08Xg4eLOD89Zbt94eTU7UTvdYi5naICjPTouI/L/46p/49Cxk5RetLdQeq03pqJpmQtZNvx1qSaUEQuvIrKN7kNDNIK6JQz2GAW9BsGlKBpbO90UdWBqKI9K6+FF1c/9vp8Y9WBhf2BQyr4dFCN7AeW8Pcgw88KBok/vVEHB1qPGYedZQ0kb3518mSn69MNzeIQ+IxIT0YRGfstJFOFecce35BsKTWmvY+OA3zYuZrhkGoY6DUYgKz9XSE1eQ75v/yDSY9udWq9vtmlBkeIg5zBlBqzG5Z48UTF3oNHnzsWJ8E1IguFNYb5k6MUDcbKL0E1kV07JR3EPvTGS3GexQR1uKpVibwbH1slHPmxkxxHvLGcJ/LCrnEskrJmw9Tp2k7lx433c//pSXfYrN5RaWFp7JNPxewamJ2nu4NQHWYWIecmG5FSAmqGT5aCOBUG0wFiM3fqUBwayjyztnyEVIi3WVQsMl4BIpW1SN3/fXTxnPciMBiK/zk7xv7/JUbuViJMSnvTPkwb0QF0EtUS5BRRwrB9fywWtmZXvh5Sy1qRnXcntNwYN82kT4rdd0mIxn5wOZLqPN/p/8ZHyWdd86Qw6FqJwyU2Fhho1FXPdRnqAMCm6zmJeyoWWo6ApXo0TDRPJqttuH+nIQ1a4AivJGWuRAZCOm/yA7aY6SdAyUyT2atIqcm+g4fcufQA3sMJzUngKtYd2nh6LsZSesKlr6hFYnzbjIojFWx7zNcHJSGRxqSkBdPWjXIHeiM5piz9GM3bkhjcxNY0yVlw028DWDTJldO8MpvGUko4IVlzmA2DNP1+sFzv0wOopXzg8gJTyiurrcY6mE92FDRSWrr7M2L8zZGt74rQA+VxqYDdpz9aiTz8E96WmlUxsiSE3EScWcMjUvyteZ81c+X1VS1sF0yRhIMmbelb0M+zx1WvuUAHwv0dz1425HDOCQBlq3gCQXHUSXBvHJHWdKbR6YgKBINDOa4YzxK/IHTMKszXtznBKfVO6VaFp9sHZKlM7RYEQrLoAv86BrHhau6LBrpNjPoNfruCBtOysvqE2u5FRD7I1I/p6Fp//FQSFQsdgHcjd5nTSykTPQXTnZWqvazFUvn2unPz0dyXeggAyFPEspeOUEQkLAPOw51dUxrEk+sSgFTNZBQ9wljTKYbrMJbBdbJ7+kemahiLmPuy/1Dlxbl9g8Z6viWjPrcRVqk1HUSuXhyStjhTlm2MFeKSlY4Ynl0NzGFZduN1CVqJj0qNI9IYRxEAvOjWWUfmw8Ny/Xd3F48tUaPftwRZuMbt+VVw/8PYnG3qqBfRWeXRyL+tdEH04pZeraLO3lquJjHE/nFyXw3GXBRN333VAnXteFmchygO3HEs9Wmw2H+/Pb7EtxBMpAdIy+2oCj55I7HVkTlWZi66uPBAcBs8/0CwCcy5nP9kdNVppjjPdoMruDq0KZ1EqBYBDVmrrq8O/tj87Ar3yRN4gYF2/26/O/Y5Ock2dIA/+prlkqd8DPWBmL+ej5/fRfVnc78WYO3fD+F9B11qmOcf0doSPIfhH+xA+52/h3iDtxWsURHiGGDeWN6IUQ23iKEaAkdLpW0yBqYDr2gm9E9q4taHBJKD0Q1u0rNNpXDRpqq4ykrjxoYA+CqeHeaK3Fx07Vt4yHxQOJAoWf9D8TlHK3S8q75QtcqIm/z2OH4EqKa0h3VLY3rGNWcgfk3HBWlaV6+MfPL64zImmxBy2KTjWHMwZG3RmjRSTHjb5gBf/LeWnTmdrfgFUoTA7dqll9zesOchg4cxLYehFqUEh0We3AtTg4o+nj+bfn2zm1EFXZUM73xLA9kywKaHmYVnFc/kYV7WGKUq2d/PSJSN9CoL0FPtus6ptE8LWMzzA1lWWbH01wAh30rMx2hYrNm6qRr77L25APrl+ppPermg5HANTdtfPP7FHAN0uzf+2HZVviaGfufgkr1bDSUI/pLPsSOnTOiPurijxhLtAct9xN5g7qFQWI0oO3llAlijyz9U3keeNk8Eha21Z09DxnZDGiAeUyLGZJ8BbGlSU+sPK7z1Qv80huhayRdZ32/hI5Ofx0cBTNzUAMM2FESFANWfa0H03hcW4E2sQGMYgFqoAzGi8ca/wFuTm9mQYTQ15mJMAvfIpOd1Yelp7a1Sdp+3kaZD6DNBbwTt0kIGc5yFO8umkjeUGNIRIwprSKfLz1PVRh5V4NA4WkIII3jSaRGB8uTygoMV7pLI+r1bYt7RW4L/zzXgNN+OB9F9PRc4uAkg5t4WWVnA4hbmefTfVOdAlSfZdd5rrgdpJ2czirNhJM7yVHNhDYVshtPTtXOrmAUsxicJEVfE+rDcQwJ2HGYcnB0tJgXlcny3kCmRtKCh02NyR7zdxYXI29cC8n3npINWSpAZ3daLpt4VRbLwVwXEreBnVwkD8R4p+vx3MRGGcN5Pt+ycV5fSde5VDOgFTkABTFehhs7IUz6PYfzMJKEMWcL3Ltdh/9kd2cHVS3n/cFUBYmf3k4iymq0byZ+JvNSlYzpqnSsRKgYdX1TllkrXVnjDflLxrm6IhiZJVvaGIpvXZDpmOefmNqC/92pggQGT2/u/Cri3okft56zsTLkA4rINLost0PpbnvfzCFXGb4FSoMjOGtLg+8NF0DIbJ46vPr2cv+poRjae51mjKly5/2GpYnUcNk+wHUplsoWBLakC1qHkT4daSN5906orD/qIQpUnp3USO862uV7yV11brJOP31euWtp/SLTOvO1xwgDQC2ljDfnH898uPj6s1561U7ily6swLwwGC3rDs33zkeu5KDmdWNv7USRr0WyzJ2jCWukWG01DrVHc+5/vJFnr2sswMsOP+aFY78pAh8N3tZuH3bNt0T4m5mXffDTguBROp1CYCuq26BftiBG1ixjPXwVvKuL/Kqcga+yv3vhPgXae2Rh/xyRZJXL0aMUf8Hp2tq/NGCly5EKji4H4ZRAxSnUCE1pAUxMYgKho4Apem/4nmTx8Eyf5JiexlmOlkkmOVkk6aAlnDF1RketPE0SnuJBBAl+0XHhRDmJJ/cNeVN7DNB+4caBvMAUcFmcLMFXwswOjKlKa855uJFOFKjgN3bc7fE3y4SJ1i6y77vHrXgsDAfC39gAxWWNSIT76Boa0jvoHkZKpmjpDxUuni/F30RrQ7WsIZ86LiAplCWFF7WMGEF+GTbbeFMmwwDwU6Cl4+JT402J1CfPoT/ku5jtiCX1bfIY34vZwdw50lyKPAWCdTsWVpFy5kSu/KGuWBA4FF81ZH1/xKjzSES0C29I2yvuenDymtV6/ubc7oTqCAAvutZ4vItiQHqtmE7ptOQSOD07/8cgO5ezCCr+i5cS1+NL2+IMDPGyt+UTOK/Ju2RZzDNgH/SlCtngQAEueO1HskbVSirCUH0CkXHuD32yzw73ErkZqyJdHdv18qOnXaaSTmfkbn4cL6LJelAPl5dS18J9sx2nOnNMNxGYC7vVrVmXCOzE74t0x2dVaXlV5+sW9R52BaG1wskrAUwDJ4uisZZEiRGtlDMkqta8AKpyuLr45kCN0ausfHu5hoIQK2kRLeVstMZ47Bin4oAvEFw+HAGvaK6zYcozQCQRbvl+HmOX30/pudUYY0Pzunf5+7ny+D99C/TsyXGXnfo2VjkAzK2wF0FuFR1n9YSPIlfK0e9jjHI0WIC6mzPMltosi8mxdNg5v3Axq243CwNTdbm/Kb8s3f0Bph9cvSHdWL2fW7qtH/4/NnO0Lg0Ff7ju7iLDtibyUPK6ZwGKCygOxybWZT+8SDrSbe/4CPlxWZKEstfFk/HADPpM7iCE3SSxlMFxCufhBQ8wgaBP0I0OKAIcvbUnbU1iE5muu4eTPrK2Pn8GBOmUzSzvdidiCMR81bLSWC7e0BKRYKMFZQa+vPZaSihcLqKB1LD5oBTCs8xDIxrc3r0XLxh8TgtA0qCpikBFi4clHaY3iAjgMxEsbbIiF7HHI8e4CYmQApOuvNx5XVOCxpPfFW/D2cmae8uQuEuqEFTUNC/wK3GNuj1oz/gyWHTXpShTyap2QfDzaqDu/FvmZr+XWpN7v7ciyJQb8QbJCW6bO3CSlLVxLvwR57ExJdn/0Ko9YK/jqSZuDpMScCElh/kPBdghQhNU69zoW57EGrRXnrqxVzMMs9iTixdFD8xzgi2tFM3CZxptuWlCzh3c5HbvLNInuv4uY8kVPj0rHCBZ5bMIIdbtQhLPir4gYiXx4MhBizxWU54A1vmV96I03R70rilZnKPmihjM+1qqyz7EdWPujijphpw8gnuJpPZOs+znQzhRIbUFgJdqxV+2lPKGWicgY4/hcCLjfrayLPXJSWHECA0RVsoLQn6E9MwiiUdIno4wfxHuwvV+jdQHDq1lQp8ZUWsxtFxy1kIo1FdfaB18FfKcNuENqhr3ViKmEIZHimg0UIBLdcaLiVKlmKmFlkNKhJAgUwdgoNMiBTZJ0hQkLmqO2v5arf+V1DEXvRvYbjEuAcYNiQyjehYehLHzQLQWXpFjQJsSWBkQD9ydM+ni4SzlTfar4lPYBlIsr6rfBoxZXH+6MToWWJE2hNvu4tuIUgrqTrdjZM2tBkRxHdpJvwc8KDWNjjWxMwOWUgogQdzDOVK7flYTsOOxTwqVY1ZVgbtifUw5niDyXbPt5hSD6xt0mb2tZzpnTfwf2q8jgI31yuYaMNIv6NeBOfa9WZvkOzdYq1eo+SLALqYTPjudm9ndCwxvLu20EycOQc3D0lAhUXqdeqSZSr1Q+d6zqCwWXwFg/5iSDEHxUDjEJLIE3mcpeyKqqJ5V/Pwv7jBxsRIccs/ktIN4yVNs/DBZUpkwvGwQHM4+1Ktxg665EQbft2hWBwR7i8IUrkfHIm4AAMvXCvZhSFUK1EZyvDBkU424SovQvrl+L9O9Ph/kT5kPqAKobIZayJMQOiVMPzxSloGbhkqIKMfZv+K4x7fO7B6uoo9kLi7o3h/28J8yzAk9RnBZQUch+Sk4pcWtagxUPvZFP/wMxlJehMchFFK3DFTUnoqCxh6xklSa8BaDFEZSnjr+8m9u4GX2CJ4Xm/uEPmQfx9u5kkTNLYmOQDvA5PaGGeuH5vLk0DDsbe/xRyCj/NXf8NI3fNxjuZmhcPq5bpqK4bwwBoAH0/w6TQGPrnOJr9TbvaVfVlqGvJkajH21hfuVyew0sIWkqgBWJWyWFBp7XvR8iwxrj3ct9gk44HkvLV0AarjWJ/G+8fPgWxfdtYeKIG9FKANBUFYiV5Wwdfy177V2Cn6JNDJy9fv7v9x8stKLSZ5aWpR1jpYqx0sNoZ5Xdwe2dwjCBJBAx49j0+UT6qsUSCcBWmc3lmtHUGMOkhOqcF9ThSDYu2DjDGa4GO0Wx3j9y1CMcbP1bBbiaAPhl7usQMhqZmlufvWy+7AIhIm+bUXNxjcknNKQDgHVM3g6cfZYOZU2Nv3AzUjgYhTg2EfN2xmCs+ScaPzIm6fNJKSxmzzVio4+paUuFSMvMzMEfvJvM3GWGJQm4abHDyloMnvLWxXh1XVzinzJ/RR99b9L/26em7JAfwAUvHa+nlKtfXmRnja4yr0yIFMzhtx89hyhm5fQaQzU2zOzqcFHpRBqIcgFtYrkBFt1zuLf1E1JtWFur2znlGww/iP7xR/3I/obcwKScG345YKIztf2mXuRSI+nKmUh5+47Ch0loa8TdH51VlLPH7N8hvyD+4QxcgHd6HpcsNk47SH3orzek0Ks+BwlRHVlgq+d4uwtDvzW7Sr1qIKdcRPzE39o97jb0xuQMLvyaQeq8PhNl5gYYZ1XPOPidqqzrzFLGty2PPWS7rLJm+Z4jK/tad6Ir5u1GCghfKUiqAUnoFUY957pAnNXYNavNJxgUhp4Vput2xT21buMERupd250iGgPGlIE0hsSqAqbN7FHKbmZ54gS2uCKb/40hLR0AyDO73d2Oto8Arl2z8Z7Nei+nXJ3GKfofFX/h9ocPixv8KF8E/2E7PWzlGmiLf+CHGBGhBRmtJqWKuWK2Ji8lMl+0PtwOX1XjZ5nm4J89d8id8Tv5RE/3R12nOB1rKWxCRd007DO41d31cqVSIHQrFG64IZxt5eoHkTAF+NvEzz7MhzYJIVIjzsj2Z9hkQSYcrrHH21/EaVnjQ9heMaYbINS+i9iNapNGrwgRG5qApB9vW8fyWXWgYP/V7FreF67q0h9o9epyZoDmPqIo8+SOQkxGiXrN8e/w+W9zEXNjtOnuRhLr3sY2VodjLT5DOvON+xCYVQ+NWhtF4XHzpVTM0Kd6nc790C2FCbG2AjBLU1wfiOFRmAIowg0UoXWH599l6u702Mp65iycFnOQEDadqgryAW7V48fWxSF6kjFGIMTorGA4HnvF9KbXl+oRpBtL3hH93oysuQYwwlTvw0lfN92wBtuwFoXjR9VLxicXvwnqrbxkkH/AgOkSH/x6dc35Hb2A/Iu+lVsjzphzIZB1vCjHqqebPa8LjMsriPi0LMd8OdPXGomtojYTslgW7C9XcsYN3Eatzph+xgf75RF0+xNpO2NYUadaWDw/+TZZymAeIcdQLNN02OHz94dZaebwxG8S/nFfOymYsMWb41YxsoXNmc+t8gBUUemQBI7TRen3/+9Rv+au4ZMGfAkPujsifMo9T9/FfTftriaYOMnbyr9p5fZntv5BVT1mxTQC3zhgHNQj3AyW7GSLR7XhHkIToWKzFUiqfbC22upblvFrO2+yZ/qEbxlQjI07Hp01jTGlzGv9QaHN0etv425V69xANJ0WlVBZRUdWeqdB6bCW5fSed3bRu+FUonAu4G9AMKRLcJiR4BIq1WN2m1umNnmsU9J0GmpsjzzExM+NxfNhvilaxmBKSz5rwcfqCwv2Ki0S5EUQ6LttAVYCNeK7NAWbs7Ep5jLWK6VupyBhxTHsCxO/9zSs+zErMeahAiIpkaorfuEVoEUkz2TWGHpIZk9yNjSDCnXvuglh8GpH8svc4vB0IFfIVzGUSo0QW9CKFW8kLk5NRpIA0xpjJIs3LdpHF+HW+DF347ZR5dJJ1MgFfyO7c+u8XwUWRk/woVSUe0go27u4/NMMx9IRJsSV7do5TAb6HcqN/OkgWu2I6veo9FsvkebnFip6hvG8jJab9mYpM2+cX6OAyz+d+qaIj2Eu3kGeVwI35Frt3tiRpQ+zVW2Dx1P4BPS+bJ6o+YagOsoqkxDD60xSm/sZJ508yWC0RqfMKWhBPfpo4aKbB59HSJq4VNFq4l7a+kot+EaPMfgewIvzOCFChZfO1BaxwmW5qXDQHS1bS1x4sazyFU2QmxicYSQ941ucHRnm1/qxX+cpYzIJ0RDHc3ldB5Asy4pAgErpa8qexBNL7B0Bzp+0QTHLS0qCgE2TDcat09zhOiYPD5S+F9eqg2mNN6i1l6WxRzary6iU4Bn1MqV8G+uUSY6/ii21XCZLdOqzXq8yW1JsX4+nhRIy/28gFm52L0kf996gdd67FXaR7TZck743nxqrcZN1qrOvugCwWkWH2W93JxRtfT0ek/f3ZUTn+G5wsZUV90OamEvLgsm3vd8nn3fFjlq9944iJdLYyKrdjPQY4TG4RiPUfT/uW+KKdOuGHqX0JrrMwHI27yRHDup/6ctK5KPK4vihSFQm1gHKmS9Xh2eTeYVQBU7l5pBtqqZb6HrbckuEPyiMD3BSy/ec9TxVaU52svdtkWplkWia2JfQbNsFwt7rVWw7+ta8jX2Z2nMUVpDOXrZNa+66bDrCVaE7NQ8EykIxER5/38NzLurNqgz2iRIc+TYg6uiaTl0cR8+P8C0IhigxaoWfANEy1c3sjlkc/0H/BFilmiZekduVNZKsLHkZF//oTIP5Nf+4z03SJfIzE1avNtHoT6f2BciDhQA5w6MgWAmQftR5pbLvcEZ7hc5RxbeuZdeU5d9QtQyfylnDq9kAFp1vzYSPOCaCxUgqk0iEjLvedWI3ivtOf/PfaGFFKGT9zShWVhzKFQrT6JGPP9+Pkdzt1MAqVBfFp6JS75E+3byTZQ9kqIcd/T/sbP8hPGp/Md4sVFK9b8OXlXudjnYqa/Vvr7U4o8KP5keJDjT148RVjRlzqaah3yLUvgzSNHNtWybl9/w5ah0VuaMz/1sg3DhU8PMD78/Fvn+5zkp2c0pyfdz7uCEI2f+6AMVts3k61iNN4XAvpSdmaJVNIpc2LGJCm2ufZURX38CwTTL3xueJLXK6fslUcsE195lKhDKzpKffYwecDm0+UXkyJ1UF73YDpWvUC1nMVCRjW7ZwxBPFSj6hH0AdsLVAWTe4pyoiyAyJsnnKhVgrof8iSZdNgki+y78PBk6Vs6FPU59SrjlQX019mGMx2dUkiLmoTZFaZh2QOmidIGYbMFDLTvU/okwN5Bt/8xlN9damt8nmItaHKC2/klBBoTflNYgKkfibll4Cs7GnMdPlvIVmJIJxSiZqegSebs5iO7DaGhA8Jtyw1Y4kvLqihF9kED3U86bZAiO28i+ueyyJ/0uvANaZZGsXc4goKvueB2OhOZuuQWpq3BOzpA3Be3ndKTSukNxU3z6OUDbA3rCOL+k1rIswbv+NwLapljbE4/ccVehckEWtO7WRg1bfCeSP/kr4m7jcbwmGwMEr007xCkZ8vH2z+/M+MCUt7mBlGCgSx+H2wpNaDboN/kvuRdCJLN+h6sLxfNPI8uqhPD9aBujhRDEchEZX/kZQiBuygICzWAkRca3mQ/LD+XTQK5ZAWrN6+71mCwuSHxKDBTfFPrI1R4/HMTjPn4eTTZ5tV405sGjP/LejMWpp0qSBCjclfV56l3Fq0XOy3j+FX1GX25QP/KMpImdoK4QaeBthqVGAZuNBvgngEu/3X6k34OvCZB6AxCmGAeeY390igM3vJtVg7wF4pws/HOQmEPLLG2pxnzM+VczQPVwwAszRFrdFEv8dQtDdP1vj5GzhVeDUGmtGlh/KHTQiQTu0+ruvxAF/vKYAmmxTexmejBEJ/IDB3zzEWots3ujEvR8cUMJ0TvM/Wzp7QhdedhcYsC/mOjNq62snVZGiobhk2y4A2DJsb/NU5QPnOotCur3TOhiNT9jmu11Sa6xpDlAelkCBx4NCQbViFN3aUMgZ/o+x2BcYP3sKqtzag04bNgcHRcTWRsy/88rOkXEvrsCCEW8t9WV0vFlKDx5Ij6n4rzxoJ2kjHVwW4ZcnFgob3FHuv9exIpyvVDaSbtCIBjyT63iB6uJx/tEma/wjP1Mfoe7jVnSWzdUpOszcA2+ljYXHANbrWDZvQOizBZ6wcMMD2nAV97OUaQDyFTzAqBVMDkyHzxof9IuNPWWYUcWAco/dKGWaSJYJI0f1OzrHYZZMk68AgVqJjIIsQAbXiibphum20rn8BwncxjXd8Z2zy2h1/dx9+CMg005SlpcNNM6YlCmPPGWnC18RTZesF6PtOyqynxzzkyECWc80LAvMIlREiUYv1XzEq5BOaEaysjhON0mUQrbSTUy3ZeZ3IjwA2NCkgSwX3TPIpITArLcaOc8PbvK+bbvm6IJOFfNs/1PYlcWEtqxKOXayPoBGJ6b2ksnKUOg/F9B8Ha6KXlvF0abNZGyelOh8QHoN2efEqqDxKy6qqWzbm8nNVmEd7c68bP6Eqlsaw7KrGEu1TZrFwkTmuVkCwNVCF34yCtCnNclXYC1nLSOmhSxr0UFi85O0hrUGt2/Lw6w3MOy3i7JzYUQIPrwKKwG8tcMwjkuxLZgLEMq2gQchs+29wWzbIr6EJFGh1ZwLUGQourOOUpZxEYIk+SCQnlhQCvUCtajJ0Q06CAuKmib404osg6F3QaaqP01+sbuCRsu3YNageC4hkgUAu/gIm+yZ+QZCKvIOody1mjnjDnG2u431szWLFyUIPEtX8zNm1aT7QLXvrH568aS/pbtI4MLCRkSvmx9m+GBn1oIdZcxazX5jBvw/wvZ3S+3hB5Okmjpztg1k3NjSuO14xG17af+RstCbsI+TdVGkOIv3J3Z8PzhvxEsdFkzmbjxx8y3XWI/LW57vm2haDZdN0erg2OMpI0CAgZ9MjTx/ASbf922vvZqf3pfYviMdTroR9kaSJOnvPaRoS8fvR/KIo+XsurCJFaqBU5xd54V7p58qVxNMxVEU1SP4jPfIPwCUMjpEssy0M3+xm/M860Tq4wNKImIJ6+t5wCa5FHlXs4r9B8qLzl8+Z/9yUBoQzXtzJaPczbJrw3ay21I9oL+c88PMxlNwp3kLxtFEkiKXBnlssiF5B/YdCT3ZIquO7c7yVcaWX+dKTIBkNJ/nrx9OXiLFajTx5YP35cEpgVsyxI5NSHA2g5C7Q6DiMNcPXVtYpEwFtIUK67AySrOlPG0IfJhYFSOkLCr0ZsqpH7wFkt/2t3dgeWLma0s64VRIvgS23Y8+ZTw1E295W7RCuBNVJtDd64E5XDEI79mEzZG+Vk6kJsbCJWycbCBnFUs9m8o+PkjcBPgihIXXoIvAwTka02Tomy8bZmHceE0dRzMmNaEUFQzArROLq/F3R1h9nXQqMstfgeawCP6KQw3UrcORmOs9JOK45kfUhz8LVGt6CPV7F/swN5+jV9gyeZrjxyIS1mB44b/rBgcGJqeiuLlpAZ6IpQkrURFkVN8vDyP5L7Rgb8mYjwed3RzXuPLgIjL9NYjpuR2XhEkhnENjptWZ1oasO/h8/mEwhQDBLKaslhGX+XfVX4anKYSn1l/hJaFfbUHUxCJlpCEqJqyoJ0ZNGiGtI4ItHjyomvLyd8Wg88GJZiq/r5t1b0kqWmU/fMUPHVck51AJFsYuUwBAeN8fGys9MafhRi9Wja4f15D8C9jXPGdSsScNwBJg4+fmZa+JMZF6J0WQswBG26lGN+EmMUedCC9Xy7DxtRg2PeWxRykT9JaErqB5Nx2sBdj8H+vJe8f3UvjmTa6+AywfNuWvWi7mjGGd/3zsYyEDCJpeNpENB3Qe1Hpb5O9XIk2+olyZi3UB5xXp2dErSj3H2KnMgVJl8T8aQcxtiTuR+2D/T7QSy5E/kKYcHGQoLbvj1/e8CRIvwsmfZimQkdFvHLyPrph18HUCS3ata+Kzpay38xVkui1Nj3EzeLnMG08debLjersglQaWJUBKh3NSAXy5uFAMWFYGG/vZJx2ihdRXRsPMnVyf7V8N0vZp2r88aZzTa4OolRczNpVo/Ez8Usk6Zg5jb+ciQzMTBAf42fv1nvEDenZ0HGHy2MG04WRE9OPMXJBiVRY320eSeSGO6usVQ/UD4CvSnounzGmXFHTyd0EcHd+i++9s926iGyLE/TwofeH6VXP2xfWH0WED7xF4u7fxHzB5E1XNdGfiJZyQMWHTi0PJmDm0vKXUFxtbqfPg49zjPXz5l/h6MnFTt7kYxY1otpI/N1cVt5nIwk5lfGOwmX5p2gqPr3frvWcEZV61NF7PSGVRUmZdc7Vj2Nvb8Nf84kcwG5eRZ4m3dS34T5jYYNoiXSppNSTbi7Y6ggI0h2EvoexgBeJPm6mjdlS+pQIG61rT4FLhgrX40ufq/rnv1RdVgQn7RvyrBCOTn51I18jBfwjrQRKpGtLV3rn0lfXOkLuAHxfQ56utp7q7UwnTcj0dJKxsRdJC9VHfi9TF/LJKG8eV+8E9+VibbEZNyJ2xion0eLvKMWoH9xBl2fhMqGE03edadPK51frO39uhD24lblKXMX5i0b3n42SoCroL90o43HSn4oavTUd33U7e06GKf6ig638MOWtrBaC5FIIJ6uoDwoKI046wIhpsWl2qp27WrR0hJlNth9fGcdvGpW384MjLzVjrP4F6jPyJC9/rHC18OdUXontXXPd9nuZnXdadLp0lOy0atXbVVMKvEC1vYvdczGP8vE10gRV3gjGxG+y41SJXK1XSy9sww8BhPrjzmL6nSKSi7cwoLUnjppM9rwOitDm9+EhreoCNNbmAhzBEvyHO7md2cN1m3WtbHAUJ7SaHU47qntHzZZR1+hzdV7CzNGvLuvPhVeT6L6jac+RA5fnREYD+M6A+FcErs40UUPNQ7YMaESiyEa4/eTzNrbCUigCrF0idCGbEASGDePVwfp7VwM2i6Z51oTxVjGvNjIGXRXO0nRwpPC6zNUtxnq7WXzSZCJg0lbeVhBIc/ZcGuMcu0h1zDxxr9w4CW8Q7PDIj/DC75/g+H34y4hVqi7XM0gjvUYClA8Tx/B0yk/hN4deXNdgP6ZUxEmRyDhZATIZfDzo4vTqYHn8BbmQInFDXD5yDg79tewsrtKeK5EufryjEbGtHqruvrltPcfR3yJKJWOMteulWK79KIPTAy+1ZysevZBd3WMLmKnOS2NmDRlxh/4Ux63u6WoHcAEXYZG8RbebdhHUwIBC1FGcYuim0XZt7c+u/VQtbnjicxoorlqM++oGJA42qpXjC3KFChzhCJjziIVYLZhT7Y42exrbl51DIP8M1Ee3klCKUr2JJdLH47fWr0Adpxa2DMnzkU8VMEmyB0eB2Df1b8OvfNNwepjMqHBRaVZXbT3bx4jvlBKvZ3sdVJtud5+Mx0UN2KIdL/BJBoQgazlJ8sqISFUlLTcaeXsxkJHZZgQJLJpKQiY7tyqY41duHOW0rmtmY8F3JypueZomaKiN70Q5sCqARHCEjYFXYhqui+St6h/CTZ6QHUIoLCpSWOtVpi3WlInyd2yMtvVvo0DQ2GYx4YXrFFnw7Dz9duEPr6OTzAuUCLzoGg8WEmrbyV4RUdSpsS4TWXqXWxHiuvK3FsofJyHXx8n4DgnuCavUCNuCsigMNSPn8dtNqD4uWU700zW5EM68QaOJTy23Lw2qoXsdJ7dv5yRQvjvdEWelXVDJtjZ3lIDUX3VoobnXrAuKOIXxwFhGPhOmUFQ2nxdjO5+S8tA0S1in1XT6XdffvUt31vAse5xoXuWgzGCHRYYN3NpW2O0FzWc049465AjwWooVMaCpImjTtLlKrIWyl5m4t3FYqn9DZZvsWvjzt7Coqbmf26TR31x19mx4apWmfIy7JxL88BiH75AIHU8JQMqciUfC/kCtZGbbP+Qj6B153G4yG3q0TmacGvkl6if2mgcxFa2VdD+cBdL3jw4j1NpRp7k5kzSgE9Gw2GUXU4nJjxfBAnMBRmHM3ZlpghI7y3N+8BJOR0mEJZ467UkgfmZWqR6XJKeFqEBTQa4Zw63f/E2d/Y7zeXdE+TScIWn6NXvfCzMjil3E8OTRTyPkS74wt1gt2DP7D5l8NUHOJZ7yp/ID521K85jErMhnKP6MWJC/jAjdPsLWq3G0g9vDA2A/2qxWzF8a8ujgqKG+Dlt2SQAulqJvEZ5BmaU5RIsm/CWqOyE6kTUy4swkwsFyfUQRPBDGoj6S0f5G7x0fluGeGXYOTijZyC5gvWHTFj8ZMrdMGabxaP1BptkdyacRmtulQaA6MdTvOJh+1hguJw/IZtN5uZbq27Gen2nFlnWnYA4GskN/lxKQ16fW5+YdjXow7E6eTBQqfCebrOcswynO7tTdzM8haRfeWis9shZeV8mwKZ0Td7k56ruCAcg93QGSSzcdHzi9aUsPZ0WQs7CnxJp5llAS925QkCIM22IohMpzlfB1LPQDKLMKnf0rZPvaSr2t4vZIKgTsy5k5wYrxsKj8j9az4U3Ee2LBiYLlYRSgTGvW4b169RPgrQS5bsx/Z6Vl+4Hhxv+iLZM7CmYUayBYNhtWUZKYZF1TPNNhMI9mj62oVk2BOD1SQouac3iqvCs1z17dvqbxl99UZ7qJwHxmZM0GnqPmMz3FCqtMECtNifyccv0h/nMWHT8gHWvAq9dmjUWfG6ujy1Zh7INgxYPa3HMmm1NED+/ePfQnKszr1lIxFD46v3bqEbKxBOhBXU2c+PNHO7UMQ7D701XQtguCp4mSNHr/Vyywd9buEBS9m7x1G9JkKett3JRJR7x4K9MM5LUgRJg/PYTLDF31ZeEkkve0bACqCZ7XojP+MqNJ/V8o+n4zLtiFdpwG0yUFHJYeBpeAhGIkjcjrAGRkbP6irSWcIsZASzztiwvbhcl1FiPDGvfL40GVvczpZSdSLpVclJfdv2TmSv+r9zLTksv/sTK7kNiNk28qKY3EYCwRg2kQnfgNNtH5W1p3BKcY2XY2Sw90SdVqqoJ9qudJqdYeoP4LHUQGpRrQyyNMPt64jMFup5CswXMp1wh1do83sXRkjq1S4yNqDqWcEXEzwyNDjz6Ht+FrUK0Fe5c1a5nB4X31Lp5mTBjqam51NFV+eTLZrQrTIjqoLvtvI5vO5t4adIG+6PRs+Sy6qux4/mfAHmBmevccJn6YdwSEYvYPp9MSZXVvLTjje85qcepELa5mBzvFAs9zp8uhPPz24k3vsuwOGOI5ShS8cuTs2FtXRUya0X7HDpA+F3Nic/oxSoQ9vG137HEE02Lkh4kV1hW3y/F8Lqs4zaWKYK2JKlLM0lRzKuGnFjA7CCeCd/dO+35loMsz3kYhJ8sQYWDg2h0Ev0wHhemMxnNchS8Tsk2u4vSHgTBFJsjsR/untzSz1poPcg9Xmrx8r2Y/RbNKXXIXLJ7kOxVyH30UNRbSHJSytcKqM3F2HwS0Cb5MDPTUfRiM3sgT0kNS73IcDGZviMqB8IXWWj6ugQbm8QDE/s6nDGhQCcEmB2kCt6mPUogzKGaGWDYomH3bVd9YbsggnuOQ2gXsveF5165vmp/EmpwL4W7AwBIKapXsjgDNUBsL8Igzov/GPb0w85Wg96CC/+bxMvg5GnIvq+nWU55I5unfmei6iLVe+gSfy8kLckluQ//KmXilyMb1WPF3CeMPtQAVUrKNHSmCZsElqkv4s8gmlMdhgjCrQr8L9Pa5mMZbAheYIu2qL9oSMV+V2qp+ProQscqh0HSzHTSvEM5d2B2lnzKo+fHNqpz0dwukS3cj7uXxpyG9/SiwEIIkN0TYSal7Q85jACoWpugz3muGQPDXB+GvKlhPfLVH6QqlUe4pSmU9FcTRdfhUllGL1iY1oVw1YFAsgUUWEVmRdEQfNeOyGoX9nrwN7LT7ZDFNGNHnVZbhuhdBAW9XlvGYIRPT+0Idhj9H9CFXnJ8CwV5iDfjtBLh8erqXKKDwYwpeKbYZQfmKSm7O76U+Cvj53fPAGlR33xVb7li5FYISzHqmtUu2c1ngoBuz0XNb2LKDfbB4BHhk8R6QBJPixDhU0BOS61UqjADie04fYdbjfUce9lhKdc+ZURCw0/vYfnoTEzb97nACxxN+hrD0Pvq9EV2F+s9FxweoENwJUcoVCf18GMlAJHFrA36pfssC0cwVsaelQ/hJdGlCTRQC00S3wJ/s3q3mSCyhLnRIJmkKmqRtQJ2CvmhJsDTybRB8jhUctWdaVTvu1nU1MkrlVbtTx+3RST8+yXxuRg2C4k74TrAGTa0Yc0bcX+c9c3Dw5o8m0wtTF85w5ci92U7JYQXEfkYl4ZWYRhDszrPoIuxIPKgeLKLnoVJzU6RdPma/RT4y9zo7jXP8axkl966xdZhnkcylB9uXU9oTFApDrp9DXw0Kw6mmAPn42ssUZlHLrMKxLi9RQ5DIwn4C7YXK9EC8waFnaIgBoNsoOo1k6id6CLkSr+wzCIIfx4057eU2cRvxsR4A1tUHMZYsHpOe/7vOyaqbU4wqMH05j5bkIqnLFVySq07sikZe8qnG3oK1RnW0UUWwYG24d1Z8oG4CrkGDYNJs3NbfErmNfPDhFtFvZ8M5O4HUdM+dPfZhS/RUnFnB0qZ/4hNNvMGip31Dod1iNp/G931Zd61p0ki8CWE5ETPMhcI7q2lz59fxtCt3E6f+YBHTvMMBkV4JEbIvRPMu/yAdF0aiWHB51UCT3R/WT7Q2Kg+g9v3V+z0M6ElyPT8L3BZzJl/obwQTDpL4/FDyAH+agSBHK1egIJ5DIRuLc/XTi4QCsb/e3g5JoVbotJ1GedyuyZZ60yuAEAnIfO4NxZBsehChurX2FtOuoS5t029dpM5ywCWbxgGG91Z3JBp2M6Od40PgifsLyPH2ttNH9BVmXkCxWCvBNXhbm9GC+TqSujmq3YWznBL6mxMbBPE+qJoNvtOmeW4FeN+NFIhHWdRiv1oVRCexslqylxIZBRoZGMNnG9L1udFXe1KyYvXrnBY38UWDq+tb70ZWIpoEDYTwE5/38mKX2xSmBn4ZCeJt2nv8BB9lKjnH4qGVhPmrBYthzGnGmbDzHV/SKiFDir2yNiLZRvXzE5kJWuIcjVKA5TGveQTEyom31LL1ajiW30nq6srdpbyQkKsCDtVwywVWoxmQi6kSdndUoCGWxAJGAxFyrZVkMkg1RQB3a1G5jElJbo6EkOrcL3cTS425kkPZ/TFBGb5TfanyAPU49O4HkGsNQ/QcBuoeQyasJumCM1X3LCSXNzE0F6XhtBHxbySy4Q3MG0khdUD6T4VgCYJBJOnH+QrOy4Gkozk5mKXNeQx2f751IVfGrgpLo2Dnioxrn0p6RHmqvSq4Pttpmf6Cs19vNmepFIMzdM5MwJHjgyfLoubg812BXjvMRSTNJDK0FupSNDu6n7dBHzzLtrrAfX6vKflvJGJ5HJsUgTG6pBUfH78Oq2SySSNMlFmbrluDFfmA4+fV/LV2hMc/gOGV8n8ozjOm5mJNIA50f35MULfPtqWZgT39SwCnGYsrWbqZTu7SMo9TZiRJnf/xKwHcwmYXZpIs+0Tx3DQPGtYDHHuBSeIR9XORwA4RkFnTG22F2cANTBxBiZKi6E/+MZDegWLiivk+cw9KhlBo+5oHDXxZf3RIFI72teVyaMwWhu73zdSRwS3uXlpQvFwlaHrTFvzGK7l3LtZDICOk5yUXTITfk7353F4lTkOTrnGHTNEdAYl01JK6f4sEjx4zm4zaMPTapk+5LzWUxE0P6s+Kfc65I+CZJtNkrQtVsrXZ/KoZOYpufQPwwkuGWTUVaIcKGaZLOUH3e2DiIc1VXK1Kyr5wn/z2/qMfzJicdhtzf/j3zlV8EeTCvDQloltW47AJkRSbUONtGf6+h6Yvy9Fcr8943WUIl5Hilu+2CIgXLsrj8lmqtFX2bhRYyQyuEVRtaxVusFccgGGc+p4Wt3Jk3+pO6360C2MqMQlo86zwZqSbSHwKv8eaB9mV1QSMmb56B9QrQrZgPkIj3YLFAj1hzcp7GSqqW/wRDanEXuh+HnFGJ+2nhptCVmLp8w3CFyrDRriLb1fahezr6vid/ayrYuREdCduddCRMbIHHlybx0qqgimNRMzm56dYSDs4A8ZzHXV8IU2WuxBM9AOWgYBWMlyGMLKEoGmUNJYdAS4mNQK4CFN3ewlEzeEPsNZljzrXJFBWKnyqo34gsNdRaDH05erKvKrL6BddRBCP1uGN+yKY/IuHEPj0/S2StZvgs+hQqyJhviKI0fgTKlJAje1Djex7B57grq2L1uUNNYpCu29ZiBXF7jFkahwdhK/wuokep26cWpzhRaGlhtv3puk5LI8EmO1e5IEi53y06mgzYh7nJ09IyHQoZ23NY5CA6zomQHnWS+nj9Y39xM/fnhvwAy42NnLSwwK1MKQICQtU2MMaaVPt9l0omX+w+jdxh/fJZ/2/bvQrqXX3i295EPMKRru+Cl7OqNeVOvoX42hr7AOrphna9EBDuvOB6VjU5+3xt5lMZM0opRfoIVyLL1CZ1xm+s3EBvIH+fz/Un4b9WP4xDHQN0qpJ/nyR0iPhLNIqWltzf1mXdbRqJlAR2LvhsavU1mXw/dZ9kdwi+/ui3ssWTzdtsUhf5J2bsdh4NxAmFe7yLX/dnx9bDgD39r0ny4ifq8TQ3g3cRypcbln6dJ9kkIRXbe19RAw8q6BnTYL5uZiJ43lyZ3XSG5am1mW6IGPpcknj5+3LWfpff4taX1QAYhF85FNx1F2FCFAaYACVVfrPuOgQiAmKf8lVQtZvn0Qt23mEKm1xuQx9zCSdXVyuBk3FDCAyOCs+mP30SJg4KZ3Y6yEeRnajJ5Qozg7rPjqt5w8uLvo4+d3SM38lvYLKsEaery9JLXCRI+5bFnb7ck/+OWvKroUSwNBRRIN/BuMQ2fm+lE8Np1Bd4zxkwYKYAbMTdILcgzBEeH0omvUNgOmkzNIKyqxdKYhGfe2ig8nqyNnDTfkIoZMtWA6Sxp6yLONfknlIccwHfDCxyFNTU3tlcyPZl/fFMwtPEloOhbwHwp2pjLkbHKfTcO8RsjiwVYy1D0ItQHRn4mM2NvDv8hc6IoKmmZt4ENVbP3JII3mi9rTKTfINQxxWLuQC6z3SyVxahKmBLDJ0g5mSjt1+DF4e2QpII+9piwLSzpNoimvkOtLUyd+aE7zJ/nfZ5DxJ/eC3X5YXZNcoVTjWoHuWNgZ3IVr08/i6dhDrSgb29KEyJ5+vBgt712YwhSRTPHztuEMPRDV2QMq22jYQ++Q8k88i6t5TC8bvABRjH6Mg9nhjLM27U0xHkfInXHRlEhNzp90pdc7rPtygsbnpc9S1ris4tMS4HL9LuR74KBZQM5fxqYGl8fj3443eKf+BcSXgBwve+LJW5GdnBIb496T0cUnQiCfG2EyPI2QPNBLcIDvuWLAtPie3W+jWviS0treHoyfzHbz2RnmcZeth3/H7pJ1+KrFLHc5skLym7+lgTIGXvT6c+NfHD33XcqdFyZ/As2xNJzPKU7wr+9CsqZcGZEOd8RDbJTEvZYcbHgr9LEU4IDSfSDP9JMBVYkrT/RbMl6ZjCmRaM/FyiN0pVvKGVlViOcxZQxuhyZ1KtC6NkoLFzLtMAjHPBgTGrIhApptRQsviyl2vQrWgARh5SnQDcm5KIfHdadFFJgQbDHd8b7kji+ac76W6t7obg9sFqSzYD47+HctqHyyb8sAwOVBiE1YraVkVlC+6ZwOi5mNUcm+F3VHpolL40/GCbOQK8q9Qjz07+84Iv6ZQUFLLCZRcjYGcwHPriwO2YeYQcsVRnfNrKPCFJl3jgNoXBcG4NP3dV6Pv2vmjTWqcJYIrw3eNRPf9A3yIUUOacOXf3NhtJTx9Z1UhuvbrL2RXfIuwyxLl6yMJseAn8eHF+wV00JN1T3KS1Bd1W8BcFiugI4G24ZOS6bvTcY1UAB45noIyIpbas1aifBBctQKGh1AXN15b6L1fQINOwzdXUP5EDzwA+AsDbAioe0y8eJsuFLi9QRpy2HHJmPBu1hFPJ2lRfTiSsKR3tov+viP7De9tc412YmJ5d18lVjXxle+oUPyKh/NzabKJxNmEj+/NynsltM07Oh9XxMProyOGkZXkmz+yKBZ5NGmnJ1FBhE/rzxncGmI4mIsCtR+WwzkWuPABiPH3TDdclQF1bA5dKkwI6QJkhMZJHYBdYVIZrhF1VN+U4Q2E0giqm9X8gZNSAm7ombCzNEtIr+bcuvWkaV0fc9n57YhmjSIw+ZJsIQqHCJSPQqgk85aYJrgyfvQ0IbkKTFjcugHOIXJG8XLtBGkALLdFpPDGnHk8S+nxCMN6sV8FrNFrZmG12PN/eip8Sgzvj61TpSzr70z9yweW+yBMrj2lM6DGacU2v8dI3kM0c3w7wtXxQpiGa4iqEgTXcxpoXJM+kO4UGv/CH+IXFCsW2AbS7KiTF8H8MmdHpAYVGFj+XJ3yvHD3JyO/B7YU0acEAUqvjjPIboIv44cWmn97y5zVvjRmpPLH/0DjIedSKFIMgAFtXFvFqbCtZ82mFcDJ3f2tfTaKFsUN0O+L4doYee4BOhH1gREG6GuSLYovzWjGrsEDOKWXsmXSXLWekCUa1jH6SHRNVUzbggcJ0jFaVT6mL7rcRtKlKDspNJtkGO+hmUtyPpt7ZNwuCsf4j9DwoeoVMO5CbjAvW+f1vhkM5FnTbXsnn6cP3E9DJ3BfQBTPEXgSJ5cnIeHR7oG1M0dQsUCUThojbSsvogQB15Ho1CDa+xCho61BgFWK4zE6OBkhksw/20KIeFbvB32slzG/EkUG7nZkuqMorMh/TSepozk2kJ125hnBrlAMgVSQnB8b8AobQxwbUNdiI3d2DTsFXmEkkJk131jvkwGsY290JNG0/lqO7yNxzWzO5dMGckZmJvkS+VpRGPRUdNssV7WlGBizAdJy1iW0W/aOz//Rx646Kx+AHDA06ICb66huMO7Np9kcDPuUgnsTUiDHHpd92AxEmj5+ho8Ci53YfKaTj/2KrIOqmo+w1Stqgx21z3qKjc+GL/mUdIgNAUA1ifM7flXAS5Lads4S1JtJ/a3nzEF8sFsFuPpu8dFkOQHbd49rnJtaOqLYI2wEHbXGMX+5ViAMtSrfKVX2FFJ55Z966CA8jl/MUtewOGHjE1ph6FaOANtJtC38YGhGk1jyPQRwpKPDyzuYiurMam1Ux5iwV1FNJhooJA2Pn2CWwJhy/X0c0XQAFNPF3B64ckIdfNe1Oc2GvKzM2tqBuowXHHWdVBXIei54f640CywwzzXiCPVS3Tf0mpLUbrsfsK7jJB40/ec07+8cnxXj1/Kn9difu93P4//SPH6tKbMVGtFYaqOpo+uk1ZcZAY4OncmHeaGZRg9P3pOqzVo6wwdVunp6X+J1gptUlGfXUlo8d0Y3rgDQjF1zNT9PHZxT7wgIbrfiz6djOcYVkT+HjfKSYojgd/QIYZfMLvY4yQfG04fzpWm9lqtz26KXZw8alr1iKdnIcp5xUFBmo0tB05g7x6IIn96PEXn4yvzTyqzVsdJQi4RVyaPB73XWRgyw60Oh6JL/4f9weay6shO1os7CU32UJB9LyDjUqOK6JLNIwKRtnRJHysNGajbAlQcPa9OZsE1RT3HLw21/1KjFillFUfCh2a7ckB4LxbkY9P6JJUwWS9kXwpbs1+6yn/ItGPxdUc5rDTFCo8F/bCmUB5Bhill6JizPE/H0dXJarCHWxV+LZvFUYnQ5feELqYX/Th4pyD1GM8T+M5aFMPYbeWdcV8KzulLA2Mh+vBep43x3zb+XN4oQip+qgpZp6AyRMaOLfe0oFNNxa4AXa4701ODNnyTGChJtIAtrr6HHz/xn78dkMqMELYiXTNLoxfunbo33UZFyU5i+ruyri5Lr307+Jdm6XiffKCrwbudpt+ZpLICvlnl4YaSA6i1/HcDl3ETHUuDZ+a8riqMGFTxDnnuTHyE24VKIPblLQbLmJrUYZiElYiIk/syZ5HHU8mX1QsA8nIqtTAcUeWMNEj2ycBcfWU6/vkMLI6p3xS5QK1HIkWmjThMxMFokoI0/EbuHr94daZevJHorJ1pjn1XtxGNQOJ8sj8tg+WsbZDRmPJTjC7c85JCwkBPwLyZuCjUZDQdKuR7KeudjosWDN8gnwo+p7mnwKXcLeGFWl2xxtxrhV9WDChfavBPx3kRCwy+kDmhx2dMqH7d5RSZzciV+j3L+NzbNGekX1nQZZnrc5J7RuGmwnZcx9G00Z5ShyJmfvkH45Pc811VEJJDipdq0P38V9CsdfZhQswlnDB343ScxkPewtRsWFw2XBqztkbeB08BxwILo5deNRXrl4aadjJsltX83Xj3Rf7rCidYfz6Mki9sQvnBoemif0hcCRalV4jXGVQvicz1s+fp4015sLZS/iwV0dwrdvXir0IKOq8pm/vDHFdJ71KmAOnAEnY7V3EsqIEiuVAO4tI4sceIU6g7e1N+XeeewkanpskSk6mmFY6e/TMUo2LA1/ANowugRTORZXg87Xt4Fa+oe+ZmVTEEQTvfarI0FxBw/Qff7Kqk/ferb2t9k8S2860ui6cv4Aes2ytchEx/V7EGf69hTVPc3lJ33kzCUmufihJk6XUOwniW0m57lX2djQOaVTqq6f78d7A5CZlmaXMnvWKvHTGjQKLbPh2wUjyVi9BoC/wzNQOsqEucFngj57t3+bbAF5Nh9+5RTAKy/P7Y7kldyRvBsx17LmYqXZpDw8M1WN0+mlCgvZSCdfFVatzZjk5rfWLFK2EGUOKvyquWBPBpUgnqrxXPsidBHm7AB7i3CljE0/O2qflwJEWNxcKE9hL/X9OZz4pfbMmyXrR3cj87LJvGSuAn7SXjraHJb3dDpzAhxPPZ+Yv9FQZPW4tqveWTFLev1e4dIEjsEbR2ORhBA1YhBdXxBRYpryHLWK0P80YwRlDirsBbGE/TK8Ae3wjebCC1zul3W99DKJOTtJ1O0uDFGfjBbUyOABVdWErQpyB3PBWqYEOeBdlkqhP546pnAgjbEifJnUqBQTvsmUozRmEHAbJJE/Wy1qrH9dLKpcPrbulIBSoacz1QX9Fry6hT07A54cBGUZmGleYs6pWPLQJB7MEXmGrW/m11/7gK5mMrF6yqUgKyMSw/H1GtHfkxi0JBn6fRlE9F50Pcz/pFiYpMivBbHN/vmXSpqBwL4zE0ZAU+bNltangzIcszEOhyErt7432aTnWz5WKbL2zrOrje+PTZqxiMrj7+yKRtiqS9+kZK1yT5XldeZ2PbWXkTqi8AKfEstp1B76sz1CWExHes7uUHq3CtWi0vcwucVg+t7/5D63uL0oagFhM7eVg24xuKgqLobq4Hrsy+dcKZe52T+YHxZMEcS+PIkeubuam7kSWlk9DfqLRns1CCgSBj37d/4xgZ9Vr2qDE2Aky4TY+1LqnF4zJz96VB6Q/MUbdkPoCsnvEONbS/4SoWfP8rmjn//MxCZ7XLjJITUwNY5KRO2musezVJ2QFMwfUQu/GnLctYUnNAEEZu2Uvsxt41wWfX3wBHMt2qOXNSmiqPG/0dspCgfewc+cB2TmJ38d1oqqUvUlwMug6MvfNa5nacmkgIkxqdI4k5A/Z+Ga73cDBzNHB4EySRYSJh0nvCEHX795/6ErM6jWRcPUmDEb6x89JQ1edevD/9iL/R62LCFD2NG5DThjb2/lZqVfwC4+m47Tz8eiEd0tDn0GllKq8LI1cjWjRRC9mMhDTmjbboUMW+kxyZpbGwYMae5AHcoO5l2HEpcizqqiWfWXf1ectevVlH6TRqou9ZzvS/xDZRp2SFAvE2/SscVKPsXXYIX/T8JEZNbFM1dMtmnJbkGVSG43gQ5obfQNDRT8qgZJg49CUI9Gk61tg+JJMUu0qSHgQdJo9SMYPZviniC9G9jr5PTuLhf2oxe/pJ7Q2TM6V6QN8RfRBW5twTytCNrF8jvgZhe2G2YwXzT944aH6JOocjrECXSG4W9bkJB4YC5P2WsUzA+HCn9J9hHYOpnhlsVNxVf2QUOqmf9Sg8JLhgnEHrFJTysEvsPE6El9k/d8e5IJK+CrH4HR4Akfpe4Fp4rYjwsWj28x5+I/0SH3FP4uEw2Zr6Dn0t80xGegNfO2uRBwETxc1M8KFA2I6OVXEtq6vU11mV22Hc6uvHSpRYr7O+UkVRmCzD4HPpMSLqxuvTS7dlhZKSz2Zu9yHlAmf9qH0Xh+cFZDIXg7Bq2TPCrboDgLThxBhA6Tsq9M4XhghtJwMMML5uT4CLfGP23HhDOHPuAdu6xWjjtItsDuAu2uvCEta2+FNV1YZ4IUMe6RwhEjp0un/RLF5wwgRhU63tzKgGPRUAn2eKmMSfomJJvMRiSBLcPpkyJ9kg7CUKY5q2HJQ4HI+OptuGHGd2GysegoOulrg4v2lYpMjysNimxqjcANlAwmzb6WYysqFOy8qG4yuLHLD+bNIo/orOoTSCtcb8eXyQXllhEC/4TnYP/HlXLUlxUZ72x6o27Li464psc3ZGyvL54hTeuU0/PPz68ca/3gMDrRP+QXxpgEHEm7Hr5N6dWgN9nkRh1YrlFVi7SkH6QfaCHk34ywY2vdpZQ6GoSEtkt3CPYzbbHK4LKEZSLoY7MWhMlYpMjLS4pCh+vmHjsCJaGn92amouMhGbYqD85BZ3WAfbwpSz27NYx6VDKcRMWZqgg373cx+pvEwEY9ig3pREbGaFnyfU9n7YfP56Vz/waqftQT5R14LVktcKUZ6bYVG8GTMCaypv0r3SBiswq5BIRBpMDXtl09ITQiKfqL09zj3ViA9dWsyKPWW5qyaIznz29spg33ZukXGEaoqzIdtq7A/MaRX1IJIeYBUHWvZb1xs2AabzkO/RCNo5HpQHXGA3DJnmNyOMpz42Gv2/1dB7u7Q/WZwtm0lDMcWRZCQMdzjZt2fg9yIGL2CvWuRRV7sGFB1BmxJxNNQHc/ij6ZUJ/AgZgmnYQdYC2R0B8RLzutMy7iKoxUW+OqTz5hHZXfJduCsjkIs3wOdwwIBUhib1mp9m8fMLZ4zgkM3aKwtV6gtb5crgxhXau4FpehF2aCr81Eq87S29yq7fLrrlATPXcHGIUQuQRrm2kDHJJzA57TMIuAdBAHkmGK20aYZoYTIDXdCQgC6kGuC2LWZFQ6PjtZqOr304mNdH/vtjqy8OqPB3VStRXRFBK46OIImmKdm8WOKXt4niaLr1sAw7YZDRdk4P+y/9BdvH+6nfvkDaXOof2F2QEvCCLzJLt+fXFIT+vButnAwZe+0fiOWG5R8IIed19iiRYPS2YoXD8QIA4MxxEKTIikU4Oxod6Bc3PfHSE+MQzeLD5j2Ntsd7xlpqJ+PUDZC0A8ANQQQrH6VNFpWsqrurA+kdhcHRv+aZzK20B6mW9S0Jx7ViUtzbhq39zTd3OGvLdmvoqQG5H1bjuaaFNBdW2xQaSyO8RvAHKiEnEn0rQ8N1CqYlgGTTgMOxDL9MGcPidANSH3RT9xxPxLcEl1UdSC8xZmSGT7tJGzGom6WBaKXbzouO9rjwEGdwEiKDYYxwn48NCpwT2GgSSk2IgSw44aOTddf/DK5al/DocjWcBl0eMSpupmE2ytjkpzyYVGXXRsVQYeavJxxp6DYzu3IEhHJ2FQYfC1tHcXQxlu+QDtoXEM3iDRN3MJhVm8jouX/h8shetX3/6RGv9s6qd4ALx+rNQw7uiH162aOmbbWTYNuwsCSoNdOEeUliYSzcUCRHma95s//RV7XNL76gk1mb/LBlMwLWAy4D2l2DS2GsdfZTRHkkMcLWKRdrPHWQ7EVZFWb1re0Og0/+C3aOjLJZoYUEwLdNL7ixxci0GZHmfdPu94TgqLS5JxLhRSH432N5/b/rbmT29bcs5YaPn4bTR7+qxqSPnv2WAyk9133oplk7zOtABsT9bl+Mfkb3axpyiZQczgwC1K+602aGaKeGabT/L0HB/xP/sbEgnrtmNyvpYKWlRcthpOy4K0sNKb6y3+CUWtSeDMmjaUMPs63ZVRwLzwRDgHXsJVbPexP8Yakjk7Lt/sgRInf6gnLLDhBaOEucrehB8PlaiZ4xVogxACHWU6xzKeeZqSunyOM12fqiMaAc3s/k7Bo9PzbvEtarDedIHC3GmxTjGSQkpvqh9BKphud21NHTZYX0NuWz0148LO6TJrfOcDR4rFl/hdYzy9HbgaMF1E8NCq04o+gHsBxSo9BpiCuD10GAC6VzMMm3G8GjcHS610s6DMRNzHnyWOKnQrXsJeu5SFyzbwzmWTeLckBF1LaFHG6zOeWKCLKXnUGFlqqXHIVZ5VM7wjPBGnpGMCwAZZdpSgIcRNk48YPUBIdJ/htnJNkWgss1xYQr00rkzWwvkXon64yHk7ysS5kiu0eQUOWW7Bn9WlDsCRAGj6K9n7TRFP3DH1/iL1EXoT0XC0YyLdmm63xitPsN9hWJmlf830mg2S3no3Vxd7E86WUNZ9A7CYr/TfM1PBy6AKjIbTu4HA7Mb2ejgyLdZPAJEiBvJi1juvtGMS3Mw+77T5V2UUuJKFKN8Gi1uo+CfZZyTNuPIT6z4UdKHuvexJLIQZIx5zcbY37ssICQ9yr5VAshomIlckkIMhxQ1ibllEJ8JJ8DqyxcWvqdRdK2yGMuJH6hvb3SpQ51L0+60tCM+Qf9FkQFOh4vrJfnfhtv6s0jE1/nfBGn5oFFGKFoTpim+y4aoGPZ1B7oddLfDT8I7CkqAe9TgdE/w0t2dP6ZdH44/eefBzUxw1NKX92KSkc7rpK6F7AfnR6zUKINruUkWTTJpPvQ2Fq8Ramd9mWAbMcSTtoY5sm7rljvxr7d/kY5up3vtJl9AEGvh2/8S5evGGuh2QL+T1SvamweTR+BfKkazgQIIHljedL1XWdyL14SrOVw/C2pZ6q0HgSqNgStjAXpjVWKvzT5Jh8My8C+1sf7t91+7Qxz/Zlyj/Pj86cWrK5rlhFbXXnpMgqtwcszswmDD4qGEcuCLp93SBmaeLgJu3qu9G9QDe40djbnidYIyajacb8VHOmbVvuSiHBLaEVrfZdnELVjn0HaZN6IXyZpNlIo1ddeBJLNp18CbNmhCjsYYz72XYGgmeToNsCFCY/26FLmzLOJDkXaOUH6p9xR90NXOm6bd5kE4eyPJfWIHECgSqhuJvLhFj3AQa/fpkLHx9irqTm+e7dYi0yJWRoqN/YhfYVh8AWHJGR7FjU0wu3fzMiNEoGyySENFLJtiSJWGOu3lJVhIbrJIWC9aR18K4sgcokVG+5iyRumelL2+Z18qqekLHXGeRLhrnvTsBK9xrprwZpj8w2FkJMwdB0oXA+Ta/NVQ8BKNWF2sfDxIZMc3OQpJUb6fybS5j97hjcez+ObX5fbyHHj/DRBkgoUFoi24HBsRDOVRslqSq/fdsYemdHxza8PZZwBy+9oRtS3D/3qsTTErkWvMsHaTwwEnue2tn+KMBuRH23Qi0HtULXgqDbWT6BP5epdNbCWOeOvqKDXuJQyckZkYPwJ+3GbSnnUN2dlRpz4LzZFu2od5PQxd0ROPK8rs7CWPDUFscYvQmN9tEHuhbyk7z8axkKZjed58smHnPfqOBd7vmxvRhAarrzMhM1w2iwgr6V3/oXNV0MdSlmDXwIr1uiiLp+lDf3TAcMU4eOy8OYw8UlGwf3RIAUYWAu3yws0jquLM0mrCBrHnSWAoJBiC8tIzll1tT467tnNq/zmF2Gylf84jWFTjt7hNnLpdJThYnVZCXdMt0ocL/cKswUrxDVLUUsvu+3hh7VOL+VVKxFXqPd2GLk3rAw8OUUenSQeWqKtMBXHVsKi7XvUUU2lfeWIPNnzoQDaSB/Us4j+oWoXahbnt/Dzb+auCN7zaKcOsHZVhsVhgWL8H0AvuNUknl+lJMPd+sTvXOREhHNX0wmSWpC4QeDIADgutX9AoVjJVK7vd6C0lvo43gC6w01BBbm6EZvrpUYeDH7st2bjwGsBJi1cjig/4/4kLVI8OrdOjKu2ICqEmUvlYWnCoyDCiFWQxulKZN1KVycnK1QgKFH2fiP4eyq7LA7zGa9LlJQny1+QFPZhj91kOc4k9l395IgsXXoQV1KMG2Wp+PLQkvQid15HZhQVZJn/rji5XnYTq/BDNA26wjQ/1POG/fjdBB8x2QVXao2fZDlerflUHkr25wrmxox7q52BRVeJ4M49aikHuwM/q+oX75pBGIvdsO+7r4mf8sT8npvBpqaNaBb8RrJZPhf692/1n1G0PIOZZ2pybi8/uhySMmCMpN9r6jp8X/P4NJdZb6E+icdPk1GCvZivyyX607XUbO8v/4CMeM8MldmyLvCCLcpFQuUMVBI3qvJN1vvC8EnBo8Ku5iyhb4w7Njl3gVHS+CZQT//6fyBRTeqtsQrMSTeKMv8c6IeQVM4kvek+l15bwC3j2XmvUdWRbLMou7eYm0b8Ok3dp+l2TLYI3S3sebsz6GxhPHw+cYIPYasIW9Boi2EeF89OU7WJFTcCvAKFOLSy4wb3JK7aWtjog6foC+kKr/1FSrs/JxkYh7U0eB7yiwwhJJ0PPCEPOLI8JsUu5Oe9OpnJUi29TN7w0TMUFuhtqCxx9T3t9o3SfO2BPbDF8KzJNGyJlhRD4l6lfEwyFCU+4H0rEfuvWhDBf8o+pS8YYtlfw8Iu/gpUKdCQlQfD7dhzR/NuGm8OnmW/mopJqNv/7pu7eVWfa27lccS1lz7l89+UVC49dIcRVWb704/tDXli+9QMv3MgoZGQJWFFJGFqZRhInPe4Pks6il6g8qlFF6BeIHcOK6EPwABfeB1pevJG8TRJz0HyqGZHu6aRJRs6DqtTdl/meSUxAvF1DD1zLAvZ5cxyg3TqQWmpn8mfG1+pETlXKxj3uynPbQtpOAPqbfzIjy0sf6WJQmXOiefoevgx0krSeMTaIn1Yhdl6IYbyr1/cThazeI2jP3f63TmWzJ1fd4tyotf0AJrO25TjkYxUJ0ecKRoarJexapJMbGRC/vGaVxb+kTdW5ugWiJJXr9c/k58mNgUQG8pH1utVQ0fD07TjJyL8QLgA5Qgov2tNDcCUCpFE8IB+SbmPr4SzqXObbfybkXJwx5X1VoYflXxrdJQieL3b6gGbHPmyoBjnBFhcA/DUA4aWSaQjpS66IcACUUj38fT9YvK/qj/6G2EKt2x6HMc0dXZUYajGZ1WKmweCTVN4zAC4DkaQg91IgY3h8/hLkzK+zUpMhxKBkrjhh1fufPDtvM4UBNgPNNKcG/Zcu/UBMB8huekF8gE+yQZZeZoVYUSgK5rQbrPuz1v7FaiPnCEmuzuv16qZtDlCnxvz4TIMRNEx9SszylCLCUftxDrGKhgi7aKvkItQNSavHysNytXoicxssdptrLvQ0Q38daPsPU1xbmCELHHrRnnPv+MRe7AXs9HJtvrX0yd0lDU4vUK+B3qAiH6z4B3mCXSo+hbHm3chEBiBTyXvS2zmOfu1M0lhswvSCbgRPLCBO1s2i99z3DVrWD9shF1ATbMSRtxXm65zjvJ29EMFX/oP6wEnHRCozghoBgug77tPYwFmBR+gr62Rc6KAdXKYdEwgZ4bJ1rTD6zia6qzu21nuqrUTNd0OnqH7seWTvPCDcN1YSjsRG5ayzghkEhLw6Tit0F0JJ28sHGckhv+WGMjtD+owph72jFTQd1VGr6JF4g6AeCxmZ7P7w4/fsXmi5iSIhZ5Zqy9iRTDOy+hf0N/h2z3eM3UMDg1+Jn0BRAGfacCzScYRBSAeha+q8O2rrlb6dNvJWGYUEJFwEKNzfBMpsxdZFFARTAJWLUzapCsC8jP8FBvOLTJI5f07sHdr+IGvv7OZe8H1t0Gz7DEziWTEDnORm2cx7k7gVXQBTTlosKZEntiQLYzr53klz/YU33LKylgFyiZmyYqJB5fDANIX5H56LOB14Ynk2+xj6XV+CZka7hRob8ihNHtHOF5RXwAW1P38C0Vvy1B5dMEVPIkTbyRZM3BwVldipiH6pwRwGSKlksdqaZKg2ILrXPyjNYDBvuH8E5z+/xaqKIgkVTvGv583qmfBl86Sq01Jl/arVovqaLP/gWN4imvdo1gSj7w8RxUQpOfKSVwVHJbSP8vqEDgWJ5mdr2qiEzeS4ZWqsW3Gw0ozCq/vF0nwwujzBT42zlDpxpIiuLr5ksPgg4HTXtvsR5P1G7BogAZpaI+rWrzQMgyUZRn8RJ0ORIYCMbopXTtGH4juZnLaYbp8dfqTvpoMKTP35TnDBsK+4wNfNWoy35cRniFwYnajaQmvzbn8HkLUqu6oIExUmAVXk1e1lgm/3EtXw5FVOJVEHdzzvehoouXi6qxIeqji81KFSS4jXxhW+qi5kstayLNg4yAc7apCbOa24hiVu3TEsK5eLPcFIZIz6f046JEgN12RUxpnn581pESNhYjYYHtq/O0Maql21yukuyICaJ7LTFCXCH7VEAJ2BziseUM8YaHODkcIuUp9NDvbzpw5fUkaR+NUov6oNhOvmkzAz7fNe3v4XTlR9/1j+P63lQXp846xVyhVriueNrgBTEAkP5eX5zEC5eFYj2WZHk9TpI8Uh5K3u7+XZzRL21Gmcppqrr4qptpae3XaRDOUj80uM1urV1S9sxYQhzwkQx8oZsGJ53V3Fn9alTD/uQJ2czHU3hFeBsZrPa1YtpYqcuihNzhfbUYXMamimcfX9lVZikHuPj2lbiwhsvHV9+ixn/oaqYyjYD6LxFkBvxjWG3yA5NyOu63GULKoGkRXAPAqfOZZVlvV07COqUjT/X9yFCBigPWhlrAYjchtxM9L+XtmV233DPT8hIp2GJoxVd/fH6WlE32TTJUwL5vPvohrgRbqogsxJv0cwAgDOpHIOG5dpab48eMSyUEwupQsWTMP0ksOag5f+fQTEvgObCifKtoRkaB1aS7gci3MOA7iDZioF5oRtOacrP3QumsJ87VR72q2Bds2+B3xHUVh8gGCmCezgAp4x8AcsjtDB9R09qXGWk0T5YFdEJfUuDeLqhD8FpK+t4w3pjeEJuqNWGiOSYIt1dIqCbhRCvv+uTcWLojuCn4beMbX9Aw5cdtJ0iTiTy2mPTebTMY3huZNzIzSmCOpYcVeXBpzbH8UfhWLOnT0PEbnFu242qOhFDKp1a6QNX+WVrfO1hg1YQEROcbWlZLk1XhXUHBYSL31xIQyJ5JTs2p0bNelco+1awHEQjcy4Qbuz71BlwLiI/vjEq03kk30OU9E3TMNA6E2i2mNeRWK23g0EkZlv8oQ3dgkiECqq6v6/OImyLpOP/gqDVX3pjpVU8iaCy2JF0vwzytRO+yc5EjGEt9rM81L+LmCXsRZEpSxymn1QZ7zz6rWyLppl7fxpOnbBKV901QNLz87r9PGf/t/gNf6+t3BKxpjF7XF1ydyzL6pCbzFpIoj4bacXN2TpcU5KPleJ5neUTBgeZO0XtrG7mDhBHAi3OLMgH+fVQflRJvoZ97ayQ0dFl/7LWfMu36Oxfy7mlRmNLlXmFHLMApcCGEpNTX4akRcHAMyaYp46uNLv77BeCTcRdFk5wzbim21DNDUuvBuPVOzmN0EPMbQFuy4ub7tcgn6EMPMCHnmOXXfYzMIrnY0/MuwNdEFVXjfhfi4BbJfKE02uAX1BhABid5NK9kvwf7N+i7Tp9GGaK5LHKaPdyYn1Y0Lev0PJYspGqS6omflYE1J+fVTygSwA27Rcfdb2EkvaaxwqTT5CSdRtk1FVc61MJebCm9vkI5uv31MNaA6bcaV8fnc56Ry+7q5KeSCkqmr35RlekMOKKiAqDRSQc3P02a0o+hdgRS3gGcmbibdZXP9vPTOrjjpg2gqlqr86QhT6Gkl+qjtxckoA6yOyyqLdFYoxBWi9LlWnIQdOXumxCv1AnfZtN60u4RDTfrTkFY/OJRmDpM3k6bSlYTdsfLUlYSnYT426zePpWuQp2JDb+8WYfClwctGkONllyU9HEyBLfTK7JV7DOsvRv/qcageb6BZQFspCtpyjCXrp1g2zDxIsbZXuZhs0qUBCPdIv/qY/2/e3q05cWzb1v0req+HJQnLmTzUQ4IlQGBhBLqgN0AuYyMwlWBuv/5Ea70PIedcO2KdOPus2FE75pyrKssGaYx+ae1rhFEVGX5usWl5ONY1MbYSwkp3AsX55s0aJdhfQPYVfFmZq9KhUavjMR1Phb2yA5fsJxQ/PiT+KKSDL6ECUbqfMibsYr39lggPqULmtL/7si/49p4PqGOmPCWpCGcsGE/pOxVCnOSx2XGjJ/QoqaYS3VxLT12Z6dxaAeZre1kThA1i82UqTvYbvep806Gj/iWy6Y8aQzuqijCxq+7Ml0Hf2nxQzb/EPVu63gFEIX7IRea5izw81UIQiM3puOPuCh7AXq01iM6UKC7yDiIe9G7uBQdyZzB3VVFWkVgjVyU4I4i1zRmewk7gzbMn7NhdKzW5SViOzu9AkthBkWgiKMQwSJSBkdRhkoqjx5rYbRWpIPPL+D8x2tUwwtVu9OtbcENN6Z7zIJzFKnG8af2TnummM+0Fo63k3AEYUoeMCapliUSXcC+1SUNX2Bxrt4iV3PNE/Fy2QplEQZtjwri8BrXx6GipF+5VRxFj2AyJ49uDtdxB6xpAToTEQHwMWZaueUBPEy9IHCqIJi6RzyQAjSSOSr6+CfA4VMb9ogCUv9v7AmevKnI3HNHwYBg8Zz/5gcTbyraAfagLx/OP4ssaMca15HgFZYljEuUuIgwqMu9xrg5NzxrZbxp/0e94sDncCH8QbjGBB37JkTf0EljKrnkLlL10XcMheDPhAV2BrWYWLeOn5weLK1fzhQ2ibYBzZFfvH3EAPSOflbwQaCVHPTNf6AWbBZArFLyKRBXF8M16CQSTrGievhL0WVNfN0NKmvEBYvErZb4kgsVIjVTNOzrzne4zp6RXdH0OkVuLzDmaaCV09ydrEASOBMDqajrxA4l68PYLzyrgNPwnt9/l8OWN4x+NiBaPg6FQGJq4cZDj0W7UW6Xx9IIhYCIFvdt3N6ovyFgrhs+XcfXZ5awvavmbSm+x/z35oLo8X7FinxoqpUTflpmCDnOnM50mXsIWRo1O4mR0VjuoMiCnDavvN0KtZcGZOfODsZXY0XSadmRMzhBehfCg4FLEhgNnTfqSpiIpuOp9iIiLkDbY18k9EuFE0kr08Wzfu+Y0wqqbGPJ5dukDEbrSnEW0b2Yar7GgzTA/RSIq7zP6eLPJt7LOj2DbVqwYZAud+HEPL7usGHPn52eo+87HgdJwK8lhYfW/ps1Tw8aU2oWC6AV/OjPvUZJ6n5+Se1Cb7wfdcPXCgbbkaxuVbgESLfHwhSgk/Rv8w6qUyKG9707eLQjo9GLRmmyMZIphrzpb1cNPyX3iGBqNGT7tCOeaoGLGTwS8exVE2AudrCifpDwxhHcMxpX45xxZ65bgGOCJnWSxiyMHz+CNjsaz1xbaVGLrmI1FuwKijk1vgxLFMs28G+UN+ps4MDyDfox6DJmV9nTD63v/TFeHemoR3SOidjaBnJC0v+RaaAHY5DdRRg+8ALAMvNVh7pI3rCJ3nZXaOv30o0PBhLJACJu8es7C+76JsucDRpgbLqruQDJWf/z4q938i5/yPFcKdDTbXFAIvpNhUIcKxEm7h4/kU2I9oU7EMzOq1jggA1ykNELOwRXPGE4NW3138Jh3BwLZKARqA76VSGYErNJQ22mP9bFxlDWLcIuc/wal9fQ0YxL/5Z/p6gsr8Gq1NU2s5hQJ+xbSol1q69ZDJpe6g2HbVp5qwtLcIHkQ7239M/N+KNpAO4DVtr3BZFyVg7WSvn2FzcIa4aAHx0pRdJeT9rTYl5WVABskXABGYUaXwExsloVYaTZAJ0O/GluvmSEU+Q2CH0CgJuT3tNxWCiXadWTbNRbgm9edyAdJgWR0qhEWnHyr45AQut2ctakf7peauU7+PruphHZJepygKK3OdbOurYF4W4d+6KEDwyFuW+dHyVITFwKR79hjN9r444rRWXqYPDPGJzc/X7e9MrAaOUGNsGqxGpshFuwEGm87un5+cVJSEODiNxyIL8TKOmuryDufVjfHpRWfjIT3ay48Q5WX3RIX24VP6vtX0tVQMVcAqtyAazMXrrPHLlun0KRFtR9eM13br7btUxmYlrkXS8YkmXd5avDKONGQw5odHWtuyklMjfEN4t1Z2YqwiaRKy1soOzpn3ULefdXy1KafUjvg4jDJ2GivpPLAXnLZi2+cteVu8KCMO5OwqB9xeH0YUpwiZe/1sH+ljYrYV+dm/SiyFd5f15q0OueZMdTmcBpT/2WisSAtij5YLBUH2TkL5uemi30o+2KjQnt+QMN1JzljSIpDFcZqo70GEiW9kraWbFJFaXQ/90MJU5qQZxxMEkAy7GPImmeahOHMr5JMSGdBP54YzfSuqBSrCpGugA8kY728KzaUdqMxHp+0Qkyr6GW2UYGeZnffFi2VVkTw3uZOVMyS8IVbymG/kT89eDqfXkQW5wF4dDPMnP1deGcgByvj/9UHlmS9mkx1Qsk1Bws3N5mNfmECiaOzypsPlWBXtiqWLahfDTlu18eeaLIG0n20VQAoiIEk/Y809/FQKKCLOytetuMZ3BmAQ4ySnzXFTWSh4yfYkKvGS8dKUT9ZJujIo7wzV1m/szf9zP2mRYnFYoj7ZDPHXmTHk/zcOwhnKvPG6lINfLWlAfp2M5VQvlTnnyBuzaT4Cw7R3WvKt0yp40Bll8/jvawWZUQSrZdZCDyipopnCtE2CPVXhbrbRW0H7nnizC+gF0Ntqv+z46wA8sN3tsj29WTwao2EF3/kHIqpghF4V8nG5pd6WxjNM2kx9wVsLFD48cy3LW/pptZsa2yMu/hUuEYtF4SSn1y6tXDZIWRIgoD92DFrTq1dlAGoItuaQfShz9JaURDuGor8ltleyYiJlB1OfwJ82QXZ8gb3CqFNY+0wnlH0pcTLQHYcS9dLQWiyxrOJg6H7e0F0Wr+Wwq1rBQwGtDrD9QZ87SCzlnm4k4ZTt7LRL150IRNPZ/ZZ5+vMSS1vOHUdGYWJiHPdmW1ioZVOWvGDccE6evUjs+bx7W+JWE68cZyIlwnb35uAm43qxi8nKD484PUeEJ8lyx1WbHjRCAbTMZqEpp4f97id1rhPL1xNMtVXobjyqTB1fZtC1aKAt752HeZD6eJWyWsiOHpQnTud/z2ID1Ty79LoCYLwM+mPE7sdJb808YkIGtVl6yoVg4mZ7A4atSGX5oorraX5cHPFLrVmNXvusa5yn5/eQGTpeJjVmzQJaazp/Mlj4QaPISYpMAWjBzbb32q+qz7/33FwOsaMVP66NUzZh9rPVr8OzlysQvhCqy8IMcNZEAcJZzOYB6aJM7Fmu/Sw/DNFBua/uSSrlpyLO2ClrHTEVH8RChf1bKvM0oPy7lh1Rg5TXRYCJgXaQuJdVmb4igHAt9jWQc+I2rE4M2p51eXOibFefytVxiBylXl84+SLq8JWaNdyO6gAKNdMeARIpfe5bMUnDHJWvbUneu5v+aiMV8ITZ7RITz+lV7q/1Cnhc4da4dNAI8k3P6yXOWZ9vEMChC7Tyq2JnMna22Knzy80iysV1Za+yRuPPQoVT/p3bIoADJZ1Ns8uBrGHdGBPJmdlHm8YXgXSjkob9EESyExUWS+cdQnZ6SjIwAxyd8YvxQowDyQUUydB8b5OXalNVZL3plHkczcQWDAN3AAtAvS9MJuH3eehJnPeVqTGTb6Bem5LjZ5D999B5I/IdNzog6+sEB/PSGIF07ZXkI6FP4Grf4hrDXZU2xK8u7W4llwAA/citQ6PorqgqH7hAxxXofBgRhvqJG+AkSUUta/cdK+KvwmNH7aMYWissY3LsbwPQlat6qgysM2dm18v5KUHQWIC28U3YaAS6LJ7vpcFHPH4sQwLJmk0i5EXLaUijAOwUWfyVrHiJFhSXsi4+o8wyVmG8KiKGpMT/8PrFtCBpFHrjavLypr6P/mUHhr1WIFmFkt/3zMpeWY/jtVhoP3oplEfzXj7MNlvc7XyGYZycBTjVV8azjTQE7o7C/c8b7JgPc+Mu3DZ06TQdBM8p0micWYKfN5YLxjje/Pro4SvQ9gHygGUXGMAVmd+1TUZFRQb1mc3aQh9uFNCDxNUCYQTB7IKzAZ+CGuzvXRN7DSExv2OsZCFUM9JEtAi8/IFdGEtNkJUNTgmOm8t0Q++yRtrRADXvV/S9IDJUwHlePd/gdIwtWtIyZp+Df7rzbmUt9ZHHfSUGIzcFEQE8Uq601kBdzU7M2WlgFaaNrs95SYPagsy28EgOx27rIbOc7FsrZUz5ismfdjv2LoZhgHdMRXk5sF6GE7/Mt8nRheOmZZJJTxx4mfIZFIIKgQSW7rpe2zSrn6ZKhzHXby9CHZjgqaTFfguxsh5B5/emauSwtVk5pxpr5cdNnsPeEzWy/qeheqYUyNECOPllFc8PSyNmWLirqu5exT1uyBgz1S3vqQyqdi4moBaa3QME7za1X3kcJpQC24mkgzeKWlXklnM+N8rVTQyz+0ff9y/25Y605ibgUHCkmtbb/9aC798RoVWwqnL2h9YCsCv6ckZy1rTNLDPyJgbZXXSecCEBad2bOLloIhI/kv5qcY3D3ylwGAKYvn8B11/zTCKqY/ayy22wtXqNfIT+Vjt0KKCrSPe9GeobmiKIhW3ImQNHjwRg5imaYyoKvPMwLKuTqv0a2FOF3gH1b8KrhyQZRQPIh3ixtjJSDSDDJ9A6pjAiJM6N3C0DQ4rwCZypwzFROe37ftwCzYU0Eg1GdoItrFO6TUcfKLX10Dk6AMXA9B3gb4Qy1b6odrGo46K4DrIoNTjwnH29Cnrh/hT1/rBZoHS2jA4zXCK/+qZn3aSN2P47l20z+6tdWkHd1af01wpkl+mgyM2Xd+AHNiJBEe0picamWH1LcxpaUgXGC2cVZwGtoDh0+irY56H07JZ4y6yOlMgli0A1526W1gXPSIYRT9oYorkiCXeWz4RJEXW+UMQxFxOtSpq/DRogRxonlk0gW3MHk1ELTuQtSZPo7+AJZXudvS4qazSIYmcu9A4eJtFLZ+giENJ07Ln1INhEMQRSAh/vajG+x4kK/O+Ta0h1MFHbrfTNOhIrn3uxEXiI6aj31kvDDk/+uBIjVkqCC/gAkRldX4oktAh7mLIKwm61aBvTNCMWD96SbF/8uZuCvtNJcK/LJLPvqjT1gUzZE5liM19T//m2kP/k3/gYJLSd4I8qXANyqAc9S8igts7+A5NKPVeCRme6KjHszcHh/4Fxf9FoF7UDrmRUbthUOUFE6yz7AdhSMCDApmwnGdztOXPT5OWTDr4L3rfHF/eTIz5TsOmRd5ohlhCZhGb7PlHXOtn9kb/xvsbU9DlxGhS3TXkcmacfZSem77kLBDkx+j6udaVRikoj+FUg2LY404U5WfgxpKrtWuMEcrMkenoGOHkpSsavO5dokJGeM5pNnZQaAZV5z1LgulUprlwWdHapmd1kSvmRXRlkAxpbBFFxAycmcFW6bfH8T2DOr5Hr+fpYWM9PIx/Pjzwcb28TBK1cSwFhX656nHxfLE+x9tib+xTdYOt0YvyVL321w/WxA6eDdXnE3ZQvK827tITFnEGInkq+5WELaSbdhib9frKVURtdKMHmC2wXc9zJC1ALgVHAtj7oaNvug437p5Ec0B8j29RiQv0Dg91EvSGl+/KrU3+HlJaJYHZLFXYlI426XGeVQfs3kQ6njthqtALRkJLT5Pb7UmMqe/jcC4Pqgh4+K15RpnveeKnR74lzEj96gm3G/n8g+7bOhd7ES6K6DdOVj3iguhUiFogrtQk5ayLfig9xyxDZHbopdgy3glG9IUc1AZosNsYjd3Zr1/S70yojSHI08h5RbiUINezfX1Nm78FgmRzjl+qr4WE8KZX4Azn6lugCmSZSEiknhvpHjFbQj7cNkK4x1UaTkyCmWbRib5rVM+M+jaD41SdijFjI1/KmMg4mmJ3s6Oahmp8S9MANE6iFV0Lxbx+D80cVZqIkNvrBGu/aw2zpTKekbrymckcRVcub7fG8iLdWHYoncOWrA0R92BDxE/J1w4O3x/HFELFNjS8IB7wAULhsgB8nKO3kRlWRx+Jh1rjIuGFPcpMvQ1WdEZgoNMtEf3+H+YUYetgZIT4CvNUUHWLrDxaNeUEg7KVxivDs1ndecEghHFk3HvAl0e4HX95mZqcoU8HfxOjxgslJSZA97MhG8YYe3CPp1UvfSMMZUiVuYFY9r7BMMqj0g7Q2nsNXGV38knNwfmxOuroo+6t5d+x6seVxM331hSDtxifVTSrK9PsiVCv177xF/NGbmRl159SXC6gj3ssDn8DRIcIPkZxluD3IhdkhSGrI0PUNKlEKaF2ywo7DI66ieCYptELmYvzbYXtskkWBd/3CHfLFdqELzbOK7HlROsamDN1Uy/utVv1pL90tJfB0k94+De/ZaW99kblIwVtA7qy8URXN/31BlknXBqy5zr/2DMeoHV3KhDDAnNrdzNUlq1mLg6YfOJGsvidMd6qmaIw2nrr8s28PKzqweBq0bAS4IACpGZzwf/Hpg22WrDK32UulDdWct1M0baD8XCwUcmJcf3fl3719JKFpHsHO6xXcBlFH29Xq5uotqdObkSI+tK9iIDx1RUs+k3EvTge2QdLqrz016O8FHOtaG6fmY0smMFpGkm5M4h6vzAcBJZzrejPZ1eyBgODalaVojXsKaL3/Oh8IbZvw31x0adPmTmj7/KZusG/85wB584Eq+ubaCegslnkxakGyvPtHr5vtlAZ7lfIixjPVq6VbNutSU4+aXLDjvnQcM+l6+aAy2nQwp21BJT4XrUwEJo5+Vnxx2qXmhCeRmiY+jQxD9038Bpn1sjTSRIF+PGv1gslpxR/rXWbkmE5/ibBditDWVlu2x8mXudkvjac1PLC4txls/j8BIeOH6rj6vtI+aZGM1+cYKLs+nPITCvJfXwQS30+fto41nD685MRpuria7f4riU9YV/c0+goENcN/WjX2ROUsAQvOO4FR8XT438xYFpftFvS/AYHlAU/T7z5otubywyrmox1flwfNWuSKV9S5wJIPze6KjSS0P2wU8W8eekeaq+UWKMyXDrgAhreiUMtKtkLZa+rgHpovglxaZ/F3JhwjStq0hfj1hbnB0/sr0WeHq0RJJCy2YybfDfABVEF1A/Wsd6GgDuBD+L4KQUb5nZ1yeIXM9YQ/PfrBK/CpjtNgs4L1dHhlXvKP1GyvfRhYaLYOPYTKbQiaAVljRdMl8TjmThMNXL982/LKx5H92xVo8eJPjAA7CvLkySQPD2UpNe3nZVLxTrDpUW/N34fSICDegmlxMG0hexlmaOxwYoqwWt8bG7Wq3SaQcTCechztPMJtcgDBid0xt5wemMROMWY4x6k8/w0QZfRFIP1wqoAACbJUwG04cauEfZMLsO0q4VJ8ctsw/I2ep45USC8J7lkDbaaVCfM5lSnWGTphnkqg6CcWrMq6qx2ysvJW+EDrJ37WlgJHQvMFbopShCosxapH/Fxhs9uwsRXff1CS2T4DWHJyJyb9TSxZYvu/R6nsvP+JSKqE4svb/74X3j3MNwuJP5jjKA/79+zgTZ3TqvmWCNNo87/HcywjAEhHN7xRKjY9xV5aQQ1nYOwcj8edvpodKpaMj9GmISUT0LUQHGrGG+OrI6SjT6W/FR6GW5EEBSZvpHNFGPUZa7lLdw5MNJfoZ5Un0bmMZ3ZRpFj9oxQVA15A/l7s8Vtf8xb6ZnjKTFvqYAa728dflJm0W/eELOmkzsJQs0E90vJXcydIozTFXR0A2OKCjbLVkdGnpmjyowxs4fFDwPqyF6ZBGg0HggwW1M+mpglMqz5pezw/lAz02JaZyKAeiRhTME0dp51BS4RvXgLMiXsjd43Bzy+kqsQfWxsa/xWx9syF8ChBlkNBvHsP/a1PdGv0MVOKZaUe/sWvkCcOBdnIeEFz7U15e5ED/s1maHsZJN6q5le9WXCzwBzSJsoGy29MYSrmvwN5miJxejX3Umjmb9A+779LahDqvCxJC4gakTogtY9qqKFR9FEZt0jCUaZGrxGu0p9ztQIYuFMy+xF/lf0PqzYOBaw0y5U4tOzMW7KUC14mtjpLDFnhbhNqhtxfHO3zqzV4DwG00J+X5vSRBKuhKip/8XNW5Hp0nGFzMuWEiIkfxfVnvPLvAOVLdEkVUf7fC4UZYB6xkqXdSxIPmlyCQR8zYlPdzLUKGt9hSQ5gMdN9alz0mhtecW4g/74RhixysXSFBuziQqdEra3qvCUsJbgau0/B0aPpVLwEviNMVMjNdSXSTd1DbOElyH6wDnhXxyJrPZLB7N45lJSONMKvZXxu3LWiyoMB8dox9EPc+EzFLGeNONbjZEb+qXp1yPKWDGTUlmMCYjppe8MS6cNrAYjCkszgp3l3ZAG1kj+Whoc4lJeCS45GPAeLrcIJ+5HhxKgvaTRUhW+TkBHqJyF1o0CtSmeRCku09Rgw9JoqH9svW+ucRQD3wk0MEvX2wjYY0BtkdefE5bP1ZbaBxMF7s2N9XkwvuZWN9mIkhsjo5VEFmHk5ZdRKipz35bIczSD97IF5oXn+ncwM3ip9yjOSrmyOVM7ylWLa5V90RF8KqXPe4DYYVMQL0SkooQMCh9aCDKYwOt9EX1A9KlbVBV2oJgOojC2PQn+wtZ1ifwnoauxPEH/DPBbVlPgNWaJHJSzMtHoeaQRSb6KksJ0qw4TjG7PKGr8Flzb67ruVwfmTmv/Us0tSo0VelLYOOQCZNAhwQs7GINTQtwIpWEU5L1t1LHv79dzt/1ej3ONLNxUq9FagmBuE0/V0+2D8hvkH4BKqH7R77l5d5GObEheMiGkMFdLNlk6a2wEhmHl3pas8BiTJrMg48pAfjXxU1qLnF2b/J/T5FDf2weEFZ7NVMgnoXL09HmoF8i1xCG68UqNO+ziZRp+X7mLoksz5fEPCrdMfPElxNyGSWrm4chA3BEY03alZzJCPMWSGZFY8cEXihB9fLaTXP9tou8og5kBNi/EYH6zRn3OUKXZu8//fCiGAvyb1l9qa5RPxJtvI0ltMGZ7IFaXW2hXzoCNtY9Ky2OqWHrTCsZg0BKzwLp4nBmJibSP4dE9FoezbaTuodu2tS1pqI4WzUIjuk1cMS2a6HhMn1gFAqK2yPVfm7diRTcD7GACzUY0FwRGPN0wIk7sSxqLVbIDIszRmstTbOz55graGijnPWjWJMjsWyJ+I6BMXJdPbEelbZlhZpGvjxx38Bhr2l0x2214KNuPUClVLJXKWsoRxKeljk0f4PD8rsUZP608q3aN0w/dIiEW/UHbrHoVHbV0Lyyj0NKaqULQKnbpARLzQ3kXsAUHda7on4s8Ip1rMPfHKgjbD7C2oh2CHFcZHst6vy0i4C4LvT//EvckH2zDZ5bvfscqMlXON5xhOIrHQPHMwGqkVE9izEOlTShlgyvBloLlS9Pro+l93e0P9TyFMyHSlvnFS6Uo12xXtO3VV6GU7eOcMRaRzWAHRhmCDn+SWKoIhglcrfDvZveB7YfsSLbph3LA990yj21jRN/XbrsxxOve4+uZ+kujvpviy8KIKvUDMfIm7j0X7mPheqfSvVSyH6b6DmS+OqMpNvjYeL2ov0ox0hzpzV/qEtCmSR/W2XhT9Q2+9lTA6imhDes14gStkbtupO0EDCa5y98wkKt9ZC/T1TvjBBoGZx2sk5ETXHFf3V/s8WxiM3x31X/TXrVXXckLYX89wSmYlDUrQVr78YyiBWYTnRtDNi4n5HlKetVHTeYdQcRqj/LJQbqmSHSAozy9qdDV+1q24u+kvcJlLoBJsoMQ5RdzUzUh2QdFlbcW+rnnmtwhCVeiXZWc3FdF1osWfeaEYcadZYZgxkvFFGv+GDJolGdjaZRjuV1gce3XSeGrXlvnd/1je/B+5iFzsTS+2CgPPLPN1aQ83JFZHSVUqQ6ftWkebxkzPsZEE4i/pU41sWO1NUtjI8Ed8A2xNkzddUUUIF/lbbsx7OzTpCD9YrLFio3WwMuJq5FXKS6CM+rTudF2YBC8gNhTYxZEbUJh3s/xv/iGbrXsfVZF/kLL0nkewkqc2JLzDksQLs0y85yVBFIXcsPCNE7wUYFVwvhpxQDeMLGj50lS4b4L6B62RpWNjqA94MQdudqN+hbq2VRuFeyVX2umTsscnFGXUYpX0kUGr8Nfu8nnkFtdUf2YAJyJqZdNHRKCvp0CWDpNVcM8mA6Glrc8cKoFhOGpThZafS92lZAzz+J/71BMc5hDti3G1F6dlXdxVOeoBqNBL5BwPyYF9e5mktsriHPP/LxUtl32GpAZ75E5Bb6c6YikprgwQ1MHBbt4WPHApIq9mNkXP6Zwwl8PeBAh8jTBESK6CZM5xhlJfYzo9AqvRas+Ty5OY78FpmSxrvXRhdABlGfgS9y5NcnoHLyIkhhhO1P1jORW5s6xRowdVtivWXDgrzhE8J6IU3RuOp4938T1JdSljYPq25MvQmzP8Vpj0i+ySf5nOieM6IOtNmRUs00sFjssC+HvoyhV3ICVRl2ZRGS6NuQ9Ce987xkwxLi4xk8ru7ZGqxcLAgYGG6/vIASgBPgjPzwMZzCcPDQfpppXI/Ee88w5mtmZRhNMfRPZjZZOVM4njdA2XJX1hMqqb2tiVN5sDLEL56QDSjps3NPGZG+RaeRal5Lu2v+NET/0OOo2nVObUIq0UuZQVHGlrOllpi9vfMe0ShD0J9w53mrNmmHV1KQqNWKH/Ynccz9lKRq2bM0xe/o/4JAGfpHONlHtSTf3YiTl99JcIrnbGNtQ2SZFwPyBExThrQedEXpOWZB0c5RX3halnwdMOWoQThQkqvVh/ksBa/hgcvSYSYov9u1qJf6lwMnoyKJZ6ipnTz7agmK8HoxkUFLvsBfXeLF/sl8i2klAuser05Xpr2grzIbms8g8UlP4dU6ITQwU+7etRHa82mqgaDfRLeQYukp8W6XJVxr6l5dYBQJyUENFv8jKL2vY1WwKVHqAKWJ7erQuxclfK9eQOVLgfBYZSLeGs/jLfOl/OlrupCMeP2ghV5DGlPe0eqUTi0DE+2GekV161F6CZE9NoOy1d5Sg5C2TpCWYMBV19qqrOhPqNUw0tnK3oWcY7dQsrx3xx4LbD+PW8asx56pQlktZJ0A0Ed4/Y2YBhQ6MWrXB+Jvfl01/dyAsZLJygZKNbkwDaXQ5xAVXZyU+SYhuuK6xsCN82zQKbaFD91npfTGYOqZW31zjGI+C/dowYVJKrJgLNXUNKpYIlUUrKBcOuC9+DP7dsMrniclcCqYT1EGP7cNr5pxrsdH5kQtJYGC9NexZB2t8+/mXKhICs50qZ9Z4W9aZ8QdOheX/BAaitnZzlyChtRUz6Qx20sw3J4QZTavrXe+YmCfnPQCC0Q3p+zfYpNGR2gAdTnFm7Wm+EKB5u7WsGifgoA9zgXZwo00wmU7+/q4ctWYNmmWcrz+KXKf9o01DrTLnaDY6L/uyG0Vze1gIs9DQ0JlZCRr/w9/fKMGr813UIbryXiN+dbXToeho29hGJU7w/O2nwfRdddrl2jQAbLxluoEATxNPIHSLiETxwzxTOPIi884wPxn3CRVD19W2fZ1lBI/v9FB1HNY+3Zxa8YqH+8rEwi13qZRGw17o3E30xJn6IppaGXjcCtUDrqtuptvNX3VCSVpHHwNPIPq4nFkf0IVEnyjrn2PdvklUE7JH+b9MdqHwidn+IxjIrPP1vT3WNvYxg4dubzfLpB2nWPeau3mFKAVhuHf8Wc1dFyW9Ef3OWxz9KOVzfVz2vBseviVhj3MjOQRLhqvz3IhXBt1Y0qYm/HaMLL/fuYLlcFoRGvVA1fFxnscm2N6T0K3xbOCSCTPMD0Pp//ppZRLlNY+Q0lPWDenHsqWCN/2JwEzDsPSy4u7+9SzZoZ9ALoJAIMpw2Gt3IEMdiQj/E+B+k2QcSZ/x5jtV+r1KZ19UhTm7DW8f46wrf4RpGj9NzdUhK/RAofP0e+bpF3go10agamyKy8pXZ5nRVDLldE5ccgUhGIZWJy53Z1m6Xu5oNqmswczeMZlItq55uFvZTWUsbMFPby0Dn3vHOyOFu/gNdrgl/7WqcQaAEtv/F7o/AUJUGXGcWNOkHMfixeWNcezWLFSh5yJcFIIabmnqwJQHJhfDpVADLSEMgi5bUTt2EOHyuxHUIrnW/cCR/HkW6ElDw1/rrfw2EcamlqhEakljVRqQsill9ZwS4/2rUfEQS6D8QFEyjGdzVFCbG3bUH9YwtQ8IxXRUJYeQmQapPhZxj+acDoJOJ2ZkeoUi+9LMb+bAA4b9a91F8S7W3MjPZSuyrRnurJCloQlBxpEA3An9NngZaL6PN0UwcYRUvlc2sBSi5x97XDonLu7QCqLaqhrYwugK4puMkxP5l3AXBk7saitCXYBQrnPoEsazOXIbG+7lctvG9Adtb02clOg6k5thspouPJCxO5CYimKn05GHh+4I//gZRzInBU1xiAuv5vy+0FEt4n2SghVBbVc+3hbIsvZ+jz+tJIjR/sU3a+kWW+Uwc2BJeflG3xaaxsyE57IuXZFSaQ++tmOiMSZ1moyRDId7a+RGh8UdjCABfKBKBrHdnmby5AtGkxq1cGrYon7h8KfO08OjBjZEMsca4Q0xMnF8fByNjKoonv0yAb6ukrnhxVIuNIfvu5WsOQrYT23l/apxZLSLDpioN0Zdwq0Qx06N+SQ6SeKsUh+pmtByHNGRela8Sacsa7nbk7zkGgh2H93yggbRhp9Ldk3ueWgWv55k25blwlKz6Y0bw4TIKmGZH2uGmjI4YDWj8EcoLiWaQROAxLO5XstPMh7OMZ/6UHey96GVsziTkVr2fbCRIUPtWW/PrQKbzQ3GkQFHijkdUo4DS4+qgGJN/YVwLmuQYguYMOTIj5JEGTY2jtL9cKYJZckWCwZYF6np9mxL5qGi5b+JKsd2OrO3PwnvVNMsf/KexBbqvTRvx7JXne5sQ3pEdQPNcxePTCLMhp3FCIPRrrzDxw0bRzYXiBNzBerdkqfp3shX7JO7mcrhJVS6IwEX/CQrFQmPESDLlE9twdAsvGnilujgPWysbSbeLl3nzI+EJjx8LFh+sgoKGnnsY3yWMSScL01kDiKZ72jiSuRqC5NNOvCDB8Q3bvTo31ywBSCt4dNkYNtc3ixEVfzXF4OKYTEQ+LjsLQ2BJGx0dL3wvvMcM9hK5gUbqw6PfYaJLqSssRccCpd5jZ/q22ZAAui459WWH3Qsk8zVtr3TRTFT3IUdWJvoYYMTvAmmX346F3g+p4oVm8xmbDKd6BU3MdFtckMY09rsVWmxuBOCBfNUXbEnB7C0A13+of5dJN/LoLm64U94V54IF6J7cLQJ3qHL/dJUtJusKhDb+jhgZdR+oArf2GJrFDlSGQkPy10o/gBqgwmtF+zvzVBPUUjj2dy2pplzVhcccNt6J0wTr5dsqnFsp1FMJCC3De1WIUT7WNjtKMxU5St7Yb4gM9ubxcpHlk2KLN1CNeP5FeRulS7LqeQMJLpvtDH3p47kuELvzeWaReIA/9eH5Vcfn5EURKNtsCn8wOZS16DIFr1KLO2QRmHgBJf9FztIA82vkAFtyOGOwBb7x3Z4faivQtleJYb3Vrftxnw4S6pZYlcvM41oOmqke9SV3kFjQe6HZXe1w/ElAc2SAFycGriI4B1ZbGvlb4fOalt+WnG+pmuUc8cF/IGqkPvk7suIIbkv3B5v2GMoF6ZPK9W1aIUK+MkiSQYZzxKvzr5a5Pv7XkUGJgba7saGzB59zbNjpTWes69b7NyuosRvT1M4AiGzWLYoGo8H7CLM9WTkWsJEkNouDCTBwi8dPavLYLZJp9Pk+f9dGC4eASS9fxmyU8UXGtbpOlNK1vd0Znqn5a6SZHj2tVvnpBEBwUGain6E+4S8z1UtPmMYUj9es/OfYcCBgTgHEzgkLHC8ZIazU6JUN2sUNzo9OrPxE28b4xfvoasq9lClhbTU8HTaq22bQrj7CarZJfpOt2/yaKop+yrpIb8k3VRab75ZWXjStCVIOqBeDkRLxU+oBAnsvqkzcPZQ/taZEw+sxHVkxpVuNjIUmAs9ENIXn2ahM+16iz6sZQ9S0tWMzG4ee/L2dd8UDBVEMxZlMz8FLwokR09QUlACc4DdxWaUf/PTg9EjFtfSeOnwBnEaNs08GS8TOV+LSO/ZkmiBOMaotVxn1oCvWznTUIGcZbroIjTVJDMAaGSkUPO8o77eOkZFcB5YUWsePfT6TEWSgLovkZH20zPLjaXGbAmDZIw0YjQ+2Ub6MOhXao4x+lenDnQqco0ng1mTyqmhsfdLnrEgytbmt6sMtEiloBrSzLfvGVJ/+UNRbXo76wXbjwUAe5AtGJvdCotfVw1tub2fifEDrAXI3185Yq7kx4IjavV2zzwyoRrRHovaQtons92K9qutIrpypzllEK3pHnYlBeDG/CF1eBlxyCCy4NmgRS/sAtbM6JZ44O41tK/YcQjwcNUOr6T+Ew+podWmezLHpDFwOSsFcXysTLE/gu9aV/XnFbEi+qKkfnti1eX/3Bzef+ATdMFuKNLbSgPeWWg6+3v71Gew5r5QGtFaESVUQp6tF9piHHYUGq8+2oFM2pad1YiM0wgWKa2shtfDb/1L05epHejvZVyfGxAs8asaiPiu7aGr8zTEBM2FY7GAaHTYc4QisNymn5pY3UaOscq8gvhE6tZLRg/O3LEmrs7+pdgHxgd/w5AVVx8tFiShScgSSAc7gjY2jvUwSPBrl24qTddUAg4cQzcTmLZjEntfZn57ihWzbaxhUg9q0BtXOnAiqbMabRDpiyAirgTnG3wsehXuUWng4QXmKQCRwle79yzGqK1qB3IneknTUEDQ87xjM5NpmsQ+tVD1gpCkbrd9kF/rfySx/+Tv17o7V1GCPT8h/boX/EvLwarZz/+T2jV2yUzUQ3kqo9vmQWRjnF7nmiIJ2zhNj4xz2kEtdpG3cYlqw63sEkuo8LrBksIg/dDGK6slrVe+fhxNzO5s6V5sKjI+fq+0JZU6BQW3zsqxlRf7ouwI5EwnFWZ2PhmZM6laEJV6VkoNf9T9YckGur47K8KHDMnRiH2l7grPtZKdUE+jBmSmCEy72s96IEAjIq07eB+80QBavKulqPpgMiklHjLmTE2cppod3FAYsBTeJcfA4iaQgQKqxbPx/CprW6eAZAg3l1/Lux8Vg1W0t3YapwLjLP7JHZKFKLYzaZUBDCzgycBCR3dCHaKOXTRkMxCw7SZGa3tpwBmmKzXt+LHWY5yQVifNtABP6U3ukwVFtpW9G04p+JrcCC2fTwwKL9OMqj9FUJrXmGr6SFDHLOkv0F3t2NCOWuV+gY4AVZOc/r43mxho3V1PFGhOak/0NvK4tTiDDGDfuMECKVtLYqSIZ593fypxVM9jsY2zG9JsBlezj3Jwi2dZ9bHoBZVeblS9GpEazCTz+8yGgzAazl3sM0123Xi4ovOyzkt2mg0lspKICtsGt5mh7I/wb375ePgkw+EuEcZ0X6/T30U92e9HvxfsASRy9Gi60A1KMvGPtcJq9asuOcwO3b3sFzooYaYOvg/5llrc8ogjSfWTxRYXhbMQ48tlXe/WDKRHk4EakDNRradEfX0uJU6XPNar9c8UqDw7faIzb1lXm5mJJgCFO2fM3q72J5aSHL/WeN331cmam0d49L6SffjL00/mmia076nJgjTKgK4coguMKhXLsRXuXqm1ig+L1w2dgP1yw5FMAYXQDJaxga+i/m26SajpT69SMddCYT99twbdjYSyozxdNgtpToN3kdcI1+F2D8XrTwIHbiVL/hUfQ6HcT8xtJka69hEbDn7Yz0+kTtORJr1omanVl6mmsm6LrzhXQeVoKrbls2aJFJuDHjfsrM402YnTiSf0sLv5LfHe/lo8BxjmyGID3kgKKVDh6JnlLEVH7TloyBtT7sZO1jTGMkbr1YMMSik2pmxle0ue2dJVUBPBj9uqPvcOy7o9aykOLjGsSygoNL9dCfks9NiitL2axhWD/YpzVnzFz9OLNYNuNs7XQumaJvGM6jAhBGRmRkMcuFZNxM75DYydzEov5lcuq5XL94oIn33ZT0XsmzvRM7qCzaIG/3b1PCYhI1Ou4ryOrHUpnYMOGHGjHFyoIfBlI6v0Nb++Zrj1woQ2Y8uXVEgxTmcQOQjLBX3yJI/rQSjzaqd3jOycumZoWnCmvesTjkyoCVlO7S9WSAipvetm8PLBksBqDWuWMTDXmSHWjOzEcEXl9RPFN8HdrvZxOJswJVbtcw39hZ+zPEGCJEjbIjverNedQMFseLb2urA0WBnSroToeli6JQZCDfOa+uQQcKDsMxhBGUKMaj4mX2prQlaopJBZAeS6dHGdSRRSgQkALWVfd9r57IE8ms5kkz4zh10zcuq0wGDNSz6FL2t8FXTUUV8mcR7WpmhiAOD3wJEVp2EHUvQwsVWDTLf1VhK2tahPbw0UihZDRd1Pwy3GlJWsfdYpqckh1Y9ltG23luKoOULTgPqIFVlrKUpvTJb9aswJ/SSrrtzMlgaZwVS3CnFAvzhT7MvP6a/XC00/u+sBJ0nQmWgRdBDUmZtudBjOUbSGUc4/BYXELk0Fubr42YnjxBiiMMQ93+/bPicqVX2nQkCyADXgcfQ4swQEi28iqcSdsXLTaqGcd4ccjR/h40TLQQ2CTqH07RuUeC9+RAstZc48i5mj+WHVrMxBz4NvPDoqzcfxklZwsDJXoxVGW6zijjcR4O0gmko4f5TQ80DUNuhy1Sv0XmmwIS5sNxBP2lCtPjXMZbyTLAPZhAyv9u+R3CyNgpUseNpbEPyNf+2E0JV2a2EGG6tWWWe57M8/oi8DQCLJSTvcNRpLj80Ry+ShTyjAVyHQ8GDDRgCB0st+9YV7b6snYSEkuFdMunWZ0pn5tK5GHXZ/A79JSO8jbDT6XWf4IrxN54jVOPXTPhWscGzRMTmcbvZD7c5kRLJ02+LaKHrpsTHgjaoYEjIxLoTru4TaiYW4sMwCMf9mroGwiIwTYCaSh0URwYTvh96/IgADbRX/y+X30/rr/D9t//4Hf7Gh1sEQM+s9uN8rNeRq3huRqzszVjIcCrP15Fh9aMC4z09Jiw9tIUPI7mtS4XtrDlmD6PdCfMjrNfkufPLeN58S1ga9IpM8k+DJGm9NH9/jOvG3NeFAx3mXBUgv3upP44l7QBFzM04W+TLhyi6UnmPypaPPhSkPiy2fsMakdQsRWVSPCOWjHxFtHci1QoZenfo7RNrptpaxScSJ5S2/Ho0SnrU910YrtDWKBQ5EP9QCYK4WmZnsR50p5W4dP6OudTrHuKpOH5RZq5M8GEWXPfGew7ezXphOheN/pqcJIwqVgb1XclT6hX1QCeGAWS4ClxAnQcKRxCzTw2Hg12p6R9TcBHlTs4g8x23wtZBAts0Xi+q4FwgzBFS1VG2j+zuLy9cbYpGl0t9P3Av5FIZ4yLjl1TYQONxLJYnmp9esILNLj8L1WvY8vl6nkwxdh8tD47IvyI0Au3S0aVh1sLngJGm021f0nY+2uMq8y1yyf1RMNqK9L+YwXbk+sTg70fcXk5r1q6XjKAMzLTS13R9Gd9E+B3JJz82WbwShgRo79D8E4WmOqJuBX8mRtvoz7WySOetXXP8y4tc56xAinjraGeMq2CxX2zpfxkHaGslUr+ZnR7QCqyYPrOtnGO7d4cZg/LjmlOu/29zR4xxmm0ayh7pBPu6sVj+diay8h1KqNiLwTxAJ1SIz0b/4IWSlxfAPNOab/8TIUk89e3aUfkjg7w2sJ+t/ATM8xC1vm3yU0woestyFQu2XsgY55p4dCGWz4EZQ9wpi0NE51BGFoAbK0sip5pnXWpjZwDMowcaAPDc0K0MAf03+xL2/n3U0FagWfuI3YGHfbjgmCG3rLN/7rpRv1mqbCiDDnI5or8VdQiylkXNjOvBt8pTJVmytJJ+Ga3diZnHNj1AMD5c7S3xQ2fIrxDkTaqX8wdSGzVuC4bZ7qRj6G7KPf0401sOt1f7tKzpz3lDdzBRIHI+T6GUrTDX+pOqS5Cf+it5XoUxO+YxiHINQukk4R3QH0cBRww/44XMu9tPVNt0qENk5lcaMPEx/Kr9B3PPovjqViZW0JYJClm/lAWxCMucWpAH1QkEc3ddoqWzu0GPFvUC1neQiXmrDByal79LicSelUuZnZBlP0w6B83Ck621iB0+pX2VKpow+y6zYCs6/xcFTzYrURJosltQEhr/DgiPa4IaAFpzbuRHsi38Mv5/mYct06elzT5bDyg089EGgL0O1UWpMbKus5neq6fzvGie2NA4sfWggnHCOlj36iN+OXQdQp3t29MiFelfBJSUBK9syghhHfkOppBmOwDyYlYQMX0Udb6Mn9oN3/iBDDnApDKOWRIMVd+lWQYki0TSM9AohZyjiHO5VVIQta50ExXEWXF8TzbnBU1ZkzQ1FDfJMN9bLVRMnRFbX0zku4oM0aBxT2Q6R8FzwjGfJg7Yk9/ceMinozcMWFS8Lrt/F+lA1sM7HvZFKalOFLFL8h2lSvMAZKB/jIAhSawSp5jY9KRRQdK8qnZ3LGGcpWtxLrQ10sEbQtykUuWjBHmtfWckuPeiSCC97KWfPBNrTLLC1YKlOhSvZ52uObsRDT2ObXeQR8jNC8ZWseuFNM3qrLfRTNr0OHARP7MvImiZOJ6k2ElU5czpBUsUFhNMTPfAeDMYydmqRhkySqF1A968269H7w9fgfSODQ2y/Xs09t8wgKQ480jzu2E3yed8IT+rSC02wUQq6FRjPd2Ja0EwWpzq0Yy9No7DVCWCxLfZzFI09PXViFOtGhZYiE9TYfXJSb/Q5y1uFYSfNWxjGaAEofddNVhT9DjgLtlFs06dx49idylr8lNnt82ilFclp1VdRf9dQPKjnXJWnZkDC1USKeLpP6+V2PlmZc/674cPnNrE+e/5gEpFEKWa7YksD+vm3bdKcOAkIRc35f6snkr4IhXg/Ff1eCrGcBlH+FzRKgZKakJM20eCuTIcr+bT6oQuj40lS4C4nDSre/BiBlSnSi8vplW/87vgjNCPGhVHZiM1G7B0nDLDkyavAGgs60u4O+/EDv+bChS1F7Cx7ZlPOsmC/bKZ74XAhem7Q/Xh/C/nxX8iwFFHTyFWCZO42YH3wtGEUqy8qRSdf5MXJuRClE6T+TqpfAgtYtmKbM67uxB7iL8SF6iAtQO3alrsNbmYzUe4kvwyMi0VREAWx9gLiEgfkW/r8nhic5NjtTjbi+9SVooMEEpEs9PQY44IfDzFcRKsticIK54Q47N6yrU96uEYf90sQ23wcH8vsuJHjkUdp+aWr6s5eT3tO+ipTGOFfICLcxI1YYiVGVDJiiuZEHNoifgtMutH0YShziTw0Cbbcdb7rHJqhnjRvoYGy5dDKG4FBq5aW4aMN7XpAckUKrHGPN6VhpD4BCitNV9RqU3PpC1flfaNtQxOn8XWHQvYoEbWIAN19UC+8MEbZ6eanESKlD2j5wtlG7jAaBGTYhw0Ls3XrqModDIHqiJNWmR2sAd36hYyoZyxRBxKgx7oNxkZ+Ai3zYfrpZCKfc/vLRJdeGflmQBRUQU9cqua/Ztuac40DtLgvOortxcE9SlgRDqptsVVNCad26Ffe7rrrOwh4mNoSOW9Q0jckb3L7Nckh1nUDl69YKbY474lp9ezwat37oCf0KSMq+azTTweBcqsSgmZ7ItefmM+ils0UpJhpx+E4xZ0/Fe6X5r9Q7lpg+zg3pzXFzd5ZIFHymZrlIdj7Wn0Q5Li5r6jQEfY0VVpDAk6LVoUxe3qrE7DL3nqraeQY0PvpLPEfGpHr9wETlZ96mwVhwbsILxWVrI0wkFJ28VTD9rSfnWc4hZS/gmdwcvcpmGLe92YzN/xXYCb9yIbZ1nD8TayApwkG+GxbpUm+iE/w9ZhcEGZ5kz+jYZW4Vrlw1e36M8w9YvGa/Ieux+gaQc2Mr6Xe/5/oAVbbelUWy/U4wxFSu5138+89nOhd+430nxlO5HnmeBaRSzr92uNn9MifMTY363EwbvOSEf2pH2zmGdUs9cPUFLQnzZTYy50MItoOAyOXqdoVC0+u40tpCdCbPMs6nN92suUQHUsnFV9onVdXDsNeI2RsPEtaBG28Zm2n9A1Niit8xY/KxqbxzhPwT16DIg9zd3+zHvbvgWR6maU20KdsNjaf56ZSS/pMGLTun5gmBm1qFppokL0N27B/TCwCTPBLbANhxxGUje5H540MMhXaCfOpqqlWo21D6DIKzko22qqFXmCqqqPUpWl0NEt+Np2FehNhPkKoMYaW3eePwfWZSUMviWb1MqbQJLHVXznWh5hGp9vCCLrMGf1PFzdVT0HL6o048pZ4GL2v5dLly/yfddWQ4S6KrQhkwectpjvLLuZq9lSS1npF0F0gNrgJJB9b9YTiCz4/boyMuboSlKYQq2Bp+Nt5q7NfNg7pdUOOD+D1UXKaR0mxNwnitUfcsNXl7xfdnUpxFNh1s+JNezpLAsMFIH+jNtKKbp37QqqHe6mtj198Qq8kHegz4E7DLgffQkyQ05KJK8G+LlBSswzNnbiTIABl2o/tld+QCCciozuYJCOZp86qgSQTcDs6afGdlHgMSN8hNtNCSRNya+PhJPH690zezboiHwZOWTq3SWGnFGKDB8c0pr3UxoZDxikv04F4yBHpqyXVReQFUBOWmJDhj/iBajR2OiFNpHb4qestJ3hWR65Y5Dt4Ss/QlgDwfhXumJH19LXPuOPvkOGIULOzqaUAsddRGDZPqnLyFbG8NAwA3N6rXefTvC78C89aPyE/dAKwc/qlU/qN5Y0AQPZjIUcK9rUR9Lyi06oVyr97sVXZL3OSMKvnNxk0nTTkIcScoUD+ciqz8pPVjGBCWLStAToQq7s4vYMP1v1qPkATajhwF0fa0z7weJIK7HIYIsdn8t32bGjXmwKIpbvPj+sOPY62xlHc4xLwYDT53z0/S9ejUfy6xHB9kobhJAklE8Vb/ru1cjsMYrsaW4WrsiCwOLomba4mywyC8pP3JybgQs6y2erA1KqX8cjkQoqH1UC7g/hzjkTUkdtAG4F1XoNjwFJcbudG8ww2EGSm3SyUre0EPjH5ziSGmNL/RUaWOETh7ZOqA0w6U/0hYTFDvIwGjkgj2Va+QVDoD7Bd3+o5qf7yIHgYV1ivFE/OMhNXLQ4jmZ7jO4H8cJF3ak7/lxLasQJjlPBZphUv3Z+SkEnmIV7MkbR3oZDPS8SJLvL40cRPA68i3yv68MaFhQVvqnmtJJOEleQPcYv1XI+sjHOCoWVXI8B2VttC2trh7KxQ3S3eYGJ/ZeFeimcnvRnBr02BtT4X1ZJguPCrqBXfLVgNzLoO+uI+lSDrqk43KHtBf7WtBBFvU+UwK/s6dB/6is1QI+i+xixM8ZxpZoPISIX5GOtrw4Ga+WaTUvjZo61zKsXHfYfsUbJ4H+omLAruhKcVc7pM/b0/EPbykmwcoWdg2o55wGtiQqwg38Q4aJpGskQEaZdah3kWvyy3mOQEKbku7GOUKOZ71RL9sXbeUgPMM+/RxOkg1PA3XGWr/JfM72U6X7rtkzDzU0FwyhUl+GqRjW4RV0vMcPrA2IG7vLbjy4OQh2L9wmide9J6dDt4EqN8J9l4GmOaXdA/xAo6gDXW6C9WTfgbCWC7eL3CnbYyfP9Br/X07xZxgJCG5i1clJC2uxdhC02pKKCTxk+nwCqScPmSSO3VMAIMfY1iZNCUbsMrQyaUBekiizfq8uUX8KwSpPpX3lgpm9qt0tpEc8ez+2omQ19U5wKtj5WFtXLXatVZye6b+86+ZggylI6p3Vn7aq3y9GSl9jpIaATBoF30tyDbqI5peQ8m3D3tjUZYBqb+39YUm9+0YW8UqC5mqs3h4qr2d3QHx4ERAsns9KX7z9ZQsEux9sSGR6EJctxmYPTTQr/iM3i4ZV3CiowdOX8x9iS8CzgzUUH3vllxJDbmfsH1iv0r+wt/7cxlQx7Yd5C+30RgCwcW0m8F/yGPdas2C7Fdh1Nm2Yto2CfeZk1g0X83JuwqR147o375wZK6Do4ftcpW2YgIcYzWZ8+stG0N7tJkcjy7RDaqOVOsd8NuVYoQwb00pqro54H8Hl2fRfLH+UT+n1nYhHiZi3wtHQfw+vzeVib+FtYMPulIFNWhk0Akijqjs6G/5D+T4Pp8M2kHLD+DSNZBE8alo/VVkR7wvYsaH93jJ3uy2HurbuJQX3u4s2qSKNU3UzNuz2T1ggu5hZkKgYzqh4yqV4jnMMiOt9V11YrHcwkFxW2iIjBcK4axvF/AwYYMDkPiwZTA6B3FeR261QYDS9XkQnmtCVUgSBxShsRjWrtti0pDVrthmtjVOE6jGX4WTGzuPJ0UBWDiyaQX612tS531a686aoYqvrW1jEW834kRwGDgYOZeTp2TA7NV/EGt9Gjbfre8xesInrefcs23wpM17L79a73cfv7Xy9nsAqBs0MGTyTpdi5DBWA1SfyOwTwkykuIh/PF6nZgkRZDQL5rzXXYf7JFcjJ+YEZo56Wnxc4wczi/hLolFMfKnMpf+A5MJTw/3oKIfh4/VM7NVrBBC+x6GGxAqYKuRC3OGRCeQPY07xLytkeoW49dTuImrFMpRTxV0HKD4VCvR5CAHzbDfJDjxcIrMUKv9rhGhRiwa3DPW5LkI6JJTjoxcYrQSwstqpPcX8hwpmma8TT9uYcSuE3Nm8QS95Jfx7ZI0DP3qeBP1k1o03NOzRGCdkGVs21ueGpLnE8RP+mekGQPVoJPXEMBLVdvpk01QGDyUPp/b9AIe2O8mDtBs9fCnVxoIv4s+WSS9bCGGSOtZIBHU4OXVqanNVBE8dDmKkN98B1M/CGfCt8ZT/mxsBmqy4unaC9wF7r3RpjCndnsa+6RjHOvFaZ1Lq5uM+GqVWbrjW7zop+8Wdt+QIwr+gcShXnimT1eKDr89ngVi7k1Tf/2SVMLtuhb1KGhn664nQMqjtzE9pSqVK3wk6UEj0NNkKhjPtcMm+jVT0Y4c5aH04j8G05X1I/x3b022el5ALy4TyF55QqXFxhNuE4HPZoVcFILNCMxeDHyOOC8yTNkk0XJdQqjCH3hTbRVEWQckKdlq4EeBNckBqOJQ96PBf8G80VNGUU5IQoC1EhZOFGwqR27ge0OoY8Q1IpNd8NcGaP2hE8bj7TfKLOSt1akwA0xLfplkC5njUwp2pFBNS1kjRMbzBbHzWdkkxjHMwCUzQclT01rCwrmDuoCz/DW7a6gfSDLA3tyRRlpa7BbrAMIPR9tC6BQ50Im9uGoOl+5p97htdcPUbOP2a3XFIzPz/eFk/oLm14EmwMQO12VN/+kAXk6aRr7030YXPjP5ZbqjNf4vtI3pVj6vIBagMUylq1YEyt7n0p1Qr7qd541ercw8eUNG3fNhZJJN57m2CSHCM0Z5ejYGjPVSbO7A0NTASG6Hj4v7UDv6KLPLuQabrDjP6AXGOk7Zb11T7AtBE61P1GV7Pybkkq0hJZjrHdLRWGpJ3pRJFxaT6AWQtIyHEaqKwkRcLE0wJwkfoCN8Cxd2TRhPq7OZG2We3KZmgJs7USENwU7AwJI/iI911cJgtHqw0lZolHt1IrccDecHCQx819wMBAvKOm7/agaFc07blCX7Mh28i5uOyWLVTU/HUHbMmNiIZcmQiQsmLgbQxOj6ZOIGtgh5f9XJ1b/MTEpyR3lGSL+ZyrQRDStvI93xblHhlTXwy4d9Zv2+NLqo7vuvoeEqHcRwlal3e9kKvwpUpEwEFn7eBQbuShxRqLNkwhXIqEv0c52b9fLxKffQq2E9LEXiJ45zfLF8wTmukcydYg0IGj+Is9dWZ2Qr8paTmoKVXimc5sUdFJ1ZkGLqbzeMqJCeuIGe2lT16S368NArcY4bd3q4pjQ8Jt0OAckQgC52gcNVkQSd6n2W2b/e+cJKbXB9/hCBmxSkL6sNJr2BDLpR4S0rSKHSK3+DibuuhKxUt8bQlUPHOc+jf7VpKR0Fm3BycTNZP7Ix/fHj+o/AZlm5SIlk2gwthsbZC3Ya94o0t5XzN+i+fYb6QP/Wysa8SL4zsl78CwLAV5FGP6dHa9FTVd2gVz1YDDSkuzxv5MZRUWZmECVGzzqcrEg2G/jldOakE+NqP1kSwwBiWmK0sX5z++8fr3yfctTrxsYEHW2hnUtFhSbF4sBMSu79wGzh2lKcjnaFYzSPREuVb6o8UItdLb6uNEZR/h+/uJWrOY6rVnC9H3Wt2BA065iWo+jccEfr7x2JvpH7XHBaXu+Z9xghCCFe0qu8/aLvjb5ca4IBiKuTtTLzeC8D02Ev+lyr7ZH8BhnFQLvIwHjwjZaJxYgZOmAIUqj2Qrb8qOKPDDfkchELlajClUEWFCb7G+MrlMi90aY66oa6fWNrjxJWlflQmF3MIY86vlIVabf8hcO1kpTV//jLCAEx1yR9DdGnW0cKepTsWk3/oRNCubGEGPdhuJIF2lJMBlBMpVdZoN0nKoRIOEvBGmt7KHdiWGnIiYjBNAtARVQ47MiZQzW1omOq/aXdIwg1DNV7PwOrh8GTLsfujY1TUZKjTDSo9M0t1RGKc2HUtEwGV7k4lPS3RU/tg6utsnmM7FPEY935RrwVGZMrL0eUlDzW0NSKpqRrAhwIW+WKLxSDWEwVuUbbIqGBd4KEgxjcKMT7vco2ULC9xNS5gSucrjrRxMx5E6M6EElhqFz4SyiWnN4fVwvauDJX9weyC8rMWN16ewmHkXKvfcWPq3QT5qZeKssQfUbigAxgp1LBnijeV+KmLH0ogm1W8puCggay8Lim3kBWjzXsB1NLZSfeT29znWRexR8WEUZnoqrDQ4mqY9rTyGl7/jQ5RF3NkpIs5ntSK6b4daVkjz4mh0aW07XhdY30OeyrFp5YRzgKaAMwbgoJkILQZtjTtErEjcgeTLC6Dwsg/e/UvfZX0sy5E1EHtgrpBo/frlQAcFW81QEISG9nRic0XZn3sXTvm3MMCmX4NOypEXOOxDH+4Xhx+goneqsF5dhL+DZvVg9Ihv+yR3n8prQhZWGLPJfeHD5KSCtc1ZqtnvnyVPF8ftx/SSv7Vtsa3oAATiUtd8K8AFWp4DVNuMY0up1eews6fJDYacKaXBlPiF/jnlEa/7plF2Gsr4ixZSvUbJx+R4QmpnYqe8FMgg8EAKZEVmAZkOTkV5obJgE7DTYirHR9qusjnU51P8Xdy0XsltMFsVgRc750PdiNoPLDV2mkOL7is6G+UAR+Qyk07DdE7qtWIoECy1ZUsSxc7uJPnAUenAkuAsTFPzU26Mei167nebSK1JlSJIP3WaRcrobx5tRBB8NeUc1NrhPyA4pMk4qXpvnLbUfgaOFWwWtpr+2AjYLDaCbfnkjlZnbRoyaZliwsvZiAKsdjsS97hq4GyKtfTeMkSqx5ntpkL+StjjPfmuVwL9gsdhDp3HtzkitFNp5urBLPTK/dUp0GAXImloXKmCtJlBJxu3/RyJcJ8a/CEL/cyPqXVT9MaqLfgB//fN9r4gn6J/ulbSvrbC31ciceAK2uQGpAStkbhV4qBNJIjG+PhftumkTMW64LjOommfeFkR/GurpxWrBlv7xMJPNOKZcFD6qC4ud66LLSWDwQ8I6mGBAQoixeUESHe94XSCtI1P4lfvjSTfesWDjKWroaWJLbxXRm23i0dYqNbodVmoTrNMymVFpA0cC/7X3AxCkIVR9qm6/EJqU7+CRkTrVp6nn4yzZDm0Cu2aZHQYcFxyUZtXgtCnVsXlfuWt4njBAL7IuL3CzB+4HDIOTcVbGM/Aj2HTaK8AqwyL/EDh10ZFOoerCvb7lEkH9DXER1tHHu3K0Si20gsVP0yogpam0UfWs4msHK0tijsklu2J8MXgX96aY5RD0pYBcyKVxYWh/qTLdtzw8YvrY/ykzloUMzTSlNdLTAkdL1ysizhCYRnQCyjTT8GnfIxsHsRDev058naxCcyQlx6g984DtOHY0sDYHOt3I7fY4TR9TXZXaR9dLCtL8Cvi9OBLFOd6nsiMtedMb6fIM8V6MLuGpk57HSZJ2L94ovZziz/1IpQ7A3G6EAOiqJbiUzWhUsjRSynlpLkI/DKIsdGDSmy9+qdq+bp+eid2dzMB8JKjhDZAHaK3bmcuuDD6ITn3neOeuKFrZAeD0wTBdfqcwJRtefp//f/6KqJz2W2jzf8xD4sc6c+EULlYtTr3+nUCKGN7XFiU7K+GaDn19Qqjcoj5Q7aLMVbr33Fdz/nD8GWPsTMKEHdG2dAQMkEzMqVyCqlIWR9rKukc0i9sJnh4Mou5b/YKJ3mGeskYqPZU/jTHK7PWGhelki4RAoIuWc09zGTgCLTK+Av35TTdTlGLzXWZ0y7JzcLQ58dh4f9YDkIK7stZ+XrbJabSIR3sNug6eCfYlqn/FSoaCbOu1/oKx8Ee40TbfyG8Gan0hjok8ZjPJY0Ak9r5eqO8wPHRoWOGEZ+XNpPov78SG/nrK0Pl51uY6a6S5UGDlzYQowLGLZZ+QVHA7xzZrtGmnW4XRlbA56KOPBnwuyL5Wg67ylKrWlezxho/xfluhKU4zj29w6s2fWm8VE+f3ivXhQkSVTKGGeUla3JJEJELZa1uWIREC/NxDFjQCZRqxsJRHtTz8f6RFg17wwMe5vX4v0oFaNnXa5koZc1KP8HuUPVy4ohHga/V62uMY+Sscy8icKDM2j37ogjzzUWkWt4AYyqGdCTQIatz7AWCm00xta17DaA13mWN1cx1D/qIfgWr9Pc3rlH+6iXZyD91+33/l8zaM9wVNv9eAt0FwomMF6wW/r9TANNGUIa6WdHlfPT5sWTuT5xE4nqa8k27K3xvpuUwdSSXKnoRLhD8aYgDxvitV2NQE6fYBv3oxjDmRykZTD0brZlrYakXaDIO1NFNpvLySZy/vSP67cz4ldZaWz4c7nSMuM1TVcB6m1ir0+oG2DWizk6IKRTtI/t22J8ZbZEmLP2zdK0WZZ8LAAB25SBygYV1/fJmlb3a0+K/SNkVT8ucjUL4JKx529N3n3qFg2eFbthjI10WY6mZjul4p1eMmK+/doTILzLSbP8d3CU27bH/VA63EkG1PJbpNPWzN5dkTVpsTXqWK3jTUe3WBhykM85Y504iokaZKFt6V7kfAGGG/4Zb5mF/l8kKhwl+c6RWfmV771ooFRVgxDEipjDVyPPOhYQQZFFyf+3txtJGUsW3sA+NfCI2Af7Id9MeuKeC/YTZAb2BKTDUvqeRauGw7h/d2LnNthwdTQUUWrYw/V3pUagP9IN0W1rCnwBqGotTFxn8IF8xzkiOjsNNaEpc06SYNfjHLF0EnEBLjXS21xonnmeQI/MEGN2Jyg0UVFpZKa/xb3aA+tx5HbpsoDYXTLVseWIC3Yfai8HP219j570CBHZ10TQoYTfEKh+TT1gyktH8w1EEST7uUz/NASXrp+KYRpkkYG92YEl+ZACQ5Iad6sjGJ2tCkPmKLLmHbbQJrIzhJSpu3eWdVtG1M+mNcY3rd4k0w3BJytKjlA2Gq1e4R4tISp7wbg0NjBv0I0PAp+6eWkaUs6r9U85zrCB4t4HJ4/wrkGECpB+MAt08CvcGXuDfcZc6HfcvgEacJzaRbgd///WHZxizJ3KalTtrbTeZkSrY7mT6aWF9H4vWSNKfkI+rk31TkJBI1J0CqkwzPL2Qg5cVUUJGkazKo4JMtxtm3bceac5bpsSVY83pqtIoOwXjHthXqLIWJemiFHfhcHdeiQW2bVBzTxOnJ/PwzFYCg9rU46R41XDaXGrcgC+SknbnBugFLAmWu7cqP0GH4rkT93toDGwYlHNg2fwC8Q7rsKlQUpQQM3ChdXGP/2nPl5wc89YJgntnu5WwhOznsYetYQeW0ixMT1T887zYizVARoK8FMkeC8wsvrmqXENlpTjQ5vLb0rs54hNPSOpxLqFDTzMpIPH5Yma0czCm7i52+VTNRxjMALJIzOt8gJZSFfC2M8WcL6pTsqmS8bX1LuhlJmLt22yG7YpOQDeVyW7tExgbd7RR1BGoUmPgi5FP0Q8Y1ii+CMfIWgduJ7u1nW3mA/yXHqa1Y7JAidkZVQKgrbw1zK+8u6bIUaY+wXYeY7gTXZmrwjXFX2OmFyAbDZgvDstU8L/Z02NSt3EDjl+GyAQ8ilBVRu1Yo3Ilac85wpYLWQ5edoqm3tx+9/qg9PSA9yss0YyKNzHlf+SYaY6jxBQnGrOStQ1e1pYxy/pOBeL/n3t6FrxHOqj3FSZ2jKcvx411pE3TUjquTLeDZm9LhCTNX7slfdFHVVVqzwXzJkKIS6Yepd5KMZTg/vSDQwFENo3xHTvKv0YuoOJMUIAeFL8RKwla+lioc63GdlxAkppo+5G9vW448B2QkyUZ9VUZpszkKWrvnGUJWVbrBfKMB4g6pJD57g9P42LEqxwUExVWKUzNFr0IGZ4zbfpdeCeTObysZqThjPL9X5Z65TlJOSSsxHWdk/DN8SyxLkz18kopi61EzpDZZX2Ho4iW6sXL9iSFcwF0risrAm38G9wW8gTaKRZiTCPBOvBZ9lUNJTvx1REGyPfpDzbI9Whg2TbnF8lndzcXwyQiXjILUpi8XYM/bTZ3RFOvhF14b/cPv9s87BbnETRM2yI2ElOiHoRTKjze12d/p2f71UwJ5B1vImC6BlK94vlNUoSIIBMz6qD5x331kzdEhtqy1epsvSj9/TvrL/w+vm0xpeByd9TphoXolyH5+cCYD/ZM1WZjVpK5QF3SLzPmsUZ6E7UKLsrBXK5iGDed60OzvXARxaE0ANI//rdINwDGfOoTdiwmSKmUe3JRRwuU0BFZZ0cD04NyguPgYfDz9VE9FeKz4D9u1nnUEScDYwA1jnnhme9pFusGZGICbRKLKNnUaaHQjsZETox0I55EpRtrfpYx30tqxvgIAh6tI/hDZpkvFeQzQK4w6KJOmnGaT0sPyKsYaX81QTyu5pj7zT6tZS1ppmSpK+89d7eOj9Yw2CYznEmAFHzlJqWON38I36MITwMZzhNdjPW+Fp5ba3pREDFr30JHTcJlV8NPPg8frbWvbTNfXztdGJszv5mkIFJvYo6FLG2XYvO/RpGj2xIaeSaIh6hX1V4kxmvnLKQNwXsIu7Pkmtn3dkhloaZ5NIYdRGMf74/MmtEuefj78HGIX/1cMjhXhpFg9zgyKSKyswWOW0oYvoU0i/tdI0DGbY6uhGZ8NzJbcxsGTpD5dqDfkuJQV8NB3wBWwtDJl5vk0/5ia8fpgr2Bdj6KIOk9rGdzwudKJoJ3l1z/Lig5pVWd32U1mdAMA2gXEQ90tpgk1Y06pKknN8k6x8UiRgKJl37CcZS60al/uy/pM3m2QZ0lnVT81bINoJ3aOZ7R+THH7CwerrryIC80qlCwZ+4lPwWUeYWONtc5oj5SZE/Y5qfhm1buyTHfp4aluiOlewSTTJrRrFgh9SASbCZF3VoaZmZbzatj90qKImfEEX6Gq1RtjiM0TeKJwrX9b5MdiZWMfOcsuh5730GvhpGJvSDbyYlVutrW7aeUkqodiaFA3EXNS21E7FzeyLVMe63FMpas1HnnPxYdaafXmKrdCeCAUaTJM7L94EFc6cUMISdduFEli0Eave+qqxlNxQrlWwLFROsdwDWis6dNFCrjAQ0yHM1dSqEDGmZ40Vv6yhX6lRV3nqLIFM/yprfwDOGjMJQvySjqSgePe4utb3+igtRjdFvGRimJJCd8Ic7AqIONYfXMAta5W74D5oN9cbGTp1Nz3qSshJqVHw5v9+1jLneni4bHWkPMqrg8Fh6bE96A52I3XfCJd4tz4uVYrulCIKZ9YlnbJXQB+wEbvOXZCKGYQbCOWvyEqPkqaF2yib1WnC59FMB2hvUi2mr12s0aT++lu5fTuNM50miEqKArRE45idXhVFpVqtGsB84ZGZnCMJBzx+vqlExhzROMUbzurwij9JoiHM3mOoaFQYlVSe3e94pVGuoZ2QWDDz1HYrXTGMrz7ifaZWNzNhg+B8Yi8+TNWbNuy2V5a3f1yhn+3cF0f8+aUtE1wOgliJMn3TURX+AVtl/3olwBEtO8+nz4NxIcrwF+AJmaUiGlI2SxhSgFlXHZTcGV0XmpEsDXgrsl8zQ2sLOk+a+CzWgzkAHOj0MFWr29zZpp3EJuiGeQv6vV4X4FpKRHjg1FZ4KAUXpGOgw8prZ1CtryUJ+q5P1HrF6AMcyPPNZKOm5MCQlRq1w3d2jvld9nzfFr32rewZXyJ/nEIwD2mvsiHRR193d1vCswENEcvxOlNgtI0+9DlWBsH/iMpoAJb3F8TX23dJhesb4007PCwniRf89yhFO5KqFdWCSI8g/xk0m9eBX7wkgL0PuqsfdF8sXR0bL/orjrSrpTjGUs9MsNelqc/KOhsXfR+Vhf5+vwSe4xXnIApS46wb5ZHoDEAKFjFWH4bQ6eqAmv6OiZ9nmENLpqFGg0c2SNmZRqOR1Y+Jg7F5gJOInMyfREfpZCh6/8RcjU1O2VsfOTxcbSsxSoLUPsuwPa/fcKjgLyKSr0POZPHpS2luNnPr1U5DZIbBp9kMJPVo4rBsKWBptEmnyaY9lYmRIZATgidwjHt6uaDBN8YPTNaB3vRzgNbNTIGbDMY16M/948c15HOQO0rLha1ptd2QCSRGxKZuQNUdxrTix+uF27Y1roQ/eyUaly2GhJJ78YU1MtontUh+/ktodPj+LAv4Vc2JbqljcJLGSSIs8DVuylpnp5OdIN0r1dVMNs1OOQ/Xyhe/fDNZGF6H+ba4mhInE1O5XYZuyU9YgCPzMNr+gnEVZmFu2FR9BeBjdrEXuuVyl+5Fhm3LLT0ia0eXAumNpCjKOwwKauAHO8bekMM3qRN01JxvEmGXEO/SWxWZjQunXK5878/jdw2cTr+sYc/ba1XqScM3xfcr85iHu1mRNK2kBV0qUVVQ3QTYfQZlSCQ4xLf31GW3cTMumHmJWY2Lzk83erNecGvcD8Ve4pX9qjtTRSIJkfXCe555n1TAoyZQHVggiTQYRde7aIki/UkNnI7Cg+IkHl2/CIgIFWFnv6hZQYZsc7Pyb6Nqqh7ISottJVs7XwJshgNRJ+OwIZh9xPEgUEmIhYt+Ku7G0bZ6py6zQDBg6OpvPcqJFmURCGutjrxFv3LV4SbRhZXFEk6zOgNANQTxh1F+Hpn+XjNFdqWkgmjk+mkpRwh+seLuOFI61cc9OhMtv6xUUd/N/65fPuZvgYi0NIHSSzFAGHOxj4YEBI/0IL8ojw9+Ik8//xoZayons9grsFibG+K9Xn0hBuWhmq0NsFwSk7pMizd4VWeR0/fCXsbnwGjISaFMjs5syvEYviReKg8npyu1alR7mPEvJUZsMTbwnVOj91TtmvutvfBeZkhgrcJwtinvPWnRNMWWWXyzUgzNesznWweT5BulCsOzlnrhgLC8w0ozZ13PXxLkgTx8dpO5iI5Q1icGi2sYUz+ot0z32hnuIQa/fSOMPD4uDiJ1wq29qHSljcBX481tZC11P1UdkVW2pJ2Yqxb2VChubnU660oiGiPPmtnt0bcVKNTc4sua+elTvcO2R6f4Q3jH9QDQ49ZqbqrwBWIr81b0JTLVb2uH53HII6d2IOUIoxCWo6gQdC4QzCyv+PpLa1rOWM0/0IjgnlJ55+1QRXSLNEaBLSvz2N7UTuobhLVnlCZCKdA0ofvGshR2+GHBkiHQVIw+Z4cmb6hfrsVU0eocRKIelDn+zPsJPckxB5OQHRnNjEBf0PKxPvTJZZV8uIrt88fKJEvWuHoUGMtdDNELCgz2bNWBb9LEDvQlovh3XaHC+CD/RB5Ac8f2Lu8rkzZTGEV26NjtUDyksSxNFqQZDPCRVWN9OyWv+lXsio3RA6WERllsYsr5kLxgyaaWsk84Nizv86/Jnd/bj++Cu4yh3e+bvRQdttMRcaV53wbdUhgbOPStblaDxEsU8poaMco0x3TKpTyyC3cCKvlAlq8MQvFzb3U7hbV0bOtkCeem8f2AEuPVto76ZBltg903rif6TrJ3h9Pqh8LcPC1GtmQWn62ENjLZbleYNiI4+9a4/+CkJRq18AjVL+s0uLtSVsQ81ug6ONxxytieeA+S4Mg4X1rXVfal7/75NyckxhnYNIbWujJe3SrVWLXiL5534XWgugp6gznfaHRqmTTRdUtV8+4eHoZQMSqzvsy8nWTOYJwPG+KSBibmK0V3OTq27iLubF81kxZkmnD/agR9GNkL7I6knhSZlPu18HNUxLEH9hqGvxu9ZAs3UCl1L0VSAcEWlCFNk/bMPId7Yc4Cjowhx6jVTEj1NdlbOneOr2TOaIzQNdK6hrh3kaqLjvtx+IbfvyY4lMy74x8VV+toZsAN+AsfyMZM1s6C+5KQ7JU4ErDfFA3ohtID0XRicXLSsnZ9HxD43r5gKJwvPjdcz8W2FoqALtKWxNG4bsR6EmvB9RyqFB51XUyn5LxgqoOmt9vBVLXU1XhiVz5jy4e9OmSg1pBpWIiproNwTngsGUrzXWha9YLSLitu6Sxi9L4Zyr4VS9ieWdF+owW0O/eUJcxgxGkMSICtgh6UnQU42qhXtxTQCS4RN7Rpwyhqswbdwztq1YobvWRTzQ1h7kNWvrYI06wsrVDUU3jywhp11cJBwStOLzTzpHH0wHrt4aH3jDMaH1JxLGts8y696cD1gBf1EwIi6aBNlsp63kpFDJTAOY5J8MCPOzNDmkt66Zcg9gzqcHxD5nnA6EmjK/BE7UOt1b3VYWfzpdKMPzZ3gwCW53ANEM96xbOz/jaR/yxSyrIZ4xKbMr06Sk4n/yFoOY/XMu/YAr7lnFk1lIm/7jSmdysT9liEaSAgA54A/ztaXfnrb+H3UAqeaJhtxemQpBKA9S3iWRdzRhktVgByMoWI3UsQfVF0mbveutTuroN3RUevGA9IYDiR1Srvctcb4YX4B3WDcJregqLrWFmj1P/bevk4/9eLEAyUwTWHhI1dQFBqGvJ/F2rbzdTsite8xMtB5WLqGEvSvtwyGbEty7oRz4cBmetGYASHG5nHusNPTZLtCwQYiB9b4TEGt0T0gxlscL5g6tSoLdaQQuZFqoBXIIXIgqfw7fnK9B4G7MBMNMwfGSaKOVqv+urLMuQxEKklXMQJO6jnLXLMMDge9qKtToZB1biP/L5kDMBJk7eWXft3CSgcPngyVNIPvC+XDwDMvuJOeclUfzrsV5UmTKzlahpXsG61yhsDV3UHrkXg8/C/1MwmRCRUtVsZrwTxepGXa810ROOo9Adv/les2S/0IGC9ogB+iSH80FxHvWTPd0XvDls/ViOF6qc7bMuRos7fX6ZA6U0C1CmezLTf72apy4d1YT6siYlwSLeByvl2MtIsegoBXEq+u9kA1Wp3BUphgc5f+iAHZx2k9uPHddFVA5xBR1z2RQMOZZDrhWP+z9VyW4q5ly7f4H7cW5mrmouH0bsDNI6IGuNN0cNfOPCuMB5YZa4gP9bA6NuHqOh6l3OJSF5hG2DVGjTqhDQNO3U7NOztT5wVesvri64eIgkxuxQSYzPFYxPPevXeJ9aO4ulgWPiOTLJYFyFLvN9YEM/d4CSTnlwS2nTwTJynIY+lLp8M8vJavvyRsj1q8bJC8m5wwzyVGikWc/8QG/WpvgOwCqEcJ5CpvKe2g6MYn6gtfVVa1ZUfQ5nHH4L75UmRl/uij6Bg/49MLhEcGPmTX/laB4iYAvt9Rfwx+7kJDCn2dRUy+pCLXoyuI/B3R9vQWbhH1Sdn5U6g1BCkcXSAFaY9f4nXEk3TTXQtyD09BNTydcx3wNv1JUdTivqg2C/uLFSeGRcXv9heglgI0FihX7qEsZ2OJ1gODn3sOXwk3eKeTaHORMeoNPx5y7BT+uGneh4pizrWb+88q/4f2t5lO3Gs29Z9FdWzsBBYjqAQhYCQBAJjI9AF1QA5jY2EyeDupz+t9zHmFJH/Prut09Y6hWht739lRtogzTkuvX9dys2XXw+f1h+Fc3RpVgGJlcv5Ed8KHAwHOiWkKnZlNwTlIOSGZTNSNiYvnHpBvLfGxlnipVmzBQ+eYG2K38qw1wQmmd7BJuWCFxcjYwgj+5RL5N2qrh753HvFqWv823oc9VufzvgGSlIwUZpWmD4UkJBTn005QrQ1et5tWdvnrxH08H8w27pXgfZsZIY1DHqh2p8PMsRcZNXO2pV1Ioe63Z6UF5TrJvp0ENnJ8dcyFAQXWfLCEpHJkHRKJLHgkUS3qccwmLigZ5na9XkUbvFizaA1bV4lCvc+udjkhLkBMnRvRTtAj3mfEFp+qdmV1Xi4zAwlIsSAHPvNQNuzLZdQnrU9o9Hin0Fvb83TDLkw4ceITUrziQmtNtbyIQ0sB6kRgINlHE+1U62wzJ2StqRFrjpRjx9obP6prXHSDxSSg4QGKmTvFlN9oUhYhMrRoKMB9B3+MApr0+Sba3hqJhEa9gKKmaTiJNenTFuGngKx3Eq3QMFGB2RYB6UIV/3N91ufQVfdfb7KCLKOqEXsllBxOAeTfuFhFvgyT7iYoXH75BgVfQkJ8IqRhCx5EPuOmIdyLnlzWbS/PFYnZ5lvVPqDzbD8nJOG70YfVd29rSRaQjPvxttIoiVKZOKg18OywE720EboCnhScQQ1BQ6RRgDoctjJIfgR4zQicxIXqgN0WS0NxVuzcezK6f78vjWhK2ZwCl2JdQIzXyAGiaO7sRuVon2VGF5U8/hs7M+XtBULQ36i6L5MwE33JuVHG9qr1g+1/V73NsJnCiWVKFIIODg6+eyClcze5ZtNSA/e2vEW5M8r83PPBcUDiBYNUtkZWyacr+U8DihcovJ1TxVXqe9kdNB8p3IDpnEjDEJRVWhwOK/rlaIxhFEhhv1v05MEd34XL1aaVHNxMhhSA/H34yzoFHhTtDFjmoWoCjqxcjTEInAMMrPvwIXMlRYodhzoy3grNuCgiFhkLeUpg6m0fApOa3NZFO2u1iGY2bvpU6o7bylspJ9NbxA+nzQfbdJLWomhmVtPOFbaGETaNXPco1MEjCElD0lV5NhvdEylPftbL/jjGuXBZNSTL6i5F5LEUd1W/55CcJWLxUkpiD2gjktVJIJSSGFjuzpB1vPH6MYSh7Eswcp5RrRnu3sq6mpH+9UsOQjslrhQDXD8KgWYiV+naGGJ+ddIxpRlj3FwC4HhRie1H/4f4hhG79/F7QkLlynjoVjeNS9LJ32nWiKjDwzwPPcdr/FKFYwqe5SoZVlGwHaE6BZl859XlUrjCKLupMr3UXyfbt4AMgw+NE63P2GBhM25yc/h3J69LgbVRZtxda3uy/x/9AfdUaq40b4iVZkxOiUwPKYaQwXgaJjdd9OUSkoBxxzzVjfSOvI/57NKom5QUrJlKs/GMohNdoNJTncYuOPqR/2xyrrSpS873DbcTb8R5i5yQDxEUJFzgM9dfHlaWWYIRy8JYTdvj0W9dWYIERJee6+XbIMJD1BpEP3uZX2XdIeohc29d8Tkk2n3scbD0YlvwlNStuReG5M4mrceJHRSIrk++0Wp4W0eClfpvYyu2vI+X2brDzDGxRp2b9tiiOm3xT8Pkj7PVQGZ/SkJVFp/3DOIH0gi+ywyGy2oGSuweS3II/cqDMh6cv0IQF6QzWZvsV8ydVXdwLSTS3ughoTpHRTGvqCw+fB09bz6G951V88jZSZTc/D+//ufHyqBQSrM1FSb7oVvKQbkkvQXdj+kfg8AUQpkaaYWa9CHugByajTa8HnkO8P+5o2KE3vbwtKt4pX0xG3Y5ZvEaEJJy9Gs2YwTkKkDYeWeKaJl81rzlLyKFNKgdNb/khmNoGo1YybsNRfYQz2gTlAgIFs3OnSAS+4j1FKesr1ZJWD1ZNBy+qjDEQUvy7j/cBrrowdtQvQ0b03GqGHcdcN6m/xeyrIguBVtiKgGqWEx789UeVE9iEQ0dIEpNgLAHJlYa0p+0DzwY5n5XZPBi21E1bLnL4LMof40KjIUlBIxYiK4bBhE3tkbqGcgjIzcjXzKNe+cr8R1NIp0ZKBaIBQmDyD5YAzXIbp0WAP5rS42mu3jOviwrJVG3I5fWAe79y7ti/PS13AqpCRrV7DH4NKTSjg0kphBKe77BRT/xHKgAR5X8XkhFNLqiTvPKTjYGS2CXaW3qnhPGIzouuYQopjgpWUGA8C9oYniTr87FDiRf6fVGoYpNhgKQN6lF+exmBUNCBz1T+IHs2lqg3lcESeBZP/JZW/mXpzLN9y5z7dhLddk0XJG7U8Ruy4vVgsungPXHK9C/nh5p35lT9WvuLuRSiz0I3R9IvIWxei4QhKdLImEKIQPM95WwdyX/Do9ZvlaQ0YyEUo/cKKoU6CJudkMBLVCeTIjfHzsV+joPqyZYpnpJMV7bGly0iDepKYcHYZBZ9lRyHK00yATIJIKUG1MW2FFsBQ8YOReiCzOSMGLTeN78u/4rjDCI/AbAna7fJWASYX+Q0pikaXjSuX14zo4LnK8HkFHn8GrZFGOt3+qQfnLv76JMhEDgJdfB66Uf13ec2Pyl1yvQHHgKOOXSA8G/obcq8o8j+Q+VoAX3zXT0OpO0zicu9HEWYbxDZvYc9PT0EAq7BtDxgOpvqUq9HqDBKqNdm1wyAjqtuO0FmORQ0xrFu7YJaT6wb0PH1mX0d7y/D787Ywzww3DzWeqsnHnHvn6vxfUKRsFFDXi1Q6ORutkNAkugCkHZwx3njyF97lHbEfcy30HyMCG0vhSgAKiGZqiPPAM4CVb0hXCiq2UNcI0iV/wgesANEAhDeAS86DvWYNyvBo0LqQGQw0gxABD1HYevi0zeSGcrcJRb4xTEy5eLVEbI1xoOCTGqB39Y2nysrMa6EpYtqfId5n8hi0K7J19pWsUWke3sk8x4xxwNRY1HPJTa7HQvJ3dH1xQ7WrzTgwJvX6SYCvnk2oZdg/8hFhmwv6CgwH/l/XWiOps8wsIovClYTDWBVTuTibYvtAIfX4V9C/EyRq4OmQhtdAlH+TO2G5MDSmzaJPfFkvb/jqoAAZU7s8KQpupLTQedD5t+R0+vgkRqB0WGRfIiA4zYA7A1UHcwtex0hyPM5ElivgJtqt2VDlz/JjitzUiIb+bC14l052LLRToF0TWmQztPR2Rwb2YYYMcCG7ytdPaczqoBu+rz/58rXCiPRnwo1AXyOMaUegSRsOf7fJYHSRELex+SnBERwYzQjjksjM4rXbYjm0RY62eU9kpITIYzXtwl4pm560Q41hTkNBBrwjI25lA7LOGcBhgzeYsNl512aj1eMKADJNcM4+NXKw2vpMMxGt2ee5TYlRATX7yAEFEGok09IuFKJBzcMeuW6efbBZ0V/AeW/S9N6RZfGISh622y1FO3ikls0IvBJ0/kgAg0zrhU2JefsdroUxTbKyxwQXlnWa94cRmvoLzZr1LW2LZygqRhzw89Pv4c7fJ01M+4X6J9/Jmj9nSup5Ii410p7mvYyB8HaXJuCJqvmFpgeGP7/D5Nv5jzvpv/RYTcfZFNtHZkbFVl3n8RUnWlIdQCSZl0Ijn4rraQbaDjC3XhJZ6dARg58PvFj66lWlNYVXkp0lSHs6DKZT2QvpAC+aKcYQbXRAKUowmH4f9gG01fBNmBSkzz+cdZLRimhSa3OPoccs8Muk+3Hg2TTxYGMELT0941j4EOVGXNwWlDv/C29ysTOJ8g+5bI9bzfWVCWChWFStqDf98IfAODArFthqAu9u7sPNWgTPMwBrXsE1jfM2Yaux4lc4wM2+nRrNNrbzqQadSHpQh9zB/9NJSR03/5FdIxymP6i/LvC50gBnGh4UFA/OUe98e+LuW2RVziJap9oPE/fmD0onSVEdpUvXWg97B1iA67W3ZgSceJ/EvVMrwESZcKTPtUSj5KfqLgLDR/mOc4VbMhDbWIsF4ECF3F6rLrGN5kV78t4uEmXiwdfDOKe/D0PFd4ZwpLG4Ixpe6NPtkt9L/MsM4Tjq7Fw/w+i7R3qJkTZO+ZyAZrTqERzFQJN1i9PZhsZEsh0wQfBKa1aAEqm4YJpVsq1/arkUSB4BKU2RlTLNFDIWkirCks+mr9AgKekDSNlYcPurafDWYPOC3uuErdaYIq/oDHCgIoaM95xBPvKpLlwaQMWynqBwWddczZDWDqCs3ZskgJiJDCsrb7PNuYKzqQioQM7i4ereaSu/bTOUGJgQf89GRpcThh4i5zTx3lshmO+P/bAv7xE37dymfNjI7ZsS3s24r32EVXtuKwnbLMXQkczdOCJ7ER8pUErwHc6YFWCAvtRY4PypC2Pem6DJhMZVdjQiJbwaEoG9KdAZ16McdkgnqVjZQ6XH019kZdu7wuFwAm/8zErwWAkMgGvDTefG1kSouZjqP8aamX0Jmbp5Od6/u/Osquj1I3t/Qj6Ym3LYl0SxGGDsM4qm58eUHxfyryOKAKkY6TZ+M5CX4rZ74qMGATlvFwBn1h0IJ9D4fK7C6JIpDElurL/3Xr1hjaPgXht2pn84SOKSH/bcPDvRUNCtrdmPGP9LXreo9GQeOM8VMj/qLT/mcd0DBkOjSPZT6wSsYDgVp9MXkWeN3O73meukA4Ce773ov+Wkmvj21mMdAxNf8FxlPxswIzd9c2N65FnGdCT00I40m+apo+InXy8Kkxwkx3UIwNy5BDeswFWM81D9cOjCsFVrUMWDMsxTysq0VFGkg9NDYLqdKU99xeKwiDI5rxFGF6MBMtdblocz4nqSyCBZY6APv6F1DHAno12yyIocfBzEkr20YQW3GpTDQ0FTim/AHPz3ycx4N7rsLHNKAkxgvCRAA6uYW4zdqQZG4oC8mj2Dr/1DVyFAtMLs4ZBaDAbMusvjmjNOtbHamrU1grSJyKIclhoimjwl2NHnrcOFMx2sZBq7mWGxa4NfKEDGIsY1X4itev3EFBzJyZ4gElh5NvDvt4OQ8LtB9va/fpeljVCgEFERh6ZQICUpM9ftzXSJhAI0HSZojxv3eeT4CjlzmMB0J7kAzgFjxGpRXa2lmcqjnMXbZKWeh2wTGlWamMq5B3tj8AuubVnl5P3aTZgwOmUoDKTSQ/tSXUMsdVxZ4+UBLV/e4t1kKb4a/qCvCxHGOeRNpQr2zBWijXrZsfd2Pexq4yoF5sF9Z7QFsMUaCO34fvg8hT0g7kUr2n7IVNKdQpKdM6RPmUd7a9OZbWuw89aDlkwy3tqnPYTI5QE+jZfY1midVgofUw+EnRDwZ5CEvQS6Bh4cwdF4k376r7vggPr9m6iGEJkAUcv51znhg645lxdNRGRLOWvn2jcc2b7mpYMUoZ8Ac5/2N8wc/UZOd3Fv4cEzxlLcmL/Ptwq6Xt+ZsakGXtGzMHxadxThrub7WdZf54SJKxKos4yJaN3+BgLv4uXu/fwoaWbaEdSWj2TUS2CUyDeEKnvyyFGfYNBQGHvcqm2diavtFg3Oy6yTvJfWrX8ZlpadSyMR0kwG3l074Og7YxvekcBrEnSK7qlRvEMkw4du3N6lh0EstKHT2C8TO7e36LHJbexYM4+DNuO3MgNlXbW0/gxn1SfJJFatzNwWCf4untiQNmHctjy7iJYUbEKF++Bdfw0oiIvLORCWCfuHienwUeBgCFbxF9iUXT0cSSnjqPS5eJ06yHfL5QCa0yn+CQkwhS5ubgK1+pjzsMpt80CyPu8tiuclCF+VvvF9J3mPK7KVlvhcZ4sPDCEQkFQhKg7nm3/epaStlA4QbBpHwwJf3KKQce3EkQyeUZCJIkULg0gAN0tPahKau77el30b91MpJ6AR77RxAy/zXHAOXvjR+nWY3zjdbC/PNQjz9eNLMUls2CahbvlHwEPYwBn0zZ4KQHfSI4qZVR3O8+S328LlWDWcThKULr3Fbc9MZ6b4tJX0nDRFM433pQqvSiVBwF8y6hjBNsvbKCX5clukUq4TxASoOMaN0el/OglUC+OU17c09SSwxVsAiizZGalet6v2G2GCZzXz/IVN8DRzarGteE8HJIL1e0laaaaAHxszECkXvKiYXe70WPLoI8YOW8CNJHAz8dFvNBWJKnEt6c/pJ+cQdDWHH4+zuw/s2PK3J6LBJhdCAcAk2rktXdgA+zUBSN8SZlh/jzITC4Td9/uu/zvxnn94L/ZcaiMp8lx5W/85PhVZwc+w/iIa1RqO0rxrEaq21ehR0V7quJyilvcxiwfBfHrHa0jpXdvwdtSXyGhKIxXrrPHrPa0FGZ56+Mb9Ip8KB8V1cT9LVqROCM2k+N9vKnyVinj3oTJ+7wL242NTBMhLTmEykLCJh3I7fHRoBNA777uMKemcu4OMwre+2rZMO65QyjwiDlIE6h3ut9MkAFU9lln6Z0bKMXl6wNIjvA9jzto5Uhv3v/wznSjtcDaqdjj0Lfzo1Lw+8ygsFlViyVdH09+ywaRWSYroDveWDoLU5IWfI0eJjevrZRPdtGqMfaWqTaLqtnmZpXBB6hh7Lom5KCka29t/FOG3PVyhvBRn63q+GjoJ/4c3jQOB6avJsNKgNhmqhySyy62YpVXNkQg0ns6kGtIMPpJBBjB3zjb/EKsN6g8PgyMBo2RoctXAnPklHTNPWNVDozJUqP4kxZEBhY9YOJCK7GKztIyzIXQmYkCEuZvHyk6FCWCPoM6wedRaqEYcPD6MZOKua17TrfTiXR/eDUsBVqA8Cj+1cua1523OxFdBQQzFmWiEV4AOcvc8Sb5oigK2fs2FWfmb6ZoOa3+U3lMR3yf3idAP8oFBTdMjpz67zMrQ6Uc4+072T0unWa4jA41xrXrQmXJSMA0lXPBcSmYAuDxoZjstZQ8vx4D3eDqQ3mjCX1rwd/aNhtQEIKB/oBiSfd5pMfuEp0Fio8L7q9iNRZM8Sr0mKUSuZmT9tVDoywD40vTl/I1dhDJ44noVxbTOucRJYpNYqlFAsmUitjXoR0lHu/i6/eUClL0qqOu6d18wFG1q/qBBxxXdH9HWJ+xAvIMi/ene3GWZGLwN3Cv23k5NAiiFlWvwp0VHeVr7D+qGJqJCQrjdThWMmgdIS6hjMtEWbt7bbhO4NNtn2IiUp3ehl0vbS2D1QxTgviCMo4aJjL1Olz7wXl6ZjQmUDAa5AqoxKUGRJOF+4tGWlp9XFaKAgeWFTYLjqk4Qh14JX3BAGFvYhfriAIDmkOVa4/jSX9JJXOKwvGgFxNwKSBKKNnYEmbR1uCIxNJytYVVnCN9TvNEPM0omgRaYcEqWnMjCIrGDyQWrNuGnKoHMf/lAEj/suc9scoSMHZgKxNpYSjHvk7g21yh1tiRwEbmAPSm9PzTPwL4U9gsPMUg2//QYvYMFQx86914Y+126Tm7XIuTjnBtZEwZiryrQ5bVeuAm+5xETw2HHmLW8O4duez2FS9X6BHCWj8HFufvpAd0Z4tnQo6tKCWHLxxxVIIYT5eUaUu9qYllm5V5QJY+3N8AZgCUkZCFL4mF/e1yda0lc5d5QXkWAH5dlAsCXVyIbqBOkXI17wBk8R+tKm+/pU2BzPsGjyZRGyMk2qJzwhkGExiIH+UAp3V3hbtFu60BbC2XlCbI1kVEGvKClbt+HIaY3z6emIIECAAhAI1IknNkNW6AHXjaZyxWcoKmnb/KSNNp89iLFjvu0+O4YbxbddX+fAXWZpS8c0EJeYJCjMr0UUPikoQTRJRO0CUjHDZIHIoCGI63DmXgzc5NU3rwr5giDVpAdGrLMpruIgQzd9XUSeM/Mr2Z/1k8p3xh1or7obWQSAUi+0hJRWodsK0STjKk1iPSVw/Rpqbilje84dMVqWQEHyiETBnCAmUzlxTRLWqD/8547AAYVc2P3N+GADO/2i0ef/9kddDGlFbgvbujleS0psB0OL+wY+fDOL04nME+ShnXD7ibHKdKGjzhb5PrtUnpqHUTZhPoWqqroqCR+8/Pqk3HnQk0ObrpC2IpuIrkG4U0Mt02H7MIifGM98n3NxuQsuOqrWBleIGCeL/Xo3ac07kV9kxYaModGsddSoF4gS4y8Q56vSj4iZc5L2Zm9jehedyFsPZMY3wMnl8RtZhtVNgEncYCVWfinqVCjwF/BiUeVF8XBP4BIjLIvaVxKlDtSYPI4e/3Kim74FUFXDcrxup/1VG2G0fvAue5vQpKQjrg43J/FjGRPAZDWysORrv9hQiIIlN4vSn+qvEAA5ZahqjCAxq5NerGRuDUkcszRrYlmSlVHMAVLComGaTkSJ93wb/vXy07RTqDI0DaSS7YLNL6rOzh8IhWEQD+OkO8umlpB63UvUN/gotC0FsJgMiWhVf4L9ZgZpm1OQFQpPPIet8X9NT5MQVuPyZd6K585rXakUMSgiZzg4HEWbz5/N+sBd2ZjKswLM8vEOP4cgUtl+7sXp6X2y6AnS2LpogB7G37uuXbiyKtmmILUKcjCahiiK9rubJXdllpKnRq8kDDyeHOI5qR4KuvnzSxP1Hpvyc1z1ZnN1LrgFkqvkv4asquuWF0yBdaDEemPyzgnF5MDJDGV+Yg+jhaq/6igpmSXZa1ZVtP+s2rFY8/Fdo7jiCSgXiwks8SdWQGUEl+Y6A5pwsy9NMJWNkJWlLNe7UlA3ifYYvntb5TCh91hwHSv61qVhcUJ8tWq4j5EyUVDJygQNJ8XGQwWVOuswPqvwvXEuT3dVssjKZ11YxKwzmfhh9aK+N9Wexfwe360510y6mOetHPurh3f6w8ZvgXCD27lZBIWueYrgAgO1uyOp2rwrlnXwhSvR+Hi9yuJw5EZCeLa1kpR+Ym8xI9z1vNOJyLiljCPvXnJ6NBtQB4Com+26DjpyzgY6KCfuMReAlVRxReeOaZO3JtOUM7HgSZPCrfduwAS6D0nYxUL7NUP59v0/UeaQbf98V+ffuz56KWIuP9d5IstbtdF9Oc/bn++RsunPHE/NajEoCeZwGJSfC7ZsfnR+la1EJGiNaRoJHgJlP6MFRAHOVu3L+fq9Jd/ogn91ksqEMRU6yGhwBy/yVrefzuPqIIONAqW1AVGXMvtQU/Xl24H/P/pqnNkgbq19o+5hlPEaAFIYO7bdXsL1wfv3A+PLGEEsA7UHM28/Is6Wbjt33VIYAKmNgmHYiIq/zEqXSjOpzvrDylmGgdiEhpN+h3l8lybwoQK2r1JEIryZeHcR0QtlPcCbK8TBI2dGD9j4IPefSZ15mT+gySqAlkoNo1RxyaIR479BURQmnjIDmdbXM3+leavydeucPijEyYYfHf4RSetADabTVhnSSCdcrejAykKDCrHP9CX9jV/IlMz2yd55eX8YOfE2TaatN9k82VarxIilra4neGctRn2ZpbW6uQqhqoldyTLPe6JHbo9aCMT5Z+yUGdcSFWsFomfyiKBjzqL5D8/CarcMrYUAQL+uJ21S5y7VbxT+W/fLGqI6Uq0ShU9U2agGfRtMhbkuhU66mKWUtGwkwGzod6dx8iC/96qOm2kvtXFZaqSLJphK3daOQB677j0nYauBV96G9+/yPshnGPSm2oviuuwenGkCAOHAMHLwqdyePv4nf1h9LjKJ827pe15iHVvxjEpsmCnfGzzZgB9xgjtrDY1ENRHtKX+Z8e3z+N/CxP5//APhf5OfPEYRU6cfr9nElBDxpkTjZS7BVSdylUYdqRAM8D1ZfMUqTw9iU+bsT3fE43TLu1BSxrJCAzMCk8VHqJXOGZglvZAJC2cMw2DzpPxPUflVnO7zzcbMzqQrrU1a4qoTYed7/K3jt/TIB2iK5Q/euI5sjPeNhQy3VEsTloTSv7mshAlyv1wKWblwWaE9f7dJhCPCC+OcrK0Zbos6/UQowN+5Unxuq6z6sjQQuDzFza3DwvHWtYDibUkjJvbsWzmeEyv85jqzC1CxSYdM+yJT7z+pLrw2O/RgMkmM7KsJXuaoSqZPiqCYfJZ5hC/qS82EsgBzIgxpzGGMM1ZLDcgHfhoSq0kLGPS+XjPqTs8Fpsdl/aYsvJpZ4B56uqn+ApVEFkyTNwVXQXdh9SHwWcwSV2ntgb5K/XzyIfkCVv0q+SePMrPp6AU4GiiMnGczBp9c8tCulZlqj5AdsP0lqOKwUp7jng4rTFgXxiszlwAtOfTPryYd0S9C/EitdT258InG5IJfGky7Sho1cIQ0LrP0ZsJpyQqDKklrAn5GJwJeROWEXlQziKk+bUL07rBu+igjR7anDlRf7/hvC7nxXVLE0dbzMoMqeWm0HCRKKtsQR+AvfHM6IOq2NURLKMoVmbNCqKueeYArcbspF/8DCz53I9HsiK8ejNSheIj+w31FS2IeGTtsdNOpv2h9Fiyuhj9sRJimG3uiyvb+kR+yMdyLhCFIuG1ECrxcAMizMtZrwPXV7r2Rg3Zu4qDgmpqH3Y75cW/GFk6dQtFQrnvQhR3uRvjFuTG5BWnAESHJHYT34Rf1iv7Ee3y9CPFeItV6LRsubhM8sDtWtnpP70kIrzmmGKqFAOXZNPF+kW6Pn4ZPTGuRT8/HPqIaPEn+HvrRocxSSi6MIYNEoBha4oHNDv36tWdVzok4X9KgIwcyWq+oo0nDL9sHAxLUZ7LIJxNMJMQlatet2I+RHyGptcRwCGtPczWGsqJNQS3cipd6apz4pkbVEAyJBaWuDYIrRjVAl2RG16XM1nUQQs2fQNQMNBwDCY7ygUwOuxfKQ3gvVBPfaseoi3juQL/Qdt/XzWg6lR3OiDM/kHYGkLCkGwtmG2cajyDOge5NeRBidbYOHf4gaeYh2bNVZiAEqwVmgRtrvr3IAt8Q81C1DGQ1bs68BYJCyjC4SOaKHUXAN86MaIjMQ2Q4pPIbpm240A20yNe3emWoYVlb4RViY+vuMAHVZ7+ktlRYMyg8xbt7pcnCUMtNrlt6EJMNIwKLGs34+VUiIdjD6sXjw3wMqOKTNDqmKx+bvVW+zOPPGFHUhDLXwGWAqRYed3imd8sw2DuCJk59p8zZZbi/8YnBGab7o4E6aUXu8MQiBXO+jbcOuy3cdGr8m2jsTxD3OXBYmBwkXBXcuahjikHVFCeI/fq6BdbxzM3UIoMowbioWfoZuZ8eG1AHySI6bxVP0wQskYC6duTCBK8IPBo02ICTE1fRi0Vv84t/eHj+Zv5IqEwn4rPGhRwghKelYTVhycp3M6PuY4BVXvCFl03a39bil6yHkfa0tgugsGrRcEUJL6Eq6Qdl8m+WaWLuz8HxW2R0kiAmyKSgX/4cq4wzEEA/Umbq9HNlQm/LEGA2VMjoWVad6OK8DP7Q2kU3rOAqsx2YA5UuwPBQnjyJm8KPl6lmYOTLZYS/SmC3cLlQtF5Is9Q9rNql5whlzih1ZHzTKkVKELyXqpjam8WLUPriunsqA/2Lp7sUGpS9Af1tljiVsJagvEeTi0XRqb7xiYSRjcKI9m3UdNxPWhfQOuya8ScAdz00+7SxMs36qHhNprNLX0Tul5qqYA5W8Od4axDLB2pfAFP4dMaJLSxFr6qUZrWNoFOj6ovZeIb6w7JUtsllJUqOxNACLlpx359/qn9pmascoyFEFxX6ytT6hr4g8snIqlknF4fn79i4F4kbB0K1Gyz0h63Lm0pJEB9OQUrvJn+xPi5p5u2VsqfMJi6Z+MM/OK3ojfvEP29YohDIUsH3U4AfJwi/WGfvdbx3WuPO9DAJB84FeXTLrPQhcF6JLw+6JE5M//51tFHEYbDXfIJNteJA5kn1zzs9Q+et69Pc1bS8tZS1VRp2p6TkXn7Yf/zLefF9G7X8YdujeRt4ncjc2NEOfSxLo4WR/4+3mhpGlLqWjDebSUmxR66FsiZL8O9mJarosGSWdJ8BIZDDD8/Xq3BLA5NlLjNygXSIWzdtLQ3CcAke5EDTp+i/lrnat1+nGgLE7z9k9GhuZkQ/y6KJ+u1C7FCzBG4/HF2yrNK+aviutQJWThAT6vTVYsjsyDGdJZpOzyRU/IKL7HpZGmzZMqzeNRuULNtP9knI0DSWl69V23ux8u0Z2jV+IBlXJlvY0fSQhjJN54qHVadX0dK+1xXCbZEH+zs62L5y+tm+6QhmQeo7ksUlrX9l0zxFWcq9Slf1PjUhX02qa8OYwns7UJVek3Dudw9LG6/V/342sjOsAMwGsTjrh7Z5oZyaklgupxHvZ5faDMkLBuu62tq6n0gU2RJfjQOlu7O+XfmRveqP3NbxDnkiktDgKc06VlF9iu8hAHY63jOeb+Qz5fMABWZlYnRnczd+4YZ00e42U/C5Gw9FrofKE38DqWXVXeL3m6Ehis0Zi6prNBWiamRC4eFRUDmZ90kBNZFbKPDVGgMcz0KJhOs03Igke8XbbfLpJAN6soiAwlSRrnvBLbYZO3BbmZU/DqDSflRUc3nGXOZJh/Zct2zeeXUX/UvYsTBio0pNkJrzdcdQKsON+S7kmpzbZ4OTfT32+nn0QU/lyiSgojd6rYOb/tfQ/l8bH1zeiT4MOqty5m6aJEGa8MekYZJeapqU0zhIjKW0zBUrJgNj7DnuhZ+Ub+7QrkI90Ai1QSM9KOU2Rqn0iWDDR/zBs7wpLxpqaeNbV21vz0/xBZDJoR+0cGotDA+SfK44i5unG1JiKksK3hGEB/YEtrFsY37X/2OCNtLTqvtbFYWyRi1t+YmTrczcwyJ7++HEO8w4Njbk7iZI/sHLr5N4YUcj5SgjXDadxBJ8TXe5eUmDFn6fVZ169jqTIDrWCgwB0H+0wpIBd9sg2pSaY0BjDBUEoMi39VudZd4XApzl3dvuE+RqxrUu1EzJx/9ea3yeHnTuLXNj27zMEndAdV1h0F7k2ks8UnyWwq6aoDCQLyfeBk+CIAvZD3yiNIXMKJKjFovDRaqxHPNapeZYyNuG1S6iWAobwm+ceJnIQvXMWSBCZZwUUQItANtOA1XgAEZHb1+F5vx83CGbKKR+MEfCp7DCwrSm5/2u9GGJLzkWw+e/vtfy4wXHheXV1NzXGzDE2zdnFJY0hfbSdBLEQsvXn2boo0FY/xFuVRlp7YCnG9yeUl4EDEkw5DrPXWBFP81KGS5gzLR8+2HHcCd2IJonKn3jCJ0p1k+R2xJfbO5OpnGS+s5LDWWNOKM1d9f3BJL8LTLKASxKL6bLw2h4R0dqYEnBElmDDVbe6s5JV1PNQ2GgJhwU7OHvLBTQtrNdR97uvmu2+WY6d6PEiW5V92/kiQ5r9R/l7vdP8tsWuxSr3pY+79+NR3zy6bxKAt1vp4D8uda+bmFQ+TGaQB1MyNOBJRKM4kuZWntCJ0EZR9jDVEVnopUL7kFRpFtOf0gKjowhNJR5GAbtlfV8hZH7uvsUB7fFCJVZtHHGGV2YkSngAjkcrSAI3/bD+H1AtVGRafgCCiITTHVatT3PrkcQVjCEd+3yuJFgKm8BT2bAyEdznE8ETIYH0Ty5OJjf103cOqRZJgAYEX2DVMeCIWKA0GbnqYB+ihr7TzFHHFZU+LKpnNxKg8flYDfzDoUmMQIWplfCf4QDoTvtGHdSmx38zRGoCbZT70y9GGHosMfoz58n1bMa9LrGOlVS+i9f2Pv6G818iRvP0mSSOAneq1kSfwmW6j5wFJoFTjJGOjhjATJLC3UqBhjNH/Qsa3vYSIoqcJWnLfvF5u4kSapUvM+jQfmgEoRApEXL3eTyqlEpe0Z66hN2pLB3wFgUrosVht4oHgG5YnVGUSRPcAqYHkZTi7oDzzmYSXuFYtiAYe8oz1b2XqFC5f/nZf6p2JZMtg7iA8MS9N/pm+PbWgCZ41os7+sWBADdW5FMZCAYh90PvOcr1ZZ8LZs4aJ070BLV2rw4L/4CNplNZcV/OPulg8GVsMyOn2JVCOEQZ+TbtrkVNTUXSscdpMEk40j3zGAQgGDhGWai+KoNHTaawCc4E4L0Fw2La5DJxsm1x4jUYicuspUIO0yWGQQsJO5vUx3DPZ+gSo0SJ3fTCM/Su/5YR8Ckv8SR1D4aJ1yx0Tk/Vum+kpkzo8ZKxVSeTqtJMkvjlM9bYrKoTa3Ec7Jsp5sVyqLH0bKHclrV4XIgQe9qPIhoXtfmegNoXceSeXvySbCVNz594DhokVOLle0fN8a3b+8ApK9+/Vax5RH51jbIbCnO5zvx8DCYRNKp3IszxiJpV83f2kzpCS80MADwq8rQQoroQaf9EJ98tWrMN1dhq7z8/PyjuJcvZw00EvRp4mnxkVAL9nP1eKee0YjdGEICFB/tTbJy1WGEU4v/j9I4l4pscnJMnagYXGPxTputYFEHUh2m3LUxixgju2DMGfW6E/+SWTakYzpjO5OMLDbQLoltBjtNMKNVWZ6WvN8ah86XSc2RimXeLnJikvG9stodzbbHF7kfUPan5lD/+d0yIdWMfJHU0X4Gqd+afNrbShxxla5VexftINDNBErNMUMGBdc60wRzJUrySKaaIAm2OCGrpfmQhuFRrS1+IYnUZslolzkw/1nx90uIMT8P3vR3Y3MfTBQT2QQESb21ane3CrCctF6V+3aeW5J9wxPcGLyErpIs8NuTHcwy25j2Kr2sbU5XXbgW86M7XrMUmBxEdwN4od1u1pKNaJM+1Um0sRKxAlXaGgA9/CxG8X5hUPH4p+Zi50itu9jAyXTrxIatuwTvE8Q2EyU37A9P4/fv5g89Unfq00FZWY9MP59c5d/51frrVZKkSoocF4a8KzAvZQcb/ZEohVEpLvNor6wGvLC9vT6x2AupSBrChzts4GbP2l1G0Eoy7c9+jkjYuYv5nMgEfZHrqWv8Sfg0dRpazBEiK8pHbLy1j4spBxSHi3HCx+kkmSbuFDr3kx0oXoc+DV6SJSg1s1nZ30Wg8QUtUX9ov/fnqHrsa9ThEpNfBFdoYkrUizWzbXP397oo6+Svir4/73FJbZc4GMYmERqWVQM0x5zuXxSEcb2/aBZP+jRveQOnn5WyQRkNeGW7YkjvZ+VZmIJ6qVZroQK4ci8nYaC9Fg0YVdMcDgOzkICB+dLUb7XsIYJqg07EBgbohXCVc/UlPZbO8P37Xy99kU8juOHLGb9zmSY2qZXuzpBGfXPS7UU2visTGIg1tuzk+ut/ItMQUraBYxXtr2HDNuFrq3b3Nwbj5lEf//pHiY87Hn/eqv+ivXUgJFeznrz/g15f8E7TdPJrmsQBDH66dqT6LfDomNKpzh40lYMcJ2HkrQEzsPwdbDiSrddzXoI/UsuMRiOCOl3lMqvOZO/MfLBD/fSX89pKo1jaokKdTPbDu5rjLsKz2G7eEHlk5f+abNOerMVpwOLkraIqPeWX+/Jm0K44TyVWnckNu3XdFTW8BvMdFiLjdl32Jot8LAhPA5Z2hkH379z9Tuy7bIERIM17etwpL3hZpwLTImcwEi/YKG1JHTkK7+nnyONAknRijDllPtkoDxNjruhL8HV5dS7q4kt4TrKM2fyl+HXxOlc09NUqgR0GUaq3UGRymrGzCA4GX/LJrrFPlGz14awHk72zah83zuOiHzkv1eGHNZuScsqLGPRJxEZrROxzvP0ORxVE+IHk3ZYM561OKMiauQh9HMYcGSeBGDXGNegcA5JU8PT/HOGPE+fIee1VzutuLRXU0mDkxE06gKZ4/N7ie/6aqZpeRj4apTOvu6cE1hd5VIMbjx3Tp4pGs06P1giTtyXDik/z37PtQXFbG13k9ou/IbKjpFfTpTHh00yZ8RbFyZPMoRncxSVoR6fZaFPzn5ZB3D0qxZrYmYM4FvTOWqt1xBCkD4YLKdfUi2+2BX68kGMOv47obYOdrsKbbCpnrsHxymGGBgpmPjwlNlFe1NN4ZCbOTJTqZVWEtsw47m1UHwqWJi5JUM34H0UkPK7MxNP6P0g1cleYQkyhONveZYRnbbyhPtzmD6Y8KStq5fNWEUzTOGVMb718kwaiOW786NN5uWg46nj3hxcWs0WcK2HEbSTbxiWUP4vMtR/yRVi2iydWg3snct2S4Hyzk8Rotftun1vvn/6AOSJCxvXvnL39bP9lmvnbK563GVKbR4PJWdNeELJhyTiiHj4Y+xRD6xgYEu/Sk0GYHjXj0VCs0pPj7d+fm+wZ/DXrPAUN8ECwGlT3C5BI8FWSPCE6ZR5jD840KSOV0dNdcmssFzKNw3v9cRfXoYlg3rdbpnVG0LJqrfHuTpc99K+/GE/Ot3TUf3vXqNxUDuLLY8zeYElqsNUvqwoKzCcMg2UEEieeP0u8ATMf0iCdzcXqp2pGefFocNKwmw4+oQ3egkdD5Kddhy5EVoNq+9qZkpccR0QVaoDL7fv/VHMqpWRJkoN/VKbkTr7HhckVo9BOcQ2HRXaswI4Acyha1cUZUw+92RgZ1EPTIYdAAhU5a6GsOpHLRnupzfJhDwf9J7zzmP1vu5hQy5BCuS2xL9l8d3KH/V2Zxl1F686EIztPQ+bZlKqblImin871SUpPr7vqSBWCacg/1djifsQhTh1knYQe9CCV4z3gn3mvSsf7TXfixC1QEeXuJOIlvdyZCkzAibfC9rFB/AyFkB48vrAcVODAM2aAe1xVsxpb19HLB8wm3aHKE4uITn6k/RlH5pGGs6sci5dDRe1gDyAn/jtztxfo/rnXp7xE5Bp++sCtF0iyl9+9Xyqlb0K9rfSr6fcjgSEsxT6joZ7tWFlMckecnGmr+zR3h4YjqMva0cfl7IzzzYEapYVwFBBNiSHuww9OkSWprpN+iLe6cNWtc5VtaNKJ3YLRi9gy3L9boq17kLULr3O4hxHYzPuDeUBSw8Q357lioof8crr0xyQhEr/2/HIGfWN6LPvfAXD6y0DDz6vtVWNuGUImJlsln042K6gkhPL5QNLKyX6+aOhWbGsFdqP97VQnks3Qo+glUl90T0Yd1uMqdLhzu9SWqOEbc8+pkSbjE0lvevJizmPEYPTdqs5nRMLHg5otMujvjMgTosSFWQPkbYXbPXyOeuIKw6aU/SA9peh7JhXutZuBCqdp0EtljjpTMUDSxs4gIcnMTNzis7ahnrAgFriW6sT6k242SAGrB5sngGDtF5WSgDZmVlyTHlRFG8yl9QYFBj3A2IX+JMnciFx3lZO4AM851qPN2hFJVyari/xkVtBbMCVj6eNekBQ9rjm8e9ePW6flwNLIFM8UDdLhfBZZsKX+hjn27auJCIKv6kHY+v/wzjD5HdC3rK0z1TcaE278IUdj+wx3dXeLG/JQsrEkmsvwuunI8qiiFftfu6uo0pr6Iqk0k1y9ZWBsr2vzRT8875tENz33UVodmGomQbaomJ4kphxD7iZ3m9IeQwpw4x67bLEIxRIvuh409HsDmxa+7FryhPXwhRgaQ5xyUImv7i4ZQ0NYtfpchlVVNnVAJErbrK4uGMYeefpitvvwEI4b1bKWfigYDLwL8xBgvB/+FeZnov5KoVgHrhmMbNZtlfwusqLGFF4gwiATR2qnd5boEenjaQQd8guXpgpPOrFJMEbmBocaJ/0J09PaNv2BBJEXuuiY5pHWA/31fxms79mE3J8L8TPFntY3gCPx41acrHHRthdPhsBqw+3uKmxVaZ9X7YWq4+VaOGm6EQS/Kkn9Fi1bOvzsena1knQgh9bXctz5FEWLZJD5sDd1JcVSpnsESxApben4Go2EDs9WC4px13qJlA67vw/jsy5LNOFg6vMjlX953vIkyG6ZefwYV53Ia7Q7me7L8H9ZmEZkKckhleS8s5fJoqHzZwcC3fqO4LH44kwT90kP9+g8rbsPTgHDxbI2+9K6OhSpTi3YANf446s/mcQgKI0z72sZdlsULQspaYfxWukvs/gJqyxujpJtUDhj/6feNERU4jVvXOR/eFKNCW0vCBBv8Z47/RxAOfwu18p5UZrlEfOFO+sNpS+Jcj4zXRaJ2/nJ3LIBe304tkx6QHlI6SFJH5xxFYmuTzII4LSWgw1GEWr3rrwnUrq1j0at3/tc/zRi244iAkQdg9QU9lTX6vUu3qmxB3vf2rFj6AHaKnIueViaaxexPBg5qCEdvYaRVMnooJZF3PRO1lEavsx4l7pLvX1lrat7F8wPzG4zfofM0QET2hibhN3NdMPaNsr4r9HLqHHJgPy0U12n/lkvu2eALemAHc/ib84o0Fy6FOOoVZ5+KSFH08v0yLJiaNQxeg/4gXgbBRrf2ygGw/rDvpzRjvbuCvJWvcAB5rQXo2Yl7Fa1Cj2SxuatkpLES8izIptBrExCG4zxZofdncNkwrz32YjTBEB3ZsW02PXEv7+AAndeB+15qGD98RbspshSpG4rBicEvaoJ2PV1ZVgMwOVgSA7gd57ZaN/vMsVzKCTofqKjYqCnVu2JPP9/4xMnrw8rl3HmSQTReAuyAWDv48e5t8gAPrpzSTJ1ADQ+bm9y9k1bmtLBEBPNqh9HSWvyNE2qyR2XTrwPdpsl6cphelm3q4OacSAG1EBHjh7aktG4ZtMNMQJeyFJasUoaeFq4ceou6uCdeICyTrnq1SDsotIsYgXEQq/VzxTD3IxJ0i1Y6BqCK4XuH989BkeaeETAuPgSh0HsrTSNmCM9GgnkpKg+mkKDLQOndteKadKQE3DHMq6PtMzqw0ImgISkaCypJ1Co1vhb/Dbpf8f5deLKAW76tVqiq1JQhdV6F0OCHldFuyvaF29/++mMDchhsYs2xts0j036CrCcSBF2sGPTjEDJXmCpNrU6a346E28BrtU4uw8eCoMtSEZn2cKal3V1Fzl+BvFKCl10W53I5nn38Md5/rgYIEh05I3FODoSyjOrqtx0ED09cl7MVwjBUJlHZ4dAMqzd4RqSvsDXRi5vdZ/n8InF/oMmsOTV/O7WQ9HDXZhqvxuHwl2poLXabSXdhScldz9jqXvQAKQ7uocaHzHFNh0qTpY0AlgI8wkjat1XCMgQusAoVL4zPDoLw9+nap8pn6FmgyBGgRerpYZgno88ljeVKS5FyFKJhnT4vMxIZ6P3FeyoNSdiHFqphN7mD6dJDFrI8Vm3I1yauALLlrTpz5HzsmuNYAMi80vCOMP0oTRlaINuNJBFhXouUEik6VYqJyJYUeCxObb7fF+1WQ/jn5ao0eIIJbqZKPIKFduWitjGdgoYEUeVMyklN1bgY5MxB/JWQtgg5ojFLjIpv1c2HCam5MB8rHU7bUHjgomEkAaCcqMW6t6Z8Waq1cfrVIoMPO/0tg4tiTp03zpTRFnWJgUnnxwNSgoEBshRhVv3LWo/SGi3jTbiE1i18Mv9Qt0ixjjjF8kDk9+p5yynGCto9rRo7jGFGJpU3vL1X9m3ExsC11olULME0q4WtleXQaYCi7PyU9q+zByPRsMLHhXBqP5xr6GRmOdXpiLAvYrpR4ojInhg18SFksQ23xVnUDBN01jmo0hAZrTOOIsaaZz0O5MWZYU6WT1WrAYSQ44nAg8WVutFNPXMa2bSRICWVd74vUpC1Kg2eBvPP5Mj86a+rth7WZ9zoDBc8yKOGmY5oJqw5g1Wv/bSWgYfy056ccZVESTVRCI4x1vIRbpzGiwSNnona+LGW7/e6fGHinK1m+gzrbkTY4kgPOgwqTo7y/aTjeTSQFQmw7M4jT5ZIrZHfxcbfjzYZY+3d3QquS5d137ki7xXYdKpIwYBMYgob/DvwHFZl25oxyiQoCLxZkLobrxVkOvpW4ZSWEkiIvYbciyIvDm73eLyXKgGwlYUWh+iQafqqeN5ArtbbGIPUR5eZfCvY2uYYuPb0j56bUOps6zWtL/qbPplHrfkNHEnwdSNBCqcd3rv1NGwaXwYzf6i/G0YQm5QSVu71hDj85rkFy4VvL3hZaTT7VVn/75cnryqtSVGC3ywoZdwRCmmfn8W2aIZ44hwxkhUQjhLCgkWHIUI4DGoFuBz+pn61hicJ0mIaKLdo9gQn54fJa1lACUuec6FftEBSoWNVCa4R0oTFsPCWB/OLU//0cD8CuGmtcqu8HFSGIE4E82P7FWrTk/sG2tD5RqGXhvQKJrkgNe7yJ411PT2XZyu23fllbZcXb3T+D7um2tjNXijI/a9zKOdOh+urhXbFwSMpTelduA/1E9/Dt8vGrRQF/tCGOByY6w6mrY9riuR7NPkK4Q6+apXdffLJNZG7MinebrD5hWxWoeVJEenG5vkt4AzdtE+np3Y7/7iUchr9blBQt/lpWiNKW3ha1hUkHWaYF4MLX7SM3RnkoPhMI8EqJaTLqcPzLpO37FruYGFY+Sqx8X2jXmE0pdDGacxZOWmHBj4FwLq6Nt+9JmXJrs+FEl8HCRpFt+SpUL0h7Liz0FQwRf9WrNmwuSfmHSsVr9rlJDdaNL3ONVSpjO54NxRNvxGQh+RIqhkAWxq6qthsEMbbGCzSXVyHkZsj45QHX1K2sGu3OiY1YtSUcjg61CtIDiKdO0BNq8vDARra4r7voomGxPlaPckewcplaNgrlN9c0ROblKNKtMXezGUCKb7Vnv5gC1+R4R6oh3gBb4vwu0PQ04zxZNJxkQcoMQrxarxgukMWRlS1v+58uC/8zj+K/GK06s4KrLyU0vTzXlR81oDhYtCJi0l+5/CWcasjVJ0I0STQIzoSxOlqxYJt0krHosnETIjbVu2rPMYOGYsgkvCXHV5hbMRsxi+kKPBHfsnZnex+/cCWwaO6A52dueNWTc3lzVnVsVG5Itgdrrp86zlvaStBxvQICWIV9SfbGP5BMLagaNmIejCwG3S3+tuW78EzPKYeiupULY9gJMYFZ8RwuB49nAP35A/c+cYpNPKbHstXaKaliLZEl1nvA00iyFo7ArwWYuOIs43H8tQV5eYHSxqZjIcRRcxwu7w/7TwMkU5aqu5K1AtiYmcS7d3Um0LwCpdk3cSHLhruDzG6joZ9CRTDw3ra6LwLSyy9CAP3pkuoOWXHiPozTDj3E3OxY7yxmPLPoVGrsgHyaZ+gYQwrxWdkOJAz90gjdOoQOt9YJ82CglwPxE8AED9PbxEDQXaLnARI3M605G5m4UhnJahBtbnrWCetHggm5DYu+S9fg4xkYwT9mWtcv9Z5kn/MDYRDPcyDB4Sead3AYxU+NTD4KErerWGTqTPblFfZWQVh+CDKo1kniwk6KfAQ595H3pDpJvCLGHghjCWKBA5K16uFsiX+7LtulNippeC4Pj0y5m6vdRZZOWOvWKxY3ZDqzBAXp3KiJJ3CViz9MSxmDfz1iaKW4JJvDCbY55OfsmYamCkvz5eGRWRFVnwxWHful3u7bZDFBLpu/lSiPTlFyqNGg3a0VlQV2Fk6AN32WrDIN1j1NAC0+mIw+djKch8+roNS0nHezqNfZlbPrEvQbcw8fzLKg0T3+S3bNTRMerTvddb+ruSdllNxXeMlloLyzK7mkgFMD4e5GVPRI+/Rw2/R07E5Q5PA8liFukkyr/aBws7WiaqnI3JUgEBg4ijrgMx8BQI49moLeyeA/8bGFjWgRGh5Cmz4F115Uf5zbLQPfz5NvmuW2QqAJ1qyl9zaohGAt4K4S3oDr/ZbMW1TrT7qWk0KwSH20xczTkioFBufmXi4QhZ1ASAxyLpmYXds26QmJlrSm1su/EXf7T+iu7E1husPzH4heJy62gi9X7RoQZF3+DYjV7SxPOxt5dw58u/NzMadXxbtoPTmqtYHM6NKLpqykXXS/TsM9E/Oh5XsqpxyVlbe9427lqbJi/6eHLwX430d9ySdZMrUiNmJU1/WCzgUgPCcc18rNoQMqRKYhkgbUdinFTRfTdk0ZONKFDg5dlXxY0XPanTuqBpxLxBmLybR2jmB0/OsL+ViJG/Z1PdAEFNwbsXBKfRzWCFAnQXKQKfe/Lvgx/KD3c0KI5Q31fSY4TpzsTWnm3gTAmHs02rQjnGf/P98yxVZisGqkV8T/NO2ppjzTfqDz81GlgV8KYrdxe7mKYPTrz4fspUTLd+pj7h0El6+lxj3MdIzcC3yhNWexURT9V3/Kw10kyUNH9TjrQZbQ16n2twv/DXSf5mTC+2/lelCyYs6beMjrome0rKhPkWn7zZ2ytLRm1+GmKxtNDCINZEIR+xhFIx4bQ9SfrGQPus2j6eJY9B/nB5G8ux4GbR7gaZhVjlLYdXo/7wnVPxfN7aqenZ2/KfK6CcQnlABcyOKYwMdONIn9u39YCByPivYPUZHCAZPpdhV4/uutyL2ITCflVBFcZgN88VT5e7fyim1Dk5z4IdN6Oy6LnLzGZEMIR6D+P3ymZhcywxbXd3eosLwXFtdXmizjXxAuKJLMzIWQWkjS+De8k3I3zBp0kdD3bXeUfZPq8SPBBDMXReWe123f2yKwj4zuShqlriJgRIc2m2FApAMQBTsxTT7KeVYFFiqdAob6JbMihfku1BNSo1ZxDq1BNL1zu6k7WAB0Z9PCQP6IC/pnl00yl3JclKTBsgwzy8Vkok/YlJ/KQnMAY5EAeJ0QSasNqUV6eG7C525q5GDxT7aSbbzMyknpmPcJYEc/nAZHtdybYzd0V0ymQzxVofNUMIflVMjCS1hqGVVaVWEAkJZJVY5r0LlE7RPIGpnN7QO13ew+qfSpBbdhdHlV56KsB88j7rnzJACautgsCKs4LLYtdIzc4ctHiLZcD6etX2dhgxqCUbU9JOehREkycfSNEOHi30CabpmVV8cOcLSEUrTqfu1HrJPRreEEoJCSrx7IDvgR72RVEN47UHnBUVgMAoBY0yGCkl0AxF7tKEp8a5tuT6gEthtx6sNd6uVql2SYvM9UvF+LEZ3rlZoqKqXzjIz4w+WCC6xEhHRrPtP2bzgw4OT6XcvJi/MVUQ40cnJWmjLpAWNMK56EwFcLVX1c+ojyrlxpM6b1Vfgn4OvZNZQBwKOF2lcLERNnu+iGnijWGmfOC/jeCGo0Jwzd1YEi1PefXfs+2nE/tu5Dzs8d0Htrjld6/ZCyjKpprMliZAvoWbLxN0u9cAbB15YRHMCO7knnmE9nltTp1xNpEQ4EV7g4+g4vpyAazmT022cbxv4TeveBw7w5+fb/03I+TLU+Pzpp/1S0N9LYK+rFYiX4zOZUd+9E/ZiD096+xn3J5LfKQ4jdNnixUYBtGvqR0ND8BYx/APYwk4g9U3buJV8IAWfVHlwy378j78hn/wY9lwdY6nVac8FEjV5KwzVZf7c1tvBY7egIsDQqUjyRwbVgil6Nc+GDo+mh9sWLckeIzCCYeaTjqoLkVSbeGxWHLT3MT1+eVZkyYne9L+5mAl5G3tDN+k99suTfa4hoLedNROtt7Xv+UaBzSGupuHyIZx33JVzTLvgjR4VDT//L/8Ef4Vbm9eVHgwOBFDYUvUAw3w/KYW/2wsiGvRMe9heFTyZqcQTdc0iX9ZUOOMYEGVxY5r78N4Xd7RADnCc+9+KR23xUO3l2y9aL5dCwCI5Sq82+Pak00hygGoe6BgLFWjd2T6VTGIlEEMIFhbYkGoJHDmSToR3gYO3th3g9TfvMS6nXMtPctKaJjOKzkZZuGFcgEVrF6PdxFY99K7/40/+LGe3zTZPmmlM2c0W9S4vnQqLNZzI847nuB31jFEcSu5ldAl9CJPfxeZbAc/V52J1P7LPBBlDj6SAtBD75/2VkmiMCn7saC+07C6mBqCG1km8Jr/AbljBBUuM+/krIANn4LPMtXFMXQj0LDBXqfEE23p0fsgqohnYMzFdVAa5sRGsPLD8LpV6g2m/T0jYoHz74hxjKdLh9i1/QMm0Tbp2YQ+qEb+TgE8VUYyTUij/vofDjzsQoyZanVVMSB9kak2kZ8VGglRQVbHVZ4ijzGQpLOHh9GT4xVZSC3WH9s21lFWBizLrTNF7tyEoGVIKHAySQth5OEa7iUiuJ2I+mYB4ui4UoCdyWfAvNlZtj3DO8Ya1zP1ox5s2+jManBqJp60GJeuYPZgeQ85HBVJV5MkiNMUh3xoxIT/Q8z4f+uPdsEItd0orKwrUZbe6p8XZ/g0esMf1BaqBcNX2iabIdXkJt5Dlp/BiOiIyAUtglDUAEVtk6nUWpW3DGq2EReJ4GaVBXKX8HOY+RvWzYpa29MqvmTAJngMvrGp4lsNbIQ5JC5qdgT1lMIGX5NEsHgpKUhnXmiBtuBAWxXd0/MwQIv9iYOpxfWt0vCtn1ZmCLTUy3JjLxEuKAFXMMMItLZ7KwfpSfaYNQL14ifdclePRaK7729R+7uT0iEPxLiLu/egU3SQv/k7mhikascH3LqWhn7Um7aY0MCfMllK9gcGFxAtGYK50W+bhK3VLj5rlK+MEOQ8mGskl9LWOI5uCHy4MBTr/FtsnEWYfnAOsmIyoWdv333pq9Rd41M0a6Mje0ID9PtYmAEsVsv8Rx6LWfE4AncG25Fp8/PeGlASMtB3MbPihK4h+83gwN9vXk0itMOvgcJUx3nv4HgLeK8krf59mXVbjsgrU0Io9zYyhMKnAYtAQeJhjqo7rD8ww0PJZFGF2MSDS1C1nwKakIpvq0veVfsqC8u8XXCTxVpnkV07i7z6YgymnfCioS7taj3vbdCP4euVRuS+O1zsNIURKws5fJ9v/d9GwsP62BzYaWvRADLKQdp4GZeZp4mMweTDqpcX8lcq2glgyw645flE8RKA2/E72elbp6kMRl4+Mdxeb2M5dgtVyfIzSf1gQPUI5wlxmH7YRGN1lm8ZsD0Kev5cjhc1u7ypovc1730Ke4DhbnW6obbXMFWlzYRwd6V0vXX4ds+BtMxCvh+iip22uzdhmHoVR9vS5fveE3vo1OzQR/Nj14TnGacVqk1j/+mUNKrDM95RCTeEB6bRq9OO1abbTDC+LHz4gq/X7Ko7mAG6Y4ZHSSCoLlIph2wCtOM6MPpaXTGZcmFB6YVI5IyLzdvMZUlAzo8HhrjJBX7/L4eIcjCkZWe35gED9nEcJK3JbJb2BP85DL7/aSvh4Q8coCGQsCW1Ci70qHdGkut5LZhZXfmoQBD6g1C5UNROnamHao2/TU/d8Kk1/hv08puTBdVSu2zPbC1dgxwhyg95Z13X5r/Kf1qjqVqLwfTURZrxL2NnD2NVHQflphn4hpHEC4baqWjmScsKiB4fQH/NJ4JxAVW4yAzpvBbxhhmDSJ40URtvkrh6XGW+fS1vZYOxp3Gnw7GHIA0lkKrCZECEjxILsLE26iGbU4wpdqlMJyPQpQc9UaIus/3WGfnGN6aYqtU9EhofZjmQtTQyRE+QlImLt95fdDBK0BgD4o7ARNlAcVHUByAZextb+1EJU3dPAHIgfwMGmJH0B0bkPc/SjQ02F+oFBv7Zdb+ETmKZlcJfK/KJoUwju2wjx9oqS0U/jFFD4gezaRq/JKJFKwNh/AdRNEU+obxO1WZlrGgFWVWBSvVo3qB92964Ks5HAJDhrNGOs2r0GnRCUA7reI/bH3el4LUqdlY9LRkFOGt83qL9hEZWz0JmZKlnW+his8yuctQukF5IH3aSYsShBeiLyRP/aXOL71IgCMFHJOU6j1vAks0SulnBINoGT8K9FSaJHNTA5PB9nCVxxLqIEUMCFlQBybgNg45uJ/KW25vRWFjFEDidMBPGl7ejmeXlfUtY/4H9k4hCS07kTZu9WbStWfJqLgkXvLAWj8ExZCQXE0uK2eJ4q0l8RmjDLnInt5ymbKGKeKxbqiG8mo5CrexTKmMHEwnDGM0+/xEahfzHU6t7aia42FjwvJq33tnbQd68yCYMn0dtb36aCWdRZguANwXS7vicyohIBYq+mGBkbC7tIrBjRwnZmWbxVjHLm17C3Sxi2DHga/+zVfKbGQnM28r9xnCZHSx3l7vYVdhbEaT+ZMiwGiYLIymGDlBJZolko+n9Xg6h6GmvFGOP18I1kkjnYT/7ef8HT4NrEiOAwis0ahsFRxgILnkYXCTjbAoqLkmNdYW40MnNDlrv2K3I+fMkUmqReRqD9q/Fpxh6dhAKTQX1iNWpfIZJWG2dcQoAr+8Z7CVkMunBeSze9IA13cYaO5qdSVGqFUqps7ZPSobHW9E60zSl3kPhTKXQgsQARAZVtbgDqNDtg4dTshqY0MD7WQZXeVsN9EmtJHcO6zTe+Wzf29xNe0k11dvzvldNtmuFWmTXFl9tAuwMH7dJb5ek0ubajbaM3MLFepGwS/yzEp3EpXr3g7ZK/tzr5yvu6S0l3GYjc1uawHZM5cbzB7pzt7F4Yp9QngDcIpO1JHiat5j43K/FpGVO+ml2fVej+dF1XgKfVLudRmOiY4EaZW2EgfdqPgkk+li0RchnRel5R6o7aC93zxcwv2U6h7Tg7jsHhyLoX7NhEc71TsT8msWJUzA1aiVExmGb3YnRCGzW4WQrivx2Wq0tfSvz8PprLK5u2ptB1+J+gP4SfBfJhw1+Gb+3jk6aVCpTfeDkOwIx/c4rxO2GR0GmZCXlJoqGu/OOcNxlnqyRifvms6MtjrWVBKDiDPhYmbiPNd9tVWMSv2V4QaVFFu446HVtLLNLF8E4uxu4iI+cVrv4zBIcs2B265x7m0CRBYUHnoTpjFEqXAwdO7t6pcEjjGvcrfK4iKqA32vYPVmfy8ik28zSaMKTExsWFEdCTLFxsEQ42OggzigemoBkGzpZ1BWtMnKEPzyEfz08hAWcemfcajeKOOZKS7IXj+ttxY2gKDxqhnBo6i4v+0MvIIfWQlS299SbLb6jqVwWq7DFnQq2AfUS/OvLt4LJcOeV8F9LjMek9YnN9LXIvH0RMqnluoUkW9JUFplX0bwZt7stxxv/VZKXW+Cv9T6llQVzZSvZUWxhay2hl5mH7Lx96cdnoyLO+HUajdxhke8fnet4EOwk9G1Cx69Rke3BgRNIfc12bbuUf7EBn2rpqr912Q5cvFxOVF9b+FSeuCmfA4kkwJ5CUgxffl0+IUitZMMRqut//PXwHYelu+bi1U93r4yYCk5KH6tONhExb0Uv8xYPwVLazqEfe+DgS8ZNmD4keDcE0/zdwLi6t7uig6r8C69GEFIkLzydLIwUEpp1atuUpiHPwavRTQxDFClrxgsfnJi7XMFob15FNRrh9cWiM/ikR4wuqbxDl8OXwy04Xu2Hz345knQe3As7E2o/KFweGmsThzi1Em6MRHBlUqPU0RxOYSHpRs1ai8HxL6z/caCUh7w1GU4Tb6CVtFWibZWC5W1otlmL41qMD6LprYyHVU1EWJX+MUPnm/rK9giXnooZzpLX6wcnsqk4F8u8D2LAhkHQSv8VfmkXd7j7b866fdwz4HYNt4isXNWhys4QP9rfO++v//gjZA7Scb4M7W2ihCTomqPfKrhPTVZcMtKIKDsi3PxKebumt9KXrbmssSR2TylUsd9NRK1Jz6HPRd1/4a1Sc0hVVovt/d/b/xc0x1BczFq7oDoN0K4VqhQyejMTlaWSJ/kgMb7DB4nS5A9yFpizWqGpWm87CZAQr1NyfSFHXBKFQZuHm/fPbcOkgyzruoI1qpGWaliu9F/qFGcho2DJMtDDH1Gd0U0vjOu5KVZ5zfgTsb3knQn8sNUB/9BvaUk7qpAfhdfNK792SAkRorq0WUTPo+zd1n8o1N6aYtBGKONHMrHNPbHzYSmbVFt1m8voUUg2tfaGBbSCA80zfab7zthSRrMHHS0wUt7zIFk/LiWh6shKaZZ+cqkpjRE/n211ouyorKuPIsXlUuxFwD3AEnZi+t7gg/hyBIgtLirCE4UvH4tPYjR+U2bGkhlqLBmT7CIXOT03q+Ve7ShRPQsmHf9qjCwoZh0OuJTV6+zFRYrsLvnhZMwi/fUpLtiRdkv0p5KWJrzEqlWabACYapdZ4Wnakc4IqKxhoQ0tdFhuMXcQ0gRsyzqy3j86jCPg7Weew+G7Ggmn8BvjxpklE41XkghlIQlKxpbaINednmhNIBA4iPgs6EOBFiRBPBT6eD4Rhf0iC7CbTdsw4T46U8yuFfTygolPQJR5AAUeAIpqqnDpnVrDDKZbtspQu3/DiiUTHqQSKWKnAXGof9dvDsy5TIMoDjw2GSZINvaWf3mAtPe9fXbRmBcDIJDoXuiK0NCUNjHX+tyhKZG89DD4LdA4shi7kkU63lZf6SByhWGfRpo/kGmzG6PYr0vP5mNZ8u7DZ7+g5+9/fU2r49VHoVFUF4yuXFnzo1PMexfqfutKbc4+/q+xAOZThJ2H6dwmf0wz7EiqI2faLOIHzCS4U6M3hmz5zdKQ8ZtND6JDN6HIQYjehL4HFf8OqhUUwan6XnQeGD1qfrVKyfMWcjCfmJpUFdKYdU3E0HFfhBQes6KJxLOjGh15HNbIUpAICv7QZ2YLpK1gZgN484Do3V5HrAjMzqDkTN7rZU7GGnj5caWYMObb7RcWlIFIqEalx3LktuooSGeGMPIRy1lontvV10pjeG73iRr6VQ4mHqt8+fYgV5yIYIqfxnO9OeubizMXn5qgfytu6aRTbADJzrAf/T1Up6wQT/sNwVzb/Xa6pVZ6kU0+SqqUtj84YzSiepCkD3fzN6QA8swtcXJvWO3IrdcXc6Z1w2BBIfn0izx+4qfBOFKJoLvPJ42+wH7qauaKXoOXb5PtUpC7cUIJnFIpg5l8c+3qw4m3117sPsl4edXmaJ5iKBnojzME6ng75yU/rpyx8u0dxgLgB5t3AMC9yrRo1F+/O4+L1xeGMa9o5QqO659We2AWp/5E9ppYhGtaIfmzDR5sLScIVG9Y2Phmk8fYqVIDYnzyeavCZ8gl4nbFcgCl5FFzjaX2pux3YZJJWCyFVxGwULWaa6QpE3h+NjRDM/SP205cp+/rXaqYbr7DGw/Stt+WrcUHM0XyLFH527Q3E5df98YiiYWHyexBw1uqYAh9zkdhDvChHw8ddNGKCEOxeN0wOK895u+dPqfc53UqdKebmUAU8J+4PEgem2nHr4ohGxw+Mc9RUX1n0hZgeD3Rr+dpNnEkEpD5HK9dOfr7b3ILA0Av7dy9p7m9kcRtZFSYnIQzbfv9bCJKhdGOe64zL1g0XEuzFEVc1Gt2PTNa24afiOYfjNxgZ/xG2JpJ893HhyxHQfqAz0yAsT51AaiBir3Ja9LpbEcTdAEsX4t9YKNmO9gz8shfdUrS9D/Wu+qi4Mx4b/3pK72WhyJXxVQcOGs8vd+GsysmkGayVLVUeVLOU3nmu3VRy2bM7GneFReTBs5Kkp3l7ZVUsZ8aG483i5znVSeqnUdPhqoHixoXEac6omWk1f1wZsx2hlZ5F1HMyZRly7JY1tqpQEaDjSCGa1KE5//KL8brKEgWSAlbB5HsFMRktRRG0saAIzQut+iLyT6MXMa8hBN+IznJW6kv2ay58YyFexnLw0Oio6FIAV402lcaPjdIle4Pe97yr9B77Pecv2frfd/QeZcZjvC+vxlKTURMt6wuXt7fBF6yyH77G/lJuipIhIYNRGg8HN7+L87PafQwQP+K6qHxvfOpMBKMRZ9nwGXrDJ8eESBZRLGfvrAh5NeJUxzDgpXAsIIbhz6SOB/cBENfxTO85fKE5R3+1icd/MA5pFp7fPLiww5F+ayL1qNecv6/pwuWGXeXIsPf5/C8aTBq0JlQQpoYOREmHtuqZhKdSJ+zq1yDCe2QrThI/SCaG2JaGXZbIpXwJxp8GwY7xhULOao4K3OZGeTPq7Z3l0MeGCN8v/z2t7ijwXYJ0w/eXdDom29BHiQeEzhWMG9btPFLplvnJY9rk73cW++ijUqQ+eO9l6APlXVwo9mcCPoEbr50pi+orP356dvEuuM3UPNr1cWmYfC5arsb3jYKp5+01jvkmAMCNCWSYFdK/KVRDl+okwM48vqPdqHCe5aiR7KapSWNAEciXBTpa1UUzDmjN7U7qpVooJPNQqIwxFM9Q8lSgljbYSaJegFl3tjvY4rDm5bUQvwHxrmiPKakKj9/6pxTagJEwBUJ6H4bxIzLohAWaVhxSRjkwmoQexKxid8RD7Pwa7jUw9xMyGrGqgFuUkufYYAqeQvuqsMis/FScbVUP7hrI7yG4cYVeJEfbNHY6GIPGwqFRI0GvLY1lq+iQtzMwRhyo/+fXw9/vUyNvpnaLIw6Ph6+v3zJjGG73Jl9LAdC8ZOADpB4K6dlXK25LbHWmL2Y4sbum/yy/Dcx/1oLj+kj3qgXxF1goLZog2ZjkELPJ2sk2RSQqq866UUbtogtovhQ8GhJL516oqmaa6qabDbrLtZe7pY3KfcNIwxhOHh/oi7+0cmZNwOtEvZYQ7HYVI6SjKp7Sb+EYwylpP3itG8FZUIdvC8NdmupgX0Lmc9GoiMpQhtUvTk40Syp/pt/ZBJmy37sf6XoBG1bxhzmoAfsPDvKZubl6/t/kSm2NuXLug3H/VszFJe/Jp+cxfbO9cBtPVK6d/VFADMb+pi9U2WmzPCOQvIP7sFAAaLjWgMaJIbrauJKNTIhq7Yo1PU4DuAyNzTI9p+ma/l0WbRzjCTZsGaTUYH9UEo1jLAe3npfDFqXIB6o/Vn2Gd9Xug1mTpwFt1VY2VxCERxynUOlc77f2H0BBf6rmvFfJh5F+5LW4iX+eNO69M8oQtXKNEh5M1TK4p4oArhOGWAtGpD3jwl4y4naCJ7lda7SZgynViDGJnW3M83jP/V0mGeQWxHDD3iX3Yptt7gwWeEXmUsxqHiL8N1O8UFIPugdpW1VG4I7w1s0YAhQnHVn0mFwyKqTyj3iffZ3TmHNcYPNjVldUwOSNWTCcrfg5XSixnPUf9viZaoaUzKU7R3gp1gFbIIp5RBBCvgqvu6b8LTawQmykz2F/aaW4VHXEJIDIrLli43cFmdBm7KGuHfNgD8WFE57dKFEraLCzBY/jN2DUoIqEfhpTQzH2DTIfWzPSTfgEAez1N3m7mzG7jdE7dL2cNQYJY6vTpG8o/D8UahRTdq8E3JmjaTIYL4PG+jNkM3uFSMctNEFY075ifsYkHAQ5weFZsHRmRpbZNwFSxCc4xsjJEdVLwumaMBltFCh6DYkZUAiw/30Sm/eqkPNJFrE5M80EU5+vP2JKTcdjVoum6RprMSg6jbC9gga7d/wLbkm+42allWoMbVGuyL7KNHhNiCNgcporVQwJBL0wp4Ukyg+Ay++6S4QT8Qp/UCiJE1Zd8FVt+6UZyp6p3Xa4Ich8TKAnz07lqS16RF5Uv4RMpFuQZAouNzqnpyIyiqzS8DiZMxXKzU8m8ljgVA/XKdJHWyXOdUaV10MD/g6iKAeixbLEiUgsp1uZX5YuwLGxt7/WXTY1OKIZogYMXFYe7+miS/4fiSiagrjUVacywyzesbQPHEopOZ9f2McNQASQfCf3INFuETEllRfCZzDQhEKd7/2smOj41HEwI/F4ofzmk0OkrGUdpyx7mgwRNHMXs2FeglFZeeW3PIkP5xf009OqFRIM7nJGLMJTzOlhxJfmTcicwflqWmT9ok5oFO0q5rjOljuWS7N0tgW4C6JMgwx1rH/1Epj9R3EuF66lBAyI5t/oBWndN17STWetybjONUB4CKvDHXnKombxS4SKcdLehhJD4dFdW4A39M2B5jo+hWtm1H5jKERDYk4OKBOIo4kYIUWt4OLjMFy8ZpTlkLCbD+bGM+ksFls+hx2ggWc2uPtplUOekzDQkGRMBHSPLqhECFVXU87TO81rL4w6C/antRARRbr8RKWsqpEhSWjwqdHDA+LB2fc1h2enPgAD4WVgUOUhzKbKOJcZCJfsvBFJhomFZIgE7hrE7+dimhcWOCEjtWTiiSOcVXs153UhGgD3vDGSmyzCjnhiNyVEUrrlBYQjpbqfTUY2vhVl/l+7yTtq/gin29DycTKXd0W/0EFkU8pfZ4mkWw/6GfZBpM4NZsSH7TIjVC5saqwjADQkBYSeeNyN8z1QYlQB2PHGO22FmimLCMfKZAylKMrzqRbiIILQznlKSruDb8ohXnjrSXv4xHuHTQ9SOzhWCc92sjueRb8FrpjWwS30jOroUESkh4+32eocE/GHXBp7N0gH5AW7ve+kZY6N1Grqrx0vn63tFIfpA0JNemQwIX8Bbp5v8jY1GGvrKlf/JaVfcG+urGqYjIdeHvvevbyc/ksjGooOOuulZkf0DZItc/6PFNA38tOhSdD3yvUlwnnIjVZCsFttKhcm+0r1hgwDLD5nSVdn2gPCqFGfhHNMesc/fpOJ7XgrVcd3CQuBn83B78bFiHCTuineiuuOuk7SyG8nAonmZwXU7NDSO7EczjWU1jo0EitOxPKwpxkkH4tJZTbLJfLfVzLAKrJSx3XRpARelq5B6zCXSaxojTjVSWyyUqUNgsoqg1ZGQZMMSlR4Whoh9KAnFeoCDHdeU1xSBDdTYwehUNNnGje6f1WG1xRifSZ37zRMdRKzMdLkbmtd5XbE/jAjQy+heKsYNjrXukFbqP+WkscwKdRwaiDJ6xqx56CPp5JSds60X007qjxW6f050IM+EEODdNJ+V4MbDzaaF4y0bF/pwV2y4Hv3U6dLPRhMNGI7TBG97vTuZW7EVxGAjo65gzB/hM6Kx0DohpAmPLjcPvjntOnyORQaX+IWItb1RzYC/y00xn/0ozQL9dk3+2h+6PGjVTFgT1FNxX96GkAm1MinJD4Yp693NhxfXdTNnJ9gXfai368K/fLNlYE8V6tzBF45jebAGJf63UddAiDhpZRmyoEE1enlViUo5ZhIZNBiWVyBUimgETGNfzWeKryyQX9xj/2g13KKQ/ZOuOrodBrSQiMyTqYJSY5Qg69LP5wVth5i+7GFYTlsL/+HcmQ2pSoIWoskIWfR8mb8VSyPEBkzEHPD5DNOssslunjMotc8+LsNR3xpPwHd2OyHCuLv4VdPFENPs9Q2hk5VDHoxqSTviNnaGnqU6PxX8m3rMo7IQCIupMm4/HO6PGxlegoSp+4ctZ/OfbUPYkQx3Bzzq7D30SMGynraueMALKvm9CyuZPfhr/J9UvSNEiErlDuC5w6L7Phu0BnbNQtQz4S3eFIDb1leXDnaTu6wq95fj/R97bUr20+3RryeSPFLwwNBKQGKwTUlB7m4sqRt/kUYTqn4H4wQYGrV+xs2JBEdQVq7Ixlzls+2XbnzqhfftMPrGo5o4SfoyH5D6hUUvRhaAJdWD6bJog4vT7D0MyPWexXu+rgPKxOv1AAfSD6FNPm32boDQ3Kb9kkKhj0tmpPsM0h9+RrZS54qDF1UjK5LbJC3rJZkj7FwZOgLvE82X+e0WkiyZi8zLdeoFwMdNBcScmPENv5/vp5d/mmg+xFuytrVMTkivErJIVPZs1Lk6SR+qnvXB6LG7ajN6WLRymf7nFn8uE0cc2wsOENzGNh6j6O/kJstnfSExhVAUYVHXwAscsRCGQqxslQUUc69Ku2E70L3lac+1+/Dw10AJjclbqBdOruRz0EIuj4e9BrY0MmfEWz+8califSUmm8f0pUBXATtER2vb0GzrPBfq6MvxXoLQ6WOIeUDXQ0jYVUoQPJ1ugns4IPSrwDQwfSgoxrJXannvMtun1nJBJPpvEdkxpXrxwnrXEnfu/2PS0b7ufFnObFXzb/CFMsmcM+kS4//79hFf73/mikJrM81Xge3W0bt5rXleFYkwPy3s2a49WqDCwCi2YTFc3+0j06sxwvATDPGNC//bAjGp0jwRWY8eBR/7SsK42KJaKZ5MhTTzQcSOxgyFBFgfBEFRezy86ZSR59VFGJ+ZLBzam5ygvDXP09lnD1iue/SSCcdp5kaq+gc4ozL4rLEKfatsi6h1W79JzptjsXvZVfTCHONldSocqroJLqbmaMPg9jeHDSWLATi7r7+ZrFN6xcDyuOVg7a/rVsOKeXwZAkaaWgzyCb7s1Ancwt8hoiX3hgCjkFT487wk1qG7Vbs2oDDx7LuzvwZHkrKWfgCcf2BXa3FEnuRQtvi0g3o7b4b53h8/PPLS3HWde49rDD2WAjP/wcmpo4aVVql6Tx5Vq9Tpv79QDrRvnzDoeKwtOUb255DyY3Byb+B548wCJY9hzOkv+HtnPpTlzbsvRfoX8bKQnLETROIyAkgSCwEeiBeoB8DEZgIsA8/OtrzLnW3sLnZtbIqpHZOKMq770nwgZp7/WY85srL4tVgQSjTcDQaMg4qcysvn27/WqhRJRr3LXdEkeUC2O0+FZSpPROf+ipNdpybtw1xGcQ6FbNv4abR+J926a/DUr52tNdBgq4/HwT+KGyrCstaaKjtiYmM+oMMJX4t2hT1eY0Zvpp6oepaEFx8M6h5nLPRrLiz3eaKsqrF68gwqx0Ukaz3hiqV9kZzLgnV18t9YEYbzBNe2tgdnFDRy+L+IPvuxiZawErPrz3RsIoCLTO3wuX/nxH3MI2MjEnh4bSY2n6KiG5KKeNcBldM35aI7vBb0/syshrRPQkwZcQ6MKxCJymUVuiRBgkqWBz3wEs4cMyTUtBlyPpmgHHcveVz7PAzAlIBi0d3m8Vx2UiLtJp6n9fsjdkm4c9B6Vdz5vBR2wGfUtDcxkSqQDOTRP3oA+EQePP/G+xvGK8cGQBTnVbGbHcwNaPHmaQ0gUNL6eDV63pD7NEN5rF9slRlQOWPWz6BlcGoxN3PBOVgYw9A9S5JyW+RvXnDGJBKxOjwCiRWQr8QCsJSYplh1rM3gXbmOf1AXOR9wWZGUE9nqQwp3rMpzSOn0xi1+S6scHD+vNNX5FgGCJsaWseqfPcq+sGjhMm76LkDMaSPfac/virCS43y9PRzj3Pd/XRFonCXovoRtOMaXRCageRVaKXqYogpEv5jwx3dvUF3j47sxzqmSzpsgDYqBVfzkf41e4xB0xnwmBDhonRfzHpMwIACnjj22qvYqdE5uaj4i7Tc7QNJ2lwjSdOKIduD4NE+Smqd/Em8oK137vJ9zJJMaaJRSIGx6TfYu8H1iPrqgly1at32VZFGnMGsvjnVJWq77RswiP37zPT3uthZEKiGLsxBaE1r+SRnyhiWqLH+9mnCQm067B7wHVbQoHw1NPgFGSebFIk6UJbuShx1dtZ6tGCIXb+YINe3iT7jvFprlmRdl0KhGeIijVgBrTVNkuncJLnWRrGM91p7kVXIHMb7eE3E0PUxbAUv1LtPOqyuMTL2aytJQMrs2r8yb7+uQRVz1EqPacJzQcsJhzhHEJwBzSDYlmx6QB8FmwG2LVl5LbTrLERaTNVrYHu2bpCpTnxMFQuEpNqcp9mE7nYvZ9baVAHdEfeWebH6PdFL16ayPSFF8LJWoFfms1ZxmMoobBphWhxq294DsP7dMDLt8NnMwvhg4CJp+Yz1LRNwQbOrZeJDuVPIZzfzkkrA5+JYSVOcRlBBBWUYCpB6o9d7Q3LG3K7SsNdBtfW9PL8RL/Ei0z+Msl59WVhNqqF489aI7Tdizw2Xu7QWRjYxyBQcnPhJOOJuDUSBelQ4HQng5rAgI75LT+ZQnVwtBasvNMa/5Iws9IdxHVaQEwczDzDu1yWElhnsXnX31DGuBbWRXN4ziRouLW+62+Ua1ym2Z2z7B726oq3c1Z0RYc4ytfrZTQ3j6yLoxpykPEOTuQ3CmO49hHDUPLA7fzcy2p6pQpEopIhEpKKM/6jdplSuWs/Hx6fGjd8dW495yUufUeyTUOay0+tFDQ9obKXREgzU95K8QUrcnDVoHTZ6D6mS9mIAHVoHjEgMQa/g/87FNHEmkAsi3EQy0wkITD81elYBS1nJglOZ4NIBhNXGxgIsHeVULKonWqmGmM5svPbu5bDJpkQQThzfVieM7PWIAVAAS5HQawrMY9yQs+saMdR1xk9iPD4i9tTdztS5C69sS8ZHLkRIQmA84FFTyoZoDJ0rvbji/qJrk7reep0RhptX6/k7XQPq72SzSeeEVP3jm/D268/g9vxy//B/1dDg9bmFLFqDk9lx4pm+zafXlp/T94lsmvS7/p2w1vg10c3vsxrxRhDwrzPjq0KkWRLzW3SfJ2xMEEQmcjeLp5uj63HxXBuOGXuirvWFfOugXQxsJjTWfiUiCrFSH/Vz0Sq56X63rTrt4aIYQYX4FoTbinDlPJiJHaNs/5bmTtQR9lYdE5TG21FVLbhPTrYJTFDVRpGrzKGUkbXI5gqJElWlk2wlvNGylI3bI3aAb4bbiYQMFQrQuFO6wy5q2KYOydcyMAZ+xZcDHyhhKx7BhZMs7jgyrnfnMB3beMx0YNE4/cWdnF0Nc69jsuKU/qD0G1N6lqxJJIqis7TvWf96zSNwTNEwvgttbqYuG3URbWWy20R2BFGCmy6hYsMJ2QcihutypOtAlVLowaIfTqSMEUTZGfxhSqNk8Q9qOSsq1GEcDAY0vDIKSkhsN/dvJ1tbXStZDj9fIc0Awmvtvhq//zNi7OvC2rSvkyeOnoJlnrOqEheq6jnYHqwzDsbTI1PZtWqGgaTc89dmtfR+iOo0lxVMtnEGYepK4vxZw4gaPEUDzZRHqBe3HAiP+LGZeRpWWQnqHSwN69vnAfEt+3hhe0amwbS9G8mQ7mmjE0oAyZCFCka9Ajh7tY92ig3/W3vtaYx0n+MPkyg+OPSE/IWxi8fGrHy5RsZvwOpa6CwF73R8QBhx9fv+vqtEYP/obGuptXgBYqn3v9kgSyUlX5FdpOpkb6qw01gLe0HuX5ksoWiKLDeL/pmScbteBivxTgBQnQuxIj1i1TW2Rv/qwwZl+Ztnu4z43J4simq1vY2V/u2HDr+7953ADdvc1MzXH5/B8nklT2IyEHQ8GIoBZOXmfFI92mjK55z11+1xZh7MGwhaKPOtlIoC818coYoLW8rtD7ZZul1/ohOcR+L9RYWSMRmSAmT1c+ZCDJAjMvWS0M9BwiJ78VS5cXm+L2pCYqH9glliIIlQm8JFf+wf4ejxKR2Ih9JNhdUP4dDWU1hK16WVhKxyBz/qVBtFu2u3KnQML7csflq6pgMahMZCeKznu86Lg81LMxWlEhFd1jtXdNWn+cmHbBizlbnEyML1ziHZff698/jkNBQcJ953M6xhIMa7KnOYrZJcC6EtKUjQQYaaiLIDCbstF7tuOCQchWsgG7qyFznbLJN0fZo9tjk34LhYqwk8IDlaiSA9BF5EGjQyILdfUnx7Wxo39aJ0qF0vgQcKBZFWVPCZE8gSJbsEv9M2Rhbm4/hj715Q5cMi+Sv5hNLiirssGS/sh/LAn7YlwW8rNxzrDZKH67wg5FySooph6C5XlAzV7lsGVDxUOJA1kJckAXfyxrI1f5NpU+DAMcgK+astqJ2LrwKj0Am0E6Sy1IhwOuS3C5CA6CiQVc9xW8/2pVH+u5GsABwTONRYb7Gj/CogslYLGBPb++/US/LNgwP6VyfO1iJ9rKoROApmf+RphojYvoFT83f0+235krzsuMdu0DisZnoINSUihL9pQlVgcGcD2wvvwNSS66Rv1XvmE2CPUKPg0iIT36R9Q+t/ZZ5R+Fs+7usIewFyjyuzT7jHc5Ro1vBQl4SSY/cNIOTz3hKqT8geDR/DJ02uh8uPQbOulCeKX5RVuxyu9uwGGRhfo1zlELbtcfPoFet4tvqL6vs0AQZBi+K7y5BtAJCsRfydWQGI7++EBZml6K97+dcKz4AMlRwQUkYSWfhIzWE8u0HPPG2JRbHhcCjYNaVg7mkfnVvFK00bZq0NZQ+GI7ojfA15nJU3GcPCcgHGaEWMaM4Er6QaxHEjtrr9ypyjzitPpRE4EqJ0tv8l9PMrjhLR1swBjpuFcrfo28g6z+VwcxguWAOeSjR6IP+qaOqwjVEVgZJ8DGSqB9LW+w16yjJJ0HcN/rveTsW8VYW1GPY8GSV91KMr8uIMBpVxPQKsHkyrissMR6ZxZ+Y++vWWu2hMo0T/mWDQDD4c4mVypmwVl5kJBCpwQ/DMLnmnFBMdGzFQINf7NhdZ6dFzvlVF4egs5TCETdpdpE0tUB6OLABJSNeu7VVsw1GN9KU+kBkqf6/1zCMRwpKFfASCmCePzmcp6PNYN+a5+WD7ioqeULTNjO/twqfHp9bCYANkXqeykiN+zy0JzrBvTzWN8Z2jNp3iQX+6HdkQltq5YuMwyzEfquaocdr9pwoa20KIdNzcTTNdh31eGi4gT64pTz9aLPIz3Hmz5MzfyrP9aHyNtgpLOj95g6YZuMu+uynTGwQ+FblB32iUJiGQ7S9y10lu+MkorTu4C6LLt8S2U/F/e7WUlhkLNEfu4bY/K7TwPC0vNi8XqyRTeodRw2afI1w4ZNofOmG1DKRkzdDWBwEa3z9GspJC2iU1C9yz3R+cmXoME3c369ccqHovjDjKNIK6yaCR3exrFRjrz7C8JzwDKDEehhpqsqKzJCrHMsU99txB3dkFyXY7sD72zaU5QRfeMRlfPcyQdeUVqoZCsdQqEGtLlqO1S6721juk5v8spEB2QaoP4hCS8TlgBwlgg3lwLljeM6QoQWcl2i+16el52+FqE55IGfy1VqvX0OMIcfdF+TwDMZG6dsxpbHJUPTAmlxDwyDgjk4Ehg23Co8B1UsFQ9OT3bIdn1qTfbYTATRCgkIQL22otdZX+AlnkUaNIgJAdyqsHVWyEgIKXe6ASybiL0nHaauXxSE2XJiFgVwsHerl2/VD5zZCMlJRDf76e7Ecg9vqzRxFuLStyfbfdg+QHkpgYVr/aqwVQUfMIApUPq3MmALibDMaxtGvlhZKYdyzFMiko5UYiPbDV22jff1zTR5654Nc21On50gPCk2sytbUc8/WXxuYlLUcVVN34oNBcD2LoGADnlYeC9ga2a2NqttsaPoaXlQRvIdh3+b11HraDIatBSFkBq/BiJvcpOOi/AKIkZOelJdCbdzXGwxC5mamLwHbE82GpU+aBFX306y5DUFTMqlRCS/6ydpEhxxs4i1YsE3/GWT8+AU43s4k9lFplULehP7Gn+dHkP+Y9CMnPQ5tYGvSbfZrkiWyQhj2Vsf4djFuvIGQh1v+3Bvg+LzD8TR/g0qzwlMloEHqEy9q2+2zWIaH9VV6QWsxjacPcl0XvcGx6A2siN9tsg372UVVd8edPFN7CgXXazXSK2qV+FCoSSVx2zlat8ILa67IFw3FxOucWbDiLFkKS8M9lH3+b8I2Zp6twbj3QhNOmYd/8AV5/G2oHncVF4Y5s2kcapL3uDDMrdhOAtVX/YmZEvnb1sRZy4cMX7Gs3PomG9zwmPrAAes7S3Kvq0N79k24HVlWeKpDGox7DuSM56rXceZHqpg/hBK0XQvGpNa+gFCznQ0LzW5ytD/lYethmPdbRVv2TnwwyqI2oyis/ox6Cn29VNlxu/Vyc97Q4Mmeq0Tq0pR4Zll2ZZnMPDCmuQp9X3YIYqlTS3Duy8hDkbsBNRk86LW8cRXrzeTko2jOaE6D0mwrVDTUjiuhhyvktG8mhjKJdcGqM/vBm0iUGCY9+Kv1+OfpldIcCvUu38Z7+TPhRWx3a82j5tN5/vkhVTkg0dczl9qpV6OmE1H702Ygjs/VP1WfM+lVRXurL/Abn8tVm9nbtquywTrv1so+eBr+DSHIh1rT5QOE/kyvnjCb4m8w05wDMuE4zNViCKyWFbfWtd7jasMdRuGlVUiaoWzWORWDtEVMbSkmOdlejgMc+cLj6EK6awcxkj9qwF+GyrREzB6+gO2DY843/dorxOZNJOeR850M8kCjuXvOLtK7yco/Zz+Kl5O207Ggh3ZczsofF38+bNQsoma8iZtMZyqQEGBJCXGgcbJOsiRNsvhJxlpCaXijmJDf6YITXEqT2TG7DYXCQOJAxGVXWDjhU66sOZxOO7iT0d6Yg2AtRSJV8LHQjKlvyBV10tJ4VKPLr97Z/BhMlgkSoSiadqpdqIt4juRoEo5vFW0kufhOhCCw42p4PGr18vJGZ05ZJGL2wRGmP3021xSza4rLC4crrWMYgI4/W9WuczBDR0kQm+Xhb142z9PB91Yu8Se0A4pTYJFXwiWWeJu4bk29zK9s+AxplCQebYG28NfLfq10lj73RiJMpVGEzoOIQeNiHkTB6ZCgSUsNG1Qj2XDm/eT1FP1i9idl9mj/XoxMoCqUEDfbIm1P1g7yZS6jTg2A4O/R5B24QpTcr4LN5zQCVtJ525Lb8WlWzVq2aOupLKYhPDYhuL/GhicbG3f9oh4ExDNuWoNe56XJ2NybfXYfG/xEwsq+xM5+/YeL466QjP1piXj7/sTorTkhfFusnj5FuuisQ3opQDZZaszAFAt9dlKM3LkqJRwCmudApw+TtH5i6o3kDyKJHMnoqKE4Okbxyr/A5agECbf60MrPkN1azxpMwhuIbsu80+B9izbpWtuKAwPM5EBmBHosBWsGmiCJAlSfDhxttH1MU3eCh5iWNFIISq8jk535Ts1QJb+9jl/m8uc5AstWiYQYPSMl/03yK0VW97LyXJySNxYyD+9MPy9zjhAkQJ7kLQpEkX1hzCVpw3zhg/PMj75w/O4szWZpYKPQmeyznRcqXFl5HRGHFs4dU1LVX2JdvnxLHHFfRcQ/y8Qrw+rPsM3A/Gzoq5I1gY/sQ37fonuzxemymSSPfW4pxfKKIyKTSnm562xbzvwsQECkMmh+aoVEU8iTUzlYFTmdbJZWpGXmjKF8WHfRy8qnnUWdvY0/gv2Xf8i3AdNYYKx0ax4xz5/OVgUaShobZSne9p+T47jXaWEBLP9owwu/JYBxmtCKOfzuaqlJNxZFKtDHKueyaOaMawxTLmKOj0zudWjVs7vKFruY2ew657ts9qssyRaQtA34W2ObLjns8kv2wCYwa0swCbnm7+WUQGidu9m+y7IvH/38jW4y22WQXst7BUqbxPrCPSapwDECdHq6tzT52ZCdovnmBCm6C0GaYSCy+2501fVHKYPg+9A2+q9KJtG1sn6s1LFx7+bMAxVf4BQx00RsbpYmHadCrSgVJua0J5ELL8EoxG+TkO1E7+w/jMd+iV3S/Dz5kMv0INkT6U6e3be5kFhQ5vsHrYNAWNGz6uHw/S6FQgYsoWt2ghfs/OVUKNAgXj+nyIRox/XECzWK2Vvz+BU4SnqPOxCQT0Cs5wYfDUq1s/ZycV2JthCJocG/i0H/bXT6450noanDMWZp8iExr2D5BZEFW2reGDiW4K4RHHK/S5wrP4Sn20AlsgB0UuXK7yfVkjq9O397PEiEd/jHDgGWO18eY64ccoVU+/NFxNEo34xJLoov0kjnebPBpqpGljaBbxLH8ARkSrOOrseKjbmnQcUTMwoqugIJSGFwQ0U8pwwuxBRF49MZdTnF6D29/pq5q79acW91RDCKQ9WFTbZcemZSxS7Mr7EExbMlkeUQLxvINGLYdSCNmnMi/ee/nn/Y4+Eg4ZLMTmnHxm+w9gEQgxCVGHTD2eKE5W7HZraAHHIkInIeESLZOWu6wd0QJo7udKEsf4pMERT0ymaiuYacWWY0+7gJfZx5pSx0J2kyZheMihCqRSPcr/nj0rXZ/0E3fDZLMxmBgiwjSXUKToaws0bJJAMf4QrVOxOSDfbStqn0DFhXFmaeidse+2gyPmRrGrjYGa7F7RfcAZLmBcLlQlerrAozAZe2BnCSM8bNpNhCwwz/46+W/7Dr42jftIa31feRCV8ovfADjnBFS/pyxExzf1bq84qx14fJwRMZtQ4mzsCDAagmMPUC0idMj8VvjbcarGdlKb7PDaV8kZfbMqd72j2/mHy8QZTJV9jkeGGmxxF2afk5QvsNNM6dec2yd+ZIQlzUVp+G8gwTjhW6PtSpNITvxw6Tmo29f5k3fk0M7j6oo8vwrIWJ8JxQAxuuFWQBb2r2NAjxqH6XxVm/+1kW2da4zqCH3DbsbDcJZ1IqZ1DVn2rGuMAKttrdhaKQLj7ajTetqjg8yo2OnBHN8bYiDQl1/CFB8pDv6Ge9v9PIKsl72FrIzXRrffv28R+j23ccVUKw2wxUNSdni3hsuclFxKviCLhwrhsH7gqG81H93VQM1qV2Vo2ceG3cJWPBjFaln30sRHSNo7je83PC7UuWgQ4hqQzLoD+RW3X287fucNbmwAB2+E0ib2hyS2C1EU8XzomVSUEp8IlnXU7mKDWo0O1u74IQ0YI2n+m4V9EmuUACT8o+kfWdzK57+V3GrwLcL3Pw0fzH3SOkux/Ar0kd54xnLbyECxm4asrdjrqgBAPQa3e2rTJK9bE5EF0IrgpTHb35315u2o8Qpb7CqgFrvrnO2FnrltyFBdRvCZgE5zdE9tIvG4jg004jo07fYAnvJQAXlHFajwGGHV/mmgT2aTbEayVr+s8J+4awe3jZH6Bby5A2MRb/F879npi7uhdcKouos01JxLdPagmBY73m3pApGvhisRSU2YQXH5fegN/WIN1ms6lhF/0UWLiFzvgD01jPbG2+KGY/fxcmKVOaACXTy3Lp9LkAZYuKnL5Msg6VYZNDQT3NxiktP4sIhqRC6QRyDOGV1MHdaHuYgBe5NJPmlwJBN/V6Kcdx7ChZFnVHfbsf+GlSq8nwQGXCOgrSG5mTIMcT7e2PO0VcKfvdMCjz2C0bIHTnjQlR4jnQ9K5UhqTox9dcliq0JJTe/XH4r7b/J+rhpFgzHJ1Lwkgz6qnHlxN+9vMPrHix61bF9DJs2dipYW+wE/2EPh8nyrA4P6zasfFIVWfWLKiTmaIt/tjDgdiXMk+UuBsoUJD4JjPgRUq1jDdVH2cikh1mR9OS1U5g/T2iKRCfGnwrFgajsQbAn7hikRziEIqu8uem2/o53dZpbkVnjB+i9dj4tEx6Cxn1ZmCnKRTMeOfolJIiWUndCfYxLmgNI3wDiaJ7CWSlnr3ZkyC5r1n9oMTmqRdIR4t2ik8FpzP6B5zhMMJjIpKKkBM/R4xQshzJ4knRvSzFb6EyyfyK0cBJFaOuqqyF83HjkFLAlerPhM2CcUtmLClR26WYogYhGkooCOsbcYvLdhXQ0OwJNnm3bHJgCZL+I4ozO/QJOjtpo9HJ7GqU5Xe5EP0Ss48N87zorMOiJa8a9C8WeDJN7mcflUd6xVZBhvgKe2tANE1InsY9j3aqpJKkB/c526bazsDgzCB66gYUdjOrx0+VcaQwTdeUE4hKWO4MuthV9Jo+t0fj4WnhXpO9RJBJAOMy6rwt2gr25toSNgYoPR9xLb/PzQ+9lBgNpipJsVJ540+IM10FhBEK9I6ZBw/nsvi3/RFADLLpaGSBWMfyS+KakWNNalbCLV+yJ9PbYCVURh1RgxTOOs0AdkfMnNX6Ml2danhJ2axJqZFCtv5YqKjGRF1mGxj9Kl11vdFYIBAEw6GirfB6NgxGZ2GV3kC1RImpGMfvTCiWB5JTH6f1svtFB+7OXA9nW2tjda3igfopeZXj6w+bQ5Nwis3UVugpfQ0lX0b3y/QcyeSB32txky2q6q4CxoO12okDeDAP0GVLcSK20YkImDRbOj7YzSZP6ILxi8YMEm5lVK2LzfmOySOAWfL3hZiJUc6vTAPZlilGoqGcVo09L3CfWk/4iZ77qh0CKclm8AAprec2Vna6IxhE1e/WoH/9/izb7cxtPW3vNYoR0j3G6s0Ns+mM8uM8+0M9L/XKPQg7FnkGZKf7BxO4tcnCO0tR5tba4/3gsLK2WopRjUxU7eL8P+98ur7AA1szN3si3yU1AZLxlpT+8QkX7oqebQJo6lAoPPvxVoVI0EPXODAMCgCHbqrAKnhqJhiBzaWoflvts9NcTGq63bTQy50Gyuqmpr5giicrPsD8zDCQlDOcRqJe2nUeZlHoI+635Q3/nh+l8qegW4KpkUGyUn2KS3IZtBvLXeJ+Qc8ZlsqtAvCEZom0epq5cSjSCkxw+sJlTyeq/paQKP83JZHhs0VyaZ4YBvFivkp3HRFuFd5YNAGZF/qtb6OB7AtL72rprNJdPn1eLKt1b7dHhceHWjXaXiIQglEbFRgzxDVtsyzUBTXsbTetYVC/KdC/K/9DWUlmx0nubzmUleapjHXBcpKLdpnX8D11HphXMQjHP9NtFs4UL3muUIzxJ7kZ1An042ZmXDJa8NdfIltry/l+LPNkr+VKvFEYL9j0cprWS5Nls5IbWHHDTLIQxs2c/J0c940gFfkHlF5Vr7YqlZVsQOx2uu8oOlsvO7REeKTr79Ssn4RlhkejPbH6941EKGVyyg89Q8V/lT3BRxWCsZ/qjkS3yxz/lganz6/p76kmTZUYPO7qPzoW9JU6HjYVs4qgkgZWRClultbR0mPeHAgo2c3aNbQRh2UCx8/t+/l/8x+N8KSxUWxNy7YyTee7q/GT3UFWdO0ksBsOkTbfRX4n3+XgTqH5490U0zBW6IYGT44E5Ci1v2EnhLiGYe0dmCkCD2nUl995Gcnu4fTtXG9+c3aYnZeQPyYNUJcISCmunxCYHekASxIplfCiaGz81mt35dXrlQi1bcaWpnl6JxlcgNvQOJ76xlCefKrhCTyqSNgGrG2QRlJF23sTXcJvmTZVrhKblRD1EJoGDRCqqGFqoWLyg3n/dmH540Hi0E2FZkQ090lizoLwgpWZgsx0OUrnjpipOxcb/cmYyLyDHzj8UJue4BTlreqP/yxAPxJiqI4n52jRmhDpH/pB552jjm2xTLM81kQACxeRajVq/EFvtX3RH7EtXpxtJ050AiX93ywLqFTd3vV9wBCOD8aQfl5F4d5+GcP7VNUVWoY+365roEK1qwFQojvuqKfqCamneJnpeeoHwhUmoYALlH1yU1QgWiCMjGsl88hDvpKfRAfIYOFm+wX+4onAp81QV2WBuFaGXPZxfizpzvwKxUHpKXw7jVQgSP20ssNRuLfV+lFBJoyVihxgC9TISu3CPESHTWjXpkHHHHpvsmwMrgSarhqqDf98Sl3kS4hB2mAkF1ozEJdY8jUpdqSNsKRSkiJRGFf5P1beVTxKUMwYvL5UH0HWb2X0KNM+634SzCpxx+3so/W0mYuUd4ed9/N0UJsb1rFUeO4eqnx8uHwbf3C3yDnVPHfh9hx8SFQe/hJkdigBb7DhyJ4YfdJxgMrYcuKkA7kwMaGZlHuJZOHyGJ7o85A2syaRZADBo6qEMV/yKeAWkzr0LrJKiv6xLcHuf9EQXJqRPBtQ/73XbXlDHIZBBpNn9g4l5fNMSv1ThzlvqRnE0xO7G1+sMfDFnFTO6E/yKl6jk2xAn/YEBIzT1MRLDcZRAH0Wl1ogREvyecBZ+TvzQxY5LNRZPE1STU6YQ0GBN+DvXMjfSHw1CBlFF0psb6wR032LPK7kZawoUvf36G0vKHYFGBFUM3CPFWZZdDU+oQ/v4Vi6gGEUOxacTmu2jDKzm/ZjEPxb3ZFKKkqVfdqQb7siSeu5BNaulEX/KTJ8DwPm8SekcM0MYrRPNhqQRPuO3gjOeJqk2VNrmPNW52J+sq/jUoGh8oQ8/2eCiMINsyTLwtbDXIIZ6kVevWvetEIlRdE09pfguaAN/klTKJWMpLFKd434WoE/IVLBOzmaFg77pytf06BX/R3LE5HEzDiaZOPn2asVbSFARZH5AAqupA8bS0LKaKuqRrQ+rcVxWsrjiAiYWV5/WvI2BkRkHEngoXf1dKqSOHfLaZCYgjLAPeJwjA19ycy5ppiUym1VFeuay4vlrlwLIzQgaEdt6fDjX6S5rCvOvcmN6lw0wA/l4oorz7jH3ynQBbCBogEqqpIA8sH3KzHPxSBqlhZdlcMJiTHiZvuB9AiCSPUS1LoCm+8lp+0dHjs7CYF+ur1sdBKVZcF3ofguzQBt5THPl8LyM1tbMBWk2fWsVLNCB/suhmVqvVIJUCkteMtKc/Gk/Mr/Vn5ldeQjjFH0LDSCjdSfZUH4RC4nATk61kN6bzlNUvzhDIdNmb5ZMmidd4+m9yrfu15j59FfIYkZDPnWC5CO/x6AkwVlrpoH9V55ZSq+9tbzzOl8+ceOmAyMCeDpKsrCF8jq+nq/Q8dUChYDO/zEl/AeM14sMNghACe/Aq/gPLby9j3mLYwf8K+WmczeORYUEd5g3FvQdl9xVMfb6Q7dNKGvpzKYL2LJ7gYFUecjg14RVn4TcKteYBkGi7awX9WllGDhJ6rshkp0d9/IsdVWLy6MPfIdwDE6u3xvDaeXDTUg5T77aBVtsaFJf+KMfiZvCnTDusr/5wfNOLrGEGZ8qxLhkyvDVjKTEFvFEpUqfh05qKXYCtSlcmb4+nsr22ZTgUX060OZX3VJp9BPS5t4ejv8PezBn5aO05k74F7nbtkcXfkUCK6+0C2X7++++Usv04e7NB887MFXH/NqGQ0PSVBby1hhGN3BjiltITRWDLtbDCL3S2S3jjDOFi+B2swHwTVMJMkt06WGoCjkVxj24zeaTatdjXJUCrDRDgB5eF3N7msaZF0WU5Pojh2BMXcZ1XetTlTBrCjtM4wiK9nHZ5+qKO78UYAUMxQdS27AlyLx0qm1BN6pa/tooTUQEnEqc/0pqS/PouxBA8S1Le4xZUR0r+4yVyfsICizmbSjB/nUnXjF4HgZAhRuVw4uXFl6cnJvdluYIFn0CXxbJ3niiU1OG5GF7Md0ZDPsDc6DzUUusrkI+OJSdC17q+bo5CL9C4hGoe9b3Y2DzZMhSJdF98Iyo8zfJbtr3s4+5waYhyX9nCEY7WSt/CUojjLzo0H5Ppaiks0CITI9dshf7gumepcVjvxRYaZkfZX/RHAiU8d211Vr9iAUEI5tawqHxvX1ZW7sF6uofsA9d7dIDceTJHzFw5Q9iAJUCqsbAbU8s+pDTQ1VKoi1g2FCXqh90IkdFORmlKKyRWf0LXk99f7lzH9YcABMOJ/8tB5HwkdvFkAl40jvko7h0Vncg+B6eaeZ/688f73ihnli1FHGX+yrZasXS1wZnM0rYytbIOgKy43n0ISlYxQTqBlOHbpOa/D0+/IqZdyhru59uEK/NGouEZTh2zRpHtbWocsdIMm1831b9FesV981igsrTlU1jPZoEEPjhugOcgXCi15vSCN/NP5cYQDJUTg+hss3/MdB9rmCv9hQa5tdGCHmAOB1Pu4Iqt+HLb6rgWzWWt8Gv91W5dWWGSwTaWds+JsackTNqddYxN4mnh26VHqORUa83jNoZZySngAyFP7rizVkgbfvC/52EHU2i10mOOAMqGbGl0riKz0P7VIniZJTKTmLF2aHQ1+qpEUCuSCmeXxcoxDfrMzQadgnoFtyUxu2c5gUJA6n4X8SW9ybmPtvZ0poOOjamcq4gnCmi+kMsC23ViBRaRoVVNZk8RojVbixCm2mdUjIlxH3nCBskqfCH22+yVAEUfW7ceNuZPWMXvOF+hvYwAOY2Trcxn6+gGtqkeq9wVmURDMK8jK3ISXxEhqvF/Jax+dVu+sLCFDs1GKqvCtMMlm3i2Zt/Y2lsY3ZMluONSmGmKphbT/DmZvl/lHxFuvfRC/wJZii5hj1zVwUbguFTt7DCuQig0XcQjwWUegt8o7KWfvxRQhoXnicq8MU9FuJPS8894Qe0FmQ8DWhsv9hZvfqkdV0HVT1O14jJ1qtdZ1HgYMgzGinsQ+l4KgPSieE9fmE0b/D5DkgoPUnZTLEntuhSVZ2xeyIJ7pod99oz1maaVbhXOPEWaccG2DMo/2aBLmaDafGa62Nsjf74OYS9Qe2WXac8j/5j5yjcgGt9tjD/iOJSAPWBVglHELtzGRO146RamWG1AglDD+Ib5R11w+GylJufeEeMusjRWRLjW/dbBj6Y0mzwSXLMlMWVAY/ld3u/qeMf/9cUnMF79MAn/n0+IcSUmFhxY4NOC8Yj2w1gHcn8yB0l63pLnNaIJpxxpbSO2ZLbYzNNPdxtFUulMI4ZuLPAvAFz+nDaANbv6ZnOaPR5FTB9hlqyhnXr3uG6/kY6W0MFJ0pM+SPzSEg2ye1PqjhVjnS11C1drgIKBAG64DOXdYXPuT3yJt8xhV2hKoaZHTeEyPYOnZmMlHj77+IMEeihYJOKU75PaoH/FdvD/vRRsY7a13kYSMEp6l+bBRnyjDKBImOhUW+LLJjFdVabWy2h5Hqc0XXH7uOjNWGkVL/jFeW4zcDiWXfM4xcZreLmisJsp8zZGYbjxL0eiIp+nn5Ttnrw0P0iuPAF1aP6miBPJS90Gyrze1op+A3pAVbljwOHUmIwXR76bkbwhKfp6vvREKJKTRww1md3uXCcaay9c9JEd+UEm0irapP7dU0vNEctC/uRWWlu/ptUWgRxV1uVcT62QX+eeGB0UfAss/+/FAhC7KtmDcqXFJqEcwQ4rCWUOL4QEXPt/h3yu5vbgZac8+IMvI74INhPdt/EZkxdFgVbJVip/Vs1nhYhfG3OFaoAHmRXGTAXVFk71u3nvrownjN8vwFGljKB9C9tbNmLeIvpgeDXTPpz817X5n3/mmf3dRg7bo2xVDjOjCY3euLgxP7iGrshNqH8Ae8iPHzzJV6/WPezuSne/ZKqDSkJ+t9xbyP9yoEG0uPtVRtnV23SmwfUquVbylDYY/2l87PiZtN020WcFyz0kS0rrCtPaMhR5cGPdZ8967KNZ6wqgtWXQe9oVqSht/fTUQI/04VWRzwa9QSMIlffpp1JyqNYRDO2pCCD5aQbDvjEZh54u8KP1btql41TMUr9mAquPxvc/Yxv41cs1ofP8MIxERdiWJCIcN2U/Wyg7Ara4R5O/ZX/eSMgq07C669SToetQY//zH/+b/9oz65MwO3rBKqHTt6n2SSh8OaPFci55N3JytFyqnufSDg1kEbBGy4Jt8l/DOqH5Z5eMHb4FjZ72Cq4JZSdKhihVztLdAR+pv6wpsfCwp+cwsjECFIT44JI8cSBhGMutz3oRtY04X88NDrPjz0fqmkAi0BtFhUyLLMtiIwIIVEx7/cZb/Z2PPEm5A0ahgOIC2iwpYGO94LrNnLZlW/llFJ7qnOgdkExkIl7B9XRgqTLI5nWiyvOW4f9tWp98NYxeBWZsZFXyGnGGDOPSY1x0Yh1f95JJgmCC8quncPy361rlA+T0zwNSaKk9w/LHNrQhmfKeR5NTN9is05mZ/81fp84GGUrC2STnK3IEfWZmmUy7JH2uPtf6Yc6CFe5h2mwmtKQbTMWRFhQIVzb/uNKM85ma3/TKN8lWgCffWhgqFZuhKeNPa6uAX4NUyDTEC682L8poVwdll56msY1SQQ6lo5uKcuBpnqFkFroLFQsqUvq6CRjOiovVRi6oMiAWVZLcVC6iZjDK8kbl6f6bW8vdAi9JXj0MvelSbAscu1bsVt51vP+N2xqQBsTkpa5b9ZTiLTqS3Zvj9mi0BoxrHqXRwRwVACeVjuflnIisKMokPNacoQOW5pszy7A2JQYgqPmlnBB4YCGiRnA9s7z8XCMZZAr7lEFIkNIQmyCH0tdIwox9eGSmJ0f7KtSIOrSbEyCkfMkQQJqtrXXeZaliS6DvQBxnJWk1KReZ12K9t1DobSeKFF82G0KXBLX+kW5QHy3JsQhtjA8OYknmiNsaKv0brwic94LpWm9F7pZmM6Tf3ULH/OdL4tlEv0R/bauQ4K+ByYFCWLVHsOuyTHkN2dIvezHoek21ZUroeoPbPHKs8E/pakrgTPDvo/f37sBOb9QJ7YBItNtV3+opaVEX+2L2Yup5qh2HX/gK0f+jA9X7JgHacaojw5qYfWIplgGsX079hKsliCEpjhcrHxpGjE15ZqXEuniZ0wdmp7JA5qI4sdjnTQ0CTxXgjHkng62ncPnDxNqAH3BQL1OHj5rfBFBnHKk/mw/Bhhc6qxZTYDXbv3iYd444SXTpqkjvpD9maYzQ0XbyDN627y4cZmv62yDs4URMItPU5xHzTxnGdbHhEzN06nTQBdJv8yjmwRh+xjwr7MIIna9QXwqf77JmGluMjDzwZdD9HeaLNiJfWoe2fWYp/GWnsQWzoE6O1fMupe7rRAGNX6wM2C+mlq3DxkWO/0E1xGGaL2pAVJ25lSexGZfvWR22SO+cwviSkoxhe+JKJKr26SimcCXI2CfW72CbI9WOmEl9YT8+vzaYw/W/OiEmPY83SwHzaZwgoJkj8Wa9V1LZoG48Ppxa+twqmYGbbIx0LCb75Yphlq01Tdp5Km2/qnbLr7tK7bSKmjrB5z4a6pfjZeG4F7w+HHiKqEzwJ6Qi4Gs8i9gKzzzv04TT2juvvOwXq5C90lTtcV5ZWuwaBlswm+gsvjQT6Rp5vkI8vFj23HF/Y40lI02jdh+20cx0wbkz0XSdMMWWwGw0OL0wvUO5zWqYk+xFVOY6AryI9dYCKNVNJVtIkqNxVB935Mj7Kjc2uINWE5oTpjKRZnSKjEGw9x4WdrGF42rPn5Hy94OTCi8ccWcCzhceqwzxS1B7ZmspHts028Czse9CvxmhQup2jdRFatVyUt9OMdHoG3kgtiAtjEoCbE/h0tLntbKNKZ5IzOGDp8byWqEFMVkjlDw24xm2ikNroKb55fXVYDvULrMUkPHn+25rvY3E2Mf1wvRV6vqnEoPmB/1KGPJrj2uwNS4+D7M/GooohFZveLZVzt640NP5RIx61VVdyqUIxPIpfsa4qZTmAuQmSPRKrAQs1CqFA+VFH9We5r/Yyfbq+1JhWRC8CDsvDEz0FJNth1EtCc+uFMh7sSkzvfK8l0tDXCiP74xNRP/OF4RqnHTOGOMAoeOY47HxYIvtqF0pamfWuKou7vQ0UrZPjIa4wGulQTbjMDQwO/7CdrAfi3u2o+i0os+2MMEXaq7y8Pgnhy6qeJc80SZOGx4iWP1wQqL4FHYX5dpB6s0uugEtdlqEzB/d9McC2N2ZffdNx7ZUagu9pr8ccgZ9XZfEjOlywnHpn4+BLY98wqIMVyvrLhDgokm2AncPx21NW+N3YNLVS2WppwclNJL7FDppkNklhiIKXaU93eXtLdeYsktnzNtkgSkQReZJkAlC0+gExIoq8PRPUS1H2u1EfyxmITgg7Z3m7vJSJ9mvEP9rmrMKqfIM4kFbTOZfXDbDbbc7kHcYQI0hHSwaSQaEINGgP2EUHW8kVX76BjSJXTy9cO8zSrqHOWo2Uv1K8PgexzSVC5rWF0ql9krJwdifZCHrh6lxJ1CASxxEdMsmrWZJ3oFPZskoyxitRUDBOUi7J3EXXE+vww2iw0OsaSuJOa28SqMI0T5mWQ/BeOO5O9mmeNX+yQ9BJmypH/Z+VVB8vxHvTNVc6Em87NSAjh0DfqXXzR17rlxD8MQYEOyAZww+xLDqBxuCDwD8vPybbzrBGiXYEGL0StIWw68SvfJUAOgqtYgPeIe/ohaywUuK34lio7dXf6pHdV1rgqERKRJT0+oQc+mC7V1o03wB99DKGBFNQiam821k83js99g4MPN0t0zAabz1nKcp+ZKfW9YWy6EpAXrp4KrxXnyBgC2iDOMBtzY480t1bCOv4Xj4S2WEy8taor+vGan4A9pwN7SRKCjmWTLG2xUOMsH1k1nP0hsaDMqkPZx04G8vvcrJdxbhgNdg/44OGNlwEIcmNnhimX7k2nM0v4h8YHg0pq7lhobq/PibXNGp+NTV03qsnRnpZqedaGaM/3pTQBw+n2QLcrvIt2U1243WyyvUrDkFlBZnA9VAa2TiMzlRfR9Q2nrIx9SuBP+5lxvP9jzZeAEBRo8BHO4nnutxeRIqBI27Q7Ct7unaNGLo67qfFVtxLHz9j8QxgLNBsJREUbwUThuK3wagU19H+ZewUphtSfj12YnsT8GcTniny9XDyycgUWpTymhFHCATroDToSfeid2ojgsJqUZZ7duVwC5eWNtrXycXPkF7425h/lp4zHqUwz72WMYRflNRJlMmmsqNzaZw+tYaQrycJxpck0Z+Bqb0eLhy1zk+fgzNIVXIxNpZJJ0TUVzXdHL2Fuwa8KY5RkV4uYZsjKytPKV8pgFcQjGlZOn+lKpuO5U5sTsPNJ6wFjXYvuwUq7R+5dRbM0qutBsEbWgAy6R9GX2wXDeR0xDm/xCm1vLPLqttoGC8fayLsayBRle7WbZQ94dUU0HyTPX0i9WFIWC9hucM8RsQmZ+rKN3UXgD9KLSUU3ScOrLzkFQenKjl6uy8/W4NfwYorwrYisepP3+PbLsEnF+PD+AmKAAXDSzcJrYD++t6NCiXKqEetytjl/j4vIfSy9TWu2R/dnsORRLMhV+d1Lmk1VLFN2GTSMY11jZ8C8o+ailKRElJST1O+LdLm3eoxF9Nz7D+CZPuRNCCT5EuySuZRlVxOljRrbf1sYcxiplDvaTsYSyDYjIRl/XZvf1jhL3USk2srDOy6j+jex7EuvY0RkmusjJXtyaG4yhnTisag/JTMZ86nC6UyyoH6e1VyCIEbl1uk0dAjxncgyCcM+nkwzCJuNF5ljxqfP4zdJ77P6/6ebJ8K9XDkyiTOXz5HjYxydBHWDVLyUReG2Vczcb9Zt15o4CmyBOZfG6aTRTEhLKCEm/e4dizjKalPTgRLv3rn5hWhvHxZhESpwp3CSbqZrpDfzbJijxRj5gXy3BY652yAVfcH+OvOyTbNwltwJmjvUEWGwq73qO16bLU2GhTuWEI7njXN6xpg4I/g9HM+ESjvVhehoq3onEXz57mrfoJqFtVvAZj2cHce9V2b7yEhvjgKlNFlzjIEu4vUqwmCRxBcACb50CTCDSX57Mx5pxCn1p4puKqsB4fBY0hnsYkOtJCZwQt6jwoMf/pcky0h/FPki1Rj2sd4OIRGND6q21f9PEmVwFEFn9aazi3Cz2oUaqVjEW85TJk44BbjtUyQ1QMxZRU/ku1yHmcdEUix1USOD8Ymkt/P4eg5TxVrLdnBtaODQv7g2i2YjQ28T2I6pVBkalNFE6P4roU5izXnlT7YrYaI3Gwj/4NXiMVANdWQyae8cIHlj0j4L/DYq1wCoMNprEHZ5OC1g6p2kfjBzwOKe+kuSexXRGd7mbVtnhH/4ByfG9T7L9ejDc4m1DpS74pUY/MrXbENstsUyqq/SCwk6b8dnuxQFgWwcF0VyUwcXeamfreeoPjPSJsfEoC/qdG7LcV7L17BVWCfTOi8y55gk6S8FkMve7EbHAsM/TSK4lm2QO+1bU5TA29it+kqOWnnZmupxgb8FNdgGDYOXed7ihJI/xYzAG3t+f/yhUbE7jd3kjJUKcQFHFu6dbXuSXkf85IV4vGOEiJAZn79st/B00Ds9UTSJqExf37kRHRUyieJef75TM1na1lf08ujY1BJdFnoGMc3k4pumZpArpHVEboj0Eqr1qQNMLtlLt7UClWO54/u80ZhH90CteDOaDI9lW8h0hyWiHUY11hpYL9wuw9ZoW/1C4WbcdFj01ZKa+JIrC2iUXtn3sVeFMU7mMkKu66VGNCafC/fC11qpaJP3weYXH9ybTiaRAJjePQNRpwmABFBTrYUHqWZH2/LXJF2x55E9m1KpPXs0LHcqERoE7oDcgeftRNFN+/LIqme+wxmp9IDBz4ddK3WYAzrWap/3U904g/421R7+m2Uk8dkYn8lqbmnIstKp6Zjr6Xb8w4t75Zn6Zu8cX24DY5a6nktXM8Ol0Q9v+j1nGM74tzusCb9MX1RBarGYlgUfjk8FKkmljbdy1xpNL39ZKYMMOCfb2Ggg5QGSIxONma8bxvb6pBnS9U9hdyNKCYOzKvfNoeEL2L2KOtGi0E4xDy5mwnpdN1ICgYmTCYZn4zQ3zLNewQLKMZ92PTcMsSQIUynKohDadSRi67EHdpHJ9Eh3UKjVH6Vzz5UK/PXKW3u0gbDtd8IyVf3Ymfme0KSaBChVdSVdIvK1UMzWDI4v8+wD0w4+49uH9hbUaRHTgsSCJfwyr/eW9cwJI4pKUBxFKBrQQ3rC+kHuQxdMrFoESUCdsjP3f3tv2B2d4e3Qi6n+SaStQcGlJMDhvIfgSMpz0mTeqkC1QIo3NvHvYN5lkrVBAxHO6crL9tTpmRq46pu5NJEDQL7prqPKr1tm3MnIKAx7+GBMLImWDb3388jMNsu+kRUF4Uaf1fpzxo63c8u8NSKRZtBg8s9/ARWU7/V/kTeuxgGZv/6BLPF+V2BXNXV1L/vmitJsdZYRUmjCI/NW+I6Mbp0fuqqhCVjSkR+H/0IGa+hweOG/T59bc4lgP7dIfmXJBjMIqVRWYIJN+tY6eDfL9isuy7WQyUZ72KJ/CFiBYgm10eISvr1k9P1IADlGhg3ZMDq5+FuFB1wQRxGosXrnW1Szw8fkcd7rwnLWDDwnCCvAkZ5uOxKwOux3j61i+v5Orxb/cj3W61JWM0Bb1Z+a5T37eRAW83or8vo8u1WCKLADEqCWwiO804J3yH2og1X1XtwZ4JCrVAVXdV5NXw96foKA1RFkLo6k3ivEou8ylZsacA6GklbYXe7AneCP0H3n+e0vHn24wJFQ+EEZMjyOoPtJ+KM0VQ9/taa7+vSPYPP0nlGWycUECqcUG+3E2P0btAhmEuM0TEqGi5H082+S2tnlDE2VY5MNp1kSJ5nKFyrm8V14Hf7EyfCLKqdRoZWQqtYB3Vfs2S52gHXZVf1KjpNiupKOa5r7v+3RYBJBrMe3hJZU7N/IMMIoI9xK4hSZK6oFzLARJ2sNiTpUsUm7KOPKmlG5WCm6E8Xex2fJRg7vKiVAzPnDzZlgE5zq5b5et/zly41/v2ZWy2Xu+kVBxIqMhPqynpGk5ih2yyjxW858NDmfoh+tUuGsnOAVTsc1BfoNC+wKtJTf75IceKj673YJCIjuloYhxvANkFRp91WeRB5h9i9SzSU2DgYbokpUqr7LPPlqLARxWVZAfT4P4S/gYMSZxBUXSgzY1BXgK9kqq8ud0tKQJuXzFOCXfBmPJXWADC5G0GJ9LDM1OIgQW/FuZB32jfzCqX4JTn6XiU8CIMOFDPZIcOjP1PFyMXIDTBjfbP9c7q7ui1l66wOky4HnzeqboHiE1G/cMHUiAxE+JLf/hjTwf+afIROF2YkNp9tHA6xVTZUmeyMnjp06M6yjTtusMhU6+vPhvfW8HWgottHJPDw8/ebCaVGoXpCAeA6OZw9bXEJx4khOy1o9FoffnGSISHkfs8Jn4sI7JWXoa+ZmhE6TLjHCWdZlgVKhpBMaDJbx+nOMilrinEYmoFuqj+wT36s2NBcz1lmDB6eW6QhMgrGcIQ/L35q4GiU3i5kYAVgb1WcuMnRCWK6xsbL+soXpcMhAkulsLf4+YAsg1VpKLrkKm2ZuGXJ1zYkrPrO5GddhQ8nZHe0hkIbA8SEAodBnCgse3pkTd2fmZy1NmPUgyPB635RW6X9aEiTdT7ukzTjkQUCL/3FpJZ8hp5EZuhVkaMQzxNdTDK6YflMaYRBaEycjCMncVfpP+g+utzinGowykGUHtTyuhcURu98pEDw8idNbLaAqNZLsr0Hv+7/+li2D8WtGX60XunAL36xBhA4r3VdvkOvE72birLvoEk9KmVkflL+PqbrJ5GIU11bxoSO8NvhDC+falZUXIfbxXn3wNCDwB8A0cqsJOHeCPfc+eOvtsBwo1u1jtPmOf/BIAAjFufLYlXF6b7XnB8Jrj/1Wnmyt79kZnZM3xSGJ0nSeX2WgMSk4vEtqioapO3Wz2BK9KG+k+oolbNxErmEBIuTO8HIWw41su8J5q5joNI1riFdjC7YpTI7Y30ItwUqXOxydcgl1gd/jZrDRbCb16u40yGpoJdcgX0yv3wzb94utSEKNHw+yJ0zNjlAyxdc3tApEgqofSKeubvcX5wDzneIzxBfgZ7M0lk5icZyGLOSMZdgOPkRcKp61d5Yfy3biy32F7VKzoE/erQa28LD4/vHe1OGMLowU1wIwgJ47fl25euTOHD+dQOQ3leARbmBtGw9ZLZ1EA5sDDsIby6wgjhOdacEdE5KoXNL9FNyjS0OgNTiAc0V0eufJPZrITpfR3bqlwJIQbv5wj4sRmAGJ7qyPRoIxELYZD7ZeocLo0Tb2aXlFrbsw+A/MMxY4jOHng4ONp9Boe4c5FbplcuQDQ3Xilrlmlc/sXyAkJUwReY2FF1N2bASxF7r7PH2gGHkX1E6ZS3ybSjI2W5HYjvrMO9RZkP/tY6bJi0zh1JjfpYkEUkoDpJ4Y54aINaZIOtyZmPUmzQ+HLP1JYsdcHyzSHdstGxwHIhvLxlF+B8fXJXvAidfS8DwW9zUHNuJmB4Qa7GgB8YiYkLUHFjwWQLDLLlbJXwBTBG7AfGJ7sJLh8hx8Y8hJwuJoM/iQRgODVypNbaJE7/1371VXOdbPVjhuV7Ket2E8o4RGzUpfwKwZ64CmTY3VSuqfGaRQefVegomh3IEdWOIT85ov9prIzbtwWUHgF9PtgfLyUaHebAmu8M3HfjWxzepBxO4br3pr4hlNHfzDqKNTKrKYC68R86NdckOx2YgfKjsnA7kRTcc8r3W+lMsCnoSXhewSaNPlGQaXwJEv42L19LcW8B13joZDBVqyQcYieO5peupQiL5Jw9pMbWqthCYd5kimjOEVFnlh8q6HdIiJsKC/yr2kIh7maDCqvFpLY2+Yy5nQ0taMTQXfVePPg7L5ReTuBXlPotjk3xyGCijKEEiqdlSX71M+vmHfe5zTtdan0O+PLN/wnBibG20JGW5jfk9t8hGMEapLl4Wc9E8fvxEH+DHa+BW/cpgaNGURXwPuil/CW1iK566j6+3e9sh/IUM0o5QaV7f17dttgdgBnoMLGrLZGPhnqRkNk2zpdQAwQ0RAJtglf3Rb6FLU+cv2flYFC1OYnXMApIfF6CMU+metxBBvbNZH4cdLBMrFL22z2npzllgMyPJ3LDtrHRUJsu85y9LEmPhVpj6W2nO0c0/c+eD9xi5aFe9JytKlYE17dWVD4WTzLMieUqcWXhGyQsz00WG8vOiUqw/KuDFMamhxfZSqeteW+3htNsvMihXZhlGWXv4EkiG+LIREyOvkeSP9yLtN5Uu3WTfjGcJr+3AvLu7IrmzBpJdEFgb+yPsP359Sv/EmEMt6p3uR8jYvUuHdlbh9HkabVNbH9DPqOMfKZ7l3hkEOR1dlKKHPbw/vRDENguyjMupRRohFhkmLTQND7PWcXrVhqqBKVC3WDw/RTgYne10SjfZdhmav7iKdOY1cROEB1vyDCQXGKmP58w+LRPm8VHcYdY5Lr/LN49UgJube+I1SFP3ghL1hr5FedqdIGN3rRR+Wv0WdvdxlyCf4kCRtyjN7h78LNded5IF7uq2gqAA4yog/fAHvjradD5tSOhcYbSkY4yq/p1CKFbHBhApwCIHVWJhXxfhdmUu6RuIELTiFXOsljpuKptEgw77A71GwllilLwqBUdTMApQ103+ZsPb/+w/+0Ml7DNLs5RHLvQ4ixjsZ8RTb8Zqj8G9DnDdBlqWvDcnl09Y82CtQxQrCWFZ0t5ZViz0RXO0L6YDWCLDf0pEPSQugQawkJ/m1PS9qfEb1DAsZ2exi02lnRhz/oCpQd88axwPGRR93+a7+tgG9eTbfsTxyZzkIExi9zKd89cm0UzmKeRJOZ22vMifJff5awsW+x5Ix/rJtpM93VQNOCK7N8JHAVMZ/14l/NfbEufQ0qvVqqvGxuxIPrAYSB+HnIrqKChXFgXX0ykDTnALcsF/k55Pbrw99rmRjH4g6nqR+qvuQ+KCpac/BWuT6d5BoUiAiuyGJ43zbecoCYCjZZ+pcnJ6Wh17vufedev+aaqK0DenoXkbBCUoElMcLlGAc/u+0ZW/0uWY7Jh+fCkEoumTTEP7hSZ9uO4UuF1ndiL/of+FF+PIP6zvzxTgCUI2YPb8v5Vx8+v7wMDBmhn9yC5AXBYuBhga65U6l5lMM6ueegqDlmo4FQTLlshvSvrHhkkF8GiuTJUze5WoPeKNv5iJsOtQ2/APTJyzrlefky7zpmcQ7KoziQwmF7gsS31YIg1MBOCy0G8kQCO6z3fqxcMCZ18ni6vpp9iSG2pDNiF1a7TqfK0/DdEdt2lhtsj23tJUB22DsQXejdGLSEeF6+zqHGfY5RXYke4HWBKN6hnxZixBsAz8V0lV3aSJXeDUM8h/zIpMhCtzqNtIPSo8qz6ZlkX3aoiA1WlmUTPTrcS7XDL/rlsWDyh2v0DqWN7iIxJpKhwQnM7Ibw9Ibg3tZFD999GDfe2P1uwQR1Ots5w0HH01WVVN0zdlP8S5Kaf1reYGf8IPoQjVX6I5Gbw5bhCEKO3i8Vduu7yNAdjrNXg3/kcpmM941WkTPFwfgvI3UpvqMumP/Zcaw0hHhTXA2ghz91J9rzbwEo0dxS9P1F3esPZ2RoWaCbzXIvKUH5KweBTzMineb4+Iy+miBOFbZqyEhWX2/mtB0xDerODH9sVn1W/kMtpASweATwkyHljGlYiGSEReEyamnfxICbhtYztNwvpaQoAdKtPjDzfNKNV3BP5y/tWbaFI4VphxZccoGqYZWwxvf7MYoizjJUDs+piONQqa/vpC1K6lv3uFMan7hafYkb65drTMV+kAThT2H4a+FvDhoOjMXMyB5+0e3gc4TqKwrrWcKaqTzyutcFoLYQ6CXrrmH+FgX/WYKRjMxpth86Ms+XGyp4MGqSCO5Z+34ADS+HUyNKGYcmwl8rydztVCysFcioZfYHrCkeVgsivgNpRxaWulQuSCBUcdyTHJGngbj5jsr+Og8/NX6u7cdijkbBLwo3NLPwPOlV2QHbrvnexyop7VirWP8XTGybtBoZlsKJJn95Esk19CkPkAwQNVF6UkS1LrcZXuGbvDNKjzNsv8W80Kj5OKgot015gW6d9sdtvMdZS46VkEo2eBpGB80WmnNqRWwAjSJDW8rjBQOKd6iBLls0cQwABrTmfgWB9GPc4uhkdIXomVLXI7jryOxga1Jr+UjEaz+YlrhPNUl9KgQWxmhtsA/qbWwn2BF/Kf1XJxe474M+TChe4cylL13KqtUoyscu3Oxr2RH4KHlapoO9lxujm7ff+fOj69VEA9MbCAJ9eAgJLLRHl3Jcp3v+L7f7d1mW0ntFDDIgHoALloqGagwRziFRmv8Z3afEAHxKFV1RrPIkpHb0r4KMYo2TFi+jRbT4Od8jfRVhixt2c3SY47GZq00qxMDHWUoCo4Z89CB9b+H9O27OmLtZ21USWjnQwlmw6tqBWgS0JIygVcO1CQrBbohdiMtew07QTKUYF8lRcupmfJBuvho1xEHCnaBfONVYYtQ462QjZWj8yDKWfIg72R6I8cdy1ctui4C36GPuSyYUA6NwM4/E2RkcQzD3mpPaPVgc/0hU3MIS3k1H5/WLZ2KcrfAV80Yw5Hxh2XKGCYdReDbe2g8N3BHlumkxQZhn4qIxm4q46F6tatcAvWw4xIs8Z4dn25vgyqdXuy4kYLgOzVdgIje2McbeaHPGkWKngmIWMz29tCb5wB/BWJXIUkBBQ6UNnMvZFAdPzkVQt5axdTko0ICsI8PfA2WAG2IhTrpJSaSl+OAXK36pSTWUXWAORfDMsXwYphyk3ScCiQzWtdlXjrG3f1mf7WXXeYanRcD2tqiPHo7DoVkjoekiUY2MaWhao2Ldryfv9oG+WC1xtuFCSPpGRbLdRR+XEeByJowl4Bi+CTRH038IQg+qvbh9CW/3n0PYfycNoEqZKIe1gtY4Fb3p48zf05eDcZw7mUGi80L87M1ybrmY0GHprkGo83DRoaaDP0LMwHXSA5bZrQ9ptIAwI3ucBw/sDQtd1gcX3C/d/4ACyzazrAaTDI5rH+3EqC7zEuRoJacOX7Q2vyZc7vEKlTCgt976XxvQ2TvrROB74LEwQvi+RPjnkilfYWmYL1ARwVukVQGvZVZ4jXLPJJIIfmPdL0M3LWgBbzQeOoQgatekqdN8g0l9W5pMQHmGH3a+s8tClrk+wP0rGa/u1a9biWWzFGDgYHuThdSK0aU0uY1HqDOfZNQGBIs3G5ab/8yMebKuopKbmVkJrR145lBX1AdQGhcOZDIgpJGRIQF/350Tfiyw4HXqk13LvWKx7JQsLnubmMNaKscijF0f4KPOXHtpAN3jowckvFc5VGtSUGQFF+F1ij1f6XyQrq+IuUAYnwVYYiIPdxuN92GYpWasAQJ3yxKZPjz/fi0ofE3zqbIr5il8N/iqLDSA2apAELSVmsmdr0k1SKvihVygdEFIhawCdWRzvrMSU+Vjy2lCCNwSR7UpFLNC0K8hIXQRN9+/hZ/sK6BnvODqCp5NsOKuh/XZAfic9s9bT4OKj+B6OaMTQlagdNza5S6hrpLdliT9DNNAV0MRNdk5tM46d5s14X/XaO+CZPpJB2HFGIkkDyIBVundrJIV5d2mbvnBSzJg/FuwPGEbE//YQWRIRBAIywz0k4qhLrwINgc2HSXUayO5H7msPiXW5EG8dPKkh/C8ZkJ7epUc1c7RdSP8lB21cgB5pS+cMYpdw520s8Fp3LV6dHgl/zwEO0fHqJSQrmNvnal8TkMLh0qSPDQZE0wCY7hdvqEpbvsjTrNIs4l4JQEPqjRMLXCUxJluyoXrt3BGPRCu5cGurDMaxkEzFQTI3vFxg/imLCGo13jIXTi9CqcwllrImF7tDtvkc+iKhVVo0L3hL2aZWwPIos4MAs0PPx3OZAolaXO8pK18TsfDS0BLdsNiZvrlcE2jLY0j20ZcA7P2AzSisvjd6miSy8QeYhIOfJkrain8idNEDitZgYeqtIteNchBpZnAq2vtTTfFiYRa9Af/fwtM5vstGybGf/VZ9b0FMCQeVHVHC9jnbXiHu122bQm26zPWO1BWHbT7Xgw4aXWXx+wZ5edElVzRRv5ACzqswTkDeuHvOeXfCqPCc5DCGnz8I3RAYmeDutGJheiuEwi8R4UlbHRkLa6s1PiwrkKM9joGDXVA6e+LvyE2pVBo2fWZ8Gdh1rcWB2vKeXQ2oFTaIRdT3sdkxVEHHdMqntD1dD8yl9vg9u//WMmcuTo4XRcx4nzKr5IwzIsM5ObVzVlaBp1ji8YCYj8xNRotXNkj4uH+2j333nNWZw2Ut3byy57FMC1cGkh+ZCRt0gKG129+5zZRY4ZKdlYkIiGsTXfG1N2cfLEcoqSsGU7O/LPnaZJP8km9j053gMET6Z0kHnUlwjn3mAvWqAAc4BXGQR/+3b7ZfVDX8IOHodgN3sQJjKnQZ9kIH849WOmKoWhXA0gHh05hWrRmHBxN/6UEooP2vh5YkBHCy876YS2XAONR5AqSV69VLVLpA5HF3ly6LKx9PNgLRQQCPu5gLeT/sG4d3Xmx7/MZkCpEYGuHv/uvQ4lWAd4DBktkeEoc8gJxvtVfnJaVJyJTjE5zJnBmvitp53wcPEBT1KFf32Q/bHypKitmbQHcKdd/BTtsXxisMiy9X1YfpTQpXwKlQgVmUFuUubfmGsTKqhlj4AKSOJRBR+02qFBZihI49VC8rLio75EfXC06Up2mWymxKZmwoJZmbEShQS5zBTiSb23/CMRNUtNIbc/49P2wVx5rmq1sWE3TSacfFIHH1gcwBV0AMm3lCMd+eA2WAKVjh0+a5z9m8wAdmNXMORw9fNT47tj86nVpwAr8HHc+05p24qOWfgnAlyCYwvxulmQ+DyvzK2PMCaNLJm3Y90kAYkXpYJQ0uj6pC3rGrFi3yqREH62itvrRijGnK/Jzoo6YiuodkZvkw860D3NsOYWUYERYv10dQYpXGmh9SJPC0mDgUIOX+/srqWl1fSJHLqKq/py52dToAys+q7q3Z27T33QP9A0bPJDjndkZfRmPwzfRXdY5tdqGoggPHGjtrM3aSaQMl31T1nYLzyKYsDa/WWdTnWTmMIK7/Wv1syLKZdvqBKeRRtvWRFXhlg1+Pn9X4M30foWrTnD2uU/+v4s0+DasvvOCO3DlSpv3aA32byYyNB5ofEBo8gCPDpyjE8QHjLzYjQTnsn74ybORk+g9rB21CW4IuLTVBrMKNiKt6gS6eEdE3KO2FCUgxLGq269WZCJKdZAslPPfBLt8qxRnpUwanto6HO9e17wAycZIfblTusTRl38ZnJ8xdABnWGIIUo9gdwJkJUFnBrYvPJ2+Mw/04CE5EwcRIZMxf14q0iEWIKZXtqO+kUCHpKylB8G1WSa8s/FNff9L2tMWZKnHUg0oQL7x6oYDA6uTQoGXovcEhOvSXNdY3UkkRLtxsrqxOVMGOXX9UuuPoSkbQzC4MvsFBe0wA8U3+qOztrJAYqfZ841nKAYWyABaBD5dFuDjSEWtbQayI5xx/h1Q9U3YAPYtyLDqQgApMOfG3SmivXyXfWfXTEFOhpRAhj/jukkZBVWuOPBzF01A66ZN+eE/B3R20uMGOUadNVGFUimphQBvUGHdKivWRJYLHtmFBzEBw58R1u/rpyrJhgH1ZGW8WGkcFWbbGpco9Wu45ghzwP/ekv/ajdpE5a/aZlLxHbJKMG8dNUnHigM6pCXsG1Nite77Q/mW33NRR/2uzKyykxSBrmhmJcuI1UScCysIWsXSEwq069yroJSk8QYJ+zfS83lpwOOS987VAdWrn892/193la+JAZqzXizX21gMPqX5KRqOIsMBVDFmL7E9lTCIzfsp7CbY3Ltqk7MVx2YJEiJx4DdirTXGDvAz4jku2jd1sCNjvB0nNEn4HIddOb34Tc1x9gmtHu9RDwRN0q7+nMKGTk0KyUbDKx9vKurT0t1wthJYNYM50DaX1mM76OOpNgszQAKtyfG3q76eCpG58Cnpe/8tS690HAFTgp4wKptqDILzMp2y3Z8ag3h0hvuB/JaSf+q09klTdLqJMSnaksmTI/0T+8YkLSotOdyMPwzqQYSGGPVF97wRCIk9BkHxPy71B6yNI1YezSfwcizwZv+LNNca9d+70zDsnxbhhWFHkScQJShwgs443kckYq1ho/u8+e7sko3khHCvGQuLcM0Cwfy6i2i0LXJWoN+IgZV6ul0dU1108LLULTUoAVLqz8jhT4wZQQGw4qE54iy4IaDIi3jnM8eIE43xOqT6VIeKKugis6tZ3xZKoO6f6plMnguseMqo2xjFAiWKN445QGsWzS9ofx1BoKxZicvxU2WqiHmdCgjXzQ2g19Pey3uxi6/cfQ1j8N/tVt5oOOv6/IiiglCVMxUCIROHlzT3O1Xkh8cu8Ie7ouSeCkqL/K7jy2yn+WxOKmIgOKSUvnW7MUO8lVzy+FVF6VkCr2R2EWSrTasqTEYqz81Lsif0dSW66GL3TthZTSn73xN65bAUhBaGYNDYTcWObBJi1UUX8gLlB5K3pNpz/PP7534h3JLVtaf8ABIb7g1CY/Y36zldLTQth0FwkZAhRu505SJo51C0wpHyflVHoOo7HIzRh3klAB+Bslnt5XCrk8SRjtArP3vSWtyF0j9Tkg4i8rOEXjnmUA5YBmYWBxwJmSdClFY+PSdmI7NOBBxlIEHwPnMxUyVJ1udV/Mj7NEFrJjFDTylK7UcOiUg1Zw3BJoAPc+rD2ttZzLetg4SUbSGWRLUz2g/ko3KWxr5gj630mg8F8fvMhw3j6Bplb/mufS7hzlX4Zn8kL3ibo8447Jdk+btwhUcfLPBketgavIzB4Eg8NkOE3RmhrsmMw5BOHMhN8Cy2fljhjpCWpm53RRK/rOO6DAFDbVeQHMp1JiQP7gU2Iyi7US/RIcTyEQOX04oWKwc9hE4aHOlkD2HCsoaSC7Wab6ryRH5w3f8cbC7tYYFLln5FY9z1J0rPIWm0gWUUL7xn+/fR5e/vjYr/GAxg5I1xK68B47L1Jol/2gP/5xY4kUH0u7OUP5bSCvKqmU7ru+AmlawmNQ6P+14pdnnjvLyxknzIvplJp7+XvzFgcmCGZjdvHvRRg2OYlaSIuSSm1LuRhQQhfxqeBfWIocMrlxeifmS0IJtlkIdVJvHpt2abed/3YHlJ4bwy6oM1dBYrlXNcgVFZEtHkDzD27uqepZm6TTowD4C8UQein/FP+x6BBDaQLBP0DoXq6f95XF81gAs7ToqlbBMZ06SkQFW2FpVBH1jE8wdpnUZC77dg4gfX9WGBBTcFmNg26dlHhp1WnJXle7wOoo711BpWF3xTzGVSP2SmgSvQF0UQPChCp+I4DL7EELeWi4whkEG2bQ1KyAzQJBf6nZF3C8DK65yRBswA0Af8MtB71UTd0jfYGyI/HlATHwRVY1260ZQ1svLt6WJ9PVHv7cKtzjVi6hzLBtmPY+eNf9nwhvSBgvSKQwStJVUiyePhtydwc64MPNhcmZoD2f1+evpARO633P8jswG22VbKt/7ZMNk4AzXrChT724lrck6BvNpZk+6NBz1+QbBxoBEkYm9fSA+KE8mkOJuhrEL31uZB3EtZPA6YnrZ6xU+GEcRSBWPwCBILONom4STOuvjHIhZRdtS3gTBw1V9rtr605Z2zZyNsV1a7etiXsQfOou+DwvQoeDE6WRUcBiwszMqJmcgP+e767k18moqSwRSvigOj/RvNvm5IrH8qmd5ur2IxNehjmp8mquLwy37qvf5u3COLQyf7AAIFCLdA/qf87xEY3xwzQZY9MsYXuKaM6goqjIlZU1orzJ0X+ruyRa4HJKrJkL68hwhi7oE+1x4qI5oE05CyI2mWTedpp0n4A7WxoS25jA77+jP9L8j/9WUC05h+sn6pd9dv1CTBX+hlX3T30IOnnQK/renb63Hb8Ay/XCGSt47yiV2rnoPzhx66Xsd0+PoX3iqMmN9kg4TyK6F8vJlSlHuVdc6z90NiT+gcOtw805YGTE7vakKBv0Mr8yF98LSOx0wt7+tdkRYY4Df+SDBXkrRjoDRLr//o/fHAFatdwijxAoZOagxoVyn3a8K0BRea4NTuMvGSkTVx2yp2+ojlhcxe5pi7RBPV0fcPcIUwpS78VuydvW1zyMHo1QWBpC1TidLt+MQnYXwq4bR2BM8EUa7vj91eRct25Wwwie7TNn+4UGUWUmBEw/ZQ3x2+csJeXOx+24w6J0b12AQI6Y44vsGJrVTXrDITXzZtWKcpYIzprz5rVHv4WOEfBjVz+oYTxGm8wZ8CF1RuFvZOSWVSvp+AtfNYGuEez4+fAweHz62Cu65Gv7qVWDW0uANZF5K/BoaC9k0hEoZeGk7IrhjiwX94V60RyZjHF09vWgnlx/3xOlMExmXhLelyUoSJrQ2BvBDNYqgPv4mrYUAr9Fc5INmF/NS05+a/8I0RPnVzjYGPBK1kiwJU5It2/HZNI5mGdhECONHkrwvVgAWMt/XQHL8gRnNFNZWA12CPy0LckjlCpym4xI0oE0r24U3Ci5EiBzC5SpAKKFJ6NzNrO2qdxtKyDheakeiUjDirOb6Ckxc0hpUKbBGQtsx9vv4OtGAi3HXEYpwVcSegIbERUXZocmuuB5KuMOW7fjCVw1TJCJxzYxrgt9kDwFC52Nq1MPzPHnQksSv5Wkm04zm1fII0wG2goGAzF0jC8u2tJGofyx0JcRhQCuilPHgzK2i9XVpZPYv2n2p0lV+yVuVfxn32IgUU1uJ5BDxA9LhgaEMnGWZJ6pkDqVcNgga9JFntlH+4w0ww7Bd4r3JNVyB70K6zWbZj4YRbWziyB5XqcYIJXyhm7zp14i3rmGN4HcAqbl+szCowrk+J079BO7hHcsp6HQrwqC29VOylaH1w9IOhoJxN0XxCb2+TrormfJi8y5uCxgytLyU5eXDe293/w+3gaVU3fC5ZzUvXCkDISCPOnK/xibLjxqeV0lX/GUz5xYmv3aojip9s8eKMqNF3Jou7k/68MvoTl/53gWN7vV5kk5Mb+UbXObtdwsynGVKRcFtKUFg9wxBdlM1JoBvYF5T4HyW7iYKPxYexZUuJWrN6RkqjxSGCJ7ZwjHDjxhg41IWZZ79UcVYV9ZbhsMhZkotMiHFXZgsC2Fg+zUltLyc2uOegAMMnpb8CmqD9Y5bgHFHz2wA4kvtCDwbT21ZdN+5ThV/JoKv23csMMzw5ej6f0m/+//7B5qE6p2F8yS/Ysi51fm0hm0VXeLBHBpQpaFluPznHYomXgue0sDEC9J1jOOxn/hLY76gE3Mwjn5Q3SNzU6XQyWpCXaacwfezk9b7fk2FIGgJL8RdhtzY+K0CrEp86S87mylCy9qHxgJkny/cqzrkHGk6Wr/6fNGv9a3MzYeNi1ce++pTfVqoNXwLPcL/Vhcw/fFR4iEkwv0TA26jY2Ja3rs08iEOx0SQOk832fTeFrk5tNzxRERpbCA7qi6P1IffSw1NL3QOox/vWDjF68quEBBttTcokP74tAS7D7O0KaRwXH3zP2lsuez+1Tmz9pUQRByjSgOaPmVLgx7FkY++3N/vS8gJ7H721/TSGmwh5Q5CkTHeaWVOOuVKzmIsjqrz0lNG2zBSDfiIp5tmHVKRxjUXSEJZobZhtZaqquspn+DPulQm0pyjuz68tJyr/kA/XZ9NsuuB45Fp6v+EhePAs3AYuT8xpBfDURQKSdzjkIn2ugN0UWIPDfwA+uuhiN6A/RErhcADS+OYGu3CB+tosBbkSZ2lWdB5wqOzJxNPF2GhOSetYLSBi632onNj50tdYV4/LFR6AQ7+p6gnpqYt2WwPQ/E5s0BFBJ5KX3FzthPJjqLdjy95oYKFYaAQ/VUEZa9vth6V0CqQTmYW6NLh0Ii0M0bxX/8KhFfSZuJU/c4LIomuR6JfsG4ZBKKlMN4t1DwujgXeABz7RJ2jbqXosEMkz4WCWwvwxTSJEC5s6zUOQMcHoa4xMbYpBYIbOpfH7f98Eyh8N49VyNrIm7H6/4X5uc64ZzvGK4qYqNyF3pIKVxllOooZl5cVHQ1RS2yMwq6s0DQDTTSoM0if8lLWyxU4AXInOpIxicu0soxueUUc6VwCUY/OJ1Y6UDEgjKqqIYepUn+6LW5G8IYLRhuKGFqoEjk9/MfNCB2ayAZSpaXajm6alVKWD4LDwbQC7tJU14jsw+SF5zmqYR65D++9G3W7vHmZc8K/V5YP0M9JcN7SA6mmP24vAEcRPyEQ5jrCeixTDjTmeI4Eq/plgCQqGJhlWDeUkraRCv1ZXloEudK/Kv7ZV25jPlkmFM7hWbu+8AT4sFoDdHsNICGzrHbKbhrt4qN0Mf1aFlXitBNNhFWc6J1q/VhnFj1QNiRtsZ7NFF3P5DHxB2dRJ1aGyPj8YnjT813tzBmV3Yu/I6h6MxSNqd/nkVO0YST6QfX2H4n8CKvplDmlhH6ibvWNGQN9ooi8rIlMqCyodu55C+xFjV0ik3C6KXvpf3PQpmMpVRdR5ywCM5zz/dqqcW9knXOb7dRHXApiNG5c4CjBv6TXoR6uxXnLz5KYUVi40ms8265UxCZifHjvylrljGj4u5+sSRTp1jVM8OQsMpFGhwvprXoSgTgFZcD2KIwwyH0dkICvWMRrmW0WXbtqfyuNfAuvGttqaSyu5PXBui1yLNhA9M9eozYRaJS9sINQt93MPqq33HNyy49lM08GiPxRhD3Dcjecbv/QwVi1IdhO1KTmGZqWwPBRUeu6K1gfTKr2QbPH6ea0ewkOmitOEes3Q8Yggv9LVgdONUIOloycV5Pof1pu0u8mnAN8O8ufB3bdkFoYYsagZ4GqQ8lO0mRI+co224+eVm/y3Y12xgc2kDnwwtqyo/EfohnxeC4xhRn26iVlB5M8+c2NNJxglXxxZa0PWvUhBrQdhceds+IWx1yPtQbRf/z8EFpiadUc+ED2d46y7LE1RZKpOJO7fyRcxRPVnUxOXoraIyCDmna8rc8osidO54nLLGQATLI4oEeyJFykA016/UVLZ6Ta4zUB8LmnSqwR8kUVnH+VDujqI56CP+6b1Aj/xNdOnROofptGveDhAg9jepv57+B0WBkenNF1uwqOQht9/zFEp02r9PRhHUT/SXI9vIViZelt14zwlhr4Lo14tC9PbD1eTJSazYUfOSZY3jsdDMoH3rE9EHBSaEQaeUZBUB42PBDOan80mZ5q4wzHiej0++sbLUh4KWEM/9WklJpnPxxnIsD+WlRC7MJ+4M2wYz5ZCYz2Y1fz4JIaNrw5h58Txw1gw/4XerCTlFRhZhaQoQByVe78lZYmuhIexqAXHYXLvsJNVRBAkhTIl+BEaolHTfQX8H8At4OhKwbL3EhhurACng9t+Jw0JHL9MR1KfLrzOFF9nnEdHk4lPDzKNnOxq44v6MUVYnmQkJSo82HzRy5WXncSgUWS+7+XbSay+lLCMdIX0y2NUPg95I4qy2IuQ0bRum4YMzjolOAMHaE4hXjImvDkAQGVD6rgQld4/R2Ik2PO7f7l//D2Ns2JY9vW7l9RvxpbEsiZNKqRkJJAYNkIkIR6gFwJRsJkgvn69TfGmHMJXOecxo24+8YbFXHevWtn2iCtNT/GeIaqqg2tYVbDkhIgz1OPhySNYkN1398xrU0QGkbeoP+dqYy9N/Hoiuf1nZ/VEA8U3FCeFEhWmBsRjUyyx2pWVgv9u+bN6BFs/ornp/QTzq8nWKxujwgipvSKkMV/EDKPKn3sRuIw/VDp/q8OGHl7nE+2iU4/F1kq/SpGcEovL5l9pLMXB1TXdyLkR+5DCsdop88YrhW5eZxIaJq5Gzl372L7ZQ2mE1u/05siiE8lZCbqCuvNOdMVv8N+qUUrPw70nwJw9JOTKPn7Rvu5MsYMLJtTynGs9l5axvcFzE5zN/lcEPdaNybiyx1uiGXbSY6c9XWKtFyBdccifJCU5kpf6kCYg6WRCpSZp6JNSArx2wzxJKsMiRaRoq5UnTHzuuy2ua3LBWi8J53r674moOQFSNu4QG6Wa6Iud4FjtdtDntRQ3OgEyjD8zk+V9EIj4pAHAj2aG74VVlGlrzwa47FfmlqDkAYWtgiBqysDtiR7U3r4sZNOBAuI5bNAUR4Tc/rd09ylhyL9XMiiqhTQrggZgarx92bXh9+ge491tUet8enYu9mjtrjxlnX1rpWACc6LezMNceGsvFwvoa4i+5pkvlQ0fM6iVohrYWCAo5rt2B7+WYEe1x/0JMj8NXOU8bPa4QHrtCS7B9ox/B9ozvl5LkLMLBiAhpgFox3H1p1PZSiPNI+VhZQ38p1Os+DKzOBBkN40ZkeTCEfbB2Ryux3mpK0lfpXJ4utOkAvcpVtd4SA4Qij0s9kXj2DL66WxLx5Bl1rjQq7OkmgBWfvoGHhz3lnJY7M689OXRL3cwUwyT7aHO4z3XvZ1T8vnl6NJc74vMQJsOM7KyOPhdeCoK5j6c3N+oMxpRevCiFv4ZLSHk/+AkXpm9bFqcX+Mj1O8nPIzSDLZ3WZG7qpUtrA2BC0r7w3+ynU5LBfJKE/PhZlbaW1eaSnsy6GPzD3xN+cI+vUqvEFX/ifDR9S97oxw2bPnVsnHQcytD/pIDB8dPZNc56RKjO+qFadiw+wYtYpuoubVJJKq+LAfHbBx/AAnnFjnSRoPGI0yb2GQho88vanvRaQm/BMi9LQEzOLvfoMwXyqfdDpOoxkxVCvRLScBI2t//d28ex4O79f0a6y5uE+6ChEC0PMR1aLsKFAvTsKQADtK4QnrplnGyJQf8Kj3rE1dPRCJ95ecTPRo1N1oiuYaRmWzxbIGL4s54N03ySdpjYVS9BA5g1tdraQDQ2wx0/U5TJMaxnyPGXp6WgnZQmU/6Yq7WC6aQcu9+MLCD3WAN+xFK870FwItZnKjoZaV1VK8Up7sF7SVNvG16JKUC8cSPjhQlrPECFBBAnvqVlpbfXmqZ50M5MWeM4lRjr8w/oB6QssMUWS/q68eLb12/xRT1qrzA/5S3B1yLZ1UESnXWC8LHt5yCZbRGw9mLkQTjFvdM1G6s7JaVrInwY5x1WhDYTmvAXaZNSTUG98QtRZ4O/H0PyD/5ACc2H/RILkMq6N5XAhLE5JsIm17jtTIJF+f50oKuzEtQVdzN2Sg61Y2sOUYCNdmkxOLGhQ8FWBjLW+5aRvB7BGv/8kcZ9dmHTZ1AGDw49fpVu2uvfxhPSTG6h9mJJ82PgKo/rpmzIMoQjgcqRCKFeLWf8ya5hOP+rTS6Q3udrpEJLsZEQKyQd1xM2xwIqqojcQznD8/CrDbhtTQBeHGLKuxpEHN08AqBekrmXq1TiWFXp0jLa33nYXJYSluexQPnc3CPFAjV+09xt7MhgHnK1MBxhA3hQmD0WELlPPS27trVQzGN63oHCFrLnddccqVAIO2jFfETxNSqEpN9TrdVQZhavOwfGsdjqOxGa7n3Q/zNgrmm8cDv5uejZZybZf9LjRqdmlATk3EwbD2zrzOF0RRbiWu7Q0coD7aYRUc5a3iaEWOfeBUYdRXtSmITdDLyR/ll44YrJCyxZIjNx74OoV5oysNBHnfrEcrtk9YWYlOYjOGpdNI/JBoaLZZc/YAZUOb25i98j3fefDa+6eeD4ZCvJ5Ah2Ji211YgLhJ9arSVa8Owi6m21Kyg6DhFAkvGulao2zho5BHFFMbidS97PUOMNrTR6ajXwXJTMk0DN7DGTY3eM4m5ENZHfB+eJwnK4ov5RbSWdW+sjyQfSnDGmMS7VzvgcAwMXH+hmoWrlsMNcSJKdevxPfguZddpjD85P6wgWa7GMGno85CBM3LNxa0MelQNSlLECP+84PUWt1b3ZIzTqq6U7+aJsoDwCaMOjJE637Ozazw7D1rYN6OENKSbzDnfVPGFVd8OCXmW9HhnDe8ZtUnkFSNxZ0/OfY6RarGIgnJUmrh63t7iJJdoqtWYWerSr9EnFM6QrkzGWdMQ0qclTFtzIUpbmoz0c56hIzkju4Upn7nJ7MABn4aTjT2snpjBc7ug2T+3YqWFlzfO9C1xZ4EV+WdlwxKEZYNtCnNBXv+qTN/3G+RBlrvxEPORQAfqlo2j+smnW0QRrVEm/O7e5m0N7KHTSZj1cRIpex5GhzKAwyjd/lkCBzpvDMhzbA3hbWG4z1PbKvk1pTlXaGjIPKOWSXh3KYjozwUmSd0VI6Ha5LAqPzqYXoJQtH4pOpqhl5MDFyHWht3XZm4k4qKIXMSjghxgYur2edmsZ34nRgaItntj2dJN/Uhh8hpJQkepLX+HrvsB7iXWDG9HWzqW/EmC/y2eAS2diSWVc6jvQPBidf8TPboPXlXWvlWa9Am30KOk+QxA2cGEDim13LVJ1f5XXq/tkPDlRfXNjfHqREsYOjGh5aTHv7NZfilY2nCrxWQqPrVQoxJSDgdNPqkdcNvNDc8ykkA9eWQ6/2SsBcYQllHTDOcURqRzVmTPWrJ7w0kEYbobIRJ8OAp6xoN0M+zUV2r6wkMbivq3w0Vsn0Th4N6PxfQC/Sy6sg3oZeWgySNApS3tuUt3SkPQ83eTBzdUz2EHQz8S2aVbnxjBSh1xb5iO90ebf6QMFwoWw/AAl3Ada7WEzC3GJk1TLPcLXlhUQ+ydMsd+xSMfxKDY182Iip4h139RSXMR4m2zBwKA4mKyajQxM3MHAMzY6qrdwGCZUG7se1QQh8qQjd34mK6fSa8mottqcwpkgjKPWulfLI9mZx4g1D27tM9cAyEKuFX/szA1RpLMexgBkSvatFiPXdjlV36BqARevKc5a6u2ktEANx3S5BO/GyrEQGndUtDtmR0jn83lT3GaBd7yyw6qaTOMTSMSIX96Zh5g4CJTUUNVxyAHLdGeXRatmQBKyOdaGtrjRaqZRTT/WY4h4W7SH36kKE1Ba7090ZjdefQYY4+FwEnJPWePNGwe5Z1Z8+rYfgw3hEBFecI3xtHrJzlyxbuYRn5adhxKMRsI65GeJ/d6BsGQRSOm/601cWVyUmp4XCi1valXSMDBANmJBqsQv2IR1nRklDFXeRZr5kZLSEPQV5bJVLUCipm6Db+FagCyQR4FTP5v5rT0VYKS2zRIEhlyGfY0aBcZ0vXhfHLI6vCqSyEgIi5Jlx7GLDyXXrN57os5f/hP7T3g/DV/6Wx2hoSF5TRdJs0XftJTEsBxahnLpqXeXpPPehlmpimBXMlqXEBmmVVzjEm3JyK91Bi856Elcn28xohq9jweHgC1bdVhHeN4L220dEHW9kayf4dltNqg8XYhxVNBurF8uNnlg3Dx0XGKN2v4eV5TmbBhEMSPZ+NnTBlwj0UgVtaInI7RgxDf+pEBZcDpLvutnfe1dJ4XPJWeSaCuAFHsa6V4sesJreixCry7n5lUOYYBVMGruOsNWeW8ksIdABTiokZEQgJ75WM3JaZ7z5mHwtbHW9C9ZL46Vzd/zq7BTZqqv34ugiVW4BLe87UJdkqfC2uRjt2fE342akETXPmpD/Htuo7Bn7s66EX+VZ+ZSR7DBXsVsfy952jOf7GVJNDVLK6d2nBdGxXkdUe/vpbe0C1eL7llacrhpgPEm+nYfjAuF1Qie/tgXg20lxnbfBkH4Ke3HVtEQgaIxxliTsyUrSrcoMjFqWfhjFRyccSFPxg6W9DeCNqVHBZaSm0R/9g8nW1Rz8FDgm7/dx8ky+tcl/0kw9r6a4PPEBxH5jP0xH49gxLeH9vMoQ9LqvmaBVr6NqEFKEBWmjKqalyPV4eqG7PSzf+0GB7BxbXT7OrMkITx2tCamduWvGTSe10YnlPT2vP64XNU8SRS26LEQiq6WpVN/LFu9BNhNlZIngcykXEcRx/SuKWxlaKVZnFK1NUa9G4+Ek31YUmEprX0rfQnfjrY9i7//O3tfmzrH8NSNtJz5ysJmEqd/ayb3LmnX0wo0g6OJZSX7XgC67OWnX9z331f+sfy/t4CTTAZgyMcPRTpK7yIZQ432QukNl2EzwokxzSghlFfPj7q7ap2QbWnrlNEWQUrjFNUi2IXxze0B1QqQOYG6CwDYdgkemgZVRzKVlJwrSkykWf1iKLCPN3xVOBkiTHChT4rQYN9qPZSkPDo5Xp/GFzax5sWzZxoqXAUbmRGMpUhr9Lw+eGVpybWTE5JJcitLmihRf/ozRv8yIvpELoZfHBWI4ItRPZHBMPqnc5wHaJgympIeLtGQJmsqNXbioZpdgNLVy9u1/oLrLjrhISg4PiyvHCu9xHiAA9CfFiXE4rY7HFIk5+rVBzB/Jkb4TomH+fqZ9wh/8Ua5MkK+q+3mA36q3+trz5X+94b89yA8L4IpFU1bmYNbVFJPp0GTg+dJITP42TsYa+rzg/ize/LSIBpcPt7nlMSmxffOJzKO7xARIo7c7rRHTK8Ux1GvgcO0dmJsgABwuJ5KZlwbEcGsG0UuriLu+VcV7sMHJ4l8s+3c5aiT4D8ElIxJa57MmwxQS3UXZRjLi18lZqq/oFxwjGHvjrIlxarIMeJ4iSyyURkHI7z3epmnnchzt76ha17uM6D1vS3vqfkWJxVxPRMXVazWM8nKhiiCNSfsZbCWixFq0GonVK3o9hv5lRzl0mU7CkEAAtrRVKtMSj0lLjSXLUWJLqpzpLylowXHl3b0EZj/npaaz+O7qZ5+Cvj++ck/09hP2/nGPS/POjSeoz8eL9QiKTenmsYv5Q5P5S4MMd1Frv2RPao+n4oIfQlTNrmDNW7tpR3enxNNf1E0rMP5wKsMlsUnPEMhM8z3ykmbYUPtHg4GsFM05tp0eOjTDw/bVXIMRw2Pv4gDZjNpnFBquJvWmx55Em1XoMAWqFN2rNUgPthV7NVMCqLM9NxDZ0WTIcNDgwUgp/BFMHxFZqH02ftkGCdqm1jq0GfGBx/eplZqeTVDiD6afV3te/KeeablN5NiTnhl5w3KLGW/Dz4wM1y816nbZ3tFXB5EcH3EvLNlb17mnVf1hXoZ4rHnO3YFhamPF1bhevgoAPdIwgMrHOZgWPrQwF8f+BqjfYLA1jD2acBYDuhpy7cNkRY2t74Kmy1hFOIuLEMXJj/H/pY2Z2Z4I26CsSRzHYvTel54jmoxHHGK23jNDM7s7fn4xg9gMPj/ykca+FTeUh5it7udOQZBej9jLeTGHnM6GALqkoSlb88n24M+xtv73e2hJ3tCBkDEgWl3mt7ypm1gLl9Xr+z0inULd5QyraET0mP0GEl2nZinZUG+S27hANokwRSDDL6fZlOFkNeVxTJoBf+uX2XZqgEayueHRnzAxQzQrHwWg0I8fea6RtJSIJegha2GH5x8/7hQxGuRg6qX24aeii6t9etxpnD7SRiM34BHkisnudDDav7+cT5heHlYxkrqxdxykDluUFXIVpJTgEv9rOs7WoJhdMySBP8l7ni1A2L9dvcuYnG84Z3zKd0wIUIN9+GGyVUNX9pdeV5JXSjMsfHixNVcm3Sz9SkTTcwHl0VAB++QFqyRUXRDETpcWjYuG+eobufp41M4eHiaFBoKx2sLFEoAWcpb1oNXCeG5JdPTNeW/N2bO//gra7UDswYdwYBcSyxYU1uRQ7Y1IpZBaifc+0U3CBph4EKAaP5KzfAm1GZoJAqFbbf6mnC6ySZkrUgAZI1xuSB6p9ZPmqnZ2+/0ioYTjoaOudlluVtUEpt2x9STsofY0X7YAOtEUOHwXNd6k7tIT8N/RsymaeFBeA85VhemrwvZLEEFeMcFnikn+d2h+Y6aWTGR/DYzDbeoFqMot98fyyxzdxgQjRFum8NODGt74/LUL6t3ToJKsW0/0iC1R8a+hji32D0x32Btu3LxCBHwz3ETxrmkcHa7SD3jCBqf6mqXAPkoVeVh5SJgqlbT5qSo8iIONgzbbBRAZbAZqrY6UGWg5Fada56UDUTA/C+KT4c8yxLidAN5qveBkqvzC6tTeSECE0E4FxgWc7nimZCwRRTkgJZfA5nfsjLaWoy9AJHFfKuHOW4Rz+jiBNzGh9EQYbIj+wqULkuISm5/un5V3W+R1HU7rTNbdHkihI7YH10mQMfZk5bdSNKkxVUt+Bj6x2Db5ZgXSCHCgUriN88339A/8YWiCA1NrsshfDo5u5jrjIkm01t15oX+tcraEec+haEXtrnPfyn45lOBQ7OlvAYBjjl+BmuaOBafc9j95mtWArZtWtHuwK/rqnQ7EfeDTgbGIBTjTGXjVp6JpTBWszirhzbUxEq77qOiZ+NcH9h402Zv6YW60IA0AnWs2lFeSX53uxuNNrkYyrdSTZN6+9hFUxU3wujFsz2Gf7g+ve8NhUNVB4fGlK+ckrfGqnpXu5WUP0EEwUxQtm/oKxwAfWzvJOYQNGgDPvyGEAYQ/7hF26E4AHmQ4zoRvJvDvrnO9O3MlBbMTpVnbTr2P7aHSlhTbGdEYHLXHd96EjjCTqEMjCsgZ1i19mkU79M+uH/2DucxT6+EUHOca+13r+32Oo5JUH87sOmmDqG3s0yvz6yXbpwuE42T7Jvdy/6xv00/dOK93RaXAhjqFG1ihuOyNLxyEamHBnpMulu4Vxk0CxJ2swABjqqEHSViuXSteOaIHUmt6lQcYregNwWE4stHJI8JSHM0t8J0j99WuiW8enNxOryHjr0ab9ORLiXFnNTUGqE8/ULlG9ortpuAu5u1ZGS2BLarHiQ1KG8WqErKffN5AYfEBI9RIE3szpRmJs6D/sCYa5ahcT0GjvaHPe51Wz+iN6wRzz8x2HSBttYju9iSnIJ6mhfu/Sd/qUhmG6ZRFGtJ48Cfxzr4wHguJ+6UY388gx8+eu/4RvcikgSd3d5073pxVB+rB0vfdlk3odxFmic80TolVV2FnIVHQF1pa8u8Dmdj+sYSgtLRZ/jh47YKp5T020naH2fWG+DcOHojZ34p/j2QVrwvjcxAdiU1swVgqLeY1YsmYtFTJN/UAloVo0NqNgoEdLAw/8evqFqZllS2Qk0HllPz1DZCOhZWY5zSq9RKAzK+0dRHhV1zGZHFdudBtWSuPz8AOnCNGj9emfT9mAiArS10ChM8T+QCNY74MffysjVG9PrN2tKXqiadiRu3wYanE82plw8IHIOJbIWATE+D7eCT0Ig3hyOxqDoxx55APXvFwICxRq9wjVlMhpJFVH4MhfAl+DpA32EgBjjj5D3TV/GAXKVngsbE6V2qNNyn0i39Lzt8sfXAenQnMPQeNdN/wPJkULJpnwgZuunVKsRfUKg/kwjUDt7+ru818DA77Cr5uV8JiLzPvQnXtwtiLfCWaOIjEXpMf5xd544e/4GoEjqGX9ddNWmh4TRY5m1dj5BNKen/LUT7OEGhIz1K4b8AsuTChGWLxj569KlCSsboLTEqJ1Nd+CbN+Q9NCAr/mNCh2e2VyxZwIsTGscQP1nRjJM4Bpa9vx9/Bn3LqygsAAXVFeWiP0WLEVDL5OwhMZ5DxDdPhAQndOdTJ3kdWx3EKOb3orZw350VBtrCjdjjDB8KvCJymyUugHnLP3LF25Q8IAiEnxk9TKWx1pzCiTzNYYbCJSMtcyqR3DjpHFVNsQvAQDIZe7tF5735yWFbb4ypsF/gW6JbTzaRM8KZLNzU04a0jnUy7IM1fuwbJnEpF70JpLJ2qgq6h/8gGIMSm66iHA6IK+P7qtewXwrQSHqct2ZYwLRRNWrU0/tj6U0t1wDMb8HE3opJcEN6P6xVu7R4XfR7EaTNMqosZY5b/q5hPIMge0UugmY1Ok+p7NSAqbseX/8KRKFC04pEUu1l59dnoXLMLgaP/2et8okDI5c86waHA3LFDMuQPkVHth9vw+g2KJ4UDrp8sRPPm91t2zr1T5ZGVmL3Yg5BZNZOMvwUhRZcLVeUyxWPoAac2trFDBZTJxbIjoqe098SxZu+q4FSvs00ir9yeKCQJ5wiJjaDQOjybDAc/9ujbeX17F9kIx27qugHdUTNV6vSG1pPkjE0MGd5uNyvUjWBIlRyHTlfVirJUUTCkRh4y2e3jC+eVJENtBknt6/4WWv02QaZikLwBHN4RuVHzgzrnwS84n3j/UaYsgYmaEgDgwcJ07Unfm/BIi6aAYBUFr3o5Pq570gC+Rw2TN9Z14H7wu3vOJRL3ztOkauyvR4SPIhczuGoVhdlFnhqP4tcUR+9SBFNlOTTxNSpOEKdWAsA51DkadH3dDGEBWI/vqk8tJmcZtyNJGk8cDKJ9VSZqWtyJNtyfS7NGvDd1vIxSuxMTxAOnP3IRMZ4ypmfw+C8mOeJ7dx3j1LVA1Z/7qHNUnmgqarL04zXhvV2hXOHqYyCnO+8YaDIoEBMqtW5GJV8TpNu6/TbUNZ8mDnvFmDXvWNgZ0LgXk5qU4dytDyvn36TM4rQy1N5xjJTLPOE3Sa+ngZoZcegKMcdYsqIxd3sElnrH9xnHM1PRcLJYJtdKo7QwuWBepC3XXxvayvjTR02Uo1V/A6UBiev96LGEvVH0OTJoEzj8PGYT+W2FDE8yJhRWFbVFvj0ld7qR1Mxswp2nEaqkwtN/iUcZakBN1K38CXLuIaW5lcFfDQdTzQXVO7hF5P639Mp1XEhITgQjQeGhM5ygSQAHmVK0NFaaIwZr5DopZutG/anzmzLyqVZaCZbqVHCXZkgGqQwZ07Z2vvR8OZfuPkBhl1MQ7p+9hgVD0Y14YP87270vj/zT9sN/I1aCcwlZYd3L+vU78zAcyoD4HjL27Osv1ax4/Jx2rXtLTE3FCl1NhA4X34QFmCf2VbZJcxM9/yyEDmg9aqCbnHrWyGZxQbyiRd97bDPp13e0o1qKjHw9OAjbz9S+yN3JU1qlTmOp0F0we4J/iNdWfPDqCXFZ/WqsajsxnIpYvI2AVXPEQ4pmZLHWXWNJRlisNjfJzH7/dsn8kPLnv0McoUIca0We3Yr0Wuc319eXAtBDKjAnh8aWJaoPuSKLHdg0B/EEQvQtDF+0pUSPIB1QeQxc7z+NeX2exYH0Rj9Vy5KQJRZRvzxtBqIlR8M8yqCJeTruy9/Zvn22hb/MSTF6TOs8k8YA+Amy1wkM9YNZJCeUlMfBELq0AggLlbXPHv4/wzCb+3Io0qtU3hcMDmIljrO/L8clT/ordTp71qO0d1gRC2I7Kyrvj5TnNMlQucZ0i4p1FoCz1tBBEIOEVhR6jFIzmSmHl6QAITaqGTnB/QBN/d8ZceyVNGSVRRFyj2bmWr4y/FJl9W1U3Lnt6s1IaGqZNT/KS05ODcWJuQz7rEhz4ODn+LixtF/LLunLQuuqgZHBhdTYC8p0iHwuBjAd+bVS9MWslEkBJjBx3ZVqOIx208d1WGugiD29i9aIfPLvXoGU2EqJRHs8SXp3Kn/ctMmH9tzR/wDQlcEYgyEiAGqLLmvcsvQ401qykd6oO3xQ5pGabRctd1yuCrc7xqGpgVMNm8aHWQpnKqymg4HoSWHGrNf4qDOZoMDrgIPxsyvSAEG9LfvtE2mqXEcYlzqWyy9TDCY2BtP61WrgKnRbiAgaHaFobhv3Z/ohd2hBqs1gHVyYbJny+tHPnwBeOCLg3HgmJjxslLd3GpFrluLLOUu674KL6AKp3CAi93QA/KVZFOdSAwVnSFD66pBgcDbikax7CQbBjJ8Ypfpwhn3I5lHsrPZftgwynzBM6waM/9QtovDRorbmHMQiceTV6X6AfF+Xj8tY7MCPmqpCarK57/b83crwVqgXfHPtPuXqfvqzqo5SJ2lQE3yYrgrcmh8WPAAsDHOUjAOF5PMj6+i2WAL+KMGNVYgHP8abbiisKnepSMarU9iJk16ot9n3pgvYcSGbWSnhpWsn7Foq4wROC5KHcutwUm2ZCNw1Up4FvXOaFzXK/Ue5KGHd5zBn8ns7dR3jVve3pcKNOACxQCc0c7nu3vd/k8xgejnVRA1hQ9zDyTKFqZK9YJ2KVlX0Kcg+Q18YPCmtqXKS4gP5l5M6O8qBoiUwJ2gsDq1mAOXBuoNASOb0aRzHE+zt+mcmKb2htIOFjuipUOPDAbpkgzVLvzU8ctQgKYL0xgYGt5t60WUYIYXx6zfdkUy4X7Lfp9htQ4mPrBTFvTy2lhFGNCapBxs815n2wXk504GvqpDRlPkQXHWW2yw+HSUvGvxvhgiqIUb08TMM5UhHh8G0wHdo9VhdF1FyEwNroqeSJ+njT0Uy4daXEzgczr9cop1st+Wlkvt8M3/edvy2vXA6PjPTz0rg+hq1Bh/JNjJ4cwQMAgxYNDlfwGI8SFNg2Heb5fS9Q6NQoynrFBcekK8RzOEy1ENyzQctc7LWQPqcIkUujztSz73AY+j3nA+krSRXTdyv59OGlvLIrL+2YMyJ2HWeTRvM82dn3iym3uHu5rPcmMRM60yxXLh+RG4hzZKp27Pdr4zIJudh8TbEMGlSPd/Kj2Tiw0xmw9m8cJiys9ihjkwQs42KsA3i2v/7fgCDLnKcjjPNQDkYVoNkfMHZYUNLzFY8kh02C4hoVPbZNO/OSnmNSdyqABXI7YmBSTd3Wux5xmiazd8/eQcEoFiZS0ko65v3+ImyU+EO1I6KxpvSxQ1D5M/u/bpKUbv5d5dy+izrByi5nRP4XAR3dajd95VVcgue2BVbSKMNlytlO42gIjmtYoU7CzFTmCVvMRaqQ3fRqvptN5VwcMAwPM7vDRLUlvAeWBCHqAwsIO1DcYaHJO1NcUTaS/JkEqLk24PUhdxJhtZWLbyroSxzlGkQ2nvmycDv30c6W9DQBmGtEuI3tCbva4zSRkJG8RtWOmtBhVBTLmm+KcdNOgbLr2Pntm/VeDrrPadaUPmNSd/XKrbFcG1+DnwNppilkRg2H0EIEq4kOb7X3FUb+wvYpavZvHk+oYiinpf/xhMFIXoIqgCCTjpDDXTIPkmObpoWxy7tB8/lLmTYHLTeIQ93vcEPxvIFjlAI0fGtcNKogeEztuJFTE5omQEdk4nwKp9zsiC9MjTX7/LXhyaZvjr6kTBWo4XNvkn5fmshUQ8vhv67f3i9KMV/5R/0x1KPpSU76a7Kl4LwI9XPH9z12ZuKDbBzXnM62DA1G6o1D/8rcQDQQ49rv0SJFwUlcV37EvuKvqQWg2yh7N3xzRzeVpongIW8V+Kk8zRsAF1JsqyVKj93GtkUzBVoKGIo/JM0Wm2BYBs5jAtlEtxk+qM+GAGRvrBWaNEr3Sj9HP/Wmi6ajioZLU7XyqK0nPInlpYz6WLOkmaOd6UBP6ndeJ8PsVxLkyyxhqqMLK0VFb9WcuY8bOTT1ja7FxJi6C3Xzho+mugk/iVhrGXeOI3k+hnVrtIq2s+/tWwaywIJ5OzHu02ukSf26GhcJLqZpfg7PblaSNee/LVqQIkr56WTFBmGcXTxlsmK5oX1s2JPx+aZvYpAMRGCXN4XcKBLLS7ikXAI/oq3nZL5uxu0koEyBxhb2PjR3h1ki46c+9J5wixBGitdGu4BtRNCPQXaQWzev/Gsv93/hHreHuxQQVMZz1ZnouqNmSP8yikFYPyMmDvtGBsVkHJSPGrGFOPau/yJJnMhN6WSIpzRhf0GAHTA2HCmOY4Ou0hRJqQyTi0RxFEIbpyFyDhfBTyXYnCZJt9YIP3mHDJF/URdxfozpwTRjumrWm1GZ9kQFZo94KOtO19yatE41E5omCRg/CVjk7VU4K0SgSE6dV7CuBk0eZTpRFUf7LSt10CxskM11HW0XqD4JCtFmLzHti0wdvDTWPMqsKOzdxEZO4km6tqaNhv/T/YFhd5My8FIwj4KAKGUKx0abrtELy7VqXsEDmy6Xuso8cu8HZZP+c0UQUMmzcO5KjlyccFqaGLKj48M8GmdUk0nCmVoSQlaHvX1F5aJj4akPTxT7+SEAu0misFub9iw6/2GKtjPhpLiITWYFPs1TNmJlhqGvPvCC1pbfqCGxiyxPkdV7rgIux13pEYLVrN+6dBopr8PP4IwkRudNdfMUov05WO5W4Vj8TpaTi39MVhS+nQyGaeMfRSNr165R8B8AQOAlKmgKHZ7Fo1lppG0PsJyvLOo46byHjkF3tWpl4gahkZ0Gk6e5BZLKQAdr8xQ2L6mIkv0Z0s1jJLNGR20MJgrHNaBjT5wPzcCS5l9QIdqnEQdxkO/iAZdHPOtxjSCoPb1KnGyv3JZhU1TYBpknbZu2bu4KELSV93ihedSU7CJwSxernvyOsjDPaIRmKz/Nop1h+qLQLjWOtv6wmUrc66NfNjONQg3bwxxKf6WgbJYpZfHPjmYZ5bRF0yum4pjLJlGEYPo49ajMB7G0/NNYBHoBiDQk5OmQQxYCVWZMNtaqxhkcQkMYoSh0WBLlwaUQqpLt4NO6P+cOjWuU0AFNgNyIv3Xt7R7KxV7g/cGEoxTVIJ1MjMqJY8VVnRfjpM5gz8JTdk/gQMz02uXHD63dxPRdgFrRSIVMvvtAbaUMo981g5uX94ygsTPsho2XmD/5WKERqwE/GGFOZGPPLei71+Hq9zIKbNbwe9iLXDKOD9u+e5IFO++m7NWZAciVh7RBJr4TD6VQmIyGY+qmkhgyDeIZ4uGiqtcofg3bcv+GvGJrA4rDR+jFoDO6tImKo98APfoMkeDYKe47otprdEJmA5+pDb5jmC5R1zUxivki4woepl8hLtkWxv1FdrOhAzAv7IdUQ+qew2siy92Xzcvwre61+GcFprdOS0ZZIYpkImhlj7j6EX462rHSPOi8UV1yTUAZJ4L+i7Ljc3hKKRY0gJghFWCHErOnKmNx4JdOVATwcsnKPY0hwATiGYItuOxrY6aSf1thJ5misT0u3lOIqZbhyKi8kL6feajectEXKjdhsFEFyAojhDrCPLZP/DJ9HhJWZ5zFR5A1ryyIz4cR+Iu3caPeYrUutFth46U39LulGHZ1dZ2XGH9BrSCJKoHdNbkdFimTU2TbtWu3l73fjDnudbr1g7EDyL3WuXUDCPzaBmHlhVkPBXKnqGM0rI2IQpGe2Bnie2sMPCbhhhwah/lK9Jlccs8c5xE40K2AhxN/n5dr783Jd/Fbns4BD/xfE9BAP/Z2WQEBBS9f2ufN9T6kApOFNxfPt23UxUBe5vqvMviylSsa7fRe2M6NBgRXtPd8fFgoPGZEh5BYC+RMlpP1YJYVJkxXM1A5EX0PHfysfMyZyFxo2oi2ByxC9haxAh9DAhyk2CHFqzVrknRwFz2/YpDhm5Tc6Yk65XqA8eHr6wEesKI2ilfzRFOTgONH7B8sKWSEDHmuCqs2pYTSKIEOUG7iSrVlV6SI8gExOfKKY4O+NWTiYOXE3sWdKIBWTV7QpDXreZOQqtqoTcJA0clXLPfSblGtpCbCkIGVhDpolO/IQamFWI3iYiXxLDADHRHXgo3/53bYY5spU39G7JNCwPtJpmQ50/PjwUHaXDJAT3BWhuDoHdBrCzRLKGDiVFibw+k7KF+dg1eRTQxi6NPnxRQY9iJoqcOveJA+Dm8WqBsTpU5cq2BRwVLjVTFRtxkE6wJSSTd9oJ+soRmIvWTX4nRbX+UwJHFVVZU4vqrsbZ2oRRh9W5DI4xyNzhtyZQb/7wb/X7ZwXodElhDrF2Jls3bC6rVwmVAVSMio1wbQKI78W/XWQYtijBgVS4yoT/iUD19wODlYz+nkaPp2tkb3WFC9ftAWJYXku67RiHbpAcS5uLxmn8UPzRr+fFfMA6GnItEVEWAV7tR863dSPB6qkDbZzUweRfqI18EEkghdy4orZv4w2kzS6n4mCfMFeP5D9HMaHglokHiUVy3DJHKG4spY7cvJwfbXFk9yEAUs6jCpnBn5nR3fHVF7NRMUQvcMfrSQ4SF4vv0os4velUfxLBgT8JKG2MMPwX+KP0VbSnIWkxlCcXxQViX8rsQ1mvo5Oi3611UFgoSm/Pm65y+nNKC2/RU8VJbcAHHB+lV+TbwiKWMu8WxMclrWZrPMsqm73XB+TrjwI9iftXyPOjb80Lcuw45jJhBwIuiNq1tcmeO5I0qVcms8vt/sF05jAWxGfcln00JACvobBT6zqypVAPXvdnW7LAA80i20cVUvF0dkSeoNWxBDMhmYepQquPbeJaqulWUF0vDMHZK7qp7UUGwtK6CgqpBe8aOw4VUL83N5Fhnz++54723zhzIsBh+dObZn9DYg7vNj8d6XSmW3TF2ZHNxHBdXA1d/ppZWIfchcfiDaohRmKShChoCsd6lH0GHbm+OkKKNOEqczcGhOcRxvRXo8G2sVvHPwBxU6HvuK07QKe39WXFTLSclicexUcbF1pOv1Y/qLezLDYtxorZnzVZRbf1X2DIFIfZt88Wbw6dI/vFb1n63X2rAw/fuqb7bcR+oa8BbEVZ6sAfzUknFhIxOiokhqJEcJxjHA3KwYOiwfIEGARkB+22Tzw4xfvCyp+4/5aFxIm1JE+AbvLzIz03vJEx+NBFyDyWwMilzG5tkHiLOro/tIHQhQ2OzRmPSouujocr/c33VcIFpgDjbELMAVeRy7KNWK0NyvXDbFGJrvOHY81hgAueziIaBaPe9+oCKQZoDfexr1f24i7szf8MAsEInijzYJ4mxmE0si4wU1nFf6gCcfS7jSuLCodjmHXivB9j3eRWbUdv6Pz/pDlKm+p2EhI1hW3txB0D2nPCfUAuJujjp/LFoStya7IzEw/bNTRxX5l+trI3oqat8GWUw+QgW3i7axXI26d512b6TPocFcwbd4/tVjBDEGk2TFwPoPtzd8k7rXtkQ0NBcL1eH7DOJraYKf+5C44UakLLJBdTQ+qIaBfs361XneaqIt2dyEdMz8ahHsYh+llXeqSDbEPFcWqeStuScGzu7s03kxjQZPP3QSSbheQnY7SQxMhJ2kjXPdQxkKlbWXwakwyU4IiFxHfxVkPF9pcCYkv1IolJsIVgwJ8EpLRByIiVtqGyV0VdXHVKQnjjSrOe3gcwSFqQHa3tyz+0BcesVg2bETq2Dk/JVv+/mKYRFol/QXxuhxrUKGQZ0OZp7+ZdcgsTYNZtX0YnaoQwCnxH+DxTnHKGnfNfTJT6SpveGYuMC9E/rV8hAoqGtOKG4yirq7SNnOrqZ/pSvacKI0DpzCzumUr3QiyIki6s20Z6C4+oRQFSjFJZMLL0Yq29/S3oNBg19730z9jySo+rw4vH/d9fPAgYRwy3T42JNR4v+wXay3qjcP3bhOWIde0VdAVI9o//GktdQo8wEBY+5uEJjiiGKr99JCUp3kOA3/tT2dbbbrq2CYSdGm6teh63uEf5clglJLcLOPxLr4QSP77zA3qKPDLmxcP826YBQ4C2gaCe5HFhmOdOHD1NfNcdY2VlaStbINnSyqPtnx8oqlSW+KEe4qonptyEt4p80dJLNBoq9DmLx8sRkR8RlhcYLDl3Kwxo9wkOAjEPC+3Br153Tgcl26EodBaqBa7FH8tNn1y8wLlzYCZUeac5ndONwn5FZT2xgKRnDQLuvpcGLCWSKQBFzdg8ULMwp/a3GHX2orQI8qFlzvft6KGBp8pu/zBNPeDtVZ7tGlZWcuXjGIwdPUPnf78za1enu7FJ4WMChOvB8Yuhry6WSyMvBmeWlU6rELC8BOJfgClfYkyYWFShNMg6tL8I563y5FIUE0qo/H2U9vlr9GHFAcZDDqWP+/iM0UPy6egTuRmmrnpWfYqUrmhItAabRh8B8ziAR+xbJmkbraFbUlve1MO684g6j9wyPKJQLS3qBZoqLEVsrwzr44I/u5+MyXrS58RXQ19pw8jW5voUP6WKoxPD8u+5s/MEFXG3zBP0PHLvGxsX7o4Bw4WL398xL0Zow6Vjm3aHo2j5Q7OnB4y/6SKZFTR6n7Fa3jluAGqNb5A3jxzjV4Fhez7XeCEDzX/ULa7yFpKjbTGC8wHbcaMHVHmD8P4ZiJNHM1MKCFhvJGkIOw/iU2N1irE1RyYWWB2zqlQjkZusl65682yCTP3g99zDAZlQrj+KcgQHvVlNUfSRnRFXindAGtbE+litnBp2PkjKwVMKgRRzwtLy9Esdu8Zhbt0/Zj1cWAXC0S0RnLB8+PAzKe5ci9/fX/Xuxpv3YGpgIxNFGFa0MLLC4l0R/66MovMzAfgiwv2B4EZXwHpkSgph/GE6JohfJHigFBFxs6g0P2J1kVJ911n1e967CU1Q6r6JucUDVaVrSyz4kpG2w/Rtx+Nu15qt0Hv+fgPZV3B4WglWXA1QCFU3B6pLHOTXTs3kZ3zLHovwrRGIXEwFxmq8uOdJQm251llA40nnBP9O1r74twX70H8B2BQyEBFT4uMKUrPlvVjtK+f7gSITXQT2jpQ0cImExkMFO9Gc/KDMkv1fEEQ4/HAlTiuO238rZ4u9YqrBrwad3VTwgUtJVhoi4twAYq8zFdaPhJW+lIDCQZ95gQkEy1biS04rp3m2ZsjfkFx/IWf9IGwgh5W8QYzTHggiDBzaNTGs3gwmXmSbMmJ/PDfOKJhGNGEyEeaP+HLhsvj9c/UZMCXRE+iT1NRxCgvW6V8qImMQnMnCVBkM61F8hfRCdfVe5p3/WWr/ER6hgSDBajvhaNb40aoiuwgZqpluLojGAsj5BhtndfEZy9b5mAXyzb5jhgCJCxUzfUIx6Ogdi77lYlKxiaPB9NbDRifnv/z1ctFwpwyVsZrylnFmJBu8ZmedHFSSpuEwGyuGUZVHJjZrhi90HyMwUNrREahc+PZCqDZQmDtl+ep/Uy3UcsAa/a4oUsc7oJr7p4aIUWPAfDoUWfi1V41c2YO1quzMIN/aFkKwLFmvXYMkP54I8J9YlKx5zkiKeUxnaV3XytHDY1u9XlqR0IuGlVdrQR63//SgRpG4fogiBPJYHd9Bd1Lcg2fSua8qEFrwvzY+HlqxyPsUqQHUJPmlSuzp9FfS4Pj2StRJzivfCOWYOYKqrqWGfQjBUk/OQZscyAXYacHLJCuiQn92OGHNTRtVMTGIOVIIzbK9c9sDxd/Wedvccus9eJZkBSNeVSKHaLZ3Fj1jv0Skyp5xbCsfxOZHc8W+TKfhn+lGH9clzNZ4mrCworyJXoSV/dIIVgcE3kdV7tK04RayZU/xJs5q151NqidScghpb10OyISVqwlrFn7e0aoX/0h7/EugAwDr8y2GkIZFibRo7jOs28/9zrhcxoh9tTm96gpDyAJN1VrgTJMtF+VRu2cyQkS1J2Ig1OVIvuaf6XpLHCPUSmcHowe5ib/sc9wWUxwYY4xi7Q0YKYwfyTSw8WxXdx49zGWI3djaWtg2oEwi2aY3E3PPFtR2tGpMnI74kB+WmAqLs2mjNqGsIBO0VIj8YHOVEKZGgXng+VnVAfMYrXGWfxOKzfO9knWYIjXFClhpydkSs4AZAviVMuaIW2gkFZXTVDojCnTv1dBovhGlXbmFcqLb1VX4oh485EEAah1dgTYriLzJXc6/zz+gw/cKbCn6D83olyZ4IudtLprNinmf3SdIufemNzSNEiEYD+CCGwUqvqXjVFKjEJA8bZ05yj3S2HCR0xj1BFdsS6ziy3KWFrjN79+Uz6yyFAKKkhH62Sa3IVJuMSFPNpi35J+ym0TiBeuWXmiUPH2iwKn5zs8wCaGh/2V4bucCLQsQGsoWtHJSuuOChS2kWOEBT/N8O5gnT9+GFiFSHJ436uIJ6qUp+j9Vl9i5c7l5jXZJPREiH3Suv1hzQE/qLfVwlazroSPj3T19GaVuBm/DSZt6FV3C4rftAOGRI2TAqQmIArlTn3ZJWYuw8BuE0S2dzRx8SEvzn+gyqK8YFZpf6DUCX3mGwlY7sTdadp9VgiWqMOnu9R8wJ5jmC0VZ4DyNqYqkwrSeynxmp433DC/7g7DR+Znpfl/GAQ6a2t4HXxa5yd1tS4NDk+av4e10rdv12fBcODICDuSdwK5VAO2oQupQVxCkcIkon4qSUTQeK7MKmjmwtIWRGNctXeTxxLkkYbDyBux3C8rzfnAF7FqGVikFqxvWXA0Lcxtke+Ns0azGXSBdx8NJ4DhA2RtDF1hsk0nkgUg8eUXgQxIvm15ox+bih8ma6EXnPmXbjZDHOVL9gm//mvKGg0lqhzy5QnnxFJi8IotExh1xcHJqozt0yCdqNwttQGyMRKSSrPdlZ93n6V5SoDsrd/EvrHTpxVinaUa2/er2ox0+u0Tjezzxp+BQHr6QvrKLaQUXuRI+/Xc3f08yIPrRdjEqelPmsvr0kQtGD2S+IS+XZ/BwYUikmYvja2E8JbnbXWbZ8E7NymS8Osa8LSsCq4p5ntCa0543sjJLvF6WyODcKjhGm1lTz/OIw3dCXW5JLd1g0C/ml0F9glGVswGsmpIrCCgL8z0qQiDk0Q705jwy2R6FZXubpOIRvDzU6XyOT8Qum/ugmmoU6XRDv07H30JUecmQZdWJKPu5UhFUB/bOUXmJ2Faz2ESMLVuu/1yfHh3nxt3/Y2GXn5aqoiPa9GjZ9CeaMzlXBj671psJ5XCcEyxG3y+zR7nkRB/Nemobizi8mHoeKtWcIDHz1ZkZ3TSCT9yNxPw2iorDTshU4gWWafNF34sxRVTqnlJCIFloJk6P8/fBw9BN+96iCYY6hzBt/1sDONvMLXNM8+bZ2tHMqCpTvJ1mzXPkvXdBuXHkjRikteAehDLpX2M9HXr7mXWw96+4PEiuVOIk92Z+FnuvIzeyC+fk4o6GXF5rAwXPHcRuxTYe2vainbAgTzEVcjgCmM5GczAgwdY4TCMP8rM+2MNNt//UqDqBSKxm8XxyA5zPrWmjF2sMtYeQ3qEHxvGNxanL837n0l/TQVPe7Tx7gLu2ijnw/RdX+Birb5VkFJNsLdPcYickotdaVvuaCZpTMSIyfy+lCixoV/OJmY/zjFJZfozzIHArFJRdFXmyZWmUhOhjcSdg+K61pg8wKohvUx7+RlbybYtcyjodMjpHLsB0C0nYwC9lvIcHtcrIp+d7gE3GmxXR2vUV1IpbuelgZ2PNbPuHuDnr+Ea/RQsXl7dkysIHObO/d+wihIB9zIF5V5ivWr8R72BrJtfdirMx/hN0zaNSC0MDjoD9G4PFYK3f2O+aOjwORRUMaShshUy4RVnKlU0MCNIWouMO2YHNH1jkgm2BV/xJuZUJ19ZmgT/175haCVM2iZBU/vlQdB9EVScf3QgweXnDBHMHNwmXwMiZDwN96mSTkFNF1x8CxM2W6BCRWtG1cosnQXPzMMUMfEsGWMeeP+eF2H6Tr14M0BFgTk3/SUQjpKMFyTPlBW/cPIIak8deeKXdyuOnRv5XJmZ6gnlbB++0exyWDTxn1x/UfWGxsz7o+7C9Eo129hOnznaOz85ZJhVqPCbsBnjiAc29m815ASqkCYV4/lv6+nbi41BsAB7Zm5wmOeMaA2c0njSNBhG8+SrZntMEwyqB04loXjFukAlIaDOSpzfBbEb1YyayCU+bG90/YXu/zYG7i1z7pjcMSGNndtCxYBnyH+kssJSCJrLBFJMithNgqxsADoGh+SRxsJgxKWLWZ14N4XZttGHaqg6vyK/IzlB0tjLQXI370Ra0kbbFRY+oyq+LI10ScOn9qTbDfy4O4NjfsglN9PgMcZR/MyWWek6epET3bipUQQ2mxOCTPoNKjHpjsWQEnsGaSSCnGXrMfMRp2CrFCfMwk29ed0RidFs23mxhs5Z/pcS1RE2biaXRX9BDjMUsRmt7KkgohLmJeA7+NHoQbR9Y0wlTGbnJ+eBas0ZgFtd78RjwkWaELEmlEbImCu1XyPTQS/9xt/FfwX4OJiLuXqLr6UZUOs+VHRFq10qTLWRK1Y4LMVNOgjLjYqrd+U0SLrnqKJ4QtHQbMLwCWKZczv/rRVRIj6zGX46zux9fAQOi3yTEntCwaIT7IOE1jMOaVyjsD/K0iXx02wyiwPNXb6IDF/mzrKGsqYZ+u/qVmRkXd1MECxmUw94D/hiMxrxmfO84DYexgPDyDky50kjgc/WYpeaH/X081i3NbILz01DzGDLDkDd2pFSzEcpf6ww773f8qZTkfXjFgFcZm0L4byfvgrgQHB9jfb/g6k4wkA6ED/zoTNKWDuCz6X2lbMMEM45oJfMkocpjB+dk0bJD0UyUOWWSZisfCDTlkA9V3aFhnEKxk8Tk/k6WVU6PLThCtVybEhN+VjsIktOxlMD+EDD3Lmy359n+726V01CmznZ8KazHmiH71ZSpS/Gk+PQijOcHD6YckDVDkjBapSXESCQ12i7avP/xBrPon7Q8P1YTH/oSQrT+kW+h9QOCv6ZHJnh5R/nCW6kzf+IP8BXtpS4zkikKgu+6b66I4ifJcJme9FIgVACckyT/YcPBDYZPPyms0DYfnA5gQFtjbcdPzNMb8lQy/X/gOhLUahxMvX/pRIVhHZ6JUIbRSHCuIuscpVxiE1hAGyPtmK4RXSyIm/5FDWuq/o7RC7cPf5sRWMbV/mTWkzHIkAu3LSteTaPSJRwv1+EAUSznRvyleSoBaKcFx0oQBJZjdXI84tOkIPuPWShyFo/P0S9c7TP3+Kr5hhsUXYNAcFfL3egkjRm0FLi7qSjnAlsiV7gXGAYDSbCmBC1T+RJVzGcVjKSkRSzckHKnNhmswcaQXxWuC1n4QHwtZhNcHkFpopXzTHiC6ubtEyGzQkhpl416R/IfjQblod8KriVoZ9GiRyd6z2G//q6i+iiYdjOYbJ2FcouSsTLz4XJuEJK0zyrcHNebLbtSyPYAwb8DY/e+Y9QHYEHQPzXTR5askA4+1pLkiy+WAE1tbq2muDX5DjpceI97gE8uJ7NtwhjA5H4XR5eVpp5tzLvnhmEmvH8d8RiJ7hcJQNPZXZe1tzBq3IheBfsWPMkQlP+EJcw7G0PA0VPyNNuzIziTJlptu+s86Kk1odzlonuj9yRV0NtX4ag7LUFcT+ZlYP0R7OSRjiqljjvS8JEO0ttbOMD8vEwbdot8VdT7I3frQw7z6SDzDNnIykfm9UfjXsRMwNv0Tl2ZkIlBgnR1Pm7O/4SUL0lRvCcWOfpPe+rwJSxcNMTf5WEK4EgQLF9paCAhvvX6+pg/lpPhGEhiF1BGWH6Lyl6KH6YS2MqiOWOqJOLAHuwudMjJ1pr+eCcyJ4h1BnRi0+jv87WeOb9nEizSpTjQ1ggdL5iR0JdeNkT1fRSP7I5EUwfynus6mKAMG8HyapJoFobbj72+O93b+MmyALK8u1D+bcwb9+jsMfUU5TGe6sGa55z4ciw46uw58cfEmpLLOW9PxTRrZCqAWiwgxeIC3aNTXMaGr9jau9NdIJ+Wn4SjO0zr0tb5h7+v0YM8wysFU0u1hrLVLPoiQS4xOHyqgX1r1+IaKtgCQrLWCtSfWb45UPFGDjYLlClrsJgUqiRsBlOrXAJBqpGze30JfXTiZCk8cvqZPIkObSADjtUCqBsFAHm+9KwZQGIXt4jHe8pAPy2DMWPqjWGbjDS2vdOYiPJAqL7nVXduHyDhj/4PE6FYoADcF/WwSc1QzKD6KcHtQlJDLCIZStlxA6kAX2gp0ixfQ8tHfipJ8t4yMJrXfAMgy7EAljwDnQoId8UYts6OlZAEkBY1WwlX30FXM2bef7L8J/fBOuA1085OgKUIUuoHsgP48cxXt7qimluRAcyt8KJB/khI674uk4Aj7aH1utmK1TVRea5UiZuPszGZ/rzd3b7+bvhgoXa8bLpdGMxzSUBeHQkuVXbR3CmuY/WSrPTMAlJhAgxOsQP9Py39dayNyMV/Vbz7KhJbAg3AheaJQAUn3RH5sqa+9HspMcmZvuiGz1QY01QIB7Spg8DNrRxgmA8PXePnH0VtRZ2uIlQ9srT03veWTSBufrLfIuu35+ewhW8BkYeePwtJIMWYiZ9ijkrlppP34YDAWW6Jtw67NRa7l/IfHkIXKvG0D+bnh5d3plfB1m1yr76Y/z3D4v/8FKVgjdMKhNao/ZWzEz13JoFUTCWEs5RHCJbG46nkKSHM0kG1gxGrh8TynHbwCB3B5n4TrXMu/pyECJ2RpeQjLiQ4WT3hRMh3WU+FZ8h/sZaBlx1KjxXSEOWoHq+3tqb118fDbdCRIVS9nG4U1lJX9KqpGpmHblDzfVLii953/BcGrIDf/Z//n+I5uyZySj7mWmeSn889OlwOZnrGHJ7UubmWfkoYksqtcqkbepRI8c+RHrIfODeNIZ0mEVQjCv66X/5UfgWn7mDWghWEcKVrtOoG6QoTEQSRQL1rqtinl1yp5BK4Vt9FjYAOFvvVPpqYBELKoVB5kThhERX8USOI6j22DtbqRs8xPMi5FzfAehdWgugbLCbRrQyXpPA+ie3JV+shDQjbyWevmKRwyTw/vPdnqjT6ssaKVqlFn6EVUgKHTPrFQeM7Epi4HsoAXV2cV3K7DC5GpbFbdX4xMP3nx/mP23YK9SI14VoCEe+jK4daGzuyEo/2Mzrjq0vuVfT4l9mROjLPhYqRCtv7UUjOthUHZPgdzSJ5RzJW4Pw2889313/EmSmrFoodtrW0OHkNDETFG8xWWAYeygoQ4bSrH42+ZoGnL8YcJ55lXwn7L2g80jDzlYhg8565R7vg6DSb3IY6YKqVelOR8hZ5l6BrCqN8GWDI0RydHJX1tMyr8j0OtdzCzgBCBHfjbOwWsoq8Ktm97bSTdRBZBFkVUUeVyW5SX15w1QK3rYauQToF8CayAxXki65jl1iyDPaxRewiaRokmroIL8iTNkoJMYSlQq/mIqxkzQKIE4wr1JUwadtOvTLEqcaxAPY7I6I7mKyiqpwZ8YL+E9uyzm34uybX/ePDxFa6Oxou3p4Sw6k9HC/CbA8p3muKphhbaYXRtfFDpgRFKUUefLELPfVLjb8DoJw5S7w9m+/ANVPNnrAOnMs8vD1vwbF3ZY+dzvGrK6BSkiOn0u8CGSr5gepqxO0Q1d6bYHVKtwm1wI1ZiyNihhNHowa8IPrhcdGReaF40DF0YaKwPd+1c9//mY4lRvcczOWu1iOr8KtqqUSPw8PexPc5tqCzCA9+KUZkVo+rEcquk2fxNviXo7W3E1lVjTKYoOVf9iXe0U4h8V395Ctoiopqbw13XdgPH49QECb7CouXbOjURs7B2IH3/qJIHebJGaTvZP6zlhNqPpaOt4uZ3TfXZCLrCUzQ0/SJMSc+Yk1PcKGDZdPDmA6VRGFO8rwv4psgDCkhZ1mwR85WPtdNZtpxCovi4gxUGNdYgC79MU0OeoNhneUHEXSQdxNm88iS6F2sg0yXFNdM9hy1sYFAqZ3x1Zww1xGkPgLiroyG+lEovHGd+vPmoOBJFStpwwQq4NKaHQCkfJtlld2Dlueq5isRro72gmscN5SBxfDpf6//kf7Rkkrkn2pk1nfvn3+Z4C/85/JQKtvyXLYI96pWUgysgYeVnTFJhpdnnXv43elKWrqh4R6SCCIM3PQ4UHrXtmcQiAuQiODpMBZmjUkRailQIgWe0gwFlRCsn/T2+pBGdoPnPPTVl596huLOgAI+CZARiDI4WmmV+elFsLfLNSgTILVWo0C09iqOFLgV4fErWSSCnlPN7W5K3AbK5E/7gri3tYcx59Nzsgw6PwzRAr2aJfqPe8/ekPHGuvKfKZe8k8uAKsEBQ9uGTORJnZlL19XWDoCPYd1Zzj5T3uoDcjd0oxq5Of3jeCqAlQNCKZpi3YKSgi+RbgqxSdVq/ufaFdXlS0r2iork4ELczFWX31d+sIawFIO8iNeDJgUfjXPdRhju2/G1uSPhaC6aF0+kyY5cYwuXfP/Ikn6WdgoyXf7J3RBB2oSYPdvwAK5W0gEImhZtPZFjv0Z3c4ntNYxRKJXjqVUv4gR/hatf1JhevmQf4TIYrqVXv76vtHiaa/AZmAYlDCdYXLwL1UA/kfXt/Xb56+9roPo8mHuCzvLH6KBEH0YPwIwufNZg0U6mH22mFKhmG+u+WUmxbcJN6FXUbsOFnN/xKqaK9M3D0y8FmMFyoCj+tfNYN8ziDU2wSosOi7d/Z7iDYCRSZ3jtjmvGqKp7CzvM5G9UzDMhRo0xYtyICrWGXzG7CVvJpH8zFGhPPyADlVGLAZ0aOqq3xXjep17yMYImKFLZXLQ90qjQpJ109n/Ky9ghE+E0oeqHEwgJ8hbaDLVVjmcrGTUkLtB28J4daYewHNp8sAa92w6ixAHVygjBe5v3knmgZlsAeqLDfQo9Wc/HkT9KyxrlAnMV5fhhqO6uk3rjp1g/sLK9f1jM9ich5zRz7apfFm9DCJE5TwNr/af0eRwHF5tmWVQtVXUwa2kud6opkIFHJX1gK36vvGJiSIBy4Cu4UaU+0Kgi3BI9/GwaEisN/rMoEbYGDRvVZK2MOCaa61ZQc2jIFQ3eEQwNSf4ROqLXIesSCW03vL0E8fc4a7gEs+BcXGu9zqT6dzm2Mb9uAP1rw8N3HpPNbRkwcy44l4r3eJy0H4Mx5AO1OdZ1DIzUzl+pABMvJWYKgqhbbzBfDCS7KQd4yNJ721FaB+cnRm0OphM8hCVeZABwBrPLvcY3h/iOykpPD9Nf+61eiM9t0SxnNvBz9SvsklKWwHZopyRyY2/xfOVNniE88IUzYOglForT229oOXwIBxEaG5bTWwndkFcs2tDe3KKMPi0omv1zUrzbrTcaWsw36VQGkg5mMy8n1zkvYUE0ED+RfCZzJDnJlP6Lq8Qh/oVG6oSH0kfB99ZXCrzX/cESoGbDLF5HLvFzvLak7XF5+WXBibOG/aWn7ymtvc8tQMfC5zudJs8Uwu/VIdyU45kANQmM69vnT9+9vBWNCuXw4IcpLG67erjGq/r+zzvNjxPTN8U5hR0q6IfncRJAh/ZaLPaUWCO6gzVpWLaQborRSuM8PMF6CWGsQYWiXandLPvG8kY9fhmhifUNX2qk37krERqBqd2onEFBiCOOXidqJew/5iM6N1gdiTwg5InTujMs32fPOxMjwYY9w6yWmZ0IoQseAYAHi5Ws4BKj9BGzTHmbC8/d4gLMp7soGbUlPEG4GRGo2EyJyVlUj5to+/QunCZpTuVIsTNeBHFwlFepjy9Sj41RmYha2KmRd1gldqI2RZ0TtlcdyQU9oes0fZvGCGPetEK5jYi4RujHTlNGEaevwVrmA9VH9LSvT8PrW2DGlECiI7EnoBUFz1jIlKAr+mhKwrXRP58RIen1wDglB6vf+yotoBcqCMZs3JOHN7V9JLWkvG6/ZdZc5TpJVaEVPDeGtkMWjKjHwYe8wOZS9/etFIQslfuqGzbHIXSJHLxEa0J8kfnpsV8dJT8oK+gWxQd1SfURpJ4ymkrGDG7+EPzFNAhp+tCB2Iol/GXmfcXeYqRIhcll65qoPT4o0tB3ASbEhwoCW8MtgszjqQBUDA+HQngkOVhc+1QI7emfWdJEZAEjrIclXWYSJglynDgO/FYqnctUvAnIKBzZSbubyCXirq5cjl+12JDPst5HUBC0P1HdmL4/TKjb8KgyPxkY5vGJNHAi4QEhF5J3jROZdHDEcpRCt/3q4nUkK16E3nzmk0gGE9Bu5ktLLLEIwsEdKTpFroiqvnmeHICmaZBs0FDrwDfxego8mGJJ3DmwmdWDT+HN62uQ8UjfWy5zb5iWvYjk7wHli8Y4jrDK8z6FxQd7DP4MEoIrK8pRauWiDE0HK0UxO0wdE5lXYmyT0URQs+EDIAxubvU0ImDn9Yi0wGEIO687Ri6iHAsi/QF0ws821odXvZWKls15m8f2G+COsT9md+pdfEVV/Na4vn22s6nMuwb+jo/VAqsoQ7AXpquuQeKsGzqZY7DVHtYiOdmXrQC+603toeqwyjWhJ/R9RUGQiAcPW4n6IvYpfiQ1bkfpu/zZrhiNpy+QYrgepf5EFoY/ViLhg9pF1EmHxOAb1HTXbymNuwg4vlsUDvK0cOWA2dutcaj0EP9jqiZuVhocFq3CjOVpWgSqXLnhegv1AMjZ9PFWwpJOTqpJA6DhkbAHVEFb6jrW07xKHlTEy9hGbVKekatynvDqzKZdVJW6yhRkvRZKwwDsu1lmkup2MnXMk/OpTy3ovEFn1d/gqIyS4Y/C+NtL2jh1dwrAAkWTeYU9/9UInYdrLTnTVQRfzF1q5cm5tbk3NHs2E9qpm2Ptoa8hIxFZCyDjbFqqf+I2q5m6g04nPTFcHmXtwXcvqS/if5QezpIN0pm0+ddl+wuiWD2S/FpkSCpqG4hvfBbjJGxLJ4PTs1yVzn4bnWTNnusMxXMEu5GMc/gGx68TWLSxUbCWFX6iQEkJh9kSu7YQoPZrklFHN1nhVQLq7qjt0gfPtWtiWnFisLpTiazzoSF8rwV2wVGBHLHpdMkjV7GMyfAzSqj+FewS2X6HOFF2C8pcwuKigGZo1bxqSYEgnNPysj1Xqdb04nXj0BSX+VbBj4rS8tHcRNfnP8iGwdPQpBu02fAmA7qsYlOCiOggLNirmoZQqNlpE5qy9u86YRyS8XAKNTErKHSIq0pxGwLcnbFy6vJYv76JPjfL5HBSqiFZ41znQkEUgyXNinmxhDUy4qrweI4b/30HhhFOgeO6DEr5Vh54HYyGQO5POwNDoONNA8CYM8fBJP8tYeEpaRHPqMz2MR2SW1NnSjimaCxYnuV6UC1mdr81RTWm8i3DZ2ytJBZ+WmC2dssNQY9+9Ma2RqbPMq5uHEKGbgQb7e/x1KhxmKcuZEAtNLjvBHmuEDJN8mb3dcZ6A6cn9Wdpk/Bd7ZZtn6xRN8biYoUc5GZtc1zWM/5DLxLDMIg6BZW4qb2/XuYkancLjXWCouKY/HonTLwWNE1qq2z8AmGlWcihYdpEOjwZGVgNChw5dViykwsn+9IfXHW3EwMobIsapPSnFUHhsM14xqY45iy7q/RTMtVP6pIc9RTCmJTEf3L1rJACtiuwe2mByFxzmQFgNPNmtpOoGG2R0chZcXpbvatjUISVayExn9ac6we8KsNp4cN+MpHnN2y+MAXavxnICwVriPppUKR9W4LU4KN02iM+LSUtEU8m8xU+iGUurlcRkYcCn8SH+hJ9p1aVbVgoK6rgWQ6i3tvPLu8JufGzxhVfFImM2+GM08+Gamf5fJf3cMx4xs2zALYGG2pTtqaxiRKgmSgjdGYoM8uQitelv/DDRwGJwOowCdcMTVWrwuz1kpEzAEy5UpCDxpLrsNdBvLuRE0QPuJwUFcJ3qKIpthgQ/1dtFJRdUr3LWCrLaWBo6zpwOWvnsxiMYKaMpt8VyIc/seYi9PAuEG7AOiNW9z+PUIZj59QQNaoh03zMmqV+8Yfj7whRq8ahTFt9/T/hPH1zoN4qODZT80wBcG2T2VEWoFA0GZyhpetaLbATYi/NKp+NBBX+RxH1/jbIw5C/Scvm79k2qtNOXlRGBpJYTieJdFUINbR2fL+vH3z5r9/wS+4Nw5ZohblN82aiRfJnd3UD3rjNA6smdMNpv5ZReuhsaUGAQvUZV2KLBS89tGv+0pjX9IgjFIUWgKMv5HoKQdYLfq2lZOcLDMd105Hb2DOa8hDC85D1ivLViKUfs1elSlTzRzU4I/JcBcFNcTtjaeCz2ivLHFI9KbKaRWfoQC9K15b2rUgshR2qaCUKw41gTWoOaXc6jwai/D4D75TDdkCHDJ2FrkWrOyE5rTztPly7bFP0Q9dtOBqw4xtGV70Fbo1rgORBSyQfoq5u+RazhCi7JeHeR7vBBoFfDua/pwhsaKdOa1kzG+G9J1rinhSVD7D3q/apHLJXw6CDU/Xb0U2f2r/niFO5jmRc06np7o521IijhnIoiWGXdHUhg8GiFlYkRDaLPEwBKCRb+Z1p7Pqp4QzYLfaV45xGa5b85xa80KK1Im9+tsaO1ExC8aCdIVcQz/15FktFbCY+U2OY2UY0sJaCyW63tFbONgjv2ouyfad40p9bmKD7Ku+Y8V0y/SJYkYxXfBIFd61wVq9zyWWq6USRAJ2nQcvU7+LZl6vilasWNmctHDoWATkIcmy2fPfd9ugQys9ktPp0dOZKU4AWkwUcDDKmnPHe7JGm2glzVcjkIC04JcJ/MU3BpdKqVSOT/XndyU5BRlTxroPBkGloMAPSr6RoWzS73BSXg7m7awkk9FPP8Wjryo9iC2lhG+hyW6Tx8qS1IpwcpdcUWLAlxUqypZ0Q/SNx4YW2mhG7VEr2XR6Dv6HTpOO8CZJ2k0A/PrBBVyeWEAs3Yt604CWuEMaTJuS3qxoQkibB17vjrolUHKPZc/mQqG4yxiCzcPI4Wug3dSMArLO55dZIGmiiOnL3Yf0cVl1du7F7yAoeFYkvCSXTe4H1iEk0XXvat451IcK7wC3/aie9s5Vq8vow0pAxxibsw0E2JAGBoRtdk2njipqL+QZeQdixQS4lwN20ii9Xlh6geA/x3eGEmVmd9IZRkpD6O4MHtoe5ePPTvgqco8skeUEaUcG96eDhftVgFaakqaf44+HDE2CgeCfLGow1TXhO3ROnBTxNw+YSijLoKFkYkd9IgXmWSnPIIhZ8tY3HnytzJn0kzkyDhNvW2qTRDZWsRigIhIUuHSdJh7KKUS5GtnGOuhIjJQqbUauWizFo5XeGm48IM7LXbJbuo5M10amUu3lXYcHDxjeC0gol61IxnwAUqTuWuZnYCQb4vxnWQfcDJU/Hoaoc5Ndn7seSmnvS9AHHEo3axp27g37CGvCfnU21flgPPP6pAuMtiK5GeNHfXHX5FHoX1aSVMHGq1SVnp6nfUiuqYzAKBsCdi6NnznP2pW/jMYIA19l9oD9VtqqvFQmh7kolNjBSdx9dhJGmPHfqBD7NZY5bEUR/UtlyxZ75aqsHyAD1nf/TLZDjTDBTZRCLMxgnE/5haSG1PQ87O7VW/opZQdvjvJmtjdVYeruryMPOpwxs0K/1TxqnVsJUajwQdObwUfvTcyU7DH9CkCMGM7btVdgXm9mhriDynuCHgUlZ0GrenfyY1Ev5RpKufYRyOBpmQ2IavyjP0e6tUp3bhrQ+MGb1q/wNj4AydFll4T5ByA4weJ5dxNUXYzLXaCOrtKRgXaFoHC81UAFv6XJaUoeXgrhOVhstaYkD3zwSiEN4MgEvkU8lKbiYkxGkyaUnEhsKMO1TlBl7IDN8p6tOSix00o0Aqcij42hHeqHzs2apMmMmS8zhECjxc7DR4qSE3fTLQcchYqv4C7vp/Jx5y32BTb9Q0VeNjuQEyjDMiZ/+X09jaWne7JH38Yn+S2+yXZXbhA6CtmvOff83aAxfu1116VUeZoZuGeZ/W3d/pz/ZyiwHkjC/r7/iVAFAQvV0jlPL3uAzuLxTCEsNnG15a9mcSBfnMlHsxeBAtBH27W9xP2LKS3jn9R8b/LrHGNbVfDHIt8/ydBasN0Ckpg3EQK+VxVZcrOavikXxOx6XnXve8xCI/BOXGaaOlwpo9FqaOTnRebh6JbHSnhf2g+MZxdNQuQ4+rKfP8Zvmag1pcpUnwWjYDxNQ+ljhd64TDDGQHerzxvOawpsFsiy+aGyFY6LZm71JHP8zNtCi4JAVyNXMECoRNlgQVfIs8NwfQVBWLTo9r9wHRO/TThIMNtWr6zFkzSZoi2QfaVY0qMGRYpRcndmx11SMUeZxBXqiD+OElsKhR7Kgi0WGUGyDdJpMNbfVEuR/fxLQRXGpnxmn3RlObzaVQeWrQsYAI2aApLvpK7aYsF+ftnSW1AICieQyfhs23mewoMFzSVFc/BuCS/X2TTII25XdolnuPy63InQ2OuI3Rd6IPUudzsjyw9leO26HnqMpSqGMcgRo6GYO2LXet1oPnqC4S7cnQlqwTzxDPLcJDIL2350/X76L/0DLyt9WVGAsZlWmqG2CHl81MnLXgYQS/cOBpM1exDJK1OXMUYDSqErD9CtMNre219j8zXSCiScOBjXJs1YObguzfxp2U93+g6dpVRa1Y5a5WClMZw8zVUxP+nenK6wtSXh1Ili6qeURkkh65baxsabgLg7K8m7UJQKLmu0BbzPZm/yx3TjH9iRrpV61MS4cOwuvtQE7x6DN8LAkc3iZW8UBq41NDIJlV9BIrGft1h/VTKwGadE4/ZTv/OCWfDHXKj4XO56Y5CyKi3i1+ih//l5Qksj4IOSr40VcaFia424MwCmsLqNjfF5hQAu4zceuyaOBye9e9myGkW7CikOyU1lpmcbuiiT2kdRw1Su9LXU+F+S3cZKlSMpMHe6Y2tUURmJWXVAX+yBXFRUwGDymh396yyooul2pUjUvHvTNMz9afX9Za9a/2rH4/81KE4UvXjffv8H2tK/XoUoFIl7BDjnIt8bzZtmIi+zoD13Ezy66XQsMCf401JbCGZwnxtMAwxVGAzJDqsfOEbDcrc4BvqHgEiKABuKBpct9OAi4eRsAtNZFfUQXHEDan1P+4AUHKWoXy/Rf/zDuKGuXk7NCfQ0+qvg/gcT1XG+3q9sxLo/cJmmfhrMVFzbnfqVT+PdWzP515GoXAhkuzGinKMGrCevTSwdOYe7VMcUwtLDJKm6KgQ8TmdO8jqVZjhgoXVc3evkVFI4KO8BKGpaAT0RfEF2IEKBRhfuhqlQwFfSORZZuZYzM08/xdWnS70JompTvbBZMMHmd/eMiRqyMXtnaTfgdvb8hMrvDHL8xoUdDjGofyQdVjLYVNneun/BJkb4CYmdUw6NRN/aW31/5UNzePmFG3dvjTbPJnabSBkZUqzCeH/+Fn9a41a6aaS0+H25UKYGFH3gWJd2411q0/46DCNnIdPDYs9NGpbc0nGqnGhqACmTrBTW2yIMNsAgluF9CgT4yrsJJDgXWYotw836Z7IaWpN+Yq9ImesyP441m+zSQFYSFKPGS9C9U6sqQsaUnat4IcmuiT2hKQeQjCdeknk7Jj71xFarQZaIZgkZTFSk0+2zUQqTBYib82IvUOe8bNRWP3MhwGwSFp13usyX/CMCHUEjalpVNfzi5iZvEugI5skgamieJe9MN2c7ED50SYMAjwKJvrE4cGn2E/nqmgGP2v48UCkJzNBLHrNDWRKZ83XmriuN/hLUl/VanYfWrO5suESgL237yA70k7CJPly1NNQYHcCylcptKBkVyWm+SzGYSDXrXJRxnpVsOy/pj4elcCn7LLqzpw3iYDh5Jpf4pAwK40bhatvbwpTJg/IfJAMtas3PgITCpHTv3oyihp1rExbaGAHwHxogu6vumUG/WPNvjK7bjdr3o4kCt7bNnuKKgYck5AQIJaCWyNMsDyxnXdFX6aDoWCFi3IjBrwwDEdUM8SOvy/riaQ56UVmL1pwoJaEwPo18saajNjhSMmbGsUtRZBW1DryoK7Z16Be9S8QYDQfZQ2YoI2wgYosc+0kKAB0I7ufGhoh1CNQYCZiYUtRe1sxSAr2sQM47NDnYT3Jqw8+u2HVvVrvd+4F/IKxpwySv1ofg8AUdPwhSu1Ad+bVoyUBUXPBu5/NLUkHJheyDMnpFlY4mGZn8cs4c+03WlEaNcqJkFHmCzVHP9SJkovRVrfjIy6k+v+STSJmD2oMliigHHBXdYFWYwDNxsUuT5jIMK5kO/7fNyl/dwszJVtHX1EBbBgHovVwOdt4lYbIjdopBSES2ayTGB7bueQj3zK6LtK/gGa0ofyXvN1cGRZvxm1PTdwvQ4btGp9Gg6nsnQvfYxEESSzpgM0tsdTdyNWPfIv8JeieR1K0J7hrKDqgrg0J9joe9wWY42SopIi8HKPsMwXNtDGc78sugy4UCGsf/o5iKxr4G/PcurOba6ZVZdZCXHmNdZkBXZ8mFyDkGJnlA2omUiO2wEK115nqyekkMUuZ1AkChSgBQ2uuMsTg9GnfWejZpTq8ZTXGRhS9r8qjNHQTFT109pHYTB/jt2zW9C8Lv+e7RXgp7VdqK72EjlOwRMsCGYSy9efujN+NaI7N12lbMHq6+eQ7z7/T7Jwuz2S8TdEy3RLM8cE7Kgwg2JY9jzybZvZDNwGh8MJ5L/mzQfGFFFdMlBGU+BX7o1gRTZHx/7XbvBfen86+YxTJY1oEkj4kCBhiJTCEH98fy2DCePpWhF6+B4RASY0D6kZrmt/g2qt1D8FdX9FSg6c7r+50LON5V+VvJKQk7joiD8aEgPc0w45AwZJZujplnrwtoK6dZsBN7ov+Lc97TXI+8JLs8jG39SIL2ZFZZGP6JgzeFjAtMrbfWzE67s208sOzRf5Jfce9sjxAt+WdMOWw8b2Rid5yEQmQyVSH/MgQTyVlAnmhsw325596OavjZY9Sjv7bLfpeIX4RWqeEEXowWmjnzoTJ9tnR40DwVzw3sm9mKOpow2ZI+GXcOz60ofDjfG8hB1hCMHXDjNCnFTrrZ+O51/CzMxoUTdaF2egZQ5ajSJdyfzS8xkDjtiLProw5zkteJnb5Y+WQL1WVwYaDDqlVCVEFp57UUW1EgtfY4jzBv3ppcsqoRy8y/JsRWsQhReu2dzMB2BO5Q732em6pg5aZtnmGLLNWg1Ze3xZpA9sHiGaOsd2LZbLOrh8ncjJ7G22CapN1u6v8y6ezpWkkLkegbucSm4109TmweUToKQoUPdII91UE/uSbmGxrL9HrPxSWF25i2/Cqe+Z0Jn9pk5vn0mIBiJP/1T/uDf5TA0TgupBvRnM0+3Angm6Gck0oSx/Dhb8MLhFX+07QJ8me+LFKrdKutzGDoM+Jd7gvweJFdxLOVu/ERpwhmx13s88hmqVVYSf2YrODhm/kl5ok3yaD1dobDXxVuBytPYVW81j+0PnA7BsxYjMUBV1Uiyxn4xz3PRorGVy+3pWLKqsaGlcC6PCt0xslf8kHm5o7EWoMN/s26/Pm5/nwSDV8130XO3Z1t3pdRBfqnGEw1KDlt3H1RsvXVLoKwdjMUHPrxQXaboXaAEqyuaur2MPtBOJ5sbps4zuDGJDvJCkG0koSQFa8SJJmv5Swd+Ycm1uC9YbbJOlJnjnnAPxxCMNlBj2vdR+ERWDEqLzggYpEC+pc0GAhLnEOTV8yDB5utzG4ACpHaxo+vczrJnl/2XyADg7Dc32HwJD/h+PHvgTFM51v2kz9GTvdi5HTgBwoPFbnNGnXqbRrw9jIrZIUaOfa311tbVqKzdCyMkjLv2uxvmr12rmMWXT0/eFyISUE4EB5rYal/p9Bpx3ZMFvxhgMCrn6nfmTBPRATtjH+iiSM6ES8MvyrxUHBlrfyqTnJqAEgplIuazjDdjv7fk5qBn9LQoe9OlwqsRRZczTaSq2qBMNepYWAXQkk6t33JQi6yIzB43lrBy9wnqx/ZFDmCU0i2TURnL/tiMI4kk3LABKyk8f864O1ZC2giyjwWj3Xupq5izxxMEWZ/W7u3bLcxZPE5J6D/D2/vsp04tm1rvwr1LCxJWI6gkIUASwKBZSPQBdUAOUM2EiYCc336v/U+xhRE7n0Ku/37nEKe0/ZaKyNskOYcl96/zgYCfB2dLTT6W06a3bnMlPj6eciievp3266Bis6bhKEvZR49rZyYPqmrZIQNo/1KEAuU0tpCVrh8P77++JONepdWkbj96ebsU+GpvDIKH81KKLzof+rW5TDmllKWb7fNu2Z10OmVh8bNiRlMb0v7SAHFDg6Kf34ggHVYHDWWGds3xO6eDVI8va5Oxh5pnu7JxgDl3GCZpUZ6mX6CtMh4J3xkKqbxNV9socIm2EeOTJK6hatn6Yaf7+O3xd8aVlnuJEBlqpF4eV/q238C1Y/mjjoHhYChtZs16U73UfCKEBJMDWELa1ETXqLzNp7azPc6mXBikOP14/fmtiTwOhRq35xSwirSn4lJKaJjxxrzSzfLA66+W4EgkF0Eb09q9hAKQ2uqdgbQIOnGZHZKXY6xjUAjOcIlX1rgCdBDtAl+re0R5jh0QUdNghRVt4TCdD1B+rBBTyEyUxi3zG1DLXjBoDsisBTpgXiUjgV9lIN/9ZgqMji2bpsYAdE6q4Mp4zdy6/2bi1ro2IjbEJPMzf7gfd0mESM/TOfCYOq9r9lTCvptt2JTqwaHhFt5f39vhFPA8rAvH/oc3AG4HebWzmccagk9EGklU+6A7M457O1M1je3KbcpN6/gqhI8K4fO5yN/lkHeN6SG2BYpkm8wcDCYo+BE0h0SQ/RIZm3qLpa+u3x0WxuxsQxtcQlI3eH5nuyjTECLhpQpzdAD3x6XbytgAemlkBEfzAKEgKJrxSeBJElFq4IUtDe75ZD/M37piBRZTW+Jda17iZJxkWKp1zm3MW8vpHZGdA5u/arzIvdlZGBncZeCelwci+kf+d3ppmNNPqYH7W6PeChIn0WbfZuB+38ma7X/UNXopC7EkyJ8VDcDX9a5AT+hzl+yPo8GXWvyA9lq4ThOokTFxYUZhpjE8boya3CzOpFkA5HoogwZD83eCC6rRlMnFw3ouj5+YS2gFrkW34s8Fsq72caawv8ToV8wikOtZzLeInvd0C2qzaMpM9fBT5mc8oH8Fj76/ALXOiKGtVTfmY/vmHee0Cq/7DGmlHJjhPYe+8XC0SvlFd/W1OkdddBvQtGplZPzLE7cJFGSV6U6mmInFDS//7n2ZQKCrd1eUr9x4QuY14Q/27siABwYy5NEQQGOK0KxyUVpEaMAr33vi4UjpXry+vo2DKWdsnsH2wYTprVjC8MmvZj/g30g62xkgOjGB7TOuqEe4uFzULD6ye14lGx6eWfimNGxVyXz5OyvDCSRBMxteFRNbMjiZs/oUN2uC+aKcgfPrgQhnV47czuWVc3D6rACGwUddqV1JgTlEmuG67vqEOfqJAbkx0yuvomagQ6qvop83EfpVx87y61nQgTugF84TUvoQfA1PI4f/3K/OQfMRg+6lRBZOjsp+SKioG8tJpgP/GVNuJYtXhPxaZ3l7/93fwW6hzBrJ1ssZPlhXDvXB/RY+Cxjx790mAtsAp8X0DbJnwVhHud56qloVJU6z0A+O9eSuEAJr7fzZD9yq20QDCoOk482BkcRhr+1NG5T6lqcjiTDAb3T0op4KprAqnF+/k5gIE+Jh93bK4ZGeEtldYy1oH4kQpnjjzce9k/IbDiZpIATDzU5h+6lbJKN7DNXYobpzDKPXhbAhLvu7B/3833aea1Hf3dO38642g7w/lzv4B0j8XepSwYzOHBtjRGIMSDm+kFmTCC9v+obVb+hE6KGC+9CZ/c1S66Rjz2a0sBempGU+W9531o56tJrop1Bx8hdTelmki4ST8Pe4KhaGFslYchDXRC+bOo2YYcWHeL85V+K3l1gkS8QhsrjOOnqqGNCFitCM7T5ZbkuKYBthjIWpZUZoaREocFAasqGvujBtgB8RIOLtRhKJUYlejfUKfxGQzplwYNYA8sEzj6YjWy9L5J/hQmzRGlaaYyJjjT/Pp9+sHsatIAYVeklJ6ltrakR+66GC9Dr2hSTgyR8nYMAPWlJL2bApkEchTn42DU3SZvZiPiKzYyLJngz5V6AWIBholXecXcbQ8ulz9roIcMTTbO40sUIA3WfZffnG3/IaQ37kW0bXpvOpkqqxWXtdqzCUzQWSDeghLYVBbFfja/kZ1Y6Ub3y7oJpk27f7Szy+dP+dL/r1ICoHSgw6hpXFWteS9udt5WLRJxci0QF7LikE+5r0gvCN8ke112i8X3EPmt+a/E6PZaDR2uxmh5ugnIP80b/IoM3MPRNoYl5iAw1rXg2Swv5UyZgSrtLzjrjr06Y03UigolXPjCDn7+U/Mi2cEagEla4iA6eJtGkM+ZfLIcWy0aZUNH3uOCw71tnajBo48sIdnvfMt23taSrN3h92jOi8jv2DeUaPZVcSGP48d3VIMCE4noDjg1XxnXhI1D12gbAoDTiq7ZqaotkDYIGFrLirKcrR7Mj8Iao1cl0YN0SYA4EqPqh3w7/RkF8MCwIxLwxBN3oefl7lYGvGfHB8ekQ4PRBMteD2a0LTQHmEauTW8rcXTe9LoHQiEIWGVYW60xXslgj6N3tVZZqyi+rE2iXiTNDRtLDL8f9HPQ7kxQS6Rq4hTMB0VDjA3P7lzWZmu4oNgyCWF7s2Os9pSZWfDQA/M8ad/7J+op89Xz75pfyYglneRtWD/IPlCQBcci3AqdaWJp4g1OmNilmtwrDmKb7EhDQVbX9pI5GJucGIxcVgDXFcV1jgj+lxfHPrUYqBnYI3aQwXWjGiamsbK4VpLn0nc50k860IoyrdeBb94rzm7ZlsvGvb9ylDUOBXLy+jX9seS2cLCH1I46Pl42ax95Nnvyf1/jcKea00iBXeOVE4qxbYYo3T9IXMgOxjm0jLbitC5Tm9oeOa27plyL2+COBYdhrF5oApuEXfA93NdmIYr/nMGoq2tCmviaO1DBqTbTrBdWV9UdnnuxFy9dagSaX7/9vlr0EYUjFBhPKZ7v+LpretY3kpDmiIDkO1lx/v53ohmPXbn4mjaYwED1cqxuUGwEG7Ir0WMIESZUxgVuTBlLihM+0UF9JHR+m1ykue8nVUJTn61/jH82tcr1P/cEuwkkvUgD5iMAABRLbg4RpmlFtJkAH1C985iWYeDY66q/TB7P0k4OYBXGxEisSUqc+SOJ8bodeJ59bX3KsN67oFyaO3UI2bIl9zf5AFmDIpWtEd/GeP46DT9aey6bntiPRh/Hs1Jlhsk5riCQ5qeGlgPqszMoWG4YBic7jOTEu0YuEulr1itdM85c+OEYc+dEjk8fo2xaqv6r48vBWrZE1aUZB/8w2OxPwfDTN+Z/DFzHwuse21kdsOT++aVA31GzKbbeV0r30IBNgI4hpQX0yInQsf3SeH5yBCjq2MRoLSMUmDTSmUb7M489OCn2RZN3p3n9qRxmvX4iv1Ftp3ES4F7tCI5vrNA5LP126Y723hsQNr+s60HcXXbSQEhBewQkIMlEw9IVCwAz/rybTxIVQhDOmNlqDfSDNoHkhCL/Tt4IVUz/1Yz/ZUF1+h8wU1Z0tESDlfYM/oe63PBbBSJ4lYrJyK0qy+zxnvlkl/5QH1CC1nM0IDy6UFdO0dDzDzpNZhWcjSR6kHiOaD02K991jvGrZHR48/z0k6poCj3ooR8S+tn4rYok0jiNOmkKhkkqZTKUwXWMqVMjcHdUAgYr5S8geHDFS04255LMDSoH5m8th6LYp8KPgqzK+LAAJfnceCoCng57hLQuxQvEOBsXWnN+lfVX2khg3Gl+QzEmANbt7D+bvExT6ZizWWH8uTCTknMnOQaTeviEWeKERiQkLwEAQ39cN1glebIzzIoArMm1JcJquMGb90bpvRJbf5jHCubnI9KvHI18MxfaOsaIEh8DSplo5v2H7PG3hBqbTg6wHDGkR58YYyL/LOITRTgAANNR6zcthbbKh4cVCDfbdRC2fa1V5AaqZSianu5x5wivYclarUsaBbEar1bCoEXBkicKZEcSc5wKa3vvU5v2M5YTK2ocVd8qTTm6FEnQuqGclMXGN599jUiE4lQ8FfKhbBpkNfYEOTPQsgDqvVfJJYIikh8haOunCBhg6bK3Gw3JXBlWo+X/NkkAxEr3wiDKtsmh4hqdBVSvLLv1YObjsFFqLE/YFMhoA1ZcGQzjyqZyoNdAwNTkgoIFWu3ZsoabfTWeahIPOqvmP30AYk1v+89zr5TKQ7YawwhvTEumleFwlymySuQZ9a6xwd4EOuZM+FOCcsyyO3o+oA704RWSuVUSpYWSsncg22R9oPz91FcfXiHGRtzfHUyj/3AmrVeZB6tQ/ck9OeEmutuw2RF6CsBEDhLLTJM1KLZf19gZBc+BsmNHNeOio2EULm1oKbiXvjAOVNJbLHJsj8iTzLr/AvU7SiARMN5plVrnroCfLWWjAMCaUU1YC427JYaNosEYD+QWtUUw9wsivqhXDIB9EaCZxESaFi05FAztiVsinYWfolGCaxFmchsksjXwWrT/uyxzlp/bnunsExYFpRjIsmTTlfuWMBE2xUXf5CekGN26rIAje2wCoUeBbiJoUhiKaOj++6CAlupNVszrUXkxfINlFr40Eg+kynhky4nIQ6bYhUE7/jHDqvJA/LmUaEgvMA7uzIb0ROtL8a9152f6Q0pniapEuWzp4N0WmJsXVEnHHU0TtnK8msWLCqUzo4uS5e/hxHkW1HhnKPoc1jSOa82LiVfh1fo35ZNWeCGN8fQPUCCG5ezInTuczrycYByxQGANBh1yK+7+WJTmH+9u7XJsR02HcSqMUauWaW+Fr7G/aYv1SNr2dLpHCI5loi64W1ONh/AFJX39kIpxQInClbpT58iGxmTHTPnyW9rs2JztUsXLSSy6hu53j6Oiipxymh1Xgd0kQw7nHscOfuLip4YV9mRq1Eu0QhivLrHAFoeXrTGWyqcSmroBWbsXeZGJUfkrasI+f+AT5Nt5u+P4Y7Kha4EkNxRg0TG0+Ru8OAtOAyGZCmy+fvX93eP8b/zCQlQPIAQm8qUipjdnoruySqdxKDVTgCFxxorSNcLEVQj5v8VYYX7TRJ4GGfTSMveLkCP/7Uh7ZeR352ECIHg8YPNZ4fr9aMlbFF4TeInNdHr0k7CGko40jNxjy1TbWUr0B9tCTzYkUYl4rJhgIzwx5JFOudCiVlltcl+JfNH3gbH+XH5zzgyd6LdvZpncTMN4mDaYRgiBjxVs7DVdNcdTesyeOCU3UVlrHVmG7nInnGHT1Lq16FiA8UzKZ9olIyQKFZtY1QfTQGRHJO0RzQORIbOQ0XEZ1GZUhuevnHasv9qzGQzca/NzpAM/OcUF8527/p7gw50o4D20VxBXVknJSj3PTyqxReVG/zh/eO2DRtK1iOPj5Loqv9I9E2VCwmyKQLEzVBX87C1gTkIvhS/+W5zLy+8J9LLM2uSGsJdTAhy+qZ6GKkTIIWZOi15Oj1K3LriTa3UbBc9Ja3W0n2eKEryv+ggsct4W4//cixOJVZe91ByI65rKiZW7k1S/xpjebJ74mbnomMhBSa1izjIsKGjz41aREdGwFeLxcJtsfZk/ItoPfuy6rVlm40VpYiD9GwMGayODu8bO4qCg2jIJYMIv6p9zf6xau6FU7g7Nh1DZ5kJhirLexJy79l5cfH2qd0SNxsPhgY/Nm+Hzyood79pn6SD9glPWEBATz47lcNEwu37citmlRNMPos8xjSz3Od9gfLAH5JGTp7WAo87oCVfcDUA2arVqtGDI2NOxFRBOS/sdd0rlFYc5UQ0zJg6zVyjwU8Q1Os1Y3PdnCzFJKcnRuheEcMeyzNH6Vsz9PL6Rh4sXhqx4FvpYeropYGHAPQ8/w9KXwey0YJCS5NPSn8NJeOUbRqGRWewdJSqniyN0C6aDMfM0REZdejN36sw25XsDCP5VCLEyFbOpj/YJg443wmTO/aSPGVg096tGJP4s4TgyyBkw8tluG2eVVr4yfnmwhH92L14E02sw3kh/ccefdDTWbp4ZcUbSzLKkbErtqfWLkQcgm6KLjA/8XJ1mY6pfB7srPs8jkL62Is+VyflCs2LO/mRAQZuzmPw2fjByoul4FsaoYgxuiyXQu2VRuKDDudfNHWqnjynrcWAn0FSi/8QiYQalvckIZdyxQ9zvcSnv+Jxp/MIz3NzQtyR0jprmcsO3ixyMm558y/KMwAhUIxn2jn0bqvVUr5VjEa7GpqQC0eNY1spD28dVrPFWCA/HV7C7iNA7JGRShUs8SZcPw2XypJUBGqut4+jQG0TvZ6MopxPYmc+NW4VoTc7nMze4xa1m1qNxQLm+4qf46lkH7oMgcm4QwJa776aZ+Yq8cJj8k9YTG5EBdDuPAPnUel4cFqAWN6EkcFd0imqW80RyAILL7fcn8AfMi8A9vmf9ZmpnAKoBhE1WFUd5KZYlvAnOEnNOFq+rEYIgJdufOBF1BEx5V0oB8OprrrtDOi7x7bWiVyOmYNmd5a8YYDMBJdQm/sEckAPlL3xKXVg9Ok/gaIzk1SC24zMOpiN2q+s0EQcjPiEfhosBH+Zy38SfGVTwQ/5mNdjlG5msnPXZS9AWvG4PnCoyskZNHFyvV+g/dfmrVQsaYdPv0Bx15iEDWWAa+oKSotomtn0ZPjMqF5Y/7Qr75ygAwdy+WuNqBvxKVu7TcR76608zdINV4pRHv6dSK/MRmJ9GbxmnYT71a5k7roHcXjObHYlVcD6NH3PWHztROZ8lG+88Ug1gIXxDGrpvtVAjqr1vkIbSP9b+PpjJNNifNEYQqHT5ffO7tb0TSKwNw7/jaqm57FD82SZKVOJ/CC16AwfoYXrTLwRpOkM+Of9HpHPJqQmklvpagqUBxLRI4HiTlHlCBm7dPQwRvIcfteAmYAGqVb1JMRU9t0s0yjxOxsAxfn36rGOxV1nsMGK610Wlokaay8pNqTf0NMAM626wxUid9jwGJkbACGaoQxrXiDCsxwKa7Cs5dymkTyKOM8sNdOtPWyCgKAqQabGMVOA3W2xCzJ/4+OmEiVrgzqq0do6oFvKGylzSoSNgCC1COlokTi+RnmUoeKUpdebNIiWyDC6gDD2WghXwFNYfLlIE1+5gPOzTSNcOratN1mvRTHRzO1BlNKJYZZMxQyjfgmWh1PB5iyNAmMoP+2tuvfA2EWQYLpI2p2S6BQ2ftGFzhENe32ypfKQSQXgi5jE51YID2MqP864Dr7FB6vYb8GUW9nBDESnKrcQcXOK5kUKGuZw9OE7EnVVBFIOPCIIaugLDO5pYlUFXByThfW64oyiBtV+e33DstXtyqxAgbDZ2kXFoKi5VADIZBXlqSJbxSmHPg/V/msVxQCbkXRiA+lK07ijyIpI+ywccbvFU7/qobVdQ3vb7/bBimRqE3AxRSRAZhnn+rsg2MCBiJ7HwWF9Fd4ye/Wo3J2UkzHsGHxcv/uAjmCrtS0n+Kn5UDFav3OrNqv7MM0p1CKyLr7kwrBEOStMEo/h8J5OK8VvXo7ghnM65tiYYeeXocLXPDMAp20grhnbzpVjigT5VR6esEwIAYxt6/vc8aZqnulPC2Q0ua9LTqYuAGZTBtVviLp6q+m4z0K5BT9dp5HH8i5huHftcEpqOKF2vZ2eav/vDwEqIl/Ry1dvXgrPi8VNcTJK3zNymvb1vFK4wN3F2oPZV41/IuEP0/dPQGXMLmDv3zuBhRBIMf/8AZ9cdf7/8R82aXa4zrXXQRz1SbXzSDmOATpqaE6QuMN0HZsVHtGBIw2gGxyjlS2dbl1l1k5JTSlJ5kWhe8+/WmzlA1AXai3+aXBnajnqF1YAT0ZhbfYixKPMn+XaOgrywT6U1IM9YsW7a3SnauW/4g58qjoPwolHNms2ydDE0sUFBvyX+HQ6BlGK9NbgV726aNNrdrzQOGU+0eWu6Bkuo+GtC8iMCRoCpxAhrWCeYYn4nzIjRmZ4rTaHpsvxiTXo8ZdIG1VqJdDkRzigXE/V90+zv1O5YgSwerbjgvMhLkCLf8BLcB1/b6R7ut5l8hb9wEOCxu04PefuWULtmBHBGQWwTWeaMQj0WefnCBN9kA4lzNqUeYpmE4TdwEMmsiuLUZiVtWkAaLzUa7iRYnez0cwfDC7ZrJ38S0Bk0j0LQLXMlThzz9vQFg0slxZ/IV5YZ0vXs9auU7O5pq6GO9Td8N3F0b49knhXdWAbnypIld9MruKuO5rI/RYPTOn/m/nTgqSftqXDyCBN30mqTpdcUCJDE82HHD5xsabUovTcRBWMtGJhmGZmlb7s4h3gvBX4gkZwk0+luT7szbf1pKkeM/z2+XbNpV2IJImtvncJmYVZusHHTwX9hGzFAvsqoqMTSc2+Gw4z4eft43RlJCC98SZWXfxFo7ufvr0Wav3RKtzIp2Nay/Ou5nM5Ft77D4YwJ7oBcnU44+EpM55Bh55ZOijHD8K1diHvgu1EJT9TcsDA9qFPhbjhWE1iKMcylBuWK4ZVUjkx4f3uW2MoJNqOk5NxcLxjTwBvCv3NRPZoojT0tLc/buwgIAB2CgEKh+MJZAfbWHJLimea8IYmFo/Tfin3HHXf2ad8ZocjbmC4J+hSHhg5//wQkTxj40DEPNGgRlmbPrrqokoBVvk/sgGl+hDX9cLlQUi6EBnq1ieCc8WGX1dsnpjV+EM/6976dPY9i5lPcxDqugfm+zBcaBgfSd5Ektg2ojfWemiEuELk0B/WVKASr4uZHrQs5e5jFwDm1kqSnWNKM8sCuAFPVA84qKQVU5XEpD6AY8hQMY4Mfb9RNhdyPezZE1OQJe/B083mMZDCTNKDf4Pv6L+qu5k/eQKrIVxjy43B8+B83k5+e4M9n6XysTViPEsaKdPKtjSgcRoJUWumzhSEEVgwxGlYHeFHt5yeqNLwWSk8mKN/HYaQD5fHTlSSCJXxYSAFIJceESwkwsZ01PXUb6hfIvKPLQbndKIO3jIvUzcg0Rs2BW92Ih1zBZfh21pccxJttGjJDPRlLivzicdojkbNrtn+ZO+IssbcTvwP9m4NVq7A0YxS3od0zRFPWx2KByE/1zkYeueJGs6HWe2NIAh127x+z1ScZOUBeOgPY0taqIBP76wJHrUiySNwKg2AIu+92bzmiPJVb8Tb03GEDKpW7qyo19xHi0FEMyecoKkMlSW/dx+DLv/AOowY3dR40rfnSiyGSZk+8tDIVpEomeaJJxKWoOxBYs2Zq4b5wu5FuXRtkqIfVnudrE/fbMoJNrKUM/1e7GXviEtIwjZrGq3D5XJfprmMJIkeItZwiRo9o6Ym1vSKv/zjF6YOdy5U6KaGY9YXfEu6Bemm02jFKpGEkpdZgRZVrSAFFVQJcVg5Tz0HrL+7UgHc1xzIUXQ1v8sH4DyDSIoXXs7UVz1/CDM5NFtKzw384efmGL84CXnLrvMij3MBabUI75029Y2ZlFMDXIKnyFrDSG/eubVOSqZlgH1c6smC3psOxyNk1/EHa2o65OJLJrtrhNOw4f5LXyGoZmcuSKMA0lzKrRUzZxtDaVzg2/zOAWN64UvvIKHtYOwXTwj1niGiLO+VND1gOl5nAXl8TiB4m78e/O6MV5RtFtpu/o1ARuVeH+k2FyHh6VJlbA87pvmQ9z75xK+AuOpyLTYcI07++wJS6y8xTmHn6H8tYIYQdejCIP77RI97qaH39r+HwT2gafcSnMhTNJVKQ6DmwV5QzbisvFUERy2CcbLDtSclgkmIrfFGiPaxMF8pZheNVndB8vIw5NqTMTJkX7j0F3Y2CtrJuXX9fO60z4vbUkAqfMdVvTjjEa+JChV+/MyQIykI970qQfvH6HzOJzxaXrfv41dR9nj53RxnY7syCtoIxfW3fs8NyOXll9ldKTtylHNtu0QPkgAO5j8udK8Cpv/MZ3uD0IG/+0klh61DmR7CJMpLhKDdOvBcwZ48v+93/5RzrmojKZ8iC8vGNNjw/41HnlQoJfCwbgYu2Un2G6radw5gG4Awcnfh2vU2a+pLrkNvjpKiUYJ7ZIhQGwaOMeTdPLVWUSVLQV7SnsGPvfP0dGJKSlP556IDpRmXbTy83T6zF79FgEvYdO0q2/iqZ3kHtmqFiLHyYIU8wJGt+b9ufMEaEjs8grcRrP0tBDsvMLZ96qM4UyEf7AXS1oKGGS1Z1ZGg3mKrRGTprYdA2DFsHSa8ZgAPztiIZx0ZaJXvQ63yykvlt0xej4wSX+ZBsLM00Avn8Qc/AnPPA7llnoyDvvV916w61Vaber8vLY8gTaiPSkQaAEt7+m6D7znlOHiI9xl5JToF7CZJFLltuiPj2sG0K65T9ImpTaO5O6aS9Erwl/uQrwAORof+nJFkCWluclw7ZlposoTGiwTJk6PYxtLH5wpYnMxK98m7b62NHFbmcq6rkGe9Ot9AtkzKYXsiJeZyMxOmqfLJjRyfaujsi9gq3ifaiTBJ6l+BOoSzQuyCKQOaTVUiVy5CA2ZBGxsZe3ODFZGAIAOa42ZonPPTnysRNdAgsaxMYmbUc82kJyhj8Ualt0143aoPOub5NGx1Guc96ZaHuSCpdtfBONoN/FfLwy2eglYupWmS9XPeSq4mfD6IZZC1JI4MO8oKTjeQZahByzTf3Ayzpnk1HpBetVFcElImzEVNJo6TLVIKDiQvVpM+OYxUcuqgT823EnFytVIJJBfXMo2tThQm2KJRcMFAxhXG1C0u39VwaJXMXeRpbRd7/6kgeaUd2A7cvyeuS587h1YXKfXdS3dTo3HeKfEZjG1DqHMFKjR8AtqWHbvAdt7+9O1pVF4pFOYGEyh4NkStRrKSscKDgFlggCMcp6XXtSUTVFWHpX6BRXNpaQLxJ/1i5wqPKrt/r+ApSSPrY+0lvanpduYAsgupVimEkDAVZ55TZ0uY1YN2P7XfF9XcJ6QdjaZndciAggPhZOKeT1UTT4D7Qyh17wbE3+mR6/Bhdr8hT/FGd8uNGvAch9+J0eDAYPuL6mZxW5JxLfG3hKjkupy0ZsV+/G89JEk3nEmax8SXFzVnXssEQ5swfBSW6WHAthAqgS+ZT5+nEZBl7IyKtHetpXypZ5cfocfULgr1NH+7jUDfOLWAi6MFfQSgdOG/WVov2bJa7aZgfrLeuycOgxLgA6VWuWK4IBEYhUO4SBYqDmQfrFinhi7BCLDAA2o9ZtymPsjRQzejc1lAvg9MvWt2gTv4N+NOjoN3fpvM7WWz3rMHRUVNsyj29kHSxKYIfg7wAkXeeNaYoBI38FGfs6sDROFeqqjHxsHLb8MtR+BrfsIosDhB0m3fqwuLdo4b996LyemFvD2gHhN4hb2JgBhW7msb0310C9Aj4JTWVqQljc3ewo6oREaWhCRyQpKTpyW6Vjm6822i7x01msn9teYWE6NrzJIEOuCw2h5rPIot+SFCrKpT2Kolsqu9D/aiVsn3SSJGsApG+bRHPo+7eyQtBZibZtmqCLP/qkeVlqlUTjjfdrbKg4Pw0Etx2pDB42nQTucac2+Of40tKk/xQrcp3PJaokuUpQKeqFbf+DZSjnGi8X3dlJBoCkotbcaRJw8FMiuk5MqwEthqHoGL/+SdvE4PH062nw+Tw2w8FdbTD9llC3oP+ho2ibWppZAiNI3+q8IrxKAIXQyNWWiWXhzm+zlFoW24p6bwrUDQYdNUxrRRYTy3RHjYI8zyIvx+KwdpuaqE0IDtGGpRYsYwOKIqVHdWUNtTA07MzasNW4EP8jb2UVqQpcbzA+knl0CxWY5PWxVF+68du7kFvUxa2uj99XTux25nwLsuhDzFmNL9qfVTcVUMB803uR53dr7U0otsU5PcNIvHojyGAlxKhUoO7EMOUl0IF/V0vv1rgANEaqjZOKgZi3wzDx1ej0z+zzyAdCiHXurg1mBVR7YdbquR3N57LwwcMMI4V3nkvPsmUFYmAR5w/R10pg+mllsJ/Umxso820ZGEkq6TKzJVaI7ABILnEuv3p3aTsTkLObntU+d3/8/xp2M40VPcyXTFrP2+L7uIYckQ5pv7KA45dw+7HDJMARiSCeSCssf6b6g3s2tk9LwK5Na5hsoWVeq2QSnfXrbCSqHsnYpj0VuXaW0KFWQ4rmU5GuaWDXkRAO7gmho5nkCKmW1YVUQ6NBb21CJKepwbmBYWssoqfyp3KoxbRtcx14PhaWgu3onsFOkJMJGryo811JagMNgdm5MmzkfeGFhDbidRAdYWhbh9HH6ajE1EIq76UG0bK9A9pCusDu3eUNnY/WtJhO4Ifxo/oNPwQZEA31yTf5mvYIkJ72tIdq+GJfkcG3VR85js3130i7YnI9sbxmn3zk0XZ6tBtqXTEHU41eoeMR+C8cfgC7aok7Vpf28qykdpl3JphsilX9LvaTQzZJIMAIOhpMjfAV8Ryd3MHu6jt11iZeFxIVGkWYaVYX/5aQLxpVqEkwsWDaW0Ia4pD0HsFkFK+qlXrwoJ5x2J7MsyhjCCveGSCSvRCAu2Srj7x7qCetVIgKxSLKivrJRvZLzjJrc1RKVwSXrWgbK7GNdp+AaRFlAAWYYAentFrUb8P4iQAZZacnczyL46Hmu442P7HCXf+t7HJXpa4CgtEMNk2w/MOvhNx5vkYLuaFldEFuS1ZxnY8s9wsuP5HIDFuUN9FGTmcyLLul3i1XiQTFWDsT86dENK27UOUbOXOg7/7NM/VVaXgHkYKmGYrnunhLWVOPVHLAIBQZ7efd+ENWri+/Thst4flHlPycPF+chYPMuGfE1SoH1EpUHAc4sz4LQ6Qe+WlfHTNE45j2RfYokvSXIuw4qlte9yzoWUJm+j9Hqou5H2JzCUuMmj42/n21vGhIqODa/nn6lX0zCIr4uGq+Pf0SA4QamPFHpZ4/iy3srCnLgDKtd5B0XHhDM/8yE5CJQZZjKusOKKCWHQrOYV9qAZl86m0XJz81HxDqQXl2vlY8POTyjX4xo+UGBJo0haBU8TMUevfUmt6lHAT9ImxaXPB6qG8tlECCb98uCYKqXaJpJ1nJ3mzVaDkyaULNsy5fiHNz9FAkIVQ2vvaH3qbpofP6Xv3TscJJTHLl5P3zGy//1+xT9gYybHQYj07BJgOG157iaiaZL7Y7GS1W0Vzn2Ju7FhcrdvRJQ5G2qBfHPa7FOhIdy2Gs2ARRfzPbwCQ//F5iQL8MenaBzoB/5NTCcqzEAv3T2CC/0Imvob5iCM7y0VGVzH+mhyjom0Oe2S4o1g7glkoD9DL+cZDBF6avD216Cs6BqwzVHEreMTjf/YCK+M7l2qh0VDwXZ65v5xQ/Xx/4wWOT4cvhojrl3aKV2TkS60A+OL9B9urcKG53x05mW1Izjwaj7WSwfpdEpqbGv2k4Y4J7pA6D5zH9qrDJ6xnPyNmgJwsQGRP4J0F0daMdlAFb9KT7Eq3AVqpmIGrFX5NwSxi3LtrZ3Cpn08SS0Zto5Pjx15eW8CcVQrnnc7s0yjldROmT2jLA5JdmWvWBQF5MOvWhjRAfddS4vLriCVry3A7ldhbU53eGKW85zF+YFcQCnByNKGM4tA4DVeuChJjFNtyVspUp60UTX5bt+cZodbVlFsEtNvGdpz0ZHXn8WbYh1Zpf3Em8dJZ6tRDcBkn9bCQRon4rt4m5AqFIetaLf2ooeQblhrTy1TaScgkDT0I3OI4ANiV3wLn3P1Ry5B5LNSrIpnvhpL87r15hryDULp261kxFTKNUZTvJRGolIQipNeZO/41WsoaCsxu5TTOY8Rsm6lazK8mML3fw16wrHXfvF02vy7knnsW3oN5IrHGTqnS9a3TffviaStnufqmcphRBr1C6v6Sn44oZO97MNqUIvBFYLsKwgWU1y+jBZjeeGZejH+6Y7k666YOsVts/MU+/SuLp16L41sAd/RZfE5WAyRgp7qaGWutLJDlTPTZ3l4IpABMeEonGVw9viSwfEDX+6fwbtrmTrXZTnj25C+ZPvzjyvB9uCq2irzFBzDg1RsupKW/P7ytMVhKrCuO6ne0Yqz9+g5ukBZ1+WP+pmZUU8PN3XgLIXX0z/2IZ1O9LuOwww8TNwo3hOMBEz8PPDfcNa2M0HHiyGH4Sy6GDTBWAwwodqeP9fTd5OTLeXTmvT79UsiPF38iTPf4Kq7dpYPbufimRKYlkp5F/RjOjeXdsQZE/tEb0ujNLzr4CUaIsVgmIrbHZdFl0dVBa7AxnEj4EV8UKPTpLJKOAoVVTXeTSR0aMkXssidquuSquGAHYTdvmwr65rW9mGch9Rhjqr0RxBpkMih4PTdTUFKZ3CimkUHbc3Vvt7i7/mFSjYG0oEIOE4jU1WNm0oFlw2jqKyrpbhJlRzmQj0toO3BsrwL8S4aaLFumtSX/xt6PiFw2UuJCZxAdDh2oIZB3EoCiZ3OMW17oWM9m3n+rEEEZCdM8CiGs9mG6bENY6CBcRN/z/uV78b/8xgCgDwbt23jC8UI0ZiR4c6IaXuvfPbPTX6+C7Mbwh+gUBbf/PuEsza9xm0msCffgiou6glkXN3EulCnzNtOhIEKfZpC/I6jTam5t+bJpFHyWdkPpCYhbezj3Qp7/lpfiGcmyqZY4FJ0ZqZn3mrWoH+9UTXVh4LqS4T/6W1D6cFGXeZ/NuLyErwpyAjemrH/uodsS6p1R0JSb3vugaxbt9ZgSVX0XzfwPueBBmv58+f/x9e3oRoHKL22WVVnBFr+mjcCo8tPlftVkw47omPnRTmqePXrfAxpOHk8R+FWDCjSGQ8PBKsKAYB6Weoh6peNV6c64IrPTu5KGsNLprOVVK3FiESA4jpC0gbPljNUzfdZSDqNupoXH0rlhaXW4ONeP8g7uA7WyCmxMf+2OR/Yc9tpZapSG08yBz5VmQVO67Pyu3Q3++0d34SHpkdWX7UBYBSd070US96vZNq25LHC03HlAD5nbRB7GAMPnciuWcGge+/aYK26Nxpss+B+N8lCWtSli7110hUd0MY9qwBN6uTpxyITzDLuDuYQ5EwzHDVycM1KghfkgZbp+41x1qQjQ2/W8JbDpmI00TY8/k5fQOccCh9VEhy5zQ4m67KY8AaCi66pdab+OP+3hGM7z3Q/0Ydzb+GzH8dfvVUsYJYJTprzvJKk18SwFunRwWCsmJNUIMpnp5g2NZ8oxvfB/DD6cTRil9TX2dQ8POmxQDyy6n5aFCPoIIYipEcJkYnmLXWXVLcfg/jh677uKvrHN6WP8Z00g7vGimNr48MeAdFame4e7j2wxrMbEBJ1zfQuD9JapGSojcuo1P5ThaajlC7/xNcT/LHCsWSZ+VSuT7K1gC2oBxJ7zdEWXmGojXXbaFWxz+ch+aoWLXudM389a7fnB682PL2uN19iDgXdSV7axctBJxRd/6a/q1wnpPthKDXJ4nswgBqV681gmnhNMbqwf7Qf6KbpEFbvHSN/id+t5ZR5ePQpKM9B4dPkWyzpeLTJIvyRxh7gHw4F4kb9Tcxp4w8G0ham/OPku90BqpD0XLIUEgvY9+U1MPRDEzgf/LShcUVoh8qMAYDzbvEsRKXGV0lC3KhukngkASxM5Qpe/Tv28nGOfBgF6+q9LoKdnoyHhymW45mQY9YJWFhwWiA2yXlor0vc2p8n/++z+oTujy1YnIKkGtvwIkw0cVTTtz65y2PkZWe6e28dVnDrI+/rgpHLFdEKYibCIt0zOkL4luitwVMYMVKMM95UMzCx5itBPnM7VK2TBe4bi7gFve2KGLSgNviZqS5XLuxC7CEeWSJ+7MGLcC+9g+1I+Tt2Nn7fhfapDEppwe99iXbaC7bQXgra+fx49wItg483nLtEU3AS5HIUIIpwziN6HRiSTt2cTQ+7IiGptFdIuzQUWnFlmxxvOzTKOEmN84XUjqGRAk6zZrFbdra3AOOEQ5LkRg5strN238TdKkdICV7QyREOpM441FJzcedphC/vNfedydyQDrmqzecIix0KmAsCOK7NxI3Kl3hvmaWwKiNKDpJlJO6Do94VhPcCXAbjwebA6heuxNV17a0Bww2HqV11jEtdOO/TLvv68wD5Z32U/mOkyuFwJTi9zVcGFA3M+GixWLrhxHU9qgZEiUQx/UzW3byqyAkXSabEbFdRRRysDJ2TSPBHIzDs7yMbK1xJNuZjKS0ikc2yNU8qL62vgfLNuXCnC6RQaPnrPvnSVBS75YHeRraXxJPkaAtdky0r21aHQgMe+GAV/weHOWJn/Shpl366pTOLbF6gTbd52c4lOOdm1MlVgAenuJuW+g6ywPd+wWTp7anI96aYJ7MGrkN/kWFO8dZ/zP6kP+hdXTbku0VXh5yyOV0Xu1CShQnfJWKNfdgvlDTDTjQDkycWUFvmkh0QwyTA6mVNZjOHmkgWjkETt0WRrK0MvmzkScXxkedL6QqFfiOnhptLNNN/5zmqTQByIwAw/1ZdQC810BkhpTmeoHDO+vRcSIePy2tik4mpDRS0rjAgPlmoX53+tMGFEFO9447uTw4T4O+rIFM5d6bqkxnmURPaVA9pzgx6t9gjyINmugjxpR87Hl0zzbjG6iu0W35URKOIKeoj16C1AnMnOAKLC8K3I5bbYlGgeetY82V/ete2Kw+UEPWOUD6hSB/PmVLB7+pYT1UdUIthhzQGuNeb7IKXsY/zfLrJRrZtLgmVrrTDSlmZSOmoh2lWWgBqCp4b1T3lafWDMbhc/ZWWlnQcF6Z3y13jHlcjrrbborgzZFrODGE/F/GLRIThewtybLWQnD6abzsHsPwA8bCWSd/mz3wOdy7eDZ4D0U7ySaEhoRswacXE//+R931P/jf+5Gd7izR2ky1ejony2qEbvsMz2fx9ZsAeqkfGqD0W70gUpE9nVnA1GPHD19SptnFlNGanlvsbVDzirtBTbYDPTOJ5b/1FYHDw/jqyYDFHWHcj3jscsdUWAY923VSt7Hg/VvlhO0L8G0LWLLswbmJCjNEfOF9WtpXszcjiwD3hEhMWNrfhjuGuDs8MgtHH/bjlWXedQOCfEUSP3BiHREUTKyqFsap2o9lG2Fw9yiHYtkxJIW4oQxGL68qmmVX2CyG/TEGDvOfoiVCFqwhbCGsNuCR10meHo2z3XJ5hv3k4rDzMwU4tIGzYhW76UATEjXwx8LG9S+N/irM7Hu6P3oO2kUI1938PzIn2UpSABtqIttrBLW9sbXGnZMP8Z5w6F7y601yd/rxjcJq2GOr/w/wN9+dvAZKQcIsSrhwWiI69aXJiBUWpQAqpIly9yO5xSYsIIfD5leQEmAiRuATRvLp4e/Ox+rp/12NW2J/XN05ASOoCaeeWnE9dAqS3Ulhz0DWmIgP9JNOpslRYG5GP63TzNxf/5EyBkUZD2F+WxZFMophcXzPOvpOsDntp2jXWG7iA4O+31XKEhjz39WhYlruEjh8S17bvNS3qWOgu9+GAvrcpDHDxJC3ISChVps052IX/3IjxPJ1cTgBA4MWcQVjrsjiqLkpRuCQKZaIsKiAmlBF5lJn7PVYDipGUpx7BTDdCeFJwTw9IDl8b4z1p5MfjFfy7ZRNLCR13HoDR7kTDbZga+zn9vOYLr5744ryU1X22+czzWhfadamjhM21zHnEWUKiQk2JlU3WVQMwL2tpNcNL7L1PS1owEQ2JWVgQ+e8xceBbXjef6cyqEwaAEy4XFlrES/sgWteCaYNd2UIvFEUEi94XUER7GZ1N8tG/hF14fSb2NeQpvk2zy6ogC898vciWB9ZTPTPThURQM6PeyXdmYCgtDjLwnFdXTAwkgpDcgha6HIXOkQV+TcBChT7GvnNVM5Fl/1PN0xDkCUK+rX1fLsTo4CGMqffQLjjczYX6WNhdMzStU7Bo4sBSBmjV+Ugg4jFK2jT0+fzAX0SBYYzkxDA/9FQdKhX78mmz0TjatVUx2xXH6WRMzGWMyJ6oTi6V8+9cJJRd1bChFYrpbXy1RCDmhybQ8djP7ahZAfyfIF03j5zDeyhQItpsJu27MmT9NDOfjWGb0crj9/mM0OKnZcvX+qR3wU1+Ve3Su37RFf5DnKGHh78JaaeIiac6HUMJJWju6tSfoLUK7RlpBuNToTxP9MgzUmDmas6VZcZGaNm+k0BkAk/lTfvl2WHL5LxLyknYhBKDbfZJxWvkKa7Fq8B2SW4iExgFwsFBdOumsNw5gdrB3/l5Rj2A3mMtQg2EYxCKH91mq2YOhCIu0dAe5WE691K/mJeXvH/fYARP9fkRw9xp8w9mMxu5JwsI0/OAJIBRCMDb081NM0VjKOHx1W3XJTiKRJ0LvCZQAsmMqcl3GwkTKzJ1bPud03iyxeEXcGIB3c2wWknlwJyTsEPxFljzo3QbxdZocKVtMYmHEQmbSlrzm+RkyuH/6IrtcgsOgCS6t+jVCifpen5oalCIBDxgnwZCFYJRaF8MKARX0FrS3zqkJhIgO30TC+GkTVESiIlgQDqbnYQXKr9hjo+Na1Dp03THxneWiebw1dZrQtCMj5sKo4Ky6JELt9ixy931m0Cgm0JVyl7U+C8shjB042PYthugyPlB8jBOsu76Iw3m6qor8oYNAEjN1R4wP0DF6hyW3DT7dk2bUtkcz3B1ktsbIj7xyh8MEy8VOhkCzUvkz6/CdZz+OhsZ0QXFTS/YlilU+1JKF/1SaiwL6LfndPK5k5BZWgMFvBqneWldNgugnxDzfCEwez7uHr0y84RRXpnM6S823IXjgmeNiKis4UGrMuE29br5ELmepmTAFdju86V1GXPJDGtNfcGBZEBhWZW98IiI4h1A5FKCZSVPjIf+DnrFkOoCIzM9v2r7855V5ueNj+jcCD8c5SQjbfC3Ey4+gWfXhoF07odtyHx1Nn8BOfzCd7wA0wa1uZrgT02L6/ZQbPNUwtQKyKzP+Cakm2rbHTkzjWkR9pxA1teb7U/BKp3ch/v6dm7I/ahbNdz8yIX94PRxHYEEB21Oypul4IPxWPvF11RoPvR+QE/5d/lJJSrQHemKbhE8ZzFkIX31qwfhB19ciguQKFR8WZmIikEGJVXE5u4fxg8P2CNvSR0c+1qTyqRgtSwWVOHPp6q5ajMPLK5wKCCnmhVk+HIf/3vVMr53Enf5Xu0lkg/kv65cSu56mXRjrLQ75tu1wO8Vvhvqpk1nBTXihsA66u1gzPfN5PzhJ2HH9qfNFhSYFBO5CzXY1DPXOIKEeLZXudeRP7AoP0/GSahP2EhMThvDqcxLQke+jMOdcCbFAjCqPIeP5I3falySBOQf/rlxGm7oqg3aRVx3UXz78hrwYFxhzhStHCoPslmVr9qrUmDLbMOv31WYVc7xIR0qvIcejLZ51+Iwavst6jZKnDCQvud3b5+dlZNMo+KLahKQFdAZUYHSa8AW/bnSlAIoKNtV9kpERl6ENShgpQze8WaIepmczDg7IbIOaprnq3+FecmCdsfpFjeneYblscAV+L9vsGOgMrNtzSZulXP81bcUaWvlOx+GpaDNxt8vDnkaRVJ930HZRBOv3GTM3GlnmvWmcTxK3JVnKP0Y5As8yGD5dG8/nUGX9wPDj2uPavWjMSYuJi5XRidiRbsJdNTWFJmEIV605+7QUsO+yr3joIqzMCT0IoJe+FKkLz50YKhLB00zFkZYZUcne9MCal2EF62xamRR9iy75pjrVGzB2mf3c74y0uoIUWdm2wO8TnMAFO8/4phnopK6UrEWvX3brQmMdN6GW9wJhc9UG4297XzR1hY9L4ukd8//z1/+cfXJ2fsrAflnWRfW0W+ebvWxI0enwxIA56dNUZOPBFHxuV7kkaMlmDyrSmKTA9dJzJ6+KXFuB97gRiuBcKuDZxwCxM6mMZ1GcOTBGWvXaME9cj6sDjacu/ZXhTYr7O4AudMv+ZzrlCZIAYN4hbB9JVK31JvVrOgcHsvxnTSRToHQpm9LJ86Sw45nY3KQo8cLVXWbrvjFNrp5lN8HCp8neMX2LeTa25U8zYsWkIz6HlDqCdArIQEzUTL4OTywxgSg5m1foE54z3N9ktRkMsWO3EqiOh9zTpXpbkUi9jQvEbXQen4tA+CY5qtU1bgtDljX7FhLDyuIsOPDbMqpsUNfZDlQCKXvzICK5cz9vSRPgUQX3FhOgtaZt2/6quUiZ8aBfcWmp9gzHhmSWyOI1XIwe5tfnpHQa5wbb1QLHVwc4Y8kxUS/yfvlzWf4lqn6vVzZqv1m3bsFZKRGc0+NxpFkmILfk7n/mVY39pZOLZNlO20x9arPFgtL+FRwCD5NRy2cReGswSV04nTG5UuyWTZtozpkkxVbwCtk3uFnLm3YvJ0CuC3kcpgmhVpNaitWMJc+PTlDaBi4zchPm3hKr7Y7oXafqXiq6HusHBM7/e1qcy6GHQIooW4XVzvAMXffsen4/qqPBPHNebFLXCeMqA1sMAaoUFwePE2cNv+oVsnQ/DNJaM9ofd8icmBO+loYaziaK9KPAvHEe3ARdt2ILhZhlWiT6qVS3SxJdLXskHj9ji3gFIL0X/mQNqeuNEd06PBvS9bceXfa167rLRt4QI9Uz+ZyE7C4SJxoBX46ZZg1lutiwyDAXvolUwhgoGcpFVUKN7PRJbgsZHoaSpK2yXpCfG2EUWytU58qM8bc8dTiF46EsaA0eEL8Zdz6Bha9Kl8xvfPgJXH6zF4u/bMJ7nk4AUlZLp9br6WMvWCT/VHaOv2C1EQIDTaMPD+wP2HyMS2jMwJvbsPiRZctq+bBnu+bFyzlJYTjIJC5cpjyw55FVdZKUtm2hET7XAK4RSBaDFP8tX3YbboPVH/gUAXMbNfDsRNSv8CxhUgPf8T03QcecqftUJ0k+x6lTQLul9JH4o/Mj8HQYJpW7GamGLrD63/ABtyWdnmsBVqZyvTj79FN42BFgY/ImKT1FyaqDBd7YQQ5yu42+anbGH4CGFcyE9ZyHcCOJBZQ+GJ5cJ7XCumXhCqPZAFFqGeIUORjIstKHcKZR5OexzN8vdjXzZnGOaMzSk1MBQGcUPiF83ufNCzKU9Bs2GCoHCn6ZxysTuuYC3Q3ZQZsR3XDVuRV/2GrMJvOShVz7PrbA/91nVlpL6M8lE3cEgO66jNAGvYpwUvTF/xHX8397ETZrQZeU13abbzvLf8Xrr4MvifE+8EJ4J42l6rQXsspwaseEtlUkz44WBRTqwrpuys8z6Hx6CV9HHGyLsyHOHrLRZ/jeRMKhnDpNsC7yuEte6bnofS7pCmFMb1YU5JzH0gqtU1ZiMMrssja1kidiFQI0vceYy9VJ+3Jfxjw0518O+u6YQZ2rksTXtFdyVrpxClsaP7nduesQWI2PGXl00C1Oy9tnPFndhuvoAKpZplkYRlLoXTsMglow3tbisgZTgLz5N7HDub3QF33zVpc4EBBqchvXdJ4fWBLN5eX2xxlcx7JRuoQoY2RNCMVFpia8bMWdTy382yz+5hPAALtI2+PvC4M12mbQmctz/kN6/jrzZqSWTVAY7E510ARkFsRL0QU/T3dyw76JVtKTsawOqfID9OVLvP8lL9eIUdFBBZ1VOW0jXg64hAkaulCatQ7HEk221XwtBorph+nh/svN2Njd8kk54o/NKxPL9IvBPMnp4fziM3ik57dsiAR78t12C/D3rbmQuyn6/peDDBqnchxD6IlzRMg0Ye3eCCU2z2jEA2lG/7KSptF4HZmqIcYoIaaRwL7N0LxcK5iNtDY1AsFniZtPkHMbmGkXwZCsjmCbnZ/2Z8DdGBjONadd9TSRE+EMrhQZMsvVvrIxWFzHv6y32BPRaK8vhn/T0LguLzN6TFnw8vG0Oqi22Sf2GZY0b/Lg52xzcTxP3ZW6rLbZw0NV5QhRcOc/CDS5N9LKMO/rVH40fJrxvOKOyy7mEA6TVq8PQ0IpfamO04NBNZ1iGKZS3RGPjVKGeMT2suRKORHACAQXvlYLSTZws65kvir7mbMIXI0Ey3nmGZfwwZoLBs6jt7ot5XkiDpJzOEgEY7QrBTkEDtjt2XjPXNpT0m92SN36uqSjjy6jR4NV0b2igpiGS0CxcgTgIwWTnwEDaQw3QQ/sg4r28v7ml9w5lMlkEva0OxZh1URkcvuCtZEcDcuCmTZfaabgFdjAQqOnpO9nU0z/c+ZLxu426Muqtb8xvtLUmo6a+xqr2VS1dio7ipvplqrR4oOAWraqWUVYaBQxziqeq6S0ESBt/oevDEfC+NBgtZv42KZaxvX/+1/9RLG+N5MJWACl4Eq80bCWSsq+dNHOP+O9lxvo4eYzxws6KHAsChccsidgI0q8lETkiu0bT8yWL5fQCmOwPd/L+Cwk/6IKNIR+fFICpg7wUutyqG241um0nU9WEa0sl5CHahamG+LDXhFbw+EwPnYfVL8mDwrmBmWfUGWFls2j3P8PogzRERbVRvmxa/tcUygNd7H4U2VnIU+PgzquDr7LIgNFBmxSA9abdGFcF3WfxbqruAuh1rHktdRIBNGWiW8H7gMqfyWOrNoX8PtTXmkymXyD0xnbYF2AlR3TyqAzXTb1J4TEUuMBg1a1QUNsrsZe5xwUoy3TFiEmw3iJYRHZlbd+ExtNL35H7KXkfDmYUJMu1xAMo13dVZyzniRggdb1UX6cwKd4kUnQn75dtVJkfVmssIebC+AY+crx/+Jy9dwa00pDNh0HXD+GTLLHqXTepUHQn2R3iUnI3wXx6rOSUgGsFoayrtjfFmARFxdyPi8Rjy9iz10AEUEKMjmv4bOwVho/smDmJV4Tx5rvBP0UmfduokYfRYWEUlkyrxIzWyLBGje6XMYu7fSBDqt80qi0o37FWsMuhkmMTL+0bbolZShsHNjC/P1Wp1mgG6bL1itWW4AhA2xTXoigbLyKZURcPaKPtwgHWdRMvaCPJCJYZP6ljnxHduTK78QQ7JmcNal+jvdCwHJk3fSnICTHy2+qSBpKWWBBZK8EqOjnBNgFzxzJz26g3MqKYxBJ7m79FcKJwuhkt1NWNlQFnx1uTiuGJA9g6ujlmR7pgXDgtUdY3jRnwBs9KumxqsctPHENdAtQVkzJUfUm3LwlS2tDb6D1nc+F84ESzTQsehugcMJKOU/2SvrBT/mTXwEpk4nDLfDXGxj9bXaZ+YM6KFD1qg7EoY8YKbYGaeME7C3wBrtHCkzXmmhMKOMxZNeCBbwe4eXY/sbU1Sn3O2uKqkwS1xWcIGF/9aXYs1PXMw7e/UbVbHn4JSnAou1xUTtMGUmOaVSqLUtOECilFIEyHkVgMxsP+hxlGO5154k9iE9axlhHwF6IWD7p1gx0Ykp2m945TnFLLeeC/C4Bj2BJaWgEL7A0fa1P385CBcn+7MXVgaZR4ENNER47PKJzFMADwRNGrwGgCe/bpsQAcz+9P1YP/OgeN3Zr8nnJZmdpRIlKGweeRa1tow0UDsC3uMymjaZwwbywKjHvW1lQ1/4T0Fvk/4EHaRobacQfWVqSE4KUmwNhm9b4dbxkt2hzg+EyvaiLMOB7pqqk7ZwaosKm0eggE/M0bDOpHWQkGLXvHvy6cmuNy1Uc5/1IHmeU6+nTiKknUg55AIlXQF6gP8LgaqmjdCLbwnH115h7RYEhZptAXi9m+xQnWKuhh8FDI/Q4uraxGhT1TrYAjVSLCkU846F4LJBqa3IJb/7Lx6Z08lMNRm+NXF7d0wnQnbrfL96MOjUqt8ho4sc7HtyytJZLqzlH+saTPhp7GZspl/tKs69dOdYFNVJqpYYxbvfdleOfgxX7qphb7do0ontSwgsKITABWKn6cZV7cNpgU1kzy9mG2EdYqgCFMlb9+GIQehcMN7aJGJX+uSu8sI5vcjhK2X8qhupLuJpasPD2tgp7BzVZUVfC/eZi82w+TZtQpMoLg2/tc3CJTYBtbUq+v90di1y+aRCEJKnCtkUJIje3GiO+au/hTHhx1Gs49tsuIaTbi0MC/EdNkpKBx2cRAzPdy4+VW8cpBGKB9aDm2KOe/WhnN6L3+xtP9TWi7Lq4fPnYa+h5rHAgaoWlLogJqOD2IL3mIyANd9k7yqLvM4w8NWJdwjbINBA7SByZo3tOmIGwSU7mzq8rGMx6B+nL71YTviGhSUTLjKsLrhWt1JgkCnhtMzXhjKckSKjzRyW21Nh8oUo5RUZpE1M9Vt0RhvNsZL9gFb08xval7rPUW8nLuqKBZHZTfUSPesfRCU++eJVNGUHWuXk8EgIffmCbwhkN1HNjuuuubtyg+ckIwd4rB0igLJo3m6vBPUY83DovuMmeUGflaF1A5sK89qnYBq1zfxczvIMUVFY/ulfKlKRoMo3MYcMnbcxSOyiaiEi8e0nPUKMPMVV7RLISLbnqXLegVz9OknGNfcOWbMWOaDFEc2o/GVvWINcJBeOxYOWgKgl4z9RZD+KaTOr7VxgAAx8T75p+8/6AhbpGLU/zcmYPzqLHo9AlxoUClMGzBC4dMZ3m9X4NQTjTIU2XiRs1k7wNv/oswiBu3WkqB2ZveGjOdDLha10Z9HhOvl80BdEstqPxod3uuPLB6+selNLXA4Cszj8MQadn3ZPAbzH3PLoNCj9ztfcQdIzafmYTkz00AzrprtH9eTwDRQ/QAsdsptz/NjlmtQ5NNm09yvJNb1Zs2v2YFtnvT4rsxgt8IqQ1TejhuxZSEQTus3XzEPX+kT8lNYLYT2LOILOQaWAX1L2MAOMm/6UNLRCjGua9QjLLmyq90qKe4wNr+Sl2gbI71Ch+///xkk9WuFFnKSIKjTNZE+Wlf8ScMOyPfB1qrZ3TcPwReteqWrSaQMsqlqEfRS/j7Fd0polo+IDyOw5c5frN1EF0hYyHg1TVGzR1TdSaOpjkiiU43icgMIO5WJZ4AfnIgv5Copb7UFd+K9wcRl8C9OB4iYnholC5eiabgSwkIeg+ZhzpunrU+yeyWcrQrh1MJMUFkp7nSbQa3TzIo+/C35MYl6/Ui4bxKFwZyNC4Awr+H8Tubg268aVMbQQ/XLWK8M2CGO0Zc8jev3aMA0waP1mQvwTT8HCFoM+sq0QfPrdIMN1FY+Br7DnfrXZ7djv2YaBwjrtokBUwkFfZU1/64Gr49fbXxIg3RDtfONC+vnblqXU6LvIQfVmOsHleHxeP4cUMe1cKRbd7xpmSBuLL7rCLlnOIh9Yq/XkZjRmVi/8/yU52huEjUZWd/5xiIFkXG3opmPzIc96pil7zMd9Xp8Z+nT/BacodDXIvLz3px+rvTfJ7+7rwF0QeZElIeCLxPdCtjXxeSct36vyUW1+pF8bS131c7ASUzOZVxcBiEauzaKAqG1mIilXxSpzgR60nn9O3V/ym/iMYvGwRckaW/bzFL240xW8UiXsavei4wuvGJHpPCbZC2yQJyPc2D2mRioySo+LYLzSvvS/gZdt+rFjPnR7W8rlbYV9302Xiay37qRSMKFG7wowHCXTjkPamd/l4ovGbwmWuKA25pDkUXdYeSBwYJTMuS/yVG6qA8coy2cs7vC70cMLOy25HoINeuX5/gR7EMc+Fyks25aTb2S3OJjXxXXslJ3ddAPU/90tCI5J7/LgllkQXw4l6HqaWtUS6ilF7mfeWoBfQmqnmivts7AUgncTLCnLXW276C+31qpsTGMkG+r0ouaylPhvtf/6iAwG6DfdEMmP/dEaGqCPaWnEbHmKna0T9h15FEHgb14y0eKJdNgTQ8dNm2KSsyr2kM2fOj9UX+k1tjo2OxTa4WPnj5pR8eXp4eHsZHBJhi0ID4sdTFimrBXRGzeWH0kFttRBz4XhCNm8ifm1BL+cmJ8zR5rGoLwlel4Pd6QoMvBf4/NCoKX6+shuPdLUha14zs6OZAaTeuiVNKDzhg1DOOLkhD340cgR+Vrjiu9AK/IVXqp+GNQTK1BuP7dJ+9JblsBnhHm6IUkzLHy/tGk4WuwoReatCPTpsre61Bs0w+LO4Z+9M0HCYq7Bl1ZKMIpocWl9zKMfwMPh8OvGp9KoL4IIPiRoUs8ovgUi4MY4j/DpShBfwD185UwBtS/ow5tU7MpUDfbPiM/yfkwIDDgmmKKYN3xg0oFcoglTBJmXEhHhH/KZVRuhXer4I7sEkLEREsVqhKMK6I7V0pPkvkXaUfSA4qzCSS99VbkDb0Os1kGycYYJ03REczSENIRCO7Jzw5cOIsSMefqpldj6AVpxbD/eNEWKjVLE58TyLgWG5yWA/DUOLJSgwcW0Qb7ZkTSq8A5GY3Yi04RrC7tEsg/y6yduSdh4nHW3aXChuIuvI9Jyn2YtsWwPFsmrjzjrv4tWLGMqJXMOBXh+kw+lqZ+S6859JIcKbqiqkXpO4lZVJ+iFmP2+FXj7NLmo3Qf7tjeGpXSAXisVTT4qkdmMV+erMIM3heaAH2cTWMj//XFBr4hhPKDVdmbTkOCn1k6SaAkEUCEk1cGhnZ1s23ZSJwOa4dPhvl4tqAISVeBFO6D/ArBI3uuFdV4rc2lKoznm12LxqkLZwLrha6/fc2O31ElrL9pTb4nUq5vBJPRsU3awmNC0QEnGaJvtHjHmFLVwA5CNY9NUvXpwvjfI4tXyqRfwYjk2ZLT0QP7kYDJbxh4jnHPT36hzbhx5hDcLgcMKO5LjUg+Asgi87rx3cWqsCobpXG4ppwyFS0JZMsAukxtPUlAKZEuNMC+/Q3S0GBFrpe8Hwhv+txultlHJbZJ2L1JC8ivXHt0zQO50aZq5raLSOfMlmlVIXjPwpBD6Uqvtq3XJ5og3G/FPijJ5eeludg12AYkfjxDLGoC7e4fIqkMSAK0BcALo2imeSMmBjAS5t7s0KZQ40EWn0Fbtx0ozCVsqjDYo4f+X/JpMUYnbYk3APzOopKBVjFVCpwjiMPVNn0rjRUC9ogUas3ifH6jRDy6Yh6s1ptNWdPcobON79WKU732FLPpwQs6YilrJbG4bBGeBIGBrpS5P+MWlkmwznjf0SxjVHI1IxCCCzGL7Puzp92Afxl3VJgq2ka+0nNrWT0IXfLMJKIBsykJfkoU2jKw+T9AfsyYcKnSel35l4vjY2yCYwf8jvaQeCq29fGyY+0lRoCTqH7icmGwn/j6CqqdrGROe4JeTqf2nbhAfuuMdeqj/iiBWni3PkX3oKwMeJUEwuEWXhk1vHnankyGiI6WxtTO78c0Iv35+0YlofELHOdlVlm0uINxR/2zjJiPteddFPPZ0nvRZUMPRNBgy+XJj6ZaEGKwo8t9+4MxIIbAIq3Eu/MaEj8wqHNMidpjIzRIHX1aUcUd7zl3mfmYMX88PcfqdYyFZttfuHBuN7wiszwWab7tk7NdvjO9OjwVdRnGVxurfxZ9k4hB88mXv5VurcB6oFlI56BivjpvKsxl9iKrrLwYgx1r9rChPDceSjG5dnNspQMU/3IxL7SSlSwy5BKCq5LCABzy32db9x0Ljd1LDtb/kofDxtOGweGDpxs79bnGt5kOAt9Qt8MfXCz6vb1WupK87O2IElKBCXH43hpqm3oQujd4nq5HUj7SvQTV4F09jJAy7tx00mTOlxlwNJhdrpmDsmpNbsvGh/pRH89dbLLntfFadmmjA6eP3hEFiZq3eS+yYJhsD6Gl819wWuoOZkK837cQBFYlRsxIj4d9t839UOL15aUULZw0d7okS7skMT6T+KWxu1OYGXFsLV06kbf85WiL31/unLaq963F3m005ij6lh4ulrPh9UHUW5rfOYTO/5USY3JPRwWOjLv9jeF5Fn3Pm57CBlfkEl+N6pFzWef+HU61W6tzjMXV5lxNPwybbsQw0cv2aj5K/tGOVg+rN5ZecuP8GT1zE1lLbJ2soYYNDofJd3bXToN9lcXOZ+QdYSZiog1BpY1+Yh/YoEMOfJtSw0tiEFjEBGMLMTOortDnHpfUn/WErB2ZEG11lwm4rA6NLrxsAaNCZLkAnfTefKDnyHDfIDneJ6fTLJ4064GOA4+dsbG3VwEvZ38b4L6phFt/bssOY07NQymf6YiswBYZPEGZ3CZ2Qf46vDfHLRNo0sr1V6NjQKM/8a8/AbngSGMtHKseZNuWyOAPhj3jASOBtxaEHle+owmSvoYrJYYMMK/fHuLtbh0Ri+DTS1esHqj966/aRURuJNmNSIndb1A9f32juwouTR6fbnLWSYRbfivlk3vU9lvl6ftVHmbUFPdWcwwgXgw8mPEbm3pwasBk3l9+uSfI9iNg5hhh5IFWd5Yt92n4xBgnQesIbBI7TXI+9ApniThqnVJd38OCqfvDK6RqzS5l8wug7rRJqfedeBf5Pf0rch+Uge/ZAGoipZJTbinbi8m7wMWqxyAykePPcpuPrfc10Wzk4XODOxyLN7H2LLIQNteN7czdBon52dUGVxemim2ect5RXSXWawqF2EJX1XfL2Y8XQrsNVwIrLIg+kzacQNnZkXDAqeVsed2HM6TdJ56fpQon3S/yH4yNkWyFsaXr5JEM2bCcQtGSGqkIvthUWuCjV1Lhx7cuH1sZqdW6sde6vEcLHJZETJFVCb6ffEDcRsrO6eaXTn/61DqS5QT591SIj1xh5smlzKPdJF66Wy+8Z87j5PBE9dseOo67u4SuYtf0JAI51DoYHkpd9JUB0ByiGfR71VgOpKn04bpOeeJ/4gtkIwhHpcBCZOnZXBP/W+zICGQGsZS+GPcspQp7flVPMUoNLsQPxhOrH8XgZ1iYmfsEJN3nVXAlIyOHPmNSkLxSqx/P5eiEYisFQk7aTXojDf0oaRfC45UzxX2gTuY7bgKWQfCppVkepGJyLRCtoSZfzHOu3cDsMca95ZOFqM13SpleVJDKZ4aSdJ1mkcu0wtGwy9ZgI4C+HqIoUGaootlr4XDAQ0cZYYnUS7kodIMg3pDyks+G+1kre3Y1VK2a7yzLwW2YMpmvjEATo+l9hgOZLbwFk259xRsOOpJDUBOJbErt+qXxEpnqenQbyTap9NjJ87iLWJj1iYfSNYUvQNH9pNNHcGZGcKzLcXO1IqeprIHg4ur9V0xdYBSWK7vkCJN3WF4ST5xTO/JC5PJN4bSFsU5InabbhlEcpEJuUHGEy8huhWflvyyhVj6acCbborMYmRVYSe0clwHiimV4qo3G+a0AqEkzPLcRuJmXmZlSHMferc4oIZO5MSoJDRakdWlKnubWIq1x/Ff3cfJ49xdZDy9PkuzWI0D/+suBkg/mCKv5ZUJgzaYxkiiJfLsAbq8hSSdYW7AQZ4YYMQFku45WkN2GHuBfLb5zXW2EM9PN4ZEOUzNMpScLd0revZrjFuT3KAG8EP9HL9NNjITpR99q9ZXkiZnifsKhat+MInoIJNuavKSvptdDazXPMnBqE8vWBmAA2TpKdCWIbrKAKBuNOxvWPI8PvzliURVx644uyTFcGpaMks/t/H0boy+6qaa7Y2992QTPk+TaEJB49SOpRn5g2U/R0BbwKxZWaQNMkleYVVQiEIU6rECupENl8B3lAUpPTW/+XxzdszqdC5vVhRE1mIkAlnF1tvE1PI7KP4YnvsxbAiXpZxX93he8jBKqU6Yhuul85YQnXbDna4WwroQiu8ZO9SWH7PTbYuEt0FKXQk4m4b/O5nD2PtXVE/u+ApnBXwZbwV0t0LIckp8DCKCzS37dV7HI6YWYzLW4iHxC5TkF0MQl2IY7FXTOK8+RNenho0i6HV1PF7kuP4UvzYCbpQFfO/3chhLwOPKCdngShKlMS6a4ozDrpUJbp7mEvq5YtR9cNcrj4Dsa32QqepZmTRC6sINAXVLIrBxg4cuOp6r2kH9PWzDAX5mPKYXJTbXRmSEBBItkAdqocDrAb2MYR/gfUXsSXzthI7v0Mm+xhp+4sQX2eJn1PLxbMcSWc5hozvCgLDt9t5+qnauuMWXhxUxdKW5YpUIWq8YOv4gjpZlDvK/bxTE99FusHvALUb866QJBbafOOkdAxhlCRUIYrEgomS1NXKpxpaDcuH41yJTE918C1NieMR7sFuZaq69bceGcdsidkEhK7PfXmX26RjRFmbqlnf74lbA5Ta1zmlMicX108ySOKx81NVEoVukrd2jlhN7a+AZVcSBNxTvlUFKYnEUSLKx/KT44ZraEQhzk2pp6sU3rLzE0itE3mtd9zc8hIpvRfBuxjzo3a+wRCnVzYvFwLQOer/NWGU0TdxhnEwVscrVnnnfJ9uCcmEdJsEUZG52rxfEdeSnxt9qPonL6RGIKJMKBHWAkQCMXg67znj41SNjnSe/0wJrdR06jGstUW2xtsxkkMPDRUuqwXr7QpnlYfxjO9XwZWi/+W9PGvqCLVV2uX7ql4Kwe5i8jzurbU384G3nnPvKn4m5I+jXAIi79BVOag11IzPeGGdW3f6HlI8C+7ous8JtZ9Jr+ft5vr/GVv3Sioi0eXB9ftqTJq6LvO8jFlTiFjAel6GLQqshwORaHxy1ztj/vsPL9buA4FLo/S0vOj28beuvdg6nUUk7Y0Xi2cIeJLSt/7wyS1RQMIinMxV3qqnVOmMeB9jD6F8B1MnUFIMjr5hzVcaA0akMVY631Ccx/B11B0qIR8tqxzCTKCrekdxGY+ixzCTrSF8IRsjWhpQKfdFWZ4ntH6CPaFNfiwAnpDIQRF5hRzNuYUj2cc4u0UqiMRuWuzVdb9yDFm0E1Y4uvdaPmfli8sSfeRtwebboJhbIxMz1nXrLFeo6uayl1J4lscDa6E/cAlkYnO9uBrzwItveHybvbtmKof/1j2w4ZS2UVzDuXA1UjzNy4+D5QU1Va8k3AXiL23FmNHKD8K+JXOVUgRuJde+dpeDEKeVoWXX7V/1RMSmKrLZmnvD7FOeanCb5H2ZPaVktzd29izQfva/3UA3Ub8PUwPJ2HE935giTLPLqtDQQbzxCb+zeGlEC8nKcOa7cG+L/OB9lMRKQM1QB+iUnbN6NhKe3RKXYymb80CRVRvaa9xdRg1Zn7oTOkszksyuySyGeSRDHoiH1Q/tMr8oIvF1hm6aaFRrq9dANn+ZKlOiziXlxPLnniP41RATMOIpcDZPL7IxpuWFPak554P9W8iyGhSwjDcfO1yHReNj/XBrDZAmEjETJcTekWn7HP5ntr1JAPHRoAj6p8C/xvyaN4x4eNmnuytNwM2o3iptlVn5xGrVqVKMcDr5LUGPGHYvIf02IrMRvXR9+MPBILqrcuhM1m8RBdla5RJEz5XdtEKkw5xqx0KGN30POAzw4+kfCUYLlShrUFhX9/6MUK7OGvEl1oSpALn3elW4D1gfdkXLu0aLWqzX4/lrx7egDx7VNqx7dvZwk+wEGK9RkFMHdzHzKq/LLXKtVMpV6qD4wWag0MYwSLKOvcXipJav027dL+O3b5Rkvgc0tuipsPzWD46t+S9R1NUj/qG4xPbv7D4x7jx8m+DGFc65vo0APXxiczNquvr7/lG25/EE/qJd2bz2VQVNiJqPRG18H5sBOG3iGekoVyFy3dMgKrvX2H5QrZk+cHvsHFkKrrLzccnXuQlQrSaOk9Tu+4cqXgX+Fn0WrlmLYkRl+QiJA2olpHaijE3hB2P3JFDUOUjKfCsJqGRmdbjuJkGQ+V85ZdE+vOexWU524N/5WagJ4Sob1iQYTd3HJOW2R/rw5g5Dj0TYYGVaZWVnGR2pXJwYjrKnCRNK1vYIMQg3w0IPozHU7k/e1cI3G+d5gDMObBBgDk+XJ5C2iU8EQ8LVNh/LiV3Xx08N8NLh+TCwOhZFSEMiOHxWu7j+T6nwcjaHiqem0jw33iV0kuozeIYbZ1ISxjl7Go3dhXtRf/LVuW4Tnx2+8D0myfBHyhn8TpU+yeIeLBeN5GbAOWn08zottfFy2aRYOlu/I/I2vHawQVkbkdStgVYgLW4acM7plPmEtJpoDjGDjJA6naewrBiKqcXGgtbKNlj2J0x8i6MNauk1GMz0UNVMnY9wZAlLYoyP2BcUhhR5vQfzRSfEcsrNqhH506eTz0/fOMkg1d9JYrxLS8H4q6UgQPKmA3TF9gmiOMyYp9Zvelj1aYqVJ6tUvsaaeAe+lySFBarDRaZT4MaAUcdMmRJtVKuDBV+RYqjEtPr7liklot2iTjSq7kajX4lEm3dBeacZwJSZ6sBi+v9TCSOUjvkHUu0oX+Hm5Syd3Hy8QhCmyH+v8dZPW+Ey4NzBxKCIBRTyWluH4pEyuhLwutc75Iq6qTC+7a5mJr17tr6SHFGoAwruR0rDKUslioyKM66Yg3S855IFlOHBroOA3UA10pnYU4rtLK5U0zPmkxl2I6PqhEXS9pokrLZnydIwKvm7aOEsBrVMtFPtT69ynIymBZHBr6myvYFJtgQKa7dOPW9CwBplHg58dxR1eJT60S5RFzJBW/kCDRFU+6iFJ5Kn48flzxGbWg2WHK3p8eLGL6hqBLNWbjIt3Vudb6DxTqivOAs+t3iQZrpDSa+2khjr2ZePbELuwU1MWXbXk6klDue3hpmCnrDflIItonJVpAyeNb7W+RqC0FfFmUpyb9CxN1LZ1v5uAHjudTS1MvQID7qR3I5HAOEFNI+0qDw+c3bVIHRpxus/yqLFXWzrhBrFeF15tv94Ok/eXw2QnHyvyD36gaKm++KPE99HgEqNg4ogJmU0PVPGsm3QLV+la1UhCPSMiDwIC7XoIW0nRVuLBXm/jfSfxF7L2Lbj4EiCA5Cy+tXZ5z51jViKlICIyBPjhXovMftclpluX8FAZoF+RxwfM3tQ9WZ0Mal+7/qFvL/Pn/wLv0/ho5nZgsimP0EI6iI3OMIogbcwI7bDIzq7+JQZP0hpx4k9+MdRymDCzkR+PplIr2B9ldkZXW957VrDcUw/+QsAHolRdYjI+g3TppPKI0eV//Z+/OyOn1HfSwmP8JV7mQVbuVZKw23HLc3r0uf7HwuQ7C+l0Yz9zp7UK6q/2qCshy5xkoSpD4YXlfeuVIb33aDDxLVz/6yoX6h7HdYFtVcIs9j/c79ZyaGb1XvRFVvE8TeENCFZPOxz+D7t3H/90Rk+7sjMD5JtXD+hreN9P385ftNZIv4AwTZGYPCUCuo4rI1c+KoYdwpwYcTwP0eBWjv57mRuc7RXmgC24QsYS6UMp938sIJGHnSWFuJzmZaKLD4RopTc6AeWkTTvA8k9r775nVnHAWoQGxuBU2ibLbdc+Soa7LaWyk9YyE79r3PRPjBlFJMPKHLOcqQHu9fYrZP2YImH985a9p5EwQe8kvgrwD5q7DHfc76uGecMoE39SDFiVZgFctJkujoEPY95IzxH6aafAcStRLoMsfVib2LkWNIIEroXEbJyrJRRaq8z/zTdV4Wmtu4glORc0UOTJdcsbFk0znGXaF6qknGMYVO1X0dd6LoRhKo23fK8T2nY5UI7SBkm4qCxkJOTHYeqdfTOoxibqhg2dZPZXJ3du4WP4svcLY4lZZLGbdGND0oKND7st7cWXmYuEgg9dhtFDVS1kUXons5UTJSS8D+qcTpyGszTtJ/SarZt6SwWluLpbgT4gKQBRDKXshq1t5qSsWeuS6vXYFF/afwl+3QPKC2kzqsQiTIKAqzSax+mzEdnSX1iJhHKJzkU5Qg50U8z4WnkasRZvU+NeAD7Qh32jmMXYo4whbWtCfXFJBi256xMJlMGZP/5+e5Co6CYWA9ekufupERDB6ylO7D7NDPyHdxqIZYgAE29EUNViKqD7N71Amfe1CvxPLLz/QYlElK3hoEilAZEOmyWapVsJy2CjdFd+r/8fb2/TpTa2dWv+FfrZOJJAYdPIhsGSQBCKQKAP1AMUGUQgEdh88+trzLnWFjhPvbdGjVu3Gr7jnnwzbQdIe6+POZ+JiY7/IYgxW6e340fPbu5wcVgd5+30g9zsRns7rpuklGQxMIYCD8zS9Z7xzUSbYvYW0OLSEy7HEGZ+NsU6RtdwdeUwGl65jdBhyd5tWHqDntKNN9HrzE+jWWOZyRpxrwiCW8PpZs/h9/iHNYIXmmJ2sRe8cmLSNRBzbhl3JR5hxtLcCe9YzxaVmp5+wJQDK0L1PE3cAXYdBPa3Rv3wrfWGbyps8Lf+Q6peST8dPwuqmbR4y6OvhdEUYpaiQy4zqMUEGsW1x4zE9dy5VFz2MV9o5lxYG8m93v/+66dM9kve9gWPi5/WX/JPB+OfX1qP7UtJ5pDmeJpFzdhBaApJFf/kEHNeN2y1+EThLT4apcP13ARncxjo0BczhQKIJ1mYGboOYjoa04HX/nmQLC4445u0d5rBKVdrdLwFJ93PLx7Bjk1kgHBa3I1oY7PufRom2eJNMqTKLd3lG+76tUw+zzLpQPFfTdQMeI+UltF0egSVr2hqv0GESdDNqG32OIVLAVhCd1KaITe9ieKwxthwkSsYKtmm+yIRtsCbIXOJlbXZRJDzR+edVBPTfVeSWZymIYvbGNudsTwWI06cEYfNp9Xiyjxpx3YhPuLHZDJZ30dwW3CD/JpFZmxS6K5d8z35AzMeRtwMa3PZ4vZNIV0ATuLGR20oj5rsGlfbyLDyIXq3//TejR7gWneZaOBjZ3DjFARRLxJIMF2NyCcXtJMXT8GzTwRGq3cRMjrQs7gwT/P1wjXFzm3RoProeempI5z7D8l+QppW84w1An/36Ro3tQgR/LWmZydW6rMm1sE+iovUyCDUvKsy9VMJzIZOhyrqsnHq8O1DZ03VgahFfReGnD/4MZ0xvKB5KZvixLv4KTRr09o/K622wnpCZeMv2Ylkn0O3fyWwPTZwdzAiV3X1RE2urLcN+C8UciGCkPgV8KPFj6/bkbsRALZBEwL1mqLnLp01pMPyd33L5IzdGd4e3cRvyYNDZ2anL6kfFjxGlgGOL+uSzmDgmiZuGhue4tzRUW3qh5IfUzpdsOE44L2UmZH2ey4YQhrUy4hZyVqtjIBX98TebiJiD3EDHmRl9PP7X8PPznc86f4s6WaxWfrN8/ADyjtZqDPA8eLqm4Hs5oncwMvgIgkPMQYnnm7iF3kTPx5zKCeEK05kB4+BEe4Nc5hKUh1xli8lQL6i2YkqQnbxWFlKqKhGNDna+GJldTr0rRZgzjLuYVwZ7EgX/26ooIGGBoiDmVPhHWmWOY/SRZG8YBkuiE+Ctuav4qzHebQikxMRRYH7AH4a9HZF+9mIy6o7jxzR5q3h82iNN/5cqjjkysZiRe+2lh/hdfPt9SYT/k/zF39IuGemSijoYxxb5oQV9eLDcKi/JNSVaI0Yl95vCWWXjSyPI0Gz1NxdwhXmbyCBaO5f1z3GVGdy6ZKYbS53zbYtme+cnsc9vcHiU4GFynjj/1Q02LnRN1zpgcLyQ7QvIruu9spjwt/o5W2vxi6NP2e89gPSX+ZXTsEyqTC3e8EEvK5kgSdYo4F5XWaROnM8UPSrTyOeUOYY7N/nJlVbMz5zEQ5dxWsDlDCkr41WeeW4cooZR+iUL0FtYneaKr3YUxwlzvDoZlB+2mcDO9RAljKxgSqaPC5aIf2IZ1S96UQ5Gb2vFc8rX3Wr/JQGkNklknqPjAtZ0+ZgUabYgfrTbNLoNpocFXp1zL60kPXM0jx9wAyrYS5a40bnWw4OTBqs1xrpFEuQERdpBpOLaaVwRGGVh9Aen+C4v/ogRa/QREOU/jgArN1INjH2gXC9JjDHHR+/yW0Dp1/QdfkXeAuKNcc8TaXCffb0Acq9ci4WLOEI8aokLcNUikOAHEUW5v7E6bJQO9JOqj8fGE9dsPUTouDT1+RspA9ZYc77HpH4/BQw1iwZNvuOxkpCqURvs+EGIT3jrlzoHcvStRHaz7fhaQEMCUZkKwGRAm2Oz95lhnJTB9xKCFtzzeTKHb8uDHhh1TbRtrzFhIPEa23pNAwN9Jsq9yotHZGNrh2+3B1oSm/3dbaHz2Etzo4Hpp34KzHqUvWf0eF1ILr+9fw0+qunN04FuLjUaanXTSbJ+W8jEfswjNi1rnSw9S9QsEf9lrt8OrZibK0HkXlHNC5r9D+FQeaODY+rmNHfgvCjFQO2i60bNy7jPBL5C1SxS0cBkSWkBAOpk03R/CUISA+jrdioGn2nkcY90qjhVK/GsiuPNfUy6ndRbzBC46XWWNWR50+mk8Ydh0ccGOrtA1dRZC09PQewvCHJ04gJMI/Ow8YIBYrrbxR4h4KtXEJMuc6a6h/KanCYQbqRoGrPrVZoy8eVOulsE+wK0APp9P139NQmtSUCu89+WKKHJzQT+tUdqre8FN+mhCX4gtMtgvAzJUBGrWPSYqZXno6jQLsGBUdLyIIff0nygA/VOld7a4L4ZNjiASsoD4/9ENJDVOupCXsYQ1SnDppPHS6pyBUPNfdijLlMb5gpfqiaAXUGsqJ4skpL8lvTYzRyHExjow20ebSOK52y6R5mq+INBG2m1tJogZsy0EBzJWZmxcTcj/ugDx8MgmVkdLoN5aUYXVcfrRDSi4AvWveoacIx/ys8q7vCsdcmiwOxksJqWNVpW9s+jIAmxiAVVSsoKOBMI6oPZ1J5bgZ0Wj4sA/9JKsSZ1W0tapMJCwmAQc2Tu4yeqZ+VV4H9B0yrvakDrzS0SXl8JRuCraOEI9rs3pnjWD2UoPy20l2vwQW488UzZzQK7193OKyZE/buwYsBn/aj9H8bi+qHlyzBsjrQfrkbpWJAGeVaT2uj7kJfXbOkxZBPC91Rv/intQiGDIu9yjfBRFZ/w2SPRRZ9tc6/bAvauRBTZKqiEiQrBrtT4yvqZ/CWlaK9zC07ab1chzJvgCsG0bgCTDQ0mGQDwfvLr+vp7bqgJXYRkNajC+CBUhP5kc2z6ma0RxbnZJL7koa6j40+dUeNcgp+nnSDP2GWWHD7BP5HaWyiKaISJ2nYb403bm8mqTWgw/LKqq4yLcc5dd+Q9kQxMCFW0oYnSI5I5sqxSiMiKYt+z6EVhuhhkbmvyyCW8dTQu0zEklEr4w/Zew9vDkhDKqVLg8oojqqTASTIlfw0BNdWHdUPD4QQGFjmrowBKIfZROj40a5ZMOfTs2JsAoJ8touBkT5HQR9R6/RdTgPEB6SyVBkF+o6NMe42tqTcLsPYK0XBWgZd/JD+b32RugeTdbYHQZvvxJQG7DPYal2xcYKvBnsWVy/3Q7i7LxqRBQUTDHRqAgaPDLdg82ybecDkK+y/b0bIx52pjSpspjnCqhhvtXxPYnfJAA94Bpf1TfjNaKdzTdfhzmRc7z6wsUdyuQwJh9P3p4c8PIDyVMBKh37JIaPPqBbdWWB79JhAsAAZBTFUazE5RUKDGSOY410Seo4oUq68rDqjxV+d0VzQMxodiUUFBs/X58/WsJ90sc+1WHZrHsmnnFX4mKRE+Wzc2+MMP8j6Y2lMOtMg7TR13Mihqqdnz+uLAkeXv3bNWIcAyaGX9hues45lD0fMjfTKjCoBMiZhmsIXsWyX68tw9TcjQVdIPx1t50LNhXXt7R40IR5BHVhHkhfH1fY9UpnbiXaR6aIA4j0WvyuwMw2QN0yGeLAUASxrlvBa5Gal6ce/2biVjgu72aaRlpQ1SdaoeVmvidNE5WDGMrQ+LZ0JEPsIfN72jio8vmD5rOr6jbYLqDlMTLaOnoBMV1nQG/60pyfUP9OVoeMdJOhi6Me9yfvffzcmxeZN54IiU5VQmdkHjaw64Hs9qJ4W3HTV5EDTt2yXxqrp/0Zny0IAHDbJXV2M3phrzJhgt+jv8TJL0tTCpEYgqnridKUWOj/Fmv7l74QHtaq7rgkx7cVW9dN85uKsGfkamj30owj5IvhAyVzXdVn8wQq2yHyNyvX8TZHhCI2r1mwgohYhaUBELkBtR3KBCmGCf04OmncuJcuKJJRnNJWXojXs77cagVw8CLBYF9tn8whU5fkxUQvckHuqp203o5OxnC97xiz/M+FYL+q/W6PWWFLo082qUQVDYaceEmnKTHTB3chilQZubzDe+iwj6moF01idzspBpcg/Mjkf6NvjWmALrPaKLQi5nDPpGYlHr98sOL34o4kHpR72/e8/0uQ6eoDbApSCd0VLwBCCJ9g1vzANa42yH6PW0+jtk/L4x6HFn1mOyb+FqoDqnRXYxgXE0im3fEHirBKbPGDCw/cGEsENEURSoazfRrS2+MB4801F8Ep4Tw1FoajJrd3j/HGyvzJJILlKUJrB+HJrZv4+djBDmYMuVLak+2m/56vgL/QTDUA/r3zGasqeed5ORZ4mL6nvaPcokUJ7mveVLIhP0dJAxzRAwDv7g3G9OxUYkQIfZ/ZzR9nPMQAk3RqAEDz0+yaSvAmDGNdFIyzW56P7ISPNLYezh//6TjLbwkVSMIKGZAzUUwvhErunRQ7ovNc94qIkuWFQ3eH/ySP5lpMMXq6XHa0wKXJf79MEfeXHCM82a4ciU/lcP7NF/zTywXgZ+NeW7Z7/FpVp4Bk2C52BdtVKLdfjO0zbKh6geX0xcBoBnOo8kUuJO6peGwLSXneacIOEjPUJMN5noVTl4YaSpKVjH5l1Mk1Cn0M+8sOwe6JtKCvdVv5hUaJlJQKLlfe6zHx5jRODVYQ+jaE1c9KHTI+4NUI5vqACDzf5rfQMCxIXGmfVvO44j4OETks5jOx/m8/4szB+CiTvyavQf9/RNUQnK+isC7rcVEONg3TuYAWIMVzam84sutDLrRQOG/dUBkDGPST0hQFCAs5UyOOx2ui2F7J20YcS76iwyx7rwIU52ZitLpmc+eSgDqb13QBDaTCZctCA9eg3LfPop9qGQoDckInc1QgHrzip838Hk/Ej7YD4Bky1DxSIAId6H9P+EfNOb8pFrt6XSgGZdPMrC+jjoRrw74NyphTly5+/jJyzYXffX4uoLd8oBuaYYc68izDOUVMvCCJwtxysmch5hHoZY5G9U0lYhZoNE5r1gWxGEzN6EnJLnT7hCe+J58oI6UwZ3KKbbFtJAehHFdMeMa8pgqqWouX5ZUVlW251M+gzpknso9KR1Qp2xSaw47YKBj/3iur8D/78nqaFV+fSgDJXYib6fszt70z2k2nmOBO1M7u0ucTTkKMsELtxAii7v2GuV7/p8D1s6dI2uWnO6J+CzsM0cX3ZRIsSOPrQKpmpC0THnkXBTdMAnUzcrlR838ZVfEqRGIPDqp9EwxgmZVR/6gXz+295XE3y8NqEO6+2ob1qvhxv9vNXM6JmJraTWrO7Qx4UheizzMN7Dh0/YT75ht64qjVqajy1dm9nbgnd3wv9StQzHMSao+j5z7yIXj87f+kvDntlPZBZ5yafTd0IUoY2Wca7eVYeEVtJXfQK41p2l6ONZo7JGkgGm6NpB4PY8hOTGtlaj+tSCBZqzVy3QhvCuq1cRYU8QJrUg+KCalCN1qQQRGVCqWFNk2yqr+HLYtjIpWVaD0E3xd5yH5ZvKEf2S2d4/znBWdCdYLgv68k9A1WN18aZwjse7gGIrClH9/+QJ+0aggbF1s1mTV5ezOMMzImzxYfN/cso+/rxOEpWCR72CjdtSr/gQwvVS49nsO46j2B7pM3utag3DPmAraXElIwTW0o2XTmYuXmMaViNUuwl9dKBulUvrxOEpoxrxq3y0r+uBF7Z26kkSNxpzfM6gbA6kVZyw2nIOIPf4odgagTpxuDV8sg/LrFjEmxJkywSFemBiPVitHNU5S+d2Na7v/dbS8pD0Sph/JKRJsDIusHISTqKZXz2z3S1D+VLZO9fS5ThIH0IwbjnHph/ULy04nQdKlODq82zMg8Y4WIRK1bc6awx9T5zlDQjfGl4HootPjlkHxqPFTOnjENkkRWYXUgMeyYhrhhtGjMSR6wiv1ANg224AZfXmc3F9c5e7V++q96p+1FypTWk5p/q41YKTeo8i8x2maisaQHWqVMRL4SZhbsMmvylaDo5qwQW+/VMY/twBt1IAh47Gg8EJivDYkQ+YZxBnru7L33kWpXgXuoMTlHftuY/5MKMdSwxjCeGbSRGBVTPBoSHEFW8gKqdg8/qt3Ay2szYIGfHNJB+7FU9oVxkqcFLhyICmzkhU8ceWpjQfhOVIpMKbowWA9x/dz/wyPWvKg2lhJgj3TFEgbPlRabriQVCnvjiI55pksQzaswhIG99G48sQXw1Yq1tD8lOli4A7NOqDRU3TbuAlny/K9Q1bxD22p59fqrIN8Xw/9aY3haS/oWs+Mc4aT92ICrz4sRNpkkR8r0eTTuSrSyLYZG63LhiT9NoSh9okXP2/Kkr10K+T4RMLRHakLdpBDFoZPEnqOkfCap6Lo+9uI+js91yn5ywlWZDDccyYaQoBV6nw4/XT8FHfIkaelCdNHOCxdees9pJFm+kNnZVWDHo3crAtkAc+82H++Xza8TggkICohnocROMRlBKJjOLxvlPkNy+86Mrg/VmVfuGWEGLxe5Oj5dCyryQ/OGe1JGzhoBz7c9gvltm6v4e9b//ovIYq0x+aiFNSDqFMvkVS6Q/4wqXCkjLVIAw8FBIcKGuFUZB94O1zYNPxURvsymAg7vY3WmkQoaXWBKNs7gfdeMM7V2TSpwtCSDSkUikCWV/Mq7Vp57TUMJ4QY7qppqEUO4nmK6qG0tT3qB8bBvWoefvi3y9ZqVGvbcAoyijFmhJIwA3Ltx+1oRKxCeit35OvkLZBjh8tY8PunKfozju7RjW7csupzC2t5Eye3gQgacIA6cIneE2btZt4qTgFbV259vQiJLi00P0iXHOC8V6YzgHWeseBU165lq6q1dkGPVTLX3iSig9WErujSiQ4CSW6fhWm/HN0JN1zETGOI9+V//QzF2nQRfS6wu5MYwyKPPIplOlbXDMjn0u7/y4y/pNoEECc7oPkpzuJ+jfa5PVdCyyiEuSnzPPg/MyJMj5Vty9XaA6daVPFg7MZS9ob7+n7tDBQwaK0cGmXneqKWdMM6luys5iJKyq4AN/z9V6maHgdOV9fHoKSlpPeRHhGdIz+gI+hMjxAHmfJhQL6lx8ZoQM1iPyxyt60+TixwZMp0dx/LSQTtp8pMyzLdRNU0fHUgYbqW7cBr7uXTJXJJCI7eRXg2HjHBzR1wQxRmksnjPlVW3LPKwmRqVHgwCLbZhCHNtsju6yAskeyNxNGhjShLezV4BOyXlEPKGcAcXjRiR34hOP2nFtE5EEMB9RWDq5LGQ9zr/XD7rI1T+54ontNzzdU1PHzI01wuCzGzyMkcAqqgPwAfeLFc48j2AS0qAGxiBhJkkFffQ8syOfmUinqN9B6VDMBcFarnnXAzxkwjaPJnl4J5GMod083mXtW5DlYNh+a73RSZDuW1Nv/jc2mZJiM96EvcRKUd7gz8zj90PQs+bf7zx5YyDpLEWlEKqJGvPGtiTrkKEkmgt6HnkW79YLXN2rtkyrKD7BkltOlSDtLILqg4lt41wuwrkudgTfyFEqosfyokpwXMpQ7yEkpNMJIqZqsd/L2qowmDjEfcebKRwbnP7m6wq375pC6rkRySwzmDOLnYmoMJVw0wowe5k2trcg3avMKb2p96fYt/AvFyrIqObNIdP+LzUEpdsbBnsEsQarDx7h5R7o8LQ8heFso/ornBQsdzvj2tPwaNXzjHNI/4Udwr4KRX4TVja+KjrsLdNvHf1l2QCCkQQ8MQIXY0guB5Q0Rf4kDX9OVRmllgFI6DHqkE3y+lQYA18jlMe2jzuXGPNU1ToIYJX9TOZfjUIXY38m6GlfR86+AiMGZ3FhxSBn1VxM3HibERFsa2zysP/9NDyL3KJSnS2MMwfi8wpYktJt/KGIivDE8YxM+kIzCSrWZdZ0EuGpuMPsL5J4sjTGy1Wd6hAwrz5kDgk7rTjqVdCeW3Y682MGWFDLITN8Cvgiu4CfJLf8JPV8+WgbDWVlfiSfKELREC/qCvNSPDXqAj1/K/YyQMcIlH8ZpWoaHLjNMR86XrKyYFEITXMMN16DkphkMNVIOnqT0HgU8dLgAcUCRVBJ0Z1mH7V02CEwutwO/YkAMLlO3GM3I7O3fG3J1fdHvKS+DBMzpMLwJbG+MwT7U6RrdWnrJROvTcqgrv/IjRV8G4y3y3OjvH0Q9LrLpxxCAo0VhgfNsJUQNry8qzYry8hucYBrdGP1SL9nIxzbEt1nR/6sMtzvIDwt7p6YighDTHsGs2ZYJ4FAYVXQnPiuuQLQf+A7JL+DrenGuN4oGfgpkoEVxMHSPklI+XVBmRnDB3rGoyUk7+uyXXFBK5rkIDXsfqi5oLJB5Asm/ylIBnjBn0cHpOp8IABINIVZpBmZfnx9y4xgFRx+w5IJg0jouDVwcxz6RIJYG8NpjTHULPFnUxUzVfeku+DAYXpmkjObQCvVx0W0SBTSGl8kmjaBet38oHq1qeS7A3s8+NzgJ9CrD7X0g1ymNOnFOStf/f5YjFHYBoYQFE/4QM2qjc0DzHlFwMI+venjgwUdeAVOF4QI49Xvr3bjJlvR1zVPZ/lLhCWrgXLkZvyd12ZHovRP8nwxuIjtXtqSqyxc6xGCGZBs2xCbYopPqprvU8fUiyat8XUoX2dhNn2iyI2+2HtCjN1kYI6CfyWSDr1dRajd0nSeuZ0mU0guxxXRThMiWJsGvZbR1oTX18QgWNQNPgxixyRtrxvYz9D8VG8mK15atWqrmxc81KkDu6QYcaebyd/alLi3Vti4cTewjtNCInml40pghQ+qWdwU/ASgqVHuUhqs7dbIL0RFAS74G1I6gq6t7314XkqF3DNZM/6mQEZOrUbpVZudZNVaea4Bm1eHQjNhAVie4i38lzk8CCvTMzDFvCFRzevqS0LGB9WEC1i57xoOt3zW0yR+5oFL7WJ9AEm4YhS6Bmjw3bPnonW8DCZVHLeehnuBwBYy/8NRY9MDpCfRJq40DvQi1It+3tubwBooTm5ahcrI+a4RCmhm2zUpIbmVSmH84nD7tV0xp2FiKMnPApWYJbY/q5g6FHkzgVtqf8hMM2j6zScKzcfSlHQ5tXoHpODCd/Y1YuQcUF2tfCY8asRCVj+Xjn2Q8feApfS5bMAuTUGkeuJXb53MRE/MCPGjuqBjtzW2IxUta2g3XsLBbNOdGisLFPZVa5ZcZrogtSUvTiQSnCebo8wWyeP5W3TAHbSmP2ecPZCLx5vw/lHOv7/sWDcSJgEv8bJ+NJgBemESigR+8bhtAIqPaR2hxjD6oa1vFvT9Bo7j3nDWSz9HoQXTfLBknWcHewGD+auvSQvGJaybsNIWA+8WbVkccF4NGWCcTpo40zNPZJDS53Q8D5nYLaQema2vRTQK5xH1PpNkJ7eouzta7m6BbxNCWbCKdlNHqhVwM80jyL5p8vd9MmjIgmZOcXcu4oM0az6IBmU/ohM6qHzcbWFW+egu4qD7SXW9RPsgOokbbH+rbzkEw9jeJ0Tvtjl8E+oT+3pBQMm33/9+0mpLKMlqyqC/u0MdZKl9wvpeO8C/Sj7joCd1NqrjcqIH1gIXFm01A3GnyGhHTTHytIhi0AQl1WgOLptZ3VXtLLhIMg9v7MQhRl4aUst5IvYtb8mvl8XwoBNom0dEZr9L4ZNMtNprLF4CgfLv4bSjfvcNz/xVgxVTuZPmbcUyULIhQa6pwDxmooC5ifOkLTEMt9Xj1l+jKeQrjfOK4m77TREG+BNYXIoeqj/5jwQ/4dPJ1bRVDqRS+iM48nN+14H5+l5mNvA7+4avsHIoTk9vepbrbEdGeDA6e38LMN7wMZmvTd9JIrBw+Bmhvgh5DOLhWqjW5udEYHgX9G9SM7xOwxVu/Y5I2HXSUaD1KcgXatCQ1OjLJ0htbZsSe7HEwhvLnytGZJVEahQ7mrvA1xb2eChlW275s8RONWe0obkSVy3kXX45Ej8e+WYXL/n0oCFTIN5+Fs+dFCB+tFtmupZJDTIQCQXzrDqszMK0qLHeD5UgIP39rhxU0yKPxBQwHETyjj7N+6H7tRcbsKx9AgQZWBT/Yju9O/GnmSR+r9XPit3SzAZJW2z3bnzPm8u1M040twXb97Mc4TJaXrYLceQQUbElOcbkkBXPM8tP+L40bIUcA/2RmIDvGoky05DEEfYsmowh03YBjo91w+3jGJgotMuz/dRbv8Ze1Jt5lyRLez5V2uoyMR+25legll1k2jxzMU0Wu6fLMwgMS8+/FkRh8zTtXpdwCo039lqyFvqTr6HsGegHFXmOZkpvZGeKaOGM6bVphRCVz9IsimI677wH/bJEAF8UwjUwMzp3VnJGXlatJFifW8kgfUiRlHMeRbgvmqo3eAqaGDTkLbQbHKz2yptundTd9sqqjmxOzfHzNugJPD8PFKOSN+oeHJ8cY6M/5x1sVwZVYgnFbhBJCg9mNjyYS9iH+ddQh6twSh2hV6h20MRlN5Uf3fV7DbLDx5NumrNs5Fe7hRntS73l96bG5YPxkvItjJ8vdggFPRpIw2GZI1UiekxswdyN7BJbtNHguhfUTvmG20w2Ekoh8k72YIhyeRdeq+4/xMR73Xy2SacYM9adr36px24oFFZUV4ugelq2e1+6Nijw/0SvZIBhIVgG/lRSDr1LohNk2+XMEUOWpYGZ/tM/j2Qt0k73UHJJABPXW0mdbuN8fTbwHdG2QGHWoC6TTUfVlNIV6iOXNbP8h4iuV5N1iSpGnkqPpdpvPtMTlLiY+79tTc2IbzPQTNZFYIYDwcWeMxFASZOyhpamsYVIOhhIDBTKSJ9AG40J87uvE9olF0Z1YdJNiiy8aj/odxZZ98ZRHMADknzksbfFv6w//jKr7KUeRyaWctOy5p+TY9S/WOPfk32TPYzz6eU6/ySVvxDVqinuNYIKpwSvSfuJwwmsGQ+3RaBzwWWghr8JME+dTjDrdAJaOz+LzK2Uz7j8ecJL94ehsv9DF1UkB3m+N0uqF0yabnC7fYdi/70MepAZ7xWFdps71Q5cqjWlibhiFkH31Jzak5oYJBvgFDV6RHXAYoA30Cg3K62Aqcp3Ps6b1ONrFzvoCAeCcHKlh0wr4wszOhH7M25MWkZgmTvhh0YVvktd1mQWQlozZx6TH64LU1HAdrl0bBckMEtIYKhJ2g9AW9xn83znquTUZMR59geO+y8Zf9ddIHcYMXEuMqVELyFW0CkWMOWbh2Q53ShNvTSMrXUiexms0XPYPZVRhC9nAIrSFaQ7JNbd9A5x5Q5xurJReQ0uew7N+JtmjquYDcHVYMhv4CPqL+9nD8wjd/EUwpVRq2jvVQAlQsQUA8WOquISb15dNrYxiCdFWuGOj+1WjuwJFE4jOWk+oPds5Vdh+xrdn+av8W+R9k4C1/aYFtUvs8JkUPOzVj9JFm9SDJ2+Daedb+GvhMzYebbXo4WcdP9G1Xazs8NTP64ZHmcVqSjxHyKwdHnb7EPSWKy6oKChNqTdDolx+gygIzrIZ4f196nsn1mxLZ2LJkX7EQzpBsa8k4HQqD85thJr/ZqeJdruAz2XjDVG8KjbxOr7YtsbBuud2n7WypyMVEnqHRCEvOdKCXx3ZlSNnbUevs/TSSv1qoTw8Iai/1igI3xCRL8vb/vfxhYOVT6ql1Y/W5uXRqhf6nXEsw8h+mDPAeAdJwbn0D2awO85rSfX+U4yLQlZeZ80sp1EA+Dae0ORs8y6TxiQ8tPv53dyW2s49UYY2mMWpsV9f3UIr2d4Bf+CLHCo192lws7vyjnS+WmtXk4GhKU3mIkg80V4VUeHto/42fO3yGpN8t5Z+RPSdyfM8hpyrifUq8/lz/12OTusxzwkd0FD2Fw5aBKtKqII6Cl8eyWaA8EbEi4NUjwuytyOUmpoX/k+pIkEwA967p0GhO6jeSrRwwrG8CEzGz0XZX7gijQbbDrt4O+efyzd5fEJAok77bihmKxwBMqOGi0eNhAO411uDavuDaITUJb0hAAbw4Wa5ERTTxn4A2yG6QuxSAgXU4Z2vuB/rc3uZtBK7FhMAtMEtYcfy/bisoSeyXvMxAjWn0aWLW1APzVBoCYFY6h3ZFujfyAiXdFArOQw/F+NOLmXbLBSyXcnoToTya7Z24KPgBV8YjqV4661yHa/jWLBWtDNVH0iEHOnldnD62PSy/CuykZ/9PThzp20lWz8n6mpkiWY0kwJmtzOoGJmmSlMIPG9CG1YEB1+22z45NuaAB2VoAOGl6hKEAW7VMtRu5m2ABNBGtYYcs26I7S3IqjWjVAMdefc5KVPSY8NX+jXH98bgmJd5u9EuRzY94cozGGywHZg6RQ1OtD5NGWA+TsmfX9rsMzlQXrIhE0A38L7Qp0bdr1L7vFBM9OXje2y4kTv1cx+H0qT/yn6W10d8zrmgSkr6jH2EkboOsMLJQ/TGYfIx+sHaPkOzBG4VKP+EwR9x7NECB0XJlwachTO5MD5M0sxbCiPJDOR4GYMRqQdwa0t8IhUFAHLzO9watmOv1pTi1VtapOMLYOZXj6TbxpJly+j/FOO2fV6mWGazhGIbauPx++YJ9dMhP2DWcc00a+kUcsAiQKqmxmXtBeBeU1Rdc5fJ4cfqrtDwV82D4D3sORC30SWTnO0D/aR0tPibXmPtb4QJNNKLX82BR7ajs1o/p44xK5kVkUJphBiWhz7iQ5gJMJWXpDO8ljhwwkzpIEh+JC3nmyxjDwTxUfek8hCWMT4NUwzd8uw4SYDgZtm43jSSVvFeEPob5aC4WDEjbTSuR2mvDZHgQDvm3YCZDNxLSQwVPuDWKAB5W+G6IWaG9Wa5DGetQ8oahtF8TQpQ8YhYgqvR2sYsBtrBu74sFXantoYURWGQCbJSJeq5RZBtzVK99uWu/yVSGQspHCi1A4rbAAaxeOov/kY/7gLiQl9b0AABrTeyO1Oc0QUB9VNc08JyJSzOLcuvQxLE1R5BTaLnJhIm0ZrVNUCrlYJir3r+an6xPhXHjhrPhaR/zxP6xbwfcsmLHeLch5A/I3AY+Wp3qb7JnVkBqTnsP/+EWoPFXKr9TYwe0qa+vE34LjdJJ4MWC9ZyJCTkPSs3MlmmD0HojA5ufwvHCnoK2sTynGR+Fb2DnXcpukPQhaTyGZpKJ7BwdqnEj/NSDafAnhA/aQ24ZACbdwwP8GOpg6Ba7IHOLWR94rkWnQiu0pHy8DNVhsZzeVcXa8DzqoJKFiwkPl/G1rxv/ur0TzTVBi6ssX/wxVAwRPXknWBTzlxNHlm9ce+2IvtZWa7JIxzW6lUK8Wz0M8mCCb+tnDSFCqZfdJfPLY3aDw/FzZFXTdhllWhPvpe95gCSuE0CQdYYqT2UoYNoeQ4QPkvFDG1j8gcPK5UbyMDFt2feSaRHOFW9Frq6h7wIw6PUWJOmJTWNVeJiRLjFxy3ZTYIMD+M+GCS4EFK2MT4Ut+81akOOunkUfzuyBR1w/4zc+C9mKluwR1By7/3jM78gaD9VQclxv3mlBoNok1LIDksctYSBp0Q0Vx9FglWfmeJhvyXJIcRfRTha9Sjt7YRb6KhqPgpvuuRDGU2F3xGa+cd1gY4e+Rbgz8jH6zrR62ZkhvsWHDQQ6/bYfDYrFEnqHSrQNlhsr93uijdiYJfbWn815qz3WuwKk3uSS/FiGy1jW6IREK7IEd/mZlkIW4a2EOaWPd4/daslDTyuHE3LgDjUIXJjrF6iVUNaEmCiq0JrP7nk3lH63NrKpedMAus+ckcoGgHxYElZPeESvYr+KpfjG/cQpSvj+OgdytysVweS1x11nwAleAPEcYRBzr+eHKf6ie685bt8Ei/A8/GBzCFe5/IBgYD6oevU03j+FGJUfsgG7DCiNfhMYCXg7/nVE7h1FF8W2kpj+agcto0VJC6L7OMJUMJ+NfHSPZyuoc1UJ9PTYtivbC4TnvPcRr7TNYpM4ztpt5af/F33XGPlyB3kyKpTfd1NjHtgh3lMzv00EueFo6Jrtuke5QjMqRXi46MkQrBokXVQ3Row3k2qKd/6R1ePvcjhGcth5INGp8oLR8nUNsZQxREaGB+5+UNn4nYGAFj412etFN8MNcWg9X5c1dxDxLQRG5q/+dUpXlYqVwpNF8BOAjxPcv7uaOFICZ6H6Kgv6Yf8iOkH6pwjJjlK0s037c5mHmt5n//MZYQ2zg0XVlqiR6vph1HDnRsXUlYBeVMq0WkWSZwspWy/UaernGe0vWSeumY+9XlIFU9kK1KnSnqQSZRoxUeSUAce9evVd09LNuapYtFKCnsZ5NkAUzySAwH9FQ4cvvjmE0jxp/ypHv92fkazfaiX1k6sCNK1tU972OUi+LvAOv6wpwXicwbIyR+4NaZE1UGFFLVirNnQZvxXHv1NMRLj4Oe0Q0dG9YC5MUGE5Amfu81qcT8gUOXKCK+VJQdMh4eQL3QqwJtrgrsnxVBGMTnhZ4c4o6Z1l1Z48QAo8P6y7HCwPoaiS/hIstBDEZLwothJB08m0jA8IhYi+PDU0+Sophcz98uX0bgj7zUHZK41H//rwiOlWO4LxusYwDCyowihxsVrmHUvN4ffozy/QhR7198PldOCt+yKGDH2/TIqRm1W14aiRUWFg7PCFqZIRhVAElwFFKaYfMiD/e68Re1M/8HghG1IKDGctY43OBuadKbF6YCWZgE0dzSNkCj+gAkk78YAhllHde4KwY92cqCcmvyafdl1m0qDuojVkHXJPWC/i3weeih17qZTMMJps0IGUoTS2Dj+oZ+QmR9YprYe0OFxIaYv/9M7sfx5iKp3IQ71hwN4dFCKYec7Kz5r4t9EyOdO8WHbD4Qn3K3HKasARGew8t9tn8xTCokd0msdpvs9R8qllgGlzZtxSOh5u/40k0z91zmsQ9/LCum1+tmhIQrYSGOrxvZ1jMFObO6AdcGpXE55U68V40i9qJYQzy/7NSSHftqZk83fJpeQPhCjRTC5jLRENsy02A6jJ5Xtcyh1ysTqQziyNKkkiYPKt1FgEEDuTyYtG7J/goHAiAlv5zzvx6Kjv+aOOeOVgrEbzprMzAp98V2ZYoVohwerBF2/Jp6/nNr7H+pYj3n/wemCg0ikjvu+V9EHmkq2j8PdblnBzHW8F74KU7L4HArHV8ChLAxgY1cSrb+UDCaSZr6M1EZ+HvCt4eyO2XS1AFyWMmbz8ujigqwqMUgib9n98bXZ1aDvFjKj7QJ7+aKwhAbqZ/QEY0YveZOLHv6fzBbTpyqAhP2qnnTGDv4lvhrvEvTX4SGYpCrfALs5HBn0qmQ3YEtyFbzLtObDKQyAu8Y374zJirJ0VQuDuABlqyi/MZKcv+GRtN5PfphXsCtptDwZMUA05CK5AKd/E2H6b4Mxngc7mBV9KaLwBd6CjoJqBRVSwCxNWLTDdIUDtPzN95xqiWVIOwGbRJWK2T8kl7uMVNMisYFNAfv8kijLwo1Z7BmqPiIhXYhr+gYqZA4n+kX48AuURRY4viHVTs1k0lk515gg8C4AaNTdG9BF2osB4PgdMUITi/2U6lisBgbsiP4oM9SIurjHcvx1qqNIfU2cpdGP1eAqjUGC8LcS/Nsp4+RX/kTWsGDriKJQHeXZLlwp87ym6ROZ2A7J2qRccx2LyjvqOZxFfkTq/sS+9LRmyGvKWKIZ7i14s3ldUK5HQRtcgCWkvbU2WUT/EJAgsSoJlY0naa9ZGbLIcMpwT3uTQY0sgbGRsuMAY/0FqFFNDYrHJ+WjrmU67qlVRraI9G+jQZyzWkGAMR77nWMEdpWXh1jtRso0XqpBDyxq3q6rBOeDPX74pmVdB3it2/aZ/TP1hjX0YfGTIagOAUXQQGPf0AhKiVcVQJkq6/EQxqMOPAtrmLgK+AtGGcqOvWNMxOGRtaVmvMh+ACPFR++28/mK6VR+Pzrx4gnasxikN1GuiPQZthPDjJN1Mx0wb/i3G8c0nm71+ZHwEaTG7i2RhP1My03WFcRoIt7JMD8065a37791RUvqwkUwv0dBjqul8hzen4ZbKRCRE8zrIf99IdUQrN9Qy/cyo324qS/zAxwhd2x4ifvnasc+wphG7dVdAP4lYwCckuUMrOsuqnuOtTQ0QGORMNs8rTMSnmFpB0z7Wy536agPms067i23VWbDhCdc7w3JoJwLze9QDQFzyj/USb5Gyqp96dx4hGc8ot/tcy2SKvA1D3k73cJPSiI6Blb7zSRlC4BcmCNypQnHenxMpmA05v6XiVoI6a9aIhJ7XjN6k+cJ/FVXaVCe2i2c7l/WeVSPBXrJvhyvA1tgQXVQJWTwXyBSvzUGgX/EpwBurJ0sD4Ld6s/mgJBG52aQwUySALmC5ioh4MCDfUC09jZz5NG+UZyA2e2QYUjtCwx7jZMhS8uiiIw+GXSLdJfweea/vVJxzX/QrXCZ0wh6pIcNsPY+uiAyTVSE7Gvy246rZ8bGC7qCksz6SEQMt7qJpKNpmxTpGCuJWuSS8lOAREYgW3CJiQIWhQUBmGWkA+tglqEBsg7NMBIzf9NDOciN3VnppXuMDjsuASWhRz6R7CDNeRv5Ee+ABtq46mmz3tFpL841kOAT2dIoBRK5HGgX57rLqHmigepcm4ze914sxk0IMNMTOu71yJbS1LHalBtzf/lbD5JmvARobTXGtrdl/x8SCazd8VAw7JKyZDp6t+2/7/em/1v/DIKYrMT9HsWp1I6wBOpgUblQTajxbtygTVkAalp/AfAjPQ3319/iPj+ylO7zCNtDrydEGchTJ/f53UXxvCI2iowdgRf05kYFyOd+ycTs5kyNdHguOV2B7XYE/PPuFXavmXbj7+y50piBs2pG5SngkfXMzGKBrSBUbFEzD+Grb9ra/ZdI6hNAPLSJILAtFZkF2j8qhsVLHK04vXpv/9NNuISuzZD1ucSKw/lx+lnmtApyxwfZnepbSYYYXmJnH+tcZK+xCYCtFBDwwephWXmnrguXjk6U4S8oBH7wxE7x8iszEOJvYYgWwQKeMxwHuKvhRRxxCYI0oFTXRQFSLzephoj44V5q1lKhZpYBrfl5v/puRy1nsaZhwEPKGUAQricgS7+AJT5+6/QUPbgj4UXqaENiJM6MvsBdPOpTmkGves8r+SNn5hMumFwWJdZIV3Wck9bh34uZq8+d7r75R/5QQE3wLO7wxr0w9oE9oiHhfeNfMk/gOWVzaOpkGQ9bJrM0qCr5W9uiaxbSk8EC9ldhJl1E7XlMheK39CGbYSSey3N9LR5SpsIiQpD2G3L3f1VPY3++mgW828G8Q2lqr6VOE9KBVYE6xPIB0YTAGvXjoogaGlEeY+pCxzc+B+4KAsFdT1JH8FdVGIg8+lVMQj+nkdFWnd3c8mxqG7I726NA0rdDg0oEdYhBenGPczVJOR6hXuSjAF+XQgLYRp6JUOV87dCJwRNQAcs9z/P319FHsmsk09BOjhQw10qUA+gtwO5Zfcmgo2YFzJUO/k0jcX5S99sEhetf2bW3Vdi6quzmt02tKuwnwAAQNdJlxOFjiujpJbBoj1o/TM9f8jGaxB9te5I/ZQuMNnK/riTRW5m5ngWinvGhG/5okZe0Zv57Mbpl6iR5iYaefjl5fEE3MvnYOC+hc17ULtYqjJrUvnis1kjQdlxg2R9XyCKXdbmtF+abTaK8u4Ript1IZhKukTWq+bFVdO8JNRgkqJxb/a8tgXNQ1Tiu2hTkC+51ZHKT3QvBPGLXRKiQZyCQ/WKOI0EZocww/V8WwpCvXT0HIJcXrbFnhrThxGkrAyMQi/JpmcnyYUeZuTYolaEMok7Xa493m9myYNiit+m4Rsuf/4G8vT8h9a3yTj5tW2tRAzaPd5hM4P4RP9KTqbG5YS6zKEUgkKjrBRjprBOSiENrNo9iC1rYfuC6hRohEXuiL2zlQdrC8NGw/vMWsP+/Ill0SIzgyTGuXdMOFi8LWXQg1SSgyHeXuy3QWochAc/S/lkuFKiXBbfG3POF2H5t9/iIjoWgka9yvYVlqGJ+KPPTZLFZekxmvgE2zlyX+QISfDT2ejnOo9oO0XYjga9HSKErkAecWxIjkFqhOd+NFGrd/cmrp9++BdpDyunWDeYhdnmncbyjZyaWXFCEjH/sqHl/d2qvqgYDfU49O857400fHzrCJN2KflBN8kC9boTxhpUxKAgiLW7b3aGy6CSpoebTfPeYvSlE1boQayGV3Rqrut5XtH9xKDysh1pBtqAGdpfZl7MBFX53H6e1+Op9V3y+yTVvcD5wUr7kZpvuiNZxq6cGLl56Zk3OwVEHDSpemYmsbHqM8clIQ+xvZJEz+CC8aelRlatLvK2VgywB83BARx65ZA30MzrCtDwFeYK4RKa7paZcXxUU3lexm3Fmw3JOh/qCh41Y6fzcut0XqgJ/Zzn4acQ9LN3GkH+83qPhNKe6u1OnbrkiyyWIgGWz+aeB8HZRCB2uL4+P1VXNf+vq1bsiap8p2+KTc8xW3kRBQfPrSmEudTfkJsZ9f9DrVk3+GnNV8pvhjhUA9pM/kl1MwPCYRnYeyO9nKzkTrPeEhX5o1cUeQvs0fLc75IiX1tyLPAq31Wa4eb/XjhsfNV1iNgcsdWZ9bpVRYl3NmiN+Mu424X5M+Q8JTHZoo3qJTzdSyxJwiNa/o4FHHrh6yQNPYrCJU+Gc0cbEUknRqFkKdbPv1ujqfXVevVEfAVvfvWQ1BbtHoT4tphwmKtuxEKLfH1qjaYbwYeO+pv/vBrvpibP4FxJv5ZtFYnljg9QkYFRFqeF0ZkTQZMYrJVWqf2J+qCJMfOVDD9u9/bQF2kHyJXGrfWa4Vy05A8tHLdSDxgMrpdbK5wmI4Bbx7NNN59pObZTwizIFD1LzwTpd0jFMgkmKGo0C922V3WzoLmsC64GhWe0k9kt1WyRJjEOrD0/G8jqSpoPkJ+OV7rZlbGUuaxLDnxejrtKf0aCX/A2u4o3xN2017dwS7pNpdEk4Qe1BOZB0HyfSyIe1EwkvSJ3wRR6W/VLYJQYFudQaSDZJinkBjLOPcgzm7Csgc/E2IcERE/LkmTPvdbDu/6loV+F+K0kj9n/xIRT3JRO5bRG8IzOs50NMUMJ2zXCWQ4mvOiPGeKOKIPhp1J6Xj/P/4EOogUfz7EbvPC9Zjgd3s8YH6z5m44GPfUAUxpWSh/J/HTZIepR8jpdbVVWi9lfZMBmapIkLtjEqyV++Br7qWiOZ153YPDDVz6myyYuki7XyGZduWxDqbA+EjPCH8cH7TryZUOEG8YI3yF9zgShn1pkGS7auntnadNWDg9P8xhWccaMVMp+/qFfUPGIOJJFCzRiLNOaAlOTKnzseFNzZ2oDL0skI7tArmKOiAKJaMesvnuAOYxPmv6XjadlYyQN9rxWHgTaaRkRf3aeXu5odjKmVZj9sniHlvpPAMfTKPhyn6ZPNEhNvQllJIWmkrrikJnZ6az1UqUh4wRAuTTHGbZw1HOgTJ7f0X/ILQjVrd4OzQiCJkGUoaklx9P/ubHO//2oJ4cbLNMA+Jkd9sz5s5aOEasEVB4PoxBpdUUUHN+oaZ23wwevzSAVjy6nA4HGFVNG4rjK04d5zUAHINFYGls9kI46sbPtQjYnXZGRdDovqfSmBP8YBY5XIRPgICNBmZ0rnCQz5CPUeXgG8Rd6Ks6KQYCQ+Pz3fa0BJAUo3HuWsKizCUt7YP5DYGDvGhJqEaQHnZ0z2WGn3KZ1m+O+8cdwl4uQOjK7/7RT0qJ1f00k8pLN2Ma3JUsah+2905/oiJcTC2a3FOvVRtdnq6DbbnKxhvVj5DIGTTUk/J4kTZJ3FQ5KPIiVsb0JEBwuNz39kCeoXj+NxxKrOPInTfD9JPHTlylXXx6IGyxoDliSWmwT6Y0Pr+ftqxyvcKfFd08DLkH5ajdpkqbhCxyQO0qe/km73xoJg9I2IcXVXKhpuhMMIovUTfkMDblsP+bU9HNdqzQZOmnbJmCJRpnezZjG98u25p7loDUYFV8hsWAiUmgKkfNTzxBXsBJjDmTvtNA0Wd6xKzgqcTuuDEFkbJvSYWPcsGnVet1gvoqR2b2inPOqrt50JWvJnuFjeJJz2uzHxwAIAyh/N7XBLDan/6GD3+tWWOHpTQ5kDL73mAr4cgrmjoZ1S5RsCrGzWcLD5Kc8U5oh8vSezaLDrvUfUwg6WqN+G9rCK54e3XYjS1SWTukRGphVs0hgax26qPb+Y5yJa932YzkfHk3Wnq2CsF6YiLfN36imo8TVhoHgVaZ2WfzVenq6dhAGIxutcVWMMT2CajqNNLvkX+TvexQ5E4ijrRxY2L4n3kVB2p7/Aae6KNZESegbWIRkFRms3kYjh7E9RcGWMEnvATULQg6+gDeY4MjisuxJa5zzBTt8sXBZOf6e0Y79xJf57sopd4SjGI4XyikccPvTWFO5AUNiPtC6RFySzozi1ltNIynTEDeEifMreP14372cNZubaxiNG5dBVD9p0OJ6NjFoASspMxpGhtBC47W3nMiZQQnVEIEpBuwoTWR6rH3eGKDG4aA8NANSnrXjBB9YU1OXklQAKFsB+disSqMJzO9jas/YpZV7RiTA8StrXc3WgG25z8BoIQGGH9K/O/+axyaGmQixWpH3oJR2CbudCZ9MLdYTlrixTOo74zrsjD8OJjN8/yD/NOHS/oeivcAWNIJayknUvgSyED0OXCkuYfxStPoO3TlD0u6zUcwRkD/JdKqGdxBwYdeEnO1WDo93vQoWTtcBFFvyfWnJtL9/Sb4QHVAKsEMzhykjLAwdEkBNJfU1z1NiM0/K6YclQsMsqQ/ItNfo7BbDx1+tgpiQDTc7woocV0o38flJir00dXzHRJufVlBXcQTRjqUSQEPRXMtaDRxoaxkxk7JslnkIktiZ6Jdf5qJgQKWBFe8K1J79pKpRIzxL+hKSehJ/ypd8AjSsZjlJf5ro1FKEI/5OgZpEPx4JJyjrtCo0f3SjoWhruSSwbMVXL36+vEALuEYQNoeyaebu6O9PHueLSiQXxUCeImCpai0clVTjDJsk1TO1Tk16LykuYikouUBe1hQbmhtlDXWFPJ46UTM9fINRrlpTlDmvA+SHx24L5dvceOKGnoFWBfZdbDRrhy/67isv+lI8G8LfQR4RKaQikZwMN820ohRpMWw/C3MCFzX7Af0jadU34Xp+uMNx+4xNlYzrVg09TLwSknqJgUohoiKGLO+JTEgl5ir+4qL4DyewVFHPIqGeWOkkvYOHRAd6nefyDDxQ45//+tEaeeDwwjBowbPV+buVttPjfXvCIlqoNKK+gToYWFN+duPr93Xf5I812Fsw1Lhb53VrfMmEop9Nwhfft2qNl1S0g6FStZtxO3sPiR4CYkzDlYdemGYyx8AwxDXvjVuVZE2oJPitXp/KiYLm91EQUuCvA7HHeB/VoJ3d6EXj5Ur6blR8ByNjY7UhgeCq6fMEyO3mCHAQBZHJmHYPhZmR3rWXmCkP0qvGQGGDgwgiSpCqc7Mdzq3QmLOQk6FBeCjXmyqLd5cJWVoGvg1FAH+uTucla4W29e311mEbfpTst3t1wNho5fl5fjSRJ7tcG12Zn6axn2D0+wbxBBJDZpYdGoQm1lQbXeXPfv7KQQ7unnkUj69fa5Sbm1bp6AOdWwrPEdqGLPbwkfEvO7VS8VbL9F4LVr6X0pyhyPsO2KyOxsd1tZH6z2GSlUzMSgSPGfQL5sP60DIfBERZzqyVZSPIS4MI7s/sNJEvFULEoPuQIdP//8d8pgmq5Q5JxUoyVz1/UuB2fy2qaPeGc+T8rRDNwNjZnYtM8t2iFLkHowC5fqVwHYu2Kv3gFShVipThqJ00xL4/f2T1ijhEmJ3oKn+DS8BdfvxkCaacQoBPTSoKwPooH87fLse5kfkib1pBdsI6xUTUGFBBnhRV0nwLm1auV8toYMYrE6Wfg3szeKAG6/YCr+uhNU3DnybXBhnzDHCTV1Xwg8ws58maVPjvnv++k/22DZ0tVtF8AGuV/+hBxnD3IsBILLjBuyvF7pLeNPXIJKs32SQCfyvFd8CJi16b+Rp9aKPJhxkwbCggDyNuRVppGOsONOYij40KozpyaIWVuEhyEvcePT3hONXsVWUbeloJ8/G/gAf/2lATUqufMiEFMmhCx/AuB0OzvMvt3nRmF2EsyDIGVhupun+UaqV+N3ZQBUWLBLqom98XE9KmH80dV1yL34ps9dQ5blojXC3wXbzVSUPRwl4a94Ks+dOg219CmSsvS+9TaQ0oBNzdKmC0IudRBx2QgkkRitRgWftmjBOelu04W2RpG12UqEfQc+KOXxnb4wonBokViYgT51kc8rkHPIg/Zm0YFhJQCGTV3eQ1N1IOdDSGKq0ayZ1dZOVJ/OpZg659GDXis53n6iFC6PBSTffTaQJ9l4Vsm/7w840VeFDVD0l1zBU6Nqj0mWl6EzPGRAS82IwPgkQhNc80e3nPZv780DNZG6yd8E4qARQSZyRlF1l8T5EceZW/3KaHRrVPaCayWthPDiCdZ51RTGeWm7SW3G+9XH9u364eM1iQbpk6lZG8YP/snsqcXVElq2pyl7JEFZYACSZuoqjquD/PSmzbmUbdJFXmdu91ZpExHAqgCEMtstAoCTB2/hyhcsFjqInnX/l1wXGpJQC1TGhNFT6E3S/OBVkU5+GpOUP+VAVjYHH+Fu1hZD0o4r8j8udyQGVD4aIJQ8yGJDbGdcpcAElw80Sor2ESqYhEMBNkz9tZHpcLuXQv4WyT9hIzjGL+PL7VgnoT0XmYTYkL3fBazNn9+V78dRhtC5qZ2kZT+6zdwqmq5cObiU9ZQ7EGPPWqwlMLLIzjMGkSKrHaEhetZdHMtIe5HSXM+hanUEVC1MtElay3VRtf8mb/NxliBb9yJ9wv9G57Qu1j2iTbRu3RZuuQplGPjjMYgFeWKvqnaWSQDoUQ99nNUW5npy8J4btMmZfNgYqXeY8R/TTJjRIrMJkkQNvB4vZubLgD+Eag5RQXH/nsJ9FDZ115cQCmNwGAuEKq1uX3z/XRpXE27sCxdPuDscplsbPeUW2YMTsFZGFEq0D28V9ejURobiDs3M86CCJYXrxmDDmCL7h7ljA8Cdw7yCico0Sg7yUJFXtqqFUoW6lAZ5aNFw/0WRV5kPJxyLZqxyY7m44z7rMqvaQPjI9m5LtyAER0jY8Spq3ClGivtKvBqTxQrlkmUw4lF6I/q+MdBgpnWD0ORd5r6kV7tW2A3/H6zWhlhdjavdK2p6X/n6KBSR65yzp64IACeIyRFbj8gsPGx/3xdZJWJ3NvaD+FdOoh8qX6XBhSwySL5XcZUbGC9XW7p+p+L4R78AnIYFzn29bwc38Sdbi3norGqB2JPv91a0G6vJHcPL3Z7+gHSLTlpaHqW4+J3Eq92JI+z10GhxPjvKeb7hR5ak4rNx9wjMOREbC4Ye+9YokHTcyX/SxWONrn14G5NUqhfzf6/QjyKGtuaspFHoOOfcZhqg5BmrI1nx2XyaBnl38+CmvE9LLIm0xwr40z/Dg9aYNzB/c032VXBOEybK2Oq0FqwZhcZL6cpnQHTO59yprGPpmlujc5G9vacUmKK4+sjcoDTbof0D55KddXON0cmSvDSECOxPuMOtQRhHCYq+0iU7b7eDr8zW3Sf62ioLHEJIIv4SjQAREnNUlkfOPIHIp+LxB/Lnvmh38NW19IfEo89Jmw1pF6KAO2oR+1taAtduoq6qUoyOXV/yEAso9QP49fyAg4ltzAB7a9EJdI7+uNwq2H8AaWv+acnWXptXnZBHXcL7+JGbxOt5ptCLkk8++E41kG3fVKkiwKP9mEr4kkdxyOImsXPOZN/Tp8Gqx5rR4QbSRqZIA21n2YQlpZe38vKWnGlYupsY5qgFVWHpZOtTEys2yeXYTjnQbdXhGwTI5OOg7s7vnmTfJC2iD8sfMaoaTPWvRqItEVakvTNu0VkkbbL/RRl928sW5sgUeoDNncT2OveuVXMTrfgxRNU4WkW60nz53oteXOn/5pvarEzVpV0YXPwqKOP8SK9eWRNKaR5l6YxptCnPQvH99PQ31LdzA4LwmdVZ1JmlQJC8IUhrryJ+gdUFg1nigSjhcBK6SuKVlj8qBLB8BGDWznKKEMVO5bGsfROK+EJDPeikNK+ZCWSSSSWFAzzgSI3qR20EB9lVeaCyuoswepMoHgnCCuxw8RzbRebXUQgsqrbNr36IMlNnmMJhKRvqrWq/fgKgLLY4GFodAw44os2vGH5Lims02UTJPui7yeA2NmHRy6L4RdkwTNDKHIAibyA0/ZddWOcZPgFBQK1WXs7y9jT364N98s7frWE4TzUhaMN6XalfxQw8md6AgFvq2bFpz29oeMbqJ+GxPvg1hGKF9ck6wip6OiiFz3r4qx34UgHYucUp6F+ZRGvm8BPagP9evPPfSbq63HI2IL9FBhUHBGasxv7KU6LLnTUNFVOmmNdAArIl2srQ1tVIbm4U3QVBXiK7hG0lkjJgmFs97zDccZAJHaPQlrgLe28b9epHpPjHCPV5VsKiOblAiQjE3wxB1hhBtmkdnnlmAS+Xmb24zIc/VEY3yAHTP/B0aXjQWr9FR9M97ozv+9SUjByFbf2mXdVREuY0PjY7O+Pncsct2PeixFT4RJNPkGJspo6XQNvhwAdLuXaj7OTPICVorm2+qXyNVKDrehLk7Hm0KKZaipuDzD6/RK07b6Jtg7T5JSWqeJgyyy8tSa1JXK7nh1px+L3Lfp+0fUxsqhXwartfS+JFpkrmReh7ZmXuOqLJz1hkw5eIVLR+USC9gQTVv62p8bV6iltccW49wmLl0+71kebQUZbzUhR5wbi1sZ9dlKDSfrJodj5KcmZJtH1kNeUu3LXHeRlfqUuXfp1hJCT4EW6whlGMC506F902q2N3HQNSuyPdc3uyUQasNBdOFLI0qCOEzs3vMkJSMCURzayo9r+PbSdFWfhbQs512/cxx/bODs7LZVMB/dU7bGdUE0E2MRRHGa73HfdF9mANYJacwtcDZYDPAr+11rfoqZr073rHSH0fMU4egJusIpYgPaoVH0Pn7P0iaul8KycMU1PkY1BmpaZlt/iR98sD7MSRRh8EBZoeQA1/gq+A4//mIGOh5oZMdSkOsIYFaplim03VzzhXtqyQiFmg61xhzEJmi2aVrFpMXZWJGreEJG8yrUwbXx5PZX+jNB+NXgtoMmP1F+GyiZHtx8UTWHQcCZiC97Xuv4elzFKi1BS4g0IjxSWVoVUCFsG+VFkSNjCiNQr/RBNyeessgOa928gEeBt3ugWWZSxkF+0pV/ENe+cDzHPowVUf8va4zJqNWdQvlaF480QGToCLOooVFdn/WToz+anufieZJGw9bYjrFvdiW6eI7rtnCqWkMIyh1T+MawktQNwiCSFA/3268tv82Vqcwy8EkzT1sUIed5l+d0IxmTT60YegxqIDHP8VVvR2WMU+15xYG7T0yTyL7Ta6ufxP6kSgfwAqr7xXw1frRfitvfpx9H8PtwyQ0Fonor8vWdCCMi1/hP60VhwrPFyVs00md3nrkH0RzV3Ztga61qmqjwDn/BCE+0UvtFfsi0UGlLgdJIlJbfjJIHsGWmGykp667Yfyh5ZyjdWgit/E7f7/x2xscorPKfnzsJ6EMHv76jmsos+lzIDCM8tJj+wTukP/x4wTcxziGwv7MRQRt0IQ5dbURySrT0Q7CXU4G4DXkWOKf+g+DB+EYk+m37cBPmjvsp20G5h/zbW8Z/Ihe6bE1nX6JXmwXpesF9Ic45/B1LQHozbWbRQN+VdO21ujcCk+eW3hBR/R/gbLcG30VyAT85Zso5ULvTNP8vtu0/+VlEB9gkzUkfw9ijbrZCa9nf/4OUJ4QppupT/DOYF5F+xHdK35N8thR99rlYvUi5486FKDnlXu38VMqj+890AyrTiMccjjhZ1n31Z/glaaOPGUzvKtst2uI+1WOBYdKmEiqujVtZhzw7YeutTKzIOKNzW+e83hqkmZscN5mreihfKFmFU+wKEN0TRAIPPV8tKCgka/+2wvIBpJTEjsOZ1TGJkbEs8iDol2bQc1mxzBSobivatmsCs2O9VL3LTuPCGLlAPPNSlen20sRSjvs4V1TDBeUZli5GObEvjLQ999bWUpf3mJBKiTp3qo2KK9Jza4p8yrGDzl+BR2Mmn7EeUshfsU33ywEa17QygVQppGOYfKDElwYFBByDtoCT37ArwibdzYyFUMu52jFiOS16C1oGNG82i74kM0WFbcN7kJi4hlbAQLJJ75fdvmzLiOaT9gWZ9EVTyHQkeWBZR6fWJI0KNEAKXgL2lBm0RpvhrXuzDVNjAOD/LpptDS3v/uYjjv0dfb9SUUUmiM5el97DB8lvtR3Jo9DPlMI7SWJvmrgDThfKQdqExcMEUdFk+E9ufes3FfjWwDDYa3T35T0HDrCdh0+NA8Fmi+VFSbIRXuMzx34you2/f2OLltT+jqkjZ/esBrQ6fdh5Jg/5jWCVGkQP4ndtc9CcaNceqBtovEERdMa/FqvIEjBdVNJ491btkhWTNF3jOtzhEesr4rH3VeQq8RJxyEv2HX1ARflJyFgU1izhreX+7ouGQHUeeqIO1hvcGa7RqxJdwLDUZlZDX7ofhfFZ62VsaJoMU2GUwHmHPj+3ozC2XHlpV3XK/mfFwTJrIH+CBm6yRZZRFyF1OocTtEr3U6wRmG7hJ3DHHyN3fH3HVleuKmt8ij+joA9n7bsSaOIKKi5Nz9pE/XdrRBz1si73Ra4YiX6OaUh6JssP/CXlJveYztNkzJnTE1neAjphwTtIzeqlGV+HKMxkuIEQCgTENZmRCrP4rSMp4Mw1rmq8lSQEnpxvWXQSdmqgB7CgRLksMcMenWLMyWnwIsDsTlDZ7sRJgHakjUdj2xBxlAVA0pemek2sckJHPfWZadqT0JsA0m4ZhYnsPot+T+puh91imrgenjjmIOiqItzPuWSj/ehis1WbOUXdLGFnAcERGrd5/fo1vn7hgNhNidvnGJcmima2X9+LqtbwA7e5imaJ+Jz6oZ/Y6XNqphYF5deVXEojczvh08QctfG+YvAi6/Won2t9hiNXH9pxrrk6Ob42fiiEp+k6RMZMQ9VnEjkYi7Z1kkZRK0y8v++wN14WUb9jzQeTk9EaqdgKJxvEAhLKsl7A4QK2OPPCMC/lNOn14zvWfOus1Rm9RTLB4hWzVV2guDzUDZwTeCPQcRCRxeo63oSiBkaaD37GxGx8+BDIbRH/4jZQD6K1HpG99VsWixhqNLiHTiioMNy9SeB5d9caMZsR+nOJTHKhBZJsaI/dMGhur1AWajPsvwWGMtghScUVwaAfS3rneKN5dcml4j33FmAI5n//YrONabzqmEq4i8+CuzQVoOAoZQAoccsjL9wVFrNXDjqWh8QfYajpGgBOc2HhwaPtfMMRhlrz43VDXw4/3gWxsuDbqkazojbreHzH+O44kTlLmtlGsoKE4vS4Fe+dJKLBD/3Yqmapl05ZEdKbDPcgV5ocVg7088arXkhP4n+iBfrUhUJ6hE9KbCFJNIwT6msqx2whDDcV1nV/33qB6P119n0vEaXCGVGEYNsSIjoCoRsQj2QE+medGrm2YJMpw/kUQmLp6C4wzjirOGqMSfQ8C7qfD9O2sMJ0dZoJ/wEfnnA6tuw7r4mjaX5nt2sse/6NaS+hbZfjH2II+VogQWBg5NX1RK0EDVzQ79nzjS1fDJQ9fF+K2jS1ElhNVQ8Ag8s8iiBVke/cK5+LzJVEqhiv5yIrxM+DzVFhHP3yH2owzngrxt1F0LXQSUeJ52vOKghoWNv2M7S666q1DIxDJEg3c7lkw9dMTq9Ipk0ClO+mRmNZLwdGUeldXs02B9Mvnd5sUawyYDHeLfTzqN4Cw8f30Y9AheFdGJjezMXhcCgbvJ4fVwvo10RsY5/BsLguA83q4vqvvb6nqI+C0l4Ofki2MfFMEr4TXpfmaHLdY+wW/T3chTI0RqCyse7ceFIICFGxbaOAUcAoKdL1chBLYhR0ThAts3Fu1lwicJRzjJcwgyjwUmDGwg9yFKiCnJJ/eZorjXsb4L719+zmH9GrOndMJY/zf2kCw/NYNBosQg9k3/EnkAFnKBb1422vum81aaMAX27+9o1aFDgIeC6PN3Ev9TziAK4sGSb/hqyMcruL6ZzH9eLbducSc0txD+qeZfD1d+vl9v0v7miydtHYVU6S7KpjjBX2aoIex43IoL/Hev8hEGXoRY4EFtbRGsbKcFbFxIrS6NRgWMeb9IXPPWWG78Y1ggDBRkMA/YBkONFMJB/c3NHokLIdymp9HGAND94Rzp5lO+WwWUXi0VfrLYMvwEt/4ec4EwrElmXC6lkOPsRaLdtk/Uot+6DF6+EcOwG+o1UDZIeGM5bUKaeXJllHhjkL4PUgeNXDtyNUk4olsl5NqTdN49ekUfiwwwLxVyZz6ZG/AeM+2qFPuK84yqgkr8Q+nofSmL/WmEWGlvLBZIGPXaF4m7mCWCEyea9LXL5OMGCt7909+PoPrNBIlc4+KUo4/CozEsZy9Q58ngXplvcIRi8LiNpqPaFzu+cnGztM7Eh7ds8/4y/dOKywuTYRPoiF2S/0w8cqS6Zw6YNH4KoC9vK0CMCFrSuzkrtw0dLqjPlGQKWs25BOJ/ir0wn+abmLrCtTGrziuCqyK9RtWXhSx3D5D0upzmjORet5YYI8xrVR25z5ROxLcejb7dbSMbvx/nA7/DiLdFARe3fCOWTHNjUt44+vvUHzWHxvR8GDqn8KArt87hAB/Pi7lfmCT9gwhG1TptMERWdXbVztAiPkD6OnxSrIWjTesgHPZcihQEDjJyuhChn8PTgO22Z7D1IX/5X0JhBj5yEWZ1mn7ZTDMomK2Rk7mjgxyWYT5WmhQQrev02rHjB2QBVm9ocY5mzNqqPTpt0TH+nQK2wCy8bb+DSXJC1UYnvML9UIrvKaqkmywDgV0i+xhVZhZURHJnjQIbtv6Nm/Jb1ejG8my47V3guecNz7vfTchF1e5IB3O/UOy/rfMIqdqNhApaz5w9uWiEDcrXjzRPZXz7HPHgUx0k6KDsdD4IAqjtAkywv8IZzBNZ5P9x+tmdWMIGBecT/5GmZovVJLttnGdq9wPRwSk003ab3WrphFxQijNcSk3TvPMuqPNlPJaZFIZNWdzeI0nHFcgGtf/OkOGozt4Qdpbku1V+H4MsFkHKVLq/CylansutAoGaR67xXp9+tgJri3ErSRpycartyLCWPZyWJYn14NLOaFWErUpHqQSMTXA7Wkj0cEEZlOh8B5KvPwU/8VKCnsvSyAcJiSQTcIq4VIK01uGEYk382Ap3HxNj+kAtBNg1dRUnI2plM4MNHEpC+szUsshFQDgS3W0Sxgd3NEvorJjlvTCUf4E1+abyPQ5YuZOap07RsT/rT2bxqYhim4QaMTpui6vKDeMgCZJhI4v9ri0DC3oyRPeUKkMAwsiq4Xgv3XUIFUcuNuWBPeJfj3kBQm7qTP1M3MH3xdK4Xt82qbZm6tzoxwX2YpB7tyzjvFA8nEP5SZbcknvNpyFQKP94oDl4cJhi/Kei7qSoMJHwbdj4VUdLRg1E0sMHvDgSaEpoGZU/thfyogUm48XBFCc9W/wQ0U3loFI70tNNVDfm3owyoFF+/W1MVD8TGRJBAGx/Ojr8pB9Im9szJSvMPuPs+RmPiGPd3kEudOtCbz+bLYN/cpf1JDy8B+8gqFWetbmHnc2r3l5jvx4mo5SDv6YSg5tb4TziSwR2N/edUDvi1KB6kPmqqEQLXr/bTBfzTJo9vSiXbN2tdgk030b/O1p4PEyHsZ7QRBcrjDur31Oo2+cQOk1zNmKiaNfcAoBwiB7LP0yLW9W5qRNta/pRkMjT6+fo1lob8TB8gUEmplQuyMZQ+im/uKn94kiWSVLb36rvFiQRZUsdO2V1Z3LBBQ+JBHXvTMBc1CMcJiDQVIpWh+Y8wTtxEqDW2pMtGFagvc3aiK4s6eFZm2VYRxcvES2aFwCB0+cQXBoiV5BFWWgd9hyD1p/nl09wuPr8OduH3bBjw+UWJVlgrGa+4YTYJT7FTLpOH25gXhdtO6yCwPGYwPjLiwhM6QCzZM62tfNKTYXpd5eGwKgDSJfsZJ6nGMgD+BZZwEuvvrIoMcN1i7zaoQ+6YFjvlCB338wM5PPVcKuyw84c2vsR0cmc/vCllts1e/2znMbM/XcmMZVBszOLqrIj1KjI0G6lakxBteGQrWT/0HIYtkFtec9PELGuCN8EN/5qXiSRxnMTE4qumhBl43XsHh6/wtNlsCal1EbzX+tD6AP8nWeh668m4bO2eCW5LdUymbPwAFVHVSisJuXEcHzBKfZ/bE/JcPyvYV2fKJBGSVeawx9sGOSW5vYsO0Jy0tCO8WtOHLx/F0fOv+fm8Mn5e1mcwb36PZkSjXMgjtoi6EmzPGYiC3ymmcpC8trPdo2jg/+TLwnf/bmjv00iQ2xgWO9Be0cLiVxMZjvBvnFE0222L4A6tl24z+GEo8kUg9MmJlcl1JIMK8GcFuqlucuZw8FVqVr1uvP7+P4Dw3rsHqWBoB3Lg2fhJknEHk/i4IoGnSafJH5fPWtj15y9mgxzvVlYt+P3EgU3+/g3nBbGjldulPTFrnsqE9YHNU6zR6lvnXBYaUw8C/lKuXgw6A+eFEbZSrO8ofxnX3g9dCzTYhFCfBNHP7jNBuC8iC8UOMEcObVTI+NHJbL6YyxIkqv76P7oeJSQzWxCxlDgRpDb9682GBGy08WGZ+Bj+g8dmX/b+s+fBvVZIVdxORFBmS7daoLZsUGZybhapwdFvr2RvsFu9Tsn5WnVoMt8LJlTrpRxNRQz3cH40uT6x0fTcgebtmxrpeDdRJDGFzoTfQ1zyLlXio4fSFjnaVJuNRHyRzzNyqXuJNdzpLfOoxW3gf9Hb7wxhb9ZBJCG7MjX4hSRy212+BTpehc0U8kcq3o+ObCYdBKTxH5vjACIT83nOc+LNYBo2XbWNuFoxcxeGRSAgG1qglWd3QigcXKV9C8XsoCbFh3vz4+8+iV6/If1fAzJhFwrvAwu9GaDY692fpf/vX/YlpvIBmFFOkZnXga/ltNtTzOgQuPxIRtDv+iJ6GL10sNf4c568wMc7lOz8tB4UJ5Cyk5sudnWamD1gg7heZBFaoKSAKPGv8LX6P+t8VyK6LRupU5FSki5y7/FfvX4x6nMgClEPdyAfSuSDbfq+JHKFzRwNgQUA3pt/TVWs7dk1Rx7hRs8RFaWHBWXhTAiJHtwgXL2u+EBymtVfS/8XIy73HozHxbEo72jDoft5DUv3wNSV2aBAKKYrE6szfFIOhyrmaORim3PwzfmiNmKcH/CT6Z1xUNTqIt61vw1+bb/NfHRzzOEI2ukdN6dttpK8oJQzQGT85kEVP7D0SCuxRPDRoHgBH5rIu/P/wQfyff4m6rDDDfPEpzGUUIbnS2vxd1qU0DsBIdM9Lh9xIg8e3ZT5SgCUiEWiHqpU5cS1JKsjylMFYFzbm+2O0bIfXxQ/VUZY1wpkjq1VIriDo/d096lG0ad1rQZ5j7C2YgRqsO1I2WWkCLqmAm+fOQfrjOaLSMt/CfGWrcg7jtwOOlFhA2+bT7e6mfwGmtoc3CuR4ybDH1ZkG1aEwY6lXEKggfzEZVqt2CWPsVQs+VMVB/NHqSw8QSojOzMDnBfWciIIaI6RHZOVaBTHrDmczrzOry1/KxrV4hxe1yolWDluyG+Mn5nBvl3fIjAmrXIf0zor5FMCeutpIsjWEfs5BuEJv7Ks2pmZcSx6GY8oqj25c83JQEX1lrO9EZ7b8hCb3VCYpl8bbsioyXPBT65skkcGKu/2XbJASxUCTmyeWPWvJXvoiPog3/DuLPDyUjiadNhkvg6gvMoEcRFq2e2i+ymPr/3ykbfvhNh/b62jG0IVUooFzS55U+hGXdYow0vRlYmFh4SEK6ztJQyJViD0uO/0PgftpC4o82DlHBCB8OlqulsTFRfJZZcgMH5MFQijISrxu400k3cXKST8NH+akyPD4arRpauxDKLEY1bpH7kPEjeKX14XR8aBsa1rFftY4Bo015A71IFiGKNW8LR/HQ2+AxeWFQ4bbW2ZJCsyceIHojA0fOWz0066C8rbCPSQ+cJ0svuqMv16oPZKjvV6qP/wxvPLQ//HBpxhLCQkqtezXNAX2fCCGe/VC2cIvWW3VNFBIhXgsHMTB+TRlXJs4E911MGkB0HUmOS6dSDEtGZwKqjRBlCZu8uathjJSx1rVDS9ypxBaa3R3k4w8CVLQjDMSUFnmjAZrTuJuFAhh1zivdQY+SS7PM5vqUFXtsS4amCGxvKn7hSQKyvJ9zLhpvunYSHVZpb6mafhTI88kCIifHK1q319M2nWxZhE53vY+8TMOJtAoT5Jibtg6rviAAg2ezB24jNMKm4RdEXRtavOb/8Ex9Ba9anmfpaMZF2Jd+0GJl7cRRsnZ4KOnBpRChgFjgbM1P5eHJMF3Na1sC5D99jod4jDCJKxEImesoTK+SEmCL0AdrnZFw647/vUfxZnZu0YVldt+OrNjMRYujL8dy2lTGOBK1PUnxfc93TD54U7XWvgukgoTMJlnspqetEN3JRZZ3Kj+EVnneCvF40llsREJJMBjZpeHGLmgqGgIH3pr+Yu81AKww2u5bhgoyaB6rOHwGei4nkYwrg+x+DKvP2KN5+143wqn3xletRcDzGBnrxyfQbxwiqB0YwspClHDrX1BCQyMtElCVGR4Ku3m2FElC8SVq0YZ79EtsWcnjQTZOdal7rfjK64Emx560XhC4fUg7J1n9oHz4n4iaVF4zCohwAWMfRWrM+gG0r56XV1+cfZZNSHPOkmLxH8j5kH/ym+JmWq1gIoazQYWS8vak3DcpTxE9DId6NA216ZIQ4KLrZ0c1I6WGEEL0I3MkjC34jTZaEOWOw8EGnnZUmtxX1MfwKMzhY2/KfwYiVK7m04E1YWpiWnQErg4LoQauUJzLt8nQ3Whcbwu5PLdVdxOQTfxZuwdc5VNy2jHAV5DBBf+xHo38Jv0buIa9cNv/+h0+zgLukIQesPyaOhVMzKK7okFaFJfjvujgRdPrHSWSBq52QNv7Oihg+IpAe4/qCq+bdLtQIwU0tOT+zRH5IZ6RBnLgEaQkIm1mAFRGBVB7OI3p4n9NQXQfGaFI1xK0IlIcTz0e7eF2a/QPDyg3kIFukPP7k8mBq+F7+bWSfSJcFwYgSre+Lif3gKuhK9vDTIoT7f3NVRAz3+jR2fK7BsvfkqqdiItyK3wOU2aGBXlOEhT9Xg9kdwV/W5NHMHyNZgwaaubcbgmUguY4NZSGv0z5Icn1YUc5tuw0ryc1d+tN6/4yR+XvFiwo5YGu75kSka9k/ipl8+vzf/F27s1J65tW7p/Re/5sCRh7ORhPiQYCQQpjEAX9AbIadlImEwwt19f0VrvQ5Bz19nnxImqHRUzotbac2XaII3RL619LeNfG75v3cU8p3Uqtov9ytVfuv357eVx/O1kveAzx4aY49UbStQwxRolE0oKk4dwPwoe9nUGismoGFYyoKLbhqnDD/S0yKJPQ9sRcFDuqiszczu8600ywceqlbCPvr6m4aeauKUiehovKDU+YMqh7xLfMmcn94LXxd7wEjdJvbx6+7dwXqP/bWYgcSt5Rzo0mUdTLzDfk+TIDd+H7xKtRvJSA8ujE7m0Itxifmm6VQrYZVzFZ/xvf81Dc7Z9FdmPZhNAnqfZnnzhvZCBeeDbemaKYeaiVmyBcmNbshSCY/hs9eL/Mi9wjufVudKcCC6cmFj9B8gHcMdLveYoYea8jtJrcSvz+zUDae9jnSWlDDeeFbL+UtlaFeBJ0eFkW++dzjv59Mglkv2gl+9W22pvYY8uRNZtdWKRlafRhs+griFwZCyUnnV/RjPEJu2AMdxWQxjeWARl8V/B+nzA6bysk1PECvCceP7cyoqwFR5xAqNnsmepSJ02eexBTBC8qzIVpKrcjM08+Sox5EOIEv+WjPBt/7DPU10vtR8X1NGVmJXgCzuoJlFn22PEJcOMIPwS01FkThBjVfHjg7pE784v8rJpT8QviGtkdFl/QYrmqH3yUL0a+QD/MNA9phuvr+CW5CArzI1QNlYKR6puYklfNsCajTU1U2IQtsjBuT3QPo8gQxBo6GThpUgTkbMtUGbLaiW+KfI0gzNnzy9oKkTcl4fegz1+Y8oLdgXvsAjzr+Yjzl3/Q6+Hf9SG15nNb1GG2O4OZYKXp+0K3IeFGTKI7b19bW5qOC00WiscRvrmHNf1Yb9yvY0Gq0iCYJSVHznt63zQjEBgkq6pk+TzNPO96zz1HubQYLWiT+qcjAmgO92cPVTD1WsiU+7Y1/BoyOQoDmAGAM2BzXuFCCfaVA6Cxqkruxmbi1Oouq0/FnBG+2fAphMbHkE1O3bxBl71Ivt43gmzcl1LPZK2N0oGkQ+wwXhBaiqqw8lX8sF2wC+P/BLRI/KQKGqkNnqKCUaZDKX6Mm2/rPxIeDljX6Gi+Rb9A/dyJuloB5OB2EwXujLFVh6+iL+12Znd5F1QPqD8RObNBrvFNrHzWJ16rydNe5gOqnLpd44i+6mFfvlq1EqoO+GdNfc7o9whEztjgWMN/evz57RhYNGFYHZAGiALwIVpMEoqTjXLGSVN2RCVjfVhZfxIdvCf6E3R3mjKN4UhovHJ/lQrL50Uul58Xkli2r0yuN2PjUpQBaj/dXsuOu0slDKeFYxCRVF7S0VYtGg0Y//FOlSni3SgfhqQqwrr764PUm1gdEIuKWU5ggNM21+GiM/9ZdOmYbUOXZLuXQvnVlFpaV6geuDsXJtPLR+8cDhNAs9ifq3+NxLAMKSi/o68iWsXVQP0UHh8PvkFLlKR9jkUgcz73lxBA+FzvKmEHvv4Z/IdSzK04QijlEZoIYZCeGTOmiY+KHBJfuZmBRW7jAlvW+MWGpy+5rCO/YpICzkCcj85yTxadVZooRqV5tDvPlmv0L/orEn1tcQTl6WWDlCnHYRWlNfm/y3+sYKrLcpayDrz1LvKc9q4LPFS1J2rFffDAG/sh4jmlIlJv56yLfLu1FGt6LjO35nWrHQzCGNQIoTvZ1mBMZcNhtgB6nfuUQKH2o8oCZ+t8UC3KZmtr0lOJwa0TqQ6IdqYEgxuwcM78gU25oxrqX+M7raRJgsTHgvz5ER9/g+K3S1tYhD+0QmJomB8z2R0YHqOcYeJ6YKV2LhNlg0CeJBXEIc1uuMkzv1Z8vaPNXMrOS7WA12jjAaBK/tPbLQNhmfYb5e0CQz7uy4Cjt574mPWgkp6a6DeUlHAC6YNN8rLxhMLdZp2nGSQvPORm+B9m2/CHPYZh2KUCDCs8cwODZxK6vFaDXFRErVAcWB9k8ZrxkfJys8Pza/VlqBEwneBrE4b2N3hSquolseO1Di99K9AvYAQqpt+ue89zzSebcfALoy/sfBlhZJ5Wr8hf3u9jaarFmCkxgCcGlurhk4jeMnEWVH0FlcG8uyF8dwJPKv9+72EAPpOP+QFU9YCaUsbFuzGBcDtN84TqjAOd6pyOriv1vjy9h9r8r6W8e2aFLM9jznZn/VSHc2SGqxRzw6vxLp6vHNO42hqV0uzaxVbWCJo2MU9FgLXrmwCBpKH20Q1jDdBmXt34ht0B3TsvJkBMLZ0eifLdTRuPSgLbhtzsrMVYOx32VFghPFzbkCIeabJJ/h3hF2USuyN6ctlZHYzxd8rnBCD6MqLp2HGKGFEkhH9wWpdhGaa6vK1vDd7Z67zznWLZEFIDGdZMOyp99H7VP4blGyqdscaFhN3wcJSmcLNnZwhs/UeArBbIQOFyW0GKxOI3MaDV619xRrFUE0+PPj5w8NobK1dKKn7HosmrXMVXg0ml4xsKiMnmJpAxuKIwUlNWNwrB4x9BTzhkYNaZtUq4pWrLsA5UmHHmcaR4b+5DqmXLD4h0da3SM9QJqvIwBJDHhO3NIA2vL0rBCNzPhYNCUOScJsMWH6gkhbf96bWvJ/kYr9y9QYxufX3Fuyt1Ja88SsBfiLlkrw9lYqXSjukxo3K7jZx+uNNeHllgOLdnr9IkRfTxbiyUhDw+TZcxkILY/5u7keyrqBrTuZRIXB4bcmlQEcBIj3nhsKy6X5idM5iIzcbckjhrNgF1j+5YCst0L3MjU7W1A6fVQyf70R84e+uK7ctNWrmFEMr2ihaZlq9NTzh7sJMbdCor7KurTy6XA7aZRY+L/3kY6kGEiynWdDxOYm2cET7YMpXH2BJqnvOE5Jbo6VZpMFFqQJVnwuYVmhS1s0AoC9wS7DoSWWWmpqGYLFUMpFVoYXrbXCyR0Bd/JGUeKkjGYNMpx6F5FlksrtNkvDETepm546VjW981H505IMJj4ro4gcIikCNuul8crzfEFuhS164h3eZt/i/JPhezcvMvcf1Esw33pSC2V6Wl8zrRYZQDDDpGHGGdaelWxkjaJ7KUJyklRH1+0169PlK9o66QVTmUp+Nktt4FhKhEZ9XJ3L7K4GfAypbmCtn2O/sdVtINYvDv+7241HOCHCbyluKtP2HH017XI9xqIwfHkbY80a2+b9jogXQqXmNusJrxOJKYyoucnCYLR5YNK/wLrQX306Y8wniCYpJOs4UR2ToPoiy6nwskW3xw7Aqa0RC6PjsV9rtWOOY/s4JLwksnjHK30vTAoExlQ8IAFgLXGX8A0If4M6RazTOCmHVjdOgLTAJ0noG0fuh59jjP9Gb/uD2UjO5rKfg1TajdlsGb/Jcqal54/lqKkxgbTUnmdAdzfErsdLThIFmRfl3g2xSW3A4ziAYET6vwkum2pMuFYIGV600GaLnZHUaxLjjqQ+RM8o1B6ePHHidTeAp3k2NLNNIcRU0LpvUZdrerIEL1O3B1qg8TwJiU+Aen/jXrfGIM1LYNP+QJWDalNlREG0WspEAv107D6wEolJ4sXUuFc3cx4EwuWzUtkczN6i8nqqEvcpR45ucOoWrBzAT2KZ6Xoyy/QjL46PaUyHVcMqmZZ5ndxWxqDq8E0xBFa2NcwNLmdrqFmTFUgvGmIccEbOxC6Wbp9EuXrJH28eZPiZFUYKM4RT47tM/1rKlLm9sTW9R7dJyKbwySsL5NC6UKYq47CZeU66oLwKPMImxxoT7giGZSbnP55/5PqjtkBIlw7rd+zemBq72EEkOKhNEo0ocScK+S5s2TyzBfyOfaavySI7f1zuSKk3HRTU5PgU0QZdl+h0EXeddH2Rnd3osL0ofM0mWxpxfdySzfmqfk9iu0khZZ+YMKMvFXpfD7dXrK0+F3JfutVTzIYEGAZdNKmDnzFZWvDXChKJqvREHnDWqP7WzqEkmMpOYKJg69DSe5fMCGbN5NEbiaFe+5SCpJRF4i4lm9WWNlKqlxxRsVh0pbSDEXjQXku+UTEkZV6BmYwoK8DAd7XXnQjsMRu7mH2u6qdTNNshFSDBPqnkcn5SrxPF5X1UBhukkK+mgsl7g07ivrIlak19h8vX7t7wszsnchiLEbRh9veJpyrZwu4PQF8dM8rGuvbpQvRbSPIgKnfmJYprrROWlXINSW8XuFO0qlFLFUSWluDum5qua3iFaxCebfAHJKAjl9P7Jq2TLoY5Y0XWJu3PVKneyRWURIz5jIrA5eJAzA/V0ZFujXrHOJAMzPCjSGxdC/I/umKMj8nqQsXxryjMbM/9YY4TqaHen6Ow68oFsy5IN36I2KqIq6BKWiU9kIacYoKwU7FytlTweV0Fd3g/zRrgmXy6bR9Lgp1XQjauNwS1FErYzRIXmdyr9nN5kyqQNIYKcz454XSe/H/aaAwRLlnzTkTRLSC/USQm08YV/N8qkyGdrLIl4F43pHLt+LiGQqLBuqQQHuEEqiOxgPN3zAp1Pv0Ikn8UmriLEjEUWGO3H+GYQQkj2txcOv3vR02iw17QGyamVdzJvrWUxtBREoFRJAXU+78OdArpQHeF3bIsMGZNKHQJog0Ku4yZ5TvqdGZko19/fiW4vKftni4aD6sff14saGHqbkTW1q75FyYux2oAVhceaxBXo2MySC6VisV/etX1fS8nWE+eGoF8GDQ5HVoSF7DdEbTKLowGPAaxK94UfWPZIRpVCTtYI4iMtp2wrWgraww5jkUYa245AbdKSbYNa7kOm2pbyNvE7x1VftREEEPjQbbseXLoIw0pM4KI+RCxKfk4E86EDYvAS2NLzvp0n2k7LRlGJWLDbyL619/+mGZVAGiQMJLEu7VqSWOg6JRd0AqwND/QuzOuOPd8qZBLrMWUNRYZx3620eQptPRGwxaxE+DJOO3VO806nllOcsSehWf50vjBtQnPw2mCJBpqzIMpjPtc/8zSHKTf54uBD9JjFkdnZN4s3IJ10MimeQ6K+qcRz8tjxfqLhv0rK6gaJPfQ2JR+gNzjNCGCoIhFu5MfvwycJT+TthshNP9iB1qqpEt4UAZJTWwUfuOAhpteSlMkoVx3jFbhB5dz7lzLRcOMPO1YdIwwh5qn+HUCErOpqu9SAV2hNVT+UbPCvmSuK34pRIThyKUXeutGT7Va3LSzZyF/M2xKFFYwkWLsb6PbU5XwDcHUuQk0zS+sWvr2jtUDPgBuH+ynSHeYP3/jenZ76okpYte4iGLDQw+zFiJN21mtGv1V1C2Ndaq7CWvmLCuORoaLEmzLmkjILCaNVCJ22n5ndfkn6lT+Lw1sY0PD2gIUDWvXAl5OzqKhys/1FLm1skmJytEYka2Lfy1Zn8hXuJ5fiMHH7+6YbqdvSES9ckopF+AZpRuR7SJcpuQeLWBR02jlpg31KU5oWTMrV2riBPC8l/YVv0/tJ0iPZeddq5x31qjd6I/4fs13iTTKfO8lsascqGpWhIk1Xym/xwyPyqVHcfv1ttmK+MrvXZCNqU6YYJxdrlDgrWgEWWaX8c4Q30Obj5TtBk8N1NojEMcv2Kp3+vddYCnOx+7aQX+0gMIhVqn6tcQ3NomBtHA58RtX+H2t+b/geb7Du9ZjjhtWRsURFn0VayeCJN/oI8UtZb00tuobI9RsHoghS6Fnvdy4RpuI/zI54S9EFsrvkt+vGm0q3s3epEzzJXpG38UOIgOL5FvosEPr+zkHgDzwLJ77R022ykzyN3s+P4eX/2z/8VCEK0KOFFdxt1c3o7HphNB5vJpgXSp70LtJ57CrzRl9I5zXVQwF+fBjopVS8F3aNYYhQ77UO/WBbh7O6pb8pb94ECOBKNyZ187Z6n6vU21i5H2xhDnnXE6oUl/dT8DWFoAGmBEX/9t4+M+d7E75dKXYZYovTP1bsRLMo9kIQSu9I+dgrgdax8hSZ+DSafEeKexbbcMIzx1ZIUEyQXKbeF7rsmC1/puEOeKouADqwr4TMVpz1reQqxKeUH3FlC4QXb3oaoAonKiVsQ5naIBmx1wO/gp4pyZrNdiItQk8MyefiNiyNJTNp2QR7m4cUydgGGwh+p8aEY9Tevo/93pVs4iZbZQRwdgkBAskMrbBqOt54QBhjTlKoWkh3ZYHBIeAdhYw7HFFQjt+jJ9J66MWHCn6ZIseq37hgNyZPHP5DLJ+Pukp9et65nnypsyp8mW+Sh78khsP+rqWOw8qGdlVYrdSosUZg3aNq9dbdizX0O9uVImsxUjmu3c6JQPfYbaOi7gm0GNsd/+xoRjsC4RzNdIQ6hVI3bvCdco3CrDCh1ktWDvg/wfaZljaIN5sGWp+n7XfAqa1xS9uGx0UachG2QKjlqoVKvsJMtuhqZnrZN/BYl3/FNIliMj9G+NtbzSxCr76F4ScgiqwArapI27v11ISrSqeH4Y6nCuWaTXMSWKO+wlj6xIXILA6S7IblDXU1wB+PLC7Q2GprYiB24usyI8OjpL177Ne7MFbLeqaFeVVHxOW4h5c0ZBE3+11Au6tabVQFxu8EEbqKFh38bNxqjsp9ZN+2MgmxaZooJwuOXDzEYJxif5pL9PFZNN/2YhC9HXoP5F8Q+9KIzFEigwTx+tbgU7wvznGSGhGrbvJhkqFB9riNQVX5ecXiiGw2BCPkvh6Ik4sMBhHz+SHoJ7AqzO5i5KOG8TamQEaKnghc51WYYEUdGR8rVagQ/9QdAd8JglyTpceI/BNnQh7EIspeb4mTG2MQqV+aBndAGIs0QtigE3gs/HYlRiEGg3AncWyi6jNoEeqD7G6GdxNyEVX3dzsBIbSi5wWTRXoSJQ5WfqUPRAOEsYUVheV4em7R9z/qvdWZ0/mlLlj49iPIaMwaCaJr5RThtufvMuIFNujuFm5bjtCRnygQkGlEbWmFFzcehMySXi/9Uu4glrkxCejvVpTl8je8TS6vImbyw/sK+XCrNTOMr9le/mysbh/FgMdRhV2K6V1zKdLH/h0jd6jJS5FPAk95n4TB/oyJHNObt8MxnTZ/uYiKId60/8rKXUJhBLQuH4Nx4ztFhC5FiT//MeYxbILYUjkc+rqJJDeNFGiibt5KY4QrW77NTcBvG2wl1Ep9pJ+x21bPKTBW1i9ApM5jU7B6Ic9a06PjiC1VqnynmdNcyBvWYMlqmefWzrlNPTipf5ChBShl+ndwf/hldGmfK4BniVj8sxAZEG7gFQgfsYvop46ZGSje20gsmF0CuXas4jLn8fMfK1E7pFRIw9AfQvvlCFvOCHNf7lfZL1Ul40K1zh3VAF7Zy35bcsQDA6bFi2BiLa2XeGgEAB2fBEh9444NmQGHJ91L41rMD9wWKCW8pTUO5JzlDGpmhcCcqYS7kyegqWPqF8NbOQn7zBXW2yK4C2kaYrGvQ7dQgBlO3taCct0BcykvVns567fbPZ8PNopjXIi09twpDmU4I/mOsSqxhoOi3YSxLwwrabzBUR0J4DVr6XoIdqs743iJofVOLyJvqpI1SYBtvJavcGjmN7WC53I1wVkL2SawWE7NQKVCQyZ7vUUW/JHxKAWrxmPS302jmESeaDaT5ycRE2++Ta5qINNc4QXFVpX5b8n6UrwXs4YkW8asPCGwrAQAiCtL0nVqzj7FyLRIQwpF+fM+jNKxCGlqyMPk1fGXDA1GJAjT2RiLWsgHjRyxBaQJFGLe1i1dR8zave/HTExO4U9oVFVuHHroYeZmps6BwTa6B+toDI5MmAIBHcObAqpVI+Oml7Bu30Awmas0DhFbYoNBJ9fOizff/2H2dWHEgtSu9+idGxB40PAZdiu/uEArO7KiAfzWbsCE21yvvg/LCO4T078X5iDKXO9gqG4YbrjCPNloEWKAWQyiGfwUzaDsAL27yrjgrgU1wk+5ItkUGD7hKu1smvjlRdYd5NTEBBXJa27x1XA4YwykuMp8/v7teappD4ao2di1SL5OAQhtklaUfkyqCH6ICS1xA3vf/Cnt9uxJm+3+P7choYArhO7V3D8zhOBIUxXK6gFY3LXLQAjj2fJ2yDYqcSiU9KFlrhbq6oDHa9Ri1C6aRczYelA2OUS+0rjf5aInc74/yeeZbgykKShXfnnEGGADP5gBy9wSgR7gwgjiqdb9wmJRj9OIsmZHUhOhF+b0GeWUCVf8JC2Kq1YFdnzM35ps2aSN9B+PA+mpq8PWZlTEYZqY9s4Odyztp69fVtx3vHk1lUzSRXpuv4rVCDKhPcteWDDUXuZjDW5AV/0Q0FypXKI49+FGt61CXNttRycabZOwQLJ7ZZgbQSLdQCAcn0VdPap/ovOFcU436jueNTGyv5ttAWae1p1zdQVnJCWCb/aoeWrWW228uPPZCkoYb8GVJcjD+H2FqcfLfMPxVS7jReRLyhXJDITqpBkIlWRjLrNbV7FfUE8PwbCx64zMDU41Aj8Vh8ueQobm2WyzG4uwnSvYK09/ncgT5QJPw/DNjMnWriMfLlK1mOiycENpETXcQg5nhU7C6m4aTZSR7a0ogOA+giNt5XtbkVD5W2+rg9E7WNoWuxU8Bz82AdIrhbuxeEGI1KO9WE2/fujrs647ZgTnUILFWUEWdfErCsj/byOUCgcyR/TKkRi0mdZpBir088p/mGx+vAfxD2afbpUo5JzUDVzJYUUVvy9kOgRwSGGfmxXLSEAiV2s82L9bY/vmBxRba59Ktu2qhd4oTlT1zLvyDmrJm68XPGW9oYjyyR4gh1UEezqti5JkxhmVGDhBuuE6aiCPnZx9rqzJ2Ec02tY1+ue4prlaVPSZZ/h7YsBzObCh/xxLqtfanFP9qNcsKv4Kjtne8WZWtQ6o4Esxj65dqJwEq789U/H8Sg0ZGSO41JRGwXwD8wlEapPU3mUG2b6OKXTrxOfKOyzqaluYIFQOshT3C1MwWBCVbH3GEqyjSntpJ83CPoLp7bBK6TwLF1Y2sw+y1gODzgSZNq5TmejfpkCNO21MPJRMDioxWDSrrlAAddw2mMSHcQ1QJE/mO352Bug9FGdQEsnmNqUBQWai+j8InNxV/sjDKB08YLs2pm8AL52ScINL1fk1G37rvRnvLuAbCIbESPBB49MictwFl8Ppfiz3I3UiSpp1jqzuXn2vtta1ns4Y+Mqexi3k0E1d0a5asYMwBOHEluJLATBzbHMO+EWbVkMwW3LmEFwK3ug0aWJe33gScoqYGkh7rnjgJOqLV3BCUXgBRohEVdCyrYJwraPku07wztRJTW8sS3zBLGH3qgI2SWBC2S4yw1qqRD8Bhf/rNnyEJ8LkIuToYxsGfAIkhG84B5PfLTnHQAnzmQTCv8jQZKkRwxe7TAt9I1u0ZBrSfbjDQUXFJuwv8qrVyR9z8ivaqfcDhyhRnbaeuoIZMPZnIUw2pHCildcclAVzhdlVsJdJbuSjbPjjuSAgSoyiNiqJ/rcPQOAiUN2Yb+ywy0FWRyTyDUAKJJhzkChR7KTqjotLACXogZAJfRuP4n5rau7wT27ySoeT5eKPvukuhovq6gKRqapV6hq8GzrLvIleX1Mn+F0a6kUWSY4f/OOyfeCkNbEtDvYGCrVdGBU9G80Yrmi3OZ2iY5Fqb8l6b5pGv1HSYpsnMQEGAqMatuQrHyj+uJckU7CsjI8Fn9/5D8dkhe+9c90D9CxLeXRSLNCC3onO/g2yJfOB5n2MLhugFPMD853/oqM2UzlGJfYNXD9vnkHu4xWRB6jAms+1lCZ3MhjVLFzOTyzV8W2wTGvQbJkddkXoIt1LRZMc9KUQ+umnEbdfcNCht0Pmq3OU7lf2n6rmbjJ5k6vVXqRnE3amAjogtlsJNbZGUvj1X81siADTF81kYlY6HHp6Nu/i89RWH8PIp6ClsuzxBwadDrODNMtMFcd+06a3rSlUGgPwxdAAxZqIgswqzZoJ9eLrw/0Kbeog2q05Y2WDFH5qSChK96hF38HYrZg49MlczFaDjPb6kZmK5S7D726ie2GmPzOcJpE09Mfxt1doQQQOKyNgJJnrWmmxXYhFeOm2j4V7roC+WJ+aOB711UUbL7Im7pBDRrU7uuWORmPpXXctE3nu6N9yxykGOYChLQ8PvTUoq7BC3lrZpRy9+JKr618BfHgbl2lkUi1DseZTCQaJZUtdrDP7+z8NQLU5JjIhpO746CRmxPTw4GdEwUuE4J16eegf2ty2LGrvy0Ayt1ZTnYKWxM+0gOHd1Xt8XCPZCHg8D72UCiHmcfVsPOF7AeEAmeonC0r+VnXh0PsqKeKRyOd6KX6aoSi8X7eVRAfEriFgTNyfH6pwupiIGmeVdi7NTi5vQUzTJ8f+icgPrY/14GRP/oMP11eOeQ5Ky4AP9vPnbqwVqGuNVIY3R3yha5jLvXXH+jWzN6/yJP6roB1WhU6p6ZghFvNDu76iZHMJ2+QaK4s8LSmqbgJaZV+NMlCvsA8yr7xIYsjIIJ0axVaazJux9unROSg8f6G1FD4QytP74XMiuy7lhRbpeStysFSN7OPa4ICCK7Ssn7JxbfLeoLyANW4ah8F8syYiG5dvKS+rJoFzrq3xXWjaEluHMSFBCrxhikEkOPsmgqpI23twLVcmJfQvldjKDa5QLLGImsVnkVUsudUJ4jwr4Slw3tHhi9CArFIvr5ZGmYo/n8v3CSy40qd23jktyG8lddtLNmgdBpGGvZiG7GRCaZB6n91ZT3lfjd6/y/OCSRxbS4qUzDJ6GmvqFTxYzElHVIkSPjvSTzcBf/o5tZthyiI9e2tR++iQS05POPJI6+7gkqBac5GB97I2IUoP5FJsFfQIneiD+F8UIqnGDWgNxOULjEd4Q4mNa91KD3s/35Fs/Dma299kLyNvx85ZpmHbehqO9thK/lkJXMejGdxyFxvBtyzqjo7eJ8sXqJptUPaVgOt53eadfPjsvcqReJ+dPRIs1xEPqEwn8pbBPpqqiax3qn2S6QJjgcyMQSHHarDLdXWReey2km4/m9ufyonSbJe5m/dN7gK8zW0Td675460uJoc8XmWirCdwJeJ8WY8YpabM6pZpjhQ1Qg/bC5eQ66s4gIHdUasa1ptKETA5uGbgmTn6gMGBBhy6CUGtVJtcfTR/mR3wcO04C7dM1n1dkTfmKcl31cq073Rje38vAhIvULWeNmkRgXDxR80qias2/v7Tdd3R+r+3/hpfHr7GogWOHNQ8cF2/yyUlo6xjTmecJywdcReDRQEMtbSyWOdB+cVIVuFriuAZhoShjEUawLX0LLmbA+Z4Z/hecDUbcs4tYi/my7W3+ktrMlOm0RHGlgY+ZNnMRl4yRTlpGy5ZDpP3oaafcsiM6L7G4XHocKU1qkNlBrGkTWTMyEbE1wxpxAFBR6oaSmgVCsYDNgrABTQ6ftPhtc2eD7at0MyHcGU3+fGowuF/hvvHmYo7mFZ4U5+2/6QtoDd21CwDqb+STMZuWvgBYB+emHihXyJAawz/Q+3BdSC18RydyFQQrReqH4e9tTIMhFp6LDJDYMf6gSFMGTCGBPw3anuQEDjI87Z874u6Uiu93znxjom28FHykfYxKFNhmBrYF3X1xxj9bru8kX+ggF6noWpopzHQTe7i9FhQQgL3ncFEG71Mr89/0nal6ojuVIJSB6HT8AyZI+hW9l8TlyIzGbN9Z7fC5WLuQY4aZFdG0VO1rnN1DvkM/amI8SB+VzQqRawJ7J0vjuNWYOON0+SKg6BQdXt5P0Y9yZo6O9HYBrLkxxJTuLHrHKw5bsGFq8z98fZOQFE7xh+ak2ecb82GBLsWacjaVeEo53rEDYQOSEf9Jvy0cRJj5BdoWQ+WT4RYzegkD6n3rx4W2tJCzi6nXG01AAHiL/TXJmQqVsGKcd6jhvY1CmTl3n0MmR2CF3Nu6zdbODp0OYuQY2k4GBhMSbSgbxwkNC0peip1BOKcuRKPub5xl5yq0H7qUtxZuqoiy+VzHPWdbqqt00yAZoOuuLDHW1UOpeqxwKZ5lXomaN67LHWeV+ZuabLtQlCuZ1DFfRVxk/seQTF0taZ26UVeokaS3k8ZsY8I50Zgra8U0VHfUYMwZZGJMfaUNHIFvi6lhn3HS/rlS+RxScjZ3Fcia/3ytmOznS53OXEragMrtvQTA4wU18+6SQnyk3rJXJ1krwwJzk5U7UGJTiIE2ZGvaTqQq0qJz0bhzgww7Edj6yU7vPFy6ZlF+siQ2sz3tcDIblUnOgDzO19TCfWSshHPl/byBYBHauAZlAcYnvvWtDY5O14YzftVHE2bXOE9R3sb2X9qFs1J1iN1x3AGQntl0ljW5l1Rg6lcrDFM8kYYMCPg9vL9/wqamUOwgrep6p1lkJR8FX2z0poiAh35GZ+aH60PSoy1RILtZFQJJV8VMw+cGqjx9Cf0cqKBnrt60iow9Ng8B/Rjc57FuWJH/te9VEDEWmNWB6hb8NzZq43IaI0G1sC7RCU7GoCH2Mdbivol+ckkSqicNZFM8lBGvXJFEckyC0z8yd+xQgJHX11+tJevY9HY6fAHydtfnIMhX5TDZRZ9s7+ax/bVmrrInP1JmqZkM1cmKtsLWjpOBJGpOWcjyX0eCVo29GJZ8ckS/BYMgUC/N/HLlSa6/LhsUXXUJXpE45kAnBXBFpoSg3IDHUinfjAOinSKEJSpoCb5jcnWNIyniMceEj6Hxjy4kJRPLKqCPAkOw8iUZlQEUeNXP6mQW6PRuOjAz3OurJfrw3emT8iMFWY4vt39dtdKUBIYKu/cRRQrZ51lWTDOgQWNUCoEe3geIPtGmpN/z0kw8yjoGkS5lAUXvWsgAoiYJx3BtJ5JbiZsxCb1xoPtXa7pqPY+mEc/zgrmfL6wK3PHP5T9j9dHMWuia28VOwbs9rLiwWp/1j/au0uAAl9WUHmdX7kJmNZJG0Hz1vjS6WjMcKFxxljaSuUnLFkTXnLjYIDzkJtQqxvMIezZglbsuajHVfqW70wpWxV9yASTvUDSfL3ZVoagJELm864pNRepI8XLegvJPc3dXUoyeBQzwC2tvozEe0c6gJysGBUYwLvv7RduB3RDHf5jigRpZt8ErpEfScWLQXX5uzn4xiv/LNA2rBQxnFIwoDIfjOT11Q9KhMfKsvHFaFzQR4EjxCeCo4aUy5NAhVUDQyYBOhxf81ZNzKc/Ea/RMUlnje0k55LW0zZukF/ZKDBA21SEjXaS3KmwApOwIZ3hb6Zhd9jvfBTpWT5cbVLxpni/LXBtZJ2MaB6jvGhmLwlMhRqmM6VGBzNpk17odfHlHYH/sgtohqdx+NM6D+lUTL4KIBx/GEH8thHEnBEkikVS54sCK07la2IpbC5StTAhIq9cNFN86SFKJNlcG/0heHXWi/dXYpBGZ7l/rTtR7uv3N34ffodh+rBSts07w+tcVbob5DRi5jEYfFCUqIbEDxLuPAQQwa1527bsxYvQyYZegUevWiNtTi3JB0XkHpAS/wfbrjKnDsIv9qsWvF+94ftotnnqyShOAHWsE1bQvNXeCYf+89Kv9jmOWNGRBZfGiaUyrL/4EcnHCotbeXjEKthk3AZXpb2NXWNN4LtNNDJM5z81SvgkH9duItsV0YCI/ZCBm1NJyFmbxHX21ghJoHLUbYIK9AFAzcvzpYVT8aBZb3WyNWtFMoO92A5ns6Qbz52heXoY0am5L/9NnK+2w0gFeFMFOSqkc37Y6yDfHOkPImLjGz4zVDtT5QGIj6pY9ud2eyKqGjny5ZdbgH40oqyHrxg6RMO97t0x9pk26Cb/ihP2vW2R9v9pVAA0zizTaN/kKs9NQG0vud+i93FmFIpuQBWYuWfXmmVhyntO1TDe3PshRlN1UcnO7V/LJvQwyVch+vUuRjmBQNgmYp4BKKfSTOfe+om2g2bDDkDrqgmvrkNKVHOEbY/61RTP0wKj06PGp9+mYzjXlD88kKkftQiSKYM5ojKWMEvHGblbE/QASejIj3bCK3BF1/j+t3+tv5uz7+kZXJAkMScTDjyXA4Yq6+oxJo1BRTKPw989wDLmEZDJ5DIhYNxNdkWdhHnqHNfbKlsYrrskLTmitZgl4dQKaklMfYmNYnfRkDbojUo2sQwEVW4V9lrQ9Bw7vQd7QftIpyWmJCbNM56erLBK/OiDoAm5+5tRTvQpXiXYdhbm1DHZjHlaKMuFfgyRh5VrNxRLWeai3PL2iZRxUBV515uNW9g6ko3Ea3BdV/KE4HpD91BICogZP3EgXgSqOut4kPw8NbIr6PQLjMHMmZCnBLxq9lWMz7AYVEYYjVsXggM3ASrcrFK8M/QI78SQKiY5ecjT0JFL9jL8x0q8KBdWySCpkkGlKYfzvQkrvIU+SvwTguchIMC112AkfhhhL++89tasclrLNBfQ/WIr2gFR4kjwRyckS208UJbacIDsSZgUUqARTaQsquCs+7FqdbGjDP9YeVpsxQnodX6NKCny20dyiClMIceCCHakvZeiYeG2uQ7bePK6U/vQjezYQChDGW+h+uHGVZJoHPJJ2Cy89E/A2VXPRFJoN9KIrYf9sxfJAjHnwWfa3NvUP7PbcJUqUsOv3pVm79zkB7EbIpF8Dz60DMxqU2IIEIbeJkXWUa9VVIIYTWQva9RreRId5fDGfZajnedupskIFug3ah72iuuGqpNiK44vubf/M9Jl5adkW/aD8jVV6QeOXI0OysuG6rpMkaXVDBMEuL2um2k32GgeUbdQ330Ic8cP6SWjkpK5Ty+bU5O5aq/cjsxPxxs8Az/+aTBsfP0Z0ycbRJyduS3cI6jVMtdY7bSwmaVtl6d+37vkuvD7C7mLgbL6ppvYmtt+o8gqACwwgAMVcYvMKqWlIKoDUB4ZPs8K2UQOJ+//qSbpavtmAhEN2WG8NdGbUzWN+1CMF1+Y/f9ctUwd0G9XBRK535qZNg66fnVdw7rlV1AS408pSitudascIX2Mq8fXhDobZIscOzDhmWIAsmYv8t0eZxAEfLPHU6p6uIPSsUfhLPEA8qmSi6J95AIRklp02pmd+BGIDQZlKcKtfuequObwuBDeNhjhHhenkgo09LqzOXLUqyjn+tkAAChwXNxcxMD5aBoKl2m1BCbcmAfqC3rOjakLzJICyvwJMkpefQRwwmdllJDkHKQqJcwZwajfLJcmUgDhSLfl2eVkg//uNrmwr5/anakMlupQOOYQOenMM9zyCDwv7H+spOpO8F958w01x2AXUOlOLbgjwvgBqdeqedIoN0GHQE1lGgEqDvBbYfcod2KMZXElcujx+8N3cJk+jibhLk+9g7pVKWYX2MR4g418aAB/mIV7V1QotwhohtgiYVFMEEXJimKEL0yWbXuNGqoi8UmNtqoGGfVhWOuarwFzIIXEZ04ooxMwExcZc0o6xpXViEM/RO4xCPe8S41kVONnf8DblGvKAdDWGfDZ8gk6bAjFDHXGqFucMSC/tF9VqIIRiy4P2pI/ArpQbHu9eT/poye55Kwt/WR/iz/inDO4mIXAzScHg46Bkj/Q1dCSxdSV3TL09DgUZQ62gnqTdqppU9YDjW6Go9I3qi0bTuSz0gT8BAcifjJ8TVsNZoIY4MXwFkSm3tY4HDuQMgIQoIZ7EFzWWyIolmnmHcUNqFwS6YCgZdNFVdwPX6J+rLxNX3d4Kx9Syskow4zXNW4J0ItbmvCWPBTiYEYs+Z3RVbKIC9JPqtxVIT6DCIyWbha3f87itmeoLthsFceVC3keKmQ1ZWUY2HziD+boDmKZZoE4zgT1JILBVPNCsId/3SZ/tIepplMVzdkFFEJmsDdF8C/sjhhk88mYt7rgjcGMHRxV/oM2KpSNFVXfEr4dbDkqwtRj5Z6dpk3AuVoqigGlggnwDWCJqQr0Ow2BfvH9H+slOW1F2K83PMsLzoSgHpPVmKJ/MXfKbOMGZmZ8iG2jbf2dDTMIHf4PDX9DgPbj+qf1KlEOJPOZvVhAiIUhWuDA+aKBXI/+Q2haSqJC+ayiJYHM9HaZ1dVRx0nRhv/DYFCc5BUREY2U4xPnNOJjp/WYuZkG4QmUTfMiHOkRFMUN/+qKL5luwX42cmIuhXhASiLU30Zce3ycHopexx5/TA/cErmVavqcbhAZkxiaumb4gUkeFKEqKUyu+sgrlfe/66X/j/2jNsCqaBzFKC5tUtz2qC/sznhuH15mNlo3CE1C0yN0vl5RxT4uej+wdS/AeqcVStJyB8Gnnm68umTC9aKPlyUslEb4WuwQUrBkTdHHF89+2pnPN8EzvllduPRRsnLFlEsw2bB3anjR5Y0YInk2GbSEfLx7CIvKuH5T1COaan0M2VBhgHfKTZRrzpwges7xPxrIkWhl/t/SY6uXBPHcM4OQWu5xPf7DRdqWOW6StsUeHaXtTZNkOEvbH6tBstFOrizpfkVtA9t+Dts+hiUiW+Mo9gqyyxxlwpdatDDHNBM/9TnysU7i8x1Upg+uRntDEWzO7ZTfUv0mqjTNWfrAz1mJIl70epW9BPGdhhSNbjkWzGYmS1POXRnk4vsfzU58zdqvYjEs5ERR3syVM4GV5NTDkO995LGGFfRi6Ie0EE0GQZu/RMoagTP37g6Z2tZjvpwDNPe5yPIdb2yEhSG4yloNoBVqdduQTsmEPQsIYWHUfHOkDb1ogBTO4K8gDQw9Dc5AQYL80CobNDf1OYEyL+KP3UJkOYUskhROKupmVixpkjBpE2oL3IBSXWDvLx3meVdoyJHu2irAwzqXYkC0211wp4hobg+GftxjPDNhPcDPqQFNwvZ8BiRH++McqulPfva9rIsAVUGWAldpvV6+Hwly5b0Ft9CBxlUU4xHlYcEtAh7/ytNw0oVctDGG3AiJ1fd/rJFjy5JpjVmTKOnX3yRNmTUAYgpF5gWmMe2OOmNUB7JeEVpwTaC4JHBdkluFJ0WWngJwmYwt2inF5ANWdFr6BkpL7/jnCA5WaZHjTeIlZkAmX10fcITqAYMx4TPDGrC47agdrKN31BcS7wO/rq4lqrwJZZVQGYz55Icb17cxhjV2UWsOyne8fLIfgyh+vcXYW9gniFzUysilH/BqDV96v+rhxij0OYHzDhSo1ZGUK1HcmWPQuOfCH9i4gqvEsm0Nrzana4vEY3IPPr3vXPXtmqH9OKOSVM44UdGGJgQolBiBRQqWaXhlUzBPq2uzhkgd58kkNFx0QHy1IifwIol/jyoTpPSe+x10CTqFnhrIpQg/qdRGmTI9dHr4OAtJtcfKmS7Dxr+C+BQcNJElSJ+fWMt1LqtYd0eontYm/irHGoVSNP60wGaifrYiO5lwkPiw+jpyGEguSpGGf3gVTWrNU5OUGiY7ghYROdb4ssbzdLshhFed6fh33Dvt9R/6mr+RfzHT2fkiPc+hs86zwOM+500wGxNgRPK6keXdtZh9b8efRJxQkDZKYWusIDdAfAKp1+aGryD4e5ZEuRXXnrHmsSkPvKndmUUmZiUnPqH4lAOjV7xptwtFFk+4drU0SrM1LHo1FBRo4uUDD49rIF8kfpU0Blmfjeaf4iacu+1nCrykSi00E6OwG+pugYkNSqr272+x9Zi/0oM6j2/8twcVJP6cQBN8cArXkwoyc/P9EhcTgLxW5mgkN/K2RGLJDir8EGIk5mzYwzvBM7cfLMGWoqezcTSESNykwzWSeq9zKsSBnVcgmRUjAewJz0BSDNHh94s9ohGgc7iqYYiOj8rwdUpN6QVVbUqXVK2DBzMdZWaJYtxUYU+lirTH3p21j3lCMCX41WMeK3lJn4fKRKzo0K4Tz+AVe3z89sAEg7VIfTpzcFpgsPdT0TNFDluUFwP6lerz+7fgCqgmNnk/JztdyLWrnGmzjJnm2CU6ynp+EB7zrcL7adzliF761dlUHSXw5cx18e0Js60Xq9dNOFonkUhmwpIWwg8XU/NWkKx9o2PkJUm5/KcV96sJjmZJDBxX0ZEiIUMhGW/uJukj2Pc1Vhh/rkydMI02OQhl410gEyer6oJ5ALP1H5xBJQO5FxAijLJDh+fYr/mn6PsJhoQ2TLhXSqAZ10I2g0D4sICJ6GW2/v4ie7vd1SARLtDFSEiSanX56j48jD7UnRflGCG8WzT1hj2kPpfdhPz2rEKvS1L2Jfc7W1Z7Mr6krpZpAniOtjpz4Y9kLwc4ARtWBpIIwuu67hzFodJH9E5UWTTV62P2tUgP2s+RRqa55Vz7V8UuZ0RRv6wWOqGxG+Pz0Ct2a1fFBvA652kTmHjnB1mhA7qxt5xw3izrxA4zalkroJwzJwrwNxzBnW8cAsN+MgDQUyZNL8npPRBxOCXyR0MFqeChbajNQq+/UX8uMnU/V4Cd4SIwXsbwQ+9/tGz0/5UYR0twIj4r7MGZIjUcdL9y6GTi2hBp+meIWyWmfsHRBiuIfL9yOxvJNUNFUKSRAa4gUjcyaW+Il96zH6lup3YfcwjOdi5LWVvK5m4Bxi8UqMpbvZE8rcfh6xVAaNQgoq6OG47e/RaSmSnJlR8UHocRduHzvdzdmZsfCzOEy/kL98pfo6milZm1rZloJafmhd8ZLrK8mtZJRQEXSkNP0/+QP2DeOaQR7vKsuCrVMK/FrcefTY5KiFeMS43Emg80nLa+dqWeSF4wFCQ2RAvY3TOpw0QuycGiH+601T1FbgKbyG5hq8hr+Lx/yjRb9DevfoSdMPXAyBnF7IyejjmodXVlBO2NYNoG83ivJSsW0ThodGK5ck3pYnY3dbKZpY6wOXupsu7EnzNkwFGQeBuDgi8oEpQUstSTZPPFNpFt2OhdayysdhTFJ4LNGJv0276S/Dp9hT1S6nZrnJEk3bfCmnjh4mSmbDhDX/2osoLvE7mGHz57+SJLkChZ6Vkm/XewqvOjRd7DVl+mnDt1Dr2rVNl3sAt4DxBY7ylFc5UoQgJJXanDFJWlDSMYtU0PBqLsSBIANJkIyn6k9xKnsLDdatW4gb8HtHcu0aWNHOmEv+RViP1Sxk22JoOwcfMYopqGzmVOGCIZnYecLBI5Vcdeu2uCSOXxWhvUGo6YVd2Bs+tD+bH4bRlbUh0WdWd/p4WUrIcb40zOblofVwaLppHhZeN9MSNu3hQR7n3w5t4VLcUgUIENx44XG2Be0exAsNSvIVXc8BdEmTjRMojfpThYHh4m2d+ECMnpCxNOGiKs26MaWh2wU9GY9NuiODw9RYZqUkHwZJAutIfcRiXLv8GvdHdrnrfBu/sI4G5Q5N5+RaGiEw3JHvH0PbunkzXx6+P3h6//7h8UpKUsZ/rnNn5S862cFqmGJkxr72OJPPEY27ktgsX7XVEHzapEsAVidcz3q5aOzlWyZGgLuG6SG/zmeyCxsjulbOKGhUoZe1kv2mmuqFKQCI/tOw6YyGpnRFWNd0GFbNAwFSez6TIOTrxA0/gcp0nX44JQ/yTMw5IuEEqvMSzbXaegPkGzhsbpHQIYVgQ5rbeKkV27yR8ruJzw8Y1o8dbN9ukfXQ7yFotekjgQFfo0dmQVvnDLA7UiYyCWKA3MAtkmTd3OCWyvAc59V0ZvdhVHsTMXHQq3e/hVDXJvJf47EXDgmSnMFCBrBYhOlBM9zwyv25Q8r6kjOkMoudZYFj/ldcx4GSVXlDtqr0ZeNOOgRSnOFx1F4Fg2UY3jjeDe7nQ8HcFINfFj5mJ48QLR1mwlLZTeT0ERIYVxa/B/g65C/ZEa5N05jXKKyLwL9FqbRQprEyxi4gN2DfPO1h+jkd25Om4MoXnTwQkoyalBwhGlnRwE3C3QtZMYHCL5dMcYWrXCljAX+nmXpwkKaNEewSBCFbcjrDH+oGyoeYzzVxBwOoIPVCitlPiPhy05O4hPwjGAJOp9I6pucrZeNp+akI6tIYPFtlPdN23V0sTuL3X2hACX1ENzMpOFN2n9cJCDnJBgsKcflSqBnrnMRgIWZgjarYWiSPsXFP3Qk/WHrOtEzsqD8/L98O9/9X/4HwUamQsVem2JtGgiD7GSTVrsCF6Qr54gBdkEqkUqFFBvEineV2u1n3niHXYPwl2Au1cCQmPnCIX6LdvHPxlLcGXfBJw1pqI/m6k5B2mi2hgU1aIyO0ff2emxH8qWatT0uPp+BU07SB1wcGL/va6VlzTFvD3rbvTP5m7ogUhnDtTiao2cgm4ggwhmIOfmvQsEC4jLBWqQRt87EXzB88p1MBvVTaOnwz8R1nhiB5r6d9qroQchQigjeXwtunU/90FPsHI3KPkZr75PfjXuvpXPQgSij8iPbzxljnqDBglyeqwE1SNEnSYiBDFO7UqptZhknjAK6yR40b6/XG083ciaNyynQfczT9u4SbTy8MBAUhzZ6bfKIxbuAZf17dIeemEb7QdkX1YEj6ZEGcobR82s/NLgdSfvXLmnAfV+1an9XSA5q+bGanh97auA5xAMicvqFc7Ymdve5aJDLC4r7BYME2mFWyPpJ2EM9dQiC8ulu1HBdBrij7GFGVrr+A2bCWu0xVnilc4doa6xeeezaex4UKXv9OtKNI9ucnkrtR/GhFSnYlBP4oXBfxj1HgDBgd2yui6FBFL8fYYzihGLgGlm8Oi99TG4nHAvKf9vHkc9oNGvIsOVPaWwKGRzW0fK/t5of+vc5TFKUIXwK2DysNV/0/4wdDk11xzKvD6U0Jx10ZQW/TvKE4M0BYocGCkxILSSGnjJ087JJDwaG7BcFZj88W8HkApheYUJqo3A1PHBf2YQXe7NN5rSq1HBsvqeJuHzLN4YCN1eupmFJBOa5AEEc/ycqGXLY3Dulf8X4/dSjJe6hDTU02ZiC1xdS4X8YOJyxfZCPpKWxhSKnC7ykr4XzFFeIs6PsOwZXJcLLO99uh2ETbxytZhfGuteVEVTUkRVuVR95UJN7jrAzy9E+q+hp5mrhlBhAXYO2PLxN3gKXqdPw9kaHwZWpZUgIqSzxBDgjQN7w5qXAdwa4+DY6XpTlTp50aYzi7SFQNSckptbsqnixLnAJzLvJ3EUi5ZX+z/ucpiudCtxFmnwLoxS1ljCKJUZCfsqAxOGtkgY6sJDjz5pJ5U6XyYhRAisiHEcmg2c2gnQWE9vcSyF2BTAYIhRS6abjgRd9pK7hz+4bL4CA6Uw0lvKB4oslI5gPUguRKpTVecPnvcpk95yudnG4IRh0hf79+FlvfVx/P5wbKA0ovZC951BRNjU+8RZS1/y46/ElrYAV9d1Uomq52cTQ2JWhPCFgSWjjM9ljd5CVHantRD1zvLlQ97J+ucVcEwMnwsJZKrk3BXoJ9AHSsFFxLjObht4ats6PZ0vHNXLYVJNkk01n5myPXPVPKAe+2LyJraoLx3FR1Wuhg6qwnRy3fkFtnbmfN9beN2Bw6qFG+pGEmp9HntcDSNCpw0/02eTlPySkVjIrqakmqU33YiVQFrohP7FC3ppeWfnp/9Y0zjowuSHBaPopdeSyPu1aFUAEaBEF4sXuBV8suFQ1cDw4Oc0DsfW2CZK9otbt2VaHM3BqePTvoM6SdaKsv7wHpZSWnPiY8AfihAQ6EoFg7U68PpcaEpFOVTPmmafRFTDrYx4goMHOhHH7hubYt6IiLB8BeUhH0C/5RctWMy3+LdvlM9t8+d4csHkGL79MB7hVrMtQ8tncq8Baxmo2RrPysq/McU4/VLDn9QZjYh76J9F1zzNurtbhGtLvecM/NAwePEF9DVULfZwKlULCqzgOc11u7MjbQcSdhyCDHhNvUOMtD2CmVtc03F9hi96ToH/S4asZokbI3Rq3Ao/FcXz/0cg86l7C5MqyGo0NYGPfQcnG55gpy3LWaN1QlPIz9fLHYuOtzcT3nlLNPXkPkIUwoJoyX5ULbDeeWuo0slF7bLm6g0FdCFrjuQDm/WVyng+sX3THwxmSbwAIlNUw5vTxU0rUJ7MCRNU3A8x1dTMSO6KwnxcK5DQXsynxwMYpyfu5qtFfdDlmx1OOCB94bmL9S6wR75naslC8CqGb4WZorbf+JQghejsVy7RXqZvbWhpNACCQxNp84HNEBwuf53xXmhs5dDaJV+F6LzaN24jMF+solDBYXwhw+YI0huXYUoetsqNOFcllEJTxGWZeIUstAuqljEZ2uSqBqyjjQRwMN0+/i5pPHQEFkbxA22bAUpXdODoblkUHpzO+Z1Lk2a6cnMMGncsvx9XX5G1BjU+4x1z5Zx45Z+ZRO+IJMRNbM470jPv7sMKkAvVuWEp0IKoyoyfHwwdRC0mdvQsCQNiwbvd6syk9L1WDjItdmhJv9SnxvW+cliNDb4cXx3baqj2brMHn/kmtjXvV72Z2IeV4cEIPipiCWhAg1KVIHWYJdEuiLXI5FunNULo8K8cAxCC73aJ5C8RYMUSen+XlOptllkXBY1ctLM4mTBhCst8rSPD9nqgqjS0hQJfgWEDaRYNUOoF8Qlalx5MgG+JT3t9l1B2pWAY38UtFFCCZ4A/WTczXF5lO7F/+0/Pu63seAZWbJcviXJ7CKPWgI5kw4EilPqMlksd22gQomME0GIhWVOVNa+ZE74RJg6tUAiBj+I8oBaokI8RvgfvQuXFgirUuvO+ciP4VKLZLC4GVEdMIdUxYd53IZqS6Munc+TfMTEC37ny9ortMJgZjp/GmeSXG2hQ/JtHSSLDXMdV7g0U9fmAnvcynjPmdBDuwOSGM0PZNV4SJWHMJS1mTJh0asaWGqRlhet8WeO0XRUDaIn2pmnOd5oV1qi0jV5W2gREFlhZa6e2OF+v7iSZzeJ/gaYyJ3rmm2kqykqy89wkiWEo6WWBJhT7pWPgbDfOLfMUBHUWT/Fx/3p3vo3l9Ao+AMXgUcOd2EAdxy9kDkHM7UCa3BEMDuKfBcx1HxMWIQ4ta3o1fC5JAH8btidTjEWUCycNW9UsP9ZbvXrGqSeFDpjii9rbkauEuq8nOGvvsBZfGsmUJZY8AvzxoUkMP+GAQIGjWCo3EW9a7CelcuKCD10Dl86qLrhz0VvvzgSHQ0zynKBwStsfGmo6St/xj+qIPynu1TEplpoKLDOsVvFKhRVJRCs3bNOPBqo3JR0LrCNqwRZcm+5/NKCJxnyICaLWL3wNeoAXC2cf5uqEaW6oQgVbNa7+pkhIdAreJSEYJ6pS0oxl83NTcbRIQzl3ZKm2UOw/8EwsD8K6L4oLvWN3OcTxmMIsENg9HiRKohkkXwUKIbP6ADhbvXu4PVUpBeof2I69h4fRyFpmZUVvpSGc4QRe1dGW/eDDbvbjv/tHZI1+uaPCLRatusbWIYl32wCkbxk++rsjH+4gzoR5S89QyZSyv49181i9CnXW+1pqkdoIBxtaPgzb0yyyTSCUs6KSqYtZcgN1gHlKVFJTu3yZ25oQZES0Jc/J3e+THAFLmqaZvdL7j714hshbleK1qS9rWc1gtyg7E07h7ub7azfZcnitiRVQQb03NMFf3Kh/jqwlnAmUdz5MfJn/IW4pa4y8LAebwDRsmZuaUFah0KsVFIPdUaVGbl+XJBAOSnqu9ktVNLQeh0P5OOXBEXMqOJCdfR5H79YCWXAmBHiVApu/liVKE+IoYYbOu1ae8IyepytXOHB/ud44tGsl2jD0yfe5G6WKMAXTekJtoXgJpjH19hqqzL3nSXBaus5haGn0eBc3d5d4tEihJeEqWKC+r7HRIEW3IT8UYgZk8bhMxX17YMFepI7wBNauc1y1qG3RpmrNcDbNSiCCVJzlnyPr+rBpksIuJuxIeTf9c3e6SX5yiUb0ZUHVCEaGXnkwx4299NvQaupz26/cVxUDDdEalUvUmS+Xt0eryLp7RKcIDdRN7L+kzePEK8GrQ8e9W6Q/DXO+g2WrzpzmsRfDeGQ86gJz5WFKlytqnwXBp56OrIwAHvPSArl28nlUV0P7lq39ym1vX1PPXAIhoa76FgQmwKX8sJbp7o+MEMlowUp9Mnt4/5aG7z/+inGZUvP5gWdc3gnjJ1im8ERPTVR1VRrr0Mftnh9EWPVLEBpWCSB+yBbUbzsS1tNhNgm6IZwbRrZhYuF5T1Rl45G6NU59z59LpnpOqBVhAPxQzvnhYyl2Mm9LSHOjMsLdhik5TINC0dYQYuYkIEGICaU+jZbYcZ6vdNmk7FQoxpXzde50SdQX0aRHQwN00CbKCxAIHekv6+S3ASYeSbVlPQt6Tq0HNDy0Mv3CJr+Fkq/RGJAFn2NgVJITIZLtUNDN/yOGlf8z/0hZlEvykZmXRLO5IzYHuf5WKYxOcmRzPqMlnVqlMhswxOeHb1IS1Z2W9qoIseqepKFwdW3vm4IWQ6k8iy6MqJeBimSKWL0UIwSKJsI7ZEpfxXAbVUkipMqQkK241m2jvRhPD4X/A3uPD8PXwgR0N54/iCCd9a20FOaNkPwvmT8u2RQ7lXVeehW6W74fRZrM8iy50mcSm0Q99aWowxXAynNJehZM2eJZAOvUf9CUlEPvZC9+NPqW235nWneu68bG6x4wptg3ERQrSTt91AwiznVE77FqdZXafrU/VZ7c+Vrc1DWBA7NM/UeRuTKHXivsWgPrz1cRgMtGoJTxxNzpKi6vH9FGt9LsIVg0ZSqc2Sad07MVi+ZBq+2FpbGHV/LxNANrVI5GJw4XFY0udilZOkPq62L5ndW2woZiV8CeBuMP52VSAOGqDzVUWmbPYk0AVpf/Lpq93Mh4x62ooUJcMQS1RpfiF1eaHDLSkvFzsiW6DkKNqZOEEfr1cX1Wn8A2KnNbs+OG/oHftkwJoJ5mQd57+83Fffvpkj6OHyNTOl6XBmW6dhnCAbAio2e504Ru7crVOVCP6pLRVdRT8Lq3ohoy40rIm5lrMgljrYYGMhsqKV2SmxghYexQqouVos5FRaCOjeO90lVaWtwDxaDPXMUb03rme00CuWTDgK7RHBW9GQ+RoCfhyW3BmynMUMd/WSS6kiV2SNsf1DpNY5k2JALvQgyVJookW2r5+VvONpIZlLWiDWiClbUarCkumUtwm8krQZKt3thO+Qq92yKTNgLL9/IOmsSVNbaDu9cblRILRMxxIgYS39Z9MHGgjjCx3/Ce3VHcCJTmZjJNZFkw8tsf3CQvmnQR/y4vBMOoCWcug0if29lQnDkFpzbFlcHKS5650JH4nSPndMoLTdbKsbFVHU5TU8W9HVQoivVLJH5F3v9C1Stgb4LW8OPWZHH0JkfvVldr46TbzNvB8tDvEAp144B+fPiWQw111KWjQ0qBNMC+SYQeKGLtzvXhrbbJQURBrARlrWAqwZL1Fb4UmeSBQSZhsM47d03zfhVKMi9+EI3AEbLCS5+aB+a5rlWlio1zeVTOQXAS9SthzJXsRLGAX90beeS7jZVpwmqiFTzT5qypLEZl1fmKTd84HGhTasq5ok6wpzAFk6itICNXvHb4aAC393k05yNErPfEPRVXU9PcPelKNwmp8UGO9i0Hgmidu3Y96nfCaVxNmEQ/EuNt5XG6IjIXfTQUOWwzlGfYC4rhx36EQFNyXPi9PAWPe2s7+XpjFOvC4D57KfRsQYNVR+qkB+K+3GDxIHmfc53dG75zdr9wE+w1DSQOl2h7Y34nmXHqTnNXDKoAHwwKa9ldO/nLLG6E+onIWJ+eXKQ/Q97m8fKSDSmuiyITvxLv5JGfSwIti8G6LY9nLzYiL7AAMJCSIxu2pw3ugcloXf2QE6CbSmGZzOUyhKILvODPiQ0NXzWzTk8vYvNnGmemCzRQb1l+Y6qGi5ekSB37kWllBuRbqUehg502GV68FvL7SS7+OHIk903RLMmRTA9NBAEObC4IbHx6Yjf6g/QCCBNklTzNwtMcb+uIUnvPtoK/RWw8rYzJ/w7plbnRwRq9b3aCcM2Q8ER1aHuhbpUDwoxDiWjKnEjmCYxBtiuZcAOgzQOs/fmemq22NKcmLwnXlsO3bFyH0nam2MXD7FMQTydySvivdhqkgnQbcm6S3zmxPt/5BfaraSPnbcvZeovyJdw5vK7kXhJgscOtroa8zRE8Zc59zDNlAbpHQgYNd+LARvPX5+L5K8/U8TEaYAKihojc16S106PzsUy/G5L1kDwY12qP3yeSgeDKSMqh1U5NKRse/u2Ve5Y2jX/qZbgTOIsQ/SVrLReFYrC77YKIcH0gPkGG+0Wt4+M8MxuGfvhzhiXv0MsDlZdg/9GWy226DRrribN8U8KsKoKECWqyyIj8tm5nkfGze91hKoOvRkKWa23oIYAw/APc9m/ASilHMgFvPKs5nXszXBAiM4orcSPr2qH64IOqhjngksj8HvWCVSByBZ5tG2uMBMsfUobIjZS69zHQRuGbKOvDbKSZNM0g8LCyRLCj/DZYbaZMAOg3dOqAv8my1vAiVI9RolgyulZw8xeup5rTQfG5RH3SQDuwL8br9BS8bxD5vF1mZskJxz3tQP3yyMThIRdepuPc0Iff5pARjnsO6GBARCrtqqVi6GmSxHiH4mkCYx/eny0bHvmBCAVAiM6irt6B8gNVXPeN/fBIjU6GMZ7fuS4lC6jBulXY8AmoMG1vOPHExHZpLFIIcoC9s4f9yapxnGRQ3JQCec6cZD6NCw9tv9CpkiSYRXH7mY/ObNMOmorlX5VbvrsHaDIcWQ/H1fOn4WjlWd7mN/1qwqqB/2KaJqbC6lQ86IWuWXnFDxOtA8wg9CncP3IVPH4WiBMauf8hcStS3BsdBprP819jDUzXTmTfE/+ASubUZKZXsirJ7OBljpyDceY5RA5pKjU7X5VfeKMpku/yzHOWHLr3c7gHUPBC3ljm1q8E2ZhCffqUyM2WxOwAz4pCVzSzQ9681V52K6kKAx8e/OLhwYdiqZrjf22CStsfquVhMohzo7xuhY90qw82uP2/dcw/TdYvrxaoFGNy5oixR21aNfqNPaFMizSAo+FLg+E0nB0Ge4GNILpEYQYODnbWR7EXBDejTa0dwKqmV/5O676V0OirMA4GDUUYlDwtpqeQRrUY7fSImdk89a7Lk+Z88fH8de8MzzLb5Gc0dG/NnKSGsH/vxNX3MrOjfL7xwlnMc8f0fd78+TgwaC9X1TFKrWe6AmevkQ/ST6Xak9nbjvYecGn5grwYQWR1JzBboGf0ebAyo8BZuyU0qQfZCWD11Ifky7yeXrBrtoKUGsh/WAmMY5F1dzM3aQvUgsEFonOkRrqpScbvwz05S71U11te9LmQtEwtRMCnjjdTI/zHKj9R7DXTgBKosTp/wM40gL1PPAn8WX5PZbouDcuo78wjnfErlR8LOxlnVcSzSwdVAUesuSqZp1T44RxXf+g/2+P5dB/2npiSCoM2h7Dj1LsY9d/2hpPAXT7Qa+/0GH0JZwEO1Aaa61GvDXuYwDhz4TTdRmbiwOyfjyZXD7eHGk/VYkoawqrJuyakz4Q4YFiPJL+sSYT430R7Td7/y4El66px7ewhZTuuqY0A9YhYWnLGNLVR0ucaUhWlx2UzG/41Y34SHliN2Sh8k+tsKwF0asJdYQVFEsh4QGjIlh7S9thdPw57nqy8/OrS5P6M01JWkXHdEbTHy+ztk/CLRriWtbr7wmyQX/6VuAndoBfFJOwlX5ixq70/8pDHa8Vux9GU2uoRAT5w4xtvKplTN46zSpvE/oFYLa94iTd74dksVftDPi2O1wgbL7+ztYbv8acwthgRk9h5ogVgLyPRizhGNAgHHg2Po28FlcIYuEuOWK1Zt/hVUe9I2EJ/32TC7dZqc23pwW/kkxrRS7ns4+jVxyJI2IKF22lZsQOnUGgybg3ATLr1Oe6YxgXYS4mEMvof2jFJgjZPIpfZWp7tHIbUjVOVWlD4PGD49f8u/ngQyre8wGJO03SOtKtGafsT8+qvQptzuOPtBqy5kKlWFKxSk2GHVoec6p/im1/XkgTK7cn4h6F5+CqxGPadYB7HRs8fCmlpGgdzWMSAiTDwMAozL4IIGoL1364SvxNKBhYlzOeS8cnAIaa6oqXCmyWLKmmKI05Ho9BHSIHqO21depsgLCsg8RukAESjYoL+4qHuO4u1nMR61Fmc+hTDlatYyFFv85/xWyMw0F3+sF+9Y/0G8UySSLsuXzNEGUlDbtVpUucr4lcWHM1OjwtSiVJrb+m9XDGLsPrK7eD4apS1f91/YxSQTCVHwDsDKHVxhgRPFbO3nn9nSrAf+kmPYWFR3H6ZxximADNH2AyP0OR6Iw35d46sRsnomr2EF8aJzCQgGeNiOzTfAUYRGwz6dFAsmXBImMSJVMEnCdQAAEejgcg81ffmVOJouI1Wdir+8DQTFJ3RomZR96WMtDtg2uu2iWgJdys2Rd5XfouyhpykgzMBjTTiZXDH+OeGTnZUeQX34kzw4kPcS5W/PeyHjq55c0m73laDZRbsUVNp7FdL848Q2cMQYx2vflkvHw/qw0Z7V+fqXphc3t4ml9edbiLKYsAbnXniezSHpxvb9uMBC8DkRAf14+jbk8hEUZa0c39kzTedqTWsS7sYdK/WBGQEAePAJmTjxjgHUzuZxHZsNuQI3TUTlT45+TJF7WlIL5/FEd5n08eNfM+12k+PE2ReGQfxWQzq5Luirx+JpGbUiORe5dtqH4y1sQSCbVf4ZoPCBicRatnL+3pnXjL4UwSGkDH84aTWD1tTdoZ9L4nU97xDxihOTiqxVdsFgXL7Vcps/PypE1UGgYvKz0AoouEUSz8pZIw7F104mjxlzouhvlcVY9FGnsuib34BmrKTYZ5W2+Vgqvg+SeQodqBp6ZY7BAwKW5pSvGzw/q8abgaH630MPZjz6V34q4sDLhHHN9QWzNTLt82IBpMWio+x9UDmgFdUa1eB0PC2qPwWVw5hjAhLoJUoV3kExCVwK2c7ufjFmNO5NgO32Ci7JNJcmTFrtw1KgFbY/eIGnBxvGbqttJqtkir4GfTeFLsv8YJcH/IPaI9/j9vjL5eDX9yWImXwKwMW57BuZzj0pS498n2RidJMbrJJrUFPptfWxQAsbs7prqwWhoQjEHYe2oevG/8bTGfhXTYYDASsfVqBmzxI++Q6TR43gAkl2bqrVqTXzlaabomvaakf7M7lUqm9QeLONPojFKMeFcUNygTiLzMvX9RJjX3HReZo/afnT/e7nErruiCSx1GNOaPud/L6uMWOmM3edBMY/4TerR2MajExlpIhFh31ZSXF6k4FY2T648AXTiGDSdfK8buuB0xNKSE2PWLbyJpXhbyVo1qtooJlX3+euzgCTvMlSv6qA6hmTy4XgEKhPcg8zmLnkDFsyevjZd4/vyT6kOzWoOo2yXCIj62TiyANQOH1Qi/xVPw+fP+pnQDa+DEixFVoVjK4rSUpG+UK9sDllpjSgoB25Z1MNSGIixXij4IjG21K7wwTv0g1IQcJAAY7dFzeGF8mZCuaCXC/HzhLw6Im1gVFciwGCBXgQzugmHcA5RZJEyjlyTySzo+BmqyR2EQXfw7GIZ6wRW0sCF4SJNifsD71QodjW9hNx3V5FN/VlrZB08//ej5gGTqNnb413sgmhqanpU/E1kcjVmNKkTk6J5c3nR+FvROtBMP+Ybeug7YVDLRVjMkm89Ry1sc8Von/qxYebq+pOq8NbyM30FLgKARt2KRoI2RjWNmPxD9yQkZTJpnOQjZi18nzOjfBE8xpSPV9E/Jm1by9kAd9oF345Gf/4oUnambMWgKIsVxBQa8CAfe+1sY6Ot7enk/ouTUrexB9LtOkRj9+Aw2PfMRF7ElzuWjyXudU+NXhL+udVhR6bFVmOikgEKJt+OG0d5IkRteKbDhlj5tfVq2dTH2ifjWL4jC2xrH5svvnCibDJhK3vUyvCMALIUV+132NYVXH/DxuSjY4RYXrTJ+/U65dzVfnk5f1NrqJSxn65En0c+qGn3JgZuJ33SiTD5O+7+T/yzRmmeXNPON4a0uZamYk2gD99avuvNEU1+ejFFZ4RhZptJma8Pdx3SmLLPq0XryE2fRR2t7yi2IVYpac4yr8Q97cy2WjHU/dQPfoLGsqzoUcXxj/PRBFepRgHk/yek1cyJHyoswOZ1FsHv2BaOzzGCNIm7Snq/Xi3vlxR33JxdMMHZ2HjumpqQ4CmPQaQ7sZtkcS5ggo/izJu1SejDPlMgz94pG/mgDW+pqa5WzkYSw03wN64nOBoSiglqtWsrEe/4x+Cg7ATJNYZdSJ/JKAV4OguW6+pEG0yyXZA3WdkkVGgy6mqjsJTSQxYBvJ0Yg/8vznufx6DD+s9so/qzT/fGRq4LQx03k1UZK9WN53oBxugLc5PWJsPHAU8CPKB1IpAJGCqynZBMfXPkzJijTDlUMBT2RioRZuXlvMJ1Ue61VBTvmGUdDjjffIdeykSoKphGgeV0I6s/+3WcsZ1LAm0hJFMmrxV4nXLcT3V7hJuXTU8gcDCVKGLMbwTcWL7lbiIgsHMvyqjTNRhYozCsdkYb/J07MkITJQxL4ngQddPEHNIS73I9ZsurZ9ePCHDWlYOh8Hqqw7Tpju709rQT949sLoOv8KeqPAAQIk2g5aGNEir8r2JFoVGNBbgOrk0t9pybfjNhuHxUKChLXQ3CSHBb7DNVNzANffVf8SvvDM61y5KXXHC9HKgu7G0COmstnez0QULQZHhz7G9/ZCxB3K6bpqkpckRROLgXKOZAKfjk8lCbftJV8kr/ui7RIEvfB1bGiWIxBgh+1WQf94n3GgyM3GlLDNcHtCZOUs6ZavZlyI4dRKl+AONWrbaI5mRaZ5c7vz739UZqQc3HX/hkwF8fGuaPLFNKqf2EaZX7ibgusSy0ZsPYUae8uX4qJfs6iqAoQ4CTAXirfeD1OWCQZOiQDsMdrypVsdIJ2qhLguB2NFgFuennV16DvbhvckuWfpva6S85xc7ZkExQiqj6QFyYr1O8eGvbOi4hIXT+x15R/M1S6f/yNclr9B9WJOlKABSya5UmGTepMLs7yaxF4S4zdqr+TT/vqrEMCGaL2VsO4HBfwUpSJZPNg+RZOtyTioY5WmjjAclU2fTYYxXkEmsWEDteOXOK/ChJomoyqXWJPv91a7UEmOdu4l/XDI93OpNHYZN2EpQqolfsLC7PGwGjgUvSdQP58wQrcQLbjUWKuSqx4aSIyP+uZ2uK83KU2KrglY0z8U//2q9vcyN9yJGbqruAJrUbz4JDlpdoH8K6dHT0GKftNGzZBUj4Bsg9Y7iuyTM2pu/bzNqhV84UE+NWfj0Ate5rZtktsN/fv5+3YsvXei8xGI6GXqHpXMO4+ysuQmZdwb7gHm7QiKFWGHdSX+lkVasjxVuwm2iRgbyk7PGvaitfoO/kX0uoWJsgxqywRr4ZZt66UPl9P5+JpylFVWr6x6qy0hx5INDVunTgspzjAsWlRsWQsqEwxAqWAKu9EmNgJJb9+UW/wSkpsfbo52Fy0heSYbTtdF9o4bNIffgFslVzXMq1ZYkjw5rTs0tZiQVFa4jVtx9Fdt2Hde5rC7cGwMDck4vstzGHpFVw/p5LL0vT1+Hs4Cb7cQrAZZV2xKYyi400IMNqu0oyiSQdV+zTY6Q/C1EgXxU0c5uDtgi+tc4Nu86k/GDbf8HA/jOngYv1/g1M5i47nHv8vjnWORurNfpp2rNUuihCEqRRZcVPUZHBfMmf5psnEoLoIV3NtRGYbYP6GS01MR7e66ieAPDsH/KznT//pnZKntsIrS852/oH8QNiogOgupWZj8+i4QWxwHWHhklzUU5t4ktjd8WWgwojFnkRVi/htXib2w21q6fuxWr2KbPRz5ls8HSckRASBEvGENa0Wky/7ZWehAABLUq7VGizmuwQnqHyYMn0jcjWzgBBbqBVKuTXGCI+lctODwfVeaLOh7p6VWNM9vSqcDk1O1HIMuWlHJ0X7p66TTHq8kUQRjkVdw1eVapdTvKuCabVAKSh7Beo12DmmuppktUj2fx8+f+4kstpTmUbhc/syffyMoQZKUCtaYhcjp+JIh4wx5oNVtUSsrPg0FGvn/stUWKXrQ2HQ0KgOfJV3XGg7Gz79xnGR2NZk6gTePk0miI8322u9gnmA3JAtazuUV7Cg5u9cfofBoQCsyu3QT+45GcZBjTmRo+LSiI9u+ufzsf7w3qvDjc1c4ATK+kB8+cOyR2DpIgCkrHGdyYOnEE6JMucAStywL4at5X0vB+zMGgSk5fLZWmUqlh96/S2X/XKNwx3GxZdlHXBvFl4CVZbYD8lB/mkRda5EhE7OPboYZau+cPPWmn0EPgoBZ0h3SvY3WXmznJFCfSXK/8RkEWxwI2cb4QbntRXG5buUfUOk92eM39G9wqLyxVdxbuxU7yCIWy+Tgbi1FStBAv4leqtlY2AlPY5tH9aUR1Slik19feUuBgXeUp34SvXDH9Novb6DjBSdK7XhdY6py1w6fHh0XA4cvTY+fGrB8ckHSr9gMaw6UMX5xdpoLSV2Fo4S58riW0ZFCU9xqoyd+YFPHPNV2X/knGm7mOyeT+3SADLDAWziL2xP9HkAbALW5UYDA8iBCaJkWjnrYmEBb5JMO+SG0/z70m52PBQa8xjQmuuCWShX0KkdI4x8M8MwKGYX5pcFAjd1SsBUjD9FPvtcuBIZFi4geqyCK0FLhenCbNuLDitNkDa5/Rpssj+wknX3w//N8KlPDV6Lh1UUnrdPhX/Pdk3ULvdaQOL7HvSzS+A3vLldAMmLycrENblKDcU275jVnHgHg7Fn3SJNIgXnp0I9E9LvyK8nEo30C3gJc8o1pC0yfCDL61SDfE9kvLRb/9CReyhJS6koFRHe+pnpHSZ9MLaaerF7prZq4WOXgyEyfEwZE/7a6woh/Gk0pNpDacGHcPSO6e0FCSS7WGkLPOpmgKZZ1s3cHH6MVQ4p6s6buVU9SgPZBj28jqMVRHhv48x2RjCSbzji6GZLpfRJoIPPCU6XcM5E3S3Zyg/iSwMnZLWaXbFC26Dcj5iTnWWljzi8TPeSGrfwE5IMr53g5UEk17ZeM/dlzLEKOdxZ86PL2LJFcq7q4oIzdmxsNUq4b/mQN9l/KuKLgWLBnYxNxF3Qd204ci+rjXs8NFzdTOWebHa99EwlRQBVE24wBUiAwDvKNm0sULTHxrqAqUNELg/B68ilLiskoIZVQ8EKhyZ7hIkHpmmsp/YXn0STNaKrwVyP1kDPM1bClziUn+ZyVRMjTixNQtcUWu6VbnZg9xD4720vARsa1VXQsaOHLwv3d7Zx84Uc2dOjd2nWQ/WiIGe1kLmu9vBs7nKmG14JTiX4uQsKslaj2atDdF6h22c5NUsTwjPt1Gj2qs7V6njbL9FSEuoo6PuCvvEssYalKrVqBLdtVEk7gYZO8gq6z3naPiqxMhDTC0AIOkgd34juIIpZ+G+O77atBzhgkAOVlS2TaGEu6FBCh3yM8XJdhAZxcjPpU4WhxQ28t2O8mG2tun00iSLAj8z/j0RIb67+Bfg/yaiki/vy4ajUOhnaVA4blGiOIDyFPcYMvxsYm85q2v+h1Lsx+aOWGH0XWvRv5T17jrSyW2qWWQuXraPb2jzX3vcOijkogvhBDdbdcFGb603RfYP0yJLbZnvtem+2UROWS92Pm6JJWPXeD39JXeF2KWiCTKjK6VIxGoUENt0VUGlFC25WjEXg4pp81d3Evu4spF6TsQyNTNH7+spQXcCCQ6nWd7PULxvH/U/QttJ4wEIvEExNdPWXQe8SIKan9R4NSFjbDuf0p9o5tvvtfvL1Ld+LYtq37V1TPwkLCOIJCFgIsCQSWjUDPGiCHsZEwEbz59bf1PsYURK612mn73Ht3IVs7+6zMCBukOcej969rOEwv00yvzlo0Un77aetHn9hnWdRH4rzFZ4d0IvAfdqEfcKPR8BW+BWsTR5UzIWClFj8FdI+dYieFBT3qQYcnum62n7xaJ9iduO3tJqSK6FB8zGDlweJpq3rnLZsQSdeObN3t8/c5whCO+qFxLoAhf6BgbFgZ/hn3ld3PRig5hpHUsK/u1XQ6qSdY/EvPSaTb6hnZT+4gpnil1SUtSVDS4XycPoanBmPrtairhiwe+v+FKRLm2fZRv3WUVtWeiBaZO+dCwAFFkjuNSaYlHsqkRbsnkVPQdyde9MrDLHdWgqBTutfVCrB6HH6st6PZTpICRyCh8rCpizVw1Y2YYsX/At5tJU3tK2ae6vpO3HHjNWJOVO4zVk51c+jOBon0ObkTAQIA6EYzYghXDRihT+/OIGIRaOgEqze/KYUhF6GCSO+TfrkMTn/fvMUNsBvBeIURI9P/ixzGb98uQytrldNJ0huSHlAYF8BjcflhTRHb1JlPQyvxK+Pa8+zFxhOG8XT9rFUxwCZ6Gl/nRl0vuii/rO5OepS6HdEK/cx2awmH9cwH9bH8YMWStexe4gVBqtwSbJcNK7F8jZQs15vFyXQiH7coQhhxxbZygMZlL/8NOEj8oYAogixPNlEgvnAkRD9meSKK5EdTCP1heumImbVs0Oj9d6EC3bbvWBDj7ErBYuTazZaYwebm6X8/DqWn1vnrnFRYYUevlgZc+8Y3SpDYJ8NHETagU7VYmU9qr4W9kwzD8trb0dSeEtbjbRdN67LhSFfex85XPe5sL49wAv3M5FYYbvkTYeynv+nKhj/XyqbLLV8E+3FNNm3PhB7hjUGN58jEjrMpHSAyOQvZM1hKGIapxtQiBSJRLVN//Wgmo+hMKFTGIksrzVhU1FbcLiuZbfeHx+HHWmzQcxHOsWxZiZ9fRUjqp0X0YOPfOArznaVYZOd0YwwYBVSJkK+6TyvV1Gi5m+Va0Jjf8Zo5iXJuDL0KnvQv0cA6Z1G9RMQXx6ZuW205hG3UhYj5zVTnMXxxkl8vl2H9w+hma3QUzc1afUl0X31eQ3Mmle4/tjUja/JvcaIP8r7lxjyFCeBCkKQaBl2Krm3X6LynaedUNpSbmJ3c6S56o/ecJBLQXaMKlNDrvFbdKbvCTKvF2K0UioCRz/OLg98EDhnxY83S6mKN1zhScidDFv0AY/c2HmQhrBR1Q88IV4u1VL4a7nkfhEBTi67b51T16e97+t3zhVpwg7kGCxoO9OPpq7DmTtJZKlJIFM5XE3qzEhGJe3cjc603iFZNOivMbLG6rVYNwfumYbmCttHHvyam/tJHzcfCdqu68lb1EttRbwYaedTyXmR8/5/QVNRj4BlftDRapQZCHoiq/+SaaeHg6OJNhZj4hmEag7cMTXNGE4CZOVDti6wgsC3PHYu9HphQSww5OQMCFR37oxLcEr5wg6i1FAvzqSk+Jxs5euUo/VhulH0Rqb1eRNPywr3VHNyu5gbPV/hJD5X5WxaKG/n0eD4YEqrxUN0CmtCZiw8chHm784OHoW0MHFTc8SRYKpmZnyUlsYu/PMm2NOC2W5aFX9xFMyH7dqBCKjOO1pc60HSM8mqNK88WhXb3YG3/+lh9ml5GaHEaulLCVzBQ1+u46gWxy9VH80eGH3LLfX59jFW9b+Bit1YAaeDWZA0XOxjfEGRgDbhs5o5eWTXLCLTPBUEHpurzvj9iQLS3IkCd0+SjZL01JFe+HirTnngthsRPs3AqnrcmR73HFDmT4tSb2JMmiaCy+qk5HKBsyXo4QNcUus6d6hkJd8ZfS1wOtdKNv8ZwXEjV8bvrWe2ZKZbKI5rRretRUMYAChg2mJm2UYq9mBDAnBcFXbPilyahM3eJ5oln/8zQpmnq9Oh9iAYxA8CsPDBWjWNHnvIS7c6p0EmWo0PjuFSmajmQYKz9vX58RSfyOAudwlhhp8LF9C6iJfT3h4XD/VbwOnMnZtCgS515agsIEJiUuaPZdaC8qhyiqExzlIl71DHmad/7WNZcBHSOjRkPLyV/l5c6pN+8aDjTdQF4fMtKgAdEfdkm9cYcd7595Us2NRjOkbf7sv73sEwDu0Qx9pjz0QKTDC9HrZDw0vee5xLkQKqGzAXOw1BRNRVq+yjgQRC7Zc+axufnaRJ6QMAe4Lda1jpJHcHQBvT7xFmB+dECi8aa+d3jvOUdCnziuJsZFaqSco01fhbxV27kPf7ZaKySBzlcjSqQ0/awJTtorTutCPkgxKg/9MOHh/6zBqlW6uTiFC4SCum4El+uadZjWhsooNRwciGEn7ds17TSTFIQfGKjgs3TRskcfpnm3GAn8Qxuclg3ShBOWWJnkZl34+GG5s7QhNZABvXipjB7NQmYZHD/fKf0/1wtnUACy7EzkhcrrTYSZEXG9wNtJfhOuyJiIv2ErjvwOtd0Zx+WgGBtohp8dlmWPjz4a2u4ae2GKgf5XG6gYGZ5quv5CaDrTeWItcXIwC9B2+PMewYZAgQWnIa3SjHvvGywDyU5dGWrWaCBwa0W6pHGZAhr00eR3TmqPMKBTkWaaB6SAYFwTv6Z70SllQ5X/Awvp5HBMaKNuwoxxkk6dyeifYvazeyiN/MSLzYRfEVKc85Rh70VsEpwgnY/5+Z2XJqTt5lz/eMfS6y7sRHjV62mbFxmCV27avBvMssjsd9wsBzbYTq5j8kRGpSNMGVMTqu1tBDFnWfw5VIeNFldM51Lf+F7GyM/WDXe+iVF6UbH2e5t9AZKsEKopC+MmdULT0mqOSDj9E67y2wLhsQn14WoDeG8IX6UbK1vT1s52ZPLwr+D9GOQBZ3xwjQ7Mt2OtVXMImnmO+OPfac4dDm1prCo3ZieRVgsx7XpNTfMVkKlTkN5oAmh/qv49fuJjE4wXh6s75LxOHJf1l1NCvXCqkiN5K0qenzEKJ9wO0dBekOgqDmOUkBEa+8puSPO7/X8UI7Oj7/vV3Gi+ILtWeZqm2/Pt5hm/YD2q8UGwGPUTkJqB5RcCL6i1Km7a1U3n/7inFCrwNuyJUbFhmdl/DH8ZspIzdzw1bZEcDHSnyPHI7ZXujImlWwiW9FWhJdXy01vi0mIzPOV6yj+C09CnWEg2zYm6okJXw28E9NP5TDN01KKdwhPmjGLa55rEYt+CnhXB6ufVj/2Lsva68jdIS6JMp4YJ0iR9TBU4kyxzcFT1g6kImcgQ7ZqTVLMhzu6TyIhpnMQ9Rxu97Y85XyN0FEt12jozgZSZWtt4lNICJj3tuG9IzrR6G/wNQ8n2E3iWi+y1YknIMuU9lqVJr5ipHWgJ9N4I/VLkzCOYllwo5A+5g3hzr3jKYzX8kKJUqaKejSQvzF+3U820FTTYJ4b2sGSx4gGqOl04U/JEIMZG04UmNjwPXEzxqeeUwA2g7hzyt0CSUXUbCtI4dbYvfyySQWMW8lT4lYSyAXlEsCm3ExHVHSDCeBGz/yz5xAUztLuXgX7TV2oD5u5DGDJBWqz9BW/wO9OBkIdmfO9frx/jVSvLTNkwy0v4NR4LN721iTD28Tk6lBJzK4ov2BkCa0MySMpNsjB2pq5dyng46ys8o2G1vDEajeZeHc3Gd73QbLnh0/vvcZvk2ags/mCD52iCEvxJY7XuHGgnEyx6+ZPuK/eTID3nD+hYwNrikD2XhK33v+2HhaHLQTjd0LjIUYFv94fx0634d4wdh7PKV4JurcFjYGPBxrSZG/RrfJDEoYlQh4p7bwQ/TXm9J9oz//ijkPJ7KpOG1KQog/rYKvJOP55xeeOdYEJLJ4IuR/+4AgrzJZENknuiughs1YFYAhhR1h3PuKY1gOJCWxSRoDQJOGrJuwOO10fxOOz3M/zTF3Vgd/EaBecqorq1zcZ2ehEGTPT6Ker1pxgZ2jfN5rWUiLjUkoajbUcr0OFQ7jedlmHFMpar6n6H6N1N5mBFJFnhoA3uEHFpCdl4pPELq0aVVBzDU02oATB2qwaBOCTynZoVFg9L17bQWyHwaz1gKLcm8V2qXgKd9XjE1LsXrZW5nGB+oSJMJ7qmdAS25FIA8bul+F3r0TDhewAHUm3n77kMKwqi/c+HxIGzXi/ZaBw+X78X/pnhAyajiDXUnXyjKetbzoALzQsF3GgrnoVTt+QK09NwOSOFZSFQu2bpZREXeQcMAXXuC6FbT0c/Hw6DoJ1wzBfYPwswLjLi3Li6BMNbGDYtCmXAZ+Z7hMTM0/xAOHveNf5f/Nwa389dEubn+40tfdl1qD2kS7KOxIizUCxigyP/a5pNOQYD/TElkkqV+hH7qE4F58aBm0nfxati6RHP1ORdRh+LEnsbFuTVjCzWJz6TWxIIxqvRfJDN+ralgP+YfQ2sFr5p0jpcqQcyly4wKnUKx3g6m1heUHXxBNjvhnqvmOiEbwqHcIynZINs11HZHdndT/50Bd4gGO0kf8xbPGBYmW9ybAQMH4zTBl5ZcIRrD+dFOkFfGk8sdZlfzIxstBBVFlJTZglmhCWIdelo/fJeB15DHGb/N2IiC6ctzYSwZEf2Ld1LJ3qX3SNrOZZNC4g3ZhskqtuX8koqkRHUd2NndxwljQpHLhv5ZelMfpO04LP0VjCaAnd/LELDughNrZauxmdzUw45KSlwXXTuHJlIvGjNeJUZzh4ejrUAQYbR1xot+QJVQUfbqGOJHw+K1ioVtowIq8bbyjjkjAVHpvNRP9Dk6BSB4YLXCaDsKOcytVW3bCoW09/35ijfiLzStCiiuwfkpFFKmZbdsdNgs8YKwFHjZomDRhPlIy/3Js2WhyiaQeosSadCyqDa7OUj93EteZ+9TFv1pOxN/vPpS3lGNw/JQc6UemuM/DTAhv1xE08TggXAKKJdiTJEy/oKUxbUwXe/NVFEh8bTjHRhaU81CBcaEIWcCEnLvwSRKPG9xQ8GGs1BAK7GUK5kjUf4djtzpAMwAtF1GuinZyStfVFv28yRd2xySWRdSWUjHF93qEueZ25lWDWRv31Thar7BhzA8eDlF5ddv1Y60kR7esNm/grJBls5ubiRiIn/7v2fXx27bVL32jyB/DM9cx5pbXjJtqaymFLD8FwsDVWL0mCLv1KBC30TWN8Ma7DjVIzheSg+jr2Fb8FkOAHdsniZZBcy+WLjAyIdvM5O9iCYddE3Ns6d6pOeukXt54j+Mi/OPEm1yC4rL+9Xh80mMNF5+I25sBt+fyyBW/zKhLuhtoJVdh+taRgX1Yyp1JL6B0fsaxVemRRaEB8q8EPafMP8ZayID2M5APS7W4oce1Sq9LYNOJa52yFf97IF5cFraj2dqr5hGQF9l5kwdjfBT0xrqPOokbkn/jD+7G0gxQHGLEXcgw4qbuakFUxuPycPYjGAHVbbrazeX3DQiJKyLOGL/MrSMefci1gw8TMAw8aiNVBFHAq4ZoLL0h+c+Cn0Dp9iIBhIxqfG06etMKz3C2xo2CXDXMt7A+pGWL8+xRYHvTk601n9qpgV2Wyyi+q6xJIeGlGLJHj7QvRfqDlq8JI5qCr7b36FD9H2JYxSfHXixUj89ckJczNQGncOiP71ng3CjP8FLs11ym+7lao3oNXLM+Cm9QR+zXJBzkHqdxDAetTjPclaTAyUA5Gjtk43pEexSz2739bkyZuw0WwqTAJxDeZRe05MmIl9TZZLdkg93e/SRYeuVEvceEZW4tSSguv45PYFP2ObWazlzKt0JJWx2bgipw0tUqdhXPA6+W/TMX5PLGNV+tapeq+EpLMT7aAnc70q/P10e4U/VDyCRx9VuO6uwbf/QWHrMdVZMy4Mi0jN8/30VTdiyjhTyYpx68038Kv9jDVcbE+HFSSmQsyC+wmog+kIadCoJwbBZp3isi/QCLYRhsJnEPS44s4nb3oi4cYKGtzimIlk2GF9c7BrFe+irQA9XQohPlxy5twHPBWi8kPC6vPeeNofGrV1vDl5ce7LlpRFB4sphw4K+OA6ipz2EM5o6VgZgcza3OY/9ielMr3lap5WDIFAft0kl2uqaBb1R2bQ8DznmYtezJJSE/Xo2f4/EjDyDFv6jlc88LFwn7/GQDmw6yzfVxa448do7V2udRL0hssDesV9tRp0iwabsGQ8lUXWbA3QlqMh45QNmzf/GQd4zt1zhWOhBWDk9+E1IJzTCtBiV32BK8XtQNFyPiF2BTGLF+6NW4eI3joyNAeGy6ZW4kdAzYjFToC61vuWHLm6t9AQ91GqUSD1SxRLllphqR9qm0QdeVrzIjBpeRZoc03dcHicAKydS0awv734yt/VKery1Kf2sE9ZAoS7ZCiH1xdUeCZASUO14mMfUt9JLY5o3w2wUaX9ZjBBIYmJboWZfwnpyXxZd61yblKbhousFDY/OwlQyBrhcNpfHbR74h5vh+DlBtoViRnqPCs6ysYm3cxT897lBd4d0E3uxTGCVympU2F9YiSOQwTkKJ7l7LObzdae1KiozBpFBMj/3yyRllL5EB5f31g6d/MgDIHAgDefBUlj40UT16cIUPBeqihvqPTXPSlRenG1qTlTSOx0Ctv7631428OrlQrgAXXucUJ9SyrZthWWTMonFQcwgcsz4Ka3RXk/WaFVcGtrNzK3lYKzKdThcuRi+UpcNg/RJay06TenZg3KB4RpCFaCCo/hXgm3ZrrTWIXsCxP6H0LRPmofes6vzuUjou6Kz0i51osT0meDjso6FuSZs/sHG/bfKGvqQHkDcB6TIB8V8szljYNl2UQwXlJIk4valVPRJFSzApSyR/yK6wb0COzzs3byR7SQqxJ4zekOzYps+TMPctbBGSy1qAKmX8c/xVZsZf0URdbEy6XBqYMDjoTxtl0ZKAbS5zQn8GppMdIkd5BDaCsG7LrvK1MYuuOcENfPx9qq592f3NlI3mzG/Q/8N1+hy2Ae5K1lbpDIuinsUCfgyNej+VaZyZ4FxftJafwCbaxFxNqUxWDULJQRPAXrYomHMz7M5yPv+c8LSUgZo7DjAWD1yMNdlkxI/2KV/CqVIZQ5BEzrGLbCb5HggUwJJOlCQPt9LQwcHsYST3lXm6E0n3bKFMmVu1EhSRnB0k39sKYPon6clZtOMBwcJ/yrDxANwa5Po431Z/j4uf3/AabzBgxlFJ5mkBzJzmZhLFDUWu4uKnOZj6xmabsjgg75gI73yQdFd4hyl3YXXrKV+YyBe90tTVc0t7kXYWIY4UN/b75MDhQTR5gMUBVjs9ixXVz4SefjBlb1FvjEQpfYrlqu0DuRU5+e/jhNyg61hQf6foP0ZPBTHZ0QOVWT9ovdi+5wcDOjSvy1e+otggLRtaOSQBavy0xI0O3cucmzxGtxySOhDs1z8IXNjAyTwAjJIt29PegvcNAE6HMXPEVumNDjkZp/EPT2J7M7CBusNWsnDGQmLnYUCRuE/KLMlAQTlngMqN4UlFVHbzkdDB5vR6996fH2dPWf5C1reLCcPQkIX8W/k24KMYVGUaHovUPwitmEJp5hmw+rVP5czi66+DMAuIrYQylQ6Fimy3M0MVpXAEHtmpYDJRLNUuXkR8gc3pFsjTWo3vYECSYw00OhXO3HBkOVrXabFZmvUVhxnUufAeI8YNe4Xsn3bFCCclhf4h80Z30fzKH/1r43YoO0Xm9Jguo4pffj7ezWavz2oCMr7+NDJoIxM3yb0xqL1aBkK0fzTQJjgidVrzVJpPRI+dsjz0tbmUxTdAkjNnqK5zxJWs4TPzaCjwUkZO6Hk0zJKpDv98gNBq1aeYEH4v2O36q80GCBmoONGfSD7oAEJy9CRKsC1yqqXRnOyRlLoxLl8emUwyF/K5Fz53XFy/ISw1vqy1MaqIAT+oK4Af1M9uNrEn/3dDykk8N0ZWlj5y2EpQHfrLoUQ2APG9cU355OX3LKa35WNZssKIgPjVWRw4M2JoZ4ic/W2kTuQQbPIv7FHTa0kwPxEF3F289rnQ+3/BV+ik1ZOJPxMlhiTZ0KIYBfrYl41Wi1Y3M6XcPpWMQj35pLzexNB2k2hpLGdCCYt3HzhWSKyNuWG4SkLTscyldargqMTM7/ZubKdxLGYRKrB9X+6idbK1xS+Ohybn58XcDr4QRZEPq1NxJKlKGafC5OcFQG6IRV2EYCkb5JtR8unAiaWq5IpYDpLTnZiYbr72JcKSlTiwvDeMsb6uUOnXdJnoqnadJG/XvcSGbffYBazI7h/3dyOBptosGmoCRnQjnlMcpgLRK0KZpI6gOZPu9QPXgJCJrGnnhk5XWRrQhwyfziHlr3EAycsMug+MRECk44cCTy45mIuyqIosUsIuoBPyHvEbbd3bDDNmb3PIZiHQSefHae8bs/PGtITJuShnMjEikhR7bKzGfhfPyOwGr0reMPr7UqdIXK6uOlDzF0fYfDhzTj9y7YOeRAQ5k7buZWB8p2Fpi7EopEkoWj3NtlW6r46HbQCcLeefGWIoLauTcUjhqCcSggSWL4GCeKnHi27dLap1+c1Iy/D00OfJA8uZmM5XXicGg2afSVCJ0zY/bWnMZU2qhcYud83BpzpLQXqQm7KOtwRWyt+wvxbfB9Clx4WNVXxrOL2MUa2uS9bY3V7LAzJ9FtiILu2KXpyX0JnjuDJ+dBxrnheLpWjBs/VxZb3DXL/UQk2ijLNJ9M/uGbl0goGKcqpNCd7yQQPXfQKKBfKbwo47VCr5FnFrEDra+DzLREkkfXou62+EyVnitkRgJOvnH1mTmbpuAlM7j2zdrifgyNRsdc1lRdNcNCGLoJhL+SEVX2tljMC8iAkc6CI5v9Zo5LjZcICIZegLFRu9qjdJ/+AS5xVezSQVtNZGQwotd2aWvr9LYsXegPd1s05rd8sk4lvFA8dpjJ9hYsfBCL8hXiXOD0iwcNWAwdQVlVD/2TkvdS54aI/14XbDAKTFPj8gVINqV03jE0N9tZMabAHp6xTX21zvrtUkMkp2AyJNfry0+AHbZxM/XpRHjgnLaMZmRqDwwmTF6krdMZqdNUz1xYGaOZK4RXE6b4cfDmi0rL7LTY6HmNC+M4ypRHZeXTGdeiazt+5hQlXDxzOy39uoP78yMdPSPvQ/zNsyacZx66/nGzLEwcIXfmzw2txpMPXyOpCunijYuN73D3W2YrDGSv1VNQzTrDAuhhYhA9A13+HFVTRIX0Ycp74UMz7GI1WMl+qYCXljhRG1m9I04EeALhUGvdGBzQ6BdJV8S5/4IQaMSOO/Juu9tNy2g74L8aKMgLFFNQkdQ8bcoMrBcuEPqz+QD7C+PAQSbRV09NCH3Q5fdmFQF4OvPbwm54dci7a4bj5aZ+Bq5GkY8WtK+1U0b3jtia6HU4y60NgddYSRtTnjnKf5/OyrXk6zUE59wfLVFXZkRNPGxrbkhWcMl37zk400hJ/dbXZ1uiseXv/51fLv7h9d+rV37PxpWE4vWlcgWCGgkBvGp9TEW8keys5K4Eo7e6TESCFcO7H9NIZP9OUGcGQVZqTYWEV6MSSM7av1tpXHcTPA+GA42c4qQmTyGTFhAvT8M+4+t8RG23F4rd/9LCPGPr/8+WwcshaccphzLuuuYPBNNXjo1nGByUgwkTVjOWAtk7d6ntg93Mu4fd7vMiTGSDentwSeaS5019z1NHekvj9yoUSxtEJaTLGjNB9R9bNnF6DYNRvPO1YodoSPAlWMLv8TtnuYmmur0bd9q6qdFWrVkT+lEHbO3/8LM6ZaDhImGvHZw3sMeoF/4Ehlw2IfIkKR7aVJYyLGU8S9u5FDjUtYdBTfDtOyw/0bwu9mg+QB14/8owIwOz4r5qY55O9rpkW/2EORZegRHn5oAGhGTSC5JlTjJxxRhHNG9pjFrbV8nZi2FKwKjer5VEaBScSAJXxAr6LuJ+SBzUM3frBsTthCMTnLDF1YJ38Z1jmQGVvK3LC4vVNys79XmogcJAOOsk+qc8c2uuXYbzlodD5fhih6PMRVVUn9XFM/PU7A4YOavS3vRqNKyZFP+0cykJELLRzvy79NhMMLx6Sq3Bcvbsp8gz0ToyKEJmxLTOebYpncdbG+jyVdXs3PIDORFmfFIrzjGzOUMxLlG2GUYzOTLZBN01TCe5PNmPByEHbJZWMOHooR+dZcsXT/VrdlVBgPd+mL82eYN3ZjBxcB/uNVEACeVqDxjiWozfsnX1eGxXFnYLb3JYwk2fVWXCr6wwUfTKeCrEAUyp7Bv57wHcPlZjxy3s+KktXEafSHPqN1gl72P5QZuuXPHMsHwEfVMTSxROFCYTggcOj7mL67WmPrn8Mfobcu62zKG8SOge5qcE1aFGP9v33zW8l5gP9RY4OpAhplKflXDrLQMLHXLtHMDJmbT4TdlGENWqPuo062JvCw2cIv8oCf5g7/x4+/+0ljfoHj/wmJa/rSWHWDRfUUPpqTTlXpMvCg1RdQXC52Hh5FtcSoNpR9E9jMvlqx0zqlrZVQJYhqqGvupKU655m/2krd8vKsUyX7Veovv4Ax5DeZTUmvua9Rw0+3CWUl/P0+3v/WxB/lAUbHjWpZnVmxrvono4wyhwkGOezuwzSubsEhsAuaohYKhplY3K3MhcKZHTnfHIG56mLGvHrLP0zZRqtV3EbOuun27lQ+Qu3cht+T0DdmC4ZF6rtj2nrVoasoPjBCfdTGdRrNmjjde4/xNDKE6uegz7eFpFyFwDNMI4n51kgDNH1w8Ai9c1OaUczV2rPGa+bbNk2LC6Ue/9b+CUf2v//AmzpITd13FoFJy4l06ddZSFfNd7eiqpgEnW2/PxzQxab1Ym5p900UNxC3eV5+iPPG0ejk9eo8aVoONUqWAR8FJyhMbu52B9acqn31ItNEMhMCV3jtNHiBybiwBeRrVmlbbDVOJ5CyHGDWIhAOsB0jzl6lwpDtLulLCGW7SeVuglBIJIEw5l4OKmKAyQH3zDWaQ1c3uO02C19na9mYSKbfqYG1Kp9ioD12cGUyEH1fm3uj5LIw1jpYImstaGGLcB2B21tRS8iHSM1dk2MPPB/qoPgQa5QudhPM5Tqd1zbxaMKNQ/wKsEcWurzlKohu9ffrtpwOntxxIAkvycfqwktaqZ1wx2jgxYET0ltwDQdaU0qphguMw2BskO+UHhPjDu595G1gvk60GBfCJUT4qz6coC2ai0tm4K71VtgVq4XElNHiF3Nsrhs32U51cztzu09Qmq2/bL7NIBO/D/vsm+CGSgIvV+brg3DUyKx/MeIJdkAwjO3iAptZYUXMu/jD+eMOvtzOpBvsyM3KU9m0dyl8GWpCSyYk+1lznymSA2q3xMfr80aQ2n2ULuwSwx+dnfpdMXsPLqVfyJNHHW3ngn3e0KqyqjHLL9QoJ3a3ZJlaa4eHd4wYxxEb+QaLUuLZagljfNgournghdNbfaVFX1fzdbFw3xipDf5B3MR3lkR+KxKAEH0WKLOaaie8dwLcPPD1GBl6P4RF/SlOKIPwlRmfeNiYGSsbwEakUo5SPCVUTt6e9nk65o9UbEkfyZfqdPvSirTWURr8GW/TdFE3NkcuhDEk8pPs8C8SAffrmKYq0NtlyXgiMJXU0WyV0EO7C6CHNvrCl4EOhpwDKLmY61ScLoli935Gf1E2RjUq3qNEaFob3T7l+mw7CcR2BKndLxMjsf+QrjFN0Ahy+YGPLVmMlH+Qkg9L0vCVmmjIiX+OCUkfy5THMlPja8UewwJSyKmUlb9iW7P3WxlnMR2G79I3ZUbaBH0bipoVg7zWvv+SBXGIGkhh0IGaTVufrcWoVbarjE02rhwYJ/AAcsuPWCg7kG4F16QiupFJOJB5zfP8UETGaB3DejjVer4SgldmGGl3p1BNwuLkKCqgx7+SGhkfQsMbf2EsfFh3HqPdl45dAPSoZiPN5CoztiecE0GYLWnCBicXH9jP9ofFbwtu74oOUQCUZuTXdG65PTLAMOZPJ2YPyKEDDwlZzo1x7zdmIdQ8jzBYDjZ7PoGXGg5K1zr3ZukyYhzz0klmE6ykzwXNZywtntkHEuueAXGli4tPORvx/4lPcotuy0las4YIEt8CgoqKc8UBjZU3Olap/uJW6Mu88iTsDtU6FJ4vcocowwySMBBHya2tECPGAWaU7gVdKbJlhlCG5vnsomX2p7DfSlw2nH3em/Nxez37bbM0ZbutcCcT9iambQV9jMCh2bGPJPwxXucGjZE7ilI007H4ZgS9InwcgzPlfs+m6IlL0oiElRU0G3w8lLlEo22Rtitnv82YBQYonzyUSC5Fs3jyOZcZAdYxlRXtLkzUeB6+SLJnaeB+8cLusK6Or2m/vZO6Fr3dzVwiAwWX9KEL/l8t79Xa47uWsQTdWStkGXXRedx+sBG+Lo/BkCWhJoGssdgtHgr/w1HzCH8v54nITCrJrkXZV04eX+ebD3stwMLPDhAr1N9fryUbbhAMVGZoerGPk/aiqQiIQ79I9i7RUaQSsjAPKfXudhdPZvKWKNw7MuTZLux/34RVpnp5txbCVK3WGGXkEfkZHMpvNkQyI+7aoK2P00Vwy5HvN3bu+RPzVK/zspU+NBea8uexB7jDsslwzizAmQkAMWXflkT39/tnfn+QTxIp/j+2yhNOsm6xS7yq0DQfX6HfM/7ozMMlukBBva1sjpGbLElJQUQ31nwy5VALXN3MjLC830W9r0ipl3x3fhxpzDwQDVWrCVXwC7lYiT/Ai8CePMNRKRMnCuT7tnKWS4AzJ+GE0/aLnWU2UCQ4rfjGYvdvNtpPmbtfcS/TaBQd+QdlluDMV0eeCIgC/OuW3tULS0teypBzTkso27JXMnIfAYQsDYJhn4e//CAlCB3FXtUfxzNXAeQFJBhCcrtb0ly3NcnOS8lOA9Ly35a+wrLsfPD7Ha2WGxKrSoV5lkFxnvvehFpfIbiBsebqQgO1EFoxhm/8xpdOt4uW/TGTXDB9ciYfRTzpFCjUX+HtpeJSEiNTgdNa0Eq2Wa83mce8afPx92i6Io31hVqej6XrEDUgSc7Cg/75rdya1CjZjwoM6SpbTXDkzHF3dpWZzxLoR+0J0s282IexYvjkrEfSIGRkZOS0eQC0j8oJU7OaH4hsM+5OO2SHfPIn4PU12Zi1WLRvrvmnNR2udGEqUnsDxTVCindcCnsa051o6lWQzI8eNlC1MK9JL8FNk4sZ6Nh9Urbnfgtruna0NQzlFmMa9ZrVWOF7TaHOatitT46SAYECTR45q8YLmDXy79qojimeBtTeKwTa6Nf0sjLU11kBME142l9SROwqaez7iWcRP2Vq0f+C7Xu5gStE1Oc95E8DBzX8tAcwwFWU90dPNUu+TW3cG/qVh1VCIGghH5mrq3gRsKmN37Wel4Euydq8N0rcrpG8PRj5Q+1iWFsc3aphxJWh0qYcwMpjOX5TLUghVH8s+kgJfXcUIjLPoay4vgC0PxJgZ1G70wUQpqGYYYY/wg8KpLlzUTN1uZrw5I1HhMAqaUzJdXdzGRMFWbZu6UzfH3VCFeU3e0ePoI+da8y3rrdR6vX2UDtjvIpOh/Mrx4mS9ExcCCMMo4n+Qw/ATQKEmR+pXP/5/8491+r3bNUZr1swwDRSqxjNuxZUZZCHbM7pa8xr2fXJXDNMTwBKdHIpA5sYGK57l1K9lDY8N/ZfIcBgcyFCdoBe5VaL9LJ60ZtAL/VFpwlEx0+vKhmWe9b70xztvSUqWbIZSOZIC/ZgWmaSLk1HOaYrI5RJTIp6ho9iRTN15nP4lBwV4AjwuN96ZfR6DmOZpIufNuBLl68LUn8sNexCkBWrScZnaa6jOcZ51MIgQpki86X3KVUFSitHzCcv1KhvOgTjnTnMOtrmEQKYV3jkZuUWxNd3AwBcTCJCIuMFhfg0Jiaqa3yQXIz+FGrIutH3dFWnimCnHjuuHcU0akbDMMOlo9Emj6XrHepHHzv1dWUgCt80iY9ZOWnd1E3nfUPRLWc4wSHPJySa9+2mCscyE38K/AZ2NaJvzNKJru1m/LMGqkIdie6TVkvGbfvdktcbtyXGPteVYhinwMjTE18zx9jz7XzN9yDM7POVknNi9hIup4NpqZDhnM7tYsZrI7O5P9vlYMvERbY2/RZ/yrAphszBcW3xVEljpdI/yz/e/rcfOXzsxD9IZiMJMRHtcfe6th4eX7w8Pow59PHRCAuddckF/lmR4DDCXRmOWOWfTMhYSfyZAA80LHw7C/cIxNndP3ISoYaXGyLaVfilltZA9qfcgh6c0Q8FqbnJpBQvUMei4KzchiqBucCKVKsbW1uPDKIdHsAEdVZKBZM6CgWy7CvcfGtmhvz9hXXsoXa9dYBiTJgFaPmwG7UVqdzCC3uY0aLtbLMpF6RX51eUf0fD4IBRLzEb0RlO3JdAFv3tpJEsFT+dAhMWamdxh4npOWINmObcC1zzWUI6rZ5hZurRdqCOravQpbJkzVYYO+9//Gn7uRtY4xovKciDEKb4jlgBjrbF57Ife6kkjz5sdpNdhkEdcCQfpq0CDyR/g8/QvmbQz4JOkb2Zt35KIoWNAcSLU9yzcvjV+bjeRwRxkcOMPxARkUG+IXfFVMfSgDocyNZTTIrpas3X1NInPzzx7afGZ0J5+Ru6aSO35d/cTdZdmhKMPIEpTKnIOncWPW0C5Psa17eRCn7uLzbnZ5Y36ognOE6jX68xLQo1nALwpEcdGP1FMHEJydtB453X3OEcAM5RgWSt8na0lV+8iRRr6xHuTN17Vue99WGVWNAhQcB+uUKLK9DOD1i4NK+bQCFhilREEwuffiGfRPpdwe91Ua3fPF9CcRJdCBqQDqp4MoIcDTbVMEpGPLgYVCSbHhVM2t5iNtAg5wFDCdH71B4/zUY5vcjqTbLgjsuG62HF/8LEHewdHycEaf3SW1jzda5iqG201KuFmiiXacO4knTsIC5jentEj3gX8FruX78UN6UuQjSepAaUZPM5qz5nUHh/Yu1gqXwPXH8YfQ1xrs/gmUeE43VAwSwkRHfaD70MV+l2UohNp8imDj8MvK2aYjGaE9rNQpHFZq+tKCrRh9YlFWHziOnarDsirblxemR0+xevu80yGO/eGM0oryuME8QToXPJNQneRsbrRTru8OwR/3xa5WfDbmsVdlzCpcRV4ExiJkOxiTs0WfEAkyuIBiJJgkOpLZBTObJ7sxSYK9I5NCL9H/6MguO5F2qNB6Cw0q+qyMPncWavyrJnrzei4xa1j9SUSS3PW3qXaXE5E3mPE81tju4lIwkBGrDloMMy7RXoURMqJkffQ/GkznOHBVCOAXzEaBqt9oWV9EK9jyUa/gVTC/kyGwe1QdqbjNQsNYCbvpOpm4nPrdXBUyxZCelTgSajYvTFfMfpS3TNpJugl4jpZF3iGI9SMWfMrbdUAS5Sd8fm4BQWJ1vB5dJCyq910A3Ag2LojQQHjd666uoh4xas4wySlNFcmCBhRR9sidDCX1p59ZZOYPY3LVyZ7SAYF8AHcnQe3drbgjBbZ0CuTu0MpCojH4uoxKETzWP6eG/MPeeBk4LFZc+4kL/iRLwskVq+BHgLrSM46b7tsnphN0rKMrvWPrmvZToCovi4dnXNLXTNRsY8PFSLOaDtwZRW8gRGLF7yRiQsO7MrV2oyjkkAUDK38NXoHVhpRQYt2KEfbGMqZtnAqp5NkrT5C+StZOpuuTsCbgIIYNPvts4vX3SQCawlgJ05daOUdGPC5nxz02l8tUn2YdqWxsy2dvXlHQcYMxRVFs0kTiuR7tgx4daE0TcI4XquTMmuhqwAS4PfLV+dr+ir8W8yveQWmBlNFOcwfVVZpF8a7U6bn3yySJmlntcDQIg3hh4O4/ZmEmHAWey90nrbG2eTQ7T+gXZRXNbPDIJHRGGy03i7BaimGKgLNH0PTJJdlBndbk3XK0rd7acjRnfnjc+frYyJHpFOuDBt+K2CWgO6nL2vR1rqhn4b6FT21/gpEYq0Y+mkCfIrHYRNsGy0tNLqXPKWbxu4ORcmbHMRmwth5jAn0oiPi6xbAuwEcDAmERoSInOg7qyHz5k2sLlBAiSQuZYG85pGMDOVfX7TBQAgdvEiN9FC0DPgSNpUY/Qm9JZErtW9N/zjD1TRhQCMYDvw+/3iXJiJZBPckZ4MKT3BMzREAJFibyMTLv0WTmLQQFDRNZ/WEOvZ1YichwLcC5cQsWtrmO6kBtmx3SKsefcVGkDv0PJ1QPPjuw4P/18ODX1hjp9QSw6tQcJk0eZR3TCDzTpIBrknnOtmVdIFcMgHmpfiQDblpkcIuehejmEsj3VvNJ0bjNNAvZDgIzlyGg0JvjTxqlK6mD3PmDdzZ6wUTSQSI7AY/PHc62OVVhW+2d/3/EcsMXgL/0Jk/zq3zCPUnE8ceJAxpUSsvYzhYtVi9Lkme98z4UrvpWr2iAarun3xTJTqz2gFDaIntL6ogLd1IoqWfPMycHH+faYIk7AF/GH7vnTLIdUH5LWdLMPxglt7/IuvtP/5zbwtUMKQXHnMyXlz7hm+SAKSzaDFGlQgy1qz0Sl5dRG9sq8LvSgnOuFDcX2RcbZITHv4efdIoSYVG70Ip06LW4LFI1zpdNbG8Mldh8MKdBd/ge25LI9fIhpN184ghF5RhYydDvRlEK65S0fYujJOoyDRaY4IZhqREVxdjuBGRhp+stWCKXiALGSRyh8AlExzlnEI9kCYHa1ojGqr3BXzVFO/jzprWquUder3rG4NZPCFYyky77OPoEoR2ej5yTswzly4BJJJR4eXrsjYWLILLvTusVDJwG6yg7PkyCctbiYPRgcXrx/sv/PXN3pWNlJnDa0W54UCvBwOi8jk17/X9liIqxc7Iv10/9GHebyqvOnGzJbecM3YKYZ8xoU3/hb8RxN/j0ume5nc/hqQISmdxNrFq4bOQttzoSD0YY1NSAkNXrzM38jR4OJDs0Dl2d26os8C1J0C5zC69aVwOE53SS6EqQVouTsPe18Ixol36djlkR+GicV5jpwtdzhfrQg628jTaqMHCXi1U9mooBDa7aVUQtzTpA+xbe0VAP9MmIJuWXHPbrHCjLcY58qeF/X9hDPbOuHFXt7wjf3sUw8SLk3CxPDHisKWR7eHPXIgdET0TxuGNuii6Wm/peWWN+6cdfxJgjSRvwu0kVidPhxat9sRg0C3h42yPZFBQpp1aK8sS6IQvmJZ2AjYYyMOtIgUTawL9kbezXmUj6dHxgbzjiQ6ySbuTWWkjc5BfFJVqaXNnPsGoUwBQ29fZWnN683b1KXNYs2PDX32z7asvYVzfycrErlltFmsMc+kBh0HKP9vYZH0shFAJR7+B/zFivrvXgo+6i809sU+2j2Z0IAOuyozzGVttN131+6932TUVfmQGC9FhLuNM4oQ0hS0pRVdhNOJlndyp6ozclZgOe8d4gFvCN9/urIeJlXZan1+iI2SejV/JiH1Ze7UYifxqM2diKZ32GHXh0JOItmsh0dtXY1qVt3UBvPBY5zKUbSyYi159Wi/8pi8nlebIidqhdCY3ChHOTknYyjSxlxiRQTSD4IQv5+ttP42hv/BhZNZWF4p1dYihuDPYLdsRvmZNWU2bzVr4m6MzsShSMtk16R2qGoxMQ9VnOLfvAe15ytMORO/Fb6NoklU4Yk5KKWnoqL0fjNrbhSn8Hr769RApA1iSNUNs0aFAltAVRdwkrp6NoA5TOPleSVRinMFE5fySrRG9Tt8bp3i1N/BssILspVOp0ZRaM2YkG/4AEBOhKF0lVNeA7cn26hzVblOIdzazg4xuD80FF0bw3UpdjrDCPA9Dd7vNVeTezs2TSAVRy9Az8NPiVFrW3olnarJOphRRjSsUB1jM4uoDaRupfXHTdS3uJeOF04GRRwgYoHo1GqUYthrI+YssaZulBuaD8jZ+K9Lt48Nh+PhwWJOlX8iXCnIIaa/YzQd71WIUFToTeQsBDOdqZ+q9S1dJkSzHrcJZfdCiOzwWuFCEPaFIu3di7yV04XPRVkMJOdt+ssWUb6ux1/gGKeFFd51peBMveRX1ZtRAJrAWVh93CQwYyGlu8bj2PlXcjAqJKdpYWwVcAg4mdpRbnV8xFzhX9UkLxaqZiNzld1zyVIIvDkoVrJJmtrAJV5Jj0MQfV72KlNalao6Pt7xZJ7Ln+i4OZ3byHOm6ccQL3QgIsJX4M0WAe4JUG8IRiwBFkYxJZFUTUHkLBjxrxZNGtUAHN2E1M0g6/Cx5+mz48d0HrAo9OfE3kf4cPv6WiHhgqOIuAESJdWfoh3vqZDoPU8cafaw/rJeP7+KFS2oP3gaDMrJxPW7Yl+N/fWnTcBQcGxXF0sDOk7h8sqjzeXgY9bADtU0MHDuShXSVnY//L1sFzLTsXkM34YBeBme4SqsTrlxb8S2Q5ye8AA5lKuJlJkEPL/8rLgkBcHLBz8WV2uTkipaBJyOwbpJiEa7uxCy2pII1eVaDghmTRKuFv2/M5ZcbHhn71joQuP7cQdMnMFuyAJmQC8tkjoAyUwXk6Oy0wH+aTIwu3oyuF9Qe+F5rIZys0jYj9o564jrMTFfee2TfkUQrLrOP6F1kcMNBfYU/ZvsyjUNJbBt6vZBsLFi1SrG2Ygoh1UALWE58s1AYKRw/d84XThqLNLSbKchjMT2gwUXNcVRst1dbsw15mgmEAjIXSPwuSDtHekoFCRV+nR5V2bQ0odlDBlNhhCC68hUJjILq56zh8PyuSo7XRsUxNl8FFiGFaCz3CD36MpFJAnuerb0ZP+xy+bI5PYZHzFU+rD9ykxJHtxIjgfrcrpIxXGFqtrTGH9jPyT/W0Nv9ImWqSDWSeGG22jFCH/MMZ8MgEjZVXHf3SiJl2o3c3uO68yjEV6crozBQS/iXi435Mt6+0JYDU9atFqzOwXdVmxqhMD8FQ1HTQh5nywqqOAe6euG2pN7DzBenG77maRR7MVCxXxwngsXZ3GXQYxhv1YGK05vJWNJNoLJFfkMR6PNVbnkYjNJ/7JUR7cxv9/VDo0gnceTG60SA+JMqjAEseTTYSUnQiQ01OspWnwWlP93DFBYF/2xa+vCrbOLg3W57Ud0xA9E6UGVv8lgbrAdVPSbjndkbG+bWX7W+OYuuFR9boXGLJoKlWaWInR957C+n1gh0LEiKbZNgYoSEuPjVTzleK5vEbYCQCQ8esUK2E3GIQpqo4m8FEPv61kOkIDubxeFsvX4Mjbi9fMC42VSB3ixxqaLgOP8gHC1hGHGHqND7kEx9wkmzNqVdoYhQJnYyS9xuaMUxP6sb0SJOvN5MyX77LU30YoXvfL6ZID0wH/hjJUzJ5RdzNtBs74NtzHmYrIFUbpGAPW/CmyvxUljz2j4JpV5XZSJX4KkmuHaaq9DwEcYnGiGqERUTNQhaxq19WBgdeLyhnXJfxPeQGA4vPWH4j/rDb4gS30rAQirOB10T7JWy5havNJDlCNoRI3z4smhHPhydxT8jJse15+j5r8SsSfrVBKlum+0c1qNcZEdJgFO6aRv3SwQV4rZ6g18ZyApYthqXzwLyc/wfP/0fI/HbmJNo2EfQnV/ubngpFymDga53BtERGTaSW512OhI87nZmnN9rbJD328RINfQmfci9deFJRu12caMRGU/cSrDAZh7MkxaVDs83+V4jyTAz4WA6l7DjxKQ5cM4z0STLadqp+YY8LH4d5VQy0L1+qjraH5JLNvlkqd+qZLIz9KJhBIrt0Nt/CySDA0LwlRnmqI4srQRgP3bUSi8VhIwqYM5qcNkVW1C5OgPMtNYiQc6iHQfky3ayF0jwgJb6K1M92e+8IalBiBTJtkmmEWktEq21NpGQndcP3oAXZ/NyeN9qMyohrGtgt7FORV+SOfQ+Xa2FX/0GhAKNY2H241D864EJaf3+ajgUWhdnYpqaS6JGslMYq25TMW/CbGJzE7CuGsBoDkFf0gL+IumR+kcS8rhCM9ttL1UngqiovXJzEmFxjz+Gm7HGp2Fps2aG4zjrbVH9SpYM4CZaMm0b2VWn8L8628tPvYIwLKMAKPrKuawRgyqVp4lTNXQNcIpX94TUo8GHy9xVJ5vbO4DlWtwn0qoGwoUpTcxczmgOzD9ik0MZmq1Lbyt9jNv7CdyVoV+u7hzG2H50hTo9/Pj+1xh3asHnqBFX9LCQvjQWCH1WugfJVrAra+F0XDgOVCwUPE3ZBUzfPzDXcO5Qg5DTcyolHfFr392Pk51mEQkuHnERyQRytNWCH6rSmvkZeibHwi8Z4GAkFGQgCtbc984EnmbJnvUDRkFYo/Te/OpqgWhByrLd25WpBicw8pPL9Fo1cBILOqFy4YT4Vb5Ej/NRSeGjWcI4pCXjnVWpTOLFXvA6MwUSjHNLY/bHDcbBf5184fCxxu69ev755Rd/gXHd+54jEaOsjX7S3TOLglDABngIZUvpdMQypdy3ayPBAFVG47yUDpE74swX3RYeJe5GDCKaY3kv8CKjUFnW5MNXVi6xQxV9b+Vgy2eQHxenvvnT5LjvX8CC2JqorgsKQknhflcSfpSEM2qH8Znod7haUWD6utFtAEUN75KpYmvSCgbCUAAz9AYglN5xOUhO1gLIyNjG0+p4H/dZ5oph7ngLxgMkYs/QwR3IpPZRuKzofQXARglA8BqvdUIPd2zhBqSCHRbARpiVIp6fmEmy1K+bzBrOwT3Reo4G0VqQe1lvB8FB64bwEsKe4bti2Rkc54NqvTSm7rGDsJ1I7FKmrxxpgvEFDtLqpqUenP4XTP9f1NQZwgi0UxLYt1rKpvEue2ZJcV8LLstdMzu0KeUbuu2nX3yhHGInriqzizSm43xFDXtQbhDk4ZHgPCdphBsMR//FADZFEqfuhJFq7SVMWsJKHQPcc0WHBmnUL4n0kF/j9engqwghQdOD23aShF4iLljVhcOQnGvGj1q0BmB6f42sSZK4usipKn4kc0NUGQ30/J3W3ue8fRsCrCQdxw/twvfCIrU/lzcdpX6EeW0IKWq6KYxnZlmXRytC7DsLl7D/lkSroqU7sxF0LQ7RPXub2qt3oVx9LpzycKdgZPbMaoGimFXbhvVOZU3icGK9QNCtkpN9XlcbbQCdZKN6GbELyVSiFFTpyFeMjfzY1TVSERHf8skanZ2D73ipgbB8V/3ESLMIvdgjI9BQZCV/aexotiyG6jnqW8l9SrCHU7UoewUoRVOz2MF0H8ymHyIBiTAsF+mzKrYaHfs3TpaGXi+OWzgJZ7uQynYkfyt8Drc3DC6uPUnox/sW/jLAQ0e5FvsVR6/msB7X2DbajV5aghheAXQyxJhxjcuLL8/eXjqrgy5jwrvZsQsHw6k50xxiPl+nyw/2NLHbzcQd44auVia7Opu+CyctN+6f188HMeUivZD7yaneXGutKjSH4TV51wiNGpU0fpRBuBWFXH0n1oeuf+YUfbYYZI9/yEpS8cQTo7XnxhKD+JtwjQFpMhrtr7/9xEf9MJr/C4lC96nKVKescUpaw6eHozXsf/0affyP//m7cercif6qEwpi/n4GBXtkxD3hFo66QCZpqPkxbgdgX6MuIdHhfr5fMaUaoWaNDx90zRKxMz+MF0WcPYHMmIq0cy7TxFZp1kor2nVjKoSlV+ouxD/NqtAXjIhd3PycmGdA37vcVCIdw9XyJqGD1XPiJlNCsukXmqiNHmW/phVKqnLBIT/td5iM4NSsPXBQ9iIQbffwF4oYkLgsYVZXn9boUhpWkdehGOxY9h9aYwnTRAiSjLOEwxLqwhZUCcf7jSroZQrKcUsCNSRZo4S/OKepIZGZIKZbmXzuPypJyWgGKuJhwNJrr0+ZJHsTvwvNpjWO7wZ7sOjljjImmQlUm55ikHlHnMEw6syBnhijSAQ2cMHJOCsvFU2O+mtpFEaD6ANjiCaLRRIEeCeiVhro3IvuD7EqMkU8astHkrRUcnLHal06ePeU0z9eb/1lszBx7SjxJsZBRtS0zQuz9Lsh42+98JBnPXhfWtbp0eZqU/RRa1VPajPBTOkWDMHNfY5j6bL8Q/jqM/yvpXRz4wgNrpRJcnK7qLuHxSaR1eVknUh4Cg4H+Prk1RI6oJJspNupRN7ZMJ6ra4x3Lg0Nij/s5DSTJJ+lSSnt5PMCg6xPK86wgNIQaGO/k8559m/TfhffJwotecq3b+bXzdPodVGfO9bpW0RSlL0wWR65ODMDETss73XiswYtAK+oOJ0kh31ee441kQDUGz8saAUU2fFxQyKUICwu3/ca/h2tdf3tbUhuoMUjNfIu2ZfiL9HvyZePadHWpi9yWO8fmsMosFvdoRKFP0rUV2oBl6MPwFnC3248zYG2srqIOkJXwuPrBtl4fnmk7zeVe7ISAVEoxipZ+LUnh9D3ZUiCJmeedtiI6F1Ygq6kA2M3OgqdU0E2GCqRDEo0GL/sZV1+loN3fX2eX/YN5lYXVk/4UguHY7ve9k9yv9Pd52I8TXLOn/hCBw42irAMUWGOa3fpJ+IFX5hNW0bHXMyARm2Zvd5r8uO2vGmVxkGzzOjL6HTYM78aDyGE8jn4M5lhe9ZKwCW9CNO3LJC1CG4R1gv8aQdyyNJDLLdUs7S5NNOTkSdzjCb37RWcy0W76Fipt8rln3dJ751PmtTHCdDRh38JlyPtfC43lRw3r0YASphGm04hnq7bG76gZQezdXdqjabDv/omjowJhsNBsbZGGPOVWSAGyzwNOg1gTWwMJo5vUKy4eRnX0Vr1GMk+d+wTeOstHL17VO5aBCX7BrwOnD3dh2Wmy7OsVfQSF2y2WiAGZge6XbYBldFhUCCbYuExwO55FzCDC29V5U5j4PIYm928SLSH+DqUnbnVWIxEayJf/vt4FbGbzKMXRRjJmp+SVXOFKUvX1vwt6AKAMgEaPP3A9uVo+sB2HEz9B1yemiuyLnYl10kb7XyHrvT6mAAAKLyBsMF6rX+IT3thfADjjWeDrcpPQouwEqGUuOBKtGatZouOMlNc26gVapqkggohtprxIZ8lBoyCgXa7p2aIhK9Rc+U79iLu1sxDVyVcgHWgfEaxexZPby5uf+Vq9ne/ITDd0RKHhSN+smWDpCSYifc7LN9diZdK19UE1a0EfpvXrRCJS2TmENvjmyTv/pb1OHSZrLslI2nWMKlxXdBoyf8DxSOxpu3wCxq9DwOL6TRoRdzFJBOZnc4MpwJm/1izKMlW/pXbnNnrBamaxMEu7VDSJddGTBBTa+FUpvsLbTRBS6MXnMu7AFZiqX7Nlvc8jb0ZFPtbQX6yiPUOy7b+K+MaSaiegAo0+M+8MuWKi8B5upcvp5/+I0WcXg8A+PHzrP/SWfbY5I3I6J07YFL2TgunYzYUqgaVgSqwzZ5QlubS7pviGJ2n0eK6+61khJrXXWxDYm4kFppv1ojyjGcTX4dGDL2XanSGYf/cyo/R+95/Zl4S7eQjLL6YN+xuba5XxrHxn6X2geLD/N98rC6tfg7y6RGz2Oxp8hpjtPc7Yn9dGZtLt5b9JOxXiN/hnBnzdg0IE8u17IVD5ocCvYX/oFsXoGH43doK/viE0RkzHx5s47qDG10+5fEFkoGBd8YAGDgIBrs51LUsN7KS5XNYUP+V6HaKVTVUXjUE0hofMXQV6DueLg/ioqgNEMQ8FSczsKIGYW/yKcTuoQc9yekIgWjDoOrFNod2AZ5kPSmSZBKvu5MoCeJUfflB1A5WiDcSxawH0MZtZ6uT1uoFbY0igOE28w78kU6P0YHHH/APLMf7GUZEk5vDEbRPdWf3Vkv4r41niccFIrXnhjc3GojnqwnRLoilPQlGqUDYrnGdo5b7TwMzTI+EzDNzQpSxBgpzFsrV0A17/GAQe0HaHX07+fzZ4sUkRVRo6HYsx3Apy3Lg/6IR/r/9hydeMTPrGuZfTSSN+VPDuKotjlJRr4FBpKUmlge8gLfodY2PQRCuqbbSIILY2m0reRzQlbvYs0BSSk6//tX//X10PP36zjYNf6SsXYlxlXHC8Dj8WI+wBFLQiYf0dXA4N7w5SMGUOwUo5GYEHW+SD+VD9CIJFcW5M8WAW5a5If6+6k2CbIq1kY+QxIAoh5OVVZ23TE1QTzO752lAkd0AOlY3kw9RDxBpxaU3i5W7Fm9+SGIKsJaI/2qagDyNfGkP/E6FIaRg9ZjfU2H7HQpvY9LynqaumCNpTJOtP5r5ZRaonKCd1AuRFv56pjN6IQE1oVk1havCaA/G67v6Kmv3pEowbn9cIxGz73Tq8eqFJljZjBp0zpY594RNqMrNwVjcqSl0hLX/NlSAZI/vcufR+cuat1aPrFetof/59OV3NtbU49O5QpCSXJFvDtcdJIfdUiOpdfQ1bHrsRMdmozfSqvsmS2zClex9CWHM/fmDEn4h/49wZ5lcTt0pimhvaXjhAs4ZCKpSPwLUfhU4cBfNmQTRqlpT7I3XhfWVKOz9vVl8lLSOI1z3Na7W1FXKHz7ZBEacG1bzdrjFM72eG8C0Tm7kEaAeh9MADFTrYmtFre5Ucw66QB5WEd/R1GD8pq39a/+7catDnjps8ClukUrMqsrbI2x0EiNEBJepY9ra87E0bWTcxgJRExhZcRJgNVBLv0orZDPLFJJW2Iu9KKHbd1zb2xwP/sPDaG8NX/s/1w1QH0Nd7G9KVhBPrW5wkwl1wVxvwAYE/sK138YorrV0MCMtWuoTIRSMmLkjZrR43lVNgDmumV8snFIAJBKdTimvnm1+RzzKs7q71QRsNEBhA3w+kAdaa1kbD6Ddrz6nTtLB39MMb4wAXGLaRbVhK/3XJVhoyxt8hBu8n3ZlCD5tJS+chM8lQPT2ozagwQW1+p3mBBQc2kjKGIbDtRtn4jTt/CpMLjUdYzVwAp1HPfQhI+5UzS+fOJTeGzSjLSAs2If1BFXMb5IkHB2NvFtLJtP6NFA1p9gJcWdWkj9WY+ZE/ic80Uo3mMadGXrAWZPuuQmre2kWHsyeFTTv/braQ+8xTcPGHGTPax2HYqXB9iLDokaYW+FunvVOKlBWhPs92G9cU4RRaSzcWSNOiaWs1tbT5CvowyxntMSl3wXyFxPJ6tOK24wNEFPXzWx+Twjm/beKobU8ylLb3SJ9Xei0SN7lBYtmMTci09jprNjLTIic7FQJMnQ2oYx0JWdZQ9jQ9+ZtwwQbbFG+r8Civ/CAFwKDnmjt8IuHToH0mHEWtnEJ2DzxTpJCdSi9sroFc7irY1EXojLMWpr9OLWF5LUldnYiKlTxG4+z8FMrLJkdizobfFvn2YTS3feDpOaKx3a12FQrVTjsJdgHvKa3mr/BSg6cGvQpKuHLaSRLnGKDKc5xroHktDuUDMviUBHrZptT4BeesW/+jZ+GtKZ9c/rPYvsJ3Wzz5rozdwd7faIOCDiXhVEPH0klmkiKzQdJg8VFpQltvuaVeF4j77lidMimgflC8BpjksI/P1MSLQ4zRQJWqSwlHG05InJC7oQsVAw5bFESe1l3T/oGJkKeMVXmLbySjWpvOUD4dLi6ZyPQV5aa800W2+bA7S9XinfRsc407WAVBD/PDVk9rgOFxXvqpiOKJy03d7iD8EtyMpn2vK3m5t6Ths63V28eGDaxetcwDccLk1JX9S6z/7KBhuCNZ9DRjz+rGSZDrd7qaIXV2mwK8kQCy4tvICgeMByRUGUmbaCbuvtJFsFC91GaYod56X7lLORD7K2o14W/ognymias3coqXzNbpHH4M/ANhG3aTGmqmyPjoh2QaIRolVu+NDeiabTj5ha7i8IF2zaU+eJ4re0kfUdoH/hZhm+TOxaUYefUwVHyWCoe21ARRkYWTL0jWUiTTNgXNbGZ7p3KDZUsi7XRbL/UtMF9yRuKwjo8/ZGX02CUsNDROxN+VDk4rMApP63sfqQmQmpMj+19bkISRRJtEDOuCYUcRMod99XYPoDgpkdx2XFpftGR4eaIoSh6ENIBz/PYVnCuL2KGhRH8DP0trRbgpj9NW94gMiZyGXC8fAx+6Ubut7ioHvp9ploxx8P83VlLdsINbno8XctPtPC7WstBo94OWqWOLmFBW+nhQPPwJ8Tb7SZvBi613Nm3Gg+0cGjvw+Aeh6CVtZI8dtcmCA5in6Hy0/DSZH88N8jjmLXsvlReG5OLMjHELEhp7hTkVfH95VEvn2pjXKW/58054EkgnGZm3Q2DBBjkMar+boTa+jUWlRqeCzNwQOS1QK5vqAKDGpPcjyLtyHpy+Px4VRUlOeyvT3tfbF5f8BroLAHAO/uqDQmmTXBXKFlj+LQL+++4u/1kyxwTNh6uB7dVdWvDBxpcSm8Z9ozSAAavCWIjMC1G7XHrLlydo4E4q4/vqlr4kqXYkWftrnAjCinPElOEnY+sobhZgu6pcLpHoYBUJKOrr1MnKrOpgLZL8J4SP1prvF1UI1jBBcEo6DSd9qSFHORGvpAqK5PYc2fFAdG/lQWTPg7IrEfxmYA0M4VriaO7J09U5jDJWAzpk7gTz7yhZmZnpcto6mE/+jZSIchukXZ1LSGxO1oZDMSEKfyPl8v7xixmhBMxwECAQUtNVJzmKlWPzcLkPAwvNz4cZOz9tFpLugrcYv65YnAgU41T5kU/mu9OhNPjik2QbH1ZoCjFOQLYrXlLmrvWbyZ22AHdBQoOmA52mJsGZY4QLhWR6kWCPJCsUQZEdl5XR7NZEnDtso1BVKe51+18I9hZo03YSnnjMJ6gQs1QG6wvEklwV9q6OEcGljrzb/z7l8sJ0p4WZSizdgCAYmCQ6MZQjK2IvefLJXLS4rjclKsbsFNkAgdVG5wFxDd8OWw+Za2lIBO6ST29sha+ar0pu4LvnWyY4vBuCIubebMwItIWjCUPGe3eAV9ryivj/3dZHEEIqAunSe9J3Xoadz90FeCStXQ/GMx2H68Q1yJqQLQgstkwnlRMw7moCHdLiaAKkmidc6p9aeXHyU6SI5ILb+f5xkSZ4rpD54fJ90pnGV9F2r0UqvQXoqCDrwbil0FIm5N+YeVR+AFe72vRjhqtGuNTcqfCmd2RQxNcsszRKCscCbmjBHbYf/U4xDM4EcNSWVeXhdMRA+SkHRxl1fIyCiggf0spm8EaK+BrNEMNqciiI5fJgS+tG2b527kjdKw9//70+vXIQKLYPT9bAnPoXtGPcEFjkDz2Qkn9DhJ+5OHzuRTBTHWt/ITojpXu7jWIEIdOOzCXhsycOT1svNAYyiGS/k3TSe52nm5Hojbmfniyxh+IunwwIsjVNkc5a8IxSsMlhRt0Li05k5SvHCUwu7RJcnX2gj3OMO5uVS9NPbL07w4/RnSM10UQxWeXjnKZtLq9HxO2+H5lGioyoVa6rhGiqxwM4rDAczGMm7d0EB0xjmRLMwbsDw9UZ/wxfhw7XYzeAfOgdQ1D2f88Hx+vvVsgbiEfQGVQp9fcvO4o07nceb/Z0HVYhEwJGGuFvCBEMj0pMWTfyWOdp+ffRZoII+/V/Fgg0WHfTX9P5lQVbJq/S1Bjh+7Z4ZZvkYGw0cF+DqqGnjHrrjqcy9wH/J3zwLbG9dbm4z9jZqH3S+6NWWtvvXrq/8Nb14BPx6ahNGSjNz6Lf1Dc4eWiUtQ1sVremhdmmcLvudqCHlotEGmTtQzX1E12SycJNN4Z0LImQLEnC19H4CyfcwbJSUjWji0Zvspxu7dFs7YuspXZ3hMMdJqb1AjqNUyO8DzriRsBNuibxVI4TBv+d371aZirCqnVwwVg4kb4MfRZKGAsdp2bbOhsmjMV5INZ8hkV5VhTe2uRhDDqQU1ZDW5z/FH+tDrzeb+zfVxai03vl1Vugq2+3EkeiZlM1FnqNCmAY4HGXYX6iBOkQU6Jo5xBGQFZZgfeRJaHHZtFaF4HtwNnWdtHFq+j2dcjniCuPaJbNEkTAKp7vDQxgOHiWBowz8T7P3XgL/Nk9zIPf8vKXzmfyB3hpRA73YMoAt1ihgN1W2AooFiQTYFFiaErcLcAX4LZgoGgPhdqtY55xmZoX6b2ni/UyAtjXnCPv/uuNfp8oH+dqxEen1hj6Nsatqxk7c0wlhtGse1x5AnxvV5zyTOqxyPNQXhWY4C1VKZqc9cxT5ON2jLK3QKxP6ys0yhq9ktZKxiwcy7rRAtLj2rWEPW0XCIDQ+qPrv+WkSGG1eCq/EDmT4h0Z+RWLXh9uje/j1uiGXrEwg6ybGOrREJyIlOaRmLt2oiSke9s5PVe42piZrThLUpmXN+5aVBVyXmNsGhfb+pR2jyMJatVc9qvFrVY4Y+A6PJcQykNOsRSo8mvFJ7nqb06ffOOIv3ix/ny8nQQi+tKjTYgAbVDQzCoXqL1d1Xay8ifeT2NLEEmPMLQKZi/LC7gDT+cfdVoQbNWFcbu+bbzooh6IFrjXqyhQ7LEmNTdJm9lXaTtpy8OzS5Y8u1EoLP01Oaf2eGcsgtxRm962yYeQNpagzig+NITIWfefxBZYlLDA1bcDMKYyc5FoYL9l9tEJtQlXum4rWP54dPXvm8GN29ZKcZHdHmLtLqBNHIIibPw2oSqRPV5Vbq6EBcm5HAz/GgSFlaiWUv87mThVE2kgM2HDJ8sWR1mdJsxC75nLHVFMluDQ+Imz3jNNFww9OSRc72nSaubiGNUnluDQ8cjFG0Lc0TJadcI0bm8YKWizSjjTn/zmEmTMJppsA/OJsXIA+Fjdp+NQyFrddRcNPBONEOhJZmbnFM4ukAMFazj9Md7X49LcltYwoLmoZgPQSVOFGXaEAw1fqUxjOSGDBDd/Vuq74AatSsg+KEnxkuZYhLkEbQWVaiBQG4pK66RmxxKVNq54wlvHAerNUaVCMyljhmPdMOLryxiYYZQ0rytLj54hUgwWjpJCw/EUpxJdGbJmH9h9NxUMeql01NXWYCZigHlYELW0ZO+9iTd9vSonBFYdGVHURXYu64WEgzwyYkr9zR5nWzRf/62Xi5fRz6Fk7rbsV6rkOtQ5VwCPabNuBYPsORptIJApGSggodIGByxpC6RITj099of+MFqzg9uLRE6LNvSWsWI4w2MEYo1fgBMRqLWKixjjti+ijoqtsOhZEInvWdhpjlNpJMUU6PZ7l9styhPqjvy9xeZxmgPXeqrmtg1HBvY0Xgb2oXUJwl0uSiyUztvdsT1wukceSVyMpOnkVw4GDX/yT6An5izDsjcGA3jhdEMKNKY4oEP7AiBlWrSondQJCUDo1V3E0dkYQ8iG6KFhMW3oxAkyXfRpEvYXCBJWohAAf/L6raaCQacX4gRv8QKjnIyHAGX9TdaX8aA8w4979/rjZL/4Yk77pvtMN8kF8pvxGEn0jrYT34XUIez71yLu8O84K1miCai4wYmb+uLgOEfQnyhZDOzjL28Rc3MurrGhFg3WmaJDOMfO43tGV5gRgBJhAEZidXmZgRBRJWEcjG/5Spco7oUBPN4c5fn8T+LiyowdFK2EcjSwLeKeBF35baSRNu0kMDZeF25jKBhkqymta34VaLkVUnSbSyIjgDVbotSeX2j6Jne8KGTgQ+ZBezXzQsq+U/IPwEpyaDfJuoFCl9nVdSbQJOEueO0yduMOeK629a6ErS8cM5gNYSq4/OAnlfDmTjc103EgqZqN0Jd+f9c1hos/ZoqgmIMiMQPqjrUl8vbzkAV5rgGZIQUHvHRwfvNzegUw6VJs0GFP7Ypxnv4s/fU9+GRmdSA9O3+1jhpNg/lVfWf4SvZISCNNeCzhaPtf5l6B2aFjwZhZ2H0mUUWnHS8IBgiGLtvhic46OSB0QHBOuqlWkOfoDCeC5kjRN0mp1JCLCiC6KPKuJq3ja4ydpLWhOt0UOzF6XJYOqujokFD2NyummmOGtEMIp1CwIG509UonSY4RHPBKX/wWU1wEwiwnJ1La1GuUKM/oE1oG/KdrXNZflfXW4q1sl1kn//69DCCrbCnZCPv8Bbf3IqfYs6ukQzmmc6qN53ZRRDBwZTDzVcNJ2LH4sAAkpng6etuYVjrcAteDfbmg+pFOCPuXn7+QEyq5bbUn/gCRSeuCi4No3V3Cq71pBWrmKDWSf0owRYHiL66Gff8M77RPctCErxvIvYkoKGs8hpf4tCcXV0qpm6IefwiiVdNZlJTfw9FoG8vBdjAEkRoFpVkC49rRkGaSon8fn0zslD2MZGbzLSy7nw9LH5pZePbx/PiLC5WfN1iox30VqUZfxVpIbcfnC/Ia9bxVyWG+eHL/PpLpr729kaCpGCniy7DJFcSRGqmyleBitXeTqXoQhm580PcpRujMVP0vnl3aEcxyZeSRI8d2F3iacV5/9JR5CkqfjBkzDzyS+9xSF0gnnegoo/k7MvTEN0qOt7uSexn/J8CHP9S/w8Z1Iaj3VV0cFpdyBh8U3mc2BRGusLkpTxfTos73KKR1nNJ6RYmr6yYajSJOTLdYFu0TLH/2fkBx+NWcA1usOVU5bYJ4bzlwJmLkGZ4WuhCfYMVzUmyLgwzo1o6dLHuSAuN62QDlSG4fDza6pdLuVdz2DHHK9EK2pO93hvHN+52Lv8Hsei7yJs/i1TtJRL7CvRosgZwBiyzdd5cUamKIUQGGF01JRnDKywe/U71NpiITnduoseH/eVmND2NZMjHtX11sOCQYjHNv2Tyt6GooUkw0d1gkyiibk2yFGsIzMgnumlq4Do/QVJ5TZXmMnRLAwyqDnNNW8aUU9LxxukfmSsFg3bUoPYd8+1zRWoTe7a7tgWb8JJxa8Al3wAgVXIzQi3aOPN6WKclK4ULC02S2NJJBi5L9aqDvqLKs0BaVJoExQFXCMRwWne/GkRS4DfrvVDs6JLjFdEezVwntkYckIubAhnGYE9guSnP1LenLbJLWauAphW5SnZ7qZOzasAANHe6H3OOLry7lF9sGpsnwdzR7DlphRUlFXsz6d5kS+GtJXYeDwJRw0/R+4/mYGnJdNxEVPy2mM6ZmtWKF8RJK+f594ALaca9L8YBTMgoZCn4KTWOeOJ11OIUD8Bw/Zb6PiNa6wjveoulMr8ug9XKHDZXKNL2WwPrOXI4k/gre5GKm3JrtnG7eVZcuHxTbAodRhMFYUSCkM36wy2+IpkDR35VNx3GxOTMbMJWkxZXetp7ocECTWyxiQzkMRItVgSHHkzGhMekJX0Ih0aIAKUSEn91VyhfCySR1aLdk2c9po80uXIUU9QKsxz1q6UVVdAi9oefRsi7oouFMdZeOJGVGJ4k+5lLRVkm5fV5VYjA6vr0C39FgOdqdNn9tmb4nVMGc1f/caUnkxzYKBLEy667FyvYuH/fk+KvC3GT9L5uAIV/GrgyR4xHWE46HKkLdWEjSIsgkr3svmLCF57XchB0+Db8wphUJA12EOM3m2ehLaF9tLEq3yi7RD9lRVYba2bnar0OJgpJ2ykZUN4gk3Dj8ciHKvWerCgu1Q5qOtsE6O7oF4VCBE/fPO7OaBJKWl5B21VC80MreI7ijmstnL0iVSGYwArbF5oJSpm4OT4xpZgYSvUP4WVc5o7iFsabSmbnfAOm6701iYNZ7HrxVB6mqiXEIv2UW+OZvLjDQfIhDDzfrpgiBqsLw6aWTAQRkRqWiGKBjVvJq/BjuG1/po61VabDu32Zik6E60QZFcpLrF8WhNfKqmMlybO37h+2PGbav6/fOICE8MIhJelToCEO7/StjKfdKqdDY+GofihPNfBnnIlFl1/RnOx8nsTebumvADJsWWNNmLQm7HZ8FuAwbB/0gscY1RXhr5EdHziiX/or8ZknfrXXgEQy35Ssh1GEgyBOuA8wffcx03WZBCUJKw7DwldPmqis94onXGBdIEEFUWEQioUYDhPHhPphG4ihpFTHHhvnp1zMcKDfMPbNM7o9PKs41xEqWDc+trMho/31nRvkAogRk8AkWoHu7yIpt8WAtPZVqxz0ZuBfIHHH+glr8Hi9nXGk7p8nUCKbqFXh047rAJwJIHe+LCZ9NEFbf2aydKzXpkEX48RBhdbdhHsm5LYsNNURQ44r41UBA9L0BW9bcOQ14PpSd/lOEywGRgBFbj27GdCAPKglL0K8ElWyDgIJY8/6w7+GJv2YP9q9d3WyPvcmAtbhCPZTqIJCJ1K5v5O0EpxPidsdR7EGXdHsyiwJzNaAw3rZmP0EfgvixAbRzloM2Od5n1irFISh4yevlZTDDYdjy8GXTZcoUmnyrq0EcmXkly/aisvIs0I5hYNCTZaD8gtJzDIdScstlSUU62x045AlOyKtt8s6ZG6gpjZ3PsuBcnEgZ9Y9vt0rfJAX8Y69jH5UP75GVoTrKL5LsR751QQOOdEhpyii7uj0ketFqKb2MttGXAJV4fX2endFIwuhCzF4ImFxgW13+wKGs6naa2zIi7p7zTN0bDFYevHf5jti/hfudJsvUpryHS/tOX7BRdq9lki8ep21uq8TORiofOBPHbcV0Dd35FbChO1QYIAyYfArhnYuvM/68M1rHqXlRSsiciPYPJUi+rvbmTO/2kB068roF7xQUus34UEbycHTlv8TJyjPIxs1zCcGP1o2eKJLGcdE8lwb3ZtqMztV2dLac+SWnpaSMjDBo/FovWDdhXe4k3/8toag297p5OVgQQIXv7jOouay/u7dhpnf0QC70WVZix6Bx3x5hW0gtYaDJ6kvWFGm51ZjsM9TWwwwmaNoQs7vZPEs7RVoCbo2c3raMxWqqEdMwMk0GzhKiI8hhKW6DS4XbQxRGZ/mra3O4tI3UEm1EHhhnMZnTx4aBykwa3xd/xaPynlTjXLlDm7TWS0wWp+l3impK7krIPTh0ZKnwnkSnYQHG0/5hYmEMGfNNqyATVp1Y3+aHriMo0jpvKa2IM8CBRcJ+B6KwmYNLtpJ/K+drfOTiw15Drh6Y2t7xt68g5v5RBunDI8ou8Qp31Yu3U070FWTr2je5cZ9+dx96IYskqpgzPQ4dkLhLH5vlDn/gds6JjZZGo7LAjx+Wtt9ZbZH/6x8RpREvmOS/g651b8me9E1hkHigSqMt9f8g7d4XrPBwk4+Vziwh30+e4O9i9iQq5U6JsIMyX/4yUd+ADVKkllwCDXqwoXf/dBec9VaoI7dRLf2Q6JZo5UAbgY3NOIt4TXG7FZv2q9Fu/RAqzHLwwtPouHzy8B4diSykL0husU3QXQSinIVnDImhhKEGTxREvHmFq6I/T29325LarPnI00YGJxIav5xVfbidSeYrf8f3t6tO21t29b9K7znYUnCcsJDHgKWBALLRqALegPkGBsJM8KdX39Kra11Qcaa+1zK3mc9pJQ5M8ZIbCz13i61fnUps+p5HlsmzkfGXzOVbMqmgABYRNomzBP7L5nerl2fI+y3Ov2jCBuoZrHVycxwhcC4ZgyIl+Zzu6CKjNld7wbqxAIrvs1yl7X/iO9YoSbVh2Y9bldzx7/Qw2CNruN9GfwyK6GnOSD/OABEGZyOp15HXI2gHBYZ4acMWpdhB61t0jTZpWLwImGpnsPqBB+526AERmsbPwZQTN5/tvYUekNPgASNWt1+r7lHu93Hklghuoh8Bd3kWiz3skJCM6Z2+hL7zz/VTNCk8MCbY18ZDsq/eBI0ZD3o01guFLYcKqBvsBbC1x2Qv7MxwbGk/1BkTACGE50IYMWRSq0gIERqIz5LbiGEjhyx5Xb6MvU6T2ZbccSEv3FCTIWoiOjce3HM5L/+HObJwTiPF05nBx7v4OulLrYyTF+BJPtJAOUM/8dJJR1Zs16RZh9tT9+jg+Zxv/xpDV7eks23LD6+ZfE/L/PlRvnDiFe+tl6r+CgjIGhjEougGWXuO75AFQQC2bwX4bHBYCQw4tTCAbcXkDY9fp//ak2SNFcwWlypzef8ZAIpQL0QNmbqwFkTkgQKk8YnUSoNqZN2dwz2FzWYBqVAuVK8wG12sWI+1pk1TtBiq9ud9DD7b/muXijR8L1spYtdPxTU5zAokI3a+byP3xaIsbv49tQUyloalquyvos2Xdb6144bQkj5tCBRI57QBoNJON6FjapO/BoDiFtUnxgmZHzze2J9e9N0j8+blrNP7VnVejPKBDqosthmA5zbUVdN725lrJcVD/C8HX8CCfMii9nMte42tZqiVafrVEEbDAspzO2KYITbgNtDZBJZVR6QhHdJxpxpm2Va9DRVS6tENgjjSHswVCpzhxEkJEXNmwilPiUHF0Qi61cHMgXkboaZHXROJtl0BZw3P83J8mWqiAVcAEbTTSh8KKEP6rtAUOlWbSCFID1MkgxNrQl2t8SpVXekFb/xhptbx6+gTsIUzy696obVoxBDppPhlnfi4+Pck77d0xn8oG9903OyGusrgjcRX/LGMtyx9Cqx9567KfNKP9fASArHP5tHX713YcXufOBvgcXwQTk7yGK7372cHj12+58U0zur7bze76g8X9b0d69bGWaMLIAwkjs9hhZ3m9yuz7OtjRPZYQcU290pPh88CAkOKA0bqB6LVNlxxpOkUiZMuRHXGlq6ZEAZozNgQlhen/7glmxUQ86zgZ7426VjNa3AdUkNq1q+xfesMuZJGndVOmAGiGNazokAXlZ3tGDItDlolUOj84FDhuH2w+luCDzDmOIyWd5iGMPN30pstjMDxFgEsRz9uaVE+bsx/oEX17Sivh4dS3QUFAppItld7m/e7jLfWycSoaBDizbODK5v7dv9gLRLljujjeyW1IAKeUe1F2SDkwrpdoiholqabfrtRhm28UI77E3EdqXpSeu7xmp+y926IOwjvKOlF6uy5hZSjqSvAcTuV/c7d6IYiPBTt2a/UVP0TFbfaYmBj2OUuSqZ5Ukacvax6a6Mm7ibVHHBz2ERrIGCiLaIX4QuV6VFfnwsIL8f+NHrOP3FWfChkFMdI8qO/FSmbUU02NoOkXWbaWEziGrfmc20PYB7l7EwHlBNKn8Ej2rhhCvZ2lIfqkPM18n7vjUCsZ/1enB+YITDrFHDBtQQ14rMw8ADGFWMWMxRtzTCiQmWVfe+xNEGfl6qFlaFzog4DhfkzQgkA8meWUnCwOPjyzNnFHNOSXBp0sOn2oUSNnV9QwZkco5q1gi36E0aNUa5DDjHDl9PIX6NsuiAuviVRw6Txuw7QoRMYOOVIh47uhDKEIO22t6BlSgGxmBMhoiNL8voHZbKgF8tUW5D3Q5FKv/HwAtntCcOPrBE88tqtlEPTQ8ITQZ/AXh78y5tBZI0J1tDAGaXW78Z+Ps3Yz5Ev9FK19UTbsY508EluMqLtstGxM9ZJEbu6Rrh8j0G3A/60Hxh54GavWrmUvvVeSGrTLaqvFCHE/cNHIxPk2GPpxFCuuiqtikeT9cWW/scaICGn1LIlJkjBwrcw7+CIlan797PJgCFzYkyytGmauYoCJMNVcKM0Hjpca6EzJ22v0sQicwVnACRpmVfVySva2Mk96ADTNetMNDQ38fi5RtFmky5qp5N7Iy+UdiQSKH1/OLQ9YbCojW242lKSx38cta5IgdqJo/FijFdozr+R8LuPh+EbxyncZFIWDfyR54p631NsRPI2/R1N8JQhhpCIWu2QceZmH84eNbUipfDdf/LqEk4A2Vmif+pLLwinCqLO4sV9tGeZefdol3Kc13WQEhI5FiFSYfEZddYyymXESmsb3m0RfoNZqsaaS7Hgfj0Xj8fvvGXPMkIRz67ZDiXpmkZ5bufrdfrg1g8R/UZyorq0hr6uzUV6wvh/HQ+WqPekk/hocgFqoy2A2rlDiCuUC65UqkuAt9V83d30zq5s5+tOHFfsSQ88B6YbGS+b4CcFylRPJdaHH6E7telLwkPztkGXbQV5yl5t1pjxWKIGPqa2WprVPUQNFKGecjmoUKPL2z6YpNKJVAYlhhDNzDct2ZP8Xun99h6HH7zRAu6Uf5GQXhEtBX8MdD1eShZOKOPZc1l1MzZSzHCyDf2IOoJa5DlAh/SmhVdDrG4t/jFuOI7pef8hRl6PMTXX5REH0YfP+5/8Tf/sKL7a8by/+8vlunsT3QE/P6z9bDNYizVkhSGcCUnrotc5bQPw2/Rw/ABGly/RjCB2UDzKMIq8nRLEkAXVGuAbNLuXlpJu9i0hmodaBLGyIGi266S0qiXxL1YOZrqAhC37CFBXzTWgPibDS7YarahRgTKBRt9fLZeq6+frdd8qVFUGB/KWEETFMpm+ketTpzwMM1tpDOYbB/y2DuGx44qUEV7DUBXOjUcfel43qyWvag/0dYJwax/xjg68MJgVKnD1Oo6yyrheLjbDFNu/wMl4iLwv/g362IBAvG7VXMvx9QrPZrSeNtYGlTwJCpBX67g1jjtjoWm7hc9ca3X6VWi5wWef2zFiV3oqrBUfS3Z85XsEWSE2+FLcZjdQCslfPzXOWHm3oq6lUZ9l9n2gochiHM3Vaznwjuuq1mPaqoLLw3mCvAY6+1ESo5DXtSQ2EPVsA8mP1uZhZBQXd8iQfFJNgq2Td2/yfVpUoZNUzoGAsTBckyfUJrA6kiQRpAfL4Im9y/9QE4fPhrakhMr7KZeNGidR2aAnBXHhSOm6AuOJxz5LWv2Kj7WQa/8hoIpFmEClwr9LcQntm0gNdXfhFWAyzNoEz/okRsqYRp34iQ+/3laHR6jT5GjmvHnTBSoW4z+tpkCazAvUhATJjFiD0ghINa4eG+VTwHOznlY+ztUxhdO9KcqozwwnlYU4B2RkC7z3KwWyoajjQfpj67D8H7F8u5NsyYsAG0RfTIH8f1QHF9j/6/OGXTbvJYWmasOWtGmyX5MoPLlTjbHDn/3AgWzBp4wg5YpOhqpV2YoyeXZEgDJ+m5bNmh8DGzYymp5C4/uYMpQzTLLLMrCP4ubJLsxu5tBBrF3JJrhpayYTJmmkZ+s3e404T2LHxdyhBQC3hpZ9ngqCakqCTXVy18JAzFmlPinD1+9gs/+yCm2i37Tl0I2kO6onxoEXJ6shNp642qbCJ9ImrWFU9T8ZuT0xHicE/f0OpPFTWwc/i7yTG4zjBGonmagh79o5tzxgQaeH4yVqGOS+6rWoPc/EkU6RMQXSC8r2QXiakehXWRn2aDSgKKqrxt4EeePs7KML41SDG04f+0U8AK+ob9uzSFcFps/s4IY0JKM0ziUbzqPTkTntVWSjdOWz/IoUKxpbv/YEuE7nGiK4NhKBe0F9AvLkKnnF+TOqkekq+uUtYZJYuZmQpvsJqlCplTP/7aWIhp2U6xkUjCQnbas51NVDve7lWi1/GhVEhbTZtFjXM8ocjsyupCNjk59J0FnXyT/huj2p097sYKVQmkaNRSx9c3YikaOfiWsKgRuVVaLDYuscDXbVDv52fQeDqPLw2Gk5RyIpFvJdOqXG1kg1Q2LsNov1CClo/XAf+RCGL79kkDCqOFaqWcSy3hoNpft4tAarAcYY4QGSYyvr7BMHN+JTpNbcrzeEygnZxJRfUZMRPckYdAiMxS0/tiQTfg/bAU45c75gzPTJl+SfAla327xB5+38aEfOYQxcgAQ9lX5Bm45RVhYkgNOi39HatJF5l9vCGS/9HBq2hISHqT/sGXtZaUOBjFFBabDwMcJKc/SvWAp8m5v0X7nHbJftItGSwTR9sZQeT4xteEPFF0i4+VHa8yT4l2RYHqAH3VlbUdNwJ0DpSOGpziQpedkfdx6BSR0SZSU+0TvsnUWyK8gh6ml36Ea0JOn/XS8Jbg3flNlbufWN8EsbHT9NGIsMTyOaRrKcr432N6siTIv2CqNjgvVHfgXRR45Dd4UKQm8dkhHkb29WgK9Febj+GlKwQRKN8M8inwFldw9Wyweq9UtFT4L/3KDy6rKlRJDRJStFmb9LMTrrkuE4iaXtPiv4FaYZyutS3xwSqKLgCD79LmoBlQMR+CmyAk0USDO0fTjeh5ubUHG+FEk+GSosU0LN+wt/+5hxnm4KaUgeSmz8+4vZmGh5/DM8Y/Q0D3FnoCqu7KSrJWzg7ELZhfU9JRZujbmFw4+jY5Kth3vzUOFWELI0iD0CVbbZgpe4MySQrMaJ8rvgwlALWcWDW9arrYjUXiMbe1CtVy19Y9LT7xeHr5631GASKqBkisqWbdyuoYkCqbWh3eafvmnFdRa5LxumWnpYwPkCdGEO8hft72ozfZDhm9lhYEx1Mr+Z5NHLXYyj3YjlwIZTZ6408RT0IhBg1MdAFfehu+NDK7jaP+K6177BwlwMcDa/h0p0i0OC9a6s1wPgxtYg5hTs+eVeT6fRZ2fUVy313oHJfcPLLaH3znylvhCL3oVaLQPyAyZ9sZ1Lr6Hu01UcWPrx2ZXNM9Yyq1aKceomMCYL/z1Y3lQMROjpk6oVa0501R47IYrSmpGG1KbInq9pOJNj5zl9ZKzNJhCQA7p8F+Vm8LF+FGCKefO9Wmr1D2bn4oDoHNcQz+qEuWFs9e4AT9MZGbkGCl+L/3ONE2CXOXStm8w7qEHOEYXX36mSVmDj6G0PXj+UV3jnkaOETqjpMMxl6AnPPs1k586GpEHudxmWbhtqGCzbP8FRqaYtJLqP0OxgHWcOftaO+HtatZGJh3mfnn8B5+qCNFy5c1T0i3S9s5nI+Fj/VGnVhMzOgG+C0NB2WwfTrUyGsKppPtg0uViN9QVM8vjH31jlnUHiY8nvc66GoRL+0whxdHEj5PEpw5S2oPFRjnZCJMrFVBxXz/Bg4fggRLx8tvrMhiItnCpZCgNl1IdFt9DPvZ+dWziX0/fQ9NUbHEyHYq80nkSZwb+rtVLI3/qKbhs6NEX/EWVxUHvSnzwV+VzGlECokpllGWfFgarpwJkvYj8mAICVvNZYulwpq0Jwe52vpdmJkd0Znpp9ZLohu56zSSLFEouxP88zVjRxivDDjqo33l1s2uN2oqeoT6/j462c1wIGsM2mXaRC1ffsu4c5uoSbc9FtY8UVNPL95abPLVLMUoGEFTcXbG51elN1k2mq+6xTGb0tkk5ohQvD2ngRgXIz+n0uMWAaaWqkOhDdq3y0bRpVoVQGAZ9kbb53S+DT5XjQTcsq6Lpq4gPktBenlktcd3JYtxeAMriJFLTTGREhELLPcwyvpXY/bCcu2NgJ37oJ3YUTi2qjqI0XheSqVEQptiArn0bg3cJzmPjJ7zS4pbzW674M0jMSktEZOmqzFASRIADrRQpGwU9LDOP8sS+mjYfBwvmAlHVehy+TSD6f8ViFTy5Sote7Dg1PV6jkUWtnVshMu9H0vRDjfyyZjjmGSCeB2i8rTI7H1tJ7d+Q8PN8K5vPpPb3rQVDFR+EtVI4QonfLurtqgXN2HKjPNFhb/BN+vEf2Q8t5csLU2zUBqOsS9RsFejqcTT1TPryWDUg94A9WFjkQv+3IOZb1j++zdMd/eaTARmgW8hLCdlbrqOj+Dx8ISNjXNAqal/krSHqT/B4S4gxYaoWyVlkM6FXDPkiKngVdWod2mZJvi3y9KE1hiW8r/SEpYj+448l7Vop2jh0Pc+c620pmRMGCbRzm1g3LOAKsPiq/bVhIEmMrrgOUIj+EtiPCQY8FQwyiY8qUQA84ZzNsrNEHAx671+5Ge6xoHkNnnnhbsmTKIK7O1tZONpQeApQVHuJbHNfgdovGZ+uZcCSOWLuCh7akRAR81B4wgsHQF0kZoElHFRrviKJScXEAB671XlQXQuTXdVIWE//fJHydKJ2FH9T3EZycVZUKNp1TJQq7dEqJ4A8Mnm7cEjqA94t3QFwbgp1CTK1QiDKJG3M1Si86IaeIYuI8Q/ft6h3ZVxTwNczclxtKduR0lgCIYlCvCo66byQhq/I1XU2TsIQukp4nxUYZBfdqVd5CCpRcaumGKFV5YQBh7uYoB25f3hcQh421rkIiA1KRYHhEV0C0K1kQprxvRd9LTfVlZfJwinpm6veUrM9hBE819tnlAHcK3ls2wLWrKEndhy1cFUXjZBNJeAU7yunCgvHlZZgIE7oKwGxsnY5m8TEmJaaEz0zhfgqjW8FUqSHn9pGlteW6x5it+jtHueB/Vg4H5Rt4iEXtDESENp8gssmcKOSVF8SILGatM4htGqv4yQWbeeogrhOSD+MSVeU6uqhQbqJrYWjklhyzAASFsFw0Dk0WgSLGcKG4KQJTIxb+SX3H29spmvxEqoOzdSd0hAUADxbmCWCAVnQOYzrs218KtsZfgyZY7auQXTS7B6sPVJRv/2tv0aegVh4xBj4VvsXc0vYc1GlqAVvakVha2q5fVF39d7/a9SEw8NgmAqV+kFsnoxO44UGgf6Nn72sO4/krTfMbt5FaH+XGB0Ng7vs7NTrPE0tkgPJe5hMrfOzRsiGpLQU5g6mubV0Nl7N98QPJZCaZ1Pb7P8SFextIrtxzwImwxtz6kWeLByUfvyaUOQ7Vu4z5rFysG7lfyDYHKQ41SNtUamKwAQ5GMLghUL38gPY2/BJzucMEqdKdI2j9QrudCPw2mMaLT/wZd8zGLtUXZPBDTyg6VON4dQMQcvJeNxkdHI8iAK12PGEwLMtThyv6E6Ss0RVDAy4Orf5kFwY0a5nKkGmkjNb5l1RspfZeaspT/5G3MbyEq7somliBVh275CKvoxG4wuwWQVFRF+NdVMybslEsUXJMvb+1TCN1qFbBmkXeGZV1cdmjS25H+yNhv3wg3OYeR4nRU5EUSoEXRmUqPExdwiqQdGEAyFtS7xxT+OK5WthLMFGxxkdcZDOGbVSHVu/U0uTivuaNf4GHYL2ZfpT6SUV/53wcvridNmsx79Oj93D3GhqsW4wwcw7PjyPo29v7tdjRSvtzKQ1yC6o/7T98SJ92s3pZDWGrXhlOGDPTfqS0rpQvQs2pgUEYDMFbwwDA586SiOnoNdvw7o4nz4M5ZpmeFsHYbXufZS82R9Ur5Q2vlwG316ffmjeOtKx+Wcbt8TAq/bSOjFIbnVL/0JpMyfx31thVLxj3gz/sWzp7CssttfS69TQFd1GisO+TtpyOxSyRIoCYxB0EG6me2y3IU3dK8swRG6y3GJUu3fVZBHEa63D6RupMNK/SjORxaJgGXidQwrznlNWyzV5B1Ardzyc+DqyZu7bzgThHHGMy1vKdD3F0o3WWNCC3PIxaDD72NcLT4efZk3VL/YQX2g1cRWq0lUP+Ko122iwFJQvkJc/fOAReHR7s9ay3jz9A907AMwkIYud+FyxFfqdkckpOe65Q8nYtVUuX/YKcEiLliQJ4i9OGrfEakbhgedzWwXzxyeROQPv3E1OzUS9YNibHlrRJE1E1fgHM1lDX0ZYtJA2kCG50KCzO7g7VCRjCqYHAp7gkiVXctUEzQY+7wLzWo25lf49hoPbY5qFmdjDqv4XMqGh+buiAxoht4Yj8fp8N/UlG7q4Cp4YHCvTmrI4h8WYSn3ErbJde/p6fFW0yHFuVKgg+cuyIDCvCZQ7eSriUzMMpXhhk2o76Id+bOl8ZVSFXKikQee5kMGwSQADDMHuvk5MUvmsZgrEFREyK8n3WRLqL9KcV+8mXQIPW1NauFLGE+WwGmONJmL8sr7zmg2E1RUuoIz+dbc/oaZriGIXkbbiBbQ/KDZ+wyxNz0De6ImRRt0SIlE73alsFaMC26qOR3g960+XOVX4DlNMZsVzua90Bz16+ieP7EV/rLrE4OyWjprpYjCZ5RhIDR35JnlE+JZxBt8LCn2YfMRPhpp3uqj9U4M3mjkrynsNpRKu1YNGisiQLm+D+q5CnLKuTuYKcDFMrQ2qH+P3nWkPjXHTru4UIiQcfSyczp9bkLX8Cntj+Bj+zAfuV3CkWHeJYF8Bb8Cwr/AgOtcZAEPTcbUR2bEVT6b2L9lQNwZ70ECY/Yp4qrd+9cixQfNA4b3hNvXhIUgfHgIP/fxh8MFWWfDoCuBHaYbVXeBjPC8cm8Rk2osTA5Uh56fpjBknBS97+0aEig2cfHT58T8SNIh9KMIYL0Kb7pfYdm2KoNP0v7uFungE3pUGjTsi/lo4GuRAIyParTkC8NR66iUqvroFYopwpzgugt3P1pt9+kB6j8AHczsax0kUwkuAxqXLOw/iW2asEVjKSyc8itGGWZH+pRUDdcddn35lw/UOF0mIwGpSfCVLOKOLZj3J3FryEGrGzVU6LhSx63H2rlQ/vByLthlSP/34oNtaVijQUInlCqbOgxFUnQxQQCLUzdE7hiFF2kX4APydZJHW6aGVYlRVo3gb3DHban0X7iOkbpShtiY9YMY+EM8PLaEu5Pl/WmPDHh1t1HcpCFFRTWEKJlqMoNzFmSsD/8eRc+RpuLjFPNGSbLTGN2e1EUyjwp6WgS+cK9zfcnNVyEkLm0uFCAh+WC8bHKkDSmh/mYHStaW8NfO4dXZziaGdPv2D5FKNfL3MnM5aeRgwB55XhksOokQ1y01JCZhNUqcryfYICsnUDqpH8wmvRKMdSLARNff6fFcLA/6VkLXqoGREwsVEtBKsKp4pUH69wW+i0AFxcqR5l9MdECI0PFoBBBSOpvJqAze3xEkhMcxsGSPa2Fmfj+8ocXyliiBVYMzt0+fYU9sQG2EbYrdIbI8TMnOo7DQSoyGX+c7CqW4kqOn9DHrQrxRu/7f31yc9zaAMK3IZUHOPattZipKiTCklTJMKaAi5q94ye9+a51NZOw171WKgKvTHIg8/ZMrMy4Qu2uNCJdsrkzyFeuuEm4QjAhH7tkvRdYw+lvK8jdfnVCD8z8PN6Z8lrWuCkZSnb18VBPevIiIHYY0rGy6iFj+j9blabn6Z0T2ZFisom+/t3QSyfixrk1TjrVxl5vCtXTUDRPxoFsFZlGCKepM9Npe7mUb0ibT7WWK5kSUgkd8AcOA+uftCMdWUdAgjnNg2zBdMG5ogEygyC0DIRK+B3CJUQzjieumiFRv5mDufWJKSjOsp1wIo4bnVUVYd/jbDjv/+/RI+PPS6rUFv9Vs7yldgd2yzd2lLeqyQdCO6JLSzPx9vm1ZvpRTl7Cwf/NSrnuLEnSpDVqJSVGYUSaZQsi6eTPy7lGP379Io4a3FYu15LhjF77K8ngRQtZuIyD5K/R9MBRO+5XtDC8DktF2tFpk8+rJJCwHeZMme3TUkPCVg8iWbA4aJ9R3glfh5k3eGGuOGAH15C43s+0o1G4eFedsXkqNR4Kl7J/SnXienv2pBjF7f7nDpFLb1DE3sos9in6izoY8pE7IWsTU1z+GiDi+Gws663l4SiOB/mkTgP7eDNyDO8k+Tnd08+JDVQ06lDM3KA0x2ksLcRAxCvDIhNpJ6xTlcX4eLA+88Tfkftu8bJZ9jZ7U3wpGPRlI+0nAlmULBLxG+xNY5TKx3xq8qcdczK0V1Bo2q6LPI3Gqa+ZQiNGuShclqyQ0hmgqyjD9DYwOIKgwLZbuY71ZggRwMV9mLue96xhvzzX0cBSvQHRDwa9J10gYbW70lZrnSQ9wIpjf0sHviPV302UY3JJ7Vm8nCFHeId0cBp/0C9jUkc8wzFZUv2+mn2j8wnvSNjASYu/iovjBXc8Yz0/EDdB1Uf8wlx+RRVvX86Db/N/ZQHDri5hPi4eWW2iJgrm3DQJsH/n4BpsaohhK+NKU8irLOboGdr2IJP2Z16oLbclxs1ibIK92VJnsImwBiVMm8s+LuNDGpb0F1nLXjHfp8edSYRCoXEEDXrkCYFo6t4ouAx4IyqRPhH/FTZyZzP3XK9sp9ExWpeNrgGlmVGvok9CF3+3F0i15NYQfng4+z4QHNnnBC1Zwetpj7a8YPMBjrZwAbXCynRl01Ea+QStS4KQhhI+7o1ofZoPXBoYi7v6FUHpn9XgYdb9FODSwlbNOwjmjaxpkI6BgS3pk6KotLWIw1RKWaa0ASjMv1PCvvjrfgPoEmXbdSy0/GePuWzEoy/xqDAZEoSV06+7UuIMiLWicaubNvY2YmI8WZ07Fo54aEaK6ZCCsK1YZZ52P+3vhNq13zMYwdzk2Oy00VmhuhKn09/+Z54XLqNssUoz8Xk9qaUkwN2rBvaw4qvd91JgiK4HgDQSBo0+toL/Am5jChF20snrDW8Zvc0ANyKUQbyikWxgAmYzwK+khDfy97363Rw8/W+z8WE7zePl4Ow0pSYc87CNCWhlm9UZwlz2VOrk6qSMCLJRnHqxOdeTnWjeNNE19WrYDNYSjSElT73KHW2zWik/aNvekzBFQysUa2PCcSX5XZ0AKIhnJww5XEgirO26F+bpnA06S/xiM5BGUuNnnSRZ1W+qlgNzeTVRTyEri/xKSklFhkKG+iSo9Wed3mWeFS0TvPY/QSJqKl2DGYKbuLAKfnxw/DcZUmcUplS7ctPMU06rZm7W4N7/ZeGdAmR0sWXYChK5kTqSgCXKCjVV3nXZq9+Oa6ozpERSO6xDGoNAunc+IX8QpXmAjNOzffBjlMBNUz67D7AoUWpnbOLFcFKo2u43XYYzTxOpRJe/0vljbwTzq3js6M4U6bjOXAk1S6uTGV/J/8hd64usERXi5v6183WtcBiQZM9pRVblZulsTYxpUMNNklESXBQkBdiCfhoVHqPc06a13OiTib/zRzzmbcfD6W+LNLs+EcsgPjsMDtJggkl7uuc5nVlcQsINpH4RnNcs5qUE4jCmvVbAwm7BLjIBQCRd+soTxJBb1z5FiiZpfNpwdc7OpYeMzoehWFvouO1f9kh5MGONcgfcDE1Zn90O2mk95EehKL53GC8G3AQAQfI84KXOu1FFUiWfgbFzrL/Cl4ftciO5vhKU3YfwrJrvBP0s0iVgIr8RQHcpNmh0ANtchvqQKQqN61gXx3/aSKQ3mRACEJbJHXn/6ZaWyGE11adD/zPLcikaeWmX1szbJYllb4KdGogXjyN+F+/ytENm9r9AVpUZVyIYZIpuVEjENES+eBKxq/wJtbGU4SsWJIS9ipUDO+WWImVqN7kjsLXFbJYbWiySQJfWwQXIU/3wVMubNvAs6BVGVhulwsUESxgX2MxoOJImuRp7syqE581AtHs89mTqcqhKr5fbwrg1/W6Gm815UZUAYy1ingn5FqiwXJTRY1tdw0MflD6GmKPv5mn/RERoaLegXJOydhpDENI7fv3DjhZf1fr6rWv8lhS0eVxaN1hDHWVZKmuXmVhTpKOU6VxEUscy0LPe7izoBkCwD6WZ0a/QYl2X7aBs3k61yxuYLift5PJaFKWBnRtSnHsR5VuDdvU+qZbqESGzb8K00axuArrvQ97f6GWyNNPd5V1ZhqHEmHeBfsiACpf/xsuf84VUtOAw8ZJh/th1E9aKVp+PyX3jt2ViabhSXwh6J3+BXJ0/dYvH21jHiuuYgEcOgeS6/g8PevP5UZ2BlzS2SYM9vcoZdn+fRp11aqJYdr4mD7l1gut2PIeKbxOp1ooqOkpqbadd6282D6ilD3efhdTQz+J6uf3EICxw6e2EmK44T0hi1f19yiz3K7aiUkAEptTKQBMn7kDmLq5dN4X/Z+tOZNXpJnf461OzppKAjkI/uj9kEy/oSJtTRTCZjaC67DfCx/8dhSlA29n+anuvNvP0gtEKdmQIboFcaRKydlEo0o/EZWTRleA5jyOW4QqkOdPswkubBjNZ55HGGl4r0PskVXoHmZMeiHGVbPcZKOYTw/KRCU+0m5u5sFGqczlfiF4yQOU68zEVLg7kUs83m7+6dozl8oAbg4GNWDh9HHpfWa6cxzVIWpgn5wwLOoe3r6kuJna3ReWGlm0aU1dcQTzvVjaXKUZ/eAltyH0hl3oQ+ymms1FaA7f/yA1uqVs625mOmx5a0+i4RcCQpE7WUtarYWMw9+acrLQrVtl5mxmIwyuRtAICmCUNLSFYNOMeO1DIqKoecyVyiIYMQpIicpN/CKSKZhKksaCIS96KsfcJqkk7G16jIZZV09c+BAIqRJ4NGsqPV/e7Nfqt0Q7qu7ZI3+qwwhOSPHJDwoNQX65oMwy8juYGrHr81PW70u0WoJzazENCjJUcmIYspi6dBOP7hz5TN0nybZ+yURE+7oI3ocvHTc0cej+1g/6olZwp3+iNLDFsdoX1NQgFdv5jkD7xxOG0hVm6AY2xGeVs35dCV9Tx+2v2rXOn1f/dN6fDi4fKMKUQ8ADYkK6pyjXjKDhQ8tG9KXSVr4SfUsfShRBDgeXj1FpY7qdNeo9JpGRk8eUPtUCf5yeFXleloprc/IL/S6H9XFnjfNtA1TVdGjIrYf+W9QtRg75CiNKkb65NEeGxtLzc3lkS9x4qSbhspHRP/459/5JIQnlBg4m87SnX0T3boczI2/NoRQdsd7ILejZJyUSBLfjun1Dy9V5/dk8A0q4y+WAfJBrU1EW1eChkY88GecV3FtwI+cNnw6EXzt9FCqNUxd2W1VThOvwX+Kzz1O3KeJ9Fmc4XFAvONHXDrpRxl0JAhOYEepyM15jv26ESf+QX6OJpD465ksz/1jK0OaYM0V7mORSGS6ZprRqrpF96fKz8zezjIeHounP6qBhLf1sxUi4ZjVXb2X9u7RfVkbdD10BBog4a8GqWc/twpYsTXAU4S1PSkEaqQK714+JHLcKrJVpTF++y/dTG/txnnDqLOUzqpPw2P7I7EegYmig8ujrYCqOf2sp59E0DcckFlGaABzVXemZH6a+kRSu2sUkCrL9c72G2yzdcdeir3Ix5ovALnfRIHZfA6VC353qsArUOn2feDHnyIexaypMf9Dns3QVdh4c+fMllCwpxNv2GrgsyzD0FXr5u9IuSAjBKTIii02EG917q/EvLF9mST6H4xqxGRAuOZSuLYtHMSlcl3QeVasob1tLoHvM7Qu3lFMtKJVjv5yYG3f7rAg2P/JBdRA+HLrDhKGRNEiqGQPjJHPwvRepUGgj2qfngo8fzqyIsjpyr4d/IJDJ3i2ZuAmpVjEaQb2sk9+JIXClQaRNRiIeMvUOyFg7bfGphhhIKXPDoswjulmjnKvT49Iu2UfgOm1rl0H3motvpDAf+DtC7stI2QnOILxxWTW2AhPUOYHvjUN3A2dzPd5DIOpHSZCGIAEbSPGJNizXEogJwmnE7sjM6TfsHhj8YEnP4GjXPpb1mzkb/2tBKoaSdCsTV8QFJGV5H9ShrouwmTNPWlk6VxDBxxz8oGeNbdyrBNNxCUXQE6Ig5RibHWMedHNnAx2MUvBWXPR+9h4rA5gVvCHylQDZ1Xd2cW74sxgXdNPLUh1KrUG07H7JccTin1mQGbhVSFL+yKHFGH8s/U4H8YYCxc44KwyOFP7linsOqpKqX98a+HMZBz9Bhla3obEicp8tTZDEQBNz00JHEPU8dEognXrJ6WhrF0QQJ3D8QDJEzDtt+hle7us/U+GCjQmLEw1REdbqUZ4lHMWEhuSvVk0xp42iVFblBJmbM2yOO9K4NNQspZke5h6KfJeuyk5U30AaJp7rjDPf3cIraLVwKp5BvH1Sy9N22dgpcaJAZ8AluN7ofhKNV0Z0RA2r41d/c74ylm1ey0kcQImjJRByyrSQQhhukVUDrQAXyYnfs+hDZ4tdLC6UESUi2/iEmCaNqa2R70HJO+nYzi59rEhbENAPMsL+RlPsxTOHpX2H8Cv/2lkRCupI8b9uwNmlPltyCkwFbBbo1Tzi2aCrF63Joi4wTR8IRnWSlUc9ve/MS/cvWWGS/L8UgtOthZOKParM4RA7tilLNvpSTPLIHl7+EIQsDcWkz1jMDEVj7+aDKmBH0myKzZZc8Ayp3Wnu6zLq+Ea3NJjxY77JaWwyvuOHMXc8jiw+UUt51at+UZHN4WE82D9r/RHxISUXgh/03JPrPMoh42O+92oArivNYHaahjInLM1pG8d/WdP1fvNKGfmpDXMt2rNh4a3c2k5D9fZH/xja9YfH8yLuajjT6yQQf+sNOVFdPSgT+Bg9YVVmzDgtaO4hzp9KLJoCvFg6+XzywBKTZELVY6TViqRxu+kFwnYYQEReSDRSMAcxv6Bflq9XLQYqIf2GJSTh6bpo6RxLQO1Yed2N4FLUBQhIqq7ozhMzSSdrMp70yk6sZTQbzPWl9qqYiA8C9ahxrBrpLmw44UbJEmcbWqmejD8tJnpZ68aLjloAYXP0GEcPVGB3NpNlYMwL1W2lU5AF4xNIT/fqCAEeYhzfVvtpVNWRKL9T6jXOJ27iw+y7O4EP9oFo7T70aGBnzVOUKDz0QWBWEyowSIo1AAKf04eWm96Ya6W/fhzLqvb0hfnN7i3MocVM1LBY4/Q5J2e8eDZixmCjT5WGpfSv0/wZP4wxLX/UqAMP9ZfQ9WO3shQGk4CabdTJFpm9xJV27izl9f/RsO9oxRh8QjYRxqNW0OEBS1yCRgy82T/smgnAmhhBiSfWj8+zmooQwhCAqE5XWuQVKi0eavoMq8Rg51G/oavkQ8LcpJ4IU0xPZbni/7FtWB32QOm2j5X8dFMWyx45BG8RvmxyYbDUGLVBDp//37JxSukdE/cByFvRyv8Hn9EvQdr1B8f9r2TLAuwyZPExbAqkLRh9CWxmdANA9um5UU18fRaHNkW/Tv0c5zFt5yjcbt7ouk/EbD6TSzHTYL7IPQxzrSNGbu33JAFxvWRZ8QBXENY1LZvl4FRN/oriSJDYofJ2KCTQMUb4bG0hP/LrXfZFuLKGopCMe42kgsUm14p3npCHhqx4eY+TdS71zD4UPPsaaUr8rLB2iJ+ogl85G6N98Xtuu03jFlj4FAwd6WUmWFQXAqg8cN+tOc7N9YFNRveeR6Jwzl3itPydJcIoKZg3vjNTSUZ4vdaxVIcLScOygeeOxVAoH6aA28/EZ1OHcprMCKbxWJF3GVUu7mvtPGNjiZx9sh2QaN0Vm+5CN+RuHIUfCarIxkLa1RCOklEwUic+kpB/d1jwwcZOemDlBCJvuu15gGiTAIpqOU+eJLZKJGaZmWSGls7G3a9jsbJOYwtqgi6W96GI4SLj/LiDg2GP6FvIsxlW6tJS73/g8LiqRX3wPzvSEHM0i5k8OEXIsSMIPFcYgBY8CPouAptYuP0pdlkkLEbVDaOc3zZ8xoC5eou7YqujR8/Wy9oaEYbLMLBHm/AiPBInytOVkB95Fho8DLMDloGnBbUVhlmQhtbjGciea3W25rPx51ofOCnU9psBfabuohyOGFgfdN+D7zOtdTcj2ujER0hey5rpIIrJEltWg/b+p8etoOyJZZfg1+Unfd6Dw+9Z9qhCw9xQ3Jmf5LNE1rnnmwA/Php+ssMsjZGgIWYzUy+KJNguqXgohDPS1MY3yAL43Xqtb4X9Qy7I/Ffjm1AhSxb7noZXFCtqQ7EPJKtK8m3DN8Mztc36TP9nsLhQ9vkE1OmVZioRGv0Oj7qNkNWQAgBvmdvbhbwXZrPvuyHNr6xf1r5vaUut8LXcRp6pLZMTOAmnX+4KIZoi8K2BQz3KpeEvn54RQ2m6yn7xxfcrjcNd925RZYv7gOcZIXPXW7c5iU78PzX1hggm18//9vs93/kF3v3OWh7Qg8xBjriTJ5l815kqYgTyHIP9JHACSiuouRny32oXU0BjAy/DRP/h5+tZJOuWqOq4Op4bPnPeDajh4fgqzVJilczSUDHZ71l5qSMgm7D5B70nj8HVNGzWO60bxRoj2jnXTP1yXuDXY7/5liM8VJ3ZLL+q0lygHkxj4zhJrUpJ1q0Q52ZeaoIo8jC2csfGvZjkasPNZKLvwuVZrM5Ful3aRtoquwJ3rJIkg1+T9bb1uOfYYfYTDOeYKzsoh1VbyZqUl7Wf0U4JVb6lKzTBEuQi8mT+O/cOWoBhOVoKoozUhEOhmVrVnEKLMkioVv/Pz0hgiHltY1PfXW8eQnNd5+3sQ8pqtbUDsMM50Avpf1ZvIuN0hXBuQviyIxvqclr/qH1HgOp7rYRtEiNWAWIPMJcl5WGUmMCc+VV+7quDq1YuGRSJ46p7/dW2Th5pkRjd0uiRtalKIRKf7pOJ/SPDPxIwXzBfssiBm/pS3UXagRbrVpbwLKhE8osgaIb5QSViQ5bqhd2ArANlsHqqsdfl2aAZkRSZCHCgv7KTIvtZqaIe5lAeVkzhH76btIi2rGLdfOq7OtFlKDWDNQes3RIcDPXDy4QPbzjfIUp2E4LqfMO7wUBR7rHbVuj9nhHjVo+PpaokRMymz5l2ojv6WNGvMmFa/syUwllL+lIiwUrAYDo0hMBrV13di3MRthH8KgUhfv2VVa8JF8gnnclAoNFxoXxWogkcDz+kq3sOPb8hJ3l6XEll25suSnnHan9rv12zVIGGsgYDDoJqETsW5nH60W7JN93taxVV3o3gr8DnOEky9OqzNJJkadXQVFFGgzuW9/5hjBl0Yh0IcJcNMmcjksnYWvQm22NS2arbyUUvpDtS5XJf5nqpQqDBOI0tL+YpX7Y5c924ZwdVfp1GfuJ5eZM4RgRMKuXljP8LSMQWEIXjn3SYQaSVsoD9j4byovQ05JsNfH8l9hjhl0kG4UhVIwZl3icvh/5A4RirXCMMQFAGofbIMWagdIXNGKP6mLEVarN7OwXOfrL6F5sh8k/F07yZ8zRWbwrmJ6BrScDq2xUb/qKDPu+LVZpKcCgGQKZpp1KOuagX+x0KJhel6zPoiOeF8tk5H5xDcaYZAWiHnkHyuWCNWBRtcZwZhvcJVZMpfjXZZoiLHwsuhlUQNiL7y4dlYOMfAoI3DhzNzryTA/UCoc2H51I03C0FcqdrS2jQOm0CLE7ffdXrcHmHcuLrsxFhyki9PwoVP4fMj4N7kR1lSWcFjJCin0q4WBafDG1JbKUASSWBiqzUfa2JZUt7XansqN0jcJ0pQ4emGURNYo53biu1ljdTLi/UTLQlchnOSJf5gsNxoqMxjjN2Lwod4wLTFNylR+iKQpc4Nu1iHKfyJmHHlwSgaRSMD77z4XjCgS1bLN7DWvR6kqaAQa3vJFXW8hIqTSFoKjMXLWJBtzhXZVCEIkoYehVV9ar6sGPxinbB87BjM4dwWlYFYgQT/UNjaQHfDeU0zn/EJz65aGFLF8Op8vsbDOEXW7AdK08JJzc/qc0oUGqslQ21qePUArj6iV+12wyuMtbo1xFHEMmCGr000wSllc4ij7NFv3Ce0LqOzKyDwWODsquag285GJVOgkpAfjB/Fq/t2Y1iOBdS10f+O6b+T637XULUD1cfYc3whe8fdVg9ngcY/H/3myYo6OiZMLKQAyXCFseBCspmBOoCRnE2HiWXy6rndG6LoSyMykQKMRvAjGjbRWcggHyV24k83eNoCSGCVcgOuWNcDfox23BlohbSNSN7/+0d1/hycxc3Efm1m4/HmhdI2BDgIhjY9gl5+YqJUI/XeG9W04JWu6/rg6up4fVJra1dewekX3CPv8VX5lWeeIRntadaUk2b7AXp/aiT2vrvipF20Uu2GlqcJSzPDoIpgJjjjt7tBT3JNlJJsUJby5j/6SuahsVf2LmEnhD8YV/7ju9JmMGnCP8LgKm+Ipwq87cVjw+iTsVxzyxQO6Gb26yrvxEUSXHhemYUY68Sbhh9wj9h4eP8JPxRsSND4Jiw5M1tnA79bfqOvQ6p78GOHPclcG5SmByyCqLOWuyJ+pHJ8Pr+4JfEiPYwiRcMoomseypgnUjwGRtsyCRfzxacxiuCqQ4XMBbk9ylFknCAHOw95LHpPrIYWCS1KnZTw+kmAhhoaPxjoGgQDFVw5LnIDa8jxOygP0pmbqPw8eTu3DSxka/MN7Ah69eTdDSvZhJ72J7Ncc6BLGxiyarxTu/ji0/mSSdF37ZpWnC08SfTJIfUrEiLi++JfPxYBfQdk46ponW+Xg4DD53CCZabWc4tVKiPzttkPD4sEFVIfjhpuxNmxkpjl6D8/TBMqsa0+PpMVTGUxPH26jDseRqRjuIEiTWa610mDMFvSoeARvU1fyFWtJv9Z/49ulxLfLh0uytRutQwj5Htc3fbQTZwjipjAR8L1RslKsP20kXv7DHsuHo5Fs87C1/vPIJmJ46dLctHfUz5vC1vNQMZsJCIc3FnJa508TiKbM9zdK7eGf8edSk5CvNIPE6CVpUCOesIou7mnMrHaHuosBpXB2XciEw7c82YLeDlLOJuPGLHNHcJxlBF3kpYcNk5+uQh8GtQmrod3WO+7cFdy2GFO4omJBGmw0yTL/mmWWSeLrHVtlAc25IXO19L50FkyFl6OQKRH3eN5siSHtQgShLmBlH0GzG8lL+S/8lLZspMfHBuHpWuIZPolcilrWNmrjibHzd5NvMjJJgCWSLgTv83rjf/t/9kowRiALwcK2sst+lY4XpGxOLYTWYAXBw8mUgFPob+wqy4c0cF1+CssDBsaPplwMv6o6tld+iYFbtQbMmwcDfbsEEWNa2lqHw2cq0zMdg9ECwgc72qC+PZthxsd4h6ziW52Dop6kISvoECedzWpI0kZ5I0MyW43TYs75u4wTEuqeB/0cJJBHZJqVTmYjxaFXsXjBWO9/pw3Vnn9RpLRAdcWRTz7uf1Wc3FY3DUaXWzltLWM2wyNg79sZdbEBbJg7JbD63M2dlzUU028WBix1O9YAdcfzR6X1njgqaI2nvCpnu6wS+GTvv5g7fBPQsTYj5b/9d9GaKYxyrd1QXo5fWJCm7zVoWiYfaOgqHDo/VTP7YO005kDmyU/H861vmfqaBf1UXnGFlvFw+yMEZJ+fnbGwGApuoqY7xom9lexDAPtKxYAE5CNFVZiNH2hGTJgblL25czbteR0quumI8IJbP8p4ldjxJkyiZ2pKR8I9yMFB6vBvz3R17L9mkHwSgzEQVqlvt/rMZAqdmIaT7vLvJ+mXZjPI+Hj7w7SlW8eUyxwU0YuF/57SvbuJ4ykPkM8v6ujrUDOVe3j3Byn+kAiR1qrVWDWWb53bz3JDGdntStysTttzEurBbHOL1NjUX+ubSZDLDMDlrTIJo3p9f9gjcUvwZsM/vYpLYac4NCuIr78OZrBeFRDiE7TczcbyB6rfW5mhAQU1EjJkeedENdSQV6kqs1AKnHv7a+DvJHJVPy1nZOK6SaSKInENJ8ciYxmqb66tecl/ZeP6LDNCgMUZKrUFtDBEYjxhlw3stg2pzn0bI1WjrYfFPu/V7cjaxBSpvlhDubncC4uHrx/uWdvZFO3XYnbNXe/PSoOW6l65spNvhtjX1OmkiYqn0OVbqzH4GFVcK5Nci6Ogr0ns/jD4etq18slvfIP28CuD5khQCc+l31m+Uda6N2lFsGBv4fbR8xn6f1qGOaHH6bP6lWALprag1chSTsSH/k5WLGmS12KS3v1z3yQpVdWCOdlcUdEwxqhAvlEBKpLVBjrOzx6LTSFJ/IVoPsNZ1/Moa8q1t/zbdfZr+0gQWbWmThfZxX/Ai6615n+4QuAr5cMJPjgWWeuStkzq1AANvGIOqoV1tSWMV4UDjl9quljRaozv/d/YNxmhF7V9U+L2SVjX1/CkntePEfSH6MrTtMpepNHJU0l1rHlQfIrn3fQEegs1hLv+KkZRLh03LFd7TneH8yRwVdBt2bzJd6MrTCisHVKEqjoEEQ1OWXtfwc+WlhMsNPf80V17wKlMriXQQ8AQkxpI2M8CAlMGewR68ON07tFd7rUrshzuxoGRl3Bg+tftBqwdXUxCNaawTOzdADOW6G21W+0UAyTgA886qDYbuXQcjEdwOkTm9rDBBrriKurcD9GH0xUXcOPHSl1htDk4i28WXMRkiZSNtydw1KCBm33gDB47R7mXV523St6lGRSOG3PDxMEp8JgHJpxROlsPWOLCVsQRoBRfw/o5LcvSVM/gp0Ot/H/Y8WDswEWlzZTAw+js8xqrviroxgJ+jyw9Jkhz2Bse3kw5VJog/IkPKVnznJqpI5F5sYpkwhdcHMhhlPvowVJQTVI0z6g/KylwHSg8wzveXi7d9ubxXEvtFdDWXPNiGCAgDQ6lZHl5pxfg9cb9jSsaNvTh1nOJP88Jwhzjj0zlQGWRwDhbtcLJol93Sk/AFLJXn+lPDyXQkQmrgdSTQZuB3fud25zd8gv8M3s1Cwzn/Ue8KJUefjKuGWzwOOu0FQZNCNzEnXnGkxpwEksCuZHT19D+W9tghTXDYe9++Tl25PUJaEHd0N3xSejloUrm9lXwD4yxit6x0a9n6aeXM7Ba22XLl6cl+kW/NL0QdPiRHlBVnhLbyUyeIMKOUX5Je2xt/gv+WPzwEI7DJktZdAnhYGEiVLGrAD4JBWsHULuWVrfzp66dBwLSxyrAWa39ttM8C9Gk/q9sb8x/c++smxkdO74nORpZNQh+PovKqr2BRvWlXhWdQGvLRWiLT5lmULj0Vb0NPLixPyjq3zO1a1mFFa0ORR03L2FUOb2TM+dDfVsgeYxTfaqN1iFQH5NyjzubRr4ZSPPW2RWX/zKSPqGnmfslZXGY5e/+jSU66pTKIU5KXo38RVAwSjcZGBN2sS91ra2IAaAu+iqpjzoNGb5WafhGt/BXt/nZh7ooBlUZlRY29Kj32rIVH92b+kaEn4kgbp92EEwqBn5Os0BA1QNuia2AvnwmyJeeSn2ZiPHwWhI0PHRLSHVDlUlzM0TDyDgLnzutc4sw+yajlY73jEfLw8PL08PAygMKsCmVREAbIJTyaddGVZwCvKP/OPDzFjWDHA4TlVArsVj47p678SXEVRKXEhV/nOz1GmJphcpjHFgwQBoKIEa/AIeXDcNd8n0LbOoQXBr75T2MrnaooJPKnle40khxWdgQE8ClA3OGAnby7yDRjuwz8L9nZeOcuoea5cweh7lETFVpY6RsVui+hcwMPOS/MXbs2N9porRwcwq3/NxP/GOcM0zed+kUmoxRHFZAuhkSacBdwqqz/xwu7U/AKT4/2JxIn9ClI9wspT3nnctO2EPRytQgbEzVcGs4ztxCyMn4cPU7d2Ru45B1mb3GG9PjwT6VCt1K0hiLL+D4+7ntna0bDZSfjYVUEeqBxWSyRnWfx/qECIxDo9H1lPl7cfgCqcC7IxAF4eD+M9gR2S/njGNOdjG8wf36jKRyselpncRqGMbdVQbFbmI15bseDScq+EuS/VARGqBjxQGIvjv1VRwMcSiWaADnfDtfqTy93tMCn0OH6uu0RHviPhqOO9v2qKRzq4Zxl0ed8+XIVdKwDP0KzBJHQ3EUTfRP4HrSChUgLiNj+o6Zg0IAfKGuoKV6CpFXZOYrYXjodU55jXlRcWr20qKSDuES/aY4H86XBy+K9Mni+T1kR9alKoOvkThHH/xOuC+MEgiK9bNpJPw2nte+Ix6M6Ltb/jk8M9LxTXgrey9RRnpHMD5Ng5ZrdURtKxuYIbbYYo7WeFWVWVK2RvyPuCiWkZq/Peu+t16AANq75eO+odlHPAlnhWPY61uw43jMYGJJoJjm1w08JvL/1oogbDSvctuNd1Dtbo+8xBzt0j+l4ygwju0Zda7YhfHDPv38rplkZ50FpNKedD6zMmm5y0WZI9xVJNiZADyiF+KD9Jeghih57qdIw5cA7lRHM8EMw3X/k0fTU94AeRTVpoTe1XJkJ5YIikLSYRd3htoc/ptP3szHElNbcLreIcRPiqLP/aCWWn3EHMHVCycXDKXLHTYFvdfKDOEibkxi50v8Du9KAUaUqTtet77OTYUQiLPqB8tmTyRnfswS1RsfxIQoCuM/kyQh8F58bp44YpIiEP7d2ZlIlWyl8Vk2mdj61F615v1pTY4SChGsvhkXcFMHCHjcP5B9ZpCAa05K0K+FUaNEuvKiXQ28vBozOukhVlJh5M3OARdtZDWXaWJwVS8HdIIUmNvxDeM38z7nI5b4//SP2w1hWELd1fnptEQ2aSjQARvPushlZJ/5J/rio9184m+lzHP3GGX2xRk/x+75nW6Nj/Ck31uC78jRXKxGW0kyCr+BpW/a0G17rlB1JRRiRJXdx8blVTMZJGQHoh33+Wr7Fy/9BDbCw1Em1M3U7P3naJFgg5c4ZH7EUP8PPhy8GABKQxtDnk5EDd8xmXaT2eADZMVL4oliuHTSs+FaeY9aA8ZSsGirsOIp1Opg9HoVW1B8LEjrVShd1+tGcdg2R501FbFw44uHVZ7sj0WilA3KSD3mbZbY/19awFkH9tuzHLmOST4+VpaJszMB/CHtvvKmsIkFZ5bst/Zk/WTNqVmJ/KmiMt6lb9CIu5LjBnZHvwACuzgIWpe3CWAIWTmGJH1hmux8Lo1jnQBbTQ0Z+YYDVTy2pTTTwSTMblcldOOkH38rXtTmUoLzii26w9VRGKAxWdNBYCUFrG9yJ2nuIbM29Jn7WjF3THfgK/1NhzP9ffxHAuGl0W6Tasm4b/wt9wKlpcDbS+nhVtlV6PN6YyYUXXnDF6hbAhl/zQRkh/15mUZ4ZVTKuGP+UrFspIW0w802IThkxu+Y13ZcjbZZssE7wGmC/9cXNNQ6kqRWlibEJTj3xvWINc5ErX3+8A89+SrXD2wJDJXEjGHflhImWpkHiPGFHz2Pih6+Jl05SkKWGk4cfI1lYN6F/RqpaUS+mh7UqWedZaCgc2EI32THwWXevLeI/1q4/FbVMOknWnUlicJ7M+TDU/DQ7A7uDAUxjTlnNkQ8gAGf0yYSrqmbGS2fjxB7TfVtmVJ82OA9b0gnju/SwIHXwf2YGiTyymjiqa2tgzgiYu2VHLuvYKDFhd3T1MS5bcDAf54fRR4FUyqPYHPxud2ztu7GV/NRSJgRKMzq1qrdLeZCxpQlnJA7HpQO0dAjYkKfsVZQhcCOszDmLH4GSIu3QS7nbqcCcdS2udsdehYkVBQxo/TR2A+sTxsTqvrXBGTEJGNl28pPaXheOe5dhQzzCWZNN1tWVHevdQEKOlsy2O63C8QEjd++Ud9CE45MCQH8e6ApkbEskG25bSzaQfrebkPDO2Q7fRx8f2Z7ntghEvHKrol13I5usnvu7NTNBauJsx3l2Pr6ZbnAORR6/2souJbujkTlhorZRD/0wiHetngl2yiBUzK0izLzUM6rl26P/srmzEE8ZJF1JjmPjVW4UFqNNhAxFi28eFD/UclE4xMDkwCVLWR7qSnZRDj/ssWwLNBfKW6mYhQc65c4s3HcLERm1n/Z19MXndILMNLAx5wRUOfIumKtgP8M9FtPuAb0zI4bHFHrJpwrw6qwhZLBO/x6/l0GP1lbyTdgCTfZL2YNqduVKbsCKbOKoaGauEsVrUi2gtsUULlxB6WQEOqsVcqZovaDC6/RoQpiZnaEYk9FVD6OxL2B/7spNq/ahDjlDEKRrrZBE4/9s7HOnCAZdnpr67Cl+j3onBKLu5ftdYX7C6TS+QCmXCVyuO3uEKKIy0AxpBmCm9VxpPRxgwsEqMGp847TojJLOobXcwFsuJEbxsJ3+edgJFSM7u4rH6vQxWNoVWfVJlcEMVhRikrK9uTIggm1cMUwflBHq2yUhTgGRToIZF5wMsRQmSUkuBWOSxGxBsYRDk1kDsGCczETg8ZbpgHng7W28NTT8iy26EEAOxE7/+oX576AzeG/yMix96oO0TT6+lN6I104tNZveTih9CKgXOSwa06V3tnUnhs28I8JpHRenl1JANP7FWLRFajb6WB5C/caPsyYUAYz4RdDZkoM2Qazx4/Cb5W4/Xlqjq4UGqjrMrYrLhTVsuVzNlVAYbCg7jSQfF4aKpcD7fnzTTWl8fGPrLin00MqvbinfQSQ6c1CwKeuYZ+4NtZ9bOkQivz5TTwkVRzpRbi4mUM+kb68VfaKnxFrVRj5OnUo0bPA0o3ESZWoTOtY5qQTbqCnOtEC0XoPYRZK2krXh0kE8DywwZm6PiTDxUaS1OTDzlxUhe/xawt6PXet7kc0e/3ycWiGUJ3ImiNKVqQSyxUtgKRT1zEU6dJZTzfwgFqQFJklcocp2LD2YCdwBeTyFcj6PBOWB9stTbZ5HH2ZZejSo0CMco3cJd6mabgwIIG9Hq9Zw8nUU5HFu6Ng+tVbHpQSRS/bP3agC4bQiIfmaZbGsABimUkfbJcRaxECKzXTb2HAl13zUp0202GrSEvLrFPk9hf/KUaTO1I8nXHRL6h2XdByJ4iIoAQ35amWOb8m8tW1C72TiZynYD6FRubcx6cJcqiWi6LN1NCBBprPMKGccCUxs5Fe5U31QhaY5W40Yq8l2X5PkMIRsmOvZD/04B141KXIx0vPExvliMCNo42Ve91K7x9bD9sPStyh/2o0NL83BTvtB5MvNvGDp4Mp4ZzKLOZ5W7hJqbPxEcOaokVfGfUuBUYwwzvhF6qf2/9Nx+ot7+A/RhWbpJybd68KLVV3Cu5OsGEobkQNByYWw0DK3uiVoY4n76EqI15XwVIaEBA0iVsCRo7VP4F4L4cgYFjR72KKdilglc/zPu9V/+sAXlz/DyWDLEzdNzq/M/TE+LnsGNeC7yTOo3dUdr08iI5hILDkt/B9iNC8Cf02wD7+TghqOgfpp/gqa6hMmIChKmD7kZMPMAF9Qgk9y8JJFrUUb4rSTcL/IAldaxWWWlze/KuW+dbFdYiPVm/w34xuoa1z8XSXLLIOCVuokAd9KUi3iV3T3gWt2Pv73xFQfN3vJJuaWCHF6wz09/Pix1Wd1ZTdBhlPcWs2OT6PSOLMp7nJ0brjGhb63adA5qfu1OnHgBbGDEoXv8pRQtz48BFvsb7hSb6nByYDcou0MD8LpEV8vsUxwScXXecCALv+EsvyOoLe1uXHFqSvJGJZ9VWgr8yMIAk8SbTmrkm/JEmMKJ3cfL7UL0CX6E+HJlF9cN4DlhHOH3S8fJVRjhYj5ERzeWSlEPKxFGtz/4lZD2zpp2mq4ucihxh57nNhhy108erTRJV6qtGwOxHENVqu/8w280C4NxzQNOr58HZtCcRh+/KW9o0jAIQZaGHVJkqZgsnj0h5YNmddXHp+28CLQ85voR0Snutr2f24Xb5eBodIP6Nxpa2+JE/4s0sHUA/gFf5H4WUSR00uqA6FYS8msgrJ63QoT6QF2M6ohvfBL4IXOvf3Sx62gR+7QzFIRuhxbnckkSadIYDKt/Yrd3aI+uyjXheM77K23FMPwdoUdZB4IjbKbqv5NM2lTIyzHVDP1Cly5tZJPhkFYtWIvfIHBCv/KyoC2KthRKZ3UcJvVrdD0YdHih4ZRGmSH6/RJBoLY/Yxqtyqt0CbYBV9rL5POvDXPOlchRdZGU3cvlMOTy1mdFA5fc8OhGPQGFQNuxtn5Q2Z6CD7LNNm5uTgkruBctabp7Gfrd+9d3n1OJrA0hYVnWcu7jBXBjnQBLQjCaWKgonV4lJG2ni8lBUzoBT33yOfy49vHsRqbHho/9ll7K0emKvjRAzAY9kGqK3D1mfwEvpXhFTCf/KwSfQkQUudisHJVp4Up1XmH6yReye/8rzDHqNflOepOJ9Cw895Q3bJEd/yHh6DJQxz04faGeEK33nHi9ieJyyDwmz+AAgD58ac08bSGE/d3M5UQRpZWyPPMPjXwOTplMPJpztXcKXYKf8MjcxeIhjJ5LtoS86SI7IZDBKOms2cbWRtq4ky5XawV5suRfAejedmEcBSstk7ZUTQj/tJBO5tqTX/jy2NZeLOpSnR5OMAPWww3TsSVHCQmODYuJXZlMHKKfxxpw5ADJrYIk6dijgslZWwBTp/MwRg6Z7XKTbFv8QtzzLK1TeLbF9pYSfK8V+YoKSukeVajYW4NgdzevcF/ybqEjl2/+5SoGfJSUKe8XTUg5WV/JAIPGJcbNixn80Hn5sLO292vZa1zEkh3ZnmD06TY+Vg6Zpjsx9Ixv23eTbqEqsvAhRpbq3DKhGhfWEomZ60qahJgm3k2WrWbKxXI/lCtrfAqgjig8Yw5w1528jw1itxZhlRneGVAH5SHyq9VjRQe1fKPU+EH1kLhP5pTUoDMoBUpbYYJpy6HGwMwMNTlSCL67rc0EpJswEb0kP14+Y3Uij+aB9z1p3b3WUK2bM21YnY0AbgUk/nr+QbDRF3dY4tR8hTxlXqdydznbyltL9GQVdnnoAPO/K25/VAdqDzd5x6ozVYDdI+5GSxAu8H64uXjx1GkK+3YasVVd0oWH0oTQsFp76iUeZNb53C6TqcsoODz50n+Cu1zPj39GLw3DO6i5tAZ8nkT3nLhWDy3TGwbVGRUhsXHmdPZoUJXF2k/tBEszc91vA6fWiMHZWb6QRUEvBNjvJKv/rue6+tSPuWRfKH20pKdDYQ8CSbudXqR13ugqSvos0dtQ+9u6A+6oiOIA2oE/A1LtCaOMiXfssjw+4jd/iOxeDmDpmTtLoDcWACd2EGJV7qujqXM17i4PrA1ozqDadZkJnQOE8zjEyFKYnRim1xy7VtxD+5dVvl/ZSwN/eh0G1v08ZZEFfJX9G28M18NGaUdbilZmy9fQOwRy9iwH7uSLLgpVoTl3EZCemj+Mnp3EluYe5OuxDvmocY3zj+vXMkV8nLZvCsPYS1Wc3kLUhmY5W34Gdb/wbCF7lFNyHdxBXDtEFI+brZDmofbRLa0JdQRmNok9sI+r2gMSlSHjKm7CaLrRysI3lHgqjKDSQq7si+UGXu5iU2QLOla1bJ6N3vJ8hMAHrMAf+Tg4y0PjxhkSL0FwXmsKQLsnxfmNc2dcEuGIn9oMA39nrxLZzgnCQLQ2Eyl3EUe/QEJx2Ag9qKrnGVakIgaUcJXb7U2jhDY+e9ipqoDW8OBv/0igu6+a+uNzYOvoFFVouxxbB+UYhnrDOHptGf2xePwW/0XO6knKAf8Cfap1csxMwTnE/0HGSNPpx/8xZ9Fe/8do0GKGIyivDKkY9Ua7cU/CFUxxScqVxVs3+PD5RfOYcy/dOvkSxbT0kxMSs0XNM9PLJEJGL4v2yaoxodBU4e0w77+K8pdIzUDnctU/P1AuUPNPPDxnHC1AxfBTiACpcErzbNmaQjy1DtVpJcCrgwdoMlGHrTtjVpIx1YnmoqxtELFcuVifZ6Hcl2MAP/nupkD2tJlhzqIeo+c/wvqxzqa8C+jkkAaPXByzwTlSqBKUJmSnAfJeibfkWKfNPQHsrrNDc/iITaoOtCnhSpEhbZ2dSOC+ZC0cD9FRQr2nZX549z1zAjzscltQijGnr9beP6laEdAFXAA3kACHuf/PD8Ov3Xdx14XnZCOVvtmWKY9H5uqNB5QK7eoy6P2Ggy4NuuZajwV+zS+ioraxP44qV5aNL4NeoP96PIDPXu8J/4r/6URMZIiIgaqg9ixUCk4HUeujkC574vszP2ydBBwWWh2MSWd4vRJ0UMbaboWGfaKnAo+2dOHjihXZFJuV9iFM21juYl7hkzsx2v1FwOVykEczuCZAzLf6SeU9h+jj/HP1msQOTgnt3zoRimYtNCKIYypri4sSUQakV7MluZz7rjHEuG1wV2qI1zNItnw05dUA5TOGOEXeXpiqfGmphgZeQ97a76nsp0P/J6EGvp3U6jc1i078ovEg3LHjNHcwyYTTrC1VvWK+0xUGgi4kswRIMVytWjOc8301ZblXGYV1REH6XVfXnr0h4H5R8FT3k4PWP/rc457FS5hTM9E0MN0pQs7e8I3jJEFGD9uoWMUOVxuU9Lk3HHdjH5sKa0I/VcxwdD4TAXBg1ADYc6a64khwl4RTtf+M2Oe5aNkdcrKTud9L6xEfdmf6+OxXwFFpAajGM7sbbOZkL/kzBgoLUixRthaxmZK3CEvw9CS1JIjMObS30q0LDTfNh+oZP1Of9VulnelVl06+y2H7oUZDoAJ9UZsUADiRrpBXclXapJGrw3nIM3xoqoIFkjiZR0L+FmESCwJfj9tg9WFUxjIK80s4x/uNqZeR81C3nk8TsMubVuDqPcDI+M9ZFyzgWljdCKDjRa2MMX4ti6fsj14ZQmTEH5aoJ9JUy+dIYbvOPylMweRuobNIv0B3hEOjMaJ+ySgQt/EKQV65tUaEJSgq9tUtweFKZp1uS37KTE9usLHZAKM9OraGifhU+ylAanTo/W+eku7ir5F1N5bFqtNzFdMSS/XSGmqXdvdo8nZWZUGQVdI7vf+sGjjsSuNkmNvL2th0djLunNiAcSyY7yu+hQBFKzy6STHWLwhanLHgTkMCB69H/JxJXa3q9k70XZZR6ZOtMPkltxTKcgeaDVxR3OruNdn8z9AJDi8yaMVK6PcInSAl9lfj9OgH4o3HKxXlcYYgTfXgi4kHLd8z6E5fZgGzyfOXyeNEJgxrN2q4ZsLUKHZGZYMhV3UN7jLloPpDRXjLkTEf+ioxg9bsUnQGd/HgpGDaF9NREola/+PwR9p2gmRNP7ptRKKcXRj6cPv9K3GHFZCQp/I9uDG2o+PMdQIo6evLS+nRa2f4sxZ7RD0bdB+kHT4azPFqQ2m40qqAzq5xI5NPCCKxtLmcVJgfPsuWY3GvmmyAjsfczVSqk1V3IKaWGeV3Ukig8GniedPWiOY6fA3ue7kTGD6og3xgQ8tSMjxmJS/edfWbCZN1hmvO6+p/qhwwn9ie7whsIFyfIRObtRVOstTa0HUidnXYLZOuR59MiTT2ns6SfghZG1xCvGBpGcEBl8BAYWBzrToejhQgdJm1lX6tEA5ZMi6WEeyLOllkV1IWS8gshtLYa17o7aBCQPArPjQaVtJJRY2j6SPpM9UdN3gXj3/N103s3b1uQgwdo0b4Ze8ykhJXAppKNwyoxRlJlQI1FjlgPGlOsHgQBYHkXSz6bmUmKG1KWVvuO3RGkkPkKaRbZw67C5xUM6aqYoB7ROnoAUiKm1Z787z6E7fFAVP1ugPNOVt9t18gbC/WdadKwSDNFrdZcbLaFoEldiztGVgj+29ZZZZIkKS9ooMj0oCU9lio+dmOpSsncuas7QGenNcIHniNqIqjlygUpkwy0eerD97D/BGH3CBfMM67siGfp6HMh86jzBzZe6abgsrzm5J0k/jNCwgxHYXVDr64QguHIsURDRFpiaLEq8zST3/xYRtUI7I52W2SXdsZBC92SAjQbSksXhB3BbM1kGBOcixiS1Zbho0A7b3qujArkQ2E08/HhF4c1HTokhMUbKriw7U+zU+NU1fKqBtmuWFBlL4p0OLowlPxWZFgJQ69NSOlkkkll7+N37JRKv70BpDOidBdHf7Oy52gd5A16zbKosZlTgOGqTKtE7bS+eer9EvV/P8xucTPkRNmu4TFUnAYXzK61f+zlnyBZ1Na5KkL6nXYINEJbgwGcvqPpMRUy/ZPs+y0JzD9mpmdaaUVvLyztuGqMPusZA5DlIPmiTf35PlVpRRguGz8UO0WgO4HgrDKTsZ3WzgP4N8L4OsdTlWhtG5kkDufnSQOVdIt+Pl9FitW7O8FAvEW4Brpn3n5Btbq4kOt+9A+wBZLDaR1J8Au79JGEB0C7bANAR/E9pcWcaLZlenF2W2/yOKEw+MqBWhYIW+8JEN0Bb3qODL6iIG7rjoD2CR6n3EwBfLaiTwQefOuyl3/Lo19tzj/yInOmZAI0+u7IIAzLqjFkXAc9vakg6VISYS2zxqz7Suf1V0BS3XJm3ds6u5AHFRPW0RSLf7IShhfukMp+Ysy5w5W3DCWPXa+jvVflb7kqZ8i9Wlqic6yR0TVNIWmvwbaRg4PMC9EiCj1lw2GeReMv/+KDNEeeNNNy+P1jBXRgY3TWhiVf2p6hGPZC4KAuwvJ5PvYBOi3lFAoatKUSUKmy6NlxaINh7VvHgdOhIvivgsjkZkdRU/tgPI2g/abJtlGe+Q03f/eEup4RtDtQkXOisdOaRpMlWewrFUHwJ69PU8k/xZWd8TjoVIEwwulZN8t6cIpIacGdxLgiG3k+6a9Vd4OW1GapsyxytL1AbSAn913VCkkL6+W3jaIOAoed9D7Mg3Uw1NOnym9Ost43UNeEqHhMRqvnz53XJnFx8JNmg3q3o+NiL0KpL+KLfCNLFB0AwG9KOE0/VYGczcLkVX2WwROs3Aw0jfSEKnSiPQxiwLHQ3993dwMICz2OCHtrUdjq2hLPWMOuM1766hopIGlGEvdWVpdQkWQBMHhRl7Ij7R194PaptWKtZUkl9uVdFUJG7bR/7QFhmQT7Hbsl05LQ6o+mfO/ln3tPJFPDy89GXeSw22DiARM8sAS/Sys7ygDxhnRCOm0S0Z4AqIVTMJ2HQZvWxMadjnIsIiRK5sXmtjsBJM0y+ls9dVXY6VEfLWj8dot4Qm3g4fKRPnX/naf+e3+zq242eejZjUyj4oA4n0mQvdLql/ubm1eLLKrciD8oqfSed1MuDEazPUrgioC1tn/3r6mZTE658vegXnj6NvfUJXX6/EBzHx3Sphs57VTQ+LzA7/wJ9E46GX4x3/JJbnaFpV01gX5CeqjYVKfCNHxEYrP+BzogSJXET+5UhVXv8ifeft0OZfdnosjyr7AixlzdzS3W3DDeOIcwvtBqpe/s8ouctMednQvIRnOTJXPnSN8Y2AeHtH2zSMgS/rIm90qSmrrsk9SU8mPnJNVdLSYWWkm/jcwbQBbTTOahyCQw8lNp8aEnvFdomEBbiGFrV2pwsRI6ZnjSHkRnevT4VqLyQrjdFq5johMvGIPpKyhDJYQQzRlg4CskZngc0eki9QlPF1iM06aeDHPvoCyFlap+9b6RKnTrymjaLIoW+jUrOriYe/vmQzMOwNNgNRbLDjRdBjeOB/fvrzQNqyGaXb04l8E0XdimFyFK29y5NJExPPclASn7pRJjIGZ4uso/IvRmRX1wYuZc0sIbHNUMHfRrDMRN/PMCckZTJzt7dlFkhTmJLJgH0gGoyZo/mTMwSMSRniP6eWX4hZpp8+Cb7BSOjHmWu8dNBCNEJtezXHvZFHX1TzjvzO79ZrzrG8ymb7TSSyGbNjqPdAsvRNZ/ia7zv0JC3bKA06O1PCo9w1c4bF0x+ItNoa21pytSAJEpdFAJ1ooMCEwcYSWpRhBTZVMba1mONp2UFRwEnhLXaHOyzI15a/bsbDHUn7v0wbWcMDk0cyZgXUvolD1VzzlcJAQpvbYyU4VbfBP04Ig4oANYq8kDm96zCIrOkjW2usPE+hT00dLq+kboaXtQ4hmDyANCUUuP52pSEi8K4X2gZ9VB1RTEprJS/RbBPe2E4lvGmZHiJoF2cqn8BoWpZRSZ1+FpkBWWSaDIqCzuQRUUfMc2bhxKKzXjDZEDufrLFRUMi65WRCwcGIeLm2XrPIgXXawhvbbD1v+TN+vC3qYkVQew4E2KhuWrcr8ux3w54Mo1BwqeRm/Rfl4079iVXDJt0QhMT38uHh5ZP9yhu25gmnJDv6o77mKvHdkuQ8cVI3rf1dmaXjWVZdOAPAuoxsIKk3AQg1BqFFH4kRkqInOFcGVGH6Vj8YkuYWfJNjaw6w7zRNn9kOi7ubHhRpImb31AzhI6YXEOyO8xv5EcZjXtK68za1AdocIbEiu28DMmrKsHQM/z7nbOjG2kFjwp+llwnlGwziHuuTDum17LDE04Wfy4RrKNGIavT69/Ax/s8pY30fGGq73JQPbzhpc6eQtcc4O3OKqDHPqKrTfJ7FRgnLGnO1xLcjotOz6O6LHFOJriLpKX4FAKy2t0swemQez1WsOY9QMHXoIBeNRlKKAorAX/EOEwoNBoggjTFpwmfNN37RTtcc6c4yOVrQg11NKESF84IboaXZdhSZUjwHdtQbp7FkM7/VQLo+SzIEdw6znMHHANT58tKVQadnHEVyiWUFS3qZXfjdbWE4lFDkzhuvsyyjpLfr5XdsIPnZMe14w1qvSSbOsTYjSCVa3cXX3wZjEvuSER/E0fg//7+4aMcNiU6/3HxqrTW16wfHXTJmYliD2vbkvRptMPxQuSI23txvz7JC3Rf+ak+/pXDzGh5SsSuzouZjBwPE3EnN+o3KRBZT/FdfT8ZzhJczsWUjAEBhZuBBvVTXqyhHJLioHRr4HRYmBojU71L6KkM7L3pVbTRjZLYU5KZ5d9dMNsK+0utpWcLv3PQzVG2LQSlxUqEiDl6GxVZeJPGJz5zOyVzfx6XTkeFjLytPhmaCiYcoEA088hbYDAVc4D+0GJGGMyd2Kp2pe+jlOIzF4ES1i6L7gralrgDSlZezyHSNQOk10yEpWT4+7Wv3IHptXg9cVa9bSRDX3E5QUbNkmQHhEw/1yMRnI/4OOQTr8JXpfYvxzWyiBC+F/DdyOfErSRTVjjHAQDj2krtyhKJF6BUNvkohCfZCmdjlpQn5nm8gATz9bHBafMCgnxrVdH+ubyOr/u6/XpkBhd1QP31oZc6ZE5rWywcscQjDBrkK/8FYvg4OcpcKWRagS/PH9cLl4GMAy8bZkM3OivxpW/KgvuXdqzxm8sNx1JPblCLypQ5enOfPl0tJjeVoXR1Kvys21mVdCZOmyFyHFbKuz8HvEgg6Ui+wiZGFqUx+mn5ZFiydDzHx1YaiVHW3byBgv368b242lbop+MFl9gzhu7rAeSU1MHuVoEtDjdCi+k/bHy+fC1OmNFJ3QLVK0zXl7Wo3188BquNtofJW2ZKjdS5SEzfYjy63xD0pVYojj9fEqfiD2NFunjvqrxfIa7ppnf/hTNxdlc8vP5ZcSryzXX/D7Pr/ou3tmtPWtm7dv8L9vNhIICdczIuAJYHAMgj0ge4AOZGNhEnM968/1VrvQ5C5zzm1q/be9VbeWmvNmcTG0hj9o7WnyVX3M/m+fTMTanxWJvcYdBssz0VuxQwGrWFPK/VC1cyNnewaOzVJpDwCbhtKIaqj8S7Jjn2yUw0u6qRJlSzwueD0STYETvCxYOnJBQp7JA4x1ct1lYy74NZKXRo/vzdVqVwSy8GvfWtU/TDwFISgygFN6+5cpWlXSfTp9O+Km3iIs1bs2ac8i65GejpfAI49jy8v8yT0Zu3ea+S9KKnF1pihmGQnXAIXp/VaXyR0brJ7CHTQOAYX0spZa6NaSs06I7T3Kqzh1Cn5c5on4aR1/vZDZj+puigBYVFBrupkef8Da1bc43CVzwwOPP/ypAKv7dZ956ZyPHxQgI3cw4syWBKnNbu/i9XMIEsm8yXK0KLMbfMeDffHZfopop5GD0pmoARGXXSY7nrpLK5eZnHQ7L4qDGcLf4u3xTvzsd3oWsmilqIhyfkY1LEmNBv88KSN4sGYl0gqqu4Uq1CnfPhj3+78Av6sbgb8WUEGzVFsbjsSscTv05Z4RyLY7gebF874tRePMK0FIblYVcVB2JrUHBnzbjEtiunSJs9fneK4SjNPzzMvSVzOW/PTZpvIDxtCwkJvC+QE6OVA74ss4kbQ6kyTtvOyaHtua2bQpeM3E/ztGz0w9cXea6yR6FcR5W+rGNVhmx9EZoWTOX1q8HlI4Fxw0gXIZUvHaZE6503d+xB3uw5iASddtJ1F6/xUXRlbMPGb7Tp4S2Yw70c0Y6hPefH8G74cOG/NT1LjcGCOLT6X2X7fmvu900ob6j2XtQp+INWlNX3//p3ispEYrbe96Q6BD255EsR37XWgfGjNUokxbmLcc7tqL5vc1wrlO0rbDm7c3KyHhG2+wqNSm2QAN5JE7nibLFgWzZNgip+2PluI98GL24D5JAXMkst4/t/ihYMQO5Hx4No08tG2mktC87CPUFZ52LNOcoYEgOarpBOUTeTY67kdMuhr3DHxSgy55Wy7d25lbWeauBp2zVKFPwfNkJ5ZuddiTgUY7LRrkp7i92rkC0u0Vic4qDx0S0At/zromJuJ8jKNtjMoc9OO4kPGPEDP/2oCkyV0I8x/aMHObOH5YbLqzmGzzxv2tXu4Gp/KOb8/NN55YxabM2k0sJNvVGxnNigSPCEd/B9lvp+eD7tPMVyDT1Iwerx3bM1slBySo3DSFKiyWgOeQLXbZj6kgo1aS9xkT+OnJ0bmYOTUGqSHmi6eCULDM7G0lkwakj5aFh2Yge+Q//gPA0mWGr7MRwLqCQkHTZpvub003zJ4CCyiIwy6TcYsTMGG6rRf1lvVU9fOu0ijd7wSZaw79lQuTzhIXUk824AG06W6ewAuAfM5rw8ly4OVJL3BOxeZgyeSZewyjQzMAvuaBGzfA9/cdaf/QZcF5lUCTKm4/YWv10I9BR532UwGN7UHnXZxEk1AbvEpHydt1WqbvM3EJ4cCs3ty+rS0EOnDHWpqe1u5Ur3kuv5xZwa/Kz2RZfZ11cQKt3uviZvIbl9AkhoRViDa8YdqEzcGl4RbmAKU2S6wqMtTcoYfothj2uuyE5mCrA8k4qfEg3tBymDxZRPL4Jk8EjDBMEuTyOvyDSOpsZ9X/CEVfo85cZ93AYv0+6G1FIPYAfS1nmhnZZZwQCgVWwWb/cjW+cVMH0RfWVK9bnbJ3mjVIJ+HMb8tCwJu3KWWL3l63W9eDHaUvSnxiJUNCZwSHXF61yaCGwo0CmuYXb2X4/8xDmWzC+TMmON50EkhMR0yba2+696+DkELsLat0SARz9Y0Ob9TgTCXVK6jdFOopRFpIKQ/XfADb8MECeow66pNPQ5DxBG7yKQ6X0VM0MCuUBxyHTQfvbPbYSPUCXTO4lt0Tq/1AFeSG50A1yIN28U9+tUSyen9/qieHggJEqrEHfjKrq4CPBNDvBmPiN3oZObY4czI3XIhckcyARz7wdfahrltewH18NCaviu8ZAOTnBGCv9bVvW2b1A9gM8S5aD56kSW6e4WSWYqZSS32cm3PEWZUyXfurO2Fs6xDaQ+gr0y9tnqq+4pYj0yeTYRAle8mmFltzR5WChvGY50liIJebbUovNW8OZJbHucnnf6VGBOHrEUmCa6mwej3+FfT8P0lYpznGeP4PhoIMl653OR0TLZwcUbe2jeBke7lJTZ6D2ZyShNOmV/VWmVTSSHRYCC+eU4rgiZPXCdsknSiO5MNK00sMjpggsJO0p+Ij77YWsL+eKca/idBG5+Edk/5415se/NF7L0AzcxLhaMG/Jm0eyn/3brXMbDHazwj5EdtnQbsH4LSITu3raYiE9BEk5XH34f5U/WkbzrOMCMcckvJ2Z7YqG2tChtALAid1qj+b8SgyXRTCWb1ZpJwR66VzkQW8cCbfrSG611vUepJp8jdMwl9fBJ6uqNi6HslRKJE+xo3GXIRnzM1ti+/T0ZnCgpnKrZOwqGE5uqBw9MNt1EUjxfqKPMjR95BT0cic78ngpXp1R0PfjXGmotcanGHbZxDnE4EE5XdY04gqnDDV6kkrL6TNP7Gh1vLj+7uRIwrmvoPU2bI83SbYux4QdnQByVCSBRQX3lWNnCnJ6q0ZYEFSyCSZ9M7dfLNzG8wUZQBKlsHjuLN/R/I7xsxXse5oXD5uMsJkrbmOO/I4/faOjzMzaOGYhJwha1mW3jJfFG9NGY/6cqJEo3FYFhQpj8k/EpmpJKvxLfpUJpPrmTtMUYT8H42LIKwIl527BlnqJd8isjOZNbjB6Z7JJnLKnnTE+zK3K1mPO6YidNRBwlKzOYSX2WoNxmQI/cCO1P1weFfk1FvbAN6pKXAyIMMJDq1ElOAjvyLpecAaXgyf3K+HTettKNjjklKftL7Wr2AXzrFuP7tG8fXHaBEK4YqldgAcaNGeATPSYV7/rZ/Z/a7hCvzGi3v0HrQoX79tQwzWS++SoAFV+eFURJ5cfWiaVH4eY99q6vSjV4INB3vEHy8Ii+jRjOSCTZ2qjjxsVbmY0XavugSvFDIRtQ00ucetVXz5LzLFo9QuZE4+pkk5hsnPiSf+GIghWOSvSxhfnBYLyguymRpcf4uxjxubSdbveDNRblMCxHJjGd3qJekvbFA7+pGCjOeybZHmIfcsOCFkwY82Bwn1678UhtXPJc47+CMRuJJIs0wTUQcDv5OzZzbQdaj/CRVPV+boL5JVWIw9rLMKkmvWqdwNoTmqEhQL15bwGfz05ErT3L9ZqnuuCd83DXyEB31THKuzKCCrPN6BchA7G0Mr6G6NtMmEDWaA4d6/8itFrF76ad61lPfgRte92jxRYI2OVOY/ft/Fs77//dLjurB5hRg4DVLwlctMYNmVilPi/6HDDxycmAoP+0RWHyPGicYkit22+SQzTQ1FCu2yS4Sy9ay9kjDvL2lOAM8yVGNNA1KMgH5l5q8Yx1bDuLLNGoXEiMQwOn/Wge4kA/ocqB+UW8Btd0QhDu/r//QP7HGoQRjEulFI/eyz8kNrZqg9dE8CdzW6HWwPZof9HpY7fQrAfm5uuoLcJEDKbOSxSwJYnHU+d51BX7I2u+9a0NjSXk+Hj7E0U9kCM289QNZg5K65cnAioMmhUQKrmz7+p5R4Bs0yZ4zqnXmsfguD7LhX+4okb9icExhxOjD+fZmahQVsVklE5BGbnIW1D+oeWRrKmDPmGE3DRCjfkA/RoZnmbXDLz7EiMGB6FVe7PfN10AY+qpmXZv4wAnGjzhuwBEE3vtsdmIfXMRwE28fziQfZm1nzlFyZMB1a7gEzVBRpMn898Jp5IIU42spESvlNmv3zGmFXjfYtZp4ZAOLGnkKJMIFsgBTanL93muNK3pDkmUMQs+PBngW3tubmd2ztDK4mDFCGLD8mprLdZCpVZ1t8qMRd1KT77KTII2tCV7STFBFrH80QdJIH2LiWpQJ54T8jml2WMvLO6dxPBwzHlK6E2wPpJfIpwsFOVqt9csrlB39Y54lh7XtiDUj6/Tped7IYr48Czv09fq21cu9wxVMzpbuRWqle3y87ZSFVCFY/ITvB4gWZO8J7IEoERWYNHZhng2r1iAVejvsBEwEbZKe74Y/YKMwOgoMjoQESz+v+X+GwcPxvEy1knNuFq32+OeyFbm9bLG9TGc0xQFMzLsAUzCMLAH5SS3TmUJS6TjUpyBoUkZObo5q1CQaksUn244xJEWZOkdGbiDoYjEAG3YbJhWpJXWgs5+fnMlxCZVSsKiIs0iOa4AfG5oH3+0HSMkgSQI6cpZ2cn5Y7ocM7iKRb4N4V3mi1E/r6gRsPPyPwmmQRRI0EJuaCBoiJNExI97kjBRmEsYdFdWxqngAxWctMdxw2AcUz/JWlGlp0vdaq6z/ga8Fo3MDeepXQmVgiAme+4ZTdJBBYAGBLcZW+DIX2E80A3Y3lFt9g9dhqBJZQ+2iEx2aOrWv5coz8zF8Da4rH3Dk17ectEeqi9SbXi6bzADmIqGefv1nwB/32k9e153IRyR57j589nJNjnS9pNbBVpFGp1Xnv8F4AFXM+H6fpVgSMXvzvFCw+iKg1tywkkeuYds9GsNcTz4BiY43sWj8Xs1mh/VG3m6lSd9tTdqez249aSNNC7XOrH3wdLCAc5xAXVRqALMmEK+q+mHkJouFeRKl9dDFDiLDlzo5rgr3Pz3tMtvLXGlKQIe/5ykuyL/B99MIE/GirgwFLNmbYNa2cAVJmrmgE7ZZ5U6YWNbQNy/ORqJNMJ76auI7rCZRdpntS0lVGxbCpIBQWdS9tsGTc3CfdA2hRSlJQbnZxfofYHDCa0FhFegYY529Yd5p55pnfF7bhgjnl9UqLT7hBJCjk4ViuWcqYWaTGSX+GbzETRWj8hPjCHSwDDyzzi74J7Kq6I/SRFCSEsFSqyljUlNfq6Pa1Nk1oZ1QO613CcfTU8wC8PPk28uSBPTiL/HKF+VfYzeo6hpQyzwJ5igEPkUrlQUqzARNDsVUZMBTkir0qXWEGkwWOieCcjKXAc8kvdy/YCa6yjY/IZW1kXOhs0HF3XxC40H17SeenEGqd+XdLd2XFJZJFXixpbK7kd+rWlES5ZhjyhMmkksldekPnmoE4dNYxYJ9J4ZcJrBCtCqcTgHT73OzdSklR81V1b9ms+tvglUEK10nHxDXK6MgiWIOKlKQRl7gRiYqWXQ6xqIEycYvpQjlbMXaOkMaYQYft+EF74LjAS9lbvFLQo4POxJMUJuYoterXb3+Pv/Sa78U1T+lnuUXDduBf6j0MDm0UQlrdJspZlXpKsJL/LzWfrjFKLXNMxcYMiUQANQUSdc8FlbdUemdyb5QF8uNX17tWar8K08NPIs8vA5BtiUFqNJHdxJxck8B0OLDs8VR8yIeH1C5mhjqDf1zXfnixWbsW06Tyjx6fbtgX0BAeBNOlLSreO72JEh1AiseDTO298ELgcZ1aSoxd6IgBizqLY8cHrwbv7J5sIF9nKe9mvIYTh6ZG0PbcSgyUsB77iALaDP5He0Xi7bzd/D5yC2dnEJFBQahN2lYuSpnthpNTNrJmzj021oqTQMX8h01eYGc8UPziAuUjCZVjEjz5bNGzWSCcIlqj9c5qBW2bLCGyaFFZ46KEU4rzL+KjAscIZ4Zp7DQQ69bcXdPKrOK5w93JNKHu3mYiWgL3LzNBIVhjp0C88VetjAA26XKau69iCvcQ5aIK0ogZ81qpWpWK7jGDbmLa7BUyWWoEAukm2uCwZFiCLUTy5eKm9WEbb0XBrU02TVrMPkruL+Q7dfFEelZndT0g8H0UCiB85p3zBDdz28ooHLl5BxZV4iZCPF2scZQIi1eSkp8/2FbY1Mv+MBLtIjbpgqXzMTe8S21hACcIO3TUKPfUkZT9oSuLEs1DI6SW0uVIh8a14jn2y1Qo4tqcQFURlpUudt7X2Er8JiOM/aDdyyyDyLRTdVHuUx7fwxUuJ1neADE6o30+eeVr4tD5fm+4OjBXqUfbwUSbMnKN+1tH9DB+1trxkGThkqPBqMjZ5l3LtbW2GMKOeE4JM6iG+4VeYuyWKSRIoa2OWE+tSbwOrD5YopGYSySpSsT9EH8BxpQFb219YP4YXRxncDaDPXZPT8F7Wa+hs9XO4fLiZEdcl4KhHNpUtAyO0SBJTQjyD910hkkkQk92UAF+zQavAjGzi7LPO19rW2Re7WwqxBZMA5mjfn82CBNlx+6oD0Yd90MOFZZOJeRn1pyVln4Z61/4XsLiyi5yEnm2gqSgiJmbQOfVQgfBdFWsJN4mBIxfZo6ZON7yjVz9zizjxLf1G7OvgeTvViB+0s7lEea6wgCWF3lRs7d5EX7V6ufeEGQcmfavsTU5AAB04BPs4WqfGFUYr+c2WDvRycCImbGSwX5/8r3jKSSmoAg+nGXzMqJg9+Lmwsn6JrflNVck7elOUJQm9JUxAB3xiS9KDVmSI3I5dRooqVxcUqqlQpfZ9+DdC+D5cU2yWKJMQ8rZSrfsBCFFKKFwmUpQowkSmLvJZZQxQRwWvRPTcjkNMIyAZnOTalUQFKiRw98OpKcONk6VWEFd1juz+HDrhupoGs7KO832+DX06v69a/LjEOHxMeXcCsQLgMvJaJHAUfSPbwunDe+6qqfum0dQe1G/zYCslRUPOp0mNy6uj/ialIA3KpNRtgD99bAm4LmcMGxLx3S+bdl+hFz/vgld2XiDwXWLFCpP8u8IvWMqZaD+YP0RoPP3xPsifFcqTbfsbCXkr563sXGJBHAzizr7/+nSmxi9zqKBizgyDgqYCY6FU3vC1iqb76yTv9AqpQKk9R6p/uJamMkuXkWymgY8LRG357ZyceKAxsUNIjqrqsnk3kB1ZbMkAAQ1hauEDop3lg+zzDDUmk4rB6SkIb9L1mVusV8lvRHOADiyIwcx/PNXuDJnAsG8smTF9gR51VDkNd4KCOlDo8r7j8iyU9ZY24qMqngQy8J/YYyu9q+qR7jg6+v8G3pSvuQAXOHn4R8i2O0rVmuxPxMmP4YooLoy/EdpHsaNyD6AeaNvAOfyqWnOI2AvYZjI2M4lKTpgbnCi5x9hBiwzdgmYrIFP8rXSguSzffXL4VIecc11cdYreApMr4gkAhN7ggMVbcNdxKx1OGMZZGohPCJf6t2ebRA+gsrCI3MF/uvGxTmD59yLtyURqXkAvHFdwMDI/3XECZwKgZnSuWXvMfxPVNwwaoeuxxHC5LhvuInEXf6J71skkqFXAC941OIJX5HenDFaXCrGW2TeQsuNlXjaDjdxBBcIBGfx04cxTrZn9QW3Oanhe+9s7OI296rGZE94GlAD1VHlASl1mpEhfmcCmRZ8BTzKE6QvxweeWf4vTbiECZ4iqRbDNythgAwiy0zPAbt1OJh6Ij+1C3bxbAPFQVmAbc8fgD+5an1jvuOV3gBpTGpRbYMrO6IauTnJKG4T0Yus7V4Ned84+jMh/NYYwA3Usirc2xkm5Q+wI00vAH5SBqT0y5miWaInnIayTthRWFEA7YTOVjocMqSGDgwn7z8uLYjiWcSvJBBo7p5uaKgoKyaMCOsQTZCq3ugPUwwX5EleGWmKW21O0WlwVxKDBXqJDnckIwlcMfLyUQumFK0QZ+sMjVli943NjzpykjFtPfaKfmwoM8+kQxyRHGIX+U19Q0BB+MV03QFvyG5TBZm43DH85Hnls1OjTDb3j1/cXjyvtmPF19jJDMsut3xgnHhXFY2b/DEN/lJHqceUl0bZud40UYeo8wS90uuneljh+FVEc3Oyv/DTcfCvXgzC7riLh2qwnWHOTvPAkntHQ9G7yMxq+yJEeWH9wxHAsyEua2ee3UQHGl23dReV62ZoSXSsCG7hSuRZIZbpaAOb12bpTsrxKTUeXJ0Nf7Sqqn6lsz2tOBDkCCO8q1WASOiUPJUz9HxUPSYCd4aZVGZvQivCgF/DVL8r22e9n/EjmBXB1bACfQjaFaEXtT/1MCkROL57NH539aUxQUdjAjBCfa60g9ObyaWR2exw1ma12hUkiGUTGENPafsEbEa3YksnvVLTBKGF8izPWAE1EiIeOvdHrOislWkPTl0l0C/TGqB76B2yOtqhyWZlAmyafbEHjLNVCOe2YXcW7AF3lFMEOnxNkbqj/N78N1ZX6et8fDQG2N0ZgKul2ZSKrSNihe76XLrpsKnVszD6iZ5TJLxDmsZM+PpIL3ajOyC0rBRZPA3zUKTDwQT10MtrdsFlMIHVWJhFguq3Mws8avbw2oA5uNAq2YvCeIapWXvKOTMdjDDK3lBxvMhNIhFD0NrC95nHl8J8rdl1QnizWonUCgLoutS4kgoHu1XDU9nkSZdSU4hoyxmaaRCTg+n3VnULZIBvUuO8h5w/YL7dWOIXxf582DT3TTR1l6+10yjWyvY6du/8Xtner6p4Rz82k90mNnRW1fYxCZk+e4p1XeM04VGvb/syLnH3uXHf1CcLRkkAzMZy7b1CgprnobSzGdzIqW+zb56CDx6np2k/IisNUUYaBKM2nvW7qVRQpDL4/RPVXWE5GAswddy1i4nURIgEB5Mj7exjvKr+i01NhxbB5Nwh6xtC/DA68zubTVTXIu2zA6sJu56NIjf4SZwFLDeRFPRgi4BfVk7nEcmezHucKp1a206yfvGfnzGh+FpmR7uojNMLfGbRyB6zqxIahLn89qHhulBMIpcX7ssN1vN9cWJKeqbqv01+tUcsz2T51NZmmBW0H1iIkpk3yG3dvLRGvsOnv+rgSRi76i4dF+X7kDRrUSijds90Axw7GfS6MT99BrLBcq5vWBq9pNchGkbC2dJ0EgRz9RfYrZMIPw9L45Jn5KgMSaqQ7wU4FNYjSNkY/eAwJJSblJXh6IDLmCssSyPdXo2P2+xn/zDICWT0nVj9JPQa9uRCD0n2V/rqWJfoNYrUuc395uCHPQOG9Hm36XpOquJ615nzrEWDwEsZFjaovjJy/UwqR6bJoWiWPype1ArXBssrYSCOR8mgk3BVIiWhnYWVAZOirZKtJKfL7X/epJgVipwrOZgDW8asBGdNi7wtKWBJvCR+aMqi3y/Nig47E/kZR8Em2xAlZfnc7UwnY9Oo4/uv0avDhlXSJcs8kS3wW13GOuKrGCOhY42kWywlE7HiGWtLdteGaYfyKz+4r1+flo876TnlPCxtbk8MYXXEQd6e008nMe9ZxSd4t8A0h3mexGeAg63tJMPkhliM9OM7OTBuYDxNj7W/2lcPRpqeldc906Fa+oEaekWPDhEow0joWMZlz/UGNXGoGoSAzOdvAc/1XscwRcq01SqvIaJNsEqVBIoSPWhGXdoCRpHelUzBXKV9ck8IAbsPxFl96tOh7zK5DPrIKpfJZYBZLfCXIDhtNnhvqWWbOriKkSekwTVLuwl57/gI4gcBYh7HEn6xe2tddavmhwmoGQNiEhfaI94gVrmkwDnbpOXVgEtMs++5TVzJr+/sKja60ABw69kR8CVZFGFn+aBrjEGt1Dr8nBY2+GeIsfcTENmQC35vePbrDkjmUlgeCPWidoDo7+bpwrKn7uJSC0wGGTREbnRAmfMgX/uPAnjeFsNkoSQcaNRqWEgxLztwrDlT+Wt9Noc+2g01Myo3FUNAW0o37q6V6rGVjUYYxVlmmQwXPlX2P5byzr8oHRvqvaZUjRWPC6TJnIOivjPJhXY7EYIgcP0QrfTDwO8uKMSoEknNDQylpC3Vnv5LfqlCOoybzDRj2NMo6UoUiikXwef8K1LHgL0KHEb24O6YgxMk99jjMo0pdTEJoWi2AI/e+F3//0LjbNAxg1mLE4+iDDEIdNK3sMHbQSLbwZ/pxqEgC43N9pK9D+F3SDnxE8jymuPQ9H7q85Goa2Yk0kmB7pWmnou1w2lGE0iQXkPyFZQsiFsHGRoi7hLtA4FVhOohLGkgWNRn9AcBpOT3O2v7/9s/0m9vQF3UMaXPpAnc5GLV63/LZ7o/8IvqWFtwudqpaCQdXRrnEOYfW/8UiayMbPBHKOH4HMIj4q0G5kVyVQ5m2+lEN3UKjGf+uGdPZ1ZfVkFzO2kcZ5zwyGCgjrs4sipNIWLopoXPUc9F1i6tb3haUd5NR/nSFwFjJ844SAw3dWHudcPMnYIBx0WpyxSv0W/5BVEaA0VSTDhRLbkcjma6IkxmS2IQOBlmptCye1mllXfCaV/O1Yww1XGeXECDQS/+dp6gzRz0+kjaljDwyekV5jgWjKowmrlCwYOHtFvLApXw0RiECapxp/iN6IyazlPT5nk0PiqHKRzGw20EMPQA9xjs/cr+7BvUZwJQpsfG62kjF/069DqcJ4BhVfJvPW10vmPtn7cYhRmoAMnZwxyS1T3rktAdf3k2JoluXxmIH1flpxWe1sqOohr3GnAJwefuwh8K7PwL5y1RrLiuvsAXq3WfKl2a/TyWm3q0mroYbRX0I5gX+rWBDRHSBoLMxtY24158wHKjW2F/pz6JSbay9r70ExbKLyByaGQrayoULINHwwWA1IRNXhHrKaEtT2ZRG1AXk+gOqolGW16qZrzOqgUHgYE7Ugb2LqJNiTcQOToWMA0s/sR3oDalNRu0OfVNmuH0ODkVhPl0nj0sNNbioP6aAj/D3PakSg/msTSxO/5rZ/zGVLrsXndNGw2U7RwAXeDx1bnf/zgvlob4iu/ONkzlUIS8BbaVe9rBJt5ISaEFY208t68pqejVKebQ3BlBlT4MkvCRQQt05jpznqEDNK8A4SlVGJx4rZmyKccM8fFkfBz8DrWneLWmm7/66JqFm/mZfapKjgzNQB2G9rM9RZ9B41mec+L0VIO/8X54/9sTQa6cJqnjiBndJ2LnDTwSIp97gYnkkfeUKrRWDwY7Zh24kzeQ2dlL538+glLbmkEE2YLgiicSLVEkud6foBBAZiCsCb9RoIhbuihGcmapd7rdaRe3PBeuotdOrq1XmudCI+Hd1lZo3rBK5IjC2hihwdmPnMPNIutAWcyxeOQRkEcN25x8btfNRfrjFMMrZcGzbnBVZgmMM0JSw62vhyzz/C3WOK9JNBOE0IcjeJlJJwQ/iORTiwqSo16NyMHtzYUz7W1yNmZcCnQ8GoOcy2Lr3V3fRwWj+9njAQiNqqD8icHB4r5+E82oQmNk8gzP/hCWhGe5Dx244c9cJZXC/DQoWznWGyo/L0sw9TW25eqssYA/iI7u9et8lmwRMIC3tjnG43wmUovtdgK7hmlsmzxxBWPgPjtUmbaEE7195CpNjz4yOo/C6NxpyyW7vrYN1ECKzGM+pVlXNUlTch5qsP2sW99YBTzwkG8WeLwq8GtoTnYJ1nBQzoPNsHb33Cp8HlhBR6/CBwfPInk7POSIEqjHfxqGzP5h9i2MBSiTFWZYuKqi5s8gi8Uk6M+6aoEq9jn0PjPELFoqmetA5VZGLtysGz0B6/QoPuYU28cgPDd3jzSGvMPdkUtCFWY2D29bkF/K17YNqBbEnUaKBMYho8BL1CPCEXMdJtpeUOUx3mN0LBfj6FBlkIeACxZpsSYPBAUFDz8pa0Gfuil4fMWKGbkSkvq3sf56RPX9dcO09+7/aPI+lve8a7XNrNMkT1scNDPthdvIfaHw54RqDp1eLoErNgAMTDppdKI3oGmv3Q7+HVucCmCi9wLi2RYHtY+9mA/jH4XJ5D3tbmzKWjD1OgsT7WCqyyU/wCKx8JNwih2YpGRP/pV6yZaj8+WmX6ibATUfxecqM8lxBkxAxQfuIfTUrLmIREFgdyGMg/4B0ZPk2ujK36vcf9KxbrMckhVRH+QtfdTCQUBkkefp08+J/dZhZHjPp/VVFYDT1M2VpB9w5BP7YcJKX4OoAYWWHpK6bEv846qRibb6hbhU8RVbFr7poGbCQPY+IjpfNjmBJmLBW1Pxim0dBj5NlQoEfJfKrBypJN6eSJzsV7LgNdprKjvG+wiQM1ak7eYVM2ueMbcQw3LGZignA0tTfeblU8n0xand0shKmmjnhoGoo8dhW8xhV9MAGnr+HcE5/iIgYIzARNR/UkVREd+cC9i+H9d/dyby+3NzaWIHr2PjipHyRH/JNYIeSAan2SEYaSERbxlJrM09IdcIszjEPHfXms63xwn79//JVZc3NEdsDOjT4OLPeXtB34a7oNB8+36OIyU2wEF7jrtqXXBvz3vZ43ZIwDMT4JDUD3Vv34p+av41bSWqMwgWwTrxPYcNUj8B0IN6Ov56ReDedpUa4sg3i3U2tX2xF74bfTyb+tj//G1W8+M8IUw8Zs5CFhOwoZ/ym2lCC87gVHaR1WDj0aBLT//RuTqHXMXj+93BiQ9iZCNj7xYxkHY37beyFchS5E6ipPiZw2+3y2HrQWIj3Cxbeyk1Cu+F86TmYZ4w25mrtaR6+03Oz3KM1tbmrcm10gCX6u7oHaYIALzZniRlgrB4GK7vGtFn6B52elTyQwxJeilWlOYELHZLtmv/YdRPpyk2Bua+VqCWdwep/803larRduJZ7EQMvgJSIWyi04LNG0pAYSWBBu9ublMd8FCVW1e8e3nfPNvy15+LP/ot2etMS+rzaziNZ2Kccv/9nwE3RfQyJHrlLQ94/SQ0CrJo85rkuG8h/fYZ9rcDRpfbRNwFHnXlRyGyZbn0dyutlrahNPF1sFiWgEEwwJ73Vsrdnu6ePAP11X6KVoqQhnnWyeIknK2sIK4tUy9Un7hlnm1py1ncuxpYsSleijX9IopbE9ye1H/SEYlSjwZmHtx4nrPc1fpngnumMx7UMTIsph9hHFTFDdeJ0ss9OTQzMvlLrhrz2LsN2DwSKPtpnnymGMXyV88no/+0bjzkLpl/r7X2lyTPAejk3qK774HmuX5J3S7rzGp7WucgyRmGuHSJA1OrdH1+39PhWZOV92WddNfO4pjtL2P1iAWdyYcKTsRGXuCHtYjrW+WYBD1O49XDE3pN44IZxp6tZf4TxiYQDYRYywW/NENQbMY1+k39nz+PW1AkuwbeQ5ZXmyF/aid0HyxmKkcxoXI+cZFDcYvy/RyYnM5Mr7ZYfDAt3U1sFAKV0g6nT+t6e1L2rhXJb62sjkYtLAr0cVe3ckQufdgKRS4jAf2brMC3MuAhZK3sL9wz4LBpyyHobMi/laU8AywXi6AJOFV5JUktkFrLYYILF8x1vJIAapocBukGqyTtROuStjgyLJTJYKY2X2sjC4cjzn0GXxIx2//fP9gJO1k/gGVUVfPq/LEoS130NteH98CsWlY9mzqXpc+a77Ns9jyVCL1H1xA1pHL+f6oulG1xDQIvaTz9BZJEJWyduk22kjQBKRghv7uXqYL64dwMt7M66vYpmtuEuGx17vTVkCNfhQ748vmsObe7qNOTXYMTbEld+eq+ZnQgUWCmHiMbJVCdPBrT0BbnvVLjfqu4vhs8N6pZpRtOslhrUwbdYvT0wRRfHVsTRN4ArYGzPDQU27qasuKPriO9gpBKaplpZLstd9rwNgSpqeuIMV2+rBkX6rNMHQwjMBYUoRyBLoNq3CZOiWTm4lPrBXPztyDND+R2jCpJZdzvYsWTToTlI6yoh/8tZASnTcO/JXvWRtTD+cNmMIPMUqRo+wBBib/GrjvObEwNAxi06l6CGJN6ocM7bGvMCp56kkwuY8p2fUiEE918Ji/4juXVMfTRgmPQbRlY3qQWTP+140kSeZGVXKh4pUfK4JC1BubqF1hEP1ErX9F5s1xRteKbZUUJRX2Qc6TzAqm2gZSun3PfMRSd2XehLUh1kgYuBb7G5LMTfb16yot/5l/O/wy2yTfO4vCb5i0l/KxlPQ1GWCJ7MNm2Eq87XZuKaVBXq1o14gpD9Jjj+OW5AgLZ7ODwfWj96xRdxkuBlH/KKYz78EqsxDM4t8pNSPary63Vnf9e2fi2K8b/0XhYhDkbcVahR9l/SZhI72PVdskMSEOOMH/W3y98zjNbQlq4cGE5BO9F/ByVu/iRLECb2Y1BV5XM+Wz4At1EGdVEtan5uHRm3xp3kcTiLasq5Mi2ClQ84tMm4CJjQ77csU0o8TSFlXjPIrd5kI9NggRLRhPy12CrNGLt9iKQxy1AtOHGysWGwK8GwsoBRSHt+cXNkj6ZeH/+reVutbLQiADV60l+dSLgnWyw5BTVdjL9l/+HvwYNE309box+ZXBPIq9icwSa5pM1aS0NRCyS5DbOM2TZ8YfT9Liq/Vaa7BuYTsklN/FVh7Jyoj7eGcBDgbEfbgsDJyKqnJDed/skp2Y7jCC0isTx0dpwqbM3g1whJ6kADfIPK80eajWCYe+ZEWKA2qXC+ENDDJIIujNsqaRW/lCLqpGeD+2j0KfBqAFMm9VL1lEQAENcVrgm/2/YeRqjoZmvry+XY7GPp6TdQuxjBubGApzmLJ46c2iJOgnbg9pc3BfqRKAalk0M2aj24B+7TEWDpCgC9bPO+dIMpES8wH5z3+640joQ2vBmFmAXGWtqOQPqWrXhU3d2/Fg1VRMszd3TptOeELs+14WUtvLHnNianjX4CWpBEDTjT3Yn1xBVGHQihoEOmIzEsDTWpXNwgB4nw0HGnkbUhm0uSU3B4NE7zgZuUTSjVFEwRBiVRXEFYzJ3uObPOxjPtLWgHmLRTJuMTqk8lhLLMx3cB2amk8dfV5xYuigkr7gXzwj6ERlFAIDEx/m8OW+U2fFQnGfXZ1IEjajAhQBgvJ3/gwidghvvrclDhLXlgzZvA/Z5CO5ywi7lO3ePkwWwsaezXTm9YQZXBVBJRQ7qjjFHSfTPq+9QhvhaxQjuDX44pf2RR6aqN2T7CFh+Smnbhg4rTEy5AnbkOoByzYYqDjvmjx/4kp8BQlk1nj1oHbSK1lcG1bVSpK+i1ilSBatDkzGMshKttUrs/L4YC87VXlXBXS4orxyslgbv7Cpx3IGVeg6foFN5j1h1pujcP7Di3CxS6oCVUsBphp0soA7rm3VGzP0BOO78WD7fTrg2YSfZvUhmNu0CaeVYtewwtdm9zH2kWDgB8/MKM6orIE3LGAsthY+JgIe8aV2Yp5KyGFcxB2Bt1dho1B8+zkj/gKEFO/4wK0sp8t639ANcWepY4eptoFcK+u6OmPeV909Ci5G9f4jLlbHVOcnDZSMIQ8x3826kyi0UfGbvCeC7Qvxw+/TBvjoaTm2C6rcMzMu11KTG6ETNEuiTwBlHGpTCU5s65ibKuP7eIIB2tQNqQ80NmG8JrDGRARSZEqr15iT3/6U7MxJxeTLas5nAQUst16haP4naSCTpm7X/9Xt+km367u4Sj9UWRQdW6O5W47mrra4uwRI/XYzotDU6QQj9U0ztMZWOzWEaolvFm/iksxY04CAXqchCHu2MPD7ynmb9jrGcQYZinUH+3kQGiWS945YBMmnTwbrTrnAnoaGLr0wrRxqLBGr41xLjoldbVkdaADfQ6lOi3ngyObQ+IxzFijKHMjavYwz+03dOy6zfL/ZsVIOfcFB1d6fVuY2LZLTcvbp2fl2dKXWgbSQvwmIzDMAm7+0V8EsrE4kQbDB8a+ycItu26SInpaMUf2Pa2VWJ59Lmq9GEhWyiHtxpLM0urY3Fm5MKWz2xAdKdcuP+i4uGfnF1wx3pOzRoX3lsUDm4lUfXFh+NVGpqKun+y2ILetyl0jMSOCramy6OxNsasnf75ecyNInVqTJoTWp9l68/S4/VbWbBrJihN6qyZmFT1pyyOFRy/rVPVub3hKpiDoFg/xgkY0gQMB/mwCljsMWQRjHEHQ7LI3EPCvmURVtSr032RqLs4pTxFhInyLLN1qNkB7KDwFTz6a40bv81upO6mdS2o7FAMdgdVt2klvDTREVp5HsDx93LRxiA9U30rkJktYmtVOyxUTlv+4gQxRaaYBiOCz5T2v5//JrLEg1v/p4S61yZQIQM6s/ESaDF3221vbBAVdNTqv4PpU00EkJhzk3N2aRlqXJClJJD52ow+evtMek9C3UWTK0rp0dBlVm251j92g0IgUqV1kNIDiMyVUkVJoQutQ5qT0ZuyKr3DRpvFtWYuXapxSGYQ3AVr4IpFJSqUeNAd70/WU/3kpiKfItx9QLwt3BR8D5M/6GGiuOq+QZWFC+TSkyVFeJgizHfnLhTA+ykg1l2MzyPsskbLJw1q1gl8ipnneCU2HGfZT/o/WmWRhJxpsdIu1wodz2a2Xm5s0eS+pc18KbW4palC589Ts2AWffJqtNC8aME4wZk45IEye2HBsKnWXT6ZL4sNwxkL1S4RBWSB1q7eTRWFSfBHNUTQ4tYOXrLNxJGnFaVDG+wh8KIJaAJflSsfYtQS3/WNkXUZaPhwlEjleJT3rfMruHEyHiFn8ZljO1AmHVEvW4DsAyy0s4uR97faeRO0puskpbGIDk9iQrDAqzxE0WSB9/b02MzZsMJSxu2AQwOPzTfL2iykOPdiVaSGdF+zWiTEwZQGMZ1+dhZcRMpnMPvZkVKO0JVmy/Vxm4FEEr6zsUmmufJxRGy/TSX4N5Vt/lNLeZ/sE6po40xtd2jq3xYPPZiuoE+J5H22Jfwe2IPKsv1kojZOJZHE5aHPkuUzWQrBCZKOCb5LhCiJlYRYJn/VIvQkqYVMl83viRzUcy6YjxyghqKNXTlXF/HsW5YAImg8/fgkFIVWmU4ZtChxmY0SnJLKgFKcStzZ3dZPRyDGmoLuAbDmEPqXbMkhQ+uGvNoniD9+Y7cxixppAtAtdIhBwIfeTIEOr7atvsV1yqyo/Q2ml395/o34kffsqtLAeHYwbVAvuXyD+2E14YSDx2R7NAQEmaxWHMbEEMfnA79xdbhtBLURaZN1M41/0z7a8rPxFRRpQEC+iq1ZdsvZPEYxRLs04inP27pQKLhC5HQp319kLSgez7fK5a5g+PtgRHynjxujmakHCnIedg8C8XsU34mfY6IXCjP/WQAdPWCucyhhT4t8IuBdmHXUVJvCU5hrEPCiCCG/3ebeMj8ORsNifeLk91hglceuEnM0xAOO0rOHFQGiDgUvgleubh9Pm3AG10roZ3NZEPJDa9uNx9F6l0xe8vkYhlwQA3GIhGnkkIlsgdc1Psx9zN5hm1DxXplNS6q4yvIwXs4Nd2PNh8SIMAwNt097WliurNaH9QwWFFSTsU/TnJd1WtmARm6dxBXFKrUKzh6Io+RJUcN1DMPzr+L2Yz9e5V/PywJeEveCC0dtzjiDMRyyZUHmQrZKGyy6++1sNE1z00mPa6f0mrR64zARlRUI9SlCVhrLvWKvcpgTAE9cutNYit0mgP0IaaoHbKrC5FKkG0mD6Tr4z5HlzkRyAOvgKKBFevZxjMToQeMTw3dWYSPouOhyiRnsUOFDpMVkNj98d7EP94n5hx/6YTfXAcp2KbvVHoazmb6yDYJaTODBMvXw/J5OFpZRRkjQVt5B6GrBveZvdkI+R7m6EY1HTVsYm9w+smFenWKt9cyEIKvT4ZXgQLvcsEu32j/ViyzKQiZl8t5RrIyyK9tFup4byJoIGxZoKnZrlpV/xKl8xq/RzEINxJC2PLt6mHYS4LRgFKent6ZzRh86itKWgs/dOyGShgO+g48w4u+LPyZZkJpr8BOvhh0m5GnJtat0ljKrb6giWD12CFKWPawcBcd83LZuHE+WNZqS7ce45BCRh7hzfQQ76Wxmevd4/6FOEwfTPn48rudTYQacOVANqFbJjYsBjhZ8Q9R7CoQi+WBi/oz9qHYbztJYstdRm9GwapYiP3Re65SFHM63KClJpO0DZBJLqlcQyyPjDPPfNCP7Rr6BlZjoR9cblbcELC3Uh5Veu7QvI18O/KfCNT907nwQ/UXp+N6GHM6ty75g0AtC4smei73vuSWHNihS/q7JNczXscD1ZHG9swUGSBzDQWVSY2uJa7yilhpRagnL9vnaIM0BNki1bPa9s63wczdk89ZoORMm0go3hkhNJrogGBx/8pGypxw9Fsdp8z4PDUqzr1BLWjKTIW6hMpddKLyaOzynyI6/1FIEirLITuybsua42gwdspt5E+RoOYezZIFDjeC8+YEVGnP1bbUimMQx0SYNol4noD5+cw0a+2WKfmUHANMoa/Q2nZtJ8uDM5Lw9Hn2k4RLF+SfYIaf8Qf2pds2RFvhhaJDMc3epRQDqQkPpWYZd4Lt9HALX8uzqfWLIniKAmEzUqBStS+1GAx6xxo7PK0kYA3aMBv35tUCVRip9bo+fs//AISOzkaceMXUhI1nA2Tljbfz0/WfOk/4x97Ob1A4/OafZ8Xu5f8IR8iKlvJNlkk4qW6R8/yUtR1B7A6pPLLpHKVWjjpaiNRnURNVMAu0UQDd19ikqiHORUUzZj9gIIYBVmT54xSoRQjDCqEjv5GVTHc0YKTXdDGyEdKQySQxz52hBoZx9opbpeByaol5Kbx1eBdUpB5hMSazvMfY9MgwhK1emKV0I+btrqH1G9uw411WEyLOds6R4aSxWP60sgPVNMAS7XETlM1+2dl4LfjByE6wwHoH1iRHaFBgWP7clvp2PQ58ZaCSZ2BdDqpvSdezuSqGppYUXtMuoYkXmUCrndcwQcmbRTzNNWEZgXJYusEsuobfO4z6ztE1b//h9BI8WTRFGuHZaM+lmTXmIcvfZCb2rvqhLkh8fQdZAAVylvbn7+FRyjxm7juOxo4vasbuPMwjLRspnZEsKJNBxB5yTZ5WRiyAJdZyywvRXLsfjwffj1cszyZ8mHgL0UOL8ztGW3dXybCuLq1fg7bMqPZ1M4px5wPYyA9tMpSlSyqvqEeXCV0XOsaH87I00Z5nSa71sQW6QS/8NQ2zBq/um6U6rAx4SMj7z+C0Lnbe+XY4/V9cwKRy3Ch87QZHv8cIjqOFgtdsq58r8N0xLkbzfnU4qf/YPzrn/Jh6OI8k6MSV4QpYnIQkigNsT0hu03xTEzq/+D6lecgX/hh9ENGuQazobsct9ryn6dtT62uQLCmwakReCNGepH0p4utRq6h3ccltsoSzHcsS+eulwroA9NIXNcdcijEq4wQVqDDDVDyhccWEgDVf0GlOKaoB9zf5Qpi2rhTmDpeMszyHUJb3BIbOMTX31qjylo/IKrwSmNk/fH5Pjbyt6VhZIqmh73WTQiUP+6t7e1hvXXYy45R1gOfCkRkqpEwDgZp4GjmPTPYTqy5c1+PltH7FrSuvQfn6G9M1FHs36UxLHkxJNwMNXVumYIE7otueyNOdmvXak8WGMX2iJ7ZwOk+How+KVpG55wMta5kwehrnctZFPpq6Ae0aO08HxHIbHOPShVpLarrignY7H6LCjQ8M1C/KbSC/C4pcwYxZM/G6kLZGzWo0gddVuGeJ9YSgOnaOIlraJAOuv+vaeaKudgXKSz6M8GMbwuIhXwtFic7YZEgL2CFML2n5Vvo7Fdns1WnVNSolBpC/l46eRfqzi/MBcLnhfptJTB5kHpdzqKXCHeiOACz60p9HLzrYUXlGs0Ea052yXE1awjWKtjQ+JB9M62GlqCwZWqM6Ist7aAoGUXaRXOkI9sptBqIuAbRBcD/2dr3HCMuPiHDTGnrkgdOnzrU2HkW2I0yg2YLw+gePZ8l5F73jeK6KPikxhLgwzkBY6HipmiVcNVUFNizmRzdXHCK67zbHf8RlAuoBPCkAA1GEhpvc3P8zXCfGBoUHKjIa8e2Ej/T3yYC7IjwBpyLmpEVPs8bAa73FzlN6ATo2RM8KQtc7HbviN3mB/pvMaf5Hm40WxV9X//eKxFxdRTlethEEx4KkQt0cGLOR1DPm1+q/W7uC9dLhXNqaTjFxA53Kxl8RdJrvYqiBYuVXo0fY0m9YAJnyYvaZblxziJJIoK5SKwleK58T/IPm+Bopreg8Nkl7QfM0B6ehluL+TO1OaFQiuDoANJOiRgVme6jJtohit+yfqWrSGMaJYKOeSiR1XAr+V21RbK7ZnKX+KFvuEhgg5ReC1eh7Hht9jEVS0wEDCLuUyYmbniVQauPeDbo1pjaWqk32beqDY6gSUdjVhhSJw89Q+RQXndks10nByHOp3jrhT265PUzMyatke90dVLlNXb8tloa+kSY56Q0dqqTCPSH7f143jXRWcQ0m3ylhmQg1RYRFEwaNtC2jAuNO519Uql3cDwkQzgElU7/8pCD/cIAW1X8phM/D+kDXzgCYojMvXSm6jfrgZQ+Lva6ZHsAnuHOPf97Zy4R1JTvkg+VvQdmjGT0c46v/5oDMhGGkx1c63rueaDmSEs4oJuVTn3Z4urrBR2NdTaqD2N8w5NdmvjQfQlClcai5wd1HYRt6WyZLhF+4o9tTWLnVEgCGNdAR5R5eOx2JlgZ2Ir3tZQ22Bb1DE49l3f47Hz+y9xGJJySnqzcnf/+9Ib9E5xcHOSDirMyyt2n8dM/T+OnEhut/zF9H5mxkGar03/On+7Wmi6qaIS/JNEfEEqw0oLRcKlqroqqcvQMSexQ8JbE7V9EjvKUi/l9fVe/wdlgGoRmgvu2y7ZZyiosxniXbKst1zoFCY9bo8xGNKaauubbw8sD6B+/jyFkAhkE3ZZXyQbYVEBlZRjNJnnx/DsNj5QxbWxPmQu4BlLvgIxflqeTJPpsCb72l/qMfRrhRdyBc9JoHI/snEnosxneeZPnH0HKi7Yli55ud+x0u69wCEcHvBKfis3iQTMtsuhcZNGi4HPdBsvl3Xe++d8YMcCDGN5eTFlNDAJvRgi5/gK4jee/xpIEwfhGT0CFuGLmoicq5CyL7eT4MLWkjW3LmUyHtWrfQWjA1GAWT0sTNXZ+UvlLYSuZN+uI31JHeiy9HmXgtF9YMm/MgmuecWaBtBCkOzdpAO7dSbExJdu+dviqIihbZ2NIAUEFu6Mi2bHyLJd/Moid7Wabf8igjEjdRDLlmXTPUzK2tjLPFjrI8PhLyYx8nGeiZJII+1cTRQuXuNBwofdwD9VbhoWIQ+spTpiqISjI9gKC3gu0SKPxfb6OVKsfRkjPgMjkeOeWtsMAh8o4bvdeZRBdW/fe7elb7fIbX+4qUGZIRmu3Rq/HUhaVyIa4ywstrvo4IY6oQAeccnKsnMn7uCUu21qL9zgJFtrQVBJvIoax3lHfbygWLifNo8De6HWAM6s46ToGZsoKs46b7CNNOJ/Yky6nVQO3HcrKx0DUpQVBAtTvBuhTA49ykSXD2OdB3SAYDOKsyab4XCN8eOT3jjPoN6z+vYyTDWsynyNpZGIXbb2R6RjeLw1WsKCSNbjjlEFQMwOXvYDebGpc6elurezk0ywGEFC6N+wCK++oH4SyUvPTGIaDtyQq87aGvjeJPfcgKQcH2v6RdoPU3U/sCqqNWd2z2kyWPG4tnUNzYgk6NhI/EjVJZblT2KqqTP0t7jQDihSJLlCWTstZXwfO+r3b+vmMQYIZo6aqFidYLpa1vbBDh4rhu+PRH+KRx4Pt/vX6/SQtHQrQn/NtOPjVHrc2nWKf03Fj5/do5CQL76m/mRW28SlX8gi51U3MIWyI92L/mMsM6FEeKLOXRkFIw6hJi4a6c/rr0+DJH+XLECleN6fg+mVSkh5Dl/FRu6GsqSZb72vtIhsixN+LXZd1zyF2GYR0zE3mN9RTSw4XKezoy5opRo3OCLxgL332c7sHy+3/yV9EyOfeQ0ACRBjSvO0A/nmQJolsc4mrRHco56eoyexJYjIR9HzKm5Q3MHYxPcxyNe63dTq0MgtBxUapnAXOaYlKrMIGOKG/s1pQoIBQObYS3fVxYbZpYF9fpSHIgrYkM4t7eQsRI8ixWmO9f357nn2G4iOrAf0L/7QKO3lvsLSjner6OSNFZZDN3V5wNqGEBuuPAX9rvssPrWn6EKCRWYEOGYXVIR5eqVm8hQDIixcJCWK38MAtnro5tF9tFS30bPaQY7ea4haeJ00+he1RfduEPCh2TDd/mZV7nFzMXW8xvy8PShZ9uAINCZDE8jtwZEKXlrddm3ngWjDtDdS+oGeyNfUYMq6QItKXemdZ7pFj5IVevK0EdoMs+v8gP0KRIU1ShGZpXNrSPgg0Sn/qJ8TYnRfSt3X5vxbiHAi+1h3PMv0dNqFYgQChdJGDtL1cz46hP23lddJp/Rm5UujBnyCnrkeJWpskWIh/GvkfiYFb43ExdmVq6dlTbanzXiuzj2hjsTZ3AKuObkasc5MMaC8UVkyyTeaJmyxbcTMPZUrL5ZRLglYpcQa6hZcHPq5Ff51gz4YrW3ClwvX8XHcKLpuVugABkRaVWTufQrc6QyUtzt08iKxkPksUK52ncEHAzcdaqxJ0zZhZqFsN9MqCoy4afz7vKdHthNYS9qKxa9btvkYG0X6gPfhBNqb2w3uy+qsWR2jxLtg3cT/Ghyw9J/hSD2vB6k2iFd+mknXATEDknYXyNUcc/3o4bdo0+bsqhvzWnvwwa7igarEdRhomPy3oxXTIfF0a/uHIAx5KnG1HAS3+4iUojm0MMpdZcNBxG3Z3QuI1+6C2QQpeWYJn7UuVywUcxjOAdMeZ1dPRY3hnAAI6fuj5z+3JKfoI/UHLeTrmEPJhkyR7vjHgfT8XyCSNnWEkqXH3elcWKhjV+Jfz0jAgJ1u1beAUOn8Lu6vUgukiF2875O0sNBkWBeomdTbnf4WoG3sxmCy35oMeQTaZVk2O4d/c3NEwPwu8UTzXCWL+TGgdnuLv/7biRAqA7TrTbQVNBrX3oRcfHuE7SRlv2xMqFOzDLtyoI2RBK8fkKvbnO3ZQb2w38mbtSz/extor2qoCRjmoWv6H9kYLPvxk/5hvzRGtNXElk+ffElskQXZGvmytYkHL8zmdNk5Qd/86lyEX/8gbd6lB5yy3J6sUiTCIDbrUdGTEqRlml1uBY3psZdb3YwBHuEag3ZB7Y6/SQuVmMBzWudOK3XKWpM7elPCINSsl5x1vbnCtiskPWvN7Qr8S/8ih11yEI694mYGIsgT+zJftBa5cGfgTqusXX8tULw7NHjUwxrzJpGeqGoMSUrtXS/qdSbRfpY7gipYCVG6DCFGpC5eMxcZA4hMNspaQ3+ql9drZNgDTD/ER4QwXU4wl1tCJxSK4MvkDAl5rNeHvg/jhkoblUvyZ7n1saBRyjfP4rRYC/n6ZkuL1gS1ms1Arz0+Wwbz+eB99fDEac79CxYCfvkbqfP9ULtAP2iDKe63pBg51SAYvI2FlTMK8/JQzpdPvcFWvWsAuEGhNOT2xQ7l1OCZUWgWaNJ1QD8PzpvY667vA+tLOfzQvpbH2UG3nD3ASHQ9+n5gUtPpFs4/xeQoMWCpNkqriYxXtEg0FZToxfQfUU151ExPdYCbTW4RXqErAvMhwALEqM0Bl2mq4F4AsHdJPrZ8abRSmeBKQZGngSOx7NyY9Ubw0SXOplWH+5XEvznFgDBTOJ9aeniK8EdGH7RMe57URcajvYSFC4wsegiuJOSv4sHS1L+JdA7BVmuC7yq6CSgvrx/UC2q+s/ymdboatDO/eO8TR+TMudTPLHnNf5bbo9nDZa+v6/P2f0UdXXlrc7TT9r4gISsyB+x++m8CaJKZWkQvunRekhYqQkNWp7Wi65k4OpcarEdu9L0Od0Tf+9brdqkit5Eh6kCFDAQrB3ee/umtETck7pLnBjQa3DwD3dZXKZni+aOfBQkIkeldR53K403uJYnaC4WmDrDN4E5EBtYJNdNwkpke31jg5f4cRTqyFEr6NCX4VrwHzYQWyLTUCIhxc28vT7KTD9X0BhzMyCIYqMc8EKiOf/dh/+FNlGaVNb9ZOUm7Ds3n3HVXFQoeL8BC4wmv5dVwlX/IWT58PwvY0YFeIf1JkW3oiQcg6D3fhPI6mrfF8ux/Pt2PF8gc5AexL5BHM2pHfoqJSgRV/dEecz5BdIgLH3A5Bkj1YG/xUsk6/o3uP3hbesFWabJXEF8jok2L59//LvyCs3fjen9Ykrm6b2jMCbwSaGjL28D6EuEPrmUtRXXMklEW1dzWRFKXYbdSJlXf2CkZGy2CHf5a03yaMDvmSUMXos+U415fW5rEwn2yVT6JbnbzWV2kiapWt3nRsNj+aWnW1a6jx0Aw18cakwlRrQnnvaHjDIi+1XCMiPyxqnuvIicRmlIwRCyusMvYvgqqjEWSYNFw3M1+8Mc1v7Sc7vsaTKvwSldrrsdypxF/17D4LjINUjSTBLafRx8EPWj8X3e+QkP3tIyJueRjBLWfha74Z/KAMDZ7yo2dCOr+KJgoYlQ5uKP6VL69Pa9ocXKnS4upHI4FOFLFokMwXp5W0vYDd7trHX1vzAnrHBbS5UxVGIvFpsCJF3ZMIr1ns+ci1wCTX3LXsf+FlEmHC1OMKD2lw3//hO/Jmf3KJOyCwKGpAYITmhgpUFsVfWdydoZjxFcTZ0gyETi2BSGhpewdqVkQYGFXLXQIGVdCPRCZj1JMgxIrTProVWKil9BXkuDn/sOx6S7nIO1AmYeFj3PgSb8/lpilf2AjM4mJKBR2/RO1nzsqEvCiYwX0IF5/U0R/68vXYCPpxu3pubToVNTU6cr0s1Fn6n8UnkqfWvqnJ6951TnVmExpVmeVXIsFBIGDwuB8P70jHO8jU52L2S49YZBAWUkDkaSHSEXG/Gh7tMLgZPRK289dGeSxIpXrfUW3Ngx4HWjHGSWxYHXgqfZvAprTgzgYhbdIpsMhvMtbyNOoi70HnvCirhr+4UMXP/4695vtvpLJkfuCph2BHpWbEpB14xfCs6UhTD0jDHu96U1rfAYg6Bo4w0YAwfq2Q5L2CW6Sga41ef19/UdLerUfO/vqlLPo2FEqWjLUm75vvTFrM764QLshk3RPogBSd630SzomnkSKvU40kZTS04UeIDayQLZ8xejb5I5NtIX6hrAP5aZP0DB+qZhvDBWzks9WqgZX46KQjCZwYpBdRiC/vEiJhAjQEAEgklBEtJSP3HVH8hXwX+100TWLlvcrmnzv4wx75St2W823+i5s/YWjvhKQl2Iwa+ihs2D0BzjVs88wOa9QTSXs5nB17g25rueufW8FNFbSCTFAhc9Z2+skvs2Uf6qE8lWamqje6TcQVjhZ7GkNkFFy33ybsBeuesNzXJm9K7WNM5pSRXicqxcIrsZfgJYhFqrUZIkyw+rhvDUC6wdM+2VoUgJn+7o9SDBBmhtD6tpTdsCkuqmg+i52FZP51kopH8dj7/hnIbEEPE5PkTPEAxDYrsnzk2KI3XByAMtYjgs/MYuRTV4ltz6yFkCAv+BjpMXXqAY7NETuw3seyk5yb0KE3N/Bbwsi5VIojevA6TsBs1PCMc64JnmhrbT1/wMp62D2Q9rVTw/F4qGG8cnWVLmYf2hyLRcNA+nEx9M0eiyr8PUcH6sGp3nALzXDUuspxQxJubGYrmRV5M6TEy8nXyLhHeeqJ5RQvVJ6GSpWu4ePdqri3CVkVBz36weqYt4PTuhPFXGzBirVhle0VfdL00LOLBZcp7H1VMA8LIvYFSzaYfQbXrhIpIJyZVEDZEJSSXJdy5WkcebfrT/9y/SPVbknzDuLaBu5hgtkWFF252CMdGc4o3kGGxss0+cB3Wq5NYgNCceXVLDFJAED8S4568EugGtxzm2+S0Fbq9DQnzPlNzygMiI65Jkq0fmZtSTnnJLGHxf9GLrC1YU3mmbJ01JzULRDlPHUlj4X4TqOm2dS9j0ZCPsvQ4gou12hfyDE2AjfK+5AVWDhrQcT48OlGFn9Xhl64gyB6PM0ixrwWOgHU6DIq28xRLMTs/3fb9o9PrNgiyf1YtK3ZXBVOZ0J6d7rqTOA8poaHq5XZX6PHe7496EdyhHdEM7uiJwPnVufynXYZdJIQn+V3xDvGx84HeBLqUUCX2+TzWaLK1z5MpF8TG5BfJklBXg68JiqnQfkPLRL4QBiERmgsboen5WsP1MUKmLwAM4uj2mYMgBjN44z1oBrPNQik0e3DxInr5r0x13GjwQ9FYlwRHPgQHu2GJ7pAmVqyg3ZV4A8U8k7qA3PLK86skOHTBLXHfoV/VF0Lk9c3i4PnyE38qF0GOiyHnlvFPur2HhiwLmZ7n0aodjw/CTWPd7lIWmg+s/ZvlKjYEqNoyP9QRkrwZtb25vG2l+Fn+cX902RrUD2SNngfe7ulTtvcgH0+gxZWf/HK8HnZEUb13jOrY17fT5OVR/0KZ6FPK4E27BvhfQ6oDdqf7qTu68boskUELucObyjGJ6kBb7qWeJf1057kWXXDYfG5bAgOXnI2tsBrQ2BcZvunleGVL+9pdA/ZbDo+hz1w3+Wqiz9oPKaZxlLHHXj6kxuCfD9EqzDMje9DLlVlClz6sajSyAh4QYlDNjzXryYulF8dSvrO/Yqes15I8b7yj30b/6hnIqv8VF43uq/qA9RTnNNaH3aKPQr8E8NhMXDACSHBnTEJniVWriIZm1Q42aDSS7ZiHdWnfAIzjYiKA3ktICpYtNvEZVeb+3gRQ74CQuz9SSvou6Kq0WSmdnUm9GGl1Px7OvnZcelFlH/R+WZHzrfjBsquOwFrJskKIpoufOts3uNS+xDx7fCewlnOUVn8GMIILcMCSzU82wj3QwOXu2K0njWyEWIJrXvPji4Fi6TOxr7c+fSaZ6h73Q17HiFLzpL+TMZWviN7PhT+xo1Xshz0E8OyuQCGaJSs0KeEYjmc4NDfUeKe1/yK+acYC6UCdO8U21kW3nVgzcIqS9o9LAREnYSmrQlYnqUXzroLvzz8fT4zwzE4NVAaiimHyWFdhe23VFPRxl6yYE4klE55at4y34PNVlpthDqu/a9/Bbktz2VyXX+97k0LYJpLjGlEtfzVUJCa/bS025wwH/m6URb1/4EiaaWx8yxCDL/Xiah4Ai58Zyx/g+KfiWjawpt5y4JIkyYuRSpKfzFrvt6+vv1PvxRtY2myi9Wfyzrh0ffDWhxJH1Q4USanBeMwKt/wADvr35m6jM7y6i859HXxVG2Mt5JzpUCEyVSaC5iUZLBlJ1H1sGe8MwwrqKSLzqwiWGyjaWJByVcj0bSqDSi9LHwxVgpwBhDIFXrc8VCBMN31MWvFHQ+8ngNE9JrfbnU5VFtl0ZO8KA24xwUWr8Bt0l9jRKlae5jhoTSDl1fuNlhhEVxUrmu1N7yJKBqz7IPU9+cn709rm5/JnLvBs8sF3dKWgcMHw/q4GvKDLw5beAGTm7gUDuEy7R3UUwY3a4T4r62csemlHfPB8Iv9+emHnh2pBvJSEj+8B5NcuTWbVYnyunf3VxiPDFOt9KrJPbZtv5rNgLNlvsj5W3hQZQUWzxZhuxJ4C3De1gujBJOxF4F58p0BRi63oXAw0/Ov1xtOeq1Gc0kiTuKqj/i5wlNI39gLL3KAxNWr9FHvWwRZo5XcjOGv8KNt8iySEm8vjKCsHc1a46T97VnShT1yM01M8PtSEprKx1zVapWFB3nPLWkLqfo45BxucNEA1usHZO8Iyi4bkrycRW1LrvRZerkTUXIfXqaXcQW2tysrAY0F+1J2goXezDBR9qLXcZ39Og2sRluwTI0QEkh0CMqARPyZ/mjEmfdADFTgyzSnHPklbrydNe9MDUwZIlBr8fzbt+AByE/U081T68xxU0zKWtDQsXtT5alUAkxxk+d4m/iYOJ4m1/+7v0Q3j707g3FJzVPuZOAz66AvxvDIiGpHrjNcsEwYfEqA9qT22qz/4ByNG3c4rqph2ITKSswSAuN09d2TCMExVM+/DGu7A1LF+/aoQX09xIGccD9tl6bvEDS4z2m3/q+0WlV/jKwSXOwjSykK+GyKH6vWJCu0Z8BMl3bijRyheca9Rn4ir3bkXlzR5xnZwOxzjG5UQTRbXT7B3lT4UuYCcWKmDypnbfz8ElaEWKAvxubqOto5NR91QdJP16yLHlNMUSUyIZUcFu+IeLV7ikjWzucAd/O4wZRlwo6rkmGo0H3gj9KMtNeriO/cSMP7BgK7AfNfkyFP+IuUm4SKJ3Ja3AtjHtzt+rtudzwAN6UJfKB4RNoyk1Ulb+E/7cmnfp+Mmi3/duSPvf68lSB6KrDa+3H2JctKwMw2BL5SyY06IzhrEY4oZtvc/cqHuu8eXOsjoqwEtio/ekdqg7GUiLYOfaN/Sda1BYdqW2TediIZYxMacLjHz/nwkj5KuQmarhk3Rg/S7Sh2nudMb2APqd/VigwkkmnRisRUR1uExkAnkyfJVQStQ+iFuhpQ11HPCuQDJNRMOvAG1w4NKas0TDaueUJYbXVJEP/QtfNW2jVjF9wAaeheZBA6MelxURKk85gW6R4p5pJ0eQ8pisCTOd5dreRQb/idfEhqM5tx4oRr0diPYLviP/1apYRVwrhDzm3VNvANbKW3JHzxHIXbnusGKmiVuUWUCohpP+ejbxoMGl0aFzDI8xoq7B02LN9pRKsq+h9Ey95Ft5h2Wuv6f3j19/mwlTN1zfVub6nzIbGpOpcuTEYeyT5nY+CmGzO4YSJyI0BUipjAAm1I/gujQ0sd5mJTfI9n6akKcPBrPyX3NRzM28svTYKXvqh0WpP3kWpphvjROgLkhUhSwMBJGM/jcIFsnqeGRLBqDpMhuj+ogsPxMuvvID58Ew+7GsKhXFiSNkq5l7yTahwI20Ua6R/klYNFu/cSyfQMQ+DX67WW0/vP85dY8ZVnMnb3C+hihuwxZwkjO4u9ofHJVZ11wsPaNlh7N1xo3kfvtrZlPwbSv5HWs567MzaQwkjZSNZpZqAFfu4S3TWFnVTwQZ9EV9wo3d3QFIKa9qNbGR0Iohnw/e2XKvjHBsW8DVX/hdiBGGEyQ20gGQpHXjYHk/1Aot+gSUaXLHGLe6A7t+LWdfHwz+gfi3faqElwXBJfhAodI7q2USpJwey0aFUHXyizZWeEsbPYyghUzx5yUAVM5F3FvOLqXVAX1dL4gwCVlVvVPhz5hhXA1TQS5q2FpdDXPWGaMaYstO+U0af89+wpeJu2Zi6ek2hghGZfDSokk0S4r9YUz/Yv5QbEneRjSS+V5htNUii/0YKKpIOzvxM6zduKlwpmBKm4ijk1/aL+8iMqlUTtbPweBqbKO8CeU2/0Hb+OYBh1dVxy95LjevrAJ6F77vKkzJVIHssxPmV9Q7usP6kkRVJYRtJP9UdnYWCB0mWpBH9J5bu1RjvFlY4FE61ecChkCbagGTwGcERHD28p3M0bqZeZTvlgvNXrBCauXWQQzX2z2yNvXwaohmTaCH2J7PCVrggVw4Z/QLQzK4LPpdmpz4mfIPgoNysQdpK3ptNY4thB5gtu21aUVjvRRmEN0kmMfse5hyU5k99/qEpKmJjUSL2jTlOOZ+0Alb1ADydbqAxAMvMNqw1ROjbS+CIZy2B7vcyiUCIb8OXuorI1SJRjjURJSBRzMdP06saIP8jCjvymTt9wt1HTHW7wry7U+CKe7sZJylLX5qRJxRheNI/iWIoUfvcyBwe9wVfIC3i9mJeLlaCwk2olDGG4OqtdkRoSr8UwQhF2JFjay8niVPKGtiP1QL2uUkajcl4hyoXeO38YM3T+afVFRiZJ0yOulQ4f/ytE1V+8VM6/JR6YuYGrhm6KH3ODc4W2t5Nc1YEdzjT1JKo07T7f5y+vexq1ELbML1TOHwyJQQyaCQ2bZ4ImFF+Rk0xFWsKE0dqTw0HLilbcThRR5/211sWiZsb9qXop5MaS636aBsoMhAESPwQxi5RiSSO7BmokbTGPrFcMakcW3nUg1u01AIlSkeBFUMzbudtVRzjYrw8DSqknsrYzjUUoiNHZQarosSdbCnxmDuxBa9kJSnybmZmAmEMiyoewvHXs9zT5Z/009l+w739aNd0L56l4RT66O2pwM6t0oxgS66UoeN92ez+H/iprW/14WwjcMXYv01Rzmw/Ma+OdlybGll5ier+TUGbIIuWzMJBV8Fo6THussBrjdwPbqWWor9Vb6l1zxcHjT9gS+iEml8H/rq5Luj78sdOCW3ZGbBTxXLzSf7mKotM8dSgt5T6DhASyjvn4PZ6SgawOJp3kzAwXCSi/J1GAKlYR6tn8pvEwqlrBVZ54yARslfDo3GXkel0+sACgnUL/2awQ/BVF/1D3iFZP9ucNabWg0UwHtpNa4sTZfHQ/VzMsU0WNTY+kl6R4en+zoBXg0/OncANzhmRXHxhGyVYTbE3ZvsqpYRTTIsEc4+RQqqoioJCAwEA/zLdrJGBjMB4T0Vp95YmuFXDz56n3mPm2x34QFHrd5vCmaaPZ6VsmBv4lScgUzGuVmOUnPfiKGE/fiQscpHzOY9hPXd3tGn1BMzjEJ1jHDyBr4/GdbL0rpyS4bpbcACOvpLa4DTLDlHIyt9aS2GOrs5VbbpO2Knd+AlvdZyu9At15Fnu91DA2on7EPgTR/K0x9zX74QFW6MssRNGhgVde8fkweHRKqqFpqfGScFEJV0Npy8N+BcxQWxa8w+h3nmrHlbUPXpoUU5KgNxl13vUqfQhiXaFyImXL56Nw3y0Fvub3Rduk3yCic0B/ZWh9ACeetivNZkru43+cKDrf44dTruNL+SZxzwQYtIU1s6Hxbt90Q9LcBe2/ksyp5c76N/aB0/QhNYUcNgk9Kj65LcUEtpBwG5krcuJD8MwLr8oDri4HsQKqiKLk+iFjAaThLDzAWgwgTrt1QPYlfHIbuzSoo0u1SsPPhlp/j5EeEhMtw5LMrtr6hCBgE1LOTLeNvNbyOi9bwfUi4TuTx/OUeUVJOF0oyxviSvE2Ix6nJRJwCvEwcLasv3K2GYlbe5/4dpd//klnBNMBLgR0Dh/rc/cHewipDoDLKYY01ktdM3Z1NLqww48CjTnjEl7uvr2lvVX7RSdRqob1CbtZlz9RMMqFkwqW39O005ZDp7C9T74V8/jgCXjKrm4PtNJy/wDrRzTKmZLLfY4BifP5z8yZ/N7KXhBtvzo3942RZwlydKpTCIxEzdQb/wqzE7C8tjifXKVeBQ/7jBr7giiAQPhSmNRIdg0tj5YhoN6ef6cbhd8JmlW0JMtOUOqqjkJfuPVCtYu4jnFnBxjra3AohKgMpPKRoKz+m6TWwLN1Jz+tbE4EHqwjkn152C6xZC6yYNfUnQu/+iMdVrYnjuorN4InbO8wR90XKEDHbtFWIn2oJent/7y7d7rgN75HLLKATEcf3RO3XosU72MpZwySSSMY3lgESVSzprO4zjySF7T4yHUat899LNFgeIwx2LG+YYkbROytVWKqq0F8c0vgKP6JnpaDPruMhd9jstQ8NfohG40xB49t/QFbFiQ8KxVTMX3mAQbsHTe2+NMPrYldHWDL3reWdvRBFVne0ZcUjceyE+ylKsCF0cm5uRfvWNsTzcssjSSC6c7BKrzFln5JL7rH1UnJYLLRK2ZY+9XTXUk3ZFmglujX+tuDwj8SQxmDOYxvFWpZSSzoJCZ6g0kUZqrTvxPfloDUKGjn0U5fuQw4W4N+P4zlCeRP7unbePQtf+/CjfLCgU3x9bqV7rKO9iabTfw1OxHEFL6JRyPIBoC6yIElWDtvDw929EQTIQhVdwe9R5XJJ94TH5RrOChOdIkU5AB4oUV4vonJW9eOg/P40Hoa+bHz7fUb/s4ZvRfy3AXBQh1Csl94c/M+R/oo7/IhsEc/jOTfUhpAJ/rU+9Y7ih8UZPFMBXsTRBx3ZsZ4FzhzNf/hh3Zc86RW+zqOVhEw2hUWfOCoFrtWNq8KBh8cCn/ApHDgBsiXTtsbUR/lxqw1yajskp9lsPgys8G+RJky+E5i5pFcqVll7clCjJhLBc3xGoeQYOFWz41/F4kqpgueyUSA2YI31X8ZIYIOeidVIxocUIpDs4HR/s5r/dAnVf8ToXh4ibrEkL3tCHfs3R1nWQJBBQIbUufUSu3ySgY5PJVoizRjx+wLEu/NfxCJrWvuG46Y8/1d9M62venCTfq8aJm/K50XFxUmM9oAodzkfW07DtCdB2E57wINA0MO2a4vnrzJVtSUeRo9r+h25Q6Agg5tB90Soxaot6C+3yvkyo8sjocy2/vSfw9eB2ZoKDiSptnl8+wrHFxpfSpE13uHgM0ymNi3D6KJrepcduEoT3km/B0iZEh9ixSK26IJaqzUssHY2QCiHLzTDyhOut+AstFpYG47+8abGgkjGEoZZEWoJa77OVi1NrZT8naT2DIVfTOdlGvAZ+sbrjdKXYAcg2VEXF/RtvIWbrRozZNcUQdefxq3qyU+tD+t0aB7nFz1lyh8f/yrCaCOszZ5TcbY/pfqhDIXzShEgahHcl3dWszDEnXERTLtkMyaA1crA2GpY0s5CaDTjgmzhDTKr7Y8zfCeU0i/4rqNkBJLuk7IUtcS+Rg4gvRJwLVg71ScVqou4oZxw7q5YLhj9cDh9s6UJJj2E3HKKzshdh49b4eK5Q1WzqJmRC/eJzaxn7gu8+orI3QUViTeOjgzT8Xgn1YSFyMl7hDgis0b4oMrofrHKgDJLEZlmcS74fOX4t4qziKYEycjYxMyQVbvPZOFxH6CKVWnDPkjj4SJbXYj0k5uW5kbvTckPhkhidMb4kFLvptv3/6p6GpD9dNAeTAv1kQ1WStrkGSzSqj43urMEaquIdJ3yelo/y++VSaf0kS+AUH8FTOeKn5QyuhsB0pt/Ujet/u3c3uM+d+AJfLK3IyI7eNjWBg1zyDrf2HO/zDj95JFbI0U9idJp7TkKEF8p1kMhHuNv5QowPLRLb1UiwGBnGZW34u3oUSdZ3ZyxpXGQ8H5PAZkS2hGRHgtUg29n9W908qGt4KkvEE9MFAbJVRIgPW6k9RrwwzFtHS921caAO5JkDSJNHWkkCO7J7cpNP5NsgnFcGgrY/tSgzmStqb4e6db76i6MEfmZyjr+IxIoHEhrIQYBdpZgT7N55IxKsY3eiozpMCCEAcFrHcr39P1gH8w0TtNcjHTCs66V6gO/MdvbvjcGiRFtdw+LuOFfXtrdccrKoxeZ1tZSr4s3F7Wcr75jG14nYnoi0iI8u7+9aJBZABOsSxRK/HMu0gkxcIo2ba6k3cgUqoOThr9FNH3vb5/PwXDL0OEhzqLwKkLvcLtPLUY3oujVU78eerQ61EYXChazbWfKLWFxaonRsckIxdYWKbj+WY/0Y2FXLUcEMVQG/ZuOkStLDZuK4LmyISYzk5St1XvynjwECwPB5CzwxH3RdF/kWI4vWWy4dFg5qBZ2G1s3dLl8NeqIfMxUyKyZOJ19wd/NYLDohkp+9YFC14cdffJyf+HTxWr4L0FZFu4EF3TxYuUwlgVZCl3zXYPNDHTeQy+/pCGnJPp9BBK8l/tozibjaJ0svVUSEV2zSffD/JWZXTy9fp9BYtAdzwf0LIpmuzwhjWhWbdaHIdXzfZSQJCHCty7/4e3t2lOHNu2dv8K/WpsSVjOpFGNBEsCQcpGoA/UA+RK2UiYNN/+9TfGmHMJsvY5ETfOjbiNivPu/e6stEFaa36M8YwNGSSYsk11wcGRNZzZZWYftVaEstwvAxnCCYhSKp0yGz7tvj8bzRh8lopI5+dhFzIkSxx+Ae+8iJGdWjT+W6doeK7KbzoPfBhiBOwSXkciFJs0+kBPAF9F1pPWV/gQrwUgjwXzp5GzLqjSG9Ygt/wg9dKZGHRggMQeezxz1zLua0K3ndFJ8pDLkkZe/OfjFLfmIyukxVY1eIhL4XaJoN00DKZQSIyonE2v8FaLN4mCk/R5lvqpaD+D1Cp/Pm86CT4651K3eVE3Fp+FFDcg+qcqeW5naI7uRiSfur0cqK0/4jLk6VWiYJk2tTXFUKxJmTXdeW6qkwbf+XutInUt8jz+8fbX+Mfb2ThxmxQ166Hz8oeiyOOazegV1QWmP4oGCbDzMekJQwaCvytOXjO2gS6lK3TT5lOhttGtg2erJ8lh4IgKPvxDOZG+KwxTWJfUt3uV/mzLRccum4tpxzclBkPQIOvfd+IA86J6v7bvpEZjz+3PE13YL7epMB6g4mNZKK1C9F6IugM11svTbxHF10cZ77zVJbuV5N+ut7wbnvRCt08LjgM27onab6tN+3hXloUIw7k3AzaEEwSZjkf+3EufqAs4P9bNynFPCEtZSdlhaFUyupuqN6lh5KN4/l69Iog3hShK8y6zuiwpF4Id0yFReO+ILZhsyzMLBxw/N8CxGDC3WsGgZDMlswzQKvxkghXAnhmbEaVflruVGbKMqBotb+KBhUPjAEtZCcCGBGuRXTbpMLQJepig2ULbU2Q2vIoY7+/N7AAZcDLj5rNZNMVhHaCZ7GqMUd71beK9Z0nPQ1ap1GOeBom2O014fZataUcoh4IxHhuXIYCy5fQW5GHihBDcmJolMo6NQr2y3ehNo2rcWmeCh+q18T+XXKE/qJIg0CoL8ozCkUQbulI50f4ntfZ4syyJZro3/6yUcKjsWdhesTFX3fN4zrwuPmUcvZDAgRmI++34D8JOvwxJitpZfpnLLNppc411ThqumuIE6jDbfpqX2oIfqjfOPFeASzpVy6u8Lpz01sqPvTTDhSKY9iyqePqkIMNrKtuDUNUAqtMx1Rt2YDpYvWz1NpGfQcuca4dmuqCt1pCAToH6l0pV0ge1nauwwv8l3tCVo7P/ZZDia3yD4wgeTYs5NaPBWu6a8+MBf0l4VuBxdFIFWfozZgge1d+SxvdVJPDffCfPhkF4ZqXMaCaVfkmABgWHQtXxgYCIfs4SE9gQlKhDDppcT08t04ZWgUKDkg1XfGB/qZj9djjUsj94eHiuHh6ev8jxzZ3LrpBtmNoPfygLdy2EMJcQvSlRBJtj8NpxP/dU6u8wyZHRVQC+wQ9RZ8ztUmwYk8zmHdeRmvvjb43A9okvZXMy9qOJAjfxeJUWX6zS6Z3YHoIDV7aFAqpsXyffuE7w9dS0nkBA0hK3J3Cu4w9lSS8VL1ajNBO58/wnDimlFTLfdvzMW5EIT4aOoubYYsAnO7QTNwTAjc2Si6dm8RbtXpzWG0MfwAYGJpFbxmF0Vv0ckPixK7sJMcltOLNbOZgitDNn0BrmT0eUaXN8vIkf+on908RepCqLdAAl+G/Ny1dnYnJGIThaN+ozwWQcS0KrNL01wS4ZKmNCbCrRU75me2Np+Pa058YiGvSsyVNc6cA5n6WxCHBQN1ALSrYMeHqYhUytg17OVpTg0z+v0d2ypIDgfGYxgeJlbkcJL3BW1rKsLPWkKaXufnx8/Ykze9MhIUDGbzaCImxlEzEVxNDKsKTpWUvcBc+1deRBsXaYM3m3DhPoLock4iqEoWDd1FcMHkEfOndi1mS25gL6fUGSPUyySF7vX7esMDDJ5EUbQAzTbXNTQpsM6hk2BA/FX7OHAjmV0CdCjgKvMHNPFt3+F7Yg70yRwV5+2Y2szlhmSO28NODIT8dsLMvujPM3TphJGzqox5KBRG/ssMFWL/BQuatripBvMUjBba8SKOnER7PzWAu0kdCIyADUeDpWwfgSkDNdSEj7D/MSNCX2J0eOkpUrUMqkh4FjGWBGsos7rEyUCKo/sMGwq1cuYyQa/yIIYWiJRyKVzwTrYZK8lbvhh4IVp2SAqPth3GVKwyhQja3n2itV9NaE97NWCHq/ZcaW1ccbdXrY/92Z1LVPTiKymcbz/RhhQFfgIwRC3mhydZxX8DwJYR9iAopc5JNrwxumC1grF44OkA1ibiEhgmhs7nDs7Bw0OsSfJheRqWRdNQRDE7mClg5WQRyZxhdqt+IDrg8FKFthPSbalmUeZVgqqV/7cFrp/YFSu2qDdPG4lFm9gXcMqBvyWaVdiP2or0882s+i7rjfrpm7+KvbSZlC2zNeF30eckdgBzpD9M//FShj2No3vb5UkHOm/LYfiVdhPaS8kut+9wq/DIWnCBZ1oDITsDV/baNyaXPE3Iex6y5ev3Ve8jv53MM463cSDyJor35Gzzff+D/xl6WxlchTv+jSv3+iZmWZR/0Co12ea8NF+25idf+8ctxnhIJQvHPswZhAIhChbpXcwPXUODfq95trSezOZEJj2MDTbSUAYRoG7/EYGMAXcjOOnperg9r3TmsTpbzId4C4V0iAPxUURvrES17bzzi3dHYkwbyxSJewCZ2zuwAHIZUlB2xmx5WZe+prKsAP0kwdtxYRBTadeShNpMhLzX4t+hBGKpEBYS2CWp3N4lkXV47HPa97i5LjD12L5bfMImHAcbCLMHiFgby32xPEZegT5VZCfMCVAGGzGXOOhv2jSaMQc8U0jQsVYUd4fVoaePvdUJzMnFVka7BDyFykGwywpil0wdQm2SoPNK7FSx1AwF3e0JTMc5/elakQOdALMArAOk+P2m0J5FI7d/8gtSrYfTf3WHsp6C+HxCrTHQ2Six/zWRuM3sY4ysdX63My2x/++L9TzefUzBaIFGiRZIid7FeAtRSzEsa0KAoG699sr1P4CrhMACnIIX1YuUS49QSABZnrkLaYK8VPCojePVIdQgz3trZuisjhocdEF66qUSACLCYSE9eG/oHlzzKP82Uef6RBba10HWUvmP/WLY9L1i7D+ENE9MFBRcZwCDFJTvc9AlonR8kWhrLsuHe3VOXcKkXhNGlSV89Z4XKoICuWMJuV/dOomnzxMI0GP5QbH/hbI/yRba6jA2V+pwHeDH+PTfmXXAdbvG/qRieSVptKcfYukDZJSCeX7W6Curdaw3Q625ZW6yUbXw2KltP8NEtMqcbxiwf5mT45gyQUtpl4SA0cPLg7elSG8DL3pvQrindmmlz6yV3w6I7y3ViooUc2T2sn3SlKqn8qMleIkhIWROr1dw7x607ZfHCmAFakxAZJ7kNixMQuKPUqT0NPYSTaIL1g/SJOKy/+QIFBdzObPOwmzYzjld0GM7Hrd5noBqbsgVjBcUPCu8ez6h8lqaXXToZgA5OkJkK1+sz9lqbgNgQCypI9Pq2cy9tC+EP9fuqx5EqfUz8sOmPsId82Y3B9bkql8VDDtcazX78VZwI9LE9YKIbJ5ZT16fmx2ipUm/3HXVjlJPt38ikPn1jQvc7ivaiMLBXnRpmlsyJPvzi5Saj64Ss1E+MORCryGy/yvmDVJw1haKdVAtdcZTCoAFW0FMGeDQilhpmnt9U2bh6h5TBtYoQyudzHWFGhGFkPVRQqePA4bLvUSZY2RkXL3yqUZdDuvWONURtbCnEfZ2Jhllk+oEO5E+1X3UiGELPE7gPeg7HEdN30zkZiqexEXLjbxCCDeRdgGNLXXepATxBZiKycy6aT1aO/taIrzScVybILELylUQGWRp9fBsV+SU8p/t3d+B2MIK5yV9lIQSD4obAdG5s6cNWk+TKLxewUB6kMxoE400JLngC9S6vTQkyrhotSn5gANtkc6tcEddVIghtGmidZM5kutw7TNlOzRR2NvDilIKmkNJKiPZVwgxrIlOhxkD4s2oOq21J8xZ+DHAY1I8wePsVPEe94ENIfoYi9XZtnwdA29UeQx8WierLt14XAFdFjeWRaWNLagCUVXFyRUzW9N4Io9Ej6eqU3ksB+2YyVqAjqu5kuczhNKTqAOF73bzbJo0agq218hXLCgqhFAE5NvYGp9C/imbAKWMgE/dh+8PTkOpGsmzAJkn52/NcBFOzey+A7VznwdKmP0Qt30jdIVyXwGcbRe393vj7/81IRxLSbDTpIVZ5iOgHB3qQBfKb/tGojOLH8PxPaUz+rI6IAx7rcmSX7xhg2Z5liTOuFk+7WQzO+b9qgOXy7kuNnurMrW5qRD5p87PMvWMDlKM8nmIH+sTN5eziO3s5jbg5J0Gt0EjeG8z6oaRSUSFLIlyddbv3lAE26fUoAOrEdhvEPDesDtnLeZtEHP7adSU5/phkSoZvCSKOdgDLBUYUytHM+MOhFYzeQGiNjmHdJk1+3adw6SiJO56DuIDB6J+8mnFx/mYePQfnCmSRW8GBAw9ZQtm4YDkm1NBNgk+xGjBnvq2i5+TgJcWAZ0SR35F+/H0j9UKj8kCDRncmCr2h8GQ2jQ5mV2zu6Nr6sEPrHDcRJOowaAkyDSYfHFKSqI+J3qp/QTrrtFqN1QYkeIsGWvBcs86lxBycSJiuNeVcwVfILD35txoPRuzAz8ZxMmqpaW7ao88OhmnDwW5AFycOHXPZarLGQa0C6LZNeUCehpRVZWEvRxbt/1wGIgp6I6hh1F/RfpThic+sQ8sAyRVhhdNf/R7Dw38rMUstrCi25r6tYRqoL1hcAMZW/TSRw8NCJHb8NabAV8/Dl7dfZP0hweddEQC2/vXrzagQ24jdVnYtxVTGOEUsWDt6LJnoXErWZLY/fLB1HwqQviEmxhCJ+TYVlSJtVOwR1gjTobRUoaAgeGBKUbR4iwlZEFnPBv3ZvcplhC+VwUbTe8uVS+rCjN576dIkq+eq4xfWfTpn5O1X0MzLR7cySewMB/eoqwRNd7r2qXcJn3sTsmLgesGoikkUgn/kUckvhSWog5k9p+FuSnJCaS5/XWiRbU1D/MQHorM3ym2O2dtY41ERmNDOAvC+cdH/bhfn1SZDJAWEJJsAELxM9kdGeiW73kZKQQbZ8PjwgbUDveBt/0OuQcOyDCW9m5FoBW/QrJYUJDuHb+ahgly3KqNREhePdEi7s1WQm0+3CRDjZxjCCS9ySZ+xEeRcmVtSfe2cNxDBQMcBGyqyFiabPU6vnzRJ3qOx3VGezumcCMaRgasyoSN/82xYd7l3s7x2xtH9wHDFxiq9O4vhNAdWcu3ycQIPlx5ta4mpzB+s1lVJLegU02t+lQtUYbXkRjbRcvHZ71Z/xcYt22r+bRaOa3lGgLKWACLUQ/0x4s/7MpncBntLnWeki8VGufH92+KtA44jZVAFt7d0gmsPJMqC0owVyYtpmRmMlClh1KYv8TORvE4dkVUVtS74YtNOlSiX9dICD7XCXR/J/+YfD7P06wCZEU5ohKNfWyP3C5uZ0c+n4WFr5jbbJvg0/WqEA5CNpdtlUteGZzqgRi8ZZzVpTRg3pVKDMBOmZMF3kfN1CvfGgIi6XI93n64LxqtO06M+SS3+6ufjga6r80OpN8UgqTYsSJmNbBHAHf/Pi73YruSZrjrswhTui7FhResihN5WvNXZ+X0vDnAb1SrzyMA3C86UZgXVbiaoS80sBXdFTIlKYWLVZipcW3D1kjVut9rENeB0iTtPgkXmH11S1SxifMN0lcoAyLPy5FOIJ4HGF22ZEyfDLi5rJrii2QNrEQvDNhVUaS7FkMZ6FtAr0N4/Y3CryzpSnlpdeIUyABgpBExuNxLDFU507lZIxUe/Af8MPz/djRgCXXq9Jnd5VaY0sma3X1hsYIDPbNs0LvlSkDflKkCdl0KBpoGpinRsH6kLO7duQEeqwY2duhwMJWU3UaCtVOlvsC7JH/2TGjIJw26ZMjJ72O8LMEN8iK/PB6DhSM9JvlO4sb1gt054ffXbWqpbR+qU1L6XgNO+UqbarJehKywqRLm3iU5FHz6tu7L8acusgC2tQCTRl+f2hGZGp7R6tziAVdgm/we3r9XpQ4Rddwu3PMCEMHJXYoFzjy+0u8v6XVgboyX+Z8RdZfHqQRgOLQ+yR5xYJZj+JF8067u+/XvgdLem1zOJdSZe2iBPsVVAaq7Q2mMIqcdXS5hQkQlIGzmzoIG0kghQ0nK0yVrjccdIFGe+FSHhwisc3PJZM9OgwvXJmLqMc8yVmRuzom7UOhgEoSnB0za0P6A0fikwkuigsT6xXmCKtqQgiFht5YSqUtRqKjOgzJSRflNgosvljmwk5Uxhud33jVuQnxTo+VC6x9il6ZYiyk3jG3LEdvTnZaqPnjfbIJcHG5y7NbYhb32wMuYo+KP8mKARlg5UAdZXD9E2ZqK6ui26G/nDQflfgaby8nb9TJP/yfq4yrtCv6++v0vDi2vFSoVTzEdexgLYUPn1yfax+JSwhq0UsWQT+BUq7zzLovQmOyyt/xvVafYzI8AMXy5DubJWcuNJYCmEiqqTJbmrQlDY4D/6bHw18Q4GHw11ke3fx14Myc/V1Z4ykbxgAQ1D6Fa1NUYzi2wC+N9Q9/2x4lriy4yC8RXci8wPLSFA4H0RE3aSaWwnpLcbz6JZDA0uSAW4simbaB7oa8gMmpYKdoi+zVYDa4UttihfoFU6K+EQMJI9WJkHt1QDtP8d++DLDM2SF36b7aQsK9D9N+uWO85vxsP9pZoQ4pfeFMlsrAxfXokJtunRw4xvGISnwGsjlIQrUly0R+HXCz2Xu9QryLqASXTtRLRuxwwBi5mJ3pwyKvhaZKdpYyYNLVddq7bvYSkAOq4Lt8wXzXMaryuIf3Rxz0MRbT5i5GVDsIrhQ2owW6ZOlYxUTZfpf15BfPs08f6Yz2Og2dMTpBMgyttOdxKtl2bzIwmqJbzKf/XrD11/JFck3T4IumoKQ9F/c4mxvuRJRAyW/3shgU8u6JKjq1sK1YphWC7hGtiWXQq6QLrMP6Lt7EjUzv49hu0z8986MJXtZSeyrgHP/8LXAnY/RE1LRZS1Z5uFpjQmj6Gf4mZ+EcEoQi3kofA3SnmyjDVquRPIYPLQGl8E0gZgnqDAFTd/X21oU7+7j46WT+4CWSeBTOPeMFbWLni7R3mAr8O0KwHqUWJqvwjXWZsyBJ7105PpJD2zv8AywUZzi6NZIzauK8G50fwGQYo0smmosOHCO7xmJdKhNQ8lENDyTMRZy4juRxzwcjPadJRccWCT9NDhDTiHvckMk0EpcOJOs3K+cUP7StenOWkXhVtxAsnWjh7onudJzJ/yNn3ruFKZahQLgbgc4hSXp9rRxjC2wlBy6ClwzK9awaHIcGiz3lMSP3r7/pfQzu3ploH0U9K3JfxBT2ufLaiJ2gbTi7/TqxQE/VmGItN5sg8bQVn2yqZ/Tjf+TxxDGfxLBQHQjfh7lrrYfFZXf2GclHlbvwC2a8KRWLv64DFzXPR7h2HsXngGYgbwEwfTCr4/EU5My566a3vFVgsR0HLzMeu/Y853uIo8KuSDvt72wd6zoIPCM9r9+p1Fr7EOqNKV6WUObvMpe43sVZUtYyfNm2f2pHb5IMKs5Hu+u2/H/9v+mj1X32krPCTQOVZK00sfOPAlNwmUER9RBk82rKYU25bA6IpLrOfXUADCp1XpGEzNH0n7cpX9jPCj+yW3Zpmy4MFsLMFRZ8iJs0mU87gkKrMuvzrybEsVg2gSyGbi3dlePPzvTJHqa2ypVpLCL2QolcBSuSP75UuIsxTU5R1SISXIRfrTG6kkWie4F+C3Ajr926grzCWbv4KaWhdwNAftnCpHRtIA58yW+yG7xDgwjJyOlOf3X27pRsE1578m8gDZ0fMU5v3J6mxVL9wAQXK7L24cJJYgqwBKK8IU2xfuT4cn+vvChrLHPnM3DbSvdxBBoXQlzOtEebGYjk5och90NNy2cbilnhJygVm0BSU5bvBkqM1XT+X0zTqiAgT50xkAwGSToknCRCK6OohJYlKOwTckXiXVI5aX3/RGJ0tqc5PG5M7jXZQEowdXpCtjcwS86FcZiHKsNvsKXbBCdhN7FjQKQ2S7gJ5v7UPP4VgTRRWn8fCLNvpjAhNBeGFXmpNmJnh4zOBEHwCSUkYXxJVJDs7+D5mDRRSSGSvmcxefit/iBw8GUQzg/PKngoLdhMFgcpA5QiAxsE6sHkq/OhhYLG13CETaBPVxojQIfS80r6yooiFhK1UW1GqY1s3EMmE9WeP8OgD4/HvZw4RDNsqaIcYjkwgPZ0TUzviU8XaclUysGfLzYiy5WLqK6XmAzjMePl924q3gEMwgBx8LMSO2iy8ddx4rvux+6QqSLZq/x5Kp548PslfLwUJz+NnocqRLwg9f3eLCWLmPkR/PYaP7xHZZ6bBh9kG/pGec/Fnn4tsjq3yIffPr+n5ev7/+BNEMmM+PA+EhVxSZN5ZBmNK5JKQUtg56lKR7RR5kVDb+gkuRAsBkhc68N/EjOKeG1+pE6Ifn3iN0dKCFuWiDXMinleIOvtzFw4Df4OOPMV7fZz+w7I9Rmnh+RdqH7RbWwKc3hJPkcgNThwcEfsMbD+JeeN3taFaEOkIlRbdAhPqjXKML8PtwsEgOH7bJIi7wKYJ0vpBdrQedpgJi0HhwSR7t1E9krSjpqEzAERSW59QhDOpvE8Qe58xK/r9ZrBq9CDOjLXBzpblLfDdb/YTXwkpNF2xWj+/NxIDhQrx6Vw/iMWaCMgYqmtlbte1XHFaW0o+ff563QQuN8boee9HFtetfW3KIbS8SS/2O66aQRdl1nPP8ua7Wbo+rf/yg8bSkDk0jko/iX/EOOguqsF1lVLSmBBvM2x83jKgAewqeuyUMV8fP/+xlsCqsYPZY/2mRirFfwlg/rrR6TLbbXOC94tIDL7N+EhoA0CIKWWabqiBFkEFR67dYAyol0o6ZHjTZMiLPUenma7gq8pTcWCh7Wsa8K/fY1ydrFsQHrYq0uErfTQli5qLaKusguxqlQ+Ekdh1OLWsxwIwnC21+s0te/VVd6LcDwTmoqUtN9Ydyvkwybi8JlHWRISViNY6QWtN4GDv1hoJSfyp1OTbJwIZLyf8S8JRjLi4nFKJhly3dg0ZzFFIlwNP3/DiuqsRrRL1broWluqdOwD2pCKcXnA/4OP80x9VNrxSoM0YITURvanRcqiH7O4qU6UFsKIeiG8izDf8zzAfFF7XRsmoFOEqFWincmZEiaYwD1Zou/O4ug/4tTPxxlDL1fZTXlHZAnQZh25Ch6LU4qW0XC5rFm+MyDxvV2YyA35oAvwn7yM058Odhndd94XeO60HewM8/8zyINuQyiGX0BzT6RZ9nBYjBbOEsQdORfoSOsS0t7m3Fgq4+QbCalIPIum7esam1P0MoceojVBRwjCEGDJS1FYxtRNSQ0rUyaAt/db4yTFaDFbArFtVFJkjYgsKi0h9Ks+r2T8EoxOkSQZ6QvuexEnh+6uKqVI8NYa4iDg5/W5FONzHjCoJwVvcuuHNbBqhvOgGoW4dVGaqs/CuVFUx9NmEVntDmbhzM06g5Iqks96zZcWaiw3+9rvEnAmYJNJUCauOoY3vT0EPBgFEM9LGIIbBzaJgkLyC3DTOXpPsgMatqkH7IKMFYd0xbmVviC6ATEXj0ZIFq96t5ggOgrZXWw/LcoAkTzJZIxkBhqsF1iORv5aZg4EWsjghhkkcwZNtw0e+P8/pDFWfZHgjxme/7VDPoOIo8CGMFSwc0o8N0yI9wN/zrfkfyBbh93qLnesYzQQS6iKrSxZuAXjGnpWZU9aUZH1CsCiIJUwHWTrBCj2+j5eGYes7v46+ROjjXxY6sh55a1AuPhVVtjDVvrMsvvf+BonZvZFDQcS8aWeAdNxA5wHvFmqNtsLIlynWyx2nWNP5E8KXnccwqRbVflcD81UOssTLFjkdwpInPr8jK39mAuXp7mlu3Ll5/ZvCsrAnaWgLcHPWEjILL+VYKX6DU7dxI/nsPwWpVNLWHBI6/XNRTNN8HFitrDamdyeD7XwxjHW+8Nk2mjWsVMeN+Z5ISLSiqbUeGM4oTvZhpR/R5ntMxVuicuryWEeLPEj5SB3Tu0Qm3413XAz/bk1FZoKDoYhGze7v1hcLYWP3RJGVykx1HZ+JCb7x83pdL+blfXrr8g1UubQu7sy6YgPbEbm3e7IARcxlnMANEhJ6Z2cLgvwJ3XBwQcHGVh+lg16jJEpWrXtr5juG5rwhgg3/s8Fg5picGt8Fi6pMxhUfP6Q/GBWpbgMQ+PvLgkMVGCffevhko6GoQ/WPKXeb9aOv4RjxlAv/JYlMNUAgxRZ2RKJTGuoq+n3TAylG4BxuJFGUCAeFj/MCpalNKcYYxuv6AqcQBWcaEtkiNxPKTS2Kzl7Ip5WTxsCAitb2HT46DqwrwRxshJNcjLVZZ+3vBuYq1LE0aMrs3UZw6HSAJrpQCxgVQ/zIvs0uA/fALbrbCFYd9eaHk0m07NdwwqrPA/Lc7JeHlPGg20pJd1eotvu0V+MShK5Aqx6CSdwoNUueeqviGqFk1ogN2RLbCT+UMP78amRZRxyJQh2cZk1zc0yb/DbIc346z9zPMTfcWrLWZBUH1v+wd9TGPVNQb+8VUj7jRKONHXVr7UoiolbFNZ8okGDIf4WFZB+tGZ1GV9EzcjHVRqqKIvCUUgGXUj841izKr43hH1Xr09Fi5wzMu0ZcxkCi7EaWMxcpTdqYB/4DUTVJMkizmVeD9eIGZJEcwAnkbgG773fssne5AaU4ZKzXScgKa+tQnW0LFKk7wMIuy9DtI5JdgTAP+DQaV8k0TaGYV3HKTN0sQ4j/z9Qfwb6N+b2igN+7M4jeadSeA/LFsef3ARIeU4t1RCyFqBVjBXS1xAVOwogYZqmqKpkvTavdkToZhVsZ4H7RdkbaUA4bC8WmYXiy72qd0POhngmAFLw3Ck3G/Fuo3974/qyk9BERUjHqYgIo4I7zC0PJ+VIDzyIxcJK2unFj3ukqKbqazxQIMtbgsv91E4bhDeZOHV8K+ncZJ6cITvOuNBXRKAvWhjR7iwtd9Vz+x/QTpM3ugSYsHMfddawlBusC4L4lNn1cCdv9HdQcY8mfjemInC9V+EXWw9183IEPh8gxhQCQptIhqiOnp2ivr1Wh5V+X24aTIBhnW0RGWZhnNmLEzFL+NBvOUFTDbuS7Kx5cUZpCZg9DaDjgZvN867mIf9EHaTKyeNQvtJ41GajNTW4NVJJm5GBUwL+SwFzbeRTShyyILel/wuXOTGLvwsm/Vt1k0FdDvjvEp6CJuoww8hPg0193eJ8Af5g+WpDKrKWKw/iuxGw/yQNUeww+tVejNJ1qtwRVmGdg81yk7+eGa5KXdaMcO7E7ZmOYmP+ZAoiq/WJa5oIJkm8lRcOrUCArf8KSwhV5ndXZmHKqiH/eOXhllJFoPsMdfciQ1je9Hc7l9RmCyNzTS372QeOC4Zs8axDpdFdjpLxLN4qIA70BgIaTuZ8vqal2IbZL7Jf4P9uWLYcD0trDhepltDubL5C71kxmkzxIxAA3cmsxF1OhiV//eoNtmmRzPCASzihXVNGNwjm4fpeY1pAjMuctAxBKYgXM0yA+VVh3Iv6aE0xnbV6w/if6hUeM1cUTJNauTpYQglCkCwqRyjnWI6ICTqK2Un9oS2Ds4lqzaN7Z4aGr1OOg/o0tYc78ELilpJk6iRZ/K1hPI+EE8jFE97ntWktDAVlU+eiE0XhmExAWmzCU1fdakKIShzzC9jlBlU2Moqw4J5A7HxlxhBRbtAO66Zekb6hAytPZPeX95+CSET8oSSGTYmMFnT0DvZJp3NVXVsSwqNh4uc0NeiwqLUoRIqs2oYPMhgI1Y34d71rHQzsDrD62b3jL8OcXRU3Brt09SpyDaX5BxQDbqh2GWnVj1ngUqMDzbdqKYTaiMTidyWUxXUGzki0iOaMYkmc1rKtrrX4NOgVt9z01mKssW2mKEz2gk3JK4WN0+y4aNMpVwyOub9qtuXR2DsH75xu19yxRb0xjIjeD66lclbQfQCdBk86HVsVn+pXMcIg9BRpI+szlI/Duebcg44bVf0OkREGzBg8C8cC97qhRGnqDfJ1HrxR5FHO70/cO7QNWTGRBwHivV/8jZ6GxmvLVPLJpvdi+BQXXGotxfQNr1t1M6PgBRIpMsHwV+C3q1viifeQviysqSU/U5uhf3Ui0biVsCixnDUoTArYJ+Ttk4cbkLYeIu/cQ+1+gOpVv+bLuvBalxJpyM75HcZ1sFinaSpP9+QroWxABr/KWtfuoU+ViQTDEYq4g98tKBfbd1ZSiV/Ced1usB0D9sn0YeZwJ4/ZBSTDTHrWhEM6hUPdtYbBZxienSHU3TIyRBXe08kUWPfpGRNJSmSosAC6LBJF6R5vz9lEZ/BLjVMLTQ8C00WNUgiz7aBnzPSAsCBUc9hA8WUy2vnuY5lzegWfz2KgQZKXG35UYELSWoU+N0/V9YefajbJUZQ0AEvs1JsxyXTeQnf/IO6j0GDbxfysiNTqt6wPpsE7lkDBu/D563LTIxFWEQ0vevKBCLdZEcXYzQvrytl/+MHlTyTlXPZmjcFpixbI9BLURAAiHY6QL/4Pj3phGfPHvAs23SLP+mi20J48CKFh1VXWWpjsBmlNo4+1cH7L2OWsA3d+jXT7esg09ylWRKFKCJeEq9+6gySOzAa8FgiYvAvP1AIva8cNM0eQwJ9mC9ZEo8HI1kArBtyfExf7XOJaPwH3c5LVkC3cyRJE52rxFJz+lY7upP6AcNw8ZKmkoS5A+wWpolccp0U5Pvy9P2vF02Tlf0bhI5c9mBQxbGHtp4HbPSnW4BkmGGVmkxxLBHTt1YgQtizhq9Pm57sFFpWphwBKFMP9R2jkXWxv6OBRuQ5nIhA3kcLLeqoWw181ERCXrIGQjx/+p1FxqNaIZ9K2045HgoWArjDlkFP1lNzo+uaAsTTjX4ig1hHCWQT1CQK8HteZcBzc2eSbgrBw8RhvFlwevkp+mop9caikSGCrHVWumw9ARE1s1bcDSaemupmaS3HAcbwd6nfgE2sMJqEiwWea36G801adFZdSSpb3pxo3+EdEyLBjiourp/90J+qrNIqM1sOr3FQGIHcRbSt2JjiWy5kwHOQI3xN0XlPX1VoNh0lPbxkVNO32IcdJqf8w0njb0wPxlBuvk533EvfXjnihOnrbBpUECjOENau1hLG4YktGtLw3plggiXOKLP8eQ3sPZcfMNYlw5gocpvEaPIkSObGPOi5qQ6vTfnxS3v+Fge/CvRle3b+gBlWtf4mGFnp2P3xIaGlHvvhU8ddDizJI3AqxYgn7lCaCIfximKM1rbsYExs2JaKExMDWQ6PHEXDI2xMQmq60XEhbK3Cp0qYOw+nPlOB+5KruT13iquJHNsRwbHVWQ6OQSowS3Omy/wfuSa4H+v4p8gw1CMvKZFFVp5KLa5OdCy2akTWpnUUsic3EbLrLR5kkyqPmXFXja3u6tHXMLlQZL4Yzi0hCxp7F9iPy4e0tfWxZ0yv8rW/bR6l3idnQqDPAJtgNVGrzOltcxxI2UkdNOFuAM0YNgYvqh3nGUTY4xkZJP+qfpoHbdkUWW4aTZy6PavzkquM94c6ysxxrtxJ+WTOQvFk4JiMzvRNiXzGGU9yA6jDRp7MghDz/R2BJO7j28Rd/X6Bo8BlXjyvXRoisOVkpjkdZD0hCJd5+GZ0mX2VJyCJ6QPf4u6kP5mNWC9jHmE0+nkh8eiUbR9uKpr86el3rkEEEAOXN9CxO6fN0ZOf6Y6WhAtz8beKUEpmrC+00savuKU6hBNu747dz8i0hp9g/2ORpfvONE85AEJumH70vTkCodl9EEQPtaO5sYEq6OQM2+vZFMtz3cc+7ml60Fdb1IszFHp3UgJIGXBj6q/+sLsmON0JUiaSYJL1cOHuVJLh9fZS9Xu9ainkTQxWKMN/8VWT4dal1XtbCoG3Vid4z6ivUFtx8X13+OPsXsJ5TGJb41pUhWvDGftGKfW+6sZfhqT8htpOhGzOHaCZyh5jncbVJNIWHpeaOMn4DIAg2zk6kmtXsniVN+Xbt2v48DAYQMV81hMKJ8ktiocb/4Xjnyl9jdsYlCB+XGZD+SjC6+YYfp1PuIXeWyrxax7tkNwiQQSLrPpU7pqx5CpVBWVTmkQjkQkO05t+YZpdzDg5shdK39KhjncRDmj2tSsF3Rv03m/OKLnYK8rMuCmaNOLjglBNdWe1bkSUB7TKbPWZ/Hx+vEXce72Mrgw+i/KU7gK4/0h91TQPTp7x28BliNc8MaPupWYAfBYZ/GzGx+px3tj+B1lQLXNWUwoXMYRKr7rNwcdBQY/Tl1Az6+1qo5UUJqr83njlR29HHgOMGqIVQVlFJG7Q0qmwq4XZecvGTf0zeD6Tbr/S6PHI5arIMASXzEHnmreXI6oG2pxQnXsFc5NWUs24DwImoJw/2p2/RUcq3Ym2ZYomBVVEUqeGEGFSj0MZn18Woay7IECCToF7+MlGk4BSldVP01AVUVhd4VO4TIbe9vvsggG8vOXoguW8DkLJ6aVFsRu+8VYc55fvY95VWdqOlwl0WN0E0POnnblx+ffmVv08tUM/1nPgFmDLp8z7Lkfm+Vt11b23aC8K1evO0kQY6h/oTBeywSjrVYZjne7W3ZvYcjk8T+9w4f5OszV1PlNs0z1iFmnIFvwkQRNUUTkMF/xY5ozGqXbr4Y+/KdpfGRrLpNk14F/h0KhXuSjPKRPBxmy99W21d4aC4Zvmsc2Has1AA20kpw6M8qGG4lj+G64FvC8gAX/iHLgyJxtPFmROJeiEg+mH2VSggy8NlyE6LTJD+/Yufe5NVhlJRV0unmUtGx15U+ZOBDZqo3lBcPuETGLjz/LPbC2jMYQrgPDHv/Bx/OoJAtJRuSZSTTuvkHjI5RGazXqIgdYntR5Fk76/ZpE8JO4uO7sfztFd/Z5jeqY598PqLNDmDbDfvqj8qabhBDfxk6n1SzgjRvvYQH/OUzIOEAoN/xAp2P1KUgKg1wyv5214PUv0NfoUyBZXTWqvt7dcIjStX1RGdF4wOc6dOyMOqzvnYoIu7FPhYHy5+xQXqKeGWHc3+48Ip0jxwe1rh/3Yq+EGPNgrw6ZdKI365zQtfMko2dI5i3lcPOGCc5ZcQPlRf1fgnnCc8lwvmoUppgQarjniZab2aFBEQx2A/MwGkqWmo0DUxAcJX8OsUTU5pxUE21iE4hhe5v2dStwNdRSTcYFFtwlScBnB74q6+M6Bc4sesnwv1Wb4s2DvG/QagpEz4+8z+DrZzVRfeJQUHmiFaWuTmybhU+ylQWxV4R8u1VFtCXryBeZGogTeLt809VWjUB4+ButYUipru3B6XyvVcvoryV/caOLMRUne2KQE9Q2hwPu5aVNLS+qiEEtCWCytQXNcjTquQ6BtxexvXThCCiOKBvBKxO4RpDiZzCAprtmSZmkkdwIW+6oK/FJlDT9QOrNveGiFO5vdFSMZyW7ChW+S2TTT2TuIuIUSXkEQ7mjMLgQGlwrAMu/2kSwjAYwxis+5mErl9F23UQGwCALFIKV7+sDzSsFN4oIYcKOLlQjETLAISh6BiVdjVGssmmBazEwMHQwqa3jBWb849XUlAt3SVqNaLb6/sGsrMyF4f9qhYysc39UgkZEEYC5aXq4QulrUAaBOcYoo6M7Yr6K5+ioXscW9WPfpdx5/YJcXZhvhIAF6J+34pEF8wVBdkII+liEO3kaSCDjXO3/uWRDPWauE9Ovi3wWULSDoPLdk5kngqA+eiPhykk0vl3CtHHqD26Zsp1lLhmrKpb48eAiHtcxD96KvHqHHKlpi4qrpqwf72mw2NWdmsBFpVpxU4dS6+J3sGv7oTDK3anFNj8XRf1wd487jxDm1/wHdexHUhi+eHpW7KPvKZXbhYFLmYJKl/gUZvPihvTpXZyg0FCXhJ8Uc3GN93a7nb6unrUwJbvmRip5Gb1MlK+dg0ontk/LX75HuPrY1/S+I6v+Dwv1PDlzuXIyMpt5D8rrkr8xzoV+tcOtTFgdI7o3xqacLhQI8fxEa3vQ2+jd/dVZ5/7cgpe34RcPxcK+X2zvle33ALqeV0qyx9j//3cI95a5HjF6RpYPEoj2v0r4Ksw94fhPHxRBeGpuJo3cRxs1lIwwNm4uTTCDQFEQs7hkxg+nm10C8Lkh/+ylbbbHSe5G7Algl40SN3Od9u7mH/Bs/h0AO0ckuWtQuf4vnzJWEn4yesDNefxBKdkplwDDYliYhS8GC98rqtcHMNPkz5QpnzCLxejPeB7HVm2HNLjbLphB3PlW56APHw/7uFUrY1yZ6NCzhqwAzhGS15+iSxBabboBEwKnm/Xp4CDLNwK05Y0PmWrvNUcoArR0XDepEOkYWWlJQZjGeoS+DVlGxk9fT4PXg1pVqYnmBC1jlgg5h1Kcyl4WbGHnPj7ZTZDXODQptnbsspOj0KusUf8dBQm5VfZpHIXS8ywxjwVARAJU46QFTBYb/JkOIbIbFDncae2BmgeXxAPs+ftF0Cd/gE+h7UqMDCe0V4JplxhDW6PM1D++ZJxEXYSYc74knLqoHaf5/3VL4SJzSFgK1yHtHQCNtdiba8QUpB+9a/rUUJIsDEIF3Er7bxqLtOueHf55+Wd8VPvlL4P9TNIYC+Zk0IMeGG3Cn3jSXmBFvu5P+OMAJhaLxnzT/gijkJm1RZPpcUfQlVsx4ZJr0q6BiVxirb69mua1HOiSgopR8mXl/d0KrtvRYEcH9iai9oPUahX6cPGi0HWz+L5ksG5ABc11mcbbMUqn1MYKCIERUpCV3ciBA+tWg4348zjhI02piywNYtntQIAfYa1zkMcSWlEgXKgXw8C/yVFrBHMsy8VKVFRrzOfPHR348T1RoRrFAi+FMnNRqsbQJ48Vie3ULsgvrJQWG6bEzbXMiPSrrA4bo5NdfW41A9K/rBvhmttr1O9/Emec/c0Q+B35Y1PfanGnugUV7vK0ZCeugR6AUcxYliyJyOxjxDMx+YmI86hjozA1zZMmWG7ypoH4wh9U92qIFxofFrXI0hR1/riLkZzR3Co2v9zF2jKVAhh1t5fhW3KhsAtTVXPU7XcDrJTguiX7GhkeD3djapP1J06gJGEuoalHPUY6ZHZQULhLqVjFFFLR+TpVYOs4fT4NGQa4caKR49NFNTrakch+A6dTaGLqhSF7GGAPYTK8zVayf1Yjtv61kn3lDeS04aHC3UBgdJLRBYG7Ii/3qPPwe/Oicv1WbznjjmQRMven+8feyvDQpTC3vXXXLnHARzKnSViW4wS3BVeEvc5AJQenYCW27nOipeT0/6vk1yepzJ2W19TZ6ozhuFJjeRkhnZtYngyR54CFcQM58hu2AL5mtoPWtA52P0QV+JQQSy5HLDhEFN8L00LjomYpB9VxYnR//efrAQvzFj+erLnRurKZ0EBDaGh3O2Q40Oqhnkm56poO1G/1cqodZTWaI/qJkQtNFRp4vuVDc0XjpHOckYC98xkiaWHfLqnBK89kYqz5+jDfrgEkNpBXhatu3dd3hviR1PLpNeCls3BQvQn3HkgsSbvxg7qT5R4xYP5+dVZtm3IrxKW2M9woRpxuczBxxrw4tvbISFWMNMoXYyZMxefqd90WAVmQXExNT7uiYn1Aj4lsg8qmYzEcqTMa3bBmkMhKY2NgMFabYso2uCkKj0Ox3tJ+7LBReMqZvpj4ZCwoRFGtdUwjxKw7SL4RgL3TuAMnO74UaQHUGRuavEfSLNdgwFO+G/XjP5A8OPvbaKPlHytbkv/31ezz7JX9IWnKfRC7NDPFZaOxFeII8JrpZIux9dFOMwBXLRO74/k/Whfh7LkuOFZBSkgKX6Zs1ZijdCA11nlsVQ2FZwX0GOw8l6Mpxti16s2D7+D01ncAjxrVg10yOkw76bJ3Ao+l+IKD2JGp7fjF+20+Crg3xBS450WQXw90OkXmnpXCApSCP/ThDgYFiVclDBPK3lAuTR4BrS0ftL/5dvsfEsTdQTkuVLYtmCemziiwOcQ5p4isreCmuC7MPWuT980wtpzuxtOAABMIwdxhgeVyg1lpmbsMLY8zkHA47KvxFJuXh9qMmmyiB+RzEpEjiaEayZHo3glNr2eadYSxq/iTQ2LQ/4s88v+8EToUbctXA+eR+dRKvKvDAvi+NOHXpGLuQLKiv5S2CnXbM23ZKpxAmlOZSlV0jq/eAWricxDQyjEyHS229ljBBeEXXt27z2/0QMxkDDi0rxv+mlj+b/zKwNu/uECiJczhz51Fz8jWhYwThdveuWuH0iScAXNGjYJWfX1cKMfGPWsMjRqX3DhEUP8t/crvHKyLximeUB8fE5LZKI54KrhWHXJldBJiuIH9UXvKqv+TRe+dxucwel4HNHfUJEdb47NpkrtmmN+CAB3JCLQ4KK002mjPC49lOQ2AAC94kZucyJ/OuVhn1sG+vIIG4QQxAJNQXcjLUWqwQSLGuTShXa6Pt/PPaZ3lVK63IAMbTLxN32H73Bwq98ALB7oJHu81JuOHV3h+2g5afn5NLrbJEodtsOrnlUkYpLkSnukJLcSSKeEKZ6VqNy//S9Aozl7szCt/Eh8MuA1jizhxcE0c9FrOgbvVM/lSyPvvXNmhtAKgSVDjMnMCYgObiHFMHOicNhS26R7Op4MTMApZZ74vnBeZgS4ZlY2ii5o9dsaUyFYGVPdzUxjgt4TC31AsH74W/WSBQ1ryHXBmLgv/O8hcclCbWmtkLejpZSECjzH17BnYYFhQomBZIODJqlgkWsVlPXidYbYHY4Iv2SoEX2gpxnAFWNDICOJKyOA3Al3fwYzaEOgxsJwuwSSlWA+K3y13SzVBlPQY8k1u1p/ju8FSAYC97lHqWJHd59HPH9SGtWN+ep+KWn7jM0q2Au7yLSRETvZ+Umu5OLUWXFGLrir4QTNkXZtcsXb1miw30rryDkmAv6RoGIMLPYh3tOj8poDqXIkovTysnpiW21sOi32DdIpxPsU95nCB3OxnOo3Zkil2t2D3CE20n6AdV5y9LXszCE3igV8NU/BxpU5/a5fU88z+MIyNNrPqJa9x1szEEyjaThtuSindAAUelpGTYsv2U7O80YPUgo2mEfl+sNrtx7dStBb5aGVf9S66qnjKLN2KKFYd8e+kK4uuXaEePC4ahsmvz52s5o336EE1I1bXMUimBXpu6XpqBu6ygxTOMN37fRoLFwJAKLC4aza36KU5/Soa3nDrgPwrHG5iz6mWO2bC7yL4ei9eD6kOE5dyymXLLnyZ++MJig1tOS/JJcYchNqAPPGKr7SuxbD3/5pqr1k7S7z9x0lWaFfmU1lOfgZnq9eFnEbdmASbYdl6bUDYL+Wy/E5rI0O6N3h++U1Eneytizl1rZcjVhWaYzxAJkdQbQVjr8VekFOqOeMyH184s+fV35/ytoCOn84rtRD5DiCs/rViicXDa3+zYAmEw48Wwlum254axVSVSy+2fd0bcd+jkPuHQMj14rs9vuhEpK8ArzAo83i2dQ01z4joghCN6Xzk9nboMqyl3g2Mj3/5hBjtwky1wHep/U2N9K7RthH5nZDApT/rbt+tPTsipvMMD+rD6/S6IWye2DQaRtzjEMKRx/EPHszy/x6UZQ6C540CJURtm0o3JuBiN8a+AhRXSRn6ff2BXHovxPyg169ZkLCZYW4Rmszzqt8n2MUQomUvPAGp/+Z/n6UMntern2OvlPFjmDWjw+DPpbez3MHkDno35AJq98TDeIBRTRVlUitX+a+AfZIfhT55OQfQJBvep7LJxrWAxqtHKXvUJn0qofSHjTt82hrLz+RvxBq7qXryDuLhnyeWnoRwjLa0SZ3huFgAMJFVSwmtgH2B63UgaAR3s6b4zej/0cBeqynIYdQkLErFGaJeBkhKwnqQZdUnqNGviB2C/U2eRXWyqlF6z8AQhbYv/T+B9VYX5m/Iy3d3y/Pe/YvtMyFU+CEua4vh7zGG5cx+gbZv8TrC5EOtw7vlHSI9ub03g2uttovS8Rte4Ixp14xtfSdRvWmhJZAcUClJzWiKi+2i2j+PgJ35g6LnFPhJ7dSS8WSG+yc3+vHHnaRoHnQl2vyqq7yMLbpaQP7KDnOfajnrmAW5Sd0Oww4DXlfu+lhsyrkkeNW78WEXtfxgG9FRsw1/o3dGVsP2S4MD9eHaetnpgnrgNZ9p7E99pEqFvNnElxTA6tmgwWA/liIeoZ9K41arpJWwqppteknq9CE7aD36Pjw9CStopJzvuQ/XOOTrNS79MloesSy+IYFLMXx1WryakF6bh0qmPnaybXnnQnnejv3Xt1fssUpNRLz3SkaMHfLlUsgUmV9z3s2nTe5gHvrvqgvYwVHP5ZFsctQNRN9zUqvpid/PAxFBMHsqx5bbe3+LqAv/BeP+vhWAjOWrdr5zeGdVIiPS71GauREjviEqGwlomSB5T3GsR18tjWtoF7oZB4m7Wm+IdZwG/h8k2OhXb+CAZPJ7/JQCnnP5SMA12LzPv4e/OS60zWrKQNmYBigZCoOf+15LlQTf90piHixFyXohn48+n7n25hsGjev1hgm8dt2oDqiYJPjd/05k47u2xz7tKtZTW03V1zYNgiVh4CePgfvRfWx83WmdzI8RJSOfXA+UX5bkzenfXjA6nbvIVyCQaeLqV28nt1OP/PMnjJ34moEksnXQzU1kZsuSvrff8/FhLBYSQdZ2t8nk+i3i05SgP03eNA7JvvWWBW0wbvbN0Y4YcaUTRELnygwp8V/P57uxguYXoYt9b5Nh6eyUgx+/Umo0Ho9PoTXJwtGsecRHqJxtLeukFZFWTTU8CkNzlI3uHvWTTBbu6QBt8FmUqE3zWQnmTqf0oAFnYiOYH/6Nf8/bPD9r7VH423XJ2+L7GKcRachuqtwLgLAMIF517VHfmXjqcJnR4lLbOJ7BALHVGlocmpaIvWnQoZm75Gxw+iZ5LzjewhVBEwKm8yCJX40IglJiNdhNtT1quIWV44yFmtH7Jc1edtkXNtbGkKLHReVs51OTa2EIoyI/ZqQJq+TIhp2bbbdJXOazTwEvWxj5AwWRr90H7/JSy/nxTnJ34XmmYpMZA8RI41BBiWYtUqfqaJT1cN/WG+BmLSWp3qP4WlJxuEPotwVjL3LfPj7wzQjw/nwKHaCpltcKzRY1sHr515tj4WL43l0KMmJZrG/qwIMll49alfcceAEeK+CEMssOu9ddAYrxvOakSxGgMPWOmq3ODs4E1XCEWVmgXjS4Qxnx6o1rtSCBGihTgJNx2SHjiID2vgp5704azM5OQhTZIMMH2NIg+REEHmQIGplMQhTJXQ1K8WLquNNiLKhCTmmWuRR8eKQ6Qx57iInTBU9P6LD4toEtTuWPLoHpZNJrnzp8J5C91ulZtNTGKBv+hFVjlJDjN31kfc70A2VFbrfwvJup/vZgsMH6o6zIoqvOjuteBG6QTYd2NP9GOzaaSwBCLuc20enKSgYes8SDXAkYs/fftWq/F89v6s+MunNSdOFFHTD3phmfspKHFZL/MjHRiGEsIKTExOQVchuXjhzDU7LHGNGE//R0D3bQtfcMMZl9mKZ0q/J88PIwfGLoA7qfCJU04MoA0ageqNDmqD8Q3lNnxUeUU6ZkEudToJga910yzvCqyK+QFrHZYqbEcxdgA6xIzXeVy0lqo5prJaCshjTG9r8zqPZvadVezBHKHsSyWRoT6b5A/3sor5FdNxX5/XSmLsy8HSJdub6n+J4nOj2E8BW8uJitpsN7+A8PK+dE/ysk7rKEmd1GZTtzd9ZGRySO/GE6lu73oNwN377aowd1qLWCDpLR4U3wP4f8csms6GJ0U9o5HjiRRbiZOuiW/gCKkIUKAMwHwMm5IYlVNEbUKgNL8ha7zJ7MQTX44JnHFbywp9mrqs8WWNQ12Xx13971VjBrNCCF4YDOxc9LewKsgdtlDtb8XjbdsR3cInLh9eRTttkMQ1d2294tnS/hHgqNq2JcTZJETNbDpjH2TiUEAhGI0dHOrOVDDvs0pwCSv3VecqmlWJzd4SNBr1grx6+QSTNU62JB3aSg5D4CP+z/1hvLtBa1phduhd2ebtqFrNacg/CUwpd1I/s/NKPG8zCkYZwT0bSqunaO7u360uwDccx21FhgFdCx96SjgF2yr7d+2107Ny3EvZSDqXMx/Jhuun+aire8dOy9fZ4AS0konVPaJDHtZgcUu0zyERhyKHzDvtuBPYcK3rs8RuMZEn/WOeL5uBKJVd+cSYFYEhwrYyT0li9xiZ7ZgixaNLw85RRn3gTfMTMpii6UQLG3wF+iirjqAprxQpH0nc4rdGik0Myd1p45GGmpammydViZovc0qxbDD/WjmOOOZ+swAkckGO1b7xt3LiUyXXCKt//AYbX3rxlDQ6CspHOlqyu7TUYe1YX1BleB+UZSvEUfVa3DReI48vM7zCEmG0VEJzq5Mr3O7jMiqyQxBUQbwpuzvlvI5jP3wZrOAE0++Q6+es/4E9/BUDizAhc1VEslr+gfxWOkYlUpSKRnYsBYU2+d3kzRVnFC2d/LcTH+8+m2JXwyOCiQgKrSkDOPNRjZ/HAVx2EpCN3obBaj8r0hUHW1+dkIoHaAyUGXJzdqiMwEEAoen9j+gLGkxXIt87v0S8Fj0ocDe+gjjJBOCR35ocfRZtBsCDEgyWw632aYXzoUD9l9CLviD+3g2elhYI9TUMauiIVv5laMyWEYrbzVK3MjYl0DTidsoPd4XZ5hbf7WqZKnL8Kkjq4d7Eve0OGswqPxPBj8P/0w/xiBlbviwr53eXuL+oPgCfFyOmYND5J/+lO8L5LCKb76oS81C2a0dbEDNX++z19zfjTch7tDR5HqYalT11fr/mjf2P/NvTQ4CN8ecEzapBZoPJk/I7DS8+hBUKpdHZAttxqyPn0eZ+XVnsRV2v8EECcc4tqMEIxZlGcQz6uYeHoKYU0u06vKg8IyuZatnu55Kr2DqW26jd1hq0ko6z/prbXCH0yR8SUEh+WdqRYNfCiJaGsOPnGhmc+LHFQP/KBpvejJrjcEuoy5U0KZvWF3DgBrOvfR5fr7V2TDylBtJJEd4Kv40FrVwvb+kyLmfJHXYWSMCg7OB7LJTU26McfOles16tq61RPItlvDAZyx8KU02VCeXmvNd5DGtKI1kxwooWnonRQGsIos+2yytybaulkHvJP0OE8GGEW8XGYZcR3KcvKTnt1DmFOT03bHWmHmDxlzSDA9q8HXrUgSw8VubLTFrcNrabgccI6AWdZeHI33UcoFvV+MgiVjH6MosVgBy3e8nGzAhg0Je5tEwelx06UiGh5dOiXQ+tfxpLHSDqFoGvgapNBoVcPcmy7rsh6L7Vt2+B4pSq7wDiUK7Q0bFWrewRHwpjY71IdKSCFsubNOz6hE2bci72jwrEnHMabg0IDMNhdYnLyjQp8KEGhnhLbU2N5Pfqqn3i2zzd2cOwriCFSRqGwugRG7ugs7H9qxAao7wyTnBVhbO40hiQTGKa0qTsjga/Pr2fN2gzcDgFEiGwNfvwGEMUy24MPI+NJ8I7Iw25Mz9nH27nf84al82d18pql8V0e3/a2egSWQOBgiFtJ69zyJzTfZKKA+NXJdx3cJmJ1acsNCMndqaIWhrHISKdQy6Tx852pbvNMAf/7AVTJqo6Yx+jn/d/9N5ofkuPRVmj2vQNxJxTalmuSuG8QeI7A6vDkijmdw78nwUcRUGBy5iYKW8gJcnTcMChRiMYbLRRSP5f42//T/9IzEe6LrnduQjP2xnwDXy6+ZdSuTkTn8JPthafjCfsBzq8ABfUZFd1M7jyAacn835sRYcUBh8mG28WtomNSQYVQavfutOyLoiZ+V/mGdgxPc2dxE+DMWV7trdjQ9iPnR6VSfNQkgUbHk/HQCzKbaGitmT8qbkm7E3b7xqa+PsUt/Z5llNP0hliQKU+N3gIlc7QvFKb3fibCq3o4I1SIy/xNNjmv+WpjxhH1QtZE1EWignW27MBWbQ6xJzP6lVKPnDeMulGXnddtINQH49DQEfRrtVjpXS0/m7AiYhmeO1+6Up8bHoptF+tqYYnuaLH4jT9hHJstGo60b9VyRwYowyVXHM0pwRid9vQ212bcZIeL18C89td1k0GB8/z5LoJfYSLYVh5gtMNxr4V1H3Bz2Jj3m5bxTGwxjMCBeoCMWyDNHsKWgz9xc4LGpPTvkG7MVIdp/gjUschr/vxJtLP4FL02RK8WvHPVvQWRt+dVIvhZ5SMFglhLDDvgobjZ27RVvldx5t0O6MegNFeENHZvenydgpPZJQnLVIZ1ZBaqrhWPBSPN4UI8YDS6gMfpTNDQanxFNFh25Ty85fixGXQzM+bC83bg1YGhh33I0MIbhZOGnN78mBSgRU7Ma//q830BgSnYDVsVle+ZsSHGIIxjKTdbMR+/na6TVG2XNcd1MlTSFo2xGLp5iOZ5axxBgDOGMbRfMa7dCVnyWXSHYrcD20icOQ63+aBO3rqhu96Y34r9sr97+r/BIPBNqCKepJqCjwGqNOepi8XR8mb+8U5b0qQqGPfxTzGN02EpNNSisA31PiunRAgQZMba6a2ymSvQ2PazHqw86uaGBbRPZ4bm/7EkD+2/W7uhI4gRhkzJ0Fq+zyIlgBBMPhdsSPiex60vqoTUFMHnOsEFfept7jRWO5N70NnGQSy3/DwyDCjXNamdcV080CF/jkaVd23N3SdVfXl87L18Nf/KJXyGXSFmq/cMTxz0HxGt7JhVPtVkH8jB2prPug+VU3EHVYiupJYR8/iA59uk3fuEwYGR44LW7Pf307ibLCehwo2oqdWIwhg1YRiFL4bMOH+BBphIksNWaBL1SluDEZs135t2hd7gJA5rYb80WevuuaDWcXp2Lplru2NKkHizxUEYIr3C186q9BD4tRGgRHc/sH2FuM0OGr+VFk0aeRki7Q1nxhI8kXloL/PG5oH1E73HkNIW1COyIOKuOmAvpJUsx6zLEkAYQGcimzsIxsCyL6hVIJb1gCtZ7bcThnG4EZifaQ+8WWpserYkwlD2xxm8VE+L6/dHih4RmqHKTK8etO30+jcrUeYqXftKm5VVWSAuaDJaG5LZL1Eu5W3RjkYtz2ZcsdqsA5X8jCRACDdzgffLHIyOuawE94gUCFonyMEYqj3D8powggSLlCYoC7c6cEuowrO3y+5zIDTj+qVPZID/Nt4Jw6VC36eB0Pgoix78NvAkRx9VSeIxmuckoVgV+vhDDILuWWOjrrhjtd8vjVKghPa15gHFT5e13dcld+1fF88P7wEDQgB+xvjN4glqq7yENn5dRX/X4iidUW9WW5W3Xxkbs75U1dLFbDk5SLQUtx+9//NhP3NltH2xz/AKVJg52hAim93iA5a2i22SvdLAWZc1GWPjReGbKElaE68g4nDXSM7MV9KFpuVS/Jpl7OLTeRReYwFhPw5IqhLXarrcaiW75L57zxf3asSReIwP8wg6mAUHZSV9MFuuuRV+veF1Fn3VDsnaqAO7Vrd6B11AhY/JyKbQ114wIcib9wp6MW9P5mxjM2jCL4FN/OYa9PqKb9mQhxBHMTR7AC1hUt2JDc7Dsd/qobbmGxXjv0yxeNUpAhkYTfS8MBRgYhCL6QAbDtWhGpCAWV6TrZMG97g9VPK+jn6QQrQ1nL16lo4J0YYf5HcIHvzxI7TtO6XGTph3zTXMQ2Ud1SrhekTbRsrEJ61O1Pw+OGnLTedJYo6liEzR/GkORWYs8frLctsGOMumAcRBuWma9Nje+p3C8gF2sb5+toT/FAeW4Z1fWbLnUfGKAqik0z7NajNnpiWxvORn+9/DB5Z3n/A6cWuCNflwksjdRiMbmQ28db2aliburETQ2oI/KJ0+5bdqpMiOsi7z+tun23k9jpFOqdunQMyD0opRdeBj2l2WULU/pqPhj+WwAC141WvTiNmWC9dtJqZTzfJRjGLdr57bv8bojmXBlRV2H8d9AyLhpMbKCVAGde7gbLBF/J/GHSRA50DacyS+12fbJu3K5kKvrYDt4xZf/0orf/ZbnhajPdpE/YhdqdtpL8N3VMwSCiI1o0/pfkRyVCo+ftJxv9D2Wsw6W7qTcd9/dPXt/mrrB3HCNKBpxhmQK3geaRJXxmiFw0WZh8O/aXhomIpnW7MdE42G6yCVQ498hDhFZU01IpB/BOG7Ehnta389vobWMG6f47ByaZvabu8XNJUllenyCx3ZUwACaGlulHyTSN5wKxXrwI9Oz5bX0MzSAJlS5c2yuVqHGjwcx6wXelDbyuMoxyYJxPVWbBQYtB3ShR9hXeAx5eiJcRfrJ6CHCJUgava5R5kVGzRlEOIm/3NMEAUEKBCUYaQk83ScUacrrDZT6VTI7gYlbdkYsTQ9HWXOjDzLIRMB4h2hcX0V/kuXQmCRTZsU7b1RMvefcAhxmJ3Ii099q6AxbIt7vK/LNuWh80IcOYIXLnIllz8JZi6+0ndvoz5d7XL3atoiIOet2V7LFMlENPjph51jOPO3E1myLTq/jhIUhozc/tcMpKfabG0hXtUdzKFVJpvNpTYYAu8lIQJSggoSRQXRQRWtEXhiurabtn7aHoNCmz8Q7mihVWvIsm3ZTB5UssL934VJpadtKkDwgBuXtLY5WO4SoRV+Zp2eWmEGYK2Fk/BgUl+vCBCmYXbFABLdPjccBp0ypC/pmdt5yU4vVu+8SC5L8wWqPlHWRKwIkRmRMw3e5+ZSOqECLaX82tCqeL/Mg/nx1ZhqgehQ33ypDDYa7m75oGPY+79EWGsTaqRhS7xv+CnSt2ue3P/fAxaMZYu8wyd9aG7uQWLs32lZFEwLrE+fAy8FfUlDJiWqEBfmL10gTIagZwpGEihE+Yl5EelBmpW2ArgMIPTyh/CLSTKCums/JDYamLy+5wxGyUSsrcSR9MHhAjZf5MzPUiZHNJkMOkqa54Da9rp9qxiorTULyhj8sNn9Htw0NwEhHX/vkg0CRbhZ9FFgEPX7r8NyMPheqnrdgMXLN3Ei80GgbRhD9no+1rtn37K/tZ/1KfKUx/q6B+LLL4mdO+SaOv9yio1bW1gSCvd+24O6dyJ0eHi0YJVAqYXYc7VocmE/tmHpUSG7tQVhCD8turqUzWqkVG2Jz8vZIue5BzEb3Sy2y952gq2fSiWGB79ODvW7A/3hjx0WZIXpD7e4/IeQ631fFZnx/Xf+vliEOK6VPxAscrWfkG2ET0qpReT9Y21CCQre69iAk4tsiGx/Hbwp38njD3RgzVmVsXzLwZEHQGZUrxuWwd1YHC8EdbFYqBZF8aOfdtagU5QUOY21HwycawKVKk73hLwy2f9iVNCsHXk2A48ZO0siYZUWlDKNgFCA6jTxzZ+DQkKW4U6JSXeaiBT/N+5/wYH0WRERT2KzCngzRFdICGBOQsLA1zn0kgYZ0EPcmxXga+LQJazFlRP00yaLHxh0WTtCs8/C6a8vea8X8ryHVVKZf1Ev3nDGCCVMgdQabuEsjldjyMCiwqddoFU/qp3dnj637lU++H0rAss3K/1HHBSbd34QatF0DqVx3Zsob5wi6LiufOGkoa7DinSRlxMlQ6W6/KP6jsoaxWaY3pllWSpEzGYuKYmrPH7r/Ma+Ly7d2q/mUC7dx3mEVFHoWhgZWGKcCOKky7EkSiiFVzksmqbhmkQo2ab/ZyipVOuu+UJnksTftzUssmv4xKKDOdOAERcJ09cEQpKC3TpvD1vGm7PXenfDcB6mKQKj8vZcrIWipl620EK+18RpBwUqZVheM/8pSedONKuzrZZTImfWSpCq9dZfzCjJuYATp3jsY0RpTiGkSjiR19YJR0gzDdpZGRx/aJ9ll7dT6jX52QSTOaoAvgf2w2loVjK+DOisNpshavxApDDCEieEIDazGKKNpfJb8wvi7zvvC2X2ajt8kXW2IMDWJNFRwC7VN+tJbgFSOFoy/NajUxf3bZn1nkhIv9qFpt5xqR6scSjIwfLwFPdOPKlAniQU0dBi05vuliczv9SWINQXOl09vLwosjkFpN0F5vykE6enVa/2XqQV+QLbM7L5zPLUYyRsjXhuxaA6UaU/VpoMqqFWB5WOWBes+QVHeDpJF1V8NxEH2CeDnainGKESg0aXpNwTTdO/YqtxoMcgwrnTySbPoJQctfOUvqIeSxQ3WSSgykxJhqc9XHdQS0fas5+1g5PVn2rbr9fZEVllbQhPn9xDM5d2SuL/xaUejV07kU0DCWhsLIARcWq3dIrm7PPuI6mrpmXyPJkAFUWe6JNzmCnFat/1kXptxtMLtxUPdeBt+Nv/cO7ZXTDXexJEy1huS7b3zThd3q3Bbazy1JC/HScF4Xkkc1xmWCoaHCrJGAeKTB5zXDWT0l0OSz81LXwiqa5dGJ+QTyc/h7cTdJEYOpPg14u0FnlrhDJm9id1EwU0yN9DA0r4aCuj+yy7Ym+fTQC56sySl+Z57jkyRuL1D3b8lbXMa032EcIl+7nx4XKPWlRjSRvwxLYRqi2JmW+c5EtnACqFLGLN78sRd8WB3JLz6tnAJ35O69lVNRXxv0nEUbk8hGhM7zwpg2NP16gmj4rmC2rdVGJhDwRLyXyo67wz2E4w7GJfyB5lnvixcIkztRq5WatuEiEFP8GPNzTy5LXnet1h2PjgY9u6sgZTryYnofmc6QYw9iuFAVSRLrZrFvyLsRbtjwtgXMHXZyXzJOcKD7qN8750fX4kZTjvi4BbXjbgODTuPAf7SbrO7TJ1fDXWsvLHkPqyZXbLEvuPYm1++/VXUMUD+iW2Eyv9ECwOcIjQilqleYazeHHXayp87I8ZvOtxG/OshjqkonfTW21G4tVG7y8HpvEqix4SJtbxbBlfGcEHZQ89gRiJjGWOWI/jUzJY3v4Hs+ddK9Wet+FJjiQPYNGKf+MwYrQGbGY8DQ8J6sjSsa/cZM4JeYB0C5dKnMOsxubUQcNbTZgF5PxbVBcctB08N7/4oTHx0rC+CEEJThC/I4bJztlLYk6Dfhk8J9YaLXb0lk4A8yVMQQCe+MVeBAGQrSS5aCwrQXOSyOL9OaDfJ404m3qextsJyj8oPao8CGkU1w3vMm7VLMmgCPNnke/9jJE8Oi94u+MgXAmG4A1YgvrtY5DtK823/X4ao/XTn1sQSdDoUoeZmTjQvhwdOSBniICNjZOz6XtPbaEOxargksL1iJqFAdb45b37JX/Kgmgd6adONfveC5Y41Qclj6DU+c+r2Te8WVKimARy0I42J5R0tsEOADXmTxeRlo1nOcVkmchs8K2EktySinZ4/xTcaH7/kaqT6cywuFUEXZSno2hkeblXmpoJZbZvwlYRyx34zo7kVD2Yl22S3EgDZ/2otgNJrOvTrh+1kamyUQeu06AxeabhlU2pNEEkKWd7Fr5Sce/iREe9rUW/JbMiVojD26L79ocWE/AZnhlGUpBD12JGNBEMQ0oh1T3d5Vo+W5LG6TFY1gMGXSEuSpvJjGXrHXiJw18jA1Z/Hb6LnUPCFWcL1HRDd3RsFJyihsrAFy7Ixno93zmUVmoT6DjdC/JPrKQbwOL30fmvcNJ3kqJ6vBTbkyp0Ge2h1m1VvS4BfZ5SzLDR0DGtOWtHmB8e179fPUuqSxl3rcRbTuYeSTEGG13bRxFzvdbNtVq85Hsach6G5/vtGwkrb+z2ejXY4zeI5mjL8I7DwmJy3vtuJp/sgHAwy9JcRjOkCu7+SNgM67DL1BUiEANZ37UsvdAnTjpJhxsAuMbLvhl1XVB70/jxoD+B/IOU+rbVkvtjF0zsfO8/t3EiibTrqpX4gAXNCj8UsdMrdrguWdmEagcim54Ta7UMyBuNC/Ac1HYH521kF0wEIBi7Z62pkmB5HEwBizSO64h2Bck2E6yVDaqzlrjnsGslPcf4V0rq61yCv/NeBS3Vis27zd9GEZ1EK5JymLn/jzMdGZUlnHeWFwC5HNMBbkKRrvCNe8U433LBrFF6wDmm+v1HYxLyN1fHKTP9QOuDMMoKuI567fe3cX1f/lHxz1qN0vG5Yb8HEoaK+usEDVZvFfLE2qS7ApkUjlS7XKQhFOL5r0E4OdZK5Yp01R/xCtI3xQev5jNHzZ3NnOq6vENqQfmsqpG6B5N7XmTiHTwYRX/t3kjUaVkeaiNnfPJca3q26sqfWNC5+i2wEVDVrv99H17p/z31K3Hsugby0m072ABy5nZqWR15+BZ80UFqM8naOAkE/C5j2F51yXBEJTUVdygUD5hlevUvpgmf26eS08WwCt1K96/maR9xVLMfj1H7qoYgWMEYw2aRCMSL6TSDQgWZerGFog547PEN+Dyeo7hjJfApQIHDUZ99o8S6t1N72pHZhtYR3CWClx/38qHbkoFtB6zuBHQy+A2I/3aiiWhW7fRHemG4Tt6H6FvtI5lvNiVeXouafzA9+XIfcMcM8slnINjIhSG3ibNfi0qa9lUG0UklMJ0l78gCbnxP8uC7wl5wdYFTsHdrPIThZvm2Pv8eV+ssgrbrpZWM5q6E0ZkSAN1xSwvbQdZPC0vV/wcbQkk7TcchN43I+SFeTA1ovLCTMDR7/BW2se+9C3Cyt5uHr6LW8N6OAxdqTyxE1SiJbEYQ3XG8xTYDXZG2JM216WHTUoPXzjYevWXqSUFKbxUDOqxgGEEc/Xwefr9ddW1RTlw8P4J7ZUo1imM3ejmqz7h08DAwI12S/z3SNmkZ2XXMZGbNFuU0E4fthzCxSoMrALnEygZe7steMLOHaQ6PU+DnpvCuS6qmoa0wcy3Vw1j3u1I5Y+pHEFtUNHH/Rmxgcp/D8prdS0BoUE/SuLPNoUkmOCayf+6KQNhgXpsOWkZb0j2zy4VQhKzvsbKtdK/5b8h1nJtSCn4eJiW+KIFBf3spNa2S1HyiRStKOI1sQT14scmvCkl3E/Mta5X2s9J7/7lyBJG4a/TRoYz8JqZUhA2EdRtyaJpHqVFpJYvGfWSoLMcJor89BatkmbgSk2/fd7TmIlBmhmCOcyKUAz8z+5gTFIP2nChmsv80hXNxKzI9Oh/LqJjAkdjdWm2OojpNK6Hd2OyZ/WwcupCLSgeCzGWBbHVevyfHh4Pjw8jM8dEypuRglH4uFUaunI7B1KK/N+jgZe9Y88Qpd+sikxIj7skKWnc9/0DKuw1NWBivpEyICmzLUJHAstafI/XyFHD/SoXt8noTKzbdhKF+UGaUP2Jg0o6peE2qf1Nv1UpQVmqb2diau7AppP+S/kuq3iNmnQbUvlAx7WsdWbigXM34OKIuut8WC0H71txgz7WQVGQcHVRlmvt/g73DaAoEjBx5JJSyxxRCvot+G5fN3PfCk76n7NKZ6IAqOdXvb9ik7JrjoUJw0B+MJynyUfRsIWcST3Z37QeFjUSzSvzGz8QwpOH0+hemYHLb4JqBoW9SvU2+NB+Y8kxXhim9QLvyAaWFkuJhbLTGC6KhznmwKCQSDTx6dEJ7Y1010mXW5zpDnI7ag/39TJLN35QP+9l2jQZknq86N+SWwpR6QMSxgwa1PZ9LBrlK7IU1RVM+idC63OrkbGdygkGwnNYS2KWRpMGwSrMbt+Z6tIgcnZR8lFVwgWFa5ruU+A2em1swbkgfAekiCbMUaM4puHAWD79Ds3g+9hedJXMLwKzgpbTUZIIeCjm9YdQjOdNsRdA28miHz0lEPwy7yChjKaWL0g9cu+HMFZeFKyS63JCPhVuqlMzCfX76f/X/4501ThbueO6xXkHvXEiQgKOEpoMS9xQsy88eYA58H2Bm0i3EQg0Sn9Q/FWhCM7xCuqfgazebX2FHl40v9Q4H/CpGZ9YkOEG5mwbtRXSoVYBb4mwPpFP9nU/enmohlDXu+oJC7CZ/3SlMJrB6oW/ZRlHRJ9rB0c+FizOSr5nWAKAfFMizoxNh1uR82g7OVqqYPZ+RerNt2ksBwXJ1Z0S151ngS1iXC+XRBau2eZTemsl4Vs2u9rQCYUhkDa+p+tvozBcMYYtMxgRykN06GcSeJSxlBL7tSV/QsMy0K+M9K0X1JGjNZRjPQJS9D4xMoUmWscwnG12LRqznDSGSTMhpBDbgKYHIOKMGT7JZqKtD3dU28tRtoiuKVH7lYGbk8jMB+2v4ndw/A8hY0VHEbO7eWGIQ8rp48uUSVPaUNDyesAwsiVkcKCaLbGnaJArWkiH8plPhWA2J2qUvgfefwLDNrJQPZnNp+43O5LnHmcuH0YBZ9ayGvrY8m7kdOZB+Ee2IjfHWsxjH8dgh+YKhxlnkp1dQbSmuSELbKupOyaQwTjnEU3tAUo6sc3nDDO2UVO2OydstDSaHAEmrzKmq4vcX6zzIU5uRY0PMOBLjaJIlPzb2OjX7+bemAvA5Et/o6iWhhfMn82sIj4QSfeJZxafsJjfGqHiVjSaLn1xTYP6H+bGLTaatIe5SJb/jwMIJSBuJSIO8MMFEAvs1g8DT94nLye3NWjJ7emMcEvWLFFyI61pzP+RtHbyZnwK0v3S7NnXwU+qAAHmERkUAUWIjBJzKBShUnbdU/rKKRNdjyjCYZPuHhw8OUq4/zuA4qHqQGNqIRi8OsvYFTEdj9pXM2vrsuP1zsL4l6PDJlKLrLwbd2kTus3KDJsMe5FabgIu6l8UGMvRPJa/0Rd8ItnEqJ7V1qkIMidJa4vxI40VF/X4PvpH8nguTM9TrYlOb/sX9LIJcVnCmjQDYoDaH+2+zLxB18K42x/uhgjbNqur0tqPYOWvqOjc08Exai/ICc70pM7HvbfpAvmuQR8v2OL3ZhZ48ALUP4m4B9XGW6pCfy6jVjahFjz28yCVHWLfjyLlWeMLAYT9/t153v8DsPa+Xv+6+97B5WGHCV2GunqMK4kQzRxw86kruu15cJ512sSp5bK7RVlQ2GWlZpjbCTPULhAmbhl2y95lCN4PRv/uDLSUaKSvNCmB7wGiOMiRfnCEdgYnL/HleLCPwrNrbBkBQJ2SuN+lOJtxvTdlr99Drvw2Ktv44SE6oadvJqDNDohpEPlRgZKS0hLhCCx8gnTTuknMUBeYV8y9tHll0NqrGW23mLNayGtNv8Pb+/SnTb6bXt/FfrV2JKwnNCoRsCSQGDZCHRBPUBOZCNhKlzNpz9jzrUeQWqfc949xn73aWT8L1VJDIjnWZc5fxMwGv+Lj+njYvDDXbw94suRJhtPDpc/smcl8jI8UolcZJoZRimM7nBqVuIyrrDVJ4EOcJt+CQ7DsYWHizJtzzlaA/cEbzWbRTcP+p/Dy/efqqM/IhOR6qhBorirJt0kSKYgMQhYKmPtQ6h6kflXEzuyKby7Bpz2lNb15hHni/M6XDXFSQHKbms5sddNuZf1hvOHI0rGFDIn7H11NCykVuV9bK0F11L7zEuln8wg/cU1hhGEY9HcCRg1SNeV/PY4j87MfIZDh74BhU1F0AhcO/NNjcFGESZ1nFKahOaSDdRbRo2UkkGitzXu3Eca7yVCyYT7LXTMqq2d7+h+DrwTPub1dZqHAm424oRZ5jYr4T/vjKqI1f+J1Y60APfgsrfM3plgjB1rCcwVXmej0+gDRgGCqv07Y9EQMgJxUUkaI08/C/J/V1nNfmy2tOhosIs5GHYV/rVfdzuCMhh0vj3gxBn2TSMTV4jYVo1Y+jTz/Jlhpexakp01+Y/p6aybgMK5e0W5g83Od26c5lOhc/3Lawc6e+r54RxiY0hV+Zatm7T5w1Sa26UfJ/SDRs9x4r8QPLhy1PM3ejnO9yZvQ3ytruTILbO40bcuJTEUYwYao5aZ4G5owRS7GVU1uMf8A+wYO9mqc1OksbDu8nHiTpx5SzcpZCfkf8HfVwYa8LFQOYI8WMNCt7zBrm4v7amVym2GGO5lXkgbvXZSKHxE7pNAaxZzAXI3WhbKBKqQ0O2U2fZp9/1FU5wD2DDKEymRGugejaaJ+xInlznnrzqWmz/tIOmCu3xpXhplzdzAi2kNxflznMa+MZfutAY2HcO/FBdl418psIn9sJ9qU3IuhUYTCflfayMZDosBEuXgRiIVWtszRveih0RJlymYDJ5tnB58HOnw4t2VhdeVc7FRgLxJDAk6n/SxcyrmvzcuM1KiUSJlAmCED0qcglzzdbZu0wo+39irosfd/N0Zbw25zRctGXUmS2m9KxRpVaVPsH1aGvBXYsdF4iWtIKtWmjA6q6FsdEoDWbjjsOBI8KFkv2eCkL8M0bX/8Uf+XDtFWkNAb4Rbr57JGZgaAn8PYGb7XVV2xU65k/6GfKtcdg83KlkgPsVF05PBpxR7u02RR7/hvkT/b7eX0CKP8PU8mCMRacUfojPPQ6bsrJQ0NFPZEModrlNTzLKk0np4GL/yXmWEE6C0chMgfViSNhgCpeqjts6sRSaMnakcE6CtojeonuhjdPg9EQkKLxy4BvCKOZ0NEVaXXaSnHvAe/CGumTJQ0Srg0cD5l0MRbn0sA2wy1PM8gxt/Klm2h1cTYimIGS+WMrloekgPUCMJIj+3pdTN9HXiv4w3zxxlbjsrJ5Q4rtyKJT5X5jL1naXJO1Tl8FNw1/z4V12d7uIbsroZeCXbdNeurpcGkI8RLcoFfGWJ8R3QEaAJJzMRPSvpiyrKwP/SEAykRynQxNvZnDIQrMJu+6zRMZJSJef6m5f6f2wol+L7tP3EjvqxiC7jmueRu/or75jNH/x97+MZFMTOVY6p3FOpaPwHYIuqg6K57Rqhq9VtlQ6cX8Z9cTj5Une2zJ7YLxCILaU1WH6SPGsClAsmwuFL6+PZU/nN4/j9h070Q+e2bf/qidB+0mAZJU8SVkRQB+yxovufQEgd4FKPv337msrGiKYkD0gc4QGfii4eOazGWvwv/xUcGVg0xhUPeve38IZ3hazFd7UhWn6tnF6j6EFWxUQPdEJ5/ZaqWfT0mcCu5FQcaIN3rQIZTtzXsoifQ1IFzG4Ae5gXnoqsEsbwOIjdVYMV93O7X/u4PXB+mcRGR7vM3Ajbus7jZHZQtR4uYVdKM+SbrLvpnl9F/L+chmMFVmDDjf93vU2vWhuFkWaQqCdlqgIN6loTcXyVwA9sze4PZq/Gd4s8NrLbgtTXm0ke+HAV3NGSiP2QgT5Gc4FCqMYGmYUrJ9qJhWgYAT5qFUlIbQpuG4NSKKA73THOYBX46Fc/zcy9Br5X7XdxDWKjYir9edzKeXPfNrlRlzLTWeLP2cPmTVCCvrALR5tEd+MSYFvPZ9OWg1LI1HLV7X9S4ZNdd+WgdVy1tQlaAFOYT5oCmIjb7kticwmdrU4Im4FlYktDNU43QscoPGn8j7twDVPLBtennU6H3zU1uGeJhZNnf3i9hZRKt+K/G0UQR+Ars1Tn0mT6x5RxI8bi0bssEhhBt8iMPp9UiNFL2Jl2469OqFp2IqLiTa1ZjgBHmoMuxdbRa3V8hUAVTUzFzElrmdIHdr3Mo3904H5fRZpFmHexJR3Q0cRQrA1EH42suMylOo3/yjS5PHOLuO6m763XDShPUSQFtqhnNX5O2I58gODrI6IMQs5fBoHttHla5JpJY/3wMN4K7QTpMOITYpVSgCl/F5ZEBhpGJ959qhQvw9CT6AViU5+V2UtiBlnnYNu6G61D41DFeZJQq5HmFWhtmynNSE0J03MdyQPvly+dCTYr3BN+Dpr/269OZls9Wo8mdRRRNI6sTcWmxxves7l1l2gDc2QMqj5RLVHTdxbcyqDsY+EC542WkHBHCXeE6Tq+Urckf6vuzIfpA2CXNVsk0vnPbWgiKp26MTbDz3ZwxvADfPrjRldkP3NbjV5e1E+8Wuw37sQJOjPMl8GLkRhc3fammsn162+TfgWqYkKP35QnIndlhkiS2ySXiy9lkEddeAe15M/imk1n7iO6tNyZzIcw+2GOBgczG0v2gSvHfk79cEDLOf1dkozjusKWWlNe1uVXOU+VLDip43DeoimHdIB+6hdGAQBTD8T03pfxAgiEfjRYn8Lrfow58EfnUvyHJy3iYCNKxNzBzICOgPRpqju1c6nDg6qQSIjIIizO9O+MGzUZjlCUd0bBz6d/CLRydlVppH+rwP9UtF2pmAY7yqcSnFVKMtVyrY2bQlmrG03Ai4jBXt8SIMOPZZtii8noDwkxE4H+w0OQPzwEfz08BEVn7th14XjKABmWQJyYRJGtrgcHSX2DGcFsKie2U+qmSrK9PpWogCRCKc/Gku3XmM1hdjDyf2afy1c/t9O5uD195bEus2K3dHz5tAbJHZBlPjRq5pevfI+f5jKKDp3J++gbdp07Cfhip0QhoHwLxh7GtlI996njoCBjgrj0dqmD34QxGOK9Y8luJX1HNk+JHaYa+JklemPv20QUfhulZWS1bbDOEqcrfGBsm+DFFLVF+s7JTzu1qLVmSKw0miqL77PUGMOH0qzmxp5/LIbtTpBrQ0zdanYoFJYl0K5nukd7MbUIekMatXiP+H3xtY4zJV8g66dFoJdB73nFfTHlLykAX2icFNRK4FQq9vHJRvPXFDFVIQSqQBM/TklmCE3lU9l0mdCfQu2/Y2b27Q1AX67NDmiyFWELPI+G4gDkiUQZrHFCwKCrmYJcqs5JjTX1tqACnZ3sr6ckOVX4x/JOyT/O2LCIjiC8Wn+FZF29vFedV1/rqzTk+kiijZiXisN0/snluL1oLjsJHrvDJ17Voh/X7ELm9B4iBMKXaXJrc4EV9c3wolbdFG6G68qx6467e/+p87/Xp0NDwot/XYPwKZGRFmZQd4TvBEXhw8P4ES8KrahBdvth27FNKB+sRe9SBikmoHgTJNG5beyTTTqcJb2XzisSFeS8EUeWBnYxSj49ygMhBDIGe2l1jNmN/8XERLHXYsIvN6RbEx898ssFjn0x0026QBuSLNM7Jo5vsKlsCHYMk92y+QxF1zbZ3LtbdTGEG4oDrVabk3eLisstERhdTHgKHs/Q4sdYZgXGhriydYO2ZCxdeu1kjv+l26ECW+x3QSHksaXJiq7YdtHAvslY55B0UPGsVXmKcfaD1p3lqQikRk7ixJ53Zg6JL7LARxvOwGiD+QJGsVI+jo+EyhMCGYugNGqc3k4VAG6je/4dDp2WiLQpqI161v/hG4EtOB8ykzvknDGwx0PEEF1V+A0r567bmNXRcBX03iWrnPjjvs79PRfvSP8sY0OOx3jWiRc6aXp7AAe2i+zq7dfZT82K9QVswBruhiqzsbFXovtg/fEmRO5Y5H2zlAG61Zv3b90wNw2CQ8XgBmNYmQb8nJ2FbLjK0wo2mo+lb5LgQdYLNH1r5YT/JF41ZTaVvMQKWnW5YHJHzRlw1Y2fzv/RKYSpqSHYpspcObaEv8deL7qhWki90PITFbhMp3ZwTlqd1O8/dyYZMkMZAdI7/zEMga7YhB7VCwP4HnsUBMncWSOOwpV2OMIJR+yvBFZ1iW1ido8DmtGfmSeCYi8aQRzx8/QTDXM5TAH424tEFTqDoWINJsM291XhW/TUn1tgJtaLkUJ4IGhpt6eMuoEEv6XXgTvkx6Nk08s740Fv1UkDbGWCAhPeTybOM7Zj438slOR8bmtad/K+ISZacHge/Cf8ZBA5hncOoQjKyO2MBvsDJLQ86Jd5XxGDbSC1b1MMC+KSfLv816eTBgWSqlJsay0QBt//mhgqIwMJWoypDyhn7wWb9VOhtMqPdZPWq829VxZOWhRa7uRx4i6Xg84oGD4dcbq7q7cG9lHAPzTxnGOtzbgTXj+3BC1M67XOGyCJMUPd0dN5jNcnb83rx+d3CkeQL3OjYxLAytviiuIRzUWzNpTXRRZ+oavHokVS38MmReykzkg25rGrjfmrcpaSV3ARFF1Wage/jVwUD12lOBSUSeCd0Wi/kLS6hWlbSkyyF08sSF8mHcZ6sovjeRswak0jrL1wNtdCy14ZOfHMSwuUPJKbCg8CwiL4QE9ghiFoz6vsRTPCw9prOq8fD48vMur7CvC+nFKcs4+jwROK4s+HhyDovHpI1rAoCBF85GQrWReanu0r8RXhGNgBSPXy+nTkfpEUC9AhIHMXw1IRJrqVEnGShotvZCC40a5odBML7xZNvefGH2rVJXn9akFZwFSIV7+A4wQ+tSKLN7K189px/KlNIsSBhSeqaBd8TnVstzhjEqqkPD9DbGJClUSlO0bFwUXEXntq+XvSPiPijPtfedORtTZ6B26hBaWPOlIJs4Mk3q1U7nqDa4z8sD9D/T/J0ADeZWJhElLkqsyesK99UF2NUwvjFd02owdX7BxdsQmsxUO4VXSACnfmm7iftHRZ6AwMwKFEulZAXWF/pa1AfEIYd/xLz/YUKjpF9zBvD2zSAiF6UMePg9oo52AiYSm6AIx1WKtfy0C4E+7DtCzh2KSqkd5+1F6tlCHnnQ7LtibT1pKya9M7Jg1i+fDova+/dRIvfv1XyGLvyJwuxc0AXnRV4j2cu0ZrDPUJsCmmmoKdme/Jw8PLd8YaoTolXCKrrVagJ5KnfwHJOFRk0s2z2Q1IBI8+E6Va0zfYFv74u/PSiEWzg3kJTrp37QxTkystiTb6lS5JCxBZjJhd/Q0+d5E+roZRBe/3B/vSVdcE+jKpVwTYn7TV4IhJ036I1d8JjxW4WjVs9rAtkGJ3asvIpEn/uV2Tjv+B+VVF6S0+BcmFRqPf6FdslrhPySaN4sRNOq+BPvACLUeR6/8B17OrYqit1ChqBhzKtLmugyQsRIo1bOkvqlmq+RUQzQ3LWBwRa4MfljVy+qWB1kL05SvIGXQ7FRucNp8feJDRvysrzA/1349neOULgpYT8ZbylpfSZFeXw52lWgec07QSQjzU+10kl0rNmlTy1OumkPH8OGi9vLjAbnE5ICwiFBN/ckX2xVpuarsqnLv5PlJ9CMfVSKrzGu7CDHXU+/4da2WdfGU2p7JGp/JBqumcynIfijD8uelUYRFEixJHjJ96kuwkBnCeKUJ12Q0ZB9qJvSjoTDjjijV4iPSqdJZuUrjCi9F0qpFnYfLjfaLgmq+Vs6uXoi53dwZ0Ua0bd2f2Pg1TrjupVb1yhroaakgOtOWS6ZXhTvRNE49Mkrou8XVAPcL7WzXZCnUaimNUsQTxqbSwF/a3hYo8Tswm4Oz6/HebZVRoyBe8UrI6yA2F01Aj5tzkwUiIkgLhuHhOZ3A6TkDG1CsFNSpi3M2YilVXhOwOZgBOnPu8x3uWIoPeOd74LkohPsoTRyxLBuRmTh17NoeaKndkgq4qxPVfwk73ylq2qhGEqE/xL3mP3L8o3FtIlXB30cR5dcZ7eY+ph4WhZoDhyD+/KyiLq+XzfchfRRwUi2QyKb9DpFIfitS8JYMf4zaukmYFI8ZjmyKsCvwoHh/0WtOGIkmxjIehiPnzdH/q5FbYn1oHX9zFHn4YT9PDtqY4DGTfdLsHkOuISXDQZjvyGHX0loC6rBZR2UvT/wtnZnfB5EGPopfqzfgKkcyi43lksNdqvjaMGCPDhrhrZVqOZYbCym73dNV6+4PnsoF6x4wxLU3ALuNsbtl3OPLwNSedD1OGyEKKwrQzqutaxEmYjsHoNalVT4Dhqea74s86uJ0ip2+yUttzu520/dT7peUSwyVdk3BkDHzphhbTfW/wQF0zn8j3h+NEIecS9JsognOVyUlzXBumLb5NLYpwDFFtYxgs1qF+Szn+Qrbcowd96acIe5614MGEkUPclOqCg8kNPK55DYW7RbcVYUCJTFeiirLn37mYspaSwzq4aA4rbt48EntCbu3mnUEKKbiBCiPQz05FPconB95fXj1Yay26EcS28evcuiTGwL1nLbSRFiTdF/Ut5VSl1WTV7A3CSLZWU4Iwmdf4xcDqZZ4eOnzj5DBIp7HnCxJwHNwJ1saC0bWVwVhvBJDvKf1cv5n7duUF5d28gRws8I8Ui19+P1VH125TcsUfkVvRc5pGieheh4feGDOFJZMS9DMbZCZbNZ5istVBnbOU8bPLfCbdSSL9Cht3T59PVVJd3wyyvgAstcwVExN27d7rr1sO+4hRRXJhDMK1bBwD222zfIqm+BDrJBCOmf/O4VCR1xXDXdvUkFm9+PtPwOSWbqZQfAd0QObRThWlMhwQAhL7d23mJxDoGC8GzTkvjUa4YZuuTnOf6D4oTnTHgjY71C9ywODCa5GllWEHhRycYJqiCwb41zd6S6G+88R9Lq3jYPSOjQzldhMH+WHk1vkNlzqB/85MbRKw2l1MFPStyQfQBhIJl4hpBe+YK6nI6aYXTjmQ3Gg+HITKK2XEtChI9KXKdIU8ZmfErBL7dH60mw6j+nAYv/r9ij7KdLiQXWDqhwVHCzDJ6U6AUPGqFb2MPfeVSZ/q4sUzh7+ylK8vDmmcg5DplDKg7wsVdJrGr9x8hV+bd6ChKWkAOnXdKCzydWvJfKBFJrdyvuwuWj23KA5AwaE5aZMaROp+jcnSGVSgIyEnmI29fjwItneO+1IWbVg6hKDnuXhg2qBsDFROpU6MTjKuHHJ4CyHilbg4IYMMi7qFwhCwg8PjW5F9MkKWRYoKqnbjHK80D2sEy9KfuWwO+ql40qDxjXbdAYDKIcYgzl2QG+ci3gI3Lehwr0DbTa1expZ00fjvKvTgiH6rWpCoVrpHIdYgTFZQvSpZgjg7oasl23Yt7ttFdrkwowuO3+TeOIPhLJwfbTQbVq0LJ93J1Axfja6kQXQQTVNCFRMCG49NH//S982OA6My8H/LvnPwqxop7U1sU2J3Wf/duYSsNHofwuEDfjiXBdwk1UoAw9WqcIx9MhCMSKd00nrpqN2eWnqTFQVMI/1829Ztw155//8d3v1//jUG5WknJOYcEpn69uV+QymOt6l0VGC/buKmM037UwloyIqb1kXn0xtEfEugiOmlxizOI0HsW5MrcPiO2C/hf8PIsGGEN6b00XlpGHpzzJvwcN2go49/PY4fK7doPll6m6rwNlGHxZNa6SS4SCk3TeP+3OsNKcJYyjEay8M1DnxHJf2HVhG+Lwy2718CTNU8cghKSMmG9Ty9/IySZjYR/Vqpdf/Y/YHVI+mU1IA/fvZtbIq2Yrc0YwMMn9p5QDHs76SqkAep/zpLXL0/ITSop1KYcPIO85M6ikTibqSmx0V2cdmSjpy70LIcLIQsOksHKe5c3c3aRqTs1XrSfzxsua9PoEs0Pzii4Xl85/5eJ23yCsAWU+u8dQmRbCv5CU30rkO+A5o0jEx/G//cH1gL/GG23nKATPWa4le7B7tIL1Io/b6zcOorA6GNcEwJFEJU32rbFFatx0OSK9eMnQYJVFp01mDMOY+nUNqwopw6PQ11RAQCghO1bsNjKw3Y+THUWRpQSF3dfI48huNc5X33Yn8qw7i7FQZQLNjqtXZCwqbWjQ/7+wfnGPzZ48QeqFcIvGjd9g+yuw3+DCxiNEYvzcVsrJA79iCUXRkaDj53mfZuRkbqPyVGf8t/Z3Ivs5Fva2m3hxGoHG16NM1XeZ/YDSw+YVn8kuRFtuBIjQsYbHalXrUwpfJoCCFB/6y+akir4J4eTgTkZvKsZHs5jBhMKW/p4Ec4khP3Qs4he2CTWF60S0O8S91YwwJelqvDyzLbq9oQjZdYNsdCoUFOL4vlnQijxLL6CRU5SrH0JZWSODYTdq7FA0TixE1drwKlUN3Rl0WLd3MKDetKy9IShAtqeqG8cVCw4vRAxisrNsaVm/go6iGZknR+jPecWyw4QbrsbnJbYkT86GmaXPzOGpfg4+8XW9ePKUmanVUWv3dGjTrjl3l05FgJKu4iK6SHTjbpdE7XJQ3kNmMF5q37B6P+YaoWma5dcssuM38Osg9SavycIWzgc2xIE8w0WTXiIF4Fl4j5Gz+kj6G3aW0aAyT3xbKb3GloW4Btw0h9EJtITcpepUCwFnzDR9ZeieLZH3RW9yLX3HL9Kb48uVX1E3b1ft1HkWq2jdGZqT0jJnKXbUsDoKIEZE0yTj6PJpL8s8zc3wJ6pmoUcl4o76bGZ+S4O3lG0fRRjEwhan078nO8irPR+LHArnXE4ZejWRKNRDkLBgpRPLgreeFeavbMcR2FGbWi/n4vZlKHX6tPk99QsZ5O+Kq5/qwoP1KlMETXU3ajqZrYcSSmR+NhweUNER0AMcUC80gB6gl/pd19y2mhp5+00IVmGFzN1XMqHEVjJMPI7byaOI3JVqQe61s51DuWBjNG7tQh6NMmssguJuA4PrUmL2Ha1oLYscI5aowLAqn3JgRBrMNxhBEAdZujwN/CeGdiwUTCNUNGH+Re6yaygRlLwB6jjFkNuvzup3i4cqjwWjKdoV+9NbDdre8ilW+DzMJPNnWQaQAPhQuUuWDvIGroYbrnjYXO6Xb3OxiPYEc1eDhO3kdyyr0ZMRpsH1oTS0xVkXipFycLZDmmLjCVuMkox91DYbfCeEY/MTwbz7rXQRGVir2grV/oYYr7Ok5+WjcpHRzi+azjPpWFkyS6CngpD7FhqmTq3YgLBXDShlDvtcMPQb9Ygr6d7svBNyyCKnk9r0+fEjOj8XVDLiL9eectr923xI6KYGoKaB2Prbo7Ez0m7k7CNiXqkqpe2J5boAKfxBpa1Bc0JOh4UqlxxveRPwYnoch99W4gS4UZV6Y7UZdJ+rDg8EJH8gvnuaVIY5rSOnRpX14yTpBZqhizqtL+/Fg5JkCBCwJNpfSvJa7SyftadJKDPP4A+1/UP9MuU6iP7Tdx0lQVUIXt79Y6tEioqZyn6ULR3uEtsBcUC2AqjcUuxFa95qCB8UwMv+FO2goVt4jnHYOmFkGweJ0edddn7Ibuuw4H5Mt4EAjXBW7KdK37UmPZ9JHvtlcRjSTwrZpUjDFFdrHV6caMcNN2MIHsUVAN9+lW2grudYbHWKlrG68yzUttryB2NKqH8WDd0yzQQl1PBLoedP/s/2tFRK2O/HCuAyr7qjGmDqHxV8QvqUDFptCeswgBv0Q7WPNvlQE06ZycutJ8KXKGly7be+hl3gAxlpcAj279LqEDRgdS2+VEBt+9ByDb7jKyXfBotA3w/aGpLOWx/HjY6holOhDIauLQtf6OqiVMrmSPbb7TTrnDnbSSa0AwJJiBF6ma9CZd7GhZ5WLajk/DJEIn0RwhEN80NYnCRwebF8Qz3OyLYcIvGI3/pjmLuss2fdJzK3pr0F6UBlG1asqWIPKJGHVsnQAFLbqR1brOlX7ne9OpuryZTbmGbh7LOFXFMg2aQQY8ODKnUMuzx+zdeu3EFUxfWGpqRejZ6dT6pVLLTOtEDBL5poy59rYPCwG4+tNES39bPFuaarg06QNQEKEZZzGQzz7/wTdKCudldjeEWzQ92V9kKfHpo/+6cUmnF7u2V1HFqK6oGne3nLZNmjDdfmtwAiQsMZfPay3l9wuBMkvxwZp+MPsh+6Z1wDwWcf8tM4xJ3EoDmLA27l+JP4nhL9isZTojPZMWhm+69PmClV81gsgTZY5eZXOWl3j+LPVsf163lqkKSg+po6HdjYP0vcxKf8VGIt10HsazB7B15BF7NY6Q/3ZktXBV431nlfehX/jn3OhSpk90CmUBTU+4MyOEE28AyZkfejS4LogM/Xo4TrQhrLQa42j3o00KoRfCzINGQ2vHOTraL0alQELaZqsjuYqSHbGa1u9lu+3uMmMY45OLRDCT0cwbCqwjhB+ZUg2RpqV1hwSbYOR4R8TG+Fuim0cc2OthPUhiT9vIuKLbH/tOc8LxTyowjevKI/w4UQ6KdcOeeJVIxCdpqPDwDIzpi/aS4PqonluEnPBmlE29ZZS6yD05JvrULGU9K4rMfVxC5zzJI4BWrFaTgGfIXQUUSxX0OcDqupS1sex/2spg5PX8qSXdNibtIvmfN74lIDAMkUx40+j55ZFlUMaEmvRD/VnVSQOk4no11DSlpOnpNtk3fef75Wd+U8hr5Jv5lCVpthQ9PO759bbFHULhSfCu+pM0Zj5uUytw51Ju5ENFXSO0ZlMygJqo1c/TXUe3ejoOEVmZ3L0ZELcpj6BeNyNJmiuHWj1jB7Egq5cQ/Z5czxO8rV2ND4Hxvnx++dWRP+5BiBzUIU42kNrKlFzbLxLXrpRmLBrOFgrhxE0tpI2nM0P5OMm+W33c15Wu+PmGiaMwlmyhmKoN31QREitjarfTG6pJhHyvnMu7chygayokSwQ4OxrNEeJUGPzBWtC5p+k+CgZiTA5q8cozssecPUs0kIttetVxOL+jx8IuqtUwrTuDxHY7821qdcp897g0aWvaBPT2xVArzjKodCMcTERpCQjzwoCBiEJqQzEDv7vIatFwTLeoW1FSbvznuUHbSLOCqyZIbo6LggeQLcy6QR46EuekSbq7dVdZ6yMPylgsUUyG36RlzU+VENncLYNzEbzhrj44XFG1QKOGdnYzVb0BJOZO0VCmVzpIavctfPqvtKwvtrXoNCZNVK2B5GZYWvKnGUW03vjG4vEFeAiXG7swaGHegmgjCW6ND8rpjmz3WRrLjOLVj6CdqXR5J3oAEROiLDBrwMyy+5nHpW88mybufJpEVG4yd5CKS6yYse9BIufbMPbv8JA2ksU/b0Y2L2rV+RJfRX6geVRSMD/M0Hwe9Co+G7nlP8+S8mWe6CArt00Ilh++Mtwdm16JmcSz1PyC9EmTNhHYoOnDvrUMcFCj0h0W0ja/zkI5kxZ5KVB7swSSC46Ay/hV5q9cpUoEpOoTYxFHc6Lg+de3zP1gnsYpcD94NK8S/xM4Aku2x3a/QODSjgCpjTJ3GyU1DLLyfWGASIimXBvIxj9o2hLmjIfCxkDnvtrWycrifwYY/0jvgpFfHZnxE5/6qmxuE+CvZUbdTv9Tt5aMxD6snHBHg8Mq6JllFbF7jxjqeZge9kvPU7wBJz71dYkOyJT0JW4rAnCFKXNi+ee6xwd3kbHLriBoEqh4S86XxLpjO6mAfGyJGBfINgaI/tFcY6DENZbUhxgRk4DhXasNWDBT6AFHWqC6xR6Sw4+hpi1DZs/8ctltWZzfCPSowDgsx+Am8xnudMLEuDMBfiKoN4tb7jcIXWguf6FihJtRKusniiFW3eK6lCddYPZmn/pRYGLRIsMEqExBjh4bTIwzvjeIYCV1lqMHuXwxTTqVwYQxnfotwoefXhcIvZZseLgM6mNpQK6TbfzROX+7PIqQyWBU8+vnP7i2OX2Zs4Ibed2nXRB/aEHRr40z3IYUZr25HAXaBcesHJD9b6EJFEfAudwvQ0ggh6VsRIeaky334fOLI8cRqL0aSi/JY0Ft8dH7OduoLM6z7XWjO6qZrb5A4UCmm87aqWuxPHM/aQoIxK7iTmy5ckF8Xf+4QTjcIvBdmhTlzpHxWa2Ry5AZjHS1T9++b1E8Y9hTaouEPfKnVMHnW2Yk85shL9V8oU0EC+DBgEH2UGjdTWYpqU4F4UXQHTl7o78VGSpNIYgEV2aC4Wl5wWAmTeJhrLjKiAOZXHPVl2dF5ckmbNivUC1f1bnAn1FQUPLKK6gF8a3d4h+AB4nBzI570PHQEB8Fsyy6+QTGWhIX/EgCuEce/UQmpRqz/rBW50Wp6X++zxFdDA2BLly/7ryRZGK8thIS7JHJhkiFAXBD1YjOd6vGra2KK+NNOosT94l/1zgoPzqT7p7CX1fLO7QTvrmMRPiPRq4wfHg1C2FA/rXekbqg3AO3KluQZ+C6ml0a1+I6cS7OUlAYp848DUNRbjBUa/Dj1+BdV9T8indNoU006eWO2g31jxPpDdwotFQGI/guo9aZmvD6cgslg9aPWCe6opGZEKHk/lYVPKPqOcHRtxTZ3abflrNIRTmPxV9o4A6rkUpOh2T1JcacJ1PPnUIKeXcejWRcfGRm4rFEVCiO1Rcn/OpMNgeksp4WyIHMneLQmZLRDzGs6p6gTBUH8suXrJr7VImiGqIq0rRosmG5SLC0kYP+Kw/pF/dvunK7E75CUoWl8RtO4cnGrWj/Lw1YNnZS0du9GRAgU/LUrckQ6IIODwnh+NvwjiycQOqy838rey/1Y5GZVjKAi0FtGKbvEJ6a5CWB10Pngl2JrkYKe9Ump2fpl67NwA/y1YwbsAo5Pe30GgTn1CR6hU8z/we7YCRAdQnQh76MD//4fbTvYBqrzAZlznM5zK7kxvOD6/jLyJolT+sGmeZ9dEtjV7Uo6gpAsSPZBRXdVNAxg8xHWtlOYwui01pQY/j3lZWRWNVrolU6zBafsg/j16RkLxTOPcCA7UjAWMLAwFW34f+4Gg4guvCGrq5JcyNeUvu9FDjBTgVGu7lBGHSK7LDD+YnhtJgtSOicNPFVPouB9T/C2flzfIUcUoy55Q1Jh4SdzaVlkbxXPgvWpDs9TCU8Rp8Ovz/TZFVwQCXzSyaKIz+K4natLXN+rlcbgiNTxgEQUyBLTQYzAZ60Nt9xLkrlTfjcCeJ1iMFv1Mr3kpneLwDbjT7zJ1Dsbes3ezqYC3lAi85Bc20YcpJsIFAVD8wcR3KCaG9+BWQTfH4sbRajEm9xn8AHDoM8wxJALrI0TojMGm4D/6zFW2HHB3KV+TLCHmTQs0a/O4mk9Bz5iMyCHhqGk3FyXNcBZzqOkQUgj+Fd/vrBqB6J4Tc+mfkyPCEa7lRH9mKDTtTGcbr/rSjY0l7frSE/OUuhKWGIdlxOBD1GbGEbYCnBdAwV9CB7lQ80Dxl38c+n685+up/vU7ZepbFtYc+D42R3g+KyshFrWF0Gao9eOSEcGviGuQkPQ8R1cTuM8NrppjeXuOYm3Mm59py9IXHxJy70L2ZXvg4+/+6ksHWn1Ind2b8TQIoyd6egcGE7rppITox5UjzPLT+hGKwlI9wyXgzFMfC3K8fF+A7B9w8qz877hmx5uX8uCKbivuiEkaVo7eBrHbe7aklw2k3mnNtdPrigncqGYFcO6xnBAjIYSw/lH3++iMw3hLIi0IAt1Sv2CJOub3dGz2OnM8iqLxwgm6lx3wnkUK9fJHCutpGsfn4p2546qRcwBBRY/8DkZVMnrIPLg45Za7FfXIrDkcMI8czJ95lG9bUJHSJjpBtXwgPBqe/owC+32InsRaSMe+VuvGiaGj5F3OhprRTviv3LYWHCIAp1PnDecQfw3ZlaTHx3Qp4rXufe5TU1mOlyGGraCzMaddc0dfzjtElhr0FtbhkUm6RWiq2Lc7yrMbidxCrtFTf3yYphYumxMxasr3suutFFSxa1Ywf1Bljn3/zh3MfjieZEnKVtsxo7aA59/N2UFKpI3I/dNe1NTn3UVQHwJ/GuTUxc0+a9aCV3UkCPDI5o0tXsrYl9p8fMu2pcJ6Sk6O3QdxL2e/Pu+nG1gMFl7vkJzdttStrDw2Dw8DkoZQsVwAbOGxSGO/2uffv29fy4Oi4ex4+0Q8/VRFHRvKbce6VzpHiNqVcg7Rsh6QpbZzhnY5Bo2NWibj4gF4uG+E3xAweKwa1F187ccdNlCh+DwUtTQeWJuK9sVOIwooU2hf1nUkAA8Wq2w5MmNHP5eFeo7kk1T17v92wYW2tPKVuUM4mKSYPk60gmQWOlinZWmT6PaeZy1CSRJ5gHj5EYJoJBN+Wdq9sPmRCDyrkCFXkBn3Yw1S/tVktWMnAa5LFa/ktsXXych37cemaGSBZHPCkUoF3YFFNLjPiz//nCgi9gmsUCsj5/Wz1tKcrYpBw1dRbr2ZCHbGHcXCPvgFZbsEEKppKF+6Lxj2I8qhltjibZ/1rdRrDYm9kSNzx6eRkcldAMHalSBaJD51v46D8+HEePD8eNGL8CNbJPNkKxn2Yx3E567ym9Ub1ekSsN3/NdfUL3KFW86RXlLGeiReZiYYSUXF94GXM7esLe+iT0800k677Y85/xDhwWht83QJmfBr0xM/lg7CuBWEeRHNPCWIpEd+T7gaR+vmRpZ5Bcph13N1i732bvVHWsG22DJs0fTsYrVZmLLNbf7VVdligPn4MEpHO+628e+Lgac8W8Gd0c2bxU4iA9r0CBEHmC+Q49sOevllpvnd5kexe2KT4iazq7a11+eHwe5QKeoewxMV8sstrOwu+rR+Xj4fsIjMhl5p7EDJJXHys+4tzSCFZljVxj/JhlptndiSwI7tKgvDuCFUOgsO+fbtJnWRs2tdGSpWf+zI/fxp5sSoNakDW53U81Vcff6FS9FjZMk0KDcdXjQw7pu786rk1tZYbPMgS1FsPp8TB46JSNcsB/3VIIQBi8+/kDd1dI1tzlN8+2EkJP7vr8fTRo/yK+6N4XiA9bDloAjKT+uczKLdf0aw4nLXNH4X9gjBUOUGh3Bnnt4kWAbXkwltqLMHQePpdzYnGNMcea1RoZm8OVuY12Zq+1WWa91ktcF1if/bqbuc2zHjG0ndEg+UtXzjt5YvEtuiW+05PIhjs0uhXqscSeDsWvoEz2L1VhqvX1/uVXZ+5pZDnOh2Tjv8RmdrvK0s9Vd60Kv0CIgiKvUs2HvUpDZTX7xPUZiG+1MZ0pxAvGz6jbnDRM5h77jHQ2Fx2CofDi591cXhfNzuQJYtdf1K2hoqA+J9xxWgCsETmFZqUwaW4CdF152iddXLEOArOAY2O2bvBvSNWAQzVQ2C+9UWDQ1anfmTjxqdQ4oyf8+edlanAqNY0ntzyCFCsevH7385+0kwtGolkFvS4YXFLBL5reA6umkHWBt6sWqFHzbnoVcXXiJko4kMQqoUBR3PyLYTpojm4gGNmX/pd+aQgqUjJbZBo1cP4Zi8JqwTDazHeYvKbBGrdndRyUNj8kahhMJN446J0l3bJHHRwdXCVHDs+6ncVX04zo4k3ho7ib4Clo9RcI+JCeZpzJnOmVdAoEKWvSjSbMIsqPfcTau9SFKvKEM0T912EASHTBSKo2iQAYlT+YnFr3iJwHhYB2Y5h5WhrM858c7iXg2mEtiM1AsyOXDeS3KN/h1ywcqvN2BAGJ6yoAEBP+AmkhxbnSRkDJo1b4NFeMgnRX5qCWTtXwoeoh2OcxuS3vvhfPs/j8+EzelfBk1029UQw2eBojsxIekLwGvwh4gsYleRCygA5Af90NQ+W//9JlPb4ualqLdty+ootZb++Xh3gf+SjmqUX7ZGjb5cQAfBFeA1mpHL3uw3dmMwljQETMhWgycHWCGc+TdDwbfROlIHrGrVDXnxKTsNjOXbisghzQICogzFtkTHKU2RakmG9S3oJYkiYrS1LjDKhrcAMEY5xAVYYfilfhpbnjTL5m7klsqjyFw/35sVIaejdU4PYwchj1chZhhSu6xrTNVzicZK8FJojIGp8lkBbbVAd6a87o4/lctgdEpFY2Zqot/mW9DTXYKJAAX8YlG4svjJ/rljZ/s3+A5I5VXLCDZu110XyyJtkXyZ3VNjXxR+dHm24SCe7qYsbBVId+QF/AWtENkJGfVsRZbXZPQMasLOUcrlqpJB/6nkUW6gJKH6c6LPLwtwzAM7p5fPv8WL8XUKlC7X+jCAQHjNBrndCTKsMUUFB0VUtvuk7qGNNr55VIKPSyw9XTwdxURV5o5eL5Z7IRh/WZO/iyuasfBrliAzUL0bkRO95DASDj85o3JrzUvzvGaObupu8dynNyBTfOm94GYzQgi8adEOGMRXOxtNFDGPlUInWl3mBRgzf/yAsDtqGF49+wacxEI8fAi67mXjyZyfiH6Ki4xqBnR85dfCVpKMXuX8+AwgZ0+Eb8EilU1Wn1OGly6ZNeMhr+9MUsn91duDJ0+6FXC/CTeWJYYTZRqUvZHhJyLUNsY/VZcBZCQ4P9PJWdDT1MR4p4zLqK70Bi11GHQvxW3uTLEaDPOTPFZPv2MJ5tOjEUFtv6jjQHLH1Qm+fR3q02vY9F1+wjg8omYWDSVcaGbAM1DPh1Nv0cKyTsSf0LxW5t1of4OZieuXYOlmyWsA+jjs5ux7HvRR5umMQ3en7xpVrKiGcP62XgO0ssgn8JUXLbcVfBm/s52N5FxGniNzbOOD9fTRogIkP3Gid3wd7MVrVAAXv2b/y7A8rvRBN6PZ+4HeOjhv33xLjWx4P1MfzaaOe/iarVJqxp6m5SDWz+P/yDNOgF/9d/CBKc8F08vzLCap7B66YWp+syj16X+ljWhdyuRolzqcCZZrhRzgAMSja+OrR74DW8fjx83lT13k5QI/Djd5aqY4RUF4kObMMklBmRSIaYKaOE/g39SCAyz4M0Pi0YtuxBQ5BGYELxnl8Ko4v6OpMMtuGLie1Q9mSQAxZOaY5uyvw1Asl4oUYzr9KTLn1/+/Gnl2S6bnrnm/Hoj6xA+LCkwgVcVmctgnplPs5XxoZtFRx2nM++fHz+83L+HHfG72tIgGIYim4hfGsj53lNwp2s8SRTUFutAw6KT7HxCzf3upRFeGgXTumKvknF8/ojF19trLf+/HuwO+7cVD6cemq48wmx3K4a+er/icIaoh+OpTbIbGv3hiDPcRDKTlitKU/QL2m4XCRX9Xiw2WvpG1OEJ6ZBX3E3Y283n1vura7avSyz3xpIxktKf1A+EYNV9xfHneSyp3m4FyVl4Lua4SkRHgXAEmBgkL7YXM6dV8/G5ooh0wo9pNAQAc04Hsnto38yFL4z/LJ6pUBPofhnUX2XKAcqBZ54LMz5eM5mSarNmyzsSfqTpdHKYfBV3b7vmBKeHymV5EklVOO1HMt47hwIa+WUyxSSllt2mmks2J0o2KtfEjtW1TFzN/yj4D+26YdBoV9pT0eGjFKHbUmixPd9za2CpnbP0+gFb5VFTkLpYVof+1jHamSaiVfwez9z+3/zC894bpUwlssXrn2J0rVl4HnrSwPuSMkufd2YDv6buuz/8q/vY+hQjJPd3BSt2BdfnnRDqJAs+tY7mkfSJHyepXjnPFXoB/UNVg03VKvMm2xr9zYlYe2ApLqhEhyWWC1qbf+a1H3Zm5Cbi8zKV7+sFxscbQoMIiRKJjeaLxFz5ONSOsFi++V99E6DyBhkqhaJh2Q7WRuweq1lsA8tS47VDe22i92LhPPC3JZianOr4VW9i6N2V2EDiMpMQRcAWxsQJsJ0EjuezW1WpNAPRbnkICNp25wm/28+X/2MEy9N5KeETlK/nTbzkDRQSzKDhzs5p6fW5fkPn8ooOOwxBYZGoem8bCHgp8+Eznfc/yAAt/I3Q+kB0qKymIM7TUoNbCbyz6StwutImkAte5zcjgcyjuH/e6nfbosV7nJsKTufvv/1+vRdwMoyxfL0pM+fdai6NRDwje3HXs1MHhdPOp/Lj93Hfrua73cPjDSs/GkS+0n9TEstZsGu07n+YwlOfpWpHGHqwIfmf2lOA6quu/RT4xHdM/gJy2qupnThm8AVKrxGnKDCYWzf4YeHoFTFWNOJvVrynJQvl9I6M+lCgxCfdPCVfp2/RVYn6wLqMdUgjjQsOgvnk6/Cawfk/+O/5Fsj0mOw8Ds/B0qcEiDQLffbWm9RAw4v35lujzWslFh+P4wlcBJitgI0S//Yea37cL53kV0JKKzHw3Tq1OelmB5ZJJzUA1w9pR6njl+lD6UTPn279xO3h1qX/RDR4idCW43198SGd7JxT8iHNzE9hIjxA5wn9Vyp5KjNIUSNJN2izMM9tpyESGAuWQSx21kSmuTZ7+uhaWlwUK2cuCpMBow7Oe4JA3lY/aOTzAEiF/djgUJiKTRv0i5m43I+PllaW0aDn9ZCPdYqjL/smObOliFltoY8aSsO/qt38vUmw7uRWe5wQXKgEnQU0N6NjS8uQF9cSllyeRWGwyZ0yyC9gywSg/RteuAE4Wl6EKdgKJzg102FpcSpIzYSNYCjY5Q6KShtyL1UoBK/zjTtBfreGhntTO/LnbirEEm5K/EbXS0EC8aMirFioyGvyi15gA99aVZ4MkG25aKdYjbkyd+OKudmAZtnYEf0NlMc+roXOK2d+oaznwM+gQdychz/2P36HOtK6/nPfAaZqs6S+v/3X+ob+Fzyhwe4nj77oKreGMszjE/teJ8GfSzg+Vz9oPpN5qAot3n+lGSN5aFjQOxzTbuira3uxJtLOMX483Eyujn9tMHvW0qJkUH8wvE1sd4TYipLvuX65eetkzLcTaZ/p5GvDarvrjkQYt3tm+gpQBs/xYzKCg+P8pIQzjNjS75KRmt6tNUAvSW1x6uMNwsYV27j1VLJnWi+4WA1WmfhjIsPdltKurfss8rTKihqpFqo6GIYd00Pp4gueHHEx3qS9xXkewljqEuqkgFvnduFD+3Rp3npt+a/lXKWzaUSzHwWkskgrktdgwkmZ/J1W8md1qbUmoBkxIUakam9Y2oyHid5XLUFGJWKcB7q7TLBf+Li7U8tT3J7jVYMI2PZ3OH/fTNjN63XeZTIqi8FJD+3o2RuRRN0FydjIJV/912RIqPh/OlTdGp34Ycr5yCcl4lzsHlwNallYEQgklUSAvj8ciDiB7/n22jElHR/iodnmkZ9nZ3LzPpBQu2//y0W22557SyH8WE1JOARli2YZmTUMh4WO31Ju6+O+xD8ZhaPpv0I+Aj7em+a9hMTWb1bDVNL2bfAl9QfJvYHM+APqimnSSm2ztHzC6GX0TQFYMSOlVAHcjm8L7SIqaOdSQcIg3vT8U74nwNdyifJtBqWJ6MAfU3TeKRMM9u7KUYhq2Q4BNYmy7wSkWrogOuJC/glu/Dug6GwU2Yg6HtuvR7GghMZB/ocXyb+Eb/4sC660KFi8e2kLH3l+UtU4MwoF8etDYiju6AAefR35/HxH5/zknbrQCA2sHRyIjs9k78XVQzfyLvhBekulqH2Yc5fa7Y7wtL9q4QgNbD8u+oVHMokS6JPSfuOPku0VfKHxOKUybsUgWDtH/0uzaqP14N43/sYCaLANE22HGd/UAXTjT+bgjGiYsDn1GzEgcglc+Np+vlvAJkOko0FJWjF4qF+hTEVcuozvtT6QySGUoQ0RU3RkvGbpWHEk439Kq02chIws72bznMsJJR0O2o3qOelEZvlVprM+O8/z+KH1fGJLcHdm4HP6oGwXBKm3nQg4SyztKuqrtjmt5a6MhP0M/JDqcFhFplKDBMKJGW3T7LQVusfeWnyQskONpOcVQB/pa6RBxp4uFs0mMRGH0t1U97opatMSXUxdEkcLDJ0QxutCeKbCGeVrcOtjJHglpu0xU82rq/5FZWWlNxfuBZUn4ie0/PLrQSD5N8JF3E3gQRWmD9xPTSlejR4syZem/oBFJKKx5+zqqRn1xcZfmEi66kHTGNvbpcvtEiQ051tJIv8qGT1GP9IdaneJeRhFdp273Xw/QaNUl1eCtsUYBYbxWpFjEBgPACU3IQ/ro0ibiw7b0NpuJwWW/1OPn5berI9QwGe80xj8NFuFRpuWEk6F9Yaw7JmjhNSqDErLfPIxaod923VmcCHvO6WkqoztkYtIdFiui/+Cr66l/cRoWKQrTdksC8YTvmdFjyNVw7ck2au/HupCnctZCfyJSyQtyzuMGOR4yJ0kolPFBbzu321B2yma4b4PhvehRk2wH66w7GTdyOKRphsSfYCCEoLDGkn2Z24RFKsFdOirpsrDMtcJCdB/fgmjNeyphPS0eyK6aaXCpIE2WD0qAfpQfvsPsDSIucFSje2SkmHHHBbqI5bbOjw7yqmMNIoNBggJ91oo5Nv20WAlxnk3nZS8yzddmLL9vWerL8MupPvnfv73TfdGLU7vMpSYQJmODNIj06RdRHK3TnNw02Z1UJgesUrmmFZiQ931U33Qif3Ypvvc+KH4Tzx1aj7/vmJk1LDKgN6sk+FHYpsVrbVqeSMQFnR7nlzvyXd1J25xZEHZ1wqZPdKLO2+NESMBggkzlsGWDMUcSQTNn78jQXxfiQEWPXJjIbREag3xRbokndm1YnOPUwf6kXu2jjGFwhqMsvVCbIDS0eKLZ6zJd6VvBsHohKRfUQrFzGjOpI2Ze8yTeJXo316nltr8aQzAM6rTqs2UAcR48KEg3Aqdf8NAxLx/zJz36k1yp5fAO5UbMcticIAlvD4OhpWjp6o7Co0Qw+iM5kwr/5df5pbqcw5XvP70YbP4O5aPlln83fHGf9H8a5zKIjI3A4J7AeEWmDhtjpGxkrXTvg1NOlyktA1CNshbAZIdoYFQCJS/z+QbyPP/phn/qcyXTkkTKS0NPAA3Nb40BLYj9CCTZweYmgt1VtDHMxYybKdc2MHJaPGEacSxtvp0dLqmghuTyU38WEt+wRNAcsAMqO30YK0cqhqpiYy7KqIy6GVgbEvENXN/cvHw2GS273BjW0ILRxPsC0frTSglI3MTrZRKqQUrMPC6WlyLJyTWVmtPI0tsf6VovXq6cIdD+YCCimzUUnz/oadkghvLgnKAY0n9+4szfgij7/qdUfUF+qWw4gD0LIldWTqvGzF4zj31CgIF1mvgVMHwyYGQlMsjEPSOEyenv6Z3vYGX2R8C0eC4nCEK+7//u9QZv97v3T0Lp0RKTFWOhdThgetxWEL5P6qudswYc2PxqvIypMMcH3DUxDGx7zbv3Vl08y4JGa/3t+6lrhnq5evt99aRFbGdz6bW3E6teM5uBFnwr1xAmALPXp/Bvi3/m0O+HPMdJb0CyGHujyTSeg8SZOpVsfokITk/Lj8wdWSJEhk07YssmXohSW0k0aSkUr8aSQRy5pGKsXVTJkvbc/7gk/bNCsMaNMgMvwPAVHQVS3NcmH+MWKdQpNlolbW3I79ZGNLBHBuFU8c1GHNYTiMnVxpla1qlzmNN+3P5S6uQnObb253r3wVxiaiZmYmPhmqz4VMGA41NM86eIfCl3ocnCHRbyyPdxyz44Tk9PlXa/PkhJMsf9kzjSmIeznujy9fb5u2VRAUWf3Fj3uAMQcPv8ZV0B+CnDPX0lBauqtvELXR0/cjrIK/Rasp3gcm+7RE0PBrsxvIjAwI99g1hvK9CKDoErB6UQtpGA1G/xBJX/xbNZE5IFlBYbMF0P6TybynEov8SRf0K/tdb+tPpW4wnI03++Rp/z37zkUkrtdVm9nUlWQsY996msoHjTryfPP06bEph1Q5XAtYQMRI4MP90GBkdcfgORhIE+OHwyksnkU3lIxFuMeKZsGz+bd0UgnmGfAeqpTvgxadkR+eta70DzI+9opajeeUMEm/PA5g4fCvHTz/Uv93+7vVRo9hDaWQsBVRnpb7lROqd7ylHqooedlN3yEeWBne57rpWXqyStClEWlaFICe3bXw3wGbWnfTukPeJCVYSa3OyKD79Il3Y5CFxs7tvwOwCfylJkzUR02YcHkAF5jMg6eIOFqszFY6i7ryr42RBZpd+kUQS8YFhlgxlQxbiiO1xWxsFzUYQAq3XVTNfdeJe+/cQWJvKyug4wQ4oEN503wNw4Px5CHcRR6WJTTC+JwmXVHfqSmrqkqZwLAsQ+MhpdssJeTSV19jWk3jJJIACo3K/VQAfOVCPVhifXJWgWOrH86x3RQ106OanX7sBwYPscpSkbVBn4CWjW/CvEtI0K5QfZNEJ3LgOAwbnR/qdAE88oXI1TklheVwszCijGXmNtDqshNMGqx2ubhLbQk5AvRiSJ3J9ekomMz6pTML7INYrIfawo38fn9OCT8HHszAUOQSzk6puBQox9HNs7wNrZ+PukYpcNx2PITQLeU/e+kZipmlGAErMRswnCLoSTgJ4UqeCmtEu31XyIhvpHidY+yNKSSb0qyraHBw4Em9SdM+3Ike9CsoxTbAHkjABMuKetMWfguxKVa7JUmL5Pn4rKaTJm3QYfCrTeKtCQkFZj+x6icurVgl/xwowiDd1H561mwWjJy1SPcZGnFLEMpkZMPQkiJDXGpi9pLYYngmpiO8LXhn3iXplMP6XGR6iKM9KUhTJubqorV8U5MxLodYl+zNAz8MLGzho2ImSBs9jTgWTDuGFIe1HPgnDFPE5ornY6hJ4cjZweh51Q4SxFH+5wtkpE17ioC+sHCqLyZZ6P5g1wqemKVpUBrLoYoBUrzQBAPY3hfYRvXK/PFjjqWko8I++XmR19IlPYbcoaSLBMitQXLwpRdt4gN8w1pD+HGl1ybwP1jktaF2sPv3NHAMcz+Eh8JYsshjCaYYvSwT+PFm3759TYlnoTm++2xAerCZaF39uHiLH5fjklMtHR0zMvk3ja1xQFvATlBQ+Jpu4xOgdgJG/yMV8Do9lINeO8xq51ePk1nTyZw78cX44/PvzmutX2rFE+O02xtMGIo0awEsvMlozy13QPdWca/0Qlgt6bmA+eJSVDlNYa8CbUMG2aF+axMKxPhSwx011GBzUIV03yQzF1/wfggKmMqfABupdkUPD8EZFak3S3h+S8mCh6xaSSylYQBwQCb+NYxv7nQxBaEbtB1xascjGxOe7Gv0W5F4peBkCuvMWhZctptwCB8jlANUrd0BCmvZJuL7wCgV84ZLQp2naErAqbRBs7QKlHXMWiJAjA1s18+88E4bP4xPHMhlGozK8DxcO3m3HQbJ702hBs6VpD3yNAMNBQA4LDIL1OZcFYRmtx30thD+z8Q6gcFQdVpJ/WLvClJu4yt2YY6EG0EIUEexTFu3FvP6xEQ0DoqGAspVg7nSanDhapmYWWRV6r130rJbkqvAWFF1T7kTVhT/7p+awuuVJ5C3+fYxEB7uvZ8D+So+cpRNsYkWo7uxfLUvO3aeY+4IzfkcRKfSCWU+zHQqTKWNQGQ0WP8Tfp3FrqTwX6wGQhHfJ1Zvxor3Ybz8j4fxgrgMLjmFnUGB+ZR+1a9C0VjcgOjmta5K4Y+RO3TFwNkpzIVHdYwUDC3xwlKEpAIxmM0XANSO8ziHUjx2V+JDhmtfJ1cSF8jOw279939elAGNRR/UeokBVIgJcgpk8aXMZPDBj+XNCwdmDvSEZfDUqWrlLvXe18LGvyJ//v2PfFASs3tQGXht8N9cYLjRE1QXZjDPN4CjYMgSKVk1f0a86c2YyCTeEMIbC/GV47uoqQx2mP1oaRilYoMC/4OTlHFwnxbJKLdY3XaYJtNPn92yZTR2jgOyg4G/cQeYND2qGqC3VuGcOmSnWfjeGUuMULhqihOLE5A8VESkDgkPmkxhtJwKuCTKPLI1Wp0QcxTCL6gDC4cHoumk1SIw1NXTKqu3LSFxkfdvnqSJEtCM5lcez3pDDYecQPjUiaiX6ZB7LvM4AgFeXvkQf3m9l6zjANufiwG3jQR+fhjOZRojEu1afVLDkgWr6c091SSgIUD3KysUAcAjtai9tRHgpExvShJMZQ/Bru4lC5mAS13+Olu/T97jnyz+VybWioUDurRpFl7N0VmtsuHTXig38FTtPt7EQ46jsxSv1gDZ1yinhLA15AFayfE3OO/VhRjBEGakxKm6RrHvTjdigVVuCC+mha4IzNODe06eq0mDA1Uj0djoeSb6S4xXXYxl1QoK434kat7HyYzxQyez7jJ0HjTYbq0yBrp8b9BlMgOygzEAxuYQMAj3UqLCRtHgL/mKBoCE7HkzyF87qe8ABqPBZUXEuwK8hfO7CnpXUwsehT85MloebD7sVBjWBY+0BDRK5W6DzLi+GcrsatmkEkCzzDRVVHTGGkszaYhi6LJVhXYake4k28wQw2lQEOtu/LEyMF76veYa+CWHha/7FgHzwTyD08Dks6MEbNqmJ35NsZVbc1KPcLK6nE1TSnd8gTDON/4zYMCQa+oyFaIvDh02XN+KpWORuUfdKRnTGzI7qEvS4bRXzdNfZoKF8R0OIVhXO7mdPknb0A1dhoGNsbVnd8hK6vNvs9TbKmDfPZWea6u2vTRfytBdN/K08ISnxprkoOZZLJLTRNClyVxxv5rS2JTbMnOrpeMfmV3E3wDxLmoHXVBIqYw0zJCKQu9gY1/KI4BnjvFBpWnUjy1mxbqnEnIfGKcHWXQ2Q6vTGvjIs0C5LYIg1IK7100XdsTtKqTQSTI6ZYyHAJTM7e+PHbx7q0avwbxLOUat+n5aiOgplumrF54Ko85ZBv517rh1R/MCbdXs7XbrQH0BSWtgCiZPn5I7QLvyXtI+gmKHtl+Ww7dxxWGkkCvVQI09fxafW45OjL7PvhYiq4B7UuRpnbGv1kiW/4snpIdc8Z/7aPAdE1lbpp8OsTZWifliwhxoHGwKXClRO8pb7G8AEWHnMtbFdjs0wJ70LahrLRkxkZUnDTxdm9sUnfxi1nS8Yb8hVpKy0d+tGxVrrYK0KdnVVRbZk//ksfLtt+ubOFkLIYSHaRyhyA5aBgWgxJhBdgsMbuVJKpSFfDcVc+sS2u0MjHuEvLTgW3oL+eEO003npavhMsVWJcpM1pg9cGQlLpy3zBVXXGhb4gHJrQKZoCOYZnGz7goiTp177MnNm0YHe71kXpSHOEtRynJ7riVK72h2LJ18tpHKFZjNdXOQJ2beDQ+dx/Ff3cfFIHQ/j0DIlDa1MudH/52KnFW3/6n16+ioUjOkqpaqBmGkR1yZE1KU3LnVkt5oh0xUfEhv7mdnBPKEkBrjz1XDZo8TfKtQCzQPW5Cp8WYwzZO5jGsn2q2JPNDOb5G137RrGypqag9IqKuVLwh1UUccZ3+9n0UZYmEDCJCiJD839xa5aACQjz9d5vCC/uA9XovNeVjeouz5IUEuOQ7uDFqQC5dB3WiYHGbHe9kgM0oN61w84Wt4r2GP08uWtK9dh5oDMa70+h3397hyd18hC6BLCP7rJ8AXn+Hg12Y8QGHz7dvXcvS+l+tlFRyueDIZOsy/ZuVEdx4MShQ1wP31JrVPF1MrnaZerSpR8kQTMROtfxgJMh7SeRfMpLBLrC2fN5PmS5gRPqjL76fgU2aiGps4GnzKVLhEaCW/cX70NJveBKmi4ypynagh+rBoLgoB82/qZH0VLhQQVDazvl2y5HfZikoVl9muSTUWthRUaOuuSRlkfBSaEBP/4pcRgPifHIK8zkbfX2WNWFcKIpBHrR2Kjb9Gjzggbpbw3DaVB81dJqdtWH4uc53sK7ixvq2MJR/N6swD/8pAnEHSs0vAck34sIQQIkDvbGQiAmM+Lhz9UFOn3q887nDP6yBV/RiVcIbd/jJOti/j5Bd+ycPbu2obKGm+PwfWgWGsZSZBiXBg7VeOv+nIdiodwVi9uiVjYP3/wFhXCXfK6o2CArepBI0jVhyMY51tgGrloww9SJrrMi9O5lOfwzBR5PH9AP9QMy9sYgGMYNfkIJmYU6y7ILXv5F+jY6jxG7syqMAIN1AZjCVCZOKwJvFif8SqomahmDJm9OJ2xJj13UDWsTyJ++umtDkU8f61zl7xCkRZvk2P86B3ugG9uq/St0waXM4pZ7kkOE0aGYhPM3fLskp36ib+G+YVI5/3zEwtTji5n9ixcDZHL8ufu7f30+cvk/zRYAvuYwbAQflO/737jZtB9MzxsaWR9UZSC9MQRVrLiBUp9QLs3tMNogZVrafXG075eR2lyeYyL+hegXQuE1tnO9IdS3lUFbKP9/kCl+uXqwoadojhlKndokk3CRIIjFe6ZJTfgwQOLHMT1/DSfGte3o87zX3HV22raM2wJ0g4FDDsP/7nYZtjgX3KHkQ9K3gDfgmXYK95Q6fVRofH4M0nm7Qf+xtS6I1CkDYfrMwQWkZRcW/D40EKLmYkCFG6kPRlCMFYaYeSlJ54F9E6D7JYulL323Hu7pyfePYQz+UfIMoyd7INc/LReGPtFYHrej4tGbFD3hWOr19/d76FzQ+Khij0GEGTuDX4haA3L5jL5fWeVJLS/6LXFt+4QiCCJxO2YStUAoa9dLuSABIsDCxgAxCk6/SgORKADYX+TOHRI2aauZUgCJU0N+Wwjg1Uo+wu6qbhvnYkWaFCV/3Zifcv3w2DaZ6YYIiVAeSnTf2Fy1zHBoU0HJjLt4HxWEDe6/Ha2xODvnbuu8hKM4S9cFOo/H1s2rhM1DCT5VagtAtc3usuPiPoMjThRZXb3kVIoNCzpRs/UQRrHeHzbvfhRaZcL0kWBii1lFrzYdKED5P3w8PkveosMZ67GS2hFMGGRZV9uECXeEd+mahWk4858mNbWTn2TX+8wrOtwelbgVvKXBBpBZti2DL37d0KnHMZ9dapYbzgCsC32j21OZdoLYF/wLadW17g04SIgne4m+7Z3lKvIAm99LcTwac7ykJnle/IBHwQGwS6RgnKAkdVRC627DleAe5mDJZPBISsnkObAd+IoezpDDMCzPO0GioPwv0nGMnoklhaDn25OW1xYLrO6FZXWe40qRpI1Ke+wiYe67ryPphC4wJ1mOaRwIiYk0r0A2N/3xihGee8MhHIlOI/y/sO3FaRNUFA6+YSGKzWgeNsvU0+FoKExTodQ2FAN6izp+Gxd14Tg+xLf8YyTv86JWHj4RpqrAYGQyXmA2sdQqi8QlDs0rX5fZ8V5KSO5YtO3gbAG8jHFUs+O/a2IBURxzRzN61gB4t1efaKPQ8n/M1r6fYxt4t+mx0v4Cu62scz7pNZxMhbNVC3YSbtm15Bs7I3V+/uPhcSzpjq7hxIHzqjp8/HgYT6+delBUoKWXIXGJAxiE8lJho2DcgnsVzVpV7Ih4A/6WWBBCTCE2vrLVGBE2cpm/g1tR5kqViA7MZpcZcmOLllxsPiQ9oxfWOxtTQKFWgmQrmB3ceR2d99i39p5hi5myS8TM1BIPc6FJZ2mNiR+lIAlR8iNjpQRMfCt2SqIYw49lnPMsmg6Eeav/q8kG493ZQtrRNDYcckzzh2ZcJIgDZsrSCQfWkoPDVun/eUp7H+f393CBrf1pJCLTPU8PMNbaP0w+WteMrqXwyo3LTDaxl00ct8R0nHepwv8Wfy4291j5Ug7fmWzMHagI4gPSJoTof2rECua+esW3Z94BHma7IsUOcC1AglpTBa/StE3kcpx8y44eV4/fXyNWp4AM1GOvOMBpa1eIp/9QZXmR06hicD1hqaGCXvHKivlmVZelxJxJbc9mlSzyFzWwUXSqs5RcdKn9clIxmGBhSR9ytBtd5ChXbrrm/mWRLcqoEQ5ZF73JmTupS2Er140yhqRm1vYHdeh3dC7klTQ9gFlrv1t4S1mRRkqZvrYyf7Kk2cV4mJstSxTIo0A8mJY18l6sAJP0wUikXN4Mox8IkAeAHJMJckyqnZtHgypigzkiv8PdmyEmSAUfSh4dFaZi60Lr8xotnqADd9idPoaa5il6pdq9KVx0udhCe/KZqLbfYCmFt14zz84rB6maVS+U0Tdzwz1qKiwXmx1+UY/3wntc7fKhd4oE2b3lDkuHdSUcPEqMgmm0sfnw4IGg26YP7uklaBX0wKNSN5LDZrY0REKLLunWE/b1MdxWYPZMiFQd6iAvCL0+L7yz8mT+tUsBksBZ+Y2RZxb5nSP5gReSWHtHQ02Hw83wswQRbQ2G92U1UI36ls1kFV/yliMjOBdRtQz78j/YI4fm3SpHK70IiQoDrxTzOSNIEDoAZxrc4SyZqgLsz9uM/it8Dlt5RCfr8yG7bcQY+5xhcEEn/P7qdqlmWy5zLf3eQw48HonZO8P3oO/NhP009Gdbhp20NhVx3Up84gKZ9haDBpPF9LaBNyq+jPk/qZapHED19B5pkbW9O6sSWKYbzVNPcUMQUazEbzwcJQ5lcmkr7w7nBpkzp9STbp89Rkda2DCuma+5XarNCTMRMVvEZ+Wc6P9R3aQaCdv2gNgVnyTsAT1a2ISsaiJnEeSNPAlyjMQda7o1wN+ztpZALTJjKuwjJqCRP2nFcQ1eO7BSbZ8mVnEqeKzN8gsAwLNeIyVPIGRaPUKNNcLqM9w2mzmAFpyqFORasmvW08mibuRGSbeWiVONMSO50pf/mww+LLmNXsZa7Gmp+B0kcSqKTaljeRcDSUNlDywAWscW6OXauYxNV7xesliVErlXkIF1rxJYvfrMSjeGNE3H1J7WphxfyoZPjIepcyWjL2dKz18n46/LW8/BKrSyUHI+A3ndDxbeYQKi+oWjvPsjB8M9WKcN682uOjAs3MIld7KpLc5KN7ftm9IWZJpQaCZpts/IeldE3iItDeDFDnqObyPPz+8kulAnUtTjNILh21ZfONYKcqeVx9IfvBloFbUBUl4f4tJ2d805mmaTLzerNZuvNjE7mOcQUAfCJWm6KX/fIAPzuZG+KwDuCYqB/ZsM4zFMvYtVY7FgTjbf+kNmn4IVENb1P5li2pT9kzRm6eJS44ILzNdqJ13BR7niB8+JpeV1WF0SxOtJUDSYC2NJiiCXR7a9TvsTaZJpdw659+3ImL1+3FyGPPqsLYi6XEhoOLPyyssqscpcrz351wGJ8lc1lCU/At2+2W7OVNpGL3rq+CKLw1CjSqIo0xy5t07+y6CW5XdVDVM6osQ2eh32ZxBkHF89bW9b5kU6LukaeBwlfV5RRBfUX6pkunkqqlN0tRzBKGpHk2XlFx9+2umv8AQlTIlavG30CnddK/CuGxxWuysfvzDfgBw5L7u1Xw0BL1T5SGQrrJ2j1NYgnJTZoS4aY9Ki553a2NPacAsVSdRY+YGRDILDODQe8tV3uJvVDYJMDalpaKQKRpPNjrk/VJGNY86YlHLffqjUHPOkWC10uhb+9YpP09s5xJqfcpO4NjacYEabaUYlPzSEL8Nh708eWbT6067DiL+YJH5czamDxt5jZEYeJVEuRHrXNTKJ9z2N+VmH7AVTsBF4ODrXTTecv7O3gepY1988InlJ4V0daihY1ctVf3r28Z4Wc1RNV05QFXUGRmDvS+OYpZ0o8hzxA2HhSFMP8uc/UmplCJmTgGhM2uumEFs1vNUXLu6EoWxwP8vu2QpjSTTB5hTvQ7DuoDXqcEQCS9rzhIm0We7nkGxIGx5yPLLRMk2DPAufrA1VuRGGDXP/yhNUWebomnh7Z7mRdm+kds4leHT/6LUzckh7RicyAFuWeBo2W9hTaOsN3/Axfsf/tLpsfHwtdY8ZEn7XLSmBjSEWVxJ0J5x4PwrxbfhP+1HktYgfevBJFbsEWMgY1Jk6P/4SQ5sJt6MU+UosoMmy6lzwjA49tzcFfd+ARn+p40mj8kE5MNwi0Ahs10zAtH6kJGhzax6qwPSqen+GsPyjB+GrXdsmJLXDAcZIl06KQ1fShFoOnc5DdiJ/b1vMU2odWQy6gajO1AA54kQJsPnqpwUKvk4UFLCeNcvK+i/icyF6bqSSlFCCWJyQQIESQhMi4uMOxb0eW5D2i8xuYXRKC1dJWybtlTCyDqW9VAmUFv7rjYNqZXrUvaPLGTmvojpzDSagCpixR6s5EI3MTctCa38at5OTZqCxO/ILpR2T0EUPb6RjIFqs+N71tzUFpwifaLu0Fhqo+HJjw+YHLdBzmYiVc/tf5F/hzxBiV8cPhqCdfIlRc3NAUSjrph0jR8/oPk//A5KOD6AHgliNPQ5y0x2UBD105r8MDUh5Zbvsz7ciLIWB9aigwt/2W/cp4lYXAhyJmiW0hRnx4W3b7LpmHdUJ2jpmOZfHhKrcHsVqpmUv4BSLspDIot4bUqnUitbzhyRPNx/ichvqXmxMqE/sp6h2WUd4CI/8r9GMyjLHFKRwHZC/OCciL5VYK9ymuI86oVKKbsZYfxqY3DXkvUFeSMvwWegecMYmvMZ1VHW2KoioRTCPQwLUR+wzAlZB2QsjNgjSrAJYtDJFZLJ/3UWbR/JUKj6R3eplrOLMwsHZb2wkQ95VYpwN+J8QjKSQ4Lv/9lKKYQutxEHNCNrrs08h5QastkfmLXRZZu/m4V0JqSdp2eDljAeL2DhI0GxoeE35Td410C9VlvNQOdVqL9eNtZOKkNF5al2Qx0gohR4NsiaIHQ9cpQ7nMHoAQZbXfy3JJVOU3xyV1eIfbraypN1xR9vojWGZvu8aDuCZ7wab/jbTtxFABNPHhGMfyx8CT4jNMC2DcRZGcCk26JjmIUyZ9YTIA3N03CZ22MescEGVM8kKNgaC0m0ApdrIUEeYqMOsaVPUjjag3hwzLwu7K4hS5CXOjlTNu2ln/DoOTbpAr9UgHLuLJF0BF+yJ49t3YDjYvcl7kRHzw/Jp3cOvhZEr5O09DrzLp0mPW+Ou5jcGSGEZjJuDSkMGx9oxwwkwyjaiNM/ptYaIi5p5rKvKx0Lfllbzk9nG2A9eVU7qFkcFJ5xKX0m3XFpFbwvxoaDu0UYUv1Dwy76zZ6SU6dWS0t2AmamDZao8hjijZVcY+8e4CagwJ5zPa60RN+YfSso6DHBe9/ysVlCWb2J4Nc9QpTq/ecJvYLWR7CUBG12Il+35ke5hCu1kZIWq1hFF0gFLRbir+FA1rmCHrFSJS54iH1qe750vS5x4CMIuVDS0/fSRtJO8mYkrQNDwSU60X1UGSR7qSEL3sU3A+POqwfmalTdnUEC2tG9U4asNKub5bZuE4EvFn++k8TQy60UN+XLB0Exbf4a4zV+l6yrm2gpYalrBfOf/+/c4Qz/8LAwE807zV1W8ZVqyDuEgNVBuRB4KVP5dFaO+FOGmvHlTXhqlsZI2H61aJJ4RBcdctkZYBtg+Sewk0tMTf++C17WJNDSWBtaoNzaUUuNgQuv8vsUJngw2akKr690OHNMmZY6BXo3uU9okNvbH4FZJ3QpWhaMeCeVmjmfuJRxExG/uPEnScay4Yj+qquExCCRfk81YWu+XJ0JparW6fXQYnl4/kPAw2WTAvncBKqjwe55QNZbt9aQ2jipX2NSd9VkjYDBb4q/fHzC6Vw0uCQgYfH/RCLiBW9JpukbWRkPPhS799B42p+HZdvPGm+ffv6iay2zsQStrNsBKDHEU9HK4GVw/Blg17FviP/586hTV7F6e8udDovd1hjhFV++jJLkfcRhakvSb+wCV65HdSIkD0TFuRfr/27iL74ky70aWYzh/xL37+L7BDGw3tf7H1QEHc3jg4zmH2Gx3g8+LV7nT/I2fOW90EbMQrSUKI4kYdFDgvO5Xng/9Z6oB7ONz0d5fn+aNr0HuaB7wo7qPsvMdlkW351wsa/8WwQR/lHbM8sZZyivy0STXwT2X78JVp83Eoza4vnUf5MarG7smCoi25ys1239LaNmtdnmbtv825Cx2+KX3dx4ASfQY23zlPE4mBNa+oP/8hRgQyza6ts1ziD76exmsE0wNw7nMTZ7/mZPqlw6o1Mnhb+hFQjx4PI6Syc6L0ztfwAnDHG/LB0fBy/jzot78q6D50aqbmBcTvsP/owWJw4iqObA/liIiI2wG2yn9C+RRIRAxvqMu+/rxxTzAUCXzRW3e4KNkXkEsSaI6mU4T1fEPTj2iG6EgM62SCUOKivdJ+eBfPTXWYsoHyHSZdrh4rJ/q61co839KzyOfziiQChQrudmGzko2xjgbEUm0mweJ8Osz8DueSfRMrXGu40Zo1z8srFicYvILxXwvWTdFvMX47gFXHYkPuXNeOY1tQt87VdwvkmMZjaqpXjYrdUidrGw1QsDWMumIfIgjwoSxlUY1oNjLeRpKWPh70OpnpScaOI6RRZ+MBNMFYOJubBTDTUGIQm0XhZCXWRJjQlK1pHK/Ap9owARZQiIj6B4E6uUyo5/ku/sAJ6nfts2mnTE2lle6AkVjpV8/8a8zSha9i6ifM99MKCsUPPxboGOSWreyiJ8CkC5LEQt2UaW0kD1bPI4OnbxJF1HUqIuGFJvp/fSbBIE9cTaOTMq0ZcFkHuZ6L7xrO65JeojQLJh+lAVi0NTUHy7809/yW2UzE5QGsv7l//y2wmrXVTWLr4cOs3iFVKkBZEibuWFOKRH00YWTWzKhTjoW5RvZ2usD++mxTGnmHq+FbboAmhyhTf90MVFJqYCKxuS/+InBJdVnFfsWNSiASIb9PmNkTextkiu9gm41PmCmVWSr5GikrbL2/ujOnGf5pZ5Wxum2iB4LIrt+FJlLKOvpGrLK3WCPwx7lnYaGRui51gELcaEhRB96ZcNWN1508n9GAPD4M+fgGNONSngYo65ADXHfcf571DbJTB3dLezJHx6+BnM9qISmllmLAiBPTFWjkmMFcJa2DNajQe5hS4NdLNzdIIeA2XqBcZghPn0dTb1qqXy5BfpIjYyxSeRrWSaSQoHdztJqoasjI9q+VDkoX9XGiWXtTvyEpq+LT7/iIeqPGXhpq8kb35ssyOb8trrZewNzf3lJxiKVH38fA+PAVXBlJnJtvIXjBskcKUQ/2WtLJACII3bbgwzDsbEzV51p4fogDMFZFs2ZgjEYXYLMAyTuOPcdn8L97OrUltbNvSf4X3etiSSNLmwQ+GlAQCKxOBLugNUJaViQTY3Pn1HWPMuQT2OR0dHX2Jjoo+e++qciZIa83LGN9YOl0WJ2VRP8iwkABjzCl7rXNC+nrR79/jdAfgZf+kE4uRKuAmMfU3j7uO0SSdyBPcIAKoU5GCI5gEdWyw/klwgUoWuQmREFPpfkmGCHt+BH0muu8bFCWeMP6Ht4/yixoxgFcSv7j20dq5SfaAg0F/8rF0ur/h+5pOgN/gq9ZmSLOULkXa2SyUurd7r82L6iSfC1wiUPr+8bZjaUiVn97z1zzNd+8iCMwJX1gZwBFU4nIq87f78rIT1eJDhhW6XOPw32nNjI8kkCsVMvB3Q3EeusnmnfBO76gDoVAwpxPDulnVCbZe6MNBDZ+QtuxGcSeexghsxQuNRTN3kt8tdHckaBlamDQKdyCT11CC5eyT6INY3qAm9mySReD4n3nEYjRHlipLR8jG7lOO2csv5rLCg5w0Gdnm6rQtLmNnNZfMMplZWNJ5Ci5rHMt2mLZ0IxutJKppEF3Pz7sb7jPpDQaSlrSj69U87uPMsBywhgn9F4SXntT3iTgemXYuU++2AO9gGuv8c+gdvrbOvzSmO6f9A8zAursv0ouNDc5D/h9VMFWtsMjwtmhSdmrQQyPbaC/4PcbWIVDSa6CAOjefzqxODBLrLhfXXPfY6qdFVdAvGd+hEu8TVY1K1/fjdSeADMvEpXwdseBhqzXvI6YyreA22vD+B9l9KaZ3Auar5j5jxUBzE+bK/TQ5yBxw3Z20Cl/b6Dy9nFYi9qge9nS+nrYxlIVhJfv0WNUDmD3LVCOZiaAYA+6kN5wmw2+NbBSCeX6JI7dZfdiIQa+U15vIYR6lF9TNN4OiTGdW5RqkDH0xhN4RkKeSZj5ak7jjTuPOoPXXduLXGKPESd09LmqN/crs3pCqBUg/c7ZQ4Qd/6lndteJ2cuYo3U/Wf+Ui6STNF3n2tolIgwF3YVg41HBhewh1bQOR5ooaeFnRGsDfArQXJD0M3mgnT9xKMntPkxPqIVaFB3mEsNnheeNfrlzQih7ybJYclxNegD7kkuW5KZ2ScpnqA1Ywv3XIJGwpF8aQqw4SVV8OsHPv3Jo799/pULzmo/7wNL7ulhMpBHtbSnshfi8U1t9rvdfdykSKMfNdF6qRrdcSGDt6UtFsztBSUjBsC9WrmAYyC5uVwlqY7Ml5hhHqTxFOLdOu88cyCyccNXZ8dPlFsnuqjgtH0BQvsSXbhCrP1ND2yv/JxejZYCTsnsgumBBK9qzL6LM17a6j66F4k5/Ok0imoR90LvOhhDtJ1/ZVlFCQIM7g4hQrkCDyxBzqXux3vec+Fd9rl4qxuFRKmQkZTyUTUOSDUJsAIUTb2mm4fXFaOmj7sH51gTuvJFgkbvdwQQbcDegELCSvDDOW52d/9fz7/enuNcyiE2yvt+LuglKVht8VKurIh0r93NCqz5TCj2shnEuUX2bsCFj8pJ11gYKg8LtItTqIrc4NOvzFR4PeU2vkPfAE4nUyiy216c3rfK1xZx1LJzqiuYkF+2KMeYB4WfT5b/DK7GVralHY2eGFm29E7orVrXHx4i1IZA8yrgNrudbNYCOAlFmGI+zGzuvP1jTOZ5qLBZlN+SLaaBCK/ErDwh65uZMqiqmaWfkNvoXmqVoUqmLwRLj0j7Uk95Dsy/vvUvLnpWhVx8fvMbY1X5s1+U0TTUWSsSsgHeun5Q1Y3ZOm8xZDajLeXawELYCdJvLYmpjpT2NnYSmd+OWVUK/Y8eSGxckEioCuLC7gWyiOobpP4JJBU1vbJ6oqOr/T8fPonwTfdjhRL3OZ14qfRtEDWMlvY4za0aRCwi2nNwSoCeNrvzKAV1Jqhb+FgZnaRDABgRVuvlHIBHQKIm57PZ6r7ybMoW6c8Ay3qu7Rfqlt39VIrsc9TWH+0C9fjv8ZX7cjKtn+tOr5PPKPeXoJeJDhxKEKSJXodKTF4HWJcK8iyF1cZoGC9TITxYnJu8msjGrvA+FjNB2B+tH8omAhvSe6M8ss+222ruKZPVQZNRAP6eW3sQhbi8e0aj4uTMEkEhfx7o8wOrchOla0+K8ek1l5JVNw43jrPwJCh35pqX8c11tynRsPKjwm9+zETbRb/Wxi9BDAo14LYW+YkUxaiHNlXutAYFyFiYCvWJhpGjnD23h6YxUqI317wm1OWq2+tSIDWNZx91WHsgVfsIX51yx8T47mSYY+3QRmV+prR9AZtV08JuC5RowvK9O3ShUEw4EFLbAy08OPrTNfaShiWsldD9p5I5ocI42MD7Ht/VhofoUsyWpt6APfu7YSL5i1Xj++nt7PzeevYw4HppiRZzSpyNfVQNI9Nq3S9HHbwzfIoBUqAYPTICT1Fo4yWwklLgNrjV6iJ0iXeRYeOIdNau+zgfnMmr2K37E5s6Wsru5ejeaQco08Tc5SvaaRs8iMO4uxUBdJkB7XosuSjs7yDHwTP5jJe3bhYAs7rc4uPT/P398wdbDMC58nyiIY+X9a2qDrcvnICxpczfMyr3TwqDdRFN5u6dvCRQJxYpl6a1mPCxjGpEsIHAjDb50lFaJm7oydsPPFObbeptsTQs9eYy+JW2+eWQIgSQvGZVGgCsxULgg9DZbtQPywj7wHbhWRXiHjMXMnt3vl+z0TsGfpZxoZtDSUeIEXmxgdYCsWYtpI5JocV7L0MBfd5wInD8dN7d7ZBEL918OD5SDa/yct32CBlCKpnBlP9YYwbdPdwcBDQeJQwsk0eNQtKwSn45QULwXVbpiPobaYZ8GGP/GoP9xwsgib3enQd0QLfg8g2NnAy4pvEdINiOPNGA5KgKPJ25DisC9HH1SyybMAkOAVplSWeE767yyOz9ABeEVj5BB0+149hIEoXqPNT+V+4/BqStBB9ck1DAz1nLu9OpoUwd0fvtm0uMlEpyZkFmwcIvLZnYuOOAtReCu9MVMOrFKyxEg5fLG6bzOMsQC/QLr0wpkLmJBcM0SVMvBr8lg3dnZ1/zlfzFr5INy34pr7YZJ9bvP0cmjlg0TWixPoYLLgztwuMmUAv7lK2tRlxOl9s9ub7uzHJEapAckxDmaUy4u0tFuLJDevW2Gsc1hk2gcDbLIbGNzQC2ZJ9V1uMKYRcOxdiAx8YVapo2n1RdQga50hKoWIpUFhBkuoUyEPEjdlVVTzyihPZa9/ltrSAWO304Yll6/dYkBRMdMBILCvNktJ7gG/7VDlrvZ78YPhQ0j4RgLlSrUaEXlB1z2+9p1xME0gaZB0b8zKVpCBYMTHgxsVwY90WRgGHYCk9JyL3ac6KQsN+E19fTOnAcpdW1M3DBArrM8s1Fg1IAxGNZghd6sClhiiRXx+F9n9Yv0IoakEg1Ql+F4CLeGszymOOBI0xAha+GTfLJvFUXKoIMcUB1dm6xOx2KDdBSXPC2zon8hQXRDfSxeOJ6JfnfSuG4AA5EPixRB2t4EsB5LXNd6oRxj34tKvfi0c3RtAyLVSxiCqiXZrjJtkQIN69ZbXuaTixiSMgnUaygP2RpjdT95HvdbH66L4aYb9Cyf5reXNpdKSVD4uuc3aOuMdvqZff2qFbXEFAicKH9r0oV0VEGb31uxPsRA1RZK0PabLAaRbSWKrL4ybwUhBRAPTqtD0Vt70OFYkzffy+6U8dvaE+mI7bVx1QP/jZbAiF00Yd88637V3uf4XKouQidz9xveUqaljZEy8DGB89vJrQzR7ued8HaRzuLspakPvSI4e5TTW+BZ9So/p3YzW2vj1Kq7VGxXfeMMlrfg2YzvKZ66gR05Y0rUWg/ldk75ytGFDd821YY3owjq3lxoh+WRhLUps28vkJEOf8FOeGDGjNNpRI0GxO3Hb24PUtXwsiYVDE9krGrmrs6FIbwyXEhzqErnPCrwxsH/TaXgIR6lt7mgTv9uniI284E0JMb+U8a8btpXKv3BtSe8cp55NeV9cJ5b4S8DdBK4fUv+5032C1ahkKEgsJBzBiJ/NGN97pjo1JwCb3pW/JmgI0Gs+eDjJ384yjN4/hEeFaBj33GHwxK/tW0tsEVIF2isOarxPtoVZu9gSh9/Pep8G4tdkoWNbdoRHM0+TZ4P5kx4ZAqCC7xi3WIrrhGsOWdpAR2qLw3pyPc/0AF4a/lmedmzu4adxHkwsAyB4zHHt7BaDzvPxJ2NVNPo4OKwcqt0vMjcYZ9q099PAgomEuDBh1mIyLVYehHGEcNLDcoyzEDhdmFTidk9MoJzm719vrbytCJTIuXRWOHbOXy7yCE3cnUxyRhJQJrC1qdM94DyTmdjYeUD94qZfNvIhRYo2pzPOIVM1/D//qy/GH6VuD6VwueMNhu4uFFqbkJQ6D5xrj0lCsDlvtK8077aOa/5rwJKgSwtBfnTWCzBa9TI7CRXGRaaWy/t+XajmD62gtRTDhmSTGSPVBiQIo1zF4L2CbxUhmicx3xoiGETsNYKz3CBW0V81m8bGOASJ3gLJgnwcre/fTDssYuURQhThzXvOP26Sn+0FHh9OkPIXWW/L8jBHWk19qR6SNLypcbx8Yr1ngHKHZZvh1DcyZwsZt11syP4k5m6DiU/SKGE7hd/9TUY2M1QrtVDdoXo9I0jvirJTILXmBJNQIp1V+pR8nJbCm7xYrfOvMz3i5BkxcGrOHDdsElJvPXM6auxzyx1R5Try3GKjmJt9NwAscgU63fbSQJBxSqBdzUUcj4OBNTR2qxqzA4W6qjqBq+nKPcMjpk42Db1glmL84G3yRJt+4OeF2aPS4QLOndS7NaFs90I+MDRSWjAN8Hx3ejdu/KwdClwZEURirDf1a+YUqnqEVbVWJTvuDdHEtNXkk+nCc0Q1kRgRrPOXsBm0sGbFJEkWwTFsRRJsCjjbQdJw+7Fq4FdOKX/+28v5q/4loSG/xBGQCJAH/SfQri0y5mXrA8hKXjLzRkNDkUZ9YOuPg+dhdPwXIpLfzp1PK+0BcvmWDSYJW0bHU8fCALNr/ZcVWVQ+BBV0ZtOzQYClifLlKF08f1P3PPCcD6Zm4LAPOmrfk+ZhfLDQPpIxJLgSfS/fMqVRSz1UlALSzQrNAbbsKT4nqQDVtKCOgzR5br19WGAf4V6jVrNhgWAQVWn+ZtCL3OoN4A2ZgcaPyyHdr910bqhyKx1PnjFO5nP/nH/8ixxoQz+eLduJ+hHDj71alCoxogDwuaRawdWQDJNsMOJkI1SLGMeQCYLobtKXrx/31bDdQQK+Sa5GxyHQFInX2yr+2ylLQ7C6ahBY9dmQdShwFsU2uxCBL2Cjh/QCfUK8Dbq41swufuDbhermsH/HJxWhTxjCmQNHIjNy83T+JXjfqxjdu6o2u3uc4GGXUL5AMr0jKxiLJcnPDdCQo4uXpYO4M7MBAPLQV+0Sez5JnfbOrGfIROdt00Wldmt1tr++YzeeEwmHFzJvsNJreyaYUrT8+1eZUXBe5V/Uq4jFSi1zV4/vCgXDvuZJBQM1yBVp59gcOrPU2y0rbKITEfMD2Lf0u52H6AX7nIOfhlnywqPqgl3nUiEGGvYox0i53FQSAp9ZgRcZjWnWaK9c5LRI524DUbpsTjxX8rCFySsgru17Bn2mJpZ18uszkFf38uQtnkPZ7G2knG0jaTqSE3nZhiOAvy6pTuXSzPD/AHqMa4rhVQuZPpSRojiNhVLPC36eKnjvOX/9p7N9rh5y9N7givlOSoLE7tRddyIWjEJRUG73Nk/tEgWNxdXeG8+0RGatJxjI5jLQu+AGtiIu+khSMWx9/0KeknKEwheq0zKrfJtZ+29QnJ+ah3+JMHZZPVzfW87TLS/lx0FoDkxhBDB0Sw2KxAigK68GlVAKC+AOf2maKCFFRkTIm8VHuUxVjwAgB75f2XpSCETn+/Gf/5xMyu+qDs0Is+NxoxP4yCtfS8BagtPaV2f4cFDhCt00pCLaolPvptBQL+bgSJIci10TdElaPU4FGpx/GrY17d1Y2GXfH9iomaJQJ8ylTirKJwyLoWIjAg1/nkIVFiLtJ9EYncc8tawNqKy3504WaJO5YEU7Ip/InMjWuVVV4xXVoE3P1q8VZhF4d9RQM3Q7QJdgqWf9Gk+sEXRlpuZFFoERFYp+/bR8HKQ0xA7yFBpqIkMkCrv1RzCn1D0cfF0XZhq3dFD8Jjthik3PtXSdjiFmDcIyr72rUjZ6uJ4rIXuDPlvbcuw/SMBLJvw2UFFMl+SFwLUeKE1gE26MyVMmUeON9D3Yu17nBPJptghKqHnTSIvbBjXFjmjVPyLkNgarnQQztLu/5uCsEKksoyDoeZJfWGv+4MY8dyRoMo9d5Ad6+Yk6JdWxVpw7FOmuWoreTgrned3VABs3kHC6dzeCvKRycNHpr17eCnkxu+tFRvXsmpSNCJzCZdr9JXIcUTjqC+cnF4gG28d/0tFWHw1Id7CkhekYUsC7taFJegKPEKb0qN+KmDCVqB/by3vxuurR1/84EcxTBiPay7Qj+52l393KyJpTg+htNTAKPzhOna8CxKAZVSTr3WvueMe/SqZwSDDQ1Ivi2PuhPj60uLSKb0Qv/bAuUBTmIFcISd9at1LM30QwwLCV+79fU4Yf0oZDv2eNXyZHjtab3/z+4wRctsApsPR1vpX69h7itHuYjItk4N0OrpxtoL6NJF4/fWu9D0I8t0UQGwg6jTaJWfR3r7glUVtVyp1KPiXcTaPshAPTOxm+X2eZYoyrWeNL5yG/WoSf+Jz7P3/hfqUQvDDCf8SZcuMw8v8eBvsKjRC+IhKQL3tRw2HMZr5DEMcxEHlAdyeHOcy15M640AkoomuScZyFGZj3YTwdzVI2FzAWHZtC/zXdH4oLwe/WOF9y+dqB/8ESbCHFoP1nfmrmBPYiVUAt5QEUDnjRadmOtq2Z2x1ESHIdr73be9r5TKAeNDSuRmEtQhkzuYLSwdvPACPAfdqPhVnE4O6F0/Sh0WnJpEosuirWOR6W1LCc7E1ki+q8U4ydc82sA1uETBbfW1OhgXY1z9ToEqValy5xFWhs0Z+AkX4c2fzJFmlgSGrVoSnJQMtd3g9Ae7dqk9qMo/TIA/Ayj+QHk4W6RovQTCoWBX1APYN8MGtRxYk13xgzkv9meo6RlSO6qcCKid2aKMlS5giociffWv8OzttWodsYJbniIPtqzpozi8g1lQJTQyYwx1b0qMECo5kTt4lTAWulEVkesNGVbdhMp3wwfvmdUouZCE+/Nqk/tXdcAlU4dh7jX6kNUzqffFPQHq5UUJBx0M9xECMVBnyrTMqAsiAoVKKfsleiH8/BYF3CtSGUhi68nI/5iXzf7LOOOr0I+6Pdct3YX27Y2K6XBvC6kjLZ+yRHc5EGu2blVXgwXkbqAvOqUpt91ied1tNu8czMDB5yI28PFwj7got4IFOth+7sxGSN2AfYDdaQtmBNvGG/CG7uH9qNNzff5ellTaZPYyPhYNFVY8HUTbxElSf7lZgikY9UfWCM4sXuV8PCvyB+U1zMUFOcn70aH6EQjwpHTbQj1zTyrh3M3LMQ9A5h/0ygJ2cbWbJ/lMof5hl+G0YLJdel9ziKMnQsguXhDRUJSOfWZCmvqMJKrq3XWgUNqI4X2VxiA9ijksb543Wrr6l3YCPdWE099YJxAo940zV+hDOal7laiSQuoWFKDKdxHrN5g9mNfppxs+jxQ2o3fyRxESh2/qLZ5mj33WDWyplLp6ODkU/3V7P/qXJjP1oQPTOIypWcImSw4rynU9IqCDnmEpXqspKl73iNErkw0mx88U3OYpFMY+NIER4euF5Y75dYXd/mk78CFbmUGVdhHtuRp8aHSICVSEJNBoFtFsCNhZml/pfh8Se1ATiNGZcwcpuSgEBygzPPT6s1GDw/eaZe59mKlxDBeGJooUxISsYzdMb6O3dtkUwnwXLTswv34YjA/Z3T6iiI8RV3crGPpRI6NIQIsPodhL81APguH1/Jkq07RBDKBDPTtSx3BVeTyFW8gtFHda47Yc1pW2IUMCZfvTRh6BPAOnIfeho/EIwxNCBQJ1yCrq5W60pmgxRW435Jsp5caUNPhVTTJIynseJlaLfQ+DNQah6UW+6lpO2inxKgbzS3mJNhR+apKs4LdwsKawUpVc5rQ+7o3FpwRMhakd1JWS4lvTUiHlTVO5EU0BQ5bkKg+OTPiq1uL5a52lYmRXwvZxjsppqsC8Xcso6muTm8vmsO3bI+PACMMLRHEiGejIKp9u1wf9/i/O/8Zfi8hSEMWPM3qT5h3AfoQFZMaVipIQd28VwwCeN1ONNC8lBRElPU+Y0Spc7CyVS4G950ZgejItBdOAHSuSRQLHyi4m4cSi7SndwI0d8pSOPr7rvII2CYxBEz8iKJLEFByfv07WO4MzWdXTxaD8ZEID0kp2MTs4SRVyVMkxnWp0hV4Xpk7IQyLpyl3S3+veIBH9eMQdmYqe9RUOZAxkY7M4DVU87TvGEdQ26d0UoObTpE6TOWaiqQTjNm+6weTW5q/YsK1QixTDa6IyIPQ/VOr7+u++/f7piZVSPVQWfqaxWFmnI5SOTeiGvN1uX03uoodgTo/hoBM95W28QOWRDvzc3tdq+ctIAuNuf+pPrQn7wriqbXj/WIlrZVfUCpV6mCEdp1E80oylZBIuVZUOdpZWG60IGV3WZ5IrGHqJO6gLlA2vRy+aro+MBudRav587u47XBSqsRAKrAQLpEIJ6kHxlIpgy0QKIt6yz7keYbBqYMAVMoeS4wRRcdLnpbXplhPLPCMZO2YJFs4leXtefIXAwubyOhg/TUKe8YD4bn+USuTpftomfiaVF5MD9hx4sV7p77iMjvCC1rMniw9r+7odta+brSYY3RiEEGu7apLW1Z9Fykc3ra9us5/beOKdUUzLkEVBsfzYgq+Yt8ajKHTZiuwQth9FH92xoO7K5k67mHEw4zgTY6QMxeKkwpK2p0pf7sldoUFZS9L2UMij+tt2XgQLMIyNxHl4U8ErechRX6plTU9AK98iLbTOGZ0CKeKi8CW/PWDF3UJ+s1CWliO7ILL5Zxrt2L1wcVBfqHPdN3kVP+C+r0vNb/91MDBd/P90j5nRmf7ihsNvSJRwsZBvtnLf09iKFvrc7S+Wh1xr82nfy115pnWupzhoRQ5O8NfvanTusAo1tmvWeEuby3pvZcbhdE5vDLniTBdBonU7m4zrpCma21Yn4eyz2I3Wd72Q5AT4BNHEoAXmEPrlci2koJWrLmb9HPg/9Dqx3a7a+MNcms4C1xf+oeVD1Yt8Itdyrd6eH7KjlnahaiULOsnGrTEJrB7hNMqeVRCwP52q01NGbQ8ab5KbWq7A//QwdzkXYkUQbRAHm72bh5nzwLcCiQtMs+lQ2SvkdjCZY3Ccg94fx5TY9E6WEy86IALYO8ZWaccx/jsGUxOigHTlGaPM1e4UIslv6tsH11Nw/sBo2wHXq7cqEpei+T9deGh38vohndEiu3aUjJrx5XmYMkoW6bvGqTi0nEurSQbvdaOBpdmNkAe+iYRQj/XJ/rPSmghYpl8J7j3eC2ExGV2mI+G0YR4bGbvNQNC4x0yV5px5ehKlY0rmjyt2Bm6JfOXCxQuCoEg1aaAK5mP/GYuLbLm9FwHVEQStI0ycjjTNlx7Ntou+VREAhnKkv2W0T1bV5/WiPCIKjfXj8MosbZQwZl7HjHprBlmlZ9YDLxbWFWVQ/Ir4p5BX9TMCLHBDCJogN4NSnN+unDUSt0LyN7BYPbMId4CjKVYVBWVD/lTgdJ2mvVIxtOjuudF/Ff8UQjxE2l4RauFGahs3Hi1+BU6/weM+T9iN2y1+o8f/0mkm6uQRBCWaPjQ4z47/60NbNyP7aSWMXHkH14B0VPVZ8iOmiHupd3E5dMAgTYK7G3ozrxR7VhzeAwakN/4/9oz1P7zC3Dqv7xuL0IhCEwrjud1vgDlPy7Jf/YyqzktSE2jx0pQSRSxQ9r+fuoEzZZLdlOOQsae2Yi6s3OEnWuxmVRgWtykX3PIRwWkk0OP8dpUDaQRZwBBEBPqf+XBpPpIL00gZz4+eM/xuZvze/J9IHmZACbJx4FdiZ7jrIGicIpcZun4UktAfRpPD+MBHo4AG5SjNhB3nrzZY4BMiBfmYWZiozX4W5Vh8a4GB7OzzHRlqf/47/ORmRFRMzweGmN/I69zHro9SWErBk4SfxCiXmpGFKphyDX5qybJtb4Xvij9eadgXHoTlQ21Dnpby384DkKdna7XiXoGmB9MNupxLkTYMHX5WxM/dV4bXuGk2JroFlybfWNSZeWyfoh5u0t22/fZdDZsZrXZ+RGQSwdXfeH8Ylpri6uBPyYBTvrH6ZC1lzPKbZ21EOr3UkGwC9PH+MmU7DO9zKvTUXrqW12iVNB8MysCIUnEGq4BkwTBLkyA1evJVz3OXv5NBch0bgOVRvvm9Doat0a9X/sxDpYJ/HSFP4mgJVVzNug98mvBo7b1VrhDMG16v6LArDz++MJV5WjgiEPvfATcW5iJuud1a0aeRQZ4MkQDOyZISgQUrkw1sVMHY+ZygyQrLTaq4HePuNM/+hpHAZ4MvBjXk3Our6RuOKU9ztuP/wHnDoYOLTeM81AkUdw/a2Rd5Lu+bx8ApFKdMvUib1vtuLpWNZJvTADqUnsTeRGJYQqucnPawRFXH0OADY0WetVeJ8swpTwKhNorI4TC0EvWAouX3b+2Wi+yjttC05r7STzkBFBhU4zqPWA5Z+izsz+uic5OG+YuwMJdVLrbpjPFKU2lLcpg1Jsfk+YXjSjXcLljNrehbod2TgqWRhXvZ0WONAfXsTIAzQTXqaG4CRBQutLCeZhcScjGdttUC4Ut/2hEmugtHuMpTwWiHHCrrtQ9bVB+d7kZR0QcavMyAFM8Rc5wydZ+NlkMyo7hL4bRKUwkoUJ9CYSjF0GbIvNxuRlt+IuVYRumLswJAkJfn0JcR1icHyo3hORE8Ro2n5Kv37VORwzCSHUbAvhxS/11R9AMNe9NrOwscz4MN/N69bzc/rUil0viP/IW+VMi6t+N0C0scmdivZ0O4+NeRBCdnlAaZ0hYulyULSa9vhF3YhWDgZmONzTTfTv9Bz2UTHF3Ksrm4xNttM9mnQ6AZUXtWcvB8a7Ka5Qhx33slbo4tDrbWUqzhfkcYbrEj4uf1tmR20dBgU7Pshx3YUye63OMjTMJovHRcjvRKjPw48fbKX+05mnL+SYs+YYuQ9JmpMkiuN11U+SyOMhMW/Tk2zCyikvhFJPYdJuLhah4WvaZohDY8EbrwEmdgXkMNkkEFYgQDnqTdYXrzX0LN3WUuoOsWd3Y6icH1L/YEjQ7hntaSK53Odnz8nTCiIMSr6kGIzagb0SlJf9NoEOBi/sPMPmPrpProu6WkNG29ZMqY7oymInscg7xDbvvW08sUz2CcpWxrWm9E4PIUDB9Z2Cd2RRmxyfISQzHCBg1zv5BtvtvY/mCMr4cDhWGHq5DLs68w//OR/9q78+I1zkQx874eHBdGvcUsQIFNvW89NxKC7zQW6gesFVHS1Qbdo3M9Db51l5j7hF5ghG2lxYT9KLRVm1YD1kxs8/Hr7h2UYOoEo6QU9wihGWgHyxjB1cbhWd2m2inuo2+5ytnJ+jLT+STj6BF2EvA8EHZ5Y5CjHAQudpljguesQJ6RK4J6rVOi/nxhM2zgKEm6kO3sFMiYioULq7HBEIUYzVPeHe995J3yHGLyDaoLCVKWB/Rm1mQIH7yiFTUL1DR6LHRikrIBSVg9w4CPGEqC54Lk/SSXoxk1gxrqJyIdlS4YVdJdtLpxRX6TglV4Dc950yCDXgnW/dINxx+pLq1lPa1TFH/hP5x7W5UIgTyVUmF8gc/4zOHW+CTxy9c1wZ+H1kT7Xp/c6bDPFa+RGQmZ473T17pXFKFfCNWVKiZJBq4EB8/XeJ3AwmVhW3FqtpiCoKsfR77noR8Ey5C/Z3pwL2GZZeFynws6v9L0M29HvpvCVu5acSKaITs5SLWnLf4bGpjnh6guWG7CHxno9SETUIwIM6QON9JMvBhp6dCxNh4uS11jxTECZkLy/KgUlaXRvueerytzUjlqGY7FDK/NmGe4FI+oUOQEzFzSSnd4jCkb2ZTNukxcM6sMYKnqlYAm1L5CyDAqzYyWwLDlhHBZforGT05e3aYm6DF3wzMTQThp0H5cL3DmpgCUreCK8fQymhY0lHD+dpByFDqI3GL7/SL5LNO+y7v0Yf229NWoSYSzeq7R25FxX4+flNF/HFbtV4eQY7eJ+PktYjvm1YSNcModxw6kMLTp5Fn4K+wA2K2nGOtCbzcabOdz7ae7jHPyBJztXB/jZzJfkbuk2RXU0sJQlpMpaAKyAfx6kv72BSCFQfWfGcrqnzQRmVyX0IgZUSa67CMlwnIzozwenGQ6wEBxC/uzfQf4VYhNFAIE+NCjdNrIyjkecNryuzUIBWe/RJIYRJInzKHN6an6KBiKO5zAfawVG7m7DWnAB+3YivbSjFVMxZ5rOwaRnCXoG3hIHGr5zkaakRsuuVtEQG7eSxLNSKB8+UKeUyx34CGIQTg8SvGi5yh8/fWDcK4hQUXKn9lkDe9vx7Ldbq/xaKqJi0kORtplfxrFWroDxuI9y1aS5Tk6fRP73WGKe50U8uN8ZQ11bDhmgI8ZZORAoOywpXNRj5yWg6tWXWP6EKWBMgR74GFxZO8rECYB2jgiK17VZkXd5i+4eelJvoKB7SzIzu+sFq+KkqHzGapTYiYQyMC/UfbamGtmeHuMVg85ZKZVznTzj132ZuFatADDXsXnzbvODe3cRFJfoxhLpjXIUWrD3Svb1+jBWR531yQ9bPMGvXhKIxCFFKxH6bxXaQfDe+kzaFVjra9fGxVHXebKHdri4q3bIkpX/ssEZVbyVJF8kM0AFVIWBr7dHLG0y0YC1RGMlE1OrOZCR1HH3faQYxLVAPcxuyASroelqj6dPmra+szdwfapuJPcH5ARBJYcMYqu17ykGyFo124ffxSQXpOja1CofVJoEexo9Oo5QFLWpbmPyOuURahWFsTCVLbLVT2xQAhUhlV463M2txQEK0tHeLfqwRGz9Vr0A13eaOjxn0rufn8qZICf4vDUfw9LiD54KscBL+/8g5+RuDLqeR5NIDW+R2gqmaxET4PN70bFFOiDPrhIl9s+mdeH852/V7qOleG0LokwQD3sxfRv2n1swOgnTtxdMYUQtUgCxfThin/JvZhUR2DooKKBxkLw9aQd0tkdWolGAtC5hSO+iVCrZIxA0xHFj/iKYOr+mGaFE/eXoa/YAKAWKQU+v598d3AkSWqelLJA6YebuyC1tXr4kLsSTghnBzyq1YTSZptCZO7ayhXZha8/VBBNpcfg5D5t35UxVwwbp2WAF4kJtYbQIKySPw6fYTi+FbqjP+sZKR0JQFsRX+mMRVGEvCAHWGkuaOWFsmPGhq6l6MEq9pUko19/LyKwt2cITCbK5IdtJ1dZYQrX8yfcH6UA9iJ08VAAIFViRHV7h9eLM1RpKlVWJJkG+SRG+xwf/L4Ka6k45YymIiU/hNmQ5dKbR8va2wWrLImBPxKkzYmWToHeUAaKJLPFiHBeu5XmyA6vxh/iFLogGXGySvO8nTXMQiHbwQgEfq9li8+StJe0Pqi1shs/DBCTKxgxdmrb+bMeT8Dk6qDGwZAyYYM3XFMDaOkVmqJwuCnaTBQDHzjqjTtCt6T460MtKhhNWlQGL5JgNHr3i5NJCe6j/k6kxxDrtYSrreOac83S8PZJEM3e6a22zSUSGbhuHp9WP4RVbKfve8SLu73KS3rxzbTA0KScge8/bgFp+Wr84srdY5bCTQERtKGSPDoiQ0subODuGScg8g+IwuOQcsQGQUSW0lKl2pDa9ctJJMTjgFAjfQxX62nnZpIXHNXKk/vX59enodtv4dFE+tcV2epMEXi71tXGu/qSYWjXl1Hpl9JS6oP+ptEXrlFGCFVosN1cZUlYM/Nre3VhJfZhrQwoXQlW8wbY5WcKeKFJJnajRKkpeUSwFSkKnWacx16g7Bvvgrz/dVTBrx6+j7kazwLLzXOqQAJr2A3IFZqjxNtJKFgrD4sE5j+w378+6bwLoCLDGLszH//VK7hjKesEIRwcygxEgpt2G1QK9g1GPbeXroIMdiIyoHrmQf5r1vnqLUF4jTw3dofF/j+iHIBt7EVux0pI+VdwJVww8dehkMoiQgrTUczsjaioZW4JYG7R7ssW1qQWgvV087+JFLzYa3X5ooS6sVqhBvrX4SeDTBjfqrTXButrIGF8az2aRjrZOwFcz2H2/CnQk4VVAkQXBGo3KaQ2YgkfBC5sQYFfvutTqbKm1JoRwfqNkEPucJjmvADF5VDHAymmZKhVSNiANxp0YOh8s0uF5vrXlacf6I4v/eMVC+hEYQ2ykND02shvs56k92moTTIz28ykkvTSS/dQSkm/mYCbB1Insuux9KigRxzDyXdgAA1U0NCVFlanLlQnslP80otT/yNBLd06RKQuZ2SkiOLxc3/6dLfjiYVBPkhm7xwFY8dPrJw+2Gmlg9mp6dk7ngqhXV1QRlZIOLWfUguyBo9t5Fpy2MCX1UkuvKiGEBCsNsikoMRBcupKuhA4NOoKr173T1RSVo3nGFeBUxAe/05fF6MiPil1532QL1GO0Xi1ME03QCcD7uaTBudVzW3U/8klOh02S50VfYFY8mCAKkfPi4LPmgibERk6cNJ4W2DLLW5ND2FzqMl4LE8batUX+9G03le3pmWDnWIA11iy78Wl/E8VqbLVWEyqXezx4M7Bjy02acQqjbrHK9W3OigLpRYOGhdt/Z5NwIdTXgLusP91ImoI9KnOo3So7st9z30e6euVPrObSE9ECw3MPf/Ee5VJACk2yYbYP6mlO2BMqFY4vlI3NCkWDAwIFJAJ0qDCzCVfSKSPvMFUS1SOX6+98jXpADdHK2aHky2PPP96af37IS8b1eoJNjjDIwg7fR0mAz6p0XAlr1JhPRHhx+N6RmSvpyB74SXbsuTEjLeB1R6l34OrZ9Gn9cnsYfC8HyZFW1WqsgbcT2WxlAraydKLPdLXbzOqA9oFw5d1gKBuaHhgAw8pQ7LCBnd4Rvozjpl2CvNpEwmcaO10EAav4x0UXwSpo9WvLK1iIbv2wNs5cEpT8AjZLZfqCnK15XwkUcuqUUiss2nHAmpXBQlZf86zdjzxTTORIphh9rLV0GWI4M5R4l/aGxXALN5ujURq6TROLw8JsvGiBX3TnJDI3hVfovEMmM6jtJ5tehkfisUCc9jT/aT+OPQytyk1hHJ80f39jdzPgAIuTI1k+gePojJ1VpdYfzsyeNApVfsTJc8GctkglXgAwwpOw2uK6/sJWdAyYro/SkzA2uGyIAWbtovpt4rWE9fz2ea/1lrCXwWAunewaL6GKNv0yOXcjPPDn2F7Itg+dVc2SbHCENQfuk8ctUwTQhxtUUfPJpnmLHHcOPYyctmfDCbmlGo0lu/L1FNc9y0zMHu6VjV62J90BoWKU2U2euS9pknow/7ytl51M+ejoxL42PU410CcyAa1bDK2K1CN+5nDUyOrkhcsaES9CkI9KjLNnNzUyUfqPMUZfSmystY+wgDy6ssI/iJhcnnuwLgNiqu2v+m/qMqVXOL+yVxiNWcf6x0ri9/I6wQ4cCEiq4ab53Q+INvrX69+t1tHt1Rkd9I/c81Iav/fWvBkjqED57Um5UqbWUx4ylKn+Ueo5rWFeN9tbv3pAuC8uv4FcZc3u5tY6/9t+a2ZSkL7V7NrllK05N73wWQjT4aghn7Ul7AryUaWDKOtt+0NgCOhhuz89rjl69maREhvbCCOXmG7QH+2+t8ae1YRT9AwnrYrzAZSnRrjilHH7TsGEkgDw7i2YBujmTu7Re+eW5NazsQlEDnqjkvny59riS/TIyHGrUFZkdTqL48oPt/Pm5OmBwTQc0X6cR3JCIhSSEuj6YtimRAaV4xU3Q7UPA5CuCHbSAfZvZYoOj0ARCwVZa/5TNa+HoNKlwdhtN744+WyvkiPrNKLCLWdCxqbhlzRYdtEd+0EhXsE6uCEN7jdxK5i3gwEh9DOxKZsCYfvc8dzYve6eBjzKFoZzXlbqL1rY6rFOg+6FHiKNBpJZZtNOPmwFCfkXUVaThb9Z//2bWPxIt/Li9i+pqT44z4y00OGbFyoSBCiVz94R2Roupt/+EQrUWfiA4M3VHJoTBx5x65M/G/lDAg5i1K/GgjajCxtrMu2K2RQUCq5TC93ogpklF6lWGi4wz8KEbi+K8l8QXXADFcCKrO9uWuBGZ1X+KpnUdvCXGUTfkVKiyitTbt95dz8dpGMzWpuEfJNqnvdhSbo4+tluuVBdmlA4tlxGo7JpDRDWN0NBZMtChBHXyrfXm6woicx/S12Z2Mpg25AAAIYAmEFmpRqZPNAdT+8DderGf5q3RdP1L8q4t1PNo6yE+T4CGwrd2btDK4QkFg3l4bq3O+HmpYHdS7NaiKM8wpFLo0hsmEO1QJmIjGvlYckI4ENr3ob//9vILF2pn+7yVytK02JkdvkzizsvMggTBC2F4MGrMy2mBCN/48fRChrbxDoBAq55O64LId46OOJNeCfkDHo2u+BneG0aC60lghdmTMwF7vAENPoRhC9PWR4lycifbwzGQ39FLuZkkHWThrgnqt1WT18qgwOoIouZBODZmsmuOmjTqq+CETIZ1w6fHKddgVgoZV+uZVVndQHdMdqOcWiY9qcOXNdgyT83XaqJDvBvCnu5yaxyOPKY+hrVQhtaPoQmu3GxsmPnHG5y8ZDR6fvQHyRnPxghBVPAVZOKFk1FAalvdd5PSuayTzjLtqvULmDCMqPuTddD8Nf2u58jGmOZ97/heYwIumUhEHazu8Efvalg8MzBGkZ1zz9quq43itvm3HsVDlSoMOLcQ4/1Do//MgCxzqrMO+u1KR204FLOXPcY+o+kaGQoj8H1QWGz5KaBqXN1N1fZ5YXZznLz4XsODluuXxYut39ksC8/wTmn4jZdMZm63F2nujYwk5vVFgwv51hllv/swBcg4BZdFrqi5K2qtRBpPqXVqm9WC3Zk4iFgCGHz0Od9zSWlMzZkF2LKuRDK76MXrTjBbFzPKZ5g49r0hcsmZInK8TbJfegYNGnjvPusKs9tQKYchPqAmzSGWF40FNPX6zTLi/S4SAULBVEAuWFJfJIc5dXa/KHwvnPKEWEt3IVvLxtcCT3GJlMG3uYPWKLhjqVdYiozbwUk9GEBtixSjR+txp2Nx7bVZyfYktOc19QZQVerosr86BLf9CP+H6BaHoZ+KIQrfJDBu/IQzIakbCU01m+m0DhIa4bFnTlTx+8VpFq8Lj4WGZsuVzEBbCkQGvt0nw/Xvih1u6iq4fgbXrGoIXmKzrW7CJeC7nQG47aDgljDv60oWcebThmmvKDV2KmKDRLnrnM9L+PqAY2y/bGW34jGlCDLytz/CbuKa07k9PAXl/ZT05XWGBZdzk2mcuxHQTuO6wwcPNlIz0axW4v0glHCnVGfcfnkNQ9ahGazz1U8vvYKM6ECmbExEY2uhWklsEyRLpx2q/9j9i8/FXQff0Erf0P8rovD/9V8jTE6ehUSFGbY60R4OfxJ+ix0+bQ7AkjZo7aRaEoU8r5XRPr4+KaPLzUX5Nk4YnyQvIwJGF1L9FCLbgPxTbzc0At5NKDt1YZ6L8KoYaQWSoDKaO12NSKUVMXlmvttdSI3z1UyKv2//Xl4iaawS6u/QrV4SnXBzPomZPGdEo+nPHUHFkyQYMCoSi3agVXkgJBBwulo0jQY9OUCidfUjijsy02Oqu0iYyAeUBZLs6S6VyTyhFmfWhIYMVF7J49BBGpHhjDPkYm9sW8m1cBGpjLhY1dzO0vAFUZzMb+aWf+R7Eskk/2DVA5hzxx5onBamdgVwALY8ShA799hOUEv/cAswiMJcNiPvTzgndaVmxyZuES33HtD0PjMKsLJpVs0nRjeMHaXfmmV4sX9dqx81BJJTVlIjgO5gEZsLs+5GdaPGziU7aa038KK63hGzXxJhTFIxvfbzLHmS+5zxUs3DB3VxUYlEPs2tlUP+1ZbE0yV8NXRFWLmc0hNB95Zw+oJschMXUfIQRYu0xEXW6+UDKAC6Ip+RCCvMlbF1+rPODV+5Shv1119G1/23VoAvDh4nOhaS22xNKUf3U1rwAd9P4+VSp9kYum6xq5RP74Off5y0Sn1sl1qyiWSdcKjTCvSUzOk66PwxjNq2RtdYo0FMAHMNn6veuUgrvpfNPqlm6tb3ekP6bfBy4XoAIApC3XCtvYMG1M6zCKc04N1ySS43UUA7M9u8JJDd4tA/4HXGZx1VTT52zAAxiVSiuE1Pk1wOhsC29ul1RTHvAb8A9Lunwkw3I1OE9JGRg3cYZ9WcOYy4f61iMjNJuQsVNjjCS3aMZQSD1Hbxa+kMOXn+1HQmzI4Dq0WZl6/yfFRyeb3EWl2kL5nVnSQAVb1lhsRC7Vf3SbwxaWGSbPZbOiyDavjgFDFJT5DONeZ/vEz06IsCDM3Rx1pCB/DwA9Fp/h4ELlwMWs9w2D2j5QJztrqIY7ZSORtt51lyaM3THaE3KJaEajFOAnZd/P2XddL+41QaV1hb8MpnxtZGGjpH0EhmuxjENipyuHYxjipEVQlctuxZhm74gx5vUKr1YnhoLUTXFZQrMIwTTJNqUQlgu2SIWFTEHBs2K+d9muh2YtcoTzLHmSeBgYo+9y2vCjlC54qnZneIa74z/yg6i/dxZ35N5fA2OZRPu0WkNHj7pNJlrpbRHZm1L7F1wFM+5L7zOagOEJULNyc2TduEIkcTjyl0HH0XO7KvhKdSEqnBh3RY1Ut4IbYHh3ntXbVBs3cN8nPoVuFMnUunORQYdedEhKA4BzPl/4zX4Zu+kJiWN/AXVKh2db+xXYSqMFEO5nMsGw142MpPy2bmnVJRcTVxsKciM3ECODhTiWjdvW92HWzHqtWmmuA9Fino59NmdN4aGJe9a2YRnecPTKyKs3Kz8xP3ennaedYZdLHjnYqdUftHY9Lg2IqiPu3B5KbiD1NQd5fcWpFjejrGFBfDZVtiWpl7HjulTI2AdSAhpUijtXgXvPtsPjaFbdwkcHthL+JnMrWXaROES7MPQzdw7UJcyzceOALMmT9V3b5IL1uRLjtqTRav50WfBFI2G4iCmRHxsselhLUG4SlAtzrVXkEuSJG66OvZh99z+60VxN+JOSnfuUysd/ZSb0c5OUbWXJ10m8RgG1FIBiVtQ8u0WrcCX7VKHPVyX6hdzcxNXnACGMN9+2WHPN3RoLfhLbs0VqKF7P2Z3gEPGS+wbY4meVKryZpB9uAjcclWmwlrR7VMr+k/JGcv29GHUutgqLIPjcuin0DIpo3D3IGmfY1FbHL9K1Wzh7CdmwJXeoS3T6l/mqVVueSPivEXxdZeaL+jsZbGi0WqNBXD9uE7kV7zdnJWKYmCZJ3AZiYuYwGcbqkT9MBWzzRxDrKPXLUBDk3heCpLxRYllyIFHfJizL5FtfTDLSw552a81k9D2Qmi98vN6BBioVjdHqVWhCWqJCNZ7Ao6LbMjj8GS8boyvR/dlHVDfVQaAPiRVmuMMDKTCicvu6ZHzLOiao3XuUC4ENYpxoWN0DHF0emX9cI0Vpkd9URsxmILzo/tNXjOR8fWvA4kKIPrRROhxgEeqYkMMxZ5gfpDrkUGpxu84onEZ5lCB1VsucSlR+k+yHa6fydJGHon9bZhr2R2GV4lY3NgnRciiw0qk82KGaQ7lWYAp63Yr+QO6kDEPOz/lLdu5UcfWr12pceGi0zSRHPRrxlm4ILabTEiGMI4aIxyrx14sqUmXZA1VlbSk9Pihs3RIKLguv7o/7zzPvC3WMs2NFeD5AP/BQ/Xzm/8e388z2SuMUg+UO8IPNDlAyCfeRJ3PGUtdWv8q+YNk0vAVAqrdypNnzbMMFzBc2lABOY7XiM7XcTfERPHcEDYodE4UZ97mNf6ORaMqNeVxtgJrwisls4EuZwSnysXymSQnEGvEqeXn9w4h4gtsn8lkk5OgrRzPD9XVStDv+hLUOe8XQXLenf3kw7BD+Mv+fr+FS8hsKO31iTpvZGusqrfhDGCkeDKbFvJigKvRzeLbLbuCkRtqoG5SXbLTVgWg63OhIFxE5qXOnPTP+S8hqUeI64jB4YhfyGmDtZvTbYTS8tqY3ItXp241LnMXX85/ng6Pf6FGn0CIYFlBpd8HwzO+0rR4twJxVU6d0qbFAecldiIwjIko8cBcuK6AnUhUUIBPybAtXulHsaY3PJ2UraSOMhRllu5qAGDt3gdKTbGC9+SuOO25v73Ee7+8i4sRcwcszr9Yv+OE0aHVQ5PAJlNiUJimkZPlKYk3xsFGNJbfvDJAo7zCiZeIdt1qetAjWvihzLnsr3j1pi6kkbrP43wA37v6xx5V1rX7anCNNc1BbhCfKxmVIacf4UnCM02eRZ0Wiv0bMOwf7Xmp8n+0P/HGot1zFaTdsHvj/rBVbuHqY3c8f9m4FPgKPxfwMeQMMOj9DdhCNqS7ZYiWzGHZN6T4NQ2YOo/yPC+tUZrdH8A+JDy1lScvrfPv74+y/P52l8fJbajlBcZeml9j0yNeBHPfGaHyRS+0T/D1vCupxdrkdqn1oRHX0c/TTd5lmWbW1ZzIdVUayWkhb/5g86sS8qtwgQNbJrvtH8G+C2sWuOP7X9GZoYZqUS94R+TW+DktcnAOrE+wi5Q/vz+z/VYhbKngrUhgkfkgpd/S2BbMsqX9ZBbvkxVH3Uq/ECv8QGKVjXnKl7QfJLs4XHYavyEX9UcPmKQh/JUen7eXy4NlTcMLK8NiXXYdz8YyIesopy1kBd4M1djXQjepqDfYf6hSWJkVtT9cFKN6e7d195+qHs5FGAN9rZIVWE1xw8mw10e70zHRA65aLLb0YnsaQX7NN4BrBPjxK1e5c7HLD+bSGIpX8sEf58rKmj4jWL2iOjdiFST7Kkm/hdoQyOxG4tPxCADhBXJWkggsDK32M1mVue+9s0s3cUhSg3GoAZWg+nbxAB/8HnG7qVHXjwNwQMqJRtJCz4o8FHtdettGnwZTl2ztkJ2hJs0THcw68FfbIQNUvdBPpRnxeERbyMwUPOz8JEep9qAy84WWgkOGaVTphXiXYS2wntqxgPztDjCCq3WXyyTY/IjToVp7dI/2A7+bteIczKrk8ziZEr44xvSSzLLzlvW+JNuGTo1leZzWtWJJmNhLA7kcQb6hGCBC4wAj4YhUM5RdY+rymPFmU33G606IHWdmL4u11U8co8lUx3RSeeWcYtzasfPI03KFo2cJFrGnZcokdp2Lsf/4NAdKypVmDhAU79n8g3uGcRoLB4TqxTBZz8t9o05VQJpOP+ZSHTiHRdeFgBPOKq0C2A/4ofvYH4LizzuJWb/cPT6af16mzwC/TNdb83TSy2+7MqUiJ55CIvJBBM1shhTJHajRQc5SLh83WuOPVRk/xQ0SLKu5COAElJzCg99MW4TnUBAq7yWmSPM1NbYqiZozTpijLRDC88ihxt6b3Qd7BBkVAQiGBrcxddpjnI5lP2veuzLwjO2etf7mKPlXG52EhGV42k4a94HmK+6/MpF4/G0PGbiCc1Yeokm7mn5q3pvXmbVsAltFSZPJGNlthT+edbwyTiFARvwQMkw8vhEBVthwcNN36XBQZ+kAm5IwHDTc2QQQOpxQIMtpCbWI/yHCKHVyQf5XPBUtVViENfJRh+pwG2NZ08jA52+MYyZeiVbR3Q0M6DZft1EJoCvYyOog6//ZeFZEP5d81hSeZqvb0xGhWiMPqfMJMnQNgBaf0U6EPz2G70PM6t61YCYvGy0WlbQnpBx+brWhHclyqGh+xhuxv3Vx/jDGHDMCFOFZp8tSfNLNGh43Z1idXGcw2ih9iC0CApT8wNiVQvcSrmffIposz+RvVOURm1Jkk3CAH+ckeozsyyIKb/lEAhSg0LTwN2Dra/JYZk1+6BGVhsJ4gRZUk3c9tADx01do0sn+JUbvAOceqv6UuNL5tQ1s4qkNRmwPKxa41hdlIr5ubGKhVM8Mh1IP971MQNVB0pPg3eoW6eW9rKbt7lxx/OdXHNMZmm4So2ty/fseTs58hHC56FeAXuHnueuLfFzu/CrRp9ZNrHEmfUw+NfV+UbsFhiXOyNqAjqmHoTmLaoXrB+Y78zoF/Qmsl4iAkJ+kwY/+IAr/fe7NSJOdqYfJE9VVTCVfCdb0jqbsFwfQh2y9RMatPm83S/8SLwLqpnE95gYdI6Be62/tTIv7DAPl2DaVGbS6NX0+/GcxaRhj04oO/8QeapJUW4O8UGCgtQ2Uwao+UU4OLruoUWWYd2ov/oVXGWxf+T+Q71icbxWqPko2T+3Ok/T8unJz56eqFAXzhofglF/fQyuXyVqkxkseOSq99f+WsQYD6nL9ywVSUbdtvqZ6MdaI9/eyUWtPwCkAwJrN4JvwGLuFp8PtTZwotBIk/lhysW6W4IsPIJqQm6U6EPrIYU/4r+dwnvvlI3SCYiFazMgzhzgKkTa+DaLPeGWoGma+USsindpWFlHqsv6sRo6+Mvyz6A9XF1vSkiwC/o2A1OPeOI1kKhPre9GcSfh0ElwPnZpQlPxiB4FFQbPUvj7z5+Eotrkadbu3c2tU7F927LLf3ryZ/SSipBZfwqs2kWn5EQ7ZUR27GKwszVEO/wo0N1hv8Dl5LJN3LTNpNI8q0aNCUhC4mOsIQvbDCkEoojYrlz6kSuVgBhPN/WvCS8UP5d/qdkNCg0RxmxPzdxCkdSFtZvfWjmRz40V/HhVFyj+oc3LrwETHvO9yJRX3x7YMNFdvP607Z9b//afyHPDF2HKy/BT37lQSSS+ZomOPIMeTt7mtWbVDwdP/8jTl/VuFC8EtnUMZHRqi7LYrHFH0+EzjyqhXz38jhCFMie71giuYb/4SuPXNOkNW5HbfcVIecufPPYTOY8XoNyzXOwPR5xqoJXH0af87/BcIJdQLCeHFHmUa23bcl7y/A/n55DiVpx/rO75QbzN4Er2uM+2FZieqGiBwcCaScwRe120sePl72K4CZHRm0/jYqh7G5t6gqbEbqyjiazTY/obF6n90SRFZPaDmlWcV+GpaJp4/PbPz3Xceqs4WD4J+dg/HDFBMQyLS5GaUmOjXSBbD+uiIV2D5DxHjpjqOzaMdCYwGABaRGs0/J2nJ7//9DQaPT3BiSAS6Bt+TB+/kr1ce2dtQJGNElp8mBJsDR9tJlm7KBt23ApurjYOxX7xfSx26VBGxKSloxZAzMZdgDUImSup5Tvbwj9FZ09Po7A1xc723+lPCbzHMGeZekIsL1Jvhw8a6ucDFzb/RdV8fi73/JgWaedj2f4pfpfVj+lFljZcSkFS41lb4JMHrbEv+detp3EaPmEMVPieUpiNfs3pqg0SlbHxZHJalGk+4dDfsfM2aXKQTERbM4/aCeuLFOm8XJjUh/Hq9RcQn6jb9nNhOXlaAyIXQUhpnV5URT1GT0m2hM5AMqsQ5n4Ud2bQnCsEQlxaQjn2jlR1IyB3BXQni3GmqFYyy4bxQOQt6msgvT1+OPrfIaKT0i2MZq63503E6hHdtjMXFFXid39rKnanmiOtZDlQacO4tuXCRPuszHr8CDjooLW1ZCODZUWutvQTivQNzQCZlceQdCmVDEpJvi394T/06iQqdjVjBJwKCaqzlUL59gU2YkkW2tKXN5mlVUZbAMFetcdpqBtblml1NHX++30L076bcoBghZwIt2U/7pwUIaKOR6PPmzpGnOMV+Ij3ErLqXox+f2cv9DOzlbVpYyjN0b6xbe6QH4VJIKLfGqPusu6ULWv8RecBPwlEKZt40awdnklkWjpqkxmvdQVgTjh2r1ghYNEfrSvW5aKCFQyKKASydvTSmljFQ8DAj/SfP02OGygmRbMFyfAxlwSy2csvUW/zSym55C4y/DLhrtlwAdvM82ziqlsYn55JOIyMMfxNZtrQ9u40vH5zf3QlHJO2qSczsKiOuS1CMc0AFasTGd/fVWvHmSfS9KRkskHQs+QKjvn1dRjnrXt+LM0PYCNZnIs8jT9WrRl+9EUaYNwqDtq5A2zZQGBp7Ho5/FTx4hGpSL/EzoHoMdkJr7kwoxPUAUfEvU/eTGNyXvEhbMT1wS63WJSbyzgUXpci0g+MMB/XzLy1FDAjrnv8GHGCLMYqkYx0w9eS2+PH6yfPNPMTsAkqeKZUN/k3VWhJDniK724USpTrvVwiSzDUzO4Qi9So9iSCDXWNuIZh/iJE3LcZaSE1WS0eiQYlMKptgcGONxBlRE+tN02bVa8Oc3JOtCRxw+7cE1dasgTGllceOauJoYB/U+zSA4aqXRXgLIw1NS9eSsOwpT6LM+Z4/7qjiJaHIiauBpBUXoKvcjQs7EIScPpZuDMYHJoWVk6pkB/JJsPgOHlZogOT9g4VKWUSvWWNSnPIhBpLzPCMxamOC4fzHTGeiWu7X6yGGh6lpKWKdqXe0r/EeVZaLco4v6817cNoCSM3mZCBL9+GHseZGwKMVPGFwze/cuiyBmejOGpkcXRaMDzMSwIYuleazYVhj6UiyVDkYsN+dzX++CmimUlceLGxLbOlblOneFVfxeXUNLpL5B9lbuI0Oyw+n5A010ba09ZkEI/epQpDGEpPkLi5F95mkimA6Npg9E0xd3pPkRqvZfSIVCK035FMs4deMmMy4nhqHR7+0g9RPuJ4aRkNH+RFbUFun01vVuVK6xcgLb0NyasWDbSNS+kuoYBNJipOYcQM4x+8J5yFUHiXJj/7WqiWCHlmllQePjOmJd/pLWXmsESmbSqZEido1nn7uELaW0g0XSDIfnmIohNv+HlabO533mvaZbcMuwussiqk6coLMm5XlTyLUMq7P74ZXUSZ+MlvMgpljriJ4IIU749LH5CAdKGazetqo6IGHLImod1H5qPS8vhhgY2E31nh7NWRJgRD5hwOdrYZ1NTA5urUEw0hhyT26b2GMVMMZXvJpoNUw1ppBZSp0v8e1FO5ecZkmLMcY663z9MdvjJxUMPcz+d6Sn3qXSK7W5nAUAPS0rtgV77XSaW2NrTEHmw8a17veTvhSMzmyqHJ5CEyXP/VgW190Ej/9rdXdrzuvMVVNFQduIVuppNwSyolmotNd2kk0t32kq+4nkwRQWHiUK2knOmVBI7kjXpguh/JPmEtywPJiWqIRxtkGLmKRsPzkJMV1LgWdipiMDWWpFMFsZwLYf/ZGrcnp0P/PyTFrExS1nAwe/mNIauv5cUJld3YKsSpD4Fls/RSmSBOUrshlhbpwaKxfZ52fhmIwucEiADZpXrgN0W/KWbAI9VYYCLHO+QmA9ETpw5hQgGHyL5Xr+6zD0MUQimFWWMTseX/Ec+AwSM7VERWVIfGUsmd6twpocD9TT+1oVVDCPHlZaf3hyXsOjMrqIW4Tr1pZuVZdHetcstLmTaYi3tYr3Kt/jXEG0q8GgRMLE03Rj3vVUY2imvRNQE71Udz/sZ+4+/ioPagL+xOVxdeOIu/NyFnBkcLRq40dB2ZBRQpBykihY+SQH2blDl9/dZyxoP8Q1ysXaTPgR13zF1V7r2lZjR8BWPh/8dfX0dqimKX6LkzHf7evQA0UT1ucUb91bE5NVEtLIRv86A1w8R8VotTfP9+x/IUgtFecJSxEnkCywvcQA26XbLqOPH2XhUMslNrEA+rH3KI5IOHXOqhm8wTMFQpTcWJlxCH5smtw+rX+Xtl7YVtUujBzeGUz2QyLPDASleAYzJZt1L7YVbceX7vCTbReEqHYO7+FJpxe541HnbBQBqW03ouWMk0fBpNz63b0xyanAsMHfscXcxPJeLKGrJ+iNJAobZ07N38j1pZtkH7dzM2EnddiKTIz4folmKPqhKDloPUbP2v//yrClnGLPDlexp/WE/jj1zdnHPIzr+KXT3Pgo1EzCGtxxHpI0oM+Bu13k0fftp5WshJR6EKHq6RJBHOkLvUmsSXl6mbhKngpwPx8H4Zjs4kD/Byo+/cSKwcLWzGVUh+u8bZlHzSIElbqpEAS4sbntcdPJrscMQrZktgl3qAAu6RkJaoAd2N0k0JD4D24iPLHPs0l51w9UpJxLIuTib6k4cgNiq5ycMzIdOtyIhlMmcH5YQMnsZu5yQRZLCnEYvXhHBeAX3XtQpEBvflggfciDHsuJfqXYrMjsEOY3JPWRK6aYruwyASOkdS0szBMmwTdDhXwASOa99+TEG8FLlQEK78h9XcjDZmuVTXQDNNJdi+bgjK+W6Btge/N/eGJnELsTNwJ9aBeOo90dyMa0lhECtY1js3UqmRr+ovip0JVx5gz/b1W+s5v35/Hi16hP3hYsyd5IxJvL4AXrXMeDAU3kxIt+EeYt2YI3XZYtpblTzLFLrioGC8viiKyt2ZW7moKMOBuIA7Y93pCn9DUn0eLvpFFu3hpW7AtcPXj81WmlrzxgH6QgrSjwZEvmPl8Vch/j/9S4acggeWNbW86LGd67Wi2VuLNFSxymZXKmSuMsHaEdRJRnnpHfCxMLEReLvFAI+i1/2K8Nar5pVFvakVaz5WetEEYFdINAw14BB/eXxrwQXL0zqzw94s6f3AGs4ibYIvXCgqj+PBf7Hma1YWJprwfD+JXcFi8tFI/G62bAf7XMPLSm56xPOPxIefxKz8scSGolNO3PCjAvbpg3F3uGi4dhCLmHedqIODS0E0hoVZhyzUtVI86KogO/y8s4m8HF2WnLyjgUyyhcfvw19nKeiWGi/8A4Fco1J3jfrDErLrCaFU0Kvp68zl6JH/9qUkKknNgh9GEsctVBGRVBKvjpEbeMZX2bm10vhiWtFdRXf7yCVdqWHEVRh65UxpP5OM+am+pt46/9kQaC+dd72ANS7F0ywdv9y9o0ce1/Z6aUrfldllEMjYT6NaSJvSVXeuyzZRhodS3lCIFMdfJgdDfygMCneOJ1damIhncpOGHTulgPnHYKEDQSPr+nyfm+0SLLfa60mqiH6bxVbzWIJK+YEoNTpSX40QY7Exj8xDNginE4uMlCmz28bDfvlYOmpAXThsApEnalC+bmTnOkM5sqt7d5O+lpg0ZNjlgomllcqJogGOYkasi1GhEahm9oNd1ihql8YfKq7zuNmpAW1wLJA96D0KmGvPWdKhy2TvYitMU1/uIeqXcQgUTY6ci2T5NR65goB4ed1zLkhE2bJ9CJ3rIhlIQGu6bMJkhf4JPoyx0z0vjN8dlmrJb4pjmVTmbvKECuOKbYh6sy4dfhMmreiBprCDMVvLIc64IdWgDBZhD0gfG1+H6nKDpJzifsoRJNvMXmSP6RySXil5fp15un2ev24ZoiZjXZ+4SPlWv4zeXYyAmNcDih0a/k/+2p1dfcIPe8Rcf7X+O8DGA6TLu1L/leB4bgbV3JtopQtzvEzKkZpQfeKga7rtVe1dCjQMCxNdOEu9zZJUmKhqFTB6maXaFFMfksXLjqCj6upe46JfkkvACoPW2/TnSP/EC35AE7941lB4R/fmC1+lzn08ZJJIapfFj9dd683p3lPuXmu7s2p7e2DDLeFqVmimH/L13irNjxy6sCf0LNzOt5kJU9Zc0Dt4IW4nN05DVu3CvOJclB3NeJLwLu2NvV2jfR15h2L00xAOuPGyKxDowBW2YO6S0eQUFwJjynVKtnT/yu6DI1bakjXnTgP8m4w0hSpTLypzTe0tNRQBP1Yu07YsEw7jH1cUvdSGYbHISkReRR+tPA3g7xAHh1lGXGD6bbDxnMO4SvEbg+iSduT4juvqxjvilSVFhdGsQGCDxFtLmipeENFGxb7XXhpvCn3UE+Dh/Es1awevC0XFYz1+PT/bJQMc5s7hFe4QlPmiY5zJxGRbpMVNgesdGU0/Pb1+MX/JG/n66/pTNnzh26yaCyPkfaNvGID3OQFoRanPONlRsu8v7iJn7l8PC7OMeh6nbuf3rwmulLM13pIc4s28npH/B94kjvLWDA47XAL3VtdjAqZspjvz5y8YHIh+ZGbZvcStEFu0KwsZZUFvmndaYwteY5fkjdO983UxrQk0CXetWauUxVGaQypcvit8dRqu9IxshoHvxjG9dDQJBzmiclYLcKFqcRby89uD7d/fanAvRpUA/JLKIguHB0tl7qDCa3gtxR4mxyVcT5wPDaonLrHmzmGPaX6rM3de1WATog456IMS2LLxlUzWj3cW4aoQKkxq3/DqLWF3KFFAQqLUfZvC6J6GHAMtJC5Rk9eyB2g6nHvLNmvHXpAK9iWasit8c7ffWpffL/4WfyO8IloM2b3UrcIktoQWOYcGV07ZSh6PNzl9SgpExgl/cIqHZbSSydXPUgVbFXPzXEmCLuBbuP3GP/kxQbSl7cXWT5lz5FBpjG7WpmWNvrJ2EliDwhE0FFcXDRwaTOKiN411l6x+Uwnaovdg2H866johQX4Qr2I18LvSOEATiiHegx/z9ejwpYqRjrSJ5mmy1QLpbGIy6u7xndk7L1Z3pKkAqxSTyqAN3Dx2jUgfS65A/Rz4XczcJG0xfBOMAdD9hq/XpYrwqSo78kDF8m2lay/LxI4gHsdeMiUE9i3fu+HUui6yHb+KpevtsXC5Mx7cgASh1or5HbLRCfoNjzAN4YVKYCe7Mo8Btx0MJKBeYqNjge34MpMFC/ydxnc0yIVEnlmXSSuKE1d8DFC4ZQG8+bQwggsgP8loZnUDSatCYxiVcli5XTE/jtdgikWnZfwQVYsp6SIL0JvpUQYcAYH/ErxmNI6zzr/M/xu6F1dB6XIzLqgLdiM8m8qs9GCfMKMixm4o/3bmwvUQo6oMwOcpbVX3Gqoz+fR3eCAWsIhA5pkMfI4YONaPu0Yv0FxKr1e9Z1GD43hLrGTaAsNZr6IIzeVezkLwYeuJ+YZomw1OS0Sw1jQ3wbfnQtMGmdCeWnkaxUm44YwQZgaBowV07t+10qThYd+OnDYBpZkJ772WEcJ7R6Vf7mWWuJba3e6kyUR1MW11DVL2C7zA0H0MCA5uILQg1bpXNdGJ6DGF1rB/PQB5CcPQneO/dHJxX6cOgSfEf/tREnizddjsAqu5kxhdpeYJvbnJ2iQ4VCtHgE8a2d1f7UhzYica6y0/MZFXujNElw3+YyBTCJ8l2AHjb21hkKwEC6BJhcKXobFM8Cr8NqtOyHruCSr02NWFuKtG7s5fmYnM07afJ9IFYK2EAR7x+SrOb2boMJfJuc5u5/LBV3fohxbxX4K5TCzWwvlm9Q3ZXNGHZG7t5QErOBFMKZ8qjcgL8tcT9P2aUQ7LrIMNDtfZ0DV6xzk2lHGNvISk3Qgy5xpAzPGtaiuDHXTw+toUp7lavF9wSpwefAxd8a0v8M1jGas4KigQd6d7oDwaI3w2SGT/KPq2NR9EPw99biJP7M8uv1/KY8fewcilSk/X/hFhNn7H3JCW/Ulv6NA3Rl2vKNWiX5T0Fv6bXFat4XSoqC93d0JaGc64+cbEVQmEQYiF2lN8qoUqP0lGrZFbkO73+BcPuYegPsactJl/ipuavtZT05+OKaJK1gUX5T9kTbZE2pZzH1TLbojSMq9X5YiIGddKLb+Mvc/LmE/PwZEm0ul+oKw1r6FtFgqIYxgKQD1Zu41g+Ejtmwlda1jJLgpwbGONnN0Xxe6D1GlXNl76V0dsvaL2EU/BGmn1yzSA2qKU7v+10T3jm4UjuUDArV8dFXAQqaaGS6Neu9F0ZzZqwERSxWep12Hx/JQ/O1xGgQWrbIFStMQTLLDTXKuW+kHyOPQPNcVvRRp18EA5spDOFEl2/pIf+E4swF1gNer8NwHuk3UYYjffWSp4+IMTxQW4mve4bQTyQMAL+dkm4MYSso3fGHa8k+eVXnacrKAQHhqcNqbIxmD7oayJaLtIk7qVxNUPmPZa8bqbqJkqPBZY/7x9Pu0kSknGDHbxet6OaHRAjVSo+WNPBPBwUHX4hEgmClJ1nUtj6z9LCbwOEnJUf97RNvdxyrINjzrnW7SYq9a3so7m96BHgFmhzkRu4dFkO8LhZTe0MrHR+/Z+VjdTCn43Nza2TconXp/z88TI05qVeNAp/ERchPHf8ed3Mnh/6WD+jFWysBWSGUCy8dl40Pyz8cl1y/wupmqSnU5aozWLDd66tqBLVirxc+BjThCPgeEgP+S38vgrBLH0sDPWXkk5ZGMJ3ooOkRnUvoJ50zxhz6N/3OfR8zMeflmW0k5Se3RWDThFRC1F2z1R2wO3yfOGHkj7X7fzNomZJiceqwJIeTjRc705sVMT+F5UX04N2go/M9We9aUjegcn+WxN6+ogKk8XW0fvJrNfDNJrKEtBVXmddk//vMe/lJ3Nj0zXV6GZqVXXVTt6WcAtYxDbCB/TU7FHKGdzPbEE9Lv7R8Ahk2xoW8rsMI7izsuUqdlp0VkN1LMjAU0bKH+ibSuvk1P+02i8pAIxeiYPg2zvagJffkTGixQ3JFm3AxmlKI5HfnRg34i8IrXBaaVKYYdOL/OsLFXRAwWwUVYIMhIiG3WsMMElr7H5wNd0RDKLDL4G+X1xBebjIu3QPofkFZgeoaGbNQwkJuch4iOL9NSn1EC1w49i76cnf/v05PutqQzJr60U2tzEr478dbCl4LQk50EKyVqKOpiO026dQ8+gh88hNwv6uNacdISZrzgT8j106WcJnM6iKsajVlefeYJhUa4Cr5fzb2SUqsUFhaVOn/XVD6uC3nr8JlR0OCUN4HEN5oEu2Kaw8yp/APbPmyRcpXq5MBSCMgI6djzPitrJTnSw9FemxVHDCzkSE8FEcF3/5+3zfJJsT9QvkToCVlW0FUjZmgHAV4Fcufc3WYJw62T/bjjUiyz4LKR09Hhc5iaP5/wlPOfZ9lvrfZ9GErSQ4mNzFdPMvLp2YO7JXkmeJvYpclAx1nlK+AG+gNz3ao6TuaVFLdwklOR+sn3H1JPYR3nE4eopVZ4PumYWVhPnwn6erxvQvXK1TvgSV6uK8JUbvbIYL6kw5vQuYkCeQSoIdBMNF+G2UycEKIgnOl3cz7NksxiwfltLeu5miIryv3GoMK5PlhsUzL1A8aHdgbL/Bz3MtXevU6xjTb4EtVpmqzUGKKTWZKChW7lzhcMDZFWuuMCXOFdMBLYik3BofN1KW1pHH62JxLKYCEhPhtJzXoT6xiLA7wHImtR8TZ52adZ6nqdh54uDmi45zI12PMd2VBsNG6wP1Y97HbJoI7BvUxVuD73KXmHPkGeRjC0zG7865W+K6/9DGCZZtSZDrr/rKkciksVtlHacBQbtUHmoB7YsC+Qe2J0fJqnk/8NfP7cqtkvMqNuPtnPA6Iav1/Hu1UnZ8RQO3MGGH4hdQ8O0pSLg/I3IMBUeabPaln0QP+Pn4VcJ6MyzgNxVeUQVI07pGhr/FVVXzLOL9KGfUCAbT+LqB4UVynTmn7FbbhLbKF/KuWHiQGxiAkJqWaC2aewI9U7y0XiJ8gcLjDXDTPsZItX2olPABBtTafFfDQc7kRAnfrLPgd+iND2OtHN2JV6Ria6gLxAMoUP2WyMdXQ2qK7d7Yu8zOPVHSo6XTGfeH76laCesLVGYXfiwohSmzsNkty386tyc50juISgmbicHDOIMXJQg4tY0C2+F4Isq4toXDMAwnQbvWaBM4Da0PDcyh2DRsPLBgPXpCikmKBxVmKNWBvrd4UsHPvze5rsFcmqOhaPr25njYRdpjG6y5qzm6+IHL/AlZsng8OEymspjRa/fBJ4e5I1sWNaNfJky3PUY/SFDdBQDdbiK3cOXW19VfwTu3z1PUaIr6qF/K4+/GOwnhZDW8d2z2DLRFro7G7/9/frEiLjWPpxUEPyzOJrxHyTYp2Y825T2YI1CVJkY3p52QhGbnkURJmAd/GIPW3APv/uhNHmpcmiLhCov+Y6MBlUHI+ihIisLlj0N0zWzulPWWGM/ObdQxoKFIA2gB79ZoGprIUHu5m08XcFNzqVaM8bf2LvUWjrKlkFMmmYP508xs8QMaEUpxcP4XDJHkUKBNW07sk38GEUg/PIelL6CTMxk+2Dpdw0QUCSz3MwKe7HZgWNErpmgJcYBciCjgqRMdZIiEgb/89Td6aS2kC3YeGr9FqHH/LsOYci4NSpmX6F3sjJhGkWn9fZHCmCFpR8AvG41i+0E6WK79bymyiaUGxvIvLkhp9O05/Ae478TR6KjkqDI4fVozcfRhxQb3UkUN+EEUUVpBzwtQgoJZaiHIICXyRaBAIpWFJn0gbbou9ObWthSwI6UqxovqieJFtDTPVBxot1yEN1xPZo5yEHomenF8zRYk7mBQa9Mq/vWHgXHjN/0xM3nSJhqDfuVpNLEawNh8DHz8+y5OXVwJjEhCXdzk7URS2rfWjrHGkNMCTlNiWXJbCiMvD1+4dIkMR8VcBhWEtL1Vd4ZWQWAveclV9W3eR/yVPKIwPo5eRbcieb3CYlNIVa3pbAYsG37iVLucD+b0a2u2tFNhLCDnog15Plfi6+0wNwZf18T0p05Jip3oiWYyjCpHGytNsnZpD6d5kbflznlTbPOld2dWfZb5Fb+NE7cVuZqaEDDDaNS1LPELaKjFU5J8OvMna5BCSH0I7nBvSIE3fGakkQNR7IiwWTxY2UA1/2p2uYZ/0BR6MRUFDDNtf1yqOE9htahv9or+KhgYJf4j6skpy4jqrufnPou26GQIqFeWTlUQaC3ytVJ6muYL4IToMBAUq5wpPA1D5YvW1kGQ8/dYQCxoXYKRXtVqQBkggwyKEURssz/Za2fHB1MmRyeOmsWM9WD5qvg7livNvYXndbw8+s/fS1FASVQpz1rDE/hoP2vp7eZ1f2//pc0yt+/ivbUCQHwFqFBZkGw83pdVCace4EwLUyu8/Sy5QUVpZ0NDXJmNMn1iAiWLtC0Vgj3vXIPAKaDCRfIuemi4dF5aBwAjM1F6eJBQqsP4uv06VMP1XX+mNYzdO3exCqD2f8g7ly6E9eyLf1X6J9GSsLYQeM0AiwJBJaRQA/UA+QIbCRMBG//+hpzrrUFcfLWHVlj3KpqxLh58+SJCIO093rM+c2NhK9tF0gegRsK0INpIg25usRn1sUX0n4Dyh8QrhneqBRuV+Ivz482To6C55h0PIykWydLEw8xfB25Ww4VZucTtHHVchuayA0Yzbv724YGk8os3M3V7IdEnfVq+8lGry6woEO1iPF1mdnHG06vfTeOxtP1MK7dh/H7ulVAbMw94uu1PLwea0UXpko+MDpdlmi2Gpv9QKmFr1f389V53goGqqM6cy/0Mg+EGSyXUCzNLNtLvaBoFfc64fFWIBmzrQIrIeNTGiJFJV+8BTlkcsNe6qaDmR0UrdxOo7iBrIlXVgQ8nLFobYsIEfFIgVxu0meQ6SExqwC9Fn4TNX+3pJXhefrVeHEvy8teJ3eQP4XK9/a9XyUuQe729DH4estAeVlRRPhMt/mSOJ6flBjDe2rB7PrZSq3uRM0ZEC8SddPx+DPlbYMX9JgnLbsB+3Fott7/479wilF//bVCBGek0Rz0STKuZ6uxKCOMdadnzCvrC2uCeVaZT+qiKyPhgKMnqHVh3Zmk7lorXJe71JpXXulUv3RgEQqkedQv31oTrLcuQaUpnmH/L2s+jk5d/7s1fo728ta4sgYqKnG2R3lsGT7IB54xHs7nR8XIT7NOQq+mZKsmguKeZyVvI20bi+ubSTUogNkTmmBVLf3YPBrhVRINdL5CQbBcgd07Ra5Mf/QxJy8hagIqPu+2WAaujJ5OUwqnCHn2NINNX4brwvkSw88i3z1SZYfQjtJfY+VyhM9ICCBghGVi2oIyyFweqJIhA6uOopZiLathixCTf/0ZdQVCIVSpnU72i9nES0fBUI/F2/FxMZojB5AEy5Y1f45/dvv/YmQkc4y3TcsKxqPIWSudxO4gv4IOIX18U+iaEqytjjuzHnjt2UKe4ZlayYeyqL0PpJ9HMzlUiz1dVBQA5dVZeSzldel0D3hyjyVCaOAD+N7gktgByfzm/Ah/WHiS6xr39jQJnoH0Re0uNc0sC7Sj/Xj4kJjULVDZStw1eNiF7JTBXoMw5M6fLzDWy57sYhBQWMb0CTK+dFqTtoFh+eG1xDBw+PzwbdIM+Oq4t2rrxmTko8wODWqKv1UloDdG8RpcCHQ2tUl0Qc4UofWNBy68gXbGWVHJ1odetVCynB9G01/01/3KXkzsvGe0WXYQ2cFElQChvTQc77yWpKjr0rF9qOvuhgmBjOK+N2nsXEnrviXhFxDvFlokoo3mHuiA6ixCW0aMCk5DjGDbhuXlH27iI5z0BTDIMAFGDgb7JIR3mBokmdBu0YvPzZLKNtpkOOS7rA44NiFMGbigGhKAUP9XGHag1UXTvBpUyVIPB3SvUDvHQv6Y2eHQPIW9pfmZMcaTtT/cxrVnL1FnFyQMAENH7ibG0sAAO92D6fh+lwZRuMx7a7qtJVfHqHWZtlOdV3X3w/S9NDErdP6/h9L+D/2iXDVgXM/w+fyrNXOKekUGCOzWshNB0pPNzULpeLvSVehnmaVbmmgkTAaMBiU9IF5w6qYudcUU4Zx/Pfc/X0Y/b/+XJH0gICQNeg1O2i3wKI93XANSOnJdjUw9/FsAaz75Fzc4B8hABeRewDz8CahCn5Gj57sFsUIEfimzLsrCwoVCY9NaDIBM+Hh6rr6wOcB6NC8kKwdzfJYhjtcR2eTnr+px7s+w1d4tmX+Y/N16vX77xfmU8A3zdFdC6PN6tkZCP7NGqtu42ELkAO3ViwMaDiVuMd0kg/iqzNHLiWsGnbGeVKegHjjpUe2TCPkGvQ+dh3tRJIcPVn7pTbijLJBHE5SCN1+xqi7uH48yaKWEQP9YwPkl/wTT6o6+SGtbJiDMz/VuwHOGlNVmIECFYXzjVUeIGhJ+cRAykI4JuSPXuEg9jyGC0IvuRVbMUjVctyYbujaOrdcqDYx55YbwctOHBmPEv8PZJEhCfDHy74aoq7rbbs6tlSRqzArEFxlncG4V02mSSlb5OKtOOt5AflFoqmZSAFTy7NqT1O1O0b5sy8ZexK+lyc3TsWTURpakoOgk4ByP5hsImQgaa9OcCNm8+qzGFjqMn+LSEo44z6v0Cp8TgHLSCs7bgfKtwaXR3mTzB+JDnFB3syaJR+zhBtjNsSrup3dtFy8T7P5MdidOTVmhDyk0nqRIA5MAMH4sW1C/udwG7fEWYOj/U24GjsPgpYEGrd98pVQAwETUEcq9vM00+S+dSHgvTF6R/beha4ymZcl0gPPT7gtfJjdMizyQiUkEsBFefcUU3Ez1+YvBxsrOhdOW2Q3R5AmsB0K7Al945+Hx1ErTQFbLxp8/byJs4KNBRCQrPxVuj6bxD5EkbWPdJBLlfuhIitlWAeVv251sYX9MV5K1ptqHL7ij7/DXrjyFhWEglvnORv2ljBxWkOoGWoLRhQX4Nm4QqpbgUmSaJe4lNK50+wfX83YyXe0DTXvCJHUN8H/YYOoLsarIZjdxDwPEkexLzRwCmW9nlFsq9jYjfnjriEBay8y5s7z+bI2x8dTYLZR3O7GXCAYUpDRp+le1965MWtoyJEz8sViMYdOdib297mh+CMEZiZKKZNBmu5HUmdXVFD9rBHapPRfQCMzh2mXFanvs7NZlg+fwL+vVwPwYmpzXjyR+u73IA1hXOzOjh4u3wQl8RMLHpBVUoi3BIlBDyvQXAtUGJyp7yKVp75HHdqPCbvDOFsK1KWsTlOOuT/zH6SadKiKoKyf+0/x1hc8MuUlfd/hMP314GM3g/hYTCNq4xHwc2PpCii5bT8degxdyRe2NZ+iZzDeguXGbQaSgwQxlDVxVdDzAfLASJ+udyGxNyJ5BO8vR4XfbhigpfxAFZugQkTukakWcsxUHAW8Cge0eW8F9MAV36zUujfAT5/lpmVSb1mQDOZQrAqnGzjjeYMmHMvTiL7J0bxiZH9TfygmkJETvPu1kEBz1r16FsT+k1T1EubdW5RTGytVmkcW2IFfpJA0AIzNG+F5VmJABqBULFQVugG9SQG6xZp7feCN7p6TNmuVgFksoF0VFoYLWP8RGGgO+KZKW7Lh1XQrIr/z+bmdHiXhOFuyhBvEMtnp7dQf2OBKhnFtVDmeZbMRMCpvsE9MNfGrMvGtFdWUcPLqxwGYbCRZ0g86+jYAxQQlktBVGVNom4fmL/wI4SaWRS4E99QboLM7AWVYpuNxTMgytmfkcXe73T9x6wl0M/OpLu27EQH1Zx5G8ad7LPAsUVgEZSRuOfe/YenPDnrm4P5pLkIOcdnmU3LQmPiDX+GNEAvFvQSIeMigECFNtscAWeh9WVO3eGaKUO2o7cMPNuoMMKKRXyR6gUb9QS9PDmne9XjWnTh3vWtPEDlK3kkgGZZrIATYChhBFDA+wbSqWmfk21XiyWnYCdCkTgWC8ePN6vcb8cj2X3DfcG1igucvnA9oixKLNKZsc6FS7n6V7gKKg+K1WHv9czbcdQEptos689NiYKINr1Z2gsckk2IDj7Aof2TuncjLsTR2JreB81z4jKrARsGoY3Vqhk51TCchbXsHe62oUI4VLHbEg5/eO3tscBhP2RD0/7dSEL4VIzFbCo7vWpZ8rsZ2tYfVgAPWhQqs26SSWL6azW6ikA9Z7sRotEWtsismJe+e3IaYi636tKM+hya48Lf1iO5fSOxi1CHvxmUYY2CzyYd/KxJcbRq3zY4oVTwqUiH2DWHhBb8aAYi+UIzxvC7+SpfMyD7dNzN6bKFx7RDGdm3nYCAmaMYVM3ldrnCpoyyBbUGJ1LvPg1DgF5ox0GTLfZSMe1DQU0NzQ6wXiPqmwA6Jqr5R5c+Fz/4UE0kDDBwf/MN3gkkRU4FsDk4a3H38ZjszIcGQCieJtgrYu28oMYIGiQ0/MaoDHVPzaeESPf3i8VyYxJHf0ghiT2+Eiq7MR7YTRVHl+NVf1cDmjgFBu8ezhwf+N7QfjF6nTiNuBzDD+30Fq/neyG03oRCnYGr4uhpvvCshY5L1HthsPo8UnXeTUpEQ5Pywkz1ns9Ihd16ZprDgib9dpDTdz5nXxpNN/HlQL33PYQY76q7/Yhq/anuAuR9tyVwxwg7x/+2sM+d14mx5FYB5+6vROeIAES6RpYnw0CN9uB1gOEpQrF2fgrK1ywGCj7sObcUAzy3cbf6HKZXeE+ZxMygaS8yM6Xzf8XIqaV4F05HpgJCrTRs/SmaKeGanudBsyP0OO8kBkXkDIU4UlHlIs9kFE0EyeSaaeQqRQzkwYUCLkWgoXNnMR7x2+zo+JlvP+ZT1n7KC+3f3sImT1cRV6SVWokxM9dtsw6aAKx0lUOp4E144z1FqJcheb5RQ2Wvw5YZGQVxSSg65AWlZOejAe/edW8PXwPtIJNeiLnYZs8uanmzTvbfhWRkBt+lQbCHt0aXYxN5gfZHQQgQq0NJAelR9ZTghLZSI6boBBJDwD0ljeBAKX9cps7d/qVAjLMGOL97cmN/plnldYSkVzzP1kSFddm0BysjSyruHdr71kw+W997W4GdjSh4VfvTfDgxGgm276nKoD+32ZVbec5qQdq5K2HdpLo/lf7V+ROXNS51RPGpd+lm40yygWD1CzBRM4ubdRF5Ryb6A3lVOy/58RUf7jXzeya3WmF1bdUUcWNNZdrurQTU3FwaBNkQq/ti1RQKVJPBG3uCaF8h2mi3+rJZfUhhD5m0mbh3c/wpZpSMaRmUHv4jIzTFzY60zI+thBhmFhZFw32yptTvkAA0VXP0WUcSYEqLO6A7ExdJ5n1MQT7tgwTmxPYg3zIFrVXeG8U5MDUDOEQbBaaxT0eRtofUVjuEwb+ptvY1VqdciiEFcmDqHLTq0FGNCHlVJGtcB1vLNZnq3hCV34SggkH3ZTWYWEsGPbwnhBmDM7opGXCy443ZrSzLaXgrUym2VEePWq1iyxQ0Sq/BJpcdUTSzN3VY74CIrZ5oXrXZlYD13vgeTbglBsV+rcpp/N1xYNbnNVXon/BCcEUpLGDBdGUJiQo3Do7jS3oJol2AD1k90XP4IyxxhtQLbA4ZadRcKdcQQjEhWcwajutjEoM/DJmJ4qoW4RslVSj9IatyVbC1u5G3T9hzeUnRlmCopNiFXClev88fy028jwX7ZEO8Hxw98JqYepFKFjZ9kjGena2QIzxXpl5l4QZ2DtXuWrEVMHdoWtlYOJ1kUq0InrHd+M/Vxs7aQFwK9de/syS585G2uGSUBRt+NdOUgtk/aqVsXytkei7kEIcATFnBg3sfKrs4JO5dtf+F3tq93DluoSYMl1oPH5OZKBZzmZWbKU2D8DQDmuPNEXnh/h7h1YIf/rmQlVdT0wDZkno6lO/Il09QS6gCDF6ALB7vmbGSjepW4SFZFV3LKVpsKMkstLTJEXxl5blBWS4FOV7fAMe4XQG91uePMd4bWiFHYjQEGapP1088cSXF7NwF6ZtPbODvMj/4KsszUW/3r1kClgc01lQogRe2wIuBH7gWX13UyYhb/Bjhikb8wrg9iNX+JIffoz9zKJFIF7ioz0X6kbt1Q3pD5hHlJATIx2eel0a2zMu9iUH8s+vo7YesOckfmneSD2pziJezRynx8tpuOiubp5zM9PhWViAO/G9bqjNmOt/0+/2PQoL8r1ZAsyh1D++9//+d+Nl1NuB168SadxOjTKLntdutoGygPG55FZCXuQw1nspRDlueayJo9cHQFsECF+Ia4p7J9bw+nmyK3dmF9PaE6ugCgHyW7j+92dTpMymG0wta5kwtcIeIbugV7UZX1R3S656t9FFngbXtztMHm3JGkawP/Wen0fHjCiuP0Mr+/fToGBmvFkR45Ckd4zlPpniogl+HrshUFsdXozadnPp7FenBBCXcksJdMTQk3BNZAN9clcsaFvH6EHwi0E6WwRWRePS1gdB5SykKKhSe933M4yHulnf+TSeB8LMwuFWs/YLzFPPiIlvQWXrwyCvH+kkvVTvUGV5VIkdtyLJNlqHUyjxlCQCudsSaIOJ+ndCSZZltH13xJphi7X82ZCdkdAoDQ4u2yUc8Kh7OyN8ROWSt0bNAVQdVBB9d/vHtAR6WNcRXVEUUEMn1zDxyVB1uGdL/r1eF03rNYtfNG4/BDBXTUBI7ZAY+pULYNGaY7CDldjlmLN72vmr2YcqqsJTZf9rk67QP9awpe5CUgCv9gYh8UtTHfkM0/AYv033va2inS6lxLYYZq46RRj6495NlR7Fn2lYrd6Z+WROzLULNGzMIAX/Ce5H0qqx/mj5qkl+/LlILUg5IOvW0avk+vPLZ9sScmGd6qJpPDiU0sEB/SFrDvFIFhziCnjM7xAWWfdmrx/246l7zq/t/rZ3W8/dOP1QrMKdFQIT6DM+O9XI43vG2lMJPt/EMnN0HpNY/9Uqa4uqIbUIQa3gT8CShinBw9z6wewDq+OBL1hL+nDv9gcX+AOPisVB3dU+DvBBryCIcEg1SAH26RJanWnjNl+reFslpi8ZKbHriQUD00WIM6kfk6oK8cpzfgF9JQZrx7mAXqyWM6NAQW4kRhoLGu+lBi8KLtsxWtRC98Ns8J3KNklRglvhIK/bzINvLIZ+Pa+fF3NU7dq308gCZu7SM89z3+7P886N3xrYBphv82r02woEHo1E6RnajdzgPKfqTgiE1flg3D+S6iSLRUOVs9Lv2trMx6vyQ0RUFJZQftLXq9cafxINcBi3iDjmcZnsnHFiWIUMDBkS8SziD0BPZg72JL76lYaO16nzCE9846g2n3NJX3Tg7tFfR8DrtQQIn/Hou3n/4Dhx241QLEWzJJ01hrW9y622ZmywaNRfeHbfZCwHSEkW0vhtX3p0YcxpQaMgE8j3Dm3ihIPgI9vMM/V3+9/sZFYyWj81BqG9TMTTco6fZV4A2jkz2LMY1ZwwfHWgFim5rvZl1mJqcyn4ErqAvVXt88T+w1SriasrdlMeZAc8wje7VaQ8+pvRc3Sgk1QHshsfOyoARH3oCYiSRv9XX0RTFQ0+soii10ZcA+K6i1TVaNxWczlk0P3UopMqQDA3rlIrimoM7GQtcMPxFtUfKGGXjxLNvaLON49XqQehAWNZApTMMSbKVglsPH7t1LE4soGTNkhP81gpR0HuDbfvmusDKMTpVj1+rw2zw8czOvvmQ/WSqX1D3gxfjPJ+w1SZWBhKEGEu23ZTveFy9iztbV0Onuao4BEKExQr+Jvul/z7LBuzTafVHOKPSdLRVsATAm0labb5UZ9ITQGHA1YifmH6i3TdgMwAkki10OUOzL5pL4oBMR6wUwvhV5UNYyg8lQMdlD8rTHsf+BCsubWTdTSmuKwpkJCeSJw/xp9JYAz5V0uGIAW0AQCA7R0ynXjYOQQJEcYDI6+zDH7CdBZ2sGRR0npe7f4lYfPfo1fvPbU3h7McKVKjiEDrZvfRf62xjvEF0u6WuC3nMuuNSUSfhAgYwTBLWJYRPrvEhfO+bHaNVHH0PzfUFLkOHbXZhhzz/0HNieVSNhc57pFUmgV7BfqTPao1ZMjrvM5+mxxgaKH6X45SL8aMSOQ27fF2aB3WigMhePGWw3t9cLoxhniLA1/LJewHdQcsveCJtogXgDW6FJfgZkCNia0As4z+6D2cTIyyBKFft1LNsEksRL1BKAUH9xxKiUKhOmrmEsrEEoSdeWU7ai1I7XUSGD3hKW1ZWL7usRTLyUGgjtAIL90MNOS4UTOk0HSBm0CppOE+cfeXVMr4PPDLPPOworCaCm3TSivH6jTxd2lM73CC5WLSIADp+/LdvkhzAY3nPEEmJh813EVHqEH6Kx8s2JziW4zqTRpEhlBZpHFZOe8NWlUdG2GRpjV3ZuvVaizxPtmVXXLQ8l7KKvNGG/fVVSW99WaJd0Z71StqRXluPGm+Cs2LB7EWijDRwXcJZbO5ydvrXc0/pqwB30XBl8z+5SMMJzOl01r/L56ZKrSlAPQrWxI1PDR3ckMTrJoMWb5vTBdfW4VwWxTzaYSPFnslw5jmWFYBYMHJ3MaJAyv4hUDyIPWolApnPEfts97ClE3xQvQ5cgTQNqN1sdbksQmuOuUZsWGH4qGNq6LBWcuS0dGipgNCZGun0t41tJkYv7BXBnxg+G6J7SQWijoPQMThJZ7NeDaRd/N/upzpMLYD0SuYyp/s8bEGFsqifmdpcdCrNm9732ZdneVgED7X+dZwsnNCEzfMbE44q3OLlbk6LxH6jNs38S8XS2b1CS3kEkWNkQF45JdrGYMNZutzj9DodwYLY88tJqscVop7/cOXDKIqU2DlxW55VrIl3LJjjhA0IFsOujtNanFOwpthm50LUsfR2/+42IUE3nGwz3dChzJWvhztUpmYLQYr5OH18rl1OGsf6vQUognbiVy8YHbAaQ3IbdL/loLx1NdgVfIaDZw1oLwgfAHO1L5EizVwHyXqIL1cv+6VZlPbPGBmaLlS6rjNOsoHr97bY3rQ/WWa9AwFbeuHNQ4goBBkAEJdr5o49XsH/5udIs4MVe1JqFD9ibgYjfurBx2DY2+7lrkPaMt3YVF1rFvQRW+iEMb+Dmky3PjIRlvwinO0g/DcwB36Cupm3kfwIPhXgfNYn/HovB3a5HtftPRaZwwb8Kak+NsvL2BUISnm3Uc8VaV61t+IXTkTteCLJwYlJWhFJR+97T0gxPLsCSF71jDCSd57zfvvmZbJpba2MRHh/Zyq7AaMZp2bR2IpIF4LPLYmps8vsTu9aAjQHW/bog4iIVABtxxkcVrrMSlpo22lXf37Zg0Gf0XczdiW/XNmu//bmVJKgKKaRI+cxy/2sY105blzTZgxi5wYfplxTVaY315yyy2Wwn+BRnLh3v5Y7Z7poF+LeRHBOkxbnIarwUdE773/sYmHKG1dWBoKxJfxEIycWCL4f63xOQKsiMpH8Z5uF+KVxnlw0NDJUmYZRA18VwCCpHPFG6wRrYHiDZAxVCeRc6aA435NMVyRdNKYCdOZz9N7GptYupkFgbyshl2QerCgzcVqFQ5CB/EetnGxKFC5FuOtYOC5JuZgZwneJSbhJp+AsmmH9rs0wiKdA6qAUIYcc4qadPiqiJquPVqzH146I+fnq4vcI/A7BlOs7SXcJudtW8pqdDyVppHarXGx9H3+m30fSuIsPgDF3JjBdCP64KEGmM7lI056icU080ia+Z3PzTIbFcxDjM1wUGd+SIEJeVKQo0oUOJJUm2UCdMWTNkN1jDeevaCThy/utIELWruu3zowqkaOYEOPtJNa4qVRpZarc78r9Pj8LXL66aUefKXoYNThtqQzxsBfR2LLmjFma0+K4V4UM/gHJ3lvW6HcghHdQp2VBVnXgOUGk7PqjtMBBJS6YfCNrtzvBUrLhleqPW7YtvLp8OdJCoBNTl2+I+uTZKDyhrkqZn54Of5DIjYow0EPETZhnhqONT0etOZFaeRHc/QtSmc6eX1QWODgoq/p1G9FcJ52L0Z0R+1XWS6qwJ6WXuPdxlECrVdSQVzC/7s7D516tCkNbrdLE6DKTApsp3GlVPkMQ4oiwDauQmrLbFSF7dQZz3XPf/7Sk80TWql34Eb6fCDOoDVyyu0sTK5KLNYcn5mGaFMgc2HLrh+g+Cl+7FoT5538voAzxAmBX9SI1D1wuE07UXTpDNoZrKFX33B6IPFscwf3FCi7ud5ai3brEfDzjILZPmBhkA3fcL4KJv0PDf8LOmjt0N5SMZZVelCCYb6VBHlUABxCsGQb+izEEMKvZpD1rlbZMUapRVG6Z7sFxJG9Z1K2doGiA76anV2i0Fn4eQyEa9iL/MijSlO40KiL4HfdkzYiRvv5rmagm7SNfcgUnVEks9RUNYKEMhtL4zSYCz8SEh2ZklXuLCTd4ri1TUDmvfN6A1l3wp/zVjmMJgU3Qif2/g0N3Kde4No8/dZ5L2zdFp26MWW7c2qyFAMkf2tvxEOrZXOH6Fr0Kvw+lPpH+BuNfmmHZkpSi2E2YitYZ2DEs+kNLkzwPY38CboOnORBQJtgx17WcHwnPytIuNGFNdAfO6YlgpaWbCAcanm9LReIQ7lwJZOfQHlF7LaD625cEO1sK9ja/X9Jj09mYgynGayLh87XIrJzG0xqDZNvMjQTc9Lh6MaRYPU3v5GqhIIxrU1bniOTZ91t5mKrPRFlnYYNPjep36kiUp4TKsJrwqMgE132SRi4E9XAZSYXrDCo+xnvNkljSYdN/PcSW+GJBxgiOueK9kNznPxawncTAPaOZbMwyo28vXJ8+cjKuPbNDoCdY+XYR3sS1Gl0vhpygVYXnTmAenYIu99EvmvoX0IKzMmtjt5q44loDk/IfIxQF+lxog2fwfYp2RJ1RK8MXVv5f4t732yybtlpDGFURSk0Cc7Mo8M6784kJ6L6asn8ZJD1xZGKXU8ODDlkDIwV3zt3X1rknZ/yFTO0QyYpyKbP43evmMi9UFfcJwRA3MsbDF367TDfDIukENB3WjzIW+jSHqMtV2Zh7IMYtgeX+s2agsVciiZyHSmwDZvOfXigacRRUPffuZJJidNmESporZyJmtAv21h0xuL2g7jw3ntvaNroaRgRG5P9+4g63+eGjffuIL01rPVbgAaRcFFocrE8fzXSHqH0+gsZTFmygudbOphXzKq8bNJ0eYKH/tPmHBiAVVWZ6qASr/bLxK65zrkwHMUkTuNC0viH6M81aNAZqGzeTvYCWETPhkHpg/xy1J2tgSF0blUBbHsiA3yrhwpLLKDPqd2PIld8YZ30F+xeMRHK8FpflWrnfVwanwfeEVKk9vTBysT4z7d7zWuBGNI6M2S6iXT5/vaaDByG//TvRpiPI1yVfuyxXBDBOBFdbVlABvDXIxsP+FcxI/thWI3vmZ12m6qPpru3tywj3k+VFxWq9hCbSaL2U2RtZ8/CTGTBcmxsFMBa4KPCRGZogmro9Fofc7/iDdmyHNqgqZiGE6rnkS9h33LGn9Ep8j8+O6ZF86GTS2+xkYwNTHxq4hSPfJl/v63VuNcRl/vMwqC4t8aOJRsycaDH3d9UIGD0V4B4JP3oPjeJfoddqFmwRZRxiQT3XUujR9QcXcfmgGI26ZqWAgnMuVzW7eqs403i10v1pVcO9qH/gBpaKey/2DNv/3dwqo4YvhDotYXw5VmiAIAcq1pGkxnNt/ow4f063LoEwegxHWZLe4LkG77yd0MAdeSyrDiNNE0liCWBztN8Jt+aUf0WyTQE8Srf9dSYuqnD0YY1+rsnH9hGCeJX0Ok9snQOPYia/06Ozf5DXYleBlHCHGNaJJVRt5Dao/J1kavhyEB/Q02lo5HPQniTxycSpREmT0UaS1KylaG4E448hUmBIMLev0mwi2+SWlV/phQLphzecDLLpVgvkXbqDP5BFCtZ/bS5ZXDxpFvvwvwsr7YrfPj4dj6Mf32lyGHVitjA0ybL9MXCEDiVI8NFVBHL947E9PHTrEWOWEWawTroOxIakFuCQZJHTWqqLx++5+VyP7vf40Uex7sGVjDq93+phB6+Tj/HJhwELn000/qQkbTzb9aI9YZSppA2i3PJuF3flNfF6lTSKPxgiSF7B7onUiUcAAja6hhjgye821zolC2RBFCfiWbOmhy5dHdECp4iuouHt8Oy6TAtnYEeqMuaVI6hACDMSJFo2Y/jRzoDLlRqWnwhsZmk57VSI4zwtssTH1L1pGvgWfoJm94q35QDsXFHxgMkvmXvaM2x/HpFvMDHFaG2CcxBUh54Bw6qAO+qDnCgKYQ90ewU+eH+avjn/YQrKAvHcjX6sdeM0OT89jHX7vWvA7e5zI4iEn4MAw9aikovRGdQ/UVm9DsoXuA/ojQDnT5G2EceqEtKQu67o8c5koafmIK8bGDVEwd7ZU7lp1c3Ew3O/qZZVca7xvCZ94mdXPdipJOMjUhast2D0tnM8lMj5D2laKy6spzIhrIVIq4ca1w6OH7aoQ+4CwF40DzoUFaM/FNPDnl52SiOrltwctUeB933L6hCyGoMdK6EqWq1bcJF6jCIrPf9TPFwQXD4+W0MirEfraWJK6ht9+ONaXAbhKAJ8ldITuuq68ZiG1u9xpn9lkDPMtTKow/r7M0oZsjxBnKpQwPMlvh3TOA1UtLJ68AmgPC+nbrgRASpdvKHAIAnENBf9i0ezbzMfH7M4xO8TERVz5viLnJ2yS6qSnZLyWAZSall8Q+NU0Jh4OQVCNpOdp4sjkauulzosM9jNIqNoSB9U0nOQyrI6RmowJVlTqMK7mmb4Mfr9L1Wx4a+YktaK7cukxiq5SqN7bS18gWrvx+6ZRaO/eHuyFWFIlr7CeyAgeRU350uPJjV9RoL+SjjsGqN87RcV+iUujxljA5dL/t3l4XtKttgJ0sXGyC3fN/PJ98prcV6cy9zCIIOxOCaQQ1z91dmnXwmX0tFMiNoWMjXpz5TSkCmtxF5MHG74zdY6PVw5r7FhNgpa+pFwQxBrlj/w70goVMgSU7ZePZpVbOckmh37K2JewbyxlwhbAxtRpQWWluDjQuhds9atzjn1uOuWSldiox4Q3wNiPTQJiNlzJLq7cbPC6WbIZxjYZD90P0tlDfBEEPwIHNWlQ746P4P4Ivkb5noRXn64/CiPawIZ9s4RCzLjOtAtamhcVR2NmdH9fXxllNp8fg5U7NnwBebLSUGHFroJKIKmAZZY62huwpokLW6nhwbcPdPOgEsv8dHNIAvQdO1GezpcacUUZ1UkYiXPc7W6Mbym9cI6KTHh4LUj9EWnkvURqErdH7Ri/21+PXz9dfV1bg4wo9R9EIM36/ZZoym2y8YCbKR4ytzhSrChZ6ijyvdhMkVDxS/VP4TeZcd0ZP5xzcW2gNsXkvfcZc3ErqIt2IzzdmPgq39OFHqzM+Vp3xOwdj50UewBSgcDU4YnCIGLOnqI/lHrSWm7ugehB3IZHS4WHHLvLihO3IvgRUau54dVGbgJ/7kJxFFm+Wsneuvgp0szIooe8DEpeyKlzleOd3g3Ez/cE+rRZuVoURh6gn0NL8MkKA3du2SZ1GUUKkbSqADulC+ViSNbtXUfhqS2zdGJHC2OL61aNC32xC2TSwU23mNWOkaLVFBwzPnbjO7n0Wjf4kYsRHZ9Nsz4iooZIZz6PM3WV13pr63ldUa8oErAmo6KRv7O9WJP6VTfq5vFDhGZyMYiumxDP0/BrYhCBJ+x0tl+7nUS9EZsRxx77I2739ss2zJrSaBMF5Fv9iSAc/iPBth0mR82fQEoiEZxNaUncVMbElRVXemB/PlvbM5k/rdKb24+ivEi9gH8JVwtFkAZpcdoXuycFK/DRa7/W86qkajY2Cbgje/EKK09xZG7i+h/HhejmozrLNdDu+QtCrhDPBFNNqv9tuuoeFn+70wKiOc/oLVeXEiC+0fdgPgp8pY7ese6STN0t701jz3Jm5S780JK2pYx4t1zsvkntczfDvVmZjvhMx3v0oL5jbEfHc0L0Y/jDXatvljdgP7USTJ7c+wxgnKlgjqSqz2CTLxJXMM+jR8876MAencoBg9Y5S6l0tqHkzZIy+2sh2oe7+Ztx8u/G8pw8YbSjQ10tmlh3wq8dxOMMHFmkozjI3cv/rA/OYHQlxcdb9EkA02Y0SnCsKISAT+Rc0yTFvAq7qAF9cGZ/JGfXtMmO+BDwNF5nU55ZZbw0oiKjVm4lawdtzkwMrLzi7y7sl7NrIJ2XPXnc/l3WnIyzWuwixo3rxQhUgmYiwn4LsEUZ3joGG2uasAhPqnzcd1f7NSJ2xO3kbkGAcmg+VBGPV3IDtjcXJZPbtnSOOkXtXLaCZJ17Q2AriTCdg+PIQ82s2smgtjm/15t5ZjVePXjR+pka1SpGyQcT11m8/Db0lVwPpOKOeVpI8RItsZqr+zoz10V+TWweaXXoLGwogwRenB2aDMB69jJ7Gqvqs3vLeaXEbakEVGxIM2hoODt3RbC+3KZEGeJQfPvtj/GqN4X2yvGSadF9ZC0EuIqlSPgQoK83/0L9dlJh1HcCu4rrMzbhP4jXvCl/Hq5geLq4pfjBhErsmXsvrSfxslNhesnGFBoy2Q3dJQGj6dq8U4gk21HooYGUCcZYmAOEkpr0X8+DAwPqB8g7k6kqs9SSR3RF0GjAyAxAh0hwYoM8LXyHGUzd9pUuHxHz5YT+ef1EZka93zXq2QAMPebvmMIdQblJzUmR3yRbmPiowR1AU5rqF0MyxVECdqrQwx/UEiPddcwx0Hxe8zCSeSsuc3CnfJfUZNawOwo9S5iDWwDiGHpbHWFVEFzH9TPPw2BoPkIkMmBn0cRxVO/EDGeSEsT/O+x8o0YbYbc4w8UBGSSASy+fnYx3s5e/vUjWtMS/eN3m4rPlX/MEazH6RgBTW4EndlTZ1XGtwhr7mFvV1sRU+tx5/J2yhz2gqRLMSZWtRV7617RWB8FDMC7ujVr8MBakSG3HikHCaXGatcaWqhrGhtOE042LwBmvRpHPcpZA1NJOrzFHVcpDN/zaadZHMTdNer/BjPY49zrXbkJyRJoYrY+Hrck/z5pH1o2XV9JtKOhmA0RiJMRzuYHP8oTX7/cRcDN/HVY1kA2MHpCs5bTfOjnFdWkTVLpjftN11Wkzoxh538mxtkKfyEqWGsoA9kGoqZiklDnnv3Mh2f6TnY0Z4RlL2qFdVfjyzes8iL4DtHAMJpniHTVoJg0aNvxvpWerYz400LLn5o2kxSvDhYDm3bCvXQegQEDx7V/VgpkFCrXN6RPibaAj69K7GO75hk809W9z3zhzj414pZNPdfebNOvWUPz13LrY2bSQGVnKYD6gUUwoUFp3YzmT8Yne6mfCgAeu2scj7ECosSi1f4NEdcfFyaYFBqX3gj2Tk7WbThQTYA+lG6KXn+GBMzEozcoIzmYXMIktVD8V02lDWXQVJ/unxFijvVsmtOJE/qPoomDAnl/oUp0NkeS+qkGWSdbPus3tqNFrfIIvjBN4i4K6MJu32KmCAtDYl3U4Mtsbt+X1D5d1pNTCBNQ+MLzu1xml8bU1ShY8CbikeI7fclUhVyjq7Vqdz/cFKbMW2wl+v5xAB1fEJoe0lQj4ErYfp+sqpNjJz9C+7h+VxIEXTIJUqFqbQPUxQYg59sMbnhqnIn5PH2MqpRBIUY8ea3u0ux9twrUMnW6xrSEdpYLiY8xEQGWWdj1bKT8VVc2Udn4nKF0JVWjcl9jyL17Lhc++MgO2XP5ck0ujQaE19yo/nX9nT8y+zjh5nKDXKikwzDHSaXgi9LGePbLNr4HRuGV4VeqI7rUeKS/q48LsSSUtDqhS262rOb8Y+306yREic/TJTDlxndw06u2zI7pXKrPFmvV5ZSllB5YYJB3XZaQMVkJZufTNU0QpBUXV3PRdyFa5QWtc3EnhqMFZQtpZmmrR0Ls4NZud7e+7HRyxBMJ35T7i6RgNR1N6h+WBGrhnga37VLfKvSaI02lF8iTUVL9s78xgWLFz2FTteV0kbR9WerjaAet55G5Z+N1kMlD+KAIrm1Rsi6LCtoC1MGsgvmG46AYLEWm95T/bHOAfAK7791Qfl+cZCre0IoMMSdhhDSjWh3Yfhxx5aQDPE75xKpFrxi8jiTTNBn+fFlR9sCsPIyL9ngnj48eLdUgGTFQSTemcFGOc/arXf2PuLfUnaCz0NsRjwOIF2EN9RHbTRDl/hI8Bj9a5Qqt7nEsnmTNYGqDGLeytbFYyW9/WGFzBxMD+JbY272VUMMWsgc+Al1ykNHxjpCO/hB53ijfgcaEu/PCmmzBO1lClUNQuN42fyBxoxGSKsV46nmN4BANrN2D7c0UjOME93KWXk2BIJLGQrwcy9BImVPoPJrrncHNZX/PGlrQmuKhfutEbX/e//8JdRz6TXZdXQz1GIVg8cFyXt9IPEG02Pb7QJhj6j0JShcailFoamJka4hIhQEFyMD2nHN7d77pgB44Atkyg1DKRbVhZeobs1OnB0OL50gl+YedL3E3k9zX5/eX0kUEWz+SBKkHUIkX5utWkF2JHV5rXs77u6CvAeFln3wGJnqsI/e85gIw9d1EFTAPur9/E7YLDu5VVrci24m4xU5Pnhh6Va0j9Uig6qejOdtWLX48J+TNm78dyWeWAVaBi1rICT4RM3pqzTXF30J0lczbfpVmOzqu1iECniGSHz0Vb3Yukg2N2mCExWUcOczjF2zWwQewsk7glUwUsDchQ8DJNWAm6GlGUhvLXwLBdciHCBp+jY9RU+7xwkwWNsYQWK80/VBXg5uJMmN88SIyAnUuNBcXeWuYFMYcf1ui3aOOdgOLQQbhv1vhdm0dngX3Ndcy8wBZKXRyNn+axxs+N2n0Xb6HGV9w7OqNkdRjPVa1QGCsItQOPIgnKOkgjUzcYffS1AQUFxUIBbSlHdT/lQHqz5IDp1+39Z41P8QYnEk0Zj+AV1n3+IC8eZ7osp0KriT3NJnRep8vHG1TqK0niIRw5rKFsY2UjW5ZXhe7/lZqeisHuYC2qowLTlFh2OjPqfHK3/VNjA9i7zUxYmCEpdKUx525NQcXCX2ZYUmUAyMVhaA0iQImrPYUULS13cwRDqKjMlTCS6ZwOEQswUp1rML/upOIbezAXlxkFOhLsLRcZhd3/8+y9tGlNsG1N9Ksd5qcpKjHvasXzn+EuKzlgClgyTiiP1Pbuxx9/ZXsfLlZlsMi20auVfFuQvxWGBz3LaOGq2WNBcjPtOMunZUL7lvS8TYYeN8ba1GsRQB6vH1utV8+zw1crtwqQbqPD1+00M/IXc1ncDm6iEu+7dxtjIq+WdPcm8vQoB5AjgH5JwB1vdNzbxuhQjk/aQRsqE8FPek2N4+ajfT4RAX/pGtM4NJ/bgfF//Udacn4A0gNzW6a5RXJ7EeUFWc6VDdj8ldHjXypzuuZW0PbuJKJPGo7tfeiypIe+Wd6KJDekn6TTZdKetFGVLnIC4k3Bea2UmfGFukA8iOuH6wAbc7koHkDDpwPMzidrsSQeFyMiizf5v7GJGnWUN+kT4EiV21LLmg/jnwf9uzSfR8YD35Cn+yQ/bkTC+1qUI5eKeiJzLSKdgPwkrA7Jn5b/IA/mKH5a/TPZ0eP1DiYxB7NIvmuN5L2mPLLd3brRhP3pwWolbRRKeW9NPlnunQWWp/A3KyI4ZcnY/5o73JdtHBRniktTUlOrYRGygQ1SpWNlL5eiVO3GKr6GptwcEKt//qJWcCQJCZ5a0ibkHNqG0NW1A7RozIXJfRaLhpCJVQmQlqRULGl8kOOzKSalz6TB1qMgqFGYHu/R3lcGRwKv/LtIFfBpbPbDHG0b0YdrU2cjDzTkaYIzpvjXuD3fqE+6dykHwaET9beR8y8TP6V5L/1ZC0dU2397CZHQhO+idaFQQsUYsSzrRaTFy/sAMm9e6gKb76xYBLHvCWPZbWyVgiQ8v6TzPvFSiVEdUQM7/VpPhpcFtuzPRsqw/S9/et6Y+8yRCrMd2AArppVgy/o47PzFlxnumRCcYWZj/MDc5w3/+F2mwzBD1a6qoQYyBMPMxcKTKXsYt7UUWB6o0l8+X29DMqlz0oCI+6Oep05q8/9yNZ+TlXXatkWN+GtG5GCgSXmVILBBeNcO4cVA0T5voa+khlv3gXrcISNNFk+RiGNQTgDSPD2Tr4QFDtO6iyRXLFMNzCynAUOObCZqB5tEIUy3R+v5bYMprfTaBn2JoJ0aVS64xqOD+en1H60nNEs9+51h1/GFtJ41VutaX6+nJqfCrifttiL7jDNSCxrmmNSUTH9UFDR7ASrjP2JATNhxrlNOgJxk8lV6T+C9gKNZ2PaUsj+g9CZjvvnNukUktecRVVBcUWEfK68PRxBpb9q433AT3Jg4wnpQo3i6s3C4nySaeNVNE2ZG6XsXQndxhD/DFkbtKNs8cUJNm4GIUQRSEQe0NemfVLPd0G+BfOrwRc6sSmcrw5XU3N4rHkY8n9RY4DW/sieEGuc1U+dtdOXaoZrBp5iZTUJuBjzLvUc1RElbhd9ETygXXTwPhJY83MFa4Sr/bhuYgPlwl7Au7vUH6sQDrEnBFtkMQVC399A5s7q/Xb6zfwt+wHOxK1Cbfb6j9r8LMRxP30kvdYpJsLEk4XeLyS6E/SA2FwZo/R/uw38bPGsVqrzhGWWfHwAec45PZ+V+TqTAOjBMTnxhyKYWExIJNzGm6U+THkDs2Pk8BH41QAif/1NdTP2iI65ATzTZFwL1qyjxO7fAnW6j1Y5OoYvI1qz7rCZjgSihL8/Cy/H6XrFDSdccVo0uGLMgNnhBxHz5He2yABWZo6wd6fgSsEkU9E4MZRJVeQTYvR8AgEnErBz/wjZAHVqLOfHODHtm4y7rEb1GwYGyenDcYtBXJ+0mHGglOekbJGI/zhf7nr/EZSUGixLYb4kYyCOj15JAysrxXmGda8/buyPH8DJp9ERd4a3rciro4sMrHJkKqcHNroYMAtlVUBt1j5HDQttcRx6WSIsRbz3Qlj9QfeguO2tPsTDYYLzbzKMM9z6kpggFMQJ+768Ueu4j0g8NzKUagReE64quVuGHYGk0fjoiiHNav159VdB+1WjctM3k2mIrRxgcX1Rc3m7yk8nYoVWHpIDXEEd2uCDfr6qpzFjhQehe4Srr6G8pVrE2l3YEwhI8I8wP0ndst4A3KrcMwES0QDaxqyvO8VGYA4Vt8i613LnL5JUw8owTT2xbQbpvzFA5xrpIZ7CkYwAIb7z2/0q/f3GAEkio0riiQDZG1wSvjiSaA/uo4fl/tW2/7V3i5lV/ISGie+xvlyPqYyTRgK32drHXVhPVAK8dZYlEX76jKzrgnN1JjwiCDU2TFpZby2+D+gWSySGRDg3UKtBNNWMLb6vWbuVptKpZl41DKgVVmnR3WPMoGlNQQlW/deWmglVrceHmMTdfwYTAucKKuJO9JhjSakq7mO7olnqPDoW9pJCizPptcbhsUf40C9SrZrY/znoQwc0vPErb/7fSG1zJv92wpajXcsVD/y5pqE/m+UbyhPsJqS+rfz5LpwxD0COLhVNTxWrUKXi/aDOnkg63reNscYoeykHU9I0OuZC6BhYU8LRNWinNI9LUrFMIIwE2+/9OdKI06tjss4oDsCGzGrwiludquas14Q17ujTLlYWghCDwZaS2yjrN0FBbW6KCqUAQg42aBRsU2rJdAg4Ufuub3ZpGGgT7KOAgTkB/RofR7CAfdH/p/tc6PvSO8zDaiGvElK6JdDnUw0XTSR2cngo1eSNV+Jwp/RTgtw9LhPliJR7AcpLbKMRBhLUbPs8QXmfpIBbpWE+LJodX8OTrx4RlQ98EQRmZbiJAzjUohHO5EZFIgSlSj2KDTeSB5XtKNgBzPo0bOYN04zi6+jJJXhpYUdkUnN5q2O3C3WY430eo7ARRS94R0n3l2MLxoocKR4bnMqg0aNWYb5JIof8v7mmJJb+RFsJw0QL4VJJR1ajHxYOWvY93mlaK50NnkqRRtIPBj6brMQkyxxS9fMJXcWDc2GrOI0BtNtmCxtC0E1Y/3loofKGpPegUSp3i8y4TrbMtMB/DjxpXItWM5nVkd8ZD1M/t3gWuCSXFJepSUMTfuJWzof2c9uaSJ1fARqnfGv4UlErW136UPHFPBz7/IZQ3fHl/xc6dL3J/4MpzLaaXBH0qQZtTtB6xaF+lm8SBHTnfPz4Ho358392fbRBg+yAIZ93va67WK+kLKtVGdyLwUQhe+Q2nSmaGUD0D5SN1w2IqSMDh3wtdWw527WYc7MtIS7BU/aLnkYJH7o9zLncNB3gseBqn11wQ67s7YKXi3iaqfzz7jUoFr2PHTzRH7hSfYN3afAb2+3DoAxcq7BG+sasWQVRXJIvDGF5192yiQxXQ4dWEMLTS75Yix0l20Z8Bl6awBy64GgUVFBf6F3swLPY0MDX8joHyjrrXeFanCFKtteeqpc1YjwTXK94Y7Y2sgb+v7wybXebD9ZuCfZbYDJ42n+4KJFAWRDR2LnDuJ2tWlCGm7bUzJOjeYvpr4Zc0uMH0cgS+awZsHFsszssEEfMDZsyyS5s4a1gCLKGkJmusPD5OfYiJb6y0c2yTU6x23bprI3PE+NKNAKoQI/HPsEUZ+JTb6aeK9TNOdpOCh7HsbxD287/hCfytDcJdywWb0bNIS+HeRym9+5aCSEfHRKv8pUu1ZnT6o+6wRBzIF074sz0pBazOKWscXbjhJqt4k2ai8LG/HLq0GIEqW52Z2UMm+QHY3P7f598YBhGm2Sk5E/BV3xEqXCUVRp6CpwGWmfG68ozHVjmkyhBCJvdsEXS+DuOLPZfT3H6vma+vNuZgnmaHZH7TLoJSaMs85odfDRFMHmA9+KcNL/h8czLaR4q9lM+bBWu3pouQGxDYxowQVHhsu59BvP+/8zlFiqBvWH5as+AD4sby8brR7IildtyJo0LJUVrXnp8aDoENLrAvk99fsENw2D5/9UsNKO5qoN0Clb3Ha88XmebzxAvwQkzRB5K7L0d92nl16go4KvTdffJM8vx5/j86YIh+LzFg1ATzRiuYMaMeOfzbeqtU2Bm6GAsEKapqlDvEgozeBwFDp4TZBiQWzp0lWJGMns3X46Hvv86x6WEpHqn6F0tf1xGrA17CLv4M5pSF6y2Mxds4SyGLcTlVkDcOILMc0BcuxMz4+dea/1kIusX/+t9Tz0X/3zzjjQW+KK8CbJakyaFUG20oArtvGvlltSMI27St6fO4vhfu3margkqm8KA1m5CE3SvY07QnanqeTJIyajgIu/KDGi8I9K199jG4kwtQqZXbL8pNOQq18IJm8GamrnuGI72RSl7fDA/F781qTlhm1JZd2yAwKOq3iQbAj/UFztuWVLwynOFLJngQ9eL0P4vRWg2qicFNGxRzL+7EUJAyl+csss2Z7HeD/UdkIBw86gMqR75qrA4K8D5AaBRAOhSHUCF3WxIJDxgaEjyzyB0r2aa+/zj9frz+Pks9pw+RCmpy95Oso0a740H+z/LosBs+/qROoY9ifC24f4QPUM8guOSdN7je/sjhHHI/WeAppMHteFEA9WU/28/LD4PRvooR51nkssmorjSHj3dG5dbc3jLMPc2QHTEv4htTHt92/S66xo+obzlr9VITF/Whzh0v/ePjVGuNNrpWLNt7gswTWqhZ2Hd7TTZGhoirlm0m9QAjwOX0DFXyWNsfCEzbrF0v3CYEXWWmQwqA8dnQl9brpPbWSxGqAOcpy2Xgh8urxVqkjNDTeTfTx5c6kUECIfFoOQvMxFvjOGnb1enFzB9DPIWSjJR3rQ1NesHPSVqT/831sltacf+gtBGaUCJ6CL+uv7LqSCFZG56qQTJIUSid9X52b8NuKNk4IyhZC7/NAJNrJ7+8oOBpFhIajxHIf96f/iFr4+j14PQqSP6xW/OGfv/31irgvri9/cjpsxqaQtm7S5xRR4AyQclHj6myaT4XDDUbaKXITHfuialaRcGg7IAvnykNejxDQcAL0H46gvP7jlyRoNVFOck5stNoWuyCbPqEGgCo1g6p4tdUvAzfGXMzeZubqlZhlV6JIkInU2mBfP0uQLdQ2BuXQb6gypBIFeznrquNl+vP9TT7cnsqFEebprHWMShd4um6IflxDJCYgKOz/UPnEszVfSe9byvzsbpLeJg2Sq6/CTNCWbcraL5IHitSqeR7qZmlQyvyn2TK+Zv9qRYribKCb8gSpeHD48jo3pT8PMuKZRwNMSW1rJ7Td/vAYeN9oqnTjpOilySXRXB0EnEDTkQD4c2FHn6K5bJx7ZPfTmER1K5teBSSRwGpCywsoYHbaBwQn0dG5uyg21U3RfmmW5nuGdMi+BMNEEZju580yx4F9i4GM1dmgR+uiiYbwveNbtpbKck780pDSOsTDWGCcSkuEslWCATdG+nUjf/YEw+6UIvMebwh9zhY5HAeXGzkNkyVGg04FrIBWebYwQszID3BX1Qhb3OnncmdMG7qHHs+4xO5NZtWLydMEKwuaWzE/re8O/PRr5Q+e94Joq8wYFCkWdAVUXysTLJ+4lwKgLTFHZLb9pFoodPOh6eZtbFZOyDYDNrjV+eV8dB59ZMgHcqePswbTa6K8DiYTIX43ASi/SMQYQ1P2b1UQbPKk6OOtW9aVI9OIbXjkELXM40dN96u+oiwWfcbIrZ5x07/r1jyt/0iDjWE8qKuPZo+G0cXSAMT4Eo0HwVmp0xgZQ6n6dCzktGLUEQ1NqXTn9+mRDw8+wphPykq5fCz0uKjKxjoUI1ngq0juEMYEI9pBoGHxOmCis83vtpvaftzufUICrYxGr3cqdbSJ7QSjiZVlBc939SpS9Tz4WGB4L7juf873XaTsUXQepsoiXDPBA+9FpYUy7Uxiooq9dRYnYSKMFpfEJQmLFsFnEK7g93l9r0pZr8PEjAFF1Ihd0YtrqTZ5fvgcCo8ptTilmLqepNPFOVXecgFgZiG+Iyh8so4ILwC6X8gCsEqpV+jsriEK7U5Rf7bGVQnNutcazXYrihuKWmz1OinBMNs+ssGD7VxENbBSgJDk08Xs7Yuca9frDRjqp9vW8lu2nGOWNd6EnxqQiMALnGC0BaAeVp4EYMtzQzl6/C0vKH4bVYY+fxrqAHrz7fOeo6O6+q2f2YWZiSrFAmwac00/xZBhuzC6wCXONQZbtBHn05MaejRY72C63fM+mrfXD604s5vW+rRECg73Q/EQKDQixnNLO0Htb6t51pFr7uFh9PXw8Lp+eHjF/x1SpWm4FBSKRM4d+RX6r9UgXbfGpBgnf7cOZD7S0xrvygysTf9wXDoBfAoAZ3gfOBk14KJnr+ACcJQlOvR6qI2BdgDZqpncPlrjU3T83oARwt+tVTv8aI3c3YllyshlwCjw05bsCnwAe6uvBe+U1+sTr5xVm0dK78xzI8pi5nXLntctXqLkpcG47JcNeqf/U57gr4eVTDYXavqx/7ixh25nkMlRFZxbc715Y1Nrj2sVteNnAoVFUHqxyVueIySMOCURH00gsXLOwkUmmXnZYJpEwnZsxC8ynHGU/jwgAiTdUesA7WIzdI3zgooZRJUISLrI1x9EeSFpHCpy4xaqSrfbXlY3Cn6M/pzoMTPoRjrfIN698XUI/R5kjz+7/oC7nLlT7QFJk3XoQMWT9/lFqjMrxBtTZgUDSY6lSbzA0VZkhyZSBeoGDlbMFA/b5tuqg5t7HLWbwOAK0jMzapj0fpfGyVcx2qasA1cbs4HeUI7wmthplLjdKQvddFO9UIUGRTmJNMglSH0ocw2KwrfXC/XEbwq/eRjiat4OOrRxjLfhb9AgtKMt4FPc2eKadAnZagKkDvLAPlvdyaz59bepKDHnON24vPKnrkUZLVuhgIxlifX1C2Cqrca2NQazGqYvOhhThID++/wh7Msp61Sd378iHDpV4YjpErDpI/0bFKnkgQ9HmoDOG0Ri/+XTsKJgijVLak+MhAlbJh3PJFAeorFO/sD8YWxefVDgwuN69fqpMVl8KN8bVu28RrQ9B8DgalRIv9jJgRz7HkJjj0zqoMF1/Tv5fwqc+j/6hQKwzYKUM93v0rZVc8MeKnyvgtS4yYwyuWagW34xs0aanDCNNjsvsiPm7W7FQ2mV0xkeail4cSyFplK+7Ax7bb2scagwmSjYw3LWWW3Tr1bqVqHBev4ZPWvN/xX/VKLnujXciOQIt6N2MjypaDPB1EFEIjAlLg1HkGIeXdWLCHjoVq+Yp8Ub71kTbPWtrjQIBinPBArW1ZoGVgV2CLPMQCDAjJtwuz8ZqLINFm/WKyO0J4Bq4CCmaWzoes8z2TSFVisSyd/s+ajjTsAe5Mc5P12MNFB5O+OtpDFIBCirbHB3QpHQZIIArI5FVtTG/H1fsHdvORlYvQqftu4arilWcuRQd9Yt7kQYyI5AAVGH9IDkOgH3xBPzsTNNoMT+LQ7RvGcrUuxQspcrHBW4QAPAY61xWhncx2gjoPXdqlbR5tLRlVCRw48aUJUJe/6nKq29NgC1Swl+iyuqIhrEA+if4wz/k0qhFpiPon2g8YC1E2Unqhz4+XmbTwxf3542UibDDMAeNO5lqVwbGPNeqa1YbmN5uCJQxaiSyeNnhllMPM0WpNXqfTjiPkPibFThhpy8ZlcrFmomvrWfTz4mLLCU1hi5yp7XQAilucihPjfBwhh53tz1ok0XEc209n63Fo7qA8cOw68OZnej1PJmHu+9w8Mq1zO0ASY9Y0UKUuoyyA8jRHwb83acLG0Kcrl/fadVq75TUq7AucA19LZl9vf61BwA/eTyzCVQUMk89I9JgEoj00lsWPkLs5fjnigTmBMHqpQTjFxdD+FnZtRRBagtdlAE0iFkuIKKkDLEZTtQgssAuL0AccSKgEfLmpXQC9y1UPhNO0985HZrWmcSbGFlvnurxZDLcxD3e82y/8JQHj61gKxRl8NqM/ZTKMU+0eGbUIgKhD0psLZxR0uP9ZrkgjGj6aG8zuw1dj4M+0VDhEW70BAGUK2C8G4bg4H3BZWo8CQw1vUr6bmxvvwT7IJQL2Bq/nH7/9/6NUKghw7X8+DITK+IvFBVJdxXRiAElA2Te2MyftSszXtj6AYdnQEEr6jTZu3glYSogu0RLiiY7JC+gjgWTz2+IwYwezJxh6qQUW2D6pkCM06Y3QriEOipVXjjaRANLeBoFBdbtPFdeE+OIk+tU6m3YrfyY71kJIYKoygWn/1MfPSAaMmcbhuflWiBUltQhmuGNrcx8yc6COalKtxhElUk974qrzedpnMqkr4QL8Sl28LQgzGEWuSK4Yqs3ZjbptLxBO6B4kyW4Wzvq72SrL2jWTZ9loSuW4B6ALyXIwJFHbPW/Cl+1yu1aoAWiH6TYw3LSlmc6ODG0J4xNyFB+v31Ojq8Hcfvr8fxTi2liC2qvlZtKpYqLEGOxGHw68PgPrcLr/W6CQeylIokW5rVMHNVKNuzSKo8BtdvSg0cCNeUQfAcwbBO1p59auhs41xeFs0N4KMgb/sU6jVefgwcINkfcZRUKncPGDQU2Z3/aQS89WgQKtKgv9oJ6gWe3q1CIM5PsbRpKV7WTfca5xzvJCJy2e4+WyP4X8lOz4K+OFfSyWrTaVhASNJdt94yWxSnDw/9/uS74cP4NnbSKeUjIjdycTAFEgSREfhvtDX17mvZhjC6HV8lPd7T5DL5ATa/uHGO6645OdaV4clVy0G8pmwmt8PnRGNFbbORf4/awUshC10tpbE1MBNbBuHlPbwVVSvLcab3q6cfgIyO83/k9l7G3tdl7NJ/9/gG6R40BYmS+NPE64l8Z+FUVsMThUKf6acEbAVTkVB3xP8aWga/+mWgmhWPlsSHAB0Cxst54VfrVlQFXpTsuYYXEx1sRSPDmI+y4CqCoubud1NCByWd3Eqn3CckeMW4S0yvTQUXmACf4WufISbAIVTbZd0EII7Xx1/0ZQL/dNYerB1XzSiscL4xkfqLUQ287+tiV7TTWwAABGQMYJKsprCZxZAMIwATDCsdsic1+/HWT90sBxokwnGHDBHTpJoxvy0LTmCwJ066FVGkPxZz8dD9ej5seY/jA/XehYYkQgcxsxR+sKYUAEoUKVtqE6glnp49vkf4gRMu6Ef9qitWDr+DnlvV+W4RxZbLHdZeIp58TwRfuYMdwBqTqZth9PyEvK1vJMtCL62xwXb4HCcdTyJxkA4KpDdrIlyyrx/nf6HuPVBOkb68/tJhb8r9tTjL2AwQe06VvpJBJZmRktnuocBgSk/biKqWp6drCKT6R7P0G28Yan0XCKBtymbpXGoon09iHBpAewdTan+4J3sTYVfKr71IrjT+deXHyz3M1T9+BkmIT/gxVPP2XOK85pIDFbszkK5xbIvEdSMjw9QX6oA0GsLgq7aKhU35Hz5lzbpqIna/WkIB7X6hi2mtDCdy6aeuxgkHa6bM8/953h+on2GyrfpEqBPmExKnAfAhr6JSpxrgLDTOyOqK1Qn/JGpAbR5N8p84nG3++bDZNDBYiZgIxHpKxgOz1fQdeHjwfzw8+D9l9u7pkxI4dwolXN5vGXQ98ReSDyQLrchi5OSVAFYIH7iPNMxIZjMg7Vj6b+osTSOooZISIc3YO5Rjk0Mzdw5fnEa9bXcngO6shbGkM6ZTJASGiOkfNLl9E3416Ro8JaIcmtEIV9Flryrurk1x9cjbfwYyAr6AVa4R2V74MkOnj7G5hpsx8Fb0uTPrkqYcXXFl1qkA8ZL6uolWniZ2T/43CMvb3qiQuuZ0maJqmJjhBwAJGGRCVSOC+NRdezPJPunUhl4jtOBMXTH9BEaKbzgCvI5q/9MNC7vc6eyUimf3iN7q6yT9VhW7KYe00VYoPu8awSbKrqUJrACECBIuOL4niaHJifvIT40A0CiBWPYB5IzOQhQWqZO+UwNy403gQRMw714F/fBDHbA36QpAfsHpi3GsJYH48KdpIIGT+klJl7MyAr2JczCGc/CmAB6QnMQNN6HwClJYTttP+k+In9u4HDop/UQN5gbXQaJ/dzMiEzWoQkFLNsyN2tnbLBiQEN1C1pfOJVnkPZHbL+XWWWtUfOfKIeyy/vF8rB/M93yfriuyWQAAOmLWdO5j4H34dDmz3oEbvF7VcadlzU/QiZ9JfzXiTLTCklooKuABUsI0os4Sb5fBUHSa4eZ0EFsrV8LeJBPYD+x5LROK48LRHn3ZLm9g1HjLvGL4QX+bmD/A0YGq/DI8C37UOMQIxOYXN/Vc9fST30FVTVEht5HHQ1lr2T3O4ib6SuEqXpvL5WkSBnHSSQyppP+G0w/gXPrrxh/W+8TkOjddARNfwKg3f38865J80OY6YWeSmPjDBI5RKEoWA74LNQMNZs+/JGiTou8vqJ8OReLd/kOKB/78tAPQv7NeYQJMaujZwDWc9a6F9nVOBVpHU/FAKHRuBcp+Qc3+87e/JriiJ9v9eihjE+wV5iCCx/3WpO8exhEhK3KR8el5y9MDgn/+ERLpakLRFpQtcnttwCtuC8fH0V915/PVa00b5hrG/A5cs6UU+09B9g3d/8dqqxngBH3mvUqFWak8DudHW9EX9YX6JVHV1929Ek3WjkZde9lMEyaAvhx9b02myZEjphUmAgSIIxOLZxcsgyRhnnEUc9HcFRUh1Nz6DVUGU4ECNmHmChJvZXOVGxVq5CCu7mAIgiCpX2S+P8IKK5L11a4hO0YcWgRXxsys/Hv33oAvXlX4nuJIMRDJGhRpsJ/nOxE0LbJSopC5GDbKkjSpXmKJtcat0dHftv9/N9bhv+RuyPRH7xWUWhvD0LOWjRALteX2RYleyV1kOMZ4XLwVOTfQu9N8w7PZe1DZ4Hq9zHUFo0HQ4oYSOBiCOva3ZNZZphG5Q7fsqQWvs1Zdc3ik3CFvhx9F1sEc8iT626zaR1m8uanMXdsWPRU4R5gk5j+1eADwza8Mz9Jez63uDNMG3QEPxNXHb240+/bEqFpuXgVU451VXxm/t8Y2VsF72e2hsLnjMvG/uF1EI1/1wG+u5wmQpt3r0PhU+njKUbixwh6/9x7G7x/iusZWR94xLgHPzWqSilw/fYi2XBleTTbihxgncUklHbGiDf3uecWBPz8P8XWqey+dRUnpAWjiRWnhyR3kX26rlNzE/oxgPZ9qziQpLya5ft7f7PW/5dIhMAALytlbQibb/61OBDxK6Lf0g3pz017rddOZzZBggPc9t4M+8L1R4mFmaR3S1mgbiiNMfL56LCG9L/XSqdZTxe78uKFr+KC7lAo9xlfrsfM4fxr+2hCyy130yG/qhqYxOcyzy5ZzghQEPEp3fVsKOySASc1C+Rwf81hEx0aBRPaU5Ph19+ZyPC7bZUe+O4joZfL0r+hQ9r/hVLBFeJsAOfMbTqsrGazN32pVQ17dPav2tJKe15pP4p+h31OrL/8OFHJIYtG4ihF7gr+mIf72hFgoAZeI8DbhO9QTsJXAkMHGJExI3rMcvXh14GP5lnkb8YK+jvpH8WOW1XxjykSJcl/TFNTkX20ppDdUPK8SMFETiCIio3eDF5bUydxG8GbEP2hWa3lDI8qq+vk3eRe6v8Rn7cUnTde6nJgjCc8Q3ATbpsTMQb8ngxKKOqcStsFkG38uRIbyT3i7i0WsJdrGRT6XYqgYBOtWskGyTzWNk8is2rVIKTNYvZUBICGDQ8NMgER/Laej8/A130dqdirF0HxStWN3o/tsfDnxiSl6zP82/FyaSCET8k3iAv3BqeSdL7ap5v5V4ZpsciIVTDrbLR5Qv/fUACjw02GOTcjIMkPmIrk9Xdm1jPqb9wmPP7cM0k362kramlBacrRMSZclItGFUx2YKiF/ZPyIKn6O/73sPPjcfQiG0mjtolp9o/f/k1vcUXWP/U1o0wVNlDwwwGY+lJpW7ObgekZpL2j8t0OX4apfje4gbxe/eVesGpgxonxz9QQh3I4c/lF/Jc0jAgXKJom0Th8Wq9cvnVynj/MaVoHXq7tVWBHTntI0eIEm6BeThjEmVE1/eSqzy8a8Hp8EThRtM14aYG4Zf9Leii2mRJl4kt03wkFK2olrf0zBGZlgjyXndyjMnH6CHUqkL9YgVXVcTcumT5OBSR2CuGlFFANqXafzKt4bF/XexVKzovSQ9A/q14nbR6Ma7bA3gxsiZdSMITR5gUkeDiFzWS9k+WCvcTJxLIK9jvhpcbMLiQyBXw9kEB1E30Lclh4kgSs0kbqh18IWandEB1K3+nhSaNnKe+cbwK2JvYZULYAOCDDO0EIJe1g64c0ASNINkTrAkOSKSJHzS9EdnIPD6E2RaNsEy3n71nibSibz09P1x8NDP1S5abpuYRi+ELbYYb8QwkVg65vhZfB/6tzMVqqlV8hEGjxCznoip9tuRf6L5NVESazuM9cbzsTn7/1WuPHlVAB+KHx/GQuO/H+SBz0vjdNQHGPjbXpQK5D6ixPlaCyz9MYYXNbi5hetRDu0xSyKoTya4JF3Ezs1bSV85Fozrtdl3rNaUQ0u0mEmiHEv7CmQ7lJRjzO/jYmRYeXRR8YcaCiF6ZcipcJB58VPtNywPHwKrt8eH2uLyZI382gSTxJlf34uoJHC1ApWi6Jh/3P9KpLEat5kuhI5EzXEgFsUBo29/JfP1ug5+lQnGgSnCycVQipfO04VPDKcplHScTEBphH3bppfyko7xSSzGZFeP3+xysztwEusbppsQtkLSBJ1GcZ0Z3B67MkH+fDw+hNrHOG+TGFXYk/mp45YhdJvcooVWSk+0cnzN8brnIXscWNrwbVscvJ6NpIgtWstTgVWWYvMoKuQhoeKxemKVemtNmyYtme1Okv/u0ZtCSVGRRm02L8vsb1aOnCFmprBg5Kx4gMr1ejr9OGolJMrUafTrLMjKhnRL8u6uykM6Di34+k08V5j6+JpFjQLbpHLl343SKzujJtIjruaxCKlWWbJZTLTtc6UbVjsdgM9m4uryRyu7riKLFTkelu2MQnFBv6MxTTmr/BnxHILj9xbVBXFfgWucdksXWzE4p14bY+rijG/el8hk9w7oFc9oEvrAt1wUl3LMEIS1I93+69x/nD48W7xL44LzpBfw2wWNe7aHrsc/SGYNnidb8kbw91S1OqcHP41/KkmY4WVceEEn00jnESuAgXsjfcH8lOIYKqF4DEIijQ8PdncLHEdz6xLD5UzaUlqki2nyffGE8lN1EbF2nrC9lPe0p0TO6TIEIbYvZinFJdeZneg79zywZwm5XDmVoOpZ4KscfYuRGzQMQ4jwQaLxfk783bkL11ujZXiP6Eb/2e/dNDfJq7Xxo5xw6IFcWe8k8aV+oRcFj5mGggGGkQlpkBn7J85Wv2LzceRcwJhior0lQeZIQ9JPCzua66TPLsYBDo/leBYCO7XUkR6nl0QIoFLP+m2eSzihuR/g9DgZFNFGmzo7TWcNOD7KA+I1+hy77XECFQK13ORmpTX1sxNuYtaX+ZDsWaCFsyv92F5lMZ74a9pQL8sPZpg5fG9jL3f5j7k2kWL60akHS19ryNtKBWUG2NyblSta75kKbIJMG1e+l26GKUl2qwrJaBigl3ajcAY8Vv4JaYL7hIOIrBM69SU+OEnp4FDgKaqspdsJFtgp7j7Hqcm88wkL/Fm6Zo9hg7V81Q2ekKV2W+HZ+1pYLHTwyvd81BnMgXFAs/nE4aCMpHJXayHmdFatdKc274ySA0NSgN4IWJGWLySx+MmbKa/OgTXzUjg/iblCF+kqlx6OgsQhViy6bppooVEXHevwKXDL6EVOvYMKwbPYP8jP3iJdXR9UIRJ1tne0I79oEtjeuIFM5ZxSGhSVjRKJ91qYA6ixTM+KlvwglNXgLdXBsnLQLH3YNB5WthiY4o3hpL4kGprwTHik28N3zdY12PpvFaSxUDgNitLn6DJxuTM8RmRkbniowraC1GCmJVJT6f3mEl1PjCGtDUoK7ZkciB/O3s5aE5oWU6bgdqNv46OOQt250esARi2kV5ZDqYW5oaDnolqIRrljqw9iNe87X7K43rkNntc79a4GlbK5MLpsNstML+EkP38+F3ZK361Tnxo49Nra9LmURnWLSbDOAahKUm5gt6Z2XEEWIIUXqP+akNvRTKIvxS8Ca1yYB7x2DY9kcfcZzXpYaXT1ULDu6xkoOSZ1T5ciIx905tmkYeHIjeBUf76Pr2tK04PooSy1Fr4XZnQQujCkaMerfdB9bHsf86P3l4Nl8Fk5kYKXXJMCqRLVTskX1dVDHUPTXVH/wrEje1Q7RkuH9T1G/46nfF1DiX8AVciY6EkD+M7QuRQRSvVHDOcWeLNOOAeUWIQ75px3Mi/S3sZb+M2EqqEB1OJvR3XHnzbC/zxL8LRrsID8+jyDBqoRGwERV5GLNPU47YVcrU8onJyOdW5seloAGeO+vwWqZtyqvp9L/IY2Xl/E0RlBOAOWRbP52rCI74Nl367d55GZkTrrNWPD9WidCCQq0AbCClGmSk+mNRvbGq2lZxDefuOWMkTrj/8L5V7qAxFIh7lIRi9dw4UgFCewgcMJTnsIOcud9JtK7FDIUmVqLZXcGsCY8a5SlbayFaBKfeVCSDJJcg2OsmXQsotJzOrfFGooLeFaPaGeWGWavrQmqJmwR/y+k6gA6xggL1jSdavuuwJxkShKoSAKjSeM1DjJbuIUfai7Wffb4I6Q2nxx46t0hxAH8/Szt6lVQxYgX80gw1aHtupUbsLJlxJtTHkY7Ccd1hVlD6GVuFvSFV/L+tuW3a/052+uS7WL8Z37xbzWXJ5aVD2xH1xqMzxH2qHizHJAM2B1cqmGU9JGzKh6wZWxCx1TNLcFStuI45IZzH6oDEGHDi2YIYv6QrTrhihbPgq31INaYmRb+mlEpAHFtcx9PuQAYpDCFCfP2Ks5lnI1Fqpn7HgJ2M1lA4rhuJ2DC7GHIGC6D6bILn5FoLeGN+7ZCWvSI3QPYNO9kVZOPIPDk8aoAeKu4uHgT8I05PhToVJfbWBUgg3A+fM9vImoEvV9M/aOWVmC/jBXEBPMzXPvtXdD/2O8AcewJnRkWP/p+xUR0DpjgbaTqNHjV3MQcMEJb52UQ7OtFJWaZzmg4qZBrIhQgARDVNDH616YlbS3p5yrc64rvGh75sXc7zBUL2p8e70wpRco9c2bwTmVg6/FREr9FMZn3EcIk1HmCZ2PJkl6RTXhiJWw/7FGtORh2lRahaTqezNh96+y8SmYdj/xqibAxqyBxFTr+pYtJHRABXgShSFC1lug5rCm1I5fTrOEysYqVIPf7dewYzzRP7+35FP/vzFiGwhgDaiuFvsdFHfRTYt8/iBa25CxESj0Ul5347rO9X5nxcMTH5J6c0Y6jbp/6iH3yUrhdcZ/gM51mpTPhZtxB5vKMy7qjBLvpaF35VZ2jwPO/M8EAjTPE/h7laEFrIioG2jT0bjRImoNAxKSYytPpBDVubmTmXWVXoFuW0nCGZUYchohBttmnqpEmdtzmhYuY1cFQrgncUiKTND9RJfycitfOPy9gCMuVJ/IyTGUNL00ApTlE7Trcz2LpXU6JQcwjWsn9ZikO5aSWUmUe1QhpzjWq2hHNkR5CGxiBowoJ1HxF3c8O/WK0y3Gv3i65CjvELpKtAtX6MZlGB1LlV9s4bYQHS+OePTdSEnybQ4DmUDbVoc/TVqceJQYj/8QEndsTCC9ZKlAeIshzINljhF9NupHfQSr6f2nrq7b3XG798fF76NPOaemlGwRCTpYXcQkLFT7JvRfNwQHXEdmCsNLMaifecHX/jxXiYRkG44Ojccb7VOHydGjTjAEKeHCQ0sNkDkmUgvUTYAqdlkvNvzrRhbMFObaZ9pQpvQMeNLB0AQt+mJ6qtRHhjQFoVEwnTjkFr3CtWq7r7zloCNFVJkzSsPf8OFZ7Y9HxE1J52mP9+/YZrz9HR96SxrB2NxgEFPJafymXiP8JmYyD0lPriXCigF7WQ7yJxAdd+Zi2q3hp71sl7hTZVJirn/AwmGiGDb/G48qrRsxybBs4PM6a1h2q1ZWg+fP0d0SI036bEYNOfYcM/56I/cep9sD08BPxZI2GUboeXJqL6IzO+1gi7wU/7YckB+j3zVCGxd3IywOGGouNS/tyeLNp1Ux6eVqwiooRt6+oOU9ty0QFhWlVnAM3jO9RgoNDIP9rAaP/FwSL1Pk2Gazthc3K2ldCDjd7BA4dKgNXJVkoz3LnIuEHyVKvn1vQ88pVjlaueQpsnm298t397rczNI3+XOf2j4Hu+LDKQ877wYEOJZiHGR9EQID2ju+G6N8EuJ75ev1iwJdDngV6+Fyz0089g4YGiWOIVzqTUWC8Ir7eQ687/izvL9udWHHA98PR5Vm+4VEkWzzVtL0osoWGU7oi9s55MZKwCn3whQ/p2samFattTvViKYzzSzKbFDH3OZBVBE1ICg0HIY2/2/eHuXLrWxrkv3r9DPRiIRhE0jG4aQBIJQgEAX1EMo0kRIIrC58+vPmHOtLXBWjarTON9peFR9b2baYZD2Xpc5n2mwpFq8OLqgSJE5ygcTXZ2SYqne5qpg5O1uud2dZymCiLpSj8zSuL1yqV8UgvRoGMhILUssJNyQm3Ba1n6XGuzcLqyVMQDLkNMxOZmNKsLv6z7msljMTEL6lkuTbmv0tvrRaNNh/eOgaSmUcArY7tNUSpIHNEEwUih8lQWJ60acBMQQblFjoDgcF6gJvx+2uefFQB091ts1LSULSheaEaBqAtmL51lyebBRyofKeQE/D3je38WJpMX2PM40vXCI1hH8gK3/tRT4Ub8flW7QGkWS3V5JwJxTEc+sk7FCnWluXxR3Ra0lNA6i8/O/L1+Q/I8G54PJct4XZMv43VaEKn6KtAWGQKJRt3UnjxQ60ilGTrCIxJKA0gcuKB4VARhBVDdZ7eVP0oltOW1jSO0dw4/0DpsVfwLHgvh+rwd3RpA96tD7RotkBLMFoNLiYdHmX89b/6qqmKU9fNl9f/s09AuYrK+II6asRNZYvMBlmjDb+sItQWNFO86i7hkS36FioPEiiW8rLNqk32fIjE9FhKn2StATfRMymO0LLr44vPc1f4pmoIsUVTE4HBqDscmHhrnFobmmss+96txKO6qyQeHeNNlMeG1wuVjEIGuz8A4NupdDFWF/0YEBnqUil8aUC3TbFPX7NEg15C73NYx9yDvh+dSs2FWyObbSxVdPbIKlddJ6hFO3G/HQWeojFFJ+cN/+I7QUH0olyBuQKSGn6TSk7LBdRUKQhZUTg0wUS4b7XGZV/4WRh/96bZOG8QAM1+TzjSJkeHvts+Thy20G9MXgG9S6ByMQl5qVHfTmtK6r56zJX0AO6NbgQxx/GrvhdKFI86pwFHRieBDCs0398t3QH3DAnZ+LE/ZTp3cQiCb/O8+I3D4wLgVmjimgqCzdyAU7iHjvnXQo4H+1YshYVD+KE0VMtYIyADf90f2FfZXKS8Repdoad8jKHAwmbMSg3oRSa8dVj7nbMZXlrQ8NzB3Q6Xy+7OR4u8AuvuEUl6TZQXL5zKSK7DFDMwLJUCdi9Ei20mvwrSWTny5YbeEXbI98u5/Gz3+38s6mKozJfj30FU6OyEmvIntPHWgwGG52iiexsEjZQaZRGL2bvKW1GC5zWxnTGKet1C2NwlDGk7TU0H0JY3UT++R1dytbTUMrW1O5JlxO6zuYWqHLpwJwfW5HNdflvDZj9UgTQrI0uF+FseYVjj0scFw5aGgfpMnQWMvJxgAqsgxPiuKNj4Vr0sg9/0Obs8XLrwQwDuxqRyRP7UBGwSl1zIBSmSDtED0Wta8dTN11KO97ph9zAMdxDLTmBcK2AaqPt1DKM2xgq5tMb6LYlYHacDOFqYklWvf5S9QVea1acepN6/BXbstNhIzqNt26Y29HqX5YY/E6k96B/HqegW5/kxltUObF50yMO5+mqejw4evoVgbYgSyhQD/bA4V2V9jUrkRnQIVhmIj7vKM7irRt3Rr3oUaY3Udw+TAQ6+naxr1jtIR0vcTbpklkyju/JkfJ+ZFNke4sl6nXVRRI20rJ2U63myNzq/s1KCj3jAD+m2Ai10hDSRZ+Jf+nOLwdT0eD0ucUKk9CQYCta5/EZmNCr/DVY85geNRdJaAGZxo7n8erSevf4XksBEu2AC7psMGuIAH6Acr2vDxLSM9aXyoErFx12Yhpi99W5HT8sTRg+Dshw4HUrbrlHcxi3q7vjT03bWf+AtzLf+flM8KIxCGo5/3LHBuS987hGyJPd6IHRWEI6ZTSPkNLpDpD8XXeMTEKRoAxG5lM+wZhBBbG+pEFpX0fwzvkKUptnAIaxTuhfy9e4DfRhXn8Su1HagVT7WtcSrNaUzpntrgue9fWIDFNcH2x8ReHSKx4EtMJKgWOUMQTgZfjlEe8wFS7JVkFQihYYpr/XwmDkOQhMvquK3RMfNDw2hTDuscGn51aFAE7GaFP2Gzgjly0VXIImr6aPWAPlvLg4dI+SAwFer6VV+1pg2edwHQ0egL8KsPyUsjlsQaS/3+3u/+//ULCbyHxSaEbzBA60Z9DnvF7MiOnFNDCXfaIYij/g/5EmhAP9m/frqup1oJgWu9UThPsm9jy0XB3WBtJuVwjpkaYVGC8c7UO+V9sG7z7aV1/ezkMxXsgurMmQA361diIx5a2X+qaqsA0ecOIC0xJuasVeq/0PYUmzYsed9vfYcuAJY+lfkPGT/zm97RMLofzNwloq4DuEPsUsCBmTTe9/vzgGmqNUa5XPTcVwMo+VIZ9VirYul9ijjtgZzSJHoKo8ERQnp4LSP+TS8ZxU9A0EwPISPOXE0bkfO8stPnYWNcVI1iFo1fBMdSzs4jRDd2QASTGK+CG/UQMelqgdpfHGJurrSYfeC/tST476NJn10TXMwOkg4UrB/OuTob/D1aPlqw0ezcJIw0GZ/HsA7Fwfg6/5Mq3G9gfBp8hFuj+79YieUhOAv9tlViLted+ZvdSEktEVfSkdnxScVKX0MPRLPZFU7Vi18j3rhCEqrGoIcNePthB+dFQYMyC120IMzRcN4S0u2BQRYlcmpLdx8S4bqO5W9bQhmPEjNgLJnI7zUIHuJa9rqgyCS3IvN7vwhRt0CdxxKNkDsOJ6W0gLE9K/HtJuRQZCU+bqN1zY9ngdV4OdbHHgmqFAbPmC3AolpkMssb1O3IOVYZY0hkmnRRtdHxLUTGCZGw+eFI0UBb53mOX4von1lNoIqe3pw/R/MGmOkOyrbykm5tQPgFdVnzfY/Cde+R8ll+vmEr0DGouIsdyI51Ryr76zWqfWs8j3M6Tv2ZiJUA/PIvCpLUa9s8tk9I5Q+cowxmf97BJRfIXUTyNY0HJ3Yhb8HpbjamHplQ9FoRJt4v5LO6PWmFd7bMY6q9Yhpjd1fOm+2vwJJAUwi9YtzmFGzvF66LtyyCCXmZJC+yWVPOO3AD2j5le+kzxQvWpuamP7dos3rl0XzUAkAKZjXzHmgQ5CBUYX+abDCH4CIW33Eh2lrQRvSX5SeJN4dlG11JbN8gkPjgjXdrQDD+iDvlUulvuOUzE4iARlbWoMx/TQ0HQXTbz3KGrHB6JCNzk5rTiMKKDCpbMFxwrFxnY0ekBgoIh+2eeIGb4Ci0FLkRU1eNUCFd1dV4x+fBya3V/DTot0P2IM/NBN51sC+mNEK/HOw+BngCNQCVrolHCalkrtEeQXOGNwX7PozML/XN7ssCZZrWXjsQicOWdQckwjM94SM+aC3BXiDZLRM4ruLKyTdGHyXFdbE3E/AEkO/EhJqEy1O34KUuI/+xvMi+8azrzjkSKcRKvlfWVkwX6ZzXlVZvQbn8RxQtcL2SWtUbDQ+9NqWc7SSd3Q1BKbv/TRj784m6zvyi7U475F0485Ih5IsvFe8fYXSZ2d/Jx0DpU8zRWaX/Xmjr/2QloDbqnmGw0KP71r2fz6IfGmRnf5O3maAT8fSeTudqkCia4oJhrjYOrQx2vjPi4q7TNgVStmpgcLPyk6Pv2svOCL+pgdK28a9DxxVCUaypA4l0isVxgF+PNbs2SQ9vcuMau3sCGdpq4GYwgEo+NAGQlKH5R5a33bzdxfNm+utl5rsXGJVE4kTvSbHsZiAkJGFcvsn7aAGhQhwmdywzdnVLdMSIi/dpkKVSZmOSJeZeauLuzX56zeob7T5ZKqe1WJtih4rR/9HY879+u6UH3NRKCiQOazj8vPEppbTQ7OQR1AjvbQMQCDgsyQbs36vIACdUsy+IL4+/cw14Cjgm89QyBa1RSsaUhxRsz+brI5AAXIWKj5VvbwhyI18O5vew7/epdzGyxyZ3r7jKaLiht2HXBQqf+dVJL2bUAEOqHThlFrq5HXpEGXK9rXlkgYtppfP4YfRKlQnXeDoIZvK53qVTGnTwPrAJDti4qo2kIvklUo9V3lc+BPQH8RhIE/zk78bw6hZ8//tGMkBqsqWBwxZz5UHguLuoSBmXsdUX6LD9d95YDB2UbuoYX/Gotk28vO7jDu8uPn89ZXXa/Pmbd5a9/1UiIHXrs53XGffBatlfZNUsdk68MFjXuCQ2cWNSuvUoK3lILlK7yEWedzMQM0k6oysYuMkmzNFAIrQf7R1y2xmwArQqpLl2O84u6V7YK8H2f8l9bKa3exj+2b+MfO23UrkvMX7LHcM3zcyZT/ikyTigecShk1WWi8LD/jLfBKFe8lZ3ihvWAZujGvr8oJcHuIUhXtZJ5fZ82NCxz2LE17ij4gbHlVQD/mqyQ2l0JljYRhuouj3E0NVCqL1xXcoFCbUPKrR3vNS03RFTPE9GSzSlEGGGwO38Ljq2ZXd2kjqovG87xJtzshF9YVOiSOxi0ZTLsDRChLhp/ZycJHqM3e3k0Gvm807+Hb0ve6KvKtoBPWtfuM9OinsdosVFt2q5YKQ9/rZI9l5qcZLhfsrqsA/Tcn82oih5+3aJiK64RNF6xDyU+tNjlSMiAP4ub0xgHK02w+D9of6DXSVKEdDZeHJHgwiSQc/c7IyoVXNvkxcQV1VhL5sfFRl1liYMr7dCmbSLDD3jqr+9Cc9M5R+xt4FwqRcjUJGcFG8Z7cGCA15/KDQd8ejxp+7edgpfl08fp075L8b24JDdBzmct0huEFENP3CuPu5UX/2691Txf9q2JUwDI1x8t2l23NYgM1l5ipPe6cIIUB3FZiVquqJT6WI8xwv/ibAY+UGHT+rLcWA/Dq7npBCXx7dt11H2+hjLDF+H9VF4luu0gML8Y9Qy2vN9lvMV2LiRgwtrpbJIalLbqreKENQRxPH9SQXp73m9pO16GUSCInJw9gRJKBfUBB7oN4wwTOwi3No7mjVQKRVJ9LJJeKc7cdvUWltRPZtQ7PD0Nxq04KnwGN4BiIoQIJLz/NFa9lGaSdmvtfcnGdSkVcrw1r++m6Ki3dB5lbsQ+KtWrn1vculldBHBrGdJzX1cGbFNZkMqNv7Tdm669ETGk2YtpW1uzyfX7MziXaoOqwxMjxTXMY4dBCNrdmzm4bvc1g6QZfa54yuDISbNdM0TLEusmhjyI1NNO36ZXj38m9z/GSCzKK5PfpTTguHRfKf6iJc1Udt+yZPltNH/65v+KeB9CSsPDKv8jK6qWKWbTKo0c349dSUaAGkVu4sH8hz+YUTJd3TRkCvWZMVy5mxlFTAurv5jDKepbTyVrScR5qHavd17L0cSY8y895vzTymvoYRqDXAWCL8F3VxhFw0y9DJmD+/xt/KN+H//YSgPa+xTzl+wsFIVFhJJv2H9undUXKN+kpNS5iTR0dC1q5Ym8b50PlU2yvbxxCM0smoNPtbVNQqqwE6DQAM+7DoSe9VbrPaQVDh62HaDPrUm0EwHnvKMoRsXdxHMxAsdXXl4Tu6ohlMaWYd9a1sGhNcMeexg3SWvkdC6Nt2fk+b8EWprG7dZ0OJIKnBw1rezQm2K+09vwttKElrupJ20Hr5Rtj/U3X29xZPauyhN76NQwV+bcVrxF3S2YFt2nyUeF7TPEbgcDghIvuVfV75GYG0EifuCYiirCjCJg0v7438olxZbpXLrY5nBrgHkgE4LxxMjKHs1mogBSXXqf11sjSnIlRCS+P1w/cXa41h86udHgB2Y7riOqhqTSu/ltUP4WBvMqPRxrqc4n5X8R+3gsRSBR7XPpUIF3RrV4piPvyDp2EOu6LfKqimMNmXMu+e/0Rh+81mLoCzDoMVtcDSbLvKzEHYos29+5IaJQDJpojvDEho8SepMhKVbtFaZYos0M2q0VIirUD1RFNf6g2JC+Lv2kKmHwiYmzv6vzEutQpPr7rxICKLVzJ4l7c8q83hOO2tN6GEsQs1zcbAN6GuMMZqoIRqot148ZhUc6F+TDxywG4zzlgvu78kS9qqRWquMPAGMX59MHXlzvcc/FpRKMIcCLzuj6YEG9Vge2HBvIzHpPDG9hGB9RzRt/zRURylxAznDYquJahJaIElrhAZtFiB30rKNBO1YrT+P+np4GoTaQm41oOeJrRNkeOL8wgcyhYk59gwGneLODfb8xnJxMZp8OPnALyOi3McMsIv+evtrexHxqJ5YCRHVgeNJVW3v3MvuSPIPR4GnL6Ntv366+8TwLbqFR9DJ0hQ10V24xmHS7q+dVd1L7uJ3vhM3Jts84qHvo8zA+L7c49opmlnXiQarcid3EjNxZumR2UOr4dym7dxooZHIBgNBG/xLe5OWwJeEWsS02wHj6QKUgQ9mHNlW6hdfzcq+3aTb3TTa9ijFQKG0o1ocUDpP82bZyMMjPTIzueLDe+9cS2/Z4n9PspwF5szQ85abLz/dvtqHOinKZKcDcyaSBm6f9u9cTn5GMAysjLHf/SOS9wZ35Weje88R9/qSGEsIIlLBQp+8i7LYSG9zASAKUNQcOLumIKLfTex0fxRIMic+PRwg7bYWA0pZZf9Ympr+o8i3rwI2MmyaoBIQA7O+hN7/x60AWRQOUTO1AAfq0qGHXj080le5Y9JxdcxEW0DsIwDHCnMo2ZoBaUi8BZdY8x67oUe3x39mGw/NK/uriLsayNKy4HaTduU05G5dkihC47LLEJ6RZ+D72+N/lng83jh+FKIsOAMItY6gXt3Qp5DDJmMWyaV72ppoOecwbCoVzsehlmsd+ELdd8Zik7d4sjLS2VQqR1KNyV1rGiF9w8YJFg1ETXagiUpnaHmNLYbkgDsscCrr32lB2Ejqh03o3Pp+GNjDz2urf61SfmnSO44yb1RuQBt0m/Q7n80rFnPzY2AqgIFyI1VUy7hEchJscQSRGJ1uJWWeQPGwQ3gGrZFYdmeR6CsUPykxQJaMG3Y9CGPuC1IhPnOCL+adLuydmZDh0OIaYlNDqV8dHQnFrnDaTD9fSsVuwoVClE99E01OHuybVe7IFjMuCqKKI51HYjx2HxrJfY7m9heOUebLzNCy7hnr4EPkjJTdkZSGikLW32uOhbk0Ql8Wjwauq4s4oDmAluhV27yrXiNf7WAocBHWlZt7QiMPB4bDYaJXkI30T3IKdslL5WYhcdOw8TPDStis71JHXX7fQBisE3frIO5SldQ0IyU1mtivhJY3tot5UTY+x0PhpxKS08k4AeUZ7N1k8EdkVLSyhn+wyT6ZqC/EjvyXuXiPd2ytPMYiwbc2dmHFyFFUtJUnBihcqT4CqcLqsIagKp1mlSqaRCLAxIryp3bP3uWqjYL+I0WxCyFZYtfz2mQEZ2VEvT1mlSxBiV74g7JGyR9LAYivC1ltOPJi/4ffCLMoDdr03kLx6bfG0+4xNMK1fu2C4OlMV3dt70v38IweMLzaOzAxlh2Q4QHuKWTCzePdaG4U7xJcYPPPTks4+7KS0PMbN1Nyqs3bwgl+iy0tiDJ5u4nGoscAXIdXdfs4oDWvHj69Id8/8yP6dn8W/a5JZeNkJ7QIh2o61W9kbQRVjWpp7vlRFz9n8B18hGMFgAhl2l8kL7vAaH+KoGIZnk6+Jd7xILiiKqvu2eORVl1ZYWq+MUeLFse6ESLgO7ru0SZ0hKJQpMnoYK8AVCG8zYZJ3lcXe5pDDIC818H/wsEsq67WRmSZ4nC5GZSoxK2aPR7BUW9AKwArLy89pcUX9AiuHt9pkX8px9TJrSm+buI5ua5Icdoor3uzYA0BJJhpqr99j+QXYDiEVMenNDsyJL3jY2rgE+AiHnfA3QHWZ1IyBvzAB1ZNt/2ulOXm7pSRVa+DK3MrvA8/7Yjx+YunFoJI6KAnqpFh9kARX+imXSVhK0tbQdBGVyY3HahNo20AqkJntHnSbg0c7hsgYltFqFgvszNBZAZ+TuPuSRdZjCjUum19oKZi9TKtOtlXby8R+WJWKHawBh8nf862K/RknLzOKaQDqlCoDcQx8mUInfmuNgvd32cRAmxUHmrXqyjxrrWv540hjELbjxf6eYLSwfaGlj/moWcjq1gD31wbs24huVUgpycKzbRVjRJk3GvNh8JsdmPQRm5NC62IquOZZgqn8pVpX+B/XQi7DFaYs+15HLXkMmVXhh82QWQn6HQ/Wz/61ymUMJZNdzkR+ryUd/UZXrSTUIOBDorvRSPS2XMWuDRhLZTVs80L05dh1TaKL9EyT69eJXgd12yFeDV2mp3BLjpDwIa8SJS5rpGebJ1oGThMrEe7YvguENUtU+V0kGwTfVUKxHzmZnyB0jvuQIUJssC7qEBBLO83tvzHJmudryt1F6SbcYa1tfycQ0te37++Cmg/2ZBbIG3LZ4blt1oS5DRRLo1nrAhOkG1MPepvMLJN4x0tLTKeqxFCFaAoUN/ry/S9ymhh6QJKg+McDOTna3Znysvz9ims6B4QNa9PqZoPX7u7dFlObp7LzSapkeILBoZAKvZ6lYATeSBJhYoRRgsLu7cnXn9XxlvafBMO4Opb7bvQCGO7XP61FFS5ix43i+NVIGpAoO/un9a/4MN3PZSc+FOI1MYCP0R6MDX6RRSzSSbQsO87mwWrm0Tfr+ALept6p8F7v9GYuRp/mm+5ulUG3NZpBc7Ic+MXAXLbLxDobYeYRKeHSETuWfnhbHZwh8bcJIY29nrc2kSCxt9kBZIbPQEbBfieiErZXvR0XhPzFUdZnVBxGsTLodixCG0x+YhhH7itK+a8sATxz8P0kVynMFMoUPBXgMhJd4Vi7zEMyYAO12Fmt1FaB0Vn9sIBm4iz3F1W8xGjowcjkhn3BPnn9f/HUS/6uxNMVEjKwNqpCIC3iqOuwoeYmE1LMpIlCbOzWPlRCEvxlVxVNUrkIx3GkiPX8t8wVmajt6yqOT+ZIVl7QXPMtntgBrMnVtTUeanmUYI2CQ/L87fJJA0wmWSnyX+CBpbHQ8OwXM80agCzORKG6O+ELrTqBXAsw3hJyMXKshdDTSoOlGmr8EMU7Mr/8bHJiH45q+SMlzdTEQYPhyMG9u2/5HmJTBW1vi9KmDIZyqr6+7R7oww15gMoY6aamyYMialJBvL+Blazfj6rQj51KvPQYR0g96tIvo5HTTFeIP8y+wpKEhdk/rW/jt+/NXH9SuqlCk4MbhymzDnvpa/TooMSsHsMGCvqKR5XjJFWBMMVZS/umYTJnmQ4AoIY9nYRjmNCz7vKvX/IpcwjF2jQQiaFJi59UZr0R39e5fHeB4oECRFeblAg2xo8ZXRIkI9yaPDAFuBQKH3UydxE5/N2w3xZngaQVQyEFirvc4M28mKNcOtCzJKDIec0AdABZYGHnSBLzmNRo7AaR3EWy/0TdnAl6cjwYlRMtz7F8O0nppUxqqZ3RmXR8lwPXlHGp8RzLoqtAETg1UXtgWPbiRYnO0zwNnvGZ6F5vYv+REUshYAfnqCB0O0xs80VFff6W4d/Vx3ro73SJjhayf1N+TnX+g5x9frb0A3Z1NI4kyxWDecrsddF2I4N/FmlFbgfw05hKxq+yJLu1ltvAXI8dkwyJq7e6gfpqKkTrrvWQQDmWivAfr7Fe7u5ak5glthpL7UJW8vnr/LI6mzKnIRJRrc7vbiOKosHsyxeAt7fBOAZAE/mgkmv4TSyaqdidVeLFhJ4jzBctzqjMWmyQ4i7v6ZUIMDRErzivsFEyY2EaAeKHzdnm/UE9wzRegTG0hRdrgHYG98j0gmPW/rN4bI2TO3tHQhhIuNe/ehhd3EUUv0mH7RQWLWZjx9+BC4pzSCcVYDsxoNuq+G4ahy2E2Wo7DEULHEHW1/ApMA7FswL2RxwHbot0Dynig2djP/taJo1Gli2akMupKSIenoRsmGXSzRBevNZmtZZsA3HyjdjcHUWI4j1kP0EXtu8Q6aRKkufRoK8iHPZF39vL78RhyKvRFNk1ywBXslwRdgogKouDLNndWlHH3f8xMQIfgmBCabF4AojoLaRgxvXdRRkaeDL6Y8N/EtXjXkE/8uJABdEgtXk8EhaWQHb6vXlkz4z0geFoCfamkYfOyuotbBAnnWCXMQ/WU6lY1D6ITHWSBEzq0vMXD7NbS5CQrUcHiRx4Hw3JbJYUMpyY1NmX9nU4jUSo/4CdBpqAgKJtfL6riSlgAetiPL+23q4jCWufVES++XnibrNYlN3ao1m7ZQfcyOC0xl8ispjd0P1tQsyh3G+3DOFXXQx3TQe/8qUYD8vWshMyMhnbDthOboX3qP2BJHc/d+9gdvmo+xtZhEPxatLTAUDGKC2x2n/xrxBhSGq7Z1keOt2q6Ch8gROj5NIA+Y5wBq4IIVKcKQHOKcdJJRzwZonU5GAj5wrL+mCDUxrCOzE6EtKE9dgPKQHhhDi1QtsVBeAE8WYmKmX08nUY3+2efUNfFyxIg9Bf1NVvdVt31ZwA0rD+pSmUbp5aZmiZJV5qX5SB7Pmoh78yz+3eAWeGVzTyuHs859LqXqrVkHHKBu0yhG++WUZf+jotflhQabm7kTxhSI+3Yszfo5XWJ0Di77g3aJAz4ELNk260Agcc64Um+AgPDOo6rFYf/oeTdghZjQr03Bp7JiMhvOl4X+FL9+NGGdSMVaiCKaoqh+O2da0d2iDVRACyEbyLIeQGAgeScDIonjQZALNLghFDPo4Kf1zJMFw4J9o/SvOkFnKsYlB/Ipi+dj9U4u9DJ+d/6KkuodbiZp0wqKH3nv5Q9yQqEglvtXxzyRSjWRwuFu04kaBqHICwDfAHSXY3lhmz1D+Yk/1z9fpmGymFRHeMXr4kHRq9EFpy2d4mPyXJkkVXLbIZcQ7x4E2VlDUaODLowuW0VO2XXE6wrpL8gXnAJPGv6rHj2OmUI1uIA83K4AEYqwSdFCxrKNJ10mZSuHY7nfS689ipXhivG1Vxw2bby6sJEQM83OmrdsqeIkLfPkZHX9c10M9zzsAqFRMrHVV48IGMcIDwFJf5bNruuvTSWDMBr62x+z7fBynWfxe44q2fJ13hZs4SWQnQ8l4kultJbQmgNFI93JPs+R9ehUOPeJa1B48qFkvoQ+ATEcwvTVy7+6jZwfN7wO7uSIU8kRWwbC0bUI4b+1FjKHWvJuIDz96XrkNHJ9XC8x5wsgRyK2NpQIgxwo1SlzvCK0dnJtx6bYNrZ5y2DpO2boXXgKJpnzJD+uC0tkGJaMf91jRtJmKxndsXZT2gjoe6cKv+6aenQf/pa7AmEGm9hayP/ax71fmOy7sXCdz6qUJYaUkhRfIzEL0/uSmEzPVbcOQ5/lbLyycPn86gW8tkY6QEvsyJU5vKr0MzqQeUbFZGJlyx+1uTklwbNmGZFwkjpn0HEWGGb7hdJC14QL26d+xjMyMfUx25pEFUfu6pQ516F8x8JDdRfxGn/l6ypaBhNQQw9Xo6NBxKcAu+prZ71ToWhWncuG0QzW2CpAMDJtqQ0HeV0YFWQ0nidoxZuvFUf+UdHcbFtpprm/iTaVzKjpG/aWRTrCx/QX8gO5d9bmOYSb3hpyhqTTLaWLCf3ROXoeAyNENdaIrwBrX+ReMujeh/osJGw5gKuNzUFGskl3PzYoq7xPpsTSM8e5Ulp9nIyzgOET295+6zTnygSXnZUQnxLLkIVxd4k1oLkW4+7rcW7dCNf5pszE6/cb2gRmyvMI+QkFMKAfRYtIuTqF+8JgDgaOIYTgVqdjSq0iayk2Zrjofxu0xM4DsVQ9drshIvdVLeFZxYOfCKQYVOxdu3UbJsdVfzbTcfTFthFIwE0yj2h5viL33gmAySp1DgCP1jaDtKCf5egqgsB5KSZKlQh94HdqGsDo5iloYoz/RT2LXqOhrX8UhEBrgdJV9nTEn2lwG8FidGd3Eln9jSlLfGSJNJrcCNfjQmEGpY5OIu0n4pZhcoh6693r/8rD+ejmPtEafKIdghMGizWUPVME1DQZvNOr4SboegQR1Aufs03VJb+d7PJg1UmHn8k7bNi6jANpKNG9ZwD/CJSmEZDSQE2vNNXsdSmAHTmdPApYfpKhFYCJ8zJGXK5xx8WK1ZTOEVdJGsAMFvOpj5oryBWarO9NCrytA0aYzYYc6Nf8PRdsiHfvsPeA4a8WbrNPY2pWzfcHHVB/lJFyyM0du6BuTloGD3uyrp3kHWYOyLvRdFxu5UQE6Im9KauaQEm5R9etTQcmXc/kdym/mZZlY4p2IhF19ptltvg/Z9H+N0F1GNalOiIB9o9I57XdeVIKrHTrXIUt+GhWjWbBIbPx2cYGBvmJWrC51kfIaeMBj8bI+xOeKqujX58AsMSjbH7mHXWtZZ3QodN5KElUFVPIww3GNuA/rpbWT6MvYOegW5mQwnsm1wxthks3rAor7NIsulNcpEdswUN52ZwNDU32pTgIWIaQjaobsoK+WLueFoHnUnrZ+/ZswKMZtqgK4CprGJNMnpmlhDXFvBngbi3AvrFQn1bjhY06/JcawvI2wMioufxmanNEB0tveHOXVkIw2Nv9HhVq3uV/0Xq9p5dHFR0X+g62lNS01vXdubQyuqlbu+TLIS+w256CPyYqongdFeN2v8oV1BsjmHY94hBTaTCOBJR8PPE6v3rzECHxh1Oh6U315miNeDUgDluIr2UAnOVjQqjVSgjjksKl2Y9yLHfaEEHumbAj5gJMxPlpJtETOO/mmNb+2tZKM76qTTWLLPpb7lx0Jmoe5BMpwwh6svFrv3wcf/C7BoAdrS2A0DMnYEsoUpLOiIBned1eEnro11DOusfsPXZVqIZ2fsZiemECHxkN/Yd/+vuWSve3G9TPUSfMRoA7cJp9jmVboTr4AEQg9AB96VSg5AhIMRXjD58HukBp6/Xb4a/e6kwtWhUSzCKnC6FiV5kmlZMJCRv++vv67vpVIoiaFFqwQZEAtfflOJRTWkKtfSEDleMkZ+/u2dW5E59UceCV8aNaWzwhSvmJx48U1V5BIYwokQBk1PT2/R09Pbd6z6L5IkXLV707mGG+QEaWntDEReJqZGkupwtx6bAEAF/m827yYQWSVJbUE1aZitxO9g8guGMdFnoMTLKb8B60aMiW1YicY2VJYfoy3VyJM46ON1OHF2tECZVKpfjCUfLTttP9ZYD4gKMR0fcvkuwz1Q4xjPUqiarQPW6F6y5wMxoVDaQG7bTMcNiau6iKGPRZmO8YftHV63gRmqZl5PNnaAU5AtwC8cDQsuNRtR9RoKljr/YY6wlY+bVrI6Ksjqj4RIdDFHjoYzw8TKDZIA7f/awFwAnYR8koqldQ3NZVCFdYVvrm0E6ad8WOmumGOSgzyT/ny004b6gun/G0wDH1lykXBhk5giS1tbA6cnqdlgnIkC2xoPYzSPLq+tKCVagxKLO66mMoMA+/WuZsi9J4m/y9NYvCDRxSD8wq8isT50gDmjj0hQmrZ7UrNx4xbqnvKtbEdYCdJPxPAw5g9yACRsbazccxO9CDZCa5CEZYuJkewC1OVHkO/aUWdRaru31bkJIOjxBX9I3+xJvzdITOrAiFfYUICFjo+4g6uA48ibLoS3T/2FeVvGnv6YWpF2VqkvixzZFMImgaWj/IWBeuImNsDyV1SenBwOv0RCzsd/mU6dvcDPAgE1hAgrnCTFSbyPDJTGV9z7bZpgC0uIApl92hV8AFSoVIw1tXTH7c+HvUOEgZPhaggNundVk6dLxz8lj5lJTc7t8PROn0onfBI1fRWcmrkkE0m9i7Bpn/LjhScZPFNrsctUx0XiPkmZu4V4xnRG7LVcCSfhTJuDNKrNluQCgt8taJ8pQH7Y4KncIQtgoRhVev9viia+zwpelIAEldZ3SVAX8wDoFmcD6lBKnNw/yNuRdBvbepXBRx2qAYwYQbhx3Z1cZcPpy87UPOpN8xdtYLY/vn7hl4R0gUuOMluwm+Pk47+/fhiawraP8b8R62XWvUDi4LjYtBimhqYsji6vYcyrU0WRrHzszUA+Jken4FRF1HHnHhLiaSCJ9vQq/nnYNAursID+r7kqrT/SOyM3jkQ6Vpt0k1Dz2gQkC9llDWuu4YCvTSruCaUHsfUFRm6eALY+BgKApHHk2DDq4DqRkoy8NpG3t4uke9TXy8/i2V2ciE/miklrSR/z0rAnL7/7G1X+GSbqMDBsVuWPb1X5XqSbtoTRDwPqK3Wm+SI4QTzEOQNs8ESUQuL9Y/cG1a6kR0TdocxLJW3pJBly7s7ldPu9ds+taaL6zrwTnFdmX/I8+jXoPo27lGViuqFMONzSvU9egKsUB2b1wqw5PC7jeH9oTa8jwSwjVJnfpT35Ka54GHKV22CY4tUtdPy3ghKIYbbR8uwCyyPJD+QUYAms6ikZQfMBeHp62z09vd2wNEuklOHsgVteEVwM4IhWGDmCN36vPLezkvk/sq6DnRlZbzBKVO0E1vt++24ldCHXBtHJq2QSOqlAga/aoo9zJQ2RfzkvBihUsVPD/qBIstrELulPblp0ctp7H3T94r9nJoqJFlvbBCegRzYItFBgsYPkcm4tbatUXSmm5QYC4mXi/xxgYIFH9q36oRBA5hMOsxP/8sKj5N25aefJJc0S/4yPJ/IuFhUW8FNibwl1emu5jVGRGFYgDCE9xEt8mEQJKHUtbR6MlDQWcXZsI10k6FMYqjkZO8Ou6S+qWEA5C6eahNEla4ndVDd+k6gna9Ew3ezkQHLhm8E9WeEccj9ZpJ6/hYqQxLC3QV8hdsEGfteS7Etk2OjxE3/mXnU2SppGC28QlCI92BodBXJ8oGmCCWHtVc9c16ftcERg0+qnSSFMfIPkvWhQE/RJnuSKo8m2oRUQWLtLD/eBc7gWp3ieEr0ZdeA+Ro8nvQ/hKGDKhXtglTZpsJaAIaK6WxqOI21Z52frRrQYVWPYFoy9gF9siVuNS3J5hLYCAKpWjf6VoxLDlQWZnXe/5mcsLD/DFFodiIOnnd5ueFpdCa/LGM9bNoG2xwcG7QV405t+sH6f1mwmHZ6F+v6Z28VRXTZ/QhcYwJJiagOwCuDLxtHq35NDuzKUxlLd4DFUpXgHok9SRgVBP/pfzULbofiWVrulUeOOnMPBcMVKcfOyD3fcqHUZWZUAdOR97B0fjkZwTMVTn7pFJfIR52JpwZGdwJk16xwLDSj2WROnThbOpokR9Cq7se4CuZ55KpsJY1/gtKO3j8mO9k/bveaUkHoH/+53NfEaiDSU+tDq0ao2S7rlHHEWjsLhJGbM/1CqjhY/tOjDmJxUVzoCuS6s1aP2h6Vg0jnIb80Vn/z7FBJDnCYnNCNuUQutaxQxgoEaLKzMxUSiNzUQXm1gZTe98qqPlakUwnSDlk1bA2ZVH27ixuN4zc2mrMyYwIJRvahDrBctDUIGRZm7/EXnNvEU7dKYL0UE1GYHk1AEEcf7zDhjuYU2hncYc+Vft8K5yZfTiQAfliN+/7dZ/IMMeDeqglHI/QCcQkhFwKWGmTQ1sYg1BczcpEpYXATrh3+CEyIzCTg5B9WXBm+LRMST9JI14oK7mlvmBPrzDPvA15iYFcza2q4fwiDPVUcUlzKZpGsFU65GZ7+LHso2/0QjsoFGUTkhsj41t3gWQh1+yTeTkv1lpr6aw1pXe354iCVeGfbXHBd1+egG94J9A01D8c+COAI66qfghH1SrTBZYIKqZFQFdKHq4j3+5FfdEfVQvHBnCoZNTTXjSZACnu37K+a6r6ERJYlhhBowIW613p0QrrzTy6G+HKGatfhpyHyJ2BD4hr/TUAtZBpxQ4XTBwyEOIsPD4StqiS7B9d3IOWvOL/NYOXXT+Tf6eLkGUBtjUDFJgDQwEaz/QXa1LpOhs1X97q7Jrp+UAVtmGD8gvqZvvUlA5CLZkbA5Q8mDajqIZGIHyJorzFKID2I8HV6vQ1vL0o4TOn7TTVyIDpzTvluzdIp1dwJhQ7Xs6HbwKf/1tzLd+/uCEWXdrTA02uGgFaYPJLiRdJkHgLZ1oENEvo9B9b41SNDQup+rs55yaIv1Iegd53bcDb1ex8De5SGLcCsTsOkeWSshSb7QMAJVVjpWn8BhoCpDkT/CAuhbsoiGIzXqRvMouCsfo7I3CWePoT0/GuELRY7AIkmAqdIWQsQuL8KyN18oF66D10L4pAxPj4/vdVWh7SrVO9f/NhtwSOC+xE6VSFFm65JimjyyXIbFJve6VtFwGyIg6uLrH95f8pgTYWZec7u7Zah7Xlen1nIbflKMsq4r468MLFpG7MyifZq8PPuyV/5pdZKWTHKpN9USHpHU6o8WVjhtTZ1HU7uL1Uvw+/2O2No8FN5UhHMy5ftMgRoFg7/ay8lsf8DEjbJrUPT9gwIjsmdGnwM4eDcBDrM73n9SBtNF2XWpiF9vY9NEbyz6gJshdVj2lq04qvqwMTeDt/LOswbHnDICUc0iFAHsW1lVQnqccc74dU/NwO2UqDH+7haNF5BTaH/NhGJM5mSZXiRdwPPL1viKTUt92SwZF+MhpS6mBZDXeajKBIN8Oa3rjWbzuoGIcgDJb4IaAWeiuOK9dre41bYN+HmZFmbv018wpgcq50KX5aqpCvg18XWdpKFu25VQtCm8H0xkkqSSLg6cg8muJLtDNjSWzhaVrQElA/7pQ6aeI762h6VOJQr5mb3BkX8mM1wzorA2kH1p25+EH73BpTFsZ3TGOBAoNI2B/kiIptB1b5dGeinbSvnTC05zddu9wnaWpwgYK+ZLHSSu9AqJjUjAEcMwsM/eN/SKhgSh9ncA4OQv9JQfpWjEGUCAkLSQ7vH9fjjNlO2gU12d9fs3ZOOKWLFRYyeXqpFDTMqNCx+eJV/McgJ05V/tye/ZUXsvOtsbXc/SPrS5ZeaVWEveHlUWCIMhW45csApStdi8nsU+xG2QdHdc40cPFrcYvXVduHmNylIvAuhe95qgWzQGm4UXgwaq1rXvb78U3YSXze1SWyVVVwzAFJOgRVeYDkbP79b5A5dvNJLgJ+u0QpqyZI6txc4YCg9Xo5jxknAdQLGcay4Yv0uywNjDK8HCV1Zf3Ggo7mNzkrAcscHQgiAwKavvqiotsHTSO305emaiAEsEh7qQs7V7r7GZ0fkAujaVlam7MZ+ds/b5KagLucrefrUZnD1I+53Wv/NK5BuT+sGPPxrGpYLf/VODNVrUvbaiqdXWp+wrFFmF7MQbQCV6yw4DKPKUahIZ+4egTkWmLy/B/y+q1ni+ftZXn8DnK/9f3eD6iwRJmCp+jjrZJ696qOkbx+SktCR7CvhFrjDEUqsk2Lb6FUi2I+Woa8SsxUlIfsx4E+/lDrYc7psmKTYdlGNidqMYpqf8165Q5gGuHcRgyBdoUjjWiuqWXK6805ffe5xSHIjG2Ms7/iJLCkvMMR8/d2NxybilADsINec5XG3xEM/nceaqTEBtvpMy7C90lrLJ6ydRxRs96C7TyQz9JOZ6noeRG3GTyIAwTnG2itukK79mwXIRRV97TIx9IPVbXDe2xZ4ElJly/a0Wm7cZXlZUJXe4iXLbs7QABQrGJlt/PryMvBFkkZPJgTpIQ6C+Yp8NZWy7O5XzhNMFLOz/zr/48JvjFxGtxbERjX8be2ftF60zm3OjRGHJSvryzHieMMc8G+dUGqMPhLA0xBHCRaNF4F0qBPZ7Jlxii3mhFcYbn+JGSbKIDSN+I+La1Mqm8yhw8d0tW7O2+4JQ0S/aHVdp8FseESHnHDWsG/lj3RskkOciDR3crdy9M7c50mR7SgeHwSG3ewL1EpyFTxWkuhrEAadnSrjRgQH/rLtLN4n472bL1tQLxRi88BBmNiLucrn5eT+cj62YDp+espqgzxBdevc37xRag8qm+z+ILPinSIdkjhtG3RfZYW8l+BH9VqZhh1fBfjBKvLvVxgY68Y10roWIPwOpxZL2Fwdnnu6gMDo1ekmAOswrmNiH6l0uTLqcZI0wH4ZtkV7BB5wWRtbtfua2dV6u3y7cKgEGpR7jjP7sJvw7H/Ko79/eQUrH8BJHFMEUmdfd4OneobuSwm4ssDuTNnE4ce+8lvTEa6G0pSpPRmYVhlujMBvv0BJzLnvSLqoPimD0yj1Yeo2Ik00SrN/st5opJtftz+Znrl1Vlrv0JZ9aiyqQoL+xEy8J9hVU8jFBJXhPWpx4F1lcjIfFrvA2TpH6j6EVFHl/6J5HpP3q43X38jE7oSCGVF6sYR0JHSRla2z36gx/bw2JEv0Ys6RwuRTJ5QgSuepCsVL/jtMLqt2ZMK2V0C5lP3a+WldUe2TyyBaqmUN0rWIoWWr8/lEYg3PYPDNm/5JvK5mCr6BblbvF558wq92robKRmSnQ/p7qtdy+H+t+WmDsngGgQQdUw+TlusEyqY5N/7tCmNikjs+YM8tXzS7KCV7jiJHRKr6Jk+6mqDHkVXDKJHWtHDhUzEWW6ZeyGodUJVh9wErmsOWibc7VgA0JXVulrPoG0k4lNQamwgUWBjJbjR6F/JMKXrzvcgjr65DVWqPibLLOud3YAayZau77ONe0dSTq3fypkRvBm3NeSmHenYZOvGj5VlHpiibDYlUlMB1tFztBXVCx1PnCIYZDc2msqhUp8633IT8I7Kn1g2Oojv0qct41F16QMNXhJ2gbmeIvTxKMVMoR3yQlpW1/0Vo4e/YMJ2Az2LpNKt3wSCCue8ySoMSXoVhRa9OaWqCEMz4cgWSVwfMjaBR6k+Uw/HlAuUNbrTXV1t2V/RACAZdJdwOo+OdqGEgjH5ql3MiJnTgSrvtJJw04WRFXcdgX4ojEbv8iBTp4MKAlGZH6jkCqf4fxcYVRglH4wWeXgxDHgw2uP6cqMxNdN14ceqrIw2gzlisSi8KMI/+Z6aMwOGiUmt1T8RD7jZjO/0TCYKXstnOzoc0TS3kB89HRuItqNJzc6mHmh7hOvCqHZXJALnpoKh9/k9nu87taTTZrTwOwIPCQqZop1h2kGhWVhFp2difiq6Hqkd9JBWKNgAyyqyUxaRjoVsbUzhlY+2G42d2scFaNveLMxEuTMIBtExZg6MmC3+/CkHHjeRRMWkj1KJJ4KgZEcrQq7l1UlhzTfNxiGVI/Gd92LI9RxL+ztaHkgkc1h/HD0ByaIYKFhWUzqYPbupYXRvJvkUPDhk9Or5eXnUg0quu6E0ppMmujaCymEeCHSIWiBgD/sX8tD9Oq9+94sDb2KvdM9gxgZVniHuKOvzNdglmfaCfeCdqslsXU+P6r+3v8rVF6YnUjzW4w+MZQ5hGx/u4NcKhaEwqk5YsNXOQPkt2k2syFIRO/6HkvieHSFzvUtYtCLrcvJX8D/1ruxou9+J1XQ6TdK58HEmjpNb+EJlx4brSSws363QybIlqiuEDGiavKhTWBJHoHpR2cKzp3bXyKMgHDKKw5iskXUPWnffmEhuhpaV+sta1JAvM0iPFQ4QzjF5qpFe1lHgkHCCi/s/GwgXitojj3v0xCT47b98ToWExmKYxUHIry47Ham+l8LY0mneJMS/wpLPZnpQnGOy3FrF2WBkhAgMjglRyZk38txzTJ4pzBfFBQZJ5frezegTHcx4PXbxXQHHoKaJhsw45magQvotbAuTga/Ny9n/8xQQJC9Nvq9BUTJTWDjhwrmM+UdJGbxRB7ALt6rGVc7NHR1FZyfXiulBsEbCbxR27z+kYCBlRxXnzN0PJ1YNYLvlpvZXehsbyEzEf0pjCOtKjgI5M1oBertcK5bLKO8vbPz+5tqSopqN2E0xHVRqDjSMyMCFwHxTodiH/YROKFo6jsxWFbSGa7LA2foaHK7gM0NX8L6LQhPPjAaEkDBU2pmKrZpT/IyNBGclpVsjjCSWlmZrDiuEdGV2o4Tn8qQ1YkLSSyDASMXgTWCM4Ssr/tbnXGFLpR+1UeV1BYZEXDM/AhSjlLw6viBaw7aBr6iyKJ6RwvXPrkpvTJTexGzUPzK49FLICWiMkgRslM3+j7tLHCcG8aDFbZYiLugLnQu7bSdrHPbd8sA9xSPZzhjtOeiSE0jxwKAKQkxLm7MnRCRm/EfZcGAvIG7N61FblVNHd6b3h52U3kndBgdwL7v4QO0eSkZtiOfW/SlVIh9nrbzL480II9Y371Oi9fNuOSQ5s5oEg+TZp0lA+vO/kFVXkPvbcrSXtRGacwSmztyXT5Sw0K2AJ1yXWZXJtf0Gr3jpnIQQL52Wdta2ZEikjBfdZt8cvLLzJOnOql9WadP3RFG+wpNX8rRYvPcIpmbynODgYW+IYsBhtY9cnKVE6onTQPcP0XWjfeU7op+72UK/RiGBOzq5g6m2gRXWTr6DzIwdJ2Ng9jN0a3mnAkMx/JfFEAjsFv+MogfquBggg/lz8bRSZWy9LEPaMJ6x/eju/123W8ky1/PI/avbcWM0mM0svACTYrD4NAztofjDP81z5GH+M5AiQrHNqxiNOwP4vq3kmzGegNEst/Ykn1/RI1+/PU/y3wxW2mQ8DB6OPfmajYqoJkGLcx4DS2Dr5qd90YIxiMgJAykvM/qs3tipdcPG2ag820DgopqGYC9yeUFgmG48bxuDYQC3j5ZYrICSgWDYuXPaS2qp6yls38w8sId8tMxEzK/49WK5AJFqw6Iim+M3GJUUJSI95FFXfFpkCPndsHE3obYIN4excv1YY/+lOGaRLK8HxYPetCWh3sCjw28Zshjh9ZJfI+Zfafs5u0Ru6hmCC2niIh7vNhs/aQEa2etdXrm1A6I5YKDsWQ5jcOposqiGZRN4rkLJHkntboGlW0MBPZAePOLA2xYfsooHF4FP/o+Cd6T/tVEyR8t74TYFcAOHeFXP3UQCmWFCjGN9VEoXgdrKUIwuiMs+Vs6N8Y4sj+27BUJu3evMXKzCiSRt7hyDdo5O3Q2N3IBKeyCHwFkSqKB0Irq7fBGTXvEw5WCWmYbSsVhWPyg4X7Nm5nd/LhjnM7slHXYsfJ3BnYVGW8aL3VCqjNar/S9MP42uo+fwSALj2tUT7Fqf9BE8wqCU/NvDOH6spQk8ZO+PEn1A6CGZv+c3CRz6VeepBZmy8YG7ilJCb9kfmpk37I2Ep3GEaWuyC/1yrcWdw3IJwd1NslawPlFlLSaLJ0Txf/u9FvYnBivnV3t8PYrC0KdWaQc50FMcRFrgEzxJ0m1YH/0XLry54BG2kdcRKlIh6vYSy06z/zAJ6aTJUNhrLcLSlHf4iVryAkSaZTde1r8m+WYHAz6L2PRRfDf/1BJwL/JxSE4vW67JZbX9tCCIrlY+sJXDW1CLnoSI9Ia+BBjDwr0y3MuA5XHQkmGJxlyuqdKApxC66lMSsqNR9fFrOfQvr5pNJTcnvCcplkO0xM5QsZD/yfnPCgmgJsAcAnw/Lz17xB8AJr8cpPytI9gc6Hlqi6+CPVVhvParWm069vXOTu1TTpR8lVcS7ILq20xQBfw2C9vHCDLDsiNfgeL2QLQ9iDkoYQag6xHadH/8l2GA/Kv9Xqz1PfbKDiazYUoYehR8nMMbUvXbwFJQ+MQqErZ4p3BV4vFjCKN9RbgbfK7F2XSWhS5aA9Krnb3qtR2CSrV/r2aUhdS+2kG1l5kwmv7ISR4y7kSy27JzkZIJwr4eVt2GpVFAsn6nLNawUeyLCvJA1lezdEu48EBi/eZ4KCxhwx+C1Z9MlFXGgRjBl1UDVZCghNahKr/hxKwqHwAHCVWACqINqQV/XPaHW3qtqpjsKqNoPuYXFqZlcjiW2R011k8rIuyEy2TpZcZJw5q8JomRQvmHVzyPqDyHXII0QQ8KxBzVI/k3GRKT1RrDa2u5e1N4Vth3vKJ0eKJv0Qkju9XuGoq9z11je9JvRvlYxbRs5ul2/VQ7RMkau+JgWCDtuCGkXES8/L3XgOn+HXP633xNflmIswpksTYYK/pcrIH765rL4oktMhudIoqeMvI6nerOvuriBaYD6SPyNtX6aL9iFWlzRmj9OXX0MT3MqVUDNTpsnEhD4Gig5xtKtCcyBGGxij4GJucHPoUerufd0+cgLh/Y2Cwd/Ycp8Ogxu33cHgext8EyakgwRKyQAfIN7yrsU6aA4kQYUBcFwxY5PfWO71aAVDMI0fS8uz6a41offE0/zpa1CjYiP+OyrPDYyyz0VMIeuxomKpjlUuzcMowta24s9mIsvf4HjT7TphDQIOF4GjDak1xp91V7w1qeXGYSySR6mKiHPCcBafiq5x90XifxH6qoqBK0GuqVX0pddseLoPRc3mbf7t8JPK0slsL7kaD2SNSWno59WiGOpuENo5rgJ94Xz2budv0DUT+Dm6p4WvpNrAXLyiHywXwr2SBcf4bN9gNISz4OlpjDKmV97rFFzdW244SkMR1gMCC5A6m+WdoG0kyJ8rAxeTsjbeCzHz+9utUPikWI4H0EH+FKndXmsYvkjQYhiYhjVdlHHWKtIMrzzIBpsbhg4Vj69p/fWP8jiqNodx1O/Lj7YTO0AutF5fzimffkovk70WgCHre0kc+7GzEWTYO2nfRgs/DCitAiBSAlYcFQUkcKNyoGTFL3MJnCImqTqZE9SksyfL5CJFc9KRju/9h96ESMVsPm0xarrXd2MuY2uyZViRulQmz39hZfs6Q67r2D0UzRCQmOttfMAmpL1yFeJKoUqKG8o33g+dWrPdZYpXMIdESpZoCyfs8yhZ1tUnxP8yCJ6k4ddSSISBvCEDjD6FQFwdWd8qt+gksyM3e53pOfO1Ak56JgNjyLkr4+X4085LT9894cravQN1g7/XO/P5RsbjYDHAQoOsxbwvdnbxGWraE89AAD/T2DgwHrI9F26/T8OhrDIh0FPjMzwmOXR2kcEcgKxiZydhMju9RaiLv5t2YwSPSgp60va7rNxn9sbivg8SeeWSX+8Jlo6RvvrWvblpx0d+ivOo68bqcNkvUwheMktFMW+Dr5+SvHNTmRkOapiRsRNgbrh7lr+uW51WZsOzSrp9CYhXT8B43s1Fto2vdc5AeblFvwpiQvDbDdafLXv5e0lX5NgNFjROoNNGwswvHYtJ1gCiar8ITx+7D4hPsF/WtZZ7g0ST6VllbmW1XjgqMz8bjh560nsMeqaWJjfbgEb/kNWcvuxxnXWY1/VdYhfMAB11wyEzY2n1HAANpdJZOdCqm4l8+mjMkMy4ZrReyOJDn3v8dzzlWPp0pK91rFNuz/5pPS/Hx+7z84WnJ8MYsV5NnBJvea9epg0Jp1e+K5LWULqZ1WFohfgLP3o76CASqVBWV6YlQHkVUU4Fy2Z4UheO3JWY368MygPATp6XC2R5q+bJlyAzfrpxk1ozM4tkjmOT0GK07tpzu3w7B6mw/uTHT3RDwcIR3hETKgW+YjY0UFLshIbhJhGsu/UwLBL16ZVV8LqOz6yTxGmpEu5/5+WO/XsBRpXoVuFn5inuCxZDAQQ1UY1jWsP9Nj3fUKjIC/L6VlJGPodORsRicCnFV63uhdrF1uUOsHL7m3eZa0NZZVIisNUHf8U3+5VJvTsYbsi+QEU4na+3Y738LWOJIGiPgyANTIKs6oBxmFDtZ02Ahh6U3d3q3F2N38VgQNSDynvbk79nRyrQXmanYvDUnnCFrtupCYJ0MKvJm4yRoVDaT/fYKAcbRCT6oaS3abm4aPKdqCA81nYgDkgXhi5/vlYzP23L/KC7WtNVx8zS3rxIujdO2Nk5O5SoiaBU12s4o/yzjp37ArFGdb9GPDlm6XkdNqzrr9xs4LG15uyoAP/nh5libeMtQopbT78GP/CrNVXIInFkS+O2YFm8hUsptBqigOZHfWQSBP61Gxn7V173hDQGaKd8JO4scv2plm+QvgYqxnHdSHLuHbeDBW9TbA9iTZ0w5CoivqUhCpiNoSbX/qk5HkeemywVQYINuGQyT6JYlqWzuvek6LQC0MW7WE5q8bdf5/J4LTbylm/2cj1/KqAfuiWmWdSFxGp883+1G1v6fa5sW4w4Mm53DECp+doLUdoLPjSrOStN3XflGojAAK6BmlFeV4wCDF8biD37f/6X/n2FzqWgQM7uRm+radmY8vgTzh1cFodTnrQl7XOZFGpxspsIDPIybg9/LWtTOBpRWP4viY5S4GWy2zNRupbvIs98UV6yVrpo/8W9JDIzc8PxpFDIfuBAjaispELcykXuv4Nm9qgkbCm4vvnPDlem604fj7I8VfzHYi12P7CKFtW0Ew7mXryXhsrTnLaR60ezipZwjUsHp0TgmJ1CMdvebpNvQfGTWMSjUckbkl+1rF0RjqXtYLpgEKmX7TIYbmQqvrNks1X3uiIjbepWR4O+ZgJ66ILnP9m+Xd9LneaTbJFDTYSSjrNMN4TNtaLpaYV0DJwYGdP+/AcrhEfCxznv6OwpS8IP5PkKxOP8XG0Vf5/pEM3bWNxNTBLXhj78PuLjrKIhq2ZG17ZbhFjRsYF0AhBJnkFpWXnVubWyq4oQFz3XIOORE2+yRdsTmBwxHlUPaS0uRp/VXmk+UGZp0rv4arLd+blQRuXL979GH98FjJs8MmrHXvWhTJbqs0ioQRFUZPN3QmyXcDW9Q1VggGOwBkZZ9H9wKwTeQkVTip0ajD4YvZLbXEHK+jrpMMVceNUo+EitVxDxKUIioGyau7tLznI+dKPS8hc/m5xfwuetdTu4R/4sm0hU3ThEpetzGD1ImwUnlDqKaIWF5nQYfBfAUBKY5xh3RfRP6337w1BhL5vWJMrEuRoB5KG5OtLByc4VMSMGsiziJBkUI7WE2srQjE9xhYEBa0DGFOQ3eP+F00upop/U2mhMygtsTf28Dj04XiCs2mnkMU09AyhCqDkW+l2lEelG5Caq+m2W9HZMhZi7YRS5DyHUfwC7OSwyQch4ttO4Yl2ZS9t31ItTai3o9NzQqeKFKjr2AvZ3+XiITvjbt+vKF9YVhnaGDOf9OPD0YkWVdfBD9oWNE9aXLpdcg8S/8R9pMA/OmqBt1o83k0KDwYn89CKtYtp44LdWNeOAY+TGkT1ryv4Ai7jfvOOXaf83QYci/lKqvCwc3AOhYqw+5Aeze5JBb8KwOCZlTCaBdH4TPCFBqbKFlF2HIUdgh1C3nrP6ozWr3VsWPUR2z2r3bmgaOxqg/NMoFWoFRmDiyryMpe1vGv9mIQPJAwMGW+IH6yIXGAAeeDS6ZQspmNoWwEOAqUp8bIVD/44YGbmbZK5n7Gb5R7qDzbQkUY5hbs66eZH07BbadxGupHH7/FwyXAGCo38EIgm1PorxtK126YltqTzeCzZZTf+alGXiWNLsMqO6aiaiUF+v7K6QvdMOCkw9RxBUx4oHNVnsfBdYPg0axKiUZEnMsxTuP5UEJubyItytugl5xyy3Bq+fo+v/4C9p6q3ZwmkgfXcgrBl3bTK7K0Gc7UlHzqu5jbLXxbMLX4phCrjgnWvKvUgSJWbmrv4nVZpsrzoQl2fBzf+mDe/2dEGqLZTyQ2TXzah4wqU4Rgp0/2nycX2afHy22su/w58H7xWNmbhNR+7hr4mcSPCrVVetAMKd1kbVlW5sk649AOIKy43C6Wrh/paMv9RvzMfFbFuwqKG9S6/WMNGe+HJawUJv2kYon/S4o8XQcOLRUMdH6LZNW9hwLmbGaCYLc0x8zQFYG4KWQMquBl2qYhjfDdvVInb9DCN3oc2NF3sDNkPSBTudjfStsuNX2xo+1+7keYOZ9QfbRVj5+AgPomY4KJ728WL/MaVc1ckwuRPFyNpk2ZOVlArWawN2KO+KzCq4EWD1M/bcWvSLTgG//z2PUOLymJIbvM5iTnHiWxbjHNbnZRJdmMi9IcGtJvXBl0Fp7PXitWcCU99W75gK7lr++UsCp0auOHpnygPAxEcUPdgJcbg7w5F/NnRZRMnYP++bm3wbCkk7bfuDFvnQSffzXX+HTSYBivtW7PSkslwxgIyIte5Xaxb5r2LNYZozKpVacmZ2NJdgPGIok8Rmi44clXkMW2Fw0cga7cN9PGI6MzqS4AlHmtfbvjfCvNrk+Aq55muVxLUQ2u2NrGeexvOuoa4hujtiYYClg8YkdH8tmwoVUFO+K8YGPZm39xp84xqxf29rYmBFvsYb9lF3hmeFM89xW7RsG21zgXMKPzR1CcNCza8VEwtCEYYMmuhqSFqMEmWjTL3eJxKXMHZ/ze1imyWhn0uK5WU6ax8WmDF8ELz6R/xj9QgSxCKjdj/VQJtVa0nlushN1AnaupXvfZpYHnhRN8L9YKD87Mt/FOU3kC34g/O7REEmxiJJR8n9Q0D8tY6mg6Eka3tVqTIPf58l1YdIk1yIIYZ9jRiBUGl7l0R/CSvKNO1eAVqQDAcm9UamlTNI8KfzNZLTqlsjf1smhw2f9xQTYZHjITup0owsp9/Dw2qta20WdadosrKr490Qhmg7rlmQH40JnLR4KDSOknXmgr2r9ytasRhaHEbBw3mT+jcFDoeVaTYFauSIlYOjdI53DON3DGE7hi3Ua+D5WjM1jIPSnmUQUpivoNUQZLJ/PW9HH3uRSkruyZ+n8fk9FRUOVwwPQor4CJjegw2md4DkBhsaA8vCb9IrV/L29h0BDrjZiV/cLA1u1HXINAJKPe72sqpx4WBLALCfznVDkR0XNL6PGJ3ORPcZ4ycADfMUxRcnXYv8lrGXfejtYe0Mhq8S8SOyiD2+S75IFjBHIfGbInn6M/3P1R+SJ5DwaWtlmiek1WceFodW2oG/4YF0GUfdOGrHjnaNXRGwjDy/VmRL75rZEKXv7vtFrDnFk4oeWqdDx/fhTwAtG0ZnT/gSnUDUt1xZaGASKKpXE7qO5+REMX6W3nPhZTHYEKRwrCnwgCB08ZR7WHhbQv8bvb7BX6rmBKe4nr+dRT+kMgLBCkfGy4lQgHwbqnKAV7hv5QaYsUS0Oj61SZmdliZ0U1dB1zyJAQAwe7XeB8KqKZYnjA8tep5AJfVd3GBLZFmCCKqCPgQF7peNxM25uDNLHc0QVGUOKFqlDE6WWEdGiFOR3EN8EAR8PjeNlz8vj3J1OkauVEFyV+wB7zHhxEgcUqqNR5QMvxcjJgIL1oPDARY43E6t9+v3X62RC2HC7eWXbjVriHpyX+XIGw25acLPMZFFMPhRQ4INDZoU+ldJI8u3YaeV1/ETgCm6IOOWgmrVmVB0+D9oNKEUU9a67p3ZH4wc149UGS339kQVtJFpOJdJV0wzRdLdrHDhcProIE2vb5nu4ZCZCJcJ9iQ6qqpoFXqAIsojkiVWKQpLr3dlRbBMkJorjuxTBmvJMoErh+SnokIWWnNnIQ0dP6G05TUyndv3JVCRuE2YAj8JpIksjfiITgPvAU7Q/T1Ilb9N7PlJR8ckG+wyqtLrCj2cSG0AW6f8MLX6E0IpuFRYfI15fjVWpcyECvAZB7RGPUrkQGCa2RRSgyR8ar2TMTjscwSgvLZst9yOiMb+mzOxtG1NZ2WlIcWV74ZSB1fuwrlMY5Fww6j0RA+KIR8+qO2N65vlnX0xKUKBVyTde8s1qTFyCyX5lqycOsMndvflizWG3sTqzEM26sQ3nh1Tp/fgyXLCduvbct5u+ZYP53l3roHk8AVACA7rgJ4ym/V2pOAh+yC2HYBNtOm1To27clyH7VbquLO5Xrw2dhFc0TKhQ0eLNZsyEbCB3+OWrXkNf+5IwdyG5gHrWy6Vp9ptc7v3O0vis0aqIb2tf4u93oBiJ7H96g2NQY9va6ol6BnzyH0L2xeXK+280/8jrPEg4Zdu/Ba1q+GijB08SP7MgriUy6LefI4kOsdVNYvTm4l86LqmvwNTFuwHyVA5NQZbEk3wiU6rQqmjXs+MZrLd8p4N49Pka0bR4hAOGemqHKG3UjJbziuvOvIHNyCRXI7l/u6dHN0h9WL9zG7UcJbo3ib2Rfzik9KCHfOVnob8kS8qCmVJLKZOXLb5b79uGyFkoKSIy9bUqQL8X5WqXFS/WWuI2xjMK0ZrakRabkKSC0nvuihrx76It14CrmKZgGZ1LB5OjHfxdG6KEqcYJqV1/ImPZsnEcYJD0KQB/iXbzv5MBq8zQauYrDZjk7LuCbQmkXOr9xqMe9BlS8/SjlV7CtHQVuWcBKp0/LKBYWR1+KFH+UM++mzrW7leZdiAvrg/1a0AadPnCn/arO5JCRw5X//gBRA8cvfbrxqowgct49AqxgJsN6sSbtGLOeOCscqKZP6srrOxCRPFK5C2g1eYEMWcX9NQ0yZeQDAhm7YUBzRqBBV0dkuJ2FNFiAkSAXEx72jM1dp27dasE+5149i7mUGRlXm93/yOp3F8a95TaeAlhh74pzangIWnDF1xkkOA5ivo2Yv3Sg4NbznH8i4sIl11/HYIfK3E0GUulgRnhy64V557eAgw5sFzj/8DkpObdFdTljDsgPteSqDgIY7e9A+FkZKUOk5DNvOOl2Tu9YSZGkbdflRWUyxHdu+st8R0ejBLiypPqs8c7tr/5X+wVZ0zqfoVtdPpnJaVcBHJjuiS8IyOy2oeu8pEFemHMcG6wYu406sChUalxgr8qHrMTBL1do6YBXoBlQHK9YsEMW5J0e7i3+/m2iNUcKM03QYQ0pETS4Bj6LnHlbqaGZuq3537scRBQHOdc6GbA/EUn63n5eBf0hG4YGEQWtV/C1UF9cWGf3L93psu2v///JId8Nj/0inbayt04qA1awd9KDj5Togr6nY+CUkVXlyc6qvUN7b3x7mU9idP+THjP11EvbfYwcn9ZucbieZAGqT+e3jwIGcwkdBHSAz5McK1JrE792UEzjYFN0SHSvtqKoLuk841HyaKBnToXvbqhWmdJ+3LLt/GT62xs4li94fwfYthP47Ky0tud4+ZDiWAelaU8XbDfNNd7lnnFefoL/j8nszC2JJ53MxGhgvGEgynH40xIf3wb3tUO9OXX0bA+JBLtMkl9an6I8ElpmE6okzwbdaWx/VpybznpoJRAZQVnrh2Ua2hbE9igF+NhUw0GZoV/u+8/GrWqHHsvy6sfqQRP4WmzmI1hBcQFIsV9WteVgEfo68EhL2u7lkAxUgeTkZ/uDnkotxB+ILpn4b4TC1YcNT66Wk8+6TcbNYWEVqSYbysexttj+FJCNUy5RTuogTvQbfEzTU2xVVaFyYowqpyIKjwJRFtg3vw/C088CltqpIpuS3ysFy5P0WKdebFp5ntnu+7YDe0lvy+2eCgIWyWHYQ1iF9sFoWD1hiCPyvQ5JqltxZVPrIg5R5So8bEM40fZwGP4Bts/rifg2gbijdbqwlMFDPUf5MS/0QZ0gVy0NC3Fl7vwG3iYhiWWGeK6jC244/IyEVV9rcTk32MpBxFDY3dUABS4m6n60B9D+1eEsa+h6WjMtKG4MZ9UxzaT+HdrzuhaMDidm9OXGrqqMIBX/W0E19zU0kQCrlteN2uv6QOU3DiBn0U/7qT+sjJdAWKixnTA9C1qDhrnnoS3FrS3lAWMavvWS2iNsCcscpyMRkksSCz46e1CTnUPyTuz+AthmhMbN5JIygir20vtsQ0tCAG3OeJlrBrSowiM7Mwjk4r8FtjOkQeXuo5+lUTSriue0+qhP2PjciiiHCQdzZ3FYf1rGBwA8qjWm3h9KZzM/DK6+rM53X9EHQniw0UiN++Xf/VLF//VLTV8MwfVviYU8L1aDUXWXp2YuKK0Q+O3EJqO87IoZEeQwjZiYXtxL3RokNvlET8+Mi2oQFt+VfQ6j4nX6Lfo6TLrOtK3twqA3aYZnBqOPpjp3plzxp14s/VXXT4J/A6S4tjs1KFvlaHL/hemQTuuAIcD5uCXr+HsVO9xXcUab8y6fCDmXSb/ocGtb4a3FoIi4WtPsm+td72G8X3pUjQO8M7dv3+B232f+iXHGDtye/wZ+BNWhnENB51N8G5uZcz2cjv/2bSXXs5FbYg0rFUZKZg0UnCifCBA6TzP3/uCiD1Pja26klZBbOocMHqPWdJXLYGUbbLEHfGohZUPnWXrcyk2UOir7zeb4Puzx93NeumQWZgPJhrtrE84SC86I0ZHxEivb4/joGIuzPbFTDLApteqWIGv/Cb42EoTdYwJkWCl/QtKqkyTNOf0fH2aRqR2LL41uou7T72V6+wI85SzZ6CgTJLAouzlkkKXedgfZSr3cFmRwvkpyfPeXryPDIfINgzlMxNM9lJbUCKVFzk4xLQvyGEk/X93aj9dl7GT1RSjgfr0+S6y2fqX3fmMdltYZmlm88s7bfRr6JAQxoIqJQQ09SacB57PSdLM1F3QSOvSZGMLa00PO2yh2myNb19/1tXdJSwbXItaeusvuyYuAnHgR6gIjIWtzFq9wiJIjZzidD37X4LaaKu2uxXJW5UeUuSPiLXOSR0fNL+wCEibUeollpGDOLg3Jxv05Smol5AdPiSQt34CmXBocFm4jxb1xrujQ0V/8u3LUQdbsCooKWRp2VUFqucSnxtWvMDTCXOzJddIYvssutyrpV19PtLrfg/w6otetiwaqTnhdiJaCfknSLbYvfMmOxPMQg7PSO//6+7tBlV9sVardJLjPK5PNeMjmuW+JYYeKD7SmP1tmnCyzIxvC6nms0ETBHiQZVSPgVRkRBqdHNxSMS/YLUSf7OqSepG0MNhh9vO0EY25+53oOeQwtnF8xZvmGi51Sul8FzZ1sJeYJDplUqzmARHJDn0BsrkVX2o1luLzfF5T0XsZln7RhkCg4W/M0uuo/zHRh9HFtLmhCBKpfqFfmT1+7GDXFM3+FxBxJZyvvUEKwDqDBPRBMbgtil3lZ20/i+0Y+FVhxWPAudfCZ1ZJUP3pyySdXBrPDiTMpvTJ8GNq9c7r5ojUD4kiNoM97f9kEM0iCxHpgE46DRHcKFhVNVNcxSqVjr/2rVSF7gr+fxOAHZeF7bPYgqO6B3RRZMkJLkz7/Q1bhVxloZ2cA9YwRydVW9EP8Ynx/KI/c2SsFT1Te+4qNUkPnqz48PbcXKkWgJvT6pLoUnt75TDxsbsWjjw8AVV6x2m8oWDr7rHIwuobEO7QOiKZGcPMPWUsQtDHbWtmXRAXQiMfziTAdiktj5wxJpg+cDKU3AbjFzGc7fLFI0FLOBO75XIcs6SO661SoMNO/xZ+7JopfNLPlFX1X5Zw7rkUIB0EoOyGIg3eMQerOtWF/ABlYuBK67EcWkZ+euf1sRSVtF0cf57ap7gNVLdtiEfy3kcdV/kHUY9lDSpLJfNe9KzCvVqaej6+jj5+P7fX2asnylbDJAuz7WF08ucplCEUqqwaLMLII6NcInqYX4/cprUBD3GLRWlFXX8uW4GRSw3HOlNFANUxPModKVE64AgAWm4my0aGH1yHZFYxTnpuoP3Iz7o4agf09rTyKu0nfXj6BJBMDMwHJ1gSVQlCLxQaCUXTTDZFk+c/b7XrqHWd3dqUex3TWCltbIPymqNqrew8v1FWbgLDLsNll4ykCGgwfF51yj0JAMaZbcQH7goAn9wuGcQrDp63a9W4fX2BZ4fbOrXda8sEiPX68RnAWRRGdLbvgtpqEAGDJfYI6TbiEpZct9Cpu3qHAA+F8twdYxUFfvdH23xbqTx4d/W7E9sNvE16rnWVwhu+rwJR/RuL7/vWHZZTmXkSQlhqyqGYRfziTmV+jBywg+IH1CVJfpwjgc/xw3gKa97aiAeGmuhE3TXmHKvTKC5VmwEIXOXoCckyJ6wRg1hIX8SGWWe9D5bg9iPZm0ADLexCEMn1++/xlLEcBtyNnK5yojRD8rjoKJul2vC6nZl6MpQGseGQ8l/xeC903n5a/wg1jw02WzZEB0f9kX1xdTQvdKMYCoOeVfy7d/MHw02U2mICh+6TN10MxMul7NPNFaP/7g78bX92eATUVMEuW0uL12y4djlbxG247cw9mV4OrPChXhaqTnpIP1s9k8zCy/MPklwpY2TIZguyPHAfzzYf97/FaZi79VT5cVPNJUquY4CSjhxzlIbegc7VwmexQwhrXqqLO27PAhVvQshe1cRj76VmSXu2O39mzZIUzIGXFTmvq46MRPGgCL3NNVwUhcyTpwAQ+3dQf3VMoGS9ukfJdxDT6WdDsCatPg1+RSgvpup41q8iPwuL2JooF6MHT2+4iENBxsVcdCLbvFbFR+sdVdbzIfxdqWpPUz/aObNY1LlqpxTA0wbm0kbx8xbdBmVPCsZNioq2TjSgTtINnKyDWbl/yUnWEax2EYciztowzo1hIrQ8afLeid/R41/rlZpphhGp+ho2vzbhouv1Pr+JZ4252IMIWDn7dS+ojGf9Mi9k0Zs3Vo5zCOotMeLr79V2uj+XteYxpK9WvLHlC+SPBOkM4wGo+3kEfQnAX4cwuqcjxoUHGEqyHhQTTygSMTYUSJ70LrfT5LKonuntB24rWn04wOCu4MGCfsyiVp3YslMWCbBZ6HjTqGkeJhauddMQ3L/ai/XEhNjIlebeQaEPQRBTkARGIaLVWJCSj1YshkG0iDgv1jT5UnPNkBskYAxEVDifvSSJxKHwAy0hoipnmx5IwdcJzLhYfD58SFB94HNWh3qK44v152iopZ0EblRVFZLzZ83u3dNotS4qAeUVyFuEJQgch9M40pTaikA4lHT/HfYi2zuxnCBTknnEjHMESA7zZCeYFRZmwGz658KTT/cEFSW2v/pu0NkHQm8t/chYZXe5SoZQkTfXE4ZLpg8zT5bq2G4wyVQNcrCona3ZAsBJ1NgI3f+ph6DHHE9XnU1tI1KhFCs8cQ1dWDym7F4RVgi18FXRO+YdSOlhf8qLmW2RUs1PeN5i0PHwaQg0zOxWW4NGQ76KmXCEJMKUAcL4zmxPjG0ZdLIvmAmTPhhzrz/p7d32VIcy7K1X4V+NFISYO40ouFgSCBwYQh0QT1AFi4MCcOdO09/xpxrbYF7ZdWo/z+nqhEjR2RGhpuBtPe6zPnNdwgHp+ZUawbax3sB4lNeFnJnzV8/9cstLi/yvH5i560RN6V2B5OqI3lLUImKh21XKq1scrpUEyertGMrLi8il4pDLRllm57Oyi+QO1hLHAsiw0KDGMPvalaJkaGk4nRJLQ1VhlZ5EB+eFiPY9ITdzFMNwbBvf+cGcUwPlzaHhmdSStZW3zzDfGn3gsQmcx53Q3mXnZMNzI7KO0YIe2pq5NICF5xzEdwidS6pFfqh2aFL4nzh0JSrJvWPen8iquWdDid48scUymEdZQllm+JtNZyNU4qHzJuHSXywl4W1sQIrIwrjn09RIfVzJAHW+m7cz0d211EdMDdAPwUFJ6WkldpTbMmBo3735L18iqsQ0nU1VpFoua4AE3VPjVWK6Y84xxAGLLJtIaXxq/fjcLsg8erUWBmpMvnXO03rTp18n8mSAwQcff8lZsRQ3PrXc2ZpBMVbnwz6D2GGN7mCuQtlZvxFoshRDsBiJ+byqqO6KTOq2f6HGfxtGesqJ7WuM9KUOdHAvKoX+YJzEs4/vpoomED4c1kb0MeYFoHw3hi5opjHN/A2t8KAEI7/8i7+b/yl5lyUpUVBpVGW+no5tHeNhQkhGdV5u+KEl8Fw6nY/pRTaZv4cVHKJNdIoFEhgpO4HI3MxN4xMyOKKQ5YUSgCVxeuFVwdYM6QbZIeJI6QG5C6Qy/+d22C1niJ0Y7wTQK/WkxCp2GfF1sSLyEiYqVAT0aGwqFZ10ADmHDD408G11beM1Ej2x/hKcNtigas4KcD957hZNBqF/gCBUv0zG4oXUpR54mKcQrCcuBedqbUFblHHCkobkVEYX5/rfBtMaOK0Gd5E18F7ziW8XVzCabyXbAI3COf/Bhcum6RtdmA6z9xqd7EvveUEmpH93LXWElZ/bUF7LGL4KejJTWM3deM7NhLLRJIuP1Umn+/NuXNeDSDkbv3duGaupoKIjJ2IFYRKYbRE2W67AagFMZsY9Oi1cPwwAYrFygv2SgjTMM1d4JsGtVA4PQsGRHnsuVtfUWWtbnAUvXJ5f5MJ7dN4A2ujQXxblbq0GPZ1P3t5KW/a+OJxYYrK1493PeNFB+oCFvNDbjFMnZZe5/yMFZuRtf4GM45TBDqFVeqKUfAwgcLxzzqEVlJTOkNn65IKKtIROTz04JgmofPQnSADDL3RsJwKbGglMXQqSsTfwBM3/qEYGyOHnCnT5eN1P1DC6GgAoV0ZT2ZW+y22WjKCXR8mXxcS4xW8xdt41gid+EgbjVjJ7QXtBBgOsPp4F6xVca4LsNk2XoSyYMfWS6luo9vwK0fxoguDUCgR4+TLUuLw/H0mc/zOKUeVgn/Xly+37+3FJlMS6ZQFyaYxrzTIXeirnQ+5jFJ/x+HayvHxnThZhAzUZlgsKeSYfR6pgiMb55/UkhRy/IMyf3naa0dVR0ruaRL+lCpqWoumb2Ip0ZFwjws73PxvvX/Kb3W6m/+Lp86otz2lSqfbyj83YJTOx3IgG/hijVyGPhYb0K3ifuvF4Qwv6/2JCv+c0OEqHZ0GlnYJn+RtXcUv0jJ801Ssz4S7/naZN40pPrlua1UIyrR31XVh6XFEfzfqCfI2vufq+j5rWROICman5dqQOcDuBXOyxnDTOnNFZZZbZtBwFClTb/3Vx8AyY5XULhrjyegbP6uJGJVkCDhOav6MCGTHiTE2SdWmvW994XYqpoFSCZ5aoEf78zBmXouwZSX97bOXjab1/o+ZWL+kaqysv8247dFbEK3DxKT4KIlOXueGNmStKz5xxNPQ0QxoNsbfwFSr2tRaU9cX7tqiMjKj/r7QAEU4k9p1Sh4zarktqGPIgQR+JK4wkoOzwYL0B/niii5HVsAL1lqoWSxOfY0b9Z98S5DKOn2p4xZYLNRsezeeTpW3jmGSzL0XMEnwMMBkiTF1dNgP9bmFpfCbhmstgSI0iDhzHEsMMo07BFUBd6d0LFboMjPUpR76yatYMP6ZDfeTC2DA+IMRSqSHMbwHWzZmvUQyGuu941LxJOeVl1V4lfQXGvhI+m0iC01BTihmJR/iXn9oC8flAvIEwfJsbi2YIVvqzAf+gqx8AELRNitzsGONP0LNgcJgMLTXpooIPRqsVUoiA0l7UzuhJrsn8lc8oEHppivn4FGWiz3HvnO7s1RX9BbCC4CVmnPP3WSy4oC+F53EhfGJH4/3cHKLNw+TPp4iEPl4KN0UVJwnxQG3wR59QUFwoZjSO6cnMCcm8kQ6mEc0v9VhLn9Az/9f/0UPh3ldUMFogzr0stelkaUNCeqNtekQpr50LvDgiMfy6wSCsr1RCnphnXWAUqtZGhezLRME3Bzzw+SFFjV9Ug51tlDKvN7yLO40zsGhrk7cn1gzHljAswlxFr8yyhYv7W+cQlg4hzFNOKkR2RDZInCQyzZ/2PeK206hYFAhkwP0k5Dnism+aU4H3UOezl+P9PdjR5eaDWZfkiJFFf1rgc2BgEqzCon1JsRypzwYhMSQlUA7AgxF8szq7ByqmvX2eFomWdl4aY0sJLtecg/oFKQr1ZtqQ+dxTJKtRAmRTiKmt6RdLhX0awIHjSjjIHO4uYOl9LUUSHmJ8s0/C3NxgEzutm2iP3cL3UbBLkY+gfQqyV+jb/vSMoQrXIewblVllUfwQoS9HAsrfAJE9TFDut+2mdYrqKG80AVzccJY9WM1iOtsXmvFLNLALJgDRnZzArXCLav6PFSxFk/iNQ7fFFGL1UOVhv2+LETm6Ez6nBuKos2/XQJBrTa7W0mv7NslVcqL5Fe/EP9k56wZYu0zXk8Tf4oH06m/4cTWPc4LogzeJYqyDXCD3K5h4t74Dr0lmjEA46/MNmMghCSuYs8/Csgs7INXTcAtknBfI2LyPtu5HcBSqyr0V4nuWUdIetCcyHO2U1dwOiiKhex6hZaAG9IWlYSbnd/N/3vohl0MysVF7wKg3bYaMZDiTOKJiyiM/Ql/ykUa2Ig9KTCzRXPqyrZ+EPxapv6xMYezXlwYFOscaNRY0iEm+2sI92xBkeBxWiFhb4z2wZwzI5KSwVzJjMlI4TYpFQ++P7WkaKIFVRy3wR3T08OKSGConLzgjH+/iBIdbUrTWWvXkEqWw9ryrneQJsC5OpodeVlBQ9cPeZlUGIJeSHxm6m/qAwoZP/WsSHqusz3dYB6JU9joqgR6oxOeSRIXp2T+Q0PbSuNKBJlbpsmsIBB0zlt6Fz7sQO2s9wtXj7WZ/Gwd5LTtHPCJLVOf8dwHxlItjIMjtez5TCV8xcJczPAywKmzFGxQR47aGOL3GCRxeEbwxlhSDs37C42DYB3bZ6JIJImxfTzYV4lxfKNFGHqJqi0rqtwxuo1eZ4XfC/FZyiTaBWXmCKoQA/Uir0pGU093pQRK0PG1o1qpS1GhRmRmB+OeZCBk/KPGkg5lhztN/dsi3Uon866ph2fmo8iUPT+p8oNRljc0JBg77Wl8f9g6o59jfnSlUeP3ESKvWthpEhaNJWGp35nlu+HQczToaj8x+Xn5MTmNmGrVak1GqNee1LOywJFiot16GVAEgCUW1ohrp4SKk9aLHTvQkK7hiNccftatOR1A7UV7pWUJBPlKAp8S9Isgbq+QAebbZi3nlSTIts9UGwL0yQ+QzsupU+CZE/n0yNv/JI0YThbkUqm+g4rEQnIZxlWw59Z+lZZ3gdjT1xnXDYukR7xtTZ7jbLjXKLe8zAcGHYQRkaNJF5zsc66ibUniZMg+4s7dn28xxrN8cZCrtfRkyD4NjBZPHe9NK3LFQ6UOc6KMmRL/bhEHS3+SM/7Lv+tQyb3nqV8DfF4aIpk5qMKvFiB45Z3vECLF8iSrGlG/M5/FoSSW6etryE77PfWK7V9eBxMaRdYxy8n9xDcvsLWIYML4I4dKV0DeXZMTwrHxduWgcvU4nUJuqaUQgPwkevZmRrfbU9gD3q54B5Q8f6X2eDMHctZo127CSh8SBiAl3czr4HgVksXUce8LxzULc+LMTmBz7ATG0y4ai2Zf3tjaZzfmxa/DQnJ6KSBN/WIJi+zI7b5SX4hBlsq5wltuwk9H/RIzdhgybZGbYcDl+oijOHFnia5l1dwX/9cT2/8vfxmHAemJjw9YzMAklMkiypMCRZfj0EoeOKARt9m4kqnpouq0RGGftF8WtVrO0wjS8e3rJyL1jH2UzVwpk0BcWU6xX4gT2t8sEYiC8KBZhKGxtxe9buTGMxTMWCSZhwEDh/AT6/fbdeyeGtPqeqYBToz5AJVJ+J97X9YoHq/zB4QAuGzMDr98ub01ppA6MA732m60X16KdrvntTNvIUEMjlJ98/VkjyUx0m5Oa8s2sb37hHWboRDidSI9iPxr8pvpK+Q8z7dkHgl1wC4ulg+uss7NEHS1MPFXkF0sUl9cuY/aRCOtPFh2W3XW3GGlR8LHIkXZAbUQAfivoZokIULofDCarTXe4Kfep3BDbTKCuPCd7XJZsg8HBZjyN04mVghIhEObCFcViGWG1jPq//EWjhN3g9+UD31qZfF8KzAeHqRT9ZXUen6BOGPJSSWOYUY1a4e6Bo02fcVKRwoWVBXJ9r0qS1xzO9iPUJS0GlNL/7RxGcj6QBC/7nFNDaIrfGCOVc3KWBQXE2dxmtycnUKb7HdmsOsyeM7ers8f5kP4IELgUa0CIjwHGqaxYpoqsuo04v6cO6oXVmratjF3skoyXwaa5Btt895cK56Y4rjVLnyLpOzZnzXnYl8Yxkxx+eKqCKL39cx7frT5xFVxXKtQGX8wgcOgl5lx4SR5abzNrM54bh1/+099jTdZ0q4WJgM1ndsie55ubR/zyy8jKeDxcdh7OBxlUcCbHS1aSwNNET/Ge9/pyHg2Xyf/4DtCrCk6REy0SgS91km6bgScxZYIzfadUUlDz7DSZWaOF6mEehoJnVsW60CtrJxgLxmzFZQ4AuxRaAW629XrT0FHSg20TOGtiP6uSUPrr6CAlOd6G7NMAmJdqsbQvf4Q2XiqBMUF1E+Po10QoMwcl2l26S2VWiAi2EUStJcSF146j+Q6iANoUFUdNTNkvc42AkcUP2mpMGPEEy4ZkoVgaI+duiFwd98iiqb6+4LX1LwMuvnAjA9+S1SEKBqFGc40/y501So8iLCPETlca2VqTpIuVbd2EHTv4nI1yPAR56g2CpPkRvzMM33WndPw/0NuTU059BCrVjfSIBz84Jh2Eve54943VfN72ul4isuWs0DR+uWJdw6oBfJcALAMwxy6w1l09YmSG1f2efGjRuAGstJK53aOMO6ilgKzrZNcK1J5IKZQ//Bbelz59dTCQLGznVnQWMhP5i8EMitmT5oZ+ZbWQnN3m5OTxil+Lo0SSGvrQWyZmFcjjDgQdQE8Eh5G9uzLBLsz1y9ycXOxaSvqjhc7kZlnRik9MFwwyjJjYyan4KEnSSX+yHH+WK414xtaTNHM4JFUz2vyByQEphFqdSOvY0mVxDYy6EuUmmPQjxxYuTJUn1TGRj81i9CnbBHuDie3hXyvA4QrSAugcd9QK96GRnsB24d+pMN+IfGKC/FPq/1Zo+JWW7Wc0Qcf792oX/iSnFEhNQUPEHpt2XcwFLLITTAIGFqyHko6hsJls0xZVW3ZZ/rYB4y3e3gh/Mxpn3Xj3QXZoaxxBZiM5vgVe8n+DtHqRTKuYch2MVM5blgJA52k3O0uL22Vn3du2PmLxH5nd3qS09s5ZpF7j9Ouu6qYyLsVA0AaqhAZOAMxkTGFQlzFS8QYU7eXKKwOX8YSHMxxBSinPQst/w1GMxNQIYYdNejFh8xZczwkoT5jq7ORdBDXCEk7EOvvzXSm4MI1ok+4xK0dLFOTGNunXIEmjTr1vZcKcHjpdQ6sByUGvX1fJEcp2t7c54UFFOzN2IwCMYF1TwjFEbDfNEZPw0dif5RZtZIrGBHc8E0UpZ4+d+A3jcpVy6z56ye4S1NwVrmDuq3Nk4j4jXK3HITw1xQvcBNI4HnYj6dh1O6jyirQtR07PUsYTlOjPMEk4QHJbN8zCe0IJKbHu9KhIxJyv/d1r17wclOrM8e6OwHu7VAHL/+GuJGqr/BkHsqRD8fQkI63ZYQ7S+xjJssd+ZLHOHtFZ6OnfGwHrw0j20abw/8j/ies3nAZNGLU8k5uEneCtzj2Iz4Ma3jwKsGV4DoBWMIMef0yGxgMMrStUDdJXyEDQ0PyQtTukRfueGb9HF9EZA1oTtEIB4BCDaiU/Fh6JboII5ctTyi59HbLqEVCnSqJfm6N1N2rG87t2rAhv6PanVS+3EDjyi7e+09273H55Jk3kWSLNG9jKFiu6kCifpsncu6pdxOMN5hrn5rXolgZ3+lQHSlQHK4hFMYXheBtsQAYuhq+oMlmjfnQ0ehKO4f3xL7wrJqyjFSmxaQijevEEZ/eiUeSV2qyPnSIOKtMLvpeUK+sDO5UMwJVLisnx7UWpPKvibLZq76COfMCu5pshicMhOJWayiAptCNv4eS+wSuzNWYia6FcPl2Zp0bGjJ1FwmidXpIanBvzSXoY7oaQANnNeb4ap2yFmpJyKNMyWk03HHaSMXDpviCEeg5FwiYGycadlDktgjQcDhA9mZszFzJMnnYWD8/F4isQODXLOIIhJEOd1Mu4EMt1l6d8e1u6i/M9w44/MtJ1o9bjVTFPgz3W/BP/Up50j6vOpYkdu26zE+WEJiB+aQYOHqh+1hmwmqnuHPEFDvlVkUntealUNeEdF6ndbM2OeJDLO9rTOQqo2B9QLm0Cr4O873u+0NJg5k7bezPTplyfzAQJXcpw1R36AbxPLK7nBGljq1pBv1wNoszVyUukazL5LYYBBrWid+6iu16cLjGbwSorLIB1Eh4PWjjThnvLZN0RTFKrtkemwUGE9CCcWNSFbcsWSgesHIrQR7Iq9NdNcKkfcaSF8JbXjSwZDZmSTaBy5gn0GRT5mxqerN/MzdJHLfFbbIy6A915CO+NNFw81M4uiFMo/7tshcMBHCtEF1xbkm3T+mIkKGMwbsvYgLvECtZKcDSt6094fU83IhhNQ4OKIRhhqiBun/EXIdq2pWmxHvSTsgLlLuzKB/GxqC0qgj4RzYQkFVeaNPqFhvCf+QE51ocJlkrwARwn/YgaGo89BECF0AiYMm11D+oppdt55TF4XlOi1YfsXt5sfTqIOT4lDXRQOHzLOGW45Edz+Y1oIUx5PGH/BDKDXyHv1suseJMMAv+0DwhVEFOIUzx1pXbfoy0dkZFhuhtBww+ifidrJrIwYlPmbENxt7H609Uf2BTcSvvPdIK3WiranM6k0kVstwh/f2YSC1MVgzky9hl5k58R1ZYY1Jae8iR5BsdcdiMwQODltwDLbdTmSgnKiCNGdCjFhrsD6gDBU6RWhxGk9pahoYZToxthvgKyd8OP81Q+oIRDY7cvvquS0DOdE7jZAV0ItFUYY0FA9HFuxOWgCNq6cGGFWevyTzzCw2pG6pFNEA01j6rJCAe5ctB1Kxb97D2igJmJVmsJLfWCau67jzuKuUvVRyEoDvCfcOAuJX0aJu9fhBPt3t3astpjyS3828m7/fdHhsJ1WCbPkjqUQm+GPamgeGNfnIshsHQ0uugLD6mrAT4+O3K37ZlSM/BwJA215WwYtwtxqfMF0W6Z83OGs0Ov1hJzryYIeqzpD2vSUDc8afxcY0znbsLfGgDiVII+FVMv07u0vGg/qE6ifYfTVVaVPlHHYSBPc7426cGhCSlDGKnkFjhNWSungkuzjD3k6C74CDeyf5RzNrjewvzcWqrzuL9wn+dbCm4LuzVIx0AgmpSxo8Awt1lzuUVGA1Yn9RbrHADOp2jYHsH4adkr0XlBNgdiblxOLSNfyIhjZkKRgKFRioj9kGt0UuuS9difPvNzxQKkhU/797MC4pgGjEGLzys+gy8MHbNq+xlSabXnTjr4Wna3c+cmKkNVpZqKPtb2hVNDjQ80kITUQMcXGzz6I88bDJNakG/NCTg2ATjXaPpxUgwt0+lJjUmbKot8eVawB7pHN7m2SHvg+cf6ixPuRX4loT2eufaK6e8m1Us48T4krR/OvdGXrkSewNtUN2DpVa8iIEb6xPfy1RcxEBr/kE/viyR2dDsmsyorrhfxiXFrRLaxiu6MvSOZvihCszstkjjHdWMEVFokeG0XlErW2jAJSvAuW5WzR9q2ID4TU3rbzH2s3CYnDq9Cxrke71MFy+Lme7p3CxtEqV1LVaHyQ5H9oXvE58iIBxqPb5kkW2+fjac0T/ZD8GoQyNjxR7mukYJDRR6aJvp4aaOKhI4HVe51xeRfMhX7lqQjsm81Ar7GorMaSL+H7D0B2WDahcz5B4NDnCSEewzi3VTeBODi+ufl8iDCW1/qp2TrvTg11jwd5ucLjKolrRYWhg0tCco3hMd9qaOJJ8tk0LyAceVX6y3IS6p2gnCbw1/Q2WCVgufC7EDBceMoex8Mv7IisQXBreeonbpd7usjC4Vukdy8w0fF1RejtCRQksVxhgkiEmlOfLLpO1wc2egMEhRruesqWPvVnLJQF7cvROVvOQL+9/bgY1MuOs9UzTWbZnY9zqDZuVQaHLMJ9jxJv3OZmkQLJGVBRxEhbEbU1cy6uV/mXT6MzMDe6m4b82UCAp/3uv0odf40eHAbQHyfZcuBLmj0qod89HsMpIUMO5ULkS/9Fqt0ajV8r63Wt4nMDCtlhe1Wl7C/GZAP+dYyUwNvsI22nT32RBBfrJmQjDZOIU/X+ICfAGfyRTtYZXCwnLLAcF4Z1LIQ51guVAldHRL6OS3tfdd8vxykdCHEnBIwXZ2+8S8CdPk/XaR+kdlwrcDeaI0z/kRCOphwdKHU8Hfy6jVhR+pfIQfpM38zI2DOJXRctx+6NSmn32PvxmoYj0Krtp7Y2LSa8m953Ssx7L+er/9eDCn62hQWSd2PvAUcoKOipuy/N/ASVOIU/tFEBlgClKzZLrhgqbaV+OXWWjlicmBSNqyhUrtEJt0eVlir7OtzR8Ls5aOKfVnWhBXQ4X+uIRq3Tkxqb9HTFHXYkpB+iuWVIBqmbhGycnqb6gFWVPFh/7M3emWBaRYVvlYGT5Ny3rTrS+ycPlPTcbKcfJwD8YlSOIbQn7bXjhXEfZJxpl2I/+u0WKzNd26PZl5OXGp4bGqoR3v6Ld5o7qZOJ0BWlLvar8z8DHtyl2KRNC6yV95g9f914kJIDqW73FX1kmastZe7Pw914krL2vqlk9+Y1qXafacahxjEn9fJH5pYqfFB5Q6+S1Pu2cD2i8aM1QIqPlWg1A2u5pwKmkxGcYSmmMroYZco9Yz+PZdqLm0tbd3jTxhMtrq9ezhXfhoHcfz1oiLsZVTGkRIAW7BPUsLW7ClEAIP4gc6qJeqPooDR+8J1jZE0vIPs4yeGjRgwif+es6TEoEt+J4fg7HGcKs5eiNPbi3p6nflmSvOTHIK5Y/+B8bgL1lifRnO1nCaOFwCwPUARRMmQ5mMKiEvhmQIcD7zg0eYAyTxSbgcke6CHNrtdqA1W3MCjelVDeoAvr2h7oBtfpQqq0kFxF0LAwzhyAU5LZoyXgDvc0/c27iyf6pHG4dHS70ljLro3FlNAzAhs6nJcoQEmDJPfbkTZ8n1AD2IiAG56/rK+nW/NNnUHMZI91wnTKCfd2/P7CF4B/Zsb0EjkS7w++jAgx5i5sa0jKO435mE/U46V5BPsZRaRYXt46SQ2I8hSPNDQ0H2YuMadbeZCZGUKyCYNqJkWw+a1F8s+iC3MfloydNfGwN4wNIQ6Fqa71jOWfFeftr7xtwJZGMWeq4junz23YA7mqpp2N/7saQ0Bx+1PYotD6UhfbsbbWFtqIJP/hHYLV1e/pHZPaZLBlPHMIBFVd7kEjSA9kqB3iENm4PiMx+EFy48cuis5MLo3BcWsbNo+WwBL8y2+4lIviCYi41SPCSu1GS7nRk4YDikb1vN7dZvEquRixmJn8VyQTYYKmLdq8BAtdR/Ndr+CNGnM1zfJrEMq1epMPsG+erFx9XAt1QurlZz3PuUa8FfKh83MITfJ8dFM5b3O7ZcZWpaoRv3YwUcp4E5gaTwz7xCqvqQg+tOk5wnsyggh1KvIi1OmxRc/GqMPeagI4XS3VJGi5s7c8A6bdXGXN1tY0MgxMfgiTMpcOmmhAVhtp908IfhvDTcUcU84guF6+LHESzRr4+0xncUsNpyA7N4byyhFhnHAfADn5pM2/5VB6hAy8BiAhudc+71MLXb4OPQcycTIF3q5Gc5ZPssF1QEoR3MQmSI/uoZEc09vR16syj+HrqPrV1tpYC3Qp3EaJ3WzezIVQa/wOwRxere383EngdGn4/aToR6WGNTL6oPFS7+xtopjzKOsnS6NT6Nvm01M1MUjggTNwE6it9O3B0Qe2zXZlHYDfvI+bbtjm/mue/8Srj3NFUTGgwCWXGf4SPbfgPMqaN59gig8VQfyzNX0LodBqAfLy8uVHn6kCP624wCwEJoaPh12RjN1ntOOjKvvSd+XTxIAzxRnd26ci9L3WaiwScm1w+FrBrfeRItklpGQ6flRXdIILlnFTTsFZZ9hSCft7TcFHQ7yPzpUhoghTTDU0cwkiYLFKj4Td254LLS0sTHYrzGWwA1cVo49f+vnExF3RvP9EJG1xbuH0JrUyNnTfTMRh5ViRPqt2y+WRwE0zh8nfFvsMb0JNSLH+/ly1Wi2UGvolx6kbR39Up7oeFF4ntTg5aZvUraB9ogYM4W3E1df8nnmuJ4hjlFFSsmq8ZTsHrRVxtW97xMSLkrp3VwgCbrPFZqCKJYOeW2sTQg53HF2B9YafJCiNSm9sCCRwaLifu5wrWQNgNJM6YPlR9BbOAaXUviPwlsOjqIKODP2vrs5a1Wr6exODpiZz4mrYvDv95YQN22oilfDqC16z+FOyZTA34N9urVtktBhoOS5Zn15FPu0hhT40SVyyg0Fs4xyHmGe/XyMjjIdgtjyrQrRTXxgRy1cAQlfzJOH4GEhF65xSSEqamzpP3BnCM806PUOjGajTJM5hlgd5E0Desv6L1Y43P4cfQGXBQv8L/oNKv2gHIswFdn6gr2ZWGK1pHAfAqzPrsvhZaFI5RKdsWjKTXsxsSLy4t7yFJo0RG0dr+wOlG8X3mfy/rsWBA0E5tThXHilX0wTPCPGvqMiV2OfzY7TL4ucVGmTniWDcw2DqZR+b1RE5N24tkRFKiTnd/rbHcMMLG+MYlrB+UZ3kXowqrKzc6S+lTBl5TXkqczgy2kh+UXs+clnGpWZGhhwMPAAjPKhIDbzPDggeBaASgT6jFWicRqoUdLOIfAmFd0z/1OHAHrvkLoLq4xSr9T19aN5fWee5YKfhKNQlXnjxS9w0HY5IU4Tv+Ius6SL6+/6FLcrHdjE1kHS8lKLPbQuBt/IRw9Fc3/HXsp4YnxHQ5584UXa5Xib7R3OeqQMilPfHjWTlHQJ6exRqL2Yaqicy3ed59MXHVjN8wkwRoHHwYVL9lygwseQu0bT6Q58HtsXRP/0HgZvZwaS3xjYb/zOrPiGXRAl4xRZ9c2fEe7lZF8qZf/rn0gOzQDyySFflHFew26vMpCaOZBx3CV5fs4gVgVO2CGGB7HjWVytJbJ+m8ZunpXSwe6LLN1jJ/4Z05+xt5zjBXGzYO4rPUIoqF3H4aulVOv6rCQXDBLHMutC+Ve0zS2luzfSKS/GTX4jdTJXhx/n1vtAZOV55HvRuR2G3rwtweY7sRsIqX33nLdeAjYUzy8n7o2jlTElCpt0cSDIbRJF5oGe6Fwi6jvzvgAywsBPaIoC+yV2XjMymCw8jpwi80XTkc/i0F2XnFv4qEIvxakiC+TNjYxJ/U9dw8LqZ3Nqm0tcMnci0tA+Bsv2amJ3hSuFLlrhoMAqNqLLi06M8F6euF5yYtKpjtNTLRMC7SXlB8yQ9SrNo3CGeQ5+4VTRFlaWFNK5xlOZdzGCfIsJb6sS/XrmnT69q6xcljfbSXhlcdufz+vB36ZF2KAhx2PUSpAe7HTNjgBcYPvURKWfA4wtV9VBUxXtOizIlAlug7b1s35614/V079Ll+CE8VcK9weW/o6jf6LNk7VjGw+ubB74clWTxikqly97tHUxcI8+SBIDoPOpQEwrTBrxB8/6m33oxlMy07pyFXSKzua1ROK4TDEzAbqX7FU4peE/QmWbqhHvNJeTWsjfQwKlrT4ELwgKriOj+Bhb/ntKXGObSJonwWzD2LvGns2j6ere38Kn6NJRMdmvf9G+DICsKJ+/H0WtV0p91EUS7mKzGlX7GGrpNwuteoreSMvUp3Nz7eddM7NDZZqDogXcrNKXgKeLHy7C2Dt0v5T0rfg6gKBHeGJMBXwmSVEOtu+CHpOruQjir/MexhYzuBX6+aLQUjoeWZZGthsWajtkSfpy+unZD9xIP66qoWP/VxjzPqUKT7YVcN+RxJ5hm7Xjba2H9mB5Bpa/nx6CLyeNUaMjUOB7ENZSq2k05YEz9Q2kerMBwtrQsNp+ZiDyy3MkSwDj0TcKL/kfchy0NZPEtMyDwea558Z18a3xyvpHcKBdkdQhvjgfjofHHQvUkgCjhhQdCT4aBy1i3cGhVWBPpf9o9BG32bTT//2nZ2zZATr2Q4fPQN9ya9XmTW1ZqCgb2tU4rqmBLnIh3ZnoYmjZpje2JhSn6e7Pvwsgv7RNrGXBjb9VzIxFZqJZsKqvzQjuL+zx73Z08wtW6/vQaFOAet3QQqEjC/+Df1e7384uIClURrIFUBcKAMXyfeRm1ORUCTiBrS3iIUV6o0sud71jTePFxMf8OEFltIhcpmRZpBTqkzikKWZUDJTK5jHQkaEjuz6i7WUtAQSHqFhq0+Mh7dU/0tNk2NkcCbNmW0JEqPp84sx7WE/jDqDCLA4vZJ3mjlhQL76RvhaLuj3I2qylb6SkMucAPUx5FUwJTCCuWU1KiS+N942n19pIp1Z7mS2VTJkTmIWwW48Pas6Zw9IGoWa+N2pdRxE204835ImHxa6zkN2UvwodoClORFlOZl0f6n1B2MR0dqMrfAXmX0Kv3uCuOCcX6ShEHcR7rUy1xAny81Ycowcret6SXzR2UZm68wSwMWO5NKlVvY2teO5IOX6V5XlNx9QEn766GwNqZRx5xJL7nRuyyZscWLusrG1FH4w9Smw93gKdR3v8NGbod4g2F9eftAVghHhlkil+TZ0I6gj5omZL/afdOky248vq2bRJl0ZoARJuPXgHd4LV9Yafwl/5F7PWlz+bvg7DWQbO/mFWpcZ9bbYzOM6N1Ktt9nw5Lts7rPu3Dxz4gjnBYma2rCnSopqTlCwICZDHD6QIdOjlmbl3HPb7A4iOIErlbtPE8zwro+1bi8quvNtqAogC8V4Sw224PE5quiJml3ASLhp0i866N2sxXl6lOafyjidkg1ypYe7LueoOrXpnleD8qj2Y91a96KnWS1d/2LhKfarAXfE7iFrMq2U6eqHp3H9Ufy3usvCPgwtDBLhydN2dxkyrxxDayVqcMqq+J7/CWhDrqqod/r7+VQYwGVu4rgYDGC13xBMby8lE4Wv32Wt7ceIsdq1Llw0GczZNgAIlEEs3w0G1f2AwEvXkfqtQoHGP+29ivdZUyrcX+oCxsMfRrhO104ms3nMFABxe5p2SzzMAy8NrAEI+EPA3AalXK1Lz92wqkntEF5EdxLZLCFbp+EHdluD4ARBSiN1OpfFA03L4XyK6e28Kjd1GbxMVJ03jdzXxtC19iSGTJrCysBiQsaCSgwVxaCYZTAWTjJIcW23MUtNc1r+kbWAXT4nW2ls57JoNlFIhjyce6UIJFOnKEU+5YkJw7STvtC/Y1oi/kNbme34dINVKeekLq2I8VatPAHH8UYYGv1/UwyFQCp5LjV66kPAYFaqbHeu4zjKhOCNER1Z2tXsKMxCYg31kPhCnTDSyRb+poSDZ/iDVM7U7qay/fSuRJ0RuaITaNmhUmOI6Br+gmOnU5FYqHP1jioPPT7vMKRh1SYhbbwNuEV0W3J/LenpKQsm3S6a/hGzyxNDxiS86Mv0kHtjazGenmTYpzNL/7b9hRbdruGK437Zb4zc2J/iSNqF3doFlae+gxGwWfba5TtVj5CpQsJDBJOSR/hzzpL2JU/DpwWxS8jMXu9czKEH8UfjrW++D4+xxHIMjepuP4zXogxXAdJo5nd4Mvi7b09xpVVe1g8e4Q9UILqlnTmdOxIZ6Bd4S6GJNhHVXA8oIysbBEXNDCY/Q8X3qsnqc5UgN8vl5z+vP8xALdzFh5VblgvRD1KCXmZiuCW9Jn8OdcqfcG47CRWkEcC4GnSUYNvr6tjGN1VKIkptoYBlgY/3PUMMQ73Njp8IMKlzvOtUDx5lLaVTg0VzRZUce6VRyQAnaHJg/nO5kK+e9tJ6j3VZNa7oVrgtKWL7j1VtnUyD4+YIQImoKkfCClXTcy8Qyvzur83rWQ6XY1vHhxlEOWKbx0m58mJj1N8XZM9rVNohi552tusqthinpTfTmVjIcROp4liguUgSDX6xBMyTNpb7W1DBTjzaQw9ayvLwbIm2F48AMwAKXTmA5pYt3oqh194bs7ZOuErrkNyES47d8F2Ij0/rbayu4B2/yScPT3oC+2mAhToh3EcOnWiYGPZz+323l7NzkWQbQUyTcZFVkt4u1sXiKU+icyf0Zm6UYUjQWBooHc2u0VOk8NNIfIug7RYNxgjbWCTt88rJiwYNoBp1jyE1cwU/GfwMfJz03j3/2/CHeK0EUu65NxWvINco/CA8GLafOv5pvBPth1l+FEaahlOlqvGCQ3cva2GEhyEDRo8j0HIsgvGJL2NDOpqV77olCvUtdsPZlDkpHn5mBDriI+Yxey0kKnDQLRawa+BPu/wKrcYo9R+Tmzk4ALKTIsC1QEMsTv+t28dwVfXG8bYRAefOT0g8PQdOZMZCDOwWem8oA0nCtTFG0xFV7HXaSL6BKthaPPKkM0sn8bFUJvjJdQOF0L/gsxFtO98V/l4YPBd3kJdlEtgy2faoeASZZn+VxTUUIqlPAhl7Q2FfTkb9UijF3qu1GEhacYpIDePXlISerOA1atBfxeXLXk1v/RwLqt8p27PI9hPakwf622LFNNK0pm2WBAc8i5xXIrqZx9z2T4avBKaoIrhfvskmzYN1VEGpYYUCCVwzcWLcabN5YtPY56wpkAzUFJwaGrvIZ5ZmbUqS4B/NeR9+J81kJgBy6THwdLV1W8K/QRugK7ax45uiz7czyl/dEjUoH+r90nE/loNI8z0ru2ysD5OyUTNkhl6niYGwhKN7nc2q9nhtFTnKPHkOKEJ1l9DpKSOfYoXZuWYXbd6E25ffjWNSGqOVCUwYJ3FL8838z3eZ98iJiiDutoIk29YiDdqNly8iDtzng5pfj45vjee2PGbx0zKP80jBHGvZ2oc2Lt5LdFOlg2cU340hdny9VFJiuRpZVcY8stN/Jz73t4/WXyONeWhZ42b449izrcW3+v4vGsn98zAxUTerKjQ6opAjrsZM5QX7ddO3JReifZfUiPG/psfc+4Zfm/JG4VQgQMgUAPI+CZRvXWozyaFGYsv5PQTfXr6mzqkW/Y5LpDeE59x6Vhe63e8s9xZsc74am2D9qQH/ZNGBMhwYzp2XK9GlH4hDDKo7M4fmd2Ut/jU9fqszrwMFpzQDpCho4rp3f917YhY1VP6HtvHyUp5WjsXkhdsKsVQwZdL8cAv/Id8f/yYSzfno8afmikhzCchgIxNUDq95VEYxJrXj5u/zmHIpCidXhBzz+JMiigpZscJ1UYHlv/uLK7+KfAxuu50yEXI4ECqOoOV+84JFz3i+ke4khVXP2RSHoCoj7HP2LcFogC2y4B0NAgTatxuppacOwqvf1Td5WDwmVD4DMJVL8PXnaPP5P/kXXtBQJUUOTQtnBa2Vd9wgK10+7hbJtbsG5h+F6Z+tN/LWGQ+jGDNywfAv+lykxu2G5QGl0WiJW/tWzeIvZAwxfg03hmdDvcTMzSXNHT/USq7A4syHqLYtoDCloH28809q6Qt1Pi7qgF9S1fJBY3gD6cKPMm2yGfw8JaOfk/do99cSYpu/G0kUf2e2cmhdyxUwROJYqv0VzA3ZLxyCMwHD/ipM5KyexWP+vJ44mdDFOpBZvcIelwvtrDxATCqpTLgNn9Jd8UxtiXUSYjN1rEn7ZJBvl2WKSzvW4LhKkOhaDhZbIqZ8KQOVkWKCiUjf48/c878M5Wx3afhjEUR/F+ukftyd68mnnDI3SKcxcwD+s0hQudL3FKyaYxybT9pPaWhVx0xk1ZnGQTeyAlFFDXvuqjHqH6fCM1J12kmYqbis3AOVU2zjUEQtpMM7OmRWZklxhim6EW3DPhplDQYpaY9ELfTgZo5dk6Xm+mW2i3eZeNH9Wy3FwLLtEx4hj1o4/TmcJykwvgjEH6qUnuuzWoh2VvPAHkqlYqGf4NvUKiXfa57gvtN+CL/VP3OGjeIUKV9qS1Z7/HMFfA6AqGVj9BvX3LNhI9urv4YN7bkxdq6l7Pyd8LxoPkVi5g7VwEYY6B5B6MfQo5E2XZs1o6YOlcZDuxEc1EDSWI1k04+s4Ps0KgMCIBOnY3R08dZ8pgVn3znZCi75jS/CbPAAFJHTvr/ACJVzeRwHkRCdyowxeiR9hbucQ0xATgnC3mqBwn008aJwpVPsgzWpDoDGtyHygYKtJkSFilOpNHiD+uUmpwrkHNTZyspcottUp2M6GUstV4B/7XbyvbFyOtuVHvouFBSRpTzA1Mqn0SOXKrAXqXKdECZDxoNoHImxvEkvuI0H5Ciszaqtl3BAt6/z1HtJLqt2sNzXiE+TbIfyCJC6xsSWd+jnYOva1tHB4+opzEykOX6ROe7Lu3ReEC8QBVYqjPi4z7ypvsosDWyxmQjfzQzJ4BNmIJm4aO9S4SCffXKaap4QuNxh2XjJKk+lpH6RqyYV2wSzHCyFnzPqfe5ZmgGTwL59uv1R84dw4InUMbXCWFQzKdHu5g64fmWX+LSM+SQJjv5NvNDyAyvjbp5oBJ2E2MXiihtOlvefk2X/o7b6yIciIvGFJEZjxFAKgoEK/mcgeHGYOMsPVVMZVHSAmE9ZRye34Qn3EII2FcE7+XltzFLiBE1OMJ7OgM5MPYhy0buPq849g7cK42Vo0eTehd8usaV7952SjWmLh+VUKg/tKsQ70dKohUNEi5Weh28zRA1od0t9vIVUDJNK/G5E15ROjLcyk691vr5tHbjwgGl84bhnvMx0+PIXmGxd2Q+Nt/EkhvhjnGpBK1UxPAyuSDdSJzTEmhAxlgWkEHKoplZnNotyXzYqZmg050rLN+ELsM66z3B13lV3GVYl5NAdsLS3OQZZYs+DD2fkSWyQvDQ7f1sTGmmM2BmFPlNAGR5hF+8DQYWceHdIELQyc2e8q/1h3Le/szCijHDUKzQWcdC9ve/KCx1ixh4ep/4B4LmDUcs9FD3TOHRDG5ule+vMIEZSYVEOLb24lWGVrnGkGBi0c0dxFWLSNbEPZegmLjKVubB6+oXfK/P7QT26nsg6NGrGW8whWKUvZSzrEmIioziTvl75kOoQQ3QCYFZzvPrEAT6iqN8+Wp/iFHfdOIxjV5dTz9tIN+hy1QnKRwbk4Irk7SHm8Vf7IRzG/9EVVY26Dh/QW7a9Kyc/NK4LPXHGW58bN3YhvTQvVfavjhtjQIjc7lSdt0CeWiSJlWSXicdfHnWGxzYo4hGtmpjSp47miQ4ny5ZAZDVrtZlDboavgExVEX3ajIkV2dvAIBqMdNXt7ho9ADf0S3kopIee+ysfxCUXmT8k1D5utUYg17nim1tjGuH+m5CyXuR+FzUSWCi0Fw1iXUMmzdeflXhmi6Wnc6xwF0tJH6KzSm1RrODNueaJu2X0I/zCYovxSsGGg7rGflQC4dyTgrpKy2ghyoUDngQXP+19TkVb+cL3f02MJkx/ZjDvMdXaon6yvZwN2r8mkHO08EfHHzrm/uDwdV119vVH9gB8gCCfKiBTLdTgL4ATfJ+ej9jufhNt5pPFrfn6i4HEX3XHxzV4vG2sq93r4SJXyAcFqwQ7jZm48jy+gFp5FxRL+Jzbi16Ar86SsMIHGFlXab21BHNATq6TNyTaFo9YQuqGmiGCL802O/g+twNhrj+1tcFTpGYpQv9VExHSYmBhnOKCCnSYjge57NCxHWsMB+PXz7QrFS938554Q94rktDCnt4DdiGEo/pXLexF5bdlRZAEbbxwtq5HsOg6MERVxZLNrsA5Ynz1rhZ/crCqGMekbab21z0L0LETftDs8I53FzQO4TnbrzimJQ4qgvWauTPuFEscvlnrqnNZN0t58dFAgfIhI6m0NPEnecnfYuSFTUb0AJLM95ejfvk2QBwuP5cC60BADd7S3uFXT+itkMMJs3T6ZKzXy4QldbJIrrYuWQNNWaL5KbbWIAOn3DJDhJEi2OYq0XxDt7tpiFtO67dpFLyGcTfCZtWWXcdk9K16H32rpvX+1BUZeGq50dyyJLYMkFFsayRGNeFO25KnyOtoZEX7deWY6UxoeK/x7eEVcgPxo+U16c7N31ThkM/n6srUBAp901ZVDqavYZnRYuFh32mUrHxa6rN9nChkAjNcufbt7rxk5Z+feR0inGjmdZr47pBsWjbeEvuulV/8Qi2SuVWnFOC58pRP9E5X0yqPdllo4wQZl7kbQWoSeqXJB8ptgIQXNYYtDaUtexvoSgi4qMw416HnwrZbksD7zdef8t/SoKIkUGyuZYAaO5ILiYC1hzyGuArg3NuNZeV+6nQ4NHMALKDaIqF/Gf08cm6N6X09nF4kxhEAwqAiZou1ZvziOYVZ/zkXLzhDtyBUEP9uEH+fchw3Xdsgv37p8Z2PGUoFAWimp8pTwWp4gBrTlhsTwXCwez2SKYPRqPRUZUCtYogOdVdOV44ZMP7v8bw117pyATp8RZcbNcO2vvU+rTQyFmBGXMuomV1Lj0LkqPx48KcXleYSkx+CZ0P5jv3Z5TmzmurbVKUJ6wFN/X9Im8eOfyaPX5H1elFXQRtecCzhvww32y8mbfIM2RthLLxT9QlwTKCc6vKMSA3XY2CmjccCowE8OFgu07EgSu8UxvD+HjKPqjGyCdDZl+uqYxKDXFtPMuiXt3+LQyspLY6m5siUGVdUzwssVXpgJb6Z6S4+pTzJxB4+TmT1LYrPkp11hM8GVOt2I5RMh45dEwAWTkfoMNGDu2jcXDh/pia0TbULb1tahKSuTh27W/em6Ef4XIrVSRYeUKPJTjxn6PBp9O1TR7Q2Th6O9TNBNsuHPt6sD5T/jnrDzUi2H8Gm4eNsl9QGjfeq6dxGGgMiCtUGkJCrjj0QN+8IU31N5SkyjAbb41Oz/bP3FWQijFbcLcbMayeojQ77y8se8KnyQ7sn3TI9ErDghNIOTu1UBKPrLdWuhJilPJ7I+lSwqWFJoa7MonLbCGW6prOLiLYY2eiOesNP32gFOISZRdcu9Q9C+DqQPTqnaG0Y9CxSFVTZrPkMqiWtUSwES3sS+6AISczwyD/q+8U147jOTEQpuc4m8EHix7Jr55/qG+8CrVcFb2TFC9q1l4mSFhGxtnDKgktWxC6SUj7qrQ8S/O52P7PkKt6G1uoUL8Wr0H4No6vUZuOonKOlJEpU4z+RcXTUCQ0wmQ77Uexb1PaVOu4Hs5Pky3liNSZqJMh2+pBgyr4elKl4ccVJ8PFIUI+DstHKXpxW1hIyDE6yeoS5opNzqwplkrHItvjX9MT//DU9PD0vBU3+xsm+ana1IpIQol+yz3b+gLUNAQWleIwr/uH56dTisHOL6bOJCIQQ6Zw7rlNbwjWpjSEmt1Xzm6EaxkcFVHeC0DScayfYy+pNSH/gIm84zhhjXuF17kuzB828rKBPR0KLdnEl9DKv+fqTKTWMFy7e5jhCliYJIcV01XHlAh5NNfyp/XPyTeJL4Bq23G1Wb/wGpQxPEOjGeSONbGjJxSqOmhNwEuNkUyWgWQSXwigAEUHQ70nw0hjND8GroFLK06rqPNBbMrbLbL58yySXUY5ZXOFtAOvGYFapu9Zo3/yN9x0gFXqpB6KTwQeR/XhK2kM1Xq6do8XvYpwiqnFKOcy2vqV4o1edi0zG4euvlGIpoet921H1ZD6ZW7bLQijjPAUiKDvMIi4E+phcXgtDIvclVQ6TwqmZlEHf1Qw1Z73vHtZVKdQs5otCdiFbzfH0FPRupFQ/w4sNyuikFbAZGwEDUqdEMkIB017XQ0ONZi+ceybOu06UYYr8k+iqbyQycW/VLB6haJC8433G2D+nI2fkuhJNht04dqa0bE2tzlvEcUjEC7xgVnBr9XPPZW77cxO22z/7zODKTc6AamCYxsmjJOOUuyxmj0zDAcM1kFX3WNxkCc433zx41Ig55MOMAL9thmfaStWyc5XRhH9bn6gaXDl1fQIMWo7nTbI9xmlX9lHQDRONmVru6/xbHXXeafIYy7hsRMEy5KTzmBnR/coJEQK6BU0XJKYPcaoh0Jaj3KpjTSUBrK5oP3FaI2khBUZ09zZbk7zuU3LFz218OlDg9UT6ce8oaes9AB4MuTkh791pqrN/O4y0IwMBAHcoGOwAcOBXqeEq462r3vPB3gS71I9D9A5s+Biwb2GnFarjhzB3ZxxoXm7L/NnT1UCpDOg6u1EgtO07Si4Ri+wCWRgwO1TThQ6kCkZbF3SToNFL7A9OZBYqmTs3MuRaSlNwJsyHOyCSatFLJu26VbZXkMFqcMZ+KYNayiFPfFbw6a3Nq5XaKBa//i2pRnH30cbJNTiI71kkPHECQvEI4DKP59u2pFfgQueOH1nyUg7w5m2RawdUxXdrMQg/xO2R3Y094gOnVozAOKeDblLK8FRkkejrLTl1HXPxuE92CawE2JSZ3wMOJbzd79L/1O4csfQ/DA+eiSxGSpgx7Y+rzIaBxmiX57N+R3OjBwESPIhRMhl+ZT7Yy+c7jSmzF6W53rJnXVkUUAgLK3aIsY/CYx5BveOdf9H9KQrMH39gtv4UW4q220KK4V8Lph3XzqWlCfUk6wQijJR+f2Me6Lff5ga0szCcQsbdQgHUgyJ8we/gWr6riU4tbJQ5S1WwbKoUe9zMRXwsxbuJJ1AEP2wdUf/anVrRY+z6FLwc3zFnWKKfEPmCYj+Gnvk0JMhUNk/AnuHORuKVBI5EPMEJnkHNGUmKfM6D6Yd8AStMwsAtIYloJTj6e60KW3kSA3tCJHM+8J8vgxz87Bs02SBRbTT19LinSX9IguHj1JV2X1xQ4EmIMK2Cv5J08vXDQx2WK81Fx6e7f/gWSpPH48Yn3RdsJSrZJNhxBZkGnyvSz/smFRr/GLkFX6CP+stavIabTg94wPXLRHhLsSDt8VxOyTcfCLfMmFUi7Dzwv2Y7/7yK9gIHRAxVbtKFTWDB0qic9Tq4rWuTYT/0p6IhcG2tQbCh4mgrDmYxi5xMXkXYk6ZoLsbc7vIgI1n+kdgTp+EHhP1PGb6DQFJbcTy09y9TLBxaqioKZnM7mDNNRq0oSEqBPNyztwqT8EmaXVdhsarr1aTUgVG/c3ksBfr1lOExCowkzFkIX7vg4QHFOpt7OofebuMUt88rGZaGhre3xbzsN8Qr/ljhLdJL3rVlKh2bH5AjgcvKEM7HlWLhht5VfylaEmKlExuNjcej87F2oDj5ERATcoTF+VGMQUbS3q00q/GceeEjKBu4KnF6jm9dnTB2DiQHRhKWZ69d5JmUF3XfPNtkW7/nG9Y2/iUTkfpXSV7PyHX2lNPwfvvkHtzKIXj0DF6nKvY8vrMUkvIfJBkMkPJbLCr3WN/YGUzQ3J5VNrcpmM+IYpoLicVfY2RXSkSsmi+s3FNQBRdgck5eT+Ya/B7GOJBtoSKwjc2r2NKQBR/TONFRvN0u/xq/fj280ftJR5DAokU8ljoZClzjiqFSddtIY+sLyqYbCaB10vkgPKsv4q4Gvh/ASp7+RUDLy5eJDY2rxCksyS43DWSpO4MmgWztCp56wXqFtpT1blAsmtzRsQcP/cgOZ7PIj3nNXV7KhwaFWu9ngcJ/afT+//FXYziAjMaL77rQHL/+pEFU5D17PuvTsowYtyAA1XiGE+1W7zPC6MoAPfsdKHx9Ocq149NKzI/78sWWpcLIjU9LxoK1SAc+N6Z9Bt1M0f9kqW8GhS4j74RzC3RH6oLhbT/Pyp+++vHWppZJicxDzei6NX4zwYdOjDXzfmEbX4WjYZZkGlfts8bXfehQBdIW73hg9BeWxatL3WSzjXrAQ/EbL0RNnDOwi0L4cZrdG8Pvf3mkJkrP76syuIpbC+V/Y07+qetd95Y9i5CGrt+NtUqzandbmIQ2G8KRvf77tyTAR/xY3xdT+jIN3HUaF7qF7ja16C/J2VJYKEqUwNzLDKX6yL3asopUhYNMktaVZPuaUAn3Re+i4J5zdKnBc2sNBnybuzGD+OS+rEp4Om6PYTCqHvPl1VBQubrszj+GPwXInHjVUGfyKhhAq1uPuGQTxnP1kc/OyNX+CuRZyKKAWGL/N05kwSBPDh2NekrPU2N76deq23YD0PosqdE81yL2MPbqFzI3yEQBV5Jno3p0KbGyJHzMpznfZMRCP+iHyB5bQg4q/87892XozCkhf9gq9KzfeQ1NGhWtFL5nzFysrl0gcT5RyGF28UH1Hn7wl5dkgdhFuzXebPA/HSXGlv6j/arBIw8Y9hy/Aq7qeeK2EmHihxp0sNNIptTuykiSTrJEwdAo2lbPbb3E9wz/F8z3M+vYMyXd2pH9G4EM2Y7nasBUZT7C7T1lOIr4JvrPA3VTs97XVVxJsTnkfN3YForzikj24TNlmkXhc0RCKP8ExnvMX0kdu28E8JwjQdOgWQludzwTlUOnWQf3oTZA5Ym2dKkBMqWmeMizPHpMbnzNsAmiOeo5gOPra31cgtLfokClFFqCPl43HoiM8nmqBzg5zwf5XmKBk+BIHjZMInkzb9KNiyFqw6/owjmI0MNxb3Xa9Thqs3K0V+vJXgxUgGLKR1YHw8kGu5eEQGG1L6rbEofvoupIV4M15ZS2sX5wWzXzLRS2WxPBelsA0LVw3LLxnmjE1bjZPcJthideX2C7G01jf4CLs6eU96dxKtT73H6LRr9rNd68cMvCheqB6jkVkZGq13tjhJSXcXVtLqv8oOsPtdMM3e4sjBbGAfhHgb4emCmuUbmF3MX7p0yQadQcCF1l5D2V+iizFYiAa9FZGlvUeItO+VpCqGQxgQPHLFaRizQ+Zg8SWRfD2KA77+PSbkL0yXEfXY0wnD43WnGfHek4CrYPpm8FOZXfbhAsLiQ+eHrDvdrDsiE9a0LrfXrvuOWOoogmDLpupzsd/GVVuavXmxnEBTgjR/2wF6rl6rxsBqeaM7WWVN9tI47a/tRy5RrBLmy1+2FwMe4FWoxSSNQ4gtLYpJbwe8JSzlwosK8+nCVMahMEi0Tci4TUMCIQxXL0OA8sTxmwoLvAIidCPLieLzfwsDfcDH9YI56RsVtOWSitHJ/J5b/pvUdPzAsdnwYIF5QZL1QciaiFTou0+7H03DoWWRQXvYRBWpK0mDb9B1YRe1LdCCCmkk6srJ7TVasa/8zGlWLQQKU0rgtw8z7/PtnmKietxMcoWQJKCtwizHQhHSXKoQeyf/A4q6ZVZ2sSRY8wd+D1KhcOgqkumKvblID+RwUYToqHFwTXqHt7j0NJdcL0QUVg7f3Sw4i/35YtwXtiP+DsQzcfSBqTt62LIkZvZkYny3FKpXCuUWptVGBXSDIhohPkQpAkbqpGbXJJ57YfiJpfTENsmalTizoVRgwbCb/a+aI9vbyUDwYeaoalifDqRc/7DlzkyPmb78iJcrd5VbPDMjBKPx5ef1MT6xFBKufDsTnown70+UhMIBeEYGL3BtbOJUu4l/X3gKZmKkq0eAan/g3TmRNvj6iKHTBTBPsEtenFjImZtSjpN/c16lQTUEX5TdqM+T02UhoDwp127YyVlf0gaRhMhaOrNpbgxF4SVlrughYePxv+yYuw+acm8ZpX3+usH/fj6Ooy4F0mTzxrYfRTIkTSDE1CskyJzOi01qgj9omK0lkKyXGsEWDfk7kCUMU3+tlanXy0vWI9x3squ6DgzsMOv3CY+jcRCrExcY+1bUVIgrgs7btU0kbfiYnee4IVtsvI6sMCtr5pFAxpExgD7wIsuAmKXSWwAvSv53re499bo57G+35I2IPRJz9nZYWQB8ZP6s/YixPpLAex6Zi4EKIx+IcwTc+rQSZfAcbtKFgQhW3xw07tfGrkiFgGgUNvQhVBIr1un0uStuRfe/xUboYzKtFOo0EdZY/rRQmRA82zHLq+zLEwBWT1PSlj39j0+GdEcAioEGHY9w9SeQzy9hLrIcrjCOiIg+F02+lyPTSc9dWoQQAA1UM3lf/DbAhYE0Zp0fpvoJtNjxGeV3jHBBNzfz1UvDbGotJRYeMmT66SGgcbzVxvAWJb33S7YRuRJYY2x9phk6Pzpq2ofxVVfgKNIbLfDT0AqiG5rcalXmyYvo5T3WoYLUKIagh39lt82YxV0CuKse3xtEwg0Xn9+peGjbrOcmrUfoLmyfAZ2GYFiQX7ln0dtXpyif97q3DqFLJ2FS/q7kkf2nebC2xd4qgUV1Hc3fMp2P6R5N5LQiOfxyyvc0S9ucGa/Zs1TqfHjvdKQCzRbBozP7d9P7TKCcGkCHVaJEFtsmyMBhoSFFnx69xCeion03xn6KbTSvHb1hd9Ym/7ly7cXXuRqqX1+uu1OL0E8jTksIxqapsZQBTviV9SXrj/IQ62X1nSNvU6Y4+8xwi5Ur4OjEVkChrkMYJB154+7+NtkKjYnvqbHB2zeMPGOy3r1qpOUn2Ae3iQ/L0C1kwmv2J3oxLErjxIaWjTbBQ7fSnqM5piSxykcFc/NB6TyOrM8Da2c7kSXDtzijuyVB7Q5HGzuyPX1axVuQRljdR+efkGz+R5LUAOXaeaYKWFQ5+BfFvTJPyZp5rROt4Sx76BmYso0W8iphSS58NPWlvVIVghvQ7C2iNdJ3KILYzeYuS6ervk3+ml4vmK4nb3NEYlWEmX0q8yPbSCo9YGcetd3piOjf9d13QI6qja7Ubs+t1ZJMYopGfdHreymyvHQKSJwUIWEXXGGoJUyPLA4pmUIuIWc95bsuFoLhAYFlqZLHh5JZ/MhFtok4zjGnQPmWwo5ThaDmKR+I7TsKW/ot8ZfkAtzIpGDSY21JhU7Ay/vsm5ByiQX65LQYlo5pJb8TZsv7x/aS82Fy6FZJHr8JW6N0bvo287E6opGcGE8+JSws9RCuVsXtVF4FFd6vzybMiptkjBtLg2hmIywitd62tkiE75M7doI7bRzxnLTEpvv5iZu/jIVVH0gXRjsgrGFUoMikrbNd3r3IFD/SxzwHaWvIFSdhxrnanDYqHJ2n+EhLfbq7T72Rh52GAF999hwoIuCV3KkGS7FwYUz4hqCXK+UOB+9PQ5HZ0/UNrBz01CAwyKn/1gpogBZ1G5t3CA8VsoI9Ypf6bJ0pasgrz3gn/v6xQPaC8JjvwXr6uj1eCMGgKzyW09Mjvz/42/RqrAzz8RMr4yIAemHuvGBGKFU2OyqaM27AvZfL4j5QZ6hKNeNIhK1MSbUWrtG6N+9n0a5XOcX6+aNIkPtrw15l4Hk7spxzbcs6Nblx24K77ecdpltZI/Hjt2jiZxWPXIZpJ3zTqWLOCT2KJqAfM1s0UgDygSVZUx4hA/0JJsFrxq1Fla8YI2SQMjHaoD47eE05HXuSzqFspFX5gDrqvv67ZTGW5QtaL6281fI50n4oG/1Dui1AlQU5Ca8yG+0yqWN2Ua+924X4poXSXqKheb3DaFfJxt+Bto6z7XYX+QXZPzAWUJUH+8q8YJ5pXsB7QD8eQTZJk7tTrwuy1Ew+mFSKGV6+QtPUglozrbZi1b4tGXhAiXUcY+uktepGVXNirD3r4jXH2smCSmkdo37A/k309Nvzo35gmsK3Uh3QS7QZzk6b2lViQnEIn4iI5QnXu3Fz//eRlOOthToKEmeQMcnmppxh7j2Jf9/7gq73N89iNsSZvxhTasqIov6LGoKcgTIUXIz/F62YyfgEJNOXDZzmNNF9fHxEBhawhaxdRz3v6SKkSrhMwfUwZdEUw24/37pvpRr+Op04ELESXwZlu8qYbPnDZGxR74ojrYDIV495Il/2qvflYsby4v2S8qXfLq+iHoARJdZpetNLXYWXIVe2+vJbYE1998h2HjEQbG65a08gVn0OUJaiGrLpjGybWm+5d5v9hjX7qqCSRe+VEDAPmumk9wvC0H821nJtrZrVuplwz/kt86ctncysPVW+9G00/ckUXxTrkNRnOH2vUEF861rEu8WZS9RVs6SDJ/al4D7c/3JRt25TXw+QN55N3kRS2T9uGR2oVgcEizXZWaVdCLMBVEqs7H8GSzPQx/PHidTISRz6P39S/K5RBlhQJ7RtQ0ZKnQYiEPPTH7Vrf7Nu+XiLZ+Q5rGh2TlNf1DY14B6kbPJ33I1VIDGtHHa6ymt0fC9okPJzLmdIeLtBX/rGVubrY+cYuZq+lvQ0g3ivvuK2fjMdKFLXk5OVtUdUp41nEClM7lx8qL54wREJxUcBBtmArLYuNcxu3xW9uPf3RBYTm6jVgnuUsT0f7m9GXcxVek9dmLOE70vc5mWXaHkWA8WDKeWQKFUXtSc0qVlkg8gEhWs8S4vyKllxljLJW7NRyu7x74vk5u/f9SffS/8peatgITAxvaq7TLfAj9MvEhXGX6LCpVSPuNqLYf7NeV8L4h8FXrs0/2gsGSpk5w4HsxTTHaL0XiN4uuwugJ0UYPgjJztdsJ6XMkBu2xv3h8p/0c0pX9Gk0/DMeSG5u4nyTODQfoAnBLXbnHffjvo7p3gpzR8JeG/Xy/rq4VonVUGmxrVtfc2qXfBIs6mCMArUYvCQpeHv056jJ52sevpx3sn7GKXKgKplfgQwt0cpovDGEcGJxvXzLE0f0TMWJelDEIbyJEx/2nvDXat3EdvfWG1Gbj0pH7e4YYGxaPbnBCcMa0cm+Iv55SbblyAInjbiDjNr0Omad+gkOE2Xr7zqVzVb68i+UMiungsWseaR4DqibzjlkkVrOLqfFtktVZYLXBzznaxt2wr0EZConCMBnA1yoX86DbF5tiLxQRfEbEmLoSoyrGy6U61pmOw2bRNUJV0g8jPw4N4ABTCz7OEtJWbBUv++A3W0tWAMp0vbxgEFsIoG3ejK3M6xjZKa/gXQ5IUVTF1dTp2OyLbhkD/TR2aTgINam0VBmEZKRFXLGF48nk21aOqPJtaoffuTjGd4RbA6CufW3txKIO2bM66MZLEfs0vu0yTUsuGZH2ypgDfYjjWaxxZMoSESeRYkHKJQdHiC0EPKtSThSgnEBcUxyF2N6Fc1TJE/amglK4U1/ASLls4CMyzDZNb34miFr7Cvl/hrbvhjqiA/VwnqW+s0yIExHniayMvT1GT3d6rJYQBc3SbjfzNMEWs9GZ2RcsvXKzNNaKYf/bNr3Uc09XRysYgVSlGJlmlIfF94blK3eMbwWOlHFFuLXOMf5xfa/mymSRfdZTzscZWAr+p1ZGhfdG7Eaq5wPDlXMy9uf25aFPYDhaeWq8J25ThM2YsFSotIh6KgooI3jRUJdWV31eR2YNvfjJcLVyCk0gSINJLqDN/yQcodWaLBswqKlZvOtQorwWfy86qeAXrnnlQLmhFwv1MW4JVJJhajQFBQXxn2xuvM5Fdf97eZ7f60vfRRUUvBFQBOxwHV3+NjiMgHe71+1ZDo4ugZreHwR/sHRPnV7LWvyD76oLO8Lh2PsLH6DVyNL93mQ1DuOoPRY/F7tjmEnkiUDmqmHwAzzUfHs9IK8tesbN0YbFfGLLDaixiHacgdo2EyQchoyVKIJ0PIWxPxScutkzpU4sYrPUynsyTXKgGRPdNGrEvUSP9Mtfks6CVamHE4c4Dnc2tQo/BmgiYveO6HHOMvdAkausZBvMwsiNwmiqAXL4E19GE7fxMfohTmhxQQ9MvkSfA7Zbli5wnhUWZ7pxv5iZKNLjGp1D7VemEwDXqF002p+zf7Dd7LAJmJbhhG1ofYOjsRPIbG998m/bkeDttpRXtupRzeVLaPC3gjMifzuHiU8AjfmMEUBLrwPzpO1HElMYI7v8zvtigQV2om3nyAuOWkLFJdXHczAMxzuuT+V9m1rXmMgsqYJ/bMYyxZkMG+PqqC+0K6ib3NB3cqc86KNDdAHOhWKrWMN4p0pSG4jZG9WSZtINnxJkx5bJU2Q1sWNamICzOdXvTMPnXnrktoTfM/z+0uFAChm35jSTxeRbopEACUCYF7E7WSrKar80JEkjtvBoqPS7rRa/gYoiSjU4hH0lDCyczpnP4jh9ROvV9QU0GHMogsYA0Urfku+vPsYCsCURelVR6yAuI46xKgwNDTAJgetopOZRHMxtP8PL6SwSxETpLYhgnX+Y+AJoAA8VfrbXYrEDYautTVK/DR27sSq1M3UBoCYTQ1oFTY+1AiZOuR267Ml8AUNbtmaSMwpPHxxn9M/ic/oIK/iOrlh0iyNBh+A2uLZWpgAhbcYU6mkz/FDdL635e5Op0F5V7iXXTVx/HvW5Xj3kuGDFWqa4uixpmzoCe0f7wrM5tDrTxq/sm4wGuLMzhoSskv4vr3M7X60NR7cwM9CY/W2rymLniAyI2Iuj9mv9rClci3CC2nMWVQiE42j2+yIFL5V2U3s6t/1oGhHmErek+iCu08LvoRHbo37wNi8BjlE7Hf+59tiJGwng76zskxBZyX8gad0wivpPGU0CHuBh3vY1Nz0E9aKPmd/cK9Xdo/E/NV10OSi3dZjDeJPnjZFbs45ap3F5eSwh1mYv1YtKyRmEvTXXxhu11JIyuAytJWRwQnXS70sa4FxXXlzlzhElsYCnWhZIDBQjWJS9ajqzjsrqR4UFPHGNz6NxpsAGQm3Cdjcq6VlzTUZR7Xv6DloeKRe9FCwb2s72dkbIj6gHuo047d7l4MS0EC6gHnqeKVNEBGaxEU4CIxedHHBDq9FLuZi9N0La1/sP+B11P7DL9358mtnsVeq41PbL7DfCRR9HWjCU6TWOU0y8MNx569ehq0HBVKCV+bbAycQucVUJA4R6t1XScbLo6dMUUeeab9xeYizQ9eN7Gk5+3g6Tn/ezcldNaEi+x1dQT2fHzYc0pdFLNVSbD52gYu6NeFtO0aITbL+qgnYj8spWllxV2ydfzFGZOOEnXLqPmMRmVzBQS3oBWUV0JnTbIHDyPdF1+bhqf0gslo3yHymilB7IEwrX0l1RGK4FpO+CGC3z0HVujS9f/uroPXVF/G2VyUmLbqEto6iwinUqBvx/Ep+ZZGs8uPusQq1hl4jT9udlOAcSGhlNGjE8YDQPFBSy9ANWSNwxIoLYKYwbETuHv+tvW0/8dpk71zY98JzGj/plTzgJkhwHKwczvWTDGXvFrfGyHPWBSPIa4Tbz5K+F4DPzqtwuq8vfKk/Eju7aBl4LUc73+qbRvYqyoPUHD7e6Bl5AwsDvpOk3qaORGLR8No27U0os0MetB12ZTI+AU7SkeGlcvgR0PjfifidK4q7LIEMoieubEruDxyntmfBhfcRbrcm3xnAwf/0pm72uaEvXVd5+12e11nTJymNc/RvDC/MsxG7uiukfCbKYRhAxNJw4b7+UXGHEIgKNgihjngY7KvvX3uB1j93uyA0y3QDYH1PRU6vaCCCMXJk8MsX9ciEnieAP4n/f+urVJMs3GRo0lR7KaV93MbJgxl4DcPaq3DzXwHeR+JA1HD3OHD0pRWAmXintdGGhueM40jq06e8bI+QEuSCiESvRLhkkN4aAUEQo2IUIOVs2/wJPOEJTJ365yWZ4HFbfRo1ZpLn0ml0sjcssDe55AgRdqpb1MSDd8n7FF3Uy6D3Hrzm5v/5Mu59yPAGJDnFvpHY0Q4Fa75jSJU3UmA3EtZ2bifXYe/b7Ya1RuR8r0dtII2MydU2Oc5HT5Nz73nlTv9D5HT+135RZRu0sxRbj7OkfjIUzTHq6Sa0fuyctouRGWWtDZ5mCrBOmBXI5pYBPLXc+tUqfd9BvTohR37CFJj9vwnZ0ES1lz9XoWZaNmRskvJPAy9HpPCrX+N74svj5lRQJURpRuUu9ZV48ZTpAIKzoB/mkBU33rEbkuJBzA8jSOAMQC12LmSA14MkoEE2qeym8dO9oLXEkJPlnTSKT31P/rdZ4Pj1OVYsdXRR2sEj9kzZnchyIK5TpY/7Hkh6xCzU7RECILgDRk5IDJd5C0YFssfNjyG8YJHXAt3FPZFVnb/JeCuk2KQrJWiIA2Ik7hh1DlvpHolM0rV2caHnlyhjOvx82LFe+fHHexd+06HXb+2WGfqBaKhOhEPuuo8EXQAjrtLSwc25l23f16xfFmmHBs/VeF2+E9UigOHrupYmBZOIy1U5J56YO7KvwTKF3XGPUtoPO0Df5UTk5jDj9P6FzNoJpBgApCyS+MGVA8nS6B2WwglEZ7skgTWd6nAwnt3UxubUrLeI/zOLkf4QdjgJgFsaZH1LIaBWvjd+yvTIsfgZimt7C3W12xEb8/zQ3SzQ7T4hVCB3UQeB75Zo8FpJ6N9B+butwJ/LzkTW3boYunhJdZGd76erVH8pLIabfJDw88b/KciW822NnNKu5JMFlkQgsFx2IMePCARHclolKOWsCa2v08q/WqCXg0Ex07cggRcqnBzworRnQy7gu5ZVwpXDWm/3mzZRdonjt10h8Wzj2JUv7T9rz5Hp42gQZnFcsNGTf7fxD2UnOOrl/9SOj9DP3Ev1nqVW40+gazXRqZrQkdwkjht8ZfzO384nWFf6BXi9yGiAPNYZ47TjOkjXHiqNtMmNdZ10RXwIZSMkZqDRGudfpZVF5ir2iDGvyAKNZu/baZHRCpKDTA/tjrmneRNrFru/zsp957oumBWADi8+JmA5K616nxw6sb2n4Q96FfWXE3lZWuVLojqtMWX7s/wLpE6FYWxkgbebEYqmLuNiNtyr/NWp0SDR9OcIWO5Gw16vdkfeUJcf3AJ3cZihdSGTF3+c6L5fgYU4uOgZSycv2pMQOtJCxc3nZ1lnjd3EYyBICw6Q6iDY+rpz93iSI3BZpjnmNPdduND6sDKFtxQsVNiuvc8nTbgCZNAZQzaXkQO3TWHU5d0hUl4YLN93Fct+OPDaQmsjkEW/2cNlijsiBHedVq14k+yLnYoYFFvbo07P+xsWZMEgGRprgXEEoFRHqf3TMm/VjdBlbS0mW+uBNANaYUddhgUmjRSJ9MlBRarUb9gt3Gn/D8AlSC8ZFdaqsqg28QI5IhkubUSg6GT6zguINvnseEEEtjk4+qX/pfBJHbTeW10uDyEh7QENZlXeNnZMXjwKOaZxPgHJdUHcnfS7oavjfkIfb/vLzX2REZjuEdf7ANILIk+6q6pxgG6BFnLhug45HcGiM6m+0FYnbVl7TfsA8VgHK1H9TH7LQZna24GRkiXvEQbSRDLvvEivKphMvG0a8pCONk+Np1VyLZjCvGDaDsf3bIx/F3dtLVC1qMtq/Izs5HpRawQ10dul0bnocc9oMA4Oxo9KwxZRnffGOohBZJuE2U9nbNuOITbxfz6THY/nOoZubR3OBcnLzU6z0Xt6SVA9KhyariHIvdYeQ6ih77elnKLBJNZxDSvl0cux/SXvyQ5W65/ry+hOivmYgsYej3lZmoYBZTK3Yj7fQRIpNmUIsOSgk8ZB5qcj5JAKSBcPEmUpC3MqQc0YARNFNPvzbLGPA3FN5SZkXyzT0dCEVFu/gj+pemxl470nn9n8AX49pE4+jEAA=';
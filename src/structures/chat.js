@@ -0,0 +1,302 @@
+/**
+ * Chat Template Structure
+ *
+ * Chat templates are templates made of an ordered list of role-tagged
+ * messages instead of a single prompt string. They are meant for the
+ * system-prompt, agent and persona modalities.
+ *
+ * A chat template is a regular template object plus a `messages` array.
+ * Its `content` field holds the single-string form of the messages, so it
+ * can be stored, searched and validated like any other template:
+ *
+ *   [[system]]
+ *   You are a {{role}}.
+ *
+ *   [[user]]
+ *   {{question}}
+ */
+
+import { MODALITIES } from '../constants/taxonomy.js';
+import { createTemplate, extractVariables, applyVariables, validateTemplate } from './template.js';
+import { parseTemplate, findUnknownFilters, isTemplateSyntaxError } from '../helpers/syntax.js';
+
+/**
+ * Message roles, in the order they usually appear
+ */
+export const CHAT_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Modalities that use chat templates
+ */
+export const CHAT_MODALITIES = [
+  MODALITIES.SYSTEM_PROMPT.id,
+  MODALITIES.AGENT.id,
+  MODALITIES.PERSONA.id
+];
+
+const ROLE_MARKER = /^\[\[(system|user|assistant)\]\]$/;
+const ESCAPED_ROLE_MARKER = /^\\+\[\[(system|user|assistant)\]\]$/;
+
+/**
+ * Check if a modality uses chat templates
+ * @param {string} modalityId - Modality ID from MODALITIES
+ * @returns {boolean}
+ */
+export function isChatModality(modalityId) {
+  return CHAT_MODALITIES.includes(modalityId);
+}
+
+/**
+ * Create a new chat template with proper defaults
+ *
+ * Messages can be given directly or parsed from single-string `content`.
+ *
+ * @param {object} data - Template data with `messages` or `content`
+ * @param {object} options - Same options as createTemplate
+ * @returns {object} Template object with a `messages` array
+ */
+export function createChatTemplate(data, options = {}) {
+  const messages = Array.isArray(data.messages)
+    ? data.messages.map(normalizeMessage)
+    : parseChatMessages(data.content);
+
+  const template = createTemplate({
+    ...data,
+    content: serializeChatMessages(messages),
+    variables: data.variables || extractChatVariables(messages)
+  }, options);
+
+  return { ...template, messages };
+}
+
+/**
+ * Convert messages to the single-string form
+ *
+ * Each message starts with a [[role]] marker line. Lines in message content
+ * that look like a marker are escaped with a backslash, so
+ * parseChatMessages(serializeChatMessages(messages)) returns the same messages.
+ *
+ * @param {array} messages - Array of { role, content }
+ * @returns {string} Single-string content
+ */
+export function serializeChatMessages(messages) {
+  return messages
+    .map(message => {
+      const content = (message.content || '')
+        .split('\n')
+        .map(line => (ROLE_MARKER.test(line) || ESCAPED_ROLE_MARKER.test(line) ? `\\${line}` : line))
+        .join('\n');
+      return `[[${message.role}]]\n${content}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Parse the single-string form into messages
+ *
+ * Text before the first [[role]] marker (or a string without any markers)
+ * becomes a message with the default role.
+ *
+ * @param {string} content - Single-string content
+ * @param {object} options - Options
+ * @param {string} options.defaultRole - Role for unmarked text (default 'user')
+ * @returns {array} Array of { role, content }
+ */
+export function parseChatMessages(content, options = {}) {
+  const { defaultRole = 'user' } = options;
+  if (!content) return [];
+
+  const messages = [];
+  let current = null;
+  let lines = [];
+
+  const flush = () => {
+    if (current) {
+      messages.push({ role: current, content: lines.join('\n') });
+    } else if (lines.some(line => line.trim() !== '')) {
+      messages.push({ role: defaultRole, content: lines.join('\n').replace(/\n+$/, '') });
+    }
+  };
+
+  for (const line of content.split('\n')) {
+    const marker = line.match(ROLE_MARKER);
+    if (marker) {
+      // Messages are separated by a blank line; it isn't part of the content
+      if (current && lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+      flush();
+      current = marker[1];
+      lines = [];
+    } else {
+      lines.push(ESCAPED_ROLE_MARKER.test(line) ? line.slice(1) : line);
+    }
+  }
+
+  flush();
+  return messages;
+}
+
+/**
+ * Check if content is in chat single-string form
+ * @param {string} content - Template content
+ * @returns {boolean}
+ */
+export function isChatContent(content) {
+  return typeof content === 'string' && ROLE_MARKER.test(content.split('\n', 1)[0]);
+}
+
+/**
+ * Extract variables for each message
+ * @param {array} messages - Array of { role, content }
+ * @returns {array} Array of { index, role, variables }
+ */
+export function extractMessageVariables(messages) {
+  return messages.map((message, index) => ({
+    index,
+    role: message.role,
+    variables: extractVariables(message.content)
+  }));
+}
+
+/**
+ * Extract the combined variables of all messages
+ *
+ * A variable is required if it's required in any message.
+ *
+ * @param {array} messages - Array of { role, content }
+ * @returns {array} Array of variable objects
+ */
+export function extractChatVariables(messages) {
+  const combined = new Map();
+
+  extractMessageVariables(messages).forEach(({ variables }) => {
+    variables.forEach(variable => {
+      const existing = combined.get(variable.name);
+      if (!existing) {
+        combined.set(variable.name, { ...variable });
+      } else {
+        existing.required = existing.required || variable.required;
+        if (variable.type === 'list') existing.type = 'list';
+      }
+    });
+  });
+
+  return Array.from(combined.values());
+}
+
+/**
+ * Render a chat template to an array of messages
+ *
+ * @param {object} template - Chat template
+ * @param {object} values - Object mapping variable names to values
+ * @param {object} options - Same options as applyVariables, plus:
+ * @param {boolean} options.omitEmpty - Drop messages that render to whitespace only (default true)
+ * @returns {array} Array of { role, content }
+ */
+export function renderChatTemplate(template, values = {}, options = {}) {
+  const { omitEmpty = true } = options;
+
+  return getChatMessages(template)
+    .map(message => ({
+      role: message.role,
+      content: applyVariables(
+        { id: template.id, content: message.content, variables: template.variables },
+        values,
+        options
+      )
+    }))
+    .filter(message => !omitEmpty || message.content.trim() !== '');
+}
+
+/**
+ * Validate chat template object
+ *
+ * Runs the regular template checks plus message checks. Syntax errors are
+ * reported per message.
+ *
+ * @param {object} template - Chat template to validate
+ * @param {object} options - Same options as validateTemplate
+ * @returns {object} { valid: boolean, errors: string[] }
+ */
+export function validateChatTemplate(template, options = {}) {
+  const errors = [];
+  const messages = template.messages;
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    errors.push('Chat template must have at least one message');
+    return { valid: false, errors };
+  }
+
+  let seenNonSystem = false;
+  messages.forEach((message, index) => {
+    const label = `Message ${index + 1}`;
+
+    if (!CHAT_ROLES.includes(message.role)) {
+      errors.push(`${label} has invalid role: ${message.role}. Must be one of: ${CHAT_ROLES.join(', ')}`);
+    } else if (message.role === 'system' && seenNonSystem) {
+      errors.push(`${label}: system messages must come before user and assistant messages`);
+    } else if (message.role !== 'system') {
+      seenNonSystem = true;
+    }
+
+    if (typeof message.content !== 'string' || message.content.trim() === '') {
+      errors.push(`${label} (${message.role}) has no content`);
+      return;
+    }
+
+    try {
+      const unknownFilters = findUnknownFilters(parseTemplate(message.content));
+      if (unknownFilters.length > 0) {
+        errors.push(`${label} (${message.role}) uses unknown filter(s): ${unknownFilters.join(', ')}`);
+      }
+    } catch (error) {
+      if (!isTemplateSyntaxError(error)) throw error;
+      errors.push(`${label} (${message.role}) syntax error: ${error.message}`);
+    }
+  });
+
+  const templateResult = validateTemplate(
+    { ...template, content: serializeChatMessages(messages) },
+    { ...options, checkSyntax: false }
+  );
+  errors.push(...templateResult.errors);
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Convert a plain template to a chat template
+ * @param {object} template - Plain template
+ * @param {object} options - Options
+ * @param {string} options.defaultRole - Role for content without [[role]] markers (default 'user')
+ * @returns {object} Chat template
+ */
+export function toChatTemplate(template, options = {}) {
+  return { ...template, messages: parseChatMessages(template.content, options) };
+}
+
+/**
+ * Convert a chat template to a plain template (messages in single-string content)
+ * @param {object} template - Chat template
+ * @returns {object} Plain template
+ */
+export function toPlainTemplate(template) {
+  const { messages, ...rest } = template;
+  return { ...rest, content: serializeChatMessages(messages || []) };
+}
+
+/**
+ * Get a chat template's messages, parsing content if needed
+ */
+function getChatMessages(template) {
+  return Array.isArray(template.messages) ? template.messages : parseChatMessages(template.content);
+}
+
+function normalizeMessage(message) {
+  return {
+    role: message.role,
+    content: message.content || ''
+  };
+}
@@ -6,6 +6,11 @@
  */
 
 import { LAYER_TYPES, MAX_COMBINED_CONTEXT_TOKENS, DEFAULT_CONTEXT_PRIORITY } from '../constants/limits.js';
+import { getContextBudget } from '../constants/models.js';
+import { countTokens } from '../helpers/tokenizer.js';
+import { truncateToTokens, truncateToTokensAsync } from '../helpers/truncation.js';
+import { formatContextSections } from '../helpers/formatters.js';
+import { ContextGraph } from './graph.js';
 
 /**
  * Context Layer Object Structure (matches database schema)
@@ -56,6 +61,24 @@ export const CONTEXT_FIELDS = {
   deleted_at: { type: 'timestamp', required: false }
 };
 
+/**
+ * Reasons a layer is left out of an assembled context (see assembleContext)
+ */
+export const CONTEXT_EXCLUSION_REASONS = {
+  DELETED: 'deleted',
+  EMPTY: 'empty',
+  EXPIRED: 'expired',
+  NOT_AUTO_INCLUDE: 'not_auto_include',
+  NOT_FOUND: 'not_found',
+  OPTIONAL: 'optional',
+  OVER_BUDGET: 'over_budget'
+};
+
+/**
+ * Times combineContexts re-truncates a layer whose rendered section still overshoots the budget
+ */
+const MAX_FIT_ATTEMPTS = 3;
+
 /**
  * Create a new context layer
  */
@@ -102,11 +125,38 @@ export function createContext(data) {
 
 /**
  * Estimate token count for content
- * Rough approximation: 1 token ≈ 4 characters
+ * Uses the tokenizer of the model's family (see countTokens)
+ * @param {string} text - Content
+ * @param {string} model - Model id (optional, defaults to the cl100k family)
+ */
+export function estimateTokens(text, model = null) {
+  return countTokens(text, model);
+}
+
+/**
+ * Get a layer's token count
+ *
+ * The stored token_count isn't model-specific, so it's only trusted when no
+ * model is given. Recounting is cheap because counts are cached.
  */
-export function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length / 4);
+function getLayerTokens(layer, model) {
+  if (!model && layer.token_count) return layer.token_count;
+  return countTokens(layer.content, model);
+}
+
+/**
+ * Section for a context formatter (see formatContextSections)
+ */
+function toSection(layer, content = layer.content, children = []) {
+  return {
+    id: layer.id,
+    name: layer.name,
+    type: layer.layer_type,
+    icon: LAYER_TYPES[layer.layer_type]?.icon || '',
+    description: layer.description || '',
+    content,
+    children
+  };
 }
 
 /**
@@ -125,33 +175,73 @@ function getSessionExpiry() {
  * context layers and intelligently combines them based on priority,
  * token limits, and other constraints.
  *
+ * A layer that doesn't fit the tokens left is shortened with its truncation
+ * strategy (see truncateToTokens), picked from `truncationByLayer[layer.id]`,
+ * `layer.metadata.truncation`, `truncationByLayer[layer.layer_type]`, then
+ * `truncation`.
+ *
  * @param {Array} layers - Array of context layer objects
  * @param {Object} options - Combination options
- * @returns {String} Combined context string
+ * @returns {Object} Assembly report (see assembleContext)
+ * @throws {Error} If the summarizer returns a Promise (use combineContextsAsync)
  */
 export function combineContexts(layers, options = {}) {
+  const packing = packLayers(layers, options);
+  let step = packing.next();
+  while (!step.done) {
+    const { text, maxTokens, truncation } = step.value;
+    step = packing.next(truncateToTokens(text, maxTokens, truncation));
+  }
+  return step.value;
+}
+
+/**
+ * Combine context layers like combineContexts, awaiting async summarizers
+ *
+ * @param {Array} layers - Array of context layer objects
+ * @param {Object} options - combineContexts options; `summarizer` may return a Promise
+ * @returns {Promise<Object>} Assembly report (see assembleContext)
+ */
+export async function combineContextsAsync(layers, options = {}) {
+  const packing = packLayers(layers, options);
+  let step = packing.next();
+  while (!step.done) {
+    const { text, maxTokens, truncation } = step.value;
+    step = packing.next(await truncateToTokensAsync(text, maxTokens, truncation));
+  }
+  return step.value;
+}
+
+/**
+ * Pack layers into the budget for combineContexts/combineContextsAsync
+ *
+ * Yields { text, maxTokens, truncation } whenever a layer needs shortening
+ * and expects the truncated text (or null) back, so the caller decides
+ * whether to wait for the summarizer.
+ */
+function* packLayers(layers, options) {
   const {
-    maxTokens = MAX_COMBINED_CONTEXT_TOKENS,  // Maximum tokens to include
-    priorityOrder = true,                      // Respect priority field
-    includeHeaders = true,                     // Add headers for each layer
-    separator = '\n\n---\n\n',                // Separator between layers
-    autoIncludeOnly = false                    // Only include auto_include layers
+    maxTokens = getContextBudget(options.model),  // Maximum tokens (default: the model's budget)
+    priorityOrder = true,                         // Respect priority field
+    includeHeaders = true,                        // Add headers for each layer
+    separator = '\n\n---\n\n',                   // Separator between layers (plain format)
+    format = 'plain',                             // plain, markdown, xml, json or 'auto' (see formatContextSections)
+    autoIncludeOnly = false,                      // Only include auto_include layers
+    model = null,                                 // Count tokens with this model's tokenizer
+    truncation = 'drop',                          // Strategy for layers that don't fit
+    truncationByLayer = {},                       // Strategies by layer id or layer_type
+    summarizer = null,                            // (content, { maxTokens, model, layer }) => string (or Promise, async only), for 'summarize'
+    minLayerTokens = 20                           // Drop rather than truncate below this many tokens
   } = options;
 
   // Filter out deleted and expired layers
+  const excluded = [];
   let filteredLayers = layers.filter(layer => {
-    if (layer.deleted_at) return false;
-    if (!layer.content) return false;
-
-    // Check if session layer is expired
-    if (layer.layer_type === 'session' && layer.expires_at) {
-      const expiryDate = new Date(layer.expires_at);
-      if (expiryDate < new Date()) return false;
+    const reason = getExclusionReason(layer, autoIncludeOnly);
+    if (reason) {
+      excluded.push({ id: layer.id, name: layer.name, reason });
+      return false;
     }
-
-    // If autoIncludeOnly mode, filter out non-auto layers
-    if (autoIncludeOnly && !layer.auto_include) return false;
-
     return true;
   });
 
@@ -164,38 +254,125 @@ export function combineContexts(layers, options = {}) {
     });
   }
 
-  // Combine layers until token limit
-  const parts = [];
-  let totalTokens = 0;
+  // Combine layers until token limit. Headers, separators and the format's
+  // wrapper count too, so the budget is checked against the rendered text.
+  const sections = [];
+  const included = [];
+  const render = list => formatContextSections(list, { format, model, includeHeaders, separator });
+  const countWith = (layer, content) => countTokens(render([...sections, toSection(layer, content)]), model);
 
   for (const layer of filteredLayers) {
-    const layerTokens = layer.token_count || estimateTokens(layer.content);
+    const layerTokens = getLayerTokens(layer, model);
+    let content = layer.content;
+    let strategy = null;
+
+    // Shorten the layer if it would exceed the limit
+    if (countWith(layer, content) > maxTokens) {
+      strategy = truncationByLayer[layer.id] ||
+        layer.metadata?.truncation ||
+        truncationByLayer[layer.layer_type] ||
+        truncation;
+
+      // Tokens left for the content once this layer's header is counted
+      let remaining = maxTokens - countWith(layer, '');
+      content = null;
+      for (let attempt = 0; attempt < MAX_FIT_ATTEMPTS && remaining >= minLayerTokens; attempt++) {
+        const shortened = yield { text: layer.content, maxTokens: remaining, truncation: { strategy, model, summarizer, layer } };
+        if (shortened === null) break;
+
+        // Escaping and tokens merging across the section boundary can still overshoot
+        const overBy = countWith(layer, shortened) - maxTokens;
+        if (overBy <= 0) {
+          content = shortened;
+          break;
+        }
+        remaining -= overBy;
+      }
 
-    // Check if adding this layer would exceed limit
-    if (totalTokens + layerTokens > maxTokens) {
-      console.warn(`Skipping context layer "${layer.name}" - would exceed token limit`);
-      continue;
+      if (content === null) {
+        excluded.push({ id: layer.id, name: layer.name, reason: CONTEXT_EXCLUSION_REASONS.OVER_BUDGET, tokens: layerTokens });
+        continue;
+      }
     }
 
-    let layerText = '';
+    const truncated = content !== layer.content;
+    sections.push(toSection(layer, content));
+    included.push({
+      id: layer.id,
+      name: layer.name,
+      tokens: truncated ? countTokens(content, model) : layerTokens,
+      originalTokens: layerTokens,
+      truncated,
+      strategy: truncated ? strategy : null
+    });
+  }
 
-    // Add header with layer metadata
-    if (includeHeaders) {
-      const layerInfo = LAYER_TYPES[layer.layer_type];
-      layerText += `# ${layerInfo?.icon || ''} ${layer.name}\n`;
-      if (layer.description) {
-        layerText += `${layer.description}\n`;
-      }
-      layerText += '\n';
-    }
+  const text = render(sections);
+
+  return {
+    text,
+    included,
+    excluded,
+    totalTokens: countTokens(text, model),
+    budget: maxTokens
+  };
+}
 
-    layerText += layer.content;
+/**
+ * Why combineContexts leaves a layer out before budgeting, or null to keep it
+ */
+function getExclusionReason(layer, autoIncludeOnly) {
+  if (layer.deleted_at) return CONTEXT_EXCLUSION_REASONS.DELETED;
+  if (!layer.content) return CONTEXT_EXCLUSION_REASONS.EMPTY;
 
-    parts.push(layerText);
-    totalTokens += layerTokens;
+  // Check if session layer is expired
+  if (layer.layer_type === 'session' && isContextExpired(layer)) {
+    return CONTEXT_EXCLUSION_REASONS.EXPIRED;
   }
 
-  return parts.join(separator);
+  // If autoIncludeOnly mode, filter out non-auto layers
+  if (autoIncludeOnly && !layer.auto_include) return CONTEXT_EXCLUSION_REASONS.NOT_AUTO_INCLUDE;
+
+  return null;
+}
+
+/**
+ * Assemble context and report what made it in
+ *
+ * Combines `layers` like combineContexts. With `options.root` (a layer or
+ * id) and `options.composition` (context_composition records), assembles
+ * that tree like assembleHierarchicalContext instead, picking children from
+ * `layers`.
+ *
+ * @param {Array} layers - Context layers
+ * @param {Object} options - combineContexts or assembleHierarchicalContext options, plus root and composition
+ * In tree mode `included` lists the nodes in reading order with their
+ * depth, parent_id, own tokens, subtreeTokens and the budget their branch
+ * was given, so a UI can draw the tree with token bars.
+ *
+ * @returns {Object} { text, included: [{ id, name, tokens, truncated, ... }], excluded: [{ id, name, reason, ... }], totalTokens, budget }
+ */
+export function assembleContext(layers, options = {}) {
+  const { root = null, composition = [], ...assemblyOptions } = options;
+  if (!root) {
+    return combineContexts(layers, assemblyOptions);
+  }
+
+  const rootContext = typeof root === 'string' ? layers.find(layer => layer.id === root) : root;
+  if (!rootContext) {
+    throw new Error(`Root context not found: ${root}`);
+  }
+
+  const { maxTokens = getContextBudget(assemblyOptions.model) } = assemblyOptions;
+  const branch = buildContextTree(rootContext, layers, composition, assemblyOptions);
+
+  return {
+    text: renderContextTree(toSectionTree(branch), assemblyOptions),
+    included: flattenBranch(branch),
+    excluded: branch.excluded,
+    totalTokens: branch.tokens,
+    budget: maxTokens
+  };
 }
 
 /**
@@ -272,18 +449,20 @@ export function getAutoIncludeLayers(layers) {
 
 /**
  * Get combined token count for multiple layers
+ * @param {Array} layers - Context layers
+ * @param {string} model - Model id to count with (optional)
  */
-export function getTotalTokenCount(layers) {
+export function getTotalTokenCount(layers, model = null) {
   return layers.reduce((total, layer) => {
-    return total + (layer.token_count || estimateTokens(layer.content));
+    return total + getLayerTokens(layer, model);
   }, 0);
 }
 
 /**
  * Check if layers would exceed token limit
  */
-export function wouldExceedTokenLimit(layers, maxTokens = MAX_COMBINED_CONTEXT_TOKENS) {
-  return getTotalTokenCount(layers) > maxTokens;
+export function wouldExceedTokenLimit(layers, maxTokens = MAX_COMBINED_CONTEXT_TOKENS, model = null) {
+  return getTotalTokenCount(layers, model) > maxTokens;
 }
 
 /**
@@ -305,9 +484,30 @@ function generateUUID() {
 // ADVANCED CONTEXT FEATURES (Post-Migration 008-013)
 // ============================================================================
 
+/**
+ * How assembleHierarchicalContext splits a parent's remaining budget among its children
+ *
+ *   greedy       - children take what's left, in composition order (the default)
+ *   fixed        - each child gets its composition record's token_budget
+ *   proportional - shares in proportion to each child's full subtree size
+ *   priority     - shares in proportion to the record's weight or the child's priority
+ */
+export const BRANCH_BUDGET_STRATEGIES = ['greedy', 'fixed', 'proportional', 'priority'];
+
 /**
  * Assemble a hierarchical context tree recursively
  *
+ * Each child's branch is assembled within its share of the parent's budget
+ * (see BRANCH_BUDGET_STRATEGIES) and counted by its layers' content tokens.
+ * Required children are placed first, so they push optional siblings out
+ * rather than being dropped; a required child only goes missing if it
+ * doesn't fit even then. Budget a child's branch didn't use goes to
+ * siblings that didn't fit their share.
+ *
+ * Without `format`, children are appended under `### name` headings. With a
+ * format, the tree is rendered by that context formatter (see
+ * formatContextSections), children nested in their parent.
+ *
  * @param {Object} rootContext - Root context object
  * @param {Array} allContexts - All available contexts
  * @param {Array} compositionRelationships - parent-child relationships from context_composition table
@@ -315,202 +515,266 @@ function generateUUID() {
  * @returns {String} Assembled hierarchical context
  */
 export function assembleHierarchicalContext(rootContext, allContexts, compositionRelationships, options = {}) {
+  const branch = buildContextTree(rootContext, allContexts, compositionRelationships, options);
+
+  branch.excluded
+    .filter(entry => entry.required && entry.reason === CONTEXT_EXCLUSION_REASONS.OVER_BUDGET)
+    .forEach(entry => console.warn(`Required child context "${entry.name}" exceeds token budget`));
+
+  return renderContextTree(toSectionTree(branch), options);
+}
+
+/**
+ * Assemble the branch tree for assembleHierarchicalContext
+ * @returns {Object} Branch { context, required, budget, ownTokens, tokens, children, excluded, truncated }
+ */
+function buildContextTree(rootContext, allContexts, compositionRelationships, options) {
   const {
     maxDepth = 5,
     currentDepth = 0,
     visited = new Set(),
-    maxTokens = MAX_COMBINED_CONTEXT_TOKENS,
+    maxTokens = getContextBudget(options.model),
     includeOptional = true,
-    separator = '\n\n'
+    model = null,
+    budgetStrategy = 'greedy'
   } = options;
 
-  // Prevent cycles and excessive depth
-  if (visited.has(rootContext.id) || currentDepth >= maxDepth) {
-    return rootContext.content;
+  if (!BRANCH_BUDGET_STRATEGIES.includes(budgetStrategy)) {
+    throw new Error(`Invalid budgetStrategy. Must be one of: ${BRANCH_BUDGET_STRATEGIES.join(', ')}`);
   }
 
-  visited.add(rootContext.id);
+  const childrenByParent = new Map();
+  [...compositionRelationships]
+    .sort((a, b) => a.composition_order - b.composition_order)
+    .forEach(rel => {
+      if (!childrenByParent.has(rel.parent_id)) childrenByParent.set(rel.parent_id, []);
+      childrenByParent.get(rel.parent_id).push(rel);
+    });
 
-  // Get child relationships for this context
-  const childRelationships = compositionRelationships
-    .filter(rel => rel.parent_id === rootContext.id)
-    .sort((a, b) => a.composition_order - b.composition_order);
+  const state = {
+    contextsById: new Map(allContexts.map(context => [context.id, context])),
+    childrenByParent,
+    maxDepth,
+    includeOptional,
+    model,
+    budgetStrategy
+  };
 
-  // Start with root content
-  let assembled = rootContext.content;
-  let totalTokens = rootContext.token_count || estimateTokens(rootContext.content);
+  // The root is always included, even if it alone is over budget
+  return assembleBranch(rootContext, maxTokens, state, currentDepth, visited, { force: true });
+}
 
-  // Recursively add children
-  for (const relationship of childRelationships) {
-    // Skip optional children if requested
-    if (!includeOptional && !relationship.is_required) {
-      continue;
-    }
+/**
+ * Assemble a context and as many of its descendants as fit `budget`
+ * @returns {Object|null} Branch, or null if the context itself doesn't fit
+ */
+function assembleBranch(context, budget, state, depth, path, { force = false, required = false } = {}) {
+  const ownTokens = getLayerTokens(context, state.model);
+  if (ownTokens > budget && !force) return null;
 
-    const childContext = allContexts.find(c => c.id === relationship.child_id);
-    if (!childContext || childContext.deleted_at) continue;
+  const branch = { context, required, budget, ownTokens, tokens: ownTokens, children: [], excluded: [], truncated: false };
 
-    // Recursively assemble child
-    const childContent = assembleHierarchicalContext(
-      childContext,
-      allContexts,
-      compositionRelationships,
-      { ...options, currentDepth: currentDepth + 1, visited: new Set(visited) }
-    );
+  // Prevent cycles and excessive depth
+  if (path.has(context.id) || depth >= state.maxDepth) return branch;
+  const branchPath = new Set(path).add(context.id);
+
+  const { candidates, excluded } = getChildLinks(context, state);
+  branch.excluded.push(...excluded);
+
+  let available = Math.max(0, budget - ownTokens);
+  const shares = allocateBranchBudgets(candidates, available, state, depth + 1, branchPath);
+  const assembleChild = (child, childBudget) =>
+    assembleBranch(child.context, childBudget, state, depth + 1, branchPath, { required: child.required });
+
+  const built = new Map();
+  const unplaced = [];
+  const place = (child, childBudget) => {
+    const childBranch = assembleChild(child, childBudget);
+    if (childBranch) {
+      available += (built.get(child)?.tokens || 0) - childBranch.tokens;
+      built.set(child, childBranch);
+    }
+    return childBranch;
+  };
 
-    const childTokens = estimateTokens(childContent);
+  // Required children first, with at least what they and their required
+  // descendants need, so they push optional siblings out
+  for (const child of candidates) {
+    if (!child.required) continue;
+    const minimum = measureBranch(child.context, state, depth + 1, branchPath, true);
+    const childBudget = Math.min(available, Math.max(minimum, shares.get(child) ?? minimum));
+    if (!place(child, childBudget)) unplaced.push({ child, childBudget });
+  }
 
-    // Token budget check
-    if (totalTokens + childTokens > maxTokens) {
-      if (relationship.is_required) {
-        console.warn(`Required child context "${childContext.name}" exceeds token budget`);
-      }
-      continue;
-    }
+  for (const child of candidates) {
+    if (child.required) continue;
+    const childBudget = Math.min(available, shares.get(child) ?? available);
+    if (!place(child, childBudget)) unplaced.push({ child, childBudget });
+  }
 
-    // Add child with appropriate formatting
-    assembled += `${separator}### ${childContext.name}${separator}${childContent}`;
-    totalTokens += childTokens;
+  // Hand what's left to children that didn't fit, then to branches that were cut short
+  for (const { child, childBudget } of unplaced) {
+    if (available <= childBudget || !place(child, available)) {
+      branch.excluded.push(toExclusion(child, CONTEXT_EXCLUSION_REASONS.OVER_BUDGET, {
+        tokens: getLayerTokens(child.context, state.model)
+      }));
+    }
+  }
+  for (const child of candidates) {
+    const childBranch = built.get(child);
+    if (available > 0 && childBranch && childBranch.excluded.some(entry => entry.reason === CONTEXT_EXCLUSION_REASONS.OVER_BUDGET)) {
+      place(child, childBranch.tokens + available);
+    }
   }
 
-  return assembled;
+  branch.children = candidates.filter(child => built.has(child)).map(child => built.get(child));
+  branch.children.forEach(childBranch => {
+    branch.tokens += childBranch.tokens;
+    branch.excluded.push(...childBranch.excluded);
+  });
+
+  // The budget cut something somewhere in this branch
+  branch.truncated = branch.excluded.some(entry => entry.reason === CONTEXT_EXCLUSION_REASONS.OVER_BUDGET);
+
+  return branch;
 }
 
 /**
- * Resolve dependencies for a set of contexts
- *
- * @param {Array} contextIds - Initial context IDs
- * @param {Array} allContexts - All available contexts
- * @param {Array} relationships - All context_relationships records
- * @param {Object} options - Resolution options
- * @returns {Object} { resolved: Array, conflicts: Array, order: Array }
+ * Children of a context that can be assembled, and the ones left out before budgeting
  */
-export function resolveContextDependencies(contextIds, allContexts, relationships, options = {}) {
-  const {
-    maxDepth = 5,
-    includeRecommendations = false,
-    minRecommendationStrength = 0.7
-  } = options;
+function getChildLinks(context, state) {
+  const candidates = [];
+  const excluded = [];
 
-  const resolved = new Set(contextIds);
-  const conflicts = [];
-  let currentLevel = [...contextIds];
-  let depth = 0;
-
-  while (depth < maxDepth && currentLevel.length > 0) {
-    const nextLevel = new Set();
-
-    for (const contextId of currentLevel) {
-      // Check for conflicts with already-resolved contexts
-      const conflictRels = relationships.filter(
-        rel => rel.source_id === contextId &&
-               rel.relationship_type === 'conflicts' &&
-               resolved.has(rel.target_id)
-      );
-
-      if (conflictRels.length > 0) {
-        const context = allContexts.find(c => c.id === contextId);
-        conflicts.push({
-          context_id: contextId,
-          context_name: context?.name,
-          conflicts_with: conflictRels.map(r => {
-            const target = allContexts.find(c => c.id === r.target_id);
-            return { id: r.target_id, name: target?.name };
-          })
-        });
-        continue;
-      }
-
-      // Add required dependencies
-      const requirements = relationships.filter(
-        rel => rel.source_id === contextId &&
-               (rel.relationship_type === 'requires' || rel.relationship_type === 'extends')
-      );
-
-      for (const req of requirements) {
-        if (!resolved.has(req.target_id)) {
-          resolved.add(req.target_id);
-          nextLevel.add(req.target_id);
-        }
-      }
+  for (const relationship of state.childrenByParent.get(context.id) || []) {
+    const child = {
+      relationship,
+      context: state.contextsById.get(relationship.child_id),
+      required: Boolean(relationship.is_required)
+    };
 
-      // Optionally add recommendations
-      if (includeRecommendations) {
-        const recommendations = relationships.filter(
-          rel => rel.source_id === contextId &&
-                 rel.relationship_type === 'recommends' &&
-                 rel.strength >= minRecommendationStrength
-        );
-
-        for (const rec of recommendations) {
-          if (!resolved.has(rec.target_id)) {
-            resolved.add(rec.target_id);
-            nextLevel.add(rec.target_id);
-          }
-        }
-      }
+    // Skip optional children if requested
+    if (!state.includeOptional && !child.required) {
+      excluded.push(toExclusion(child, CONTEXT_EXCLUSION_REASONS.OPTIONAL));
+    } else if (!child.context) {
+      excluded.push(toExclusion(child, CONTEXT_EXCLUSION_REASONS.NOT_FOUND));
+    } else if (child.context.deleted_at) {
+      excluded.push(toExclusion(child, CONTEXT_EXCLUSION_REASONS.DELETED));
+    } else {
+      candidates.push(child);
     }
+  }
+
+  return { candidates, excluded };
+}
 
-    currentLevel = Array.from(nextLevel);
-    depth++;
+/**
+ * Budget for each child's branch (missing entries take whatever is left)
+ */
+function allocateBranchBudgets(candidates, available, state, depth, path) {
+  const shares = new Map();
+  const { budgetStrategy } = state;
+
+  if (budgetStrategy === 'fixed') {
+    candidates
+      .filter(child => Number.isFinite(child.relationship.token_budget))
+      .forEach(child => shares.set(child, child.relationship.token_budget));
   }
 
-  // Topological sort for dependency order
-  const order = topologicalSort(Array.from(resolved), relationships);
+  if (budgetStrategy === 'proportional' || budgetStrategy === 'priority') {
+    const sizes = candidates.map(child => measureBranch(child.context, state, depth, path));
+    if (sum(sizes) <= available) return shares;  // Everything fits
 
-  return {
-    resolved: Array.from(resolved),
-    conflicts,
-    order
-  };
+    const weights = budgetStrategy === 'proportional'
+      ? sizes
+      : candidates.map(child => child.relationship.weight ?? child.context.priority ?? DEFAULT_CONTEXT_PRIORITY);
+    const total = sum(weights);
+    candidates.forEach((child, i) => {
+      shares.set(child, total > 0 ? Math.floor((available * weights[i]) / total) : 0);
+    });
+  }
+
+  return shares;
 }
 
 /**
- * Topological sort for dependency ordering
+ * Tokens of a context's whole branch without a budget, or of just its required part
  */
-function topologicalSort(contextIds, relationships) {
-  const graph = new Map();
-  const inDegree = new Map();
+function measureBranch(context, state, depth, path, requiredOnly = false) {
+  const ownTokens = getLayerTokens(context, state.model);
+  if (path.has(context.id) || depth >= state.maxDepth) return ownTokens;
+
+  const branchPath = new Set(path).add(context.id);
+  return getChildLinks(context, state).candidates
+    .filter(child => child.required || !requiredOnly)
+    .reduce((total, child) => total + measureBranch(child.context, state, depth + 1, branchPath, requiredOnly), ownTokens);
+}
 
-  // Initialize graph
-  for (const id of contextIds) {
-    graph.set(id, []);
-    inDegree.set(id, 0);
-  }
+function toExclusion(child, reason, extra = {}) {
+  return {
+    id: child.relationship.child_id,
+    name: child.context?.name,
+    parent_id: child.relationship.parent_id,
+    reason,
+    required: child.required,
+    ...extra
+  };
+}
 
-  // Build adjacency list and in-degree count
-  for (const rel of relationships) {
-    if (rel.relationship_type === 'requires' || rel.relationship_type === 'extends') {
-      if (graph.has(rel.source_id) && graph.has(rel.target_id)) {
-        graph.get(rel.target_id).push(rel.source_id);
-        inDegree.set(rel.source_id, inDegree.get(rel.source_id) + 1);
-      }
-    }
-  }
+function toSectionTree(branch) {
+  return toSection(branch.context, branch.context.content, branch.children.map(toSectionTree));
+}
 
-  // Kahn's algorithm
-  const queue = contextIds.filter(id => inDegree.get(id) === 0);
-  const sorted = [];
+/**
+ * Included nodes of a branch in reading order, with depth and token counts
+ */
+function flattenBranch(branch, depth = 0, parentId = null) {
+  return [
+    {
+      id: branch.context.id,
+      name: branch.context.name,
+      parent_id: parentId,
+      depth,
+      tokens: branch.ownTokens,
+      subtreeTokens: branch.tokens,
+      budget: branch.budget,
+      required: branch.required,
+      truncated: branch.truncated
+    },
+    ...branch.children.flatMap(child => flattenBranch(child, depth + 1, branch.context.id))
+  ];
+}
 
-  while (queue.length > 0) {
-    const current = queue.shift();
-    sorted.push(current);
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
 
-    for (const dependent of graph.get(current)) {
-      inDegree.set(dependent, inDegree.get(dependent) - 1);
-      if (inDegree.get(dependent) === 0) {
-        queue.push(dependent);
-      }
-    }
+/**
+ * Render a section tree with the `format` option, or as `### name` blocks without one
+ */
+function renderContextTree(tree, options) {
+  const { format = null, separator = '\n\n', model = null } = options;
+  if (format) {
+    return formatContextSections([tree], { format, model });
   }
 
-  // If not all nodes are sorted, there's a cycle
-  if (sorted.length !== contextIds.length) {
-    console.warn('Circular dependency detected in context relationships');
-    return contextIds; // Return original order
-  }
+  return tree.children.reduce(
+    (text, child) => `${text}${separator}### ${child.name}${separator}${renderContextTree(child, options)}`,
+    tree.content
+  );
+}
 
-  return sorted;
+/**
+ * Resolve dependencies for a set of contexts
+ *
+ * @param {Array} contextIds - Initial context IDs
+ * @param {Array} allContexts - All available contexts
+ * @param {Array} relationships - All context_relationships records
+ * @param {Object} options - Resolution options
+ * @returns {Object} { resolved, conflicts, superseded, cycles, explanations, order } (see ContextGraph.resolve)
+ */
+export function resolveContextDependencies(contextIds, allContexts, relationships, options = {}) {
+  return new ContextGraph(allContexts, relationships).resolve(contextIds, options);
 }
 
 /**
@@ -591,69 +855,165 @@ function cosineSimilarity(vecA, vecB) {
 /**
  * Optimize context selection using dynamic programming (knapsack variant)
  *
+ * Must-include contexts (auto_include, `mustInclude` and their required
+ * dependencies) are always selected; contexts that conflict with them never
+ * are. The rest fill the remaining budget, each together with its required
+ * dependencies. The DP keeps one row of scores over at most `resolution`
+ * token buckets, so memory stays small for large context windows; item
+ * sizes round up to a whole bucket, so the selection never exceeds the
+ * budget. A selection with conflicting contexts is repaired by dropping the
+ * lower-scoring one and solving again. Groups that share a dependency are
+ * each charged for it in the DP, so the room that frees up is then filled
+ * greedily with the best remaining groups at their marginal cost.
+ *
+ * Must-include contexts are selected even when they don't fit; the result
+ * then has `overBudget: true` (and `unusedTokens: 0`).
+ *
  * @param {Array} contexts - Available contexts with scores
- * @param {Number} maxTokens - Token budget
- * @returns {Object} { selected: Array, totalScore: Number, totalTokens: Number }
+ * @param {Number} maxTokens - Token budget (default: the model's budget)
+ * @param {Object} options - Options
+ * @param {string} options.model - Count tokens with this model's tokenizer
+ * @param {Array} options.relationships - context_relationships records, for dependencies and conflicts
+ * @param {ContextGraph} options.graph - Graph to use instead of building one from relationships
+ * @param {Array} options.mustInclude - Ids to always select
+ * @param {Number} options.resolution - Maximum number of token buckets (default 4096)
+ * @returns {Object} { selected: Array, totalScore: Number, totalTokens: Number, unusedTokens: Number, overBudget: Boolean }
  */
-export function optimizeContextSelection(contexts, maxTokens = MAX_COMBINED_CONTEXT_TOKENS) {
+export function optimizeContextSelection(contexts, maxTokens = null, options = {}) {
+  const {
+    model = null,
+    relationships = [],
+    graph = new ContextGraph(contexts, relationships),
+    mustInclude = [],
+    resolution = 4096
+  } = options;
+  const budget = maxTokens ?? getContextBudget(model);
+
   // Score each context first
   const scored = contexts.map(ctx => ({
     ...ctx,
     score: ctx.score || calculateContextScore(ctx),
-    tokens: ctx.token_count || estimateTokens(ctx.content)
+    tokens: getLayerTokens(ctx, model)
   }));
-
-  // Filter out contexts that are too large on their own
-  const viable = scored.filter(ctx => ctx.tokens <= maxTokens);
-
-  // Sort by score-to-token ratio for greedy heuristic
-  viable.sort((a, b) => (b.score / b.tokens) - (a.score / a.tokens));
-
-  // Dynamic programming table
-  const n = viable.length;
-  const dp = Array(n + 1).fill(null).map(() => Array(maxTokens + 1).fill(0));
-  const selected = Array(n + 1).fill(null).map(() => Array(maxTokens + 1).fill(false));
-
-  // Fill DP table
-  for (let i = 1; i <= n; i++) {
-    const ctx = viable[i - 1];
-    for (let t = 0; t <= maxTokens; t++) {
-      // Don't include this context
-      dp[i][t] = dp[i - 1][t];
-
-      // Include this context (if it fits)
-      if (ctx.tokens <= t) {
-        const scoreWithContext = dp[i - 1][t - ctx.tokens] + ctx.score;
-        if (scoreWithContext > dp[i][t]) {
-          dp[i][t] = scoreWithContext;
-          selected[i][t] = true;
-        }
-      }
+  const byId = new Map(scored.map(ctx => [ctx.id, ctx]));
+  const sumOf = (ids, field) => ids.reduce((sum, id) => sum + byId.get(id)[field], 0);
+
+  // A context with the dependencies it needs (only those available here)
+  const withDependencies = id => {
+    const group = [id];
+    for (let i = 0; i < group.length; i++) {
+      graph.getDependencies(group[i])
+        .filter(dependency => byId.has(dependency) && !group.includes(dependency))
+        .forEach(dependency => group.push(dependency));
     }
-  }
+    return group;
+  };
 
-  // Backtrack to find selected contexts
-  const result = [];
-  let remainingTokens = maxTokens;
+  const required = new Set();
+  scored
+    .filter(ctx => ctx.auto_include || mustInclude.includes(ctx.id))
+    .forEach(ctx => withDependencies(ctx.id).forEach(id => required.add(id)));
 
-  for (let i = n; i > 0; i--) {
-    if (selected[i][remainingTokens]) {
-      result.push(viable[i - 1]);
-      remainingTokens -= viable[i - 1].tokens;
+  const blocked = new Set();
+  required.forEach(id => graph.getConflicts(id).forEach(other => {
+    if (!required.has(other)) blocked.add(other);
+  }));
+
+  const remaining = budget - sumOf(Array.from(required), 'tokens');
+
+  // Optional contexts, each with the dependencies it would pull in
+  let candidates = scored
+    .filter(ctx => !required.has(ctx.id) && !blocked.has(ctx.id))
+    .map(ctx => {
+      const ids = withDependencies(ctx.id).filter(id => !required.has(id));
+      return { ids, tokens: sumOf(ids, 'tokens'), score: sumOf(ids, 'score') };
+    })
+    .filter(group => group.tokens <= remaining && !group.ids.some(id => blocked.has(id)));
+
+  let chosen;
+  let conflict;
+  do {
+    chosen = new Set(solveKnapsack(candidates, remaining, resolution).flatMap(group => group.ids));
+
+    // Drop the lower-scoring side of a conflict and solve again
+    conflict = Array.from(chosen)
+      .flatMap(id => graph.getConflicts(id).filter(other => chosen.has(other)).map(other => [id, other]))[0];
+    if (conflict) {
+      const [loser] = conflict.map(id => byId.get(id)).sort((a, b) => a.score - b.score);
+      candidates = candidates.filter(group => !group.ids.includes(loser.id));
     }
+  } while (conflict);
+
+  // Fill the room left by shared dependencies, best score per marginal token first
+  const conflictsWithChosen = ids => ids.some(id => graph.getConflicts(id)
+    .some(other => chosen.has(other) || required.has(other) || ids.includes(other)));
+  let used = sumOf(Array.from(chosen), 'tokens');
+  for (;;) {
+    const fitting = candidates
+      .map(group => {
+        const ids = group.ids.filter(id => !chosen.has(id));
+        return { ids, tokens: sumOf(ids, 'tokens'), score: sumOf(ids, 'score') };
+      })
+      .filter(group => group.score > 0 && used + group.tokens <= remaining && !conflictsWithChosen(group.ids));
+    if (fitting.length === 0) break;
+
+    const density = group => group.score / Math.max(group.tokens, 1);
+    const best = fitting.reduce((a, b) => (density(b) > density(a) ? b : a));
+    best.ids.forEach(id => chosen.add(id));
+    used += best.tokens;
   }
 
-  const totalTokens = result.reduce((sum, ctx) => sum + ctx.tokens, 0);
-  const totalScore = dp[n][maxTokens];
+  const selected = scored.filter(ctx => required.has(ctx.id) || chosen.has(ctx.id));
+  const totalTokens = selected.reduce((sum, ctx) => sum + ctx.tokens, 0);
 
   return {
-    selected: result.reverse(),
-    totalScore,
+    selected,
+    totalScore: selected.reduce((sum, ctx) => sum + ctx.score, 0),
     totalTokens,
-    unusedTokens: maxTokens - totalTokens
+    unusedTokens: Math.max(0, budget - totalTokens),
+    overBudget: totalTokens > budget
   };
 }
 
+/**
+ * 0/1 knapsack over items { tokens, score }, with capacity split into at most `resolution` buckets
+ *
+ * Keeps a single row of best scores plus one byte per item and bucket to
+ * reconstruct the choice.
+ */
+function solveKnapsack(items, capacity, resolution) {
+  if (items.length === 0 || capacity <= 0) return [];
+
+  const bucket = Math.max(1, Math.ceil(capacity / resolution));
+  const slots = Math.floor(capacity / bucket);
+  const weights = items.map(item => Math.ceil(item.tokens / bucket));
+
+  const best = new Float64Array(slots + 1);
+  const keep = items.map(() => new Uint8Array(slots + 1));
+
+  items.forEach((item, i) => {
+    for (let t = slots; t >= weights[i]; t--) {
+      const withItem = best[t - weights[i]] + item.score;
+      if (withItem > best[t]) {
+        best[t] = withItem;
+        keep[i][t] = 1;
+      }
+    }
+  });
+
+  // Backtrack to find the chosen items
+  const chosen = [];
+  let t = slots;
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (keep[i][t]) {
+      chosen.push(items[i]);
+      t -= weights[i];
+    }
+  }
+
+  return chosen.reverse();
+}
+
 /**
  * Format context with version information
  */
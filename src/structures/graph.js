@@ -0,0 +1,450 @@
+/**
+ * Context Graph
+ *
+ * Contexts and their context_relationships records, read through the
+ * relationship type registry (see CONTEXT_RELATIONSHIP_TYPES). Dependency
+ * resolution and relationship validation both go through ContextGraph, so
+ * they agree on what each type means.
+ */
+
+import { RELATIONSHIP_SEMANTICS, getRelationshipType, getRelationshipTypeIds } from '../constants/relationships.js';
+
+/**
+ * Graph of contexts and their relationships
+ */
+export class ContextGraph {
+  /**
+   * @param {Array} contexts - Context objects
+   * @param {Array} relationships - context_relationships records (source_id/target_id, source_layer_id/target_layer_id or sourceLayerId/targetLayerId)
+   */
+  constructor(contexts = [], relationships = []) {
+    this.contexts = new Map();
+    this.relationships = [];
+
+    contexts.forEach(context => this.addContext(context));
+    relationships.forEach(relationship => this.addRelationship(relationship));
+  }
+
+  /**
+   * Add a context
+   * @param {Object} context - Context object
+   * @returns {ContextGraph} This graph
+   */
+  addContext(context) {
+    this.contexts.set(context.id, context);
+    return this;
+  }
+
+  /**
+   * Add a relationship (types missing from the registry are kept but have no effect)
+   * @param {Object} relationship - Relationship record
+   * @returns {ContextGraph} This graph
+   */
+  addRelationship(relationship) {
+    this.relationships.push(normalizeRelationship(relationship));
+    return this;
+  }
+
+  /**
+   * Get a context by id
+   * @param {string} id - Context id
+   * @returns {Object|null} Context or null
+   */
+  getContext(id) {
+    return this.contexts.get(id) || null;
+  }
+
+  /**
+   * Get relationships of a context
+   * @param {string} id - Context id
+   * @param {Object} options - Options
+   * @param {string} options.semantics - Only types with these semantics (see RELATIONSHIP_SEMANTICS)
+   * @param {string} options.direction - 'outgoing' (id is the source), 'incoming' or 'both' (default)
+   * @returns {Array} Relationships { id, source, target, type, strength }
+   */
+  getRelationships(id, options = {}) {
+    const { semantics = null, direction = 'both' } = options;
+
+    return this.relationships.filter(rel => {
+      const matches = (direction !== 'incoming' && rel.source === id) ||
+        (direction !== 'outgoing' && rel.target === id);
+      if (!matches) return false;
+      return !semantics || getRelationshipType(rel.type)?.semantics === semantics;
+    });
+  }
+
+  /**
+   * Ids a context pulls in as hard dependencies (requires, extends)
+   * @param {string} id - Context id
+   * @returns {Array} Context ids
+   */
+  getDependencies(id) {
+    return this.getPulled(id, RELATIONSHIP_SEMANTICS.DEPENDENCY);
+  }
+
+  /**
+   * Ids a context recommends (recommends, and layers that enhance it)
+   * @param {string} id - Context id
+   * @param {number} minStrength - Minimum relationship strength (relationships without one don't qualify above 0)
+   * @returns {Array} Context ids
+   */
+  getRecommendations(id, minStrength = 0) {
+    return this.getPulled(id, RELATIONSHIP_SEMANTICS.RECOMMENDATION, minStrength);
+  }
+
+  /**
+   * Ids a context can't be used with (exclusion works both ways)
+   * @param {string} id - Context id
+   * @returns {Array} Context ids
+   */
+  getConflicts(id) {
+    return unique(this.getRelationships(id, { semantics: RELATIONSHIP_SEMANTICS.EXCLUSION })
+      .map(rel => (rel.source === id ? rel.target : rel.source)));
+  }
+
+  /**
+   * Ids a context replaces
+   * @param {string} id - Context id
+   * @returns {Array} Context ids
+   */
+  getReplaced(id) {
+    return unique(this.getRelationships(id, { semantics: RELATIONSHIP_SEMANTICS.SUPERSESSION, direction: 'outgoing' })
+      .map(rel => rel.target));
+  }
+
+  /**
+   * Ids pulled in with a context by relationships of the given semantics
+   */
+  getPulled(id, semantics, minStrength = 0) {
+    return unique(this.getRelationships(id, { semantics })
+      .filter(rel => minStrength <= 0 || (rel.strength ?? 0) >= minStrength)
+      .map(rel => {
+        const { pulls } = getRelationshipType(rel.type);
+        if (pulls === 'target' && rel.source === id) return rel.target;
+        if (pulls === 'source' && rel.target === id) return rel.source;
+        return null;
+      })
+      .filter(Boolean));
+  }
+
+  /**
+   * Check a relationship against the registry and the relationships already in the graph
+   * @param {Object} relationship - Relationship record
+   * @returns {Object} { valid, errors }
+   */
+  validateRelationship(relationship) {
+    const rel = normalizeRelationship(relationship);
+    const errors = [];
+
+    const type = getRelationshipType(rel.type);
+    if (!type) {
+      errors.push(`Invalid relationship type. Must be one of: ${getRelationshipTypeIds().join(', ')}`);
+    }
+    if (!rel.source || !rel.target) {
+      errors.push('Relationship must have a source and a target');
+    } else if (rel.source === rel.target) {
+      errors.push('A context cannot have a relationship with itself');
+    }
+
+    if (type && rel.source && rel.target) {
+      const between = this.getRelationships(rel.source)
+        .filter(other => other.target === rel.target || other.source === rel.target);
+
+      if (between.some(other => other.type === rel.type && other.source === rel.source && other.target === rel.target)) {
+        errors.push(`This "${rel.type}" relationship already exists`);
+      }
+
+      // A pair can't both depend on and exclude each other
+      const semantics = between.map(other => getRelationshipType(other.type)?.semantics);
+      const contradicts = {
+        [RELATIONSHIP_SEMANTICS.DEPENDENCY]: RELATIONSHIP_SEMANTICS.EXCLUSION,
+        [RELATIONSHIP_SEMANTICS.EXCLUSION]: RELATIONSHIP_SEMANTICS.DEPENDENCY
+      }[type.semantics];
+      if (contradicts && semantics.includes(contradicts)) {
+        errors.push(`"${rel.type}" contradicts an existing ${contradicts} relationship between these contexts`);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Resolve dependencies for a set of contexts
+   *
+   * Dependencies are pulled in up to maxDepth levels, recommendations too
+   * when includeRecommendations is set. Contexts replaced by another
+   * resolved context are removed, along with what only they pulled in.
+   * Conflicts are checked between every pair of resolved contexts, however
+   * deep they were pulled in.
+   *
+   * @param {Array} contextIds - Initial context IDs
+   * @param {Object} options - Resolution options
+   * @returns {Object} { resolved, conflicts, superseded, cycles, explanations, order }
+   */
+  resolve(contextIds, options = {}) {
+    const superseded = new Map();
+    let expansion;
+    let changed = true;
+
+    while (changed) {
+      expansion = this.expand(contextIds.filter(id => !superseded.has(id)), superseded, options);
+
+      // Remove contexts replaced by another resolved context, then resolve again without them
+      changed = false;
+      for (const id of expansion.resolved.keys()) {
+        if (superseded.has(id)) continue;
+        for (const replaced of this.getReplaced(id)) {
+          if (expansion.resolved.has(replaced) && !superseded.has(replaced)) {
+            superseded.set(replaced, id);
+            changed = true;
+          }
+        }
+      }
+    }
+
+    const resolved = Array.from(expansion.resolved.keys());
+    const explanations = Object.fromEntries(resolved.map(id => [id, this.explain(id, expansion.resolved)]));
+
+    return {
+      resolved,
+      conflicts: this.findConflicts(resolved, explanations),
+      superseded: Array.from(superseded, ([id, replacedBy]) => ({
+        id,
+        name: this.getName(id),
+        replaced_by: { id: replacedBy, name: this.getName(replacedBy) }
+      })),
+      cycles: this.findCycles(resolved),
+      explanations,
+      order: this.sort(resolved)
+    };
+  }
+
+  /**
+   * Breadth-first expansion of contextIds, skipping the ids in `skip`
+   * @returns {Object} { resolved } - Map of id to how it was pulled in ({ from, semantics } or null if requested)
+   */
+  expand(contextIds, skip, options) {
+    const {
+      maxDepth = 5,
+      includeRecommendations = false,
+      minRecommendationStrength = 0.7
+    } = options;
+
+    const resolved = new Map(contextIds.map(id => [id, null]));
+    let currentLevel = [...contextIds];
+    let depth = 0;
+
+    while (depth < maxDepth && currentLevel.length > 0) {
+      const nextLevel = new Set();
+
+      for (const contextId of currentLevel) {
+        const pulled = [
+          ...this.getDependencies(contextId).map(id => [id, RELATIONSHIP_SEMANTICS.DEPENDENCY]),
+          ...(includeRecommendations
+            ? this.getRecommendations(contextId, minRecommendationStrength).map(id => [id, RELATIONSHIP_SEMANTICS.RECOMMENDATION])
+            : [])
+        ];
+
+        for (const [id, semantics] of pulled) {
+          if (!resolved.has(id) && !skip.has(id)) {
+            resolved.set(id, { from: contextId, semantics });
+            nextLevel.add(id);
+          }
+        }
+      }
+
+      currentLevel = Array.from(nextLevel);
+      depth++;
+    }
+
+    return { resolved };
+  }
+
+  /**
+   * Explain why a context was resolved, following the chain back to a requested context
+   *
+   * @param {string} id - Context id
+   * @param {Map} pulledBy - From expand(): id to { from, semantics } (null if requested)
+   * @returns {Object} { reason: 'requested' | semantics, path: [requested id, ..., id], text }
+   */
+  explain(id, pulledBy) {
+    const link = pulledBy.get(id);
+    if (!link) {
+      return { reason: 'requested', path: [id], text: 'Requested' };
+    }
+
+    const path = [id];
+    for (let current = link; current; current = pulledBy.get(path[0])) {
+      if (path.includes(current.from)) break;
+      path.unshift(current.from);
+    }
+
+    // "Required by Project X via Task Y": the requested context, then the contexts in between
+    const verb = link.semantics === RELATIONSHIP_SEMANTICS.DEPENDENCY ? 'Required' : 'Recommended';
+    const via = path.slice(1, -1).map(step => this.getName(step));
+    const text = `${verb} by ${this.getName(path[0])}${via.length > 0 ? ` via ${via.join(' → ')}` : ''}`;
+
+    return { reason: link.semantics, path, text };
+  }
+
+  /**
+   * Conflicts between any two of the given contexts, each pair reported once
+   *
+   * @param {Array} contextIds - Context ids
+   * @param {Object} explanations - Explanations by id (from resolve), to say why each side is there
+   * @returns {Array} [{ context_id, context_name, conflicts_with: [{ id, name }], text }]
+   */
+  findConflicts(contextIds, explanations = {}) {
+    const ids = new Set(contextIds);
+    const seen = new Set();
+    const conflicts = [];
+
+    const describe = id => {
+      const explanation = explanations[id];
+      return explanation && explanation.reason !== 'requested'
+        ? `${this.getName(id)} (${explanation.text.charAt(0).toLowerCase()}${explanation.text.slice(1)})`
+        : this.getName(id);
+    };
+
+    for (const id of contextIds) {
+      seen.add(id);
+      const conflicting = this.getConflicts(id).filter(other => ids.has(other) && !seen.has(other));
+      if (conflicting.length === 0) continue;
+
+      conflicts.push({
+        context_id: id,
+        context_name: this.getName(id),
+        conflicts_with: conflicting.map(other => ({ id: other, name: this.getName(other) })),
+        text: `${describe(id)} conflicts with ${conflicting.map(describe).join(', ')}`
+      });
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Find dependency cycles among contexts
+   * @param {Array} contextIds - Context ids (default: every context in the graph)
+   * @returns {Array} [{ ids: [a, b, a], names, text: 'A → B → A' }]
+   */
+  findCycles(contextIds = Array.from(this.contexts.keys())) {
+    const ids = new Set(contextIds);
+    const done = new Set();
+    const path = [];
+    const found = new Map();
+
+    const visit = id => {
+      path.push(id);
+      for (const dependency of this.getDependencies(id)) {
+        if (!ids.has(dependency) || done.has(dependency)) continue;
+
+        const start = path.indexOf(dependency);
+        if (start >= 0) {
+          const cycle = path.slice(start);
+          const key = rotateToSmallest(cycle).join('\u0000');
+          if (!found.has(key)) found.set(key, [...cycle, dependency]);
+        } else {
+          visit(dependency);
+        }
+      }
+      path.pop();
+      done.add(id);
+    };
+
+    contextIds.forEach(id => {
+      if (!done.has(id)) visit(id);
+    });
+
+    return Array.from(found.values(), cycle => {
+      const names = cycle.map(id => this.getName(id));
+      return { ids: cycle, names, text: names.join(' → ') };
+    });
+  }
+
+  /**
+   * Sort contexts so dependencies come before the contexts that need them
+   *
+   * Contexts in or behind a dependency cycle (see findCycles) can't be
+   * ordered; they follow the others in their original order.
+   *
+   * @param {Array} contextIds - Context ids
+   * @returns {Array} Sorted ids
+   */
+  sort(contextIds) {
+    const graph = new Map();
+    const inDegree = new Map();
+
+    // Initialize graph
+    for (const id of contextIds) {
+      graph.set(id, []);
+      inDegree.set(id, 0);
+    }
+
+    // Build adjacency list and in-degree count
+    for (const id of contextIds) {
+      for (const dependency of this.getDependencies(id)) {
+        if (graph.has(dependency)) {
+          graph.get(dependency).push(id);
+          inDegree.set(id, inDegree.get(id) + 1);
+        }
+      }
+    }
+
+    // Kahn's algorithm
+    const queue = contextIds.filter(id => inDegree.get(id) === 0);
+    const sorted = [];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      sorted.push(current);
+
+      for (const dependent of graph.get(current)) {
+        inDegree.set(dependent, inDegree.get(dependent) - 1);
+        if (inDegree.get(dependent) === 0) {
+          queue.push(dependent);
+        }
+      }
+    }
+
+    // Anything left is in or behind a cycle
+    const placed = new Set(sorted);
+    return [...sorted, ...contextIds.filter(id => !placed.has(id))];
+  }
+
+  /**
+   * Name of a context, or its id if the context isn't in the graph
+   * @param {string} id - Context id
+   * @returns {string} Name
+   */
+  getName(id) {
+    return this.getContext(id)?.name || id;
+  }
+}
+
+/**
+ * Read a relationship record in any of its shapes (database, API type, request payload)
+ */
+function normalizeRelationship(rel) {
+  return {
+    id: rel.id || null,
+    source: rel.source_id ?? rel.source_layer_id ?? rel.sourceLayerId ?? null,
+    target: rel.target_id ?? rel.target_layer_id ?? rel.targetLayerId ?? null,
+    type: rel.relationship_type ?? rel.relationshipType ?? null,
+    strength: rel.strength ?? rel.metadata?.strength ?? null
+  };
+}
+
+function unique(ids) {
+  return Array.from(new Set(ids));
+}
+
+/**
+ * Rotate a cycle to start at its smallest id, so the same cycle found from different nodes matches
+ */
+function rotateToSmallest(cycle) {
+  const start = cycle.indexOf(cycle.reduce((min, id) => (id < min ? id : min)));
+  return [...cycle.slice(start), ...cycle.slice(0, start)];
+}
@@ -6,3 +6,7 @@
 export * from './template.js';
 export * from './context.js';
 export * from './user.js';
+export * from './chat.js';
+export * from './lint.js';
+export * from './graph.js';
+export * from './versions.js';
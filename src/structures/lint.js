@@ -0,0 +1,553 @@
+/**
+ * Template Linter
+ *
+ * Checks a template for authoring problems that aren't hard validation
+ * errors: unused or undeclared variables, misspelled tags, conflicting
+ * instructions, and so on. The authoring UI and the API run the same rules
+ * so both show the same findings.
+ *
+ * Each finding looks like:
+ *   {
+ *     rule: 'undeclared-placeholder',
+ *     severity: 'warning',
+ *     message: 'Placeholder {{topic}} is not declared',
+ *     suggestion: 'Declare "topic" in the template variables',
+ *     fix: { type: 'add-variable', variable: {...} },
+ *     start, end, line, column      // position in content, or null
+ *   }
+ *
+ * Fix types:
+ * - { type: 'add-variable', variable }
+ * - { type: 'remove-variable', name, index }
+ * - { type: 'replace-tag', from, to }
+ * - { type: 'insert-text', position, text }
+ * - { type: 'replace-text', start, end, text }
+ */
+
+import { TEMPLATE_TAGS } from '../constants/categories.js';
+import { extractVariables, flattenTemplate } from './template.js';
+import { parseTemplate, findPartials, walkTemplate, isTemplateSyntaxError } from '../helpers/syntax.js';
+
+/**
+ * Finding severities, most severe first
+ */
+export const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+const BLOCK_TAG_PATTERN = /(\\*)\{\{\s*(?:#\s*(if|each|block)\s+([^}]*?)|\/\s*(if|each|block)|(else))\s*\}\}/g;
+
+const OUTPUT_FORMAT_PATTERN = new RegExp(
+  '\\b(format|formatted|respond (with|in|as|using)|output|return|reply (with|in)|json|yaml|xml|csv|markdown|' +
+  'table|bullet|numbered|list of|checklist|heading|headings|sections?|paragraphs?|sentences?|' +
+  '\\d+\\s*words|words or (less|fewer)|template below|following structure)\\b',
+  'i'
+);
+
+const NEGATION_PATTERN = /\b(not|no|never|avoid|without|don't|do not|isn't)\b[^.!?\n]{0,20}$/i;
+
+/**
+ * Instruction pairs that contradict each other when both appear
+ */
+const CONFLICTING_INSTRUCTIONS = [
+  {
+    sides: [
+      { label: 'concise', pattern: /\b(concise|brief|briefly|succinct|keep it short|short answer)\b/gi },
+      { label: 'detailed', pattern: /\b(detailed|in detail|thorough|thoroughly|comprehensive|in[- ]depth|elaborate)\b/gi }
+    ]
+  },
+  {
+    sides: [
+      { label: 'formal', pattern: /\b(formal|formally)\b/gi },
+      { label: 'informal', pattern: /\b(informal|casual|casually|relaxed tone|slang)\b/gi }
+    ]
+  },
+  {
+    sides: [
+      { label: 'beginner-friendly', pattern: /\b(simple terms|plain language|for beginners|layman'?s terms|like I'?m five)\b/gi },
+      { label: 'expert-level', pattern: /\b(expert[- ]level|assume expertise|technical jargon|for experts)\b/gi }
+    ]
+  }
+];
+
+// ============================================================================
+// Rule Registry
+// ============================================================================
+
+/**
+ * Built-in rules
+ *
+ * check(context) returns an array of partial findings
+ * ({ message, suggestion, fix, start, end }); rule and severity are filled in.
+ */
+const BUILT_IN_RULES = {
+  'unbalanced-blocks': {
+    severity: 'error',
+    description: 'Every {{#if}}, {{#each}} and {{#block}} has a matching closing tag',
+    check: checkBlockBalance
+  },
+  'syntax-error': {
+    severity: 'error',
+    description: 'Content parses as valid template syntax',
+    check: context => {
+      // Unbalanced blocks are reported (with fixes) by their own rule
+      if (!context.syntaxError || checkBlockBalance(context).length > 0) return [];
+      return [{
+        message: `Template syntax error: ${context.syntaxError.message}`,
+        suggestion: 'Fix the tag at this position',
+        start: context.syntaxError.position
+      }];
+    }
+  },
+  'duplicate-variable': {
+    severity: 'error',
+    description: 'Variable names are unique',
+    check: checkDuplicateVariables
+  },
+  'unused-variable': {
+    severity: 'warning',
+    description: 'Declared variables are used in the content',
+    check: checkUnusedVariables
+  },
+  'undeclared-placeholder': {
+    severity: 'warning',
+    description: 'Placeholders in the content are declared as variables',
+    check: checkUndeclaredPlaceholders
+  },
+  'misspelled-tag': {
+    severity: 'warning',
+    description: 'Tags match the predefined TEMPLATE_TAGS spelling',
+    check: checkTagSpelling
+  },
+  'conflicting-instructions': {
+    severity: 'warning',
+    description: 'Instructions don\'t contradict each other (e.g. concise and detailed)',
+    check: checkConflictingInstructions
+  },
+  'missing-output-format': {
+    severity: 'info',
+    description: 'Content says what the response should look like',
+    check: checkOutputFormat
+  }
+};
+
+const registry = new Map(Object.entries(BUILT_IN_RULES));
+
+/**
+ * Register a custom lint rule (replaces a rule with the same id)
+ * @param {string} id - Rule id used in findings and severity overrides
+ * @param {object} rule - Rule definition
+ * @param {string} rule.severity - Default severity ('error', 'warning' or 'info')
+ * @param {string} rule.description - What the rule checks
+ * @param {Function} rule.check - (context) => array of { message, suggestion, fix, start, end }
+ */
+export function registerLintRule(id, rule) {
+  if (!/^[a-z][a-z0-9-]*$/.test(id)) {
+    throw new Error(`Invalid lint rule id: ${id}`);
+  }
+  if (!rule || typeof rule.check !== 'function') {
+    throw new Error(`Lint rule "${id}" must have a check function`);
+  }
+  if (!LINT_SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Lint rule "${id}" has invalid severity: ${rule.severity}. Must be one of: ${LINT_SEVERITIES.join(', ')}`);
+  }
+  registry.set(id, { description: '', ...rule });
+}
+
+/**
+ * Remove a custom lint rule (built-in rules are restored, not removed)
+ * @param {string} id - Rule id
+ */
+export function unregisterLintRule(id) {
+  if (BUILT_IN_RULES[id]) {
+    registry.set(id, BUILT_IN_RULES[id]);
+  } else {
+    registry.delete(id);
+  }
+}
+
+/**
+ * Get all registered lint rules
+ * @returns {array} Array of { id, severity, description }
+ */
+export function getLintRules() {
+  return Array.from(registry.entries()).map(([id, rule]) => ({
+    id,
+    severity: rule.severity,
+    description: rule.description
+  }));
+}
+
+// ============================================================================
+// Linting
+// ============================================================================
+
+/**
+ * Lint a template
+ *
+ * @param {object} template - Template object (content, variables, tags, extends)
+ * @param {object} options - Options
+ * @param {object} options.rules - Severity overrides by rule id ('error', 'warning', 'info' or 'off')
+ * @param {object|Map|Function} options.partials - Partial resolver, so variables used in partials count as used
+ * @param {object|Map|Function} options.parents - Parent resolver, so variables used in parent templates count as used
+ * @returns {object} { valid, findings, errorCount, warningCount, infoCount } - valid is false if any finding is an error
+ */
+export function lintTemplate(template, options = {}) {
+  const overrides = options.rules || {};
+  const context = createLintContext(template, options);
+  const findings = [];
+
+  for (const [id, rule] of registry) {
+    const severity = overrides[id] || rule.severity;
+    if (severity === 'off') continue;
+    if (!LINT_SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity for lint rule "${id}": ${severity}`);
+    }
+
+    for (const finding of rule.check(context) || []) {
+      findings.push(createFinding(id, severity, finding, context.content));
+    }
+  }
+
+  findings.sort((a, b) =>
+    LINT_SEVERITIES.indexOf(a.severity) - LINT_SEVERITIES.indexOf(b.severity) ||
+    (a.start ?? Infinity) - (b.start ?? Infinity)
+  );
+
+  const count = severity => findings.filter(finding => finding.severity === severity).length;
+  return {
+    valid: count('error') === 0,
+    findings,
+    errorCount: count('error'),
+    warningCount: count('warning'),
+    infoCount: count('info')
+  };
+}
+
+/**
+ * Build the context passed to every rule
+ *
+ * - nodes: parsed content, or null if it has a syntax error
+ * - usedVariables: variables used by the content, its partials and parents;
+ *   null if partials or parents couldn't be resolved
+ * - placeholders: Map of placeholder name to its first { start, end } in content
+ */
+function createLintContext(template, options) {
+  const content = template.content || '';
+  const context = {
+    template,
+    content,
+    variables: Array.isArray(template.variables) ? template.variables : [],
+    tags: Array.isArray(template.tags) ? template.tags : [],
+    nodes: null,
+    syntaxError: null,
+    usedVariables: null,
+    placeholders: new Map()
+  };
+
+  try {
+    context.nodes = parseTemplate(content);
+  } catch (error) {
+    if (!isTemplateSyntaxError(error)) throw error;
+    context.syntaxError = error;
+  }
+
+  if (context.nodes) {
+    walkTemplate(context.nodes, node => {
+      if ((node.type === 'variable' || node.type === 'if' || node.type === 'each') && !context.placeholders.has(node.name)) {
+        context.placeholders.set(node.name, { start: node.start, end: node.end });
+      }
+    });
+  } else {
+    // Same plain-placeholder fallback as extractVariables
+    for (const match of content.matchAll(/(\\?)\{\{([^}]+)\}\}/g)) {
+      const name = match[2].split('|')[0].trim();
+      if (match[1] || /^[#/>]/.test(name) || name === 'else' || context.placeholders.has(name)) continue;
+      context.placeholders.set(name, { start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  const hasPartials = context.nodes ? findPartials(context.nodes).length > 0 : /\{\{\s*>/.test(content);
+  const canResolve = (!hasPartials || options.partials) && (!template.extends || options.parents);
+  if (canResolve) {
+    try {
+      const resolved = template.extends ? flattenTemplate(template, options).content : content;
+      context.usedVariables = extractVariables(resolved, { partials: options.partials });
+    } catch (error) {
+      if (!isTemplateSyntaxError(error)) throw error;
+    }
+  }
+
+  return context;
+}
+
+function createFinding(rule, severity, finding, content) {
+  const start = finding.start ?? null;
+  const location = start === null ? { line: null, column: null } : getLocation(content, start);
+
+  return {
+    rule,
+    severity,
+    message: finding.message,
+    suggestion: finding.suggestion || null,
+    fix: finding.fix || null,
+    start,
+    end: finding.end ?? null,
+    ...location
+  };
+}
+
+// ============================================================================
+// Built-in Rules
+// ============================================================================
+
+/**
+ * Match opening, closing and else tags with a stack, reporting each problem
+ * with a fix instead of stopping at the first one like the parser does
+ */
+function checkBlockBalance(context) {
+  const findings = [];
+  const stack = [];
+
+  for (const match of context.content.matchAll(BLOCK_TAG_PATTERN)) {
+    const [raw, backslashes, openHelper, openName, closeHelper, isElse] = match;
+    if (backslashes.length % 2 === 1) continue;
+
+    const start = match.index + backslashes.length;
+    const end = match.index + raw.length;
+
+    if (openHelper) {
+      stack.push({ helper: openHelper, name: openName.trim(), start, end });
+    } else if (isElse) {
+      const current = stack[stack.length - 1];
+      if (!current || current.helper === 'block') {
+        findings.push({
+          message: current ? `{{else}} is not allowed in {{#block ${current.name}}}` : '{{else}} is outside any {{#if}} or {{#each}} block',
+          suggestion: 'Remove the {{else}} or move it inside an {{#if}} or {{#each}} block',
+          fix: { type: 'replace-text', start, end, text: '' },
+          start,
+          end
+        });
+      }
+    } else if (stack.length === 0) {
+      findings.push({
+        message: `{{/${closeHelper}}} has no matching opening tag`,
+        suggestion: `Remove the stray {{/${closeHelper}}} or add a matching {{#${closeHelper} ...}} before it`,
+        fix: { type: 'replace-text', start, end, text: '' },
+        start,
+        end
+      });
+    } else if (stack[stack.length - 1].helper !== closeHelper) {
+      const current = stack.pop();
+      findings.push({
+        message: `{{/${closeHelper}}} closes {{#${current.helper} ${current.name}}}`,
+        suggestion: `Use {{/${current.helper}}} to close the {{#${current.helper}}} block`,
+        fix: { type: 'replace-text', start, end, text: `{{/${current.helper}}}` },
+        start,
+        end
+      });
+    } else {
+      stack.pop();
+    }
+  }
+
+  // Unclosed blocks - innermost first, so inserting the fixes in order nests correctly
+  while (stack.length > 0) {
+    const open = stack.pop();
+    findings.push({
+      message: `{{#${open.helper} ${open.name}}} is never closed`,
+      suggestion: `Add {{/${open.helper}}} after the end of the block`,
+      fix: { type: 'insert-text', position: context.content.length, text: `{{/${open.helper}}}` },
+      start: open.start,
+      end: open.end
+    });
+  }
+
+  return findings;
+}
+
+function checkDuplicateVariables(context) {
+  const findings = [];
+  const seen = new Set();
+
+  context.variables.forEach((variable, index) => {
+    if (!variable.name) return;
+    if (seen.has(variable.name)) {
+      findings.push({
+        message: `Variable "${variable.name}" is declared more than once`,
+        suggestion: `Remove the duplicate declaration at index ${index}`,
+        fix: { type: 'remove-variable', name: variable.name, index }
+      });
+    }
+    seen.add(variable.name);
+  });
+
+  return findings;
+}
+
+function checkUnusedVariables(context) {
+  if (!context.usedVariables) return [];
+
+  const used = new Set(context.usedVariables.map(variable => variable.name));
+  const findings = [];
+
+  context.variables.forEach((variable, index) => {
+    if (!variable.name || used.has(variable.name)) return;
+    findings.push({
+      message: `Variable "${variable.name}" is declared but never used`,
+      suggestion: `Add {{${variable.name}}} to the content or remove the variable`,
+      fix: { type: 'remove-variable', name: variable.name, index }
+    });
+  });
+
+  return findings;
+}
+
+function checkUndeclaredPlaceholders(context) {
+  const declared = new Set(context.variables.map(variable => variable.name));
+  const candidates = context.usedVariables || extractVariables(context.content);
+
+  return candidates
+    .filter(variable => !declared.has(variable.name))
+    .map(variable => {
+      const position = context.placeholders.get(variable.name) || {};
+      return {
+        message: `Placeholder {{${variable.name}}} is not declared`,
+        suggestion: `Declare "${variable.name}" in the template variables`,
+        fix: { type: 'add-variable', variable },
+        start: position.start,
+        end: position.end
+      };
+    });
+}
+
+function checkTagSpelling(context) {
+  const knownTags = Object.values(TEMPLATE_TAGS).flat();
+  const findings = [];
+
+  context.tags.forEach(tag => {
+    if (typeof tag !== 'string' || knownTags.includes(tag)) return;
+
+    const caseMatch = knownTags.find(known => known.toLowerCase() === tag.toLowerCase());
+    const closest = caseMatch || findClosestTag(tag, knownTags);
+    if (!closest) return; // Custom tag, not a misspelling
+
+    findings.push({
+      message: caseMatch ? `Tag "${tag}" should be written "${closest}"` : `Tag "${tag}" looks like a misspelling of "${closest}"`,
+      suggestion: `Replace "${tag}" with "${closest}"`,
+      fix: { type: 'replace-tag', from: tag, to: closest }
+    });
+  });
+
+  return findings;
+}
+
+function checkConflictingInstructions(context) {
+  const text = getInstructionText(context.content);
+  const tagText = context.tags.filter(tag => typeof tag === 'string').join('\n');
+  const findings = [];
+
+  for (const { sides } of CONFLICTING_INSTRUCTIONS) {
+    const [first, second] = sides.map(side => ({
+      ...side,
+      match: findInstruction(text, side.pattern),
+      tagged: findInstruction(tagText, side.pattern) !== null
+    }));
+    if (!(first.match || first.tagged) || !(second.match || second.tagged)) continue;
+
+    const position = second.match || first.match;
+    findings.push({
+      message: `Conflicting instructions: both ${first.label} and ${second.label}`,
+      suggestion: `Choose either ${first.label} or ${second.label}, or say which parts of the response each applies to`,
+      start: position ? position.start : null,
+      end: position ? position.end : null
+    });
+  }
+
+  return findings;
+}
+
+function checkOutputFormat(context) {
+  if (!context.content.trim() || OUTPUT_FORMAT_PATTERN.test(getInstructionText(context.content))) return [];
+
+  // A placeholder like {{format}} or {{output_format}} lets the user supply the guidance
+  const formatVariable = context.variables.some(variable => variable.type === 'format') ||
+    Array.from(context.placeholders.keys()).some(name => /format/i.test(name));
+  if (formatVariable) return [];
+
+  const formatTag = context.tags.find(tag => TEMPLATE_TAGS.format.includes(tag));
+  return [{
+    message: 'Content doesn\'t say how the response should be formatted',
+    suggestion: formatTag
+      ? `Add an instruction like "Format the response as ${formatTag.toLowerCase()}."`
+      : 'Add an instruction describing the expected format (e.g. bullet points, a table, JSON, or a word limit)',
+    fix: formatTag
+      ? { type: 'insert-text', position: context.content.length, text: `\n\nFormat the response as ${formatTag.toLowerCase()}.` }
+      : null
+  }];
+}
+
+// ============================================================================
+// Utilities
+// ============================================================================
+
+/**
+ * Content with {{tags}} blanked out (offsets preserved), so placeholder
+ * names don't count as instructions
+ */
+function getInstructionText(content) {
+  return content.replace(/\{\{[\s\S]*?\}\}/g, tag => ' '.repeat(tag.length));
+}
+
+/**
+ * Find the first match of an instruction pattern that isn't negated
+ * ("don't be too detailed")
+ */
+function findInstruction(text, pattern) {
+  for (const match of text.matchAll(pattern)) {
+    if (!NEGATION_PATTERN.test(text.slice(Math.max(0, match.index - 40), match.index))) {
+      return { start: match.index, end: match.index + match[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the known tag closest to a tag, if it's close enough to be a typo
+ */
+function findClosestTag(tag, knownTags) {
+  const normalized = tag.toLowerCase();
+  const maxDistance = normalized.length <= 4 ? 1 : 2;
+  let closest = null;
+  let closestDistance = Infinity;
+
+  for (const known of knownTags) {
+    const distance = editDistance(normalized, known.toLowerCase());
+    if (distance <= maxDistance && distance < closestDistance) {
+      closest = known;
+      closestDistance = distance;
+    }
+  }
+
+  return closest;
+}
+
+function editDistance(a, b) {
+  if (Math.abs(a.length - b.length) > 2) return Infinity;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1]
+        : 1 + Math.min(previous[j - 1], previous[j], current[j - 1]);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function getLocation(content, offset) {
+  const before = content.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
@@ -5,8 +5,22 @@
  * This structure matches the database schema exactly.
  */
 
-import { guessVariableType } from '../constants/variables.js';
+import { guessVariableType, VARIABLE_TYPES, VARIABLE_ERROR_CODES } from '../constants/variables.js';
 import { TEMPLATE_CATEGORIES } from '../constants/categories.js';
+import {
+  parseTemplate,
+  collectVariables,
+  expandPartials,
+  findPartials,
+  findUnknownFilters,
+  overrideBlocks,
+  renderTemplate,
+  renderTemplateWithSpans,
+  walkTemplate,
+  TemplateSyntaxError,
+  isTemplateSyntaxError,
+  MAX_PARTIAL_DEPTH
+} from '../helpers/syntax.js';
 
 /**
  * Template Object Structure (matches database schema)
@@ -26,6 +40,11 @@ export const TEMPLATE_FIELDS = {
   // Variables (JSONB array in database)
   variables: { type: 'array', required: false, default: [] },
   // Structure: [{ name, type, default, required, description, placeholder }]
+  // Optional value constraints: enum (allowed values), min/max (number, list size,
+  // date, or text length), pattern (regex source), multiline (false forbids line breaks)
+
+  // Inheritance
+  extends: { type: 'uuid', required: false, default: null },  // Parent template whose {{#block}}s this one overrides
 
   // Categorization
   category: { type: 'string', required: true },  // Must be valid category ID
@@ -46,9 +65,12 @@ export const TEMPLATE_FIELDS = {
 /**
  * Create a new template with proper defaults
  * @param {object} data - Template data
+ * @param {object} options - Options
+ * @param {object|Map|Function} options.partials - Partial resolver, so variables of {{> partials}} are included
+ * @param {object|Map|Function} options.parents - Parent template resolver, so inherited variables are included
  * @returns {object} Complete template object
  */
-export function createTemplate(data) {
+export function createTemplate(data, options = {}) {
   const now = new Date().toISOString();
 
   // Generate UUID if not provided (client-side, will be replaced by DB if needed)
@@ -63,8 +85,13 @@ export function createTemplate(data) {
     description: data.description || '',
     content: data.content,
 
-    // Variables - auto-extract if not provided
-    variables: data.variables || extractVariables(data.content),
+    // Variables - auto-extract if not provided, plus any brought in by partials or parents
+    variables: options.partials || (data.extends && options.parents)
+      ? mergeResolvedVariables(data, options)
+      : data.variables || extractVariables(data.content),
+
+    // Inheritance
+    extends: data.extends || null,
 
     // Categorization
     category: data.category || 'general',
@@ -87,62 +114,541 @@ export function createTemplate(data) {
  * Extract variables from template content
  * Finds all {{variable}} patterns and returns structured variable objects
  *
+ * Variables used only inside {{#if}}/{{#each}} blocks are optional, and
+ * variables iterated with {{#each}} are typed as lists.
+ *
  * @param {string} content - Template content with {{variables}}
+ * @param {object} options - Options
+ * @param {object|Map|Function} options.partials - Partial resolver, to include variables of {{> partials}}
  * @returns {array} Array of variable objects with guessed types
  */
-export function extractVariables(content) {
+export function extractVariables(content, options = {}) {
   if (!content) return [];
 
-  const pattern = /\{\{([^}]+)\}\}/g;
-  const matches = content.matchAll(pattern);
-  const variables = new Set();
-
-  for (const match of matches) {
-    const varName = match[1].trim();
-    variables.add(varName);
+  let variables;
+  try {
+    variables = collectVariables(parseContent(content, options));
+  } catch (error) {
+    if (!isTemplateSyntaxError(error)) throw error;
+
+    // Malformed block syntax (reported by validateTemplate) - fall back to plain placeholders
+    variables = [];
+    for (const match of content.matchAll(/(\\?)\{\{([^}]+)\}\}/g)) {
+      if (match[1]) continue;
+      const name = match[2].split('|')[0].trim();
+      if (/^[#/>]/.test(name) || name === 'else') continue;
+      if (!variables.some(v => v.name === name)) {
+        variables.push({ name, required: true, list: false });
+      }
+    }
   }
 
   // Return as structured objects with auto-guessed types
-  return Array.from(variables).map(name => ({
+  return variables.map(createVariable);
+}
+
+/**
+ * Build a variable object from a collected { name, required, list } entry
+ */
+function createVariable({ name, required, list }) {
+  return {
     name,
-    type: guessVariableType(name),
+    type: list ? 'list' : guessVariableType(name),
     default: null,
-    required: true,
+    required,
     description: '',
     placeholder: `Enter ${name}`
-  }));
+  };
 }
 
 /**
  * Apply variable values to template content
- * Replaces {{variable}} placeholders with actual values
+ * Replaces {{variable}} placeholders with actual values and evaluates
+ * {{#if}} / {{#each}} blocks
+ *
+ * Placeholders that are neither declared in template.variables nor given a
+ * value are left untouched. Filters ({{name | upper}}) run on the value
+ * before it is inserted.
  *
  * @param {object} template - Template object with content and variables
  * @param {object} values - Object mapping variable names to values
+ * @param {object} options - Render options
+ * @param {object} options.filters - Extra filters for this render only ({ name: fn })
+ * @param {object|Map|Function} options.partials - Partial resolver for {{> partial-id}} includes
+ * @param {number} options.maxPartialDepth - Maximum include nesting
+ * @param {object|Map|Function} options.parents - Parent template resolver (required when template.extends is set)
+ * @param {boolean} options.strict - Throw on malformed content instead of falling back to plain
+ *   {{variable}} substitution (the behaviour before blocks and filters existed)
  * @returns {string} Content with variables replaced
+ * @throws {TemplateSyntaxError} In strict mode, on unbalanced block tags, unknown filters, or unresolvable partials/parents
  */
-export function applyVariables(template, values) {
-  let result = template.content;
-
-  if (!template.variables || template.variables.length === 0) {
-    return result;
+export function applyVariables(template, values = {}, options = {}) {
+  if (!template.content) return template.content;
+
+  try {
+    const content = getRenderableContent(template, options);
+
+    return renderTemplate(
+      parseContent(content, { ...options, rootId: template.id }),
+      createValueResolver(template, values),
+      { filters: options.filters }
+    );
+  } catch (error) {
+    if (options.strict || !isTemplateSyntaxError(error)) throw error;
+    return substituteVariables(template, values);
   }
+}
+
+/**
+ * Replace declared {{variable}} placeholders only, leaving everything else as written
+ */
+function substituteVariables(template, values) {
+  let result = template.content;
 
-  template.variables.forEach(variable => {
-    const value = values[variable.name] || variable.default || '';
+  (template.variables || []).forEach(variable => {
+    const value = getGivenValue(values, variable) ?? '';
     const pattern = new RegExp(`\\{\\{\\s*${escapeRegExp(variable.name)}\\s*\\}\\}`, 'g');
-    result = result.replace(pattern, value);
+    result = result.replace(pattern, () => String(value));
   });
 
   return result;
 }
 
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Template render error class (thrown by renderPrompt in strict mode)
+ */
+export class TemplateRenderError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'TemplateRenderError';
+    this.report = report;
+    this.isTemplateRenderError = true;
+  }
+}
+
+/**
+ * Check if error is a template render error
+ */
+export function isTemplateRenderError(error) {
+  return error && error.isTemplateRenderError === true;
+}
+
+/**
+ * Render a template and report what happened to its variables
+ *
+ * - missing: required variables used in the content that have no value or default
+ * - unused: keys of `values` that the content never references
+ * - unknownPlaceholders: names used in the content but not declared in template.variables
+ * - warnings: invalid values, placeholders left unresolved, unexpanded partials
+ *
+ * @param {object} template - Template object with content and variables
+ * @param {object} values - Object mapping variable names to values
+ * @param {object} options - Same options as applyVariables, plus:
+ * @param {boolean} options.strict - Throw a TemplateRenderError on missing or unknown variables
+ * @param {boolean} options.sourceMap - Also return `spans` mapping output ranges to variables and
+ *   literal segments (see renderTemplateWithSpans); variable spans include the variable's `type`
+ * @returns {object} { output, missing, unused, unknownPlaceholders, warnings, spans? }
+ * @throws {TemplateRenderError} In strict mode, if anything is missing or unknown
+ * @throws {TemplateSyntaxError} On malformed content (in any mode)
+ */
+export function renderPrompt(template, values = {}, options = {}) {
+  const { strict = false } = options;
+
+  const nodes = parseContent(getRenderableContent(template, options), { ...options, rootId: template.id });
+  const declared = new Map((template.variables || []).map(variable => [variable.name, variable]));
+  const referenced = collectVariables(nodes).map(entry => entry.name);
+
+  const missing = [];
+  const warnings = [];
+  const unknownPlaceholders = referenced.filter(name => !declared.has(name));
+  const unused = Object.keys(values).filter(name => !referenced.includes(name));
+
+  referenced.filter(name => declared.has(name)).forEach(name => {
+    const variable = declared.get(name);
+    const result = validateVariableValue(variable, getGivenValue(values, variable));
+    if (result.valid) return;
+
+    if (result.error.code === VARIABLE_ERROR_CODES.REQUIRED) {
+      missing.push(name);
+    } else {
+      warnings.push(result.error.message);
+    }
+  });
+
+  walkTemplate(nodes, node => {
+    if (node.type === 'partial') {
+      warnings.push(`Partial "${node.name}" was not expanded - pass a partials resolver`);
+    }
+  });
+
+  if (strict && (missing.length > 0 || unknownPlaceholders.length > 0)) {
+    const problems = [];
+    if (missing.length > 0) problems.push(`missing required variable(s): ${missing.join(', ')}`);
+    if (unknownPlaceholders.length > 0) problems.push(`unknown placeholder(s): ${unknownPlaceholders.join(', ')}`);
+    throw new TemplateRenderError(`Cannot render template: ${problems.join('; ')}`, {
+      missing,
+      unused,
+      unknownPlaceholders,
+      warnings
+    });
+  }
+
+  const unresolved = new Set();
+  const resolve = createValueResolver(template, values, (name, node) => {
+    if (node.type === 'variable') unresolved.add(name);
+  });
+
+  const { output, spans } = options.sourceMap
+    ? renderTemplateWithSpans(nodes, resolve, { filters: options.filters })
+    : { output: renderTemplate(nodes, resolve, { filters: options.filters }), spans: null };
+
+  unresolved.forEach(name => {
+    warnings.push(`Placeholder "${name}" has no value and was left in the output`);
+  });
+
+  const report = { output, missing, unused, unknownPlaceholders, warnings };
+
+  if (spans) {
+    report.spans = spans.map(span => (
+      span.kind === 'variable' && declared.has(span.name)
+        ? { ...span, type: declared.get(span.name).type || 'text' }
+        : span
+    ));
+  }
+
+  return report;
+}
+
+/**
+ * Build the name => value resolver used for rendering
+ *
+ * Declared variables fall back to their default and then to an empty string;
+ * undeclared names resolve only if a value is given.
+ */
+function createValueResolver(template, values, onUnresolved = null) {
+  const declared = new Map((template.variables || []).map(variable => [variable.name, variable]));
+
+  return (name, node) => {
+    const variable = declared.get(name);
+    if (variable) {
+      return getGivenValue(values, variable) ?? '';
+    }
+    if (name in values) return values[name];
+
+    if (onUnresolved) onUnresolved(name, node);
+    return undefined;
+  };
+}
+
+/**
+ * Load partials for a template from an async source
+ *
+ * Follows nested includes, so the returned map can be passed as the
+ * `partials` option of createTemplate/applyVariables.
+ *
+ * @example
+ * import { templates } from '@promptcraft/shared/api';
+ * const partials = await loadPartials(template.content, id => templates.getTemplate(id));
+ * const output = applyVariables(template, values, { partials });
+ *
+ * @param {string} content - Template content
+ * @param {Function} loader - async (id) => template object, API response, or content string
+ * @param {object} options - Options
+ * @param {number} options.maxDepth - Maximum include nesting to follow
+ * @returns {Promise<object>} Map of partial id to loaded entry
+ */
+export async function loadPartials(content, loader, options = {}) {
+  const { maxDepth = MAX_PARTIAL_DEPTH } = options;
+  const loaded = {};
+
+  let pending = findPartials(parseTemplate(content));
+  let depth = 0;
+
+  while (pending.length > 0 && depth < maxDepth) {
+    const entries = await Promise.all(pending.map(id => loader(id)));
+    const next = [];
+
+    pending.forEach((id, index) => {
+      loaded[id] = entries[index];
+
+      const partialContent = getTemplateEntry(entries[index])?.content;
+      if (!partialContent) return;
+
+      for (const nested of findPartials(parseTemplate(partialContent))) {
+        if (!(nested in loaded) && !pending.includes(nested) && !next.includes(nested)) {
+          next.push(nested);
+        }
+      }
+    });
+
+    pending = next;
+    depth++;
+  }
+
+  return loaded;
+}
+
+/**
+ * Maximum number of ancestors in an `extends` chain
+ */
+export const MAX_INHERITANCE_DEPTH = 10;
+
+/**
+ * Resolve a template's inheritance chain into flattened content
+ *
+ * Each template in the chain overrides {{#block}} regions of its parent.
+ * Problems (missing parents, cycles, blocks the parent doesn't define) are
+ * reported in `errors` rather than thrown.
+ *
+ * @param {object} template - Template with an optional `extends` parent id
+ * @param {object} options - Options
+ * @param {object|Map|Function} options.parents - Parent resolver: (id) => template object or content
+ * @param {number} options.maxInheritanceDepth - Maximum number of ancestors
+ * @returns {object} { content, chain: string[], errors: string[] }
+ */
+export function resolveInheritance(template, options = {}) {
+  const { maxInheritanceDepth = MAX_INHERITANCE_DEPTH } = options;
+  const lookupParent = options.parents ? createTemplateLookup(options.parents) : () => null;
+
+  const chain = [template];
+  const errors = [];
+  let current = template;
+
+  while (current.extends) {
+    const parentId = current.extends;
+
+    if (chain.some(item => item.id === parentId)) {
+      errors.push(`Circular template inheritance: ${[...chain.map(item => item.id), parentId].join(' → ')}`);
+      break;
+    }
+    if (chain.length - 1 >= maxInheritanceDepth) {
+      errors.push(`Template inheritance exceeds the maximum depth of ${maxInheritanceDepth}`);
+      break;
+    }
+
+    const parent = getTemplateEntry(lookupParent(parentId));
+    if (!parent) {
+      errors.push(`Parent template "${parentId}" not found`);
+      break;
+    }
+
+    current = { ...parent, id: parent.id || parentId };
+    chain.push(current);
+  }
+
+  const ids = chain.map(item => item.id);
+  if (errors.length > 0) {
+    return { content: template.content, chain: ids, errors };
+  }
+
+  // Apply overrides from the root ancestor down to the template itself
+  let content = chain[chain.length - 1].content;
+
+  for (let i = chain.length - 2; i >= 0; i--) {
+    const child = chain[i];
+    const parent = chain[i + 1];
+
+    try {
+      const result = overrideBlocks(content, child.content);
+      content = result.content;
+      result.undefinedBlocks.forEach(name => {
+        errors.push(`Block "${name}" in ${describeTemplate(child)} is not defined in parent template ${describeTemplate(parent)}`);
+      });
+    } catch (error) {
+      if (!isTemplateSyntaxError(error)) throw error;
+      errors.push(`Cannot apply ${describeTemplate(child)} to ${describeTemplate(parent)}: ${error.message}`);
+      return { content: template.content, chain: ids, errors };
+    }
+  }
+
+  return { content, chain: ids, errors };
+}
+
+/**
+ * Flatten a template's inheritance hierarchy into a standalone template
+ *
+ * @param {object} template - Template with an `extends` parent id
+ * @param {object} options - Same options as resolveInheritance (plus `partials`)
+ * @returns {object} Template copy with flattened content, merged variables and no `extends`
+ * @throws {TemplateSyntaxError} If the hierarchy can't be resolved
+ */
+export function flattenTemplate(template, options = {}) {
+  if (!template.extends) return { ...template };
+
+  const { content, errors } = resolveInheritance(template, options);
+  if (errors.length > 0) {
+    throw new TemplateSyntaxError(errors.join('; '));
+  }
+
+  return {
+    ...template,
+    content,
+    variables: mergeResolvedVariables(template, options),
+    extends: null
+  };
+}
+
+/**
+ * Load a template's ancestors from an async source
+ *
+ * The returned map can be passed as the `parents` option of
+ * createTemplate/applyVariables/validateTemplate.
+ *
+ * @example
+ * const parents = await loadParents(template, id => templates.getTemplate(id));
+ * const output = applyVariables(template, values, { parents });
+ *
+ * @param {object} template - Template with an optional `extends` parent id
+ * @param {Function} loader - async (id) => template object or API response
+ * @param {object} options - Options
+ * @param {number} options.maxDepth - Maximum number of ancestors to load
+ * @returns {Promise<object>} Map of template id to loaded entry
+ */
+export async function loadParents(template, loader, options = {}) {
+  const { maxDepth = MAX_INHERITANCE_DEPTH } = options;
+  const loaded = {};
+
+  let parentId = template.extends;
+  while (parentId && !(parentId in loaded) && parentId !== template.id && Object.keys(loaded).length < maxDepth) {
+    const entry = await loader(parentId);
+    loaded[parentId] = entry;
+    parentId = getTemplateEntry(entry)?.extends;
+  }
+
+  return loaded;
+}
+
+/**
+ * Get the content to render for a template, flattening inheritance if needed
+ */
+function getRenderableContent(template, options) {
+  if (!template.extends) return template.content;
+
+  if (!options.parents) {
+    throw new TemplateSyntaxError(
+      `Template extends "${template.extends}" - pass a parents resolver or use flattenTemplate() first`
+    );
+  }
+
+  const { content, errors } = resolveInheritance(template, options);
+  if (errors.length > 0) {
+    throw new TemplateSyntaxError(errors.join('; '));
+  }
+  return content;
+}
+
+function describeTemplate(template) {
+  return `"${template.name || template.id}"`;
+}
+
+/**
+ * Parse template content, expanding partials when a resolver is given
+ */
+function parseContent(content, options = {}) {
+  const nodes = parseTemplate(content);
+  if (!options.partials) return nodes;
+
+  const lookupPartial = createTemplateLookup(options.partials);
+  return expandPartials(nodes, id => getTemplateEntry(lookupPartial(id))?.content, {
+    maxDepth: options.maxPartialDepth,
+    rootId: options.rootId
+  });
+}
+
+/**
+ * Normalize a partials/parents option (object map, Map, or function) to a lookup function
+ */
+function createTemplateLookup(source) {
+  if (typeof source === 'function') return source;
+  if (source instanceof Map) return id => source.get(id);
+  return id => source[id];
+}
+
+/**
+ * Normalize a resolved entry (content string, template object, or API response)
+ * @returns {object|null} Object with at least a content string
+ */
+function getTemplateEntry(entry) {
+  if (entry === undefined || entry === null) return null;
+  if (typeof entry === 'string') return { content: entry };
+  if (typeof entry.then === 'function') {
+    throw new Error('Template resolvers must be synchronous here - use loadPartials()/loadParents() to fetch first');
+  }
+  if (typeof entry.content === 'string') return entry;
+  if (entry.template) return getTemplateEntry(entry.template);
+  if (entry.data) return getTemplateEntry(entry.data);
+  return null;
+}
+
+/**
+ * Combine declared variables with the variables brought in by partials and parents
+ *
+ * Variables declared on a partial or parent template take precedence over guessed ones.
+ */
+function mergeResolvedVariables(data, options) {
+  const declaredVariables = data.variables;
+  if (!data.content) return declaredVariables || [];
+
+  const definitions = new Map();
+  const addDefinitions = source => (source?.variables || []).forEach(variable => {
+    if (variable.name && !definitions.has(variable.name)) {
+      definitions.set(variable.name, variable);
+    }
+  });
+
+  let content = data.content;
+  if (data.extends && options.parents) {
+    const inheritance = resolveInheritance(data, options);
+    if (inheritance.errors.length > 0) {
+      // Reported by validateTemplate - keep what we can
+      return declaredVariables || extractVariables(data.content);
+    }
+    content = inheritance.content;
+
+    const lookupParent = createTemplateLookup(options.parents);
+    inheritance.chain.slice(1).forEach(id => addDefinitions(getTemplateEntry(lookupParent(id))));
+  }
+
+  let nodes;
+  try {
+    nodes = parseContent(content, { ...options, rootId: data.id });
+  } catch (error) {
+    if (!isTemplateSyntaxError(error)) throw error;
+    return declaredVariables || extractVariables(data.content);
+  }
+
+  if (options.partials) {
+    const lookupPartial = createTemplateLookup(options.partials);
+    const usedPartials = new Set();
+    walkTemplate(nodes, node => {
+      if (node.partial) usedPartials.add(node.partial);
+    });
+    usedPartials.forEach(id => addDefinitions(getTemplateEntry(lookupPartial(id))));
+  }
+
+  const extracted = collectVariables(nodes)
+    .map(entry => definitions.get(entry.name) || createVariable(entry));
+
+  if (!declaredVariables) return extracted;
+
+  const declaredNames = new Set(declaredVariables.map(variable => variable.name));
+  return [...declaredVariables, ...extracted.filter(variable => !declaredNames.has(variable.name))];
+}
+
 /**
  * Validate template object
  * @param {object} template - Template to validate
+ * @param {object} options - Options
+ * @param {object|Map|Function} options.partials - Partial resolver, to check {{> partial}} includes
+ * @param {object|Map|Function} options.parents - Parent resolver, to check the `extends` hierarchy
+ * @param {boolean} options.checkSyntax - Parse content for syntax errors (default true; chat templates check each message instead)
  * @returns {object} { valid: boolean, errors: string[] }
  */
-export function validateTemplate(template) {
+export function validateTemplate(template, options = {}) {
   const errors = [];
 
   // Name validation
@@ -161,6 +667,27 @@ export function validateTemplate(template) {
     errors.push('Template content must be at least 10 characters');
   } else if (template.content.length > 50000) {
     errors.push('Template content cannot exceed 50,000 characters');
+  } else if (options.checkSyntax !== false) {
+    try {
+      const unknownFilters = findUnknownFilters(parseContent(template.content, { ...options, rootId: template.id }));
+      if (unknownFilters.length > 0) {
+        errors.push(`Unknown filter(s): ${unknownFilters.join(', ')}`);
+      }
+    } catch (error) {
+      if (!isTemplateSyntaxError(error)) throw error;
+      errors.push(`Template syntax error: ${error.message}`);
+    }
+  }
+
+  // Inheritance validation
+  if (template.extends !== undefined && template.extends !== null) {
+    if (typeof template.extends !== 'string' || !template.extends) {
+      errors.push('Template extends must be a template ID');
+    } else if (template.extends === template.id) {
+      errors.push('Template cannot extend itself');
+    } else if (options.parents) {
+      errors.push(...resolveInheritance(template, options).errors);
+    }
   }
 
   // Category validation
@@ -179,6 +706,15 @@ export function validateTemplate(template) {
       if (variable.type && !isValidVariableType(variable.type)) {
         errors.push(`Variable "${variable.name}" has invalid type: ${variable.type}`);
       }
+      if (variable.enum !== undefined && (!Array.isArray(variable.enum) || variable.enum.length === 0)) {
+        errors.push(`Variable "${variable.name}" enum must be a non-empty array`);
+      }
+      if (variable.min !== undefined && variable.max !== undefined && variable.min > variable.max) {
+        errors.push(`Variable "${variable.name}" min cannot be greater than max`);
+      }
+      if (variable.pattern !== undefined && !compilePattern(variable.pattern)) {
+        errors.push(`Variable "${variable.name}" has an invalid pattern: ${variable.pattern}`);
+      }
     });
   }
 
@@ -225,7 +761,7 @@ function isValidCategoryId(categoryId) {
 function isValidVariableType(type) {
   const validTypes = [
     'technology', 'time', 'place', 'individualized',
-    'role', 'format', 'domain', 'numeric', 'text', 'file'
+    'role', 'format', 'domain', 'numeric', 'text', 'file', 'list'
   ];
   return validTypes.includes(type);
 }
@@ -254,13 +790,6 @@ function generateUUID() {
   });
 }
 
-/**
- * Escape special regex characters
- */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 /**
  * Get list of all variables in a template
  * @param {object} template - Template object
@@ -283,28 +812,150 @@ export function getRequiredVariables(template) {
     .map(v => v.name);
 }
 
+/**
+ * Validate and coerce a single variable value
+ *
+ * Runs the type's validator/coercer from VARIABLE_TYPES, then the variable's
+ * own constraints (enum, min/max, pattern, multiline).
+ *
+ * @param {object} variable - Variable object from template.variables
+ * @param {*} value - Raw value
+ * @returns {object} { valid: boolean, value: coerced value, error: { code, message, params } | null }
+ */
+export function validateVariableValue(variable, value) {
+  const fail = (code, message, params = {}) => ({ valid: false, value, error: { code, message, params } });
+
+  if (isEmptyValue(value)) {
+    if (variable.required) {
+      return fail(VARIABLE_ERROR_CODES.REQUIRED, `Required variable "${variable.name}" is missing`);
+    }
+    return { valid: true, value, error: null };
+  }
+
+  const type = VARIABLE_TYPES[variable.type] || VARIABLE_TYPES.text;
+
+  const typeError = type.validate(value);
+  if (typeError) {
+    return fail(typeError, `"${variable.name}" is not a valid ${type.name.toLowerCase()} value`, { type: variable.type || 'text' });
+  }
+
+  const coerced = type.coerce(value);
+  const items = Array.isArray(coerced) ? coerced.map(String) : [String(coerced)];
+
+  if (variable.multiline === false && items.some(item => /[\r\n]/.test(item))) {
+    return fail(VARIABLE_ERROR_CODES.MULTILINE_NOT_ALLOWED, `"${variable.name}" must be a single line`);
+  }
+
+  if (Array.isArray(variable.enum) && variable.enum.length > 0) {
+    const allowed = variable.enum.map(String);
+    if (items.some(item => !allowed.includes(item))) {
+      return fail(VARIABLE_ERROR_CODES.NOT_IN_ENUM, `"${variable.name}" must be one of: ${allowed.join(', ')}`, { allowed });
+    }
+  }
+
+  const measure = measureValue(variable, coerced);
+  if (measure !== null) {
+    if (variable.min !== undefined && variable.min !== null && measure < toMeasure(variable, variable.min)) {
+      return fail(VARIABLE_ERROR_CODES.TOO_SMALL, `"${variable.name}" must be at least ${variable.min}`, { min: variable.min });
+    }
+    if (variable.max !== undefined && variable.max !== null && measure > toMeasure(variable, variable.max)) {
+      return fail(VARIABLE_ERROR_CODES.TOO_LARGE, `"${variable.name}" must be at most ${variable.max}`, { max: variable.max });
+    }
+  }
+
+  if (variable.pattern !== undefined) {
+    const pattern = compilePattern(variable.pattern);
+    if (pattern && items.some(item => !pattern.test(item))) {
+      return fail(VARIABLE_ERROR_CODES.PATTERN_MISMATCH, `"${variable.name}" does not match the expected format`, { pattern: String(variable.pattern) });
+    }
+  }
+
+  return { valid: true, value: coerced, error: null };
+}
+
 /**
  * Validate variable values against template requirements
+ *
  * @param {object} template - Template object
  * @param {object} values - Variable values to validate
- * @returns {object} { valid: boolean, errors: string[], missing: string[] }
+ * @returns {object} {
+ *   valid: boolean,
+ *   errors: string[],
+ *   missing: string[],
+ *   variableErrors: { [name]: { code, message, params } },
+ *   values: coerced values for valid variables
+ * }
  */
-export function validateVariableValues(template, values) {
+export function validateVariableValues(template, values = {}) {
   const errors = [];
   const missing = [];
+  const variableErrors = {};
+  const coerced = {};
 
-  const requiredVars = getRequiredVariables(template);
+  (template.variables || []).forEach(variable => {
+    const result = validateVariableValue(variable, values[variable.name]);
+
+    if (result.valid) {
+      if (!isEmptyValue(values[variable.name])) coerced[variable.name] = result.value;
+      return;
+    }
 
-  requiredVars.forEach(varName => {
-    if (!values[varName] || values[varName].trim() === '') {
-      missing.push(varName);
-      errors.push(`Required variable "${varName}" is missing`);
+    if (result.error.code === VARIABLE_ERROR_CODES.REQUIRED) {
+      missing.push(variable.name);
     }
+    errors.push(result.error.message);
+    variableErrors[variable.name] = result.error;
   });
 
   return {
     valid: errors.length === 0,
     errors,
-    missing
+    missing,
+    variableErrors,
+    values: coerced
   };
 }
+
+/**
+ * The value given for a variable, or its default if none was given (0 and false are values)
+ */
+function getGivenValue(values, variable) {
+  const value = values[variable.name];
+  return value === undefined || value === null || value === '' ? variable.default : value;
+}
+
+function isEmptyValue(value) {
+  if (value === undefined || value === null) return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return typeof value === 'string' && value.trim() === '';
+}
+
+/**
+ * Quantity compared against min/max: the number itself, list size,
+ * date timestamp, or text length
+ */
+function measureValue(variable, value) {
+  if (typeof value === 'number') return value;
+  if (Array.isArray(value)) return value.length;
+  if (variable.type === 'time') {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return String(value).length;
+}
+
+function toMeasure(variable, bound) {
+  if (variable.type === 'time' && typeof bound === 'string') {
+    return Date.parse(bound);
+  }
+  return bound;
+}
+
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  try {
+    return new RegExp(pattern);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,478 @@
+/**
+ * Local Version History
+ *
+ * The extension edits layers offline, so it keeps its own version history
+ * and replays it to the server once it's back online. VersionStore records
+ * versions per layer on branches, storing a full snapshot every few
+ * versions and compact line diffs in between.
+ *
+ * Versions have the server's version fields (version_number, created_at,
+ * commit_message), so they work with formatContextWithVersion().
+ */
+
+import { diffSequences } from '../helpers/comparison.js';
+
+/**
+ * Branch versions are committed to unless another is given
+ */
+export const DEFAULT_BRANCH = 'main';
+
+/**
+ * Layer fields recorded with each version besides content
+ */
+export const VERSIONED_FIELDS = ['name', 'description', 'layer_type', 'tags', 'priority', 'metadata'];
+
+/**
+ * Local version history for context layers
+ */
+export class VersionStore {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.deviceId - Device recorded as the author of commits
+   * @param {number} options.snapshotInterval - Store a full snapshot every this many versions (default 10)
+   * @param {Object} options.data - Saved state from toJSON()
+   */
+  constructor(options = {}) {
+    const { deviceId = null, snapshotInterval = 10, data = null } = options;
+
+    this.deviceId = deviceId;
+    this.snapshotInterval = snapshotInterval;
+    this.layers = new Map();
+
+    if (data) {
+      Object.entries(data.layers || {}).forEach(([layerId, history]) => {
+        this.layers.set(layerId, {
+          versions: new Map(history.versions.map(version => [version.id, version])),
+          branches: new Map(Object.entries(history.branches)),
+          nextNumber: history.nextNumber
+        });
+      });
+    }
+  }
+
+  /**
+   * Record a new version of a layer
+   *
+   * Nothing is recorded if the layer matches the branch head.
+   *
+   * @param {Object} layer - Context layer (id, content and VERSIONED_FIELDS)
+   * @param {Object} options - Options
+   * @param {string} options.message - Commit message
+   * @param {string} options.branch - Branch (default DEFAULT_BRANCH; other branches must be created first)
+   * @param {string} options.deviceId - Author device (default the store's deviceId)
+   * @returns {Object} Version (the branch head if nothing changed)
+   */
+  commit(layer, options = {}) {
+    const { message = '', branch = DEFAULT_BRANCH, deviceId = this.deviceId } = options;
+    const history = this.getLayerHistory(layer.id, true);
+
+    if (!history.branches.has(branch)) {
+      if (branch !== DEFAULT_BRANCH) {
+        throw new Error(`Unknown branch "${branch}" for layer ${layer.id}`);
+      }
+      history.branches.set(branch, null);
+    }
+
+    const parentId = history.branches.get(branch);
+    const parent = parentId ? this.getVersion(layer.id, parentId) : null;
+    const content = layer.content || '';
+    const fields = pickFields(layer);
+
+    if (parent && parent.content === content && JSON.stringify(parent.fields) === JSON.stringify(fields)) {
+      return parent;
+    }
+
+    // Snapshot the first version and every snapshotInterval-th after the last snapshot
+    const record = {
+      id: generateUUID(),
+      layer_id: layer.id,
+      version_number: history.nextNumber++,
+      parent_id: parentId,
+      branch,
+      commit_message: message,
+      device_id: deviceId,
+      created_at: new Date().toISOString(),
+      fields,
+      snapshot: null,
+      diff: null,
+      synced_at: null,
+      server_version_id: null
+    };
+
+    if (!parent || this.getDiffDepth(layer.id, parentId) + 1 >= this.snapshotInterval) {
+      record.snapshot = content;
+    } else {
+      record.diff = createLineDiff(parent.content, content);
+    }
+
+    history.versions.set(record.id, record);
+    history.branches.set(branch, record.id);
+
+    return this.getVersion(layer.id, record.id);
+  }
+
+  /**
+   * Get a version with its content
+   * @param {string} layerId - Layer id
+   * @param {string} versionId - Version id
+   * @returns {Object|null} Version { id, version_number, parent_id, branch, commit_message, device_id, created_at, content, fields, synced_at, server_version_id } or null
+   */
+  getVersion(layerId, versionId) {
+    const record = this.getLayerHistory(layerId)?.versions.get(versionId);
+    if (!record) return null;
+
+    return {
+      ...toVersionInfo(record),
+      content: this.getContent(layerId, record),
+      fields: record.fields
+    };
+  }
+
+  /**
+   * Get the head version of a branch
+   * @param {string} layerId - Layer id
+   * @param {string} branch - Branch (default DEFAULT_BRANCH)
+   * @returns {Object|null} Version or null
+   */
+  getHead(layerId, branch = DEFAULT_BRANCH) {
+    const headId = this.getLayerHistory(layerId)?.branches.get(branch);
+    return headId ? this.getVersion(layerId, headId) : null;
+  }
+
+  /**
+   * Get the history of a branch, newest first (without content)
+   * @param {string} layerId - Layer id
+   * @param {string} branch - Branch (default DEFAULT_BRANCH)
+   * @returns {Array} Versions
+   */
+  getHistory(layerId, branch = DEFAULT_BRANCH) {
+    const history = this.getLayerHistory(layerId);
+    const versions = [];
+
+    for (let id = history?.branches.get(branch); id; id = history.versions.get(id).parent_id) {
+      versions.push(toVersionInfo(history.versions.get(id)));
+    }
+    return versions;
+  }
+
+  /**
+   * The layer as of a version, with current_version_number set (see formatContextWithVersion)
+   * @param {string} layerId - Layer id
+   * @param {string} versionId - Version id, or a branch name for its head
+   * @returns {Object|null} Layer or null
+   */
+  checkout(layerId, versionId) {
+    const branchHead = this.getLayerHistory(layerId)?.branches.get(versionId);
+    const version = this.getVersion(layerId, branchHead || versionId);
+    if (!version) return null;
+
+    return {
+      id: layerId,
+      ...version.fields,
+      content: version.content,
+      current_version_number: version.version_number
+    };
+  }
+
+  /**
+   * Compare two versions
+   * @param {string} layerId - Layer id
+   * @param {string} fromId - Older version id
+   * @param {string} toId - Newer version id
+   * @returns {Object} { from, to, changes: [{ type, value }], fields: { field: { from, to } }, stats: { added, removed } }
+   */
+  diff(layerId, fromId, toId) {
+    const from = this.getVersion(layerId, fromId);
+    const to = this.getVersion(layerId, toId);
+    if (!from || !to) {
+      throw new Error(`Version not found: ${!from ? fromId : toId}`);
+    }
+
+    const changes = groupChanges(diffSequences(splitLines(from.content), splitLines(to.content)));
+    const fields = {};
+    VERSIONED_FIELDS.forEach(field => {
+      if (JSON.stringify(from.fields[field]) !== JSON.stringify(to.fields[field])) {
+        fields[field] = { from: from.fields[field], to: to.fields[field] };
+      }
+    });
+
+    const countLines = type => changes
+      .filter(change => change.type === type)
+      .reduce((total, change) => total + splitLines(change.value).length, 0);
+
+    return {
+      from: toVersionInfo(from),
+      to: toVersionInfo(to),
+      changes,
+      fields,
+      stats: { added: countLines('added'), removed: countLines('removed') }
+    };
+  }
+
+  /**
+   * Revert a branch to an earlier version by committing a copy of it
+   * @param {string} layerId - Layer id
+   * @param {string} versionId - Version to go back to
+   * @param {Object} options - commit() options (message defaults to "Revert to version N")
+   * @returns {Object} New version
+   */
+  revert(layerId, versionId, options = {}) {
+    const version = this.getVersion(layerId, versionId);
+    if (!version) {
+      throw new Error(`Version not found: ${versionId}`);
+    }
+
+    return this.commit(
+      { id: layerId, ...version.fields, content: version.content },
+      { message: `Revert to version ${version.version_number}`, ...options }
+    );
+  }
+
+  /**
+   * Create a branch
+   * @param {string} layerId - Layer id
+   * @param {string} name - Branch name
+   * @param {string} fromVersionId - Version to branch from (default the head of DEFAULT_BRANCH)
+   * @returns {Object} { name, head }
+   */
+  createBranch(layerId, name, fromVersionId = null) {
+    const history = this.getLayerHistory(layerId);
+    const head = fromVersionId || history?.branches.get(DEFAULT_BRANCH);
+
+    if (!history || !history.versions.has(head)) {
+      throw new Error(`Nothing to branch from for layer ${layerId}`);
+    }
+    if (history.branches.has(name)) {
+      throw new Error(`Branch "${name}" already exists for layer ${layerId}`);
+    }
+
+    history.branches.set(name, head);
+    return { name, head };
+  }
+
+  /**
+   * Get the branches of a layer
+   * @param {string} layerId - Layer id
+   * @returns {Array} [{ name, head, version_number }]
+   */
+  getBranches(layerId) {
+    const history = this.getLayerHistory(layerId);
+    if (!history) return [];
+
+    return Array.from(history.branches, ([name, head]) => ({
+      name,
+      head,
+      version_number: head ? history.versions.get(head).version_number : null
+    }));
+  }
+
+  /**
+   * Versions not yet replayed to the server, oldest first
+   *
+   * Other branches stay on the device, so only DEFAULT_BRANCH versions are
+   * pending unless another branch is asked for.
+   *
+   * @param {string} layerId - Only this layer (default all layers)
+   * @param {string} branch - Only versions committed to this branch (default DEFAULT_BRANCH, null for all)
+   * @returns {Array} Versions with content
+   */
+  getPending(layerId = null, branch = DEFAULT_BRANCH) {
+    const layerIds = layerId ? [layerId] : Array.from(this.layers.keys());
+
+    return layerIds.flatMap(id => {
+      const history = this.getLayerHistory(id);
+      if (!history) return [];
+      return Array.from(history.versions.values())
+        .filter(record => !record.synced_at && (branch === null || record.branch === branch))
+        .sort((a, b) => a.version_number - b.version_number)
+        .map(record => this.getVersion(id, record.id));
+    });
+  }
+
+  /**
+   * Replay unsynced versions to the server, oldest first
+   *
+   * `send` is called with each version and should save it on the server
+   * (e.g. with updateLayer), optionally resolving to the server's version
+   * record, whose id is kept as server_version_id. The replay stops at the
+   * first failure, so later versions are retried with it next time.
+   *
+   * Only DEFAULT_BRANCH is replayed by default; local branches aren't sent.
+   * With `branch: null` every branch is, and `send` routes each version by
+   * its `branch`.
+   *
+   * @param {Function} send - async (version) => server version ({ id }) or nothing
+   * @param {Object} options - Options
+   * @param {string} options.layerId - Only replay this layer
+   * @param {string} options.branch - Branch to replay (default DEFAULT_BRANCH, null for all)
+   * @returns {Promise<Object>} { replayed, failed, error }
+   */
+  async replay(send, options = {}) {
+    const { layerId = null, branch = DEFAULT_BRANCH } = options;
+    let replayed = 0;
+
+    for (const version of this.getPending(layerId, branch)) {
+      try {
+        const result = await send(version);
+        const record = this.getLayerHistory(version.layer_id).versions.get(version.id);
+        record.synced_at = new Date().toISOString();
+        record.server_version_id = result?.id || null;
+        replayed++;
+      } catch (error) {
+        return { replayed, failed: toVersionInfo(version), error };
+      }
+    }
+
+    return { replayed, failed: null, error: null };
+  }
+
+  /**
+   * Saved state, to persist and pass back as `data`
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    const layers = {};
+    this.layers.forEach((history, layerId) => {
+      layers[layerId] = {
+        versions: Array.from(history.versions.values()),
+        branches: Object.fromEntries(history.branches),
+        nextNumber: history.nextNumber
+      };
+    });
+    return { layers };
+  }
+
+  /**
+   * Version records and branches of a layer
+   */
+  getLayerHistory(layerId, create = false) {
+    if (!this.layers.has(layerId) && create) {
+      this.layers.set(layerId, { versions: new Map(), branches: new Map(), nextNumber: 1 });
+    }
+    return this.layers.get(layerId) || null;
+  }
+
+  /**
+   * Rebuild a version's content from the nearest snapshot
+   */
+  getContent(layerId, record) {
+    const versions = this.getLayerHistory(layerId).versions;
+    const chain = [];
+    let current = record;
+    while (current.snapshot === null) {
+      chain.unshift(current.diff);
+      current = versions.get(current.parent_id);
+    }
+
+    return chain.reduce((content, diff) => applyLineDiff(content, diff), current.snapshot);
+  }
+
+  /**
+   * Number of diffs since the last snapshot
+   */
+  getDiffDepth(layerId, versionId) {
+    const versions = this.getLayerHistory(layerId).versions;
+    let depth = 0;
+    for (let record = versions.get(versionId); record.snapshot === null; record = versions.get(record.parent_id)) {
+      depth++;
+    }
+    return depth;
+  }
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function toVersionInfo(version) {
+  return {
+    id: version.id,
+    layer_id: version.layer_id,
+    version_number: version.version_number,
+    parent_id: version.parent_id,
+    branch: version.branch,
+    commit_message: version.commit_message,
+    device_id: version.device_id,
+    created_at: version.created_at,
+    synced_at: version.synced_at,
+    server_version_id: version.server_version_id
+  };
+}
+
+function pickFields(layer) {
+  return Object.fromEntries(VERSIONED_FIELDS
+    .filter(field => layer[field] !== undefined)
+    .map(field => [field, layer[field]]));
+}
+
+/**
+ * Compact line diff: [{ keep: n } | { remove: n } | { add: [lines] }]
+ */
+function createLineDiff(from, to) {
+  const ops = [];
+  for (const change of diffSequences(splitLines(from), splitLines(to))) {
+    const key = { equal: 'keep', removed: 'remove', added: 'add' }[change.type];
+    const last = ops[ops.length - 1];
+
+    if (last && key in last) {
+      if (key === 'add') last.add.push(change.value);
+      else last[key]++;
+    } else {
+      ops.push(key === 'add' ? { add: [change.value] } : { [key]: 1 });
+    }
+  }
+  return ops;
+}
+
+function applyLineDiff(content, ops) {
+  const lines = splitLines(content);
+  const result = [];
+  let index = 0;
+
+  for (const op of ops) {
+    if (op.keep) {
+      result.push(...lines.slice(index, index + op.keep));
+      index += op.keep;
+    } else if (op.remove) {
+      index += op.remove;
+    } else if (op.add) {
+      result.push(...op.add);
+    }
+  }
+  return result.join('');
+}
+
+function splitLines(text) {
+  return text ? text.split(/(?<=\n)/) : [];
+}
+
+/**
+ * Merge runs of changes of the same type
+ */
+function groupChanges(changes) {
+  const groups = [];
+  for (const change of changes) {
+    const last = groups[groups.length - 1];
+    if (last && last.type === change.type) {
+      last.value += change.value;
+    } else {
+      groups.push({ type: change.type, value: change.value });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Simple UUID generator (browser compatible)
+ */
+function generateUUID() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}